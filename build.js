@@ -5,17 +5,49 @@ var Browser = {
   navigator: navigator,
   window: window,
   document: document,
-  ajax: function(url) {
+  // returns the text of url, or its bytes as a Uint8Array if binary is true
+  ajax: function(url, binary) {
     var xhr = new XMLHttpRequest();
     xhr.open("GET", url, false);
     if (xhr.overrideMimeType) {
-      xhr.overrideMimeType("text/plain");
+      // user-defined characters keep every byte as the low byte of a character
+      xhr.overrideMimeType(binary ? "text/plain; charset=x-user-defined" : "text/plain");
     }
     xhr.setRequestHeader("If-Modified-Since", "Fri, 01 Jan 1960 00:00:00 GMT");
     xhr.send(null);
     // failed request?
     if (xhr.status !== 200 && xhr.status !== 0) { throw ("XMLHttpRequest failed, status code " + xhr.status); }
+    if (binary) {
+      var text = xhr.responseText, bytes = new Uint8Array(text.length);
+      for (var i = 0; i < text.length; i++) {
+        bytes[i] = text.charCodeAt(i) & 0xFF;
+      }
+      return bytes;
+    }
     return xhr.responseText;
+  },
+  // reads url without blocking, and calls back with its text, or its bytes as a Uint8Array if
+  // binary is true, or with null and the error if the request fails
+  ajaxAsync: function(url, binary, callback) {
+    var xhr = new XMLHttpRequest();
+    xhr.open("GET", url, true);
+    if (binary) {
+      xhr.responseType = "arraybuffer";
+    } else if (xhr.overrideMimeType) {
+      xhr.overrideMimeType("text/plain");
+    }
+    xhr.setRequestHeader("If-Modified-Since", "Fri, 01 Jan 1960 00:00:00 GMT");
+    xhr.onreadystatechange = function() {
+      if (xhr.readyState !== 4) {
+        return;
+      }
+      if (xhr.status !== 200 && xhr.status !== 0) {
+        callback(null, "XMLHttpRequest failed, status code " + xhr.status);
+        return;
+      }
+      callback(binary ? new Uint8Array(xhr.response || 0) : xhr.responseText);
+    };
+    xhr.send(null);
   }
 };
 
@@ -8,6 +8,8 @@
 module.exports = (function fakeBrowser() {
   // Processing works with a canvas and the DOM, fake it.
   // This is enough of the DOM to allow the parser work.
+  var SoftwareRenderer = require("./SoftwareRenderer");
+  var fs = require("fs");
   var __empty_func__ = function () {};
   var __elem_func__ = function() { return elem; };
 
@@ -120,6 +122,41 @@ module.exports = (function fakeBrowser() {
   };
   Canvas.prototype = new HTMLCanvasElement();
 
+  // Canvas with a software 2D context, that draws actual pixels. Setting
+  // its width or height clears it, as it does in browsers.
+  var SoftwareCanvas = function(width, height) {
+    Canvas.call(this);
+    var fakeGetContext = this.getContext, context = null;
+    width = width === undefined ? 100 : width;
+    height = height === undefined ? 100 : height;
+    Object.defineProperty(this, "width", {
+      get: function() { return width; },
+      set: function(value) {
+        width = value;
+        if (context) { context.$resize(width, height); }
+      }
+    });
+    Object.defineProperty(this, "height", {
+      get: function() { return height; },
+      set: function(value) {
+        height = value;
+        if (context) { context.$resize(width, height); }
+      }
+    });
+    this.getContext = function(type) {
+      if (type !== "2d") {
+        return fakeGetContext.call(this, type);
+      }
+      if (context === null) {
+        context = new SoftwareRenderer.CanvasRenderingContext2D(this);
+      }
+      return context;
+    };
+  };
+  SoftwareCanvas.prototype = Canvas.prototype;
+
+  var useSoftwareRenderer = false;
+
   var canvas = new Canvas();
 
   var HTMLImageElement = __empty_func__;
@@ -148,7 +185,7 @@ module.exports = (function fakeBrowser() {
     getElementById: __empty_func__,
     getElementsByTagName: function() { return [canvas]; },
     createElement: function (tag) {
-      if (tag === "canvas") return new Canvas();
+      if (tag === "canvas") return useSoftwareRenderer ? new SoftwareCanvas() : new Canvas();
       return createElement(tag);
     },
     addEventListener: __empty_func__,
@@ -831,6 +868,7 @@ module.exports = (function fakeBrowser() {
     createElement: function() { return elem; },
     setTimeout: __empty_func__,
     clearInterval: __empty_func__,
+    clearTimeout: __empty_func__,
     localStorage: {},
     // required object types
     XMLHttpRequest: __empty_func__,
@@ -838,31 +876,60 @@ module.exports = (function fakeBrowser() {
     HTMLCanvasElement: HTMLCanvasElement
   };
 
+  // there is no server: the request fails as one for a missing file does, and the
+  // tests that read files give the prototype their text
   window.XMLHttpRequest.prototype.open = __empty_func__;
   window.XMLHttpRequest.prototype.send = __empty_func__;
-  window.XMLHttpRequest.prototype.responseText = "some text";
   window.XMLHttpRequest.prototype.setRequestHeader = __empty_func__;
   window.XMLHttpRequest.prototype.overrideMimeType = __empty_func__;
-  window.XMLHttpRequest.prototype.status = 200;
+  window.XMLHttpRequest.prototype.status = 404;
 
   // and return our fake browser object
   return {
     isDomPresent: false,
+    /**
+     * Selects the renderer of the canvases created from now on: the software
+     * one draws pixels that getImageData returns, the default one draws nothing.
+     */
+    useSoftwareRenderer: function(enabled) {
+      useSoftwareRenderer = enabled !== false;
+    },
+    createCanvas: function(width, height) {
+      return new SoftwareCanvas(width, height);
+    },
+    ImageData: SoftwareRenderer.ImageData,
     navigator: navigator,
     window: window,
     document: document,
-    ajax: function(url) {
-      var xhr = new XMLHttpRequest();
-      xhr.open("GET", url, false);
-      if (xhr.overrideMimeType) {
-        xhr.overrideMimeType("text/plain");
+    ajax: ajax,
+    // the fake request is synchronous, and so is the callback
+    ajaxAsync: function(url, binary, callback) {
+      var data;
+      try {
+        data = ajax(url, binary);
+      } catch (e) {
+        callback(null, e);
+        return;
       }
-      xhr.setRequestHeader("If-Modified-Since", "Fri, 01 Jan 1960 00:00:00 GMT");
-      xhr.send(null);
-      // failed request?
-      if (xhr.status !== 200 && xhr.status !== 0) { throw ("XMLHttpRequest failed, status code " + xhr.status); }
-      return xhr.responseText;
+      callback(data);
     }
   };
 
+  // the fake request only returns text, so bytes are read from the file system instead
+  function ajax(url, binary) {
+    if (binary) {
+      return new Uint8Array(fs.readFileSync(url));
+    }
+    var xhr = new XMLHttpRequest();
+    xhr.open("GET", url, false);
+    if (xhr.overrideMimeType) {
+      xhr.overrideMimeType("text/plain");
+    }
+    xhr.setRequestHeader("If-Modified-Since", "Fri, 01 Jan 1960 00:00:00 GMT");
+    xhr.send(null);
+    // failed request?
+    if (xhr.status !== 200 && xhr.status !== 0) { throw ("XMLHttpRequest failed, status code " + xhr.status); }
+    return xhr.responseText;
+  }
+
 }());
@@ -0,0 +1,757 @@
+/**
+
+    Software implementation of the CanvasRenderingContext2D subset that the
+    2D renderer uses, so sketches can draw actual pixels under Node, without
+    a browser or a GPU.
+
+    Shapes are flattened to polygons and filled scanline by scanline, with
+    antialiased edges: the horizontal coverage of a pixel is exact, the
+    vertical one is sampled. Strokes are turned into polygons (segments, joins
+    and caps) that are filled the same way. Text is not rendered.
+
+**/
+
+module.exports = (function softwareRenderer() {
+  // samples per pixel row, for the vertical antialiasing
+  var SUBSAMPLES = 4;
+  // the distance flattened curves may be off their true shape, in pixels
+  var TOLERANCE = 0.25;
+
+  var namedColors = {
+    black: [0, 0, 0, 1],
+    white: [255, 255, 255, 1],
+    red: [255, 0, 0, 1],
+    green: [0, 128, 0, 1],
+    blue: [0, 0, 255, 1],
+    transparent: [0, 0, 0, 0]
+  };
+
+  function clampByte(value) {
+    return Math.max(0, Math.min(255, Math.round(value)));
+  }
+
+  // "rgba(255,0,0,0.5)", "rgb(255,0,0)", "#f00" or "#ff0000" --> [255, 0, 0, alpha]
+  function parseColor(style) {
+    if (typeof style !== "string") {
+      return null;
+    }
+    var s = style.replace(/\s+/g, "").toLowerCase(), m;
+    if ((m = /^rgba?\(([-\d.]+),([-\d.]+),([-\d.]+)(?:,([-\d.]+))?\)$/.exec(s)) !== null) {
+      return [clampByte(+m[1]), clampByte(+m[2]), clampByte(+m[3]),
+        m[4] === undefined ? 1 : Math.max(0, Math.min(1, +m[4]))];
+    }
+    if ((m = /^#([0-9a-f]{3}|[0-9a-f]{6})$/.exec(s)) !== null) {
+      var hex = m[1].length === 3 ? m[1].replace(/./g, "$&$&") : m[1];
+      return [parseInt(hex.substring(0, 2), 16), parseInt(hex.substring(2, 4), 16),
+        parseInt(hex.substring(4, 6), 16), 1];
+    }
+    return namedColors.hasOwnProperty(s) ? namedColors[s].slice(0) : null;
+  }
+
+  /**
+   * The pixels of a canvas: RGBA bytes, row by row, not premultiplied.
+   */
+  function ImageData(width, height, data) {
+    this.width = width;
+    this.height = height;
+    this.data = data || new Uint8ClampedArray(width * height * 4);
+  }
+
+  ////////////////////////////////////////////////////////////////////////////
+  // Transforms: [a, b, c, d, e, f] maps (x, y) to (a*x + c*y + e, b*x + d*y + f)
+  ////////////////////////////////////////////////////////////////////////////
+
+  function multiply(m, n) {
+    return [m[0] * n[0] + m[2] * n[1], m[1] * n[0] + m[3] * n[1],
+            m[0] * n[2] + m[2] * n[3], m[1] * n[2] + m[3] * n[3],
+            m[0] * n[4] + m[2] * n[5] + m[4], m[1] * n[4] + m[3] * n[5] + m[5]];
+  }
+
+  function invert(m) {
+    var det = m[0] * m[3] - m[1] * m[2];
+    if (det === 0 || !isFinite(det)) {
+      return null;
+    }
+    return [m[3] / det, -m[1] / det, -m[2] / det, m[0] / det,
+            (m[2] * m[5] - m[3] * m[4]) / det, (m[1] * m[4] - m[0] * m[5]) / det];
+  }
+
+  function transformPoints(m, points) {
+    var result = new Array(points.length);
+    for (var i = 0; i < points.length; i += 2) {
+      result[i] = m[0] * points[i] + m[2] * points[i + 1] + m[4];
+      result[i + 1] = m[1] * points[i] + m[3] * points[i + 1] + m[5];
+    }
+    return result;
+  }
+
+  // how much the transform scales lengths, on average
+  function getScale(m) {
+    return Math.sqrt(Math.abs(m[0] * m[3] - m[1] * m[2])) || 1;
+  }
+
+  ////////////////////////////////////////////////////////////////////////////
+  // Scanline polygon filling
+  ////////////////////////////////////////////////////////////////////////////
+
+  // adds the coverage of the span [left, right) of a sample row to the pixels
+  function addSpan(coverage, width, left, right, weight) {
+    left = Math.max(0, left);
+    right = Math.min(width, right);
+    if (right <= left) {
+      return;
+    }
+    var first = Math.floor(left), last = Math.floor(right);
+    if (first === last) {
+      coverage[first] += (right - left) * weight;
+      return;
+    }
+    coverage[first] += (first + 1 - left) * weight;
+    for (var x = first + 1; x < last; x++) {
+      coverage[x] += weight;
+    }
+    if (last < width) {
+      coverage[last] += (right - last) * weight;
+    }
+  }
+
+  /**
+   * Fills polygons, given in device coordinates, calling paint(x, y, coverage)
+   * for every pixel they cover.
+   *
+   * @param {ImageData} bitmap       the pixels, for the size
+   * @param {Array} polygons         arrays of x, y coordinates, implicitly closed
+   * @param {boolean} evenOdd        the fill rule, nonzero otherwise
+   * @param {Function} paint         paints a pixel, coverage is from 0 to 1
+   */
+  function fillPolygons(bitmap, polygons, evenOdd, paint) {
+    var width = bitmap.width, height = bitmap.height, edges = [], i, j;
+    var top = Infinity, bottom = -Infinity;
+    for (i = 0; i < polygons.length; i++) {
+      var points = polygons[i], count = points.length;
+      for (j = 0; j < count; j += 2) {
+        var x0 = points[j], y0 = points[j + 1];
+        var x1 = points[(j + 2) % count], y1 = points[(j + 3) % count];
+        if (y0 === y1 || !isFinite(x0 + y0 + x1 + y1)) {
+          continue;
+        }
+        var down = y0 < y1;
+        edges.push({
+          top: down ? y0 : y1, bottom: down ? y1 : y0,
+          x: down ? x0 : x1, slope: (x1 - x0) / (y1 - y0), winding: down ? 1 : -1
+        });
+        top = Math.min(top, y0, y1);
+        bottom = Math.max(bottom, y0, y1);
+      }
+    }
+    if (edges.length === 0) {
+      return;
+    }
+    edges.sort(function(a, b) { return a.top - b.top; });
+
+    var coverage = new Float32Array(width + 1), crossings = [], active = [], next = 0;
+    var firstRow = Math.max(0, Math.floor(top)), lastRow = Math.min(height, Math.ceil(bottom));
+    for (var y = firstRow; y < lastRow; y++) {
+      var left = width, right = 0;
+      for (var sample = 0; sample < SUBSAMPLES; sample++) {
+        var sy = y + (sample + 0.5) / SUBSAMPLES;
+        while (next < edges.length && edges[next].top <= sy) {
+          active.push(edges[next++]);
+        }
+        crossings.length = 0;
+        for (i = active.length - 1; i >= 0; i--) {
+          var edge = active[i];
+          if (edge.bottom <= sy) {
+            active.splice(i, 1);
+          } else if (edge.top <= sy) {
+            crossings.push({ x: edge.x + (sy - edge.top) * edge.slope, winding: edge.winding });
+          }
+        }
+        crossings.sort(function(a, b) { return a.x - b.x; });
+        var winding = 0;
+        for (i = 0; i < crossings.length - 1; i++) {
+          winding += crossings[i].winding;
+          if (evenOdd ? (winding & 1) !== 0 : winding !== 0) {
+            addSpan(coverage, width, crossings[i].x, crossings[i + 1].x, 1 / SUBSAMPLES);
+            left = Math.min(left, Math.floor(Math.max(0, crossings[i].x)));
+            right = Math.max(right, Math.ceil(Math.min(width, crossings[i + 1].x)));
+          }
+        }
+      }
+      for (var x = left; x < right; x++) {
+        if (coverage[x] > 0) {
+          paint(x, y, Math.min(1, coverage[x]));
+        }
+        coverage[x] = 0;
+      }
+    }
+  }
+
+  // source-over compositing of a color with alpha from 0 to 1
+  function blendPixel(data, index, r, g, b, alpha) {
+    if (alpha <= 0) {
+      return;
+    }
+    var destAlpha = data[index + 3] / 255, outAlpha = alpha + destAlpha * (1 - alpha);
+    var destWeight = destAlpha * (1 - alpha);
+    data[index] = (r * alpha + data[index] * destWeight) / outAlpha;
+    data[index + 1] = (g * alpha + data[index + 1] * destWeight) / outAlpha;
+    data[index + 2] = (b * alpha + data[index + 2] * destWeight) / outAlpha;
+    data[index + 3] = outAlpha * 255;
+  }
+
+  ////////////////////////////////////////////////////////////////////////////
+  // Strokes
+  ////////////////////////////////////////////////////////////////////////////
+
+  function getSignedArea(points) {
+    var area = 0, count = points.length;
+    for (var i = 0; i < count; i += 2) {
+      area += points[i] * points[(i + 3) % count] - points[(i + 2) % count] * points[i + 1];
+    }
+    return area / 2;
+  }
+
+  // all the stroke parts turn the same way, so the nonzero rule fills their union
+  function orient(points) {
+    if (getSignedArea(points) >= 0) {
+      return points;
+    }
+    var reversed = [];
+    for (var i = points.length - 2; i >= 0; i -= 2) {
+      reversed.push(points[i], points[i + 1]);
+    }
+    return reversed;
+  }
+
+  function getCircle(x, y, radius, scale) {
+    var deviceRadius = radius * scale;
+    var steps = deviceRadius <= TOLERANCE ? 8 :
+      Math.max(8, Math.ceil(Math.PI / Math.acos(Math.max(-1, 1 - TOLERANCE / deviceRadius))));
+    var points = [];
+    for (var i = 0; i < steps; i++) {
+      var angle = 2 * Math.PI * i / steps;
+      points.push(x + radius * Math.cos(angle), y + radius * Math.sin(angle));
+    }
+    return points;
+  }
+
+  // removes the repeated points of a subpath
+  function getDistinctPoints(points) {
+    var result = [points[0], points[1]];
+    for (var i = 2; i < points.length; i += 2) {
+      if (points[i] !== result[result.length - 2] || points[i + 1] !== result[result.length - 1]) {
+        result.push(points[i], points[i + 1]);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Turns a subpath, in user coordinates, in the polygons that its stroke covers.
+   */
+  function getStrokePolygons(points, closed, style, scale) {
+    var polygons = [], halfWidth = style.lineWidth / 2, i;
+    points = getDistinctPoints(points);
+    var count = points.length / 2;
+    if (closed && count > 1 && points[0] === points[points.length - 2] && points[1] === points[points.length - 1]) {
+      points.length -= 2;
+      count--;
+    }
+    if (count === 1) {
+      // zero length: only the caps, and only the ones that stick out
+      if (!closed && style.lineCap === "round") {
+        polygons.push(getCircle(points[0], points[1], halfWidth, scale));
+      } else if (!closed && style.lineCap === "square") {
+        polygons.push([points[0] - halfWidth, points[1] - halfWidth, points[0] + halfWidth, points[1] - halfWidth,
+          points[0] + halfWidth, points[1] + halfWidth, points[0] - halfWidth, points[1] + halfWidth]);
+      }
+      return polygons;
+    }
+    var segments = [], segmentCount = closed && count > 2 ? count : count - 1;
+    for (i = 0; i < segmentCount; i++) {
+      var x0 = points[2 * i], y0 = points[2 * i + 1];
+      var x1 = points[(2 * i + 2) % points.length], y1 = points[(2 * i + 3) % points.length];
+      var length = Math.sqrt((x1 - x0) * (x1 - x0) + (y1 - y0) * (y1 - y0));
+      var ux = (x1 - x0) / length, uy = (y1 - y0) / length;
+      // the normal, scaled to half the line width
+      var nx = -uy * halfWidth, ny = ux * halfWidth;
+      segments.push({ x0: x0, y0: y0, x1: x1, y1: y1, ux: ux, uy: uy, nx: nx, ny: ny });
+      polygons.push([x0 + nx, y0 + ny, x1 + nx, y1 + ny, x1 - nx, y1 - ny, x0 - nx, y0 - ny]);
+    }
+    // joins, between each segment and the next one
+    var joinCount = closed && count > 2 ? segments.length : segments.length - 1;
+    for (i = 0; i < joinCount; i++) {
+      addJoin(polygons, segments[i], segments[(i + 1) % segments.length], style, scale);
+    }
+    if (!closed || count === 2) {
+      addCap(polygons, segments[0], true, style, scale);
+      addCap(polygons, segments[segments.length - 1], false, style, scale);
+    }
+    return polygons;
+  }
+
+  function addJoin(polygons, incoming, outgoing, style, scale) {
+    var x = incoming.x1, y = incoming.y1, halfWidth = style.lineWidth / 2;
+    var cross = incoming.ux * outgoing.uy - incoming.uy * outgoing.ux;
+    var dot = incoming.ux * outgoing.ux + incoming.uy * outgoing.uy;
+    if (Math.abs(cross) < 1e-9 && dot > 0) {
+      return;
+    }
+    if (style.lineJoin === "round") {
+      polygons.push(getCircle(x, y, halfWidth, scale));
+      return;
+    }
+    // the outer side of the turn
+    var side = cross > 0 ? -1 : 1;
+    var ax = x + side * incoming.nx, ay = y + side * incoming.ny;
+    var bx = x + side * outgoing.nx, by = y + side * outgoing.ny;
+    if (style.lineJoin !== "bevel") {
+      var sx = (incoming.nx + outgoing.nx) / halfWidth, sy = (incoming.ny + outgoing.ny) / halfWidth;
+      var sum = sx * sx + sy * sy;
+      // the miter length over the line width is 2 / |n1 + n2| for unit normals
+      if (sum > 0 && 2 / Math.sqrt(sum) <= style.miterLimit) {
+        var mx = x + side * sx * 2 * halfWidth / sum, my = y + side * sy * 2 * halfWidth / sum;
+        polygons.push([x, y, ax, ay, mx, my, bx, by]);
+        return;
+      }
+    }
+    polygons.push([x, y, ax, ay, bx, by]);
+  }
+
+  function addCap(polygons, segment, isStart, style, scale) {
+    var halfWidth = style.lineWidth / 2;
+    var x = isStart ? segment.x0 : segment.x1, y = isStart ? segment.y0 : segment.y1;
+    if (style.lineCap === "round") {
+      polygons.push(getCircle(x, y, halfWidth, scale));
+    } else if (style.lineCap === "square") {
+      var direction = isStart ? -halfWidth : halfWidth;
+      var ex = x + segment.ux * direction, ey = y + segment.uy * direction;
+      polygons.push([x + segment.nx, y + segment.ny, ex + segment.nx, ey + segment.ny,
+        ex - segment.nx, ey - segment.ny, x - segment.nx, y - segment.ny]);
+    }
+  }
+
+  ////////////////////////////////////////////////////////////////////////////
+  // The context
+  ////////////////////////////////////////////////////////////////////////////
+
+  var stateProperties = ["fillStyle", "strokeStyle", "lineWidth", "lineCap", "lineJoin", "miterLimit",
+    "globalAlpha", "globalCompositeOperation", "font", "textAlign", "textBaseline", "imageSmoothingEnabled"];
+
+  /**
+   * @param {Object} canvas   the canvas, its width and height are the size of the bitmap
+   */
+  function CanvasRenderingContext2D(canvas) {
+    this.canvas = canvas;
+    this.$resize(canvas.width, canvas.height);
+  }
+
+  // a new bitmap, as setting the size of a canvas clears it and resets the context
+  CanvasRenderingContext2D.prototype.$resize = function(width, height) {
+    this.$bitmap = new ImageData(Math.max(0, width | 0), Math.max(0, height | 0));
+    this.fillStyle = "#000000";
+    this.strokeStyle = "#000000";
+    this.lineWidth = 1;
+    this.lineCap = "butt";
+    this.lineJoin = "miter";
+    this.miterLimit = 10;
+    this.globalAlpha = 1;
+    this.globalCompositeOperation = "source-over";
+    this.font = "10px sans-serif";
+    this.textAlign = "start";
+    this.textBaseline = "alphabetic";
+    this.imageSmoothingEnabled = true;
+    this.$matrix = [1, 0, 0, 1, 0, 0];
+    this.$stack = [];
+    this.beginPath();
+  };
+
+  CanvasRenderingContext2D.prototype.save = function() {
+    var state = { matrix: this.$matrix.slice(0) };
+    for (var i = 0; i < stateProperties.length; i++) {
+      state[stateProperties[i]] = this[stateProperties[i]];
+    }
+    this.$stack.push(state);
+  };
+
+  CanvasRenderingContext2D.prototype.restore = function() {
+    var state = this.$stack.pop();
+    if (state === undefined) {
+      return;
+    }
+    for (var i = 0; i < stateProperties.length; i++) {
+      this[stateProperties[i]] = state[stateProperties[i]];
+    }
+    this.$matrix = state.matrix;
+  };
+
+  CanvasRenderingContext2D.prototype.setTransform = function(a, b, c, d, e, f) {
+    this.$matrix = [a, b, c, d, e, f];
+  };
+
+  CanvasRenderingContext2D.prototype.resetTransform = function() {
+    this.$matrix = [1, 0, 0, 1, 0, 0];
+  };
+
+  CanvasRenderingContext2D.prototype.transform = function(a, b, c, d, e, f) {
+    this.$matrix = multiply(this.$matrix, [a, b, c, d, e, f]);
+  };
+
+  CanvasRenderingContext2D.prototype.translate = function(x, y) {
+    this.transform(1, 0, 0, 1, x, y);
+  };
+
+  CanvasRenderingContext2D.prototype.scale = function(x, y) {
+    this.transform(x, 0, 0, y, 0, 0);
+  };
+
+  CanvasRenderingContext2D.prototype.rotate = function(angle) {
+    var cos = Math.cos(angle), sin = Math.sin(angle);
+    this.transform(cos, sin, -sin, cos, 0, 0);
+  };
+
+  // Paths: the points are kept in device coordinates, as the transform applies
+  // when they are added. The last point is kept in user coordinates too, for curves.
+
+  CanvasRenderingContext2D.prototype.beginPath = function() {
+    this.$subpaths = [];
+    this.$current = null;
+  };
+
+  CanvasRenderingContext2D.prototype.$addPoint = function(x, y) {
+    var m = this.$matrix;
+    this.$current.points.push(m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]);
+    this.$lastX = x;
+    this.$lastY = y;
+  };
+
+  CanvasRenderingContext2D.prototype.moveTo = function(x, y) {
+    this.$current = { points: [], closed: false };
+    this.$subpaths.push(this.$current);
+    this.$addPoint(x, y);
+  };
+
+  CanvasRenderingContext2D.prototype.lineTo = function(x, y) {
+    if (this.$current === null) {
+      this.moveTo(x, y);
+    } else {
+      this.$addPoint(x, y);
+    }
+  };
+
+  CanvasRenderingContext2D.prototype.closePath = function() {
+    if (this.$current === null) {
+      return;
+    }
+    var points = this.$current.points, inverse = invert(this.$matrix);
+    this.$current.closed = true;
+    // the next subpath starts where this one started
+    this.$current = { points: [points[0], points[1]], closed: false };
+    this.$subpaths.push(this.$current);
+    if (inverse !== null) {
+      this.$lastX = inverse[0] * points[0] + inverse[2] * points[1] + inverse[4];
+      this.$lastY = inverse[1] * points[0] + inverse[3] * points[1] + inverse[5];
+    }
+  };
+
+  CanvasRenderingContext2D.prototype.rect = function(x, y, w, h) {
+    this.moveTo(x, y);
+    this.lineTo(x + w, y);
+    this.lineTo(x + w, y + h);
+    this.lineTo(x, y + h);
+    this.closePath();
+  };
+
+  // the number of line segments for a curve of the given length, in user units
+  CanvasRenderingContext2D.prototype.$getSteps = function(length) {
+    var deviceLength = length * getScale(this.$matrix);
+    return Math.max(1, Math.min(1000, Math.ceil(Math.sqrt(deviceLength / TOLERANCE))));
+  };
+
+  CanvasRenderingContext2D.prototype.quadraticCurveTo = function(cpx, cpy, x, y) {
+    if (this.$current === null) {
+      this.moveTo(cpx, cpy);
+    }
+    var x0 = this.$lastX, y0 = this.$lastY;
+    var steps = this.$getSteps(Math.abs(cpx - x0) + Math.abs(cpy - y0) + Math.abs(x - cpx) + Math.abs(y - cpy));
+    for (var i = 1; i <= steps; i++) {
+      var t = i / steps, mt = 1 - t;
+      this.$addPoint(mt * mt * x0 + 2 * mt * t * cpx + t * t * x,
+                     mt * mt * y0 + 2 * mt * t * cpy + t * t * y);
+    }
+  };
+
+  CanvasRenderingContext2D.prototype.bezierCurveTo = function(cp1x, cp1y, cp2x, cp2y, x, y) {
+    if (this.$current === null) {
+      this.moveTo(cp1x, cp1y);
+    }
+    var x0 = this.$lastX, y0 = this.$lastY;
+    var steps = this.$getSteps(Math.abs(cp1x - x0) + Math.abs(cp1y - y0) + Math.abs(cp2x - cp1x) +
+      Math.abs(cp2y - cp1y) + Math.abs(x - cp2x) + Math.abs(y - cp2y));
+    for (var i = 1; i <= steps; i++) {
+      var t = i / steps, mt = 1 - t;
+      var a = mt * mt * mt, b = 3 * mt * mt * t, c = 3 * mt * t * t, d = t * t * t;
+      this.$addPoint(a * x0 + b * cp1x + c * cp2x + d * x, a * y0 + b * cp1y + c * cp2y + d * y);
+    }
+  };
+
+  CanvasRenderingContext2D.prototype.ellipse = function(x, y, radiusX, radiusY, rotation, startAngle, endAngle, anticlockwise) {
+    var twoPi = 2 * Math.PI, sweep;
+    if (!anticlockwise && endAngle - startAngle >= twoPi) {
+      sweep = twoPi;
+    } else if (anticlockwise && startAngle - endAngle >= twoPi) {
+      sweep = -twoPi;
+    } else if (!anticlockwise) {
+      sweep = (endAngle - startAngle) % twoPi;
+      sweep = sweep < 0 ? sweep + twoPi : sweep;
+    } else {
+      sweep = (startAngle - endAngle) % twoPi;
+      sweep = -(sweep < 0 ? sweep + twoPi : sweep);
+    }
+    var deviceRadius = Math.max(radiusX, radiusY) * getScale(this.$matrix);
+    var stepAngle = deviceRadius <= TOLERANCE ? Math.PI / 4 :
+      Math.min(Math.PI / 4, 2 * Math.acos(Math.max(-1, 1 - TOLERANCE / deviceRadius)));
+    var steps = Math.max(1, Math.ceil(Math.abs(sweep) / stepAngle));
+    var cos = Math.cos(rotation || 0), sin = Math.sin(rotation || 0);
+    for (var i = 0; i <= steps; i++) {
+      var angle = startAngle + sweep * i / steps;
+      var ex = radiusX * Math.cos(angle), ey = radiusY * Math.sin(angle);
+      this.lineTo(x + ex * cos - ey * sin, y + ex * sin + ey * cos);
+    }
+  };
+
+  CanvasRenderingContext2D.prototype.arc = function(x, y, radius, startAngle, endAngle, anticlockwise) {
+    this.ellipse(x, y, radius, radius, 0, startAngle, endAngle, anticlockwise);
+  };
+
+  // Painting
+
+  CanvasRenderingContext2D.prototype.$fillWithColor = function(polygons, evenOdd, style) {
+    var color = parseColor(style);
+    if (color === null || polygons.length === 0) {
+      return;
+    }
+    var data = this.$bitmap.data, width = this.$bitmap.width;
+    var alpha = color[3] * Math.max(0, Math.min(1, this.globalAlpha));
+    var copy = this.globalCompositeOperation === "copy";
+    fillPolygons(this.$bitmap, polygons, evenOdd, function(x, y, coverage) {
+      var index = (y * width + x) * 4;
+      if (copy) {
+        data[index + 3] *= 1 - coverage;
+      }
+      blendPixel(data, index, color[0], color[1], color[2], alpha * coverage);
+    });
+  };
+
+  CanvasRenderingContext2D.prototype.fill = function(fillRule) {
+    var polygons = [];
+    for (var i = 0; i < this.$subpaths.length; i++) {
+      if (this.$subpaths[i].points.length >= 6) {
+        polygons.push(this.$subpaths[i].points);
+      }
+    }
+    this.$fillWithColor(polygons, fillRule === "evenodd", this.fillStyle);
+  };
+
+  CanvasRenderingContext2D.prototype.stroke = function() {
+    var inverse = invert(this.$matrix), lineWidth = +this.lineWidth;
+    if (inverse === null || isNaN(lineWidth) || lineWidth <= 0) {
+      return;
+    }
+    var style = {
+      lineWidth: lineWidth, lineCap: this.lineCap, lineJoin: this.lineJoin,
+      miterLimit: this.miterLimit > 0 ? this.miterLimit : 10
+    };
+    var scale = getScale(this.$matrix), polygons = [];
+    for (var i = 0; i < this.$subpaths.length; i++) {
+      var subpath = this.$subpaths[i];
+      if (subpath.points.length === 2 && !subpath.closed) {
+        // a moveTo only: nothing to stroke
+        continue;
+      }
+      var parts = getStrokePolygons(transformPoints(inverse, subpath.points), subpath.closed, style, scale);
+      for (var j = 0; j < parts.length; j++) {
+        polygons.push(orient(transformPoints(this.$matrix, parts[j])));
+      }
+    }
+    this.$fillWithColor(polygons, false, this.strokeStyle);
+  };
+
+  CanvasRenderingContext2D.prototype.$getRectangle = function(x, y, w, h) {
+    return transformPoints(this.$matrix, [x, y, x + w, y, x + w, y + h, x, y + h]);
+  };
+
+  CanvasRenderingContext2D.prototype.fillRect = function(x, y, w, h) {
+    this.$fillWithColor([this.$getRectangle(x, y, w, h)], false, this.fillStyle);
+  };
+
+  CanvasRenderingContext2D.prototype.strokeRect = function(x, y, w, h) {
+    var subpaths = this.$subpaths, current = this.$current;
+    this.beginPath();
+    this.rect(x, y, w, h);
+    this.stroke();
+    this.$subpaths = subpaths;
+    this.$current = current;
+  };
+
+  CanvasRenderingContext2D.prototype.clearRect = function(x, y, w, h) {
+    var data = this.$bitmap.data, width = this.$bitmap.width;
+    fillPolygons(this.$bitmap, [this.$getRectangle(x, y, w, h)], false, function(px, py, coverage) {
+      var index = (py * width + px) * 4;
+      if (coverage >= 1) {
+        data[index] = data[index + 1] = data[index + 2] = data[index + 3] = 0;
+      } else {
+        data[index + 3] *= 1 - coverage;
+      }
+    });
+  };
+
+  // Pixels
+
+  CanvasRenderingContext2D.prototype.createImageData = function(width, height) {
+    if (typeof width === "object") {
+      return new ImageData(width.width, width.height);
+    }
+    return new ImageData(Math.abs(width | 0), Math.abs(height | 0));
+  };
+
+  CanvasRenderingContext2D.prototype.getImageData = function(sx, sy, sw, sh) {
+    var bitmap = this.$bitmap, result = new ImageData(sw | 0, sh | 0);
+    sx = sx | 0;
+    sy = sy | 0;
+    for (var y = 0; y < result.height; y++) {
+      var fromY = sy + y;
+      if (fromY < 0 || fromY >= bitmap.height) {
+        continue;
+      }
+      var fromX = Math.max(0, sx), toX = Math.min(bitmap.width, sx + result.width);
+      if (toX > fromX) {
+        result.data.set(bitmap.data.subarray((fromY * bitmap.width + fromX) * 4, (fromY * bitmap.width + toX) * 4),
+          (y * result.width + fromX - sx) * 4);
+      }
+    }
+    return result;
+  };
+
+  // copies the pixels as they are: no transform, no alpha blending
+  CanvasRenderingContext2D.prototype.putImageData = function(imageData, dx, dy, dirtyX, dirtyY, dirtyWidth, dirtyHeight) {
+    var bitmap = this.$bitmap;
+    dx = dx | 0;
+    dy = dy | 0;
+    dirtyX = dirtyX === undefined ? 0 : dirtyX | 0;
+    dirtyY = dirtyY === undefined ? 0 : dirtyY | 0;
+    var right = dirtyWidth === undefined ? imageData.width : Math.min(imageData.width, dirtyX + (dirtyWidth | 0));
+    var bottom = dirtyHeight === undefined ? imageData.height : Math.min(imageData.height, dirtyY + (dirtyHeight | 0));
+    var left = Math.max(0, dirtyX, -dx);
+    right = Math.min(right, bitmap.width - dx);
+    for (var y = Math.max(0, dirtyY, -dy); y < bottom && y + dy < bitmap.height; y++) {
+      for (var x = left; x < right; x++) {
+        var from = (y * imageData.width + x) * 4, to = ((y + dy) * bitmap.width + x + dx) * 4;
+        bitmap.data[to] = imageData.data[from];
+        bitmap.data[to + 1] = imageData.data[from + 1];
+        bitmap.data[to + 2] = imageData.data[from + 2];
+        bitmap.data[to + 3] = imageData.data[from + 3];
+      }
+    }
+  };
+
+  // the pixels of a software canvas or of an ImageData, null for what has none
+  function getSourcePixels(image) {
+    if (image && image.data && image.width !== undefined) {
+      return image;
+    }
+    if (image && typeof image.getContext === "function") {
+      var context = image.getContext("2d");
+      return context instanceof CanvasRenderingContext2D ? context.$bitmap : null;
+    }
+    return null;
+  }
+
+  /**
+   * drawImage(image, dx, dy), drawImage(image, dx, dy, dw, dh) or
+   * drawImage(image, sx, sy, sw, sh, dx, dy, dw, dh)
+   */
+  CanvasRenderingContext2D.prototype.drawImage = function(image, a1, a2, a3, a4, a5, a6, a7, a8) {
+    var source = getSourcePixels(image), inverse = invert(this.$matrix);
+    if (source === null || inverse === null || source.width === 0 || source.height === 0) {
+      return;
+    }
+    var sx = 0, sy = 0, sw = source.width, sh = source.height, dx, dy, dw, dh;
+    if (arguments.length >= 9) {
+      sx = a1; sy = a2; sw = a3; sh = a4; dx = a5; dy = a6; dw = a7; dh = a8;
+    } else {
+      dx = a1; dy = a2;
+      dw = arguments.length >= 5 ? a3 : sw;
+      dh = arguments.length >= 5 ? a4 : sh;
+    }
+    if (sw === 0 || sh === 0 || dw === 0 || dh === 0) {
+      return;
+    }
+    var data = this.$bitmap.data, width = this.$bitmap.width, pixels = source.data;
+    var alpha = Math.max(0, Math.min(1, this.globalAlpha)), smooth = this.imageSmoothingEnabled;
+    var minX = Math.max(0, Math.floor(Math.min(sx, sx + sw))), maxX = Math.min(source.width, Math.ceil(Math.max(sx, sx + sw))) - 1;
+    var minY = Math.max(0, Math.floor(Math.min(sy, sy + sh))), maxY = Math.min(source.height, Math.ceil(Math.max(sy, sy + sh))) - 1;
+    if (maxX < minX || maxY < minY) {
+      return;
+    }
+    var color = [0, 0, 0, 0];
+    var sample = function(u, v) {
+      var index;
+      if (!smooth) {
+        index = (Math.min(maxY, Math.max(minY, Math.floor(v))) * source.width +
+          Math.min(maxX, Math.max(minX, Math.floor(u)))) * 4;
+        color[0] = pixels[index]; color[1] = pixels[index + 1]; color[2] = pixels[index + 2];
+        color[3] = pixels[index + 3] / 255;
+        return;
+      }
+      // bilinear, with premultiplied alpha
+      u -= 0.5;
+      v -= 0.5;
+      var x0 = Math.floor(u), y0 = Math.floor(v), fx = u - x0, fy = v - y0;
+      color[0] = color[1] = color[2] = color[3] = 0;
+      for (var k = 0; k < 4; k++) {
+        var weight = (k & 1 ? fx : 1 - fx) * (k & 2 ? fy : 1 - fy);
+        if (weight === 0) {
+          continue;
+        }
+        var x = Math.min(maxX, Math.max(minX, x0 + (k & 1))), y = Math.min(maxY, Math.max(minY, y0 + (k >> 1)));
+        index = (y * source.width + x) * 4;
+        var a = pixels[index + 3] / 255 * weight;
+        color[0] += pixels[index] * a;
+        color[1] += pixels[index + 1] * a;
+        color[2] += pixels[index + 2] * a;
+        color[3] += a;
+      }
+      if (color[3] > 0) {
+        color[0] /= color[3];
+        color[1] /= color[3];
+        color[2] /= color[3];
+      }
+    };
+    fillPolygons(this.$bitmap, [this.$getRectangle(dx, dy, dw, dh)], false, function(x, y, coverage) {
+      // the pixel center, back in user coordinates, then in the source image
+      var ux = inverse[0] * (x + 0.5) + inverse[2] * (y + 0.5) + inverse[4];
+      var uy = inverse[1] * (x + 0.5) + inverse[3] * (y + 0.5) + inverse[5];
+      sample(sx + (ux - dx) * sw / dw, sy + (uy - dy) * sh / dh);
+      blendPixel(data, (y * width + x) * 4, color[0], color[1], color[2], color[3] * alpha * coverage);
+    });
+  };
+
+  // Text: there are no fonts, it is measured but not drawn
+
+  CanvasRenderingContext2D.prototype.measureText = function(text) {
+    var size = /(\d+(?:\.\d+)?)px/.exec(this.font);
+    return { width: String(text).length * (size ? +size[1] : 10) * 0.5 };
+  };
+
+  CanvasRenderingContext2D.prototype.fillText = function() {};
+
+  CanvasRenderingContext2D.prototype.strokeText = function() {};
+
+  return {
+    CanvasRenderingContext2D: CanvasRenderingContext2D,
+    ImageData: ImageData,
+    parseColor: parseColor
+  };
+}());
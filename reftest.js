@@ -0,0 +1,319 @@
+// runtime argument handling
+var argv = require("argv");
+argv.option({
+    name: 'test',
+    type: 'string',
+    description: 'Run a single reference test, rather than all selected tests.',
+    example: "'node reftest --test=hue.pde'"
+});
+argv.option({
+    name: 'tags',
+    type: 'string',
+    description: 'Comma separated tags of the tests to run (default: 2D).',
+    example: "'node reftest --tags=2D,BLEND'"
+});
+argv.option({
+    name: 'epsilon',
+    type: 'string',
+    description: 'Tolerance of the pixel comparison, from 0 to 1 (default: 0.05).',
+    example: "'node reftest --epsilon=0.1'"
+});
+argv.option({
+    name: 'sigma',
+    type: 'string',
+    description: 'Radius of the blur applied before comparing pixels (default: 2).',
+    example: "'node reftest --sigma=1'"
+});
+argv.option({
+    name: 'diffdir',
+    type: 'string',
+    description: 'Directory for the diff images of failed tests (default: test/ref/diff).',
+    example: "'node reftest --diffdir=/tmp/refdiff'"
+});
+argv.option({
+    name: 'failonerror',
+    type: 'string',
+    description: 'Stop running on the first failed test',
+    example: "'node reftest --failonerror'"
+});
+argv = argv.run().options;
+
+/**
+ * Runs the reference tests of test/ref without a browser: every sketch is drawn
+ * by the software renderer, and its pixels are compared with the ones stored in
+ * the first line of the sketch, the same way test/ref/index.html does.
+ *
+ * The last line of the output is "failed.knownfailed.passed", as for the server.
+ */
+
+// nodejs requirements
+var Browser = require('./lib/Browser'),
+    fs = require("fs"),
+    path = require("path"),
+    ImageCodecs = require("./src/Helpers/ImageCodecs"),
+    testHarness = require("./lib/testHarness"),
+    refDir = "./test/ref/";
+
+Browser.useSoftwareRenderer();
+
+var Processing = require('./src/')(Browser, testHarness);
+Processing.logger = { log: function() {} };
+// the images of the sketches are next to them
+Processing.fileSystem.use(new Processing.FileSystem.NodeBackend(fs, refDir));
+
+// settings, as on the reference test page
+var epsilon = argv.epsilon !== undefined ? parseFloat(argv.epsilon) : 0.05,
+    sigma = argv.sigma !== undefined ? parseInt(argv.sigma, 10) : 2,
+    selectedTags = (argv.tags || "2D").split(","),
+    diffDir = argv.diffdir || refDir + "diff",
+    // the sketches that do not call exit() stop after this many frames
+    maxFrames = 500;
+
+var passedCount = 0,
+    failedCount = 0,
+    knownFailedCount = 0;
+
+/**
+ * The test list of the reference test page
+ */
+function loadTestList() {
+  var code = fs.readFileSync(refDir + "tests.js", "utf-8");
+  return new Function(code + "\nreturn tests;")();
+}
+
+function isSelected(test) {
+  return test.tags.some(function(tag) {
+    return selectedTags.indexOf(tag) >= 0;
+  });
+}
+
+/**
+ * Reads a test sketch and its reference pixels: //[100,100]0,0,67,0,34,...
+ */
+function readTest(name) {
+  var code = fs.readFileSync(refDir + name, "utf-8");
+  var m = /^\/\/\[([^\]]+)\]([^\n]+)\n/.exec(code);
+  if (!m) {
+    return null;
+  }
+  var dims = m[1].split(',');
+  return {
+    name: name,
+    code: code,
+    width: parseInt(dims[0], 10),
+    height: parseInt(dims[1], 10),
+    pixels: m[2].split(',').map(function(value) { return parseInt(value, 10); })
+  };
+}
+
+////////////////////////////////////////////////////////////////////////////
+// Drawing the sketches: the timers of the fake window run synchronously
+////////////////////////////////////////////////////////////////////////////
+
+var timers = {}, nextTimerId = 1;
+
+Browser.window.setInterval = function(callback) {
+  timers[nextTimerId] = { callback: callback, repeat: true };
+  return nextTimerId++;
+};
+Browser.window.setTimeout = function(callback) {
+  timers[nextTimerId] = { callback: callback, repeat: false };
+  return nextTimerId++;
+};
+Browser.window.clearInterval = Browser.window.clearTimeout = function(id) {
+  delete timers[id];
+};
+
+/**
+ * Draws the sketch on a software canvas, frame by frame, until it exits.
+ *
+ * @returns {Array} the pixels of the canvas
+ */
+function renderTest(test) {
+  var canvas = Browser.document.createElement("canvas"),
+      exited = false,
+      sketch = Processing.compile(test.code);
+  timers = {};
+  sketch.onExit = function() {
+    exited = true;
+  };
+  new Processing(canvas, sketch);
+  for (var frame = 0; !exited && frame < maxFrames; frame++) {
+    var ids = Object.keys(timers);
+    if (ids.length === 0) {
+      break;
+    }
+    for (var i = 0; i < ids.length && !exited; i++) {
+      var timer = timers[ids[i]];
+      if (timer) {
+        if (!timer.repeat) {
+          delete timers[ids[i]];
+        }
+        timer.callback();
+      }
+    }
+  }
+  timers = {};
+  return canvas.getContext("2d").getImageData(0, 0, canvas.width, canvas.height).data;
+}
+
+////////////////////////////////////////////////////////////////////////////
+// Comparing the pixels, as the reference test page does
+////////////////////////////////////////////////////////////////////////////
+
+function buildKernel(sigma) {
+  var ss = sigma * sigma, factor = 2 * Math.PI * ss, kernel = [[]], i = 0, j, g;
+  do {
+    g = Math.exp(-(i * i) / (2 * ss)) / factor;
+    if (g < 1e-3) { break; }
+    kernel[0].push(g);
+    ++i;
+  } while (i < 7);
+  var size = i;
+  for (j = 1; j < size; ++j) {
+    kernel.push([]);
+    for (i = 0; i < size; ++i) {
+      kernel[j].push(Math.exp(-(i * i + j * j) / (2 * ss)) / factor);
+    }
+  }
+  return kernel;
+}
+
+var kernel = buildKernel(sigma), kernelSize = kernel[0].length;
+
+function blur(data, width, height) {
+  var newData = new Array(data.length);
+  for (var y = 0; y < height; ++y) {
+    for (var x = 0; x < width; ++x) {
+      var r = 0, g = 0, b = 0, a = 0, sum = 0;
+      for (var j = Math.max(1 - kernelSize, -y); j < kernelSize && y + j < height; ++j) {
+        for (var i = Math.max(1 - kernelSize, -x); i < kernelSize && x + i < width; ++i) {
+          var k = kernel[Math.abs(j)][Math.abs(i)], offset = 4 * ((y + j) * width + (x + i));
+          r += data[offset] * k;
+          g += data[offset + 1] * k;
+          b += data[offset + 2] * k;
+          a += data[offset + 3] * k;
+          sum += k;
+        }
+      }
+      var destOffset = 4 * (y * width + x);
+      newData[destOffset] = r / sum;
+      newData[destOffset + 1] = g / sum;
+      newData[destOffset + 2] = b / sum;
+      newData[destOffset + 3] = a / sum;
+    }
+  }
+  return newData;
+}
+
+/**
+ * @returns {Array} the diff pixels, red where the pixels are off, or null if they all match
+ */
+function comparePixels(test, pixels) {
+  var valueEpsilon = Math.max(epsilon, test.epsilonOverride || 0) * 255,
+      expected = blur(test.pixels, test.width, test.height),
+      actual = blur(pixels, test.width, test.height),
+      diff = new Uint8Array(expected.length),
+      failed = false;
+  for (var j = 0; j < expected.length; j += 4) {
+    if (Math.abs(actual[j] - expected[j]) >= valueEpsilon ||
+        Math.abs(actual[j + 1] - expected[j + 1]) >= valueEpsilon ||
+        Math.abs(actual[j + 2] - expected[j + 2]) >= valueEpsilon ||
+        Math.abs(actual[j + 3] - expected[j + 3]) >= valueEpsilon) {
+      diff[j] = diff[j + 3] = 255;
+      failed = true;
+    }
+  }
+  return failed ? diff : null;
+}
+
+////////////////////////////////////////////////////////////////////////////
+// Diff images: the reference, the current rendering and the diff, side by side
+////////////////////////////////////////////////////////////////////////////
+
+function writeDiffImage(test, pixels, diff) {
+  var width = test.width, height = test.height, image = new Uint8Array(width * 3 * height * 4);
+  [test.pixels, pixels, diff].forEach(function(panel, index) {
+    for (var y = 0; y < height; y++) {
+      for (var x = 0; x < width * 4; x++) {
+        image[(y * width * 3 + width * index) * 4 + x] = panel[(y * width * 4) + x];
+      }
+    }
+  });
+  if (!fs.existsSync(diffDir)) {
+    fs.mkdirSync(diffDir);
+  }
+  var file = path.join(diffDir, test.name.replace(/\.pde$/, ".png"));
+  fs.writeFileSync(file, ImageCodecs.encodePNG(width * 3, height, image));
+  return file;
+}
+
+////////////////////////////////////////////////////////////////////////////
+// Running the tests
+////////////////////////////////////////////////////////////////////////////
+
+function runTest(entry) {
+  var test, message = null, pixels, diff;
+  try {
+    test = readTest(entry.path);
+  } catch (e) {
+    test = null;
+  }
+  if (test === null) {
+    message = "could not read the test";
+  } else {
+    test.epsilonOverride = entry.epsilonOverride;
+    try {
+      pixels = renderTest(test);
+      if (pixels.length !== test.pixels.length) {
+        message = "size mismatch";
+      } else if ((diff = comparePixels(test, pixels)) !== null) {
+        message = "pixels off, see " + writeDiffImage(test, pixels, diff);
+      }
+    } catch (e) {
+      message = "Processing failed: " + e;
+    }
+  }
+
+  // known failures are counted as such, as on the reference test page, and so
+  // are the tests that the software renderer cannot draw
+  if (entry.knownFailureTicket || entry.nodeFailure) {
+    knownFailedCount++;
+    console.log("- " + entry.path + " known failure (" + (entry.knownFailureTicket ?
+      "ticket #" + entry.knownFailureTicket : entry.nodeFailure) + ")" +
+      (message === null ? ", but it passes now" : ""));
+  } else if (message !== null) {
+    failedCount++;
+    console.log("- " + entry.path + " FAILED (" + message + ")");
+    if (argv.failonerror) {
+      throw new Error("fail on error specified");
+    }
+  } else {
+    passedCount++;
+    console.log("- " + entry.path + " passed." +
+      (entry.epsilonOverride > epsilon ? " (epsilonOverride = " + entry.epsilonOverride + ")" : ""));
+  }
+}
+
+var tests = loadTestList().filter(function(entry) {
+  return argv.test ? entry.path === argv.test : isSelected(entry);
+});
+if (argv.test && tests.length === 0) {
+  // a sketch that is not in the list yet
+  tests.push({ path: argv.test, tags: [] });
+}
+
+console.log("running " + tests.length + " reference tests...");
+try {
+  tests.forEach(runTest);
+} catch (e) {
+  console.log("Failing on first error");
+}
+console.log("\ndone - " + passedCount + " tests passed, " + (failedCount + knownFailedCount) +
+  " tests failed (of which " + knownFailedCount + " known fails).");
+console.log(failedCount + "." + knownFailedCount + "." + passedCount);
+
+// known failures do not fail the run, so CI can gate on the exit code
+if (failedCount > 0) {
+  process.exitCode = 1;
+}
@@ -0,0 +1,158 @@
+/**
+ * The file pickers that selectInput(), selectOutput() and selectFolder() open in the browser.
+ * The files that the user picks are kept in memory by the file system, under their own names,
+ * so that the load functions read them like any other file. The file that selectOutput() names
+ * is downloaded whenever the sketch writes it.
+ *
+ * A picker has selectInput(prompt, defaultPath, callback), selectOutput(prompt, defaultPath,
+ * callback) and selectFolder(prompt, defaultPath, callback), which call back with the path of
+ * the selection, or with null if the user cancels. Without a DOM, there is nothing to pick, and
+ * every selection is cancelled.
+ */
+module.exports = function(options, undef) {
+  var Browser = options.Browser,
+      window = Browser.window,
+      document = Browser.document;
+
+  var FilePicker = function(fileSystem) {
+    var picker = this;
+    this.fileSystem = fileSystem;
+    this.downloads = {};
+    fileSystem.addWriteListener(function(path) {
+      if (picker.downloads.hasOwnProperty(path)) {
+        picker.download(path);
+      }
+    });
+  };
+
+  FilePicker.prototype = {
+    // opens a hidden <input type=file>, and calls back with the picked files, or null
+    pick: function(prompt, folder, callback) {
+      var input = document.createElement("input"), done = false;
+      function finish(files) {
+        if (!done) {
+          done = true;
+          document.body.removeChild(input);
+          callback(files && files.length ? Array.prototype.slice.call(files) : null);
+        }
+      }
+      input.type = "file";
+      input.title = prompt || "";
+      input.style.display = "none";
+      if (folder) {
+        input.setAttribute("webkitdirectory", "");
+        input.setAttribute("directory", "");
+      }
+      input.onchange = function() {
+        finish(input.files);
+      };
+      input.oncancel = function() {
+        finish(null);
+      };
+      document.body.appendChild(input);
+      input.click();
+    },
+
+    // keeps the files in the file system, and calls back once they are all there, with false
+    // if one of them could not be read
+    copy: function(files, pathOf, callback) {
+      var fileSystem = this.fileSystem, remaining = files.length, failed = false;
+      function done() {
+        if (--remaining === 0) {
+          callback(!failed);
+        }
+      }
+      files.forEach(function(file) {
+        var reader = new window.FileReader();
+        reader.onload = function() {
+          try {
+            fileSystem.writeTemporary(pathOf(file), new Uint8Array(reader.result));
+          } catch (e) {
+            failed = true;
+          }
+          done();
+        };
+        reader.onerror = function() {
+          failed = true;
+          done();
+        };
+        reader.readAsArrayBuffer(file);
+      });
+    },
+
+    selectInput: function(prompt, defaultPath, callback) {
+      if (!Browser.isDomPresent) {
+        callback(null);
+        return;
+      }
+      var picker = this;
+      this.pick(prompt, false, function(files) {
+        if (files === null) {
+          callback(null);
+          return;
+        }
+        picker.copy(files, function(file) { return file.name; }, function(copied) {
+          callback(copied ? files[0].name : null);
+        });
+      });
+    },
+
+    selectFolder: function(prompt, defaultPath, callback) {
+      if (!Browser.isDomPresent) {
+        callback(null);
+        return;
+      }
+      var picker = this;
+      this.pick(prompt, true, function(files) {
+        if (files === null) {
+          callback(null);
+          return;
+        }
+        // the files keep their paths within the folder, which is the first part of the path
+        picker.copy(files, function(file) { return file.webkitRelativePath || file.name; }, function(copied) {
+          var path = files[0].webkitRelativePath || "";
+          if (!copied) {
+            callback(null);
+            return;
+          }
+          callback(path.indexOf("/") > -1 ? path.substring(0, path.indexOf("/")) : ".");
+        });
+      });
+    },
+
+    // the browser cannot ask where to save a file, so it asks for a name, and downloads the file
+    selectOutput: function(prompt, defaultPath, callback) {
+      var path = Browser.isDomPresent ? window.prompt(prompt, defaultPath || "") : null;
+      if (!path) {
+        callback(null);
+        return;
+      }
+      this.downloads[path] = true;
+      callback(path);
+    },
+
+    // downloads a file once the sketch is done writing it, since a writer may write it more than once
+    download: function(path) {
+      var fileSystem = this.fileSystem, downloads = this.downloads;
+      if (downloads[path] !== true) {
+        return;
+      }
+      downloads[path] = window.setTimeout(function() {
+        downloads[path] = true;
+        var url = window.URL.createObjectURL(new window.Blob([fileSystem.read(path)])),
+            anchor = document.createElement("a");
+        anchor.href = url;
+        anchor.download = path.substring(path.lastIndexOf("/") + 1);
+        anchor.style.display = "none";
+        document.body.appendChild(anchor);
+        anchor.click();
+        document.body.removeChild(anchor);
+        window.setTimeout(function() {
+          window.URL.revokeObjectURL(url);
+        }, 0);
+      }, 0);
+    }
+  };
+
+  return FilePicker;
+};
@@ -0,0 +1,371 @@
+/**
+ * The file system that the file functions of a sketch read from and write to: loadStrings,
+ * saveStrings, loadBytes, saveBytes, createReader, createWriter, loadImage, save and the
+ * recorders. Files are kept by a backend, and files that the backend does not have are
+ * fetched with Browser.ajax, so that a sketch can read the files that are served next to it.
+ *
+ * Files can also be fetched without blocking, which is what preload() does.
+ *
+ * A backend has read(path), which returns the bytes of a file as a Uint8Array or null,
+ * write(path, bytes), exists(path), remove(path) and list(), and optionally resolve(name),
+ * which tells where a file is kept. Four backends come with it: MemoryBackend,
+ * LocalStorageBackend, IndexedDBBackend and NodeBackend.
+ */
+module.exports = function(options, undef) {
+  var Browser = options.Browser,
+      ajax = Browser.ajax,
+      ajaxAsync = Browser.ajaxAsync,
+      window = Browser.window;
+
+  function toBinaryString(bytes) {
+    var binary = "", chunk = 8192;
+    for (var i = 0; i < bytes.length; i += chunk) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunk));
+    }
+    return binary;
+  }
+
+  function fromBinaryString(binary) {
+    var bytes = new Uint8Array(binary.length);
+    for (var i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i) & 0xFF;
+    }
+    return bytes;
+  }
+
+  function encodeUTF8(text) {
+    return fromBinaryString(unescape(encodeURIComponent(text)));
+  }
+
+  // text that is not valid UTF-8 is read as Latin-1
+  function decodeUTF8(bytes) {
+    var binary = toBinaryString(bytes);
+    try {
+      return decodeURIComponent(escape(binary));
+    } catch (e) {
+      return binary;
+    }
+  }
+
+  /**
+   * Keeps the files in memory, for as long as the page or process lives.
+   */
+  var MemoryBackend = function() {
+    this.files = {};
+  };
+  MemoryBackend.prototype = {
+    read: function(path) {
+      return this.exists(path) ? this.files[path] : null;
+    },
+    write: function(path, bytes) {
+      this.files[path] = bytes;
+    },
+    exists: function(path) {
+      return this.files.hasOwnProperty(path);
+    },
+    remove: function(path) {
+      delete this.files[path];
+    },
+    list: function() {
+      return Object.keys(this.files);
+    }
+  };
+
+  /**
+   * Keeps the files in a Storage, window.localStorage by default, under their own names, the way
+   * saveStrings always did. Bytes are stored as a string with a character per byte; values that
+   * hold wider characters were stored as text, and are read as their UTF-8 bytes.
+   */
+  var LocalStorageBackend = function(storage) {
+    this.storage = storage || window.localStorage;
+  };
+  LocalStorageBackend.prototype = {
+    read: function(path) {
+      if (!this.exists(path)) {
+        return null;
+      }
+      var value = String(this.storage[path]);
+      return (/[^\x00-\xFF]/).test(value) ? encodeUTF8(value) : fromBinaryString(value);
+    },
+    write: function(path, bytes) {
+      this.storage[path] = toBinaryString(bytes);
+    },
+    exists: function(path) {
+      return Object.prototype.hasOwnProperty.call(this.storage, path);
+    },
+    remove: function(path) {
+      if (typeof this.storage.removeItem === "function") {
+        this.storage.removeItem(path);
+      } else {
+        delete this.storage[path];
+      }
+    },
+    list: function() {
+      return Object.keys(this.storage);
+    }
+  };
+
+  /**
+   * Keeps the files in the object store "files" of an IndexedDB database. IndexedDB is
+   * asynchronous and the file functions are not, so the files are read into memory by open(),
+   * which calls back once they are there, and are written through to the database.
+   */
+  var IndexedDBBackend = function(name, indexedDB) {
+    this.name = name || "processing";
+    this.indexedDB = indexedDB || window.indexedDB;
+    this.files = {};
+    this.pending = {};
+    this.db = null;
+  };
+  IndexedDBBackend.prototype = {
+    /**
+    * Opens the database and reads its files. Files written before it is open are stored once it is.
+    *
+    * @param {Function} callback    called with null once the files are read, or with the error
+    */
+    open: function(callback) {
+      var backend = this, request = this.indexedDB.open(this.name, 1);
+      callback = callback || function() {};
+      request.onupgradeneeded = function() {
+        request.result.createObjectStore("files");
+      };
+      request.onerror = function() {
+        callback(request.error);
+      };
+      request.onsuccess = function() {
+        var db = request.result,
+            cursorRequest = db.transaction("files", "readonly").objectStore("files").openCursor();
+        cursorRequest.onerror = function() {
+          callback(cursorRequest.error);
+        };
+        cursorRequest.onsuccess = function() {
+          var cursor = cursorRequest.result, path;
+          if (cursor) {
+            if (!backend.pending.hasOwnProperty(cursor.key)) {
+              backend.files[cursor.key] = new Uint8Array(cursor.value);
+            }
+            cursor["continue"]();
+            return;
+          }
+          backend.db = db;
+          for (path in backend.pending) {
+            if (backend.pending.hasOwnProperty(path)) {
+              backend.store(path);
+            }
+          }
+          backend.pending = {};
+          callback(null);
+        };
+      };
+    },
+    store: function(path) {
+      var objectStore = this.db.transaction("files", "readwrite").objectStore("files");
+      if (this.files.hasOwnProperty(path)) {
+        objectStore.put(this.files[path], path);
+      } else {
+        objectStore["delete"](path);
+      }
+    },
+    read: MemoryBackend.prototype.read,
+    exists: MemoryBackend.prototype.exists,
+    list: MemoryBackend.prototype.list,
+    write: function(path, bytes) {
+      this.files[path] = bytes;
+      if (this.db) {
+        this.store(path);
+      } else {
+        this.pending[path] = true;
+      }
+    },
+    remove: function(path) {
+      delete this.files[path];
+      if (this.db) {
+        this.store(path);
+      } else {
+        this.pending[path] = true;
+      }
+    }
+  };
+
+  /**
+   * Keeps the files on disk under a root directory, with node.js's fs module.
+   */
+  var NodeBackend = function(fs, root) {
+    this.fs = fs;
+    this.root = root || ".";
+  };
+  NodeBackend.prototype = {
+    resolve: function(name) {
+      return name.charAt(0) === "/" ? name : this.root.replace(/\/$/, "") + "/" + name;
+    },
+    read: function(path) {
+      try {
+        return new Uint8Array(this.fs.readFileSync(this.resolve(path)));
+      } catch (e) {
+        if (e.code === "ENOENT" || e.code === "EISDIR") {
+          return null;
+        }
+        throw e;
+      }
+    },
+    write: function(path, bytes) {
+      var file = this.resolve(path);
+      this.fs.mkdirSync(file.replace(/\/[^\/]*$/, "") || "/", { recursive: true });
+      this.fs.writeFileSync(file, bytes);
+    },
+    exists: function(path) {
+      var file = this.resolve(path);
+      return this.fs.existsSync(file) && this.fs.statSync(file).isFile();
+    },
+    remove: function(path) {
+      if (this.exists(path)) {
+        this.fs.unlinkSync(this.resolve(path));
+      }
+    },
+    list: function() {
+      var fs = this.fs, root = this.resolve(""), files = [];
+      (function walk(dir) {
+        fs.readdirSync(root + dir).forEach(function(name) {
+          if (fs.statSync(root + dir + name).isDirectory()) {
+            walk(dir + name + "/");
+          } else {
+            files.push(dir + name);
+          }
+        });
+      }(""));
+      return files;
+    }
+  };
+
+  /**
+   * @param {Object} backend    where the files are kept, in memory if none is given
+   */
+  var FileSystem = function(backend) {
+    this.backend = backend || new MemoryBackend();
+    // the files that are only kept for as long as the page lives, whatever the backend is
+    this.temporary = new MemoryBackend();
+    this.writeListeners = [];
+  };
+
+  FileSystem.prototype = {
+    /**
+    * Keeps the files somewhere else from now on. The files of the former backend are not copied.
+    */
+    use: function(backend) {
+      this.backend = backend;
+    },
+
+    // the backend that has the file: the temporary files come first
+    backendOf: function(path) {
+      return this.temporary.exists(path) ? this.temporary : this.backend;
+    },
+
+    /**
+    * @returns {Uint8Array} the bytes of the file, or null if neither the backend nor ajax has it
+    */
+    read: function(path) {
+      var backend = this.backendOf(path);
+      if (backend.exists(path)) {
+        return backend.read(path);
+      }
+      try {
+        return ajax(path, true) || null;
+      } catch (e) {
+        return null;
+      }
+    },
+
+    /**
+    * @returns {String} the file as UTF-8 text, or null if neither the backend nor ajax has it
+    */
+    readText: function(path) {
+      var backend = this.backendOf(path);
+      if (backend.exists(path)) {
+        return decodeUTF8(backend.read(path));
+      }
+      try {
+        var text = ajax(path);
+        return typeof text === "string" ? text : null;
+      } catch (e) {
+        return null;
+      }
+    },
+
+    /**
+    * Reads a file without blocking, for preload(). Files that the backend has are read right away.
+    *
+    * @param {String} path          the file
+    * @param {boolean} binary       whether to read the bytes of the file, or its UTF-8 text
+    * @param {Function} callback    called with the bytes or the text, or with null if the file cannot be read
+    */
+    fetch: function(path, binary, callback) {
+      if (this.exists(path)) {
+        callback(binary ? this.read(path) : this.readText(path));
+        return;
+      }
+      ajaxAsync(path, binary, function(data, error) {
+        callback(error === undef && (binary || typeof data === "string") ? data : null);
+      });
+    },
+
+    write: function(path, bytes) {
+      this.backend.write(path, bytes);
+      this.temporary.remove(path);
+      for (var i = 0; i < this.writeListeners.length; i++) {
+        this.writeListeners[i](path, bytes);
+      }
+    },
+
+    writeText: function(path, text) {
+      this.write(path, encodeUTF8(text));
+    },
+
+    /**
+    * Keeps a file in memory, in front of the backend, until the page is closed or the sketch
+    * writes the file. The files that the user picks are kept this way, so that large files do
+    * not fill the localStorage, and picked files do not stay there.
+    */
+    writeTemporary: function(path, bytes) {
+      this.temporary.write(path, bytes);
+    },
+
+    /**
+    * @param {Function} listener    called with the path and the bytes of every file that is written
+    */
+    addWriteListener: function(listener) {
+      this.writeListeners.push(listener);
+    },
+
+    exists: function(path) {
+      return this.temporary.exists(path) || this.backend.exists(path);
+    },
+
+    remove: function(path) {
+      this.temporary.remove(path);
+      this.backend.remove(path);
+    },
+
+    list: function() {
+      var files = this.backend.list();
+      return files.concat(this.temporary.list().filter(function(path) {
+        return files.indexOf(path) < 0;
+      }));
+    },
+
+    /**
+    * @returns {String} where the file name is kept, which is the name itself unless the backend says otherwise
+    */
+    dataPath: function(name) {
+      return this.backend.resolve ? this.backend.resolve(name) : name;
+    }
+  };
+
+  FileSystem.MemoryBackend = MemoryBackend;
+  FileSystem.LocalStorageBackend = LocalStorageBackend;
+  FileSystem.IndexedDBBackend = IndexedDBBackend;
+  FileSystem.NodeBackend = NodeBackend;
+  FileSystem.encodeUTF8 = encodeUTF8;
+  FileSystem.decodeUTF8 = decodeUTF8;
+
+  return FileSystem;
+};
@@ -0,0 +1,1520 @@
+/**
+ * Image codecs in plain JavaScript, for when there is no DOM to decode images with: PNG, JPEG
+ * and GIF decoding, and PNG and animated GIF encoding.
+ *
+ * Decoded images are {width, height, data} objects, with the RGBA bytes of the pixels in data,
+ * the way an ImageData holds them.
+ */
+module.exports = (function ImageCodecs() {
+
+  function DecodeError(message) {
+    return "Unable to decode image: " + message;
+  }
+
+  function readUint16(bytes, offset) {
+    return (bytes[offset] << 8) | bytes[offset + 1];
+  }
+
+  function readUint32(bytes, offset) {
+    return ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+  }
+
+  // a growable byte array
+  function ByteWriter(size) {
+    this.bytes = new Uint8Array(size || 1024);
+    this.length = 0;
+  }
+  ByteWriter.prototype = {
+    ensure: function(extra) {
+      if (this.length + extra > this.bytes.length) {
+        var bytes = new Uint8Array(Math.max(this.bytes.length * 2, this.length + extra));
+        bytes.set(this.bytes);
+        this.bytes = bytes;
+      }
+    },
+    writeByte: function(value) {
+      this.ensure(1);
+      this.bytes[this.length++] = value;
+    },
+    writeUint32: function(value) {
+      this.ensure(4);
+      this.bytes[this.length++] = value >>> 24;
+      this.bytes[this.length++] = (value >>> 16) & 0xFF;
+      this.bytes[this.length++] = (value >>> 8) & 0xFF;
+      this.bytes[this.length++] = value & 0xFF;
+    },
+    writeBytes: function(bytes) {
+      this.ensure(bytes.length);
+      this.bytes.set(bytes, this.length);
+      this.length += bytes.length;
+    },
+    toBytes: function() {
+      return this.bytes.subarray(0, this.length);
+    }
+  };
+
+  ////////////////////////////////////////////////////////////////////////////
+  // Checksums
+  ////////////////////////////////////////////////////////////////////////////
+
+  var crcTable = new Uint32Array(256);
+  for (var n = 0; n < 256; n++) {
+    var c = n;
+    for (var k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    crcTable[n] = c >>> 0;
+  }
+
+  function crc32(bytes, start, end) {
+    var crc = 0xFFFFFFFF;
+    for (var i = start; i < end; i++) {
+      crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+
+  function adler32(bytes) {
+    var a = 1, b = 0;
+    for (var i = 0, len = bytes.length; i < len; ) {
+      // the sums fit 32 bits for 5552 bytes at a time
+      for (var end = Math.min(i + 5552, len); i < end; i++) {
+        a += bytes[i];
+        b += a;
+      }
+      a %= 65521;
+      b %= 65521;
+    }
+    return ((b << 16) | a) >>> 0;
+  }
+
+  ////////////////////////////////////////////////////////////////////////////
+  // zlib inflate and deflate (RFC 1950, RFC 1951)
+  ////////////////////////////////////////////////////////////////////////////
+
+  var lengthBase = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115,
+                    131, 163, 195, 227, 258],
+      lengthExtra = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0],
+      distanceBase = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537,
+                      2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577],
+      distanceExtra = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13],
+      codeLengthOrder = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+  // canonical Huffman code, decoded a bit at a time
+  function InflateTable(lengths) {
+    var offsets = new Uint16Array(16), i;
+    this.counts = new Uint16Array(16);
+    this.symbols = new Uint16Array(lengths.length);
+    for (i = 0; i < lengths.length; i++) {
+      this.counts[lengths[i]]++;
+    }
+    this.counts[0] = 0;
+    for (i = 1; i < 16; i++) {
+      offsets[i] = offsets[i - 1] + this.counts[i - 1];
+    }
+    for (i = 0; i < lengths.length; i++) {
+      if (lengths[i]) {
+        this.symbols[offsets[lengths[i]]++] = i;
+      }
+    }
+  }
+
+  var fixedLiteralTable, fixedDistanceTable;
+  (function() {
+    var lengths = new Uint8Array(288), i;
+    for (i = 0; i < 288; i++) {
+      lengths[i] = i < 144 ? 8 : i < 256 ? 9 : i < 280 ? 7 : 8;
+    }
+    fixedLiteralTable = new InflateTable(lengths);
+    lengths = new Uint8Array(30);
+    for (i = 0; i < 30; i++) {
+      lengths[i] = 5;
+    }
+    fixedDistanceTable = new InflateTable(lengths);
+  }());
+
+  /**
+   * Decompresses zlib data.
+   *
+   * @param {Uint8Array} bytes    the compressed data, with its zlib header
+   * @param {int} expectedSize    optional, the size of the uncompressed data, when known
+   *
+   * @returns {Uint8Array} the uncompressed data
+   */
+  function inflate(bytes, expectedSize) {
+    if (bytes.length < 2 || (bytes[0] & 0x0F) !== 8 || ((bytes[0] << 8) | bytes[1]) % 31 !== 0) {
+      throw DecodeError("invalid zlib header");
+    }
+    var pos = 2, bitBuffer = 0, bitCount = 0,
+        out = new ByteWriter(expectedSize || bytes.length * 4);
+
+    function readBits(count) {
+      while (bitCount < count) {
+        if (pos >= bytes.length) {
+          throw DecodeError("unexpected end of compressed data");
+        }
+        bitBuffer |= bytes[pos++] << bitCount;
+        bitCount += 8;
+      }
+      var value = bitBuffer & ((1 << count) - 1);
+      bitBuffer >>>= count;
+      bitCount -= count;
+      return value;
+    }
+
+    function readSymbol(table) {
+      var code = 0, first = 0, index = 0;
+      for (var length = 1; length < 16; length++) {
+        code |= readBits(1);
+        var count = table.counts[length];
+        if (code - first < count) {
+          return table.symbols[index + code - first];
+        }
+        index += count;
+        first = (first + count) << 1;
+        code <<= 1;
+      }
+      throw DecodeError("invalid Huffman code");
+    }
+
+    function readDynamicTables() {
+      var literalCount = readBits(5) + 257, distanceCount = readBits(5) + 1, codeLengthCount = readBits(4) + 4,
+          codeLengths = new Uint8Array(19), lengths = new Uint8Array(literalCount + distanceCount), i;
+      for (i = 0; i < codeLengthCount; i++) {
+        codeLengths[codeLengthOrder[i]] = readBits(3);
+      }
+      var codeLengthTable = new InflateTable(codeLengths);
+      for (i = 0; i < lengths.length; ) {
+        var symbol = readSymbol(codeLengthTable), repeat, value = 0;
+        if (symbol < 16) {
+          lengths[i++] = symbol;
+          continue;
+        }
+        if (symbol === 16) {
+          if (i === 0) {
+            throw DecodeError("invalid code lengths");
+          }
+          value = lengths[i - 1];
+          repeat = 3 + readBits(2);
+        } else if (symbol === 17) {
+          repeat = 3 + readBits(3);
+        } else {
+          repeat = 11 + readBits(7);
+        }
+        while (repeat-- && i < lengths.length) {
+          lengths[i++] = value;
+        }
+      }
+      return [new InflateTable(lengths.subarray(0, literalCount)), new InflateTable(lengths.subarray(literalCount))];
+    }
+
+    var last;
+    do {
+      last = readBits(1);
+      var type = readBits(2);
+      if (type === 0) {
+        // stored block: byte aligned
+        bitBuffer = bitCount = 0;
+        var length = bytes[pos] | (bytes[pos + 1] << 8);
+        pos += 4;
+        if (pos + length > bytes.length) {
+          throw DecodeError("unexpected end of compressed data");
+        }
+        out.writeBytes(bytes.subarray(pos, pos + length));
+        pos += length;
+        continue;
+      }
+      if (type === 3) {
+        throw DecodeError("invalid block type");
+      }
+      var tables = type === 1 ? [fixedLiteralTable, fixedDistanceTable] : readDynamicTables();
+      for (;;) {
+        var symbol = readSymbol(tables[0]);
+        if (symbol < 256) {
+          out.writeByte(symbol);
+        } else if (symbol === 256) {
+          break;
+        } else {
+          symbol -= 257;
+          var matchLength = lengthBase[symbol] + readBits(lengthExtra[symbol]),
+              distanceSymbol = readSymbol(tables[1]),
+              distance = distanceBase[distanceSymbol] + readBits(distanceExtra[distanceSymbol]);
+          if (distance > out.length) {
+            throw DecodeError("invalid distance");
+          }
+          out.ensure(matchLength);
+          for (var from = out.length - distance, data = out.bytes; matchLength > 0; matchLength--) {
+            data[out.length++] = data[from++];
+          }
+        }
+      }
+    } while (!last);
+    return out.toBytes();
+  }
+
+  // the fixed Huffman codes of deflate, bit reversed to be written least significant bit first
+  function reverseBits(code, length) {
+    var reversed = 0;
+    while (length--) {
+      reversed = (reversed << 1) | (code & 1);
+      code >>= 1;
+    }
+    return reversed;
+  }
+
+  var fixedLiteralCodes = new Uint16Array(288), fixedLiteralLengths = new Uint8Array(288),
+      fixedDistanceCodes = new Uint16Array(30);
+  (function() {
+    for (var i = 0; i < 288; i++) {
+      if (i < 144) {
+        fixedLiteralCodes[i] = reverseBits(0x30 + i, 8);
+        fixedLiteralLengths[i] = 8;
+      } else if (i < 256) {
+        fixedLiteralCodes[i] = reverseBits(0x190 + i - 144, 9);
+        fixedLiteralLengths[i] = 9;
+      } else if (i < 280) {
+        fixedLiteralCodes[i] = reverseBits(i - 256, 7);
+        fixedLiteralLengths[i] = 7;
+      } else {
+        fixedLiteralCodes[i] = reverseBits(0xC0 + i - 280, 8);
+        fixedLiteralLengths[i] = 8;
+      }
+    }
+    for (i = 0; i < 30; i++) {
+      fixedDistanceCodes[i] = reverseBits(i, 5);
+    }
+  }());
+
+  function findCode(bases, value) {
+    var code = 0;
+    while (code + 1 < bases.length && bases[code + 1] <= value) {
+      code++;
+    }
+    return code;
+  }
+
+  /**
+   * Compresses data as zlib: one block of fixed Huffman codes, with matches found by hash chains.
+   *
+   * @param {Uint8Array} bytes    the data
+   *
+   * @returns {Uint8Array} the compressed data
+   */
+  function deflate(bytes) {
+    var out = new ByteWriter(bytes.length / 2 + 64), bitBuffer = 0, bitCount = 0,
+        WINDOW = 32768, HASH_SIZE = 1 << 15, MAX_CHAIN = 64, MAX_MATCH = 258,
+        head = new Int32Array(HASH_SIZE), previous = new Int32Array(WINDOW),
+        len = bytes.length, pos = 0;
+
+    function writeBits(value, count) {
+      bitBuffer |= value << bitCount;
+      bitCount += count;
+      while (bitCount >= 8) {
+        out.writeByte(bitBuffer & 0xFF);
+        bitBuffer >>>= 8;
+        bitCount -= 8;
+      }
+    }
+
+    function hash(i) {
+      return ((bytes[i] << 10) ^ (bytes[i + 1] << 5) ^ bytes[i + 2]) & (HASH_SIZE - 1);
+    }
+
+    function insert(i) {
+      if (i + 2 < len) {
+        var h = hash(i);
+        previous[i % WINDOW] = head[h];
+        head[h] = i + 1;
+      }
+    }
+
+    function writeLiteral(symbol) {
+      writeBits(fixedLiteralCodes[symbol], fixedLiteralLengths[symbol]);
+    }
+
+    out.writeByte(0x78);
+    out.writeByte(0x9C);
+    // the last block, with fixed codes
+    writeBits(1, 1);
+    writeBits(1, 2);
+
+    while (pos < len) {
+      var bestLength = 0, bestDistance = 0;
+      if (pos + 2 < len) {
+        // head and previous hold positions + 1, so 0 is the end of a chain
+        var candidate = head[hash(pos)] - 1, chain = MAX_CHAIN, maxLength = Math.min(MAX_MATCH, len - pos);
+        while (candidate >= 0 && pos - candidate <= WINDOW && chain--) {
+          if (bytes[candidate + bestLength] === bytes[pos + bestLength]) {
+            var length = 0;
+            while (length < maxLength && bytes[candidate + length] === bytes[pos + length]) {
+              length++;
+            }
+            if (length > bestLength) {
+              bestLength = length;
+              bestDistance = pos - candidate;
+              if (length === maxLength) {
+                break;
+              }
+            }
+          }
+          var next = previous[candidate % WINDOW] - 1;
+          if (next >= candidate) {
+            break;
+          }
+          candidate = next;
+        }
+      }
+      if (bestLength >= 3) {
+        var lengthCode = findCode(lengthBase, bestLength), distanceCode = findCode(distanceBase, bestDistance);
+        writeLiteral(257 + lengthCode);
+        writeBits(bestLength - lengthBase[lengthCode], lengthExtra[lengthCode]);
+        writeBits(fixedDistanceCodes[distanceCode], 5);
+        writeBits(bestDistance - distanceBase[distanceCode], distanceExtra[distanceCode]);
+        for (var end = pos + bestLength; pos < end; pos++) {
+          insert(pos);
+        }
+      } else {
+        writeLiteral(bytes[pos]);
+        insert(pos++);
+      }
+    }
+    writeLiteral(256);
+    if (bitCount > 0) {
+      writeBits(0, 8 - bitCount);
+    }
+    out.writeUint32(adler32(bytes));
+    return out.toBytes();
+  }
+
+  ////////////////////////////////////////////////////////////////////////////
+  // PNG
+  ////////////////////////////////////////////////////////////////////////////
+
+  var pngSignature = [137, 80, 78, 71, 13, 10, 26, 10],
+      // the passes of Adam7 interlacing: x0, y0, dx, dy
+      adam7 = [[0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4], [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]],
+      pngChannels = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+  function paeth(a, b, c) {
+    var p = a + b - c, pa = Math.abs(p - a), pb = Math.abs(p - b), pc = Math.abs(p - c);
+    return pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+  }
+
+  // reverses the filter of a row, in place
+  function unfilterRow(type, row, previous, bpp) {
+    var i, len = row.length;
+    switch (type) {
+      case 0:
+        break;
+      case 1:
+        for (i = bpp; i < len; i++) {
+          row[i] = row[i] + row[i - bpp];
+        }
+        break;
+      case 2:
+        for (i = 0; i < len; i++) {
+          row[i] = row[i] + previous[i];
+        }
+        break;
+      case 3:
+        for (i = 0; i < len; i++) {
+          row[i] = row[i] + ((previous[i] + (i >= bpp ? row[i - bpp] : 0)) >> 1);
+        }
+        break;
+      case 4:
+        for (i = 0; i < len; i++) {
+          row[i] = row[i] + (i >= bpp ? paeth(row[i - bpp], previous[i], previous[i - bpp]) : previous[i]);
+        }
+        break;
+      default:
+        throw DecodeError("invalid PNG filter " + type);
+    }
+  }
+
+  /**
+   * @param {Uint8Array} bytes    the PNG file
+   *
+   * @returns {Object} the decoded image
+   */
+  function decodePNG(bytes) {
+    var pos = 8, width = 0, height = 0, bitDepth, colorType, interlace, palette = null, transparency = null,
+        idat = new ByteWriter(bytes.length), i;
+    for (i = 0; i < 8; i++) {
+      if (bytes[i] !== pngSignature[i]) {
+        throw DecodeError("not a PNG file");
+      }
+    }
+    while (pos + 8 <= bytes.length) {
+      var length = readUint32(bytes, pos),
+          type = String.fromCharCode(bytes[pos + 4], bytes[pos + 5], bytes[pos + 6], bytes[pos + 7]),
+          chunk = bytes.subarray(pos + 8, pos + 8 + length);
+      pos += 12 + length;
+      if (type === "IHDR") {
+        width = readUint32(chunk, 0);
+        height = readUint32(chunk, 4);
+        bitDepth = chunk[8];
+        colorType = chunk[9];
+        interlace = chunk[12];
+      } else if (type === "PLTE") {
+        palette = chunk;
+      } else if (type === "tRNS") {
+        transparency = chunk;
+      } else if (type === "IDAT") {
+        idat.writeBytes(chunk);
+      } else if (type === "IEND") {
+        break;
+      }
+    }
+    var channels = pngChannels[colorType];
+    if (!width || !height || !channels || (colorType === 3 && !palette)) {
+      throw DecodeError("invalid PNG header");
+    }
+
+    var bitsPerPixel = channels * bitDepth, bpp = Math.max(1, bitsPerPixel >> 3),
+        maxSample = (1 << bitDepth) - 1,
+        raw = inflate(idat.toBytes()), rawPos = 0,
+        data = new Uint8ClampedArray(width * height * 4),
+        passes = interlace ? adam7 : [[0, 0, 1, 1]];
+
+    // the transparent color of gray and RGB images, in samples
+    var keyGray = -1, keyRed = -1, keyGreen = -1, keyBlue = -1;
+    if (transparency && colorType === 0) {
+      keyGray = readUint16(transparency, 0);
+    } else if (transparency && colorType === 2) {
+      keyRed = readUint16(transparency, 0);
+      keyGreen = readUint16(transparency, 2);
+      keyBlue = readUint16(transparency, 4);
+    }
+
+    function sample(row, index) {
+      if (bitDepth === 8) {
+        return row[index];
+      }
+      if (bitDepth === 16) {
+        return (row[index * 2] << 8) | row[index * 2 + 1];
+      }
+      var bit = index * bitDepth;
+      return (row[bit >> 3] >> (8 - bitDepth - (bit & 7))) & maxSample;
+    }
+
+    function toByte(value) {
+      return bitDepth === 16 ? value >> 8 : bitDepth === 8 ? value : Math.round(value * 255 / maxSample);
+    }
+
+    passes.forEach(function(pass) {
+      var passWidth = Math.ceil((width - pass[0]) / pass[2]), passHeight = Math.ceil((height - pass[1]) / pass[3]);
+      if (passWidth <= 0 || passHeight <= 0) {
+        return;
+      }
+      var rowBytes = Math.ceil(passWidth * bitsPerPixel / 8), previous = new Uint8Array(rowBytes);
+      for (var y = 0; y < passHeight; y++) {
+        if (rawPos + 1 + rowBytes > raw.length) {
+          throw DecodeError("not enough PNG data");
+        }
+        var row = raw.subarray(rawPos + 1, rawPos + 1 + rowBytes);
+        unfilterRow(raw[rawPos], row, previous, bpp);
+        rawPos += 1 + rowBytes;
+        previous = row;
+        for (var x = 0; x < passWidth; x++) {
+          var offset = ((pass[1] + y * pass[3]) * width + pass[0] + x * pass[2]) * 4, s = x * channels, v;
+          switch (colorType) {
+            case 0:
+              v = sample(row, s);
+              data[offset] = data[offset + 1] = data[offset + 2] = toByte(v);
+              data[offset + 3] = v === keyGray ? 0 : 255;
+              break;
+            case 2:
+              var r = sample(row, s), g = sample(row, s + 1), b = sample(row, s + 2);
+              data[offset] = toByte(r);
+              data[offset + 1] = toByte(g);
+              data[offset + 2] = toByte(b);
+              data[offset + 3] = r === keyRed && g === keyGreen && b === keyBlue ? 0 : 255;
+              break;
+            case 3:
+              v = sample(row, s);
+              data[offset] = palette[v * 3];
+              data[offset + 1] = palette[v * 3 + 1];
+              data[offset + 2] = palette[v * 3 + 2];
+              data[offset + 3] = transparency && v < transparency.length ? transparency[v] : 255;
+              break;
+            case 4:
+              data[offset] = data[offset + 1] = data[offset + 2] = toByte(sample(row, s));
+              data[offset + 3] = toByte(sample(row, s + 1));
+              break;
+            case 6:
+              data[offset] = toByte(sample(row, s));
+              data[offset + 1] = toByte(sample(row, s + 1));
+              data[offset + 2] = toByte(sample(row, s + 2));
+              data[offset + 3] = toByte(sample(row, s + 3));
+              break;
+          }
+        }
+      }
+    });
+    return { width: width, height: height, data: data };
+  }
+
+  function writeChunk(out, type, data) {
+    var start = out.length + 4;
+    out.writeUint32(data.length);
+    for (var i = 0; i < 4; i++) {
+      out.writeByte(type.charCodeAt(i));
+    }
+    out.writeBytes(data);
+    out.writeUint32(crc32(out.bytes, start, out.length));
+  }
+
+  /**
+   * Encodes RGBA pixels as an 8-bit RGBA PNG file. Every row gets the filter that makes
+   * it smallest, by the usual minimum sum of absolute differences heuristic.
+   *
+   * @param {int} width           the image width
+   * @param {int} height          the image height
+   * @param {Uint8Array} data     the RGBA bytes of the pixels, a typed array
+   *
+   * @returns {Uint8Array} the PNG file
+   */
+  function encodePNG(width, height, data) {
+    var rowBytes = width * 4, raw = new Uint8Array((rowBytes + 1) * height),
+        candidate = new Uint8Array(rowBytes), zeros = new Uint8Array(rowBytes), x, y;
+    for (y = 0; y < height; y++) {
+      var row = data.subarray(y * rowBytes, (y + 1) * rowBytes),
+          previous = y > 0 ? data.subarray((y - 1) * rowBytes, y * rowBytes) : zeros,
+          target = raw.subarray(y * (rowBytes + 1) + 1, (y + 1) * (rowBytes + 1)),
+          bestSum = Infinity, bestType = 0;
+      for (var type = 0; type < 5; type++) {
+        var sum = 0;
+        for (x = 0; x < rowBytes; x++) {
+          var a = x >= 4 ? row[x - 4] : 0, b = previous[x], c = x >= 4 ? previous[x - 4] : 0,
+              value = row[x] - (type === 0 ? 0 : type === 1 ? a : type === 2 ? b :
+                                type === 3 ? (a + b) >> 1 : paeth(a, b, c));
+          candidate[x] = value;
+          value &= 0xFF;
+          sum += value < 128 ? value : 256 - value;
+        }
+        if (sum < bestSum) {
+          bestSum = sum;
+          bestType = type;
+          target.set(candidate);
+        }
+      }
+      raw[y * (rowBytes + 1)] = bestType;
+    }
+
+    var out = new ByteWriter(raw.length / 2 + 64), header = new Uint8Array(13);
+    out.writeBytes(pngSignature);
+    header.set([width >>> 24, (width >>> 16) & 0xFF, (width >>> 8) & 0xFF, width & 0xFF,
+                height >>> 24, (height >>> 16) & 0xFF, (height >>> 8) & 0xFF, height & 0xFF,
+                8, 6, 0, 0, 0]);
+    writeChunk(out, "IHDR", header);
+    writeChunk(out, "IDAT", deflate(raw));
+    writeChunk(out, "IEND", new Uint8Array(0));
+    return out.toBytes();
+  }
+
+  ////////////////////////////////////////////////////////////////////////////
+  // GIF
+  ////////////////////////////////////////////////////////////////////////////
+
+  // the indices of the pixels of a frame, from its LZW data
+  function lzwDecode(data, minCodeSize, pixelCount) {
+    var out = new Uint8Array(pixelCount), clear = 1 << minCodeSize, end = clear + 1,
+        codeSize = minCodeSize + 1, codeMask = (1 << codeSize) - 1, available = clear + 2,
+        prefix = new Uint16Array(4096), suffix = new Uint8Array(4096), stack = new Uint8Array(4097),
+        oldCode = -1, first = 0, datum = 0, bits = 0, pos = 0, outPos = 0, code, inCode, top;
+    for (code = 0; code < clear; code++) {
+      suffix[code] = code;
+    }
+    while (outPos < pixelCount) {
+      while (bits < codeSize) {
+        if (pos >= data.length) {
+          return out;
+        }
+        datum |= data[pos++] << bits;
+        bits += 8;
+      }
+      code = datum & codeMask;
+      datum >>= codeSize;
+      bits -= codeSize;
+      if (code === clear) {
+        codeSize = minCodeSize + 1;
+        codeMask = (1 << codeSize) - 1;
+        available = clear + 2;
+        oldCode = -1;
+        continue;
+      }
+      if (code === end) {
+        break;
+      }
+      if (oldCode === -1) {
+        if (code >= clear) {
+          throw DecodeError("invalid LZW code");
+        }
+        out[outPos++] = first = suffix[code];
+        oldCode = code;
+        continue;
+      }
+      inCode = code;
+      top = 0;
+      if (code >= available) {
+        stack[top++] = first;
+        code = oldCode;
+      }
+      while (code >= clear) {
+        stack[top++] = suffix[code];
+        code = prefix[code];
+      }
+      first = suffix[code];
+      stack[top++] = first;
+      if (available < 4096) {
+        prefix[available] = oldCode;
+        suffix[available] = first;
+        available++;
+        if ((available & codeMask) === 0 && available < 4096) {
+          codeSize++;
+          codeMask += available;
+        }
+      }
+      oldCode = inCode;
+      while (top > 0 && outPos < pixelCount) {
+        out[outPos++] = stack[--top];
+      }
+    }
+    return out;
+  }
+
+  var gifInterlaceStart = [0, 4, 2, 1], gifInterlaceStep = [8, 8, 4, 2];
+
+  function readSubBlocks(bytes, pos) {
+    var out = new ByteWriter(256);
+    while (pos < bytes.length && bytes[pos] !== 0) {
+      out.writeBytes(bytes.subarray(pos + 1, pos + 1 + bytes[pos]));
+      pos += bytes[pos] + 1;
+    }
+    return { data: out.toBytes(), end: pos + 1 };
+  }
+
+  /**
+   * Decodes a GIF file with all of its frames. Every frame is the full image as it is
+   * shown at that point of the animation, after the disposal of the earlier frames.
+   *
+   * @param {Uint8Array} bytes    the GIF file
+   *
+   * @returns {Object} the decoded first frame, with frames: [{data, delay}], the delays in
+   *                   milliseconds, and loopCount: 0 to loop forever, -1 for no loop information
+   */
+  function decodeGIF(bytes) {
+    var signature = String.fromCharCode.apply(null, Array.prototype.slice.call(bytes, 0, 6));
+    if (signature !== "GIF87a" && signature !== "GIF89a") {
+      throw DecodeError("not a GIF file");
+    }
+    var width = bytes[6] | (bytes[7] << 8), height = bytes[8] | (bytes[9] << 8), flags = bytes[10],
+        pos = 13, globalTable = null, frames = [], loopCount = -1,
+        canvas = new Uint8ClampedArray(width * height * 4),
+        delay = 0, disposal = 0, transparentIndex = -1, block;
+    if (flags & 0x80) {
+      globalTable = bytes.subarray(pos, pos + 3 * (1 << ((flags & 7) + 1)));
+      pos += globalTable.length;
+    }
+
+    while (pos < bytes.length) {
+      var introducer = bytes[pos++];
+      if (introducer === 0x3B) {
+        break;
+      }
+      if (introducer === 0x21) {
+        var label = bytes[pos++];
+        if (label === 0xF9) {
+          // graphic control extension
+          var packed = bytes[pos + 1];
+          disposal = (packed >> 2) & 7;
+          delay = (bytes[pos + 2] | (bytes[pos + 3] << 8)) * 10;
+          transparentIndex = packed & 1 ? bytes[pos + 4] : -1;
+        }
+        block = readSubBlocks(bytes, pos);
+        if (label === 0xFF && block.data.length >= 14 &&
+            String.fromCharCode.apply(null, Array.prototype.slice.call(block.data, 0, 11)) === "NETSCAPE2.0") {
+          loopCount = block.data[12] | (block.data[13] << 8);
+        }
+        pos = block.end;
+      } else if (introducer === 0x2C) {
+        var left = bytes[pos] | (bytes[pos + 1] << 8), top = bytes[pos + 2] | (bytes[pos + 3] << 8),
+            frameWidth = bytes[pos + 4] | (bytes[pos + 5] << 8), frameHeight = bytes[pos + 6] | (bytes[pos + 7] << 8),
+            frameFlags = bytes[pos + 8], table = globalTable;
+        pos += 9;
+        if (frameFlags & 0x80) {
+          table = bytes.subarray(pos, pos + 3 * (1 << ((frameFlags & 7) + 1)));
+          pos += table.length;
+        }
+        if (!table) {
+          throw DecodeError("GIF frame without colors");
+        }
+        var minCodeSize = bytes[pos++];
+        block = readSubBlocks(bytes, pos);
+        pos = block.end;
+        var indices = lzwDecode(block.data, minCodeSize, frameWidth * frameHeight),
+            saved = disposal === 3 ? new Uint8ClampedArray(canvas) : null,
+            rows = [], y, x;
+        if (frameFlags & 0x40) {
+          // interlaced: every 8th row from 0, every 8th from 4, every 4th from 2, every 2nd from 1
+          for (var pass = 0; pass < 4; pass++) {
+            for (y = gifInterlaceStart[pass]; y < frameHeight; y += gifInterlaceStep[pass]) {
+              rows.push(y);
+            }
+          }
+        } else {
+          for (y = 0; y < frameHeight; y++) {
+            rows.push(y);
+          }
+        }
+        for (var i = 0; i < frameHeight; i++) {
+          y = top + rows[i];
+          if (y >= height) {
+            continue;
+          }
+          for (x = 0; x < frameWidth && left + x < width; x++) {
+            var index = indices[i * frameWidth + x];
+            if (index === transparentIndex) {
+              continue;
+            }
+            var offset = (y * width + left + x) * 4;
+            canvas[offset] = table[index * 3];
+            canvas[offset + 1] = table[index * 3 + 1];
+            canvas[offset + 2] = table[index * 3 + 2];
+            canvas[offset + 3] = 255;
+          }
+        }
+        frames.push({ data: new Uint8ClampedArray(canvas), delay: delay });
+
+        if (disposal === 2) {
+          // back to the background, which is transparent as in browsers
+          for (y = top; y < Math.min(height, top + frameHeight); y++) {
+            canvas.fill(0, (y * width + left) * 4, (y * width + Math.min(width, left + frameWidth)) * 4);
+          }
+        } else if (saved) {
+          canvas = saved;
+        }
+        delay = disposal = 0;
+        transparentIndex = -1;
+      } else {
+        throw DecodeError("invalid GIF block");
+      }
+    }
+    if (frames.length === 0) {
+      throw DecodeError("GIF without frames");
+    }
+    return { width: width, height: height, data: frames[0].data, frames: frames, loopCount: loopCount };
+  }
+
+  /**
+   * Picks at most maxColors colors for the opaque pixels of a frame: all of them if there are
+   * so few, or else the median cut of a 15-bit color histogram.
+   *
+   * @returns {Object} palette: [r, g, b, ...], and indexOf(r, g, b): the index of the closest color
+   */
+  function quantize(data, transparent, maxColors, step) {
+    var exact = {}, exactCount = 0, palette = [], i, key;
+    for (i = 0; i < data.length && exactCount <= maxColors; i += 4) {
+      if (!transparent[i >> 2]) {
+        key = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+        if (exact[key] === undefined) {
+          exact[key] = exactCount++;
+          palette.push(data[i], data[i + 1], data[i + 2]);
+        }
+      }
+    }
+    if (exactCount <= maxColors) {
+      return {
+        palette: palette,
+        indexOf: function(r, g, b) {
+          return exact[(r << 16) | (g << 8) | b];
+        }
+      };
+    }
+
+    var counts = new Uint32Array(32768), sums = new Float64Array(32768 * 3), keys = [];
+    for (i = 0; i < data.length; i += 4 * step) {
+      if (!transparent[i >> 2]) {
+        key = ((data[i] >> 3) << 10) | ((data[i + 1] >> 3) << 5) | (data[i + 2] >> 3);
+        if (counts[key]++ === 0) {
+          keys.push(key);
+        }
+        sums[key * 3] += data[i];
+        sums[key * 3 + 1] += data[i + 1];
+        sums[key * 3 + 2] += data[i + 2];
+      }
+    }
+
+    function channel(key, c) {
+      return (key >> (10 - c * 5)) & 31;
+    }
+
+    function byChannel(c) {
+      return function(a, b) {
+        return channel(a, c) - channel(b, c);
+      };
+    }
+
+    function describe(boxKeys) {
+      var box = { keys: boxKeys, count: 0, widest: 0, range: -1 }, c, j;
+      for (c = 0; c < 3; c++) {
+        var min = 31, max = 0;
+        for (j = 0; j < boxKeys.length; j++) {
+          var value = channel(boxKeys[j], c);
+          min = Math.min(min, value);
+          max = Math.max(max, value);
+        }
+        if (max - min > box.range) {
+          box.range = max - min;
+          box.widest = c;
+        }
+      }
+      for (j = 0; j < boxKeys.length; j++) {
+        box.count += counts[boxKeys[j]];
+      }
+      return box;
+    }
+
+    // split the box with the most pixels across its widest channel, until there are enough boxes
+    var boxes = [describe(keys)];
+    while (boxes.length < maxColors) {
+      var best = -1;
+      for (i = 0; i < boxes.length; i++) {
+        if (boxes[i].range > 0 && (best < 0 || boxes[i].count * boxes[i].range > boxes[best].count * boxes[best].range)) {
+          best = i;
+        }
+      }
+      if (best < 0) {
+        break;
+      }
+      var box = boxes[best], half = box.count / 2, seen = 0;
+      box.keys.sort(byChannel(box.widest));
+      for (i = 0; i < box.keys.length - 1; i++) {
+        seen += counts[box.keys[i]];
+        if (seen >= half) {
+          break;
+        }
+      }
+      boxes.splice(best, 1, describe(box.keys.slice(0, i + 1)), describe(box.keys.slice(i + 1)));
+    }
+
+    palette = [];
+    boxes.forEach(function(box) {
+      var r = 0, g = 0, b = 0;
+      for (var j = 0; j < box.keys.length; j++) {
+        r += sums[box.keys[j] * 3];
+        g += sums[box.keys[j] * 3 + 1];
+        b += sums[box.keys[j] * 3 + 2];
+      }
+      palette.push(Math.round(r / box.count), Math.round(g / box.count), Math.round(b / box.count));
+    });
+
+    // the closest color of every histogram cell, found when first needed
+    var closest = new Int16Array(32768).fill(-1);
+    return {
+      palette: palette,
+      indexOf: function(r, g, b) {
+        var key = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+        if (closest[key] < 0) {
+          var bestDistance = Infinity;
+          for (var j = 0; j < palette.length; j += 3) {
+            var dr = palette[j] - r, dg = palette[j + 1] - g, db = palette[j + 2] - b,
+                distance = dr * dr + dg * dg + db * db;
+            if (distance < bestDistance) {
+              bestDistance = distance;
+              closest[key] = j / 3;
+            }
+          }
+        }
+        return closest[key];
+      }
+    };
+  }
+
+  // writes the LZW data of a frame, in sub-blocks
+  function lzwEncode(out, indices, minCodeSize) {
+    var clear = 1 << minCodeSize, end = clear + 1, next = end + 1, codeSize = minCodeSize + 1,
+        table = {}, block = new Uint8Array(255), blockLength = 0, bitBuffer = 0, bitCount = 0;
+
+    function writeCode(code) {
+      bitBuffer |= code << bitCount;
+      bitCount += codeSize;
+      while (bitCount >= 8) {
+        block[blockLength++] = bitBuffer & 0xFF;
+        bitBuffer >>>= 8;
+        bitCount -= 8;
+        if (blockLength === 255) {
+          out.writeByte(255);
+          out.writeBytes(block);
+          blockLength = 0;
+        }
+      }
+    }
+
+    out.writeByte(minCodeSize);
+    writeCode(clear);
+    var prefix = indices[0];
+    for (var i = 1; i < indices.length; i++) {
+      var key = (prefix << 8) | indices[i], code = table[key];
+      if (code !== undefined) {
+        prefix = code;
+        continue;
+      }
+      writeCode(prefix);
+      if (next === 4096) {
+        writeCode(clear);
+        table = {};
+        next = end + 1;
+        codeSize = minCodeSize + 1;
+      } else {
+        if (next >= 1 << codeSize) {
+          codeSize++;
+        }
+        table[key] = next++;
+      }
+      prefix = indices[i];
+    }
+    writeCode(prefix);
+    writeCode(end);
+    if (bitCount > 0) {
+      block[blockLength++] = bitBuffer & 0xFF;
+    }
+    if (blockLength > 0) {
+      out.writeByte(blockLength);
+      out.writeBytes(block.subarray(0, blockLength));
+    }
+    out.writeByte(0);
+  }
+
+  /**
+   * Encodes frames as an animated GIF file. Every frame gets its own palette of up to 256
+   * colors, and pixels that are mostly transparent, or of the transparent color, become
+   * transparent.
+   *
+   * @param {int} width           the image width
+   * @param {int} height          the image height
+   * @param {Array} frames        the frames: [{data, delay}], data with the RGBA bytes of the
+   *                              pixels and delay in milliseconds
+   * @param {Object} options      optional: repeat, -1 to play once (default), 0 to loop forever or
+   *                              how many times to repeat; quality, 1 (best) to 30 (fastest), how
+   *                              many pixels to skip when picking colors (default 10); transparent,
+   *                              the color (0xRRGGBB) that is transparent
+   *
+   * @returns {Uint8Array} the GIF file
+   */
+  function encodeGIF(width, height, frames, options) {
+    options = options || {};
+    var out = new ByteWriter(width * height * frames.length / 2 + 1024), i,
+        repeat = options.repeat === undefined ? -1 : options.repeat,
+        step = Math.max(1, Math.min(30, options.quality || 10)),
+        transparentColor = options.transparent === undefined || options.transparent === null ? -1 :
+          options.transparent & 0xFFFFFF;
+
+    out.writeBytes([0x47, 0x49, 0x46, 0x38, 0x39, 0x61]);
+    out.writeBytes([width & 0xFF, width >> 8, height & 0xFF, height >> 8, 0, 0, 0]);
+    if (repeat >= 0) {
+      out.writeBytes([0x21, 0xFF, 11, 0x4E, 0x45, 0x54, 0x53, 0x43, 0x41, 0x50, 0x45, 0x32, 0x2E, 0x30,
+                      3, 1, repeat & 0xFF, (repeat >> 8) & 0xFF, 0]);
+    }
+
+    frames.forEach(function(frame) {
+      var data = frame.data, pixelCount = width * height, transparent = new Uint8Array(pixelCount),
+          hasTransparency = false, p;
+      for (p = 0; p < pixelCount; p++) {
+        var offset = p * 4;
+        if (data[offset + 3] < 128 ||
+            ((data[offset] << 16) | (data[offset + 1] << 8) | data[offset + 2]) === transparentColor) {
+          transparent[p] = 1;
+          hasTransparency = true;
+        }
+      }
+      // the last color is the transparent one
+      var colors = quantize(data, transparent, hasTransparency ? 255 : 256, step),
+          colorCount = colors.palette.length / 3 + (hasTransparency ? 1 : 0),
+          tableBits = 1;
+      while (1 << tableBits < colorCount) {
+        tableBits++;
+      }
+      var transparentIndex = hasTransparency ? colors.palette.length / 3 : 0,
+          indices = new Uint8Array(pixelCount), delay = Math.round((frame.delay || 0) / 10);
+      for (p = 0; p < pixelCount; p++) {
+        indices[p] = transparent[p] ? transparentIndex : colors.indexOf(data[p * 4], data[p * 4 + 1], data[p * 4 + 2]);
+      }
+
+      // graphic control extension: every frame is cleared before the next one, which is a whole
+      // picture, so that its transparent pixels do not show the frames before it
+      out.writeBytes([0x21, 0xF9, 4, (2 << 2) | (hasTransparency ? 1 : 0), delay & 0xFF, (delay >> 8) & 0xFF,
+                      transparentIndex, 0]);
+      // the frame, with its own color table
+      out.writeBytes([0x2C, 0, 0, 0, 0, width & 0xFF, width >> 8, height & 0xFF, height >> 8, 0x80 | (tableBits - 1)]);
+      var table = new Uint8Array(3 << tableBits);
+      table.set(colors.palette);
+      out.writeBytes(table);
+      lzwEncode(out, indices, Math.max(2, tableBits));
+    });
+    out.writeByte(0x3B);
+    return out.toBytes();
+  }
+
+  ////////////////////////////////////////////////////////////////////////////
+  // JPEG: baseline and progressive, Huffman coded
+  ////////////////////////////////////////////////////////////////////////////
+
+  var zigZag = new Int32Array([
+     0,  1,  8, 16,  9,  2,  3, 10, 17, 24, 32, 25, 18, 11,  4,  5, 12, 19, 26, 33, 40, 48, 41, 34, 27, 20, 13,  6,
+     7, 14, 21, 28, 35, 42, 49, 56, 57, 50, 43, 36, 29, 22, 15, 23, 30, 37, 44, 51, 58, 59, 52, 45, 38, 31, 39, 46,
+    53, 60, 61, 54, 47, 55, 62, 63]);
+
+  // the cosines of the inverse DCT, with their scale factors: idctTable[u * 8 + x]
+  var idctTable = new Float64Array(64);
+  (function() {
+    for (var u = 0; u < 8; u++) {
+      for (var x = 0; x < 8; x++) {
+        idctTable[u * 8 + x] = (u === 0 ? Math.SQRT1_2 : 1) * Math.cos((2 * x + 1) * u * Math.PI / 16) / 2;
+      }
+    }
+  }());
+
+  function JpegHuffmanTable(counts, symbols) {
+    // the largest code of every length, and where its symbols start, as in the JPEG spec (F.2.2.3)
+    this.maxCode = new Int32Array(18);
+    this.valueOffset = new Int32Array(17);
+    this.symbols = symbols;
+    var code = 0, k = 0;
+    for (var length = 1; length <= 16; length++) {
+      this.valueOffset[length] = k - code;
+      code += counts[length - 1];
+      k += counts[length - 1];
+      this.maxCode[length] = counts[length - 1] ? code - 1 : -1;
+      code <<= 1;
+    }
+    this.maxCode[17] = 0x7FFFFFFF;
+  }
+
+  function decodeScan(bytes, pos, frame, components, resetInterval, spectralStart, spectralEnd,
+                      successivePrevious, successive) {
+    var bitBuffer = 0, bitCount = 0, eobRun = 0, i, j, n;
+
+    function readBit() {
+      if (bitCount === 0) {
+        if (bytes[pos] === 0xFF && bytes[pos + 1] !== 0) {
+          // a marker: the scan data has run out, so pad with zeros
+          return 0;
+        }
+        bitBuffer = bytes[pos++];
+        if (bitBuffer === 0xFF) {
+          pos++;
+        }
+        bitCount = 8;
+      }
+      bitCount--;
+      return (bitBuffer >> bitCount) & 1;
+    }
+
+    function receive(length) {
+      var value = 0;
+      while (length--) {
+        value = (value << 1) | readBit();
+      }
+      return value;
+    }
+
+    function receiveAndExtend(length) {
+      var value = receive(length);
+      return value < 1 << (length - 1) ? value - (1 << length) + 1 : value;
+    }
+
+    function decodeHuffman(table) {
+      var code = readBit(), length = 1;
+      while (code > table.maxCode[length]) {
+        code = (code << 1) | readBit();
+        if (++length > 16) {
+          throw DecodeError("invalid JPEG Huffman code");
+        }
+      }
+      return table.symbols[table.valueOffset[length] + code];
+    }
+
+    function decodeBaseline(component, block) {
+      var t = decodeHuffman(component.dcTable), k = 1;
+      component.prediction += t === 0 ? 0 : receiveAndExtend(t);
+      block[0] = component.prediction;
+      while (k < 64) {
+        var rs = decodeHuffman(component.acTable), s = rs & 15, r = rs >> 4;
+        if (s === 0) {
+          if (r < 15) {
+            break;
+          }
+          k += 16;
+          continue;
+        }
+        k += r;
+        if (k > 63) {
+          break;
+        }
+        block[zigZag[k++]] = receiveAndExtend(s);
+      }
+    }
+
+    function decodeDCFirst(component, block) {
+      var t = decodeHuffman(component.dcTable);
+      component.prediction += t === 0 ? 0 : receiveAndExtend(t);
+      block[0] = component.prediction * (1 << successive);
+    }
+
+    function decodeDCSuccessive(component, block) {
+      if (readBit()) {
+        block[0] |= 1 << successive;
+      }
+    }
+
+    function decodeACFirst(component, block) {
+      if (eobRun > 0) {
+        eobRun--;
+        return;
+      }
+      for (var k = spectralStart; k <= spectralEnd; ) {
+        var rs = decodeHuffman(component.acTable), s = rs & 15, r = rs >> 4;
+        if (s === 0) {
+          if (r < 15) {
+            eobRun = receive(r) + (1 << r) - 1;
+            break;
+          }
+          k += 16;
+          continue;
+        }
+        k += r;
+        if (k > 63) {
+          break;
+        }
+        block[zigZag[k++]] = receiveAndExtend(s) * (1 << successive);
+      }
+    }
+
+    // refines the coefficients that are set already, as libjpeg does
+    function refine(block, z, p1) {
+      if (readBit() && (block[z] & p1) === 0) {
+        block[z] += block[z] >= 0 ? p1 : -p1;
+      }
+    }
+
+    function decodeACSuccessive(component, block) {
+      var p1 = 1 << successive, k = spectralStart, z;
+      if (eobRun <= 0) {
+        for (; k <= spectralEnd; k++) {
+          var rs = decodeHuffman(component.acTable), s = rs & 15, r = rs >> 4, value = 0;
+          if (s !== 0) {
+            value = readBit() ? p1 : -p1;
+          } else if (r !== 15) {
+            eobRun = (1 << r) + receive(r);
+            break;
+          }
+          for (; k <= spectralEnd; k++) {
+            z = zigZag[k];
+            if (block[z] !== 0) {
+              refine(block, z, p1);
+            } else if (--r < 0) {
+              break;
+            }
+          }
+          if (value !== 0 && k <= 63) {
+            block[zigZag[k]] = value;
+          }
+        }
+      }
+      if (eobRun > 0) {
+        for (; k <= spectralEnd; k++) {
+          z = zigZag[k];
+          if (block[z] !== 0) {
+            refine(block, z, p1);
+          }
+        }
+        eobRun--;
+      }
+    }
+
+    var decode = !frame.progressive ? decodeBaseline :
+        spectralStart === 0 ? (successivePrevious === 0 ? decodeDCFirst : decodeDCSuccessive) :
+        (successivePrevious === 0 ? decodeACFirst : decodeACSuccessive);
+
+    function decodeBlock(component, row, col) {
+      if (row < component.blocksPerColumnForMcu && col < component.blocksPerLineForMcu) {
+        var offset = (row * component.blocksPerLineForMcu + col) * 64;
+        decode(component, component.coefficients.subarray(offset, offset + 64));
+      }
+    }
+
+    var single = components.length === 1, component = components[0],
+        mcuCount = single ? component.blocksPerLine * component.blocksPerColumn : frame.mcusPerLine * frame.mcusPerColumn,
+        mcu = 0;
+    resetInterval = resetInterval || mcuCount;
+
+    while (mcu < mcuCount) {
+      for (i = 0; i < components.length; i++) {
+        components[i].prediction = 0;
+      }
+      eobRun = 0;
+      for (n = 0; n < resetInterval && mcu < mcuCount; n++, mcu++) {
+        if (single) {
+          decodeBlock(component, Math.floor(mcu / component.blocksPerLine), mcu % component.blocksPerLine);
+        } else {
+          var mcuRow = Math.floor(mcu / frame.mcusPerLine), mcuCol = mcu % frame.mcusPerLine;
+          for (i = 0; i < components.length; i++) {
+            var c = components[i];
+            for (j = 0; j < c.v; j++) {
+              for (var h = 0; h < c.h; h++) {
+                decodeBlock(c, mcuRow * c.v + j, mcuCol * c.h + h);
+              }
+            }
+          }
+        }
+      }
+      // the restart marker, or whatever ends the scan
+      bitCount = 0;
+      while (pos < bytes.length && !(bytes[pos] === 0xFF && bytes[pos + 1] !== 0 && bytes[pos + 1] !== 0xFF)) {
+        pos++;
+      }
+      if (bytes[pos + 1] >= 0xD0 && bytes[pos + 1] <= 0xD7) {
+        pos += 2;
+      } else {
+        break;
+      }
+    }
+    return pos;
+  }
+
+  // dequantizes and transforms a component into its samples
+  function buildComponentSamples(component) {
+    var lineWidth = component.blocksPerLine * 8, samples = new Uint8ClampedArray(lineWidth * component.blocksPerColumn * 8),
+        table = component.quantizationTable, block = new Float64Array(64), rows = new Float64Array(64),
+        row, col, u, x, y, sum;
+    for (row = 0; row < component.blocksPerColumn; row++) {
+      for (col = 0; col < component.blocksPerLine; col++) {
+        var offset = (row * component.blocksPerLineForMcu + col) * 64;
+        for (u = 0; u < 64; u++) {
+          block[u] = component.coefficients[offset + u] * table[u];
+        }
+        // rows first, then columns
+        for (y = 0; y < 8; y++) {
+          for (x = 0; x < 8; x++) {
+            sum = 0;
+            for (u = 0; u < 8; u++) {
+              sum += idctTable[u * 8 + x] * block[y * 8 + u];
+            }
+            rows[y * 8 + x] = sum;
+          }
+        }
+        for (x = 0; x < 8; x++) {
+          for (y = 0; y < 8; y++) {
+            sum = 0;
+            for (u = 0; u < 8; u++) {
+              sum += idctTable[u * 8 + y] * rows[u * 8 + x];
+            }
+            samples[(row * 8 + y) * lineWidth + col * 8 + x] = Math.round(sum + 128);
+          }
+        }
+      }
+    }
+    return samples;
+  }
+
+  /**
+   * @param {Uint8Array} bytes    the JPEG file
+   *
+   * @returns {Object} the decoded image
+   */
+  function decodeJPEG(bytes) {
+    if (bytes[0] !== 0xFF || bytes[1] !== 0xD8) {
+      throw DecodeError("not a JPEG file");
+    }
+    var pos = 2, frame = null, quantizationTables = [], dcTables = [], acTables = [],
+        resetInterval = 0, adobeTransform = -1, jfif = false, i, j, c;
+
+    while (pos < bytes.length) {
+      if (bytes[pos] !== 0xFF) {
+        pos++;
+        continue;
+      }
+      var marker = bytes[pos + 1];
+      if (marker === 0xFF || marker === 0x00 || marker === 0xD8 || (marker >= 0xD0 && marker <= 0xD7)) {
+        pos += marker === 0xFF ? 1 : 2;
+        continue;
+      }
+      if (marker === 0xD9) {
+        break;
+      }
+      var length = readUint16(bytes, pos + 2), segment = bytes.subarray(pos + 4, pos + 2 + length);
+      pos += 2 + length;
+
+      if (marker === 0xE0 && segment[0] === 0x4A && segment[1] === 0x46 && segment[2] === 0x49 && segment[3] === 0x46) {
+        jfif = true;
+      } else if (marker === 0xEE && segment[0] === 0x41 && segment[1] === 0x64 && segment[2] === 0x6F &&
+                 segment[3] === 0x62 && segment[4] === 0x65) {
+        adobeTransform = segment[11];
+      } else if (marker === 0xDB) {
+        for (i = 0; i < segment.length; ) {
+          var precision = segment[i] >> 4, table = new Uint16Array(64);
+          quantizationTables[segment[i++] & 15] = table;
+          for (j = 0; j < 64; j++) {
+            table[zigZag[j]] = precision ? readUint16(segment, i + j * 2) : segment[i + j];
+          }
+          i += precision ? 128 : 64;
+        }
+      } else if (marker === 0xC4) {
+        for (i = 0; i < segment.length; ) {
+          var tableClass = segment[i] >> 4, tableId = segment[i] & 15, counts = segment.subarray(i + 1, i + 17), total = 0;
+          for (j = 0; j < 16; j++) {
+            total += counts[j];
+          }
+          (tableClass === 0 ? dcTables : acTables)[tableId] =
+            new JpegHuffmanTable(counts, segment.subarray(i + 17, i + 17 + total));
+          i += 17 + total;
+        }
+      } else if (marker === 0xDD) {
+        resetInterval = readUint16(segment, 0);
+      } else if (marker === 0xC0 || marker === 0xC1 || marker === 0xC2) {
+        if (segment[0] !== 8) {
+          throw DecodeError("unsupported JPEG precision " + segment[0]);
+        }
+        frame = {
+          progressive: marker === 0xC2,
+          height: readUint16(segment, 1),
+          width: readUint16(segment, 3),
+          components: [],
+          maxH: 1,
+          maxV: 1
+        };
+        for (i = 0; i < segment[5]; i++) {
+          c = {
+            id: segment[6 + i * 3],
+            h: segment[7 + i * 3] >> 4,
+            v: segment[7 + i * 3] & 15,
+            quantizationId: segment[8 + i * 3]
+          };
+          frame.maxH = Math.max(frame.maxH, c.h);
+          frame.maxV = Math.max(frame.maxV, c.v);
+          frame.components.push(c);
+        }
+        frame.mcusPerLine = Math.ceil(frame.width / (8 * frame.maxH));
+        frame.mcusPerColumn = Math.ceil(frame.height / (8 * frame.maxV));
+        for (i = 0; i < frame.components.length; i++) {
+          c = frame.components[i];
+          c.blocksPerLine = Math.ceil(Math.ceil(frame.width * c.h / frame.maxH) / 8);
+          c.blocksPerColumn = Math.ceil(Math.ceil(frame.height * c.v / frame.maxV) / 8);
+          c.blocksPerLineForMcu = frame.mcusPerLine * c.h;
+          c.blocksPerColumnForMcu = frame.mcusPerColumn * c.v;
+          c.coefficients = new Int32Array(c.blocksPerLineForMcu * c.blocksPerColumnForMcu * 64);
+        }
+      } else if (marker >= 0xC3 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+        throw DecodeError("unsupported JPEG coding");
+      } else if (marker === 0xDA) {
+        if (!frame) {
+          throw DecodeError("JPEG scan before its frame");
+        }
+        var scanComponents = [];
+        for (i = 0; i < segment[0]; i++) {
+          for (j = 0; j < frame.components.length; j++) {
+            if (frame.components[j].id === segment[1 + i * 2]) {
+              frame.components[j].dcTable = dcTables[segment[2 + i * 2] >> 4];
+              frame.components[j].acTable = acTables[segment[2 + i * 2] & 15];
+              scanComponents.push(frame.components[j]);
+            }
+          }
+        }
+        var parameters = 1 + segment[0] * 2;
+        pos = decodeScan(bytes, pos, frame, scanComponents, resetInterval, segment[parameters],
+                         segment[parameters + 1], segment[parameters + 2] >> 4, segment[parameters + 2] & 15);
+      }
+    }
+    if (!frame) {
+      throw DecodeError("JPEG without a frame");
+    }
+
+    var width = frame.width, height = frame.height, components = frame.components,
+        data = new Uint8ClampedArray(width * height * 4), planes = [];
+    components.forEach(function(component) {
+      component.quantizationTable = quantizationTables[component.quantizationId];
+      if (!component.quantizationTable) {
+        throw DecodeError("JPEG component without quantization table");
+      }
+      planes.push({
+        samples: buildComponentSamples(component),
+        lineWidth: component.blocksPerLine * 8,
+        scaleX: component.h / frame.maxH,
+        scaleY: component.v / frame.maxV
+      });
+    });
+
+    // YCbCr, unless Adobe says otherwise or the components are named R, G and B
+    var transform = adobeTransform >= 0 ? adobeTransform !== 0 :
+        components.length === 4 ? false :
+        components.length === 3 && !jfif ? !(components[0].id === 82 && components[1].id === 71 && components[2].id === 66) :
+        true,
+        values = new Float64Array(components.length);
+    for (var y = 0; y < height; y++) {
+      for (var x = 0; x < width; x++) {
+        for (i = 0; i < planes.length; i++) {
+          var plane = planes[i];
+          values[i] = plane.samples[Math.floor(y * plane.scaleY) * plane.lineWidth + Math.floor(x * plane.scaleX)];
+        }
+        var offset = (y * width + x) * 4, r, g, b;
+        if (values.length === 1) {
+          r = g = b = values[0];
+        } else {
+          r = values[0];
+          g = values[1];
+          b = values[2];
+          if (transform) {
+            r = values[0] + 1.402 * (values[2] - 128);
+            g = values[0] - 0.344136 * (values[1] - 128) - 0.714136 * (values[2] - 128);
+            b = values[0] + 1.772 * (values[1] - 128);
+          }
+          if (values.length === 4) {
+            // Adobe CMYK is stored inverted
+            var k = values[3] / 255;
+            r = Math.min(255, Math.max(0, r)) * k;
+            g = Math.min(255, Math.max(0, g)) * k;
+            b = Math.min(255, Math.max(0, b)) * k;
+          }
+        }
+        data[offset] = Math.round(r);
+        data[offset + 1] = Math.round(g);
+        data[offset + 2] = Math.round(b);
+        data[offset + 3] = 255;
+      }
+    }
+    return { width: width, height: height, data: data };
+  }
+
+  /**
+   * Decodes a PNG, JPEG or GIF file, whichever its bytes turn out to be.
+   *
+   * @param {Uint8Array} bytes    the image file
+   *
+   * @returns {Object} the decoded image, the first frame for an animated GIF
+   */
+  function decode(bytes) {
+    if (bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4E && bytes[3] === 0x47) {
+      return decodePNG(bytes);
+    }
+    if (bytes[0] === 0xFF && bytes[1] === 0xD8) {
+      return decodeJPEG(bytes);
+    }
+    if (bytes[0] === 0x47 && bytes[1] === 0x49 && bytes[2] === 0x46) {
+      return decodeGIF(bytes);
+    }
+    throw DecodeError("unknown image format");
+  }
+
+  return {
+    decode: decode,
+    decodePNG: decodePNG,
+    decodeJPEG: decodeJPEG,
+    decodeGIF: decodeGIF,
+    encodePNG: encodePNG,
+    encodeGIF: encodeGIF,
+    inflate: inflate,
+    deflate: deflate,
+    crc32: crc32
+  };
+}());
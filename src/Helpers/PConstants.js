@@ -69,7 +69,9 @@ module.exports = {
     P3D:    2,
     OPENGL: 2,
     PDF:    0,
-    DXF:    0,
+    SVG:    3,
+    DXF:    4,
+    OBJ:    5,
 
     // Platform IDs
     OTHER:   0,
@@ -15,6 +15,11 @@ module.exports = function(options) {
     defaultScope[prop] = options[prop];
   });
 
+  // and the Java exception classes
+  Object.keys(options.Exceptions).forEach(function(name) {
+    defaultScope[name] = options.Exceptions[name];
+  });
+
   ////////////////////////////////////////////////////////////////////////////
   // Class inheritance helper methods
   ////////////////////////////////////////////////////////////////////////////
@@ -32,6 +37,187 @@ module.exports = function(options) {
     }
   };
 
+  ////////////////////////////////////////////////////////////////////////////
+  // Overload resolution by the types of the arguments
+  ////////////////////////////////////////////////////////////////////////////
+
+  var numericTypes = ["int", "long", "short", "byte", "float", "double", "color",
+    "Integer", "Long", "Short", "Byte", "Float", "Double", "Number"];
+  var floatTypes = ["float", "double", "Float", "Double"];
+
+  /**
+   * The types of the arguments of a call, which the parser passes as the last argument
+   * when the overloads only differ in int and float parameters: 1 for an int, 2 for a
+   * float and 0 for anything else.
+   */
+  function ArgumentTypes(types) {
+    this.types = types;
+  }
+  var argumentTypesCache = {};
+  defaultScope.argumentTypes = function() {
+    var key = Array.prototype.join.call(arguments);
+    if (!argumentTypesCache.hasOwnProperty(key)) {
+      argumentTypesCache[key] = new ArgumentTypes(Array.prototype.slice.call(arguments));
+    }
+    return argumentTypesCache[key];
+  };
+
+  // the class names of an object: its class, base classes and interfaces
+  function isOfTypeName(object, typeName) {
+    var knownType = defaultScope[typeName];
+    if (typeof knownType === "function" && object instanceof knownType) {
+      return true;
+    }
+    var queue = [object.constructor];
+    while (queue.length > 0) {
+      var type = queue.shift();
+      if (typeof type !== "function") {
+        continue;
+      }
+      var name = type.$className || type.name;
+      if (name === typeName || name.substring(name.lastIndexOf(".") + 1) === typeName) {
+        return true;
+      }
+      queue.push(type.$base);
+      if (type.$interfaces) {
+        queue = queue.concat(type.$interfaces);
+      }
+    }
+    return false;
+  }
+
+  /**
+   * How well an argument matches the declared type of a parameter:
+   * 0 when it cannot be passed, 1 when it may be, 2 when it matches the type.
+   * argumentType is the type of a number the parser knows, see ArgumentTypes.
+   */
+  function matchParameterType(value, type, argumentType) {
+    if (!type || type === "Object" || /^[A-Z]$/.test(type)) {
+      // untyped, or a type parameter
+      return 1;
+    }
+    type = type.substring(type.lastIndexOf(".") + 1);
+    if (type.substring(type.length - 2) === "[]") {
+      return value === null ? 1 : value instanceof Array ? 2 : 0;
+    }
+    if (numericTypes.indexOf(type) >= 0) {
+      if (typeof value === "number" && argumentType) {
+        // ints widen to float parameters, floats cannot be passed to int ones
+        var paramType = floatTypes.indexOf(type) >= 0 ? 2 : 1;
+        return argumentType === paramType ? 2 : argumentType < paramType ? 1 : 0;
+      }
+      // chars are numbers as well in Java
+      return typeof value === "number" ? 2 : value instanceof options.Char ? 1 : 0;
+    }
+    if (type === "char" || type === "Character") {
+      return value instanceof options.Char ? 2 : 0;
+    }
+    if (type === "boolean" || type === "Boolean") {
+      return typeof value === "boolean" ? 2 : 0;
+    }
+    if (type === "String") {
+      return typeof value === "string" ? 2 : value === null ? 1 : 0;
+    }
+    if (value === null || typeof value === "function") {
+      // lambdas are of any functional interface
+      return 1;
+    }
+    return typeof value === "object" && isOfTypeName(value, type) ? 2 : 0;
+  }
+
+  /**
+   * Picks the overload with the parameter types the arguments match best,
+   * or null when there is no single best one.
+   */
+  function selectOverload(candidates, args, argumentTypes) {
+    if (!candidates || candidates.length < 2) {
+      return null;
+    }
+    var best = null, bestScore = 0, ambiguous = false;
+    for (var i = 0, l = candidates.length; i < l; ++i) {
+      var types = candidates[i].$paramTypes, score = 0;
+      for (var j = 0; j < args.length; ++j) {
+        var match = matchParameterType(args[j], types[j], argumentTypes && argumentTypes[j]);
+        if (match === 0) {
+          score = 0;
+          break;
+        }
+        score += match;
+      }
+      if (score > bestScore) {
+        best = candidates[i];
+        bestScore = score;
+        ambiguous = false;
+      } else if (score > 0 && score === bestScore) {
+        ambiguous = true;
+      }
+    }
+    return ambiguous ? null : best;
+  }
+
+  function haveSameTypes(fn, other) {
+    var types = fn.$paramTypes, otherTypes = other.$paramTypes;
+    if (!types || !otherTypes) {
+      return !types && !otherTypes;
+    }
+    return types.join() === otherTypes.join();
+  }
+
+  // Overloads with the same number of parameters are kept by the hub function
+  // (see addMethod), when their types are known. replace is set when fn
+  // overrides the overload with the same types.
+  function addTypedOverload(hubfn, fn, replace) {
+    if (!fn.$paramTypes) {
+      return;
+    }
+    var typedOverloads = hubfn.$typedOverloads || (hubfn.$typedOverloads = []);
+    var candidates = typedOverloads[fn.length] || (typedOverloads[fn.length] = []);
+    for (var i = 0, l = candidates.length; i < l; ++i) {
+      if (haveSameTypes(candidates[i], fn)) {
+        if (replace) {
+          candidates[i] = fn;
+        }
+        return;
+      }
+    }
+    candidates.push(fn);
+  }
+
+  // the overloads of a base class method are inherited, unless overridden
+  function inheritTypedOverloads(hubfn, basefn) {
+    var inherited = [basefn], i, l;
+    if ("$overloads" in basefn) {
+      inherited = basefn.$overloads.slice(0);
+      for (i = 0, l = (basefn.$typedOverloads || []).length; i < l; ++i) {
+        inherited = inherited.concat(basefn.$typedOverloads[i] || []);
+      }
+    }
+    for (i = 0, l = inherited.length; i < l; ++i) {
+      if (inherited[i] && hubfn.$overloads[inherited[i].length]) {
+        addTypedOverload(hubfn, hubfn.$overloads[inherited[i].length], false);
+        addTypedOverload(hubfn, inherited[i], false);
+      }
+    }
+  }
+
+  function createHubFunction(name) {
+    var hubfn = function() {
+      var args = arguments, argumentTypes;
+      if (args.length > 0 && args[args.length - 1] instanceof ArgumentTypes) {
+        argumentTypes = args[args.length - 1].types;
+        args = Array.prototype.slice.call(args, 0, -1);
+      }
+      var fn = (hubfn.$typedOverloads && selectOverload(hubfn.$typedOverloads[args.length], args, argumentTypes)) ||
+               hubfn.$overloads[args.length] ||
+               ("$methodArgsIndex" in hubfn && args.length > hubfn.$methodArgsIndex ?
+               hubfn.$overloads[hubfn.$methodArgsIndex] : null) ||
+               hubfn.$defaultOverload;
+      return fn.apply(this, args);
+    };
+    hubfn.name = name;
+    return hubfn;
+  }
+
   /**
    * class overloading, part 1
    */
@@ -46,9 +232,10 @@ module.exports = function(options) {
       // the object method already overloaded (see defaultScope.addMethod)
       // let's just change a fallback method
       fn.$defaultOverload = basefn;
+      inheritTypedOverloads(fn, basefn);
       return;
     }
-    if (!("$overloads" in basefn) && fn.length === basefn.length) {
+    if (!("$overloads" in basefn) && fn.length === basefn.length && haveSameTypes(fn, basefn)) {
       // special case when we just overriding the method
       return;
     }
@@ -64,19 +251,14 @@ module.exports = function(options) {
       overloads[fn.length] = fn;
       defaultOverload = fn;
     }
-    var hubfn = function() {
-      var fn = hubfn.$overloads[arguments.length] ||
-               ("$methodArgsIndex" in hubfn && arguments.length > hubfn.$methodArgsIndex ?
-               hubfn.$overloads[hubfn.$methodArgsIndex] : null) ||
-               hubfn.$defaultOverload;
-      return fn.apply(this, arguments);
-    };
+    var hubfn = createHubFunction(name);
     hubfn.$overloads = overloads;
     if ("$methodArgsIndex" in basefn) {
       hubfn.$methodArgsIndex = basefn.$methodArgsIndex;
     }
     hubfn.$defaultOverload = defaultOverload;
-    hubfn.name = name;
+    inheritTypedOverloads(hubfn, basefn);
+    addTypedOverload(hubfn, fn, true);
     object[name] = hubfn;
   }
 
@@ -143,32 +325,34 @@ module.exports = function(options) {
    * we need a special function to make sure it all links up
    * as classical hierarchical class chains.
    */
-  defaultScope.addMethod = function(object, name, fn, hasMethodArgs) {
+  defaultScope.addMethod = function(object, name, fn, hasMethodArgs, paramTypes) {
+    if (paramTypes) {
+      fn.$paramTypes = paramTypes;
+    }
     var existingfn = object[name];
     if (existingfn || hasMethodArgs) {
       var args = fn.length;
       // builds the overload methods table
       if ("$overloads" in existingfn) {
+        if (existingfn.$overloads[args]) {
+          addTypedOverload(existingfn, existingfn.$overloads[args], false);
+        }
         existingfn.$overloads[args] = fn;
+        addTypedOverload(existingfn, fn, true);
       } else {
-        var hubfn = function() {
-          var fn = hubfn.$overloads[arguments.length] ||
-                   ("$methodArgsIndex" in hubfn && arguments.length > hubfn.$methodArgsIndex ?
-                   hubfn.$overloads[hubfn.$methodArgsIndex] : null) ||
-                   hubfn.$defaultOverload;
-          return fn.apply(this, arguments);
-        };
+        var hubfn = createHubFunction(name);
         var overloads = [];
         if (existingfn) {
           overloads[existingfn.length] = existingfn;
+          addTypedOverload(hubfn, existingfn, false);
         }
         overloads[args] = fn;
+        addTypedOverload(hubfn, fn, true);
         hubfn.$overloads = overloads;
         hubfn.$defaultOverload = existingfn || fn;
         if (hasMethodArgs) {
           hubfn.$methodArgsIndex = args;
         }
-        hubfn.name = name;
         object[name] = hubfn;
       }
     } else {
@@ -187,10 +371,14 @@ module.exports = function(options) {
   /**
    * Java's arrays are pre-filled when declared with
    * an initial size, but no content. JS arrays are not.
+   * The type of struct arrays is the struct class, every
+   * item is a struct of its own. float and double arrays
+   * keep their type, so Arrays.toString() prints "0.0".
    */
   defaultScope.createJavaArray = function(type, bounds) {
     var result = null,
-        defaultValue = null;
+        defaultValue = null,
+        isStructArray = typeof type === "function" && type.$isStruct === true;
     if (typeof type === "string") {
       if (type === "boolean") {
         defaultValue = false;
@@ -204,7 +392,10 @@ module.exports = function(options) {
         result = [];
         result.length = itemsCount;
         for (var i = 0; i < itemsCount; ++i) {
-          result[i] = defaultValue;
+          result[i] = isStructArray ? new type() : defaultValue;
+        }
+        if (type === "float" || type === "double") {
+          Object.defineProperty(result, "$elementType", { value: type });
         }
       } else {
         result = [];
@@ -217,6 +408,434 @@ module.exports = function(options) {
     return result;
   };
 
+  // the methods of the java.util.function interfaces, and of Runnable and
+  // Comparator. Function.apply() and Callable.call() are not among them, the
+  // functions have those already, see __apply() and __call()
+  var functionalMethods = ["run", "compare", "accept", "test", "get",
+    "applyAsInt", "applyAsLong", "applyAsDouble"];
+
+  /**
+   * Makes a lambda callable through the method of any functional interface,
+   * methods are the ones of the functional interfaces of the sketch.
+   */
+  defaultScope.lambda = function(fn, methods) {
+    var names = methods ? functionalMethods.concat(methods) : functionalMethods;
+    for (var i = 0, l = names.length; i < l; ++i) {
+      if (!(names[i] in Function.prototype)) {
+        fn[names[i]] = fn;
+      }
+    }
+    fn.$isLambda = true;
+    return fn;
+  };
+
+  function callMethod(object, name, args) {
+    return object[name].apply(object, args);
+  }
+
+  /**
+   * The lambda a method reference (target::name) stands for. When the target
+   * is a class without a static method of that name, the method is called on
+   * the first argument, as for String::length.
+   */
+  defaultScope.methodReference = function(target, name, methods) {
+    var fn;
+    if (name === "new") {
+      fn = function() {
+        var object = Object.create(target.prototype);
+        target.apply(object, arguments);
+        return object;
+      };
+    } else if (typeof target === "function" && typeof target[name] !== "function") {
+      fn = function(object) {
+        return callMethod(object, name, Array.prototype.slice.call(arguments, 1));
+      };
+    } else {
+      fn = function() {
+        return callMethod(target, name, arguments);
+      };
+    }
+    return defaultScope.lambda(fn, methods);
+  };
+
+  /**
+   * Creates the constants of an enum class, in their declaration order.
+   * Every constant is given as [name, constructorArguments].
+   */
+  defaultScope.defineEnumConstants = function(enumClass, constants) {
+    var values = [];
+    function defineConstant(name, args, ordinal) {
+      var constant = Object.create(enumClass.prototype);
+      enumClass.apply(constant, args);
+      constant.$enumClass = enumClass;
+      constant.$enumName = name;
+      constant.$enumOrdinal = ordinal;
+      // "name" can also be a field of the enum, the field wins
+      if (!constant.hasOwnProperty("name")) {
+        constant.name = function() { return name; };
+      }
+      constant.ordinal = function() { return ordinal; };
+      constant.compareTo = function(other) { return ordinal - other.$enumOrdinal; };
+      if (!constant.hasOwnProperty("toString")) {
+        constant.toString = function() { return name; };
+      }
+      enumClass[name] = constant;
+      values.push(constant);
+    }
+    for (var i = 0, l = constants.length; i < l; ++i) {
+      defineConstant(constants[i][0], constants[i][1], i);
+    }
+    enumClass.$isEnum = true;
+    enumClass.values = function() {
+      return values.slice(0);
+    };
+    enumClass.valueOf = function(name) {
+      for (var i = 0, l = values.length; i < l; ++i) {
+        if (values[i].$enumName === name) {
+          return values[i];
+        }
+      }
+      throw new defaultScope.IllegalArgumentException("No enum constant " + name);
+    };
+  };
+
+  // the enum of the value of the switch whose case labels are evaluated, which
+  // happens right after the value is, and before the statements of any case run
+  var switchedEnum = null;
+
+  /**
+   * The value of a switch, in sketches that declare enums. Its case labels are
+   * the plain names of the constants of the enum it switches on.
+   */
+  defaultScope.enumSwitchValue = function(value) {
+    switchedEnum = value !== null && typeof value === "object" && value.$enumClass ? value.$enumClass : null;
+    return value;
+  };
+
+  // a case label that is a plain name is a constant of the switched enum before
+  // anything else of that name, e.g. LEFT of an enum and not the LEFT key code
+  defaultScope.enumCaseValue = function(name, value) {
+    if (switchedEnum !== null && switchedEnum.hasOwnProperty(name) &&
+        switchedEnum[name] !== null && switchedEnum[name].$enumClass === switchedEnum) {
+      return switchedEnum[name];
+    }
+    return value;
+  };
+
+  ////////////////////////////////////////////////////////////////////////////
+  // Struct helpers
+  ////////////////////////////////////////////////////////////////////////////
+
+  var virtEquals = options.virtEquals,
+      virtHashCode = options.virtHashCode;
+
+  function isStruct(value) {
+    return value !== null && typeof value === "object" &&
+      !!value.constructor && value.constructor.$isStruct === true;
+  }
+
+  // structs are values all the way down: their structs and arrays are copied too
+  function copyStructField(value) {
+    if (isStruct(value)) {
+      return cloneStruct(value);
+    }
+    if (value instanceof Array) {
+      var items = [];
+      for (var i = 0, l = value.length; i < l; ++i) {
+        items.push(copyStructField(value[i]));
+      }
+      return items;
+    }
+    return value;
+  }
+
+  function cloneStruct(struct) {
+    var structClass = struct.constructor, fields = structClass.$fields;
+    var copy = new structClass();
+    for (var i = 0, l = fields.length; i < l; ++i) {
+      copy[fields[i]] = copyStructField(struct[fields[i]]);
+    }
+    return copy;
+  }
+
+  function structFieldEquals(value, other) {
+    if (value instanceof Array && other instanceof Array) {
+      if (value.length !== other.length) {
+        return false;
+      }
+      for (var i = 0, l = value.length; i < l; ++i) {
+        if (!structFieldEquals(value[i], other[i])) {
+          return false;
+        }
+      }
+      return true;
+    }
+    return virtEquals(value, other);
+  }
+
+  function structFieldHashCode(value) {
+    if (value === null || value === undefined) {
+      return 0;
+    }
+    if (value instanceof Array) {
+      var hash = 1;
+      for (var i = 0, l = value.length; i < l; ++i) {
+        hash = (31 * hash + structFieldHashCode(value[i])) | 0;
+      }
+      return hash;
+    }
+    return virtHashCode(value);
+  }
+
+  function structFieldToString(value) {
+    if (value instanceof Array) {
+      var items = [];
+      for (var i = 0, l = value.length; i < l; ++i) {
+        items.push(structFieldToString(value[i]));
+      }
+      return "[" + items.join(", ") + "]";
+    }
+    return "" + value;
+  }
+
+  /**
+   * Gives the class of a struct the methods of a value: equals() and
+   * hashCode() compare the fields, so structs can be the keys of a HashMap,
+   * clone() copies them. Methods of the struct with these names win.
+   */
+  defaultScope.defineStruct = function(structClass, fields, fieldTypes) {
+    var proto = structClass.prototype;
+    structClass.$isStruct = true;
+    structClass.$fields = fields;
+    structClass.$fieldTypes = fieldTypes;
+    proto.clone = function() {
+      return cloneStruct(this);
+    };
+    proto.equals = function(other) {
+      if (!isStruct(other) || other.constructor !== this.constructor) {
+        return false;
+      }
+      for (var i = 0, l = fields.length; i < l; ++i) {
+        if (!structFieldEquals(this[fields[i]], other[fields[i]])) {
+          return false;
+        }
+      }
+      return true;
+    };
+    proto.hashCode = function() {
+      var hash = 1;
+      for (var i = 0, l = fields.length; i < l; ++i) {
+        hash = (31 * hash + structFieldHashCode(this[fields[i]])) | 0;
+      }
+      return hash;
+    };
+    proto.toString = function() {
+      var values = [];
+      for (var i = 0, l = fields.length; i < l; ++i) {
+        values.push(fields[i] + "=" + structFieldToString(this[fields[i]]));
+      }
+      return structClass.name + "[" + values.join(", ") + "]";
+    };
+  };
+
+  /**
+   * Structs are assigned and passed by value, anything else is returned as is.
+   */
+  defaultScope.copyStruct = function(value) {
+    return isStruct(value) ? cloneStruct(value) : value;
+  };
+
+  // the typed arrays that hold the fields of packed struct arrays
+  var packedFieldArrays = {
+    "float": Float32Array,
+    "int": Int32Array,
+    // colors are signed from color() and unsigned from #RRGGBB, both are kept
+    "color": Float64Array,
+    "boolean": Uint8Array
+  };
+
+  /**
+   * An array of structs with primitive fields only, for the packedStructs
+   * directive. Every field is a typed array of its own, and all of them are
+   * in one ArrayBuffer. The parser compiles ps[i].x to ps.x[i], with a check
+   * of i; get() and set() copy whole items, as for the other struct arrays.
+   */
+  function PackedArray(structClass, length) {
+    var fields = structClass.$fields, types = structClass.$fieldTypes;
+    var initial = new structClass(), order = [], byteLength = 0, i, j, l;
+    for (i = 0, l = fields.length; i < l; ++i) {
+      order.push(i);
+      byteLength += length * packedFieldArrays[types[i]].BYTES_PER_ELEMENT;
+    }
+    // the larger items come first, so that every typed array is aligned
+    order.sort(function(a, b) {
+      return packedFieldArrays[types[b]].BYTES_PER_ELEMENT - packedFieldArrays[types[a]].BYTES_PER_ELEMENT;
+    });
+    var buffer = new ArrayBuffer(byteLength), offset = 0;
+    for (i = 0, l = order.length; i < l; ++i) {
+      var field = fields[order[i]], FieldArray = packedFieldArrays[types[order[i]]];
+      var items = new FieldArray(buffer, offset, length), value = +initial[field];
+      if (value !== 0) {
+        for (j = 0; j < length; ++j) {
+          items[j] = value;
+        }
+      }
+      this[field] = items;
+      offset += length * FieldArray.BYTES_PER_ELEMENT;
+    }
+    this.length = length;
+    this.$struct = structClass;
+  }
+
+  // returns the index, the parser compiles ps[i].x to ps.x[ps.$checkIndex(i)]
+  PackedArray.prototype.$checkIndex = function(index) {
+    if (!(index >= 0 && index < this.length)) {
+      throw new defaultScope.ArrayIndexOutOfBoundsException("" + index);
+    }
+    return index;
+  };
+
+  /**
+   * A new packed array of the items from start to end, for subset(), append(),
+   * expand() and shorten(). The items after them, up to length, are new structs.
+   */
+  PackedArray.prototype.$slice = function(start, end, length) {
+    var result = new PackedArray(this.$struct, length === undefined ? end - start : length);
+    var fields = this.$struct.$fields;
+    for (var i = 0, l = fields.length; i < l; ++i) {
+      result[fields[i]].set(this[fields[i]].subarray(start, Math.min(end, start + result.length)));
+    }
+    return result;
+  };
+
+  /**
+   * Copies length items from src to dest, for arrayCopy() and concat(). Either one
+   * can be a packed array, the other an array of structs.
+   */
+  PackedArray.copy = function(src, srcPos, dest, destPos, length) {
+    if (srcPos < 0 || destPos < 0 || length < 0 || srcPos + length > src.length || destPos + length > dest.length) {
+      throw new defaultScope.ArrayIndexOutOfBoundsException("" + (srcPos + length > src.length ? srcPos + length : destPos + length));
+    }
+    var i;
+    if (src instanceof PackedArray && dest instanceof PackedArray && src.$struct === dest.$struct) {
+      var fields = src.$struct.$fields;
+      for (i = 0; i < fields.length; ++i) {
+        dest[fields[i]].set(src[fields[i]].subarray(srcPos, srcPos + length), destPos);
+      }
+      return;
+    }
+    var items = [];
+    for (i = 0; i < length; ++i) {
+      items.push(src instanceof PackedArray ? src.get(srcPos + i) : defaultScope.copyStruct(src[srcPos + i]));
+    }
+    for (i = 0; i < length; ++i) {
+      if (dest instanceof PackedArray) {
+        dest.set(destPos + i, items[i]);
+      } else {
+        dest[destPos + i] = items[i];
+      }
+    }
+  };
+
+  defaultScope.PackedArray = PackedArray;
+
+  PackedArray.prototype.get = function(index) {
+    this.$checkIndex(index);
+    var structClass = this.$struct, fields = structClass.$fields, types = structClass.$fieldTypes;
+    var item = new structClass();
+    for (var i = 0, l = fields.length; i < l; ++i) {
+      var value = this[fields[i]][index];
+      item[fields[i]] = types[i] === "boolean" ? value !== 0 : value;
+    }
+    return item;
+  };
+
+  PackedArray.prototype.set = function(index, item) {
+    this.$checkIndex(index);
+    var fields = this.$struct.$fields;
+    for (var i = 0, l = fields.length; i < l; ++i) {
+      this[fields[i]][index] = item[fields[i]];
+    }
+    return item;
+  };
+
+  PackedArray.prototype.iterator = function() {
+    var array = this, index = 0;
+    return {
+      hasNext: function() {
+        return index < array.length;
+      },
+      next: function() {
+        return array.get(index++);
+      }
+    };
+  };
+
+  defaultScope.createPackedArray = function(structClass, length) {
+    if (length < 0) {
+      throw new defaultScope.NegativeArraySizeException("" + length);
+    }
+    return new PackedArray(structClass, 0 | length);
+  };
+
+  ////////////////////////////////////////////////////////////////////////////
+  // Exception handling helpers
+  ////////////////////////////////////////////////////////////////////////////
+
+  function isInstanceOf(object, type) {
+    if (object === null || typeof object !== "object") {
+      return false;
+    }
+    if (object instanceof type) {
+      return true;
+    }
+    // classes of the sketch only link their base class
+    for (var objectType = object.constructor; objectType; objectType = objectType.$base) {
+      if (objectType === type) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * The Java exception for anything thrown: JavaScript errors and the strings
+   * thrown by Processing.js are runtime exceptions, unless the engine ran out of
+   * stack or memory.
+   */
+  defaultScope.toJavaException = function(error) {
+    if (isInstanceOf(error, defaultScope.Throwable)) {
+      return error;
+    }
+    if (error instanceof Error && /call stack|too much recursion/i.test(error.message)) {
+      return new defaultScope.StackOverflowError(error.message);
+    }
+    if (error instanceof Error && /out of memory|allocation failed/i.test(error.message)) {
+      return new defaultScope.OutOfMemoryError(error.message);
+    }
+    if (error instanceof TypeError && /\b(null|undefined)\b/.test(error.message)) {
+      return new defaultScope.NullPointerException(error.message);
+    }
+    if (error instanceof RangeError && /array length/i.test(error.message)) {
+      return new defaultScope.NegativeArraySizeException(error.message);
+    }
+    return new defaultScope.RuntimeException(error instanceof Error ? error.message : "" + error);
+  };
+
+  /**
+   * Tests if a catch clause for the exception types catches the error. A type
+   * that is not defined, as for the exceptions of Java libraries, catches anything.
+   */
+  defaultScope.isCaught = function(error, types) {
+    var exception = defaultScope.toJavaException(error);
+    for (var i = 0, l = types.length; i < l; ++i) {
+      if (types[i] === undefined || isInstanceOf(exception, types[i])) {
+        return true;
+      }
+    }
+    return false;
+  };
+
   // screenWidth and screenHeight are shared by all instances.
   // and return the width/height of the browser's viewport.
   defaultScope.defineProperty(defaultScope, 'screenWidth',
@@ -29,6 +29,18 @@ module.exports = function finalizeProcessing(Processing, options) {
     }
   };
 
+  /**
+   * Evaluates the compiled sketch code so that browser devtools (and error
+   * stacks) refer to the .pde files through the source map. The code is
+   * evaluated globally, exactly as written, so that its lines match the map.
+   */
+  function evalWithSourceMap(sourceCode, sourceMap) {
+    var globalEval = eval;
+    return globalEval("(" + sourceCode + ")\n" +
+      "//# sourceURL=" + sourceMap.file + "\n" +
+      "//# sourceMappingURL=" + sourceMap.toDataURL() + "\n");
+  }
+
   /**
    * This is the object that acts as our version of PApplet.
    * This can be called as Processing.Sketch() or as
@@ -39,11 +51,13 @@ module.exports = function finalizeProcessing(Processing, options) {
     this.attachFunction = attachFunction;
     this.options = {
       pauseOnBlur: false,
-      globalKeyEvents: false
+      globalKeyEvents: false,
+      packedStructs: false,
+      strictNumerics: false
     };
 
     /* Optional Sketch event hooks:
-     *   onLoad       - parsing/preloading is done, before sketch starts
+     *   onLoad       - parsing/preloading and preload() are done, before sketch starts
      *   onSetup      - setup() has been called, before first draw()
      *   onPause      - noLoop() has been called, pausing draw loop
      *   onLoop       - loop() has been called, resuming draw loop
@@ -74,8 +88,10 @@ module.exports = function finalizeProcessing(Processing, options) {
           return;
         }
 
+        // Without a DOM, loadImage decodes the image when it is called
         if (!isDOMPresent) {
           this.images[href] = null;
+          return;
         }
 
         // No image in the DOM, kick-off a background load
@@ -109,13 +125,40 @@ module.exports = function finalizeProcessing(Processing, options) {
       }
     };
 
+    // The files that the load functions in preload() read in the background. The sketch
+    // starts once they are all there, or have failed. The first error of the callbacks, as
+    // a file that does not parse, is kept and thrown instead of running setup().
+    this.fileCache = {
+      pending: 0,
+      error: undefined,
+      add: function(href, binary, callback) {
+        var owner = this;
+        this.pending++;
+        Processing.fileSystem.fetch(href, binary, function(data) {
+          // the file is pending until the callback has filled the value that preload() returned
+          try {
+            callback(data);
+          } catch (e) {
+            if (owner.error === undefined) {
+              owner.error = e;
+            }
+          } finally {
+            owner.pending--;
+          }
+        });
+      }
+    };
+
     this.sourceCode = undefined;
+    // SourceMap from sourceCode back to the .pde files, set by Processing.compile
+    this.sourceMap = undefined;
     this.attach = function(processing) {
       // either attachFunction or sourceCode must be present on attach
       if(typeof this.attachFunction === "function") {
         this.attachFunction(processing);
       } else if(this.sourceCode) {
-        var func = ((new Function("return (" + this.sourceCode + ");"))());
+        var func = this.sourceMap ? evalWithSourceMap(this.sourceCode, this.sourceMap) :
+          ((new Function("return (" + this.sourceCode + ");"))());
         func(processing);
         this.attachFunction = func;
       } else {
@@ -193,7 +236,10 @@ module.exports = function finalizeProcessing(Processing, options) {
         if (loaded === sourcesCount) {
           if (errors.length === 0) {
             try {
-              return new Processing(canvas, code.join("\n"));
+              var tabs = code.map(function(block, i) {
+                return { name: sources[i], code: block };
+              });
+              return new Processing(canvas, tabs);
             } catch(e) {
               console.log("Processing.js: Unable to execute pjs sketch.");
               throw e;
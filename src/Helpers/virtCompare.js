@@ -0,0 +1,24 @@
+/**
+ * Returns Java compare() result for two objects. If a comparator is given, it
+ * is called, as a lambda or through its "compare" method. Otherwise, if the first
+ * object has the "compareTo" function, it preforms the call of this function, and
+ * numbers, strings, chars and booleans are compared by their natural order.
+ *
+ * @param {Object} obj            The first object.
+ * @param {Object} other          The second object.
+ * @param {Comparator} comparator Optional, the comparator to compare the objects with.
+ *
+ * @returns {int}                 a negative number, zero or a positive number, as the first object is less than, equal to or greater than the second.
+ */
+module.exports = function virtCompare(obj, other, comparator) {
+  if (comparator) {
+    return comparator.compare instanceof Function ? comparator.compare(obj, other) : comparator(obj, other);
+  }
+  if (obj !== null && typeof(obj) === "object" && obj.compareTo instanceof Function) {
+    return obj.compareTo(other);
+  }
+  if (obj < other) {
+    return -1;
+  }
+  return obj > other ? 1 : 0;
+};
@@ -0,0 +1,135 @@
+/**
+ * The methods that the collections have in common, written in terms of their iterator(),
+ * size() and add(), as java.util.AbstractCollection does. A collection calls it first in its
+ * constructor, and defines its own methods after it, replacing the ones it does better.
+ *
+ * @see HashSet
+ * @see PriorityQueue
+ */
+module.exports = function(options) {
+  var virtEquals = options.virtEquals,
+      ObjectIterator = options.ObjectIterator;
+
+  // whether a collection, or an array, has an element
+  function has(c, item) {
+    if (c.contains instanceof Function) {
+      return c.contains(item);
+    }
+    var it = new ObjectIterator(c);
+    while (it.hasNext()) {
+      if (virtEquals(item, it.next())) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  function AbstractCollection() {
+    this.isEmpty = function() {
+      return this.size() === 0;
+    };
+
+    this.contains = function(item) {
+      var it = this.iterator();
+      while (it.hasNext()) {
+        if (virtEquals(item, it.next())) {
+          return true;
+        }
+      }
+      return false;
+    };
+
+    this.containsAll = function(c) {
+      var it = new ObjectIterator(c);
+      while (it.hasNext()) {
+        if (!this.contains(it.next())) {
+          return false;
+        }
+      }
+      return true;
+    };
+
+    /**
+     * Adds all of the elements of a collection, or of an array.
+     *
+     * @returns {boolean} true if the collection changed
+     */
+    this.addAll = function(c) {
+      var it = new ObjectIterator(c), changed = false;
+      while (it.hasNext()) {
+        if (this.add(it.next())) {
+          changed = true;
+        }
+      }
+      return changed;
+    };
+
+    /**
+     * Removes one occurrence of an element.
+     *
+     * @returns {boolean} true if the element was removed
+     */
+    this.remove = function(item) {
+      var it = this.iterator();
+      while (it.hasNext()) {
+        if (virtEquals(item, it.next())) {
+          it.remove();
+          return true;
+        }
+      }
+      return false;
+    };
+
+    this.removeAll = function(c) {
+      var it = this.iterator(), changed = false;
+      while (it.hasNext()) {
+        if (has(c, it.next())) {
+          it.remove();
+          changed = true;
+        }
+      }
+      return changed;
+    };
+
+    this.retainAll = function(c) {
+      var it = this.iterator(), changed = false;
+      while (it.hasNext()) {
+        if (!has(c, it.next())) {
+          it.remove();
+          changed = true;
+        }
+      }
+      return changed;
+    };
+
+    this.clear = function() {
+      var it = this.iterator();
+      while (it.hasNext()) {
+        it.next();
+        it.remove();
+      }
+    };
+
+    this.toArray = function() {
+      var result = [], it = this.iterator();
+      while (it.hasNext()) {
+        result.push(it.next());
+      }
+      return result;
+    };
+
+    // action is a lambda, or an object with an accept() method
+    this.forEach = function(action) {
+      var items = this.toArray();
+      for (var i = 0, l = items.length; i < l; ++i) {
+        action.accept(items[i]);
+      }
+    };
+
+    this.toString = function() {
+      return "[" + this.toArray().map(String).join(", ") + "]";
+    };
+  }
+
+  return AbstractCollection;
+};
@@ -0,0 +1,33 @@
+/**
+* An ArrayDeque is a double-ended queue, with the queue and stack methods of LinkedList.
+* Unlike a LinkedList, it does not hold null elements.
+*
+* @param {int|Collection} c    optional, the initial capacity, which is ignored, or the collection whose elements are copied into the deque
+*
+* @returns {ArrayDeque} new ArrayDeque object
+*/
+module.exports = function(options) {
+  var LinkedList = options.LinkedList,
+      NullPointerException = options.Exceptions.NullPointerException;
+
+  function ArrayDeque(c) {
+    LinkedList.call(this, c);
+
+    var addItem = this.add;
+
+    // every element is added through add(), as add(item) or add(index, item)
+    this.add = function() {
+      if (arguments[arguments.length - 1] === null) {
+        throw new NullPointerException();
+      }
+      addItem.apply(this, arguments);
+      return true;
+    };
+
+    this.clone = function() {
+      return new ArrayDeque(this);
+    };
+  }
+
+  return ArrayDeque;
+};
@@ -93,10 +93,13 @@ module.exports = function(options) {
      *
      * @param {int}    index  optional index at which the specified element is to be inserted
      * @param {Object} object element to be added to the list
+     *
+     * @returns {boolean} true, when the element is added at the end
      */
     this.add = function() {
       if (arguments.length === 1) {
         array.push(arguments[0]); // for add(Object)
+        return true;
       } else if (arguments.length === 2) {
         var arg0 = arguments[0];
         if (typeof arg0 === 'number') {
@@ -237,6 +240,44 @@ module.exports = function(options) {
       return false;
     };
 
+    /**
+     * @member ArrayList
+     * ArrayList.retainAll Removes from this List all of the elements that are not
+     * present in the passed in collection 'c', keeping the order of the others.
+     *
+     * @param {Collection} c the collection whose elements are kept
+     *
+     * @returns {boolean} true if the ArrayList had an element removed; false otherwise
+     */
+    this.retainAll = function(c) {
+      var removed = false;
+      for (var i = array.length - 1; i >= 0; --i) {
+        if (!c.contains(array[i])) {
+          array.splice(i, 1);
+          removed = true;
+        }
+      }
+      return removed;
+    };
+
+    /**
+     * @member ArrayList
+     * ArrayList.containsAll() Returns true if this list contains all of the elements of the collection.
+     *
+     * @param {Collection} c any iterable object, whose elements are looked for
+     *
+     * @returns {boolean} true if all of the elements are present; false otherwise
+     */
+    this.containsAll = function(c) {
+      var it = new ObjectIterator(c);
+      while (it.hasNext()) {
+        if (!this.contains(it.next())) {
+          return false;
+        }
+      }
+      return true;
+    };
+
     /**
      * @member ArrayList
      * ArrayList.isEmpty() Tests if this list has no elements.
@@ -270,6 +311,19 @@ module.exports = function(options) {
     this.iterator = function() {
       return new Iterator(array);
     };
+
+    /**
+     * @member ArrayList
+     * ArrayList.forEach() Performs the given action for each element of this list.
+     *
+     * @param {Consumer} action a lambda, or an object with an accept() method
+     */
+    this.forEach = function(action) {
+      var items = array.slice(0);
+      for (var i = 0, l = items.length; i < l; ++i) {
+        action.accept(items[i]);
+      }
+    };
   }
 
   return ArrayList;
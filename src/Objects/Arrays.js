@@ -0,0 +1,237 @@
+/**
+ * java.util.Arrays, the static methods that sort, search, fill, copy, compare and print
+ * Java arrays, such as the ones createJavaArray() makes. Elements are sorted by a Comparator,
+ * or by their natural order: compareTo() for the objects that have it, and the order of numbers,
+ * with -0.0 before 0.0 and NaN last, and of strings. The sort is stable, so equal elements keep
+ * their order. The numbers of float and double arrays are printed as Java prints them, "1.0".
+ *
+ * @returns {Object} the Arrays class
+ */
+module.exports = function(options, undef) {
+  var virtCompare = options.virtCompare,
+      virtEquals = options.virtEquals,
+      virtHashCode = options.virtHashCode,
+      formatDecimal = options.formatDecimal,
+      compareDecimal = options.compareDecimal,
+      ArrayList = options.ArrayList,
+      ArrayIndexOutOfBoundsException = options.Exceptions.ArrayIndexOutOfBoundsException,
+      IllegalArgumentException = options.Exceptions.IllegalArgumentException;
+
+  function compare(a, b, comparator) {
+    if (!comparator && typeof a === "number" && typeof b === "number") {
+      return compareDecimal(a, b);
+    }
+    return virtCompare(a, b, comparator);
+  }
+
+  function checkRange(array, from, to) {
+    if (from > to) {
+      throw new IllegalArgumentException("fromIndex(" + from + ") > toIndex(" + to + ")");
+    }
+    if (from < 0 || to > array.length) {
+      throw new ArrayIndexOutOfBoundsException(String(from < 0 ? from : to));
+    }
+  }
+
+  // the value that Java fills a new array of the type of these elements with
+  function defaultValue(array) {
+    var type = array.length > 0 ? typeof array[0] : undef;
+    if (type === "number") {
+      return 0;
+    }
+    return type === "boolean" ? false : null;
+  }
+
+  // float and double arrays: the ones createJavaArray() made, and the ones with a number
+  // that an int cannot hold, as 2.5, -0.0 or NaN, since the others do not know their type
+  function isDecimalArray(a) {
+    if (a.$elementType === "float" || a.$elementType === "double") {
+      return true;
+    }
+    for (var i = 0; i < a.length; i++) {
+      if (typeof a[i] === "number" && (a[i] % 1 !== 0 || (a[i] === 0 && 1 / a[i] < 0))) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // the elements as strings, the arrays nested in it by deepToString()
+  function formatElements(a, deep) {
+    var decimal = isDecimalArray(a);
+    return Array.prototype.map.call(a, function(item) {
+      if (deep && item instanceof Array) {
+        return Arrays.deepToString(item);
+      }
+      return decimal && typeof item === "number" ? formatDecimal(item) : String(item);
+    }).join(", ");
+  }
+
+  var Arrays = {
+    /**
+     * Sorts an array, or the elements from fromIndex to toIndex, in place. The sort is stable.
+     *
+     * sort(a), sort(a, comparator), sort(a, fromIndex, toIndex) or sort(a, fromIndex, toIndex, comparator)
+     *
+     * @param {Array} a                optional, the array to sort
+     * @param {int} fromIndex          optional, the first index to sort
+     * @param {int} toIndex            optional, the index after the last one to sort
+     * @param {Comparator} comparator  optional, the comparator of the elements, a lambda or an object with a compare() method
+     */
+    sort: function(a, fromIndex, toIndex, comparator) {
+      if (arguments.length < 3) {
+        comparator = fromIndex;
+        fromIndex = 0;
+        toIndex = a.length;
+      }
+      checkRange(a, fromIndex, toIndex);
+      // the index breaks the ties, which makes the sort stable
+      var items = [], i;
+      for (i = fromIndex; i < toIndex; i++) {
+        items.push({ value: a[i], index: i });
+      }
+      items.sort(function(x, y) {
+        return compare(x.value, y.value, comparator) || x.index - y.index;
+      });
+      for (i = 0; i < items.length; i++) {
+        a[fromIndex + i] = items[i].value;
+      }
+    },
+
+    /**
+     * Searches a sorted array for a key.
+     *
+     * binarySearch(a, key), binarySearch(a, key, comparator) or binarySearch(a, fromIndex, toIndex, key, comparator)
+     *
+     * @returns {int} the index of the key, or -(the index at which it would be inserted) - 1
+     */
+    binarySearch: function(a, fromIndex, toIndex, key, comparator) {
+      if (arguments.length < 4) {
+        comparator = toIndex;
+        key = fromIndex;
+        fromIndex = 0;
+        toIndex = a.length;
+      }
+      var low = fromIndex, high = toIndex - 1, middle, order;
+      while (low <= high) {
+        middle = (low + high) >> 1;
+        order = compare(a[middle], key, comparator);
+        if (order < 0) {
+          low = middle + 1;
+        } else if (order > 0) {
+          high = middle - 1;
+        } else {
+          return middle;
+        }
+      }
+      return -(low + 1);
+    },
+
+    /**
+     * Sets every element of an array, or the elements from fromIndex to toIndex, to a value.
+     *
+     * fill(a, value) or fill(a, fromIndex, toIndex, value)
+     */
+    fill: function(a, fromIndex, toIndex, value) {
+      if (arguments.length === 2) {
+        value = fromIndex;
+        fromIndex = 0;
+        toIndex = a.length;
+      }
+      checkRange(a, fromIndex, toIndex);
+      for (var i = fromIndex; i < toIndex; i++) {
+        a[i] = value;
+      }
+    },
+
+    /**
+     * Copies an array, cut to a length, or padded with 0, false or null as Java pads arrays of the type of its elements.
+     *
+     * @returns {Array} the copy
+     */
+    copyOf: function(original, newLength) {
+      return Arrays.copyOfRange(original, 0, newLength);
+    },
+
+    copyOfRange: function(original, from, to) {
+      if (from > to) {
+        throw new IllegalArgumentException(from + " > " + to);
+      }
+      if (from < 0 || from > original.length) {
+        throw new ArrayIndexOutOfBoundsException(String(from));
+      }
+      var copy = original.slice(from, to), padding = defaultValue(original);
+      while (copy.length < to - from) {
+        copy.push(padding);
+      }
+      if (original.$elementType !== undef) {
+        Object.defineProperty(copy, "$elementType", { value: original.$elementType });
+      }
+      return copy;
+    },
+
+    /**
+     * Returns a list of the elements, given as an array or as separate arguments.
+     * Unlike Java's, the list is a new ArrayList, so changing it does not change the array.
+     *
+     * @returns {ArrayList} the list
+     */
+    asList: function(a) {
+      var list = new ArrayList(),
+          items = arguments.length === 1 && a instanceof Array ? a : arguments;
+      for (var i = 0; i < items.length; i++) {
+        list.add(items[i]);
+      }
+      return list;
+    },
+
+    /**
+     * @returns {String} the elements, as "[1, 2, 3]" or "[1.0, 2.5]", or "null" for a null array
+     */
+    toString: function(a) {
+      if (a === null || a === undef) {
+        return "null";
+      }
+      return "[" + formatElements(a, false) + "]";
+    },
+
+    // as toString(), with the arrays nested in the array printed as arrays
+    deepToString: function(a) {
+      if (a === null || a === undef) {
+        return "null";
+      }
+      return "[" + formatElements(a, true) + "]";
+    },
+
+    /**
+     * @returns {boolean} true if both arrays are null, or have the same length and equal elements
+     */
+    equals: function(a, b) {
+      if (a === null || b === null || a === undef || b === undef) {
+        return (a === null || a === undef) && (b === null || b === undef);
+      }
+      if (a.length !== b.length) {
+        return false;
+      }
+      for (var i = 0; i < a.length; i++) {
+        if (!virtEquals(a[i], b[i])) {
+          return false;
+        }
+      }
+      return true;
+    },
+
+    hashCode: function(a) {
+      if (a === null || a === undef) {
+        return 0;
+      }
+      var hash = 1;
+      for (var i = 0; i < a.length; i++) {
+        hash = (31 * hash + (a[i] === null ? 0 : virtHashCode(a[i]))) & 0xFFFFFFFF;
+      }
+      return hash;
+    }
+  };
+
+  return Arrays;
+};
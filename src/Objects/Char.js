@@ -21,5 +21,83 @@ module.exports = (function(charMap, undef) {
     return this.code;
   };
 
+  // Char is java.lang.Character as well. Its static methods take chars,
+  // strings of one character, or code points.
+
+  function codeOf(ch) {
+    return typeof ch === "string" ? ch.charCodeAt(0) : +ch;
+  }
+
+  function isIn(category) {
+    var pattern = new RegExp("^" + category + "$", "u");
+    return function(ch) {
+      return pattern.test(String.fromCodePoint(codeOf(ch)));
+    };
+  }
+
+  // converts the case of a char, or of a code point, which stays a number
+  function caseConversion(convert) {
+    return function(ch) {
+      var converted = convert.call(String.fromCodePoint(codeOf(ch))),
+          code = converted.length === 1 ? converted.charCodeAt(0) : codeOf(ch);
+      return typeof ch === "number" ? code : new Char(code);
+    };
+  }
+
+  Char.MIN_VALUE = new Char(0);
+  Char.MAX_VALUE = new Char(0xFFFF);
+  Char.MIN_RADIX = 2;
+  Char.MAX_RADIX = 36;
+  Char.SIZE = 16;
+  Char.BYTES = 2;
+
+  Char.isDigit = isIn("\\p{Nd}");
+  Char.isLetter = isIn("\\p{L}");
+  Char.isLetterOrDigit = isIn("[\\p{L}\\p{Nd}]");
+  Char.isAlphabetic = isIn("\\p{Alphabetic}");
+  Char.isUpperCase = isIn("\\p{Uppercase}");
+  Char.isLowerCase = isIn("\\p{Lowercase}");
+  Char.isSpaceChar = isIn("[\\p{Zs}\\p{Zl}\\p{Zp}]");
+  // Java's whitespace has the control characters of whitespace, but not the non-breaking spaces
+  Char.isWhitespace = function(ch) {
+    var code = codeOf(ch);
+    if (code === 0xA0 || code === 0x2007 || code === 0x202F) {
+      return false;
+    }
+    return (code >= 0x09 && code <= 0x0D) || (code >= 0x1C && code <= 0x1F) || Char.isSpaceChar(code);
+  };
+
+  Char.toUpperCase = caseConversion(String.prototype.toUpperCase);
+  Char.toLowerCase = caseConversion(String.prototype.toLowerCase);
+
+  // the value of a digit, or of a letter from a to z, in a radix, or -1 if it is none
+  Char.digit = function(ch, radix) {
+    var value = parseInt(String.fromCharCode(codeOf(ch)), 36);
+    return value < radix ? value : -1;
+  };
+
+  Char.getNumericValue = function(ch) {
+    return Char.digit(ch, Char.MAX_RADIX);
+  };
+
+  // the char of a digit in a radix, or the null char if there is none
+  Char.forDigit = function(digit, radix) {
+    return digit >= 0 && digit < radix ? new Char(digit.toString(radix)) : Char.MIN_VALUE;
+  };
+
+  Char.valueOf = function(ch) {
+    return new Char(codeOf(ch));
+  };
+
+  Char.toString = function(ch) {
+    return String.fromCharCode(codeOf(ch));
+  };
+
+  Char.compare = function(x, y) {
+    return codeOf(x) - codeOf(y);
+  };
+
+  Char.hashCode = codeOf;
+
   return Char;
 }({}));
@@ -0,0 +1,167 @@
+/**
+ * java.util.Collections, the static methods that sort, shuffle, reverse, search and fill lists,
+ * such as ArrayList and LinkedList, and find the least and greatest elements of any collection.
+ * Elements are ordered by a Comparator, or by their natural order, as Arrays orders them, and
+ * the sort is stable.
+ *
+ * @returns {Object} the Collections class
+ */
+module.exports = function(options) {
+  var virtCompare = options.virtCompare,
+      virtEquals = options.virtEquals,
+      ArrayList = options.ArrayList,
+      Arrays = options.Arrays,
+      ObjectIterator = options.ObjectIterator,
+      NoSuchElementException = options.Exceptions.NoSuchElementException;
+
+  // puts the elements of an array back into a list
+  function setAll(list, items) {
+    for (var i = 0; i < items.length; i++) {
+      list.set(i, items[i]);
+    }
+  }
+
+  // the least element of a collection, or the greatest if sign is -1
+  function extreme(c, comparator, sign) {
+    var it = new ObjectIterator(c), result, item;
+    if (!it.hasNext()) {
+      throw new NoSuchElementException();
+    }
+    result = it.next();
+    while (it.hasNext()) {
+      item = it.next();
+      if (sign * virtCompare(item, result, comparator) < 0) {
+        result = item;
+      }
+    }
+    return result;
+  }
+
+  var Collections = {
+    /**
+     * Sorts a list in place. The sort is stable.
+     *
+     * @param {List} list              the list to sort
+     * @param {Comparator} comparator  optional, the comparator of the elements, a lambda or an object with a compare() method
+     */
+    sort: function(list, comparator) {
+      var items = list.toArray();
+      Arrays.sort(items, comparator);
+      setAll(list, items);
+    },
+
+    /**
+     * Puts the elements of a list in a random order.
+     *
+     * @param {List} list       the list to shuffle
+     * @param {Random} random   optional, the Random that picks the order
+     */
+    shuffle: function(list, random) {
+      var items = list.toArray(), i, j, item;
+      for (i = items.length - 1; i > 0; i--) {
+        j = random ? random.nextInt(i + 1) : Math.floor(Math.random() * (i + 1));
+        item = items[i];
+        items[i] = items[j];
+        items[j] = item;
+      }
+      setAll(list, items);
+    },
+
+    reverse: function(list) {
+      setAll(list, list.toArray().reverse());
+    },
+
+    swap: function(list, i, j) {
+      var item = list.get(i);
+      list.set(i, list.get(j));
+      list.set(j, item);
+    },
+
+    /**
+     * @returns {Object} the least element of a collection, by a comparator or by natural order
+     *
+     * @throws NoSuchElementException if the collection is empty
+     */
+    min: function(c, comparator) {
+      return extreme(c, comparator, 1);
+    },
+
+    max: function(c, comparator) {
+      return extreme(c, comparator, -1);
+    },
+
+    /**
+     * Searches a sorted list for a key.
+     *
+     * @returns {int} the index of the key, or -(the index at which it would be inserted) - 1
+     */
+    binarySearch: function(list, key, comparator) {
+      return Arrays.binarySearch(list.toArray(), key, comparator);
+    },
+
+    // the number of elements of a collection that are equal to an object
+    frequency: function(c, o) {
+      var it = new ObjectIterator(c), count = 0;
+      while (it.hasNext()) {
+        if (virtEquals(o, it.next())) {
+          count++;
+        }
+      }
+      return count;
+    },
+
+    // sets every element of a list to an object
+    fill: function(list, o) {
+      for (var i = 0, l = list.size(); i < l; i++) {
+        list.set(i, o);
+      }
+    },
+
+    /**
+     * Adds the elements that follow the collection to it.
+     *
+     * @returns {boolean} true if the collection changed
+     */
+    addAll: function(c) {
+      var changed = false;
+      for (var i = 1; i < arguments.length; i++) {
+        if (c.add(arguments[i]) !== false) {
+          changed = true;
+        }
+      }
+      return changed;
+    },
+
+    // a new list of n copies of an object
+    nCopies: function(n, o) {
+      var list = new ArrayList();
+      for (var i = 0; i < n; i++) {
+        list.add(o);
+      }
+      return list;
+    },
+
+    emptyList: function() {
+      return new ArrayList();
+    },
+
+    singletonList: function(o) {
+      return Collections.nCopies(1, o);
+    },
+
+    /**
+     * Returns a comparator that orders elements the other way around: by their natural order, or by a comparator.
+     *
+     * @returns {Comparator} a function, with a compare() method, as lambdas are
+     */
+    reverseOrder: function(comparator) {
+      var reversed = function(a, b) {
+        return virtCompare(b, a, comparator);
+      };
+      reversed.compare = reversed;
+      return reversed;
+    }
+  };
+
+  return Collections;
+};
@@ -0,0 +1,103 @@
+/**
+ * The Java exception classes sketches throw and catch.
+ *
+ * They can be extended by the classes of a sketch, so their members are set up
+ * by the constructors, as for the classes generated by the parser.
+ *
+ * @param {Object} options  options.log: prints a line to the console of the sketch
+ *
+ * @returns {Object} the exception classes, by name
+ */
+module.exports = function(options) {
+
+  function getClassName(exception) {
+    var type = (exception.$self || exception).constructor;
+    return type.$className || type.name;
+  }
+
+  /**
+   * @param {String} message   optional, the detail message
+   * @param {Throwable} cause  optional, the exception that caused this one
+   */
+  function Throwable(message, cause) {
+    if (arguments.length === 1 && message !== null && typeof message === "object") {
+      cause = message;
+      message = cause.toString();
+    }
+    message = message === undefined ? null : message;
+    cause = cause === undefined ? null : cause;
+
+    this.getMessage = function() {
+      return message;
+    };
+
+    this.getLocalizedMessage = function() {
+      return message;
+    };
+
+    this.getCause = function() {
+      return cause;
+    };
+
+    this.initCause = function(value) {
+      cause = value;
+      return this;
+    };
+
+    this.toString = function() {
+      var name = getClassName(this);
+      return message === null ? name : name + ": " + message;
+    };
+
+    this.printStackTrace = function() {
+      options.log(this.toString());
+      for (var reason = cause; reason !== null; reason = reason.getCause()) {
+        options.log("Caused by: " + reason.toString());
+      }
+    };
+  }
+  Throwable.$className = "java.lang.Throwable";
+
+  var exceptions = { Throwable: Throwable };
+
+  function defineException(name, baseName, packageName) {
+    var base = exceptions[baseName];
+    function JavaException() {
+      base.apply(this, arguments);
+    }
+    JavaException.prototype = Object.create(base.prototype);
+    JavaException.prototype.constructor = JavaException;
+    JavaException.$base = base;
+    JavaException.$className = packageName + "." + name;
+    exceptions[name] = JavaException;
+  }
+
+  defineException("Exception", "Throwable", "java.lang");
+  defineException("RuntimeException", "Exception", "java.lang");
+  defineException("IllegalArgumentException", "RuntimeException", "java.lang");
+  defineException("NumberFormatException", "IllegalArgumentException", "java.lang");
+  defineException("IllegalStateException", "RuntimeException", "java.lang");
+  defineException("ArithmeticException", "RuntimeException", "java.lang");
+  defineException("NullPointerException", "RuntimeException", "java.lang");
+  defineException("ClassCastException", "RuntimeException", "java.lang");
+  defineException("IndexOutOfBoundsException", "RuntimeException", "java.lang");
+  defineException("ArrayIndexOutOfBoundsException", "IndexOutOfBoundsException", "java.lang");
+  defineException("StringIndexOutOfBoundsException", "IndexOutOfBoundsException", "java.lang");
+  defineException("NegativeArraySizeException", "RuntimeException", "java.lang");
+  defineException("UnsupportedOperationException", "RuntimeException", "java.lang");
+  defineException("ConcurrentModificationException", "RuntimeException", "java.util");
+  defineException("NoSuchElementException", "RuntimeException", "java.util");
+  defineException("CloneNotSupportedException", "Exception", "java.lang");
+  defineException("InterruptedException", "Exception", "java.lang");
+  defineException("IOException", "Exception", "java.io");
+  defineException("FileNotFoundException", "IOException", "java.io");
+
+  // errors are the serious problems a sketch is not expected to catch
+  defineException("Error", "Throwable", "java.lang");
+  defineException("AssertionError", "Error", "java.lang");
+  defineException("VirtualMachineError", "Error", "java.lang");
+  defineException("StackOverflowError", "VirtualMachineError", "java.lang");
+  defineException("OutOfMemoryError", "VirtualMachineError", "java.lang");
+
+  return exceptions;
+};
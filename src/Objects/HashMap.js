@@ -25,6 +25,12 @@ module.exports = function(options) {
     if (arguments.length === 1 && arguments[0] instanceof HashMap) {
       return arguments[0].clone();
     }
+    // copies other maps, such as a TreeMap or a LinkedHashMap
+    if (arguments.length === 1 && arguments[0] !== null && typeof arguments[0] === "object") {
+      var copy = new HashMap();
+      copy.putAll(arguments[0]);
+      return copy;
+    }
 
     var initialCapacity = arguments.length > 0 ? arguments[0] : 16;
     var loadFactor = arguments.length > 1 ? arguments[1] : 0.75;
@@ -405,6 +411,15 @@ module.exports = function(options) {
     this.size = function() {
       return count;
     };
+
+    // action is a lambda, or an object with an accept(key, value) method
+    this.forEach = function(action) {
+      var it = this.entrySet().iterator();
+      while (it.hasNext()) {
+        var entry = it.next();
+        action.accept(entry.getKey(), entry.getValue());
+      }
+    };
   }
 
   return HashMap;
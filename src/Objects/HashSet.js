@@ -0,0 +1,85 @@
+/**
+* A HashSet holds elements without duplicates, as the keys of a HashMap, so elements are
+* equal by their equals() and hashCode() methods. LinkedHashSet and TreeSet keep their
+* elements in the keys of other maps.
+*
+* @param {int|Collection} c    optional, the initial capacity, or the collection whose elements are added
+* @param {Map} map             optional, the map that keeps the elements, a new HashMap by default
+*/
+module.exports = function(options) {
+  var virtHashCode = options.virtHashCode,
+      HashMap = options.HashMap,
+      AbstractCollection = options.AbstractCollection;
+
+  function HashSet(c, map) {
+    AbstractCollection.call(this);
+
+    if (!map || !(map.put instanceof Function)) {
+      map = new HashMap();
+    }
+
+    /**
+     * @member HashSet
+     * HashSet.add() Adds an element, unless the set has an equal one already.
+     *
+     * @returns {boolean} true if the element was added
+     */
+    this.add = function(item) {
+      if (map.containsKey(item)) {
+        return false;
+      }
+      map.put(item, true);
+      return true;
+    };
+
+    this.contains = function(item) {
+      return map.containsKey(item);
+    };
+
+    this.remove = function(item) {
+      if (!map.containsKey(item)) {
+        return false;
+      }
+      map.remove(item);
+      return true;
+    };
+
+    this.clear = function() {
+      map.clear();
+    };
+
+    this.size = function() {
+      return map.size();
+    };
+
+    this.isEmpty = function() {
+      return map.isEmpty();
+    };
+
+    this.iterator = function() {
+      return map.keySet().iterator();
+    };
+
+    this.clone = function() {
+      return new this.constructor(this);
+    };
+
+    this.equals = function(o) {
+      return o !== null && o.size instanceof Function && o.size() === this.size() && this.containsAll(o);
+    };
+
+    this.hashCode = function() {
+      var hash = 0, it = this.iterator();
+      while (it.hasNext()) {
+        hash = (hash + virtHashCode(it.next())) & 0xFFFFFFFF;
+      }
+      return hash;
+    };
+
+    if (c !== null && typeof c === "object") {
+      this.addAll(c);
+    }
+  }
+
+  return HashSet;
+};
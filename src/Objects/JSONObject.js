@@ -0,0 +1,378 @@
+/**
+ * JSONObject and JSONArray hold JSON data the way Processing's classes do: values are read with
+ * typed getters, which throw a RuntimeException when a key or an index is missing or has a value
+ * of another type, unless a default is given, and are written with typed setters. JSON null is
+ * held as null, and isNull() tells it.
+ *
+ * @returns {Object} the JSONObject and JSONArray classes, by name
+ *
+ * @see loadJSONObject
+ * @see loadJSONArray
+ */
+module.exports = function(options, undef) {
+  var ArrayList = options.ArrayList,
+      RuntimeException = options.Exceptions.RuntimeException;
+
+  function quote(key) {
+    return JSON.stringify(String(key));
+  }
+
+  // JSON values as their JSONObjects and JSONArrays
+  function wrap(value) {
+    if (value instanceof Array) {
+      var array = new JSONArray();
+      array.values = value.map(wrap);
+      return array;
+    }
+    if (value !== null && typeof value === "object") {
+      var object = new JSONObject();
+      Object.keys(value).forEach(function(key) {
+        object.setValue(key, wrap(value[key]));
+      });
+      return object;
+    }
+    return value;
+  }
+
+  function parse(text, type) {
+    var value;
+    try {
+      value = JSON.parse(text);
+    } catch (e) {
+      throw new RuntimeException("The text is not valid JSON: " + e.message);
+    }
+    if (type === "object" ? (value === null || typeof value !== "object" || value instanceof Array) :
+                            !(value instanceof Array)) {
+      throw new RuntimeException("The text is not a JSON " + type + ".");
+    }
+    return wrap(value);
+  }
+
+  function checkFinite(value) {
+    if (typeof value === "number" && !isFinite(value)) {
+      throw new RuntimeException("JSON does not allow non-finite numbers.");
+    }
+    return value;
+  }
+
+  // JSON text, on one line if indent is -1, or with the nested values indented by indent spaces
+  function format(value, indent, depth) {
+    var newline = indent < 0 ? "" : "\n",
+        inner = new Array(indent < 0 ? 0 : (depth + 1) * indent + 1).join(" "),
+        outer = new Array(indent < 0 ? 0 : depth * indent + 1).join(" "),
+        parts;
+    if (value instanceof JSONArray) {
+      if (value.values.length === 0) {
+        return "[]";
+      }
+      parts = value.values.map(function(item) {
+        return inner + format(item, indent, depth + 1);
+      });
+      return "[" + newline + parts.join("," + newline) + newline + outer + "]";
+    }
+    if (value instanceof JSONObject) {
+      if (value.names.length === 0) {
+        return "{}";
+      }
+      parts = value.names.map(function(key) {
+        return inner + quote(key) + (indent < 0 ? ":" : ": ") + format(value.values[key], indent, depth + 1);
+      });
+      return "{" + newline + parts.join("," + newline) + newline + outer + "}";
+    }
+    return value === null || value === undef ? "null" : JSON.stringify(value);
+  }
+
+  // the typed readers of the values, which say why a value cannot be read
+  var readers = {
+    String: function(value) {
+      return typeof value === "string" ? value : undef;
+    },
+    int: function(value) {
+      var number = typeof value === "number" ? value : typeof value === "string" ? parseFloat(value) : NaN;
+      return isNaN(number) ? undef : (number < 0 ? Math.ceil(number) : Math.floor(number)) | 0;
+    },
+    long: function(value) {
+      var number = typeof value === "number" ? value : typeof value === "string" ? parseFloat(value) : NaN;
+      return isNaN(number) ? undef : (number < 0 ? Math.ceil(number) : Math.floor(number));
+    },
+    float: function(value) {
+      var number = typeof value === "number" ? value : typeof value === "string" ? parseFloat(value) : NaN;
+      return isNaN(number) ? undef : number;
+    },
+    boolean: function(value) {
+      if (typeof value === "boolean") {
+        return value;
+      }
+      if (typeof value === "string" && (/^(true|false)$/i).test(value)) {
+        return value.toLowerCase() === "true";
+      }
+      return undef;
+    },
+    JSONObject: function(value) {
+      return value instanceof JSONObject ? value : undef;
+    },
+    JSONArray: function(value) {
+      return value instanceof JSONArray ? value : undef;
+    }
+  };
+  readers.double = readers.float;
+
+  var typeDescriptions = {
+    String: "a string", int: "a number", long: "a number", float: "a number", double: "a number",
+    boolean: "a Boolean", JSONObject: "a JSONObject", JSONArray: "a JSONArray"
+  };
+
+  // reads the value of name, or returns the default if there is one and the value is missing, null or of another type
+  function read(json, name, type, args) {
+    var hasDefault = args.length > 1, value = json.hasValue(name) ? json.getValue(name) : undef;
+    if (value === undef || value === null) {
+      if (hasDefault) {
+        return args[1];
+      }
+      if (value === undef) {
+        throw new RuntimeException(json.describe(name) + " not found.");
+      }
+      // a null String is null, a null number is an error
+      if (type === "String" || type === "JSONObject" || type === "JSONArray") {
+        return null;
+      }
+    }
+    var result = readers[type](value);
+    if (result === undef) {
+      if (hasDefault) {
+        return args[1];
+      }
+      throw new RuntimeException(json.describe(name) + " is not " + typeDescriptions[type] + ".");
+    }
+    return result;
+  }
+
+  /**
+   * A JSONObject maps String keys to values. The keys keep the order in which they were set.
+   */
+  var JSONObject = function() {
+    this.names = [];
+    // without a prototype, so that a key such as "__proto__" is a key like any other
+    this.values = Object.create(null);
+  };
+
+  /**
+   * A JSONArray holds a list of values.
+   */
+  var JSONArray = function() {
+    this.values = [];
+  };
+
+  // the typed getters and setters of both, as getInt(key) and setInt(key, value)
+  ["String", "int", "long", "float", "double", "boolean", "JSONObject", "JSONArray"].forEach(function(type) {
+    var name = type.charAt(0).toUpperCase() + type.substring(1);
+    JSONObject.prototype["get" + name] = JSONArray.prototype["get" + name] = function(key) {
+      return read(this, key, type, arguments);
+    };
+    JSONObject.prototype["set" + name] = JSONArray.prototype["set" + name] = function(key, value) {
+      this.setValue(key, checkFinite(value));
+      return this;
+    };
+  });
+
+  /**
+   * @member JSONObject
+   * The parse() function replaces the content of the object with that of a JSON text
+   *
+   * @param {String} text   the JSON text of an object
+   *
+   * @return {JSONObject} this object
+   *
+   * @throws RuntimeException if the text is not the JSON of an object
+   */
+  JSONObject.prototype.parse = function(text) {
+    var parsed = parse(text, "object");
+    this.names = parsed.names;
+    this.values = parsed.values;
+    return this;
+  };
+
+  JSONObject.prototype.hasValue = function(key) {
+    return Object.prototype.hasOwnProperty.call(this.values, key);
+  };
+
+  JSONObject.prototype.getValue = function(key) {
+    return this.values[key];
+  };
+
+  JSONObject.prototype.setValue = function(key, value) {
+    key = String(key);
+    if (!this.hasValue(key)) {
+      this.names.push(key);
+    }
+    this.values[key] = value === undef ? null : value;
+  };
+
+  JSONObject.prototype.describe = function(key) {
+    return "JSONObject[" + quote(key) + "]";
+  };
+
+  JSONObject.prototype.size = function() {
+    return this.names.length;
+  };
+
+  JSONObject.prototype.hasKey = JSONObject.prototype.hasValue;
+
+  /**
+   * @member JSONObject
+   * The keys() function returns the keys of the object, in the order in which they were set
+   *
+   * @return {ArrayList} the keys
+   */
+  JSONObject.prototype.keys = function() {
+    var keys = new ArrayList();
+    for (var i = 0; i < this.names.length; i++) {
+      keys.add(this.names[i]);
+    }
+    return keys;
+  };
+
+  /**
+   * @member JSONObject
+   * The isNull() function tells whether the value of a key is JSON null
+   *
+   * @return {boolean} true if the value is null, false if it is not or if there is no such key
+   */
+  JSONObject.prototype.isNull = function(key) {
+    return this.hasValue(key) && this.values[key] === null;
+  };
+
+  JSONObject.prototype.setNull = function(key) {
+    this.setValue(key, null);
+    return this;
+  };
+
+  /**
+   * @member JSONObject
+   * The remove() function removes a key and its value
+   *
+   * @return {Object} the value, or null if there was no such key
+   */
+  JSONObject.prototype.remove = function(key) {
+    if (!this.hasValue(key)) {
+      return null;
+    }
+    var value = this.values[key];
+    delete this.values[key];
+    this.names.splice(this.names.indexOf(String(key)), 1);
+    return value;
+  };
+
+  /**
+   * @member JSONObject
+   * The format() function returns the JSON text of the object
+   *
+   * @param {int} indent   the number of spaces to indent nested values with, or -1 for a single line
+   *
+   * @return {String} the JSON text
+   */
+  JSONObject.prototype.format = function(indent) {
+    return format(this, indent, 0);
+  };
+
+  JSONObject.prototype.toString = function() {
+    return format(this, 2, 0);
+  };
+
+  /**
+   * @member JSONArray
+   * The parse() function replaces the content of the array with that of a JSON text
+   *
+   * @param {String} text   the JSON text of an array
+   *
+   * @return {JSONArray} this array
+   *
+   * @throws RuntimeException if the text is not the JSON of an array
+   */
+  JSONArray.prototype.parse = function(text) {
+    this.values = parse(text, "array").values;
+    return this;
+  };
+
+  JSONArray.prototype.hasValue = function(index) {
+    return index >= 0 && index < this.values.length;
+  };
+
+  JSONArray.prototype.getValue = function(index) {
+    return this.values[index];
+  };
+
+  // setting beyond the end pads the array with nulls
+  JSONArray.prototype.setValue = function(index, value) {
+    if (index < 0) {
+      throw new RuntimeException(this.describe(index) + " not found.");
+    }
+    while (this.values.length < index) {
+      this.values.push(null);
+    }
+    this.values[index] = value === undef ? null : value;
+  };
+
+  JSONArray.prototype.describe = function(index) {
+    return "JSONArray[" + index + "]";
+  };
+
+  JSONArray.prototype.size = function() {
+    return this.values.length;
+  };
+
+  /**
+   * @member JSONArray
+   * The append() function adds a value at the end of the array
+   *
+   * @param {String|int|float|boolean|JSONObject|JSONArray} value   the value to add
+   *
+   * @return {JSONArray} this array
+   */
+  JSONArray.prototype.append = function(value) {
+    this.values.push(value === undef ? null : checkFinite(value));
+    return this;
+  };
+
+  JSONArray.prototype.isNull = function(index) {
+    return this.hasValue(index) && this.values[index] === null;
+  };
+
+  JSONArray.prototype.setNull = function(index) {
+    this.setValue(index, null);
+    return this;
+  };
+
+  /**
+   * @member JSONArray
+   * The remove() function removes the value at an index, and moves the values after it down
+   *
+   * @return {Object} the value
+   */
+  JSONArray.prototype.remove = function(index) {
+    if (!this.hasValue(index)) {
+      throw new RuntimeException(this.describe(index) + " not found.");
+    }
+    return this.values.splice(index, 1)[0];
+  };
+
+  // the values as an array of one type, as getIntArray()
+  ["String", "int", "long", "float", "double", "boolean"].forEach(function(type) {
+    var name = type.charAt(0).toUpperCase() + type.substring(1);
+    JSONArray.prototype["get" + name + "Array"] = function() {
+      var values = [];
+      for (var i = 0; i < this.values.length; i++) {
+        values.push(read(this, i, type, [i]));
+      }
+      return values;
+    };
+  });
+
+  JSONArray.prototype.format = JSONObject.prototype.format;
+  JSONArray.prototype.toString = JSONObject.prototype.toString;
+
+  return {
+    JSONObject: JSONObject,
+    JSONArray: JSONArray
+  };
+};
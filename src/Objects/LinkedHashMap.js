@@ -0,0 +1,215 @@
+/**
+* A LinkedHashMap is a HashMap whose keys, values and entries are iterated in the order in
+* which the keys were first put, or, when it is made with accessOrder true, in the order in
+* which they were last put or got, from the least recently used one. A sketch that extends it
+* can override removeEldestEntry(), to make it a cache of a fixed size.
+*
+* @param {int|Map} initialCapacity     optional, the initial capacity of the map, or the map whose mappings are copied
+* @param {float} loadFactor            optional, the load factor of the map
+* @param {boolean} accessOrder         optional, true to order the keys by access instead of insertion
+*/
+module.exports = function(options) {
+  var virtEquals = options.virtEquals,
+      virtHashCode = options.virtHashCode,
+      HashMap = options.HashMap,
+      AbstractCollection = options.AbstractCollection;
+
+  function LinkedHashMap(initialCapacity, loadFactor, accessOrder) {
+    var map = new HashMap(),
+        keys = [],
+        linkedHashMap = this;
+
+    function indexOf(key) {
+      for (var i = 0, l = keys.length; i < l; ++i) {
+        if (virtEquals(keys[i], key)) {
+          return i;
+        }
+      }
+      return -1;
+    }
+
+    // moves a key to the end, as the most recently used
+    function touch(key) {
+      keys.splice(indexOf(key), 1);
+      keys.push(key);
+    }
+
+    function Entry(key) {
+      this.getKey = function() {
+        return key;
+      };
+
+      this.getValue = function() {
+        return map.get(key);
+      };
+
+      this.setValue = function(value) {
+        return map.put(key, value);
+      };
+
+      this.equals = function(o) {
+        return virtEquals(key, o.getKey());
+      };
+
+      this.hashCode = function() {
+        return virtHashCode(key);
+      };
+
+      this.toString = function() {
+        return key + "=" + map.get(key);
+      };
+    }
+
+    // a view of the map, in the order of its keys
+    function View(conversion, isIn) {
+      AbstractCollection.call(this);
+
+      this.size = function() {
+        return keys.length;
+      };
+
+      this.contains = isIn;
+
+      this.iterator = function() {
+        var index = -1;
+        return {
+          hasNext: function() {
+            return index + 1 < keys.length;
+          },
+          next: function() {
+            return conversion(keys[++index]);
+          },
+          remove: function() {
+            linkedHashMap.remove(keys[index--]);
+          }
+        };
+      };
+
+      this.clear = function() {
+        linkedHashMap.clear();
+      };
+    }
+
+    this.clear = function() {
+      map.clear();
+      keys.length = 0;
+    };
+
+    this.clone = function() {
+      var copy = new LinkedHashMap(16, 0.75, accessOrder);
+      copy.putAll(this);
+      return copy;
+    };
+
+    this.containsKey = function(key) {
+      return map.containsKey(key);
+    };
+
+    this.containsValue = function(value) {
+      return map.containsValue(value);
+    };
+
+    this.entrySet = function() {
+      return new View(function(key) {
+        return new Entry(key);
+      }, function(entry) {
+        return entry instanceof Entry && map.containsKey(entry.getKey());
+      });
+    };
+
+    this.keySet = function() {
+      return new View(function(key) {
+        return key;
+      }, function(key) {
+        return map.containsKey(key);
+      });
+    };
+
+    this.values = function() {
+      return new View(function(key) {
+        return map.get(key);
+      }, function(value) {
+        return map.containsValue(value);
+      });
+    };
+
+    this.get = function(key) {
+      if (accessOrder && map.containsKey(key)) {
+        touch(key);
+      }
+      return map.get(key);
+    };
+
+    this.isEmpty = function() {
+      return keys.length === 0;
+    };
+
+    this.put = function(key, value) {
+      if (map.containsKey(key)) {
+        if (accessOrder) {
+          touch(key);
+        }
+        return map.put(key, value);
+      }
+      map.put(key, value);
+      keys.push(key);
+      // the class of a sketch that extends this one may override it
+      if ((this.$self || this).removeEldestEntry(new Entry(keys[0]))) {
+        this.remove(keys[0]);
+      }
+      return null;
+    };
+
+    this.putAll = function(m) {
+      var it = m.entrySet().iterator();
+      while (it.hasNext()) {
+        var entry = it.next();
+        this.put(entry.getKey(), entry.getValue());
+      }
+    };
+
+    this.remove = function(key) {
+      if (!map.containsKey(key)) {
+        return null;
+      }
+      keys.splice(indexOf(key), 1);
+      return map.remove(key);
+    };
+
+    /**
+     * @member LinkedHashMap
+     * LinkedHashMap.removeEldestEntry() Tells, after a new key is put, whether the eldest entry should be removed.
+     *
+     * @param {Entry} eldest the entry of the least recently put, or used, key
+     *
+     * @returns {boolean} false, unless a sketch overrides it
+     */
+    this.removeEldestEntry = function(eldest) {
+      return false;
+    };
+
+    this.size = function() {
+      return keys.length;
+    };
+
+    // action is a lambda, or an object with an accept(key, value) method
+    this.forEach = function(action) {
+      var items = keys.slice(0);
+      for (var i = 0, l = items.length; i < l; ++i) {
+        action.accept(items[i], map.get(items[i]));
+      }
+    };
+
+    this.toString = function() {
+      return "{" + keys.map(function(key) {
+        return key + "=" + map.get(key);
+      }).join(", ") + "}";
+    };
+
+    if (initialCapacity !== null && typeof initialCapacity === "object") {
+      this.putAll(initialCapacity);
+    }
+  }
+
+  return LinkedHashMap;
+};
@@ -0,0 +1,15 @@
+/**
+* A LinkedHashSet is a HashSet whose elements are iterated in the order in which they were added.
+*
+* @param {int|Collection} c    optional, the initial capacity, or the collection whose elements are added
+*/
+module.exports = function(options) {
+  var HashSet = options.HashSet,
+      LinkedHashMap = options.LinkedHashMap;
+
+  function LinkedHashSet(c) {
+    HashSet.call(this, c, new LinkedHashMap());
+  }
+
+  return LinkedHashSet;
+};
@@ -0,0 +1,162 @@
+/**
+* A LinkedList is an ArrayList that is also a double-ended queue: elements can be added,
+* looked at and removed at both ends, so it serves as a queue (offer, poll, peek) and as a
+* stack (push, pop).
+*
+* @param {Collection} c    optional, the collection whose elements are copied into the list
+*
+* @returns {LinkedList} new LinkedList object
+*/
+module.exports = function(options) {
+  var ArrayList = options.ArrayList,
+      NoSuchElementException = options.Exceptions.NoSuchElementException;
+
+  function LinkedList(c) {
+    ArrayList.call(this, c);
+
+    var removeItem = this.remove;
+
+    function checkNotEmpty(list) {
+      if (list.isEmpty()) {
+        throw new NoSuchElementException();
+      }
+    }
+
+    this.addFirst = function(item) {
+      this.add(0, item);
+    };
+
+    this.addLast = function(item) {
+      this.add(item);
+    };
+
+    this.offerFirst = function(item) {
+      this.addFirst(item);
+      return true;
+    };
+
+    this.offerLast = function(item) {
+      this.addLast(item);
+      return true;
+    };
+
+    this.offer = this.offerLast;
+
+    this.push = this.addFirst;
+
+    /**
+     * @member LinkedList
+     * LinkedList.getFirst() Returns the first element of this list.
+     *
+     * @throws NoSuchElementException if this list is empty
+     */
+    this.getFirst = function() {
+      checkNotEmpty(this);
+      return this.get(0);
+    };
+
+    this.getLast = function() {
+      checkNotEmpty(this);
+      return this.get(this.size() - 1);
+    };
+
+    this.element = this.getFirst;
+
+    /**
+     * @member LinkedList
+     * LinkedList.peekFirst() Returns the first element of this list, or null if this list is empty.
+     */
+    this.peekFirst = function() {
+      return this.isEmpty() ? null : this.get(0);
+    };
+
+    this.peekLast = function() {
+      return this.isEmpty() ? null : this.get(this.size() - 1);
+    };
+
+    this.peek = this.peekFirst;
+
+    /**
+     * @member LinkedList
+     * LinkedList.removeFirst() Removes and returns the first element of this list.
+     *
+     * @throws NoSuchElementException if this list is empty
+     */
+    this.removeFirst = function() {
+      checkNotEmpty(this);
+      return removeItem.call(this, 0);
+    };
+
+    this.removeLast = function() {
+      checkNotEmpty(this);
+      return removeItem.call(this, this.size() - 1);
+    };
+
+    this.pop = this.removeFirst;
+
+    /**
+     * @member LinkedList
+     * LinkedList.pollFirst() Removes and returns the first element of this list, or returns null if this list is empty.
+     */
+    this.pollFirst = function() {
+      return this.isEmpty() ? null : removeItem.call(this, 0);
+    };
+
+    this.pollLast = function() {
+      return this.isEmpty() ? null : removeItem.call(this, this.size() - 1);
+    };
+
+    this.poll = this.pollFirst;
+
+    /**
+     * @member LinkedList
+     * LinkedList.remove() Removes the first element of this list without an argument, or else
+     * removes an element as ArrayList.remove() does.
+     */
+    this.remove = function(item) {
+      return arguments.length === 0 ? this.removeFirst() : removeItem.call(this, item);
+    };
+
+    this.removeFirstOccurrence = function(item) {
+      var index = this.indexOf(item);
+      if (index > -1) {
+        removeItem.call(this, index);
+      }
+      return index > -1;
+    };
+
+    this.removeLastOccurrence = function(item) {
+      var index = this.lastIndexOf(item);
+      if (index > -1) {
+        removeItem.call(this, index);
+      }
+      return index > -1;
+    };
+
+    // iterates from the last element to the first, and can remove the element it returned last
+    this.descendingIterator = function() {
+      var list = this, index = this.size();
+      return {
+        hasNext: function() {
+          return index > 0;
+        },
+        next: function() {
+          return list.get(--index);
+        },
+        remove: function() {
+          removeItem.call(list, index);
+        }
+      };
+    };
+
+    this.clone = function() {
+      return new LinkedList(this);
+    };
+
+    this.toString = function() {
+      return "[" + this.toArray().map(String).join(", ") + "]";
+    };
+  }
+
+  return LinkedList;
+};
@@ -0,0 +1,191 @@
+/**
+* A PriorityQueue is a queue whose head is always its least element, by a Comparator or by the
+* natural order of the elements: compareTo() for the objects that have it, and the order of
+* numbers and strings. Its elements are kept in a binary heap, so the other elements are not
+* iterated in order. It does not hold null elements.
+*
+* @param {int|Comparator|Collection} initialCapacity   optional, the initial capacity, which is ignored, the comparator, or the collection whose elements are added
+* @param {Comparator} comparator                        optional, the comparator, after the initial capacity
+*/
+module.exports = function(options) {
+  var virtCompare = options.virtCompare,
+      virtEquals = options.virtEquals,
+      AbstractCollection = options.AbstractCollection,
+      NoSuchElementException = options.Exceptions.NoSuchElementException,
+      NullPointerException = options.Exceptions.NullPointerException;
+
+  function PriorityQueue(initialCapacity, comparator) {
+    AbstractCollection.call(this);
+
+    var heap = [],
+        queue = this,
+        c = null;
+
+    if (typeof initialCapacity !== "number") {
+      if (initialCapacity !== null && typeof initialCapacity === "object" &&
+          (initialCapacity instanceof Array || initialCapacity.iterator instanceof Function)) {
+        c = initialCapacity;
+        comparator = c.comparator instanceof Function ? c.comparator() : null;
+      } else {
+        comparator = initialCapacity;
+      }
+    }
+    comparator = comparator || null;
+
+    function less(i, j) {
+      return virtCompare(heap[i], heap[j], comparator) < 0;
+    }
+
+    function swap(i, j) {
+      var item = heap[i];
+      heap[i] = heap[j];
+      heap[j] = item;
+    }
+
+    function siftUp(i) {
+      var parent;
+      while (i > 0) {
+        parent = (i - 1) >> 1;
+        if (!less(i, parent)) {
+          return;
+        }
+        swap(i, parent);
+        i = parent;
+      }
+    }
+
+    function siftDown(i) {
+      var child;
+      while ((child = 2 * i + 1) < heap.length) {
+        if (child + 1 < heap.length && less(child + 1, child)) {
+          child++;
+        }
+        if (!less(child, i)) {
+          return;
+        }
+        swap(i, child);
+        i = child;
+      }
+    }
+
+    function removeAt(i) {
+      var item = heap[i], last = heap.pop();
+      if (i < heap.length) {
+        heap[i] = last;
+        siftDown(i);
+        siftUp(i);
+      }
+      return item;
+    }
+
+    /**
+     * @member PriorityQueue
+     * PriorityQueue.add() Adds an element to the queue. offer() does the same.
+     *
+     * @returns {boolean} true
+     *
+     * @throws NullPointerException if the element is null
+     */
+    this.add = function(item) {
+      if (item === null || item === undefined) {
+        throw new NullPointerException();
+      }
+      heap.push(item);
+      siftUp(heap.length - 1);
+      return true;
+    };
+
+    this.offer = this.add;
+
+    /**
+     * @member PriorityQueue
+     * PriorityQueue.peek() Returns the least element, or null if the queue is empty.
+     */
+    this.peek = function() {
+      return heap.length === 0 ? null : heap[0];
+    };
+
+    /**
+     * @member PriorityQueue
+     * PriorityQueue.poll() Removes and returns the least element, or returns null if the queue is empty.
+     */
+    this.poll = function() {
+      return heap.length === 0 ? null : removeAt(0);
+    };
+
+    this.element = function() {
+      if (heap.length === 0) {
+        throw new NoSuchElementException();
+      }
+      return heap[0];
+    };
+
+    /**
+     * @member PriorityQueue
+     * PriorityQueue.remove() Removes and returns the least element without an argument, or removes
+     * one occurrence of an element and tells whether it was there.
+     *
+     * @throws NoSuchElementException if there is no argument and the queue is empty
+     */
+    this.remove = function(item) {
+      if (arguments.length === 0) {
+        if (heap.length === 0) {
+          throw new NoSuchElementException();
+        }
+        return removeAt(0);
+      }
+      for (var i = 0, l = heap.length; i < l; ++i) {
+        if (virtEquals(item, heap[i])) {
+          removeAt(i);
+          return true;
+        }
+      }
+      return false;
+    };
+
+    this.size = function() {
+      return heap.length;
+    };
+
+    this.clear = function() {
+      heap.length = 0;
+    };
+
+    this.comparator = function() {
+      return comparator;
+    };
+
+    // iterates over the elements as they were when it was made, in no particular order
+    this.iterator = function() {
+      var items = heap.slice(0), index = -1;
+      return {
+        hasNext: function() {
+          return index + 1 < items.length;
+        },
+        next: function() {
+          return items[++index];
+        },
+        remove: function() {
+          var i = heap.indexOf(items[index]);
+          if (i > -1) {
+            removeAt(i);
+          }
+        }
+      };
+    };
+
+    this.toArray = function() {
+      return heap.slice(0);
+    };
+
+    this.clone = function() {
+      return new PriorityQueue(queue);
+    };
+
+    if (c !== null) {
+      this.addAll(c);
+    }
+  }
+
+  return PriorityQueue;
+};
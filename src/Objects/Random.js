@@ -0,0 +1,121 @@
+/**
+ * java.util.Random: the 48-bit linear congruential generator of Java, so seeded
+ * sketches produce the same numbers as they do in desktop Processing.
+ *
+ * The 48-bit seed does not fit the integer precision of doubles once multiplied,
+ * so it is kept as two 24-bit halves.
+ *
+ * @param {Object} options  options.Exceptions: the Java exception classes
+ *
+ * @returns {Function} the Random class
+ */
+module.exports = function(options, undef) {
+  var IllegalArgumentException = options.Exceptions.IllegalArgumentException;
+
+  var TWO_24 = 0x1000000, TWO_48 = TWO_24 * TWO_24;
+  // the multiplier 0x5DEECE66D, in 24-bit halves
+  var MULTIPLIER_HIGH = 0x5DE, MULTIPLIER_LOW = 0xECE66D, ADDEND = 0xB;
+
+  /**
+   * @param {long} seed   optional, the initial seed
+   */
+  function Random(seed) {
+    var seedHigh, seedLow, haveNextNextGaussian = false, nextNextGaussian;
+
+    /**
+     * Sets the seed as Java does: scrambled with the multiplier, only the low 48 bits count.
+     *
+     * @param {long} value   the new seed
+     */
+    this.setSeed = function(value) {
+      value = Math.floor(value) % TWO_48;
+      if (value < 0) {
+        value += TWO_48;
+      }
+      seedHigh = (Math.floor(value / TWO_24) ^ MULTIPLIER_HIGH) & 0xFFFFFF;
+      seedLow = (value % TWO_24 ^ MULTIPLIER_LOW) & 0xFFFFFF;
+      haveNextNextGaussian = false;
+    };
+
+    /**
+     * Advances the seed and returns its top bits as an int.
+     *
+     * @param {int} bits   the number of bits, 1 to 32
+     */
+    this.next = function(bits) {
+      var low = seedLow * MULTIPLIER_LOW + ADDEND;
+      var carry = Math.floor(low / TWO_24);
+      seedHigh = (seedHigh * MULTIPLIER_LOW + seedLow * MULTIPLIER_HIGH + carry) % TWO_24;
+      seedLow = low % TWO_24;
+      return Math.floor((seedHigh * TWO_24 + seedLow) / Math.pow(2, 48 - bits)) | 0;
+    };
+
+    /**
+     * @param {int} bound   optional, the upper bound (exclusive)
+     *
+     * @returns {int} any int, or an int from 0 up to bound
+     */
+    this.nextInt = function(bound) {
+      if (bound === undef) {
+        return this.next(32);
+      }
+      if (bound <= 0) {
+        throw new IllegalArgumentException("bound must be positive");
+      }
+      if ((bound & -bound) === bound) {
+        // a power of 2: the high bits are the more random ones
+        return Math.floor(this.next(31) / (0x80000000 / bound));
+      }
+      var bits, value;
+      do {
+        bits = this.next(31);
+        value = bits % bound;
+      } while (((bits - value + (bound - 1)) | 0) < 0);
+      return value;
+    };
+
+    this.nextBoolean = function() {
+      return this.next(1) !== 0;
+    };
+
+    /**
+     * @returns {float} from 0 up to 1, with the 24 bits of precision of a float
+     */
+    this.nextFloat = function() {
+      return this.next(24) / TWO_24;
+    };
+
+    /**
+     * @returns {double} from 0 up to 1
+     */
+    this.nextDouble = function() {
+      return (this.next(26) * 0x8000000 + this.next(27)) / 0x20000000000000;
+    };
+
+    /**
+     * @returns {double} normally distributed, with mean 0 and standard deviation 1
+     */
+    this.nextGaussian = function() {
+      if (haveNextNextGaussian) {
+        haveNextNextGaussian = false;
+        return nextNextGaussian;
+      }
+      var v1, v2, s;
+      do {
+        v1 = 2 * this.nextDouble() - 1; // between -1.0 and 1.0
+        v2 = 2 * this.nextDouble() - 1; // between -1.0 and 1.0
+        s = v1 * v1 + v2 * v2;
+      } while (s >= 1 || s === 0);
+
+      var multiplier = Math.sqrt(-2 * Math.log(s) / s);
+      nextNextGaussian = v2 * multiplier;
+      haveNextNextGaussian = true;
+      return v1 * multiplier;
+    };
+
+    this.setSeed(seed === undef ? Math.floor(Math.random() * TWO_48) : seed);
+  }
+  Random.$className = "java.util.Random";
+
+  return Random;
+};
@@ -0,0 +1,108 @@
+/**
+ * RawRecorder collects the triangles, lines and points that beginRaw() captures, and writes
+ * them as a Wavefront OBJ or an ASCII DXF file. Vertices that are at the same place are shared,
+ * so that the faces of a shape make up one mesh.
+ *
+ * @see beginRaw
+ * @see endRaw
+ */
+module.exports = function(options, undef) {
+
+  // coordinates with four decimals at most
+  function num(value) {
+    var rounded = Math.round(value * 10000) / 10000;
+    return rounded === 0 ? "0" : String(rounded);
+  }
+
+  var RawRecorder = function() {
+    this.vertices = [];
+    this.vertexIndices = {};
+    this.triangles = [];
+    this.lines = [];
+    this.points = [];
+  };
+
+  /**
+   * @returns {int} the index of the vertex at x, y, z
+   */
+  RawRecorder.prototype.vertex = function(x, y, z) {
+    var key = num(x) + " " + num(y) + " " + num(z);
+    if (!this.vertexIndices.hasOwnProperty(key)) {
+      this.vertexIndices[key] = this.vertices.length;
+      this.vertices.push([x, y, z]);
+    }
+    return this.vertexIndices[key];
+  };
+
+  RawRecorder.prototype.triangle = function(a, b, c) {
+    var vertices = this.vertices, pa = vertices[a], pb = vertices[b], pc = vertices[c],
+        ux = pb[0] - pa[0], uy = pb[1] - pa[1], uz = pb[2] - pa[2],
+        vx = pc[0] - pa[0], vy = pc[1] - pa[1], vz = pc[2] - pa[2];
+    // triangles without an area, as the ones that stitch triangle strips, are left out
+    if (uy * vz - uz * vy === 0 && uz * vx - ux * vz === 0 && ux * vy - uy * vx === 0) {
+      return;
+    }
+    this.triangles.push([a, b, c]);
+  };
+
+  RawRecorder.prototype.line = function(a, b) {
+    if (a !== b) {
+      this.lines.push([a, b]);
+    }
+  };
+
+  RawRecorder.prototype.point = function(a) {
+    this.points.push(a);
+  };
+
+  /**
+   * @returns {String} the geometry as a Wavefront OBJ file
+   */
+  RawRecorder.prototype.toOBJ = function() {
+    var obj = "# Processing.js raw recording\n", i;
+    function indices(list) {
+      return list.map(function(index) { return index + 1; }).join(" ");
+    }
+    for (i = 0; i < this.vertices.length; i++) {
+      obj += "v " + this.vertices[i].map(num).join(" ") + "\n";
+    }
+    for (i = 0; i < this.triangles.length; i++) {
+      obj += "f " + indices(this.triangles[i]) + "\n";
+    }
+    for (i = 0; i < this.lines.length; i++) {
+      obj += "l " + indices(this.lines[i]) + "\n";
+    }
+    if (this.points.length > 0) {
+      obj += "p " + indices(this.points) + "\n";
+    }
+    return obj;
+  };
+
+  /**
+   * @returns {String} the geometry as an ASCII DXF file: 3DFACE, LINE and POINT entities on layer 0
+   */
+  RawRecorder.prototype.toDXF = function() {
+    var lines = ["0", "SECTION", "2", "ENTITIES"], vertices = this.vertices, i, j;
+    function entity(type, points) {
+      lines.push("0", type, "8", "0");
+      for (var k = 0; k < points.length; k++) {
+        var vertex = vertices[points[k]];
+        lines.push("1" + k, num(vertex[0]), "2" + k, num(vertex[1]), "3" + k, num(vertex[2]));
+      }
+    }
+    for (i = 0; i < this.triangles.length; i++) {
+      // a triangle is a face whose fourth corner is its third one
+      entity("3DFACE", this.triangles[i].concat(this.triangles[i][2]));
+    }
+    for (i = 0; i < this.lines.length; i++) {
+      entity("LINE", this.lines[i]);
+    }
+    for (j = 0; j < this.points.length; j++) {
+      entity("POINT", [this.points[j]]);
+    }
+    lines.push("0", "ENDSEC", "0", "EOF");
+    return lines.join("\n") + "\n";
+  };
+
+  return RawRecorder;
+};
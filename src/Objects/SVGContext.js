@@ -0,0 +1,590 @@
+/**
+ * SVGContext wraps the 2D context of a canvas, and records what is drawn on it as an SVG
+ * document while the drawing goes on as usual. Paths, rectangles, text and images are
+ * recorded with the transformation, fill, stroke and font of the moment, so that everything
+ * Drawing2D draws ends up in the document: it is what beginRecord(SVG, filename) records.
+ *
+ * @param {CanvasRenderingContext2D} context   the context to wrap
+ * @param {int} width                          the width of the document
+ * @param {int} height                         the height of the document
+ *
+ * @see beginRecord
+ * @see endRecord
+ */
+module.exports = function(options, undef) {
+  var ImageCodecs = options.ImageCodecs;
+
+  // the context functions that are recorded, the others are just passed on
+  var recorded = ["save", "restore", "setTransform", "resetTransform", "transform", "translate", "scale",
+                  "rotate", "beginPath", "moveTo", "lineTo", "closePath", "rect", "quadraticCurveTo",
+                  "bezierCurveTo", "arc", "ellipse", "fill", "stroke", "fillRect", "strokeRect", "clearRect",
+                  "fillText", "strokeText", "drawImage"];
+
+  // the drawing state, wrapped even if the context does not have it yet
+  var stateProperties = ["fillStyle", "strokeStyle", "lineWidth", "lineCap", "lineJoin", "miterLimit",
+                         "globalAlpha", "font", "textAlign", "textBaseline"];
+
+  var SVGContext = function(context, width, height) {
+    var self = this;
+    this.context = context;
+    this.width = width;
+    this.height = height;
+    this.elements = [];
+    this.matrix = [1, 0, 0, 1, 0, 0];
+    this.matrixStack = [];
+    this.path = [];
+    // the current point and the start of the subpath, in canvas coordinates
+    this.currentPoint = null;
+    this.subpathStart = null;
+    // changes with the path, so that stroke() can tell whether fill() was called on the same one
+    this.pathVersion = 0;
+
+    function wrapFunction(name) {
+      self[name] = function() {
+        return context[name].apply(context, arguments);
+      };
+    }
+    function wrapProperty(name) {
+      Object.defineProperty(self, name, {
+        get: function() { return context[name]; },
+        set: function(value) { context[name] = value; }
+      });
+    }
+    for (var i = 0; i < stateProperties.length; i++) {
+      wrapProperty(stateProperties[i]);
+    }
+    for (var name in context) {
+      if (recorded.indexOf(name) >= 0 || stateProperties.indexOf(name) >= 0) {
+        continue;
+      }
+      if (typeof context[name] === 'function') {
+        wrapFunction(name);
+      } else {
+        wrapProperty(name);
+      }
+    }
+  };
+
+  ////////////////////////////////////////////////////////////////////////////
+  // Helpers
+  ////////////////////////////////////////////////////////////////////////////
+
+  // numbers with three decimals at most
+  function num(value) {
+    var rounded = Math.round(value * 1000) / 1000;
+    return rounded === 0 ? "0" : String(rounded);
+  }
+
+  function escapeXML(text) {
+    return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;")
+                       .replace(/"/g, "&quot;");
+  }
+
+  function multiply(m, a, b, c, d, e, f) {
+    return [m[0] * a + m[2] * b, m[1] * a + m[3] * b,
+            m[0] * c + m[2] * d, m[1] * c + m[3] * d,
+            m[0] * e + m[2] * f + m[4], m[1] * e + m[3] * f + m[5]];
+  }
+
+  function invert(m) {
+    var det = m[0] * m[3] - m[1] * m[2];
+    if (det === 0) {
+      return null;
+    }
+    return [m[3] / det, -m[1] / det, -m[2] / det, m[0] / det,
+            (m[2] * m[5] - m[3] * m[4]) / det, (m[1] * m[4] - m[0] * m[5]) / det];
+  }
+
+  function isIdentity(m) {
+    return m[0] === 1 && m[1] === 0 && m[2] === 0 && m[3] === 1 && m[4] === 0 && m[5] === 0;
+  }
+
+  /**
+   * A CSS color of the context as an SVG color and its opacity: "rgba(255,0,0,0.5)" is
+   * { color: "rgb(255,0,0)", opacity: 0.5 }. Gradients and patterns are not recorded.
+   */
+  function parseColor(style) {
+    if (typeof style !== "string") {
+      return { color: "none", opacity: 1 };
+    }
+    var m = /^rgba\(\s*([^,]+),\s*([^,]+),\s*([^,]+),\s*([^)]+)\)$/.exec(style);
+    if (m) {
+      return { color: "rgb(" + m[1] + "," + m[2] + "," + m[3] + ")", opacity: parseFloat(m[4]) };
+    }
+    return { color: style, opacity: 1 };
+  }
+
+  function alpha(context) {
+    return typeof context.globalAlpha === "number" ? context.globalAlpha : 1;
+  }
+
+  /**
+   * The font size, family, weight and style of a CSS font such as "bold 12px Arial"
+   */
+  function parseFont(font) {
+    var m = /^\s*(.*?)\s*(\d*\.?\d+)(px|pt)(?:\/\S+)?\s+(.+)$/.exec(font || "");
+    if (!m) {
+      return null;
+    }
+    return {
+      size: m[3] === "pt" ? parseFloat(m[2]) * 4 / 3 : parseFloat(m[2]),
+      family: m[4],
+      bold: /\b(bold|bolder|[6-9]00)\b/.test(m[1]),
+      italic: /\b(italic|oblique)\b/.test(m[1])
+    };
+  }
+
+  // the PNG data URL of an image or a canvas
+  function imageURL(image) {
+    var url = typeof image.toDataURL === "function" ? image.toDataURL() : null;
+    if (typeof url === "string") {
+      return url;
+    }
+    // canvases without toDataURL(), as the ones of the software renderer
+    if (typeof image.getContext !== "function" || typeof btoa === "undefined") {
+      return null;
+    }
+    var imageData = image.getContext("2d").getImageData(0, 0, image.width, image.height),
+        bytes = ImageCodecs.encodePNG(imageData.width, imageData.height, new Uint8Array(imageData.data)),
+        binary = "";
+    for (var i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return "data:image/png;base64," + btoa(binary);
+  }
+
+  ////////////////////////////////////////////////////////////////////////////
+  // Transformations
+  ////////////////////////////////////////////////////////////////////////////
+
+  SVGContext.prototype.save = function() {
+    this.context.save();
+    this.matrixStack.push(this.matrix);
+  };
+
+  SVGContext.prototype.restore = function() {
+    this.context.restore();
+    if (this.matrixStack.length > 0) {
+      this.matrix = this.matrixStack.pop();
+    }
+  };
+
+  SVGContext.prototype.setTransform = function(a, b, c, d, e, f) {
+    this.context.setTransform(a, b, c, d, e, f);
+    this.matrix = [a, b, c, d, e, f];
+  };
+
+  SVGContext.prototype.resetTransform = function() {
+    this.setTransform(1, 0, 0, 1, 0, 0);
+  };
+
+  SVGContext.prototype.transform = function(a, b, c, d, e, f) {
+    this.context.transform(a, b, c, d, e, f);
+    this.matrix = multiply(this.matrix, a, b, c, d, e, f);
+  };
+
+  SVGContext.prototype.translate = function(x, y) {
+    this.context.translate(x, y);
+    this.matrix = multiply(this.matrix, 1, 0, 0, 1, x, y);
+  };
+
+  SVGContext.prototype.scale = function(x, y) {
+    this.context.scale(x, y);
+    this.matrix = multiply(this.matrix, x, 0, 0, y, 0, 0);
+  };
+
+  SVGContext.prototype.rotate = function(angle) {
+    this.context.rotate(angle);
+    var cos = Math.cos(angle), sin = Math.sin(angle);
+    this.matrix = multiply(this.matrix, cos, sin, -sin, cos, 0, 0);
+  };
+
+  ////////////////////////////////////////////////////////////////////////////
+  // Paths: kept in canvas coordinates, as the context keeps them
+  ////////////////////////////////////////////////////////////////////////////
+
+  SVGContext.prototype.$map = function(x, y) {
+    var m = this.matrix;
+    return [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]];
+  };
+
+  SVGContext.prototype.$moveTo = function(point) {
+    this.path.push(["M", point[0], point[1]]);
+    this.currentPoint = this.subpathStart = point;
+    this.pathVersion++;
+  };
+
+  SVGContext.prototype.$lineTo = function(point) {
+    if (this.currentPoint === null) {
+      this.$moveTo(point);
+      return;
+    }
+    this.path.push(["L", point[0], point[1]]);
+    this.currentPoint = point;
+    this.pathVersion++;
+  };
+
+  SVGContext.prototype.$curveTo = function(cp1, cp2, point) {
+    this.path.push(["C", cp1[0], cp1[1], cp2[0], cp2[1], point[0], point[1]]);
+    this.currentPoint = point;
+    this.pathVersion++;
+  };
+
+  SVGContext.prototype.beginPath = function() {
+    this.context.beginPath();
+    this.path = [];
+    this.currentPoint = this.subpathStart = null;
+    this.pathVersion++;
+  };
+
+  SVGContext.prototype.moveTo = function(x, y) {
+    this.context.moveTo(x, y);
+    this.$moveTo(this.$map(x, y));
+  };
+
+  SVGContext.prototype.lineTo = function(x, y) {
+    this.context.lineTo(x, y);
+    this.$lineTo(this.$map(x, y));
+  };
+
+  SVGContext.prototype.closePath = function() {
+    this.context.closePath();
+    if (this.currentPoint !== null) {
+      this.path.push(["Z"]);
+      this.currentPoint = this.subpathStart;
+      this.pathVersion++;
+    }
+  };
+
+  SVGContext.prototype.rect = function(x, y, w, h) {
+    this.context.rect(x, y, w, h);
+    this.$moveTo(this.$map(x, y));
+    this.$lineTo(this.$map(x + w, y));
+    this.$lineTo(this.$map(x + w, y + h));
+    this.$lineTo(this.$map(x, y + h));
+    this.path.push(["Z"]);
+    this.$moveTo(this.$map(x, y));
+  };
+
+  SVGContext.prototype.quadraticCurveTo = function(cpx, cpy, x, y) {
+    this.context.quadraticCurveTo(cpx, cpy, x, y);
+    var cp = this.$map(cpx, cpy), point = this.$map(x, y);
+    if (this.currentPoint === null) {
+      this.$moveTo(cp);
+    }
+    // the same curve as a cubic one
+    var start = this.currentPoint;
+    this.$curveTo([start[0] + 2 / 3 * (cp[0] - start[0]), start[1] + 2 / 3 * (cp[1] - start[1])],
+                  [point[0] + 2 / 3 * (cp[0] - point[0]), point[1] + 2 / 3 * (cp[1] - point[1])], point);
+  };
+
+  SVGContext.prototype.bezierCurveTo = function(cp1x, cp1y, cp2x, cp2y, x, y) {
+    this.context.bezierCurveTo(cp1x, cp1y, cp2x, cp2y, x, y);
+    if (this.currentPoint === null) {
+      this.$moveTo(this.$map(cp1x, cp1y));
+    }
+    this.$curveTo(this.$map(cp1x, cp1y), this.$map(cp2x, cp2y), this.$map(x, y));
+  };
+
+  /**
+   * Elliptic arcs are recorded as cubic curves of a quarter turn at most
+   */
+  SVGContext.prototype.$ellipse = function(x, y, rx, ry, rotation, start, end, anticlockwise) {
+    var TWO_PI = 2 * Math.PI, sweep;
+    if (!anticlockwise && end - start >= TWO_PI) {
+      sweep = TWO_PI;
+    } else if (anticlockwise && start - end >= TWO_PI) {
+      sweep = -TWO_PI;
+    } else if (!anticlockwise) {
+      sweep = ((end - start) % TWO_PI + TWO_PI) % TWO_PI;
+    } else {
+      sweep = -(((start - end) % TWO_PI + TWO_PI) % TWO_PI);
+    }
+    var cos = Math.cos(rotation), sin = Math.sin(rotation), self = this;
+    function pointAt(t) {
+      var px = rx * Math.cos(t), py = ry * Math.sin(t);
+      return [x + px * cos - py * sin, y + px * sin + py * cos];
+    }
+    function tangentAt(t, k) {
+      var tx = -rx * Math.sin(t) * k, ty = ry * Math.cos(t) * k;
+      return [tx * cos - ty * sin, tx * sin + ty * cos];
+    }
+    var first = pointAt(start);
+    this.$lineTo(this.$map(first[0], first[1]));
+    var segments = Math.ceil(Math.abs(sweep) / (Math.PI / 2) - 1e-9),
+        step = sweep / segments,
+        k = 4 / 3 * Math.tan(step / 4);
+    for (var i = 0; i < segments; i++) {
+      var t1 = start + i * step, t2 = t1 + step,
+          p1 = pointAt(t1), p2 = pointAt(t2), d1 = tangentAt(t1, k), d2 = tangentAt(t2, k);
+      self.$curveTo(self.$map(p1[0] + d1[0], p1[1] + d1[1]), self.$map(p2[0] - d2[0], p2[1] - d2[1]),
+                    self.$map(p2[0], p2[1]));
+    }
+  };
+
+  SVGContext.prototype.arc = function(x, y, radius, start, end, anticlockwise) {
+    this.context.arc(x, y, radius, start, end, anticlockwise);
+    this.$ellipse(x, y, radius, radius, 0, start, end, anticlockwise);
+  };
+
+  SVGContext.prototype.ellipse = function(x, y, rx, ry, rotation, start, end, anticlockwise) {
+    this.context.ellipse(x, y, rx, ry, rotation, start, end, anticlockwise);
+    this.$ellipse(x, y, rx, ry, rotation, start, end, anticlockwise);
+  };
+
+  ////////////////////////////////////////////////////////////////////////////
+  // Drawing
+  ////////////////////////////////////////////////////////////////////////////
+
+  /**
+   * The path data, in the coordinates of the current transformation
+   */
+  SVGContext.prototype.$pathData = function(path, inverse) {
+    var d = "";
+    for (var i = 0; i < path.length; i++) {
+      var segment = path[i];
+      d += segment[0];
+      for (var j = 1; j < segment.length; j += 2) {
+        var x = segment[j], y = segment[j + 1];
+        d += (j > 1 ? " " : "") + num(inverse[0] * x + inverse[2] * y + inverse[4]) + " " +
+             num(inverse[1] * x + inverse[3] * y + inverse[5]);
+      }
+    }
+    return d;
+  };
+
+  SVGContext.prototype.$transformAttribute = function() {
+    var m = this.matrix;
+    return isIdentity(m) ? undef : "matrix(" + m.map(num).join(" ") + ")";
+  };
+
+  SVGContext.prototype.$fillAttributes = function(attributes) {
+    var fill = parseColor(this.context.fillStyle), opacity = fill.opacity * alpha(this.context);
+    attributes.fill = fill.color;
+    if (opacity < 1) {
+      attributes["fill-opacity"] = num(opacity);
+    }
+  };
+
+  SVGContext.prototype.$strokeAttributes = function(attributes) {
+    var context = this.context, stroke = parseColor(context.strokeStyle),
+        opacity = stroke.opacity * alpha(context);
+    attributes.stroke = stroke.color;
+    if (opacity < 1) {
+      attributes["stroke-opacity"] = num(opacity);
+    }
+    attributes["stroke-width"] = num(typeof context.lineWidth === "number" ? context.lineWidth : 1);
+    if (context.lineCap && context.lineCap !== "butt") {
+      attributes["stroke-linecap"] = context.lineCap;
+    }
+    if (context.lineJoin && context.lineJoin !== "miter") {
+      attributes["stroke-linejoin"] = context.lineJoin;
+    } else {
+      attributes["stroke-miterlimit"] = num(context.miterLimit || 10);
+    }
+  };
+
+  /**
+   * Adds a path element. A filled current path can get its stroke later on.
+   */
+  SVGContext.prototype.$addPath = function(path, fill, stroke, fillRule) {
+    var inverse = invert(this.matrix), end = path.length;
+    // a subpath that is only a point, as rect() leaves one, draws nothing
+    while (end > 0 && path[end - 1][0] === "M") {
+      end--;
+    }
+    if (end === 0 || inverse === null) {
+      return;
+    }
+    var attributes = { d: this.$pathData(path.slice(0, end), inverse), transform: this.$transformAttribute() };
+    if (fill) {
+      this.$fillAttributes(attributes);
+      if (fillRule === "evenodd") {
+        attributes["fill-rule"] = "evenodd";
+      }
+    } else {
+      attributes.fill = "none";
+    }
+    if (stroke) {
+      this.$strokeAttributes(attributes);
+    }
+    this.elements.push({ name: "path", attributes: attributes,
+                         pathVersion: fill && path === this.path ? this.pathVersion : -1 });
+  };
+
+  SVGContext.prototype.fill = function(fillRule) {
+    this.context.fill.apply(this.context, arguments);
+    this.$addPath(this.path, true, false, fillRule);
+  };
+
+  SVGContext.prototype.stroke = function() {
+    this.context.stroke();
+    // a path that was just filled gets the stroke too
+    var last = this.elements[this.elements.length - 1];
+    if (last && last.pathVersion === this.pathVersion && !last.attributes.stroke &&
+        last.attributes.transform === this.$transformAttribute()) {
+      this.$strokeAttributes(last.attributes);
+      last.pathVersion = -1;
+      return;
+    }
+    this.$addPath(this.path, false, true);
+  };
+
+  SVGContext.prototype.$rectPath = function(x, y, w, h) {
+    var corners = [this.$map(x, y), this.$map(x + w, y), this.$map(x + w, y + h), this.$map(x, y + h)];
+    return [["M", corners[0][0], corners[0][1]], ["L", corners[1][0], corners[1][1]],
+            ["L", corners[2][0], corners[2][1]], ["L", corners[3][0], corners[3][1]], ["Z"]];
+  };
+
+  // whether a rectangle covers all of the document
+  SVGContext.prototype.$coversDocument = function(x, y, w, h) {
+    var m = this.matrix;
+    if (m[1] !== 0 || m[2] !== 0) {
+      return false;
+    }
+    var topLeft = this.$map(x, y), bottomRight = this.$map(x + w, y + h);
+    return Math.min(topLeft[0], bottomRight[0]) <= 0 && Math.min(topLeft[1], bottomRight[1]) <= 0 &&
+           Math.max(topLeft[0], bottomRight[0]) >= this.width && Math.max(topLeft[1], bottomRight[1]) >= this.height;
+  };
+
+  SVGContext.prototype.fillRect = function(x, y, w, h) {
+    this.context.fillRect(x, y, w, h);
+    // a background hides what was drawn before
+    if (parseColor(this.context.fillStyle).opacity === 1 && alpha(this.context) === 1 &&
+        this.$coversDocument(x, y, w, h)) {
+      this.elements = [];
+    }
+    this.$addPath(this.$rectPath(x, y, w, h), true, false);
+  };
+
+  SVGContext.prototype.strokeRect = function(x, y, w, h) {
+    this.context.strokeRect(x, y, w, h);
+    this.$addPath(this.$rectPath(x, y, w, h), false, true);
+  };
+
+  SVGContext.prototype.clearRect = function(x, y, w, h) {
+    this.context.clearRect(x, y, w, h);
+    if (this.$coversDocument(x, y, w, h)) {
+      this.elements = [];
+    }
+  };
+
+  SVGContext.prototype.$addText = function(text, x, y, fill) {
+    var attributes = { x: num(x), y: num(y), transform: this.$transformAttribute() },
+        font = parseFont(this.context.font),
+        align = this.context.textAlign,
+        baseline = this.context.textBaseline;
+    if (font) {
+      attributes["font-family"] = font.family;
+      attributes["font-size"] = num(font.size);
+      if (font.bold) {
+        attributes["font-weight"] = "bold";
+      }
+      if (font.italic) {
+        attributes["font-style"] = "italic";
+      }
+    }
+    if (align === "center" || align === "right" || align === "end") {
+      attributes["text-anchor"] = align === "center" ? "middle" : "end";
+    }
+    if (baseline === "top" || baseline === "hanging") {
+      attributes["dominant-baseline"] = "text-before-edge";
+    } else if (baseline === "middle") {
+      attributes["dominant-baseline"] = "middle";
+    } else if (baseline === "bottom") {
+      attributes["dominant-baseline"] = "text-after-edge";
+    }
+    if (fill) {
+      this.$fillAttributes(attributes);
+    } else {
+      attributes.fill = "none";
+      this.$strokeAttributes(attributes);
+    }
+    this.elements.push({ name: "text", attributes: attributes, content: escapeXML(text), pathVersion: -1 });
+  };
+
+  SVGContext.prototype.fillText = function(text, x, y) {
+    this.context.fillText.apply(this.context, arguments);
+    this.$addText(text, x, y, true);
+  };
+
+  SVGContext.prototype.strokeText = function(text, x, y) {
+    this.context.strokeText.apply(this.context, arguments);
+    this.$addText(text, x, y, false);
+  };
+
+  SVGContext.prototype.drawImage = function(image) {
+    this.context.drawImage.apply(this.context, arguments);
+    var href = imageURL(image), a = arguments;
+    if (href === null) {
+      return;
+    }
+    var transform = this.$transformAttribute(),
+        imageAttributes = { width: num(image.width), height: num(image.height), "xlink:href": href },
+        element = { name: "image", attributes: imageAttributes, pathVersion: -1 };
+    if (a.length === 9) {
+      // a part of the image, seen through a nested document. SVG 1.1 has no transform
+      // on <svg>, the document is in a group that has it.
+      var attributes = {
+        x: num(a[5]), y: num(a[6]), width: num(a[7]), height: num(a[8]),
+        viewBox: [a[1], a[2], a[3], a[4]].map(num).join(" "),
+        preserveAspectRatio: "none"
+      };
+      element = { name: "svg", attributes: attributes, children: [element], pathVersion: -1 };
+      if (transform !== undef) {
+        element = { name: "g", attributes: { transform: transform }, children: [element], pathVersion: -1 };
+      }
+      this.elements.push(element);
+      return;
+    }
+    imageAttributes.x = num(a[1]);
+    imageAttributes.y = num(a[2]);
+    if (a.length === 5) {
+      imageAttributes.width = num(a[3]);
+      imageAttributes.height = num(a[4]);
+      imageAttributes.preserveAspectRatio = "none";
+    }
+    imageAttributes.transform = transform;
+    this.elements.push(element);
+  };
+
+  ////////////////////////////////////////////////////////////////////////////
+  // The document
+  ////////////////////////////////////////////////////////////////////////////
+
+  function serialize(element, indent) {
+    var xml = indent + "<" + element.name, attributes = element.attributes;
+    for (var name in attributes) {
+      if (attributes.hasOwnProperty(name) && attributes[name] !== undef) {
+        xml += " " + name + "=\"" + escapeXML(attributes[name]) + "\"";
+      }
+    }
+    if (element.children) {
+      xml += ">\n";
+      for (var i = 0; i < element.children.length; i++) {
+        xml += serialize(element.children[i], indent + "  ");
+      }
+      return xml + indent + "</" + element.name + ">\n";
+    }
+    if (element.content !== undef) {
+      return xml + ">" + element.content + "</" + element.name + ">\n";
+    }
+    return xml + "/>\n";
+  }
+
+  /**
+   * @returns {String} the SVG document of what was drawn
+   */
+  SVGContext.prototype.toSVG = function() {
+    var w = num(this.width), h = num(this.height),
+        svg = "<?xml version=\"1.0\" encoding=\"UTF-8\"?>\n" +
+              "<svg xmlns=\"http://www.w3.org/2000/svg\" xmlns:xlink=\"http://www.w3.org/1999/xlink\"" +
+              " version=\"1.1\" width=\"" + w + "\" height=\"" + h + "\" viewBox=\"0 0 " + w + " " + h + "\">\n";
+    for (var i = 0; i < this.elements.length; i++) {
+      svg += serialize(this.elements[i], "  ");
+    }
+    return svg + "</svg>\n";
+  };
+
+  return SVGContext;
+};
@@ -0,0 +1,756 @@
+/**
+ * A Table holds rows of values in typed columns, as loadTable() reads them from CSV and TSV files.
+ * Columns are given by index or by title, and hold Strings until setColumnType() makes them hold
+ * ints, longs, floats, doubles or categories. Values that are missing read as the missing value of
+ * their type: 0 for ints and longs, NaN for floats and doubles, and null for Strings.
+ *
+ * @param {Iterable} rows   optional, the TableRows to copy, from an ArrayList, an array or rows()
+ *
+ * @see TableRow
+ * @see loadTable
+ * @see saveTable
+ */
+module.exports = function(options, undef) {
+  var TableRow = options.TableRow,
+      ArrayList = options.ArrayList,
+      HashMap = options.HashMap,
+      ObjectIterator = options.ObjectIterator,
+      IllegalArgumentException = options.Exceptions.IllegalArgumentException,
+      ArrayIndexOutOfBoundsException = options.Exceptions.ArrayIndexOutOfBoundsException;
+
+  var STRING = 0, INT = 1, LONG = 2, FLOAT = 3, DOUBLE = 4, CATEGORY = 5;
+
+  var typeNames = { "string": STRING, "int": INT, "long": LONG, "float": FLOAT, "double": DOUBLE, "category": CATEGORY };
+
+  function isNumeric(type) {
+    return type !== STRING && type !== CATEGORY;
+  }
+
+  // a value as the type of its column, or null if it is missing or not a number
+  function toType(value, type) {
+    if (value === null || value === undef) {
+      return null;
+    }
+    if (!isNumeric(type)) {
+      return String(value);
+    }
+    var number = typeof value === "number" ? value : parseFloat(String(value));
+    if (isNaN(number)) {
+      return null;
+    }
+    if (type === INT || type === LONG) {
+      number = number < 0 ? Math.ceil(number) : Math.floor(number);
+      return type === INT ? number | 0 : number;
+    }
+    return number;
+  }
+
+  // CSV rows, with quoted fields that may hold commas, quotes and line breaks
+  function parseCSV(text) {
+    var rows = [], row = [], field = "", quoted = false, wasQuoted = false, i = 0, c;
+    while (i < text.length) {
+      c = text.charAt(i++);
+      if (quoted) {
+        if (c !== '"') {
+          field += c;
+        } else if (text.charAt(i) === '"') {
+          field += c;
+          i++;
+        } else {
+          quoted = false;
+        }
+      } else if (c === '"' && field === "") {
+        quoted = wasQuoted = true;
+      } else if (c === ",") {
+        row.push(field);
+        field = "";
+        wasQuoted = false;
+      } else if (c === "\r" || c === "\n") {
+        if (c === "\r" && text.charAt(i) === "\n") {
+          i++;
+        }
+        // blank lines are left out
+        if (row.length > 0 || field !== "" || wasQuoted) {
+          row.push(field);
+          rows.push(row);
+        }
+        row = [];
+        field = "";
+        wasQuoted = false;
+      } else {
+        field += c;
+      }
+    }
+    if (row.length > 0 || field !== "" || wasQuoted) {
+      row.push(field);
+      rows.push(row);
+    }
+    return rows;
+  }
+
+  function parseTSV(text) {
+    return text.split(/\r\n|\r|\n/).filter(function(line) {
+      return line !== "";
+    }).map(function(line) {
+      return line.split("\t");
+    });
+  }
+
+  function formatCSV(value) {
+    return (/[,"\r\n]|^\s|\s$/).test(value) ? '"' + value.replace(/"/g, '""') + '"' : value;
+  }
+
+  function compareValues(a, b) {
+    if (a === b) {
+      return 0;
+    }
+    // missing values go last
+    if (a === null || b === null) {
+      return a === null ? 1 : -1;
+    }
+    return a < b ? -1 : 1;
+  }
+
+  var Table = function(rows) {
+    this.columnTitles = [];
+    this.columnTypes = [];
+    this.categories = [];
+    this.data = [];
+    this.missingInt = 0;
+    this.missingLong = 0;
+    this.missingFloat = NaN;
+    this.missingDouble = NaN;
+    this.missingString = null;
+    if (rows !== undef && rows !== null) {
+      var it = new ObjectIterator(rows), row;
+      while (it.hasNext()) {
+        row = it.next();
+        if (this.data.length === 0) {
+          this.columnTitles = row.table.columnTitles.slice();
+          this.columnTypes = row.table.columnTypes.slice();
+          this.categories = row.table.categories.map(function(category) { return category.slice(); });
+        }
+        this.data.push(row.table.data[row.index].slice());
+      }
+    }
+  };
+
+  Table.STRING = STRING;
+  Table.INT = INT;
+  Table.LONG = LONG;
+  Table.FLOAT = FLOAT;
+  Table.DOUBLE = DOUBLE;
+  Table.CATEGORY = CATEGORY;
+
+  Table.prototype = {
+    /**
+     * @member Table
+     * The parse() function replaces the rows and columns of the table with those of a CSV or TSV text
+     *
+     * @param {String} text         the CSV or TSV text
+     * @param {String[]} options    "header" if the first row holds the column titles, and "csv" or "tsv"
+     *
+     * @return {Table} this table
+     */
+    parse: function(text, options) {
+      options = options || [];
+      var rows = options.indexOf("tsv") > -1 ? parseTSV(text) : parseCSV(text),
+          columnCount = 0, i;
+      this.columnTitles = options.indexOf("header") > -1 && rows.length > 0 ? rows.shift() : [];
+      for (i = 0; i < rows.length; i++) {
+        columnCount = Math.max(columnCount, rows[i].length);
+      }
+      columnCount = Math.max(columnCount, this.columnTitles.length);
+      while (this.columnTitles.length < columnCount) {
+        this.columnTitles.push(null);
+      }
+      this.columnTypes = [];
+      this.categories = [];
+      for (i = 0; i < columnCount; i++) {
+        this.columnTypes.push(STRING);
+        this.categories.push([]);
+      }
+      this.data = rows.map(function(row) {
+        while (row.length < columnCount) {
+          row.push(null);
+        }
+        return row;
+      });
+      return this;
+    },
+
+    /**
+     * @member Table
+     * The format() function writes the table as a CSV or TSV text, with the column titles first if there are any
+     *
+     * @param {String} type   "csv" or "tsv", "csv" by default
+     *
+     * @return {String} the text, one line per row
+     */
+    format: function(type) {
+      var tsv = type === "tsv", lines = [], values, i, column;
+      function line(values) {
+        return values.map(function(value) {
+          value = value === null ? "" : value;
+          return tsv ? value : formatCSV(value);
+        }).join(tsv ? "\t" : ",");
+      }
+      if (this.columnTitles.some(function(title) { return title !== null; })) {
+        lines.push(line(this.columnTitles));
+      }
+      for (i = 0; i < this.data.length; i++) {
+        values = [];
+        for (column = 0; column < this.columnTitles.length; column++) {
+          values.push(this.data[i][column] === null ? null : this.getString(i, column));
+        }
+        lines.push(line(values));
+      }
+      return lines.join("\n") + "\n";
+    },
+
+    getColumnCount: function() {
+      return this.columnTitles.length;
+    },
+
+    setColumnCount: function(count) {
+      while (this.columnTitles.length > count) {
+        this.removeColumn(this.columnTitles.length - 1);
+      }
+      while (this.columnTitles.length < count) {
+        this.addColumn();
+      }
+    },
+
+    /**
+     * @member Table
+     * The addColumn() function adds a column at the end of the table, or before the column at index
+     *
+     * @param {String} title    optional, the title of the column
+     * @param {int} type        optional, the type of the column, Table.STRING by default
+     * @param {int} index       optional, where to insert the column
+     */
+    addColumn: function(title, type, index) {
+      index = index === undef ? this.columnTitles.length : index;
+      this.columnTitles.splice(index, 0, title === undef ? null : title);
+      this.columnTypes.splice(index, 0, STRING);
+      this.categories.splice(index, 0, []);
+      for (var i = 0; i < this.data.length; i++) {
+        this.data[i].splice(index, 0, null);
+      }
+      if (type !== undef) {
+        this.setColumnType(index, type);
+      }
+    },
+
+    removeColumn: function(column) {
+      var index = this.getColumnIndex(column);
+      this.columnTitles.splice(index, 1);
+      this.columnTypes.splice(index, 1);
+      this.categories.splice(index, 1);
+      for (var i = 0; i < this.data.length; i++) {
+        this.data[i].splice(index, 1);
+      }
+    },
+
+    getColumnTitle: function(column) {
+      return this.columnTitles[this.getColumnIndex(column)];
+    },
+
+    getColumnTitles: function() {
+      return this.columnTitles.slice();
+    },
+
+    setColumnTitle: function(column, title) {
+      this.ensureColumn(column);
+      this.columnTitles[column] = title;
+    },
+
+    setColumnTitles: function(titles) {
+      for (var i = 0; i < titles.length; i++) {
+        this.setColumnTitle(i, titles[i]);
+      }
+    },
+
+    /**
+     * @member Table
+     * The getColumnIndex() function returns the index of a column
+     *
+     * @param {String|int} column   the title or the index of the column
+     *
+     * @return {int} the index of the column
+     *
+     * @throws IllegalArgumentException if the table has no column with this title
+     * @throws ArrayIndexOutOfBoundsException if the index is not one of a column
+     */
+    getColumnIndex: function(column) {
+      if (typeof column === "number") {
+        if (column < 0 || column >= this.columnTitles.length) {
+          throw new ArrayIndexOutOfBoundsException("Column " + column + " does not exist.");
+        }
+        return column;
+      }
+      var index = this.columnTitles.indexOf(column);
+      if (index < 0) {
+        throw new IllegalArgumentException("This table has no column named '" + column + "'");
+      }
+      return index;
+    },
+
+    // columns that are set beyond the last one are added
+    ensureColumn: function(column) {
+      if (typeof column === "number") {
+        while (this.columnTitles.length <= column) {
+          this.addColumn();
+        }
+      }
+      return this.getColumnIndex(column);
+    },
+
+    getColumnType: function(column) {
+      return this.columnTypes[this.getColumnIndex(column)];
+    },
+
+    getColumnTypes: function() {
+      return this.columnTypes.slice();
+    },
+
+    /**
+     * @member Table
+     * The setColumnType() function sets the type of a column, and converts its values to it.
+     * Values that are not numbers become missing values in numeric columns.
+     *
+     * @param {String|int} column   the title or the index of the column
+     * @param {String|int} type     Table.STRING, INT, LONG, FLOAT, DOUBLE or CATEGORY, or their names, as "int"
+     */
+    setColumnType: function(column, type) {
+      var index = this.getColumnIndex(column);
+      if (typeof type === "string") {
+        if (!typeNames.hasOwnProperty(type.toLowerCase())) {
+          throw new IllegalArgumentException("'" + type + "' is not a valid column type.");
+        }
+        type = typeNames[type.toLowerCase()];
+      }
+      var values = this.getStringColumn(index).map(function(value) {
+        return toType(value, type);
+      });
+      this.columnTypes[index] = type;
+      this.categories[index] = [];
+      for (var i = 0; i < this.data.length; i++) {
+        this.data[i][index] = null;
+        this.setValue(i, index, values[i]);
+      }
+    },
+
+    setColumnTypes: function(types) {
+      for (var i = 0; i < types.length; i++) {
+        this.setColumnType(i, types[i]);
+      }
+    },
+
+    setMissingInt: function(value) {
+      this.missingInt = value;
+    },
+    setMissingLong: function(value) {
+      this.missingLong = value;
+    },
+    setMissingFloat: function(value) {
+      this.missingFloat = value;
+    },
+    setMissingDouble: function(value) {
+      this.missingDouble = value;
+    },
+    setMissingString: function(value) {
+      this.missingString = value;
+    },
+
+    getRowCount: function() {
+      return this.data.length;
+    },
+
+    lastRowIndex: function() {
+      return this.data.length - 1;
+    },
+
+    setRowCount: function(count) {
+      this.data.length = Math.min(this.data.length, count);
+      while (this.data.length < count) {
+        this.addRow();
+      }
+    },
+
+    checkRow: function(row) {
+      if (row < 0 || row >= this.data.length) {
+        throw new ArrayIndexOutOfBoundsException("Row " + row + " does not exist.");
+      }
+    },
+
+    /**
+     * @member Table
+     * The addRow() function adds a row at the end of the table
+     *
+     * @param {TableRow|Object[]} source   optional, the row or the values to copy into the new row
+     *
+     * @return {TableRow} the new row
+     */
+    addRow: function(source) {
+      var values = [], i;
+      for (i = 0; i < this.columnTitles.length; i++) {
+        values.push(null);
+      }
+      this.data.push(values);
+      var row = new TableRow(this, this.data.length - 1);
+      if (source instanceof TableRow) {
+        for (i = 0; i < source.getColumnCount(); i++) {
+          this.setString(row.index, i, source.getString(i));
+        }
+      } else if (source) {
+        for (i = 0; i < source.length; i++) {
+          this.setString(row.index, i, source[i] === null ? null : String(source[i]));
+        }
+      }
+      return row;
+    },
+
+    addRows: function(table) {
+      for (var i = 0; i < table.getRowCount(); i++) {
+        this.addRow(table.getRow(i));
+      }
+    },
+
+    insertRow: function(index, values) {
+      this.addRow(values);
+      this.data.splice(index, 0, this.data.pop());
+    },
+
+    removeRow: function(row) {
+      this.checkRow(row);
+      this.data.splice(row, 1);
+    },
+
+    clearRows: function() {
+      this.data = [];
+    },
+
+    getRow: function(row) {
+      this.checkRow(row);
+      return new TableRow(this, row);
+    },
+
+    /**
+     * @member Table
+     * The rows() function returns the rows of the table, to go through with for (TableRow row : table.rows())
+     *
+     * @param {int[]} indices   optional, the indices of the rows, all of them by default
+     *
+     * @return {ArrayList} the rows
+     */
+    rows: function(indices) {
+      var rows = new ArrayList(), i;
+      if (indices) {
+        for (i = 0; i < indices.length; i++) {
+          rows.add(this.getRow(indices[i]));
+        }
+      } else {
+        for (i = 0; i < this.data.length; i++) {
+          rows.add(new TableRow(this, i));
+        }
+      }
+      return rows;
+    },
+
+    // the value of a cell, as it is stored
+    getValue: function(row, column) {
+      this.checkRow(row);
+      return this.data[row][this.getColumnIndex(column)];
+    },
+
+    setValue: function(row, column, value) {
+      var index = this.ensureColumn(column);
+      while (this.data.length <= row) {
+        this.addRow();
+      }
+      value = toType(value, this.columnTypes[index]);
+      if (value !== null && this.columnTypes[index] === CATEGORY && this.categories[index].indexOf(value) < 0) {
+        this.categories[index].push(value);
+      }
+      this.data[row][index] = value;
+    },
+
+    getString: function(row, column) {
+      var value = this.getValue(row, column), type = this.getColumnType(column);
+      if (value === null) {
+        return this.missingString;
+      }
+      // floats and doubles keep their decimal point, as in Java
+      if ((type === FLOAT || type === DOUBLE) && isFinite(value) && value % 1 === 0) {
+        return value.toFixed(1);
+      }
+      return String(value);
+    },
+
+    getInt: function(row, column) {
+      var value = this.getValue(row, column), index = this.getColumnIndex(column);
+      if (this.columnTypes[index] === CATEGORY) {
+        return value === null ? this.missingInt : this.categories[index].indexOf(value);
+      }
+      value = toType(value, INT);
+      return value === null ? this.missingInt : value;
+    },
+
+    getLong: function(row, column) {
+      var value = toType(this.getValue(row, column), LONG);
+      return value === null ? this.missingLong : value;
+    },
+
+    getFloat: function(row, column) {
+      var value = toType(this.getValue(row, column), FLOAT);
+      return value === null ? this.missingFloat : value;
+    },
+
+    getDouble: function(row, column) {
+      var value = toType(this.getValue(row, column), DOUBLE);
+      return value === null ? this.missingDouble : value;
+    },
+
+    setString: function(row, column, value) {
+      this.setValue(row, column, value);
+    },
+    setInt: function(row, column, value) {
+      this.setValue(row, column, value);
+    },
+    setLong: function(row, column, value) {
+      this.setValue(row, column, value);
+    },
+    setFloat: function(row, column, value) {
+      this.setValue(row, column, value);
+    },
+    setDouble: function(row, column, value) {
+      this.setValue(row, column, value);
+    },
+
+    getStringColumn: function(column) {
+      var values = [];
+      for (var i = 0; i < this.data.length; i++) {
+        values.push(this.getString(i, column));
+      }
+      return values;
+    },
+    getIntColumn: function(column) {
+      var values = [];
+      for (var i = 0; i < this.data.length; i++) {
+        values.push(this.getInt(i, column));
+      }
+      return values;
+    },
+    getLongColumn: function(column) {
+      var values = [];
+      for (var i = 0; i < this.data.length; i++) {
+        values.push(this.getLong(i, column));
+      }
+      return values;
+    },
+    getFloatColumn: function(column) {
+      var values = [];
+      for (var i = 0; i < this.data.length; i++) {
+        values.push(this.getFloat(i, column));
+      }
+      return values;
+    },
+    getDoubleColumn: function(column) {
+      var values = [];
+      for (var i = 0; i < this.data.length; i++) {
+        values.push(this.getDouble(i, column));
+      }
+      return values;
+    },
+
+    /**
+     * @member Table
+     * The findRowIndices() function returns the indices of the rows whose value in a column is value
+     *
+     * @param {String} value        the value to look for, or null for missing values
+     * @param {String|int} column   the title or the index of the column
+     *
+     * @return {int[]} the indices of the rows
+     */
+    findRowIndices: function(value, column) {
+      var indices = [];
+      value = value === null ? null : String(value);
+      for (var i = 0; i < this.data.length; i++) {
+        var found = this.getValue(i, column) === null ? null : this.getString(i, column);
+        // numbers are compared as numbers, as "1" and "1.0" are the same float
+        if (found === value || (value !== null && found !== null && isNumeric(this.getColumnType(column)) &&
+                                parseFloat(value) === parseFloat(found))) {
+          indices.push(i);
+        }
+      }
+      return indices;
+    },
+
+    findRowIndex: function(value, column) {
+      var indices = this.findRowIndices(value, column);
+      return indices.length > 0 ? indices[0] : -1;
+    },
+
+    findRow: function(value, column) {
+      var index = this.findRowIndex(value, column);
+      return index < 0 ? null : new TableRow(this, index);
+    },
+
+    findRows: function(value, column) {
+      return this.rows(this.findRowIndices(value, column));
+    },
+
+    /**
+     * @member Table
+     * The matchRowIndices() function returns the indices of the rows whose value in a column matches a regular expression
+     *
+     * @param {String} regexp       the regular expression, found anywhere in the value
+     * @param {String|int} column   the title or the index of the column
+     *
+     * @return {int[]} the indices of the rows
+     */
+    matchRowIndices: function(regexp, column) {
+      var pattern = new RegExp(regexp), indices = [];
+      for (var i = 0; i < this.data.length; i++) {
+        var value = this.getString(i, column);
+        if (value !== null && pattern.test(value)) {
+          indices.push(i);
+        }
+      }
+      return indices;
+    },
+
+    matchRowIndex: function(regexp, column) {
+      var indices = this.matchRowIndices(regexp, column);
+      return indices.length > 0 ? indices[0] : -1;
+    },
+
+    matchRow: function(regexp, column) {
+      var index = this.matchRowIndex(regexp, column);
+      return index < 0 ? null : new TableRow(this, index);
+    },
+
+    matchRows: function(regexp, column) {
+      return this.rows(this.matchRowIndices(regexp, column));
+    },
+
+    /**
+     * @member Table
+     * The sort() function sorts the rows by the values of a column, from the lowest, with the missing values last.
+     * Rows with the same value keep their order.
+     *
+     * @param {String|int} column   the title or the index of the column
+     */
+    sort: function(column) {
+      this.sortRows(column, 1);
+    },
+
+    sortReverse: function(column) {
+      this.sortRows(column, -1);
+    },
+
+    sortRows: function(column, direction) {
+      var index = this.getColumnIndex(column),
+          keyed = this.data.map(function(values, position) {
+            return { values: values, position: position };
+          });
+      keyed.sort(function(a, b) {
+        var a0 = a.values[index], b0 = b.values[index];
+        var result = a0 === null || b0 === null ? compareValues(a0, b0) : direction * compareValues(a0, b0);
+        return result || a.position - b.position;
+      });
+      this.data = keyed.map(function(row) { return row.values; });
+    },
+
+    /**
+     * @member Table
+     * The getUnique() function returns the values of a column, each once, in the order in which they come first
+     *
+     * @param {String|int} column   the title or the index of the column
+     *
+     * @return {String[]} the values
+     */
+    getUnique: function(column) {
+      var seen = {}, values = [];
+      for (var i = 0; i < this.data.length; i++) {
+        var value = this.getString(i, column);
+        if (!seen.hasOwnProperty(value)) {
+          seen[value] = true;
+          values.push(value);
+        }
+      }
+      return values;
+    },
+
+    /**
+     * @member Table
+     * The getRowMap() function maps the values of a column to the index of the row they are in
+     *
+     * @param {String|int} column   the title or the index of the column
+     *
+     * @return {HashMap} the index of the row of each value, the last one for values that are in more rows.
+     *                   Missing values are left out.
+     */
+    getRowMap: function(column) {
+      var map = new HashMap();
+      for (var i = 0; i < this.data.length; i++) {
+        if (this.getValue(i, column) !== null) {
+          map.put(this.getString(i, column), i);
+        }
+      }
+      return map;
+    },
+
+    // changes the String values of a column, or of all columns
+    replaceStrings: function(column, replace) {
+      for (var index = 0; index < this.columnTitles.length; index++) {
+        if ((column === undef || index === this.getColumnIndex(column)) && !isNumeric(this.columnTypes[index])) {
+          for (var i = 0; i < this.data.length; i++) {
+            if (this.data[i][index] !== null) {
+              this.data[i][index] = replace(this.data[i][index]);
+            }
+          }
+        }
+      }
+    },
+
+    trim: function(column) {
+      this.replaceStrings(column, function(value) {
+        return value.trim();
+      });
+    },
+
+    removeTokens: function(tokens, column) {
+      this.replaceStrings(column, function(value) {
+        var result = "";
+        for (var i = 0; i < value.length; i++) {
+          if (tokens.indexOf(value.charAt(i)) < 0) {
+            result += value.charAt(i);
+          }
+        }
+        return result;
+      });
+    },
+
+    replace: function(orig, replacement, column) {
+      this.replaceStrings(column, function(value) {
+        return value === orig ? replacement : value;
+      });
+    },
+
+    copy: function() {
+      var table = new Table(this.rows());
+      table.columnTitles = this.columnTitles.slice();
+      table.columnTypes = this.columnTypes.slice();
+      table.categories = this.categories.map(function(category) { return category.slice(); });
+      return table;
+    },
+
+    toString: function() {
+      return this.format("tsv");
+    }
+  };
+
+  return Table;
+};
@@ -0,0 +1,79 @@
+/**
+ * A TableRow is a row of a Table. It points into the table, so what is set through it changes the
+ * table, and the row moves along when the table is sorted. Columns are given by index or by title.
+ *
+ * @param {Table} table   the table of the row
+ * @param {int} index     the index of the row in the table
+ *
+ * @see Table
+ */
+module.exports = function() {
+
+  var TableRow = function(table, index) {
+    this.table = table;
+    this.index = index;
+  };
+
+  TableRow.prototype = {
+    getString: function(column) {
+      return this.table.getString(this.index, column);
+    },
+    getInt: function(column) {
+      return this.table.getInt(this.index, column);
+    },
+    getLong: function(column) {
+      return this.table.getLong(this.index, column);
+    },
+    getFloat: function(column) {
+      return this.table.getFloat(this.index, column);
+    },
+    getDouble: function(column) {
+      return this.table.getDouble(this.index, column);
+    },
+    setString: function(column, value) {
+      this.table.setString(this.index, column, value);
+    },
+    setInt: function(column, value) {
+      this.table.setInt(this.index, column, value);
+    },
+    setLong: function(column, value) {
+      this.table.setLong(this.index, column, value);
+    },
+    setFloat: function(column, value) {
+      this.table.setFloat(this.index, column, value);
+    },
+    setDouble: function(column, value) {
+      this.table.setDouble(this.index, column, value);
+    },
+    getColumnCount: function() {
+      return this.table.getColumnCount();
+    },
+    getColumnTitle: function(column) {
+      return this.table.getColumnTitle(column);
+    },
+    getColumnTitles: function() {
+      return this.table.getColumnTitles();
+    },
+    getColumnType: function(column) {
+      return this.table.getColumnType(column);
+    },
+    getColumnTypes: function() {
+      return this.table.getColumnTypes();
+    },
+    /**
+     * @member TableRow
+     * The toString() function returns the values of the row, as a line of a TSV file
+     *
+     * @return {String} the values, separated by tabs
+     */
+    toString: function() {
+      var values = [];
+      for (var i = 0, l = this.table.getColumnCount(); i < l; i++) {
+        values.push(this.table.getString(this.index, i));
+      }
+      return values.join("\t");
+    }
+  };
+
+  return TableRow;
+};
@@ -0,0 +1,361 @@
+/**
+* A TreeMap is a map whose keys are kept sorted, by a Comparator, or by their natural order:
+* compareTo() for the objects that have it, and the order of numbers and strings. Keys are
+* equal when they compare as equal. Its keys, values and entries are iterated in the order of
+* the keys, and it can find the first and last keys, and the keys nearest to any key.
+*
+* @param {Comparator|Map} comparator   optional, the comparator of the keys, or the map whose mappings are copied
+*/
+module.exports = function(options) {
+  var virtEquals = options.virtEquals,
+      virtHashCode = options.virtHashCode,
+      virtCompare = options.virtCompare,
+      AbstractCollection = options.AbstractCollection,
+      NoSuchElementException = options.Exceptions.NoSuchElementException;
+
+  function TreeMap(comparator) {
+    var keys = [],
+        values = [],
+        treeMap = this,
+        copied = null;
+
+    if (comparator !== null && typeof comparator === "object" && comparator.entrySet instanceof Function) {
+      copied = comparator;
+      comparator = copied.comparator instanceof Function ? copied.comparator() : null;
+    }
+    comparator = comparator || null;
+
+    // the index of a key, or -(index at which it would be inserted) - 1
+    function find(key) {
+      var low = 0, high = keys.length - 1, middle, order;
+      while (low <= high) {
+        middle = (low + high) >> 1;
+        order = virtCompare(keys[middle], key, comparator);
+        if (order < 0) {
+          low = middle + 1;
+        } else if (order > 0) {
+          high = middle - 1;
+        } else {
+          return middle;
+        }
+      }
+      return -(low + 1);
+    }
+
+    function removeAt(index) {
+      keys.splice(index, 1);
+      return values.splice(index, 1)[0];
+    }
+
+    function Entry(key) {
+      this.getKey = function() {
+        return key;
+      };
+
+      this.getValue = function() {
+        return treeMap.get(key);
+      };
+
+      this.setValue = function(value) {
+        return treeMap.put(key, value);
+      };
+
+      this.equals = function(o) {
+        return virtEquals(key, o.getKey());
+      };
+
+      this.hashCode = function() {
+        return virtHashCode(key);
+      };
+
+      this.toString = function() {
+        return key + "=" + treeMap.get(key);
+      };
+    }
+
+    function RemovedEntry(key, value) {
+      Entry.call(this, key);
+
+      this.getValue = function() {
+        return value;
+      };
+
+      this.toString = function() {
+        return key + "=" + value;
+      };
+    }
+
+    // the entry at an index, or null if there is none
+    function entryAt(index) {
+      return index >= 0 && index < keys.length ? new Entry(keys[index]) : null;
+    }
+
+    function keyAt(index) {
+      return index >= 0 && index < keys.length ? keys[index] : null;
+    }
+
+    // the index of the greatest key below a key, or at it if inclusive
+    function lowerIndex(key, inclusive) {
+      var index = find(key);
+      if (index >= 0) {
+        return inclusive ? index : index - 1;
+      }
+      return -index - 2;
+    }
+
+    // the index of the least key above a key, or at it if inclusive
+    function higherIndex(key, inclusive) {
+      var index = find(key);
+      if (index >= 0) {
+        return inclusive ? index : index + 1;
+      }
+      return -index - 1;
+    }
+
+    // a copy of the mappings between two indices
+    function range(from, to) {
+      var map = new TreeMap(comparator);
+      for (var i = from; i < to; ++i) {
+        map.put(keys[i], values[i]);
+      }
+      return map;
+    }
+
+    // a view of the map, in the order of its keys
+    function View(conversion, isIn) {
+      AbstractCollection.call(this);
+
+      this.size = function() {
+        return keys.length;
+      };
+
+      this.contains = isIn;
+
+      this.iterator = function() {
+        var index = -1;
+        return {
+          hasNext: function() {
+            return index + 1 < keys.length;
+          },
+          next: function() {
+            ++index;
+            return conversion(index);
+          },
+          remove: function() {
+            removeAt(index--);
+          }
+        };
+      };
+
+      this.clear = function() {
+        treeMap.clear();
+      };
+    }
+
+    this.clear = function() {
+      keys.length = 0;
+      values.length = 0;
+    };
+
+    this.clone = function() {
+      return range(0, keys.length);
+    };
+
+    this.comparator = function() {
+      return comparator;
+    };
+
+    this.containsKey = function(key) {
+      return find(key) >= 0;
+    };
+
+    this.containsValue = function(value) {
+      for (var i = 0, l = values.length; i < l; ++i) {
+        if (virtEquals(values[i], value)) {
+          return true;
+        }
+      }
+      return false;
+    };
+
+    this.entrySet = function() {
+      return new View(function(index) {
+        return new Entry(keys[index]);
+      }, function(entry) {
+        return entry instanceof Entry && treeMap.containsKey(entry.getKey());
+      });
+    };
+
+    this.keySet = function() {
+      return new View(function(index) {
+        return keys[index];
+      }, function(key) {
+        return treeMap.containsKey(key);
+      });
+    };
+
+    this.values = function() {
+      return new View(function(index) {
+        return values[index];
+      }, function(value) {
+        return treeMap.containsValue(value);
+      });
+    };
+
+    this.get = function(key) {
+      var index = find(key);
+      return index >= 0 ? values[index] : null;
+    };
+
+    this.isEmpty = function() {
+      return keys.length === 0;
+    };
+
+    this.put = function(key, value) {
+      var index = find(key), previous;
+      if (index >= 0) {
+        previous = values[index];
+        values[index] = value;
+        return previous;
+      }
+      keys.splice(-index - 1, 0, key);
+      values.splice(-index - 1, 0, value);
+      return null;
+    };
+
+    this.putAll = function(m) {
+      var it = m.entrySet().iterator();
+      while (it.hasNext()) {
+        var entry = it.next();
+        this.put(entry.getKey(), entry.getValue());
+      }
+    };
+
+    this.remove = function(key) {
+      var index = find(key);
+      return index >= 0 ? removeAt(index) : null;
+    };
+
+    this.size = function() {
+      return keys.length;
+    };
+
+    /**
+     * @member TreeMap
+     * TreeMap.firstKey() Returns the least key of the map.
+     *
+     * @throws NoSuchElementException if the map is empty
+     */
+    this.firstKey = function() {
+      if (keys.length === 0) {
+        throw new NoSuchElementException();
+      }
+      return keys[0];
+    };
+
+    this.lastKey = function() {
+      if (keys.length === 0) {
+        throw new NoSuchElementException();
+      }
+      return keys[keys.length - 1];
+    };
+
+    this.firstEntry = function() {
+      return entryAt(0);
+    };
+
+    this.lastEntry = function() {
+      return entryAt(keys.length - 1);
+    };
+
+    // the entries that pollFirstEntry() and pollLastEntry() remove keep their key and value
+    this.pollFirstEntry = function() {
+      return keys.length === 0 ? null : new RemovedEntry(keys[0], removeAt(0));
+    };
+
+    this.pollLastEntry = function() {
+      return keys.length === 0 ? null : new RemovedEntry(keys[keys.length - 1], removeAt(keys.length - 1));
+    };
+
+    /**
+     * @member TreeMap
+     * TreeMap.floorKey() Returns the greatest key less than or equal to a key, or null if there is none.
+     * lowerKey(), ceilingKey() and higherKey() find the greatest key less than, the least key
+     * greater than or equal to, and the least key greater than a key.
+     */
+    this.floorKey = function(key) {
+      return keyAt(lowerIndex(key, true));
+    };
+
+    this.lowerKey = function(key) {
+      return keyAt(lowerIndex(key, false));
+    };
+
+    this.ceilingKey = function(key) {
+      return keyAt(higherIndex(key, true));
+    };
+
+    this.higherKey = function(key) {
+      return keyAt(higherIndex(key, false));
+    };
+
+    this.floorEntry = function(key) {
+      return entryAt(lowerIndex(key, true));
+    };
+
+    this.lowerEntry = function(key) {
+      return entryAt(lowerIndex(key, false));
+    };
+
+    this.ceilingEntry = function(key) {
+      return entryAt(higherIndex(key, true));
+    };
+
+    this.higherEntry = function(key) {
+      return entryAt(higherIndex(key, false));
+    };
+
+    /**
+     * @member TreeMap
+     * TreeMap.headMap() Returns a copy of the mappings whose keys are less than a key, or equal to it if inclusive.
+     * Unlike Java's, the maps that headMap(), tailMap() and subMap() return are copies, not views.
+     */
+    this.headMap = function(toKey, inclusive) {
+      return range(0, lowerIndex(toKey, !!inclusive) + 1);
+    };
+
+    this.tailMap = function(fromKey, inclusive) {
+      return range(higherIndex(fromKey, inclusive !== false), keys.length);
+    };
+
+    // subMap(fromKey, toKey), or subMap(fromKey, fromInclusive, toKey, toInclusive)
+    this.subMap = function(fromKey, fromInclusive, toKey, toInclusive) {
+      if (arguments.length === 2) {
+        toKey = fromInclusive;
+        fromInclusive = true;
+        toInclusive = false;
+      }
+      return range(higherIndex(fromKey, fromInclusive), lowerIndex(toKey, toInclusive) + 1);
+    };
+
+    // action is a lambda, or an object with an accept(key, value) method
+    this.forEach = function(action) {
+      var items = keys.slice(0);
+      for (var i = 0, l = items.length; i < l; ++i) {
+        action.accept(items[i], this.get(items[i]));
+      }
+    };
+
+    this.toString = function() {
+      return "{" + keys.map(function(key, index) {
+        return key + "=" + values[index];
+      }).join(", ") + "}";
+    };
+
+    if (copied !== null) {
+      this.putAll(copied);
+    }
+  }
+
+  return TreeMap;
+};
@@ -0,0 +1,89 @@
+/**
+* A TreeSet is a set whose elements are kept sorted, by a Comparator or by their natural
+* order, as the keys of a TreeMap. It can find the first and last elements, and the elements
+* nearest to any element.
+*
+* @param {Comparator|Collection} c    optional, the comparator of the elements, or the collection whose elements are added
+*/
+module.exports = function(options) {
+  var HashSet = options.HashSet,
+      TreeMap = options.TreeMap;
+
+  function TreeSet(c) {
+    var isCollection = c !== null && typeof c === "object" && (c instanceof Array || c.iterator instanceof Function),
+        map = new TreeMap(isCollection ? (c.comparator instanceof Function ? c.comparator() : null) : c);
+
+    HashSet.call(this, isCollection ? c : null, map);
+
+    this.comparator = function() {
+      return map.comparator();
+    };
+
+    /**
+     * @member TreeSet
+     * TreeSet.first() Returns the least element.
+     *
+     * @throws NoSuchElementException if the set is empty
+     */
+    this.first = function() {
+      return map.firstKey();
+    };
+
+    this.last = function() {
+      return map.lastKey();
+    };
+
+    // floor(), lower(), ceiling() and higher() return null if there is no such element
+    this.floor = function(item) {
+      return map.floorKey(item);
+    };
+
+    this.lower = function(item) {
+      return map.lowerKey(item);
+    };
+
+    this.ceiling = function(item) {
+      return map.ceilingKey(item);
+    };
+
+    this.higher = function(item) {
+      return map.higherKey(item);
+    };
+
+    this.pollFirst = function() {
+      var entry = map.pollFirstEntry();
+      return entry === null ? null : entry.getKey();
+    };
+
+    this.pollLast = function() {
+      var entry = map.pollLastEntry();
+      return entry === null ? null : entry.getKey();
+    };
+
+    // the elements of a map, in a new set with the same comparator
+    function copyOf(elements) {
+      var set = new TreeSet(map.comparator());
+      set.addAll(elements.keySet());
+      return set;
+    }
+
+    // copies, as the maps of TreeMap.headMap(), tailMap() and subMap() are
+    this.headSet = function(toElement, inclusive) {
+      return copyOf(map.headMap(toElement, inclusive));
+    };
+
+    this.tailSet = function(fromElement, inclusive) {
+      return copyOf(map.tailMap(fromElement, inclusive));
+    };
+
+    this.subSet = function() {
+      return copyOf(map.subMap.apply(map, arguments));
+    };
+
+    this.clone = function() {
+      return copyOf(map);
+    };
+  }
+
+  return TreeSet;
+};
@@ -0,0 +1,893 @@
+/**
+ * The typed lists and dictionaries of Processing: IntList, FloatList and StringList hold a list of
+ * values of their type, and IntDict, FloatDict and StringDict map String keys to values of their
+ * type. The keys of a dictionary keep the order in which they were added, until it is sorted.
+ *
+ * Lists, and the keys(), values() and entries() of dictionaries, can be iterated in enhanced for
+ * loops, and their iterators can remove what they iterate.
+ *
+ * @returns {Object} the list and dictionary classes, by name
+ */
+module.exports = function(options, undef) {
+  var ObjectIterator = options.ObjectIterator,
+      RuntimeException = options.Exceptions.RuntimeException,
+      IllegalArgumentException = options.Exceptions.IllegalArgumentException,
+      ArrayIndexOutOfBoundsException = options.Exceptions.ArrayIndexOutOfBoundsException,
+      NoSuchElementException = options.Exceptions.NoSuchElementException;
+
+  // the values of each type, as they are stored
+  var types = {
+    "int": {
+      convert: function(value) {
+        var number = typeof value === "number" ? value : parseInt(String(value), 10);
+        return isNaN(number) ? 0 : (number < 0 ? Math.ceil(number) : Math.floor(number)) | 0;
+      },
+      format: String,
+      missing: 0
+    },
+    "float": {
+      convert: function(value) {
+        return typeof value === "number" ? value : parseFloat(String(value));
+      },
+      format: function(value) {
+        return value % 1 === 0 ? value.toFixed(1) : String(value);
+      },
+      missing: 0
+    },
+    "String": {
+      convert: function(value) {
+        return value === null || value === undef ? null : String(value);
+      },
+      format: function(value) {
+        return value === null ? "null" : JSON.stringify(value);
+      },
+      missing: null
+    }
+  };
+
+  // ascending order, with NaN and null last, whichever way the values are sorted
+  function compare(a, b, reverse) {
+    var aMissing = a === null || a !== a, bMissing = b === null || b !== b;
+    if (aMissing || bMissing) {
+      return aMissing === bMissing ? 0 : aMissing ? 1 : -1;
+    }
+    if (a === b) {
+      return 0;
+    }
+    if (reverse) {
+      return a < b ? 1 : -1;
+    }
+    return a < b ? -1 : 1;
+  }
+
+  function checkIndex(index, size) {
+    if (index < 0 || index >= size) {
+      throw new ArrayIndexOutOfBoundsException(String(index));
+    }
+  }
+
+  // whether a value is an array, a list, or anything else that can be iterated
+  function isCollection(value) {
+    return value instanceof Array ||
+           (value !== null && typeof value === "object" && (value.data instanceof Array || typeof value.iterator === "function"));
+  }
+
+  // the values of an array, of a list, or of anything that can be iterated
+  function valuesOf(values) {
+    if (values instanceof Array) {
+      return values;
+    }
+    if (values.data instanceof Array) {
+      return values.data;
+    }
+    var result = [], it = new ObjectIterator(values);
+    while (it.hasNext()) {
+      result.push(it.next());
+    }
+    return result;
+  }
+
+  // the values, copied into an array if it is long enough, or else into a new one
+  function copyValues(values, array) {
+    if (!array || array.length < values.length) {
+      return values.slice();
+    }
+    for (var i = 0; i < values.length; i++) {
+      array[i] = values[i];
+    }
+    return array;
+  }
+
+  function sumValues(values) {
+    var sum = 0;
+    for (var i = 0; i < values.length; i++) {
+      sum += values[i];
+    }
+    return sum;
+  }
+
+  /**
+   * An iterator over the items of a list or a dictionary, which can remove the item it returned last.
+   *
+   * @param {Function} size     returns the number of items
+   * @param {Function} item     returns the item at an index
+   * @param {Function} remove   removes the item at an index
+   */
+  function Iterator(size, item, remove) {
+    var index = -1;
+    this.hasNext = function() {
+      return index + 1 < size();
+    };
+    this.next = function() {
+      if (!this.hasNext()) {
+        throw new NoSuchElementException();
+      }
+      return item(++index);
+    };
+    this.remove = function() {
+      remove(index--);
+    };
+  }
+
+  ////////////////////////////////////////////////////////////////////////////
+  // Lists
+  ////////////////////////////////////////////////////////////////////////////
+
+  var List = function() {};
+
+  List.prototype = {
+    size: function() {
+      return this.data.length;
+    },
+
+    /**
+     * @member IntList
+     * The resize() function makes the list longer, with the missing value of its type, or shorter
+     */
+    resize: function(length) {
+      if (length < this.data.length) {
+        this.data.length = length;
+      }
+      while (this.data.length < length) {
+        this.data.push(this.type.missing);
+      }
+    },
+
+    clear: function() {
+      this.data = [];
+    },
+
+    get: function(index) {
+      checkIndex(index, this.data.length);
+      return this.data[index];
+    },
+
+    // setting beyond the end makes the list longer
+    set: function(index, value) {
+      if (index >= this.data.length) {
+        this.resize(index + 1);
+      }
+      checkIndex(index, this.data.length);
+      this.data[index] = this.type.convert(value);
+    },
+
+    push: function(value) {
+      this.append(value);
+    },
+
+    pop: function() {
+      if (this.data.length === 0) {
+        throw new RuntimeException("Can't call pop() on an empty list");
+      }
+      return this.data.pop();
+    },
+
+    remove: function(index) {
+      checkIndex(index, this.data.length);
+      return this.data.splice(index, 1)[0];
+    },
+
+    /**
+     * @member IntList
+     * The removeValue() function removes the first occurrence of a value
+     *
+     * @return {int} the index of the value that was removed, or -1 if there was none
+     */
+    removeValue: function(value) {
+      var index = this.index(value);
+      if (index > -1) {
+        this.data.splice(index, 1);
+      }
+      return index;
+    },
+
+    /**
+     * @member IntList
+     * The removeValues() function removes every occurrence of a value
+     *
+     * @return {int} the number of values that were removed
+     */
+    removeValues: function(value) {
+      var size = this.data.length;
+      value = this.type.convert(value);
+      this.data = this.data.filter(function(item) {
+        return compare(item, value) !== 0;
+      });
+      return size - this.data.length;
+    },
+
+    /**
+     * @member IntList
+     * The append() function adds a value, or the values of an array or a list, at the end of the list
+     */
+    append: function(value) {
+      var values = isCollection(value) ? valuesOf(value) : [value];
+      for (var i = 0; i < values.length; i++) {
+        this.data.push(this.type.convert(values[i]));
+      }
+    },
+
+    // adds a value unless the list has it already
+    appendUnique: function(value) {
+      if (!this.hasValue(value)) {
+        this.append(value);
+      }
+    },
+
+    /**
+     * @member IntList
+     * The insert() function inserts a value, or the values of an array or a list, at an index
+     */
+    insert: function(index, value) {
+      var values = isCollection(value) ? valuesOf(value) : [value];
+      if (index < 0 || index > this.data.length) {
+        throw new ArrayIndexOutOfBoundsException(String(index));
+      }
+      Array.prototype.splice.apply(this.data, [index, 0].concat(values.map(this.type.convert)));
+    },
+
+    /**
+     * @member IntList
+     * The index() function returns the index of the first occurrence of a value
+     *
+     * @return {int} the index, or -1 if the list does not have the value
+     */
+    index: function(value) {
+      value = this.type.convert(value);
+      for (var i = 0; i < this.data.length; i++) {
+        if (compare(this.data[i], value) === 0) {
+          return i;
+        }
+      }
+      return -1;
+    },
+
+    hasValue: function(value) {
+      return this.index(value) > -1;
+    },
+
+    sort: function() {
+      this.data.sort(function(a, b) {
+        return compare(a, b, false);
+      });
+    },
+
+    sortReverse: function() {
+      this.data.sort(function(a, b) {
+        return compare(a, b, true);
+      });
+    },
+
+    reverse: function() {
+      this.data.reverse();
+    },
+
+    /**
+     * @member IntList
+     * The shuffle() function puts the values in a random order
+     *
+     * @param {PApplet} sketch   optional, the sketch whose random() picks the order
+     */
+    shuffle: function(sketch) {
+      var data = this.data, i, j, value;
+      for (i = data.length - 1; i > 0; i--) {
+        j = Math.floor(sketch ? sketch.random(i + 1) : Math.random() * (i + 1));
+        value = data[i];
+        data[i] = data[j];
+        data[j] = value;
+      }
+    },
+
+    copy: function() {
+      var list = new this.constructor();
+      list.data = this.data.slice();
+      return list;
+    },
+
+    // a copy of the values, as an array
+    values: function() {
+      return this.data.slice();
+    },
+
+    /**
+     * @member IntList
+     * The array() function returns the values as an array
+     *
+     * @param {Array} array   optional, an array to copy the values into, if it is long enough
+     *
+     * @return {Array} the values
+     */
+    array: function(array) {
+      return copyValues(this.data, array);
+    },
+
+    getSubset: function(start, count) {
+      var list = new this.constructor();
+      list.data = this.data.slice(start, count === undef ? this.data.length : start + count);
+      return list;
+    },
+
+    // the values without repeats, in the order in which they first occur
+    getUnique: function() {
+      var unique = [];
+      for (var i = 0; i < this.data.length; i++) {
+        if (this.index(this.data[i]) === i) {
+          unique.push(this.data[i]);
+        }
+      }
+      return unique;
+    },
+
+    /**
+     * @member IntList
+     * The getTally() function counts how often each value occurs
+     *
+     * @return {IntDict} the number of occurrences of each value, keyed by the value
+     */
+    getTally: function() {
+      var tally = new IntDict();
+      for (var i = 0; i < this.data.length; i++) {
+        tally.increment(String(this.data[i]));
+      }
+      return tally;
+    },
+
+    /**
+     * @member IntList
+     * The getOrder() function maps each value to the index at which it occurs last
+     *
+     * @return {IntDict} the index of each value, keyed by the value
+     */
+    getOrder: function() {
+      var order = new IntDict();
+      for (var i = 0; i < this.data.length; i++) {
+        order.set(String(this.data[i]), i);
+      }
+      return order;
+    },
+
+    join: function(separator) {
+      return this.data.map(String).join(separator);
+    },
+
+    iterator: function() {
+      var list = this;
+      return new Iterator(function() {
+        return list.data.length;
+      }, function(index) {
+        return list.data[index];
+      }, function(index) {
+        list.data.splice(index, 1);
+      });
+    },
+
+    toJSON: function() {
+      return "[ " + this.data.map(this.type.format).join(", ") + " ]";
+    },
+
+    toString: function() {
+      return this.className + " size=" + this.data.length + " " + this.toJSON();
+    }
+  };
+
+  // the arithmetic of IntList and FloatList
+  var NumberList = function() {};
+
+  NumberList.prototype = Object.create(List.prototype);
+
+  // increment() and add() on an index beyond the end make the list longer
+  NumberList.prototype.increment = function(index) {
+    this.add(index, 1);
+  };
+
+  NumberList.prototype.add = function(index, amount) {
+    if (index >= this.data.length) {
+      this.resize(index + 1);
+    }
+    checkIndex(index, this.data.length);
+    this.data[index] = this.type.convert(this.data[index] + amount);
+  };
+
+  NumberList.prototype.sub = function(index, amount) {
+    checkIndex(index, this.data.length);
+    this.data[index] = this.type.convert(this.data[index] - amount);
+  };
+
+  NumberList.prototype.mult = function(index, amount) {
+    checkIndex(index, this.data.length);
+    this.data[index] = this.type.convert(this.data[index] * amount);
+  };
+
+  NumberList.prototype.div = function(index, amount) {
+    checkIndex(index, this.data.length);
+    this.data[index] = this.type.convert(this.data[index] / amount);
+  };
+
+  // the index of the least or greatest value that is not NaN, or -1 if there is none
+  function extremeIndex(values, sign) {
+    var index = -1;
+    for (var i = 0; i < values.length; i++) {
+      if (values[i] === values[i] && (index < 0 || sign * (values[i] - values[index]) < 0)) {
+        index = i;
+      }
+    }
+    return index;
+  }
+
+  function checkNotEmpty(list, name) {
+    if (list.data.length === 0) {
+      throw new RuntimeException("Cannot use " + name + "() on " + list.className + " of length 0.");
+    }
+  }
+
+  NumberList.prototype.minIndex = function() {
+    checkNotEmpty(this, "minIndex");
+    return extremeIndex(this.data, 1);
+  };
+
+  NumberList.prototype.min = function() {
+    checkNotEmpty(this, "min");
+    var index = extremeIndex(this.data, 1);
+    return index < 0 ? NaN : this.data[index];
+  };
+
+  NumberList.prototype.maxIndex = function() {
+    checkNotEmpty(this, "maxIndex");
+    return extremeIndex(this.data, -1);
+  };
+
+  NumberList.prototype.max = function() {
+    checkNotEmpty(this, "max");
+    var index = extremeIndex(this.data, -1);
+    return index < 0 ? NaN : this.data[index];
+  };
+
+  NumberList.prototype.sum = function() {
+    return sumValues(this.data);
+  };
+
+  // builds a list class: new IntList(), new IntList(capacity), new IntList(values) or new IntList(value, value, ...)
+  function defineList(className, type, base) {
+    var TypedList = function(values) {
+      this.data = [];
+      if (arguments.length > 1) {
+        this.append(Array.prototype.slice.call(arguments));
+      } else if (values !== undef && values !== null && typeof values !== "number") {
+        this.append(values);
+      }
+    };
+    TypedList.prototype = Object.create(base.prototype);
+    TypedList.prototype.constructor = TypedList;
+    TypedList.prototype.className = className;
+    TypedList.prototype.type = types[type];
+    return TypedList;
+  }
+
+  var IntList = defineList("IntList", "int", NumberList),
+      FloatList = defineList("FloatList", "float", NumberList),
+      StringList = defineList("StringList", "String", List);
+
+  FloatList.prototype.join = function(separator) {
+    return this.data.map(this.type.format).join(separator);
+  };
+
+  StringList.prototype.lower = function() {
+    this.data = this.data.map(function(value) {
+      return value === null ? null : value.toLowerCase();
+    });
+  };
+
+  StringList.prototype.upper = function() {
+    this.data = this.data.map(function(value) {
+      return value === null ? null : value.toUpperCase();
+    });
+  };
+
+  ////////////////////////////////////////////////////////////////////////////
+  // Dictionaries
+  ////////////////////////////////////////////////////////////////////////////
+
+  var Dict = function() {};
+
+  // the index of each key, after keys were removed or moved
+  function reindex(dict) {
+    dict.indices = {};
+    for (var i = 0; i < dict.keyList.length; i++) {
+      dict.indices["$" + dict.keyList[i]] = i;
+    }
+  }
+
+  // something to iterate in an enhanced for loop
+  function iterable(dict, item) {
+    return {
+      iterator: function() {
+        return new Iterator(function() {
+          return dict.keyList.length;
+        }, item, function(index) {
+          dict.removeIndex(index);
+        });
+      }
+    };
+  }
+
+  Dict.prototype = {
+    size: function() {
+      return this.keyList.length;
+    },
+
+    /**
+     * @member IntDict
+     * The resize() function removes the keys beyond a length
+     *
+     * @throws IllegalArgumentException if the length is more than the size of the dictionary
+     */
+    resize: function(length) {
+      if (length > this.keyList.length) {
+        throw new IllegalArgumentException("resize() can only be used to shrink the dictionary");
+      }
+      this.keyList.length = length;
+      this.valueList.length = length;
+      reindex(this);
+    },
+
+    clear: function() {
+      this.keyList = [];
+      this.valueList = [];
+      this.indices = {};
+    },
+
+    key: function(index) {
+      checkIndex(index, this.keyList.length);
+      return this.keyList[index];
+    },
+
+    value: function(index) {
+      checkIndex(index, this.keyList.length);
+      return this.valueList[index];
+    },
+
+    /**
+     * @member IntDict
+     * The keys() function returns the keys, in order, for an enhanced for loop
+     *
+     * @return {Iterable} the keys
+     */
+    keys: function() {
+      var dict = this;
+      return iterable(this, function(index) {
+        return dict.keyList[index];
+      });
+    },
+
+    values: function() {
+      var dict = this;
+      return iterable(this, function(index) {
+        return dict.valueList[index];
+      });
+    },
+
+    /**
+     * @member IntDict
+     * The entries() function returns the entries, in order, for an enhanced for loop. An entry has a key and a value.
+     *
+     * @return {Iterable} the entries
+     */
+    entries: function() {
+      var dict = this;
+      return iterable(this, function(index) {
+        return { key: dict.keyList[index], value: dict.valueList[index] };
+      });
+    },
+
+    keyIterator: function() {
+      return this.keys().iterator();
+    },
+
+    valueIterator: function() {
+      return this.values().iterator();
+    },
+
+    keyArray: function(array) {
+      return copyValues(this.keyList, array);
+    },
+
+    valueArray: function(array) {
+      return copyValues(this.valueList, array);
+    },
+
+    /**
+     * @member IntDict
+     * The index() function returns the index of a key
+     *
+     * @return {int} the index, or -1 if there is no such key
+     */
+    index: function(key) {
+      var index = this.indices["$" + key];
+      return index === undef ? -1 : index;
+    },
+
+    hasKey: function(key) {
+      return this.index(key) > -1;
+    },
+
+    /**
+     * @member IntDict
+     * The get() function returns the value of a key
+     *
+     * @param {String} key        the key
+     * @param {int} alternate     optional, the value to return if there is no such key
+     *
+     * @throws IllegalArgumentException if there is no such key, and no alternate
+     */
+    get: function(key, alternate) {
+      var index = this.index(key);
+      if (index < 0) {
+        if (arguments.length > 1) {
+          return alternate;
+        }
+        throw new IllegalArgumentException("No key named '" + key + "'");
+      }
+      return this.valueList[index];
+    },
+
+    // a new key goes at the end
+    set: function(key, value) {
+      var index = this.index(key);
+      if (index < 0) {
+        this.indices["$" + key] = this.keyList.length;
+        this.keyList.push(String(key));
+        this.valueList.push(this.type.convert(value));
+      } else {
+        this.valueList[index] = this.type.convert(value);
+      }
+    },
+
+    /**
+     * @member IntDict
+     * The remove() function removes a key and its value
+     *
+     * @return {int} the value
+     *
+     * @throws NoSuchElementException if there is no such key
+     */
+    remove: function(key) {
+      var index = this.index(key);
+      if (index < 0) {
+        throw new NoSuchElementException("'" + key + "' not found");
+      }
+      return this.removeIndex(index);
+    },
+
+    removeIndex: function(index) {
+      checkIndex(index, this.keyList.length);
+      var value = this.valueList[index];
+      this.keyList.splice(index, 1);
+      this.valueList.splice(index, 1);
+      reindex(this);
+      return value;
+    },
+
+    swap: function(a, b) {
+      checkIndex(a, this.keyList.length);
+      checkIndex(b, this.keyList.length);
+      var key = this.keyList[a], value = this.valueList[a];
+      this.keyList[a] = this.keyList[b];
+      this.valueList[a] = this.valueList[b];
+      this.keyList[b] = key;
+      this.valueList[b] = value;
+      reindex(this);
+    },
+
+    sortKeys: function() {
+      sortDict(this, this.keyList, false);
+    },
+
+    sortKeysReverse: function() {
+      sortDict(this, this.keyList, true);
+    },
+
+    /**
+     * @member IntDict
+     * The sortValues() function orders the keys by their values. Keys with equal values keep their order.
+     */
+    sortValues: function() {
+      sortDict(this, this.valueList, false);
+    },
+
+    sortValuesReverse: function() {
+      sortDict(this, this.valueList, true);
+    },
+
+    copy: function() {
+      var dict = new this.constructor();
+      dict.keyList = this.keyList.slice();
+      dict.valueList = this.valueList.slice();
+      reindex(dict);
+      return dict;
+    },
+
+    toJSON: function() {
+      var items = [];
+      for (var i = 0; i < this.keyList.length; i++) {
+        items.push(JSON.stringify(this.keyList[i]) + ": " + this.type.format(this.valueList[i]));
+      }
+      return "{ " + items.join(", ") + " }";
+    },
+
+    toString: function() {
+      return this.className + " size=" + this.keyList.length + " " + this.toJSON();
+    }
+  };
+
+  // a stable sort of the keys, by the keys or by the values
+  function sortDict(dict, by, reverse) {
+    var order = by.map(function(value, index) {
+      return index;
+    });
+    order.sort(function(a, b) {
+      return compare(by[a], by[b], reverse) || a - b;
+    });
+    var keys = dict.keyList, values = dict.valueList;
+    dict.keyList = order.map(function(index) {
+      return keys[index];
+    });
+    dict.valueList = order.map(function(index) {
+      return values[index];
+    });
+    reindex(dict);
+  }
+
+  // the arithmetic of IntDict and FloatDict
+  var NumberDict = function() {};
+
+  NumberDict.prototype = Object.create(Dict.prototype);
+
+  // add() and sub() on a missing key add it, mult() and div() leave it out
+  NumberDict.prototype.add = function(key, amount) {
+    var index = this.index(key);
+    if (index < 0) {
+      this.set(key, amount);
+    } else {
+      this.valueList[index] = this.type.convert(this.valueList[index] + amount);
+    }
+  };
+
+  NumberDict.prototype.sub = function(key, amount) {
+    this.add(key, -amount);
+  };
+
+  NumberDict.prototype.mult = function(key, amount) {
+    var index = this.index(key);
+    if (index > -1) {
+      this.valueList[index] = this.type.convert(this.valueList[index] * amount);
+    }
+  };
+
+  NumberDict.prototype.div = function(key, amount) {
+    var index = this.index(key);
+    if (index > -1) {
+      this.valueList[index] = this.type.convert(this.valueList[index] / amount);
+    }
+  };
+
+  NumberDict.prototype.minIndex = function() {
+    return extremeIndex(this.valueList, 1);
+  };
+
+  NumberDict.prototype.maxIndex = function() {
+    return extremeIndex(this.valueList, -1);
+  };
+
+  NumberDict.prototype.minKey = function() {
+    var index = this.minIndex();
+    return index < 0 ? null : this.keyList[index];
+  };
+
+  NumberDict.prototype.maxKey = function() {
+    var index = this.maxIndex();
+    return index < 0 ? null : this.keyList[index];
+  };
+
+  NumberDict.prototype.minValue = function() {
+    if (this.keyList.length === 0) {
+      throw new RuntimeException("Cannot use minValue() on an empty " + this.className + ".");
+    }
+    var index = this.minIndex();
+    return index < 0 ? NaN : this.valueList[index];
+  };
+
+  NumberDict.prototype.maxValue = function() {
+    if (this.keyList.length === 0) {
+      throw new RuntimeException("Cannot use maxValue() on an empty " + this.className + ".");
+    }
+    var index = this.maxIndex();
+    return index < 0 ? NaN : this.valueList[index];
+  };
+
+  NumberDict.prototype.sum = function() {
+    return sumValues(this.valueList);
+  };
+
+  /**
+   * @member IntDict
+   * The getPercent() function returns the share of the sum of the values that each value is
+   *
+   * @return {FloatDict} the share of each key, between 0 and 1
+   */
+  NumberDict.prototype.getPercent = function() {
+    var sum = this.sum(), percent = new FloatDict();
+    for (var i = 0; i < this.keyList.length; i++) {
+      percent.set(this.keyList[i], this.valueList[i] / sum);
+    }
+    return percent;
+  };
+
+  // builds a dictionary class: new IntDict(), new IntDict(capacity), new IntDict(keys, values) or new IntDict(pairs)
+  function defineDict(className, type, base) {
+    var TypedDict = function(keys, values) {
+      var i;
+      this.clear();
+      if (keys instanceof Array && values instanceof Array) {
+        for (i = 0; i < keys.length; i++) {
+          this.set(keys[i], values[i]);
+        }
+      } else if (keys instanceof Array) {
+        for (i = 0; i < keys.length; i++) {
+          this.set(keys[i][0], keys[i][1]);
+        }
+      }
+    };
+    TypedDict.prototype = Object.create(base.prototype);
+    TypedDict.prototype.constructor = TypedDict;
+    TypedDict.prototype.className = className;
+    TypedDict.prototype.type = types[type];
+    return TypedDict;
+  }
+
+  var IntDict = defineDict("IntDict", "int", NumberDict),
+      FloatDict = defineDict("FloatDict", "float", NumberDict),
+      StringDict = defineDict("StringDict", "String", Dict);
+
+  /**
+   * @member IntDict
+   * The increment() function adds 1 to the value of a key, which starts at 0, or adds the values of another IntDict
+   */
+  IntDict.prototype.increment = function(key) {
+    if (key instanceof IntDict) {
+      for (var i = 0; i < key.keyList.length; i++) {
+        this.add(key.keyList[i], key.valueList[i]);
+      }
+    } else {
+      this.add(key, 1);
+    }
+  };
+
+  return {
+    IntList: IntList,
+    FloatList: FloatList,
+    StringList: StringList,
+    IntDict: IntDict,
+    FloatDict: FloatDict,
+    StringDict: StringDict
+  };
+};
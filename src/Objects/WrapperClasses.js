@@ -0,0 +1,342 @@
+/**
+ * The wrapper classes of java.lang: Integer, Long, Float, Double and Boolean, with the static
+ * constants and methods that Java has. Sketch values are JavaScript numbers and booleans, so
+ * boxing is a no-op: valueOf() returns the value, and intValue(), floatValue() and the like are
+ * proxies that convert it. The parse methods throw a NumberFormatException on what Java would
+ * not parse. Character is Char, whose static methods are in Char.js.
+ *
+ * @returns {Object} the Integer, Long, Float, Double and Boolean classes
+ */
+module.exports = function(options, undef) {
+  var NumberFormatException = options.Exceptions.NumberFormatException;
+
+  function inputError(s, radix) {
+    return new NumberFormatException("For input string: \"" + s + "\"" +
+      (radix && radix !== 10 ? " under radix " + radix : ""));
+  }
+
+  // parses a whole number in a radix, which must be between min and max
+  function parseWhole(s, radix, min, max) {
+    radix = radix || 10;
+    if (s === null || s === undef) {
+      throw new NumberFormatException("Cannot parse null string: null");
+    }
+    s = String(s);
+    var digits = s.charAt(0) === "-" || s.charAt(0) === "+" ? s.substring(1) : s;
+    if (digits.length === 0) {
+      throw inputError(s, radix);
+    }
+    for (var i = 0, digit; i < digits.length; i++) {
+      digit = parseInt(digits.charAt(i), 36);
+      if (digit !== digit || digit >= radix) {
+        throw inputError(s, radix);
+      }
+    }
+    var value = parseInt(s, radix);
+    if (value < min || value > max) {
+      throw inputError(s, radix);
+    }
+    // "-0" is 0, not -0
+    return value === 0 ? 0 : value;
+  }
+
+  // parses a decimal number, with an optional exponent and float or double suffix
+  function parseDecimal(s) {
+    if (s === null || s === undef) {
+      throw new NumberFormatException("Cannot parse null string: null");
+    }
+    var trimmed = String(s).trim();
+    if (!/^[+\-]?(NaN|Infinity|(\d+\.?\d*|\.\d+)([eE][+\-]?\d+)?[fFdD]?)$/.test(trimmed)) {
+      throw inputError(s);
+    }
+    return trimmed.indexOf("NaN") >= 0 ? NaN : parseFloat(trimmed);
+  }
+
+  // Java's order of floating point numbers: -0.0 before 0.0, and NaN after everything
+  function compareDecimal(a, b) {
+    if (a < b) {
+      return -1;
+    }
+    if (a > b) {
+      return 1;
+    }
+    if (a !== a || b !== b) {
+      return a !== a ? (b !== b ? 0 : 1) : -1;
+    }
+    return a === 0 ? (1 / a > 0) - (1 / b > 0) : 0;
+  }
+
+  // prints a floating point number as Java does: 1.0, 0.001, 1.0E7 and 1.0E-4
+  function formatDecimal(d) {
+    if (d !== d || d === Infinity || d === -Infinity) {
+      return String(d);
+    }
+    if (d === 0) {
+      return 1 / d < 0 ? "-0.0" : "0.0";
+    }
+    var magnitude = Math.abs(d);
+    if (magnitude >= 1e-3 && magnitude < 1e7) {
+      var s = String(d);
+      return s.indexOf(".") < 0 ? s + ".0" : s;
+    }
+    var parts = d.toExponential().split("e");
+    return (parts[0].indexOf(".") < 0 ? parts[0] + ".0" : parts[0]) + "E" + parts[1].replace("+", "");
+  }
+
+  // the unsigned digits of an int in a radix that is a power of two
+  function formatUnsigned(i, radix) {
+    return (i >>> 0).toString(radix);
+  }
+
+  // as formatUnsigned(), for a long, whose 64 bits are printed as two 32 bit words
+  function formatUnsignedLong(l, radix, digitsPerWord) {
+    if (l >= 0) {
+      return l.toString(radix);
+    }
+    var high = Math.floor(l / 4294967296),
+        low = (l - high * 4294967296).toString(radix);
+    while (low.length < digitsPerWord) {
+      low = "0" + low;
+    }
+    return formatUnsigned(high, radix) + low;
+  }
+
+  // the parser compiles new Integer(5) and the like to Integer.valueOf(5), as boxing is a no-op,
+  // so only JavaScript code gets a wrapper object from them
+  function Integer(value) {
+    return Object(Integer.valueOf(value));
+  }
+
+  Integer.MAX_VALUE = 2147483647;
+  Integer.MIN_VALUE = -2147483648;
+  Integer.SIZE = 32;
+  Integer.BYTES = 4;
+
+  /**
+   * @member Integer
+   * Integer.parseInt() Parses a string as an int, in base 10 or in a radix.
+   *
+   * @throws NumberFormatException if the string is not an int
+   */
+  Integer.parseInt = function(s, radix) {
+    return parseWhole(s, radix, Integer.MIN_VALUE, Integer.MAX_VALUE);
+  };
+
+  // returns the value of a string, a number, or the code of a char
+  Integer.valueOf = function(value, radix) {
+    return typeof value === "string" ? Integer.parseInt(value, radix) : +value;
+  };
+
+  Integer.toString = function(i, radix) {
+    return i.toString(radix || 10);
+  };
+
+  Integer.toHexString = function(i) {
+    return formatUnsigned(i, 16);
+  };
+
+  Integer.toOctalString = function(i) {
+    return formatUnsigned(i, 8);
+  };
+
+  Integer.toBinaryString = function(i) {
+    return formatUnsigned(i, 2);
+  };
+
+  Integer.compare = function(x, y) {
+    return x < y ? -1 : (x > y ? 1 : 0);
+  };
+
+  Integer.signum = function(i) {
+    return i > 0 ? 1 : (i < 0 ? -1 : 0);
+  };
+
+  Integer.bitCount = function(i) {
+    var count = 0;
+    for (i = i >>> 0; i !== 0; i = i >>> 1) {
+      count += i & 1;
+    }
+    return count;
+  };
+
+  Integer.highestOneBit = function(i) {
+    return i === 0 ? 0 : (1 << (31 - Math.clz32(i)));
+  };
+
+  Integer.lowestOneBit = function(i) {
+    return i & -i;
+  };
+
+  Integer.numberOfLeadingZeros = function(i) {
+    return Math.clz32(i);
+  };
+
+  Integer.numberOfTrailingZeros = function(i) {
+    return i === 0 ? 32 : 31 - Math.clz32(i & -i);
+  };
+
+  Integer.hashCode = function(i) {
+    return i;
+  };
+
+  Integer.max = Math.max;
+  Integer.min = Math.min;
+
+  Integer.sum = function(a, b) {
+    return (a + b) | 0;
+  };
+
+  // longs are doubles, so they are exact up to 2^53
+  function Long(value) {
+    return Object(Long.valueOf(value));
+  }
+
+  Long.MAX_VALUE = 9223372036854775807;
+  Long.MIN_VALUE = -9223372036854775808;
+  Long.SIZE = 64;
+  Long.BYTES = 8;
+
+  Long.parseLong = function(s, radix) {
+    return parseWhole(s, radix, Long.MIN_VALUE, Long.MAX_VALUE);
+  };
+
+  Long.valueOf = function(value, radix) {
+    return typeof value === "string" ? Long.parseLong(value, radix) : +value;
+  };
+
+  Long.toString = Integer.toString;
+
+  Long.toHexString = function(l) {
+    return formatUnsignedLong(l, 16, 8);
+  };
+
+  Long.toBinaryString = function(l) {
+    return formatUnsignedLong(l, 2, 32);
+  };
+
+  Long.compare = Integer.compare;
+  Long.signum = Integer.signum;
+  Long.max = Math.max;
+  Long.min = Math.min;
+
+  Long.sum = function(a, b) {
+    return a + b;
+  };
+
+  function Double(value) {
+    return Object(Double.valueOf(value));
+  }
+
+  Double.MAX_VALUE = Number.MAX_VALUE;
+  Double.MIN_VALUE = Number.MIN_VALUE;
+  Double.MIN_NORMAL = 2.2250738585072014E-308;
+  Double.POSITIVE_INFINITY = Infinity;
+  Double.NEGATIVE_INFINITY = -Infinity;
+  Double.NaN = NaN;
+  Double.SIZE = 64;
+  Double.BYTES = 8;
+
+  /**
+   * @member Double
+   * Double.parseDouble() Parses a string as a double, as in "1.5", "-2e3", "3f" or "NaN".
+   *
+   * @throws NumberFormatException if the string is not a number
+   */
+  Double.parseDouble = parseDecimal;
+
+  Double.valueOf = function(value) {
+    return typeof value === "string" ? parseDecimal(value) : +value;
+  };
+
+  Double.toString = formatDecimal;
+  Double.compare = compareDecimal;
+
+  Double.isNaN = function(v) {
+    return v !== v;
+  };
+
+  Double.isInfinite = function(v) {
+    return v === Infinity || v === -Infinity;
+  };
+
+  Double.isFinite = function(v) {
+    return isFinite(v);
+  };
+
+  Double.max = Math.max;
+  Double.min = Math.min;
+  Double.sum = Long.sum;
+
+  // floats are doubles as well, so only the constants differ
+  function Float(value) {
+    return Object(Float.valueOf(value));
+  }
+
+  Float.MAX_VALUE = 3.4028235e38;
+  Float.MIN_VALUE = 1.4e-45;
+  Float.MIN_NORMAL = 1.17549435E-38;
+  Float.POSITIVE_INFINITY = Infinity;
+  Float.NEGATIVE_INFINITY = -Infinity;
+  Float.NaN = NaN;
+  Float.SIZE = 32;
+  Float.BYTES = 4;
+
+  Float.parseFloat = parseDecimal;
+  Float.valueOf = Double.valueOf;
+  Float.toString = formatDecimal;
+  Float.compare = compareDecimal;
+  Float.isNaN = Double.isNaN;
+  Float.isInfinite = Double.isInfinite;
+  Float.isFinite = Double.isFinite;
+  Float.max = Math.max;
+  Float.min = Math.min;
+  Float.sum = Long.sum;
+
+  function Boolean(value) {
+    return Object(Boolean.valueOf(value));
+  }
+
+  Boolean.TRUE = true;
+  Boolean.FALSE = false;
+
+  // true for "true" in any case, false for anything else
+  Boolean.parseBoolean = function(s) {
+    return typeof s === "string" && s.toLowerCase() === "true";
+  };
+
+  Boolean.valueOf = function(value) {
+    return typeof value === "string" || value === null ? Boolean.parseBoolean(value) : value.valueOf() === true;
+  };
+
+  Boolean.toString = function(b) {
+    return String(b);
+  };
+
+  Boolean.compare = function(x, y) {
+    return x === y ? 0 : (x ? 1 : -1);
+  };
+
+  Boolean.hashCode = function(b) {
+    return b ? 1231 : 1237;
+  };
+
+  Boolean.logicalAnd = function(a, b) {
+    return a && b;
+  };
+
+  Boolean.logicalOr = function(a, b) {
+    return a || b;
+  };
+
+  Boolean.logicalXor = function(a, b) {
+    return a !== b;
+  };
+
+  return {
+    Integer: Integer,
+    Long: Long,
+    Float: Float,
+    Double: Double,
+    Boolean: Boolean
+  };
+};
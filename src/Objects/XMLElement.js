@@ -12,7 +12,7 @@
 module.exports = function(options, undef) {
 
   var Browser = options.Browser,
-      ajax = Browser.ajax,
+      readText = options.readText,
       window = Browser.window,
       XMLHttpRequest = window.XMLHttpRequest,
       DOMParser = window.DOMParser,
@@ -56,7 +56,7 @@ module.exports = function(options, undef) {
   XMLElement.prototype = {
     /**
      * @member XMLElement
-     * The parse() function retrieves the file via ajax() and uses DOMParser()
+     * The parse() function reads the file from Processing.fileSystem and uses DOMParser()
      * parseFromString method to make an XML document
      * @addon
      *
@@ -71,7 +71,10 @@ module.exports = function(options, undef) {
       try {
         var extension = textstring.substring(textstring.length-4);
         if (extension === ".xml" || extension === ".svg") {
-          textstring = ajax(textstring);
+          textstring = readText(textstring);
+          if (textstring === null) {
+            throw ("Error loading document");
+          }
         }
         xmlDoc = new DOMParser().parseFromString(textstring, "text/xml");
         var elements = xmlDoc.documentElement;
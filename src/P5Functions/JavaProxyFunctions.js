@@ -1,4 +1,4 @@
-module.exports = function(virtHashCode, virtEquals, undef) {
+module.exports = function(virtHashCode, virtEquals, virtCompare, undef) {
 
   return function withProxyFunctions(p, removeFirstArgument) {
     /**
@@ -141,6 +141,32 @@ module.exports = function(virtHashCode, virtEquals, undef) {
       return subject.toLowerCase() === other.toLowerCase();
     };
 
+    /**
+     * The __compareTo() function compares two strings (or objects) by their order, as Java's compareTo() does.
+     * Strings are compared by the codes of their first different characters, or by their lengths.
+     *
+     * @param {String} subject  a string used for comparison
+     * @param {String} other  a string used for comparison with
+     *
+     * @return {int} a negative number, zero or a positive number, as the string is before, the same as or after the other
+     */
+    p.__compareTo = function(subject, other) {
+      if (typeof subject !== "string") {
+        if (subject.compareTo instanceof Function) {
+          return subject.compareTo.apply(subject, removeFirstArgument(arguments));
+        }
+        return virtCompare(subject, other);
+      }
+
+      other = String(other);
+      for (var i = 0, len = Math.min(subject.length, other.length); i < len; ++i) {
+        if (subject.charCodeAt(i) !== other.charCodeAt(i)) {
+          return subject.charCodeAt(i) - other.charCodeAt(i);
+        }
+      }
+      return subject.length - other.length;
+    };
+
     /**
      * The __toCharArray() function splits the string into a char array.
      *
@@ -282,12 +308,90 @@ module.exports = function(virtHashCode, virtEquals, undef) {
       return virtHashCode(subject);
     };
 
+    /**
+     * The __intValue() function unboxes an Integer, Float, Character or other wrapper value,
+     * which is already a number or a char, as an int. __longValue(), __floatValue(),
+     * __doubleValue(), __booleanValue() and __charValue() unbox it as their types.
+     *
+     * @param {Object} subject The boxed value
+     *
+     * @return {int} the value as an int
+     */
+    p.__intValue = function(subject) {
+      if (subject.intValue instanceof Function) {
+        return subject.intValue.apply(subject, removeFirstArgument(arguments));
+      }
+      return 0|subject;
+    };
+
+    p.__longValue = function(subject) {
+      if (subject.longValue instanceof Function) {
+        return subject.longValue.apply(subject, removeFirstArgument(arguments));
+      }
+      return Math.trunc(+subject);
+    };
+
+    p.__floatValue = function(subject) {
+      if (subject.floatValue instanceof Function) {
+        return subject.floatValue.apply(subject, removeFirstArgument(arguments));
+      }
+      return +subject;
+    };
+
+    p.__doubleValue = function(subject) {
+      if (subject.doubleValue instanceof Function) {
+        return subject.doubleValue.apply(subject, removeFirstArgument(arguments));
+      }
+      return +subject;
+    };
+
+    p.__booleanValue = function(subject) {
+      if (subject.booleanValue instanceof Function) {
+        return subject.booleanValue.apply(subject, removeFirstArgument(arguments));
+      }
+      return subject.valueOf() === true;
+    };
+
+    p.__charValue = function(subject) {
+      if (subject.charValue instanceof Function) {
+        return subject.charValue.apply(subject, removeFirstArgument(arguments));
+      }
+      return subject;
+    };
+
+    /**
+     * The __apply() function calls the apply() method of an object. The apply() of a lambda
+     * is the one of the Function interface, which calls the lambda with its arguments, the
+     * apply() of other functions is the one of JavaScript. __call() does the same for call().
+     *
+     * @param {Object} subject The lambda, function or object
+     *
+     * @return {Object} what the method returns
+     */
+    p.__apply = function(subject) {
+      if (subject.$isLambda) {
+        return subject.apply(null, removeFirstArgument(arguments));
+      }
+      return subject.apply.apply(subject, removeFirstArgument(arguments));
+    };
+
+    p.__call = function(subject) {
+      if (subject.$isLambda) {
+        return subject.apply(null, removeFirstArgument(arguments));
+      }
+      return subject.call.apply(subject, removeFirstArgument(arguments));
+    };
+
     /**
      * The __printStackTrace() prints stack trace to the console.
      *
      * @param {Exception} subject The error
      */
     p.__printStackTrace = function(subject) {
+      if (typeof subject.printStackTrace === "function") {
+        subject.printStackTrace();
+        return;
+      }
       p.println("Exception: " + subject.toString() );
     };
   };
@@ -3,7 +3,9 @@
  * to the Math object. For others, we can't.
  */
 module.exports = function withMath(p, undef) {
-  var internalRandomGenerator = function() { return Math.random(); };
+  var Random = p.Random, internalRandom = new Random();
+  // the arithmetic of Java floats, to get the numbers desktop Processing gets
+  var toFloat = Math.fround;
 
   /**
   * Calculates the absolute value (magnitude) of a number. The absolute value of a number is always positive.
@@ -427,34 +429,47 @@ module.exports = function withMath(p, undef) {
   */
   p.random = function() {
     if(arguments.length === 0) {
-      return internalRandomGenerator();
+      return internalRandom.nextFloat();
     }
     if(arguments.length === 1) {
-      return internalRandomGenerator() * arguments[0];
+      return randomBelow(toFloat(arguments[0]));
     }
-    var aMin = arguments[0], aMax = arguments[1];
-    return internalRandomGenerator() * (aMax - aMin) + aMin;
+    var aMin = toFloat(arguments[0]), aMax = toFloat(arguments[1]), value;
+    if(aMin >= aMax) {
+      return aMin;
+    }
+    do {
+      value = toFloat(randomBelow(toFloat(aMax - aMin)) + aMin);
+    } while(value === aMax);
+    return value;
   };
 
-  // Pseudo-random generator
-  function Marsaglia(i1, i2) {
-    // from http://www.math.uni-bielefeld.de/~sillke/ALGORITHMS/random/marsaglia-c
-    var z=i1 || 362436069, w= i2 || 521288629;
-    var intGenerator = function() {
-      z=(36969*(z&65535)+(z>>>16)) & 0xFFFFFFFF;
-      w=(18000*(w&65535)+(w>>>16)) & 0xFFFFFFFF;
-      return (((z&0xFFFF)<<16) | (w&0xFFFF)) & 0xFFFFFFFF;
-    };
-
-    this.doubleGenerator = function() {
-      var i = intGenerator() / 4294967296;
-      return i < 0 ? 1 + i : i;
-    };
-    this.intGenerator = intGenerator;
+  // random(high) of Processing: the float rounding can make the value reach high
+  function randomBelow(high) {
+    if(high === 0 || high !== high) {
+      return 0;
+    }
+    var value;
+    do {
+      value = toFloat(internalRandom.nextFloat() * high);
+    } while(value === high);
+    return value;
   }
-  Marsaglia.createRandomized = function() {
-    var now = new Date();
-    return new Marsaglia((now / 60000) & 0xFFFFFFFF, now & 0xFFFFFFFF);
+
+  /**
+  * Returns a float from a random series of numbers having a mean of 0 and standard deviation of 1.
+  * Each time the randomGaussian() function is called, it returns a number fitting a Gaussian, or
+  * normal, distribution. There is theoretically no minimum or maximum value that randomGaussian()
+  * might return. Rather, there is just a very low probability that values far from the mean will
+  * be returned; and a higher probability that numbers near the mean will be returned.
+  *
+  * @returns {float}
+  *
+  * @see random
+  * @see randomSeed
+  */
+  p.randomGaussian = function() {
+    return toFloat(internalRandom.nextGaussian());
   };
 
   /**
@@ -469,102 +484,55 @@ module.exports = function withMath(p, undef) {
   * @see noiseSeed
   */
   p.randomSeed = function(seed) {
-    internalRandomGenerator = (new Marsaglia(seed)).doubleGenerator;
+    internalRandom.setSeed(seed);
   };
 
-  // Random
-  // We have two random()'s in the code... what does this do ? and which one is current ?
-  p.Random = function(seed) {
-    var haveNextNextGaussian = false, nextNextGaussian, random;
+  // Noise: the value noise of desktop Processing, a table of random floats that is
+  // interpolated with a cosine curve, octave by octave.
+  var PERLIN_YWRAPB = 4, PERLIN_YWRAP = 1 << PERLIN_YWRAPB,
+      PERLIN_ZWRAPB = 8, PERLIN_ZWRAP = 1 << PERLIN_ZWRAPB,
+      PERLIN_SIZE = 4095,
+      // the cosine table of Processing: a value every half degree
+      PERLIN_TWOPI = 720, PERLIN_PI = PERLIN_TWOPI >> 1;
+
+  var perlinCosTable = new Float32Array(PERLIN_TWOPI);
+  (function() {
+    var degToRad = toFloat(toFloat(Math.PI) / 180);
+    for(var i = 0; i < PERLIN_TWOPI; ++i) {
+      perlinCosTable[i] = Math.cos(toFloat(toFloat(i * degToRad) * 0.5));
+    }
+  }());
 
-    this.nextGaussian = function() {
-      if (haveNextNextGaussian) {
-        haveNextNextGaussian = false;
-        return nextNextGaussian;
+  // processing defaults
+  var noiseProfile = { table: undef, octaves: 4, fallout: 0.5, random: undef };
+
+  function getNoiseTable() {
+    if(noiseProfile.table === undef) {
+      if(noiseProfile.random === undef) {
+        noiseProfile.random = new Random();
       }
-      var v1, v2, s;
-      do {
-        v1 = 2 * random() - 1; // between -1.0 and 1.0
-        v2 = 2 * random() - 1; // between -1.0 and 1.0
-        s = v1 * v1 + v2 * v2;
+      var table = new Float32Array(PERLIN_SIZE + 1);
+      for(var i = 0; i <= PERLIN_SIZE; ++i) {
+        table[i] = noiseProfile.random.nextFloat();
       }
-      while (s >= 1 || s === 0);
-
-      var multiplier = Math.sqrt(-2 * Math.log(s) / s);
-      nextNextGaussian = v2 * multiplier;
-      haveNextNextGaussian = true;
-
-      return v1 * multiplier;
-    };
-
-    // by default use standard random, otherwise seeded
-    random = (seed === undef) ? Math.random : (new Marsaglia(seed)).doubleGenerator;
-  };
-
-  // Noise functions and helpers
-  function PerlinNoise(seed) {
-    var rnd = seed !== undef ? new Marsaglia(seed) : Marsaglia.createRandomized();
-    var i, j;
-    // http://www.noisemachine.com/talk1/17b.html
-    // http://mrl.nyu.edu/~perlin/noise/
-    // generate permutation
-    var perm = new Uint8Array(512);
-    for(i=0;i<256;++i) { perm[i] = i; }
-    for(i=0;i<256;++i) { var t = perm[j = rnd.intGenerator() & 0xFF]; perm[j] = perm[i]; perm[i] = t; }
-    // copy to avoid taking mod in perm[0];
-    for(i=0;i<256;++i) { perm[i + 256] = perm[i]; }
-
-    function grad3d(i,x,y,z) {
-      var h = i & 15; // convert into 12 gradient directions
-      var u = h<8 ? x : y,
-          v = h<4 ? y : h===12||h===14 ? x : z;
-      return ((h&1) === 0 ? u : -u) + ((h&2) === 0 ? v : -v);
-    }
-
-    function grad2d(i,x,y) {
-      var v = (i & 1) === 0 ? x : y;
-      return (i&2) === 0 ? -v : v;
+      noiseProfile.table = table;
     }
+    return noiseProfile.table;
+  }
 
-    function grad1d(i,x) {
-      return (i&1) === 0 ? -x : x;
-    }
+  function noiseCurve(t) {
+    return toFloat(0.5 * toFloat(1 - perlinCosTable[(toFloat(t * PERLIN_PI) | 0) % PERLIN_TWOPI]));
+  }
 
-    function lerp(t,a,b) { return a + t * (b - a); }
-
-    this.noise3d = function(x, y, z) {
-      var X = Math.floor(x)&255, Y = Math.floor(y)&255, Z = Math.floor(z)&255;
-      x -= Math.floor(x); y -= Math.floor(y); z -= Math.floor(z);
-      var fx = (3-2*x)*x*x, fy = (3-2*y)*y*y, fz = (3-2*z)*z*z;
-      var p0 = perm[X]+Y, p00 = perm[p0] + Z, p01 = perm[p0 + 1] + Z,
-          p1 = perm[X + 1] + Y, p10 = perm[p1] + Z, p11 = perm[p1 + 1] + Z;
-      return lerp(fz,
-        lerp(fy, lerp(fx, grad3d(perm[p00], x, y, z), grad3d(perm[p10], x-1, y, z)),
-                 lerp(fx, grad3d(perm[p01], x, y-1, z), grad3d(perm[p11], x-1, y-1,z))),
-        lerp(fy, lerp(fx, grad3d(perm[p00 + 1], x, y, z-1), grad3d(perm[p10 + 1], x-1, y, z-1)),
-                 lerp(fx, grad3d(perm[p01 + 1], x, y-1, z-1), grad3d(perm[p11 + 1], x-1, y-1,z-1))));
-    };
-
-    this.noise2d = function(x, y) {
-      var X = Math.floor(x)&255, Y = Math.floor(y)&255;
-      x -= Math.floor(x); y -= Math.floor(y);
-      var fx = (3-2*x)*x*x, fy = (3-2*y)*y*y;
-      var p0 = perm[X]+Y, p1 = perm[X + 1] + Y;
-      return lerp(fy,
-        lerp(fx, grad2d(perm[p0], x, y), grad2d(perm[p1], x-1, y)),
-        lerp(fx, grad2d(perm[p0 + 1], x, y-1), grad2d(perm[p1 + 1], x-1, y-1)));
-    };
-
-    this.noise1d = function(x) {
-      var X = Math.floor(x)&255;
-      x -= Math.floor(x);
-      var fx = (3-2*x)*x*x;
-      return lerp(fx, grad1d(perm[X], x), grad1d(perm[X+1], x-1));
-    };
+  // a + t * (b - a), in floats
+  function noiseLerp(t, a, b) {
+    return toFloat(a + toFloat(t * toFloat(b - a)));
   }
 
-  // processing defaults
-  var noiseProfile = { generator: undef, octaves: 4, fallout: 0.5, seed: undef};
+  // the (int) cast of Java, for the coordinates
+  function noiseFloor(value) {
+    return value >= 2147483647 ? 2147483647 : value | 0;
+  }
 
   /**
   * Returns the Perlin noise value at specified coordinates. Perlin noise is a random sequence
@@ -597,25 +565,39 @@ module.exports = function withMath(p, undef) {
   * @see noiseDetail
   */
   p.noise = function(x, y, z) {
-    if(noiseProfile.generator === undef) {
-      // caching
-      noiseProfile.generator = new PerlinNoise(noiseProfile.seed);
+    var table = getNoiseTable();
+    x = Math.abs(toFloat(x));
+    y = y === undef ? 0 : Math.abs(toFloat(y));
+    z = z === undef ? 0 : Math.abs(toFloat(z));
+    var xi = noiseFloor(x), yi = noiseFloor(y), zi = noiseFloor(z);
+    var xf = toFloat(x - xi), yf = toFloat(y - yi), zf = toFloat(z - zi);
+    var r = 0, ampl = 0.5, fallout = toFloat(noiseProfile.fallout);
+    for(var i = 0; i < noiseProfile.octaves; ++i) {
+      var of = (xi + (yi << PERLIN_YWRAPB) + (zi << PERLIN_ZWRAPB)) | 0;
+      var rxf = noiseCurve(xf), ryf = noiseCurve(yf);
+
+      var n1 = noiseLerp(rxf, table[of & PERLIN_SIZE], table[(of + 1) & PERLIN_SIZE]);
+      var n2 = noiseLerp(rxf, table[(of + PERLIN_YWRAP) & PERLIN_SIZE], table[(of + PERLIN_YWRAP + 1) & PERLIN_SIZE]);
+      n1 = noiseLerp(ryf, n1, n2);
+
+      of += PERLIN_ZWRAP;
+      n2 = noiseLerp(rxf, table[of & PERLIN_SIZE], table[(of + 1) & PERLIN_SIZE]);
+      var n3 = noiseLerp(rxf, table[(of + PERLIN_YWRAP) & PERLIN_SIZE], table[(of + PERLIN_YWRAP + 1) & PERLIN_SIZE]);
+      n2 = noiseLerp(ryf, n2, n3);
+
+      n1 = noiseLerp(noiseCurve(zf), n1, n2);
+
+      r = toFloat(r + toFloat(n1 * ampl));
+      ampl = toFloat(ampl * fallout);
+      xi <<= 1; xf = toFloat(xf * 2);
+      yi <<= 1; yf = toFloat(yf * 2);
+      zi <<= 1; zf = toFloat(zf * 2);
+
+      if(xf >= 1) { xi++; xf = toFloat(xf - 1); }
+      if(yf >= 1) { yi++; yf = toFloat(yf - 1); }
+      if(zf >= 1) { zi++; zf = toFloat(zf - 1); }
     }
-    var generator = noiseProfile.generator;
-    var effect = 1, k = 1, sum = 0;
-    for(var i=0; i<noiseProfile.octaves; ++i) {
-      effect *= noiseProfile.fallout;
-      switch (arguments.length) {
-      case 1:
-        sum += effect * (1 + generator.noise1d(k*x))/2; break;
-      case 2:
-        sum += effect * (1 + generator.noise2d(k*x, k*y))/2; break;
-      case 3:
-        sum += effect * (1 + generator.noise3d(k*x, k*y, k*z))/2; break;
-      }
-      k *= 2;
-    }
-    return sum;
+    return r;
   };
 
   /**
@@ -637,8 +619,10 @@ module.exports = function withMath(p, undef) {
   * @see noise
   */
   p.noiseDetail = function(octaves, fallout) {
-    noiseProfile.octaves = octaves;
-    if(fallout !== undef) {
+    if(octaves > 0) {
+      noiseProfile.octaves = octaves;
+    }
+    if(fallout > 0) {
       noiseProfile.fallout = fallout;
     }
   };
@@ -658,7 +642,11 @@ module.exports = function withMath(p, undef) {
   * @see noiseDetail
   */
   p.noiseSeed = function(seed) {
-    noiseProfile.seed = seed;
-    noiseProfile.generator = undef;
+    if(noiseProfile.random === undef) {
+      noiseProfile.random = new Random();
+    }
+    noiseProfile.random.setSeed(seed);
+    // the table is filled again with the new seed
+    noiseProfile.table = undef;
   };
 };
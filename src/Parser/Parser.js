@@ -1,4 +1,5 @@
 const parseProcessing = require('./ParserCore.js');
+const SourceMap = require('./SourceMap.js');
 
 /**
  * The parser for turning Processing syntax into Pjs JavaScript.
@@ -53,6 +54,10 @@ module.exports = function setupParser(Processing, options) {
 						sketch.options.pauseOnBlur = value === "true";
 					} else if (key === "globalKeyEvents") {
 						sketch.options.globalKeyEvents = value === "true";
+					} else if (key === "packedStructs") {
+						sketch.options.packedStructs = value === "true";
+					} else if (key === "strictNumerics") {
+						sketch.options.strictNumerics = value === "true";
 					} else if (key.substring(0, 6) === "param-") {
 						sketch.params[key.substring(6)] = value;
 					} else {
@@ -64,12 +69,94 @@ module.exports = function setupParser(Processing, options) {
 		return aCode;
 	}
 
-	// Parse/compiles Processing (Java-like) syntax to JavaScript syntax
+	/**
+	 * The error thrown by Processing.compile when the code has errors.
+	 * diagnostics lists all errors and warnings found, each one as
+	 * { file, line, column, severity: "error"|"warning", message }.
+	 * line and column are 1-based, or null when the position is unknown.
+	 */
+	function CompileError(diagnostics) {
+		var errors = diagnostics.filter(function(diagnostic) {
+			return diagnostic.severity === "error";
+		});
+		this.name = "CompileError";
+		this.diagnostics = diagnostics;
+		this.message = errors.map(formatDiagnostic).join("\n");
+	}
+	CompileError.prototype = Object.create(Error.prototype);
+	CompileError.prototype.constructor = CompileError;
+	CompileError.prototype.toString = function() {
+		return this.name + ": " + this.message;
+	};
+	Processing.CompileError = CompileError;
+
+	function formatDiagnostic(diagnostic) {
+		var position = diagnostic.file;
+		if (diagnostic.line !== null) {
+			position += ":" + diagnostic.line + ":" + diagnostic.column;
+		}
+		return position + ": " + diagnostic.severity + ": " + diagnostic.message;
+	}
+
+	// Parses the tabs of a sketch. Returns { code, sourceMap, diagnostics }, the
+	// code is null when errors were found.
+	function parseSources(pdeCode, sketch) {
+		var sources = typeof pdeCode === "string" ? [{ name: "sketch.pde", code: pdeCode }] : pdeCode;
+		var joinedCode = sources.map(function(source) { return source.code; }).join("\n");
+		var code = preprocessCode(joinedCode, sketch);
+		var diagnostics = [], compiled = null;
+		try {
+			compiled = SourceMap.fromMarkedCode(parseProcessing(code, options, diagnostics, sketch.options), sources);
+		} catch (e) {
+			// the parser gave up on code it did not expect
+			diagnostics.push({ line: null, column: null, severity: "error", message: "Unable to parse the sketch: " + e });
+		}
+
+		var hasErrors = diagnostics.some(function(diagnostic) {
+			return diagnostic.severity === "error";
+		});
+		if (!hasErrors) {
+			try {
+				// the generated code must be valid JavaScript, rather than failing later on attach
+				new Function("return (" + compiled.code + ");");
+			} catch (e) {
+				hasErrors = true;
+				diagnostics.push({ line: null, column: null, severity: "error",
+					message: "The sketch compiled to invalid JavaScript: " + e.message });
+			}
+		}
+
+		// lines of the joined code point to the tab they came from
+		var tabs = new SourceMap(null, sources, []);
+		diagnostics.sort(function(a, b) {
+			return (a.line === null ? Infinity : a.line) - (b.line === null ? Infinity : b.line);
+		});
+		diagnostics.forEach(function(diagnostic) {
+			var resolved = diagnostic.line !== null ? tabs.resolveLine(diagnostic.line) : null;
+			diagnostic.file = resolved ? resolved.source : sources[0].name;
+			diagnostic.line = resolved ? resolved.line : null;
+		});
+
+		return {
+			code: hasErrors ? null : compiled.code,
+			sourceMap: hasErrors ? null : compiled.sourceMap,
+			diagnostics: diagnostics
+		};
+	}
+
+	// Parse/compiles Processing (Java-like) syntax to JavaScript syntax.
+	// pdeCode is either a string, or an array of tabs as { name: "tab.pde", code: "..." }.
+	// Throws a Processing.CompileError when the code has errors, the warnings are
+	// kept in sketch.diagnostics.
 	Processing.compile = function(pdeCode) {
 		var sketch = new Processing.Sketch();
-		var code = preprocessCode(pdeCode, sketch);
-		var compiledPde = parseProcessing(code, options);
-		sketch.sourceCode = compiledPde;
+		var parsed = parseSources(pdeCode, sketch);
+		if (parsed.code === null) {
+			throw new CompileError(parsed.diagnostics);
+		}
+		sketch.sourceCode = parsed.code;
+		sketch.sourceMap = parsed.sourceMap;
+		sketch.diagnostics = parsed.diagnostics;
 
 		// wk_debug
 		//console.log('debug:', sketch.sourceCode);
@@ -77,6 +164,12 @@ module.exports = function setupParser(Processing, options) {
 		return sketch;
 	};
 
+	// Checks the code without running it, e.g. for editors. Returns the list of
+	// diagnostics (see CompileError), which is empty for a sketch without problems.
+	Processing.checkSyntax = function(pdeCode) {
+		return parseSources(pdeCode, new Processing.Sketch()).diagnostics;
+	};
+
 	// done
 	return Processing;
 };
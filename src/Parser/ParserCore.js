@@ -20,18 +20,41 @@
     This includes members passed down from inheritance.
 
     The resulting code is then eval'd and run.
+
+    Problems found in the code are added to the optional diagnostics array as
+    { line, column, severity: "error"|"warning", message }, where line and column
+    are 1-based positions in the code. Parsing stops at the first error that
+    leaves nothing sensible to generate.
+
+    The optional directives are the ones of the @pjs comment of the sketch that
+    change how it is compiled, e.g. { packedStructs: true }.
  */
-module.exports = function parseProcessing(code, options) {
+module.exports = function parseProcessing(code, options, diagnostics, directives) {
 	const defaultScope = options.defaultScope;
 	const globalMembers = getGlobalMembers(options.aFunctions);
-
-	// wk_debug
-	//console.log('debug(globalMembers):', globalMembers);
-	//console.log('debug(options):', options);
-	//console.log('debug(code):', code);
+	diagnostics = diagnostics || [];
+	directives = directives || {};
 
 	// remove carriage returns "\r"
 	var codeWoExtraCr = code.replace(/\r\n?|\n\r/g, "\n");
+	var codeLines = codeWoExtraCr.split("\n");
+
+	// Adds a diagnostic for the line. The column is where the token is found on that line,
+	// or the first non-blank character of the line.
+	function addDiagnostic(severity, message, line, token) {
+		var column = null;
+		if (line !== undefined && line <= codeLines.length) {
+			var text = codeLines[line - 1], found = token ? text.search(new RegExp("\\b" + token.replace(/\$/g, "\\$") + "\\b")) : -1;
+			column = (found >= 0 ? found : /^\s*/.exec(text)[0].length) + 1;
+		}
+		diagnostics.push({ line: line === undefined ? null : line, column: column, severity: severity, message: message });
+	}
+
+	var unbalanced = findUnbalancedBracket(codeWoExtraCr);
+	if (unbalanced) {
+		diagnostics.push(unbalanced);
+		return "";
+	}
 
 	// masks strings and regexs with "'5'", where 5 is the index in an array containing all strings and regexs
 	// also removes all comments
@@ -47,8 +70,11 @@ module.exports = function parseProcessing(code, options) {
 				index = strings.length; strings.push(regex);
 				return prefix + "'" + index + "'";
 			}
-			// kill comments
-			return comment !== "" ? " " : "\n";
+			// kill comments, keeping their line breaks so that line numbers survive
+			if(comment) {
+				return comment.replace(/[^\n]+/g, "") || " ";
+			}
+			return "\n";
 		});
 
 	// protect character codes from namespace collision
@@ -63,8 +89,14 @@ module.exports = function parseProcessing(code, options) {
 	// convert dollar sign to character code
 	codeWoStrings = codeWoStrings.replace(/\$/g, "__x0024");
 
-	// Remove newlines after return statements
-	codeWoStrings = codeWoStrings.replace(/return\s*[\n\r]+/g, "return ");
+	// Remove newlines after return statements (moving them in front of the return)
+	codeWoStrings = codeWoStrings.replace(/return\s*[\n\r]+/g, function(all) {
+		return keepNewlines(all) + "return ";
+	});
+
+	// removes annotations, e.g. @Override or @SuppressWarnings("unchecked"), they mean
+	// nothing here. Their length is kept, so columns of diagnostics are not affected.
+	codeWoStrings = codeWoStrings.replace(/@\s*(?!interface\b)[A-Za-z_$][\w$]*(?:\s*\.\s*[A-Za-z_$][\w$]*)*(?:\s*\((?:[^()]|\([^()]*\))*\))?/g, keepLength);
 
 	// removes generics
 	var genericsWereRemoved;
@@ -74,7 +106,7 @@ module.exports = function parseProcessing(code, options) {
 			return all;
 		}
 		genericsWereRemoved = true;
-		return "";
+		return keepNewlines(all);
 	};
 
 	do {
@@ -82,16 +114,324 @@ module.exports = function parseProcessing(code, options) {
 		codeWoGenerics = codeWoGenerics.replace(/([<]?)<\s*((?:\?|[A-Za-z_$][\w$]*\b(?:\s*\.\s*[A-Za-z_$][\w$]*\b)*)(?:\[\])*(?:\s+(?:extends|super)\s+[A-Za-z_$][\w$]*\b(?:\s*\.\s*[A-Za-z_$][\w$]*\b)*)?(?:\s*,\s*(?:\?|[A-Za-z_$][\w$]*\b(?:\s*\.\s*[A-Za-z_$][\w$]*\b)*)(?:\[\])*(?:\s+(?:extends|super)\s+[A-Za-z_$][\w$]*\b(?:\s*\.\s*[A-Za-z_$][\w$]*\b)*)?)*)\s*>([=]?)/g, replaceFunc);
 	} while (genericsWereRemoved);
 
-	const atoms = splitToAtoms(codeWoGenerics);
+	// structs are plain data, inheritance is not supported
+	codeWoGenerics.replace(/\bstruct\s+([A-Za-z_$][\w$]*)\s+(extends|implements)\b/g, function(all, name, keyword, offset) {
+		addDiagnostic("error", "struct " + name + " cannot use '" + keyword + "'",
+			countLineBreaks(codeWoGenerics.substring(0, offset)) + 1, keyword);
+		return all;
+	});
+
+	// the names of the structs of the sketch, their values are copied when assigned
+	var structNames = {};
+	codeWoGenerics.replace(/\bstruct\s+([A-Za-z_$][\w$]*)\s*\{/g, function(all, name) {
+		structNames[name] = true;
+		return all;
+	});
+	function isStructType(type) {
+		return type !== undefined && structNames.hasOwnProperty(type);
+	}
+	// the collections of structs, "ArrayList<Point> points" --> structCollections.points = ["Point"].
+	// The parameters of their methods that take the items are of the struct type.
+	var structCollections = {};
+	if(!isLookupTableEmpty(structNames)) {
+		codeWoStrings.replace(/\b[A-Za-z_$][\w$]*\s*<\s*([A-Za-z_$][\w$]*(?:\s*,\s*[A-Za-z_$][\w$]*)*)\s*>(?:\s*\[\s*\])*\s*([A-Za-z_$][\w$]*)/g, function(all, typeArgs, name) {
+			var types = typeArgs.split(/\s*,\s*/);
+			for(var i = 0, l = types.length; i < l; ++i) {
+				if(isStructType(types[i])) {
+					structCollections[name] = types;
+				}
+			}
+			return all;
+		});
+	}
+
+	// switches only need to look for enum constants in sketches that declare enums
+	var declaresEnums = /\benum\s+[A-Za-z_$]/.test(codeWoGenerics);
+
+	// atomLines holds the original (1-based) source line of the opening bracket of every atom
+	var atomLines = [], atomNewlines = [];
+	const atoms = splitToAtoms(codeWoGenerics, atomLines);
 	var replaceContext;
+
+	// atomParents holds the atom that contains every atom, the scopes of the declarations
+	// are the atoms of the blocks and class bodies.
+	var atomParents = [];
+	(function() {
+		var parentIndex;
+		var addAtomParent = function(all, index) {
+			atomParents[index] = parentIndex;
+			return all;
+		};
+		for(parentIndex = 0; parentIndex < atoms.length; ++parentIndex) {
+			atoms[parentIndex].replace(/"[A-Z](\d+)"/g, addAtomParent);
+		}
+	}());
+	// the scope of the parameters of methods, lambdas, loops and catch clauses is their body
+	function getDeclarationScope(index) {
+		var parent = atomParents[index];
+		if(parent === undefined || atoms[index].charAt(0) !== "(") {
+			return index;
+		}
+		var body = new RegExp('"B' + index + '"[^"]*"A(\\d+)"').exec(atoms[parent]);
+		return body !== null ? +body[1] : parent;
+	}
+
+	// With the packedStructs directive, the arrays of structs that only have fields of
+	// primitive types keep every field in a typed array, see $p.createPackedArray.
+	// "ps[i].x" is compiled to "ps.x[ps.$checkIndex(i)]", "ps[i]" to a copy of the item, "ps.get(i)".
+	// packedArrays holds the types of the arrays declared in every scope, by the atom
+	// of the scope, so a local or a field of another class can hide a packed array.
+	var packedStructs = {}, packedArrays = {};
+	var packedFieldTypes = ["int", "float", "boolean", "color"];
+	var packedArrayMembers = ["length", "get", "set", "iterator"];
+	function getPackedFields(body) {
+		if(/"A\d+"/.test(body)) {
+			return null; // methods and constructors
+		}
+		var fields = [], booleans = [], declarations = body.substring(1, body.length - 1).split(";");
+		for(var i = 0, l = declarations.length; i < l; ++i) {
+			var m = /^\s*((?:(?:public|private|protected|final|static)\s+)*)([A-Za-z_$][\w$]*)\s+([\s\S]+)$/.exec(declarations[i]);
+			if(m === null) {
+				if(trim(declarations[i]) !== "") {
+					return null;
+				}
+				continue;
+			}
+			if(/\bstatic\b/.test(m[1])) {
+				continue;
+			}
+			if(packedFieldTypes.indexOf(m[2]) < 0) {
+				return null;
+			}
+			var definitions = m[3].split(",");
+			for(var j = 0, k = definitions.length; j < k; ++j) {
+				var name = /^\s*([A-Za-z_$][\w$]*)\s*(?:=|$)/.exec(definitions[j]);
+				if(name === null || packedArrayMembers.indexOf(name[1]) >= 0) {
+					return null;
+				}
+				fields.push(name[1]);
+				if(m[2] === "boolean") {
+					booleans.push(name[1]);
+				}
+			}
+		}
+		return fields.length > 0 ? { fields: fields, booleans: booleans } : null;
+	}
+	if(directives.packedStructs) {
+		atoms[0].replace(/\bstruct\s+([A-Za-z_$][\w$]*)\s*"A(\d+)"/g, function(all, name, index) {
+			var fields = getPackedFields(atoms[index]);
+			if(fields !== null) {
+				packedStructs[name] = fields;
+			}
+			return all;
+		});
+		var atomIndex, atomsCount = atoms.length;
+		// the variables, fields and parameters declared as "Type[] name"
+		var addArray = function(all, type, index, name) {
+			if(/^\[\s*\]$/.test(atoms[index])) {
+				var scope = getDeclarationScope(atomIndex);
+				if(!packedArrays.hasOwnProperty(scope)) {
+					packedArrays[scope] = {};
+				}
+				packedArrays[scope][name] = packedStructs.hasOwnProperty(type) ? type : null;
+			}
+			return all;
+		};
+		for(atomIndex = 0; atomIndex < atomsCount; ++atomIndex) {
+			atoms[atomIndex].replace(/\b([A-Za-z_$][\w$]*)\s*"C(\d+)"\s*([A-Za-z_$][\w$]*)/g, addArray);
+		}
+	}
+	// the struct of the packed array "name", which is indexed in the atom "index", or null
+	function getPackedArrayType(name, index) {
+		for(var scope = atomParents[index]; scope !== undefined; scope = atomParents[scope]) {
+			if(packedArrays.hasOwnProperty(scope) && packedArrays[scope].hasOwnProperty(name)) {
+				return packedArrays[scope][name];
+			}
+		}
+		return null;
+	}
+
+	// the struct of the packed array field "name" of another object, "o.name[i]", or null when
+	// the fields of that name in the classes of the sketch are not all packed arrays of one struct
+	function getPackedFieldType(name) {
+		var type = null;
+		for(var scope in packedArrays) {
+			if(packedArrays.hasOwnProperty(scope) && packedArrays[scope].hasOwnProperty(name) &&
+				new RegExp('\\b(?:class|struct)\\s+[A-Za-z_$][\\w$]*[^"]*"A' + scope + '"').test(atoms[atomParents[scope]])) {
+				if(packedArrays[scope][name] === null || (type !== null && type !== packedArrays[scope][name])) {
+					return null;
+				}
+				type = packedArrays[scope][name];
+			}
+		}
+		return type;
+	}
+
+	// With the strictNumerics directive, int, short, byte and long values follow the
+	// rules of Java: integer division, overflow and narrowing casts. The types are the
+	// declared ones, by the scope of the declaration: a name is looked up from the scope
+	// that is transformed, currentScope, out to the sketch. A name that is declared with
+	// different types in one scope has none.
+	var declaredTypes = { scopes: {}, names: {} }, returnTypes = { scopes: {}, names: {} };
+	var currentScope = 0;
+	// the variables, fields and parameters of struct types, a value assigned to them is copied
+	var structVariables = {};
+	var notTypes = ["return", "new", "else", "throw", "case", "instanceof", "extends", "implements",
+		"class", "interface", "enum", "struct", "import", "package", "do", "typeof", "delete", "in", "void"];
+	function declareType(table, scope, name, type) {
+		var names = table.scopes.hasOwnProperty(scope) ? table.scopes[scope] : (table.scopes[scope] = {});
+		names[name] = names.hasOwnProperty(name) && names[name] !== type ? null : type;
+		// the names of all the scopes, for the code that is not in an atom of the sketch
+		table.names[name] = table.names.hasOwnProperty(name) && table.names[name] !== type ? null : type;
+	}
+	// the declared type of "name" in the current scope, null when it is not known,
+	// undefined when the sketch does not declare it
+	function getDeclaredType(table, name) {
+		for(var scope = currentScope; scope !== undefined; scope = atomParents[scope]) {
+			if(table.scopes.hasOwnProperty(scope) && table.scopes[scope].hasOwnProperty(name)) {
+				return table.scopes[scope][name];
+			}
+		}
+		return table.names.hasOwnProperty(name) ? table.names[name] : undefined;
+	}
+	// "C1""C2" --> "[][]"
+	function getDimensions(brackets) {
+		var dimensions = brackets.match(/"C\d+"/g);
+		return new Array((dimensions ? dimensions.length : 0) + 1).join("[]");
+	}
+	function declareVariable(scope, name, baseType, type) {
+		declareType(declaredTypes, scope, name, type);
+		if(isStructType(baseType)) {
+			structVariables[name] = true;
+		}
+	}
+	// Overloads that only differ in int and float parameters, f(int) and f(float), cannot be
+	// told apart by the values at run time. Calls of them pass the types of the arguments,
+	// when the literals or declarations give them (see addArgumentTypes).
+	var numericOverloads = {};
+	var numericParamTypes = { "byte": 1, "short": 1, "int": 1, "long": 1, "color": 1, "float": 2, "double": 2 };
+	(function() {
+		var methodDeclarationRegex = /(^|[^.\w$])([A-Za-z_$][\w$]*)(?:\s*"C\d+")*\s+([A-Za-z_$][\w$]*)\s*"B(\d+)"(?=\s*(?:throws\b[^;"]*)?(?:"A\d+"|;))/g;
+		var paramPattern = '(?:final\\s+)?[A-Za-z_$][\\w$]*(?:\\s*\\.\\s*[A-Za-z_$][\\w$]*)*(?:\\s*<[^,()]*>)?(?:\\s*"C\\d+")*\\s+' +
+			'[A-Za-z_$][\\w$]*(?:\\s*"C\\d+")*\\s*';
+		var paramListRegex = new RegExp('^\\(\\s*' + paramPattern + '(?:,\\s*' + paramPattern + ')*\\)$');
+		// "f(number,String)" --> the distinct int and float variants, as "1,0" and "2,0"
+		var variants = {}, m;
+		for(var i = 0, l = atoms.length; i < l; ++i) {
+			methodDeclarationRegex.lastIndex = 0;
+			while((m = methodDeclarationRegex.exec(atoms[i])) !== null) {
+				// "new Type(1, 2);" is not a declaration, nor are the arguments of a call parameters
+				if(notTypes.indexOf(m[2]) >= 0 || !paramListRegex.test(atoms[m[4]])) {
+					continue;
+				}
+				var params = transformParams(atoms[m[4]]);
+				var numeric = [], others = [];
+				for(var j = 0; j < params.params.length; ++j) {
+					var type = params.params[j].type;
+					numeric.push(numericParamTypes[type] || 0);
+					others.push(numericParamTypes.hasOwnProperty(type) ? "number" : type);
+				}
+				var signature = m[3] + "(" + others.join(",") + ")";
+				var found = variants.hasOwnProperty(signature) ? variants[signature] : (variants[signature] = []);
+				if(found.indexOf(numeric.join()) < 0) {
+					found.push(numeric.join());
+				}
+				if(found.length > 1) {
+					(numericOverloads[m[3]] || (numericOverloads[m[3]] = {}))[numeric.length] = true;
+				}
+			}
+		}
+	}());
+	if(directives.strictNumerics || !isLookupTableEmpty(structNames) || !isLookupTableEmpty(numericOverloads)) {
+		var declarationRegex = /(^|[^.\w$])([A-Za-z_$][\w$]*)((?:\s*"C\d+")*)\s+([A-Za-z_$][\w$]*)((?:\s*"C\d+")*)\s*(?=("B)|[=,;:)]|$)/g;
+		var scanDeclarations = function(index) {
+			var code = atoms[index], scope = getDeclarationScope(index), m;
+			declarationRegex.lastIndex = 0;
+			while((m = declarationRegex.exec(code)) !== null) {
+				if(notTypes.indexOf(m[2]) >= 0 || notTypes.indexOf(m[4]) >= 0) {
+					declarationRegex.lastIndex = m.index + m[1].length + m[2].length;
+					continue;
+				}
+				var type = m[2] + getDimensions(m[3]);
+				if(m[6]) {
+					declareType(returnTypes, scope, m[4], type);
+					continue;
+				}
+				declareVariable(scope, m[4], m[2], type + getDimensions(m[5]));
+				// int a = 1, b, c[]
+				var rest = code.substring(declarationRegex.lastIndex), end = rest.search(/[;:)]/);
+				var declarators = (end < 0 ? rest : rest.substring(0, end)).split(",");
+				for(var i = 1, l = declarators.length; i < l; ++i) {
+					var declarator = /^\s*([A-Za-z_$][\w$]*)((?:\s*"C\d+")*)\s*(?:=|$)/.exec(declarators[i]);
+					if(declarator === null) {
+						break;
+					}
+					declareVariable(scope, declarator[1], m[2], type + getDimensions(declarator[2]));
+				}
+			}
+		};
+		for(var scanIndex = 0, scanCount = atoms.length; scanIndex < scanCount; ++scanIndex) {
+			scanDeclarations(scanIndex);
+		}
+	}
 	var declaredClasses = {}, currentClassId, classIdSeed = 0;
 
 	function addAtom(text, type) {
 		var lastIndex = atoms.length;
 		atoms.push(text);
+		atomLines.push(getTextLine(text));
 		return '"' + type + lastIndex + '"';
 	}
 
+	// Counts the line breaks in the original code that the atom covers, including nested atoms.
+	function getAtomNewlines(index) {
+		if(atomNewlines[index] === undefined) {
+			atomNewlines[index] = countNewlines(atoms[index], 0, atoms[index].length);
+		}
+		return atomNewlines[index];
+	}
+
+	// Counts the original line breaks in text.substring(start, end), expanding masked atoms.
+	function countNewlines(text, start, end) {
+		var part = text.substring(start, end), count = 0, m;
+		var newlineOrAtom = /\n|"[A-Z](\d+)"/g;
+		while((m = newlineOrAtom.exec(part)) !== null) {
+			count += m[1] === undefined ? 1 : getAtomNewlines(m[1]);
+		}
+		return count;
+	}
+
+	// Finds the original line where the text starts, using the first atom it contains.
+	// Returns undefined for synthesized text that has no atoms with a known line.
+	function getTextLine(text) {
+		var m = /"[A-Z](\d+)"/.exec(text);
+		if(m === null || atomLines[m[1]] === undefined) {
+			return undefined;
+		}
+		return atomLines[m[1]] - countNewlines(text, 0, m.index);
+	}
+
+	// Marks the generated code with the original line number. The markers are
+	// comments, they are turned into a source map by the compiler (see SourceMap.js).
+	function getLineMarker(line) {
+		return line === undefined ? "" : "/*@pde:" + line + "*/";
+	}
+
+	function joinStatements(statements) {
+		var result = "";
+		for(var i=0,l=statements.length;i<l;++i) {
+			var statement = statements[i];
+			if(statement !== null && typeof statement === "object" && statement.line !== undefined) {
+				// the marker goes after the leading whitespace, on the line of the statement
+				var text = statement.toString(), indent = /^\s*/.exec(text)[0];
+				result += indent + getLineMarker(statement.line) + text.substring(indent.length);
+			} else {
+				result += statement;
+			}
+		}
+		return result;
+	}
+
 	function generateClassId() {
 		return "class" + (++classIdSeed);
 	}
@@ -107,19 +447,19 @@ module.exports = function parseProcessing(code, options) {
 
 	/* 类声明： 
 	 * 1. attr:			\b((?:(?:public|private|final|protected|static|abstract)\s+)*)
-	 * 2. class|int:	(class|interface)\s+
+	 * 2. class|int:	(class|interface|enum)\s+
 	 * 3. name:			([A-Za-z_$][\w$]*\b)
 	 * 4. extends:		(\s+extends\s+[A-Za-z_$][\w$]*\b(?:\s*\.\s*[A-Za-z_$][\w$]*\b)*(?:\s*,\s*[A-Za-z_$][\w$]*\b(?:\s*\.\s*[A-Za-z_$][\w$]*\b)*\b)*)?
 	 * 5. implements:	(\s+implements\s+[A-Za-z_$][\w$]*\b(?:\s*\.\s*[A-Za-z_$][\w$]*\b)*(?:\s*,\s*[A-Za-z_$][\w$]*\b(?:\s*\.\s*[A-Za-z_$][\w$]*\b)*\b)*)?\s*
 	 * 6. class body:	("A\d+")
 	 * */
-	var classesRegex = /\b((?:(?:public|private|final|protected|static|abstract)\s+)*)(class|interface)\s+([A-Za-z_$][\w$]*\b)(\s+extends\s+[A-Za-z_$][\w$]*\b(?:\s*\.\s*[A-Za-z_$][\w$]*\b)*(?:\s*,\s*[A-Za-z_$][\w$]*\b(?:\s*\.\s*[A-Za-z_$][\w$]*\b)*\b)*)?(\s+implements\s+[A-Za-z_$][\w$]*\b(?:\s*\.\s*[A-Za-z_$][\w$]*\b)*(?:\s*,\s*[A-Za-z_$][\w$]*\b(?:\s*\.\s*[A-Za-z_$][\w$]*\b)*\b)*)?\s*("A\d+")/g;
+	var classesRegex = /\b((?:(?:public|private|final|protected|static|abstract)\s+)*)(class|interface|enum)\s+([A-Za-z_$][\w$]*\b)(\s+extends\s+[A-Za-z_$][\w$]*\b(?:\s*\.\s*[A-Za-z_$][\w$]*\b)*(?:\s*,\s*[A-Za-z_$][\w$]*\b(?:\s*\.\s*[A-Za-z_$][\w$]*\b)*\b)*)?(\s+implements\s+[A-Za-z_$][\w$]*\b(?:\s*\.\s*[A-Za-z_$][\w$]*\b)*(?:\s*,\s*[A-Za-z_$][\w$]*\b(?:\s*\.\s*[A-Za-z_$][\w$]*\b)*\b)*)?\s*("A\d+")/g;
 
 	var structsRegex = /\b((?:(?:public|private|final|protected|static|abstract)\s+)*)(struct)\s+([A-Za-z_$][\w$]*\b)\s*("A\d+")/g;
 	
 	var methodsRegex = /\b((?:(?:public|private|final|protected|static|abstract|synchronized)\s+)*)((?!(?:else|new|return|throw|function|public|private|protected)\b)[A-Za-z_$][\w$]*\b(?:\s*\.\s*[A-Za-z_$][\w$]*\b)*(?:\s*"C\d+")*)\s*([A-Za-z_$][\w$]*\b)\s*("B\d+")(\s*throws\s+[A-Za-z_$][\w$]*\b(?:\s*\.\s*[A-Za-z_$][\w$]*\b)*(?:\s*,\s*[A-Za-z_$][\w$]*\b(?:\s*\.\s*[A-Za-z_$][\w$]*\b)*)*)?\s*("A\d+"|;)/g;
 	var fieldTest = /^((?:(?:public|private|final|protected|static)\s+)*)((?!(?:else|new|return|throw)\b)[A-Za-z_$][\w$]*\b(?:\s*\.\s*[A-Za-z_$][\w$]*\b)*(?:\s*"C\d+")*)\s*([A-Za-z_$][\w$]*\b)\s*(?:"C\d+"\s*)*([=,]|$)/;
-	// wk_added for struct
+	// "struct Type name" declarations of variables
 	var structTest = /^((?:(?:public|private|final|protected|static)\s+)*)((?!(?:else|new|return|throw)\b)(?:struct)\s+[A-Za-z_$][\w$]*\b(?:\s*\.\s*[A-Za-z_$][\w$]*\b)*(?:\s*"C\d+")*)\s*([A-Za-z_$][\w$]*\b)\s*(?:"C\d+"\s*)*([=,]|$)/;
 	var cstrsRegex = /\b((?:(?:public|private|final|protected|static|abstract)\s+)*)((?!(?:new|return|throw)\b)[A-Za-z_$][\w$]*\b)\s*("B\d+")(\s*throws\s+[A-Za-z_$][\w$]*\b(?:\s*\.\s*[A-Za-z_$][\w$]*\b)*(?:\s*,\s*[A-Za-z_$][\w$]*\b(?:\s*\.\s*[A-Za-z_$][\w$]*\b)*)*)?\s*("A\d+")/g;
 
@@ -163,9 +503,75 @@ module.exports = function parseProcessing(code, options) {
 		return result;
 	}
 
-	// AstParam contains the name of a parameter inside a function declaration
-	function AstParam(name) {
+	// Blanks out the modifiers that are valid Java but mean nothing here, and reports
+	// the words in front of member declarations that are not modifiers at all.
+	// The text keeps its length, so positions in it are not affected.
+	var memberDeclarationRegex = /(^|;|"A\d+")(\s*)((?:[A-Za-z_$][\w$]*\s+)+?)(?=[A-Za-z_$][\w$]*(?:\s*\.\s*[A-Za-z_$][\w$]*)*(?:\s*"C\d+")*\s+[A-Za-z_$][\w$]*\s*(?:[=;,]|"B\d+"|$))/g;
+	var memberModifiers = ["public", "private", "protected", "static", "final", "abstract", "synchronized"];
+	var ignoredModifiers = ["transient", "volatile", "native", "strictfp", "struct"];
+	function checkMemberModifiers(declarations, line, ownerName) {
+		return declarations.replace(memberDeclarationRegex, function(all, start, space, words, offset) {
+			if (/\b(?:class|interface|enum|extends|implements|new|return|throw|else)\b/.test(words)) {
+				return all;
+			}
+			var wordsOffset = offset + start.length + space.length;
+			return start + space + words.replace(/[A-Za-z_$][\w$]*/g, function(word, wordOffset) {
+				if (memberModifiers.indexOf(word) >= 0) {
+					return word;
+				}
+				var wordLine = line === undefined ? undefined : line + countNewlines(declarations, 0, wordsOffset + wordOffset);
+				if (word === "struct") {
+					// "struct Type name" fields are just fields of the Type
+					return keepLength(word);
+				}
+				if (ignoredModifiers.indexOf(word) >= 0) {
+					addDiagnostic("warning", "The '" + word + "' modifier is not supported and is ignored", wordLine, word);
+					return keepLength(word);
+				}
+				// reported once, the rest of the declaration is still checked
+				addDiagnostic("error", "Unknown modifier '" + word + "' in " + ownerName, wordLine, word);
+				return keepLength(word);
+			});
+		});
+	}
+
+	// Reports what is left in a class body once its methods, constructors and inner
+	// classes are taken out, but is not a field declaration.
+	function checkClassMembers(declarations, line, ownerName) {
+		var members = declarations.replace(/"([DEGHS])(\d+)"/g, function(all, type, index) {
+			if (type === 'S') {
+				var struct_ = structsRegex.exec(atoms[index]);
+				structsRegex.lastIndex = 0;
+				addDiagnostic("error", "struct " + struct_[3] + " can only be declared at the top level of a sketch, not in " + ownerName,
+					atomLines[index], "struct");
+			}
+			return ";" + new Array(getAtomNewlines(index) + 1).join("\n");
+		}).split(";");
+		var memberLine = line;
+		for (var i = 0, l = members.length; i < l; ++i) {
+			var member = trimSpaces(members[i]), isLast = i === l - 1;
+			if (member.middle !== "" && line !== undefined) {
+				var startLine = memberLine + countNewlines(member.left, 0, member.left.length);
+				var token = /[A-Za-z_$][\w$]*/.exec(member.middle);
+				if (!fieldTest.test(member.middle)) {
+					addDiagnostic("error", "Unexpected statement in the body of " + ownerName +
+						", only fields, methods, constructors and inner classes can be declared there",
+						startLine, token && token[0]);
+				} else if (isLast) {
+					addDiagnostic("error", "Missing ';' after the field declaration", startLine, token && token[0]);
+				}
+			}
+			if (memberLine !== undefined) {
+				memberLine += countNewlines(members[i], 0, members[i].length);
+			}
+		}
+	}
+
+	// AstParam contains the name of a parameter inside a function declaration,
+	// and its declared type, e.g. "float" or "PVector[]", if there is one
+	function AstParam(name, type) {
 		this.name = name;
+		this.type = type;
 	}
 	AstParam.prototype.toString = function() {
 		return this.name;
@@ -183,12 +589,23 @@ module.exports = function parseProcessing(code, options) {
 		return names;
 	};
 	AstParams.prototype.prependMethodArgs = function(body) {
-		if (!this.methodArgsParam) {
+		var prologue = "";
+		if (this.methodArgsParam) {
+			prologue += "var " + this.methodArgsParam.name +
+				" = Array.prototype.slice.call(arguments, " +
+				this.params.length + ");\n";
+		}
+		// structs are passed by value
+		for (var i = 0, l = this.params.length; i < l; ++i) {
+			var param = this.params[i];
+			if (isStructType(param.type)) {
+				prologue += param.name + " = $p.copyStruct(" + param.name + ");\n";
+			}
+		}
+		if (prologue === "") {
 			return body;
 		}
-		return "{\nvar " + this.methodArgsParam.name +
-			" = Array.prototype.slice.call(arguments, " +
-			this.params.length + ");\n" + body.substring(1);
+		return "{\n" + prologue + body.substring(1);
 	};
 	AstParams.prototype.toString = function() {
 		if(this.params.length === 0) {
@@ -200,6 +617,26 @@ module.exports = function parseProcessing(code, options) {
 		}
 		return result.substring(0, result.length - 2) + ")";
 	};
+	// the declared types of the parameters, as an array literal, for the
+	// overload resolution of $p.addMethod
+	AstParams.prototype.getTypes = function() {
+		var types = [];
+		for(var i=0,l=this.params.length;i<l;++i) {
+			types.push(this.params[i].type === undefined ? "null" : "'" + this.params[i].type + "'");
+		}
+		return "[" + types.join(", ") + "]";
+	};
+
+	// "final float"C1" x" --> "float[]"
+	function getParamType(param, nameIndex) {
+		var dimensions = param.match(/"C\d+"/g);
+		var type = trim(param.substring(0, nameIndex).replace(/"C\d+"|\b(?:final|struct)\b/g, ""));
+		if(type === "") {
+			return undefined;
+		}
+		type = type.replace(/\s*\.\s*/g, ".");
+		return type + new Array((dimensions ? dimensions.length : 0) + 1).join("[]");
+	}
 
 	function transformParams(params) {
 		var paramsWoPars = trim(params.substring(1, params.length - 1));
@@ -212,14 +649,473 @@ module.exports = function parseProcessing(code, options) {
 					methodArgsParam = new AstParam(param[1]);
 					break;
 				}
-				result.push(new AstParam(param[1]));
+				result.push(new AstParam(param[1], getParamType(paramList[i], param.index)));
 			}
 		}
 		return new AstParams(result, methodArgsParam);
 	}
 
+	// Converts the lambdas of an expression into atoms, as "(params)" "{body}" pairs.
+	// Nested brackets are atoms already, so the body of a lambda without a block ends
+	// at the next comma of the expression. The last lambda is converted first, it is
+	// the innermost one in "a -> b -> a + b".
+	var lambdaRegex = /(?:"B\d+"|\b[A-Za-z_$][\w$]*)\s*->\s*/g;
+	function extractLambdas(expr) {
+		var s = expr, m, last;
+		for(;;) {
+			last = null;
+			lambdaRegex.lastIndex = 0;
+			while((m = lambdaRegex.exec(s)) !== null) {
+				last = m;
+			}
+			if(last === null) {
+				return s;
+			}
+			var params = trim(last[0].replace(/->\s*$/, ""));
+			if(params.charAt(0) !== '"') {
+				params = addAtom("(" + params + ")", 'B');
+			}
+			var bodyStart = last.index + last[0].length, bodyEnd = s.indexOf(",", bodyStart);
+			if(bodyEnd < 0) {
+				bodyEnd = s.length;
+			}
+			var body = trimSpaces(s.substring(bodyStart, bodyEnd));
+			if(!/^"A\d+"$/.test(body.middle)) {
+				body.middle = addAtom("{ return " + body.middle + "; }", 'A');
+			}
+			s = s.substring(0, last.index) + body.untrim(addAtom(params + " " + body.middle, 'L')) + s.substring(bodyEnd);
+		}
+	}
+
+	// Structs are values, "a = b" assigns a copy of b when b holds a struct.
+	// Only variables, fields, array items and method results can hold one.
+	var structReferenceRegex = /^\s*(?!(?:new|null|true|false)\b)(?:[A-Za-z_$][\w$]*|"B\d+")(?:\s*(?:\.\s*[A-Za-z_$][\w$]*|"[BC]\d+"))*\s*$/;
+	function copyStructValue(value) {
+		if(!structReferenceRegex.test(value)) {
+			return value;
+		}
+		var trimmed = trimSpaces(value);
+		return trimmed.untrim("$p.copyStruct" + addAtom("(" + trimmed.middle + ")", 'B'));
+	}
+
+	// "a", "this.a", "o.a" or "a[i]", where a is a struct variable or an array of structs
+	var structVariableRegex = /([A-Za-z_$][\w$]*)\s*(?:"C\d+"\s*)*$/;
+	function isStructVariable(expr) {
+		var m = structVariableRegex.exec(expr);
+		return m !== null && structVariables.hasOwnProperty(m[1]);
+	}
+
+	// the arguments, the array items and the return values that are struct variables are copied
+	function copyStructVariable(value) {
+		return structReferenceRegex.test(value) && isStructVariable(value) ? copyStructValue(value) : value;
+	}
+
+	// "a, b" --> "$p.copyStruct(a), $p.copyStruct(b)"
+	function copyStructItems(items) {
+		var parts = items.split(",");
+		for(var i = 0, l = parts.length; i < l; ++i) {
+			parts[i] = copyStructVariable(parts[i]);
+		}
+		return parts.join(",");
+	}
+
+	// the methods of collections that take items, as [argument, type argument] pairs, where -1 is the last argument
+	var collectionItemParams = { add: [[-1, 0]], addFirst: [[0, 0]], addLast: [[0, 0]], offer: [[0, 0]], offerFirst: [[0, 0]],
+		offerLast: [[0, 0]], push: [[0, 0]], set: [[1, 0]], put: [[0, 0], [1, 1]], putIfAbsent: [[0, 0], [1, 1]] };
+
+	// list.add(a) --> list.add($p.copyStruct(a)), when list is a collection of the struct of a. The
+	// methods of the sketch copy their struct parameters themselves, other parameters are not copied.
+	function copyStructArguments(expr) {
+		return expr.replace(/\b([A-Za-z_$][\w$]*)(\s*\.\s*)([A-Za-z_$][\w$]*)(\s*)"B(\d+)"/g, function(all, receiver, dot, method, space, index) {
+			if(!structCollections.hasOwnProperty(receiver) || !collectionItemParams.hasOwnProperty(method)) {
+				return all;
+			}
+			var args = atoms[index], parts = args.substring(1, args.length - 1).split(","), params = collectionItemParams[method];
+			var copied = false;
+			for(var i = 0, l = params.length; i < l; ++i) {
+				var position = params[i][0] < 0 ? parts.length - 1 : params[i][0];
+				if(position < parts.length && isStructType(structCollections[receiver][params[i][1]]) &&
+					isStructVariable(trim(parts[position]))) {
+					parts[position] = copyStructValue(parts[position]);
+					copied = true;
+				}
+			}
+			return copied ? receiver + dot + method + space + addAtom("(" + parts.join(",") + ")", 'B') : all;
+		});
+	}
+
+	// "a = b, c = d" --> "a = $p.copyStruct(b), c = $p.copyStruct(d)", for the struct variables a and c
+	var assignedValueRegex = /^([\s\S]*[^=!<>+\-*\/%&|^])=([^=]+)$/;
+	function copyAssignedStructs(expr) {
+		var parts = expr.split(",");
+		for(var i = 0, l = parts.length; i < l; ++i) {
+			var m = assignedValueRegex.exec(parts[i]);
+			if(m !== null && isStructVariable(trim(m[1]))) {
+				parts[i] = m[1] + "=" + copyStructValue(m[2]);
+			}
+		}
+		return parts.join(",");
+	}
+
+	// f(2, x) --> f(2, x, $p.argumentTypes(1, 2)), when the sketch declares overloads of f that
+	// only differ in int and float parameters. 1 is an int argument, 2 a float one and 0 anything else.
+	var integerLiteralRegex = /^[-+]?\s*(?:0[xX][0-9a-fA-F]+|\d+)[lL]?$/;
+	var floatLiteralRegex = /^[-+]?\s*(?:\d+\.\d*|\.\d+|\d+(?=[eEfFdD]))(?:[eE][-+]?\d+)?[fFdD]?$/;
+	function getDeclaredArgumentType(type) {
+		return type ? numericParamTypes[type] || 0 : null;
+	}
+	// the type of an argument, or null when it is not known
+	function getArgumentType(arg) {
+		var m, declared;
+		arg = trim(arg);
+		if(integerLiteralRegex.test(arg)) {
+			return 1;
+		}
+		if(floatLiteralRegex.test(arg)) {
+			return 2;
+		}
+		if(/^'\d+'$/.test(arg)) {
+			// strings and chars
+			return 0;
+		}
+		if((m = /^"B(\d+)"$/.exec(arg)) !== null) {
+			return getArgumentType(atoms[m[1]].slice(1, -1));
+		}
+		if((m = /^"B(\d+)"\s*(?:[\w$']|"B)/.exec(arg)) !== null) {
+			// (float)x
+			var cast = /^\(\s*([A-Za-z_$][\w$]*)\s*\)$/.exec(atoms[m[1]]);
+			return cast === null ? null : numericParamTypes[cast[1]] || 0;
+		}
+		if((m = /^(?:this\s*\.\s*)?([A-Za-z_$][\w$]*)$/.exec(arg)) !== null) {
+			declared = getDeclaredType(declaredTypes, m[1]);
+			return getDeclaredArgumentType(declared !== undefined ? declared : integerBuiltins[m[1]]);
+		}
+		if((m = /^([A-Za-z_$][\w$]*)\s*"B\d+"$/.exec(arg)) !== null) {
+			declared = getDeclaredType(returnTypes, m[1]);
+			return getDeclaredArgumentType(declared !== undefined ? declared : integerBuiltinCalls[m[1]]);
+		}
+		// i * 2, the int arithmetic of strictNumerics
+		return analyzeNumerics(arg, false).type !== null ? 1 : null;
+	}
+	function addArgumentTypes(expr) {
+		return expr.replace(/(^|[^\w$])(new\s+)?([A-Za-z_$][\w$]*)(\s*)"B(\d+)"/g, function(all, prefix, isNew, name, space, index) {
+			var args = atoms[index].slice(1, -1), parts = args.split(","), types = [];
+			if(isNew || !numericOverloads.hasOwnProperty(name) || !numericOverloads[name][parts.length] || trim(args) === "" ||
+				/\$p\.argumentTypes\s*"B\d+"\s*$/.test(args)) {
+				return all;
+			}
+			for(var i = 0, l = parts.length; i < l; ++i) {
+				types.push(getArgumentType(parts[i]));
+				if(types[i] === null) {
+					addDiagnostic("warning", "The argument types of this call are not known, so " + name +
+						"() cannot be told apart from its overloads with int or float parameters", atomLines[index], name);
+					return all;
+				}
+			}
+			return prefix + name + space + addAtom("(" + args + ", $p.argumentTypes" + addAtom("(" + types.join(", ") + ")", 'B') + ")", 'B');
+		});
+	}
+
+	// "ps[i]", "this.ps[i]" or "o.ps[i]", where the receiver "o" is a chain of names and items. It is
+	// evaluated twice for the index check of the fields, so receivers with calls are not included.
+	var packedArrayAccessRegex = /(^|[^.\w$])((?:[A-Za-z_$][\w$]*(?:\s*"C\d+")*\s*\.\s*)*)([A-Za-z_$][\w$]*)\s*"C(\d+)"(?:(\s*\.\s*)([A-Za-z_$][\w$]*)|\s*=(?!=)([^,]+))?/g;
+	function transformPackedArrayAccess(expr) {
+		return expr.replace(packedArrayAccessRegex, function(all, prefix, receiver, name, index, dot, member, value, offset) {
+			var qualified = receiver !== "" && !/^this\s*\.\s*$/.test(receiver);
+			var type = qualified ? getPackedFieldType(name) : getPackedArrayType(name, index);
+			if(type === null) {
+				return all;
+			}
+			var atom = atoms[index], itemIndex = atom.substring(1, atom.length - 1), array = receiver + name;
+			var packedStruct = packedStructs[type];
+			if(member !== undefined && packedStruct.fields.indexOf(member) >= 0) {
+				// ps.x[ps.$checkIndex(i)], the typed arrays do not throw for an index out of bounds
+				var field = array + "." + member +
+					addAtom("[" + array + ".$checkIndex" + addAtom("(" + itemIndex + ")", 'B') + "]", 'C');
+				// booleans are stored as 0 and 1
+				if(packedStruct.booleans.indexOf(member) >= 0 &&
+					!/^\s*[&|^]?=(?!=)/.test(expr.substring(offset + all.length))) {
+					field = "!!" + field;
+				}
+				return prefix + field;
+			}
+			if(value !== undefined) {
+				return prefix + array + ".set" + addAtom("(" + itemIndex + "," + value + ")", 'B');
+			}
+			return prefix + array + ".get" + addAtom("(" + itemIndex + ")", 'B') +
+				(member !== undefined ? dot + member : "");
+		});
+	}
+
+	// Java integer arithmetic, for the strictNumerics directive. byte, short and char
+	// values are promoted to int, the result of "int op int" is an int.
+	var integerTypes = { "int": "int", "short": "int", "byte": "int", "char": "int", "long": "long" };
+	var integerBuiltins = { width: "int", height: "int", frameCount: "int", keyCode: "int" };
+	var integerBuiltinCalls = { "int": "int", floor: "int", ceil: "int", round: "int", millis: "int",
+		second: "int", minute: "int", hour: "int", day: "int", month: "int", year: "int" };
+	// the casts that are not just dropped: (byte)x --> __byte_cast(x)
+	var numericCasts = { "byte": "int", "short": "int", "char": "int", "long": "long" };
+
+	function getArithmeticType(type, otherType) {
+		if(!type || !otherType) {
+			return null;
+		}
+		return type === "long" || otherType === "long" ? "long" : "int";
+	}
+
+	// the type of "name", "name(...)", "name[...]" or "name.length"
+	function getNameType(name, suffix) {
+		var type;
+		if(/\.length(?:"B\d+")?$/.test(suffix)) {
+			return "int";
+		}
+		if(suffix === "") {
+			type = getDeclaredType(declaredTypes, name);
+			type = type !== undefined ? type : integerBuiltins[name];
+		} else if(/^"B\d+"$/.test(suffix)) {
+			type = getDeclaredType(returnTypes, name);
+			type = type !== undefined ? type : integerBuiltinCalls[name];
+		} else if(/^(?:"C\d+")+$/.test(suffix) && getDeclaredType(declaredTypes, name)) {
+			var dimensions = getDimensions(suffix);
+			type = getDeclaredType(declaredTypes, name);
+			type = type.substring(type.length - dimensions.length) === dimensions ? type.substring(0, type.length - dimensions.length) : null;
+		}
+		return type && integerTypes.hasOwnProperty(type) ? integerTypes[type] : null;
+	}
+
+	function getPrimaryType(primary, suffix) {
+		suffix = suffix.replace(/\s+/g, "").replace(/(?:\+\+|--)$/, "");
+		if(/^(?:0[xX][0-9a-fA-F]+|\d+)$/.test(primary)) {
+			return suffix === "" ? "int" : null;
+		}
+		if(/^\d+[lL]$/.test(primary)) {
+			return suffix === "" ? "long" : null;
+		}
+		if(primary.charAt(0) === "'") {
+			// char literals, not strings
+			return suffix === "" && /^'(?:[^'\\]|\\[^']+)'$/.test(strings[primary.slice(1, -1)]) ? "int" : null;
+		}
+		if(/^"B\d+"$/.test(primary)) {
+			var atom = atoms[getAtomIndex(primary)];
+			return suffix === "" ? analyzeNumerics(atom.substring(1, atom.length - 1), false).type : null;
+		}
+		if(!/^[A-Za-z_$]/.test(primary)) {
+			return null;
+		}
+		if(primary === "this") {
+			var member = /^\.([A-Za-z_$][\w$]*)([\s\S]*)$/.exec(suffix);
+			return member === null ? null : getNameType(member[1], member[2]);
+		}
+		return getNameType(primary, suffix);
+	}
+
+	// the declared type of the variable, field or array item an operand assigns
+	function getTargetType(operand) {
+		if(operand.prefix !== "") {
+			return null;
+		}
+		var suffix = operand.suffix.replace(/\s+/g, ""), name = operand.primary;
+		if(name === "this") {
+			var member = /^\.([A-Za-z_$][\w$]*)([\s\S]*)$/.exec(suffix);
+			if(member === null) {
+				return null;
+			}
+			name = member[1];
+			suffix = member[2];
+		}
+		if(!/^[A-Za-z_$][\w$]*$/.test(name) || !/^(?:"C\d+")*$/.test(suffix) || !getDeclaredType(declaredTypes, name)) {
+			return null;
+		}
+		var type = getDeclaredType(declaredTypes, name), dimensions = getDimensions(suffix);
+		if(type.substring(type.length - dimensions.length) !== dimensions) {
+			return null;
+		}
+		type = type.substring(0, type.length - dimensions.length);
+		return type === "int" || type === "short" || type === "byte" || type === "long" ? type : null;
+	}
+
+	// Converts a value to the type of the variable it is assigned to, as Java does
+	// for the results of int arithmetic and compound assignments.
+	function castNumericValue(value, valueType, targetType) {
+		if(targetType === "int") {
+			return valueType === "int" ? value : addAtom("(" + value + ")", 'B') + " | 0";
+		}
+		if(targetType === "short") {
+			return addAtom("(" + value + ")", 'B') + " << 16 >> 16";
+		}
+		if(targetType === "byte") {
+			return addAtom("(" + value + ")", 'B') + " << 24 >> 24";
+		}
+		if(targetType === "long") {
+			return valueType !== null ? value : "Math.trunc" + addAtom("(" + value + ")", 'B');
+		}
+		return value;
+	}
+
+	var numericOperandRegex = /^(\s*)((?:(?:\+\+|--|[-+~!]|"B\d+"(?=\s*(?:[\w$'"]|\+\+|--)))\s*)*)("[A-Z]\d+"|'\d+'|0[xX][0-9a-fA-F]+|(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?[fFdDlL]?|[A-Za-z_$][\w$]*)((?:\s*(?:\.\s*[A-Za-z_$][\w$]*|"[BC]\d+"|\+\+|--))*)/;
+	var numericOperatorRegex = /^(\s*)(>>>=|<<=|>>=|>>>|===|!==|==|!=|<=|>=|&&|\|\||<<|>>|[-+*\/%&|^]=|[-+*\/%&|^<>=?:,])/;
+
+	// Splits the expression in operands and the operators between them,
+	// or returns null for what is not a plain expression, e.g. "new Type()".
+	function tokenizeNumerics(expr) {
+		var operands = [], operators = [], rest = expr, m;
+		for(;;) {
+			m = numericOperandRegex.exec(rest);
+			if(m === null) {
+				return null;
+			}
+			operands.push({ space: m[1], prefix: m[2], primary: m[3], suffix: m[4] });
+			rest = rest.substring(m[0].length);
+			m = numericOperatorRegex.exec(rest);
+			if(m === null) {
+				return /^\s*$/.test(rest) ? { operands: operands, operators: operators, tail: rest } : null;
+			}
+			operators.push({ space: m[1], text: m[2] });
+			rest = rest.substring(m[0].length);
+		}
+	}
+
+	function analyzeOperand(operand, rewrite) {
+		var type = getPrimaryType(operand.primary, operand.suffix);
+		var text = operand.primary + operand.suffix, changed = false;
+		var prefixes = operand.prefix.match(/\+\+|--|[-+~!]|"B\d+"/g) || [];
+		for(var i = prefixes.length - 1; i >= 0; --i) {
+			var prefix = prefixes[i];
+			if(prefix.charAt(0) !== '"') {
+				text = prefix + text;
+				type = prefix === "!" ? null : type;
+				continue;
+			}
+			var cast = /^\(\s*([A-Za-z_$][\w$]*)\s*\)$/.exec(atoms[getAtomIndex(prefix)]);
+			if(cast !== null && numericCasts.hasOwnProperty(cast[1])) {
+				text = rewrite ? "__" + cast[1] + "_cast" + addAtom("(" + text + ")", 'B') : text;
+				type = numericCasts[cast[1]];
+				changed = rewrite;
+			} else {
+				text = prefix + " " + text;
+				type = cast !== null && cast[1] === "int" ? "int" : null;
+			}
+		}
+		return { space: operand.space, text: changed ? text : operand.prefix + operand.primary + operand.suffix,
+			type: type, changed: changed, target: getTargetType(operand) };
+	}
+
+	// a * b, a / b and a % b
+	function combineMultiplicative(left, operator, right, rewrite) {
+		var type = getArithmeticType(left.type, right.type);
+		var helper = null;
+		if(type !== null && operator.text === "/") {
+			helper = type === "int" ? "__int_div" : "__long_div";
+		} else if(type === "int" && operator.text === "*") {
+			helper = "Math.imul";
+		}
+		if(helper !== null && rewrite) {
+			return { space: left.space, text: helper + addAtom("(" + left.text + "," + right.space + right.text + ")", 'B'),
+				type: type, changed: true };
+		}
+		return { space: left.space, text: left.text + operator.space + operator.text + right.space + right.text,
+			type: type, changed: left.changed || right.changed };
+	}
+
+	var assignmentOperators = ["=", "+=", "-=", "*=", "/=", "%="];
+
+	// Applies the rules of Java integer arithmetic to an expression without nested
+	// brackets, returns the new text and the type of the expression: "int", "long"
+	// or null for the other types, or when the type is not known.
+	function analyzeNumerics(expr, rewrite) {
+		var tokens = tokenizeNumerics(expr);
+		if(tokens === null) {
+			return { text: expr, type: null };
+		}
+		var operators = tokens.operators, i, j;
+		// multiplication first
+		var units = [analyzeOperand(tokens.operands[0], rewrite)], unitOperators = [];
+		for(i = 0; i < operators.length; ++i) {
+			var operand = analyzeOperand(tokens.operands[i + 1], rewrite);
+			if(/^[*\/%]$/.test(operators[i].text)) {
+				units[units.length - 1] = combineMultiplicative(units[units.length - 1], operators[i], operand, rewrite);
+			} else {
+				units.push(operand);
+				unitOperators.push(operators[i]);
+			}
+		}
+		// then int additions overflow
+		var chains = [], chainOperators = [], chain = null, additions = 0;
+		// "a + b | 0" is already an int, as the wrapped chains
+		var endChain = function(next) {
+			var wrapped = next < units.length && unitOperators[next - 1].text === "|" && units[next].text === "0";
+			if(additions > 0 && chain.type === "int" && rewrite && !wrapped) {
+				chain.text = addAtom("(" + chain.text + " | 0)", 'B');
+				chain.changed = true;
+			}
+			if(additions > 0) {
+				chain.target = null;
+			}
+			chains.push(chain);
+		};
+		for(i = 0; i < units.length; ++i) {
+			if(i > 0 && /^[-+]$/.test(unitOperators[i - 1].text)) {
+				chain = { space: chain.space, text: chain.text + unitOperators[i - 1].space + unitOperators[i - 1].text + units[i].space + units[i].text,
+					type: getArithmeticType(chain.type, units[i].type), changed: chain.changed || units[i].changed, target: chain.target };
+				++additions;
+				continue;
+			}
+			if(i > 0) {
+				endChain(i);
+				chainOperators.push(unitOperators[i - 1]);
+			}
+			chain = units[i];
+			additions = 0;
+		}
+		endChain(units.length);
+		// assignments to int, short, byte and long variables, the last one first
+		for(i = chainOperators.length - 1; i >= 0 && rewrite; --i) {
+			var assignment = chainOperators[i].text, targetType = chains[i].target;
+			if(assignmentOperators.indexOf(assignment) < 0 || !targetType) {
+				continue;
+			}
+			for(j = i + 1; j < chainOperators.length && chainOperators[j].text !== ","; ++j) {}
+			var value = chains[i + 1].text, valueType = j === i + 1 ? chains[i + 1].type : null;
+			for(var k = i + 1; k < j; ++k) {
+				value += chainOperators[k].space + chainOperators[k].text + chains[k + 1].space + chains[k + 1].text;
+			}
+			if(assignment !== "=") {
+				// x += y --> x = x + y, when x is a plain variable or an array item with a plain index
+				if(/"B\d+"|\+\+|--/.test(chains[i].text.replace(/"C(\d+)"/g, function(all, index) { return atoms[index]; }))) {
+					continue;
+				}
+				var operator = { space: " ", text: assignment.charAt(0) };
+				var left = { space: "", text: chains[i].text, type: integerTypes[targetType] };
+				var right = { space: " ", text: addAtom("(" + value + ")", 'B'), type: valueType };
+				if(/[-+]/.test(operator.text)) {
+					value = left.text + " " + operator.text + right.space + right.text;
+					valueType = getArithmeticType(left.type, right.type);
+					value = valueType === "int" ? addAtom("(" + value + " | 0)", 'B') : value;
+				} else {
+					var combined = combineMultiplicative(left, operator, right, true);
+					value = combined.text;
+					valueType = combined.type;
+				}
+				chainOperators[i] = { space: chainOperators[i].space, text: "=" };
+			}
+			chains.splice(i + 1, j - i, { space: chains[i + 1].space, text: castNumericValue(value, valueType, targetType),
+				type: integerTypes[targetType], changed: true });
+			chainOperators.splice(i + 1, j - i - 1);
+		}
+		var changed = false, text = chains[0].space + chains[0].text;
+		for(i = 0; i < chains.length; ++i) {
+			changed = changed || chains[i].changed;
+			if(i > 0) {
+				text += chainOperators[i - 1].space + chainOperators[i - 1].text + chains[i].space + chains[i].text;
+			}
+		}
+		return { text: changed ? text + tokens.tail : expr, type: chains.length === 1 ? chains[0].type : null };
+	}
+
 	function preExpressionTransform(expr) {
 		var s = expr;
+		// new Integer(5) --> Integer.valueOf(5), boxed values are the values themselves
+		s = s.replace(/\bnew\s+(Integer|Long|Float|Double|Boolean)\s*("B\d+")/g, "$1.valueOf$2");
 		// new type[] {...} --> {...}
 		s = s.replace(/\bnew\s+([A-Za-z_$][\w$]*\b(?:\s*\.\s*[A-Za-z_$][\w$]*\b)*)(?:\s*"C\d+")+\s*("A\d+")/g, function(all, type, init) {
 			return init;
@@ -232,12 +1128,41 @@ module.exports = function parseProcessing(code, options) {
 		s = s.replace(functionsRegex, function(all) {
 			return addAtom(all, 'H');
 		});
+		// (a, b) -> a + b, x -> { ... } --> "L???"
+		s = extractLambdas(s);
+		// Type::method, this::method, Type::new --> "M???"
+		s = s.replace(/(?:\b[A-Za-z_$][\w$]*|"B\d+")(?:\s*\.\s*[A-Za-z_$][\w$]*)*(?:\s*"C\d+")*\s*::\s*[A-Za-z_$][\w$]*/g, function(all) {
+			return addAtom(all, 'M');
+		});
+		// ps[i].x --> ps.x[ps.$checkIndex(i)], ps[i] = p --> ps.set(i, p), ps[i] --> ps.get(i)
+		if(!isLookupTableEmpty(packedStructs)) {
+			s = transformPackedArrayAccess(s);
+		}
+		// f(1) --> f(1, $p.argumentTypes(1)), for f(int) and f(float)
+		if(!isLookupTableEmpty(numericOverloads)) {
+			s = addArgumentTypes(s);
+		}
+		// a = b --> a = $p.copyStruct(b), list.add(a) --> list.add($p.copyStruct(a)), for the struct
+		// variables a and b
+		if(!isLookupTableEmpty(structVariables)) {
+			s = copyAssignedStructs(s);
+			s = copyStructArguments(s);
+		}
+		// 7 / 2 --> __int_div(7, 2), a + b --> (a + b | 0), (byte)x --> __byte_cast(x)
+		if(directives.strictNumerics) {
+			s = analyzeNumerics(s, true).text;
+		}
 		// new type[?] --> createJavaArray('type', [?])
 		s = s.replace(/\bnew\s+([A-Za-z_$][\w$]*\b(?:\s*\.\s*[A-Za-z_$][\w$]*\b)*)\s*("C\d+"(?:\s*"C\d+")*)/g, function(all, type, index) {
 			var args = index.replace(/"C(\d+)"/g, function(all, j) { return atoms[j]; })
 				.replace(/\[\s*\]/g, "[null]").replace(/\s*\]\s*\[\s*/g, ", ");
 			var arrayInitializer = "{" + args.substring(1, args.length - 1) + "}";
-			var createArrayArgs = "('" + type + "', " + addAtom(arrayInitializer, 'A') + ")";
+			if(packedStructs.hasOwnProperty(type) && /^"C\d+"$/.test(index)) {
+				return '$p.createPackedArray' + addAtom("(" + type + ", " + atoms[getAtomIndex(index)].slice(1, -1) + ")", 'B');
+			}
+			// the items of struct arrays are created by their class
+			var arrayType = isStructType(type) ? type : "'" + type + "'";
+			var createArrayArgs = "(" + arrayType + ", " + addAtom(arrayInitializer, 'A') + ")";
 			return '$p.createJavaArray' + addAtom(createArrayArgs, 'B');
 		});
 		// .length() --> .length
@@ -280,6 +1205,8 @@ module.exports = function parseProcessing(code, options) {
 		});
 		// 3.0f -> 3.0
 		s = s.replace(/\b(\.?\d+\.?)[fF]\b/g, "$1");
+		// 10000000000L -> 10000000000
+		s = s.replace(/\b(\d+|0[xX][0-9a-fA-F]+)[lL]\b/g, "$1");
 		// Weird (?) parsing errors with %
 		s = s.replace(/([^\s])%([^=\s])/g, "$1 % $2");
 		// Since frameRate() and frameRate are different things,
@@ -328,7 +1255,7 @@ module.exports = function parseProcessing(code, options) {
 		}
 		do {
 			repeatJavaReplacement = false;
-			s = s.replace(/((?:'\d+'|\b[A-Za-z_$][\w$]*\s*(?:"[BC]\d+")*)\s*\.\s*(?:[A-Za-z_$][\w$]*\s*(?:"[BC]\d+"\s*)*\.\s*)*)(replace|replaceAll|replaceFirst|contains|equals|equalsIgnoreCase|hashCode|toCharArray|printStackTrace|split|startsWith|endsWith|codePointAt|matches)\s*"B(\d+)"/g,
+			s = s.replace(/((?:'\d+'|\b[A-Za-z_$][\w$]*\s*(?:"[BC]\d+")*)\s*\.\s*(?:[A-Za-z_$][\w$]*\s*(?:"[BC]\d+"\s*)*\.\s*)*)(replace|replaceAll|replaceFirst|contains|equals|equalsIgnoreCase|compareTo|apply|call|intValue|longValue|floatValue|doubleValue|booleanValue|charValue|hashCode|toCharArray|printStackTrace|split|startsWith|endsWith|codePointAt|matches)\s*"B(\d+)"/g,
 				replacePrototypeMethods);
 		} while (repeatJavaReplacement);
 		// xxx instanceof yyy -> __instanceof(xxx, yyy)
@@ -358,13 +1285,15 @@ module.exports = function parseProcessing(code, options) {
 
 	function transformInlineClass(class_) {
 		var m = new RegExp(/\bnew\s*([A-Za-z_$][\w$]*\s*(?:\.\s*[A-Za-z_$][\w$]*)*)\s*"B\d+"\s*"A(\d+)"/).exec(class_);
-		var oldClassId = currentClassId, newClassId = generateClassId();
+		var oldClassId = currentClassId, newClassId = generateClassId(), oldScope = currentScope;
 		currentClassId = newClassId;
+		currentScope = +m[2];
 		var uniqueClassName = m[1] + "$" + newClassId;
 		var inlineClass = new AstInlineClass(uniqueClassName,
-			transformClassBody(atoms[m[2]], uniqueClassName, "", "implements " + m[1]));
+			transformClassBody(atoms[m[2]], uniqueClassName, "", "implements " + m[1], atomLines[m[2]]));
 		appendClass(inlineClass, newClassId, oldClassId);
 		currentClassId = oldClassId;
+		currentScope = oldScope;
 		return inlineClass;
 	}
 
@@ -393,7 +1322,60 @@ module.exports = function parseProcessing(code, options) {
 	function transformFunction(class_) {
 		var m = new RegExp(/\b([A-Za-z_$][\w$]*)\s*"B(\d+)"\s*"A(\d+)"/).exec(class_);
 		return new AstFunction( m[1] !== "function" ? m[1] : null,
-			transformParams(atoms[m[2]]), transformStatementsBlock(atoms[m[3]]));
+			transformParams(atoms[m[2]]), transformStatementsBlock(atoms[m[3]], atomLines[m[3]], +m[3]));
+	}
+
+	// Lambdas and method references are called through the method of their
+	// functional interface, e.g. "r.run()". The methods of java.util.function are
+	// known to $p.lambda, these are the ones of the interfaces in the sketch.
+	function getFunctionalMethods() {
+		var names = [];
+		for(var id in declaredClasses) {
+			if(declaredClasses.hasOwnProperty(id)) {
+				var body = declaredClasses[id].body;
+				if(body instanceof AstInterfaceBody && body.methodsNames.length === 1 &&
+					names.indexOf(body.methodsNames[0]) < 0) {
+					names.push(body.methodsNames[0]);
+				}
+			}
+		}
+		return names.length > 0 ? ", ['" + names.join("', '") + "']" : "";
+	}
+
+	// Unlike functions, lambdas do not have their own "this", it is the
+	// one of the enclosing class.
+	function AstLambda(params, body) {
+		this.params = params;
+		this.body = body;
+	}
+	AstLambda.prototype.toString = function() {
+		var oldContext = replaceContext;
+		var names = appendToLookupTable({}, this.params.getNames());
+		replaceContext = function (subject) {
+			return names.hasOwnProperty(subject.name) ? subject.name : oldContext(subject);
+		};
+		var body = this.params.prependMethodArgs(this.body.toString());
+		var result = "$p.lambda(function" + this.params + " " + body + getFunctionalMethods() + ")";
+		replaceContext = oldContext;
+		return result;
+	};
+
+	function transformLambda(lambda) {
+		var m = /"B(\d+)"\s*"A(\d+)"/.exec(lambda);
+		return new AstLambda(transformParams(atoms[m[1]]), transformStatementsBlock(atoms[m[2]], atomLines[m[2]], +m[2]));
+	}
+
+	function AstMethodReference(target, name) {
+		this.target = target;
+		this.name = name;
+	}
+	AstMethodReference.prototype.toString = function() {
+		return "$p.methodReference(" + this.target + ", '" + this.name + "'" + getFunctionalMethods() + ")";
+	};
+
+	function transformMethodReference(reference) {
+		var m = /^([\s\S]*?)\s*::\s*([A-Za-z_$][\w$]*)$/.exec(reference);
+		return new AstMethodReference(transformExpression(m[1]), m[2]);
 	}
 
 	function AstInlineObject(members) {
@@ -437,7 +1419,12 @@ module.exports = function parseProcessing(code, options) {
 			if(/^\{\s*(?:[A-Za-z_$][\w$]*|'\d+')\s*:/.test(expr)) {
 				return "{" + addAtom(expr.substring(1, expr.length - 1), 'I') + "}";
 			}
-			return "[" + expandExpression(expr.substring(1, expr.length - 1)) + "]";
+			var items = expr.substring(1, expr.length - 1);
+			// {a, b} --> [$p.copyStruct(a), $p.copyStruct(b)], for the struct variables a and b
+			if(!isLookupTableEmpty(structVariables)) {
+				items = copyStructItems(items);
+			}
+			return "[" + expandExpression(items) + "]";
 		}
 		var trimmed = trimSpaces(expr);
 		var result = preExpressionTransform(trimmed.middle);
@@ -485,6 +1472,14 @@ module.exports = function parseProcessing(code, options) {
 			transforms.push(transformInlineObject(atoms[index]));
 			return '"!' + (transforms.length - 1) + '"';
 		});
+		s = s.replace(/"L(\d+)"/g, function(all, index) {
+			transforms.push(transformLambda(atoms[index]));
+			return '"!' + (transforms.length - 1) + '"';
+		});
+		s = s.replace(/"M(\d+)"/g, function(all, index) {
+			transforms.push(transformMethodReference(atoms[index]));
+			return '"!' + (transforms.length - 1) + '"';
+		});
 
 		return new AstExpression(s, transforms);
 	};
@@ -498,7 +1493,8 @@ module.exports = function parseProcessing(code, options) {
 		return this.name + ' = ' + this.value;
 	};
 
-	function transformVarDefinition(def, defaultTypeValue) {
+	// varType: the declared type, structs are copied and numbers are converted to it
+	function transformVarDefinition(def, defaultTypeValue, varType) {
 		var eqIndex = def.indexOf("=");
 		var name, value, isDefault;
 		if(eqIndex < 0) {
@@ -507,7 +1503,14 @@ module.exports = function parseProcessing(code, options) {
 			isDefault = true;
 		} else {
 			name = def.substring(0, eqIndex);
-			value = transformExpression(def.substring(eqIndex + 1));
+			value = def.substring(eqIndex + 1);
+			if(isStructType(varType)) {
+				value = copyStructValue(value);
+			} else if(directives.strictNumerics && integerTypes.hasOwnProperty(varType) && varType !== "char" && name.indexOf('"C') < 0) {
+				value = trimSpaces(value);
+				value = value.untrim(castNumericValue(value.middle, analyzeNumerics(value.middle, false).type, varType));
+			}
+			value = transformExpression(value);
 			isDefault = false;
 		}
 		return new AstVarDefinition( trim(name.replace(/(\s*"C\d+")+/g, "")),
@@ -524,6 +1527,10 @@ module.exports = function parseProcessing(code, options) {
 		if(type === "color") {
 			return "0x00000000";
 		}
+		if(isStructType(type)) {
+			// structs are values, there is no null struct
+			return transformExpression("new " + type + addAtom("()", 'B'));
+		}
 		return "null";
 	}
 
@@ -549,21 +1556,18 @@ module.exports = function parseProcessing(code, options) {
 	};
 
 	function transformStatement(statement) {
+		if (structTest.test(statement)) {
+			// "struct Type name" variables are just variables of the Type
+			statement = statement.replace(/\bstruct\s+/, "");
+		}
 		if (fieldTest.test(statement)) {
 			var attrAndType = attrAndTypeRegex.exec(statement);
-			// wk_debug
-			console.log('debug(attrAndType):', attrAndType);
-
 			var definitions = statement.substring(attrAndType[0].length).split(",");
 			var defaultTypeValue = getDefaultValueForType(attrAndType[2]);
 			for(var i=0; i < definitions.length; ++i) {
-				definitions[i] = transformVarDefinition(definitions[i], defaultTypeValue);
+				definitions[i] = transformVarDefinition(definitions[i], defaultTypeValue, attrAndType[2]);
 			}
 			return new AstVar(definitions, attrAndType[2]);
-		} else if (structTest.test(statement)) {
-			statement = trim(statement.replace('struct', ''));
-			// wk_debug
-			console.log('debug(struct statement):', "'" + statement + "'");
 		}
 
 		return new AstStatement(transformExpression(statement));
@@ -648,20 +1652,32 @@ module.exports = function parseProcessing(code, options) {
 		return "" + this.body;
 	};
 
+	function checkEnumDeclaration(m) {
+		if(m[4] !== undefined) {
+			addDiagnostic("error", "enum " + m[3] + " cannot extend other classes", getTextLine(m[0]), "extends");
+		}
+	}
+
 	function transformInnerClass(class_) {
 		var m = classesRegex.exec(class_); // 1 - attr, 2 - class|int, 3 - name, 4 - extends, 5 - implements, 6 - body
 		classesRegex.lastIndex = 0;
 		var isStatic = m[1].indexOf("static") >= 0;
-		var body = atoms[getAtomIndex(m[6])], innerClass;
-		var oldClassId = currentClassId, newClassId = generateClassId();
+		var bodyIndex = getAtomIndex(m[6]), body = atoms[bodyIndex], innerClass;
+		var oldClassId = currentClassId, newClassId = generateClassId(), oldScope = currentScope;
 		currentClassId = newClassId;
+		currentScope = bodyIndex;
 		if(m[2] === "interface") {
-			innerClass = new AstInnerInterface(m[3], transformInterfaceBody(body, m[3], m[4]), isStatic);
+			innerClass = new AstInnerInterface(m[3], transformInterfaceBody(body, m[3], m[4], atomLines[bodyIndex]), isStatic);
+		} else if(m[2] === "enum") {
+			checkEnumDeclaration(m);
+			// nested enums are always static
+			innerClass = new AstInnerClass(m[3], transformEnumBody(body, m[3], m[5], atomLines[bodyIndex]), true);
 		} else {
-			innerClass = new AstInnerClass(m[3], transformClassBody(body, m[3], m[4], m[5]), isStatic);
+			innerClass = new AstInnerClass(m[3], transformClassBody(body, m[3], m[4], m[5], atomLines[bodyIndex]), isStatic);
 		}
 		appendClass(innerClass, newClassId, oldClassId);
 		currentClassId = oldClassId;
+		currentScope = oldScope;
 		return innerClass;
 	}
 
@@ -678,7 +1694,7 @@ module.exports = function parseProcessing(code, options) {
 			return paramNames.hasOwnProperty(subject.name) ? subject.name : oldContext(subject);
 		};
 		var body = this.params.prependMethodArgs(this.body.toString());
-		var result = "function " + this.methodId + this.params + " " + body +"\n";
+		var result = getLineMarker(this.line) + "function " + this.methodId + this.params + " " + body +"\n";
 		replaceContext = oldContext;
 		return result;
 	};
@@ -687,9 +1703,12 @@ module.exports = function parseProcessing(code, options) {
 		var m = methodsRegex.exec(method);
 		methodsRegex.lastIndex = 0;
 		var isStatic = m[1].indexOf("static") >= 0;
-		var body = m[6] !== ';' ? atoms[getAtomIndex(m[6])] : "{}";
-		return new AstClassMethod(m[3], transformParams(atoms[getAtomIndex(m[4])]),
-			transformStatementsBlock(body), isStatic );
+		var bodyIndex = m[6] !== ';' ? getAtomIndex(m[6]) : undefined;
+		var body = bodyIndex !== undefined ? atoms[bodyIndex] : "{}";
+		var classMethod = new AstClassMethod(m[3], transformParams(atoms[getAtomIndex(m[4])]),
+			transformStatementsBlock(body, atomLines[bodyIndex], bodyIndex), isStatic );
+		classMethod.line = getTextLine(method);
+		return classMethod;
 	}
 
 	function AstClassField(definitions, fieldType, isStatic) {
@@ -730,7 +1749,7 @@ module.exports = function parseProcessing(code, options) {
 		var definitions = statement.substring(attrAndType[0].length).split(/,\s*/g);
 		var defaultTypeValue = getDefaultValueForType(attrAndType[2]);
 		for(var i=0; i < definitions.length; ++i) {
-			definitions[i] = transformVarDefinition(definitions[i], defaultTypeValue);
+			definitions[i] = transformVarDefinition(definitions[i], defaultTypeValue, attrAndType[2]);
 		}
 		return new AstClassField(definitions, attrAndType[2], isStatic);
 	}
@@ -745,7 +1764,7 @@ module.exports = function parseProcessing(code, options) {
 		replaceContext = function (subject) {
 			return paramNames.hasOwnProperty(subject.name) ? subject.name : oldContext(subject);
 		};
-		var prefix = "function $constr_" + this.params.params.length + this.params.toString();
+		var prefix = getLineMarker(this.line) + "function $constr_" + this.params.params.length + this.params.toString();
 		var body = this.params.prependMethodArgs(this.body.toString());
 		if(!/\$(superCstr|constr)\b/.test(body)) {
 			body = "{\n$superCstr();\n" + body.substring(1);
@@ -758,7 +1777,9 @@ module.exports = function parseProcessing(code, options) {
 		var m = new RegExp(/"B(\d+)"\s*"A(\d+)"/).exec(cstr);
 		var params = transformParams(atoms[m[1]]);
 
-		return new AstConstructor(params, transformStatementsBlock(atoms[m[2]]));
+		var cstr_ = new AstConstructor(params, transformStatementsBlock(atoms[m[2]], atomLines[m[2]], +m[2]));
+		cstr_.line = getTextLine(cstr);
+		return cstr_;
 	}
 
 	function AstInterfaceBody(name, interfacesNames, methodsNames, fields, innerClasses, misc) {
@@ -853,10 +1874,11 @@ module.exports = function parseProcessing(code, options) {
 			"})()";
 	};
 
-	transformInterfaceBody = function(body, name, baseInterfaces) {
-		var declarations = body.substring(1, body.length - 1);
+	transformInterfaceBody = function(body, name, baseInterfaces, line) {
+		var declarations = checkMemberModifiers(body.substring(1, body.length - 1), line, "interface " + name);
 		declarations = extractClassesAndMethods(declarations);
 		declarations = extractConstructors(declarations, name);
+		checkClassMembers(declarations, line, "interface " + name);
 		var methodsNames = [], classes = [];
 		declarations = declarations.replace(/"([DE])(\d+)"/g, function(all, type, index) {
 			if(type === 'D') { methodsNames.push(index); }
@@ -921,6 +1943,14 @@ module.exports = function parseProcessing(code, options) {
 			var innerClass = this.innerClasses[i];
 			classInners[innerClass.name] = innerClass;
 		}
+		if(this.enumConstants) {
+			// the constants and the methods every enum has, see defineEnumConstants
+			for(i=0,l=this.enumConstants.length;i<l;++i) {
+				classFields[this.enumConstants[i].name] = { isStatic: true };
+			}
+			classMethods.values = classMethods.valueOf = { isStatic: true };
+			classMethods.name = classMethods.ordinal = classMethods.compareTo = { isStatic: false };
+		}
 	};
 	AstClassBody.prototype.toString = function() {
 		function getScopeLevel(p) {
@@ -1010,10 +2040,11 @@ module.exports = function parseProcessing(code, options) {
 			}
 		}
 
+		var staticFields = "";
 		for (i = 0, l = this.fields.length; i < l; ++i) {
 			var field = this.fields[i];
 			if (field.isStatic) {
-				staticDefinitions += className + "." + field.definitions.join(";\n" + className + ".") + ";\n";
+				staticFields += className + "." + field.definitions.join(";\n" + className + ".") + ";\n";
 				for (j = 0, m = field.definitions.length; j < m; ++j) {
 					var fieldName = field.definitions[j].name, staticName = className + "." + fieldName;
 					result += "$p.defineProperty(" + selfId + ", '" + fieldName + "', {" +
@@ -1038,15 +2069,41 @@ module.exports = function parseProcessing(code, options) {
 			}
 			method.methodId = methodId;
 			methodOverloads[method.name] = overload;
+			// the parameter types pick between the overloads with as many parameters
+			var paramTypes = method.params.params.length > 0 ? ", " + method.params.getTypes() : "";
 			if (method.isStatic) {
 				staticDefinitions += method;
-				staticDefinitions += "$p.addMethod(" + className + ", '" + method.name + "', " + methodId + ", " + hasMethodArgs + ");\n";
-				result += "$p.addMethod(" + selfId + ", '" + method.name + "', " + methodId + ", " + hasMethodArgs + ");\n";
+				staticDefinitions += "$p.addMethod(" + className + ", '" + method.name + "', " + methodId + ", " + hasMethodArgs + paramTypes + ");\n";
+				result += "$p.addMethod(" + selfId + ", '" + method.name + "', " + methodId + ", " + hasMethodArgs + paramTypes + ");\n";
 			} else {
 				result += method;
-				result += "$p.addMethod(" + selfId + ", '" + method.name + "', " + methodId + ", " + hasMethodArgs + ");\n";
+				result += "$p.addMethod(" + selfId + ", '" + method.name + "', " + methodId + ", " + hasMethodArgs + paramTypes + ");\n";
+			}
+		}
+		if (this.enumConstants) {
+			// the constants are created before the static fields are initialized, as in Java
+			var enumConstants = [];
+			for (i = 0, l = this.enumConstants.length; i < l; ++i) {
+				enumConstants.push("['" + this.enumConstants[i].name + "', " + this.enumConstants[i].args + "]");
 			}
+			staticDefinitions += "$p.defineEnumConstants(" + className + ", [" + enumConstants.join(", ") + "]);\n";
+		}
+		if (this.isStruct) {
+			var structFields = [], structFieldTypes = [];
+			for (i = 0, l = this.fields.length; i < l; ++i) {
+				if (!this.fields[i].isStatic) {
+					var fieldNames = this.fields[i].getNames();
+					var fieldType = this.fields[i].fieldType.replace(/\s*"C\d+"/g, "[]");
+					for (j = 0, m = fieldNames.length; j < m; ++j) {
+						structFields.push("'" + fieldNames[j] + "'");
+						structFieldTypes.push("'" + fieldType + "'");
+					}
+				}
+			}
+			staticDefinitions += "$p.defineStruct(" + className + ", [" + structFields.join(", ") + "], [" +
+				structFieldTypes.join(", ") + "]);\n";
 		}
+		staticDefinitions += staticFields;
 		result += trim(this.misc.tail);
 
 		if (this.cstrs.length > 0) {
@@ -1078,10 +2135,13 @@ module.exports = function parseProcessing(code, options) {
 			"})()";
 	};
 
-	transformClassBody = function(body, name, baseName, interfaces) {
-		var declarations = body.substring(1, body.length - 1);
+	// keyword: "class" or "struct", how the class is named in the diagnostics
+	transformClassBody = function(body, name, baseName, interfaces, line, keyword) {
+		var ownerName = (keyword || "class") + " " + name;
+		var declarations = checkMemberModifiers(body.substring(1, body.length - 1), line, ownerName);
 		declarations = extractClassesAndMethods(declarations);
 		declarations = extractConstructors(declarations, name);
+		checkClassMembers(declarations, line, ownerName);
 		var methods = [], classes = [], structs = [], cstrs = [], functions = [];
 		declarations = declarations.replace(/"([DEGHS])(\d+)"/g, function(all, type, index) {
 			if(type === 'D') { methods.push(index); }
@@ -1125,61 +2185,53 @@ module.exports = function parseProcessing(code, options) {
 			classes, { tail: tail });
 	};
 
-	// wk_added
-	function AstStructBody(name, methods, fields, misc) {
-		this.name = name;
-		this.methods = methods;
-		this.fields = fields;
-		this.misc = misc;
-		for (v of fields) {
-			v.owner = this;
-		}
-	}
-
-	AstStructBody.prototype.toString = function() {
-		let result = '\tconstructor() {\n';
-		for (field of this.fields) {
-			// wk_debug
-			console.log('debug(field):', field);
-			console.log('debug(field.definitions):', field.definitions.toString());
-			
-			result += '\t\tthis.' + field.definitions.join(';\n\t\tthis.');
-			result += ';'
+	// An enum is a class whose body starts with the list of its constants, e.g.
+	// RED"B5", GREEN"B6"; -- the rest of the body is transformed as a class body.
+	function transformEnumBody(body, name, interfaces, line) {
+		var content = body.substring(1, body.length - 1);
+		var end = content.indexOf(";");
+		if(end < 0) {
+			end = content.length;
+		}
+		var constantRegex = /^\s*([A-Za-z_$][\w$]*)\s*(?:"B(\d+)")?\s*("A\d+")?\s*$/;
+		var constants = [], items = content.substring(0, end).split(","), offset = 0;
+		for(var i = 0, l = items.length; i < l; offset += items[i].length + 1, ++i) {
+			var item = items[i], itemLine = line === undefined ? undefined : line + countNewlines(content, 0, offset + /^\s*/.exec(item)[0].length);
+			if(trim(item) === "" && i === l - 1) {
+				continue; // trailing comma or no constants at all
+			}
+			var m = constantRegex.exec(item);
+			if(m === null) {
+				addDiagnostic("error", "Invalid constant in enum " + name, itemLine);
+				continue;
+			}
+			if(m[3] !== undefined) {
+				addDiagnostic("error", "Class bodies of enum constants are not supported (" + name + "." + m[1] + ")",
+					itemLine, m[1]);
+			}
+			constants.push({ name: m[1],
+				args: m[2] !== undefined ? transformExpression("[" + atoms[m[2]].slice(1, -1) + "]") : "[]" });
+		}
+		var restLine = line === undefined ? undefined : line + countNewlines(content, 0, end);
+		var enumBody = transformClassBody("{" + content.substring(end + 1) + "}", name, undefined, interfaces, restLine);
+		enumBody.enumConstants = constants;
+		return enumBody;
+	}
+
+	// A struct is a class of plain data that is copied like a primitive value,
+	// the methods of a value are added by $p.defineStruct.
+	function transformStructBody(body, name, line) {
+		var structBody = transformClassBody(body, name, undefined, undefined, line, "struct");
+		for(var i = 0, l = structBody.fields.length; i < l; ++i) {
+			var field = structBody.fields[i];
+			if(!field.isStatic && field.fieldType === name) {
+				addDiagnostic("error", "struct " + name + " cannot contain a field of its own type", line, name);
+			}
 		}
-		result += '\n\t}';
-		result += trim(this.misc.tail);
-
-		return result;
+		structBody.isStruct = true;
+		return structBody;
 	}
 
-	transformStructBody = function(body, name) {
-		var methods = [], structs = []
-		let declarations = body.substring(1, body.length - 1);
-		declarations = extractClassesAndMethods(declarations);
-		declarations = extractConstructors(declarations, name);
-
-		declarations = declarations.replace(/"([DEGHS])(\d+)"/g, function(all, type, index) {
-			if (type === 'D') { methods.push(index); }
-			else if(type === 'S') { structs.push(index); }
-			return "";
-		});
-		var fields = declarations.replace(/^(?:\s*;)+/, "").split(/;(?:\s*;)*/g);
-		var i;
-
-		for(i = 0; i < methods.length; ++i) {
-			methods[i] = transformClassMethod(atoms[methods[i]]);
-		}
-
-		for(i = 0; i < fields.length - 1; ++i) {
-			var field = trimSpaces(fields[i]);
-			fields[i] = transformClassField(field.middle);
-		}
-		var tail = fields.pop();
-
-		return new AstStructBody(name, methods, fields, { tail: tail });
-	};
-
-
 	function AstInterface(name, body) {
 		this.name = name;
 		this.body = body;
@@ -1202,40 +2254,36 @@ module.exports = function parseProcessing(code, options) {
 	function transformGlobalClass(class_) {
 		var m = classesRegex.exec(class_); // 1 - attr, 2 - class|int, 3 - name, 4 - extends, 5 - implements, 6 - body
 		classesRegex.lastIndex = 0;
-		var body = atoms[getAtomIndex(m[6])];
-		var oldClassId = currentClassId, newClassId = generateClassId();
+		var bodyIndex = getAtomIndex(m[6]), body = atoms[bodyIndex];
+		var oldClassId = currentClassId, newClassId = generateClassId(), oldScope = currentScope;
 		currentClassId = newClassId;
+		currentScope = bodyIndex;
 		var globalClass;
 		if(m[2] === "interface") {
-			globalClass = new AstInterface(m[3], transformInterfaceBody(body, m[3], m[4]) );
+			globalClass = new AstInterface(m[3], transformInterfaceBody(body, m[3], m[4], atomLines[bodyIndex]) );
+		} else if(m[2] === "enum") {
+			checkEnumDeclaration(m);
+			globalClass = new AstClass(m[3], transformEnumBody(body, m[3], m[5], atomLines[bodyIndex]) );
 		} else {
-			globalClass = new AstClass(m[3], transformClassBody(body, m[3], m[4], m[5]) );
+			globalClass = new AstClass(m[3], transformClassBody(body, m[3], m[4], m[5], atomLines[bodyIndex]) );
 		}
 		appendClass(globalClass, newClassId, oldClassId);
 		currentClassId = oldClassId;
+		currentScope = oldScope;
 		return globalClass;
 	}
 
-	// wk_added
-	function AstStruct(name, body) {
-		this.name = name;
-		this.body = body;
-		body.owner = this;
-	}
-
-	AstStruct.prototype.toString = function() {
-		return "class " + this.name + " {\n" + this.body + "\n};\n" +
-			"$p." + this.name + " = " + this.name + ";\n";
-	};
-
 	function transformGlobalStruct(struct_) {
-		// wk_debug
-		console.log('debug(struct_):', struct_);
-
-		var m = structsRegex.exec(struct_); // 1 - attr, 2 - struct, 3 - name, 4 - body 
+		var m = structsRegex.exec(struct_); // 1 - attr, 2 - struct, 3 - name, 4 - body
 		structsRegex.lastIndex = 0;
-		var body = atoms[getAtomIndex(m[4])];
-		globalStruct = new AstStruct(m[3], transformStructBody(body, m[3]));
+		var bodyIndex = getAtomIndex(m[4]), body = atoms[bodyIndex];
+		var oldClassId = currentClassId, newClassId = generateClassId(), oldScope = currentScope;
+		currentClassId = newClassId;
+		currentScope = bodyIndex;
+		var globalStruct = new AstClass(m[3], transformStructBody(body, m[3], atomLines[bodyIndex]));
+		appendClass(globalStruct, newClassId, oldClassId);
+		currentClassId = oldClassId;
+		currentScope = oldScope;
 		return globalStruct;
 	}
 
@@ -1251,9 +2299,15 @@ module.exports = function parseProcessing(code, options) {
 			return paramNames.hasOwnProperty(subject.name) ? subject.name : oldContext(subject);
 		};
 		var body = this.params.prependMethodArgs(this.body.toString());
-		var result = "function " + this.name + this.params + " " + body + "\n" +
-			"$p." + this.name + " = " + this.name + ";\n" +
-			this.name + " = " + this.name + ".bind($p);";
+		var result;
+		if (this.methodId !== undefined) {
+			// an overload, which AstRoot adds to $p
+			result = "function " + this.methodId + this.params + " " + body + "\n";
+		} else {
+			result = "function " + this.name + this.params + " " + body + "\n" +
+				"$p." + this.name + " = " + this.name + ";\n" +
+				this.name + " = " + this.name + ".bind($p);";
+		}
 		//        "$p." + this.name + " = " + this.name + ";";
 		replaceContext = oldContext;
 		return result;
@@ -1263,15 +2317,9 @@ module.exports = function parseProcessing(code, options) {
 		var m = methodsRegex.exec(method);
 		var result =
 			methodsRegex.lastIndex = 0;
+		var bodyIndex = getAtomIndex(m[6]);
 		return new AstMethod(m[3], transformParams(atoms[getAtomIndex(m[4])]),
-			transformStatementsBlock(atoms[getAtomIndex(m[6])]));
-	}
-
-	function preStatementsTransform(statements) {
-		var s = statements;
-		// turns multiple catch blocks into one, because we have no way to properly get into them anyway.
-		s = s.replace(/\b(catch\s*"B\d+"\s*"A\d+")(\s*catch\s*"B\d+"\s*"A\d+")+/g, "$1");
-		return s;
+			transformStatementsBlock(atoms[bodyIndex], atomLines[bodyIndex], bodyIndex));
 	}
 
 	function AstForStatement(argument, misc) {
@@ -1281,13 +2329,54 @@ module.exports = function parseProcessing(code, options) {
 	AstForStatement.prototype.toString = function() {
 		return this.misc.prefix + this.argument.toString();
 	};
-	function AstCatchStatement(argument, misc) {
-		this.argument = argument;
+	// The catch clauses of a try statement are a single JavaScript catch that
+	// picks the clause by the type of the exception, or throws it again.
+	function AstCatchStatement(clauses, misc) {
+		this.clauses = clauses;
 		this.misc = misc;
 	}
 	AstCatchStatement.prototype.toString = function() {
-		return this.misc.prefix + this.argument.toString();
+		var name = this.clauses[0].name, names = {};
+		for(var i=0,l=this.clauses.length;i<l;++i) {
+			names[this.clauses[i].name] = null;
+		}
+		var oldContext = replaceContext;
+		replaceContext = function (subject) {
+			return names.hasOwnProperty(subject.name) ? subject.name : oldContext(subject);
+		};
+		var result = this.misc.prefix + "catch (" + name + ") {\n";
+		for(i=0;i<l;++i) {
+			var clause = this.clauses[i], body = clause.body.toString();
+			body = "{\n" + (clause.name === name ? "" : "var ") + clause.name + " = $p.toJavaException(" + name + ");" +
+				body.substring(1);
+			if(clause.types.length === 0) { // catch (e) catches everything
+				result += (i > 0 ? "else " : "") + body + "\n";
+				break;
+			}
+			var types = [];
+			for(var j=0;j<clause.types.length;++j) {
+				// the types of Java libraries are not defined, see $p.isCaught
+				var type = clause.types[j].toString();
+				types.push(/^[A-Za-z_$][\w$]*$/.test(type) ? "typeof " + type + " === 'undefined' ? undefined : " + type : type);
+			}
+			result += (i > 0 ? "else " : "") + "if ($p.isCaught(" + name + ", [" + types.join(", ") + "])) " + body + "\n";
+		}
+		if(i === l) {
+			result += "else throw " + name + ";\n";
+		}
+		replaceContext = oldContext;
+		return result + "}";
 	};
+
+	// catch (IOException | RuntimeException e) --> { types: [IOException, RuntimeException], name: e }
+	function transformCatchClause(params, block) {
+		var m = /^\(\s*(?:final\s+)?(?:([\s\S]*?)\s+)?([A-Za-z_$][\w$]*)\s*\)$/.exec(params);
+		var types = m[1] === undefined ? [] : m[1].split("|");
+		for(var i=0,l=types.length;i<l;++i) {
+			types[i] = transformExpression(trim(types[i]).replace(/^java\s*\.\s*(?:[a-z]\w*\s*\.\s*)+/, ""));
+		}
+		return { types: types, name: m[2], body: transformStatementsBlock(atoms[block], atomLines[block], +block) };
+	}
 	function AstPrefixStatement(name, argument, misc) {
 		this.name = name;
 		this.argument = argument;
@@ -1295,16 +2384,25 @@ module.exports = function parseProcessing(code, options) {
 	}
 	AstPrefixStatement.prototype.toString = function() {
 		var result = this.misc.prefix;
-		if(this.argument !== undefined) {
+		if(this.name === "switch" && declaresEnums) {
+			// case labels can be the names of enum constants, see AstSwitchCase
+			result += "($p.enumSwitchValue" + this.argument + ")";
+		} else if(this.argument !== undefined) {
 			result += this.argument.toString();
 		}
 		return result;
 	};
-	function AstSwitchCase(expr) {
+	function AstSwitchCase(expr, name) {
 		this.expr = expr;
+		this.name = name;
 	}
 	AstSwitchCase.prototype.toString = function() {
-		return "case " + this.expr + ":";
+		if(this.name === undefined || !declaresEnums) {
+			return "case " + this.expr + ":";
+		}
+		// a plain name is the name of a constant when the switch is over an enum
+		var value = this.expr.toString();
+		return "case $p.enumCaseValue('" + this.name + "', typeof " + value + " === 'undefined' ? undefined : " + value + "):";
 	};
 	function AstLabel(label) {
 		this.label = label;
@@ -1313,11 +2411,22 @@ module.exports = function parseProcessing(code, options) {
 		return this.label;
 	};
 
-	transformStatements = function(statements, transformMethod, transformClass) {
-		var nextStatement = new RegExp(/\b(catch|for|if|switch|while|with)\s*"B(\d+)"|\b(do|else|finally|return|throw|try|break|continue)\b|("[ADEHS](\d+)")|\b(case)\s+([^:]+):|\b([A-Za-z_$][\w$]*\s*:)|(;)/g);
+	var catchClauseRegex = /\s*\bcatch\s*"B(\d+)"\s*"A(\d+)"/g;
+
+	transformStatements = function(statements, transformMethod, transformClass, line) {
+		var nextStatement = new RegExp(/\b(catch|for|if|switch|while|with)\s*"B(\d+)"|\b(do|else|finally|return|throw|try|break|continue)\b|("[ADEHS](\d+)")|\b(case)\s+([^:]+):|\b([A-Za-z_$][\w$]*\s*:)(?!:)|(;)/g);
 		var res = [];
-		statements = preStatementsTransform(statements);
 		var lastIndex = 0, m, space;
+		// remembers the original line of the statements (if known) for the source map
+		var trackedIndex = 0, trackedLine = line;
+		function track(node, index) {
+			if(trackedLine !== undefined) {
+				trackedLine += countNewlines(statements, trackedIndex, index);
+				trackedIndex = index;
+				node.line = trackedLine;
+			}
+			return node;
+		}
 		// m contains the matches from the nextStatement regexp, null if there are no matches.
 		// nextStatement.exec starts searching at nextStatement.lastIndex.
 		while((m = nextStatement.exec(statements)) !== null) {
@@ -1325,18 +2434,29 @@ module.exports = function parseProcessing(code, options) {
 				var i = statements.lastIndexOf('"B', nextStatement.lastIndex);
 				var statementsPrefix = statements.substring(lastIndex, i);
 				if(m[1] === "for") {
-					res.push(new AstForStatement(transformForExpression(atoms[m[2]]),
-						{ prefix: statementsPrefix }) );
+					// the variables of the loop are declared in its body
+					var oldScope = currentScope;
+					currentScope = getDeclarationScope(+m[2]);
+					res.push(track(new AstForStatement(transformForExpression(atoms[m[2]]),
+						{ prefix: statementsPrefix }), m.index) );
+					currentScope = oldScope;
 				} else if(m[1] === "catch") {
-					res.push(new AstCatchStatement(transformParams(atoms[m[2]]),
-						{ prefix: statementsPrefix }) );
+					// all the catch clauses that follow each other
+					var catchClauses = [], clause, clauseIndex = m.index;
+					catchClauseRegex.lastIndex = clauseIndex;
+					while((clause = catchClauseRegex.exec(statements)) !== null && clause.index === clauseIndex) {
+						catchClauses.push(transformCatchClause(atoms[clause[1]], clause[2]));
+						clauseIndex = nextStatement.lastIndex = catchClauseRegex.lastIndex;
+					}
+					res.push(track(new AstCatchStatement(catchClauses,
+						{ prefix: statements.substring(lastIndex, m.index) }), m.index) );
 				} else {
-					res.push(new AstPrefixStatement(m[1], transformExpression(atoms[m[2]]),
-						{ prefix: statementsPrefix }) );
+					res.push(track(new AstPrefixStatement(m[1], transformExpression(atoms[m[2]]),
+						{ prefix: statementsPrefix }), m.index) );
 				}
 			} else if(m[3] !== undefined) { // do, else, ...
-				res.push(new AstPrefixStatement(m[3], undefined,
-					{ prefix: statements.substring(lastIndex, nextStatement.lastIndex) }) );
+				res.push(track(new AstPrefixStatement(m[3], undefined,
+					{ prefix: statements.substring(lastIndex, nextStatement.lastIndex) }), m.index) );
 			} else if (m[4] !== undefined) { // block, class and methods
 				space = statements.substring(lastIndex, nextStatement.lastIndex - m[4].length);
 				if (trim(space).length !== 0) { // avoiding new type[] {} construct
@@ -1347,30 +2467,35 @@ module.exports = function parseProcessing(code, options) {
 				const kind = m[4].charAt(1);
 				const atomIndex = m[5];
 
-				// wk_debug
-				console.log('atoms[atomIndex]:', atoms[atomIndex]);
-
+				var atomStart = nextStatement.lastIndex - m[4].length;
 				if (kind === 'D') {
-					res.push(transformMethod(atoms[atomIndex]));
+					res.push(track(transformMethod(atoms[atomIndex]), atomStart));
 				} else if (kind === 'E') {
-					res.push(transformClass(atoms[atomIndex]));
+					res.push(track(transformClass(atoms[atomIndex]), atomStart));
 				} else if (kind === 'S') { // wk_added
-					res.push(transformGlobalStruct(atoms[atomIndex]));
+					res.push(track(transformGlobalStruct(atoms[atomIndex]), atomStart));
 				} else if (kind === 'H') {
-					res.push(transformFunction(atoms[atomIndex]));
+					res.push(track(transformFunction(atoms[atomIndex]), atomStart));
 				} else {
-					res.push(transformStatementsBlock(atoms[atomIndex]));
+					res.push(track(transformStatementsBlock(atoms[atomIndex], atomLines[atomIndex], +atomIndex), atomStart));
 				}
 			} else if(m[6] !== undefined) { // switch case
-				res.push(new AstSwitchCase(transformExpression(trim(m[7]))));
+				var label = trim(m[7]);
+				res.push(track(new AstSwitchCase(transformExpression(label),
+					/^[A-Za-z_$][\w$]*$/.test(label) ? label : undefined), m.index));
 			} else if(m[8] !== undefined) { // label
 				space = statements.substring(lastIndex, nextStatement.lastIndex - m[8].length);
 				if(trim(space).length !== 0) { continue; } // avoiding ?: construct
-				res.push(new AstLabel(statements.substring(lastIndex, nextStatement.lastIndex)) );
+				res.push(track(new AstLabel(statements.substring(lastIndex, nextStatement.lastIndex)), m.index) );
 			} else { // semicolon
 				var statement = trimSpaces(statements.substring(lastIndex, nextStatement.lastIndex - 1));
+				// return a --> return $p.copyStruct(a), for the struct variable a
+				var previous = res[res.length - 1];
+				if(previous instanceof AstPrefixStatement && previous.name === "return" && !isLookupTableEmpty(structVariables)) {
+					statement.middle = copyStructVariable(statement.middle);
+				}
 				res.push(statement.left);
-				res.push(transformStatement(statement.middle));
+				res.push(track(transformStatement(statement.middle), lastIndex + statement.left.length));
 				res.push(statement.right + ";");
 			}
 			lastIndex = nextStatement.lastIndex;
@@ -1378,7 +2503,7 @@ module.exports = function parseProcessing(code, options) {
 		var statementsTail = trimSpaces(statements.substring(lastIndex));
 		res.push(statementsTail.left);
 		if(statementsTail.middle !== "") {
-			res.push(transformStatement(statementsTail.middle));
+			res.push(track(transformStatement(statementsTail.middle), lastIndex + statementsTail.left.length));
 			res.push(";" + statementsTail.right);
 		}
 		return res;
@@ -1416,14 +2541,24 @@ module.exports = function parseProcessing(code, options) {
 			};
 		}
 
-		var result = "{\n" + this.statements.join('') + "\n}";
+		var result = "{\n" + joinStatements(this.statements) + "\n}";
 		replaceContext = oldContext;
 		return result;
 	};
 
-	transformStatementsBlock = function(block) {
+	// scope: the atom of the block, where the types of its declarations are looked up
+	transformStatementsBlock = function(block, line, scope) {
 		var content = trimSpaces(block.substring(1, block.length - 1));
-		return new AstStatementsBlock(transformStatements(content.middle));
+		if(line !== undefined) {
+			line += countNewlines(content.left, 0, content.left.length);
+		}
+		var oldScope = currentScope;
+		if(scope !== undefined) {
+			currentScope = scope;
+		}
+		var statements = transformStatements(content.middle, undefined, undefined, line);
+		currentScope = oldScope;
+		return new AstStatementsBlock(statements);
 	};
 
 	function AstRoot(statements) {
@@ -1441,6 +2576,32 @@ module.exports = function parseProcessing(code, options) {
 		}
 		sortByWeight(classes);
 
+		// methods of the same name are overloads, picked by the types of the arguments as
+		// the ones of classes are. The functions are hoisted, so they are added to $p first.
+		var methodCounts = {}, overloadCounts = {}, overloads = "";
+		for (i = 0, len = this.statements.length; i < len; ++i) {
+			statement = this.statements[i];
+			if (statement instanceof AstMethod) {
+				methodCounts[statement.name] = (methodCounts[statement.name] || 0) + 1;
+			}
+		}
+		for (i = 0, len = this.statements.length; i < len; ++i) {
+			statement = this.statements[i];
+			if (!(statement instanceof AstMethod) || methodCounts[statement.name] < 2) {
+				continue;
+			}
+			var name = statement.name, overload = overloadCounts[name] = (overloadCounts[name] || 0) + 1;
+			statement.methodId = name + "$" + statement.params.params.length + (overload > 1 ? "_" + overload : "");
+			if (overload === 1) {
+				overloads += "$p." + name + " = null;\n";
+			}
+			overloads += "$p.addMethod($p, '" + name + "', " + statement.methodId + ", " + !!statement.params.methodArgsParam +
+				(statement.params.params.length > 0 ? ", " + statement.params.getTypes() : "") + ");\n";
+			if (overload === methodCounts[name]) {
+				overloads += "var " + name + " = $p." + name + ".bind($p);\n";
+			}
+		}
+
 		var localNames = getLocalNames(this.statements);
 		replaceContext = function (subject) {
 			var name = subject.name;
@@ -1455,9 +2616,9 @@ module.exports = function parseProcessing(code, options) {
 			return name;
 		};
 		var result = "// this code was autogenerated from PJS\n" +
-		"(function($p) {\n" +
-			classes.join('') + "\n" +
-			otherStatements.join('') + "\n})";
+		"(function($p) {\n" + overloads +
+			joinStatements(classes) + "\n" +
+			joinStatements(otherStatements) + "\n})";
 		replaceContext = null;
 		return result;
 	};
@@ -1465,13 +2626,9 @@ module.exports = function parseProcessing(code, options) {
 	transformMain = function() {
 		var statements = extractClassesAndMethods(atoms[0]);
 
-		// wk_debug
-		console.log('debug(atoms[0]):', atoms[0]);
-		console.log('debug(statements):', statements);
-		
-		statements = statements.replace(/\bimport\s+[^;]+;/g, "");
+		statements = statements.replace(/\bimport\s+[^;]+;/g, keepNewlines);
 		return new AstRoot( transformStatements(statements,
-			transformGlobalMethod, transformGlobalClass) );
+			transformGlobalMethod, transformGlobalClass, atomLines[0]) );
 	};
 
 	function generateMetadata(ast) {
@@ -1638,23 +2795,24 @@ function getGlobalMembers(aFunctions) {
 	// When something new is added to "p." it must also be added to this list.
 	var names = [ /* this code is generated by jsglobals.js */
 		"abs", "acos", "alpha", "ambient", "ambientLight", "append", "applyMatrix",
-		"arc", "arrayCopy", "asin", "atan", "atan2", "background", "beginCamera",
+		"arc", "arrayCopy", "asin", "atan", "atan2", "background", "beginCamera", "beginRaw", "beginRecord",
 		"beginDraw", "beginShape", "bezier", "bezierDetail", "bezierPoint",
 		"bezierTangent", "bezierVertex", "binary", "blend", "blendColor",
 		"blit_resize", "blue", "box", "breakShape", "brightness",
 		"camera", "ceil", "Character", "color", "colorMode",
 		"concat", "constrain", "copy", "cos", "createFont",
-		"createGraphics", "createImage", "cursor", "curve", "curveDetail",
-		"curvePoint", "curveTangent", "curveTightness", "curveVertex", "day",
+		"createGraphics", "createImage", "createReader", "createWriter", "cursor", "curve", "curveDetail",
+		"curvePoint", "curveTangent", "curveTightness", "curveVertex", "dataPath", "day",
 		"degrees", "directionalLight", "disableContextMenu",
 		"dist", "draw", "ellipse", "ellipseMode", "emissive", "enableContextMenu",
-		"endCamera", "endDraw", "endShape", "exit", "exp", "expand", "externals",
-		"fill", "filter", "floor", "focused", "frameCount", "frameRate", "frustum",
-		"get", "glyphLook", "glyphTable", "green", "height", "hex", "hint", "hour",
-		"hue", "image", "imageMode", "intersect", "join", "key",
+		"endCamera", "endDraw", "endRaw", "endRecord", "endShape", "exit", "exp", "expand", "externals",
+		"File", "fill", "filter", "FloatDict", "FloatList", "floor", "focused", "frameCount", "frameRate", "frustum",
+		"get", "GifMaker", "glyphLook", "glyphTable", "green", "height", "hex", "hint", "hour",
+		"hue", "image", "imageMode", "IntDict", "IntList", "intersect", "join", "JSONArray", "JSONObject", "key",
 		"keyCode", "keyPressed", "keyReleased", "keyTyped", "lerp", "lerpColor",
 		"lightFalloff", "lights", "lightSpecular", "line", "link", "loadBytes",
-		"loadFont", "loadGlyphs", "loadImage", "loadPixels", "loadShape", "loadXML",
+		"loadTable",
+		"loadFont", "loadGif", "loadGlyphs", "loadImage", "loadJSONArray", "loadJSONObject", "loadPixels", "loadShape", "loadXML",
 		"loadStrings", "log", "loop", "mag", "map", "match", "matchAll", "max",
 		"millis", "min", "minute", "mix", "modelX", "modelY", "modelZ", "modes",
 		"month", "mouseButton", "mouseClicked", "mouseDragged", "mouseMoved",
@@ -1662,29 +2820,32 @@ function getGlobalMembers(aFunctions) {
 		"mouseScrolled", "mouseX", "mouseY", "name", "nf", "nfc", "nfp", "nfs",
 		"noCursor", "noFill", "noise", "noiseDetail", "noiseSeed", "noLights",
 		"noLoop", "norm", "normal", "noSmooth", "noStroke", "noTint", "ortho",
-		"param", "parseBoolean", "parseByte", "parseChar", "parseFloat",
+		"param", "parseBoolean", "parseByte", "parseChar", "parseFloat", "parseJSONArray", "parseJSONObject",
 		"parseInt", "peg", "perspective", "PImage", "pixels", "PMatrix2D",
 		"PMatrix3D", "PMatrixStack", "pmouseX", "pmouseY", "point",
-		"pointLight", "popMatrix", "popStyle", "pow", "print", "printCamera",
+		"pointLight", "popMatrix", "popStyle", "pow", "preload", "print", "printCamera",
 		"println", "printMatrix", "printProjection", "PShape", "PShapeSVG",
-		"pushMatrix", "pushStyle", "quad", "radians", "random", "Random",
+		"pushMatrix", "pushStyle", "quad", "radians", "random", "Random", "randomGaussian",
 		"randomSeed", "rect", "rectMode", "red", "redraw", "requestImage",
 		"resetMatrix", "reverse", "rotate", "rotateX", "rotateY", "rotateZ",
-		"round", "saturation", "save", "saveFrame", "saveStrings", "scale",
-		"screenX", "screenY", "screenZ", "second", "set", "setup", "shape",
+		"round", "saturation", "save", "saveBytes", "saveFrame", "saveJSONArray", "saveJSONObject", "saveStrings", "saveTable", "scale",
+		"screenX", "screenY", "screenZ", "second", "selectFolder", "selectInput", "selectOutput",
+		"set", "setup", "shape",
 		"shapeMode", "shared", "shearX", "shearY", "shininess", "shorten", "sin", "size", "smooth",
 		"sort", "specular", "sphere", "sphereDetail", "splice", "split",
 		"splitTokens", "spotLight", "sq", "sqrt", "status", "str", "stroke",
-		"strokeCap", "strokeJoin", "strokeWeight", "subset", "tan", "text",
+		"strokeCap", "strokeJoin", "strokeWeight", "StringDict", "StringList", "subset", "Table", "TableRow", "tan", "text",
 		"textAlign", "textAscent", "textDescent", "textFont", "textLeading",
 		"textMode", "textSize", "texture", "textureMode", "textWidth", "tint", "toImageData",
 		"touchCancel", "touchEnd", "touchMove", "touchStart", "translate", "transform",
 		"triangle", "trim", "unbinary", "unhex", "updatePixels", "use3DContext",
 		"vertex", "width", "XMLElement", "XML", "year", "__contains", "__equals",
-		"__equalsIgnoreCase", "__frameRate", "__hashCode", "__int_cast",
+		"__equalsIgnoreCase", "__compareTo", "__frameRate", "__hashCode", "__int_cast", "__int_div",
+		"__long_div", "__long_cast", "__short_cast", "__byte_cast", "__char_cast",
 		"__instanceof", "__keyPressed", "__mousePressed", "__printStackTrace",
 		"__replace", "__replaceAll", "__replaceFirst", "__toCharArray", "__split",
-		"__codePointAt", "__startsWith", "__endsWith", "__matches"];
+		"__codePointAt", "__startsWith", "__endsWith", "__matches", "__intValue", "__longValue",
+		"__floatValue", "__doubleValue", "__booleanValue", "__charValue", "__apply", "__call"];
 
 	// custom functions and properties are added here
 	if(aFunctions) {
@@ -1720,32 +2881,102 @@ function getGlobalMembers(aFunctions) {
 // where A is the bracket type, and 5 is the index in an array containing all brackets split into atoms
 // 'while(true){}' -> 'while"B1""A2"'
 // parentheses() = B, brackets[] = C and braces{} = A
-function splitToAtoms(code) {
-	var atoms = [];
+// the 1-based line of every atom's opening bracket is stored in atomLines (if present)
+function splitToAtoms(code, atomLines) {
+	var atoms = [], lines = [];
 	var items = code.split(/([\{\[\(\)\]\}])/);
 	var result = items[0];
-	var stack = [];
+	var stack = [], lineStack = [];
+	var line = 1 + countLineBreaks(items[0]);
 
 	for (var i=1; i < items.length; i += 2) {
 		var item = items[i];
 
 		if (item === '[' || item === '{' || item === '(') {
 			stack.push(result);
+			lineStack.push(line);
 			result = item;
 		} else if(item === ']' || item === '}' || item === ')') {
 			var kind = item === '}' ? 'A' : item === ')' ? 'B' : 'C';
 			var index = atoms.length;
 
 			atoms.push(result + item);
+			lines.push(lineStack.pop());
 			result = stack.pop() + '"' + kind + (index + 1) + '"';
 		}
 		result += items[i + 1];
+		line += countLineBreaks(items[i + 1]);
 	}
 
 	atoms.unshift(result);
+	if (atomLines) {
+		atomLines.push(1);
+		for (var j = 0; j < lines.length; ++j) {
+			atomLines.push(lines[j]);
+		}
+	}
 	return atoms;
 }
 
+// Checks that the brackets of the code match, skipping strings, chars and comments.
+// Returns a diagnostic for the first bracket that does not, or null.
+function findUnbalancedBracket(code) {
+	var stack = [], line = 1, column = 0, closing = { "}": "{", ")": "(", "]": "[" };
+	for (var i = 0, l = code.length; i < l; ++i) {
+		var c = code.charAt(i);
+		++column;
+		if (c === "\n") {
+			++line;
+			column = 0;
+		} else if (c === "/" && code.charAt(i + 1) === "/") {
+			i = code.indexOf("\n", i) - 1;
+			if (i < 0) {
+				break;
+			}
+		} else if (c === "/" && code.charAt(i + 1) === "*") {
+			var end = code.indexOf("*/", i + 2), comment = code.substring(i, end < 0 ? l : end + 2);
+			var lastBreak = comment.lastIndexOf("\n");
+			line += countLineBreaks(comment);
+			column = lastBreak < 0 ? column + comment.length - 1 : comment.length - lastBreak - 1;
+			i += comment.length - 1;
+		} else if (c === "\"" || c === "'" || (c === "/" && /[\[\(=|&!\^:?,]\s*$/.test(code.substring(i - 20, i)))) {
+			// strings, chars and regexps end with the same quote or at the end of the line
+			for (++i; i < l && code.charAt(i) !== c && code.charAt(i) !== "\n"; ++i, ++column) {
+				if (code.charAt(i) === "\\") {
+					++i;
+					++column;
+				}
+			}
+			++column;
+			if (code.charAt(i) === "\n") {
+				--i;
+				--column;
+			}
+		} else if (c === "{" || c === "(" || c === "[") {
+			stack.push({ bracket: c, line: line, column: column });
+		} else if (closing.hasOwnProperty(c)) {
+			var open = stack.pop();
+			if (!open) {
+				return { line: line, column: column, severity: "error", message: "Unexpected '" + c + "' without a matching '" + closing[c] + "'" };
+			}
+			if (open.bracket !== closing[c]) {
+				return { line: line, column: column, severity: "error",
+					message: "Found '" + c + "' where the '" + open.bracket + "' from line " + open.line + " should be closed" };
+			}
+		}
+	}
+	if (stack.length > 0) {
+		var unclosed = stack.pop();
+		return { line: unclosed.line, column: unclosed.column, severity: "error", message: "Missing closing bracket for '" + unclosed.bracket + "'" };
+	}
+	return null;
+}
+
+function countLineBreaks(string) {
+	var m = string.match(/\n/g);
+	return m === null ? 0 : m.length;
+}
+
 // replaces strings and regexs keyed by index with an array of strings
 function injectStrings(code, strings) {
 	return code.replace(/'(\d+)'/g, function(all, index) {
@@ -1771,6 +3002,16 @@ function trimSpaces(string) {
 	return result;
 }
 
+// replaces text with spaces of the same length
+function keepLength(string) {
+	return string.replace(/[^\n]/g, " ");
+}
+
+// replaces text with the line breaks it contains, so line numbers are kept
+function keepNewlines(string) {
+	return string.replace(/[^\n]+/g, "");
+}
+
 // simple trim of leading and trailing spaces
 function trim(string) {
 	return string.replace(/^\s+/,'').replace(/\s+$/,'');
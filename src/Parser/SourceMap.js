@@ -0,0 +1,227 @@
+/**
+ * Source maps for compiled sketches.
+ *
+ * The parser marks the generated JavaScript with "/*@pde:N*\/" comments, where N
+ * is the line in the (joined) Processing code. SourceMap.fromMarkedCode removes
+ * these markers and builds a standard (version 3) source map that points every
+ * generated line back to the .pde file (tab) and line it came from.
+ */
+var lineMarkerRegex = /^\/\*@pde:(\d+)\*\//;
+
+// finds the next line marker in a line of the generated code, skipping string
+// literals, where the same text is just part of the string
+function findLineMarker(text, from) {
+	for (var i = from, l = text.length; i < l; ++i) {
+		var c = text.charAt(i);
+		if (c === '"' || c === "'") {
+			for (++i; i < l && text.charAt(i) !== c; ++i) {
+				if (text.charAt(i) === "\\") {
+					++i;
+				}
+			}
+		} else if (c === "/" && text.charAt(i + 1) === "*") {
+			var m = lineMarkerRegex.exec(text.substring(i));
+			if (m !== null) {
+				return { index: i, length: m[0].length, line: +m[1] };
+			}
+		}
+	}
+	return null;
+}
+
+var base64Chars = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/";
+
+// base64 VLQ encoding of a single (signed) number, as used by the "mappings" field
+function encodeVLQ(value) {
+	var vlq = value < 0 ? ((-value) << 1) | 1 : value << 1, digit, result = "";
+	do {
+		digit = vlq & 31;
+		vlq >>>= 5;
+		if (vlq > 0) {
+			digit |= 32;
+		}
+		result += base64Chars.charAt(digit);
+	} while (vlq > 0);
+	return result;
+}
+
+// base64 of the UTF-8 bytes of a string, there is no btoa() outside the browser
+function encodeBase64(string) {
+	var bytes = [], i, l, c, result = "";
+	for (i = 0, l = string.length; i < l; ++i) {
+		c = string.charCodeAt(i);
+		if (c >= 0xD800 && c <= 0xDBFF && i + 1 < l) {
+			c = 0x10000 + ((c - 0xD800) << 10) + (string.charCodeAt(++i) - 0xDC00);
+		}
+		if (c < 0x80) {
+			bytes.push(c);
+		} else if (c < 0x800) {
+			bytes.push(0xC0 | (c >> 6), 0x80 | (c & 63));
+		} else if (c < 0x10000) {
+			bytes.push(0xE0 | (c >> 12), 0x80 | ((c >> 6) & 63), 0x80 | (c & 63));
+		} else {
+			bytes.push(0xF0 | (c >> 18), 0x80 | ((c >> 12) & 63), 0x80 | ((c >> 6) & 63), 0x80 | (c & 63));
+		}
+	}
+	for (i = 0, l = bytes.length; i < l; i += 3) {
+		var triplet = (bytes[i] << 16) | ((bytes[i + 1] || 0) << 8) | (bytes[i + 2] || 0);
+		result += base64Chars.charAt(triplet >> 18) + base64Chars.charAt((triplet >> 12) & 63) +
+			(i + 1 < l ? base64Chars.charAt((triplet >> 6) & 63) : "=") +
+			(i + 2 < l ? base64Chars.charAt(triplet & 63) : "=");
+	}
+	return result;
+}
+
+/**
+ * A SourceMap for the compiled sketch code.
+ *
+ * @param {String}   file     name of the generated code
+ * @param {Object[]} sources  the original tabs, as { name: String, code: String }
+ * @param {Array[]}  segments for every generated line, a list of { column, line, carried } where
+ *                            line is the 1-based line in the joined sources, and carried is set
+ *                            when the line just continues the code of a previous line
+ */
+function SourceMap(file, sources, segments) {
+	var starts = [], line = 1;
+	for (var i = 0, l = sources.length; i < l; ++i) {
+		starts.push(line);
+		line += sources[i].code.split("\n").length;
+	}
+	this.file = file;
+	this.sources = sources;
+	this.segments = segments;
+	this.sourceStarts = starts;
+}
+
+/**
+ * Resolves a line of the joined Processing code into the tab it belongs to.
+ *
+ * @returns {Object} { sourceIndex: int, source: String, line: int }, or null
+ */
+SourceMap.prototype.resolveLine = function(joinedLine) {
+	for (var i = this.sourceStarts.length - 1; i >= 0; --i) {
+		if (joinedLine >= this.sourceStarts[i]) {
+			return { sourceIndex: i, source: this.sources[i].name, line: joinedLine - this.sourceStarts[i] + 1 };
+		}
+	}
+	return null;
+};
+
+/**
+ * Finds the original position for a position in the generated code.
+ *
+ * @param {int} line   1-based line in the generated code
+ * @param {int} column optional 0-based column in the generated code
+ *
+ * @returns {Object} { source: String, line: int, column: int }, or null if unknown
+ */
+SourceMap.prototype.originalPositionFor = function(line, column) {
+	var found, lineSegments, i, j;
+	if (column === undefined && line <= this.segments.length) {
+		// without a column, the first code that starts on this line wins
+		lineSegments = this.segments[line - 1];
+		for (j = 0; j < lineSegments.length && found === undefined; ++j) {
+			if (!lineSegments[j].carried) {
+				found = lineSegments[j];
+			}
+		}
+	}
+	for (i = Math.min(line, this.segments.length) - 1; i >= 0 && found === undefined; --i) {
+		lineSegments = this.segments[i];
+		for (j = lineSegments.length - 1; j >= 0; --j) {
+			if (i < line - 1 || column === undefined || lineSegments[j].column <= column) {
+				found = lineSegments[j];
+				break;
+			}
+		}
+	}
+	if (found === undefined) {
+		return null;
+	}
+	var resolved = this.resolveLine(found.line);
+	return resolved && { source: resolved.source, line: resolved.line, column: 0 };
+};
+
+/**
+ * @returns {Object} the version 3 source map object
+ */
+SourceMap.prototype.toJSON = function() {
+	var names = [], contents = [], lines = [], i, l, j, m;
+	for (i = 0, l = this.sources.length; i < l; ++i) {
+		names.push(this.sources[i].name);
+		contents.push(this.sources[i].code);
+	}
+	// fields of the segments are relative to the previous segment, columns are per line
+	var previousSource = 0, previousLine = 0;
+	for (i = 0, l = this.segments.length; i < l; ++i) {
+		var previousColumn = 0, encoded = [];
+		for (j = 0, m = this.segments[i].length; j < m; ++j) {
+			var segment = this.segments[i][j], resolved = this.resolveLine(segment.line);
+			if (!resolved) {
+				continue;
+			}
+			encoded.push(encodeVLQ(segment.column - previousColumn) +
+				encodeVLQ(resolved.sourceIndex - previousSource) +
+				encodeVLQ(resolved.line - 1 - previousLine) + encodeVLQ(0));
+			previousColumn = segment.column;
+			previousSource = resolved.sourceIndex;
+			previousLine = resolved.line - 1;
+		}
+		lines.push(encoded.join(","));
+	}
+	return {
+		version: 3,
+		file: this.file,
+		sources: names,
+		sourcesContent: contents,
+		names: [],
+		mappings: lines.join(";")
+	};
+};
+
+SourceMap.prototype.toString = function() {
+	return JSON.stringify(this.toJSON());
+};
+
+/**
+ * @returns {String} the source map as a data: URL, for a sourceMappingURL comment
+ */
+SourceMap.prototype.toDataURL = function() {
+	return "data:application/json;charset=utf-8;base64," + encodeBase64(this.toString());
+};
+
+/**
+ * Strips the line markers from the generated code and builds its source map.
+ *
+ * @param {String}   markedCode the parser output
+ * @param {Object[]} sources    the original tabs, as { name: String, code: String }
+ * @param {String}   file       optional name of the generated code
+ *
+ * @returns {Object} { code: String, sourceMap: SourceMap }
+ */
+SourceMap.fromMarkedCode = function(markedCode, sources, file) {
+	var lines = markedCode.split("\n"), segments = [], currentLine;
+	for (var i = 0, l = lines.length; i < l; ++i) {
+		var lineSegments = [], text = "", lastIndex = 0, m;
+		if (currentLine !== undefined) {
+			lineSegments.push({ column: 0, line: currentLine, carried: true });
+		}
+		while ((m = findLineMarker(lines[i], lastIndex)) !== null) {
+			text += lines[i].substring(lastIndex, m.index);
+			lastIndex = m.index + m.length;
+			currentLine = m.line;
+			if (lineSegments.length > 0 && lineSegments[lineSegments.length - 1].column === text.length) {
+				lineSegments.pop();
+			}
+			lineSegments.push({ column: text.length, line: currentLine });
+		}
+		lines[i] = text + lines[i].substring(lastIndex);
+		segments.push(lineSegments);
+	}
+	return {
+		code: lines.join("\n"),
+		sourceMap: new SourceMap(file || (sources[0].name + ".js"), sources, segments)
+	};
+};
+
+module.exports = SourceMap;
@@ -11,6 +11,11 @@
       XMLHttpRequest = window.XMLHttpRequest,
       document = Browser.document,
       noop = options.noop,
+      ImageCodecs = options.ImageCodecs,
+      SVGContext = options.SVGContext,
+      RawRecorder = options.RawRecorder,
+      FileSystem = options.FileSystem,
+      FilePicker = options.FilePicker,
 
       PConstants = defaultScope.PConstants;
       PFont = defaultScope.PFont,
@@ -18,6 +23,7 @@
       PVector = defaultScope.PVector,
       Char = Character = defaultScope.Char,
       ObjectIterator = defaultScope.ObjectIterator,
+      PackedArray = defaultScope.PackedArray,
       XMLElement = defaultScope.XMLElement,
       XML = defaultScope.XML;
 
@@ -173,7 +179,9 @@
       canvas:  curElement,
       context: undef,
       sketch:  undef,
-      window: window
+      window: window,
+      // the picker of selectInput(), selectOutput() and selectFolder(), instead of Processing.filePicker
+      filePicker: undef
     };
 
     p.name            = 'Processing.js Instance'; // Set Processing defaults / environment variables
@@ -220,6 +228,7 @@
     p.keyTyped        = noop;
     p.draw            = undef;
     p.setup           = undef;
+    p.preload         = undef;
 
     // Remapped vars
     p.__mousePressed  = false;
@@ -247,6 +256,7 @@
         isStrokeDirty = true,
         lineWidth = 1,
         loopStarted = false,
+        preloading = false, // whether preload() is running, so the load functions read files in the background
         renderSmooth = false,
         doLoop = true,
         looping = 0,
@@ -331,6 +341,13 @@
         proxyContext = null,
         isContextReplaced = false,
         setPixelsCached,
+        // beginRecord() state
+        recordingContext = null,
+        recordingFile,
+        // beginRaw() state
+        rawRecorder = null,
+        rawFormat,
+        rawFile,
         maxPixelsCached = 1000,
         pressedKeysMap = [],
         lastPressedKeyCode = null,
@@ -1131,7 +1148,7 @@
      * The loadShape() function loads vector shapes into a variable of type PShape. Currently, only SVG files may be loaded.
      * In most cases, <b>loadShape()</b> should be used inside <b>setup()</b> because loading shapes inside <b>draw()</b> will reduce the speed of a sketch.
      *
-     * @param {String} filename     an SVG file
+     * @param {String} filename     an SVG file, read from Processing.fileSystem
      *
      * @return {PShape} a object of type PShape or null
      * @see PShape
@@ -1141,7 +1158,18 @@
     p.loadShape = function (filename) {
       if (arguments.length === 1) {
         if (filename.indexOf(".svg") > -1) {
-          return new PShapeSVG(null, filename);
+          if (preloading) {
+            // the shape is built once preload() has read the file
+            var shape = Object.create(PShapeSVG.prototype);
+            curSketch.fileCache.add(filename, false, function(text) {
+              if (text !== null) {
+                PShapeSVG.call(shape, new XMLElement(text));
+              }
+            });
+            return shape;
+          }
+          var svg = Processing.fileSystem.readText(filename);
+          return svg === null ? null : new PShapeSVG(new XMLElement(svg));
         }
       }
       return null;
@@ -1150,14 +1178,190 @@
     /**
      * Processing 2.0 function for loading XML files.
      *
-     * @param {String} uri The uri for the xml file to load.
+     * @param {String} uri The uri for the xml file to load, read from Processing.fileSystem.
      *
-     * @return {XML} An XML object representing the xml data.
+     * @return {XML} An XML object representing the xml data, or null if the file is not available.
      */
     p.loadXML = function(uri) {
-      return new XML(p, uri);
+      if (preloading) {
+        var xml = new XML();
+        curSketch.fileCache.add(uri, false, function(text) {
+          if (text !== null) {
+            xml.parse(text);
+          }
+        });
+        return xml;
+      }
+      var text = Processing.fileSystem.readText(uri);
+      return text === null ? null : new XML(text);
+    };
+
+    // the options of loadTable(), with the type of the file from its extension if the options do not say
+    function tableOptions(filename, options) {
+      options = options ? options.split(/\s*,\s*/) : [];
+      if (options.indexOf("csv") < 0 && options.indexOf("tsv") < 0) {
+        options.push(/\.tsv$/i.test(filename) ? "tsv" : "csv");
+      }
+      return options;
+    }
+
+    /**
+     * Reads a CSV or TSV file into a Table. The file is read from Processing.fileSystem, and whether it
+     * is CSV or TSV comes from the options or from its extension. CSV fields may be quoted.
+     *
+     * @param {String} filename   name of the file or url to load
+     * @param {String} options    optional, "header" if the first row holds the column titles, and "csv" or "tsv"
+     *
+     * @return {Table} the table, or null if the file is not available
+     *
+     * @see saveTable
+     */
+    p.loadTable = function(filename, options) {
+      options = tableOptions(filename, options);
+      if (preloading) {
+        var table = new defaultScope.Table();
+        curSketch.fileCache.add(filename, false, function(text) {
+          if (text !== null) {
+            table.parse(text, options);
+          }
+        });
+        return table;
+      }
+      var text = Processing.fileSystem.readText(filename);
+      return text === null ? null : new defaultScope.Table().parse(text, options);
+    };
+
+    /**
+     * Writes a Table to a CSV or TSV file in Processing.fileSystem, with the column titles first if it has any.
+     *
+     * @param {Table} table       the table to save
+     * @param {String} filename   name of the file to save
+     * @param {String} options    optional, "csv" or "tsv", from the extension by default
+     *
+     * @return {boolean} true
+     *
+     * @see loadTable
+     */
+    p.saveTable = function(table, filename, options) {
+      var type = tableOptions(filename, options).indexOf("tsv") > -1 ? "tsv" : "csv";
+      Processing.fileSystem.writeText(filename, table.format(type));
+      return true;
+    };
+
+    // reads a JSON file into a new JSONObject or JSONArray, which preload() fills once it has read the file
+    function loadJSON(filename, JSONType) {
+      if (preloading) {
+        var json = new JSONType();
+        curSketch.fileCache.add(filename, false, function(text) {
+          if (text !== null) {
+            json.parse(text);
+          }
+        });
+        return json;
+      }
+      var text = Processing.fileSystem.readText(filename);
+      return text === null ? null : new JSONType().parse(text);
+    }
+
+    // writes a JSONObject or JSONArray, indented by 2 spaces, by "indent=N" spaces, or on one line if the options say "compact"
+    function saveJSON(json, filename, options) {
+      var indent = 2, match;
+      options = options ? options.split(/\s*,\s*/) : [];
+      for (var i = 0; i < options.length; i++) {
+        if (options[i] === "compact") {
+          indent = -1;
+        } else if ((match = /^indent=(\d+)$/.exec(options[i]))) {
+          indent = parseInt(match[1], 10);
+        }
+      }
+      Processing.fileSystem.writeText(filename, json.format(indent));
+      return true;
+    }
+
+    /**
+     * Reads a JSON file from Processing.fileSystem into a JSONObject.
+     *
+     * @param {String} filename   name of the file or url to load
+     *
+     * @return {JSONObject} the object, or null if the file is not available
+     *
+     * @throws RuntimeException if the file is not the JSON of an object
+     *
+     * @see saveJSONObject
+     * @see parseJSONObject
+     */
+    p.loadJSONObject = function(filename) {
+      return loadJSON(filename, defaultScope.JSONObject);
+    };
+
+    /**
+     * Reads a JSON file from Processing.fileSystem into a JSONArray.
+     *
+     * @param {String} filename   name of the file or url to load
+     *
+     * @return {JSONArray} the array, or null if the file is not available
+     *
+     * @throws RuntimeException if the file is not the JSON of an array
+     *
+     * @see saveJSONArray
+     * @see parseJSONArray
+     */
+    p.loadJSONArray = function(filename) {
+      return loadJSON(filename, defaultScope.JSONArray);
+    };
+
+    /**
+     * Reads the JSON text of an object into a JSONObject.
+     *
+     * @param {String} text   the JSON text
+     *
+     * @return {JSONObject} the object
+     *
+     * @throws RuntimeException if the text is not the JSON of an object
+     */
+    p.parseJSONObject = function(text) {
+      return new defaultScope.JSONObject().parse(text);
+    };
+
+    /**
+     * Reads the JSON text of an array into a JSONArray.
+     *
+     * @param {String} text   the JSON text
+     *
+     * @return {JSONArray} the array
+     *
+     * @throws RuntimeException if the text is not the JSON of an array
+     */
+    p.parseJSONArray = function(text) {
+      return new defaultScope.JSONArray().parse(text);
     };
 
+    /**
+     * Writes a JSONObject to a file in Processing.fileSystem.
+     *
+     * @param {JSONObject} json   the object to save
+     * @param {String} filename   name of the file to save
+     * @param {String} options    optional, "compact" to write it on one line, or "indent=N" to indent it by N spaces instead of 2
+     *
+     * @return {boolean} true
+     *
+     * @see loadJSONObject
+     */
+    p.saveJSONObject = saveJSON;
+
+    /**
+     * Writes a JSONArray to a file in Processing.fileSystem.
+     *
+     * @param {JSONArray} json    the array to save
+     * @param {String} filename   name of the file to save
+     * @param {String} options    optional, "compact" to write it on one line, or "indent=N" to indent it by N spaces instead of 2
+     *
+     * @return {boolean} true
+     *
+     * @see loadJSONArray
+     */
+    p.saveJSONArray = saveJSON;
+
 
     ////////////////////////////////////////////////////////////////////////////
     // 2D Matrix
@@ -2328,6 +2532,11 @@
     * @see expand
     */
     p.append = function(array, element) {
+      if (array instanceof PackedArray) {
+        var appended = array.$slice(0, array.length, array.length + 1);
+        appended.set(array.length, element);
+        return appended;
+      }
       array[array.length] = element;
       return array;
     };
@@ -2349,6 +2558,11 @@
     * @see splice
     */
     p.concat = function(array1, array2) {
+      if (array1 instanceof PackedArray) {
+        var result = array1.$slice(0, array1.length, array1.length + array2.length);
+        PackedArray.copy(array2, 0, result, array1.length, array2.length);
+        return result;
+      }
       return array1.concat(array2);
     };
 
@@ -2462,6 +2676,9 @@
     */
     p.subset = function(array, offset, length) {
       var end = (length !== undef) ? offset + length : array.length;
+      if (array instanceof PackedArray) {
+        return array.$slice(offset, end);
+      }
       return array.slice(offset, end);
     };
 
@@ -2498,6 +2715,9 @@
     * @see expand
     */
     p.shorten = function(ary) {
+      if (ary instanceof PackedArray) {
+        return ary.$slice(0, ary.length - 1);
+      }
       var newary = [];
 
       // copy array into new array
@@ -2525,6 +2745,9 @@
     * @see contract
     */
     p.expand = function(ary, targetSize) {
+      if (ary instanceof PackedArray) {
+        return ary.$slice(0, ary.length, targetSize || ary.length * 2);
+      }
       var temp = ary.slice(0),
           newSize = targetSize || ary.length * 2;
       temp.length = newSize;
@@ -2568,6 +2791,11 @@
         length = arguments[4];
       }
 
+      if (src instanceof PackedArray || dest instanceof PackedArray) {
+        PackedArray.copy(src, srcPos, dest, destPos, length);
+        return;
+      }
+
       // copy src to dest from index srcPos to index destPos of length recursivly on objects
       for (var i = srcPos, j = destPos; i < length + srcPos; i++, j++) {
         if (dest[j] !== undef) {
@@ -2589,6 +2817,12 @@
     * @see sort
     */
     p.reverse = function(array) {
+      if (array instanceof PackedArray) {
+        for (var i = 0, fields = array.$struct.$fields; i < fields.length; ++i) {
+          array[fields[i]].reverse();
+        }
+        return array;
+      }
       return array.reverse();
     };
 
@@ -4121,6 +4355,15 @@
       while (i--) {
         detachEventHandler(eventHandlers[i]);
       }
+
+      // stop the animated images
+      while (playingImages.length) {
+        playingImages[0].pause();
+      }
+
+      // and save the recordings, as Processing does
+      p.endRecord();
+      p.endRaw();
       curSketch.onExit();
     };
 
@@ -4394,9 +4637,8 @@
     // Load a file or URL into strings
     /**
     * Reads the contents of a file or url and creates a String array of its individual lines.
-    * The filename parameter can also be a URL to a file found online.  If the file is not available or an error occurs,
-    * null will be returned and an error message will be printed to the console. The error message does not halt
-    * the program.
+    * The file is read from Processing.fileSystem, as UTF-8 text, and the filename parameter can also be a URL
+    * to a file found online. If the file is not available, an empty array is returned.
     *
     * @param {String} filename    name of the file or url to load
     *
@@ -4405,14 +4647,25 @@
     * @see loadBytes
     * @see saveStrings
     * @see saveBytes
+    * @see createReader
     */
     p.loadStrings = function(filename) {
-      if (localStorage[filename]) {
-        return localStorage[filename].split("\n");
+      if (preloading) {
+        var lines = [];
+        curSketch.fileCache.add(filename, false, function(text) {
+          // one by one, a large file has more lines than a call takes arguments
+          var loaded = splitLines(text);
+          for (var i = 0; i < loaded.length; i++) {
+            lines.push(loaded[i]);
+          }
+        });
+        return lines;
       }
+      return splitLines(Processing.fileSystem.readText(filename));
+    };
 
-      var filecontent = ajax(filename);
-      if(typeof filecontent !== "string" || filecontent === "") {
+    function splitLines(filecontent) {
+      if (filecontent === null || filecontent === "") {
         return [];
       }
 
@@ -4421,44 +4674,319 @@
       filecontent = filecontent.replace(/(\r\n?)/g,"\n").replace(/\n$/,"");
 
       return filecontent.split("\n");
-    };
+    }
 
     // Writes an array of strings to a file, one line per string
     /**
-    * Writes an array of strings to a file, one line per string. This file is saved to the localStorage.
+    * Writes an array of strings to a file, one line per string. The file is saved to Processing.fileSystem,
+    * as UTF-8 text.
     *
-    * @param {String} filename    name of the file to save to localStorage
+    * @param {String} filename    name of the file to save
     * @param {String[]} strings   string array to be written
     *
     * @see loadBytes
     * @see loadStrings
     * @see saveBytes
+    * @see createWriter
     */
     p.saveStrings = function(filename, strings) {
-      localStorage[filename] = strings.join('\n');
+      var text = "";
+      for (var i = 0; i < strings.length; i++) {
+        text += strings[i] + "\n";
+      }
+      Processing.fileSystem.writeText(filename, text);
     };
 
     /**
-    * Reads the contents of a file or url and places it in a byte array. If a file is specified, it must be located in the localStorage.
-    * The filename parameter can also be a URL to a file found online.
+    * Reads the contents of a file or url and places it in a byte array. The file is read from
+    * Processing.fileSystem, and the filename parameter can also be a URL to a file found online.
     *
-    * @param {String} filename   name of a file in the localStorage or a URL.
+    * @param {String} filename   name of a file or a URL.
     *
-    * @returns {byte[]}
+    * @returns {byte[]} the bytes, signed as Java bytes are, from -128 to 127, or null if the file is
+    *                   not available. In preload(), an array that is filled once the file is read.
     *
     * @see loadStrings
     * @see saveStrings
     * @see saveBytes
     */
-    p.loadBytes = function(url) {
-      var string = ajax(url);
-      var ret = [];
+    p.loadBytes = function(filename) {
+      if (preloading) {
+        var bytes = [];
+        curSketch.fileCache.add(filename, true, function(data) {
+          if (data !== null) {
+            var loaded = new Int8Array(data);
+            for (var i = 0; i < loaded.length; i++) {
+              bytes.push(loaded[i]);
+            }
+          }
+        });
+        return bytes;
+      }
+      var data = Processing.fileSystem.read(filename);
+      return data === null ? null : new Int8Array(data);
+    };
 
-      for (var i = 0; i < string.length; i++) {
-        ret.push(string.charCodeAt(i));
+    /**
+    * Writes an array of bytes to a file. The file is saved to Processing.fileSystem. Values outside
+    * of 0 to 255, as negative Java bytes, keep their lowest eight bits.
+    *
+    * @param {String} filename   name of the file to save
+    * @param {byte[]} data       the bytes to be written
+    *
+    * @see loadBytes
+    * @see saveStrings
+    */
+    p.saveBytes = function(filename, data) {
+      var bytes = new Uint8Array(data.length);
+      for (var i = 0; i < data.length; i++) {
+        bytes[i] = data[i] & 0xFF;
       }
+      Processing.fileSystem.write(filename, bytes);
+    };
 
-      return ret;
+    /**
+    * PrintWriter collects the text that a sketch prints to it, and writes it to its file when it is
+    * flushed or closed.
+    *
+    * @see createWriter
+    */
+    var PrintWriter = function(filename) {
+      this.filename = filename;
+      this.text = "";
+      this.closed = false;
+    };
+    PrintWriter.prototype = {
+      print: function(what) {
+        this.text += what;
+      },
+      println: function(what) {
+        this.text += (arguments.length ? what : "") + "\n";
+      },
+      write: function(what) {
+        this.text += typeof what === "number" ? String.fromCharCode(what) : what;
+      },
+      flush: function() {
+        if (!this.closed) {
+          Processing.fileSystem.writeText(this.filename, this.text);
+        }
+      },
+      close: function() {
+        this.flush();
+        this.closed = true;
+      },
+      checkError: function() {
+        this.flush();
+        return false;
+      }
+    };
+
+    /**
+    * BufferedReader reads the text of a file by lines or by characters.
+    *
+    * @see createReader
+    */
+    var BufferedReader = function(text) {
+      this.text = text;
+      this.position = 0;
+    };
+    BufferedReader.prototype = {
+      /**
+      * @returns {String} the next line, without its line ending, or null at the end of the file
+      */
+      readLine: function() {
+        var text = this.text, start = this.position;
+        if (start >= text.length) {
+          return null;
+        }
+        var end = start;
+        while (end < text.length && text.charAt(end) !== "\n" && text.charAt(end) !== "\r") {
+          end++;
+        }
+        this.position = end + (text.substr(end, 2) === "\r\n" ? 2 : 1);
+        return text.substring(start, end);
+      },
+      /**
+      * @returns {int} the next character, or -1 at the end of the file
+      */
+      read: function() {
+        return this.position < this.text.length ? this.text.charCodeAt(this.position++) : -1;
+      },
+      ready: function() {
+        return this.position < this.text.length;
+      },
+      close: function() {
+        this.position = this.text.length;
+      }
+    };
+
+    /**
+    * Creates a PrintWriter, which writes text to a file in Processing.fileSystem with print(),
+    * println() and write(). The file is written when flush() or close() is called.
+    *
+    * @param {String} filename   name of the file to write
+    *
+    * @returns {PrintWriter}
+    *
+    * @see createReader
+    * @see saveStrings
+    */
+    p.createWriter = function(filename) {
+      return new PrintWriter(filename);
+    };
+
+    /**
+    * Creates a BufferedReader, which reads the text of a file, from Processing.fileSystem or from
+    * a URL, with readLine() and read().
+    *
+    * @param {String} filename   name of the file to read
+    *
+    * @returns {BufferedReader} the reader, or null if the file is not available
+    *
+    * @see createWriter
+    * @see loadStrings
+    */
+    p.createReader = function(filename) {
+      var text = Processing.fileSystem.readText(filename);
+      return text === null ? null : new BufferedReader(text);
+    };
+
+    /**
+    * Tells where a file is kept, which is the file name itself unless the backend of
+    * Processing.fileSystem keeps its files somewhere, as the node.js backend does.
+    *
+    * @param {String} filename   name of the file
+    *
+    * @returns {String} the path of the file
+    */
+    p.dataPath = function(filename) {
+      return Processing.fileSystem.dataPath(filename);
+    };
+
+    /**
+    * File is a file or a folder of Processing.fileSystem, as selectInput(), selectOutput() and
+    * selectFolder() hand them to their callbacks. Its path is what the load and save functions take.
+    *
+    * @param {String} path   the path of the file or the folder
+    */
+    var File = function(path) {
+      this.path = String(path);
+    };
+    File.prototype = {
+      getPath: function() {
+        return this.path;
+      },
+      getAbsolutePath: function() {
+        return this.path;
+      },
+      getName: function() {
+        return this.path.substring(this.path.lastIndexOf("/") + 1);
+      },
+      /**
+      * @returns {String} the folder of the file, or null if it is not in one
+      */
+      getParent: function() {
+        var slash = this.path.lastIndexOf("/");
+        return slash > 0 ? this.path.substring(0, slash) : null;
+      },
+      isFile: function() {
+        return Processing.fileSystem.exists(this.path);
+      },
+      isDirectory: function() {
+        return this.listFiles() !== null;
+      },
+      exists: function() {
+        return this.isFile() || this.isDirectory();
+      },
+      /**
+      * @returns {File[]} the files and folders in this folder, or null if it is not a folder
+      */
+      listFiles: function() {
+        var prefix = this.path === "." || this.path === "" ? "" : this.path.replace(/\/$/, "") + "/",
+            names = {}, files = [];
+        Processing.fileSystem.list().forEach(function(path) {
+          if (path.indexOf(prefix) === 0) {
+            var name = path.substring(prefix.length).split("/")[0];
+            if (!names.hasOwnProperty(name)) {
+              names[name] = true;
+              files.push(new File(prefix + name));
+            }
+          }
+        });
+        return files.length > 0 ? files : null;
+      },
+      toString: function() {
+        return this.path;
+      }
+    };
+
+    // length() is a field to the parser, as on strings: the size of the file in bytes, or 0 if there is no such file
+    p.defineProperty(File.prototype, "length", {
+      get: function() {
+        return this.isFile() ? Processing.fileSystem.read(this.path).length : 0;
+      }
+    });
+
+    p.File = File;
+
+    // opens a picker, and calls the callback of the sketch with a File, or with null if the user cancels
+    function selectFile(kind, prompt, callback, file, callbackObject) {
+      var picker = p.externals.filePicker || Processing.filePicker,
+          target = callbackObject || p;
+      if (typeof target[callback] !== "function") {
+        throw kind + "() could not find the callback " + callback + "().";
+      }
+      picker[kind](prompt, file === undef || file === null ? undef : String(file), function(path) {
+        target[callback](path === null ? null : new File(path));
+      });
+    }
+
+    /**
+    * Opens a file chooser, and calls the function named callback with the File that the user picks,
+    * or with null if the user cancels. In the browser, the file is copied into Processing.fileSystem,
+    * so that loadStrings(), loadBytes(), loadImage() and loadShape() read it from its path.
+    *
+    * @param {String} prompt            message for the user
+    * @param {String} callback          name of the function of the sketch, or of callbackObject, to call
+    * @param {File} file                optional, the file to pick by default
+    * @param {Object} callbackObject    optional, the object whose function is called
+    *
+    * @see selectOutput
+    * @see selectFolder
+    */
+    p.selectInput = function(prompt, callback, file, callbackObject) {
+      selectFile("selectInput", prompt, callback, file, callbackObject);
+    };
+
+    /**
+    * Asks for a file to save to, and calls the function named callback with it, or with null if the
+    * user cancels. In the browser, the file is downloaded when the sketch writes it.
+    *
+    * @param {String} prompt            message for the user
+    * @param {String} callback          name of the function of the sketch, or of callbackObject, to call
+    * @param {File} file                optional, the file name to suggest
+    * @param {Object} callbackObject    optional, the object whose function is called
+    *
+    * @see selectInput
+    */
+    p.selectOutput = function(prompt, callback, file, callbackObject) {
+      selectFile("selectOutput", prompt, callback, file, callbackObject);
+    };
+
+    /**
+    * Opens a folder chooser, and calls the function named callback with the folder that the user picks,
+    * or with null if the user cancels. In the browser, the files of the folder are copied into
+    * Processing.fileSystem, under the name of the folder.
+    *
+    * @param {String} prompt            message for the user
+    * @param {String} callback          name of the function of the sketch, or of callbackObject, to call
+    * @param {File} file                optional, the folder to pick by default
+    * @param {Object} callbackObject    optional, the object whose function is called
+    *
+    * @see selectInput
+    */
+    p.selectFolder = function(prompt, callback, file, callbackObject) {
+      selectFile("selectFolder", prompt, callback, file, callbackObject);
     };
 
     ////////////////////////////////////////////////////////////////////////////
@@ -4721,6 +5249,38 @@
       return 0|val;
     };
 
+    // The casts and divisions of the strictNumerics directive, with the
+    // wrap-around and truncation of Java integer types.
+    p.__byte_cast = function(val) {
+      return val << 24 >> 24;
+    };
+
+    p.__short_cast = function(val) {
+      return val << 16 >> 16;
+    };
+
+    p.__char_cast = function(val) {
+      return new Char(val & 0xFFFF);
+    };
+
+    p.__long_cast = function(val) {
+      return Math.trunc(+val);
+    };
+
+    p.__int_div = function(a, b) {
+      if ((b|0) === 0) {
+        throw new defaultScope.ArithmeticException("/ by zero");
+      }
+      return (a / b)|0;
+    };
+
+    p.__long_div = function(a, b) {
+      if (Math.trunc(b) === 0) {
+        throw new defaultScope.ArithmeticException("/ by zero");
+      }
+      return Math.trunc(a / b);
+    };
+
     p.__instanceof = function(obj, type) {
       if (typeof type !== "function") {
         throw "Function is expected as type argument for instanceof operator";
@@ -4731,6 +5291,16 @@
         return type === Object || type === String;
       }
 
+      if (typeof obj === "number" || obj instanceof Number) {
+        // boxed numbers, which are Integers and Longs when they are whole
+        return type === Object || type === defaultScope.Float || type === defaultScope.Double ||
+          ((type === defaultScope.Integer || type === defaultScope.Long) && obj % 1 === 0);
+      }
+
+      if (typeof obj === "boolean" || obj instanceof Boolean) {
+        return type === Object || type === defaultScope.Boolean;
+      }
+
       if (obj instanceof type) {
         // fast check if obj is already of type instance
         return true;
@@ -5692,6 +6262,7 @@
 
         curContext.drawArrays(curContext.TRIANGLES, 0, boxVerts.length / 3);
         curContext.disable(curContext.POLYGON_OFFSET_FILL);
+        recordRaw("TRIANGLES", boxVerts, model);
       }
 
       // Draw the box outline.
@@ -5704,6 +6275,7 @@
         vertexAttribPointer("vertex2d", programObject2D, "aVertex", 3, boxOutlineBuffer);
         disableVertexAttribPointer("aTextureCoord2d", programObject2D, "aTextureCoord");
         curContext.drawArrays(curContext.LINES, 0, boxOutlineVerts.length / 3);
+        recordRaw("LINES", boxOutlineVerts, model);
       }
     };
 
@@ -5934,6 +6506,7 @@
         uniformf("uColor3d", programObject3D, "uColor", fillStyle);
         curContext.drawArrays(curContext.TRIANGLE_STRIP, 0, sphereVerts.length / 3);
         curContext.disable(curContext.POLYGON_OFFSET_FILL);
+        recordRaw("TRIANGLE_STRIP", sphereVerts, model);
       }
 
       // Draw the sphere outline.
@@ -5946,6 +6519,7 @@
         uniformf("uColor2d", programObject2D, "uColor", strokeStyle);
         uniformi("uIsDrawingText", programObject2D, "uIsDrawingText", false);
         curContext.drawArrays(curContext.LINE_STRIP, 0, sphereVerts.length / 3);
+        recordRaw("LINE_STRIP", sphereVerts, model);
       }
     };
 
@@ -6579,6 +7153,7 @@
         vertexAttribPointer("aVertex2d", programObject2D, "aVertex", 3, pointBuffer);
         disableVertexAttribPointer("aTextureCoord2d", programObject2D, "aTextureCoord");
         curContext.drawArrays(curContext.POINTS, 0, 1);
+        recordRaw("POINTS", [x, y, z || 0]);
       }
     };
 
@@ -6725,6 +7300,7 @@
       curContext.bufferData(curContext.ARRAY_BUFFER, new Float32Array(cArray), curContext.STREAM_DRAW);
 
       curContext.drawArrays(curContext.POINTS, 0, vArray.length/3);
+      recordRaw("POINTS", vArray);
     };
 
     /**
@@ -6763,6 +7339,7 @@
       vertexAttribPointer("aColorUS", programObjectUnlitShape, "aColor", 4, strokeColorBuffer);
       curContext.bufferData(curContext.ARRAY_BUFFER, new Float32Array(cArray), curContext.STREAM_DRAW);
       curContext.drawArrays(ctxMode, 0, vArray.length/3);
+      recordRaw(mode === "LINES" || mode === "LINE_LOOP" ? mode : "LINE_STRIP", vArray);
     };
 
     /**
@@ -6822,6 +7399,112 @@
 
       curContext.drawArrays( ctxMode, 0, vArray.length/3 );
       curContext.disable( curContext.POLYGON_OFFSET_FILL );
+      recordRaw(mode === "TRIANGLES" || mode === "TRIANGLE_FAN" ? mode : "TRIANGLE_STRIP", vArray);
+    };
+
+    /**
+     * @private
+     * Hands what Drawing3D sends to WebGL to the beginRaw() recording, as triangles, lines and points
+     * after the model-view transformation.
+     *
+     * @param {String} mode       the WebGL mode: POINTS, LINES, LINE_LOOP, LINE_STRIP, TRIANGLES,
+     *                            TRIANGLE_FAN or TRIANGLE_STRIP
+     * @param {Array} vArray      the vertex coordinates
+     * @param {PMatrix3D} model   optional, the modeling transformation of the vertices
+     */
+    function recordRaw(mode, vArray, model) {
+      if (rawRecorder === null) {
+        return;
+      }
+      var transform = modelView.get(), indices = [], i, n;
+      if (model) {
+        transform.apply(model);
+      }
+      for (i = 0; i + 2 < vArray.length; i += 3) {
+        var x = vArray[i], y = vArray[i + 1], z = vArray[i + 2];
+        indices.push(rawRecorder.vertex(transform.multX(x, y, z), transform.multY(x, y, z), transform.multZ(x, y, z)));
+      }
+      n = indices.length;
+      if (mode === "POINTS") {
+        for (i = 0; i < n; i++) {
+          rawRecorder.point(indices[i]);
+        }
+      } else if (mode === "LINES") {
+        for (i = 0; i + 1 < n; i += 2) {
+          rawRecorder.line(indices[i], indices[i + 1]);
+        }
+      } else if (mode === "LINE_STRIP" || mode === "LINE_LOOP") {
+        for (i = 0; i + 1 < n; i++) {
+          rawRecorder.line(indices[i], indices[i + 1]);
+        }
+        if (mode === "LINE_LOOP" && n > 2) {
+          rawRecorder.line(indices[n - 1], indices[0]);
+        }
+      } else if (mode === "TRIANGLES") {
+        for (i = 0; i + 2 < n; i += 3) {
+          rawRecorder.triangle(indices[i], indices[i + 1], indices[i + 2]);
+        }
+      } else if (mode === "TRIANGLE_FAN") {
+        for (i = 1; i + 1 < n; i++) {
+          rawRecorder.triangle(indices[0], indices[i], indices[i + 1]);
+        }
+      } else {
+        // every other triangle of a strip is turned around, to keep the winding
+        for (i = 0; i + 2 < n; i++) {
+          if (i % 2 === 0) {
+            rawRecorder.triangle(indices[i], indices[i + 1], indices[i + 2]);
+          } else {
+            rawRecorder.triangle(indices[i + 1], indices[i], indices[i + 2]);
+          }
+        }
+      }
+    }
+
+    /**
+    * Starts capturing the geometry that is drawn in 3D: the triangles, lines and points of shapes,
+    * boxes and spheres, after the model-view transformation. endRaw() stops the capture, and writes
+    * the geometry as a Wavefront OBJ or an ASCII DXF file. Nothing needs to be rendered for the capture,
+    * so that it works without a WebGL context too.
+    *
+    * @param {int} renderer       OBJ or DXF
+    * @param {String} filename    optional, the file that endRaw() saves the geometry to
+    *
+    * @see endRaw
+    * @see beginRecord
+    */
+    p.beginRaw = function(renderer, filename) {
+      if (renderer !== PConstants.OBJ && renderer !== PConstants.DXF) {
+        throw "Processing.js can only capture raw geometry as OBJ or DXF, use beginRaw(OBJ, filename).";
+      }
+      if (!p.use3DContext) {
+        throw "beginRaw() captures 3D drawing, use size(width, height, P3D).";
+      }
+      if (rawRecorder !== null) {
+        p.endRaw();
+      }
+      rawRecorder = new RawRecorder();
+      rawFormat = renderer;
+      rawFile = filename;
+    };
+
+    /**
+    * Stops the capture that beginRaw() started. The file is saved to the file given to beginRaw(),
+    * in Processing.fileSystem.
+    *
+    * @returns {String} the OBJ or DXF file, or null if nothing was captured
+    *
+    * @see beginRaw
+    */
+    p.endRaw = function() {
+      if (rawRecorder === null) {
+        return null;
+      }
+      var file = rawFormat === PConstants.DXF ? rawRecorder.toDXF() : rawRecorder.toOBJ();
+      rawRecorder = null;
+      if (rawFile !== undef) {
+        Processing.fileSystem.writeText(rawFile, file);
+      }
+      return file;
     };
 
     /**
@@ -8196,6 +8879,7 @@
 
         curContext.bufferData(curContext.ARRAY_BUFFER, new Float32Array(lineVerts), curContext.STREAM_DRAW);
         curContext.drawArrays(curContext.LINES, 0, 2);
+        recordRaw("LINES", lineVerts);
       }
     };
 
@@ -8491,6 +9175,7 @@
       var model = new PMatrix3D();
       model.translate(x, y, 0);
       model.scale(width, height, 1);
+      var rawModel = model.get();
       model.transpose();
 
       // viewing transformation needs to have Y flipped
@@ -8509,6 +9194,7 @@
         vertexAttribPointer("aVertex2d", programObject2D, "aVertex", 3, rectBuffer);
         disableVertexAttribPointer("aTextureCoord2d", programObject2D, "aTextureCoord");
         curContext.drawArrays(curContext.LINE_LOOP, 0, rectVerts.length / 3);
+        recordRaw("LINE_LOOP", rectVerts, rawModel);
       }
 
       if (doFill) {
@@ -8549,6 +9235,7 @@
         vertexAttribPointer("vertex3d", programObject3D, "aVertex", 3, rectBuffer);
 
         curContext.drawArrays(curContext.TRIANGLE_FAN, 0, rectVerts.length / 3);
+        recordRaw("TRIANGLE_FAN", rectVerts, rawModel);
         curContext.disable(curContext.POLYGON_OFFSET_FILL);
       }
     };
@@ -8736,6 +9423,9 @@
     * @see createGraphics
     */
     p.save = function(file, img) {
+      if (!Browser.isDomPresent) {
+        return saveImageFile(file, img !== undef ? img.toImageData() : p.get().toImageData(), img === undef);
+      }
       // file is unused at the moment
       // may implement this differently in later release
       if (img !== undef) {
@@ -8744,6 +9434,23 @@
       return window.open(p.externals.canvas.toDataURL(),"_blank");
     };
 
+    /**
+     * Without a DOM, an image is saved as PNG bytes, whatever the extension of its file name.
+     * The bytes are written to Processing.fileSystem, and returned.
+     */
+    function saveImageFile(file, imageData, opaque) {
+      var data = imageData.data;
+      if (opaque) {
+        data = new Uint8ClampedArray(data);
+        for (var i = 3, len = data.length; i < len; i += 4) {
+          data[i] = 255;
+        }
+      }
+      var bytes = ImageCodecs.encodePNG(imageData.width, imageData.height, data);
+      Processing.fileSystem.write(file, bytes);
+      return bytes;
+    }
+
     var saveNumber = 0;
 
     p.saveFrame = function(file) {
@@ -8759,7 +9466,14 @@
         }
         return s;
       });
-      p.save(frameFilename);
+      // a GifMaker that records to that file takes the frame instead
+      for (var i = 0; i < recordingGifs.length; i++) {
+        if (recordingGifs[i].filename === frameFilename) {
+          recordingGifs[i].addFrame();
+          return;
+        }
+      }
+      return p.save(frameFilename);
     };
 
     var utilityContext2d = document.createElement("canvas").getContext("2d");
@@ -9143,7 +9857,7 @@
       * @param {String} filename        a sequence of letters and numbers
       */
       save: function(file){
-        p.save(file,this);
+        return p.save(file,this);
       },
 
       /**
@@ -9254,6 +9968,114 @@
         return canvasData.canvas.toDataURL();
       },
 
+      /**
+      * @member PImage
+      * The number of frames of an animated GIF loaded with loadGif(), 1 for any other image.
+      *
+      * @returns {int} the number of frames
+      *
+      * @see loadGif
+      */
+      frameCount: function() {
+        return this.__frames ? this.__frames.length : 1;
+      },
+
+      /**
+      * @member PImage
+      * How long a frame of an animated GIF is shown.
+      *
+      * @param {int} index    the frame
+      *
+      * @returns {int} the delay in milliseconds, 0 for an image that is not animated
+      */
+      delay: function(index) {
+        return this.__frames ? this.__frames[index].delay : 0;
+      },
+
+      /**
+      * @member PImage
+      * Shows a frame of an animated GIF, or tells which one is shown.
+      *
+      * @param {int} index    optional, the frame to show
+      *
+      * @returns {int} the frame that is shown, when called without an index
+      */
+      frame: function(index) {
+        if (index === undef) {
+          return this.__frameIndex || 0;
+        }
+        if (!this.__frames || index < 0 || index >= this.__frames.length) {
+          return;
+        }
+        var frame = this.__frames[index];
+        this.imageData = frame.imageData;
+        this.sourceImg = frame.sourceImg;
+        this.__isDirty = false;
+        this.__frameIndex = index;
+      },
+
+      /**
+      * @member PImage
+      * Plays an animated GIF from the frame it shows, as often as the file says, or as loop()
+      * and noLoop() say.
+      */
+      play: function() {
+        if (!this.__frames || this.__playing) {
+          return;
+        }
+        this.__playing = true;
+        this.__plays = 0;
+        playingImages.push(this);
+        scheduleNextFrame(this);
+      },
+
+      /**
+      * @member PImage
+      * Pauses an animated GIF at the frame it shows.
+      */
+      pause: function() {
+        if (!this.__playing) {
+          return;
+        }
+        window.clearTimeout(this.__timer);
+        this.__playing = false;
+        playingImages.splice(playingImages.indexOf(this), 1);
+      },
+
+      /**
+      * @member PImage
+      * Stops an animated GIF, and shows its first frame.
+      */
+      stop: function() {
+        this.pause();
+        this.frame(0);
+      },
+
+      /**
+      * @member PImage
+      * Plays an animated GIF over and over.
+      */
+      loop: function() {
+        this.__repeat = 0;
+        this.play();
+      },
+
+      /**
+      * @member PImage
+      * Makes an animated GIF play once, from now on.
+      */
+      noLoop: function() {
+        this.__repeat = -1;
+      },
+
+      /**
+      * @member PImage
+      * @returns {boolean} whether an animated GIF plays
+      */
+      isPlaying: function() {
+        return !!this.__playing;
+      },
+
       fromImageData: function(canvasImg) {
         var w = canvasImg.width,
           h = canvasImg.height,
@@ -9296,6 +10118,41 @@
       return new PImage(w,h,mode);
     };
 
+    /**
+     * Without a DOM, images are read as bytes and decoded in JavaScript. The bytes come from
+     * Processing.fileSystem.
+     *
+     * @returns {PImage} the image, -1 by -1 if it cannot be decoded, or null if it cannot be read
+     */
+    function decodeImageFile(file) {
+      var bytes = readImageFile(file), pimg = new PImage();
+      if (bytes === null) {
+        return null;
+      }
+      try {
+        pimg.fromImageData(toImageData(ImageCodecs.decode(bytes)));
+        pimg.loaded = true;
+      } catch (e) {
+        pimg.width = pimg.height = -1;
+      }
+      return pimg;
+    }
+
+    // the bytes of an image file, or null if it cannot be read
+    function readImageFile(file) {
+      return Processing.fileSystem.read(file);
+    }
+
+    // a decoded image as an ImageData; without a DOM, the decoded image does as one
+    function toImageData(image) {
+      if (!Browser.isDomPresent) {
+        return image;
+      }
+      var imageData = utilityContext2d.createImageData(image.width, image.height);
+      imageData.data.set(image.data);
+      return imageData;
+    }
+
     // Loads an image for display. Type is an extension. Callback is fired on load.
     /**
     * Loads an image into a variable of type PImage. Four types of images ( .gif, .jpg, .tga, .png) images may
@@ -9331,6 +10188,13 @@
       // if type is specified, we just ignore it
 
       var pimg;
+      if (!Browser.isDomPresent) {
+        pimg = decodeImageFile(file);
+        if (pimg && callback) {
+          callback();
+        }
+        return pimg;
+      }
       // if image is in the preloader cache return a new PImage
       if (curSketch.imageCache.images[file]) {
         pimg = new PImage(curSketch.imageCache.images[file]);
@@ -9357,7 +10221,26 @@
         };
       }(img, pimg, callback));
 
-      img.src = file; // needs to be called after the img.onload function is declared or it wont work in opera
+      // setup() waits for the images that preload() loads
+      if (preloading) {
+        var imageCache = curSketch.imageCache, onload = img.onload;
+        imageCache.pending++;
+        img.onload = function() {
+          onload();
+          imageCache.pending--;
+        };
+        img.onerror = function() {
+          pimg.width = pimg.height = -1;
+          imageCache.pending--;
+        };
+      }
+
+      // the files in the file system, as the ones selectInput() picks, are not on the server
+      if (Processing.fileSystem.exists(file) && window.URL && window.Blob) {
+        img.src = window.URL.createObjectURL(new window.Blob([Processing.fileSystem.read(file)]));
+      } else {
+        img.src = file; // needs to be called after the img.onload function is declared or it wont work in opera
+      }
       return pimg;
     };
 
@@ -9382,6 +10265,224 @@
     */
     p.requestImage = p.loadImage;
 
+    /**
+    * Loads an animated GIF into a PImage. All of its frames are decoded, and the image shows the first one.
+    * frameCount() and delay() tell how many frames there are and how long each one is shown, frame() shows
+    * any of them, and play(), pause(), stop(), loop() and noLoop() animate the image by themselves.
+    * Like loadImage, this works with and without a DOM: the file is read as bytes from Processing.fileSystem.
+    *
+    * @param {String} filename        name of the GIF file to load
+    * @param {Function} callback      optional, called once the image is loaded
+    *
+    * @returns {PImage} the image, -1 by -1 if it is not a GIF, or null if the file cannot be read
+    *
+    * @see loadImage
+    * @see GifMaker
+    */
+    p.loadGif = function(file, callback) {
+      var bytes = readImageFile(file), pimg = new PImage();
+      if (bytes === null) {
+        return null;
+      }
+      try {
+        var gif = ImageCodecs.decodeGIF(bytes);
+        pimg.__frames = gif.frames.map(function(frame) {
+          var frameImage = new PImage();
+          frameImage.fromImageData(toImageData({ width: gif.width, height: gif.height, data: frame.data }));
+          return { imageData: frameImage.imageData, sourceImg: frameImage.sourceImg, delay: frame.delay };
+        });
+        pimg.__repeat = gif.loopCount;
+        pimg.width = gif.width;
+        pimg.height = gif.height;
+        pimg.format = PConstants.ARGB;
+        pimg.frame(0);
+        pimg.loaded = true;
+      } catch (e) {
+        delete pimg.__frames;
+        pimg.width = pimg.height = -1;
+      }
+      if (callback) {
+        callback();
+      }
+      return pimg;
+    };
+
+    // the animated images that play, to stop on exit
+    var playingImages = [];
+
+    // shows the next frame of an animated image after the delay of the current one
+    function scheduleNextFrame(pimg) {
+      var frames = pimg.__frames, delay = frames[pimg.__frameIndex].delay;
+      // as in browsers, frames without a real delay are shown for 100 milliseconds
+      pimg.__timer = window.setTimeout(function() {
+        var next = pimg.__frameIndex + 1;
+        if (next === frames.length) {
+          next = 0;
+          // repeat: -1 plays once, 0 loops forever, and n repeats n times
+          if (pimg.__repeat !== 0 && ++pimg.__plays > Math.max(0, pimg.__repeat)) {
+            pimg.pause();
+            return;
+          }
+        }
+        pimg.frame(next);
+        scheduleNextFrame(pimg);
+      }, delay > 10 ? delay : 100);
+    }
+
+    // the GifMakers that saveFrame can add frames to
+    var recordingGifs = [];
+
+    /**
+    * Records frames into an animated GIF, like the GifMaker of the gifAnimation library. Every frame gets
+    * its own palette of up to 256 colors. Frames are added with addFrame(), or by saving frames to the same
+    * file name with saveFrame().
+    *
+    * @param {PApplet} parent     optional, the sketch, as in Processing
+    * @param {String} filename    the name of the GIF file
+    *
+    * @see loadGif
+    * @see saveFrame
+    */
+    var GifMaker = function(parent, filename) {
+      this.filename = typeof parent === "string" ? parent : filename;
+      this.frames = [];
+      this.repeat = -1;
+      this.delay = 0;
+      this.quality = 10;
+      this.transparent = null;
+      this.width = 0;
+      this.height = 0;
+      recordingGifs.push(this);
+    };
+    GifMaker.prototype = {
+      /**
+      * @member GifMaker
+      * Sets how often the animation repeats: 0 to loop forever. By default, it plays once.
+      *
+      * @param {int} count       how many times to repeat
+      */
+      setRepeat: function(count) {
+        this.repeat = count;
+      },
+
+      /**
+      * @member GifMaker
+      * Sets how long the frames added from now on are shown.
+      *
+      * @param {int} ms          the delay in milliseconds
+      */
+      setDelay: function(ms) {
+        this.delay = ms;
+      },
+
+      /**
+      * @member GifMaker
+      * Sets the quality of the palettes: 1 is the best and slowest, 30 the worst and fastest, 10 the default.
+      *
+      * @param {int} quality     the quality
+      */
+      setQuality: function(quality) {
+        this.quality = quality;
+      },
+
+      /**
+      * @member GifMaker
+      * Sets the color that is transparent. Pixels that are mostly transparent are transparent anyway.
+      *
+      * @param {color|int} color   the color, or its red value
+      * @param {int} g             optional, the green value
+      * @param {int} b             optional, the blue value
+      */
+      setTransparent: function(r, g, b) {
+        this.transparent = arguments.length === 3 ? p.color(r, g, b) : r;
+      },
+
+      /**
+      * @member GifMaker
+      * Sets the size of the animation, which is the size of the first frame otherwise.
+      *
+      * @param {int} width       the width
+      * @param {int} height      the height
+      */
+      setSize: function(width, height) {
+        this.width = width;
+        this.height = height;
+      },
+
+      /**
+      * @member GifMaker
+      * Adds a frame: the display window when called without arguments, or an image.
+      *
+      * @param {PImage|PGraphics|int[]} img    optional, the image or the pixels of the frame
+      * @param {int} width                     with pixels, the width of the frame
+      * @param {int} height                    with pixels, the height of the frame
+      */
+      addFrame: function(img, width, height) {
+        var data, i;
+        if (img === undef) {
+          // the display window, opaque as saveFrame saves it
+          var imageData = p.get().toImageData();
+          width = imageData.width;
+          height = imageData.height;
+          data = new Uint8ClampedArray(imageData.data);
+          for (i = 3; i < data.length; i += 4) {
+            data[i] = 255;
+          }
+        } else if (width !== undef) {
+          data = new Uint8ClampedArray(width * height * 4);
+          for (i = 0; i < width * height; i++) {
+            data[i * 4] = (img[i] >> 16) & 0xFF;
+            data[i * 4 + 1] = (img[i] >> 8) & 0xFF;
+            data[i * 4 + 2] = img[i] & 0xFF;
+            data[i * 4 + 3] = (img[i] >>> 24) & 0xFF;
+          }
+        } else {
+          // a PImage, or a PGraphics
+          var frameData = img.toImageData ? img.toImageData() : img.get().toImageData();
+          width = frameData.width;
+          height = frameData.height;
+          data = new Uint8ClampedArray(frameData.data);
+        }
+        if (!this.width) {
+          this.width = width;
+          this.height = height;
+        }
+        this.frames.push({ width: width, height: height, data: data, delay: this.delay });
+      },
+
+      /**
+      * @member GifMaker
+      * Encodes the frames, and writes the file to Processing.fileSystem.
+      *
+      * @returns {Blob|Uint8Array} the GIF file, as a Blob when there is a DOM
+      */
+      finish: function() {
+        var width = this.width, height = this.height;
+        recordingGifs.splice(recordingGifs.indexOf(this), 1);
+        // frames of another size are cropped, or padded with transparent pixels
+        var frames = this.frames.map(function(frame) {
+          if (frame.width === width && frame.height === height) {
+            return frame;
+          }
+          var data = new Uint8ClampedArray(width * height * 4);
+          for (var y = 0; y < Math.min(height, frame.height); y++) {
+            data.set(frame.data.subarray(y * frame.width * 4, (y * frame.width + Math.min(width, frame.width)) * 4),
+                     y * width * 4);
+          }
+          return { data: data, delay: frame.delay };
+        });
+        var bytes = ImageCodecs.encodeGIF(width, height, frames, {
+          repeat: this.repeat,
+          quality: this.quality,
+          transparent: this.transparent === null ? undef : this.transparent
+        });
+        Processing.fileSystem.write(this.filename, bytes);
+        return Browser.isDomPresent && window.Blob ? new window.Blob([bytes], { type: "image/gif" }) : bytes;
+      }
+    };
+
+    p.GifMaker = GifMaker;
+
     function get$2(x,y) {
       var data;
       // return the color at x,y (int) of curContext
@@ -9567,6 +10668,54 @@
       setPixelsCached = 0;
     }
 
+    /**
+    * Starts recording what is drawn into an SVG document, while it is drawn on the screen as usual:
+    * shapes, paths, curves, text, images, transformations, fills and strokes. endRecord() stops the
+    * recording, and returns the document. Only the 2D renderer can be recorded.
+    *
+    * @param {int} renderer       SVG
+    * @param {String} filename    optional, the file that endRecord() saves the document to
+    *
+    * @see endRecord
+    */
+    p.beginRecord = function(renderer, filename) {
+      if (renderer !== PConstants.SVG) {
+        throw "Processing.js can only record SVG, use beginRecord(SVG, filename).";
+      }
+      if (p.use3DContext) {
+        throw "beginRecord() cannot record 3D drawing.";
+      }
+      if (recordingContext !== null) {
+        p.endRecord();
+      }
+      resetContext();
+      recordingContext = new SVGContext(drawing.$ensureContext(), p.width, p.height);
+      recordingFile = filename;
+      curContext = originalContext = recordingContext;
+    };
+
+    /**
+    * Stops the recording that beginRecord() started. The SVG document is saved to the file given to
+    * beginRecord(), as UTF-8 text in Processing.fileSystem.
+    *
+    * @returns {String} the SVG document, or null if nothing was recorded
+    *
+    * @see beginRecord
+    */
+    p.endRecord = function() {
+      if (recordingContext === null) {
+        return null;
+      }
+      resetContext();
+      var svg = recordingContext.toSVG();
+      curContext = originalContext = recordingContext.context;
+      recordingContext = null;
+      if (recordingFile !== undef) {
+        Processing.fileSystem.writeText(recordingFile, svg);
+      }
+      return svg;
+    };
+
     function set$3(x, y, c) {
       if (x < p.width && x >= 0 && y >= 0 && y < p.height) {
         replaceContext();
@@ -11906,26 +13055,35 @@
       // an execute when preloads have not yet finished.
       var retryInterval = 100;
 
+      var attached = false;
+
       var executeSketch = function(processing) {
-        // Don't start until all specified images and fonts in the cache are preloaded
-        if (!(curSketch.imageCache.pending || PFont.preloading.pending(retryInterval))) {
-          // the opera preload cache can only be cleared once we start
-          if (window.opera) {
-            var link,
-                element,
-                operaCache=curSketch.imageCache.operaCache;
-            for (link in operaCache) {
-              if(operaCache.hasOwnProperty(link)) {
-                element = operaCache[link];
-                if (element !== null) {
-                  document.body.removeChild(element);
-                }
-                delete(operaCache[link]);
+        // Don't start until all specified images and fonts in the cache are preloaded,
+        // and all the files that preload() reads are there
+        if (!(curSketch.imageCache.pending || curSketch.fileCache.pending ||
+              PFont.preloading.pending(retryInterval))) {
+          if (!attached) {
+            attachSketch(processing);
+            attached = true;
+            // Run void preload(), whose load functions read their files in the background
+            if (processing.preload) {
+              preloading = true;
+              try {
+                processing.preload();
+              } finally {
+                preloading = false;
+              }
+              if (curSketch.imageCache.pending || curSketch.fileCache.pending) {
+                window.setTimeout(function() { executeSketch(processing); }, retryInterval);
+                return;
               }
             }
           }
 
-          curSketch.attach(processing, defaultScope);
+          // a file of preload() that could not be parsed
+          if (curSketch.fileCache.error !== undef) {
+            throw curSketch.fileCache.error;
+          }
 
           // pass a reference to the p instance for this sketch.
           curSketch.onLoad(processing);
@@ -11954,6 +13112,26 @@
         }
       };
 
+      var attachSketch = function(processing) {
+        // the opera preload cache can only be cleared once we start
+        if (window.opera) {
+          var link,
+              element,
+              operaCache=curSketch.imageCache.operaCache;
+          for (link in operaCache) {
+            if(operaCache.hasOwnProperty(link)) {
+              element = operaCache[link];
+              if (element !== null) {
+                document.body.removeChild(element);
+              }
+              delete(operaCache[link]);
+            }
+          }
+        }
+
+        curSketch.attach(processing, defaultScope);
+      };
+
       // Only store an instance of non-createGraphics instances.
       addInstance(this);
 
@@ -11997,16 +13175,28 @@
    * instance store and lookup
    */
   Processing.instances = processingInstances;
+
+  /**
+   * The file system that sketches read their files from and save them to. The localStorage keeps
+   * the files in the browser, and memory does without a DOM; Processing.fileSystem.use() changes
+   * where they are kept, to any of the Processing.FileSystem backends.
+   */
+  Processing.FileSystem = FileSystem;
+  Processing.fileSystem = new FileSystem(Browser.isDomPresent && localStorage ?
+    new FileSystem.LocalStorageBackend(localStorage) : new FileSystem.MemoryBackend());
+
+  /**
+   * The picker that selectInput(), selectOutput() and selectFolder() open, with hidden file inputs
+   * in the browser. Any object with those three functions can take its place, for instance in tests.
+   */
+  Processing.filePicker = new FilePicker(Processing.fileSystem);
   Processing.getInstanceById = function(name) {
     return processingInstances[processingInstanceIds[name]];
   };
 
   // Unsupported Processing File and I/O operations.
   (function(Processing) {
-    var unsupportedP5 = ("open() createOutput() createInput() BufferedReader selectFolder() " +
-                         "dataPath() createWriter() selectOutput() beginRecord() " +
-                         "saveStream() endRecord() selectInput() saveBytes() createReader() " +
-                         "beginRaw() endRaw() PrintWriter delay()").split(" "),
+    var unsupportedP5 = "open() createOutput() createInput() saveStream() delay()".split(" "),
         count = unsupportedP5.length,
         prettyName,
         p5Name;
@@ -2,20 +2,44 @@
 var source = {
   virtEquals: require("./Helpers/virtEquals"),
   virtHashCode: require("./Helpers/virtHashCode"),
+  virtCompare: require("./Helpers/virtCompare"),
   ObjectIterator: require("./Helpers/ObjectIterator"),
   PConstants: require("./Helpers/PConstants"),
+  ImageCodecs: require("./Helpers/ImageCodecs"),
+  FileSystem: require("./Helpers/FileSystem"),
+  FilePicker: require("./Helpers/FilePicker"),
   ArrayList: require("./Objects/ArrayList"),
   HashMap: require("./Objects/HashMap"),
+  AbstractCollection: require("./Objects/AbstractCollection"),
+  LinkedList: require("./Objects/LinkedList"),
+  ArrayDeque: require("./Objects/ArrayDeque"),
+  LinkedHashMap: require("./Objects/LinkedHashMap"),
+  HashSet: require("./Objects/HashSet"),
+  LinkedHashSet: require("./Objects/LinkedHashSet"),
+  TreeMap: require("./Objects/TreeMap"),
+  TreeSet: require("./Objects/TreeSet"),
+  PriorityQueue: require("./Objects/PriorityQueue"),
+  Arrays: require("./Objects/Arrays"),
+  Collections: require("./Objects/Collections"),
+  Exceptions: require("./Objects/Exceptions"),
+  Random: require("./Objects/Random"),
   PVector: require("./Objects/PVector"),
   PFont: require("./Objects/PFont"),
   Char: require("./Objects/Char"),
+  WrapperClasses: require("./Objects/WrapperClasses"),
   XMLAttribute: require("./Objects/XMLAttribute"),
   XMLElement: require("./Objects/XMLElement"),
+  TableRow: require("./Objects/TableRow"),
+  Table: require("./Objects/Table"),
+  JSONObject: require("./Objects/JSONObject"),
+  TypedCollections: require("./Objects/TypedCollections"),
   PMatrix2D: require("./Objects/PMatrix2D"),
   PMatrix3D: require("./Objects/PMatrix3D"),
   PShape: require("./Objects/PShape"),
   colors: require("./Objects/webcolors"),
   PShapeSVG:  require("./Objects/PShapeSVG"),
+  SVGContext: require("./Objects/SVGContext"),
+  RawRecorder: require("./Objects/RawRecorder"),
   CommonFunctions: require("./P5Functions/commonFunctions"),
   defaultScope: require("./Helpers/defaultScope"),
   Processing: require("./Processing"),
@@ -27,7 +51,7 @@ var source = {
 // instantiation of a Processing sketch.
 source.extend = {
   withMath: require("./P5Functions/Math.js"),
-  withProxyFunctions: require("./P5Functions/JavaProxyFunctions")(source.virtHashCode, source.virtEquals),
+  withProxyFunctions: require("./P5Functions/JavaProxyFunctions")(source.virtHashCode, source.virtEquals, source.virtCompare),
   withTouch: require("./P5Functions/touchmouse"),
   withCommonFunctions: source.CommonFunctions.withCommonFunctions
 };
@@ -39,6 +63,7 @@ module.exports = function buildProcessingJS(Browser, testHarness) {
   var noop = function(){},
       virtEquals = source.virtEquals,
       virtHashCode = source.virtHashCode,
+      virtCompare = source.virtCompare,
       PConstants = source.PConstants,
       CommonFunctions = source.CommonFunctions,
       ObjectIterator = source.ObjectIterator,
@@ -55,6 +80,93 @@ module.exports = function buildProcessingJS(Browser, testHarness) {
         virtEquals: virtEquals
       }),
 
+      Exceptions = source.Exceptions({
+        // printStackTrace() prints where println() does
+        log: function(message) {
+          Processing.logger.log(message);
+        }
+      }),
+
+      AbstractCollection = source.AbstractCollection({
+        virtEquals: virtEquals,
+        ObjectIterator: ObjectIterator
+      }),
+
+      LinkedList = source.LinkedList({
+        ArrayList: ArrayList,
+        Exceptions: Exceptions
+      }),
+
+      ArrayDeque = source.ArrayDeque({
+        LinkedList: LinkedList,
+        Exceptions: Exceptions
+      }),
+
+      LinkedHashMap = source.LinkedHashMap({
+        virtEquals: virtEquals,
+        virtHashCode: virtHashCode,
+        HashMap: HashMap,
+        AbstractCollection: AbstractCollection
+      }),
+
+      HashSet = source.HashSet({
+        virtHashCode: virtHashCode,
+        HashMap: HashMap,
+        AbstractCollection: AbstractCollection
+      }),
+
+      LinkedHashSet = source.LinkedHashSet({
+        HashSet: HashSet,
+        LinkedHashMap: LinkedHashMap
+      }),
+
+      TreeMap = source.TreeMap({
+        virtEquals: virtEquals,
+        virtHashCode: virtHashCode,
+        virtCompare: virtCompare,
+        AbstractCollection: AbstractCollection,
+        Exceptions: Exceptions
+      }),
+
+      TreeSet = source.TreeSet({
+        HashSet: HashSet,
+        TreeMap: TreeMap
+      }),
+
+      PriorityQueue = source.PriorityQueue({
+        virtEquals: virtEquals,
+        virtCompare: virtCompare,
+        AbstractCollection: AbstractCollection,
+        Exceptions: Exceptions
+      }),
+
+      WrapperClasses = source.WrapperClasses({
+        Exceptions: Exceptions
+      }),
+
+      Arrays = source.Arrays({
+        virtEquals: virtEquals,
+        virtHashCode: virtHashCode,
+        virtCompare: virtCompare,
+        formatDecimal: WrapperClasses.Double.toString,
+        compareDecimal: WrapperClasses.Double.compare,
+        ArrayList: ArrayList,
+        Exceptions: Exceptions
+      }),
+
+      Collections = source.Collections({
+        virtEquals: virtEquals,
+        virtCompare: virtCompare,
+        ObjectIterator: ObjectIterator,
+        ArrayList: ArrayList,
+        Arrays: Arrays,
+        Exceptions: Exceptions
+      }),
+
+      Random = source.Random({
+        Exceptions: Exceptions
+      }),
+
       PVector = source.PVector({
         PConstants: PConstants
       }),
@@ -66,7 +178,31 @@ module.exports = function buildProcessingJS(Browser, testHarness) {
 
       XMLElement = source.XMLElement({
         Browser:Browser,
-        XMLAttribute: XMLAttribute
+        XMLAttribute: XMLAttribute,
+        // XML and SVG files are read from the file system, which the Processing object has
+        readText: function(path) {
+          return Processing.fileSystem.readText(path);
+        }
+      }),
+
+      TableRow = source.TableRow(),
+
+      Table = source.Table({
+        TableRow: TableRow,
+        ArrayList: ArrayList,
+        HashMap: HashMap,
+        ObjectIterator: ObjectIterator,
+        Exceptions: Exceptions
+      }),
+
+      JSONClasses = source.JSONObject({
+        ArrayList: ArrayList,
+        Exceptions: Exceptions
+      }),
+
+      TypedCollections = source.TypedCollections({
+        ObjectIterator: ObjectIterator,
+        Exceptions: Exceptions
       }),
 
       PMatrix2D = source.PMatrix2D({
@@ -91,22 +227,66 @@ module.exports = function buildProcessingJS(Browser, testHarness) {
         colors: source.colors
       }),
 
+      SVGContext = source.SVGContext({
+        ImageCodecs: source.ImageCodecs
+      }),
+
       defaultScope = source.defaultScope({
+        virtEquals: virtEquals,
+        virtHashCode: virtHashCode,
+        virtCompare: virtCompare,
         ArrayList: ArrayList,
         HashMap: HashMap,
+        LinkedList: LinkedList,
+        ArrayDeque: ArrayDeque,
+        LinkedHashMap: LinkedHashMap,
+        HashSet: HashSet,
+        LinkedHashSet: LinkedHashSet,
+        TreeMap: TreeMap,
+        TreeSet: TreeSet,
+        PriorityQueue: PriorityQueue,
+        Arrays: Arrays,
+        Collections: Collections,
+        Exceptions: Exceptions,
+        Random: Random,
         PVector: PVector,
         PFont: PFont,
         PShapeSVG: PShapeSVG,
         ObjectIterator: ObjectIterator,
         PConstants: PConstants,
         Char: Char,
+        Character: Char,
+        Integer: WrapperClasses.Integer,
+        Long: WrapperClasses.Long,
+        Float: WrapperClasses.Float,
+        Double: WrapperClasses.Double,
+        Boolean: WrapperClasses.Boolean,
         XMLElement: XMLElement,
-        XML: XMLElement
+        XML: XMLElement,
+        Table: Table,
+        TableRow: TableRow,
+        JSONObject: JSONClasses.JSONObject,
+        JSONArray: JSONClasses.JSONArray,
+        IntList: TypedCollections.IntList,
+        FloatList: TypedCollections.FloatList,
+        StringList: TypedCollections.StringList,
+        IntDict: TypedCollections.IntDict,
+        FloatDict: TypedCollections.FloatDict,
+        StringDict: TypedCollections.StringDict
       }),
 
       Processing = source.Processing({
         defaultScope:defaultScope,
         Browser:Browser,
+        ImageCodecs:source.ImageCodecs,
+        FileSystem:source.FileSystem({
+          Browser: Browser
+        }),
+        FilePicker:source.FilePicker({
+          Browser: Browser
+        }),
+        SVGContext:SVGContext,
+        RawRecorder:source.RawRecorder(),
         extend:source.extend,
         noop:noop
       });
@@ -120,7 +300,7 @@ module.exports = function buildProcessingJS(Browser, testHarness) {
   // finalise the Processing object
   Processing = source.finalize(Processing, {
     version: require('../package.json').version,
-    isDomPresent: false || Browser.isDomPresent,
+    isDOMPresent: false || Browser.isDomPresent,
     window: Browser.window,
     document: Browser.document,
     noop: noop
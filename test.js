@@ -35,7 +35,6 @@ argv = argv.run().options;
 
 // nodejs requirements
 var Browser = require('./lib/Browser'),
-    canvas = Browser.document.createElement("canvas"),
     exec = require('child_process').exec,
     fs = require("fs"),
     open = require('open'),
@@ -66,11 +65,12 @@ function runTest(dir, testName) {
     return;
   }
 
-  // run test for this file.
+  // run test for this file. The tests in render/ draw actual pixels.
   test = fs.readFileSync(dir + testName, "utf-8");
   testHarness.prep(testName);
+  Browser.useSoftwareRenderer(/\/render\//.test(dir + testName));
   try {
-    sketch = new Processing(canvas, test, testHarness);
+    sketch = new Processing(Browser.document.createElement("canvas"), test, testHarness);
     if(sketch._failCount > 0) {
       throw "\n    [one or more tests failed]";
     }
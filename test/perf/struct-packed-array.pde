@@ -0,0 +1,22 @@
+/* @pjs packedStructs="true"; */
+struct Particle {
+  float x, y;
+  float vx, vy;
+}
+
+Particle[] particles = new Particle[10000];
+
+void setup(){
+  size(100, 100);
+  for(int i = 0; i < particles.length; i++){
+    particles[i].vx = random(-1, 1);
+    particles[i].vy = random(-1, 1);
+  }
+}
+
+void draw() {
+  for(int i = 0; i < particles.length; i++){
+    particles[i].x += particles[i].vx;
+    particles[i].y += particles[i].vy;
+  }
+}
@@ -118,5 +118,9 @@ var tests = [
   { path: "PMatrix3D-rotateZ.pde", tags: ["3D"] },
   { path: "PMatrix3D-multX.pde", tags: ["3D"] },
   { path: "PMatrix3D-set.pde", tags: ["3D"] },
-  { path: "PMatrix3D-reset.pde", tags: ["3D"] }
+  { path: "PMatrix3D-reset.pde", tags: ["3D"] },
+
+  // structs
+  { path: "struct-array.pde", tags: ["2D", "struct"] },
+  { path: "struct-packed-array.pde", tags: ["2D", "struct"] }
 ];
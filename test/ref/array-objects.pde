@@ -1,4 +1,4 @@
-//[100,100]176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,2,2,2,255,4,4,4,255,6,6,6,255,7,7,7,255,9,9,9,255,11,11,11,255,13,13,13,255,14,14,14,255,16,16,16,255,17,17,17,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,3,3,3,255,11,11,11,255,18,18,18,255,25,25,25,255,33,33,33,255,40,40,40,255,47,47,47,255,55,55,55,255,62,62,62,255,69,69,69,255,73,73,73,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,2,2,2,255,3,3,3,255,5,5,5,255,7,7,7,255,8,8,8,255,10,10,10,255,11,11,11,255,13,13,13,255,15,15,15,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,5,5,5,255,17,17,17,255,28,28,28,255,39,39,39,255,51,51,51,255,62,62,62,255,74,74,74,255,85,85,85,255,97,97,97,255,108,108,108,255,114,114,114,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,1,1,1,255,3,3,3,255,6,6,6,255,9,9,9,255,11,11,11,255,14,14,14,255,17,17,17,255,19,19,19,255,22,22,22,255,25,25,25,255,26,26,26,255,50,50,50,255,49,49,49,255,47,47,47,255,45,45,45,255,43,43,43,255,42,42,42,255,40,40,40,255,38,38,38,255,36,36,36,255,35,35,35,255,33,33,33,255,31,31,31,255,29,29,29,255,28,28,28,255,26,26,26,255,24,24,24,255,22,22,22,255,21,21,21,255,19,19,19,255,214,214,214,255,210,210,210,255,203,203,203,255,195,195,195,255,188,188,188,255,181,181,181,255,173,173,173,255,166,166,166,255,159,159,159,255,151,151,151,255,144,144,144,255,136,136,136,255,129,129,129,255,122,122,122,255,114,114,114,255,107,107,107,255,100,100,100,255,92,92,92,255,85,85,85,255,78,78,78,255,46,46,46,255,45,45,45,255,43,43,43,255,42,42,42,255,40,40,40,255,39,39,39,255,37,37,37,255,35,35,35,255,34,34,34,255,32,32,32,255,31,31,31,255,29,29,29,255,28,28,28,255,26,26,26,255,24,24,24,255,23,23,23,255,21,21,21,255,20,20,20,255,18,18,18,255,16,16,16,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,240,240,240,255,235,235,235,255,224,224,224,255,212,212,212,255,201,201,201,255,190,190,190,255,178,178,178,255,167,167,167,255,155,155,155,255,144,144,144,255,132,132,132,255,121,121,121,255,77,77,77,255,76,76,76,255,73,73,73,255,71,71,71,255,68,68,68,255,65,65,65,255,63,63,63,255,60,60,60,255,57,57,57,255,55,55,55,255,52,52,52,255,50,50,50,255,47,47,47,255,44,44,44,255,42,42,42,255,39,39,39,255,36,36,36,255,34,34,34,255,31,31,31,255,28,28,28,255,176,176,176,255,53,53,53,255,54,54,54,255,56,56,56,255,58,58,58,255,60,60,60,255,61,61,61,255,63,63,63,255,65,65,65,255,67,67,67,255,68,68,68,255,70,70,70,255,72,72,72,255,74,74,74,255,75,75,75,255,77,77,77,255,79,79,79,255,81,81,81,255,82,82,82,255,84,84,84,255,85,85,85,255,219,219,219,255,226,226,226,255,234,234,234,255,240,240,240,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,48,48,48,255,50,50,50,255,51,51,51,255,53,53,53,255,54,54,54,255,56,56,56,255,58,58,58,255,59,59,59,255,61,61,61,255,62,62,62,255,64,64,64,255,65,65,65,255,67,67,67,255,69,69,69,255,70,70,70,255,72,72,72,255,73,73,73,255,75,75,75,255,77,77,77,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,79,79,79,255,82,82,82,255,84,84,84,255,87,87,87,255,90,90,90,255,92,92,92,255,95,95,95,255,98,98,98,255,100,100,100,255,103,103,103,255,105,105,105,255,108,108,108,255,111,111,111,255,113,113,113,255,116,116,116,255,119,119,119,255,121,121,121,255,124,124,124,255,127,127,127,255,128,128,128,255,118,118,118,255,117,117,117,255,115,115,115,255,113,113,113,255,111,111,111,255,110,110,110,255,108,108,108,255,106,106,106,255,104,104,104,255,103,103,103,255,101,101,101,255,99,99,99,255,97,97,97,255,96,96,96,255,94,94,94,255,92,92,92,255,90,90,90,255,89,89,89,255,87,87,87,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,108,108,108,255,107,107,107,255,105,105,105,255,104,104,104,255,102,102,102,255,101,101,101,255,99,99,99,255,97,97,97,255,96,96,96,255,94,94,94,255,93,93,93,255,91,91,91,255,90,90,90,255,88,88,88,255,86,86,86,255,85,85,85,255,83,83,83,255,82,82,82,255,80,80,80,255,78,78,78,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,179,179,179,255,178,178,178,255,175,175,175,255,173,173,173,255,170,170,170,255,167,167,167,255,165,165,165,255,162,162,162,255,159,159,159,255,157,157,157,255,154,154,154,255,152,152,152,255,149,149,149,255,146,146,146,255,144,144,144,255,141,141,141,255,138,138,138,255,136,136,136,255,133,133,133,255,130,130,130,255,176,176,176,255,121,121,121,255,122,122,122,255,124,124,124,255,126,126,126,255,128,128,128,255,129,129,129,255,131,131,131,255,133,133,133,255,135,135,135,255,136,136,136,255,138,138,138,255,140,140,140,255,142,142,142,255,143,143,143,255,145,145,145,255,147,147,147,255,149,149,149,255,150,150,150,255,152,152,152,255,153,153,153,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,110,110,110,255,112,112,112,255,113,113,113,255,115,115,115,255,116,116,116,255,118,118,118,255,120,120,120,255,121,121,121,255,123,123,123,255,124,124,124,255,126,126,126,255,127,127,127,255,129,129,129,255,131,131,131,255,132,132,132,255,134,134,134,255,135,135,135,255,137,137,137,255,139,139,139,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,181,181,181,255,184,184,184,255,186,186,186,255,189,189,189,255,192,192,192,255,194,194,194,255,197,197,197,255,200,200,200,255,202,202,202,255,205,205,205,255,207,207,207,255,210,210,210,255,213,213,213,255,215,215,215,255,218,218,218,255,221,221,221,255,223,223,223,255,226,226,226,255,229,229,229,255,230,230,230,255,186,186,186,255,185,185,185,255,183,183,183,255,181,181,181,255,179,179,179,255,178,178,178,255,176,176,176,255,174,174,174,255,172,172,172,255,171,171,171,255,169,169,169,255,167,167,167,255,165,165,165,255,164,164,164,255,162,162,162,255,160,160,160,255,158,158,158,255,157,157,157,255,155,155,155,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,170,170,170,255,169,169,169,255,167,167,167,255,166,166,166,255,164,164,164,255,163,163,163,255,161,161,161,255,159,159,159,255,158,158,158,255,156,156,156,255,155,155,155,255,153,153,153,255,152,152,152,255,150,150,150,255,148,148,148,255,147,147,147,255,145,145,145,255,144,144,144,255,142,142,142,255,140,140,140,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,240,240,240,255,238,238,238,255,235,235,235,255,232,232,232,255,176,176,176,255,189,189,189,255,190,190,190,255,192,192,192,255,194,194,194,255,196,196,196,255,197,197,197,255,199,199,199,255,201,201,201,255,203,203,203,255,204,204,204,255,206,206,206,255,208,208,208,255,210,210,210,255,211,211,211,255,213,213,213,255,215,215,215,255,217,217,217,255,218,218,218,255,220,220,220,255,221,221,221,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,172,172,172,255,174,174,174,255,175,175,175,255,177,177,177,255,178,178,178,255,180,180,180,255,182,182,182,255,183,183,183,255,185,185,185,255,186,186,186,255,188,188,188,255,189,189,189,255,191,191,191,255,193,193,193,255,194,194,194,255,196,196,196,255,197,197,197,255,199,199,199,255,201,201,201,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,240,240,240,255,239,239,239,255,237,237,237,255,235,235,235,255,233,233,233,255,232,232,232,255,230,230,230,255,228,228,228,255,226,226,226,255,225,225,225,255,223,223,223,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,232,232,232,255,231,231,231,255,229,229,229,255,228,228,228,255,226,226,226,255,225,225,225,255,223,223,223,255,221,221,221,255,220,220,220,255,218,218,218,255,217,217,217,255,215,215,215,255,214,214,214,255,212,212,212,255,210,210,210,255,209,209,209,255,207,207,207,255,206,206,206,255,204,204,204,255,202,202,202,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,234,234,234,255,236,236,236,255,237,237,237,255,239,239,239,255,240,240,240,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,1,1,1,255,5,5,5,255,8,8,8,255,12,12,12,255,15,15,15,255,19,19,19,255,22,22,22,255,26,26,26,255,29,29,29,255,33,33,33,255,34,34,34,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,2,2,2,255,6,6,6,255,11,11,11,255,16,16,16,255,20,20,20,255,25,25,25,255,30,30,30,255,34,34,34,255,39,39,39,255,43,43,43,255,46,46,46,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,3,3,3,255,9,9,9,255,15,15,15,255,21,21,21,255,27,27,27,255,33,33,33,255,39,39,39,255,45,45,45,255,51,51,51,255,58,58,58,255,61,61,61,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,2,2,2,255,8,8,8,255,14,14,14,255,20,20,20,255,26,26,26,255,32,32,32,255,38,38,38,255,43,43,43,255,49,49,49,255,55,55,55,255,58,58,58,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,8,8,8,255,24,24,24,255,40,40,40,255,56,56,56,255,72,72,72,255,88,88,88,255,104,104,104,255,120,120,120,255,136,136,136,255,152,152,152,255,160,160,160,255,99,99,99,255,96,96,96,255,92,92,92,255,89,89,89,255,85,85,85,255,82,82,82,255,78,78,78,255,75,75,75,255,71,71,71,255,68,68,68,255,64,64,64,255,61,61,61,255,57,57,57,255,54,54,54,255,50,50,50,255,47,47,47,255,43,43,43,255,40,40,40,255,36,36,36,255,135,135,135,255,133,133,133,255,128,128,128,255,124,124,124,255,119,119,119,255,114,114,114,255,110,110,110,255,105,105,105,255,100,100,100,255,96,96,96,255,91,91,91,255,87,87,87,255,82,82,82,255,77,77,77,255,73,73,73,255,68,68,68,255,63,63,63,255,59,59,59,255,54,54,54,255,50,50,50,255,179,179,179,255,175,175,175,255,169,169,169,255,163,163,163,255,157,157,157,255,151,151,151,255,145,145,145,255,139,139,139,255,133,133,133,255,127,127,127,255,120,120,120,255,114,114,114,255,108,108,108,255,102,102,102,255,96,96,96,255,90,90,90,255,84,84,84,255,78,78,78,255,72,72,72,255,65,65,65,255,170,170,170,255,167,167,167,255,161,161,161,255,156,156,156,255,150,150,150,255,144,144,144,255,138,138,138,255,132,132,132,255,126,126,126,255,120,120,120,255,115,115,115,255,109,109,109,255,103,103,103,255,97,97,97,255,91,91,91,255,85,85,85,255,79,79,79,255,74,74,74,255,68,68,68,255,62,62,62,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,240,240,240,255,233,233,233,255,217,217,217,255,201,201,201,255,185,185,185,255,169,169,169,255,176,176,176,255,104,104,104,255,107,107,107,255,111,111,111,255,114,114,114,255,118,118,118,255,121,121,121,255,125,125,125,255,128,128,128,255,132,132,132,255,135,135,135,255,139,139,139,255,142,142,142,255,146,146,146,255,149,149,149,255,153,153,153,255,156,156,156,255,160,160,160,255,163,163,163,255,167,167,167,255,168,168,168,255,138,138,138,255,143,143,143,255,147,147,147,255,152,152,152,255,157,157,157,255,161,161,161,255,166,166,166,255,171,171,171,255,175,175,175,255,180,180,180,255,184,184,184,255,189,189,189,255,194,194,194,255,198,198,198,255,203,203,203,255,208,208,208,255,212,212,212,255,217,217,217,255,221,221,221,255,224,224,224,255,184,184,184,255,190,190,190,255,196,196,196,255,202,202,202,255,208,208,208,255,214,214,214,255,220,220,220,255,226,226,226,255,232,232,232,255,239,239,239,255,240,240,240,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,174,174,174,255,180,180,180,255,185,185,185,255,191,191,191,255,197,197,197,255,203,203,203,255,209,209,209,255,215,215,215,255,221,221,221,255,226,226,226,255,232,232,232,255,238,238,238,255,240,240,240,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,233,233,233,255,230,230,230,255,226,226,226,255,223,223,223,255,219,219,219,255,216,216,216,255,212,212,212,255,209,209,209,255,205,205,205,255,202,202,202,255,198,198,198,255,195,195,195,255,191,191,191,255,188,188,188,255,184,184,184,255,181,181,181,255,177,177,177,255,174,174,174,255,170,170,170,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,240,240,240,255,237,237,237,255,232,232,232,255,228,228,228,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,238,238,238,255,240,240,240,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,3,3,3,255,10,10,10,255,17,17,17,255,24,24,24,255,31,31,31,255,38,38,38,255,44,44,44,255,51,51,51,255,58,58,58,255,65,65,65,255,69,69,69,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,1,1,1,255,3,3,3,255,6,6,6,255,9,9,9,255,11,11,11,255,14,14,14,255,16,16,16,255,19,19,19,255,22,22,22,255,24,24,24,255,26,26,26,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,2,2,2,255,7,7,7,255,12,12,12,255,17,17,17,255,22,22,22,255,27,27,27,255,32,32,32,255,37,37,37,255,42,42,42,255,47,47,47,255,49,49,49,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,1,1,1,255,3,3,3,255,6,6,6,255,8,8,8,255,11,11,11,255,13,13,13,255,16,16,16,255,18,18,18,255,21,21,21,255,24,24,24,255,25,25,25,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,2,2,2,255,7,7,7,255,11,11,11,255,16,16,16,255,21,21,21,255,25,25,25,255,30,30,30,255,35,35,35,255,39,39,39,255,44,44,44,255,46,46,46,255,198,198,198,255,191,191,191,255,184,184,184,255,178,178,178,255,171,171,171,255,164,164,164,255,157,157,157,255,150,150,150,255,143,143,143,255,136,136,136,255,129,129,129,255,122,122,122,255,115,115,115,255,108,108,108,255,101,101,101,255,95,95,95,255,88,88,88,255,81,81,81,255,74,74,74,255,77,77,77,255,76,76,76,255,73,73,73,255,70,70,70,255,68,68,68,255,65,65,65,255,63,63,63,255,60,60,60,255,57,57,57,255,55,55,55,255,52,52,52,255,50,50,50,255,47,47,47,255,44,44,44,255,42,42,42,255,39,39,39,255,37,37,37,255,34,34,34,255,31,31,31,255,29,29,29,255,144,144,144,255,142,142,142,255,137,137,137,255,132,132,132,255,127,127,127,255,122,122,122,255,117,117,117,255,112,112,112,255,107,107,107,255,102,102,102,255,97,97,97,255,92,92,92,255,87,87,87,255,82,82,82,255,77,77,77,255,72,72,72,255,67,67,67,255,62,62,62,255,57,57,57,255,52,52,52,255,74,74,74,255,73,73,73,255,70,70,70,255,68,68,68,255,65,65,65,255,63,63,63,255,60,60,60,255,58,58,58,255,55,55,55,255,53,53,53,255,50,50,50,255,48,48,48,255,45,45,45,255,43,43,43,255,40,40,40,255,38,38,38,255,35,35,35,255,33,33,33,255,30,30,30,255,27,27,27,255,136,136,136,255,133,133,133,255,129,129,129,255,124,124,124,255,119,119,119,255,115,115,115,255,110,110,110,255,105,105,105,255,101,101,101,255,96,96,96,255,91,91,91,255,86,86,86,255,82,82,82,255,77,77,77,255,72,72,72,255,68,68,68,255,63,63,63,255,58,58,58,255,54,54,54,255,49,49,49,255,176,176,176,255,207,207,207,255,214,214,214,255,221,221,221,255,227,227,227,255,234,234,234,255,240,240,240,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,79,79,79,255,82,82,82,255,85,85,85,255,87,87,87,255,90,90,90,255,92,92,92,255,95,95,95,255,98,98,98,255,100,100,100,255,103,103,103,255,105,105,105,255,108,108,108,255,111,111,111,255,113,113,113,255,116,116,116,255,118,118,118,255,121,121,121,255,124,124,124,255,126,126,126,255,128,128,128,255,147,147,147,255,152,152,152,255,157,157,157,255,162,162,162,255,167,167,167,255,172,172,172,255,177,177,177,255,182,182,182,255,187,187,187,255,192,192,192,255,197,197,197,255,202,202,202,255,207,207,207,255,212,212,212,255,217,217,217,255,222,222,222,255,227,227,227,255,232,232,232,255,237,237,237,255,239,239,239,255,76,76,76,255,79,79,79,255,81,81,81,255,84,84,84,255,86,86,86,255,89,89,89,255,91,91,91,255,94,94,94,255,96,96,96,255,99,99,99,255,101,101,101,255,104,104,104,255,106,106,106,255,109,109,109,255,111,111,111,255,114,114,114,255,116,116,116,255,119,119,119,255,122,122,122,255,123,123,123,255,140,140,140,255,144,144,144,255,149,149,149,255,154,154,154,255,158,158,158,255,163,163,163,255,168,168,168,255,172,172,172,255,177,177,177,255,182,182,182,255,187,187,187,255,191,191,191,255,196,196,196,255,201,201,201,255,205,205,205,255,210,210,210,255,215,215,215,255,219,219,219,255,224,224,224,255,226,226,226,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,179,179,179,255,178,178,178,255,175,175,175,255,172,172,172,255,170,170,170,255,167,167,167,255,165,165,165,255,162,162,162,255,159,159,159,255,157,157,157,255,154,154,154,255,152,152,152,255,149,149,149,255,146,146,146,255,144,144,144,255,141,141,141,255,139,139,139,255,136,136,136,255,133,133,133,255,131,131,131,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,240,240,240,255,172,172,172,255,171,171,171,255,168,168,168,255,166,166,166,255,163,163,163,255,161,161,161,255,158,158,158,255,156,156,156,255,153,153,153,255,151,151,151,255,148,148,148,255,146,146,146,255,143,143,143,255,141,141,141,255,138,138,138,255,136,136,136,255,133,133,133,255,131,131,131,255,128,128,128,255,125,125,125,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,240,240,240,255,238,238,238,255,234,234,234,255,229,229,229,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,181,181,181,255,184,184,184,255,187,187,187,255,189,189,189,255,192,192,192,255,194,194,194,255,197,197,197,255,200,200,200,255,202,202,202,255,205,205,205,255,207,207,207,255,210,210,210,255,213,213,213,255,215,215,215,255,218,218,218,255,220,220,220,255,223,223,223,255,226,226,226,255,228,228,228,255,230,230,230,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,174,174,174,255,177,177,177,255,179,179,179,255,182,182,182,255,184,184,184,255,187,187,187,255,189,189,189,255,192,192,192,255,194,194,194,255,197,197,197,255,199,199,199,255,202,202,202,255,204,204,204,255,207,207,207,255,209,209,209,255,212,212,212,255,214,214,214,255,217,217,217,255,220,220,220,255,221,221,221,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,240,240,240,255,238,238,238,255,235,235,235,255,233,233,233,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,240,240,240,255,239,239,239,255,236,236,236,255,234,234,234,255,231,231,231,255,229,229,229,255,226,226,226,255,223,223,223,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,1,1,1,255,3,3,3,255,5,5,5,255,7,7,7,255,9,9,9,255,12,12,12,255,14,14,14,255,16,16,16,255,18,18,18,255,21,21,21,255,22,22,22,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,1,1,1,255,3,3,3,255,6,6,6,255,8,8,8,255,11,11,11,255,13,13,13,255,16,16,16,255,18,18,18,255,21,21,21,255,23,23,23,255,24,24,24,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,2,2,2,255,3,3,3,255,5,5,5,255,6,6,6,255,8,8,8,255,10,10,10,255,11,11,11,255,13,13,13,255,14,14,14,255,15,15,15,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,4,4,4,255,13,13,13,255,22,22,22,255,31,31,31,255,41,41,41,255,50,50,50,255,59,59,59,255,68,68,68,255,77,77,77,255,86,86,86,255,91,91,91,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,2,2,2,255,8,8,8,255,14,14,14,255,20,20,20,255,26,26,26,255,32,32,32,255,38,38,38,255,44,44,44,255,50,50,50,255,56,56,56,255,59,59,59,255,64,64,64,255,62,62,62,255,60,60,60,255,58,58,58,255,55,55,55,255,53,53,53,255,51,51,51,255,49,49,49,255,47,47,47,255,44,44,44,255,42,42,42,255,40,40,40,255,38,38,38,255,36,36,36,255,33,33,33,255,31,31,31,255,29,29,29,255,27,27,27,255,24,24,24,255,72,72,72,255,71,71,71,255,68,68,68,255,66,66,66,255,63,63,63,255,61,61,61,255,58,58,58,255,56,56,56,255,53,53,53,255,51,51,51,255,48,48,48,255,46,46,46,255,43,43,43,255,41,41,41,255,38,38,38,255,36,36,36,255,33,33,33,255,31,31,31,255,28,28,28,255,26,26,26,255,176,176,176,255,45,45,45,255,43,43,43,255,42,42,42,255,40,40,40,255,38,38,38,255,37,37,37,255,35,35,35,255,34,34,34,255,32,32,32,255,31,31,31,255,29,29,29,255,28,28,28,255,26,26,26,255,25,25,25,255,23,23,23,255,21,21,21,255,20,20,20,255,18,18,18,255,17,17,17,255,176,176,176,255,176,176,176,255,176,176,176,255,240,240,240,255,234,234,234,255,225,225,225,255,215,215,215,255,206,206,206,255,197,197,197,255,188,188,188,255,179,179,179,255,170,170,170,255,161,161,161,255,152,152,152,255,142,142,142,255,133,133,133,255,124,124,124,255,115,115,115,255,106,106,106,255,97,97,97,255,173,173,173,255,170,170,170,255,164,164,164,255,158,158,158,255,152,152,152,255,146,146,146,255,140,140,140,255,134,134,134,255,128,128,128,255,122,122,122,255,117,117,117,255,111,111,111,255,105,105,105,255,99,99,99,255,93,93,93,255,87,87,87,255,81,81,81,255,75,75,75,255,69,69,69,255,63,63,63,255,176,176,176,255,67,67,67,255,69,69,69,255,71,71,71,255,73,73,73,255,76,76,76,255,78,78,78,255,80,80,80,255,82,82,82,255,84,84,84,255,87,87,87,255,89,89,89,255,91,91,91,255,93,93,93,255,95,95,95,255,98,98,98,255,100,100,100,255,102,102,102,255,104,104,104,255,107,107,107,255,108,108,108,255,74,74,74,255,77,77,77,255,79,79,79,255,82,82,82,255,84,84,84,255,87,87,87,255,89,89,89,255,92,92,92,255,94,94,94,255,97,97,97,255,99,99,99,255,102,102,102,255,104,104,104,255,107,107,107,255,109,109,109,255,112,112,112,255,114,114,114,255,117,117,117,255,119,119,119,255,120,120,120,255,46,46,46,255,48,48,48,255,49,49,49,255,51,51,51,255,53,53,53,255,54,54,54,255,56,56,56,255,57,57,57,255,59,59,59,255,60,60,60,255,62,62,62,255,63,63,63,255,65,65,65,255,66,66,66,255,68,68,68,255,70,70,70,255,71,71,71,255,73,73,73,255,74,74,74,255,75,75,75,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,177,177,177,255,183,183,183,255,189,189,189,255,195,195,195,255,201,201,201,255,207,207,207,255,213,213,213,255,219,219,219,255,225,225,225,255,230,230,230,255,236,236,236,255,240,240,240,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,150,150,150,255,148,148,148,255,146,146,146,255,144,144,144,255,141,141,141,255,139,139,139,255,137,137,137,255,135,135,135,255,133,133,133,255,130,130,130,255,128,128,128,255,126,126,126,255,124,124,124,255,122,122,122,255,119,119,119,255,117,117,117,255,115,115,115,255,113,113,113,255,110,110,110,255,168,168,168,255,167,167,167,255,164,164,164,255,162,162,162,255,159,159,159,255,157,157,157,255,154,154,154,255,152,152,152,255,149,149,149,255,147,147,147,255,144,144,144,255,142,142,142,255,139,139,139,255,137,137,137,255,134,134,134,255,132,132,132,255,129,129,129,255,127,127,127,255,124,124,124,255,122,122,122,255,176,176,176,255,105,105,105,255,103,103,103,255,102,102,102,255,100,100,100,255,98,98,98,255,97,97,97,255,95,95,95,255,94,94,94,255,92,92,92,255,91,91,91,255,89,89,89,255,88,88,88,255,86,86,86,255,85,85,85,255,83,83,83,255,81,81,81,255,80,80,80,255,78,78,78,255,77,77,77,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,153,153,153,255,155,155,155,255,157,157,157,255,159,159,159,255,162,162,162,255,164,164,164,255,166,166,166,255,168,168,168,255,170,170,170,255,173,173,173,255,175,175,175,255,177,177,177,255,179,179,179,255,181,181,181,255,184,184,184,255,186,186,186,255,188,188,188,255,190,190,190,255,193,193,193,255,194,194,194,255,170,170,170,255,173,173,173,255,175,175,175,255,178,178,178,255,180,180,180,255,183,183,183,255,185,185,185,255,188,188,188,255,190,190,190,255,193,193,193,255,195,195,195,255,198,198,198,255,200,200,200,255,203,203,203,255,205,205,205,255,208,208,208,255,210,210,210,255,213,213,213,255,215,215,215,255,216,216,216,255,106,106,106,255,108,108,108,255,109,109,109,255,111,111,111,255,113,113,113,255,114,114,114,255,116,116,116,255,117,117,117,255,119,119,119,255,120,120,120,255,122,122,122,255,123,123,123,255,125,125,125,255,126,126,126,255,128,128,128,255,130,130,130,255,131,131,131,255,133,133,133,255,134,134,134,255,135,135,135,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,236,236,236,255,234,234,234,255,232,232,232,255,230,230,230,255,227,227,227,255,225,225,225,255,223,223,223,255,221,221,221,255,219,219,219,255,216,216,216,255,214,214,214,255,212,212,212,255,210,210,210,255,208,208,208,255,205,205,205,255,203,203,203,255,201,201,201,255,199,199,199,255,196,196,196,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,240,240,240,255,238,238,238,255,235,235,235,255,233,233,233,255,230,230,230,255,228,228,228,255,225,225,225,255,223,223,223,255,220,220,220,255,218,218,218,255,176,176,176,255,165,165,165,255,163,163,163,255,162,162,162,255,160,160,160,255,158,158,158,255,157,157,157,255,155,155,155,255,154,154,154,255,152,152,152,255,151,151,151,255,149,149,149,255,148,148,148,255,146,146,146,255,145,145,145,255,143,143,143,255,141,141,141,255,140,140,140,255,138,138,138,255,137,137,137,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,239,239,239,255,240,240,240,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,166,166,166,255,168,168,168,255,169,169,169,255,171,171,171,255,173,173,173,255,174,174,174,255,176,176,176,255,177,177,177,255,179,179,179,255,180,180,180,255,182,182,182,255,183,183,183,255,185,185,185,255,186,186,186,255,188,188,188,255,190,190,190,255,191,191,191,255,193,193,193,255,194,194,194,255,195,195,195,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,225,225,225,255,223,223,223,255,222,222,222,255,220,220,220,255,218,218,218,255,217,217,217,255,215,215,215,255,214,214,214,255,212,212,212,255,211,211,211,255,209,209,209,255,208,208,208,255,206,206,206,255,205,205,205,255,203,203,203,255,201,201,201,255,200,200,200,255,198,198,198,255,197,197,197,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,226,226,226,255,228,228,228,255,229,229,229,255,231,231,231,255,233,233,233,255,234,234,234,255,236,236,236,255,237,237,237,255,239,239,239,255,240,240,240,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,2,2,2,255,6,6,6,255,10,10,10,255,14,14,14,255,18,18,18,255,22,22,22,255,26,26,26,255,30,30,30,255,34,34,34,255,38,38,38,255,40,40,40,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,2,2,2,255,7,7,7,255,11,11,11,255,16,16,16,255,21,21,21,255,26,26,26,255,31,31,31,255,35,35,35,255,40,40,40,255,45,45,45,255,47,47,47,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,2,2,2,255,4,4,4,255,6,6,6,255,8,8,8,255,10,10,10,255,12,12,12,255,14,14,14,255,16,16,16,255,18,18,18,255,19,19,19,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,2,2,2,255,3,3,3,255,5,5,5,255,6,6,6,255,8,8,8,255,9,9,9,255,11,11,11,255,12,12,12,255,14,14,14,255,15,15,15,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,2,2,2,255,3,3,3,255,5,5,5,255,7,7,7,255,8,8,8,255,10,10,10,255,11,11,11,255,13,13,13,255,14,14,14,255,15,15,15,255,116,116,116,255,112,112,112,255,108,108,108,255,104,104,104,255,100,100,100,255,96,96,96,255,92,92,92,255,88,88,88,255,84,84,84,255,79,79,79,255,75,75,75,255,71,71,71,255,67,67,67,255,63,63,63,255,59,59,59,255,55,55,55,255,51,51,51,255,47,47,47,255,43,43,43,255,138,138,138,255,136,136,136,255,131,131,131,255,127,127,127,255,122,122,122,255,117,117,117,255,112,112,112,255,107,107,107,255,103,103,103,255,98,98,98,255,93,93,93,255,88,88,88,255,84,84,84,255,79,79,79,255,74,74,74,255,69,69,69,255,64,64,64,255,60,60,60,255,55,55,55,255,50,50,50,255,57,57,57,255,56,56,56,255,54,54,54,255,52,52,52,255,50,50,50,255,48,48,48,255,46,46,46,255,44,44,44,255,42,42,42,255,40,40,40,255,39,39,39,255,37,37,37,255,35,35,35,255,33,33,33,255,31,31,31,255,29,29,29,255,27,27,27,255,25,25,25,255,23,23,23,255,21,21,21,255,45,45,45,255,44,44,44,255,43,43,43,255,41,41,41,255,40,40,40,255,38,38,38,255,37,37,37,255,35,35,35,255,34,34,34,255,32,32,32,255,31,31,31,255,29,29,29,255,28,28,28,255,26,26,26,255,25,25,25,255,23,23,23,255,22,22,22,255,20,20,20,255,19,19,19,255,17,17,17,255,46,46,46,255,45,45,45,255,43,43,43,255,42,42,42,255,40,40,40,255,39,39,39,255,37,37,37,255,35,35,35,255,34,34,34,255,32,32,32,255,31,31,31,255,29,29,29,255,28,28,28,255,26,26,26,255,24,24,24,255,23,23,23,255,21,21,21,255,20,20,20,255,18,18,18,255,17,17,17,255,176,176,176,255,121,121,121,255,125,125,125,255,129,129,129,255,133,133,133,255,137,137,137,255,141,141,141,255,145,145,145,255,149,149,149,255,153,153,153,255,158,158,158,255,162,162,162,255,166,166,166,255,170,170,170,255,174,174,174,255,178,178,178,255,182,182,182,255,186,186,186,255,190,190,190,255,194,194,194,255,196,196,196,255,141,141,141,255,146,146,146,255,150,150,150,255,155,155,155,255,160,160,160,255,165,165,165,255,170,170,170,255,174,174,174,255,179,179,179,255,184,184,184,255,189,189,189,255,193,193,193,255,198,198,198,255,203,203,203,255,208,208,208,255,213,213,213,255,217,217,217,255,222,222,222,255,227,227,227,255,229,229,229,255,59,59,59,255,61,61,61,255,63,63,63,255,65,65,65,255,67,67,67,255,69,69,69,255,71,71,71,255,73,73,73,255,75,75,75,255,76,76,76,255,78,78,78,255,80,80,80,255,82,82,82,255,84,84,84,255,86,86,86,255,88,88,88,255,90,90,90,255,92,92,92,255,94,94,94,255,95,95,95,255,47,47,47,255,48,48,48,255,50,50,50,255,51,51,51,255,53,53,53,255,54,54,54,255,56,56,56,255,57,57,57,255,59,59,59,255,60,60,60,255,62,62,62,255,63,63,63,255,65,65,65,255,66,66,66,255,68,68,68,255,69,69,69,255,71,71,71,255,72,72,72,255,74,74,74,255,75,75,75,255,48,48,48,255,50,50,50,255,51,51,51,255,53,53,53,255,54,54,54,255,56,56,56,255,58,58,58,255,59,59,59,255,61,61,61,255,62,62,62,255,64,64,64,255,65,65,65,255,67,67,67,255,69,69,69,255,70,70,70,255,72,72,72,255,73,73,73,255,75,75,75,255,76,76,76,255,77,77,77,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,240,240,240,255,235,235,235,255,231,231,231,255,227,227,227,255,223,223,223,255,219,219,219,255,215,215,215,255,211,211,211,255,207,207,207,255,203,203,203,255,199,199,199,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,240,240,240,255,237,237,237,255,232,232,232,255,133,133,133,255,132,132,132,255,130,130,130,255,128,128,128,255,126,126,126,255,124,124,124,255,122,122,122,255,120,120,120,255,118,118,118,255,116,116,116,255,115,115,115,255,113,113,113,255,111,111,111,255,109,109,109,255,107,107,107,255,105,105,105,255,103,103,103,255,101,101,101,255,99,99,99,255,97,97,97,255,105,105,105,255,104,104,104,255,103,103,103,255,101,101,101,255,100,100,100,255,98,98,98,255,97,97,97,255,95,95,95,255,94,94,94,255,92,92,92,255,91,91,91,255,89,89,89,255,88,88,88,255,86,86,86,255,85,85,85,255,83,83,83,255,82,82,82,255,80,80,80,255,79,79,79,255,77,77,77,255,108,108,108,255,107,107,107,255,105,105,105,255,104,104,104,255,102,102,102,255,101,101,101,255,99,99,99,255,97,97,97,255,96,96,96,255,94,94,94,255,93,93,93,255,91,91,91,255,90,90,90,255,88,88,88,255,86,86,86,255,85,85,85,255,83,83,83,255,82,82,82,255,80,80,80,255,79,79,79,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,135,135,135,255,137,137,137,255,139,139,139,255,141,141,141,255,143,143,143,255,145,145,145,255,147,147,147,255,149,149,149,255,151,151,151,255,152,152,152,255,154,154,154,255,156,156,156,255,158,158,158,255,160,160,160,255,162,162,162,255,164,164,164,255,166,166,166,255,168,168,168,255,170,170,170,255,171,171,171,255,107,107,107,255,108,108,108,255,110,110,110,255,111,111,111,255,113,113,113,255,114,114,114,255,116,116,116,255,117,117,117,255,119,119,119,255,120,120,120,255,122,122,122,255,123,123,123,255,125,125,125,255,126,126,126,255,128,128,128,255,129,129,129,255,131,131,131,255,132,132,132,255,134,134,134,255,135,135,135,255,110,110,110,255,112,112,112,255,113,113,113,255,115,115,115,255,116,116,116,255,118,118,118,255,120,120,120,255,121,121,121,255,123,123,123,255,124,124,124,255,126,126,126,255,127,127,127,255,129,129,129,255,131,131,131,255,132,132,132,255,134,134,134,255,135,135,135,255,137,137,137,255,138,138,138,255,139,139,139,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,209,209,209,255,208,208,208,255,206,206,206,255,204,204,204,255,202,202,202,255,200,200,200,255,198,198,198,255,196,196,196,255,194,194,194,255,192,192,192,255,191,191,191,255,189,189,189,255,187,187,187,255,185,185,185,255,183,183,183,255,181,181,181,255,179,179,179,255,177,177,177,255,175,175,175,255,173,173,173,255,165,165,165,255,164,164,164,255,163,163,163,255,161,161,161,255,160,160,160,255,158,158,158,255,157,157,157,255,155,155,155,255,154,154,154,255,152,152,152,255,151,151,151,255,149,149,149,255,148,148,148,255,146,146,146,255,145,145,145,255,143,143,143,255,142,142,142,255,140,140,140,255,139,139,139,255,137,137,137,255,170,170,170,255,169,169,169,255,167,167,167,255,166,166,166,255,164,164,164,255,163,163,163,255,161,161,161,255,159,159,159,255,158,158,158,255,156,156,156,255,155,155,155,255,153,153,153,255,152,152,152,255,150,150,150,255,148,148,148,255,147,147,147,255,145,145,145,255,144,144,144,255,142,142,142,255,141,141,141,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,211,211,211,255,213,213,213,255,215,215,215,255,217,217,217,255,219,219,219,255,221,221,221,255,223,223,223,255,225,225,225,255,227,227,227,255,228,228,228,255,230,230,230,255,232,232,232,255,234,234,234,255,236,236,236,255,238,238,238,255,240,240,240,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,167,167,167,255,168,168,168,255,170,170,170,255,171,171,171,255,173,173,173,255,174,174,174,255,176,176,176,255,177,177,177,255,179,179,179,255,180,180,180,255,182,182,182,255,183,183,183,255,185,185,185,255,186,186,186,255,188,188,188,255,189,189,189,255,191,191,191,255,192,192,192,255,194,194,194,255,195,195,195,255,172,172,172,255,174,174,174,255,175,175,175,255,177,177,177,255,178,178,178,255,180,180,180,255,182,182,182,255,183,183,183,255,185,185,185,255,186,186,186,255,188,188,188,255,189,189,189,255,191,191,191,255,193,193,193,255,194,194,194,255,196,196,196,255,197,197,197,255,199,199,199,255,200,200,200,255,201,201,201,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,225,225,225,255,224,224,224,255,223,223,223,255,221,221,221,255,220,220,220,255,218,218,218,255,217,217,217,255,215,215,215,255,214,214,214,255,212,212,212,255,211,211,211,255,209,209,209,255,208,208,208,255,206,206,206,255,205,205,205,255,203,203,203,255,202,202,202,255,200,200,200,255,199,199,199,255,197,197,197,255,232,232,232,255,231,231,231,255,229,229,229,255,228,228,228,255,226,226,226,255,225,225,225,255,223,223,223,255,221,221,221,255,220,220,220,255,218,218,218,255,217,217,217,255,215,215,215,255,214,214,214,255,212,212,212,255,210,210,210,255,209,209,209,255,207,207,207,255,206,206,206,255,204,204,204,255,203,203,203,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,227,227,227,255,228,228,228,255,230,230,230,255,231,231,231,255,233,233,233,255,234,234,234,255,236,236,236,255,237,237,237,255,239,239,239,255,240,240,240,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,233,233,233,255,234,234,234,255,236,236,236,255,237,237,237,255,239,239,239,255,240,240,240,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255
+//[100,100]176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,2,2,2,255,4,4,4,255,5,5,5,255,7,7,7,255,9,9,9,255,10,10,10,255,12,12,12,255,14,14,14,255,15,15,15,255,16,16,16,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,1,1,1,255,3,3,3,255,4,4,4,255,5,5,5,255,7,7,7,255,8,8,8,255,9,9,9,255,11,11,11,255,12,12,12,255,13,13,13,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,2,2,2,255,3,3,3,255,4,4,4,255,6,6,6,255,7,7,7,255,8,8,8,255,10,10,10,255,11,11,11,255,13,13,13,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,2,2,2,255,4,4,4,255,6,6,6,255,7,7,7,255,9,9,9,255,11,11,11,255,13,13,13,255,14,14,14,255,16,16,16,255,17,17,17,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,2,2,2,255,3,3,3,255,4,4,4,255,6,6,6,255,7,7,7,255,8,8,8,255,10,10,10,255,11,11,11,255,12,12,12,255,13,13,13,255,48,48,48,255,46,46,46,255,44,44,44,255,43,43,43,255,41,41,41,255,39,39,39,255,38,38,38,255,36,36,36,255,34,34,34,255,33,33,33,255,31,31,31,255,29,29,29,255,28,28,28,255,26,26,26,255,24,24,24,255,23,23,23,255,21,21,21,255,19,19,19,255,18,18,18,255,176,176,176,255,39,39,39,255,37,37,37,255,36,36,36,255,35,35,35,255,33,33,33,255,32,32,32,255,31,31,31,255,29,29,29,255,28,28,28,255,27,27,27,255,26,26,26,255,24,24,24,255,23,23,23,255,22,22,22,255,20,20,20,255,19,19,19,255,18,18,18,255,16,16,16,255,15,15,15,255,40,40,40,255,39,39,39,255,38,38,38,255,36,36,36,255,35,35,35,255,34,34,34,255,32,32,32,255,31,31,31,255,30,30,30,255,28,28,28,255,27,27,27,255,25,25,25,255,24,24,24,255,23,23,23,255,21,21,21,255,20,20,20,255,19,19,19,255,17,17,17,255,16,16,16,255,14,14,14,255,51,51,51,255,50,50,50,255,49,49,49,255,47,47,47,255,45,45,45,255,43,43,43,255,42,42,42,255,40,40,40,255,38,38,38,255,36,36,36,255,35,35,35,255,33,33,33,255,31,31,31,255,29,29,29,255,28,28,28,255,26,26,26,255,24,24,24,255,22,22,22,255,21,21,21,255,19,19,19,255,40,40,40,255,39,39,39,255,38,38,38,255,36,36,36,255,35,35,35,255,34,34,34,255,32,32,32,255,31,31,31,255,30,30,30,255,28,28,28,255,27,27,27,255,25,25,25,255,24,24,24,255,23,23,23,255,21,21,21,255,20,20,20,255,19,19,19,255,17,17,17,255,16,16,16,255,15,15,15,255,176,176,176,255,51,51,51,255,53,53,53,255,55,55,55,255,56,56,56,255,58,58,58,255,60,60,60,255,61,61,61,255,63,63,63,255,65,65,65,255,66,66,66,255,68,68,68,255,70,70,70,255,71,71,71,255,73,73,73,255,75,75,75,255,76,76,76,255,78,78,78,255,80,80,80,255,81,81,81,255,82,82,82,255,40,40,40,255,42,42,42,255,43,43,43,255,44,44,44,255,46,46,46,255,47,47,47,255,48,48,48,255,50,50,50,255,51,51,51,255,52,52,52,255,53,53,53,255,55,55,55,255,56,56,56,255,57,57,57,255,59,59,59,255,60,60,60,255,61,61,61,255,63,63,63,255,64,64,64,255,65,65,65,255,42,42,42,255,43,43,43,255,45,45,45,255,46,46,46,255,47,47,47,255,49,49,49,255,50,50,50,255,51,51,51,255,53,53,53,255,54,54,54,255,56,56,56,255,57,57,57,255,58,58,58,255,60,60,60,255,61,61,61,255,62,62,62,255,64,64,64,255,65,65,65,255,67,67,67,255,176,176,176,255,53,53,53,255,54,54,54,255,56,56,56,255,58,58,58,255,60,60,60,255,61,61,61,255,63,63,63,255,65,65,65,255,67,67,67,255,68,68,68,255,70,70,70,255,72,72,72,255,74,74,74,255,75,75,75,255,77,77,77,255,79,79,79,255,81,81,81,255,82,82,82,255,84,84,84,255,85,85,85,255,42,42,42,255,43,43,43,255,45,45,45,255,46,46,46,255,47,47,47,255,49,49,49,255,50,50,50,255,51,51,51,255,53,53,53,255,54,54,54,255,56,56,56,255,57,57,57,255,58,58,58,255,60,60,60,255,61,61,61,255,62,62,62,255,64,64,64,255,65,65,65,255,66,66,66,255,67,67,67,255,114,114,114,255,112,112,112,255,110,110,110,255,109,109,109,255,107,107,107,255,105,105,105,255,104,104,104,255,102,102,102,255,100,100,100,255,99,99,99,255,97,97,97,255,95,95,95,255,94,94,94,255,92,92,92,255,90,90,90,255,89,89,89,255,87,87,87,255,85,85,85,255,84,84,84,255,176,176,176,255,91,91,91,255,89,89,89,255,88,88,88,255,87,87,87,255,85,85,85,255,84,84,84,255,83,83,83,255,81,81,81,255,80,80,80,255,79,79,79,255,78,78,78,255,76,76,76,255,75,75,75,255,74,74,74,255,72,72,72,255,71,71,71,255,70,70,70,255,68,68,68,255,67,67,67,255,94,94,94,255,93,93,93,255,92,92,92,255,90,90,90,255,89,89,89,255,88,88,88,255,86,86,86,255,85,85,85,255,84,84,84,255,82,82,82,255,81,81,81,255,79,79,79,255,78,78,78,255,77,77,77,255,75,75,75,255,74,74,74,255,73,73,73,255,71,71,71,255,70,70,70,255,68,68,68,255,119,119,119,255,118,118,118,255,117,117,117,255,115,115,115,255,113,113,113,255,111,111,111,255,110,110,110,255,108,108,108,255,106,106,106,255,104,104,104,255,103,103,103,255,101,101,101,255,99,99,99,255,97,97,97,255,96,96,96,255,94,94,94,255,92,92,92,255,90,90,90,255,89,89,89,255,87,87,87,255,94,94,94,255,93,93,93,255,92,92,92,255,90,90,90,255,89,89,89,255,88,88,88,255,86,86,86,255,85,85,85,255,84,84,84,255,82,82,82,255,81,81,81,255,79,79,79,255,78,78,78,255,77,77,77,255,75,75,75,255,74,74,74,255,73,73,73,255,71,71,71,255,70,70,70,255,69,69,69,255,176,176,176,255,117,117,117,255,119,119,119,255,121,121,121,255,122,122,122,255,124,124,124,255,126,126,126,255,127,127,127,255,129,129,129,255,131,131,131,255,132,132,132,255,134,134,134,255,136,136,136,255,137,137,137,255,139,139,139,255,141,141,141,255,142,142,142,255,144,144,144,255,146,146,146,255,147,147,147,255,148,148,148,255,92,92,92,255,94,94,94,255,95,95,95,255,96,96,96,255,98,98,98,255,99,99,99,255,100,100,100,255,102,102,102,255,103,103,103,255,104,104,104,255,105,105,105,255,107,107,107,255,108,108,108,255,109,109,109,255,111,111,111,255,112,112,112,255,113,113,113,255,115,115,115,255,116,116,116,255,117,117,117,255,96,96,96,255,97,97,97,255,99,99,99,255,100,100,100,255,101,101,101,255,103,103,103,255,104,104,104,255,105,105,105,255,107,107,107,255,108,108,108,255,110,110,110,255,111,111,111,255,112,112,112,255,114,114,114,255,115,115,115,255,116,116,116,255,118,118,118,255,119,119,119,255,121,121,121,255,176,176,176,255,121,121,121,255,122,122,122,255,124,124,124,255,126,126,126,255,128,128,128,255,129,129,129,255,131,131,131,255,133,133,133,255,135,135,135,255,136,136,136,255,138,138,138,255,140,140,140,255,142,142,142,255,143,143,143,255,145,145,145,255,147,147,147,255,149,149,149,255,150,150,150,255,152,152,152,255,153,153,153,255,96,96,96,255,97,97,97,255,99,99,99,255,100,100,100,255,101,101,101,255,103,103,103,255,104,104,104,255,105,105,105,255,107,107,107,255,108,108,108,255,110,110,110,255,111,111,111,255,112,112,112,255,114,114,114,255,115,115,115,255,116,116,116,255,118,118,118,255,119,119,119,255,120,120,120,255,121,121,121,255,180,180,180,255,178,178,178,255,176,176,176,255,175,175,175,255,173,173,173,255,171,171,171,255,170,170,170,255,168,168,168,255,166,166,166,255,165,165,165,255,163,163,163,255,161,161,161,255,160,160,160,255,158,158,158,255,156,156,156,255,155,155,155,255,153,153,153,255,151,151,151,255,150,150,150,255,176,176,176,255,143,143,143,255,141,141,141,255,140,140,140,255,139,139,139,255,137,137,137,255,136,136,136,255,135,135,135,255,133,133,133,255,132,132,132,255,131,131,131,255,130,130,130,255,128,128,128,255,127,127,127,255,126,126,126,255,124,124,124,255,123,123,123,255,122,122,122,255,120,120,120,255,119,119,119,255,148,148,148,255,147,147,147,255,146,146,146,255,144,144,144,255,143,143,143,255,142,142,142,255,140,140,140,255,139,139,139,255,138,138,138,255,136,136,136,255,135,135,135,255,133,133,133,255,132,132,132,255,131,131,131,255,129,129,129,255,128,128,128,255,127,127,127,255,125,125,125,255,124,124,124,255,122,122,122,255,187,187,187,255,186,186,186,255,185,185,185,255,183,183,183,255,181,181,181,255,179,179,179,255,178,178,178,255,176,176,176,255,174,174,174,255,172,172,172,255,171,171,171,255,169,169,169,255,167,167,167,255,165,165,165,255,164,164,164,255,162,162,162,255,160,160,160,255,158,158,158,255,157,157,157,255,155,155,155,255,148,148,148,255,147,147,147,255,146,146,146,255,144,144,144,255,143,143,143,255,142,142,142,255,140,140,140,255,139,139,139,255,138,138,138,255,136,136,136,255,135,135,135,255,133,133,133,255,132,132,132,255,131,131,131,255,129,129,129,255,128,128,128,255,127,127,127,255,125,125,125,255,124,124,124,255,123,123,123,255,176,176,176,255,183,183,183,255,185,185,185,255,187,187,187,255,188,188,188,255,190,190,190,255,192,192,192,255,193,193,193,255,195,195,195,255,197,197,197,255,198,198,198,255,200,200,200,255,202,202,202,255,203,203,203,255,205,205,205,255,207,207,207,255,208,208,208,255,210,210,210,255,212,212,212,255,213,213,213,255,214,214,214,255,144,144,144,255,146,146,146,255,147,147,147,255,148,148,148,255,150,150,150,255,151,151,151,255,152,152,152,255,154,154,154,255,155,155,155,255,156,156,156,255,157,157,157,255,159,159,159,255,160,160,160,255,161,161,161,255,163,163,163,255,164,164,164,255,165,165,165,255,167,167,167,255,168,168,168,255,169,169,169,255,150,150,150,255,151,151,151,255,153,153,153,255,154,154,154,255,155,155,155,255,157,157,157,255,158,158,158,255,159,159,159,255,161,161,161,255,162,162,162,255,164,164,164,255,165,165,165,255,166,166,166,255,168,168,168,255,169,169,169,255,170,170,170,255,172,172,172,255,173,173,173,255,175,175,175,255,176,176,176,255,189,189,189,255,190,190,190,255,192,192,192,255,194,194,194,255,196,196,196,255,197,197,197,255,199,199,199,255,201,201,201,255,203,203,203,255,204,204,204,255,206,206,206,255,208,208,208,255,210,210,210,255,211,211,211,255,213,213,213,255,215,215,215,255,217,217,217,255,218,218,218,255,220,220,220,255,221,221,221,255,150,150,150,255,151,151,151,255,153,153,153,255,154,154,154,255,155,155,155,255,157,157,157,255,158,158,158,255,159,159,159,255,161,161,161,255,162,162,162,255,164,164,164,255,165,165,165,255,166,166,166,255,168,168,168,255,169,169,169,255,170,170,170,255,172,172,172,255,173,173,173,255,174,174,174,255,175,175,175,255,176,176,176,255,176,176,176,255,176,176,176,255,240,240,240,255,239,239,239,255,237,237,237,255,236,236,236,255,234,234,234,255,232,232,232,255,231,231,231,255,229,229,229,255,227,227,227,255,226,226,226,255,224,224,224,255,222,222,222,255,221,221,221,255,219,219,219,255,217,217,217,255,216,216,216,255,176,176,176,255,195,195,195,255,193,193,193,255,192,192,192,255,191,191,191,255,189,189,189,255,188,188,188,255,187,187,187,255,185,185,185,255,184,184,184,255,183,183,183,255,182,182,182,255,180,180,180,255,179,179,179,255,178,178,178,255,176,176,176,255,175,175,175,255,174,174,174,255,172,172,172,255,171,171,171,255,202,202,202,255,201,201,201,255,200,200,200,255,198,198,198,255,197,197,197,255,196,196,196,255,194,194,194,255,193,193,193,255,192,192,192,255,190,190,190,255,189,189,189,255,187,187,187,255,186,186,186,255,185,185,185,255,183,183,183,255,182,182,182,255,181,181,181,255,179,179,179,255,178,178,178,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,240,240,240,255,239,239,239,255,237,237,237,255,235,235,235,255,233,233,233,255,232,232,232,255,230,230,230,255,228,228,228,255,226,226,226,255,225,225,225,255,223,223,223,255,202,202,202,255,201,201,201,255,200,200,200,255,198,198,198,255,197,197,197,255,196,196,196,255,194,194,194,255,193,193,193,255,192,192,192,255,190,190,190,255,189,189,189,255,187,187,187,255,186,186,186,255,185,185,185,255,183,183,183,255,182,182,182,255,181,181,181,255,179,179,179,255,178,178,178,255,177,177,177,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,196,196,196,255,198,198,198,255,199,199,199,255,200,200,200,255,202,202,202,255,203,203,203,255,204,204,204,255,206,206,206,255,207,207,207,255,208,208,208,255,209,209,209,255,211,211,211,255,212,212,212,255,213,213,213,255,215,215,215,255,216,216,216,255,217,217,217,255,219,219,219,255,220,220,220,255,221,221,221,255,204,204,204,255,205,205,205,255,207,207,207,255,208,208,208,255,209,209,209,255,211,211,211,255,212,212,212,255,213,213,213,255,215,215,215,255,216,216,216,255,218,218,218,255,219,219,219,255,220,220,220,255,222,222,222,255,223,223,223,255,224,224,224,255,226,226,226,255,227,227,227,255,229,229,229,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,203,203,203,255,204,204,204,255,205,205,205,255,207,207,207,255,208,208,208,255,209,209,209,255,211,211,211,255,212,212,212,255,213,213,213,255,215,215,215,255,216,216,216,255,218,218,218,255,219,219,219,255,220,220,220,255,222,222,222,255,223,223,223,255,224,224,224,255,226,226,226,255,227,227,227,255,228,228,228,255,229,229,229,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,240,240,240,255,239,239,239,255,237,237,237,255,236,236,236,255,235,235,235,255,234,234,234,255,232,232,232,255,231,231,231,255,230,230,230,255,228,228,228,255,227,227,227,255,226,226,226,255,224,224,224,255,223,223,223,255,222,222,222,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,240,240,240,255,239,239,239,255,237,237,237,255,236,236,236,255,235,235,235,255,233,233,233,255,232,232,232,255,230,230,230,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,240,240,240,255,239,239,239,255,237,237,237,255,236,236,236,255,235,235,235,255,233,233,233,255,232,232,232,255,231,231,231,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,5,5,5,255,16,16,16,255,27,27,27,255,38,38,38,255,49,49,49,255,60,60,60,255,71,71,71,255,82,82,82,255,93,93,93,255,104,104,104,255,109,109,109,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,1,1,1,255,5,5,5,255,9,9,9,255,13,13,13,255,17,17,17,255,21,21,21,255,25,25,25,255,29,29,29,255,32,32,32,255,36,36,36,255,38,38,38,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,1,1,1,255,3,3,3,255,6,6,6,255,9,9,9,255,11,11,11,255,14,14,14,255,16,16,16,255,19,19,19,255,21,21,21,255,24,24,24,255,25,25,25,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,1,1,1,255,3,3,3,255,6,6,6,255,8,8,8,255,11,11,11,255,13,13,13,255,16,16,16,255,18,18,18,255,21,21,21,255,23,23,23,255,25,25,25,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,3,3,3,255,9,9,9,255,15,15,15,255,21,21,21,255,27,27,27,255,33,33,33,255,39,39,39,255,45,45,45,255,51,51,51,255,57,57,57,255,60,60,60,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,240,240,240,255,236,236,236,255,225,225,225,255,214,214,214,255,203,203,203,255,192,192,192,255,181,181,181,255,170,170,170,255,159,159,159,255,148,148,148,255,137,137,137,255,126,126,126,255,115,115,115,255,112,112,112,255,110,110,110,255,107,107,107,255,103,103,103,255,99,99,99,255,95,95,95,255,91,91,91,255,87,87,87,255,83,83,83,255,79,79,79,255,76,76,76,255,72,72,72,255,68,68,68,255,64,64,64,255,60,60,60,255,56,56,56,255,52,52,52,255,48,48,48,255,45,45,45,255,41,41,41,255,75,75,75,255,73,73,73,255,71,71,71,255,68,68,68,255,66,66,66,255,63,63,63,255,61,61,61,255,58,58,58,255,55,55,55,255,53,53,53,255,50,50,50,255,48,48,48,255,45,45,45,255,42,42,42,255,40,40,40,255,37,37,37,255,35,35,35,255,32,32,32,255,30,30,30,255,27,27,27,255,74,74,74,255,73,73,73,255,70,70,70,255,68,68,68,255,65,65,65,255,63,63,63,255,60,60,60,255,58,58,58,255,55,55,55,255,53,53,53,255,50,50,50,255,48,48,48,255,45,45,45,255,43,43,43,255,40,40,40,255,38,38,38,255,35,35,35,255,33,33,33,255,30,30,30,255,28,28,28,255,176,176,176,255,173,173,173,255,167,167,167,255,161,161,161,255,155,155,155,255,149,149,149,255,143,143,143,255,137,137,137,255,131,131,131,255,125,125,125,255,118,118,118,255,112,112,112,255,106,106,106,255,100,100,100,255,94,94,94,255,88,88,88,255,82,82,82,255,76,76,76,255,70,70,70,255,64,64,64,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,115,115,115,255,118,118,118,255,122,122,122,255,126,126,126,255,130,130,130,255,134,134,134,255,138,138,138,255,142,142,142,255,146,146,146,255,149,149,149,255,153,153,153,255,157,157,157,255,161,161,161,255,165,165,165,255,169,169,169,255,173,173,173,255,177,177,177,255,180,180,180,255,184,184,184,255,186,186,186,255,78,78,78,255,80,80,80,255,83,83,83,255,85,85,85,255,88,88,88,255,90,90,90,255,93,93,93,255,96,96,96,255,98,98,98,255,101,101,101,255,103,103,103,255,106,106,106,255,109,109,109,255,111,111,111,255,114,114,114,255,116,116,116,255,119,119,119,255,121,121,121,255,124,124,124,255,125,125,125,255,76,76,76,255,79,79,79,255,81,81,81,255,84,84,84,255,86,86,86,255,89,89,89,255,91,91,91,255,94,94,94,255,96,96,96,255,99,99,99,255,101,101,101,255,104,104,104,255,106,106,106,255,109,109,109,255,111,111,111,255,114,114,114,255,116,116,116,255,119,119,119,255,121,121,121,255,123,123,123,255,180,180,180,255,186,186,186,255,192,192,192,255,198,198,198,255,204,204,204,255,210,210,210,255,216,216,216,255,222,222,222,255,228,228,228,255,235,235,235,255,240,240,240,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,240,240,240,255,239,239,239,255,235,235,235,255,231,231,231,255,227,227,227,255,224,224,224,255,220,220,220,255,216,216,216,255,212,212,212,255,208,208,208,255,204,204,204,255,200,200,200,255,196,196,196,255,193,193,193,255,189,189,189,255,175,175,175,255,173,173,173,255,171,171,171,255,168,168,168,255,166,166,166,255,163,163,163,255,161,161,161,255,158,158,158,255,155,155,155,255,153,153,153,255,150,150,150,255,148,148,148,255,145,145,145,255,142,142,142,255,140,140,140,255,137,137,137,255,135,135,135,255,132,132,132,255,130,130,130,255,127,127,127,255,172,172,172,255,171,171,171,255,168,168,168,255,166,166,166,255,163,163,163,255,161,161,161,255,158,158,158,255,156,156,156,255,153,153,153,255,151,151,151,255,148,148,148,255,146,146,146,255,143,143,143,255,141,141,141,255,138,138,138,255,136,136,136,255,133,133,133,255,131,131,131,255,128,128,128,255,126,126,126,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,178,178,178,255,180,180,180,255,183,183,183,255,185,185,185,255,188,188,188,255,190,190,190,255,193,193,193,255,196,196,196,255,198,198,198,255,201,201,201,255,203,203,203,255,206,206,206,255,209,209,209,255,211,211,211,255,214,214,214,255,216,216,216,255,219,219,219,255,221,221,221,255,224,224,224,255,225,225,225,255,174,174,174,255,177,177,177,255,179,179,179,255,182,182,182,255,184,184,184,255,187,187,187,255,189,189,189,255,192,192,192,255,194,194,194,255,197,197,197,255,199,199,199,255,202,202,202,255,204,204,204,255,207,207,207,255,209,209,209,255,212,212,212,255,214,214,214,255,217,217,217,255,219,219,219,255,221,221,221,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,240,240,240,255,237,237,237,255,235,235,235,255,232,232,232,255,230,230,230,255,227,227,227,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,240,240,240,255,239,239,239,255,236,236,236,255,234,234,234,255,231,231,231,255,229,229,229,255,226,226,226,255,224,224,224,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,2,2,2,255,4,4,4,255,6,6,6,255,8,8,8,255,9,9,9,255,11,11,11,255,13,13,13,255,15,15,15,255,16,16,16,255,17,17,17,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,2,2,2,255,4,4,4,255,6,6,6,255,7,7,7,255,9,9,9,255,11,11,11,255,12,12,12,255,14,14,14,255,16,16,16,255,17,17,17,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,1,1,1,255,4,4,4,255,7,7,7,255,10,10,10,255,13,13,13,255,16,16,16,255,19,19,19,255,22,22,22,255,26,26,26,255,29,29,29,255,30,30,30,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,2,2,2,255,4,4,4,255,5,5,5,255,7,7,7,255,8,8,8,255,10,10,10,255,12,12,12,255,13,13,13,255,15,15,15,255,16,16,16,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,1,1,1,255,3,3,3,255,6,6,6,255,9,9,9,255,11,11,11,255,14,14,14,255,17,17,17,255,19,19,19,255,22,22,22,255,25,25,25,255,26,26,26,255,51,51,51,255,49,49,49,255,47,47,47,255,45,45,45,255,44,44,44,255,42,42,42,255,40,40,40,255,38,38,38,255,36,36,36,255,35,35,35,255,33,33,33,255,31,31,31,255,29,29,29,255,27,27,27,255,26,26,26,255,24,24,24,255,22,22,22,255,20,20,20,255,19,19,19,255,51,51,51,255,50,50,50,255,48,48,48,255,47,47,47,255,45,45,45,255,43,43,43,255,42,42,42,255,40,40,40,255,38,38,38,255,36,36,36,255,35,35,35,255,33,33,33,255,31,31,31,255,29,29,29,255,28,28,28,255,26,26,26,255,24,24,24,255,23,23,23,255,21,21,21,255,19,19,19,255,89,89,89,255,88,88,88,255,84,84,84,255,81,81,81,255,78,78,78,255,75,75,75,255,72,72,72,255,69,69,69,255,66,66,66,255,63,63,63,255,60,60,60,255,57,57,57,255,54,54,54,255,51,51,51,255,48,48,48,255,45,45,45,255,42,42,42,255,39,39,39,255,35,35,35,255,32,32,32,255,48,48,48,255,47,47,47,255,46,46,46,255,44,44,44,255,42,42,42,255,41,41,41,255,39,39,39,255,38,38,38,255,36,36,36,255,34,34,34,255,33,33,33,255,31,31,31,255,29,29,29,255,28,28,28,255,26,26,26,255,25,25,25,255,23,23,23,255,21,21,21,255,20,20,20,255,18,18,18,255,77,77,77,255,76,76,76,255,73,73,73,255,71,71,71,255,68,68,68,255,65,65,65,255,63,63,63,255,60,60,60,255,57,57,57,255,55,55,55,255,52,52,52,255,50,50,50,255,47,47,47,255,44,44,44,255,42,42,42,255,39,39,39,255,36,36,36,255,34,34,34,255,31,31,31,255,28,28,28,255,176,176,176,255,54,54,54,255,56,56,56,255,58,58,58,255,60,60,60,255,61,61,61,255,63,63,63,255,65,65,65,255,67,67,67,255,69,69,69,255,70,70,70,255,72,72,72,255,74,74,74,255,76,76,76,255,78,78,78,255,79,79,79,255,81,81,81,255,83,83,83,255,85,85,85,255,86,86,86,255,87,87,87,255,53,53,53,255,55,55,55,255,56,56,56,255,58,58,58,255,60,60,60,255,61,61,61,255,63,63,63,255,65,65,65,255,67,67,67,255,68,68,68,255,70,70,70,255,72,72,72,255,74,74,74,255,75,75,75,255,77,77,77,255,79,79,79,255,80,80,80,255,82,82,82,255,84,84,84,255,85,85,85,255,91,91,91,255,95,95,95,255,98,98,98,255,101,101,101,255,104,104,104,255,107,107,107,255,110,110,110,255,113,113,113,255,116,116,116,255,119,119,119,255,122,122,122,255,125,125,125,255,128,128,128,255,131,131,131,255,134,134,134,255,137,137,137,255,140,140,140,255,144,144,144,255,147,147,147,255,148,148,148,255,50,50,50,255,51,51,51,255,53,53,53,255,55,55,55,255,56,56,56,255,58,58,58,255,59,59,59,255,61,61,61,255,63,63,63,255,64,64,64,255,66,66,66,255,68,68,68,255,69,69,69,255,71,71,71,255,72,72,72,255,74,74,74,255,76,76,76,255,77,77,77,255,79,79,79,255,80,80,80,255,79,79,79,255,82,82,82,255,84,84,84,255,87,87,87,255,90,90,90,255,92,92,92,255,95,95,95,255,98,98,98,255,100,100,100,255,103,103,103,255,105,105,105,255,108,108,108,255,111,111,111,255,113,113,113,255,116,116,116,255,119,119,119,255,121,121,121,255,124,124,124,255,127,127,127,255,128,128,128,255,121,121,121,255,119,119,119,255,117,117,117,255,115,115,115,255,114,114,114,255,112,112,112,255,110,110,110,255,108,108,108,255,106,106,106,255,105,105,105,255,103,103,103,255,101,101,101,255,99,99,99,255,97,97,97,255,96,96,96,255,94,94,94,255,92,92,92,255,90,90,90,255,89,89,89,255,119,119,119,255,118,118,118,255,116,116,116,255,115,115,115,255,113,113,113,255,111,111,111,255,110,110,110,255,108,108,108,255,106,106,106,255,104,104,104,255,103,103,103,255,101,101,101,255,99,99,99,255,97,97,97,255,96,96,96,255,94,94,94,255,92,92,92,255,91,91,91,255,89,89,89,255,87,87,87,255,207,207,207,255,206,206,206,255,202,202,202,255,199,199,199,255,196,196,196,255,193,193,193,255,190,190,190,255,187,187,187,255,184,184,184,255,181,181,181,255,178,178,178,255,175,175,175,255,172,172,172,255,169,169,169,255,166,166,166,255,163,163,163,255,160,160,160,255,157,157,157,255,153,153,153,255,150,150,150,255,112,112,112,255,111,111,111,255,110,110,110,255,108,108,108,255,106,106,106,255,105,105,105,255,103,103,103,255,102,102,102,255,100,100,100,255,98,98,98,255,97,97,97,255,95,95,95,255,93,93,93,255,92,92,92,255,90,90,90,255,89,89,89,255,87,87,87,255,85,85,85,255,84,84,84,255,82,82,82,255,179,179,179,255,178,178,178,255,175,175,175,255,173,173,173,255,170,170,170,255,167,167,167,255,165,165,165,255,162,162,162,255,159,159,159,255,157,157,157,255,154,154,154,255,152,152,152,255,149,149,149,255,146,146,146,255,144,144,144,255,141,141,141,255,138,138,138,255,136,136,136,255,133,133,133,255,130,130,130,255,176,176,176,255,124,124,124,255,126,126,126,255,128,128,128,255,130,130,130,255,131,131,131,255,133,133,133,255,135,135,135,255,137,137,137,255,139,139,139,255,140,140,140,255,142,142,142,255,144,144,144,255,146,146,146,255,148,148,148,255,149,149,149,255,151,151,151,255,153,153,153,255,155,155,155,255,156,156,156,255,157,157,157,255,121,121,121,255,123,123,123,255,124,124,124,255,126,126,126,255,128,128,128,255,129,129,129,255,131,131,131,255,133,133,133,255,135,135,135,255,136,136,136,255,138,138,138,255,140,140,140,255,142,142,142,255,143,143,143,255,145,145,145,255,147,147,147,255,148,148,148,255,150,150,150,255,152,152,152,255,153,153,153,255,209,209,209,255,213,213,213,255,216,216,216,255,219,219,219,255,222,222,222,255,225,225,225,255,228,228,228,255,231,231,231,255,234,234,234,255,237,237,237,255,240,240,240,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,114,114,114,255,115,115,115,255,117,117,117,255,119,119,119,255,120,120,120,255,122,122,122,255,123,123,123,255,125,125,125,255,127,127,127,255,128,128,128,255,130,130,130,255,132,132,132,255,133,133,133,255,135,135,135,255,136,136,136,255,138,138,138,255,140,140,140,255,141,141,141,255,143,143,143,255,144,144,144,255,181,181,181,255,184,184,184,255,186,186,186,255,189,189,189,255,192,192,192,255,194,194,194,255,197,197,197,255,200,200,200,255,202,202,202,255,205,205,205,255,207,207,207,255,210,210,210,255,213,213,213,255,215,215,215,255,218,218,218,255,221,221,221,255,223,223,223,255,226,226,226,255,229,229,229,255,230,230,230,255,191,191,191,255,189,189,189,255,187,187,187,255,185,185,185,255,184,184,184,255,182,182,182,255,180,180,180,255,178,178,178,255,176,176,176,255,175,175,175,255,173,173,173,255,171,171,171,255,169,169,169,255,167,167,167,255,166,166,166,255,164,164,164,255,162,162,162,255,160,160,160,255,159,159,159,255,187,187,187,255,186,186,186,255,184,184,184,255,183,183,183,255,181,181,181,255,179,179,179,255,178,178,178,255,176,176,176,255,174,174,174,255,172,172,172,255,171,171,171,255,169,169,169,255,167,167,167,255,165,165,165,255,164,164,164,255,162,162,162,255,160,160,160,255,159,159,159,255,157,157,157,255,155,155,155,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,175,175,175,255,174,174,174,255,172,172,172,255,170,170,170,255,169,169,169,255,167,167,167,255,166,166,166,255,164,164,164,255,162,162,162,255,161,161,161,255,159,159,159,255,157,157,157,255,156,156,156,255,154,154,154,255,153,153,153,255,151,151,151,255,149,149,149,255,148,148,148,255,146,146,146,255,145,145,145,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,240,240,240,255,238,238,238,255,235,235,235,255,232,232,232,255,176,176,176,255,194,194,194,255,196,196,196,255,198,198,198,255,200,200,200,255,201,201,201,255,203,203,203,255,205,205,205,255,207,207,207,255,209,209,209,255,210,210,210,255,212,212,212,255,214,214,214,255,216,216,216,255,218,218,218,255,219,219,219,255,221,221,221,255,223,223,223,255,225,225,225,255,226,226,226,255,227,227,227,255,189,189,189,255,191,191,191,255,192,192,192,255,194,194,194,255,196,196,196,255,197,197,197,255,199,199,199,255,201,201,201,255,203,203,203,255,204,204,204,255,206,206,206,255,208,208,208,255,210,210,210,255,211,211,211,255,213,213,213,255,215,215,215,255,216,216,216,255,218,218,218,255,220,220,220,255,221,221,221,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,178,178,178,255,179,179,179,255,181,181,181,255,183,183,183,255,184,184,184,255,186,186,186,255,187,187,187,255,189,189,189,255,191,191,191,255,192,192,192,255,194,194,194,255,196,196,196,255,197,197,197,255,199,199,199,255,200,200,200,255,202,202,202,255,204,204,204,255,205,205,205,255,207,207,207,255,208,208,208,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,240,240,240,255,239,239,239,255,237,237,237,255,236,236,236,255,234,234,234,255,232,232,232,255,230,230,230,255,229,229,229,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,240,240,240,255,239,239,239,255,237,237,237,255,235,235,235,255,233,233,233,255,232,232,232,255,230,230,230,255,228,228,228,255,227,227,227,255,225,225,225,255,223,223,223,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,240,240,240,255,239,239,239,255,238,238,238,255,236,236,236,255,234,234,234,255,233,233,233,255,231,231,231,255,230,230,230,255,228,228,228,255,226,226,226,255,225,225,225,255,223,223,223,255,221,221,221,255,220,220,220,255,218,218,218,255,217,217,217,255,215,215,215,255,213,213,213,255,212,212,212,255,210,210,210,255,209,209,209,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,5,5,5,255,17,17,17,255,29,29,29,255,40,40,40,255,52,52,52,255,63,63,63,255,75,75,75,255,87,87,87,255,98,98,98,255,110,110,110,255,116,116,116,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,2,2,2,255,4,4,4,255,6,6,6,255,8,8,8,255,10,10,10,255,11,11,11,255,13,13,13,255,15,15,15,255,17,17,17,255,18,18,18,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,1,1,1,255,4,4,4,255,7,7,7,255,10,10,10,255,13,13,13,255,16,16,16,255,19,19,19,255,22,22,22,255,25,25,25,255,28,28,28,255,29,29,29,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,2,2,2,255,3,3,3,255,5,5,5,255,7,7,7,255,8,8,8,255,10,10,10,255,11,11,11,255,13,13,13,255,14,14,14,255,15,15,15,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,1,1,1,255,3,3,3,255,6,6,6,255,9,9,9,255,11,11,11,255,14,14,14,255,17,17,17,255,19,19,19,255,22,22,22,255,25,25,25,255,26,26,26,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,240,240,240,255,239,239,239,255,228,228,228,255,216,216,216,255,204,204,204,255,193,193,193,255,181,181,181,255,170,170,170,255,158,158,158,255,146,146,146,255,135,135,135,255,123,123,123,255,54,54,54,255,53,53,53,255,51,51,51,255,49,49,49,255,48,48,48,255,46,46,46,255,44,44,44,255,42,42,42,255,40,40,40,255,38,38,38,255,37,37,37,255,35,35,35,255,33,33,33,255,31,31,31,255,29,29,29,255,27,27,27,255,26,26,26,255,24,24,24,255,22,22,22,255,20,20,20,255,86,86,86,255,85,85,85,255,82,82,82,255,79,79,79,255,76,76,76,255,73,73,73,255,70,70,70,255,67,67,67,255,64,64,64,255,61,61,61,255,58,58,58,255,55,55,55,255,52,52,52,255,49,49,49,255,46,46,46,255,43,43,43,255,40,40,40,255,37,37,37,255,34,34,34,255,31,31,31,255,46,46,46,255,45,45,45,255,43,43,43,255,42,42,42,255,40,40,40,255,39,39,39,255,37,37,37,255,35,35,35,255,34,34,34,255,32,32,32,255,31,31,31,255,29,29,29,255,28,28,28,255,26,26,26,255,24,24,24,255,23,23,23,255,21,21,21,255,20,20,20,255,18,18,18,255,17,17,17,255,77,77,77,255,76,76,76,255,73,73,73,255,71,71,71,255,68,68,68,255,65,65,65,255,63,63,63,255,60,60,60,255,57,57,57,255,55,55,55,255,52,52,52,255,50,50,50,255,47,47,47,255,44,44,44,255,42,42,42,255,39,39,39,255,36,36,36,255,34,34,34,255,31,31,31,255,28,28,28,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,56,56,56,255,58,58,58,255,60,60,60,255,61,61,61,255,63,63,63,255,65,65,65,255,67,67,67,255,69,69,69,255,71,71,71,255,72,72,72,255,74,74,74,255,76,76,76,255,78,78,78,255,80,80,80,255,82,82,82,255,83,83,83,255,85,85,85,255,87,87,87,255,89,89,89,255,90,90,90,255,88,88,88,255,91,91,91,255,94,94,94,255,97,97,97,255,100,100,100,255,103,103,103,255,106,106,106,255,109,109,109,255,112,112,112,255,115,115,115,255,118,118,118,255,121,121,121,255,124,124,124,255,127,127,127,255,130,130,130,255,133,133,133,255,136,136,136,255,139,139,139,255,142,142,142,255,143,143,143,255,48,48,48,255,50,50,50,255,51,51,51,255,53,53,53,255,54,54,54,255,56,56,56,255,58,58,58,255,59,59,59,255,61,61,61,255,62,62,62,255,64,64,64,255,65,65,65,255,67,67,67,255,69,69,69,255,70,70,70,255,72,72,72,255,73,73,73,255,75,75,75,255,76,76,76,255,77,77,77,255,79,79,79,255,82,82,82,255,84,84,84,255,87,87,87,255,90,90,90,255,92,92,92,255,95,95,95,255,98,98,98,255,100,100,100,255,103,103,103,255,105,105,105,255,108,108,108,255,111,111,111,255,113,113,113,255,116,116,116,255,119,119,119,255,121,121,121,255,124,124,124,255,127,127,127,255,128,128,128,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,126,126,126,255,125,125,125,255,123,123,123,255,121,121,121,255,120,120,120,255,118,118,118,255,116,116,116,255,114,114,114,255,112,112,112,255,110,110,110,255,109,109,109,255,107,107,107,255,105,105,105,255,103,103,103,255,101,101,101,255,99,99,99,255,98,98,98,255,96,96,96,255,94,94,94,255,92,92,92,255,200,200,200,255,199,199,199,255,196,196,196,255,193,193,193,255,190,190,190,255,187,187,187,255,184,184,184,255,181,181,181,255,178,178,178,255,175,175,175,255,172,172,172,255,169,169,169,255,166,166,166,255,163,163,163,255,160,160,160,255,157,157,157,255,154,154,154,255,151,151,151,255,148,148,148,255,145,145,145,255,108,108,108,255,107,107,107,255,105,105,105,255,104,104,104,255,102,102,102,255,101,101,101,255,99,99,99,255,97,97,97,255,96,96,96,255,94,94,94,255,93,93,93,255,91,91,91,255,90,90,90,255,88,88,88,255,86,86,86,255,85,85,85,255,83,83,83,255,82,82,82,255,80,80,80,255,79,79,79,255,179,179,179,255,178,178,178,255,175,175,175,255,173,173,173,255,170,170,170,255,167,167,167,255,165,165,165,255,162,162,162,255,159,159,159,255,157,157,157,255,154,154,154,255,152,152,152,255,149,149,149,255,146,146,146,255,144,144,144,255,141,141,141,255,138,138,138,255,136,136,136,255,133,133,133,255,130,130,130,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,128,128,128,255,130,130,130,255,132,132,132,255,133,133,133,255,135,135,135,255,137,137,137,255,139,139,139,255,141,141,141,255,143,143,143,255,144,144,144,255,146,146,146,255,148,148,148,255,150,150,150,255,152,152,152,255,154,154,154,255,155,155,155,255,157,157,157,255,159,159,159,255,161,161,161,255,162,162,162,255,202,202,202,255,205,205,205,255,208,208,208,255,211,211,211,255,214,214,214,255,217,217,217,255,220,220,220,255,223,223,223,255,226,226,226,255,229,229,229,255,232,232,232,255,235,235,235,255,238,238,238,255,240,240,240,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,109,109,109,255,110,110,110,255,112,112,112,255,113,113,113,255,115,115,115,255,116,116,116,255,118,118,118,255,120,120,120,255,121,121,121,255,123,123,123,255,124,124,124,255,126,126,126,255,127,127,127,255,129,129,129,255,131,131,131,255,132,132,132,255,134,134,134,255,135,135,135,255,137,137,137,255,138,138,138,255,139,139,139,255,181,181,181,255,184,184,184,255,186,186,186,255,189,189,189,255,192,192,192,255,194,194,194,255,197,197,197,255,200,200,200,255,202,202,202,255,205,205,205,255,207,207,207,255,210,210,210,255,213,213,213,255,215,215,215,255,218,218,218,255,221,221,221,255,223,223,223,255,226,226,226,255,229,229,229,255,230,230,230,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,198,198,198,255,197,197,197,255,195,195,195,255,193,193,193,255,192,192,192,255,190,190,190,255,188,188,188,255,186,186,186,255,184,184,184,255,182,182,182,255,181,181,181,255,179,179,179,255,177,177,177,255,175,175,175,255,173,173,173,255,171,171,171,255,170,170,170,255,168,168,168,255,166,166,166,255,164,164,164,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,170,170,170,255,169,169,169,255,167,167,167,255,166,166,166,255,164,164,164,255,163,163,163,255,161,161,161,255,159,159,159,255,158,158,158,255,156,156,156,255,155,155,155,255,153,153,153,255,152,152,152,255,150,150,150,255,148,148,148,255,147,147,147,255,145,145,145,255,144,144,144,255,142,142,142,255,141,141,141,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,240,240,240,255,238,238,238,255,235,235,235,255,232,232,232,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,200,200,200,255,202,202,202,255,204,204,204,255,205,205,205,255,207,207,207,255,209,209,209,255,211,211,211,255,213,213,213,255,215,215,215,255,216,216,216,255,218,218,218,255,220,220,220,255,222,222,222,255,224,224,224,255,226,226,226,255,227,227,227,255,229,229,229,255,231,231,231,255,233,233,233,255,234,234,234,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,171,171,171,255,172,172,172,255,174,174,174,255,175,175,175,255,177,177,177,255,178,178,178,255,180,180,180,255,182,182,182,255,183,183,183,255,185,185,185,255,186,186,186,255,188,188,188,255,189,189,189,255,191,191,191,255,193,193,193,255,194,194,194,255,196,196,196,255,197,197,197,255,199,199,199,255,200,200,200,255,201,201,201,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,240,240,240,255,238,238,238,255,236,236,236,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,232,232,232,255,231,231,231,255,229,229,229,255,228,228,228,255,226,226,226,255,225,225,225,255,223,223,223,255,221,221,221,255,220,220,220,255,218,218,218,255,217,217,217,255,215,215,215,255,214,214,214,255,212,212,212,255,210,210,210,255,209,209,209,255,207,207,207,255,206,206,206,255,204,204,204,255,203,203,203,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,233,233,233,255,234,234,234,255,236,236,236,255,237,237,237,255,239,239,239,255,240,240,240,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,1,1,1,255,5,5,5,255,8,8,8,255,12,12,12,255,15,15,15,255,19,19,19,255,23,23,23,255,26,26,26,255,30,30,30,255,33,33,33,255,35,35,35,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,4,4,4,255,12,12,12,255,21,21,21,255,29,29,29,255,37,37,37,255,46,46,46,255,54,54,54,255,63,63,63,255,71,71,71,255,80,80,80,255,84,84,84,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,1,1,1,255,5,5,5,255,9,9,9,255,13,13,13,255,17,17,17,255,21,21,21,255,25,25,25,255,29,29,29,255,33,33,33,255,36,36,36,255,38,38,38,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,1,1,1,255,3,3,3,255,4,4,4,255,5,5,5,255,6,6,6,255,8,8,8,255,9,9,9,255,10,10,10,255,11,11,11,255,12,12,12,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,2,2,2,255,4,4,4,255,5,5,5,255,7,7,7,255,8,8,8,255,10,10,10,255,12,12,12,255,13,13,13,255,15,15,15,255,16,16,16,255,102,102,102,255,98,98,98,255,95,95,95,255,91,91,91,255,87,87,87,255,84,84,84,255,80,80,80,255,77,77,77,255,73,73,73,255,70,70,70,255,66,66,66,255,63,63,63,255,59,59,59,255,56,56,56,255,52,52,52,255,48,48,48,255,45,45,45,255,41,41,41,255,38,38,38,255,176,176,176,255,240,240,240,255,233,233,233,255,224,224,224,255,216,216,216,255,207,207,207,255,199,199,199,255,191,191,191,255,182,182,182,255,174,174,174,255,165,165,165,255,157,157,157,255,148,148,148,255,140,140,140,255,132,132,132,255,123,123,123,255,115,115,115,255,106,106,106,255,98,98,98,255,89,89,89,255,113,113,113,255,111,111,111,255,107,107,107,255,103,103,103,255,99,99,99,255,95,95,95,255,91,91,91,255,87,87,87,255,83,83,83,255,79,79,79,255,76,76,76,255,72,72,72,255,68,68,68,255,64,64,64,255,60,60,60,255,56,56,56,255,52,52,52,255,48,48,48,255,44,44,44,255,41,41,41,255,37,37,37,255,36,36,36,255,35,35,35,255,34,34,34,255,32,32,32,255,31,31,31,255,30,30,30,255,29,29,29,255,27,27,27,255,26,26,26,255,25,25,25,255,24,24,24,255,22,22,22,255,21,21,21,255,20,20,20,255,19,19,19,255,17,17,17,255,16,16,16,255,15,15,15,255,14,14,14,255,48,48,48,255,47,47,47,255,46,46,46,255,44,44,44,255,42,42,42,255,41,41,41,255,39,39,39,255,38,38,38,255,36,36,36,255,34,34,34,255,33,33,33,255,31,31,31,255,29,29,29,255,28,28,28,255,26,26,26,255,25,25,25,255,23,23,23,255,21,21,21,255,20,20,20,255,18,18,18,255,176,176,176,255,105,105,105,255,109,109,109,255,112,112,112,255,116,116,116,255,120,120,120,255,123,123,123,255,127,127,127,255,130,130,130,255,134,134,134,255,137,137,137,255,141,141,141,255,144,144,144,255,148,148,148,255,151,151,151,255,155,155,155,255,159,159,159,255,162,162,162,255,166,166,166,255,169,169,169,255,171,171,171,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,116,116,116,255,120,120,120,255,124,124,124,255,128,128,128,255,132,132,132,255,136,136,136,255,140,140,140,255,144,144,144,255,148,148,148,255,151,151,151,255,155,155,155,255,159,159,159,255,163,163,163,255,167,167,167,255,171,171,171,255,175,175,175,255,179,179,179,255,183,183,183,255,186,186,186,255,188,188,188,255,39,39,39,255,40,40,40,255,41,41,41,255,43,43,43,255,44,44,44,255,45,45,45,255,46,46,46,255,48,48,48,255,49,49,49,255,50,50,50,255,51,51,51,255,53,53,53,255,54,54,54,255,55,55,55,255,56,56,56,255,58,58,58,255,59,59,59,255,60,60,60,255,61,61,61,255,62,62,62,255,50,50,50,255,51,51,51,255,53,53,53,255,55,55,55,255,56,56,56,255,58,58,58,255,59,59,59,255,61,61,61,255,63,63,63,255,64,64,64,255,66,66,66,255,68,68,68,255,69,69,69,255,71,71,71,255,72,72,72,255,74,74,74,255,76,76,76,255,77,77,77,255,79,79,79,255,80,80,80,255,238,238,238,255,234,234,234,255,231,231,231,255,227,227,227,255,223,223,223,255,220,220,220,255,216,216,216,255,213,213,213,255,209,209,209,255,206,206,206,255,202,202,202,255,199,199,199,255,195,195,195,255,192,192,192,255,188,188,188,255,184,184,184,255,181,181,181,255,177,177,177,255,174,174,174,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,240,240,240,255,237,237,237,255,233,233,233,255,229,229,229,255,226,226,226,255,222,222,222,255,218,218,218,255,214,214,214,255,210,210,210,255,206,206,206,255,202,202,202,255,198,198,198,255,194,194,194,255,191,191,191,255,87,87,87,255,86,86,86,255,85,85,85,255,84,84,84,255,82,82,82,255,81,81,81,255,80,80,80,255,79,79,79,255,77,77,77,255,76,76,76,255,75,75,75,255,74,74,74,255,72,72,72,255,71,71,71,255,70,70,70,255,69,69,69,255,67,67,67,255,66,66,66,255,65,65,65,255,64,64,64,255,112,112,112,255,111,111,111,255,110,110,110,255,108,108,108,255,106,106,106,255,105,105,105,255,103,103,103,255,102,102,102,255,100,100,100,255,98,98,98,255,97,97,97,255,95,95,95,255,93,93,93,255,92,92,92,255,90,90,90,255,89,89,89,255,87,87,87,255,85,85,85,255,84,84,84,255,82,82,82,255,176,176,176,255,240,240,240,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,88,88,88,255,89,89,89,255,90,90,90,255,91,91,91,255,93,93,93,255,94,94,94,255,95,95,95,255,96,96,96,255,98,98,98,255,99,99,99,255,100,100,100,255,101,101,101,255,103,103,103,255,104,104,104,255,105,105,105,255,106,106,106,255,108,108,108,255,109,109,109,255,110,110,110,255,111,111,111,255,112,112,112,255,114,114,114,255,115,115,115,255,117,117,117,255,119,119,119,255,120,120,120,255,122,122,122,255,123,123,123,255,125,125,125,255,127,127,127,255,128,128,128,255,130,130,130,255,132,132,132,255,133,133,133,255,135,135,135,255,136,136,136,255,138,138,138,255,140,140,140,255,141,141,141,255,143,143,143,255,144,144,144,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,137,137,137,255,136,136,136,255,135,135,135,255,134,134,134,255,132,132,132,255,131,131,131,255,130,130,130,255,129,129,129,255,127,127,127,255,126,126,126,255,125,125,125,255,124,124,124,255,122,122,122,255,121,121,121,255,120,120,120,255,119,119,119,255,117,117,117,255,116,116,116,255,115,115,115,255,114,114,114,255,176,176,176,255,175,175,175,255,174,174,174,255,172,172,172,255,170,170,170,255,169,169,169,255,167,167,167,255,166,166,166,255,164,164,164,255,162,162,162,255,161,161,161,255,159,159,159,255,157,157,157,255,156,156,156,255,154,154,154,255,153,153,153,255,151,151,151,255,149,149,149,255,148,148,148,255,146,146,146,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,138,138,138,255,139,139,139,255,140,140,140,255,141,141,141,255,143,143,143,255,144,144,144,255,145,145,145,255,146,146,146,255,148,148,148,255,149,149,149,255,150,150,150,255,151,151,151,255,153,153,153,255,154,154,154,255,155,155,155,255,156,156,156,255,158,158,158,255,159,159,159,255,160,160,160,255,161,161,161,255,162,162,162,255,178,178,178,255,179,179,179,255,181,181,181,255,183,183,183,255,184,184,184,255,186,186,186,255,187,187,187,255,189,189,189,255,191,191,191,255,192,192,192,255,194,194,194,255,196,196,196,255,197,197,197,255,199,199,199,255,200,200,200,255,202,202,202,255,204,204,204,255,205,205,205,255,207,207,207,255,208,208,208,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,187,187,187,255,186,186,186,255,185,185,185,255,184,184,184,255,182,182,182,255,181,181,181,255,180,180,180,255,179,179,179,255,177,177,177,255,176,176,176,255,175,175,175,255,174,174,174,255,172,172,172,255,171,171,171,255,170,170,170,255,169,169,169,255,167,167,167,255,166,166,166,255,165,165,165,255,164,164,164,255,240,240,240,255,239,239,239,255,238,238,238,255,236,236,236,255,234,234,234,255,233,233,233,255,231,231,231,255,230,230,230,255,228,228,228,255,226,226,226,255,225,225,225,255,223,223,223,255,221,221,221,255,220,220,220,255,218,218,218,255,217,217,217,255,215,215,215,255,213,213,213,255,212,212,212,255,210,210,210,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,188,188,188,255,189,189,189,255,190,190,190,255,191,191,191,255,193,193,193,255,194,194,194,255,195,195,195,255,196,196,196,255,198,198,198,255,199,199,199,255,200,200,200,255,201,201,201,255,203,203,203,255,204,204,204,255,205,205,205,255,206,206,206,255,208,208,208,255,209,209,209,255,210,210,210,255,211,211,211,255,212,212,212,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,238,238,238,255,239,239,239,255,240,240,240,255,234,234,234,255,232,232,232,255,231,231,231,255,230,230,230,255,229,229,229,255,227,227,227,255,226,226,226,255,225,225,225,255,224,224,224,255,222,222,222,255,221,221,221,255,220,220,220,255,219,219,219,255,217,217,217,255,216,216,216,255,215,215,215,255,214,214,214,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255,176,176,176,255
 
 int unit = 20;
 int num;
@@ -1,4 +1,4 @@
-//[100,100]51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,76,76,76,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,110,110,110,255,246,246,246,255,98,98,98,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,70,70,70,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,221,221,221,255,237,237,237,255,79,79,79,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,87,87,87,255,251,251,251,255,98,98,98,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,113,113,113,255,227,227,227,255,175,175,175,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,98,98,98,255,231,231,231,255,250,250,250,255,234,234,234,255,79,79,79,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,216,216,216,255,235,235,235,255,51,51,51,255,51,51,51,255,82,82,82,255,98,98,98,255,231,231,231,255,98,98,98,255,98,98,98,255,235,235,235,255,70,70,70,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,84,84,84,255,247,247,247,255,178,178,178,255,163,163,163,255,231,231,231,255,250,250,250,255,250,250,250,255,250,250,250,255,251,251,251,255,98,98,98,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,179,179,179,255,243,243,243,255,242,242,242,255,234,234,234,255,98,98,98,255,51,51,51,255,223,223,223,255,250,250,250,255,183,183,183,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,60,60,60,255,92,92,92,255,95,95,95,255,79,79,79,255,51,51,51,255,70,70,70,255,246,246,246,255,224,224,224,255,198,198,198,255,194,194,194,255,67,67,67,255,51,51,51,255,51,51,51,255,79,79,79,255,57,57,57,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,157,157,157,255,249,249,249,255,75,75,75,255,54,54,54,255,151,151,151,255,226,226,226,255,70,70,70,255,156,156,156,255,236,236,236,255,217,217,217,255,51,51,51,255,101,101,101,255,111,111,111,255,70,70,70,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,249,249,249,255,51,51,51,255,51,51,51,255,51,51,51,255,104,104,104,255,251,251,251,255,251,251,251,255,251,251,251,255,215,215,215,255,224,224,224,255,223,223,223,255,187,187,187,255,232,232,232,255,220,220,220,255,173,173,173,255,60,60,60,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,249,249,249,255,57,57,57,255,51,51,51,255,76,76,76,255,247,247,247,255,216,216,216,255,67,67,67,255,51,51,51,255,70,70,70,255,111,111,111,255,54,54,54,255,51,51,51,255,51,51,51,255,82,82,82,255,229,229,229,255,111,111,111,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,57,57,57,255,249,249,249,255,237,237,237,255,178,178,178,255,72,72,72,255,122,122,122,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,110,110,110,255,57,57,57,255,51,51,51,255,51,51,51,255,114,114,114,255,223,223,223,255,54,54,54,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,67,67,67,255,142,142,142,255,224,224,224,255,60,60,60,255,51,51,51,255,51,51,51,255,51,51,51,255,100,100,100,255,242,242,242,255,239,239,239,255,179,179,179,255,60,60,60,255,213,213,213,255,126,126,126,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,165,165,165,255,165,165,165,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,214,214,214,255,154,154,154,255,128,128,128,255,252,252,252,255,223,223,223,255,54,54,54,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,60,60,60,255,224,224,224,255,88,88,88,255,51,51,51,255,101,101,101,255,51,51,51,255,76,76,76,255,215,215,215,255,250,250,250,255,252,252,252,255,89,89,89,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,70,70,70,255,249,249,249,255,249,249,249,255,249,249,249,255,249,249,249,255,214,214,214,255,224,224,224,255,137,137,137,255,252,252,252,255,252,252,252,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,249,249,249,255,54,54,54,255,51,51,51,255,252,252,252,255,252,252,252,255,252,252,252,255,252,252,252,255,252,252,252,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,70,70,70,255,252,252,252,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,83,83,83,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,98,98,98,255,233,233,233,255,252,252,252,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,98,98,98,255,233,233,233,255,98,98,98,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,110,110,110,255,57,57,57,255,51,51,51,255,51,51,51,255,82,82,82,255,223,223,223,255,178,178,178,255,64,64,64,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,79,79,79,255,235,235,235,255,98,98,98,255,57,57,57,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,119,119,119,255,237,237,237,255,241,241,241,255,184,184,184,255,107,107,107,255,236,236,236,255,108,108,108,255,64,64,64,255,70,70,70,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,70,70,70,255,241,241,241,255,210,210,210,255,229,229,229,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,61,61,61,255,241,241,241,255,76,76,76,255,236,236,236,255,242,242,242,255,143,143,143,255,106,106,106,255,230,230,230,255,238,238,238,255,107,107,107,255,51,51,51,255,51,51,51,255,64,64,64,255,227,227,227,255,251,251,251,255,249,249,249,255,247,247,247,255,122,122,122,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,190,190,190,255,179,179,179,255,254,254,254,255,244,244,244,255,202,202,202,255,245,245,245,255,236,236,236,255,108,108,108,255,231,231,231,255,167,167,167,255,61,61,61,255,113,113,113,255,252,252,252,255,147,147,147,255,234,234,234,255,131,131,131,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,79,79,79,255,235,235,235,255,255,255,255,255,67,67,67,255,178,178,178,255,208,208,208,255,199,199,199,255,124,124,124,255,64,64,64,255,177,177,177,255,231,231,231,255,236,236,236,255,135,135,135,255,241,241,241,255,193,193,193,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,80,80,80,255,255,255,255,255,109,109,109,255,254,254,254,255,254,254,254,255,243,243,243,255,91,91,91,255,51,51,51,255,51,51,51,255,95,95,95,255,80,80,80,255,51,51,51,255,80,80,80,255,61,61,61,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,96,96,96,255,85,85,85,255,252,252,252,255,111,111,111,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,156,156,156,255,244,244,244,255,54,54,54,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,76,76,76,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255
+//[100,100]51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,57,57,57,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,119,119,119,255,193,193,193,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,62,62,62,255,244,244,244,255,62,62,62,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,193,193,193,255,119,119,119,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,93,93,93,255,255,255,255,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,62,62,62,255,173,173,173,255,232,232,232,255,255,255,255,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,89,89,89,255,232,232,232,255,173,173,173,255,62,62,62,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,102,102,102,255,238,238,238,255,110,110,110,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,102,102,102,255,238,238,238,255,127,127,127,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,78,78,78,255,239,239,239,255,154,154,154,255,250,250,250,255,101,101,101,255,57,57,57,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,101,101,101,255,220,220,220,255,51,51,51,255,227,227,227,255,253,253,253,255,253,253,253,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,215,215,215,255,122,122,122,255,241,241,241,255,253,253,253,255,253,253,253,255,62,62,62,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,81,81,81,255,85,85,85,255,254,254,254,255,253,253,253,255,218,218,218,255,253,253,253,255,118,118,118,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,170,170,170,255,253,253,253,255,245,245,245,255,254,254,254,255,253,253,253,255,239,239,239,255,253,253,253,255,78,78,78,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,83,83,83,255,209,209,209,255,252,252,252,255,173,173,173,255,253,253,253,255,253,253,253,255,251,251,251,255,253,253,253,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,80,80,80,255,51,51,51,255,152,152,152,255,244,244,244,255,253,253,253,255,254,254,254,255,254,254,254,255,245,245,245,255,253,253,253,255,176,176,176,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,70,70,70,255,248,248,248,255,220,220,220,255,211,211,211,255,238,238,238,255,247,247,247,255,247,247,247,255,253,253,253,255,209,209,209,255,253,253,253,255,61,61,61,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,53,53,53,255,217,217,217,255,250,250,250,255,152,152,152,255,51,51,51,255,254,254,254,255,254,254,254,255,254,254,254,255,254,254,254,255,123,123,123,255,68,68,68,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,152,152,152,255,200,200,200,255,94,94,94,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,74,74,74,255,252,252,252,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,85,85,85,255,234,234,234,255,70,70,70,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,78,78,78,255,236,236,236,255,101,101,101,255,51,51,51,255,68,68,68,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,101,101,101,255,234,234,234,255,135,135,135,255,251,251,251,255,61,61,61,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,89,89,89,255,229,229,229,255,251,251,251,255,175,175,175,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,62,62,62,255,251,251,251,255,248,248,248,255,102,102,102,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,57,57,57,255,251,251,251,255,101,101,101,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,190,190,190,255,251,251,251,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,63,63,63,255,100,100,100,255,62,62,62,255,240,240,240,255,62,62,62,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,73,73,73,255,224,224,224,255,222,222,222,255,226,226,226,255,194,194,194,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,247,247,247,255,249,249,249,255,225,225,225,255,109,109,109,255,57,57,57,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,62,62,62,255,204,204,204,255,250,250,250,255,249,249,249,255,229,229,229,255,67,67,67,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,188,188,188,255,244,244,244,255,238,238,238,255,62,62,62,255,171,171,171,255,233,233,233,255,68,68,68,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,62,62,62,255,243,243,243,255,249,249,249,255,127,127,127,255,62,62,62,255,171,171,171,255,233,233,233,255,68,68,68,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,135,135,135,255,246,246,246,255,247,247,247,255,85,85,85,255,236,236,236,255,175,175,175,255,62,62,62,255,89,89,89,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,216,216,216,255,181,181,181,255,201,201,201,255,199,199,199,255,247,247,247,255,214,214,214,255,250,250,250,255,250,250,250,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,100,100,100,255,211,211,211,255,53,53,53,255,199,199,199,255,150,150,150,255,109,109,109,255,248,248,248,255,206,206,206,255,171,171,171,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,249,249,249,255,51,51,51,255,70,70,70,255,233,233,233,255,239,239,239,255,225,225,225,255,61,61,61,255,227,227,227,255,88,88,88,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,69,69,69,255,98,98,98,255,234,234,234,255,101,101,101,255,67,67,67,255,250,250,250,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,101,101,101,255,233,233,233,255,101,101,101,255,250,250,250,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,101,101,101,255,233,233,233,255,250,250,250,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,74,74,74,255,250,250,250,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255,51,51,51,255
 
 int num = 2000;
 int range = 4;
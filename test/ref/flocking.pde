@@ -1,4 +1,4 @@
-//[100,100]100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,105,105,105,255,255,255,255,255,248,248,248,255,175,175,175,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,172,172,172,255,229,229,229,255,237,237,237,255,194,194,194,255,100,100,100,255,100,100,100,255,100,100,100,255,238,238,238,255,214,214,214,255,243,243,243,255,112,112,112,255,100,100,100,255,100,100,100,255,192,192,192,255,223,223,223,255,200,200,200,255,240,240,240,255,158,158,158,255,100,100,100,255,134,134,134,255,237,237,237,255,216,216,216,255,227,227,227,255,242,242,242,255,183,183,183,255,124,124,124,255,250,250,250,255,219,219,219,255,219,219,219,255,230,230,230,255,195,195,195,255,100,100,100,255,123,123,123,255,247,247,247,255,201,201,201,255,218,218,218,255,207,207,207,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,186,186,186,255,236,236,236,255,228,228,228,255,168,168,168,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,184,184,184,255,229,229,229,255,238,238,238,255,209,209,209,255,107,107,107,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,223,223,223,255,242,242,242,255,197,197,197,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,253,253,253,255,244,244,244,255,146,146,146,255,100,100,100,255,100,100,100,255,100,100,100,255,210,210,210,255,218,218,218,255,225,225,225,255,214,214,214,255,100,100,100,255,100,100,100,255,133,133,133,255,237,237,237,255,200,200,200,255,202,202,202,255,247,247,247,255,125,125,125,255,100,100,100,255,244,244,244,255,206,206,206,255,200,200,200,255,234,234,234,255,145,145,145,255,100,100,100,255,100,100,100,255,215,215,215,255,220,220,220,255,223,223,223,255,192,192,192,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,209,209,209,255,236,236,236,255,209,209,209,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,117,117,117,255,248,248,248,255,203,203,203,255,229,229,229,255,234,234,234,255,123,123,123,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,109,109,109,255,255,255,255,255,252,252,252,255,178,178,178,255,103,103,103,255,100,100,100,255,100,100,100,255,114,114,114,255,255,255,255,255,197,197,197,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,226,226,226,255,215,215,215,255,246,246,246,255,115,115,115,255,100,100,100,255,100,100,100,255,132,132,132,255,237,237,237,255,200,200,200,255,225,225,225,255,201,201,201,255,100,100,100,255,100,100,100,255,205,205,205,255,220,220,220,255,201,201,201,255,250,250,250,255,109,109,109,255,100,100,100,255,100,100,100,255,143,143,143,255,239,239,239,255,227,227,227,255,176,176,176,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,104,104,104,255,230,230,230,255,255,255,255,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,207,207,207,255,222,222,222,255,200,200,200,255,220,220,220,255,246,246,246,255,145,145,145,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,129,129,129,255,125,125,125,255,205,205,205,255,242,242,242,255,236,236,236,255,139,139,139,255,100,100,100,255,141,141,141,255,236,236,236,255,103,103,103,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,240,240,240,255,243,243,243,255,157,157,157,255,100,100,100,255,100,100,100,255,100,100,100,255,131,131,131,255,238,238,238,255,204,204,204,255,247,247,247,255,119,119,119,255,100,100,100,255,100,100,100,255,162,162,162,255,230,230,230,255,212,212,212,255,230,230,230,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,236,236,236,255,232,232,232,255,164,164,164,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,103,103,103,255,195,195,195,255,125,125,125,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,135,135,135,255,242,242,242,255,200,200,200,255,201,201,201,255,231,231,231,255,227,227,227,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,110,110,110,255,245,245,245,255,218,218,218,255,244,244,244,255,203,203,203,255,113,113,113,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,255,255,255,255,214,214,214,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,130,130,130,255,238,238,238,255,227,227,227,255,193,193,193,255,100,100,100,255,100,100,100,255,100,100,100,255,123,123,123,255,244,244,244,255,225,225,225,255,188,188,188,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,164,164,164,255,241,241,241,255,151,151,151,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,229,229,229,255,220,220,220,255,238,238,238,255,210,210,210,255,109,109,109,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,165,165,165,255,236,236,236,255,202,202,202,255,226,226,226,255,246,246,246,255,164,164,164,255,110,110,110,255,100,100,100,255,100,100,100,255,100,100,100,255,119,119,119,255,245,245,245,255,107,107,107,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,129,129,129,255,241,241,241,255,247,247,247,255,115,115,115,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,243,243,243,255,236,236,236,255,148,148,148,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,105,105,105,255,255,255,255,255,149,149,149,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,141,141,141,255,255,255,255,255,171,171,171,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,101,101,101,255,232,232,232,255,217,217,217,255,200,200,200,255,209,209,209,255,241,241,241,255,199,199,199,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,127,127,127,255,252,252,252,255,185,185,185,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,204,204,204,255,255,255,255,255,110,110,110,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,125,125,125,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,137,137,137,255,244,244,244,255,201,201,201,255,211,211,211,255,247,247,247,255,137,137,137,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,133,133,133,255,255,255,255,255,107,107,107,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,177,177,177,255,255,255,255,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,107,107,107,255,146,146,146,255,103,103,103,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,206,206,206,255,232,232,232,255,247,247,247,255,143,143,143,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,155,155,155,255,255,255,255,255,251,251,251,255,199,199,199,255,142,142,142,255,101,101,101,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,108,108,108,255,244,244,244,255,143,143,143,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,161,161,161,255,246,246,246,255,225,225,225,255,237,237,237,255,245,245,245,255,194,194,194,255,138,138,138,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,118,118,118,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,171,171,171,255,242,242,242,255,204,204,204,255,206,206,206,255,224,224,224,255,239,239,239,255,238,238,238,255,120,120,120,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,183,183,183,255,239,239,239,255,202,202,202,255,200,200,200,255,220,220,220,255,240,240,240,255,101,101,101,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,194,194,194,255,236,236,236,255,206,206,206,255,247,247,247,255,126,126,126,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,101,101,101,255,204,204,204,255,244,244,244,255,179,179,179,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,102,102,102,255,111,111,111,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,118,118,118,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,246,246,246,255,251,251,251,255,231,231,231,255,206,206,206,255,177,177,177,255,152,152,152,255,111,111,111,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,121,121,121,255,112,112,112,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,243,243,243,255,210,210,210,255,211,211,211,255,219,219,219,255,227,227,227,255,234,234,234,255,246,246,246,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,202,202,202,255,244,244,244,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,152,152,152,255,246,246,246,255,220,220,220,255,200,200,200,255,200,200,200,255,230,230,230,255,171,171,171,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,198,198,198,255,248,248,248,255,146,146,146,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,123,123,123,255,231,231,231,255,232,232,232,255,205,205,205,255,248,248,248,255,110,110,110,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,203,203,203,255,224,224,224,255,227,227,227,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,104,104,104,255,196,196,196,255,255,255,255,255,196,196,196,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,210,210,210,255,218,218,218,255,241,241,241,255,142,142,142,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,146,146,146,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,215,215,215,255,216,216,216,255,218,218,218,255,224,224,224,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,107,107,107,255,147,147,147,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,221,221,221,255,214,214,214,255,200,200,200,255,242,242,242,255,139,139,139,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,108,108,108,255,195,195,195,255,250,250,250,255,234,234,234,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,226,226,226,255,212,212,212,255,200,200,200,255,220,220,220,255,224,224,224,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,214,214,214,255,224,224,224,255,200,200,200,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,245,245,245,255,230,230,230,255,236,236,236,255,250,250,250,255,218,218,218,255,110,110,110,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,121,121,121,255,247,247,247,255,204,204,204,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,153,153,153,255,172,172,172,255,138,138,138,255,107,107,107,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,187,187,187,255,245,245,245,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,101,101,101,255,206,206,206,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,107,107,107,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,203,203,203,255,226,226,226,255,246,246,246,255,255,255,255,255,138,138,138,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,220,220,220,255,212,212,212,255,204,204,204,255,232,232,232,255,146,146,146,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,214,214,214,255,200,200,200,255,200,200,200,255,239,239,239,255,129,129,129,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,230,230,230,255,245,245,245,255,227,227,227,255,249,249,249,255,113,113,113,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,112,112,112,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,101,101,101,255,119,119,119,255,141,141,141,255,164,164,164,255,189,189,189,255,217,217,217,255,161,161,161,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,125,125,125,255,185,185,185,255,225,225,225,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,124,124,124,255,174,174,174,255,228,228,228,255,255,255,255,255,133,133,133,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,255,255,255,255,239,239,239,255,252,252,252,255,244,244,244,255,234,234,234,255,229,229,229,255,224,224,224,255,225,225,225,255,203,203,203,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,112,112,112,255,142,142,142,255,172,172,172,255,207,207,207,255,237,237,237,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,134,134,134,255,185,185,185,255,236,236,236,255,244,244,244,255,228,228,228,255,214,214,214,255,230,230,230,255,158,158,158,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,234,234,234,255,251,251,251,255,237,237,237,255,222,222,222,255,203,203,203,255,200,200,200,255,200,200,200,255,226,226,226,255,180,180,180,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,255,255,255,255,255,255,255,255,236,236,236,255,227,227,227,255,219,219,219,255,208,208,208,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,112,112,112,255,255,255,255,255,249,249,249,255,229,229,229,255,211,211,211,255,200,200,200,255,200,200,200,255,200,200,200,255,228,228,228,255,168,168,168,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,102,102,102,255,146,146,146,255,207,207,207,255,249,249,249,255,233,233,233,255,217,217,217,255,229,229,229,255,164,164,164,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,106,106,106,255,147,147,147,255,118,118,118,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,152,152,152,255,197,197,197,255,244,244,244,255,239,239,239,255,226,226,226,255,211,211,211,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,105,105,105,255,168,168,168,255,195,195,195,255,226,226,226,255,250,250,250,255,242,242,242,255,231,231,231,255,225,225,225,255,231,231,231,255,177,177,177,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,127,127,127,255,126,126,126,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,108,108,108,255,158,158,158,255,220,220,220,255,255,255,255,255,132,132,132,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,172,172,172,255,245,245,245,255,234,234,234,255,107,107,107,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,133,133,133,255,182,182,182,255,234,234,234,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,101,101,101,255,124,124,124,255,153,153,153,255,184,184,184,255,236,236,236,255,132,132,132,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,111,111,111,255,194,194,194,255,250,250,250,255,252,252,252,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,113,113,113,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,132,132,132,255,247,247,247,255,206,206,206,255,229,229,229,255,212,212,212,255,101,101,101,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,101,101,101,255,165,165,165,255,246,246,246,255,228,228,228,255,203,203,203,255,243,243,243,255,127,127,127,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,109,109,109,255,255,255,255,255,217,217,217,255,200,200,200,255,200,200,200,255,237,237,237,255,185,185,185,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,139,139,139,255,233,233,233,255,236,236,236,255,209,209,209,255,200,200,200,255,200,200,200,255,228,228,228,255,173,173,173,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,103,103,103,255,180,180,180,255,248,248,248,255,229,229,229,255,210,210,210,255,203,203,203,255,244,244,244,255,155,155,155,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,247,247,247,255,253,253,253,255,229,229,229,255,226,226,226,255,227,227,227,255,228,228,228,255,229,229,229,255,246,246,246,255,234,234,234,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,146,146,146,255,107,107,107,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,113,113,113,255,175,175,175,255,241,241,241,255,237,237,237,255,222,222,222,255,248,248,248,255,133,133,133,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,103,103,103,255,149,149,149,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,255,255,255,255,195,195,195,255,187,187,187,255,180,180,180,255,173,173,173,255,167,167,167,255,162,162,162,255,155,155,155,255,116,116,116,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,155,155,155,255,255,255,255,255,249,249,249,255,206,206,206,255,144,144,144,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,101,101,101,255,147,147,147,255,216,216,216,255,254,254,254,255,255,255,255,255,117,117,117,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,108,108,108,255,174,174,174,255,244,244,244,255,255,255,255,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,174,174,174,255,227,227,227,255,203,203,203,255,222,222,222,255,255,255,255,255,143,143,143,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,120,120,120,255,189,189,189,255,121,121,121,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,115,115,115,255,186,186,186,255,247,247,247,255,230,230,230,255,208,208,208,255,223,223,223,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,190,190,190,255,224,224,224,255,200,200,200,255,221,221,221,255,226,226,226,255,101,101,101,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,115,115,115,255,198,198,198,255,248,248,248,255,227,227,227,255,205,205,205,255,200,200,200,255,200,200,200,255,212,212,212,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,103,103,103,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,207,207,207,255,218,218,218,255,206,206,206,255,247,247,247,255,124,124,124,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,255,255,255,255,255,255,255,255,246,246,246,255,240,240,240,255,237,237,237,255,233,233,233,255,231,231,231,255,232,232,232,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,135,135,135,255,255,255,255,255,131,131,131,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,223,223,223,255,213,213,213,255,235,235,235,255,175,175,175,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,102,102,102,255,106,106,106,255,115,115,115,255,123,123,123,255,132,132,132,255,140,140,140,255,149,149,149,255,157,157,157,255,190,190,190,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,106,106,106,255,191,191,191,255,245,245,245,255,231,231,231,255,220,220,220,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,236,236,236,255,222,222,222,255,228,228,228,255,102,102,102,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,241,241,241,255,212,212,212,255,109,109,109,255,100,100,100,255,100,100,100,255,139,139,139,255,239,239,239,255,230,230,230,255,203,203,203,255,201,201,201,255,248,248,248,255,114,114,114,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,251,251,251,255,248,248,248,255,127,127,127,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,200,200,200,255,227,227,227,255,239,239,239,255,136,136,136,255,196,196,196,255,244,244,244,255,215,215,215,255,200,200,200,255,200,200,200,255,205,205,205,255,233,233,233,255,169,169,169,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,104,104,104,255,255,255,255,255,179,179,179,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,115,115,115,255,200,200,200,255,200,200,200,255,217,217,217,255,255,255,255,255,241,241,241,255,234,234,234,255,239,239,239,255,246,246,246,255,253,253,253,255,244,244,244,255,239,239,239,255,150,150,150,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,118,118,118,255,169,169,169,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,110,110,110,255,195,195,195,255,255,255,255,255,232,232,232,255,227,227,227,255,220,220,220,255,234,234,234,255,246,246,246,255,216,216,216,255,129,129,129,255,113,113,113,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,101,101,101,255,161,161,161,255,245,245,245,255,228,228,228,255,234,234,234,255,150,150,150,255,176,176,176,255,206,206,206,255,232,232,232,255,252,252,252,255,255,255,255,255,239,239,239,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,203,203,203,255,204,204,204,255,177,177,177,255,152,152,152,255,113,113,113,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,132,132,132,255,227,227,227,255,237,237,237,255,210,210,210,255,200,200,200,255,220,220,220,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,101,101,101,255,122,122,122,255,162,162,162,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,245,245,245,255,221,221,221,255,227,227,227,255,232,232,232,255,255,255,255,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,106,106,106,255,196,196,196,255,246,246,246,255,220,220,220,255,204,204,204,255,207,207,207,255,209,209,209,255,213,213,213,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,229,229,229,255,211,211,211,255,200,200,200,255,227,227,227,255,185,185,185,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,255,255,255,255,255,255,255,255,255,255,255,255,252,252,252,255,246,246,246,255,240,240,240,255,233,233,233,255,226,226,226,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,215,215,215,255,216,216,216,255,201,201,201,255,247,247,247,255,119,119,119,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,125,125,125,255,110,110,110,255,102,102,102,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,134,134,134,255,240,240,240,255,103,103,103,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,198,198,198,255,222,222,222,255,221,221,221,255,213,213,213,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,101,101,101,255,189,189,189,255,167,167,167,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,112,112,112,255,247,247,247,255,233,233,233,255,219,219,219,255,109,109,109,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,180,180,180,255,226,226,226,255,239,239,239,255,143,143,143,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,113,113,113,255,219,219,219,255,236,236,236,255,249,249,249,255,118,118,118,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,106,106,106,255,195,195,195,255,143,143,143,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,102,102,102,255,110,110,110,255,100,100,100,255,100,100,100,255,187,187,187,255,228,228,228,255,200,200,200,255,228,228,228,255,234,234,234,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,165,165,165,255,232,232,232,255,238,238,238,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,248,248,248,255,225,225,225,255,200,200,200,255,227,227,227,255,185,185,185,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,180,180,180,255,239,239,239,255,246,246,246,255,125,125,125,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,181,181,181,255,255,255,255,255,138,138,138,255,117,117,117,255,248,248,248,255,204,204,204,255,200,200,200,255,217,217,217,255,255,255,255,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,150,150,150,255,241,241,241,255,170,170,170,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,253,253,253,255,221,221,221,255,200,200,200,255,206,206,206,255,246,246,246,255,106,106,106,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,139,139,139,255,245,245,245,255,204,204,204,255,219,219,219,255,238,238,238,255,110,110,110,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,111,111,111,255,248,248,248,255,215,215,215,255,245,245,245,255,227,227,227,255,227,227,227,255,203,203,203,255,232,232,232,255,234,234,234,255,131,131,131,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,143,143,143,255,255,255,255,255,109,109,109,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,121,121,121,255,232,232,232,255,230,230,230,255,201,201,201,255,232,232,232,255,164,164,164,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,104,104,104,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,113,113,113,255,242,242,242,255,214,214,214,255,200,200,200,255,202,202,202,255,245,245,245,255,225,225,225,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,169,169,169,255,230,230,230,255,200,200,200,255,211,211,211,255,252,252,252,255,217,217,217,255,246,246,246,255,187,187,187,255,104,104,104,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,106,106,106,255,206,206,206,255,239,239,239,255,214,214,214,255,236,236,236,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,132,132,132,255,235,235,235,255,100,100,100,255,116,116,116,255,132,132,132,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,217,217,217,255,225,225,225,255,203,203,203,255,225,225,225,255,247,247,247,255,206,206,206,255,107,107,107,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,235,235,235,255,212,212,212,255,200,200,200,255,244,244,244,255,241,241,241,255,239,239,239,255,136,136,136,255,100,100,100,255,100,100,100,255,100,100,100,255,195,195,195,255,124,124,124,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,170,170,170,255,246,246,246,255,244,244,244,255,144,144,144,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,101,101,101,255,182,182,182,255,246,246,246,255,218,218,218,255,143,143,143,255,247,247,247,255,255,255,255,255,109,109,109,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,175,175,175,255,239,239,239,255,228,228,228,255,248,248,248,255,197,197,197,255,121,121,121,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,135,135,135,255,241,241,241,255,202,202,202,255,238,238,238,255,255,255,255,255,200,200,200,255,106,106,106,255,100,100,100,255,100,100,100,255,100,100,100,255,160,160,160,255,237,237,237,255,245,245,245,255,140,140,140,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,138,138,138,255,255,255,255,255,246,246,246,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,239,239,239,255,251,251,251,255,247,247,247,255,252,252,252,255,245,245,245,255,213,213,213,255,230,230,230,255,171,171,171,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,136,136,136,255,255,255,255,255,250,250,250,255,187,187,187,255,115,115,115,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,200,200,200,255,225,225,225,255,241,241,241,255,194,194,194,255,134,134,134,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,236,236,236,255,213,213,213,255,213,213,213,255,246,246,246,255,169,169,169,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,117,117,117,255,177,177,177,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,162,162,162,255,132,132,132,255,115,115,115,255,101,101,101,255,204,204,204,255,200,200,200,255,211,211,211,255,240,240,240,255,101,101,101,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,157,157,157,255,190,190,190,255,110,110,110,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,108,108,108,255,255,255,255,255,248,248,248,255,168,168,168,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,148,148,148,255,238,238,238,255,200,200,200,255,200,200,200,255,227,227,227,255,255,255,255,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,175,175,175,255,177,177,177,255,143,143,143,255,111,111,111,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,215,215,215,255,224,224,224,255,229,229,229,255,255,255,255,255,132,132,132,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,162,162,162,255,255,255,255,255,145,145,145,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,224,224,224,255,218,218,218,255,204,204,204,255,236,236,236,255,220,220,220,255,110,110,110,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,249,249,249,255,228,228,228,255,234,234,234,255,250,250,250,255,220,220,220,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,219,219,219,255,191,191,191,255,163,163,163,255,132,132,132,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,106,106,106,255,128,128,128,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,135,135,135,255,243,243,243,255,213,213,213,255,245,245,245,255,181,181,181,255,101,101,101,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,240,240,240,255,207,207,207,255,200,200,200,255,225,225,225,255,208,208,208,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,211,211,211,255,229,229,229,255,245,245,245,255,143,143,143,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,234,234,234,255,209,209,209,255,202,202,202,255,247,247,247,255,121,121,121,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,114,114,114,255,200,200,200,255,113,113,113,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,123,123,123,255,255,255,255,255,226,226,226,255,117,117,117,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,228,228,228,255,211,211,211,255,224,224,224,255,204,204,204,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,101,101,101,255,231,231,231,255,222,222,222,255,232,232,232,255,113,113,113,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,176,176,176,255,254,254,254,255,212,212,212,255,112,112,112,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,222,222,222,255,214,214,214,255,246,246,246,255,126,126,126,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,162,162,162,255,237,237,237,255,200,200,200,255,224,224,224,255,236,236,236,255,110,110,110,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,233,233,233,255,213,213,213,255,226,226,226,255,242,242,242,255,144,144,144,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,215,215,215,255,226,226,226,255,211,211,211,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,137,137,137,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,109,109,109,255,244,244,244,255,210,210,210,255,200,200,200,255,210,210,210,255,248,248,248,255,136,136,136,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,132,132,132,255,242,242,242,255,200,200,200,255,200,200,200,255,224,224,224,255,249,249,249,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,209,209,209,255,252,252,252,255,131,131,131,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,142,142,142,255,231,231,231,255,255,255,255,255,141,141,141,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,187,187,187,255,229,229,229,255,202,202,202,255,227,227,227,255,245,245,245,255,157,157,157,255,109,109,109,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,197,197,197,255,224,224,224,255,200,200,200,255,227,227,227,255,235,235,235,255,114,114,114,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,215,215,215,255,230,230,230,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,200,200,200,255,242,242,242,255,217,217,217,255,224,224,224,255,189,189,189,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,144,144,144,255,129,129,129,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,123,123,123,255,247,247,247,255,217,217,217,255,244,244,244,255,200,200,200,255,111,111,111,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,106,106,106,255,248,248,248,255,204,204,204,255,233,233,233,255,220,220,220,255,109,109,109,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,106,106,106,255,129,129,129,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,113,113,113,255,105,105,105,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,121,121,121,255,255,255,255,255,217,217,217,255,200,200,200,255,211,211,211,255,232,232,232,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,129,129,129,255,247,247,247,255,245,245,245,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,216,216,216,255,240,240,240,255,236,236,236,255,138,138,138,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,160,160,160,255,234,234,234,255,239,239,239,255,199,199,199,255,102,102,102,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,196,196,196,255,255,255,255,255,229,229,229,255,162,162,162,255,104,104,104,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,129,129,129,255,246,246,246,255,213,213,213,255,200,200,200,255,248,248,248,255,112,112,112,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,221,221,221,255,228,228,228,255,254,254,254,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,131,131,131,255,255,255,255,255,180,180,180,255,103,103,103,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,231,231,231,255,250,250,250,255,174,174,174,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,224,224,224,255,213,213,213,255,215,215,215,255,232,232,232,255,249,249,249,255,120,120,120,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,138,138,138,255,246,246,246,255,210,210,210,255,232,232,232,255,152,152,152,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,157,157,157,255,240,240,240,255,255,255,255,255,242,242,242,255,165,165,165,255,255,255,255,255,139,139,139,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,119,119,119,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,118,118,118,255,255,255,255,255,151,151,151,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,243,243,243,255,206,206,206,255,200,200,200,255,230,230,230,255,204,204,204,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,148,148,148,255,245,245,245,255,225,225,225,255,195,195,195,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,183,183,183,255,250,250,250,255,230,230,230,255,220,220,220,255,246,246,246,255,212,212,212,255,245,245,245,255,120,120,120,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,123,123,123,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,104,104,104,255,252,252,252,255,200,200,200,255,217,217,217,255,236,236,236,255,106,106,106,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,159,159,159,255,247,247,247,255,240,240,240,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,115,115,115,255,158,158,158,255,207,207,207,255,214,214,214,255,200,200,200,255,221,221,221,255,232,232,232,255,104,104,104,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,124,124,124,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,124,124,124,255,241,241,241,255,206,206,206,255,246,246,246,255,130,130,130,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,173,173,173,255,255,255,255,255,118,118,118,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,200,200,200,255,207,207,207,255,228,228,228,255,255,255,255,255,110,110,110,255,100,100,100,255,100,100,100,255,100,100,100,255,151,151,151,255,255,255,255,255,136,136,136,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,144,144,144,255,233,233,233,255,237,237,237,255,172,172,172,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,113,113,113,255,103,103,103,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,233,233,233,255,245,245,245,255,179,179,179,255,111,111,111,255,100,100,100,255,100,100,100,255,100,100,100,255,114,114,114,255,246,246,246,255,212,212,212,255,246,246,246,255,138,138,138,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,165,165,165,255,235,235,235,255,219,219,219,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,159,159,159,255,103,103,103,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,200,200,200,255,226,226,226,255,200,200,200,255,213,213,213,255,251,251,251,255,116,116,116,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,178,178,178,255,198,198,198,255,106,106,106,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,195,195,195,255,255,255,255,255,115,115,115,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,133,133,133,255,245,245,245,255,202,202,202,255,201,201,201,255,226,226,226,255,253,253,253,255,121,121,121,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,104,104,104,255,250,250,250,255,231,231,231,255,241,241,241,255,155,155,155,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,170,170,170,255,128,128,128,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,227,227,227,255,219,219,219,255,215,215,215,255,244,244,244,255,205,205,205,255,115,115,115,255,103,103,103,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,144,144,144,255,235,235,235,255,200,200,200,255,211,211,211,255,240,240,240,255,177,177,177,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,113,113,113,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,159,159,159,255,240,240,240,255,232,232,232,255,240,240,240,255,161,161,161,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,192,192,192,255,223,223,223,255,200,200,200,255,217,217,217,255,244,244,244,255,136,136,136,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,139,139,139,255,255,255,255,255,134,134,134,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,108,108,108,255,255,255,255,255,252,252,252,255,183,183,183,255,249,249,249,255,249,249,249,255,149,149,149,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,239,239,239,255,209,209,209,255,215,215,215,255,245,245,245,255,127,127,127,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,101,101,101,255,169,169,169,255,246,246,246,255,225,225,225,255,232,232,232,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,134,134,134,255,241,241,241,255,122,122,122,255,171,171,171,255,231,231,231,255,210,210,210,255,244,244,244,255,182,182,182,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,123,123,123,255,244,244,244,255,214,214,214,255,245,245,245,255,131,131,131,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,162,162,162,255,242,242,242,255,206,206,206,255,200,200,200,255,240,240,240,255,143,143,143,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,103,103,103,255,242,242,242,255,210,210,210,255,200,200,200,255,209,209,209,255,255,255,255,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,168,168,168,255,233,233,233,255,246,246,246,255,134,134,134,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,158,158,158,255,248,248,248,255,217,217,217,255,200,200,200,255,220,220,220,255,219,219,219,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,156,156,156,255,235,235,235,255,200,200,200,255,217,217,217,255,247,247,247,255,158,158,158,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,225,225,225,255,255,255,255,255,137,137,137,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,130,130,130,255,239,239,239,255,227,227,227,255,201,201,201,255,245,245,245,255,129,129,129,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,232,232,232,255,215,215,215,255,227,227,227,255,239,239,239,255,130,130,130,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,101,101,101,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,119,119,119,255,255,255,255,255,125,125,125,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,125,125,125,255,125,125,125,255,120,120,120,255,115,115,115,255,101,101,101,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,109,109,109,255,212,212,212,255,238,238,238,255,225,225,225,255,204,204,204,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,141,141,141,255,243,243,243,255,238,238,238,255,213,213,213,255,110,110,110,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,172,172,172,255,241,241,241,255,103,103,103,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,134,134,134,255,255,255,255,255,240,240,240,255,243,243,243,255,251,251,251,255,178,178,178,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,172,172,172,255,247,247,247,255,255,255,255,255,118,118,118,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,222,222,222,255,255,255,255,255,175,175,175,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,132,132,132,255,245,245,245,255,233,233,233,255,219,219,219,255,107,107,107,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,115,115,115,255,247,247,247,255,200,200,200,255,200,200,200,255,232,232,232,255,155,155,155,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,137,137,137,255,255,255,255,255,192,192,192,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,112,112,112,255,252,252,252,255,140,140,140,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,220,220,220,255,220,220,220,255,200,200,200,255,228,228,228,255,241,241,241,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,123,123,123,255,197,197,197,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,242,242,242,255,207,207,207,255,201,201,201,255,249,249,249,255,112,112,112,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,140,140,140,255,158,158,158,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,113,113,113,255,121,121,121,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,141,141,141,255,242,242,242,255,200,200,200,255,201,201,201,255,226,226,226,255,255,255,255,255,100,100,100,255,100,100,100,255,100,100,100,255,193,193,193,255,120,120,120,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,118,118,118,255,255,255,255,255,166,166,166,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,208,208,208,255,219,219,219,255,213,213,213,255,228,228,228,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,131,131,131,255,217,217,217,255,243,243,243,255,255,255,255,255,106,106,106,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,229,229,229,255,217,217,217,255,211,211,211,255,241,241,241,255,209,209,209,255,110,110,110,255,100,100,100,255,100,100,100,255,152,152,152,255,237,237,237,255,247,247,247,255,179,179,179,255,103,103,103,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,113,113,113,255,250,250,250,255,245,245,245,255,109,109,109,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,170,170,170,255,228,228,228,255,227,227,227,255,180,180,180,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,103,103,103,255,217,217,217,255,122,122,122,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,159,159,159,255,252,252,252,255,220,220,220,255,200,200,200,255,235,235,235,255,141,141,141,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,152,152,152,255,239,239,239,255,225,225,225,255,245,245,245,255,153,153,153,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,204,204,204,255,221,221,221,255,205,205,205,255,232,232,232,255,226,226,226,255,115,115,115,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,109,109,109,255,248,248,248,255,228,228,228,255,190,190,190,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,136,136,136,255,237,237,237,255,239,239,239,255,134,134,134,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,211,211,211,255,255,255,255,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,133,133,133,255,247,247,247,255,211,211,211,255,200,200,200,255,226,226,226,255,180,180,180,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,102,102,102,255,243,243,243,255,246,246,246,255,211,211,211,255,113,113,113,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,101,101,101,255,247,247,247,255,204,204,204,255,200,200,200,255,226,226,226,255,255,255,255,255,110,110,110,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,104,104,104,255,251,251,251,255,203,203,203,255,247,247,247,255,123,123,123,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,105,105,105,255,253,253,253,255,248,248,248,255,101,101,101,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,162,162,162,255,243,243,243,255,235,235,235,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,142,142,142,255,246,246,246,255,207,207,207,255,215,215,215,255,221,221,221,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,146,146,146,255,255,255,255,255,155,155,155,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,138,138,138,255,237,237,237,255,200,200,200,255,226,226,226,255,230,230,230,255,110,110,110,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,254,254,254,255,200,200,200,255,222,222,222,255,214,214,214,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,242,242,242,255,214,214,214,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,124,124,124,255,246,246,246,255,218,218,218,255,215,215,215,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,158,158,158,255,243,243,243,255,205,205,205,255,250,250,250,255,103,103,103,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255
+//[100,100]100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,136,136,136,255,247,247,247,255,238,238,238,255,205,205,205,255,104,104,104,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,118,118,118,255,248,248,248,255,202,202,202,255,220,220,220,255,245,245,245,255,139,139,139,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,103,103,103,255,247,247,247,255,248,248,248,255,123,123,123,255,100,100,100,255,128,128,128,255,246,246,246,255,231,231,231,255,180,180,180,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,181,181,181,255,232,232,232,255,200,200,200,255,224,224,224,255,190,190,190,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,156,156,156,255,106,106,106,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,109,109,109,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,237,237,237,255,214,214,214,255,233,233,233,255,223,223,223,255,110,110,110,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,180,180,180,255,228,228,228,255,227,227,227,255,237,237,237,255,124,124,124,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,140,140,140,255,238,238,238,255,232,232,232,255,153,153,153,255,100,100,100,255,100,100,100,255,192,192,192,255,252,252,252,255,189,189,189,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,119,119,119,255,252,252,252,255,206,206,206,255,200,200,200,255,226,226,226,255,183,183,183,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,108,108,108,255,209,209,209,255,250,250,250,255,109,109,109,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,215,215,215,255,215,215,215,255,114,114,114,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,175,175,175,255,230,230,230,255,200,200,200,255,228,228,228,255,235,235,235,255,120,120,120,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,102,102,102,255,242,242,242,255,245,245,245,255,223,223,223,255,111,111,111,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,190,190,190,255,225,225,225,255,226,226,226,255,185,185,185,255,100,100,100,255,100,100,100,255,110,110,110,255,245,245,245,255,199,199,199,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,141,141,141,255,225,225,225,255,252,252,252,255,233,233,233,255,241,241,241,255,176,176,176,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,126,126,126,255,236,236,236,255,252,252,252,255,193,193,193,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,144,144,144,255,255,255,255,255,247,247,247,255,155,155,155,255,100,100,100,255,100,100,100,255,100,100,100,255,116,116,116,255,248,248,248,255,202,202,202,255,200,200,200,255,225,225,225,255,245,245,245,255,129,129,129,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,146,146,146,255,255,255,255,255,201,201,201,255,104,104,104,255,107,107,107,255,205,205,205,255,104,104,104,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,239,239,239,255,210,210,210,255,216,216,216,255,220,220,220,255,100,100,100,255,100,100,100,255,100,100,100,255,153,153,153,255,181,181,181,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,109,109,109,255,153,153,153,255,201,201,201,255,157,157,157,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,154,154,154,255,246,246,246,255,222,222,222,255,247,247,247,255,122,122,122,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,222,222,222,255,231,231,231,255,241,241,241,255,210,210,210,255,113,113,113,255,100,100,100,255,100,100,100,255,216,216,216,255,220,220,220,255,214,214,214,255,246,246,246,255,189,189,189,255,105,105,105,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,160,160,160,255,174,174,174,255,100,100,100,255,100,100,100,255,110,110,110,255,255,255,255,255,177,177,177,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,127,127,127,255,243,243,243,255,200,200,200,255,205,205,205,255,247,247,247,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,103,103,103,255,191,191,191,255,243,243,243,255,210,210,210,255,222,222,222,255,212,212,212,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,135,135,135,255,244,244,244,255,203,203,203,255,226,226,226,255,246,246,246,255,151,151,151,255,100,100,100,255,151,151,151,255,248,248,248,255,242,242,242,255,140,140,140,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,101,101,101,255,254,254,254,255,248,248,248,255,122,122,122,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,176,176,176,255,237,237,237,255,214,214,214,255,201,201,201,255,245,245,245,255,119,119,119,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,115,115,115,255,225,225,225,255,244,244,244,255,225,225,225,255,200,200,200,255,242,242,242,255,138,138,138,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,213,213,213,255,223,223,223,255,200,200,200,255,212,212,212,255,242,242,242,255,206,206,206,255,114,114,114,255,190,190,190,255,110,110,110,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,247,247,247,255,227,227,227,255,218,218,218,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,189,189,189,255,222,222,222,255,222,222,222,255,253,253,253,255,255,255,255,255,150,150,150,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,132,132,132,255,247,247,247,255,255,255,255,255,218,218,218,255,216,216,216,255,229,229,229,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,101,101,101,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,127,127,127,255,246,246,246,255,203,203,203,255,204,204,204,255,240,240,240,255,198,198,198,255,102,102,102,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,239,239,239,255,208,208,208,255,240,240,240,255,155,155,155,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,173,173,173,255,245,245,245,255,254,254,254,255,237,237,237,255,237,237,237,255,154,154,154,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,187,187,187,255,232,232,232,255,144,144,144,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,203,203,203,255,232,232,232,255,243,243,243,255,181,181,181,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,230,230,230,255,211,211,211,255,212,212,212,255,244,244,244,255,110,110,110,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,166,166,166,255,243,243,243,255,220,220,220,255,225,225,225,255,186,186,186,255,240,240,240,255,103,103,103,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,115,115,115,255,247,247,247,255,252,252,252,255,219,219,219,255,131,131,131,255,100,100,100,255,100,100,100,255,120,120,120,255,252,252,252,255,164,164,164,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,220,220,220,255,215,215,215,255,200,200,200,255,229,229,229,255,195,195,195,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,158,158,158,255,245,245,245,255,207,207,207,255,228,228,228,255,177,177,177,255,100,100,100,255,114,114,114,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,158,158,158,255,240,240,240,255,223,223,223,255,246,246,246,255,204,204,204,255,117,117,117,255,100,100,100,255,121,121,121,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,209,209,209,255,218,218,218,255,207,207,207,255,227,227,227,255,255,255,255,255,134,134,134,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,152,152,152,255,246,246,246,255,208,208,208,255,200,200,200,255,240,240,240,255,133,133,133,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,157,157,157,255,102,102,102,255,100,100,100,255,100,100,100,255,100,100,100,255,215,215,215,255,225,225,225,255,202,202,202,255,226,226,226,255,248,248,248,255,187,187,187,255,111,111,111,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,201,201,201,255,156,156,156,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,197,197,197,255,248,248,248,255,244,244,244,255,196,196,196,255,144,144,144,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,124,124,124,255,253,253,253,255,230,230,230,255,200,200,200,255,206,206,206,255,246,246,246,255,101,101,101,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,103,103,103,255,159,159,159,255,255,255,255,255,244,244,244,255,176,176,176,255,112,112,112,255,100,100,100,255,118,118,118,255,246,246,246,255,209,209,209,255,200,200,200,255,207,207,207,255,251,251,251,255,183,183,183,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,183,183,183,255,255,255,255,255,169,169,169,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,143,143,143,255,135,135,135,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,130,130,130,255,222,222,222,255,240,240,240,255,232,232,232,255,205,205,205,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,110,110,110,255,173,173,173,255,244,244,244,255,255,255,255,255,241,241,241,255,225,225,225,255,230,230,230,255,249,249,249,255,199,199,199,255,124,124,124,255,164,164,164,255,238,238,238,255,201,201,201,255,234,234,234,255,206,206,206,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,126,126,126,255,252,252,252,255,243,243,243,255,183,183,183,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,165,165,165,255,178,178,178,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,149,149,149,255,239,239,239,255,158,158,158,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,117,117,117,255,189,189,189,255,249,249,249,255,231,231,231,255,232,232,232,255,228,228,228,255,132,132,132,255,247,247,247,255,208,208,208,255,204,204,204,255,226,226,226,255,246,246,246,255,217,217,217,255,227,227,227,255,244,244,244,255,215,215,215,255,103,103,103,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,232,232,232,255,217,217,217,255,240,240,240,255,197,197,197,255,101,101,101,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,194,194,194,255,246,246,246,255,104,104,104,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,104,104,104,255,108,108,108,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,127,127,127,255,202,202,202,255,249,249,249,255,228,228,228,255,206,206,206,255,212,212,212,255,245,245,245,255,120,120,120,255,100,100,100,255,161,161,161,255,242,242,242,255,202,202,202,255,200,200,200,255,220,220,220,255,237,237,237,255,128,128,128,255,216,216,216,255,106,106,106,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,173,173,173,255,229,229,229,255,203,203,203,255,236,236,236,255,208,208,208,255,104,104,104,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,211,211,211,255,252,252,252,255,157,157,157,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,136,136,136,255,252,252,252,255,211,211,211,255,200,200,200,255,204,204,204,255,245,245,245,255,147,147,147,255,100,100,100,255,100,100,100,255,100,100,100,255,197,197,197,255,233,233,233,255,210,210,210,255,247,247,247,255,126,126,126,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,118,118,118,255,247,247,247,255,201,201,201,255,201,201,201,255,233,233,233,255,219,219,219,255,108,108,108,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,225,225,225,255,229,229,229,255,228,228,228,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,165,165,165,255,241,241,241,255,202,202,202,255,236,236,236,255,186,186,186,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,104,104,104,255,227,227,227,255,250,250,250,255,155,155,155,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,224,224,224,255,216,216,216,255,203,203,203,255,231,231,231,255,240,240,240,255,131,131,131,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,238,238,238,255,208,208,208,255,243,243,243,255,133,133,133,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,199,199,199,255,246,246,246,255,222,222,222,255,102,102,102,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,118,118,118,255,177,177,177,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,164,164,164,255,240,240,240,255,247,247,247,255,191,191,191,255,107,107,107,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,249,249,249,255,203,203,203,255,224,224,224,255,203,203,203,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,104,104,104,255,209,209,209,255,116,116,116,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,112,112,112,255,232,232,232,255,137,137,137,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,106,106,106,255,251,251,251,255,200,200,200,255,204,204,204,255,248,248,248,255,113,113,113,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,107,107,107,255,149,149,149,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,154,154,154,255,122,122,122,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,126,126,126,255,133,133,133,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,120,120,120,255,243,243,243,255,200,200,200,255,204,204,204,255,239,239,239,255,176,176,176,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,155,155,155,255,244,244,244,255,101,101,101,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,133,133,133,255,206,206,206,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,116,116,116,255,251,251,251,255,255,255,255,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,208,208,208,255,230,230,230,255,105,105,105,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,173,173,173,255,236,236,236,255,103,103,103,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,134,134,134,255,250,250,250,255,253,253,253,255,248,248,248,255,222,222,222,255,179,179,179,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,194,194,194,255,255,255,255,255,129,129,129,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,151,151,151,255,251,251,251,255,209,209,209,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,128,128,128,255,233,233,233,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,114,114,114,255,105,105,105,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,180,180,180,255,254,254,254,255,195,195,195,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,172,172,172,255,255,255,255,255,163,163,163,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,111,111,111,255,139,139,139,255,106,106,106,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,233,233,233,255,242,242,242,255,171,171,171,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,173,173,173,255,245,245,245,255,250,250,250,255,144,144,144,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,106,106,106,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,178,178,178,255,237,237,237,255,135,135,135,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,156,156,156,255,234,234,234,255,243,243,243,255,152,152,152,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,172,172,172,255,239,239,239,255,243,243,243,255,106,106,106,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,109,109,109,255,250,250,250,255,218,218,218,255,218,218,218,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,102,102,102,255,197,197,197,255,241,241,241,255,215,215,215,255,241,241,241,255,102,102,102,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,114,114,114,255,251,251,251,255,254,254,254,255,182,182,182,255,103,103,103,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,132,132,132,255,238,238,238,255,211,211,211,255,246,246,246,255,121,121,121,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,171,171,171,255,228,228,228,255,232,232,232,255,176,176,176,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,144,144,144,255,235,235,235,255,203,203,203,255,250,250,250,255,105,105,105,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,108,108,108,255,217,217,217,255,235,235,235,255,203,203,203,255,228,228,228,255,180,180,180,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,185,185,185,255,234,234,234,255,235,235,235,255,229,229,229,255,126,126,126,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,108,108,108,255,250,250,250,255,200,200,200,255,222,222,222,255,229,229,229,255,104,104,104,255,100,100,100,255,100,100,100,255,100,100,100,255,171,171,171,255,228,228,228,255,208,208,208,255,246,246,246,255,176,176,176,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,181,181,181,255,227,227,227,255,200,200,200,255,237,237,237,255,141,141,141,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,118,118,118,255,232,232,232,255,229,229,229,255,200,200,200,255,201,201,201,255,247,247,247,255,120,120,120,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,111,111,111,255,247,247,247,255,207,207,207,255,221,221,221,255,247,247,247,255,170,170,170,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,243,243,243,255,206,206,206,255,200,200,200,255,233,233,233,255,193,193,193,255,100,100,100,255,100,100,100,255,100,100,100,255,170,170,170,255,228,228,228,255,200,200,200,255,231,231,231,255,255,255,255,255,152,152,152,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,221,221,221,255,216,216,216,255,200,200,200,255,226,226,226,255,185,185,185,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,125,125,125,255,229,229,229,255,234,234,234,255,204,204,204,255,219,219,219,255,219,219,219,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,180,180,180,255,231,231,231,255,200,200,200,255,207,207,207,255,238,238,238,255,220,220,220,255,117,117,117,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,222,222,222,255,215,215,215,255,208,208,208,255,233,233,233,255,255,255,255,255,127,127,127,255,100,100,100,255,100,100,100,255,170,170,170,255,228,228,228,255,200,200,200,255,208,208,208,255,255,255,255,255,240,240,240,255,104,104,104,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,102,102,102,255,250,250,250,255,231,231,231,255,228,228,228,255,236,236,236,255,230,230,230,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,103,103,103,255,185,185,185,255,247,247,247,255,241,241,241,255,154,154,154,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,137,137,137,255,235,235,235,255,172,172,172,255,117,117,117,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,109,109,109,255,246,246,246,255,208,208,208,255,202,202,202,255,233,233,233,255,222,222,222,255,110,110,110,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,196,196,196,255,247,247,247,255,244,244,244,255,180,180,180,255,116,116,116,255,100,100,100,255,100,100,100,255,100,100,100,255,170,170,170,255,242,242,242,255,231,231,231,255,245,245,245,255,254,254,254,255,236,236,236,255,171,171,171,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,111,111,111,255,178,178,178,255,178,178,178,255,178,178,178,255,178,178,178,255,176,176,176,255,101,101,101,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,138,138,138,255,229,229,229,255,104,104,104,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,101,101,101,255,210,210,210,255,255,255,255,255,249,249,249,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,175,175,175,255,234,234,234,255,238,238,238,255,206,206,206,255,104,104,104,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,147,147,147,255,155,155,155,255,101,101,101,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,153,153,153,255,203,203,203,255,160,160,160,255,122,122,122,255,254,254,254,255,208,208,208,255,246,246,246,255,112,112,112,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,105,105,105,255,224,224,224,255,232,232,232,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,107,107,107,255,244,244,244,255,187,187,187,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,134,134,134,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,254,254,254,255,200,200,200,255,229,229,229,255,191,191,191,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,164,164,164,255,224,224,224,255,255,255,255,255,250,250,250,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,120,120,120,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,248,248,248,255,162,162,162,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,252,252,252,255,202,202,202,255,204,204,204,255,247,247,247,255,123,123,123,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,131,131,131,255,250,250,250,255,201,201,201,255,200,200,200,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,233,233,233,255,251,251,251,255,124,124,124,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,250,250,250,255,203,203,203,255,200,200,200,255,231,231,231,255,211,211,211,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,225,225,225,255,218,218,218,255,202,202,202,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,212,212,212,255,239,239,239,255,231,231,231,255,105,105,105,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,247,247,247,255,233,233,233,255,246,246,246,255,238,238,238,255,194,194,194,255,108,108,108,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,152,152,152,255,240,240,240,255,241,241,241,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,186,186,186,255,226,226,226,255,233,233,233,255,191,191,191,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,193,193,193,255,161,161,161,255,119,119,119,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,118,118,118,255,133,133,133,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,103,103,103,255,236,236,236,255,164,164,164,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,163,163,163,255,229,229,229,255,203,203,203,255,245,245,245,255,146,146,146,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,105,105,105,255,230,230,230,255,183,183,183,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,108,108,108,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,141,141,141,255,235,235,235,255,200,200,200,255,213,213,213,255,244,244,244,255,116,116,116,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,132,132,132,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,195,195,195,255,255,255,255,255,159,159,159,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,112,112,112,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,120,120,120,255,244,244,244,255,200,200,200,255,203,203,203,255,240,240,240,255,217,217,217,255,101,101,101,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,144,144,144,255,251,251,251,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,154,154,154,255,243,243,243,255,241,241,241,255,135,135,135,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,214,214,214,255,255,255,255,255,255,255,255,255,247,247,247,255,222,222,222,255,222,222,222,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,125,125,125,255,169,169,169,255,117,117,117,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,102,102,102,255,252,252,252,255,230,230,230,255,250,250,250,255,204,204,204,255,139,139,139,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,223,223,223,255,255,255,255,255,103,103,103,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,123,123,123,255,247,247,247,255,210,210,210,255,249,249,249,255,110,110,110,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,104,104,104,255,183,183,183,255,247,247,247,255,224,224,224,255,214,214,214,255,214,214,214,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,117,117,117,255,244,244,244,255,255,255,255,255,215,215,215,255,155,155,155,255,103,103,103,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,214,214,214,255,170,170,170,255,113,113,113,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,136,136,136,255,243,243,243,255,250,250,250,255,110,110,110,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,106,106,106,255,232,232,232,255,221,221,221,255,206,206,206,255,245,245,245,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,130,130,130,255,231,231,231,255,235,235,235,255,205,205,205,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,131,131,131,255,249,249,249,255,231,231,231,255,235,235,235,255,247,247,247,255,195,195,195,255,129,129,129,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,214,214,214,255,222,222,222,255,244,244,244,255,118,118,118,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,199,199,199,255,231,231,231,255,200,200,200,255,214,214,214,255,222,222,222,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,102,102,102,255,178,178,178,255,247,247,247,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,146,146,146,255,246,246,246,255,207,207,207,255,206,206,206,255,226,226,226,255,243,243,243,255,235,235,235,255,139,139,139,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,127,127,127,255,246,246,246,255,201,201,201,255,240,240,240,255,126,126,126,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,157,157,157,255,254,254,254,255,219,219,219,255,200,200,200,255,223,223,223,255,196,196,196,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,126,126,126,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,165,165,165,255,243,243,243,255,204,204,204,255,200,200,200,255,214,214,214,255,242,242,242,255,111,111,111,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,204,204,204,255,224,224,224,255,200,200,200,255,237,237,237,255,133,133,133,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,102,102,102,255,157,157,157,255,228,228,228,255,244,244,244,255,242,242,242,255,167,167,167,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,186,186,186,255,238,238,238,255,205,205,205,255,245,245,245,255,142,142,142,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,121,121,121,255,247,247,247,255,203,203,203,255,200,200,200,255,234,234,234,255,141,141,141,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,132,132,132,255,201,201,201,255,141,141,141,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,206,206,206,255,250,250,250,255,193,193,193,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,192,192,192,255,248,248,248,255,230,230,230,255,224,224,224,255,238,238,238,255,148,148,148,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,105,105,105,255,194,194,194,255,106,106,106,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,173,173,173,255,192,192,192,255,107,107,107,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,133,133,133,255,161,161,161,255,193,193,193,255,224,224,224,255,156,156,156,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,132,132,132,255,255,255,255,255,239,239,239,255,137,137,137,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,121,121,121,255,139,139,139,255,139,139,139,255,139,139,139,255,139,139,139,255,139,139,139,255,139,139,139,255,139,139,139,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,210,210,210,255,240,240,240,255,247,247,247,255,187,187,187,255,105,105,105,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,167,167,167,255,254,254,254,255,255,255,255,255,239,239,239,255,235,235,235,255,235,235,235,255,235,235,235,255,235,235,235,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,126,126,126,255,246,246,246,255,207,207,207,255,233,233,233,255,234,234,234,255,131,131,131,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,112,112,112,255,154,154,154,255,217,217,217,255,250,250,250,255,240,240,240,255,228,228,228,255,228,228,228,255,228,228,228,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,202,202,202,255,226,226,226,255,200,200,200,255,219,219,219,255,247,247,247,255,180,180,180,255,102,102,102,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,121,121,121,255,255,255,255,255,235,235,235,255,232,232,232,255,228,228,228,255,228,228,228,255,228,228,228,255,250,250,250,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,121,121,121,255,247,247,247,255,204,204,204,255,200,200,200,255,225,225,225,255,246,246,246,255,127,127,127,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,238,238,238,255,210,210,210,255,200,200,200,255,200,200,200,255,217,217,217,255,248,248,248,255,251,251,251,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,195,195,195,255,227,227,227,255,225,225,225,255,239,239,239,255,123,123,123,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,193,193,193,255,224,224,224,255,210,210,210,255,237,237,237,255,233,233,233,255,142,142,142,255,140,140,140,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,115,115,115,255,251,251,251,255,229,229,229,255,113,113,113,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,148,148,148,255,248,248,248,255,245,245,245,255,164,164,164,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,153,153,153,255,107,107,107,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,108,108,108,255,182,182,182,255,109,109,109,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,107,107,107,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,103,103,103,255,152,152,152,255,207,207,207,255,252,252,252,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,127,127,127,255,139,139,139,255,153,153,153,255,178,178,178,255,180,180,180,255,222,222,222,255,220,220,220,255,117,117,117,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,146,146,146,255,201,201,201,255,249,249,249,255,235,235,235,255,221,221,221,255,204,204,204,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,101,101,101,255,241,241,241,255,255,255,255,255,244,244,244,255,235,235,235,255,232,232,232,255,228,228,228,255,228,228,228,255,214,214,214,255,253,253,253,255,105,105,105,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,177,177,177,255,246,246,246,255,254,254,254,255,236,236,236,255,205,205,205,255,200,200,200,255,200,200,200,255,200,200,200,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,121,121,121,255,189,189,189,255,246,246,246,255,235,235,235,255,219,219,219,255,200,200,200,255,200,200,200,255,207,207,207,255,242,242,242,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,139,139,139,255,178,178,178,255,211,211,211,255,228,228,228,255,255,255,255,255,244,244,244,255,235,235,235,255,228,228,228,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,103,103,103,255,156,156,156,255,222,222,222,255,246,246,246,255,227,227,227,255,221,221,221,255,222,222,222,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,142,142,142,255,199,199,199,255,180,180,180,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,122,122,122,255,139,139,139,255,176,176,176,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,123,123,123,255,192,192,192,255,247,247,247,255,198,198,198,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,134,134,134,255,194,194,194,255,244,244,244,255,239,239,239,255,236,236,236,255,208,208,208,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,149,149,149,255,222,222,222,255,222,222,222,255,184,184,184,255,178,178,178,255,178,178,178,255,149,149,149,255,139,139,139,255,139,139,139,255,114,114,114,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,104,104,104,255,120,120,120,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,127,127,127,255,188,188,188,255,241,241,241,255,241,241,241,255,226,226,226,255,207,207,207,255,200,200,200,255,214,214,214,255,222,222,222,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,143,143,143,255,241,241,241,255,214,214,214,255,226,226,226,255,228,228,228,255,228,228,228,255,234,234,234,255,255,255,255,255,255,255,255,255,205,205,205,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,115,115,115,255,247,247,247,255,255,255,255,255,248,248,248,255,229,229,229,255,226,226,226,255,214,214,214,255,206,206,206,255,209,209,209,255,235,235,235,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,118,118,118,255,144,144,144,255,178,178,178,255,214,214,214,255,238,238,238,255,213,213,213,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,117,117,117,255,246,246,246,255,200,200,200,255,200,200,200,255,205,205,205,255,226,226,226,255,247,247,247,255,213,213,213,255,143,143,143,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,114,114,114,255,139,139,139,255,170,170,170,255,188,188,188,255,222,222,222,255,244,244,244,255,255,255,255,255,246,246,246,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,133,133,133,255,184,184,184,255,222,222,222,255,250,250,250,255,246,246,246,255,235,235,235,255,230,230,230,255,251,251,251,255,225,225,225,255,114,114,114,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,249,249,249,255,215,215,215,255,231,231,231,255,249,249,249,255,194,194,194,255,121,121,121,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,102,102,102,255,138,138,138,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,117,117,117,255,252,252,252,255,217,217,217,255,204,204,204,255,200,200,200,255,208,208,208,255,242,242,242,255,196,196,196,255,104,104,104,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,225,225,225,255,240,240,240,255,168,168,168,255,109,109,109,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,201,201,201,255,225,225,225,255,200,200,200,255,216,216,216,255,247,247,247,255,162,162,162,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,124,124,124,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,126,126,126,255,246,246,246,255,225,225,225,255,244,244,244,255,134,134,134,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,214,214,214,255,225,225,225,255,114,114,114,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,119,119,119,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,120,120,120,255,104,104,104,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,112,112,112,255,189,189,189,255,248,248,248,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,101,101,101,255,174,174,174,255,248,248,248,255,244,244,244,255,218,218,218,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,114,114,114,255,220,220,220,255,222,222,222,255,222,222,222,255,222,222,222,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,105,105,105,255,103,103,103,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,170,170,170,255,220,220,220,255,110,110,110,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,107,107,107,255,105,105,105,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,105,105,105,255,244,244,244,255,234,234,234,255,236,236,236,255,123,123,123,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,119,119,119,255,231,231,231,255,167,167,167,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,167,167,167,255,233,233,233,255,200,200,200,255,221,221,221,255,245,245,245,255,138,138,138,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,135,135,135,255,245,245,245,255,230,230,230,255,241,241,241,255,103,103,103,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,104,104,104,255,242,242,242,255,218,218,218,255,200,200,200,255,200,200,200,255,214,214,214,255,247,247,247,255,159,159,159,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,159,159,159,255,247,247,247,255,215,215,215,255,200,200,200,255,235,235,235,255,160,160,160,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,122,122,122,255,212,212,212,255,243,243,243,255,247,247,247,255,233,233,233,255,227,227,227,255,222,222,222,255,246,246,246,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,189,189,189,255,243,243,243,255,209,209,209,255,200,200,200,255,200,200,200,255,224,224,224,255,237,237,237,255,102,102,102,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,117,117,117,255,150,150,150,255,184,184,184,255,222,222,222,255,254,254,254,255,100,100,100,255,100,100,100,255,100,100,100,255,108,108,108,255,214,214,214,255,248,248,248,255,224,224,224,255,229,229,229,255,236,236,236,255,255,255,255,255,232,232,232,255,200,200,200,255,117,117,117,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,113,113,113,255,110,110,110,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,226,226,226,255,255,255,255,255,236,236,236,255,205,205,205,255,170,170,170,255,139,139,139,255,101,101,101,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,114,114,114,255,234,234,234,255,192,192,192,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,129,129,129,255,106,106,106,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,116,116,116,255,235,235,235,255,227,227,227,255,246,246,246,255,127,127,127,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,117,117,117,255,237,237,237,255,224,224,224,255,200,200,200,255,222,222,222,255,221,221,221,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,151,151,151,255,246,246,246,255,227,227,227,255,202,202,202,255,201,201,201,255,240,240,240,255,153,153,153,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,113,113,113,255,202,202,202,255,245,245,245,255,217,217,217,255,213,213,213,255,242,242,242,255,106,106,106,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,139,139,139,255,235,235,235,255,235,235,235,255,239,239,239,255,182,182,182,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,119,119,119,255,103,103,103,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,110,110,110,255,107,107,107,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,118,118,118,255,121,121,121,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,108,108,108,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,103,103,103,255,176,176,176,255,251,251,251,255,252,252,252,255,121,121,121,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,102,102,102,255,226,226,226,255,207,207,207,255,101,101,101,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,189,189,189,255,196,196,196,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,191,191,191,255,208,208,208,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,138,138,138,255,234,234,234,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,119,119,119,255,243,243,243,255,101,101,101,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,118,118,118,255,213,213,213,255,174,174,174,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,171,171,171,255,237,237,237,255,236,236,236,255,196,196,196,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,194,194,194,255,253,253,253,255,121,121,121,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,226,226,226,255,249,249,249,255,103,103,103,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,200,200,200,255,254,254,254,255,103,103,103,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,210,210,210,255,253,253,253,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,121,121,121,255,247,247,247,255,207,207,207,255,203,203,203,255,239,239,239,255,185,185,185,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,121,121,121,255,232,232,232,255,106,106,106,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,196,196,196,255,248,248,248,255,202,202,202,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,102,102,102,255,250,250,250,255,241,241,241,255,141,141,141,255,100,100,100,255,100,100,100,255,100,100,100,255,106,106,106,255,248,248,248,255,248,248,248,255,124,124,124,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,144,144,144,255,247,247,247,255,247,247,247,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,220,220,220,255,223,223,223,255,200,200,200,255,207,207,207,255,235,235,235,255,242,242,242,255,120,120,120,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,118,118,118,255,255,255,255,255,190,190,190,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,198,198,198,255,225,225,225,255,247,247,247,255,152,152,152,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,127,127,127,255,241,241,241,255,225,225,225,255,191,191,191,255,100,100,100,255,100,100,100,255,100,100,100,255,153,153,153,255,234,234,234,255,233,233,233,255,146,146,146,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,104,104,104,255,236,236,236,255,222,222,222,255,241,241,241,255,100,100,100,255,100,100,100,255,108,108,108,255,118,118,118,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,162,162,162,255,239,239,239,255,204,204,204,255,227,227,227,255,247,247,247,255,177,177,177,255,106,106,106,255,100,100,100,255,200,200,200,255,113,113,113,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,104,104,104,255,254,254,254,255,246,246,246,255,136,136,136,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,200,200,200,255,221,221,221,255,237,237,237,255,247,247,247,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,158,158,158,255,231,231,231,255,210,210,210,255,239,239,239,255,100,100,100,255,100,100,100,255,100,100,100,255,214,214,214,255,220,220,220,255,228,228,228,255,168,168,168,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,175,175,175,255,234,234,234,255,209,209,209,255,235,235,235,255,100,100,100,255,100,100,100,255,193,193,193,255,200,200,200,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,116,116,116,255,248,248,248,255,234,234,234,255,248,248,248,255,194,194,194,255,113,113,113,255,100,100,100,255,100,100,100,255,100,100,100,255,235,235,235,255,230,230,230,255,108,108,108,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,246,246,246,255,222,222,222,255,237,237,237,255,105,105,105,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,202,202,202,255,220,220,220,255,231,231,231,255,255,255,255,255,156,156,156,255,100,100,100,255,100,100,100,255,100,100,100,255,192,192,192,255,224,224,224,255,200,200,200,255,244,244,244,255,126,126,126,255,100,100,100,255,113,113,113,255,248,248,248,255,202,202,202,255,224,224,224,255,194,194,194,255,100,100,100,255,100,100,100,255,100,100,100,255,117,117,117,255,247,247,247,255,207,207,207,255,212,212,212,255,228,228,228,255,100,100,100,255,117,117,117,255,252,252,252,255,208,208,208,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,211,211,211,255,255,255,255,255,213,213,213,255,152,152,152,255,226,226,226,255,109,109,109,255,100,100,100,255,100,100,100,255,100,100,100,255,192,192,192,255,251,251,251,255,222,222,222,255,106,106,106,255,100,100,100,255,100,100,100,255,100,100,100,255,233,233,233,255,210,210,210,255,232,232,232,255,189,189,189,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,204,204,204,255,220,220,220,255,238,238,238,255,245,245,245,255,238,238,238,255,100,100,100,255,100,100,100,255,100,100,100,255,226,226,226,255,213,213,213,255,200,200,200,255,229,229,229,255,173,173,173,255,100,100,100,255,167,167,167,255,231,231,231,255,200,200,200,255,216,216,216,255,219,219,219,255,100,100,100,255,100,100,100,255,100,100,100,255,207,207,207,255,225,225,225,255,200,200,200,255,214,214,214,255,221,221,221,255,100,100,100,255,193,193,193,255,245,245,245,255,212,212,212,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,105,105,105,255,210,210,210,255,139,139,139,255,100,100,100,255,110,110,110,255,254,254,254,255,224,224,224,255,106,106,106,255,100,100,100,255,100,100,100,255,147,147,147,255,234,234,234,255,232,232,232,255,214,214,214,255,103,103,103,255,100,100,100,255,100,100,100,255,219,219,219,255,215,215,215,255,204,204,204,255,246,246,246,255,135,135,135,255,100,100,100,255,100,100,100,255,100,100,100,255,206,206,206,255,226,226,226,255,248,248,248,255,217,217,217,255,253,253,253,255,139,139,139,255,100,100,100,255,102,102,102,255,251,251,251,255,225,225,225,255,228,228,228,255,237,237,237,255,225,225,225,255,100,100,100,255,228,228,228,255,227,227,227,255,214,214,214,255,213,213,213,255,240,240,240,255,100,100,100,255,100,100,100,255,132,132,132,255,255,255,255,255,233,233,233,255,219,219,219,255,220,220,220,255,213,213,213,255,117,117,117,255,248,248,248,255,220,220,220,255,216,216,216,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255
 
 // Flocking code by Daniel Shiffman
 Flock flock;
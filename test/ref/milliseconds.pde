@@ -1,4 +1,4 @@
-//[100,100]72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,72,72,72,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,12,12,12,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,43,43,43,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,40,40,40,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,33,33,33,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,15,15,15,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255,19,19,19,255
+//[100,100]243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,243,243,243,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,62,62,62,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,7,7,7,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,38,38,38,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,5,5,5,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,35,35,35,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,32,32,32,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,1,1,1,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255,10,10,10,255
 
 float scale;
 
@@ -1,4 +1,4 @@
-//[100,100]123,123,123,255,125,125,125,255,126,126,126,255,127,127,127,255,127,127,127,255,128,128,128,255,128,128,128,255,128,128,128,255,127,127,127,255,125,125,125,255,124,124,124,255,125,125,125,255,126,126,126,255,127,127,127,255,127,127,127,255,127,127,127,255,125,125,125,255,123,123,123,255,122,122,122,255,120,120,120,255,119,119,119,255,117,117,117,255,117,117,117,255,117,117,117,255,118,118,118,255,120,120,120,255,122,122,122,255,123,123,123,255,123,123,123,255,123,123,123,255,123,123,123,255,122,122,122,255,121,121,121,255,119,119,119,255,117,117,117,255,116,116,116,255,114,114,114,255,114,114,114,255,113,113,113,255,113,113,113,255,113,113,113,255,113,113,113,255,113,113,113,255,113,113,113,255,114,114,114,255,115,115,115,255,116,116,116,255,117,117,117,255,118,118,118,255,119,119,119,255,120,120,120,255,121,121,121,255,123,123,123,255,125,125,125,255,127,127,127,255,129,129,129,255,130,130,130,255,132,132,132,255,134,134,134,255,135,135,135,255,135,135,135,255,134,134,134,255,132,132,132,255,130,130,130,255,129,129,129,255,128,128,128,255,127,127,127,255,126,126,126,255,125,125,125,255,124,124,124,255,123,123,123,255,122,122,122,255,122,122,122,255,121,121,121,255,121,121,121,255,121,121,121,255,121,121,121,255,121,121,121,255,120,120,120,255,119,119,119,255,118,118,118,255,116,116,116,255,115,115,115,255,114,114,114,255,114,114,114,255,114,114,114,255,114,114,114,255,114,114,114,255,115,115,115,255,116,116,116,255,117,117,117,255,118,118,118,255,119,119,119,255,120,120,120,255,120,120,120,255,119,119,119,255,119,119,119,255,118,118,118,255,117,117,117,255,117,117,117,255,120,120,120,255,123,123,123,255,125,125,125,255,126,126,126,255,127,127,127,255,128,128,128,255,129,129,129,255,128,128,128,255,127,127,127,255,125,125,125,255,124,124,124,255,124,124,124,255,126,126,126,255,127,127,127,255,127,127,127,255,127,127,127,255,126,126,126,255,125,125,125,255,123,123,123,255,121,121,121,255,119,119,119,255,117,117,117,255,116,116,116,255,116,116,116,255,117,117,117,255,119,119,119,255,121,121,121,255,123,123,123,255,124,124,124,255,124,124,124,255,124,124,124,255,123,123,123,255,122,122,122,255,120,120,120,255,118,118,118,255,117,117,117,255,115,115,115,255,115,115,115,255,115,115,115,255,115,115,115,255,115,115,115,255,115,115,115,255,115,115,115,255,115,115,115,255,115,115,115,255,115,115,115,255,116,116,116,255,116,116,116,255,117,117,117,255,118,118,118,255,120,120,120,255,121,121,121,255,122,122,122,255,123,123,123,255,125,125,125,255,126,126,126,255,128,128,128,255,130,130,130,255,133,133,133,255,134,134,134,255,135,135,135,255,134,134,134,255,132,132,132,255,130,130,130,255,129,129,129,255,127,127,127,255,126,126,126,255,125,125,125,255,124,124,124,255,123,123,123,255,122,122,122,255,122,122,122,255,122,122,122,255,122,122,122,255,122,122,122,255,122,122,122,255,123,123,123,255,123,123,123,255,122,122,122,255,121,121,121,255,120,120,120,255,119,119,119,255,117,117,117,255,116,116,116,255,115,115,115,255,115,115,115,255,115,115,115,255,115,115,115,255,116,116,116,255,117,117,117,255,119,119,119,255,120,120,120,255,121,121,121,255,121,121,121,255,121,121,121,255,120,120,120,255,118,118,118,255,117,117,117,255,116,116,116,255,116,116,116,255,118,118,118,255,121,121,121,255,123,123,123,255,125,125,125,255,127,127,127,255,128,128,128,255,129,129,129,255,128,128,128,255,127,127,127,255,126,126,126,255,125,125,125,255,124,124,124,255,125,125,125,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,126,126,126,255,124,124,124,255,122,122,122,255,120,120,120,255,117,117,117,255,116,116,116,255,115,115,115,255,117,117,117,255,119,119,119,255,121,121,121,255,123,123,123,255,124,124,124,255,125,125,125,255,125,125,125,255,124,124,124,255,123,123,123,255,121,121,121,255,120,120,120,255,118,118,118,255,117,117,117,255,117,117,117,255,117,117,117,255,117,117,117,255,117,117,117,255,117,117,117,255,116,116,116,255,115,115,115,255,115,115,115,255,115,115,115,255,115,115,115,255,115,115,115,255,116,116,116,255,118,118,118,255,119,119,119,255,120,120,120,255,121,121,121,255,123,123,123,255,124,124,124,255,125,125,125,255,127,127,127,255,130,130,130,255,132,132,132,255,134,134,134,255,135,135,135,255,134,134,134,255,133,133,133,255,131,131,131,255,129,129,129,255,127,127,127,255,126,126,126,255,125,125,125,255,124,124,124,255,123,123,123,255,122,122,122,255,122,122,122,255,122,122,122,255,123,123,123,255,123,123,123,255,123,123,123,255,124,124,124,255,124,124,124,255,124,124,124,255,123,123,123,255,123,123,123,255,122,122,122,255,120,120,120,255,118,118,118,255,117,117,117,255,117,117,117,255,116,116,116,255,117,117,117,255,117,117,117,255,119,119,119,255,120,120,120,255,121,121,121,255,122,122,122,255,122,122,122,255,121,121,121,255,119,119,119,255,117,117,117,255,116,116,116,255,115,115,115,255,115,115,115,255,116,116,116,255,119,119,119,255,121,121,121,255,124,124,124,255,126,126,126,255,127,127,127,255,128,128,128,255,127,127,127,255,127,127,127,255,126,126,126,255,125,125,125,255,125,125,125,255,126,126,126,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,126,126,126,255,124,124,124,255,122,122,122,255,119,119,119,255,117,117,117,255,116,116,116,255,116,116,116,255,117,117,117,255,120,120,120,255,122,122,122,255,124,124,124,255,125,125,125,255,126,126,126,255,126,126,126,255,125,125,125,255,124,124,124,255,123,123,123,255,121,121,121,255,120,120,120,255,119,119,119,255,119,119,119,255,119,119,119,255,119,119,119,255,119,119,119,255,117,117,117,255,116,116,116,255,115,115,115,255,114,114,114,255,114,114,114,255,114,114,114,255,114,114,114,255,115,115,115,255,117,117,117,255,119,119,119,255,120,120,120,255,122,122,122,255,123,123,123,255,124,124,124,255,126,126,126,255,128,128,128,255,131,131,131,255,133,133,133,255,135,135,135,255,136,136,136,255,135,135,135,255,134,134,134,255,132,132,132,255,130,130,130,255,129,129,129,255,127,127,127,255,126,126,126,255,125,125,125,255,124,124,124,255,123,123,123,255,122,122,122,255,122,122,122,255,123,123,123,255,124,124,124,255,125,125,125,255,125,125,125,255,126,126,126,255,126,126,126,255,125,125,125,255,124,124,124,255,124,124,124,255,122,122,122,255,121,121,121,255,119,119,119,255,119,119,119,255,118,118,118,255,118,118,118,255,119,119,119,255,120,120,120,255,121,121,121,255,121,121,121,255,121,121,121,255,121,121,121,255,120,120,120,255,118,118,118,255,116,116,116,255,115,115,115,255,114,114,114,255,115,115,115,255,114,114,114,255,117,117,117,255,119,119,119,255,122,122,122,255,124,124,124,255,125,125,125,255,126,126,126,255,126,126,126,255,126,126,126,255,126,126,126,255,126,126,126,255,126,126,126,255,126,126,126,255,127,127,127,255,127,127,127,255,127,127,127,255,126,126,126,255,125,125,125,255,123,123,123,255,121,121,121,255,119,119,119,255,117,117,117,255,116,116,116,255,116,116,116,255,118,118,118,255,121,121,121,255,123,123,123,255,125,125,125,255,126,126,126,255,126,126,126,255,126,126,126,255,126,126,126,255,125,125,125,255,124,124,124,255,123,123,123,255,122,122,122,255,122,122,122,255,122,122,122,255,122,122,122,255,121,121,121,255,119,119,119,255,117,117,117,255,115,115,115,255,113,113,113,255,112,112,112,255,112,112,112,255,112,112,112,255,112,112,112,255,114,114,114,255,116,116,116,255,118,118,118,255,120,120,120,255,122,122,122,255,124,124,124,255,126,126,126,255,128,128,128,255,130,130,130,255,132,132,132,255,135,135,135,255,136,136,136,255,137,137,137,255,136,136,136,255,135,135,135,255,133,133,133,255,132,132,132,255,130,130,130,255,130,130,130,255,129,129,129,255,127,127,127,255,126,126,126,255,124,124,124,255,123,123,123,255,123,123,123,255,124,124,124,255,124,124,124,255,125,125,125,255,126,126,126,255,127,127,127,255,127,127,127,255,126,126,126,255,126,126,126,255,125,125,125,255,124,124,124,255,122,122,122,255,121,121,121,255,120,120,120,255,120,120,120,255,120,120,120,255,120,120,120,255,121,121,121,255,121,121,121,255,120,120,120,255,119,119,119,255,119,119,119,255,117,117,117,255,116,116,116,255,114,114,114,255,113,113,113,255,114,114,114,255,115,115,115,255,112,112,112,255,115,115,115,255,117,117,117,255,119,119,119,255,121,121,121,255,123,123,123,255,124,124,124,255,125,125,125,255,125,125,125,255,126,126,126,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,126,126,126,255,125,125,125,255,124,124,124,255,122,122,122,255,120,120,120,255,118,118,118,255,117,117,117,255,116,116,116,255,117,117,117,255,119,119,119,255,122,122,122,255,124,124,124,255,125,125,125,255,126,126,126,255,126,126,126,255,126,126,126,255,126,126,126,255,125,125,125,255,124,124,124,255,123,123,123,255,123,123,123,255,123,123,123,255,123,123,123,255,123,123,123,255,121,121,121,255,119,119,119,255,116,116,116,255,114,114,114,255,112,112,112,255,110,110,110,255,110,110,110,255,110,110,110,255,110,110,110,255,112,112,112,255,115,115,115,255,117,117,117,255,120,120,120,255,123,123,123,255,125,125,125,255,128,128,128,255,130,130,130,255,132,132,132,255,134,134,134,255,136,136,136,255,137,137,137,255,138,138,138,255,137,137,137,255,136,136,136,255,135,135,135,255,134,134,134,255,133,133,133,255,132,132,132,255,132,132,132,255,130,130,130,255,128,128,128,255,126,126,126,255,125,125,125,255,124,124,124,255,125,125,125,255,126,126,126,255,127,127,127,255,128,128,128,255,128,128,128,255,128,128,128,255,127,127,127,255,126,126,126,255,126,126,126,255,124,124,124,255,123,123,123,255,122,122,122,255,121,121,121,255,121,121,121,255,121,121,121,255,121,121,121,255,120,120,120,255,119,119,119,255,118,118,118,255,117,117,117,255,116,116,116,255,115,115,115,255,113,113,113,255,112,112,112,255,112,112,112,255,113,113,113,255,115,115,115,255,111,111,111,255,114,114,114,255,115,115,115,255,117,117,117,255,119,119,119,255,120,120,120,255,121,121,121,255,123,123,123,255,124,124,124,255,126,126,126,255,127,127,127,255,128,128,128,255,128,128,128,255,128,128,128,255,127,127,127,255,126,126,126,255,124,124,124,255,123,123,123,255,121,121,121,255,120,120,120,255,118,118,118,255,117,117,117,255,117,117,117,255,118,118,118,255,120,120,120,255,122,122,122,255,124,124,124,255,125,125,125,255,125,125,125,255,125,125,125,255,125,125,125,255,125,125,125,255,125,125,125,255,124,124,124,255,123,123,123,255,123,123,123,255,124,124,124,255,124,124,124,255,123,123,123,255,121,121,121,255,118,118,118,255,115,115,115,255,112,112,112,255,110,110,110,255,109,109,109,255,108,108,108,255,108,108,108,255,109,109,109,255,111,111,111,255,113,113,113,255,117,117,117,255,120,120,120,255,123,123,123,255,126,126,126,255,129,129,129,255,132,132,132,255,134,134,134,255,136,136,136,255,138,138,138,255,138,138,138,255,138,138,138,255,138,138,138,255,137,137,137,255,136,136,136,255,135,135,135,255,134,134,134,255,134,134,134,255,134,134,134,255,133,133,133,255,131,131,131,255,129,129,129,255,127,127,127,255,126,126,126,255,126,126,126,255,127,127,127,255,128,128,128,255,129,129,129,255,129,129,129,255,128,128,128,255,127,127,127,255,127,127,127,255,126,126,126,255,124,124,124,255,123,123,123,255,122,122,122,255,121,121,121,255,120,120,120,255,120,120,120,255,120,120,120,255,119,119,119,255,117,117,117,255,115,115,115,255,114,114,114,255,113,113,113,255,112,112,112,255,111,111,111,255,110,110,110,255,110,110,110,255,112,112,112,255,114,114,114,255,110,110,110,255,112,112,112,255,114,114,114,255,115,115,115,255,116,116,116,255,118,118,118,255,119,119,119,255,121,121,121,255,123,123,123,255,124,124,124,255,126,126,126,255,128,128,128,255,129,129,129,255,128,128,128,255,127,127,127,255,125,125,125,255,124,124,124,255,122,122,122,255,121,121,121,255,120,120,120,255,118,118,118,255,118,118,118,255,118,118,118,255,119,119,119,255,121,121,121,255,123,123,123,255,125,125,125,255,125,125,125,255,126,126,126,255,125,125,125,255,125,125,125,255,125,125,125,255,125,125,125,255,124,124,124,255,123,123,123,255,123,123,123,255,123,123,123,255,124,124,124,255,123,123,123,255,121,121,121,255,118,118,118,255,115,115,115,255,111,111,111,255,109,109,109,255,108,108,108,255,107,107,107,255,107,107,107,255,108,108,108,255,110,110,110,255,113,113,113,255,117,117,117,255,120,120,120,255,124,124,124,255,127,127,127,255,130,130,130,255,132,132,132,255,134,134,134,255,136,136,136,255,138,138,138,255,138,138,138,255,138,138,138,255,138,138,138,255,137,137,137,255,136,136,136,255,136,136,136,255,135,135,135,255,135,135,135,255,135,135,135,255,134,134,134,255,132,132,132,255,130,130,130,255,128,128,128,255,128,128,128,255,128,128,128,255,128,128,128,255,129,129,129,255,130,130,130,255,130,130,130,255,129,129,129,255,128,128,128,255,127,127,127,255,126,126,126,255,125,125,125,255,123,123,123,255,122,122,122,255,121,121,121,255,120,120,120,255,119,119,119,255,118,118,118,255,116,116,116,255,114,114,114,255,112,112,112,255,110,110,110,255,109,109,109,255,108,108,108,255,108,108,108,255,108,108,108,255,109,109,109,255,110,110,110,255,112,112,112,255,109,109,109,255,111,111,111,255,112,112,112,255,113,113,113,255,115,115,115,255,116,116,116,255,117,117,117,255,118,118,118,255,120,120,120,255,123,123,123,255,125,125,125,255,127,127,127,255,128,128,128,255,128,128,128,255,127,127,127,255,125,125,125,255,123,123,123,255,122,122,122,255,121,121,121,255,120,120,120,255,120,120,120,255,119,119,119,255,119,119,119,255,120,120,120,255,122,122,122,255,124,124,124,255,125,125,125,255,126,126,126,255,126,126,126,255,126,126,126,255,126,126,126,255,125,125,125,255,125,125,125,255,124,124,124,255,123,123,123,255,123,123,123,255,123,123,123,255,123,123,123,255,122,122,122,255,121,121,121,255,118,118,118,255,114,114,114,255,111,111,111,255,109,109,109,255,107,107,107,255,106,106,106,255,106,106,106,255,108,108,108,255,110,110,110,255,114,114,114,255,118,118,118,255,121,121,121,255,125,125,125,255,128,128,128,255,131,131,131,255,133,133,133,255,135,135,135,255,136,136,136,255,137,137,137,255,138,138,138,255,138,138,138,255,137,137,137,255,137,137,137,255,137,137,137,255,136,136,136,255,136,136,136,255,136,136,136,255,135,135,135,255,134,134,134,255,133,133,133,255,131,131,131,255,130,130,130,255,129,129,129,255,129,129,129,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,129,129,129,255,128,128,128,255,127,127,127,255,126,126,126,255,125,125,125,255,124,124,124,255,122,122,122,255,120,120,120,255,118,118,118,255,117,117,117,255,115,115,115,255,113,113,113,255,110,110,110,255,108,108,108,255,106,106,106,255,105,105,105,255,105,105,105,255,106,106,106,255,106,106,106,255,108,108,108,255,109,109,109,255,111,111,111,255,108,108,108,255,109,109,109,255,111,111,111,255,112,112,112,255,114,114,114,255,115,115,115,255,116,116,116,255,116,116,116,255,118,118,118,255,120,120,120,255,122,122,122,255,125,125,125,255,126,126,126,255,126,126,126,255,125,125,125,255,124,124,124,255,123,123,123,255,122,122,122,255,122,122,122,255,122,122,122,255,121,121,121,255,121,121,121,255,121,121,121,255,122,122,122,255,123,123,123,255,125,125,125,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,126,126,126,255,126,126,126,255,125,125,125,255,123,123,123,255,122,122,122,255,122,122,122,255,122,122,122,255,122,122,122,255,122,122,122,255,120,120,120,255,118,118,118,255,115,115,115,255,111,111,111,255,109,109,109,255,107,107,107,255,106,106,106,255,106,106,106,255,108,108,108,255,111,111,111,255,115,115,115,255,119,119,119,255,123,123,123,255,126,126,126,255,129,129,129,255,131,131,131,255,133,133,133,255,135,135,135,255,136,136,136,255,137,137,137,255,137,137,137,255,137,137,137,255,137,137,137,255,137,137,137,255,137,137,137,255,137,137,137,255,137,137,137,255,136,136,136,255,136,136,136,255,135,135,135,255,133,133,133,255,132,132,132,255,131,131,131,255,131,131,131,255,131,131,131,255,131,131,131,255,131,131,131,255,131,131,131,255,131,131,131,255,130,130,130,255,129,129,129,255,128,128,128,255,127,127,127,255,126,126,126,255,124,124,124,255,122,122,122,255,119,119,119,255,117,117,117,255,114,114,114,255,112,112,112,255,109,109,109,255,107,107,107,255,105,105,105,255,104,104,104,255,103,103,103,255,103,103,103,255,104,104,104,255,105,105,105,255,106,106,106,255,108,108,108,255,109,109,109,255,106,106,106,255,108,108,108,255,110,110,110,255,112,112,112,255,113,113,113,255,114,114,114,255,114,114,114,255,115,115,115,255,116,116,116,255,117,117,117,255,120,120,120,255,122,122,122,255,124,124,124,255,124,124,124,255,124,124,124,255,123,123,123,255,123,123,123,255,122,122,122,255,123,123,123,255,124,124,124,255,123,123,123,255,123,123,123,255,123,123,123,255,124,124,124,255,125,125,125,255,127,127,127,255,128,128,128,255,129,129,129,255,128,128,128,255,127,127,127,255,127,127,127,255,126,126,126,255,124,124,124,255,123,123,123,255,122,122,122,255,121,121,121,255,121,121,121,255,121,121,121,255,121,121,121,255,120,120,120,255,118,118,118,255,115,115,115,255,112,112,112,255,109,109,109,255,108,108,108,255,107,107,107,255,107,107,107,255,109,109,109,255,113,113,113,255,117,117,117,255,121,121,121,255,125,125,125,255,128,128,128,255,130,130,130,255,132,132,132,255,133,133,133,255,134,134,134,255,136,136,136,255,136,136,136,255,137,137,137,255,137,137,137,255,137,137,137,255,138,138,138,255,138,138,138,255,137,137,137,255,137,137,137,255,136,136,136,255,136,136,136,255,135,135,135,255,134,134,134,255,133,133,133,255,133,133,133,255,132,132,132,255,133,133,133,255,133,133,133,255,133,133,133,255,132,132,132,255,131,131,131,255,130,130,130,255,129,129,129,255,128,128,128,255,127,127,127,255,126,126,126,255,125,125,125,255,122,122,122,255,118,118,118,255,114,114,114,255,111,111,111,255,109,109,109,255,106,106,106,255,104,104,104,255,103,103,103,255,102,102,102,255,102,102,102,255,102,102,102,255,103,103,103,255,104,104,104,255,105,105,105,255,106,106,106,255,107,107,107,255,105,105,105,255,107,107,107,255,109,109,109,255,111,111,111,255,113,113,113,255,114,114,114,255,113,113,113,255,113,113,113,255,113,113,113,255,115,115,115,255,117,117,117,255,119,119,119,255,121,121,121,255,122,122,122,255,123,123,123,255,122,122,122,255,122,122,122,255,123,123,123,255,124,124,124,255,125,125,125,255,125,125,125,255,125,125,125,255,125,125,125,255,125,125,125,255,127,127,127,255,128,128,128,255,129,129,129,255,130,130,130,255,129,129,129,255,128,128,128,255,127,127,127,255,126,126,126,255,124,124,124,255,122,122,122,255,121,121,121,255,120,120,120,255,120,120,120,255,120,120,120,255,120,120,120,255,120,120,120,255,118,118,118,255,116,116,116,255,113,113,113,255,110,110,110,255,108,108,108,255,107,107,107,255,108,108,108,255,110,110,110,255,114,114,114,255,119,119,119,255,123,123,123,255,126,126,126,255,129,129,129,255,131,131,131,255,132,132,132,255,133,133,133,255,135,135,135,255,135,135,135,255,136,136,136,255,137,137,137,255,137,137,137,255,137,137,137,255,138,138,138,255,138,138,138,255,138,138,138,255,137,137,137,255,136,136,136,255,136,136,136,255,135,135,135,255,135,135,135,255,134,134,134,255,134,134,134,255,134,134,134,255,134,134,134,255,135,135,135,255,134,134,134,255,133,133,133,255,132,132,132,255,131,131,131,255,130,130,130,255,129,129,129,255,127,127,127,255,126,126,126,255,124,124,124,255,121,121,121,255,117,117,117,255,112,112,112,255,109,109,109,255,106,106,106,255,104,104,104,255,102,102,102,255,102,102,102,255,101,101,101,255,101,101,101,255,101,101,101,255,102,102,102,255,103,103,103,255,104,104,104,255,105,105,105,255,105,105,105,255,105,105,105,255,107,107,107,255,108,108,108,255,110,110,110,255,112,112,112,255,112,112,112,255,112,112,112,255,111,111,111,255,111,111,111,255,112,112,112,255,115,115,115,255,117,117,117,255,119,119,119,255,121,121,121,255,121,121,121,255,121,121,121,255,122,122,122,255,123,123,123,255,124,124,124,255,126,126,126,255,126,126,126,255,126,126,126,255,126,126,126,255,127,127,127,255,128,128,128,255,130,130,130,255,130,130,130,255,130,130,130,255,129,129,129,255,127,127,127,255,126,126,126,255,125,125,125,255,123,123,123,255,121,121,121,255,120,120,120,255,119,119,119,255,119,119,119,255,120,120,120,255,120,120,120,255,119,119,119,255,118,118,118,255,116,116,116,255,113,113,113,255,111,111,111,255,109,109,109,255,108,108,108,255,109,109,109,255,111,111,111,255,115,115,115,255,119,119,119,255,123,123,123,255,127,127,127,255,130,130,130,255,132,132,132,255,133,133,133,255,134,134,134,255,135,135,135,255,136,136,136,255,136,136,136,255,137,137,137,255,137,137,137,255,137,137,137,255,138,138,138,255,138,138,138,255,138,138,138,255,137,137,137,255,137,137,137,255,136,136,136,255,136,136,136,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,136,136,136,255,136,136,136,255,136,136,136,255,134,134,134,255,133,133,133,255,131,131,131,255,129,129,129,255,128,128,128,255,126,126,126,255,125,125,125,255,123,123,123,255,119,119,119,255,115,115,115,255,110,110,110,255,107,107,107,255,104,104,104,255,102,102,102,255,101,101,101,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,101,101,101,255,102,102,102,255,103,103,103,255,103,103,103,255,103,103,103,255,105,105,105,255,106,106,106,255,107,107,107,255,109,109,109,255,110,110,110,255,110,110,110,255,110,110,110,255,109,109,109,255,109,109,109,255,110,110,110,255,113,113,113,255,115,115,115,255,117,117,117,255,119,119,119,255,119,119,119,255,120,120,120,255,121,121,121,255,122,122,122,255,124,124,124,255,126,126,126,255,127,127,127,255,127,127,127,255,127,127,127,255,128,128,128,255,129,129,129,255,130,130,130,255,130,130,130,255,130,130,130,255,129,129,129,255,127,127,127,255,125,125,125,255,124,124,124,255,122,122,122,255,121,121,121,255,119,119,119,255,119,119,119,255,119,119,119,255,119,119,119,255,119,119,119,255,119,119,119,255,117,117,117,255,115,115,115,255,113,113,113,255,111,111,111,255,110,110,110,255,109,109,109,255,110,110,110,255,112,112,112,255,115,115,115,255,119,119,119,255,123,123,123,255,127,127,127,255,130,130,130,255,132,132,132,255,134,134,134,255,135,135,135,255,136,136,136,255,137,137,137,255,137,137,137,255,137,137,137,255,137,137,137,255,137,137,137,255,138,138,138,255,138,138,138,255,138,138,138,255,138,138,138,255,138,138,138,255,137,137,137,255,137,137,137,255,137,137,137,255,136,136,136,255,136,136,136,255,136,136,136,255,136,136,136,255,137,137,137,255,136,136,136,255,135,135,135,255,133,133,133,255,131,131,131,255,129,129,129,255,127,127,127,255,125,125,125,255,123,123,123,255,120,120,120,255,117,117,117,255,112,112,112,255,108,108,108,255,105,105,105,255,102,102,102,255,100,100,100,255,99,99,99,255,99,99,99,255,98,98,98,255,98,98,98,255,98,98,98,255,99,99,99,255,100,100,100,255,101,101,101,255,102,102,102,255,102,102,102,255,105,105,105,255,105,105,105,255,106,106,106,255,107,107,107,255,108,108,108,255,109,109,109,255,108,108,108,255,108,108,108,255,108,108,108,255,109,109,109,255,111,111,111,255,114,114,114,255,116,116,116,255,117,117,117,255,118,118,118,255,119,119,119,255,119,119,119,255,121,121,121,255,123,123,123,255,125,125,125,255,127,127,127,255,127,127,127,255,128,128,128,255,128,128,128,255,129,129,129,255,130,130,130,255,130,130,130,255,129,129,129,255,128,128,128,255,126,126,126,255,125,125,125,255,124,124,124,255,122,122,122,255,120,120,120,255,119,119,119,255,118,118,118,255,118,118,118,255,119,119,119,255,119,119,119,255,118,118,118,255,117,117,117,255,115,115,115,255,113,113,113,255,112,112,112,255,112,112,112,255,111,111,111,255,112,112,112,255,113,113,113,255,116,116,116,255,119,119,119,255,123,123,123,255,126,126,126,255,129,129,129,255,132,132,132,255,134,134,134,255,135,135,135,255,136,136,136,255,138,138,138,255,138,138,138,255,138,138,138,255,138,138,138,255,138,138,138,255,138,138,138,255,138,138,138,255,138,138,138,255,138,138,138,255,138,138,138,255,138,138,138,255,138,138,138,255,137,137,137,255,136,136,136,255,136,136,136,255,136,136,136,255,136,136,136,255,137,137,137,255,136,136,136,255,135,135,135,255,133,133,133,255,130,130,130,255,128,128,128,255,126,126,126,255,124,124,124,255,121,121,121,255,118,118,118,255,114,114,114,255,110,110,110,255,106,106,106,255,103,103,103,255,101,101,101,255,99,99,99,255,97,97,97,255,97,97,97,255,96,96,96,255,96,96,96,255,96,96,96,255,97,97,97,255,98,98,98,255,100,100,100,255,101,101,101,255,102,102,102,255,104,104,104,255,105,105,105,255,105,105,105,255,106,106,106,255,107,107,107,255,107,107,107,255,107,107,107,255,107,107,107,255,107,107,107,255,108,108,108,255,110,110,110,255,112,112,112,255,114,114,114,255,115,115,115,255,116,116,116,255,117,117,117,255,118,118,118,255,120,120,120,255,122,122,122,255,125,125,125,255,126,126,126,255,127,127,127,255,128,128,128,255,128,128,128,255,129,129,129,255,130,130,130,255,130,130,130,255,129,129,129,255,128,128,128,255,126,126,126,255,125,125,125,255,124,124,124,255,123,123,123,255,121,121,121,255,119,119,119,255,118,118,118,255,118,118,118,255,119,119,119,255,119,119,119,255,118,118,118,255,117,117,117,255,115,115,115,255,114,114,114,255,114,114,114,255,114,114,114,255,114,114,114,255,114,114,114,255,115,115,115,255,117,117,117,255,120,120,120,255,123,123,123,255,126,126,126,255,129,129,129,255,131,131,131,255,133,133,133,255,135,135,135,255,137,137,137,255,138,138,138,255,139,139,139,255,139,139,139,255,138,138,138,255,137,137,137,255,137,137,137,255,137,137,137,255,137,137,137,255,137,137,137,255,137,137,137,255,137,137,137,255,137,137,137,255,136,136,136,255,135,135,135,255,135,135,135,255,134,134,134,255,135,135,135,255,135,135,135,255,136,136,136,255,134,134,134,255,132,132,132,255,129,129,129,255,127,127,127,255,125,125,125,255,122,122,122,255,120,120,120,255,116,116,116,255,112,112,112,255,107,107,107,255,104,104,104,255,102,102,102,255,100,100,100,255,98,98,98,255,96,96,96,255,95,95,95,255,93,93,93,255,93,93,93,255,93,93,93,255,95,95,95,255,96,96,96,255,98,98,98,255,100,100,100,255,101,101,101,255,104,104,104,255,104,104,104,255,104,104,104,255,105,105,105,255,106,106,106,255,107,107,107,255,107,107,107,255,106,106,106,255,107,107,107,255,107,107,107,255,109,109,109,255,111,111,111,255,113,113,113,255,114,114,114,255,115,115,115,255,116,116,116,255,117,117,117,255,118,118,118,255,121,121,121,255,124,124,124,255,126,126,126,255,127,127,127,255,128,128,128,255,129,129,129,255,130,130,130,255,130,130,130,255,129,129,129,255,129,129,129,255,128,128,128,255,127,127,127,255,126,126,126,255,125,125,125,255,124,124,124,255,122,122,122,255,120,120,120,255,119,119,119,255,119,119,119,255,119,119,119,255,119,119,119,255,118,118,118,255,117,117,117,255,116,116,116,255,115,115,115,255,115,115,115,255,116,116,116,255,116,116,116,255,117,117,117,255,118,118,118,255,119,119,119,255,121,121,121,255,124,124,124,255,126,126,126,255,128,128,128,255,131,131,131,255,133,133,133,255,135,135,135,255,137,137,137,255,138,138,138,255,139,139,139,255,139,139,139,255,138,138,138,255,137,137,137,255,136,136,136,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,136,136,136,255,135,135,135,255,134,134,134,255,133,133,133,255,132,132,132,255,132,132,132,255,133,133,133,255,134,134,134,255,134,134,134,255,133,133,133,255,131,131,131,255,129,129,129,255,126,126,126,255,124,124,124,255,121,121,121,255,118,118,118,255,114,114,114,255,110,110,110,255,105,105,105,255,102,102,102,255,100,100,100,255,99,99,99,255,97,97,97,255,95,95,95,255,93,93,93,255,91,91,91,255,91,91,91,255,91,91,91,255,93,93,93,255,94,94,94,255,96,96,96,255,99,99,99,255,101,101,101,255,104,104,104,255,103,103,103,255,104,104,104,255,105,105,105,255,106,106,106,255,107,107,107,255,107,107,107,255,107,107,107,255,107,107,107,255,107,107,107,255,109,109,109,255,110,110,110,255,112,112,112,255,113,113,113,255,114,114,114,255,114,114,114,255,115,115,115,255,117,117,117,255,120,120,120,255,123,123,123,255,125,125,125,255,127,127,127,255,128,128,128,255,129,129,129,255,130,130,130,255,130,130,130,255,130,130,130,255,129,129,129,255,128,128,128,255,127,127,127,255,127,127,127,255,126,126,126,255,124,124,124,255,122,122,122,255,121,121,121,255,119,119,119,255,119,119,119,255,120,120,120,255,120,120,120,255,119,119,119,255,118,118,118,255,117,117,117,255,116,116,116,255,117,117,117,255,118,118,118,255,119,119,119,255,120,120,120,255,121,121,121,255,122,122,122,255,123,123,123,255,126,126,126,255,127,127,127,255,129,129,129,255,131,131,131,255,133,133,133,255,135,135,135,255,137,137,137,255,139,139,139,255,139,139,139,255,139,139,139,255,138,138,138,255,136,136,136,255,135,135,135,255,134,134,134,255,133,133,133,255,133,133,133,255,133,133,133,255,133,133,133,255,133,133,133,255,132,132,132,255,130,130,130,255,130,130,130,255,129,129,129,255,130,130,130,255,131,131,131,255,132,132,132,255,131,131,131,255,130,130,130,255,127,127,127,255,125,125,125,255,123,123,123,255,120,120,120,255,117,117,117,255,113,113,113,255,108,108,108,255,104,104,104,255,101,101,101,255,99,99,99,255,98,98,98,255,96,96,96,255,94,94,94,255,92,92,92,255,90,90,90,255,89,89,89,255,90,90,90,255,91,91,91,255,93,93,93,255,95,95,95,255,97,97,97,255,100,100,100,255,103,103,103,255,103,103,103,255,104,104,104,255,105,105,105,255,106,106,106,255,107,107,107,255,108,108,108,255,108,108,108,255,107,107,107,255,108,108,108,255,109,109,109,255,110,110,110,255,112,112,112,255,112,112,112,255,113,113,113,255,113,113,113,255,114,114,114,255,115,115,115,255,118,118,118,255,121,121,121,255,124,124,124,255,126,126,126,255,128,128,128,255,129,129,129,255,130,130,130,255,131,131,131,255,130,130,130,255,129,129,129,255,128,128,128,255,127,127,127,255,127,127,127,255,126,126,126,255,125,125,125,255,123,123,123,255,121,121,121,255,120,120,120,255,120,120,120,255,121,121,121,255,121,121,121,255,120,120,120,255,119,119,119,255,119,119,119,255,118,118,118,255,119,119,119,255,121,121,121,255,122,122,122,255,123,123,123,255,123,123,123,255,124,124,124,255,126,126,126,255,128,128,128,255,129,129,129,255,130,130,130,255,132,132,132,255,134,134,134,255,135,135,135,255,137,137,137,255,139,139,139,255,140,140,140,255,140,140,140,255,138,138,138,255,136,136,136,255,135,135,135,255,134,134,134,255,132,132,132,255,131,131,131,255,131,131,131,255,131,131,131,255,130,130,130,255,129,129,129,255,128,128,128,255,127,127,127,255,127,127,127,255,128,128,128,255,130,130,130,255,130,130,130,255,130,130,130,255,128,128,128,255,126,126,126,255,124,124,124,255,122,122,122,255,119,119,119,255,116,116,116,255,112,112,112,255,107,107,107,255,103,103,103,255,100,100,100,255,99,99,99,255,97,97,97,255,96,96,96,255,94,94,94,255,91,91,91,255,90,90,90,255,89,89,89,255,90,90,90,255,91,91,91,255,92,92,92,255,94,94,94,255,96,96,96,255,99,99,99,255,103,103,103,255,103,103,103,255,103,103,103,255,104,104,104,255,106,106,106,255,108,108,108,255,108,108,108,255,108,108,108,255,108,108,108,255,108,108,108,255,108,108,108,255,109,109,109,255,111,111,111,255,111,111,111,255,111,111,111,255,111,111,111,255,112,112,112,255,113,113,113,255,116,116,116,255,119,119,119,255,122,122,122,255,125,125,125,255,127,127,127,255,129,129,129,255,130,130,130,255,130,130,130,255,130,130,130,255,129,129,129,255,128,128,128,255,127,127,127,255,127,127,127,255,127,127,127,255,125,125,125,255,124,124,124,255,122,122,122,255,121,121,121,255,122,122,122,255,123,123,123,255,123,123,123,255,123,123,123,255,122,122,122,255,121,121,121,255,121,121,121,255,121,121,121,255,123,123,123,255,124,124,124,255,125,125,125,255,126,126,126,255,127,127,127,255,129,129,129,255,130,130,130,255,131,131,131,255,132,132,132,255,134,134,134,255,135,135,135,255,137,137,137,255,139,139,139,255,140,140,140,255,141,141,141,255,140,140,140,255,139,139,139,255,137,137,137,255,136,136,136,255,134,134,134,255,132,132,132,255,130,130,130,255,129,129,129,255,128,128,128,255,127,127,127,255,126,126,126,255,125,125,125,255,125,125,125,255,125,125,125,255,126,126,126,255,127,127,127,255,128,128,128,255,127,127,127,255,126,126,126,255,124,124,124,255,122,122,122,255,120,120,120,255,118,118,118,255,115,115,115,255,110,110,110,255,106,106,106,255,102,102,102,255,100,100,100,255,98,98,98,255,97,97,97,255,95,95,95,255,94,94,94,255,92,92,92,255,91,91,91,255,90,90,90,255,91,91,91,255,91,91,91,255,92,92,92,255,94,94,94,255,96,96,96,255,99,99,99,255,102,102,102,255,102,102,102,255,102,102,102,255,104,104,104,255,106,106,106,255,107,107,107,255,108,108,108,255,108,108,108,255,108,108,108,255,108,108,108,255,108,108,108,255,109,109,109,255,110,110,110,255,110,110,110,255,110,110,110,255,109,109,109,255,110,110,110,255,111,111,111,255,113,113,113,255,116,116,116,255,119,119,119,255,123,123,123,255,125,125,125,255,128,128,128,255,129,129,129,255,129,129,129,255,129,129,129,255,128,128,128,255,128,128,128,255,127,127,127,255,127,127,127,255,127,127,127,255,126,126,126,255,125,125,125,255,124,124,124,255,123,123,123,255,124,124,124,255,125,125,125,255,126,126,126,255,126,126,126,255,125,125,125,255,124,124,124,255,123,123,123,255,124,124,124,255,125,125,125,255,126,126,126,255,127,127,127,255,128,128,128,255,129,129,129,255,131,131,131,255,132,132,132,255,133,133,133,255,134,134,134,255,136,136,136,255,137,137,137,255,139,139,139,255,140,140,140,255,141,141,141,255,142,142,142,255,141,141,141,255,139,139,139,255,138,138,138,255,136,136,136,255,134,134,134,255,132,132,132,255,130,130,130,255,128,128,128,255,126,126,126,255,125,125,125,255,124,124,124,255,123,123,123,255,122,122,122,255,123,123,123,255,124,124,124,255,125,125,125,255,125,125,125,255,125,125,125,255,124,124,124,255,122,122,122,255,120,120,120,255,118,118,118,255,116,116,116,255,113,113,113,255,109,109,109,255,105,105,105,255,102,102,102,255,99,99,99,255,98,98,98,255,97,97,97,255,96,96,96,255,94,94,94,255,93,93,93,255,92,92,92,255,92,92,92,255,92,92,92,255,92,92,92,255,92,92,92,255,94,94,94,255,96,96,96,255,99,99,99,255,102,102,102,255,101,101,101,255,102,102,102,255,103,103,103,255,105,105,105,255,106,106,106,255,107,107,107,255,108,108,108,255,108,108,108,255,108,108,108,255,108,108,108,255,109,109,109,255,109,109,109,255,109,109,109,255,109,109,109,255,108,108,108,255,108,108,108,255,109,109,109,255,110,110,110,255,113,113,113,255,117,117,117,255,120,120,120,255,123,123,123,255,126,126,126,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,126,126,126,255,126,126,126,255,125,125,125,255,125,125,125,255,126,126,126,255,127,127,127,255,128,128,128,255,128,128,128,255,128,128,128,255,127,127,127,255,126,126,126,255,126,126,126,255,126,126,126,255,127,127,127,255,128,128,128,255,130,130,130,255,131,131,131,255,132,132,132,255,134,134,134,255,135,135,135,255,136,136,136,255,138,138,138,255,139,139,139,255,140,140,140,255,141,141,141,255,142,142,142,255,142,142,142,255,141,141,141,255,140,140,140,255,138,138,138,255,137,137,137,255,135,135,135,255,132,132,132,255,129,129,129,255,127,127,127,255,125,125,125,255,123,123,123,255,122,122,122,255,121,121,121,255,121,121,121,255,121,121,121,255,122,122,122,255,122,122,122,255,123,123,123,255,123,123,123,255,122,122,122,255,121,121,121,255,119,119,119,255,117,117,117,255,115,115,115,255,112,112,112,255,108,108,108,255,105,105,105,255,101,101,101,255,99,99,99,255,98,98,98,255,97,97,97,255,95,95,95,255,94,94,94,255,93,93,93,255,92,92,92,255,92,92,92,255,92,92,92,255,92,92,92,255,93,93,93,255,94,94,94,255,97,97,97,255,100,100,100,255,101,101,101,255,101,101,101,255,101,101,101,255,102,102,102,255,104,104,104,255,106,106,106,255,107,107,107,255,108,108,108,255,109,109,109,255,109,109,109,255,109,109,109,255,110,110,110,255,110,110,110,255,109,109,109,255,108,108,108,255,108,108,108,255,107,107,107,255,108,108,108,255,109,109,109,255,111,111,111,255,115,115,115,255,118,118,118,255,121,121,121,255,123,123,123,255,124,124,124,255,125,125,125,255,125,125,125,255,125,125,125,255,126,126,126,255,126,126,126,255,127,127,127,255,127,127,127,255,126,126,126,255,126,126,126,255,126,126,126,255,126,126,126,255,127,127,127,255,128,128,128,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,129,129,129,255,128,128,128,255,128,128,128,255,129,129,129,255,130,130,130,255,131,131,131,255,132,132,132,255,133,133,133,255,134,134,134,255,136,136,136,255,137,137,137,255,139,139,139,255,140,140,140,255,141,141,141,255,142,142,142,255,142,142,142,255,141,141,141,255,140,140,140,255,139,139,139,255,138,138,138,255,137,137,137,255,135,135,135,255,132,132,132,255,129,129,129,255,126,126,126,255,124,124,124,255,123,123,123,255,121,121,121,255,120,120,120,255,120,120,120,255,120,120,120,255,120,120,120,255,121,121,121,255,121,121,121,255,121,121,121,255,120,120,120,255,120,120,120,255,118,118,118,255,116,116,116,255,114,114,114,255,111,111,111,255,107,107,107,255,104,104,104,255,101,101,101,255,99,99,99,255,98,98,98,255,96,96,96,255,95,95,95,255,94,94,94,255,92,92,92,255,91,91,91,255,91,91,91,255,91,91,91,255,92,92,92,255,93,93,93,255,95,95,95,255,98,98,98,255,102,102,102,255,101,101,101,255,101,101,101,255,101,101,101,255,102,102,102,255,104,104,104,255,106,106,106,255,107,107,107,255,109,109,109,255,109,109,109,255,110,110,110,255,111,111,111,255,111,111,111,255,110,110,110,255,109,109,109,255,108,108,108,255,108,108,108,255,107,107,107,255,107,107,107,255,108,108,108,255,110,110,110,255,113,113,113,255,116,116,116,255,118,118,118,255,120,120,120,255,122,122,122,255,122,122,122,255,122,122,122,255,123,123,123,255,124,124,124,255,125,125,125,255,125,125,125,255,125,125,125,255,125,125,125,255,125,125,125,255,125,125,125,255,126,126,126,255,127,127,127,255,129,129,129,255,131,131,131,255,132,132,132,255,132,132,132,255,132,132,132,255,131,131,131,255,130,130,130,255,129,129,129,255,130,130,130,255,131,131,131,255,132,132,132,255,133,133,133,255,134,134,134,255,135,135,135,255,136,136,136,255,138,138,138,255,139,139,139,255,141,141,141,255,141,141,141,255,141,141,141,255,141,141,141,255,140,140,140,255,138,138,138,255,137,137,137,255,136,136,136,255,135,135,135,255,134,134,134,255,131,131,131,255,129,129,129,255,126,126,126,255,124,124,124,255,123,123,123,255,121,121,121,255,121,121,121,255,120,120,120,255,120,120,120,255,120,120,120,255,120,120,120,255,120,120,120,255,120,120,120,255,120,120,120,255,119,119,119,255,118,118,118,255,116,116,116,255,114,114,114,255,111,111,111,255,107,107,107,255,104,104,104,255,101,101,101,255,99,99,99,255,97,97,97,255,96,96,96,255,94,94,94,255,93,93,93,255,91,91,91,255,90,90,90,255,90,90,90,255,90,90,90,255,91,91,91,255,92,92,92,255,95,95,95,255,99,99,99,255,103,103,103,255,102,102,102,255,101,101,101,255,102,102,102,255,103,103,103,255,105,105,105,255,107,107,107,255,109,109,109,255,110,110,110,255,111,111,111,255,111,111,111,255,112,112,112,255,112,112,112,255,111,111,111,255,110,110,110,255,109,109,109,255,108,108,108,255,107,107,107,255,107,107,107,255,108,108,108,255,110,110,110,255,112,112,112,255,115,115,115,255,117,117,117,255,119,119,119,255,120,120,120,255,120,120,120,255,120,120,120,255,121,121,121,255,122,122,122,255,123,123,123,255,123,123,123,255,124,124,124,255,124,124,124,255,124,124,124,255,124,124,124,255,125,125,125,255,127,127,127,255,129,129,129,255,131,131,131,255,132,132,132,255,133,133,133,255,133,133,133,255,132,132,132,255,131,131,131,255,131,131,131,255,131,131,131,255,132,132,132,255,133,133,133,255,135,135,135,255,135,135,135,255,136,136,136,255,137,137,137,255,138,138,138,255,139,139,139,255,140,140,140,255,141,141,141,255,140,140,140,255,139,139,139,255,138,138,138,255,137,137,137,255,135,135,135,255,134,134,134,255,133,133,133,255,132,132,132,255,130,130,130,255,128,128,128,255,126,126,126,255,124,124,124,255,123,123,123,255,122,122,122,255,121,121,121,255,120,120,120,255,120,120,120,255,120,120,120,255,120,120,120,255,120,120,120,255,120,120,120,255,120,120,120,255,119,119,119,255,118,118,118,255,117,117,117,255,114,114,114,255,111,111,111,255,107,107,107,255,103,103,103,255,100,100,100,255,98,98,98,255,97,97,97,255,95,95,95,255,93,93,93,255,91,91,91,255,89,89,89,255,88,88,88,255,88,88,88,255,88,88,88,255,89,89,89,255,92,92,92,255,95,95,95,255,99,99,99,255,104,104,104,255,104,104,104,255,103,103,103,255,103,103,103,255,105,105,105,255,107,107,107,255,108,108,108,255,109,109,109,255,111,111,111,255,112,112,112,255,112,112,112,255,113,113,113,255,112,112,112,255,112,112,112,255,110,110,110,255,109,109,109,255,108,108,108,255,108,108,108,255,107,107,107,255,108,108,108,255,109,109,109,255,111,111,111,255,113,113,113,255,116,116,116,255,117,117,117,255,118,118,118,255,119,119,119,255,119,119,119,255,119,119,119,255,120,120,120,255,121,121,121,255,121,121,121,255,121,121,121,255,122,122,122,255,122,122,122,255,123,123,123,255,124,124,124,255,126,126,126,255,128,128,128,255,131,131,131,255,133,133,133,255,134,134,134,255,134,134,134,255,133,133,133,255,132,132,132,255,132,132,132,255,132,132,132,255,133,133,133,255,135,135,135,255,136,136,136,255,137,137,137,255,137,137,137,255,138,138,138,255,138,138,138,255,139,139,139,255,140,140,140,255,140,140,140,255,139,139,139,255,138,138,138,255,137,137,137,255,135,135,135,255,133,133,133,255,132,132,132,255,131,131,131,255,129,129,129,255,128,128,128,255,127,127,127,255,125,125,125,255,124,124,124,255,123,123,123,255,121,121,121,255,121,121,121,255,120,120,120,255,120,120,120,255,120,120,120,255,120,120,120,255,120,120,120,255,120,120,120,255,120,120,120,255,119,119,119,255,118,118,118,255,116,116,116,255,114,114,114,255,110,110,110,255,106,106,106,255,103,103,103,255,100,100,100,255,98,98,98,255,96,96,96,255,95,95,95,255,92,92,92,255,90,90,90,255,87,87,87,255,86,86,86,255,86,86,86,255,87,87,87,255,88,88,88,255,91,91,91,255,95,95,95,255,99,99,99,255,104,104,104,255,105,105,105,255,105,105,105,255,105,105,105,255,106,106,106,255,107,107,107,255,108,108,108,255,109,109,109,255,110,110,110,255,112,112,112,255,112,112,112,255,113,113,113,255,112,112,112,255,111,111,111,255,110,110,110,255,109,109,109,255,108,108,108,255,107,107,107,255,107,107,107,255,107,107,107,255,108,108,108,255,110,110,110,255,112,112,112,255,114,114,114,255,115,115,115,255,117,117,117,255,118,118,118,255,118,118,118,255,118,118,118,255,118,118,118,255,118,118,118,255,119,119,119,255,119,119,119,255,120,120,120,255,121,121,121,255,122,122,122,255,124,124,124,255,126,126,126,255,128,128,128,255,131,131,131,255,133,133,133,255,134,134,134,255,135,135,135,255,134,134,134,255,133,133,133,255,133,133,133,255,133,133,133,255,134,134,134,255,136,136,136,255,137,137,137,255,138,138,138,255,138,138,138,255,138,138,138,255,139,139,139,255,140,140,140,255,140,140,140,255,140,140,140,255,139,139,139,255,138,138,138,255,136,136,136,255,134,134,134,255,132,132,132,255,130,130,130,255,129,129,129,255,127,127,127,255,127,127,127,255,126,126,126,255,125,125,125,255,124,124,124,255,122,122,122,255,121,121,121,255,120,120,120,255,120,120,120,255,120,120,120,255,120,120,120,255,120,120,120,255,120,120,120,255,120,120,120,255,119,119,119,255,118,118,118,255,116,116,116,255,115,115,115,255,112,112,112,255,109,109,109,255,106,106,106,255,103,103,103,255,100,100,100,255,97,97,97,255,96,96,96,255,94,94,94,255,91,91,91,255,88,88,88,255,86,86,86,255,84,84,84,255,84,84,84,255,85,85,85,255,87,87,87,255,91,91,91,255,95,95,95,255,99,99,99,255,104,104,104,255,107,107,107,255,106,106,106,255,106,106,106,255,106,106,106,255,107,107,107,255,107,107,107,255,108,108,108,255,110,110,110,255,111,111,111,255,112,112,112,255,112,112,112,255,111,111,111,255,110,110,110,255,109,109,109,255,108,108,108,255,107,107,107,255,107,107,107,255,106,106,106,255,106,106,106,255,107,107,107,255,108,108,108,255,109,109,109,255,111,111,111,255,114,114,114,255,116,116,116,255,117,117,117,255,118,118,118,255,118,118,118,255,117,117,117,255,117,117,117,255,117,117,117,255,118,118,118,255,119,119,119,255,120,120,120,255,122,122,122,255,124,124,124,255,127,127,127,255,129,129,129,255,132,132,132,255,134,134,134,255,135,135,135,255,136,136,136,255,135,135,135,255,134,134,134,255,134,134,134,255,134,134,134,255,135,135,135,255,136,136,136,255,137,137,137,255,138,138,138,255,138,138,138,255,139,139,139,255,139,139,139,255,140,140,140,255,140,140,140,255,140,140,140,255,139,139,139,255,137,137,137,255,136,136,136,255,134,134,134,255,131,131,131,255,129,129,129,255,127,127,127,255,126,126,126,255,125,125,125,255,125,125,125,255,124,124,124,255,123,123,123,255,121,121,121,255,119,119,119,255,119,119,119,255,118,118,118,255,119,119,119,255,119,119,119,255,120,120,120,255,120,120,120,255,119,119,119,255,118,118,118,255,116,116,116,255,115,115,115,255,113,113,113,255,111,111,111,255,108,108,108,255,105,105,105,255,102,102,102,255,100,100,100,255,97,97,97,255,95,95,95,255,93,93,93,255,90,90,90,255,87,87,87,255,85,85,85,255,84,84,84,255,84,84,84,255,85,85,85,255,88,88,88,255,91,91,91,255,95,95,95,255,99,99,99,255,103,103,103,255,108,108,108,255,107,107,107,255,107,107,107,255,106,106,106,255,106,106,106,255,107,107,107,255,107,107,107,255,109,109,109,255,110,110,110,255,111,111,111,255,111,111,111,255,110,110,110,255,108,108,108,255,107,107,107,255,106,106,106,255,106,106,106,255,105,105,105,255,105,105,105,255,105,105,105,255,105,105,105,255,105,105,105,255,107,107,107,255,109,109,109,255,112,112,112,255,115,115,115,255,117,117,117,255,118,118,118,255,118,118,118,255,117,117,117,255,117,117,117,255,117,117,117,255,117,117,117,255,118,118,118,255,120,120,120,255,122,122,122,255,124,124,124,255,127,127,127,255,129,129,129,255,132,132,132,255,134,134,134,255,136,136,136,255,136,136,136,255,136,136,136,255,135,135,135,255,134,134,134,255,135,135,135,255,136,136,136,255,137,137,137,255,138,138,138,255,138,138,138,255,138,138,138,255,139,139,139,255,139,139,139,255,140,140,140,255,140,140,140,255,140,140,140,255,139,139,139,255,137,137,137,255,136,136,136,255,134,134,134,255,131,131,131,255,129,129,129,255,127,127,127,255,126,126,126,255,125,125,125,255,124,124,124,255,123,123,123,255,122,122,122,255,120,120,120,255,118,118,118,255,117,117,117,255,116,116,116,255,117,117,117,255,118,118,118,255,118,118,118,255,118,118,118,255,117,117,117,255,116,116,116,255,115,115,115,255,113,113,113,255,111,111,111,255,109,109,109,255,107,107,107,255,105,105,105,255,102,102,102,255,100,100,100,255,97,97,97,255,95,95,95,255,92,92,92,255,90,90,90,255,88,88,88,255,86,86,86,255,85,85,85,255,85,85,85,255,86,86,86,255,89,89,89,255,91,91,91,255,95,95,95,255,99,99,99,255,102,102,102,255,109,109,109,255,108,108,108,255,107,107,107,255,106,106,106,255,106,106,106,255,106,106,106,255,107,107,107,255,108,108,108,255,109,109,109,255,110,110,110,255,110,110,110,255,108,108,108,255,107,107,107,255,105,105,105,255,105,105,105,255,104,104,104,255,104,104,104,255,104,104,104,255,103,103,103,255,103,103,103,255,103,103,103,255,104,104,104,255,107,107,107,255,110,110,110,255,114,114,114,255,116,116,116,255,118,118,118,255,118,118,118,255,118,118,118,255,117,117,117,255,117,117,117,255,118,118,118,255,119,119,119,255,120,120,120,255,122,122,122,255,124,124,124,255,127,127,127,255,129,129,129,255,132,132,132,255,134,134,134,255,136,136,136,255,136,136,136,255,136,136,136,255,135,135,135,255,135,135,135,255,135,135,135,255,136,136,136,255,137,137,137,255,138,138,138,255,138,138,138,255,138,138,138,255,138,138,138,255,139,139,139,255,139,139,139,255,139,139,139,255,139,139,139,255,138,138,138,255,137,137,137,255,136,136,136,255,134,134,134,255,132,132,132,255,129,129,129,255,127,127,127,255,126,126,126,255,124,124,124,255,123,123,123,255,122,122,122,255,120,120,120,255,118,118,118,255,116,116,116,255,114,114,114,255,114,114,114,255,114,114,114,255,115,115,115,255,116,116,116,255,116,116,116,255,115,115,115,255,114,114,114,255,113,113,113,255,111,111,111,255,109,109,109,255,107,107,107,255,106,106,106,255,104,104,104,255,102,102,102,255,100,100,100,255,97,97,97,255,95,95,95,255,92,92,92,255,90,90,90,255,89,89,89,255,88,88,88,255,88,88,88,255,88,88,88,255,89,89,89,255,90,90,90,255,92,92,92,255,95,95,95,255,98,98,98,255,101,101,101,255,109,109,109,255,108,108,108,255,107,107,107,255,107,107,107,255,106,106,106,255,106,106,106,255,107,107,107,255,108,108,108,255,109,109,109,255,109,109,109,255,109,109,109,255,107,107,107,255,105,105,105,255,104,104,104,255,104,104,104,255,103,103,103,255,103,103,103,255,103,103,103,255,102,102,102,255,102,102,102,255,102,102,102,255,103,103,103,255,106,106,106,255,109,109,109,255,113,113,113,255,116,116,116,255,118,118,118,255,118,118,118,255,119,119,119,255,118,118,118,255,118,118,118,255,118,118,118,255,119,119,119,255,120,120,120,255,122,122,122,255,123,123,123,255,126,126,126,255,128,128,128,255,131,131,131,255,134,134,134,255,136,136,136,255,136,136,136,255,136,136,136,255,136,136,136,255,135,135,135,255,136,136,136,255,137,137,137,255,138,138,138,255,138,138,138,255,139,139,139,255,138,138,138,255,138,138,138,255,138,138,138,255,138,138,138,255,138,138,138,255,138,138,138,255,137,137,137,255,136,136,136,255,135,135,135,255,134,134,134,255,132,132,132,255,130,130,130,255,128,128,128,255,126,126,126,255,124,124,124,255,123,123,123,255,122,122,122,255,120,120,120,255,117,117,117,255,114,114,114,255,113,113,113,255,112,112,112,255,112,112,112,255,113,113,113,255,113,113,113,255,113,113,113,255,113,113,113,255,113,113,113,255,112,112,112,255,110,110,110,255,108,108,108,255,107,107,107,255,105,105,105,255,104,104,104,255,102,102,102,255,100,100,100,255,97,97,97,255,95,95,95,255,93,93,93,255,92,92,92,255,91,91,91,255,91,91,91,255,91,91,91,255,91,91,91,255,91,91,91,255,92,92,92,255,94,94,94,255,95,95,95,255,97,97,97,255,100,100,100,255,109,109,109,255,108,108,108,255,107,107,107,255,107,107,107,255,107,107,107,255,107,107,107,255,107,107,107,255,108,108,108,255,109,109,109,255,109,109,109,255,108,108,108,255,107,107,107,255,105,105,105,255,104,104,104,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,102,102,102,255,102,102,102,255,101,101,101,255,103,103,103,255,105,105,105,255,109,109,109,255,112,112,112,255,115,115,115,255,117,117,117,255,118,118,118,255,119,119,119,255,118,118,118,255,118,118,118,255,119,119,119,255,119,119,119,255,120,120,120,255,120,120,120,255,122,122,122,255,124,124,124,255,127,127,127,255,130,130,130,255,133,133,133,255,135,135,135,255,136,136,136,255,136,136,136,255,136,136,136,255,136,136,136,255,136,136,136,255,137,137,137,255,138,138,138,255,139,139,139,255,139,139,139,255,138,138,138,255,138,138,138,255,138,138,138,255,137,137,137,255,137,137,137,255,136,136,136,255,135,135,135,255,135,135,135,255,134,134,134,255,133,133,133,255,132,132,132,255,130,130,130,255,128,128,128,255,126,126,126,255,125,125,125,255,123,123,123,255,122,122,122,255,120,120,120,255,117,117,117,255,114,114,114,255,112,112,112,255,111,111,111,255,110,110,110,255,111,111,111,255,111,111,111,255,111,111,111,255,112,112,112,255,112,112,112,255,111,111,111,255,110,110,110,255,109,109,109,255,107,107,107,255,105,105,105,255,104,104,104,255,102,102,102,255,100,100,100,255,98,98,98,255,96,96,96,255,94,94,94,255,93,93,93,255,93,93,93,255,93,93,93,255,94,94,94,255,94,94,94,255,94,94,94,255,94,94,94,255,94,94,94,255,95,95,95,255,96,96,96,255,98,98,98,255,108,108,108,255,107,107,107,255,107,107,107,255,107,107,107,255,108,108,108,255,108,108,108,255,108,108,108,255,109,109,109,255,109,109,109,255,108,108,108,255,107,107,107,255,106,106,106,255,104,104,104,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,102,102,102,255,102,102,102,255,103,103,103,255,105,105,105,255,108,108,108,255,112,112,112,255,115,115,115,255,117,117,117,255,118,118,118,255,119,119,119,255,119,119,119,255,118,118,118,255,118,118,118,255,118,118,118,255,119,119,119,255,120,120,120,255,121,121,121,255,123,123,123,255,126,126,126,255,129,129,129,255,132,132,132,255,134,134,134,255,135,135,135,255,136,136,136,255,136,136,136,255,136,136,136,255,137,137,137,255,138,138,138,255,138,138,138,255,139,139,139,255,139,139,139,255,139,139,139,255,138,138,138,255,138,138,138,255,137,137,137,255,137,137,137,255,136,136,136,255,135,135,135,255,134,134,134,255,134,134,134,255,133,133,133,255,131,131,131,255,130,130,130,255,128,128,128,255,127,127,127,255,125,125,125,255,123,123,123,255,122,122,122,255,120,120,120,255,117,117,117,255,114,114,114,255,112,112,112,255,110,110,110,255,109,109,109,255,109,109,109,255,109,109,109,255,110,110,110,255,110,110,110,255,111,111,111,255,111,111,111,255,110,110,110,255,109,109,109,255,107,107,107,255,105,105,105,255,103,103,103,255,101,101,101,255,99,99,99,255,98,98,98,255,97,97,97,255,96,96,96,255,96,96,96,255,96,96,96,255,97,97,97,255,97,97,97,255,97,97,97,255,96,96,96,255,96,96,96,255,96,96,96,255,96,96,96,255,96,96,96,255,98,98,98,255,108,108,108,255,107,107,107,255,107,107,107,255,107,107,107,255,108,108,108,255,108,108,108,255,109,109,109,255,109,109,109,255,109,109,109,255,108,108,108,255,107,107,107,255,106,106,106,255,104,104,104,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,104,104,104,255,103,103,103,255,103,103,103,255,104,104,104,255,106,106,106,255,108,108,108,255,111,111,111,255,114,114,114,255,117,117,117,255,118,118,118,255,119,119,119,255,118,118,118,255,118,118,118,255,118,118,118,255,117,117,117,255,118,118,118,255,119,119,119,255,120,120,120,255,122,122,122,255,125,125,125,255,128,128,128,255,131,131,131,255,133,133,133,255,134,134,134,255,136,136,136,255,136,136,136,255,137,137,137,255,138,138,138,255,138,138,138,255,138,138,138,255,139,139,139,255,139,139,139,255,140,140,140,255,140,140,140,255,139,139,139,255,138,138,138,255,137,137,137,255,136,136,136,255,135,135,135,255,134,134,134,255,133,133,133,255,132,132,132,255,131,131,131,255,130,130,130,255,129,129,129,255,127,127,127,255,126,126,126,255,124,124,124,255,122,122,122,255,120,120,120,255,117,117,117,255,115,115,115,255,112,112,112,255,110,110,110,255,108,108,108,255,107,107,107,255,108,108,108,255,108,108,108,255,110,110,110,255,110,110,110,255,111,111,111,255,110,110,110,255,109,109,109,255,106,106,106,255,104,104,104,255,102,102,102,255,100,100,100,255,99,99,99,255,98,98,98,255,98,98,98,255,98,98,98,255,99,99,99,255,99,99,99,255,100,100,100,255,100,100,100,255,99,99,99,255,98,98,98,255,98,98,98,255,97,97,97,255,97,97,97,255,97,97,97,255,98,98,98,255,109,109,109,255,107,107,107,255,106,106,106,255,106,106,106,255,107,107,107,255,108,108,108,255,109,109,109,255,109,109,109,255,109,109,109,255,108,108,108,255,107,107,107,255,106,106,106,255,105,105,105,255,104,104,104,255,104,104,104,255,103,103,103,255,103,103,103,255,104,104,104,255,104,104,104,255,105,105,105,255,105,105,105,255,105,105,105,255,107,107,107,255,109,109,109,255,111,111,111,255,114,114,114,255,117,117,117,255,118,118,118,255,118,118,118,255,118,118,118,255,117,117,117,255,116,116,116,255,116,116,116,255,116,116,116,255,117,117,117,255,119,119,119,255,122,122,122,255,125,125,125,255,127,127,127,255,129,129,129,255,131,131,131,255,133,133,133,255,135,135,135,255,137,137,137,255,138,138,138,255,138,138,138,255,138,138,138,255,139,139,139,255,139,139,139,255,140,140,140,255,141,141,141,255,141,141,141,255,140,140,140,255,139,139,139,255,138,138,138,255,137,137,137,255,135,135,135,255,134,134,134,255,132,132,132,255,131,131,131,255,131,131,131,255,130,130,130,255,129,129,129,255,128,128,128,255,126,126,126,255,124,124,124,255,122,122,122,255,120,120,120,255,118,118,118,255,115,115,115,255,113,113,113,255,111,111,111,255,109,109,109,255,108,108,108,255,108,108,108,255,109,109,109,255,110,110,110,255,111,111,111,255,111,111,111,255,110,110,110,255,108,108,108,255,105,105,105,255,102,102,102,255,100,100,100,255,99,99,99,255,98,98,98,255,98,98,98,255,99,99,99,255,100,100,100,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,101,101,101,255,100,100,100,255,99,99,99,255,99,99,99,255,99,99,99,255,99,99,99,255,100,100,100,255,110,110,110,255,107,107,107,255,106,106,106,255,105,105,105,255,106,106,106,255,108,108,108,255,109,109,109,255,109,109,109,255,110,110,110,255,109,109,109,255,108,108,108,255,108,108,108,255,107,107,107,255,106,106,106,255,105,105,105,255,104,104,104,255,104,104,104,255,105,105,105,255,106,106,106,255,106,106,106,255,106,106,106,255,106,106,106,255,107,107,107,255,109,109,109,255,111,111,111,255,114,114,114,255,117,117,117,255,118,118,118,255,118,118,118,255,117,117,117,255,115,115,115,255,114,114,114,255,114,114,114,255,115,115,115,255,116,116,116,255,118,118,118,255,121,121,121,255,124,124,124,255,126,126,126,255,128,128,128,255,130,130,130,255,132,132,132,255,134,134,134,255,137,137,137,255,138,138,138,255,139,139,139,255,139,139,139,255,139,139,139,255,139,139,139,255,140,140,140,255,142,142,142,255,142,142,142,255,142,142,142,255,140,140,140,255,139,139,139,255,137,137,137,255,135,135,135,255,134,134,134,255,132,132,132,255,131,131,131,255,130,130,130,255,130,130,130,255,130,130,130,255,129,129,129,255,127,127,127,255,124,124,124,255,122,122,122,255,119,119,119,255,118,118,118,255,116,116,116,255,114,114,114,255,112,112,112,255,110,110,110,255,109,109,109,255,109,109,109,255,110,110,110,255,111,111,111,255,111,111,111,255,111,111,111,255,110,110,110,255,107,107,107,255,104,104,104,255,101,101,101,255,99,99,99,255,98,98,98,255,98,98,98,255,99,99,99,255,100,100,100,255,102,102,102,255,104,104,104,255,105,105,105,255,104,104,104,255,103,103,103,255,102,102,102,255,101,101,101,255,101,101,101,255,101,101,101,255,101,101,101,255,102,102,102,255,102,102,102,255,110,110,110,255,107,107,107,255,106,106,106,255,105,105,105,255,106,106,106,255,107,107,107,255,109,109,109,255,110,110,110,255,111,111,111,255,111,111,111,255,110,110,110,255,110,110,110,255,110,110,110,255,108,108,108,255,107,107,107,255,106,106,106,255,106,106,106,255,106,106,106,255,107,107,107,255,107,107,107,255,107,107,107,255,108,108,108,255,108,108,108,255,109,109,109,255,111,111,111,255,114,114,114,255,116,116,116,255,117,117,117,255,117,117,117,255,116,116,116,255,114,114,114,255,113,113,113,255,112,112,112,255,113,113,113,255,114,114,114,255,117,117,117,255,120,120,120,255,122,122,122,255,124,124,124,255,126,126,126,255,128,128,128,255,131,131,131,255,133,133,133,255,136,136,136,255,138,138,138,255,139,139,139,255,139,139,139,255,139,139,139,255,139,139,139,255,141,141,141,255,142,142,142,255,143,143,143,255,142,142,142,255,141,141,141,255,138,138,138,255,137,137,137,255,135,135,135,255,133,133,133,255,131,131,131,255,130,130,130,255,129,129,129,255,130,130,130,255,130,130,130,255,129,129,129,255,127,127,127,255,124,124,124,255,122,122,122,255,119,119,119,255,118,118,118,255,117,117,117,255,115,115,115,255,114,114,114,255,112,112,112,255,111,111,111,255,111,111,111,255,112,112,112,255,113,113,113,255,113,113,113,255,112,112,112,255,110,110,110,255,107,107,107,255,104,104,104,255,101,101,101,255,99,99,99,255,98,98,98,255,98,98,98,255,100,100,100,255,102,102,102,255,104,104,104,255,106,106,106,255,107,107,107,255,106,106,106,255,105,105,105,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,104,104,104,255,105,105,105,255,105,105,105,255,111,111,111,255,108,108,108,255,106,106,106,255,106,106,106,255,107,107,107,255,108,108,108,255,110,110,110,255,111,111,111,255,112,112,112,255,113,113,113,255,113,113,113,255,113,113,113,255,112,112,112,255,111,111,111,255,109,109,109,255,108,108,108,255,107,107,107,255,107,107,107,255,108,108,108,255,108,108,108,255,108,108,108,255,108,108,108,255,109,109,109,255,110,110,110,255,112,112,112,255,114,114,114,255,116,116,116,255,117,117,117,255,117,117,117,255,115,115,115,255,113,113,113,255,112,112,112,255,111,111,111,255,111,111,111,255,112,112,112,255,114,114,114,255,117,117,117,255,120,120,120,255,122,122,122,255,124,124,124,255,126,126,126,255,129,129,129,255,132,132,132,255,135,135,135,255,137,137,137,255,138,138,138,255,139,139,139,255,139,139,139,255,140,140,140,255,141,141,141,255,143,143,143,255,143,143,143,255,142,142,142,255,140,140,140,255,137,137,137,255,135,135,135,255,134,134,134,255,132,132,132,255,130,130,130,255,129,129,129,255,129,129,129,255,129,129,129,255,130,130,130,255,129,129,129,255,127,127,127,255,124,124,124,255,121,121,121,255,119,119,119,255,118,118,118,255,117,117,117,255,116,116,116,255,115,115,115,255,113,113,113,255,112,112,112,255,112,112,112,255,113,113,113,255,114,114,114,255,114,114,114,255,113,113,113,255,111,111,111,255,108,108,108,255,105,105,105,255,102,102,102,255,100,100,100,255,99,99,99,255,99,99,99,255,101,101,101,255,103,103,103,255,105,105,105,255,107,107,107,255,108,108,108,255,108,108,108,255,106,106,106,255,105,105,105,255,104,104,104,255,105,105,105,255,105,105,105,255,106,106,106,255,107,107,107,255,107,107,107,255,111,111,111,255,108,108,108,255,107,107,107,255,107,107,107,255,108,108,108,255,109,109,109,255,111,111,111,255,112,112,112,255,113,113,113,255,114,114,114,255,114,114,114,255,114,114,114,255,114,114,114,255,112,112,112,255,111,111,111,255,109,109,109,255,108,108,108,255,108,108,108,255,109,109,109,255,109,109,109,255,109,109,109,255,109,109,109,255,109,109,109,255,109,109,109,255,111,111,111,255,113,113,113,255,115,115,115,255,116,116,116,255,116,116,116,255,115,115,115,255,113,113,113,255,112,112,112,255,111,111,111,255,110,110,110,255,111,111,111,255,112,112,112,255,114,114,114,255,117,117,117,255,119,119,119,255,121,121,121,255,124,124,124,255,127,127,127,255,130,130,130,255,133,133,133,255,136,136,136,255,137,137,137,255,138,138,138,255,139,139,139,255,140,140,140,255,141,141,141,255,142,142,142,255,142,142,142,255,140,140,140,255,138,138,138,255,136,136,136,255,134,134,134,255,133,133,133,255,131,131,131,255,130,130,130,255,129,129,129,255,129,129,129,255,130,130,130,255,130,130,130,255,129,129,129,255,127,127,127,255,124,124,124,255,121,121,121,255,119,119,119,255,118,118,118,255,117,117,117,255,117,117,117,255,116,116,116,255,115,115,115,255,114,114,114,255,114,114,114,255,115,115,115,255,115,115,115,255,115,115,115,255,114,114,114,255,111,111,111,255,109,109,109,255,106,106,106,255,103,103,103,255,101,101,101,255,101,101,101,255,101,101,101,255,103,103,103,255,104,104,104,255,106,106,106,255,108,108,108,255,108,108,108,255,108,108,108,255,107,107,107,255,107,107,107,255,107,107,107,255,107,107,107,255,108,108,108,255,109,109,109,255,110,110,110,255,110,110,110,255,112,112,112,255,109,109,109,255,108,108,108,255,108,108,108,255,109,109,109,255,110,110,110,255,112,112,112,255,113,113,113,255,114,114,114,255,114,114,114,255,114,114,114,255,114,114,114,255,114,114,114,255,113,113,113,255,111,111,111,255,110,110,110,255,109,109,109,255,109,109,109,255,110,110,110,255,110,110,110,255,110,110,110,255,109,109,109,255,109,109,109,255,109,109,109,255,110,110,110,255,112,112,112,255,114,114,114,255,115,115,115,255,115,115,115,255,114,114,114,255,113,113,113,255,111,111,111,255,110,110,110,255,110,110,110,255,110,110,110,255,111,111,111,255,112,112,112,255,114,114,114,255,116,116,116,255,118,118,118,255,121,121,121,255,124,124,124,255,128,128,128,255,131,131,131,255,134,134,134,255,136,136,136,255,138,138,138,255,139,139,139,255,140,140,140,255,141,141,141,255,141,141,141,255,140,140,140,255,139,139,139,255,137,137,137,255,135,135,135,255,133,133,133,255,132,132,132,255,132,132,132,255,131,131,131,255,131,131,131,255,131,131,131,255,131,131,131,255,131,131,131,255,129,129,129,255,127,127,127,255,124,124,124,255,122,122,122,255,120,120,120,255,119,119,119,255,118,118,118,255,118,118,118,255,118,118,118,255,117,117,117,255,116,116,116,255,116,116,116,255,117,117,117,255,116,116,116,255,116,116,116,255,114,114,114,255,112,112,112,255,110,110,110,255,108,108,108,255,105,105,105,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,105,105,105,255,106,106,106,255,107,107,107,255,108,108,108,255,108,108,108,255,108,108,108,255,108,108,108,255,109,109,109,255,110,110,110,255,111,111,111,255,111,111,111,255,112,112,112,255,113,113,113,255,112,112,112,255,109,109,109,255,108,108,108,255,108,108,108,255,110,110,110,255,111,111,111,255,112,112,112,255,113,113,113,255,113,113,113,255,114,114,114,255,114,114,114,255,114,114,114,255,114,114,114,255,113,113,113,255,111,111,111,255,110,110,110,255,110,110,110,255,110,110,110,255,111,111,111,255,111,111,111,255,110,110,110,255,110,110,110,255,109,109,109,255,109,109,109,255,109,109,109,255,111,111,111,255,112,112,112,255,113,113,113,255,113,113,113,255,113,113,113,255,112,112,112,255,111,111,111,255,110,110,110,255,109,109,109,255,109,109,109,255,110,110,110,255,110,110,110,255,112,112,112,255,113,113,113,255,116,116,116,255,119,119,119,255,122,122,122,255,126,126,126,255,129,129,129,255,132,132,132,255,135,135,135,255,137,137,137,255,138,138,138,255,139,139,139,255,140,140,140,255,139,139,139,255,138,138,138,255,136,136,136,255,135,135,135,255,134,134,134,255,133,133,133,255,133,133,133,255,132,132,132,255,132,132,132,255,132,132,132,255,132,132,132,255,132,132,132,255,131,131,131,255,130,130,130,255,127,127,127,255,124,124,124,255,122,122,122,255,120,120,120,255,120,120,120,255,120,120,120,255,120,120,120,255,119,119,119,255,119,119,119,255,118,118,118,255,118,118,118,255,118,118,118,255,117,117,117,255,116,116,116,255,115,115,115,255,113,113,113,255,112,112,112,255,110,110,110,255,108,108,108,255,107,107,107,255,107,107,107,255,107,107,107,255,106,106,106,255,106,106,106,255,106,106,106,255,107,107,107,255,107,107,107,255,108,108,108,255,109,109,109,255,110,110,110,255,111,111,111,255,112,112,112,255,113,113,113,255,114,114,114,255,114,114,114,255,115,115,115,255,112,112,112,255,110,110,110,255,109,109,109,255,109,109,109,255,110,110,110,255,111,111,111,255,111,111,111,255,112,112,112,255,112,112,112,255,113,113,113,255,113,113,113,255,114,114,114,255,114,114,114,255,113,113,113,255,112,112,112,255,111,111,111,255,110,110,110,255,111,111,111,255,111,111,111,255,112,112,112,255,112,112,112,255,111,111,111,255,110,110,110,255,109,109,109,255,109,109,109,255,110,110,110,255,111,111,111,255,111,111,111,255,111,111,111,255,111,111,111,255,110,110,110,255,109,109,109,255,109,109,109,255,109,109,109,255,109,109,109,255,109,109,109,255,109,109,109,255,110,110,110,255,111,111,111,255,114,114,114,255,117,117,117,255,120,120,120,255,124,124,124,255,127,127,127,255,130,130,130,255,133,133,133,255,136,136,136,255,137,137,137,255,138,138,138,255,138,138,138,255,137,137,137,255,136,136,136,255,134,134,134,255,133,133,133,255,133,133,133,255,133,133,133,255,133,133,133,255,133,133,133,255,133,133,133,255,133,133,133,255,132,132,132,255,132,132,132,255,131,131,131,255,129,129,129,255,127,127,127,255,124,124,124,255,122,122,122,255,121,121,121,255,120,120,120,255,121,121,121,255,121,121,121,255,121,121,121,255,120,120,120,255,119,119,119,255,118,118,118,255,118,118,118,255,118,118,118,255,117,117,117,255,116,116,116,255,115,115,115,255,114,114,114,255,113,113,113,255,112,112,112,255,111,111,111,255,110,110,110,255,109,109,109,255,109,109,109,255,108,108,108,255,107,107,107,255,106,106,106,255,107,107,107,255,108,108,108,255,109,109,109,255,111,111,111,255,112,112,112,255,114,114,114,255,115,115,115,255,115,115,115,255,115,115,115,255,116,116,116,255,112,112,112,255,110,110,110,255,109,109,109,255,108,108,108,255,109,109,109,255,110,110,110,255,110,110,110,255,111,111,111,255,112,112,112,255,112,112,112,255,113,113,113,255,114,114,114,255,114,114,114,255,113,113,113,255,112,112,112,255,111,111,111,255,111,111,111,255,112,112,112,255,112,112,112,255,113,113,113,255,113,113,113,255,113,113,113,255,112,112,112,255,111,111,111,255,111,111,111,255,111,111,111,255,111,111,111,255,110,110,110,255,110,110,110,255,109,109,109,255,108,108,108,255,108,108,108,255,108,108,108,255,108,108,108,255,108,108,108,255,108,108,108,255,108,108,108,255,108,108,108,255,110,110,110,255,112,112,112,255,115,115,115,255,119,119,119,255,122,122,122,255,126,126,126,255,129,129,129,255,132,132,132,255,135,135,135,255,136,136,136,255,137,137,137,255,137,137,137,255,135,135,135,255,133,133,133,255,132,132,132,255,131,131,131,255,132,132,132,255,132,132,132,255,133,133,133,255,133,133,133,255,133,133,133,255,133,133,133,255,132,132,132,255,131,131,131,255,130,130,130,255,128,128,128,255,126,126,126,255,124,124,124,255,122,122,122,255,121,121,121,255,121,121,121,255,122,122,122,255,122,122,122,255,122,122,122,255,121,121,121,255,120,120,120,255,119,119,119,255,119,119,119,255,118,118,118,255,118,118,118,255,118,118,118,255,118,118,118,255,117,117,117,255,116,116,116,255,115,115,115,255,115,115,115,255,114,114,114,255,112,112,112,255,111,111,111,255,109,109,109,255,107,107,107,255,106,106,106,255,106,106,106,255,108,108,108,255,110,110,110,255,112,112,112,255,114,114,114,255,115,115,115,255,116,116,116,255,116,116,116,255,116,116,116,255,116,116,116,255,112,112,112,255,110,110,110,255,108,108,108,255,108,108,108,255,108,108,108,255,108,108,108,255,109,109,109,255,110,110,110,255,111,111,111,255,112,112,112,255,114,114,114,255,115,115,115,255,115,115,115,255,114,114,114,255,113,113,113,255,112,112,112,255,112,112,112,255,113,113,113,255,113,113,113,255,114,114,114,255,114,114,114,255,114,114,114,255,114,114,114,255,113,113,113,255,112,112,112,255,112,112,112,255,111,111,111,255,110,110,110,255,109,109,109,255,108,108,108,255,107,107,107,255,106,106,106,255,106,106,106,255,107,107,107,255,107,107,107,255,107,107,107,255,107,107,107,255,107,107,107,255,108,108,108,255,110,110,110,255,113,113,113,255,117,117,117,255,121,121,121,255,125,125,125,255,128,128,128,255,131,131,131,255,133,133,133,255,135,135,135,255,135,135,135,255,134,134,134,255,133,133,133,255,131,131,131,255,130,130,130,255,129,129,129,255,130,130,130,255,131,131,131,255,132,132,132,255,132,132,132,255,132,132,132,255,131,131,131,255,130,130,130,255,129,129,129,255,128,128,128,255,126,126,126,255,124,124,124,255,123,123,123,255,122,122,122,255,121,121,121,255,122,122,122,255,122,122,122,255,123,123,123,255,123,123,123,255,122,122,122,255,121,121,121,255,120,120,120,255,120,120,120,255,120,120,120,255,120,120,120,255,120,120,120,255,121,121,121,255,120,120,120,255,120,120,120,255,119,119,119,255,118,118,118,255,117,117,117,255,115,115,115,255,112,112,112,255,110,110,110,255,108,108,108,255,107,107,107,255,107,107,107,255,108,108,108,255,111,111,111,255,113,113,113,255,115,115,115,255,116,116,116,255,116,116,116,255,116,116,116,255,116,116,116,255,116,116,116,255,113,113,113,255,110,110,110,255,108,108,108,255,107,107,107,255,107,107,107,255,107,107,107,255,108,108,108,255,109,109,109,255,111,111,111,255,113,113,113,255,115,115,115,255,116,116,116,255,117,117,117,255,116,116,116,255,115,115,115,255,114,114,114,255,113,113,113,255,113,113,113,255,114,114,114,255,115,115,115,255,115,115,115,255,115,115,115,255,115,115,115,255,114,114,114,255,114,114,114,255,113,113,113,255,111,111,111,255,110,110,110,255,108,108,108,255,106,106,106,255,105,105,105,255,104,104,104,255,104,104,104,255,105,105,105,255,106,106,106,255,106,106,106,255,106,106,106,255,106,106,106,255,107,107,107,255,109,109,109,255,113,113,113,255,117,117,117,255,121,121,121,255,124,124,124,255,127,127,127,255,130,130,130,255,132,132,132,255,133,133,133,255,133,133,133,255,132,132,132,255,130,130,130,255,129,129,129,255,128,128,128,255,128,128,128,255,129,129,129,255,130,130,130,255,131,131,131,255,131,131,131,255,131,131,131,255,130,130,130,255,129,129,129,255,128,128,128,255,127,127,127,255,125,125,125,255,124,124,124,255,122,122,122,255,121,121,121,255,121,121,121,255,122,122,122,255,123,123,123,255,123,123,123,255,124,124,124,255,123,123,123,255,122,122,122,255,122,122,122,255,122,122,122,255,122,122,122,255,122,122,122,255,123,123,123,255,123,123,123,255,123,123,123,255,123,123,123,255,122,122,122,255,121,121,121,255,119,119,119,255,117,117,117,255,114,114,114,255,112,112,112,255,110,110,110,255,108,108,108,255,108,108,108,255,109,109,109,255,111,111,111,255,113,113,113,255,115,115,115,255,116,116,116,255,117,117,117,255,116,116,116,255,116,116,116,255,116,116,116,255,113,113,113,255,110,110,110,255,108,108,108,255,107,107,107,255,106,106,106,255,107,107,107,255,108,108,108,255,110,110,110,255,112,112,112,255,114,114,114,255,117,117,117,255,118,118,118,255,119,119,119,255,118,118,118,255,116,116,116,255,115,115,115,255,114,114,114,255,114,114,114,255,114,114,114,255,115,115,115,255,116,116,116,255,116,116,116,255,116,116,116,255,115,115,115,255,114,114,114,255,113,113,113,255,112,112,112,255,109,109,109,255,107,107,107,255,105,105,105,255,103,103,103,255,102,102,102,255,103,103,103,255,104,104,104,255,105,105,105,255,105,105,105,255,106,106,106,255,106,106,106,255,107,107,107,255,109,109,109,255,112,112,112,255,116,116,116,255,120,120,120,255,123,123,123,255,126,126,126,255,128,128,128,255,130,130,130,255,130,130,130,255,130,130,130,255,129,129,129,255,128,128,128,255,126,126,126,255,126,126,126,255,126,126,126,255,127,127,127,255,129,129,129,255,130,130,130,255,130,130,130,255,130,130,130,255,129,129,129,255,128,128,128,255,127,127,127,255,126,126,126,255,124,124,124,255,123,123,123,255,121,121,121,255,121,121,121,255,121,121,121,255,121,121,121,255,122,122,122,255,124,124,124,255,124,124,124,255,124,124,124,255,123,123,123,255,123,123,123,255,123,123,123,255,123,123,123,255,124,124,124,255,125,125,125,255,125,125,125,255,126,126,126,255,125,125,125,255,124,124,124,255,123,123,123,255,121,121,121,255,118,118,118,255,116,116,116,255,114,114,114,255,111,111,111,255,110,110,110,255,110,110,110,255,111,111,111,255,112,112,112,255,114,114,114,255,116,116,116,255,117,117,117,255,117,117,117,255,117,117,117,255,117,117,117,255,117,117,117,255,114,114,114,255,111,111,111,255,109,109,109,255,108,108,108,255,107,107,107,255,107,107,107,255,108,108,108,255,111,111,111,255,113,113,113,255,116,116,116,255,118,118,118,255,119,119,119,255,120,120,120,255,119,119,119,255,118,118,118,255,116,116,116,255,115,115,115,255,115,115,115,255,115,115,115,255,116,116,116,255,117,117,117,255,117,117,117,255,116,116,116,255,116,116,116,255,115,115,115,255,114,114,114,255,112,112,112,255,110,110,110,255,107,107,107,255,105,105,105,255,103,103,103,255,102,102,102,255,102,102,102,255,103,103,103,255,104,104,104,255,105,105,105,255,106,106,106,255,106,106,106,255,107,107,107,255,109,109,109,255,112,112,112,255,115,115,115,255,119,119,119,255,122,122,122,255,124,124,124,255,126,126,126,255,128,128,128,255,128,128,128,255,127,127,127,255,126,126,126,255,125,125,125,255,124,124,124,255,124,124,124,255,124,124,124,255,126,126,126,255,127,127,127,255,128,128,128,255,128,128,128,255,128,128,128,255,128,128,128,255,127,127,127,255,126,126,126,255,125,125,125,255,123,123,123,255,122,122,122,255,121,121,121,255,120,120,120,255,120,120,120,255,121,121,121,255,122,122,122,255,123,123,123,255,124,124,124,255,124,124,124,255,124,124,124,255,124,124,124,255,124,124,124,255,124,124,124,255,125,125,125,255,125,125,125,255,126,126,126,255,127,127,127,255,127,127,127,255,126,126,126,255,124,124,124,255,122,122,122,255,119,119,119,255,117,117,117,255,115,115,115,255,113,113,113,255,112,112,112,255,111,111,111,255,112,112,112,255,113,113,113,255,115,115,115,255,116,116,116,255,118,118,118,255,118,118,118,255,118,118,118,255,118,118,118,255,118,118,118,255,115,115,115,255,113,113,113,255,111,111,111,255,109,109,109,255,108,108,108,255,108,108,108,255,110,110,110,255,112,112,112,255,114,114,114,255,116,116,116,255,118,118,118,255,119,119,119,255,120,120,120,255,120,120,120,255,119,119,119,255,118,118,118,255,117,117,117,255,117,117,117,255,117,117,117,255,118,118,118,255,118,118,118,255,118,118,118,255,118,118,118,255,117,117,117,255,116,116,116,255,115,115,115,255,113,113,113,255,111,111,111,255,108,108,108,255,106,106,106,255,105,105,105,255,103,103,103,255,103,103,103,255,104,104,104,255,104,104,104,255,105,105,105,255,105,105,105,255,105,105,105,255,106,106,106,255,108,108,108,255,111,111,111,255,114,114,114,255,117,117,117,255,119,119,119,255,122,122,122,255,124,124,124,255,125,125,125,255,125,125,125,255,125,125,125,255,124,124,124,255,122,122,122,255,121,121,121,255,121,121,121,255,122,122,122,255,123,123,123,255,125,125,125,255,125,125,125,255,125,125,125,255,126,126,126,255,126,126,126,255,125,125,125,255,125,125,125,255,124,124,124,255,122,122,122,255,121,121,121,255,119,119,119,255,119,119,119,255,119,119,119,255,120,120,120,255,121,121,121,255,122,122,122,255,123,123,123,255,123,123,123,255,123,123,123,255,123,123,123,255,124,124,124,255,124,124,124,255,124,124,124,255,125,125,125,255,126,126,126,255,127,127,127,255,127,127,127,255,127,127,127,255,125,125,125,255,123,123,123,255,120,120,120,255,118,118,118,255,117,117,117,255,115,115,115,255,114,114,114,255,113,113,113,255,113,113,113,255,114,114,114,255,115,115,115,255,117,117,117,255,118,118,118,255,119,119,119,255,119,119,119,255,119,119,119,255,119,119,119,255,117,117,117,255,114,114,114,255,112,112,112,255,111,111,111,255,110,110,110,255,110,110,110,255,112,112,112,255,114,114,114,255,116,116,116,255,117,117,117,255,118,118,118,255,119,119,119,255,120,120,120,255,120,120,120,255,120,120,120,255,120,120,120,255,119,119,119,255,119,119,119,255,120,120,120,255,120,120,120,255,120,120,120,255,120,120,120,255,119,119,119,255,118,118,118,255,117,117,117,255,116,116,116,255,114,114,114,255,112,112,112,255,111,111,111,255,109,109,109,255,107,107,107,255,106,106,106,255,105,105,105,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,105,105,105,255,106,106,106,255,107,107,107,255,109,109,109,255,111,111,111,255,114,114,114,255,116,116,116,255,119,119,119,255,121,121,121,255,122,122,122,255,123,123,123,255,122,122,122,255,121,121,121,255,120,120,120,255,119,119,119,255,119,119,119,255,120,120,120,255,121,121,121,255,122,122,122,255,122,122,122,255,122,122,122,255,123,123,123,255,123,123,123,255,123,123,123,255,123,123,123,255,122,122,122,255,120,120,120,255,119,119,119,255,118,118,118,255,117,117,117,255,118,118,118,255,118,118,118,255,120,120,120,255,121,121,121,255,121,121,121,255,121,121,121,255,121,121,121,255,122,122,122,255,123,123,123,255,123,123,123,255,123,123,123,255,124,124,124,255,125,125,125,255,127,127,127,255,127,127,127,255,127,127,127,255,125,125,125,255,123,123,123,255,121,121,121,255,119,119,119,255,118,118,118,255,117,117,117,255,116,116,116,255,115,115,115,255,114,114,114,255,115,115,115,255,116,116,116,255,118,118,118,255,119,119,119,255,120,120,120,255,120,120,120,255,120,120,120,255,119,119,119,255,118,118,118,255,116,116,116,255,114,114,114,255,112,112,112,255,112,112,112,255,112,112,112,255,114,114,114,255,116,116,116,255,117,117,117,255,118,118,118,255,119,119,119,255,119,119,119,255,120,120,120,255,120,120,120,255,121,121,121,255,122,122,122,255,122,122,122,255,122,122,122,255,123,123,123,255,123,123,123,255,122,122,122,255,122,122,122,255,122,122,122,255,121,121,121,255,120,120,120,255,118,118,118,255,116,116,116,255,115,115,115,255,113,113,113,255,111,111,111,255,109,109,109,255,108,108,108,255,107,107,107,255,105,105,105,255,105,105,105,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,106,106,106,255,108,108,108,255,110,110,110,255,112,112,112,255,114,114,114,255,116,116,116,255,118,118,118,255,120,120,120,255,121,121,121,255,121,121,121,255,120,120,120,255,118,118,118,255,117,117,117,255,117,117,117,255,117,117,117,255,118,118,118,255,118,118,118,255,119,119,119,255,119,119,119,255,119,119,119,255,120,120,120,255,120,120,120,255,120,120,120,255,119,119,119,255,118,118,118,255,116,116,116,255,115,115,115,255,115,115,115,255,116,116,116,255,117,117,117,255,118,118,118,255,119,119,119,255,119,119,119,255,119,119,119,255,119,119,119,255,120,120,120,255,120,120,120,255,121,121,121,255,122,122,122,255,123,123,123,255,125,125,125,255,126,126,126,255,127,127,127,255,127,127,127,255,125,125,125,255,124,124,124,255,122,122,122,255,120,120,120,255,119,119,119,255,118,118,118,255,117,117,117,255,116,116,116,255,115,115,115,255,116,116,116,255,117,117,117,255,119,119,119,255,120,120,120,255,120,120,120,255,120,120,120,255,120,120,120,255,120,120,120,255,119,119,119,255,117,117,117,255,115,115,115,255,114,114,114,255,113,113,113,255,114,114,114,255,116,116,116,255,118,118,118,255,119,119,119,255,120,120,120,255,120,120,120,255,120,120,120,255,120,120,120,255,121,121,121,255,122,122,122,255,123,123,123,255,124,124,124,255,125,125,125,255,125,125,125,255,125,125,125,255,125,125,125,255,124,124,124,255,124,124,124,255,123,123,123,255,121,121,121,255,120,120,120,255,118,118,118,255,117,117,117,255,115,115,115,255,113,113,113,255,111,111,111,255,110,110,110,255,108,108,108,255,106,106,106,255,104,104,104,255,103,103,103,255,102,102,102,255,102,102,102,255,103,103,103,255,104,104,104,255,106,106,106,255,108,108,108,255,110,110,110,255,112,112,112,255,114,114,114,255,116,116,116,255,118,118,118,255,119,119,119,255,119,119,119,255,118,118,118,255,117,117,117,255,115,115,115,255,115,115,115,255,114,114,114,255,115,115,115,255,115,115,115,255,115,115,115,255,115,115,115,255,116,116,116,255,116,116,116,255,117,117,117,255,117,117,117,255,116,116,116,255,115,115,115,255,114,114,114,255,113,113,113,255,113,113,113,255,114,114,114,255,115,115,115,255,116,116,116,255,117,117,117,255,117,117,117,255,116,116,116,255,116,116,116,255,117,117,117,255,118,118,118,255,119,119,119,255,121,121,121,255,123,123,123,255,125,125,125,255,126,126,126,255,128,128,128,255,127,127,127,255,126,126,126,255,124,124,124,255,122,122,122,255,120,120,120,255,119,119,119,255,118,118,118,255,117,117,117,255,116,116,116,255,116,116,116,255,117,117,117,255,118,118,118,255,120,120,120,255,121,121,121,255,121,121,121,255,120,120,120,255,120,120,120,255,119,119,119,255,121,121,121,255,118,118,118,255,116,116,116,255,115,115,115,255,115,115,115,255,116,116,116,255,117,117,117,255,119,119,119,255,120,120,120,255,121,121,121,255,121,121,121,255,120,120,120,255,121,121,121,255,121,121,121,255,122,122,122,255,123,123,123,255,124,124,124,255,125,125,125,255,126,126,126,255,126,126,126,255,125,125,125,255,125,125,125,255,124,124,124,255,123,123,123,255,122,122,122,255,121,121,121,255,119,119,119,255,118,118,118,255,116,116,116,255,115,115,115,255,113,113,113,255,111,111,111,255,108,108,108,255,106,106,106,255,104,104,104,255,102,102,102,255,101,101,101,255,101,101,101,255,102,102,102,255,103,103,103,255,105,105,105,255,107,107,107,255,108,108,108,255,110,110,110,255,111,111,111,255,113,113,113,255,115,115,115,255,116,116,116,255,116,116,116,255,116,116,116,255,115,115,115,255,113,113,113,255,113,113,113,255,112,112,112,255,112,112,112,255,112,112,112,255,112,112,112,255,112,112,112,255,113,113,113,255,113,113,113,255,114,114,114,255,114,114,114,255,113,113,113,255,112,112,112,255,111,111,111,255,111,111,111,255,111,111,111,255,112,112,112,255,113,113,113,255,115,115,115,255,115,115,115,255,115,115,115,255,114,114,114,255,114,114,114,255,115,115,115,255,116,116,116,255,118,118,118,255,120,120,120,255,123,123,123,255,125,125,125,255,127,127,127,255,128,128,128,255,128,128,128,255,126,126,126,255,124,124,124,255,122,122,122,255,120,120,120,255,119,119,119,255,118,118,118,255,117,117,117,255,117,117,117,255,117,117,117,255,117,117,117,255,119,119,119,255,120,120,120,255,121,121,121,255,121,121,121,255,120,120,120,255,120,120,120,255,120,120,120,255,122,122,122,255,120,120,120,255,118,118,118,255,117,117,117,255,117,117,117,255,117,117,117,255,119,119,119,255,121,121,121,255,122,122,122,255,122,122,122,255,122,122,122,255,121,121,121,255,121,121,121,255,121,121,121,255,122,122,122,255,123,123,123,255,124,124,124,255,125,125,125,255,126,126,126,255,126,126,126,255,126,126,126,255,125,125,125,255,124,124,124,255,123,123,123,255,122,122,122,255,120,120,120,255,119,119,119,255,118,118,118,255,117,117,117,255,115,115,115,255,113,113,113,255,110,110,110,255,108,108,108,255,105,105,105,255,103,103,103,255,101,101,101,255,100,100,100,255,100,100,100,255,101,101,101,255,102,102,102,255,104,104,104,255,106,106,106,255,107,107,107,255,108,108,108,255,109,109,109,255,110,110,110,255,112,112,112,255,113,113,113,255,114,114,114,255,114,114,114,255,113,113,113,255,112,112,112,255,111,111,111,255,111,111,111,255,110,110,110,255,110,110,110,255,109,109,109,255,110,110,110,255,110,110,110,255,111,111,111,255,112,112,112,255,112,112,112,255,111,111,111,255,110,110,110,255,109,109,109,255,109,109,109,255,109,109,109,255,110,110,110,255,112,112,112,255,113,113,113,255,114,114,114,255,114,114,114,255,113,113,113,255,113,113,113,255,114,114,114,255,116,116,116,255,118,118,118,255,121,121,121,255,124,124,124,255,126,126,126,255,128,128,128,255,129,129,129,255,129,129,129,255,127,127,127,255,125,125,125,255,122,122,122,255,120,120,120,255,119,119,119,255,118,118,118,255,117,117,117,255,117,117,117,255,117,117,117,255,118,118,118,255,120,120,120,255,121,121,121,255,121,121,121,255,121,121,121,255,121,121,121,255,120,120,120,255,120,120,120,255,124,124,124,255,121,121,121,255,119,119,119,255,118,118,118,255,118,118,118,255,119,119,119,255,121,121,121,255,122,122,122,255,123,123,123,255,123,123,123,255,123,123,123,255,122,122,122,255,121,121,121,255,121,121,121,255,121,121,121,255,122,122,122,255,124,124,124,255,125,125,125,255,125,125,125,255,125,125,125,255,125,125,125,255,125,125,125,255,124,124,124,255,123,123,123,255,121,121,121,255,120,120,120,255,119,119,119,255,118,118,118,255,116,116,116,255,114,114,114,255,112,112,112,255,110,110,110,255,107,107,107,255,104,104,104,255,102,102,102,255,101,101,101,255,100,100,100,255,100,100,100,255,101,101,101,255,102,102,102,255,104,104,104,255,105,105,105,255,106,106,106,255,106,106,106,255,107,107,107,255,108,108,108,255,109,109,109,255,111,111,111,255,112,112,112,255,113,113,113,255,112,112,112,255,112,112,112,255,111,111,111,255,110,110,110,255,110,110,110,255,109,109,109,255,109,109,109,255,109,109,109,255,109,109,109,255,109,109,109,255,110,110,110,255,110,110,110,255,109,109,109,255,108,108,108,255,107,107,107,255,107,107,107,255,108,108,108,255,109,109,109,255,111,111,111,255,112,112,112,255,113,113,113,255,114,114,114,255,113,113,113,255,113,113,113,255,114,114,114,255,116,116,116,255,119,119,119,255,122,122,122,255,125,125,125,255,127,127,127,255,129,129,129,255,130,130,130,255,129,129,129,255,127,127,127,255,125,125,125,255,123,123,123,255,121,121,121,255,119,119,119,255,118,118,118,255,117,117,117,255,117,117,117,255,117,117,117,255,119,119,119,255,120,120,120,255,121,121,121,255,122,122,122,255,122,122,122,255,121,121,121,255,121,121,121,255,121,121,121,255,126,126,126,255,122,122,122,255,120,120,120,255,119,119,119,255,119,119,119,255,120,120,120,255,122,122,122,255,123,123,123,255,124,124,124,255,124,124,124,255,124,124,124,255,122,122,122,255,121,121,121,255,121,121,121,255,121,121,121,255,122,122,122,255,123,123,123,255,124,124,124,255,125,125,125,255,125,125,125,255,125,125,125,255,124,124,124,255,123,123,123,255,122,122,122,255,120,120,120,255,119,119,119,255,118,118,118,255,117,117,117,255,115,115,115,255,113,113,113,255,111,111,111,255,108,108,108,255,106,106,106,255,104,104,104,255,102,102,102,255,102,102,102,255,101,101,101,255,101,101,101,255,102,102,102,255,103,103,103,255,104,104,104,255,104,104,104,255,105,105,105,255,105,105,105,255,105,105,105,255,106,106,106,255,107,107,107,255,109,109,109,255,111,111,111,255,112,112,112,255,112,112,112,255,112,112,112,255,112,112,112,255,111,111,111,255,111,111,111,255,110,110,110,255,109,109,109,255,109,109,109,255,108,108,108,255,108,108,108,255,108,108,108,255,108,108,108,255,108,108,108,255,107,107,107,255,106,106,106,255,106,106,106,255,106,106,106,255,108,108,108,255,110,110,110,255,112,112,112,255,113,113,113,255,114,114,114,255,114,114,114,255,115,115,115,255,116,116,116,255,118,118,118,255,120,120,120,255,123,123,123,255,125,125,125,255,127,127,127,255,129,129,129,255,129,129,129,255,129,129,129,255,128,128,128,255,126,126,126,255,124,124,124,255,122,122,122,255,120,120,120,255,119,119,119,255,118,118,118,255,117,117,117,255,118,118,118,255,119,119,119,255,121,121,121,255,122,122,122,255,122,122,122,255,122,122,122,255,122,122,122,255,122,122,122,255,122,122,122,255,127,127,127,255,124,124,124,255,121,121,121,255,120,120,120,255,121,121,121,255,122,122,122,255,123,123,123,255,124,124,124,255,125,125,125,255,125,125,125,255,124,124,124,255,122,122,122,255,121,121,121,255,120,120,120,255,121,121,121,255,121,121,121,255,123,123,123,255,124,124,124,255,125,125,125,255,125,125,125,255,125,125,125,255,124,124,124,255,123,123,123,255,122,122,122,255,120,120,120,255,118,118,118,255,117,117,117,255,116,116,116,255,114,114,114,255,112,112,112,255,109,109,109,255,107,107,107,255,104,104,104,255,103,103,103,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,104,104,104,255,106,106,106,255,108,108,108,255,110,110,110,255,112,112,112,255,113,113,113,255,113,113,113,255,113,113,113,255,113,113,113,255,112,112,112,255,111,111,111,255,110,110,110,255,109,109,109,255,108,108,108,255,107,107,107,255,107,107,107,255,106,106,106,255,106,106,106,255,105,105,105,255,104,104,104,255,104,104,104,255,105,105,105,255,107,107,107,255,109,109,109,255,112,112,112,255,114,114,114,255,115,115,115,255,116,116,116,255,117,117,117,255,118,118,118,255,120,120,120,255,122,122,122,255,124,124,124,255,126,126,126,255,127,127,127,255,128,128,128,255,129,129,129,255,128,128,128,255,128,128,128,255,127,127,127,255,125,125,125,255,124,124,124,255,122,122,122,255,120,120,120,255,119,119,119,255,118,118,118,255,118,118,118,255,120,120,120,255,121,121,121,255,122,122,122,255,123,123,123,255,123,123,123,255,122,122,122,255,123,123,123,255,123,123,123,255,129,129,129,255,125,125,125,255,123,123,123,255,122,122,122,255,122,122,122,255,123,123,123,255,123,123,123,255,124,124,124,255,125,125,125,255,125,125,125,255,123,123,123,255,122,122,122,255,120,120,120,255,120,120,120,255,120,120,120,255,121,121,121,255,123,123,123,255,124,124,124,255,125,125,125,255,125,125,125,255,125,125,125,255,125,125,125,255,123,123,123,255,122,122,122,255,120,120,120,255,118,118,118,255,117,117,117,255,115,115,115,255,113,113,113,255,111,111,111,255,108,108,108,255,106,106,106,255,104,104,104,255,103,103,103,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,101,101,101,255,101,101,101,255,100,100,100,255,101,101,101,255,102,102,102,255,104,104,104,255,107,107,107,255,110,110,110,255,112,112,112,255,113,113,113,255,114,114,114,255,114,114,114,255,114,114,114,255,113,113,113,255,112,112,112,255,111,111,111,255,110,110,110,255,108,108,108,255,106,106,106,255,105,105,105,255,104,104,104,255,104,104,104,255,103,103,103,255,103,103,103,255,103,103,103,255,104,104,104,255,106,106,106,255,109,109,109,255,111,111,111,255,113,113,113,255,115,115,115,255,117,117,117,255,118,118,118,255,119,119,119,255,121,121,121,255,123,123,123,255,124,124,124,255,126,126,126,255,127,127,127,255,127,127,127,255,128,128,128,255,128,128,128,255,128,128,128,255,127,127,127,255,126,126,126,255,125,125,125,255,123,123,123,255,121,121,121,255,120,120,120,255,119,119,119,255,119,119,119,255,120,120,120,255,122,122,122,255,123,123,123,255,123,123,123,255,123,123,123,255,123,123,123,255,123,123,123,255,123,123,123,255,130,130,130,255,127,127,127,255,125,125,125,255,123,123,123,255,123,123,123,255,123,123,123,255,124,124,124,255,124,124,124,255,124,124,124,255,124,124,124,255,122,122,122,255,121,121,121,255,120,120,120,255,119,119,119,255,120,120,120,255,121,121,121,255,122,122,122,255,124,124,124,255,124,124,124,255,125,125,125,255,125,125,125,255,124,124,124,255,124,124,124,255,122,122,122,255,120,120,120,255,118,118,118,255,116,116,116,255,114,114,114,255,112,112,112,255,109,109,109,255,107,107,107,255,104,104,104,255,102,102,102,255,101,101,101,255,101,101,101,255,102,102,102,255,102,102,102,255,101,101,101,255,101,101,101,255,101,101,101,255,100,100,100,255,99,99,99,255,98,98,98,255,98,98,98,255,98,98,98,255,100,100,100,255,102,102,102,255,105,105,105,255,108,108,108,255,111,111,111,255,112,112,112,255,114,114,114,255,114,114,114,255,115,115,115,255,114,114,114,255,113,113,113,255,112,112,112,255,110,110,110,255,107,107,107,255,105,105,105,255,104,104,104,255,103,103,103,255,103,103,103,255,102,102,102,255,102,102,102,255,103,103,103,255,104,104,104,255,105,105,105,255,108,108,108,255,110,110,110,255,112,112,112,255,115,115,115,255,117,117,117,255,118,118,118,255,120,120,120,255,122,122,122,255,124,124,124,255,125,125,125,255,126,126,126,255,126,126,126,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,126,126,126,255,125,125,125,255,124,124,124,255,122,122,122,255,120,120,120,255,119,119,119,255,120,120,120,255,121,121,121,255,122,122,122,255,123,123,123,255,123,123,123,255,123,123,123,255,123,123,123,255,122,122,122,255,123,123,123,255,131,131,131,255,129,129,129,255,126,126,126,255,125,125,125,255,124,124,124,255,124,124,124,255,124,124,124,255,124,124,124,255,124,124,124,255,123,123,123,255,121,121,121,255,120,120,120,255,119,119,119,255,119,119,119,255,120,120,120,255,121,121,121,255,122,122,122,255,122,122,122,255,123,123,123,255,123,123,123,255,123,123,123,255,123,123,123,255,123,123,123,255,122,122,122,255,120,120,120,255,117,117,117,255,115,115,115,255,113,113,113,255,111,111,111,255,108,108,108,255,105,105,105,255,103,103,103,255,101,101,101,255,100,100,100,255,100,100,100,255,100,100,100,255,101,101,101,255,100,100,100,255,100,100,100,255,99,99,99,255,98,98,98,255,97,97,97,255,96,96,96,255,95,95,95,255,96,96,96,255,97,97,97,255,100,100,100,255,103,103,103,255,107,107,107,255,109,109,109,255,111,111,111,255,113,113,113,255,115,115,115,255,115,115,115,255,115,115,115,255,114,114,114,255,112,112,112,255,110,110,110,255,107,107,107,255,105,105,105,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,104,104,104,255,105,105,105,255,107,107,107,255,109,109,109,255,111,111,111,255,113,113,113,255,116,116,116,255,118,118,118,255,120,120,120,255,123,123,123,255,125,125,125,255,126,126,126,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,126,126,126,255,125,125,125,255,124,124,124,255,122,122,122,255,120,120,120,255,120,120,120,255,120,120,120,255,121,121,121,255,123,123,123,255,124,124,124,255,124,124,124,255,123,123,123,255,123,123,123,255,122,122,122,255,122,122,122,255,132,132,132,255,130,130,130,255,128,128,128,255,126,126,126,255,125,125,125,255,124,124,124,255,124,124,124,255,124,124,124,255,123,123,123,255,122,122,122,255,120,120,120,255,119,119,119,255,119,119,119,255,120,120,120,255,120,120,120,255,121,121,121,255,121,121,121,255,121,121,121,255,121,121,121,255,122,122,122,255,122,122,122,255,122,122,122,255,121,121,121,255,120,120,120,255,118,118,118,255,116,116,116,255,114,114,114,255,112,112,112,255,109,109,109,255,107,107,107,255,104,104,104,255,101,101,101,255,99,99,99,255,98,98,98,255,98,98,98,255,98,98,98,255,99,99,99,255,99,99,99,255,98,98,98,255,98,98,98,255,97,97,97,255,95,95,95,255,94,94,94,255,93,93,93,255,94,94,94,255,95,95,95,255,98,98,98,255,101,101,101,255,105,105,105,255,108,108,108,255,110,110,110,255,112,112,112,255,114,114,114,255,115,115,115,255,115,115,115,255,114,114,114,255,112,112,112,255,109,109,109,255,107,107,107,255,105,105,105,255,104,104,104,255,103,103,103,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,105,105,105,255,105,105,105,255,106,106,106,255,108,108,108,255,110,110,110,255,112,112,112,255,114,114,114,255,117,117,117,255,119,119,119,255,122,122,122,255,125,125,125,255,127,127,127,255,128,128,128,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,126,126,126,255,126,126,126,255,126,126,126,255,125,125,125,255,123,123,123,255,122,122,122,255,120,120,120,255,120,120,120,255,120,120,120,255,121,121,121,255,123,123,123,255,124,124,124,255,125,125,125,255,124,124,124,255,123,123,123,255,123,123,123,255,122,122,122,255,133,133,133,255,131,131,131,255,129,129,129,255,127,127,127,255,125,125,125,255,125,125,125,255,124,124,124,255,124,124,124,255,122,122,122,255,121,121,121,255,120,120,120,255,119,119,119,255,119,119,119,255,120,120,120,255,121,121,121,255,121,121,121,255,121,121,121,255,120,120,120,255,120,120,120,255,120,120,120,255,120,120,120,255,120,120,120,255,119,119,119,255,118,118,118,255,115,115,115,255,113,113,113,255,111,111,111,255,110,110,110,255,108,108,108,255,105,105,105,255,103,103,103,255,100,100,100,255,98,98,98,255,96,96,96,255,96,96,96,255,96,96,96,255,97,97,97,255,97,97,97,255,97,97,97,255,96,96,96,255,95,95,95,255,94,94,94,255,92,92,92,255,92,92,92,255,92,92,92,255,94,94,94,255,96,96,96,255,100,100,100,255,103,103,103,255,106,106,106,255,109,109,109,255,112,112,112,255,114,114,114,255,115,115,115,255,115,115,115,255,114,114,114,255,112,112,112,255,109,109,109,255,106,106,106,255,105,105,105,255,104,104,104,255,105,105,105,255,106,106,106,255,106,106,106,255,106,106,106,255,106,106,106,255,106,106,106,255,106,106,106,255,106,106,106,255,107,107,107,255,108,108,108,255,110,110,110,255,112,112,112,255,115,115,115,255,118,118,118,255,121,121,121,255,124,124,124,255,127,127,127,255,128,128,128,255,128,128,128,255,128,128,128,255,127,127,127,255,127,127,127,255,126,126,126,255,126,126,126,255,126,126,126,255,125,125,125,255,123,123,123,255,122,122,122,255,121,121,121,255,120,120,120,255,121,121,121,255,122,122,122,255,124,124,124,255,125,125,125,255,125,125,125,255,125,125,125,255,124,124,124,255,123,123,123,255,123,123,123,255,132,132,132,255,131,131,131,255,129,129,129,255,127,127,127,255,125,125,125,255,125,125,125,255,125,125,125,255,124,124,124,255,122,122,122,255,121,121,121,255,120,120,120,255,119,119,119,255,120,120,120,255,121,121,121,255,121,121,121,255,122,122,122,255,121,121,121,255,121,121,121,255,120,120,120,255,120,120,120,255,119,119,119,255,118,118,118,255,117,117,117,255,115,115,115,255,113,113,113,255,111,111,111,255,109,109,109,255,108,108,108,255,106,106,106,255,104,104,104,255,102,102,102,255,100,100,100,255,97,97,97,255,95,95,95,255,95,95,95,255,95,95,95,255,95,95,95,255,95,95,95,255,96,96,96,255,95,95,95,255,94,94,94,255,93,93,93,255,91,91,91,255,91,91,91,255,91,91,91,255,93,93,93,255,95,95,95,255,99,99,99,255,103,103,103,255,106,106,106,255,109,109,109,255,111,111,111,255,113,113,113,255,115,115,115,255,114,114,114,255,113,113,113,255,111,111,111,255,109,109,109,255,106,106,106,255,105,105,105,255,105,105,105,255,106,106,106,255,107,107,107,255,108,108,108,255,108,108,108,255,108,108,108,255,107,107,107,255,107,107,107,255,107,107,107,255,107,107,107,255,107,107,107,255,108,108,108,255,110,110,110,255,112,112,112,255,116,116,116,255,119,119,119,255,123,123,123,255,126,126,126,255,128,128,128,255,128,128,128,255,128,128,128,255,128,128,128,255,127,127,127,255,127,127,127,255,126,126,126,255,126,126,126,255,125,125,125,255,124,124,124,255,122,122,122,255,121,121,121,255,121,121,121,255,121,121,121,255,122,122,122,255,124,124,124,255,126,126,126,255,126,126,126,255,126,126,126,255,126,126,126,255,125,125,125,255,124,124,124,255,132,132,132,255,131,131,131,255,129,129,129,255,127,127,127,255,126,126,126,255,125,125,125,255,125,125,125,255,124,124,124,255,123,123,123,255,122,122,122,255,121,121,121,255,120,120,120,255,121,121,121,255,122,122,122,255,123,123,123,255,123,123,123,255,123,123,123,255,122,122,122,255,121,121,121,255,121,121,121,255,120,120,120,255,118,118,118,255,116,116,116,255,113,113,113,255,111,111,111,255,109,109,109,255,108,108,108,255,107,107,107,255,106,106,106,255,104,104,104,255,102,102,102,255,99,99,99,255,97,97,97,255,95,95,95,255,94,94,94,255,95,95,95,255,95,95,95,255,95,95,95,255,95,95,95,255,95,95,95,255,94,94,94,255,92,92,92,255,91,91,91,255,90,90,90,255,91,91,91,255,92,92,92,255,95,95,95,255,99,99,99,255,103,103,103,255,106,106,106,255,109,109,109,255,112,112,112,255,114,114,114,255,114,114,114,255,114,114,114,255,113,113,113,255,111,111,111,255,109,109,109,255,107,107,107,255,106,106,106,255,106,106,106,255,107,107,107,255,108,108,108,255,108,108,108,255,109,109,109,255,109,109,109,255,108,108,108,255,107,107,107,255,107,107,107,255,107,107,107,255,107,107,107,255,107,107,107,255,108,108,108,255,111,111,111,255,114,114,114,255,118,118,118,255,122,122,122,255,125,125,125,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,126,126,126,255,124,124,124,255,123,123,123,255,122,122,122,255,122,122,122,255,123,123,123,255,124,124,124,255,126,126,126,255,127,127,127,255,128,128,128,255,127,127,127,255,127,127,127,255,126,126,126,255,132,132,132,255,131,131,131,255,129,129,129,255,127,127,127,255,126,126,126,255,126,126,126,255,126,126,126,255,125,125,125,255,124,124,124,255,123,123,123,255,122,122,122,255,121,121,121,255,122,122,122,255,122,122,122,255,123,123,123,255,124,124,124,255,124,124,124,255,124,124,124,255,123,123,123,255,122,122,122,255,120,120,120,255,118,118,118,255,115,115,115,255,113,113,113,255,110,110,110,255,108,108,108,255,107,107,107,255,106,106,106,255,105,105,105,255,103,103,103,255,101,101,101,255,100,100,100,255,97,97,97,255,96,96,96,255,95,95,95,255,94,94,94,255,95,95,95,255,94,94,94,255,94,94,94,255,94,94,94,255,93,93,93,255,92,92,92,255,91,91,91,255,90,90,90,255,91,91,91,255,92,92,92,255,95,95,95,255,99,99,99,255,103,103,103,255,107,107,107,255,109,109,109,255,112,112,112,255,114,114,114,255,115,115,115,255,115,115,115,255,114,114,114,255,112,112,112,255,110,110,110,255,108,108,108,255,106,106,106,255,106,106,106,255,107,107,107,255,108,108,108,255,109,109,109,255,109,109,109,255,109,109,109,255,109,109,109,255,108,108,108,255,107,107,107,255,107,107,107,255,107,107,107,255,107,107,107,255,108,108,108,255,110,110,110,255,113,113,113,255,117,117,117,255,120,120,120,255,123,123,123,255,125,125,125,255,125,125,125,255,125,125,125,255,126,126,126,255,126,126,126,255,127,127,127,255,128,128,128,255,129,129,129,255,129,129,129,255,128,128,128,255,126,126,126,255,124,124,124,255,123,123,123,255,123,123,123,255,123,123,123,255,124,124,124,255,126,126,126,255,127,127,127,255,128,128,128,255,129,129,129,255,129,129,129,255,128,128,128,255,132,132,132,255,131,131,131,255,129,129,129,255,128,128,128,255,127,127,127,255,126,126,126,255,126,126,126,255,126,126,126,255,125,125,125,255,124,124,124,255,123,123,123,255,122,122,122,255,122,122,122,255,123,123,123,255,124,124,124,255,124,124,124,255,125,125,125,255,125,125,125,255,124,124,124,255,123,123,123,255,121,121,121,255,118,118,118,255,115,115,115,255,112,112,112,255,110,110,110,255,108,108,108,255,106,106,106,255,105,105,105,255,103,103,103,255,102,102,102,255,101,101,101,255,100,100,100,255,98,98,98,255,96,96,96,255,95,95,95,255,95,95,95,255,94,94,94,255,94,94,94,255,94,94,94,255,94,94,94,255,93,93,93,255,92,92,92,255,91,91,91,255,90,90,90,255,91,91,91,255,92,92,92,255,95,95,95,255,99,99,99,255,103,103,103,255,107,107,107,255,109,109,109,255,112,112,112,255,114,114,114,255,115,115,115,255,115,115,115,255,114,114,114,255,113,113,113,255,111,111,111,255,109,109,109,255,107,107,107,255,107,107,107,255,107,107,107,255,108,108,108,255,109,109,109,255,110,110,110,255,110,110,110,255,109,109,109,255,108,108,108,255,107,107,107,255,106,106,106,255,106,106,106,255,106,106,106,255,108,108,108,255,110,110,110,255,113,113,113,255,116,116,116,255,119,119,119,255,121,121,121,255,123,123,123,255,123,123,123,255,123,123,123,255,124,124,124,255,125,125,125,255,127,127,127,255,129,129,129,255,130,130,130,255,130,130,130,255,130,130,130,255,128,128,128,255,126,126,126,255,124,124,124,255,123,123,123,255,123,123,123,255,124,124,124,255,126,126,126,255,127,127,127,255,129,129,129,255,130,130,130,255,130,130,130,255,130,130,130,255,132,132,132,255,130,130,130,255,129,129,129,255,127,127,127,255,127,127,127,255,126,126,126,255,126,126,126,255,126,126,126,255,126,126,126,255,125,125,125,255,124,124,124,255,123,123,123,255,122,122,122,255,123,123,123,255,123,123,123,255,124,124,124,255,125,125,125,255,125,125,125,255,124,124,124,255,123,123,123,255,120,120,120,255,118,118,118,255,115,115,115,255,112,112,112,255,109,109,109,255,107,107,107,255,105,105,105,255,104,104,104,255,102,102,102,255,101,101,101,255,100,100,100,255,100,100,100,255,99,99,99,255,97,97,97,255,96,96,96,255,95,95,95,255,94,94,94,255,94,94,94,255,94,94,94,255,94,94,94,255,93,93,93,255,93,93,93,255,92,92,92,255,91,91,91,255,91,91,91,255,92,92,92,255,94,94,94,255,98,98,98,255,102,102,102,255,106,106,106,255,109,109,109,255,112,112,112,255,114,114,114,255,115,115,115,255,115,115,115,255,115,115,115,255,114,114,114,255,112,112,112,255,109,109,109,255,108,108,108,255,107,107,107,255,107,107,107,255,108,108,108,255,109,109,109,255,110,110,110,255,109,109,109,255,108,108,108,255,107,107,107,255,106,106,106,255,105,105,105,255,105,105,105,255,106,106,106,255,107,107,107,255,110,110,110,255,112,112,112,255,115,115,115,255,118,118,118,255,119,119,119,255,121,121,121,255,121,121,121,255,122,122,122,255,123,123,123,255,125,125,125,255,127,127,127,255,129,129,129,255,130,130,130,255,131,131,131,255,130,130,130,255,129,129,129,255,127,127,127,255,125,125,125,255,124,124,124,255,124,124,124,255,124,124,124,255,126,126,126,255,127,127,127,255,129,129,129,255,130,130,130,255,131,131,131,255,131,131,131,255,131,131,131,255,130,130,130,255,128,128,128,255,127,127,127,255,126,126,126,255,125,125,125,255,125,125,125,255,125,125,125,255,126,126,126,255,125,125,125,255,125,125,125,255,124,124,124,255,122,122,122,255,122,122,122,255,122,122,122,255,123,123,123,255,123,123,123,255,124,124,124,255,123,123,123,255,121,121,121,255,119,119,119,255,117,117,117,255,114,114,114,255,112,112,112,255,109,109,109,255,107,107,107,255,105,105,105,255,103,103,103,255,101,101,101,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,99,99,99,255,98,98,98,255,96,96,96,255,95,95,95,255,94,94,94,255,94,94,94,255,94,94,94,255,94,94,94,255,94,94,94,255,93,93,93,255,92,92,92,255,91,91,91,255,92,92,92,255,94,94,94,255,97,97,97,255,101,101,101,255,105,105,105,255,108,108,108,255,111,111,111,255,113,113,113,255,114,114,114,255,115,115,115,255,114,114,114,255,114,114,114,255,112,112,112,255,110,110,110,255,108,108,108,255,107,107,107,255,107,107,107,255,107,107,107,255,108,108,108,255,109,109,109,255,108,108,108,255,107,107,107,255,105,105,105,255,104,104,104,255,103,103,103,255,103,103,103,255,104,104,104,255,106,106,106,255,109,109,109,255,112,112,112,255,114,114,114,255,116,116,116,255,118,118,118,255,119,119,119,255,120,120,120,255,121,121,121,255,123,123,123,255,124,124,124,255,126,126,126,255,128,128,128,255,129,129,129,255,130,130,130,255,130,130,130,255,129,129,129,255,128,128,128,255,126,126,126,255,126,126,126,255,125,125,125,255,125,125,125,255,126,126,126,255,127,127,127,255,128,128,128,255,129,129,129,255,130,130,130,255,131,131,131,255,130,130,130,255,128,128,128,255,127,127,127,255,125,125,125,255,124,124,124,255,123,123,123,255,123,123,123,255,124,124,124,255,125,125,125,255,125,125,125,255,125,125,125,255,124,124,124,255,122,122,122,255,121,121,121,255,121,121,121,255,121,121,121,255,122,122,122,255,122,122,122,255,121,121,121,255,119,119,119,255,118,118,118,255,116,116,116,255,113,113,113,255,111,111,111,255,109,109,109,255,107,107,107,255,105,105,105,255,102,102,102,255,101,101,101,255,100,100,100,255,100,100,100,255,100,100,100,255,101,101,101,255,100,100,100,255,99,99,99,255,98,98,98,255,97,97,97,255,96,96,96,255,96,96,96,255,96,96,96,255,95,95,95,255,95,95,95,255,94,94,94,255,93,93,93,255,92,92,92,255,92,92,92,255,93,93,93,255,96,96,96,255,100,100,100,255,104,104,104,255,107,107,107,255,110,110,110,255,112,112,112,255,113,113,113,255,114,114,114,255,113,113,113,255,113,113,113,255,111,111,111,255,109,109,109,255,108,108,108,255,107,107,107,255,106,106,106,255,107,107,107,255,107,107,107,255,108,108,108,255,107,107,107,255,106,106,106,255,104,104,104,255,102,102,102,255,102,102,102,255,102,102,102,255,103,103,103,255,105,105,105,255,108,108,108,255,111,111,111,255,113,113,113,255,115,115,115,255,117,117,117,255,118,118,118,255,120,120,120,255,121,121,121,255,122,122,122,255,124,124,124,255,125,125,125,255,127,127,127,255,128,128,128,255,128,128,128,255,129,129,129,255,128,128,128,255,128,128,128,255,128,128,128,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,128,128,128,255,128,128,128,255,129,129,129,255,129,129,129,255,130,130,130,255,129,129,129,255,127,127,127,255,125,125,125,255,123,123,123,255,122,122,122,255,121,121,121,255,121,121,121,255,122,122,122,255,123,123,123,255,124,124,124,255,124,124,124,255,123,123,123,255,122,122,122,255,121,121,121,255,120,120,120,255,120,120,120,255,120,120,120,255,120,120,120,255,119,119,119,255,118,118,118,255,116,116,116,255,114,114,114,255,112,112,112,255,110,110,110,255,109,109,109,255,107,107,107,255,104,104,104,255,102,102,102,255,101,101,101,255,100,100,100,255,100,100,100,255,101,101,101,255,101,101,101,255,101,101,101,255,100,100,100,255,99,99,99,255,98,98,98,255,98,98,98,255,98,98,98,255,98,98,98,255,97,97,97,255,96,96,96,255,95,95,95,255,94,94,94,255,93,93,93,255,92,92,92,255,93,93,93,255,96,96,96,255,99,99,99,255,103,103,103,255,106,106,106,255,109,109,109,255,111,111,111,255,112,112,112,255,112,112,112,255,112,112,112,255,112,112,112,255,110,110,110,255,108,108,108,255,107,107,107,255,106,106,106,255,105,105,105,255,106,106,106,255,106,106,106,255,106,106,106,255,106,106,106,255,104,104,104,255,102,102,102,255,101,101,101,255,100,100,100,255,100,100,100,255,102,102,102,255,104,104,104,255,106,106,106,255,109,109,109,255,111,111,111,255,114,114,114,255,116,116,116,255,118,118,118,255,119,119,119,255,121,121,121,255,123,123,123,255,124,124,124,255,125,125,125,255,126,126,126,255,126,126,126,255,127,127,127,255,127,127,127,255,128,128,128,255,128,128,128,255,129,129,129,255,129,129,129,255,129,129,129,255,129,129,129,255,129,129,129,255,128,128,128,255,128,128,128,255,128,128,128,255,129,129,129,255,129,129,129,255,129,129,129,255,126,126,126,255,124,124,124,255,122,122,122,255,121,121,121,255,120,120,120,255,120,120,120,255,120,120,120,255,122,122,122,255,123,123,123,255,123,123,123,255,123,123,123,255,122,122,122,255,121,121,121,255,120,120,120,255,120,120,120,255,120,120,120,255,120,120,120,255,119,119,119,255,117,117,117,255,116,116,116,255,113,113,113,255,111,111,111,255,109,109,109,255,108,108,108,255,106,106,106,255,104,104,104,255,102,102,102,255,101,101,101,255,101,101,101,255,101,101,101,255,101,101,101,255,101,101,101,255,101,101,101,255,101,101,101,255,101,101,101,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,99,99,99,255,98,98,98,255,96,96,96,255,95,95,95,255,94,94,94,255,93,93,93,255,94,94,94,255,96,96,96,255,99,99,99,255,103,103,103,255,106,106,106,255,109,109,109,255,110,110,110,255,111,111,111,255,111,111,111,255,110,110,110,255,110,110,110,255,109,109,109,255,107,107,107,255,106,106,106,255,105,105,105,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,103,103,103,255,102,102,102,255,100,100,100,255,99,99,99,255,98,98,98,255,99,99,99,255,100,100,100,255,102,102,102,255,105,105,105,255,108,108,108,255,110,110,110,255,112,112,112,255,115,115,115,255,117,117,117,255,119,119,119,255,120,120,120,255,122,122,122,255,123,123,123,255,123,123,123,255,124,124,124,255,125,125,125,255,125,125,125,255,126,126,126,255,127,127,127,255,129,129,129,255,130,130,130,255,130,130,130,255,131,131,131,255,131,131,131,255,130,130,130,255,129,129,129,255,128,128,128,255,128,128,128,255,128,128,128,255,129,129,129,255,128,128,128,255,126,126,126,255,123,123,123,255,121,121,121,255,120,120,120,255,119,119,119,255,119,119,119,255,119,119,119,255,121,121,121,255,122,122,122,255,122,122,122,255,122,122,122,255,121,121,121,255,120,120,120,255,120,120,120,255,120,120,120,255,120,120,120,255,120,120,120,255,119,119,119,255,118,118,118,255,116,116,116,255,113,113,113,255,111,111,111,255,109,109,109,255,107,107,107,255,106,106,106,255,105,105,105,255,104,104,104,255,103,103,103,255,102,102,102,255,102,102,102,255,101,101,101,255,101,101,101,255,101,101,101,255,101,101,101,255,101,101,101,255,101,101,101,255,102,102,102,255,102,102,102,255,101,101,101,255,100,100,100,255,99,99,99,255,97,97,97,255,97,97,97,255,96,96,96,255,95,95,95,255,95,95,95,255,97,97,97,255,100,100,100,255,103,103,103,255,106,106,106,255,108,108,108,255,110,110,110,255,110,110,110,255,109,109,109,255,108,108,108,255,108,108,108,255,107,107,107,255,106,106,106,255,105,105,105,255,104,104,104,255,103,103,103,255,102,102,102,255,102,102,102,255,101,101,101,255,100,100,100,255,99,99,99,255,97,97,97,255,97,97,97,255,97,97,97,255,97,97,97,255,98,98,98,255,101,101,101,255,104,104,104,255,107,107,107,255,109,109,109,255,112,112,112,255,114,114,114,255,116,116,116,255,118,118,118,255,119,119,119,255,120,120,120,255,121,121,121,255,122,122,122,255,122,122,122,255,123,123,123,255,124,124,124,255,125,125,125,255,127,127,127,255,129,129,129,255,131,131,131,255,132,132,132,255,132,132,132,255,132,132,132,255,131,131,131,255,129,129,129,255,128,128,128,255,128,128,128,255,128,128,128,255,129,129,129,255,129,129,129,255,126,126,126,255,123,123,123,255,121,121,121,255,120,120,120,255,119,119,119,255,118,118,118,255,119,119,119,255,120,120,120,255,121,121,121,255,121,121,121,255,121,121,121,255,120,120,120,255,120,120,120,255,120,120,120,255,120,120,120,255,121,121,121,255,121,121,121,255,121,121,121,255,119,119,119,255,117,117,117,255,115,115,115,255,112,112,112,255,110,110,110,255,109,109,109,255,108,108,108,255,107,107,107,255,106,106,106,255,105,105,105,255,104,104,104,255,103,103,103,255,102,102,102,255,101,101,101,255,100,100,100,255,100,100,100,255,101,101,101,255,102,102,102,255,103,103,103,255,103,103,103,255,102,102,102,255,101,101,101,255,100,100,100,255,98,98,98,255,98,98,98,255,97,97,97,255,97,97,97,255,97,97,97,255,98,98,98,255,100,100,100,255,103,103,103,255,106,106,106,255,108,108,108,255,109,109,109,255,109,109,109,255,109,109,109,255,108,108,108,255,107,107,107,255,107,107,107,255,106,106,106,255,105,105,105,255,104,104,104,255,102,102,102,255,101,101,101,255,99,99,99,255,98,98,98,255,97,97,97,255,96,96,96,255,95,95,95,255,95,95,95,255,95,95,95,255,96,96,96,255,97,97,97,255,100,100,100,255,103,103,103,255,106,106,106,255,109,109,109,255,111,111,111,255,113,113,113,255,115,115,115,255,116,116,116,255,117,117,117,255,119,119,119,255,119,119,119,255,120,120,120,255,121,121,121,255,122,122,122,255,123,123,123,255,125,125,125,255,127,127,127,255,130,130,130,255,132,132,132,255,133,133,133,255,133,133,133,255,133,133,133,255,131,131,131,255,129,129,129,255,128,128,128,255,128,128,128,255,129,129,129,255,130,130,130,255,130,130,130,255,126,126,126,255,123,123,123,255,121,121,121,255,120,120,120,255,119,119,119,255,118,118,118,255,118,118,118,255,119,119,119,255,120,120,120,255,120,120,120,255,120,120,120,255,120,120,120,255,120,120,120,255,120,120,120,255,121,121,121,255,121,121,121,255,122,122,122,255,122,122,122,255,121,121,121,255,119,119,119,255,117,117,117,255,115,115,115,255,113,113,113,255,111,111,111,255,111,111,111,255,110,110,110,255,109,109,109,255,108,108,108,255,107,107,107,255,105,105,105,255,103,103,103,255,101,101,101,255,100,100,100,255,100,100,100,255,101,101,101,255,102,102,102,255,103,103,103,255,103,103,103,255,103,103,103,255,101,101,101,255,100,100,100,255,99,99,99,255,99,99,99,255,99,99,99,255,98,98,98,255,98,98,98,255,99,99,99,255,100,100,100,255,103,103,103,255,106,106,106,255,108,108,108,255,110,110,110,255,110,110,110,255,109,109,109,255,108,108,108,255,108,108,108,255,107,107,107,255,107,107,107,255,105,105,105,255,104,104,104,255,101,101,101,255,99,99,99,255,97,97,97,255,95,95,95,255,94,94,94,255,93,93,93,255,93,93,93,255,93,93,93,255,94,94,94,255,95,95,95,255,96,96,96,255,99,99,99,255,102,102,102,255,106,106,106,255,109,109,109,255,111,111,111,255,113,113,113,255,114,114,114,255,114,114,114,255,115,115,115,255,117,117,117,255,118,118,118,255,119,119,119,255,121,121,121,255,122,122,122,255,124,124,124,255,126,126,126,255,129,129,129,255,131,131,131,255,133,133,133,255,134,134,134,255,134,134,134,255,133,133,133,255,131,131,131,255,129,129,129,255,128,128,128,255,128,128,128,255,130,130,130,255,132,132,132,255,131,131,131,255,127,127,127,255,123,123,123,255,121,121,121,255,119,119,119,255,118,118,118,255,117,117,117,255,118,118,118,255,118,118,118,255,119,119,119,255,120,120,120,255,120,120,120,255,119,119,119,255,119,119,119,255,120,120,120,255,121,121,121,255,122,122,122,255,123,123,123,255,123,123,123,255,122,122,122,255,121,121,121,255,119,119,119,255,118,118,118,255,116,116,116,255,115,115,115,255,115,115,115,255,114,114,114,255,113,113,113,255,112,112,112,255,109,109,109,255,107,107,107,255,104,104,104,255,101,101,101,255,99,99,99,255,99,99,99,255,100,100,100,255,102,102,102,255,104,104,104,255,104,104,104,255,103,103,103,255,102,102,102,255,101,101,101,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,99,99,99,255,100,100,100,255,101,101,101,255,103,103,103,255,106,106,106,255,109,109,109,255,110,110,110,255,111,111,111,255,110,110,110,255,110,110,110,255,109,109,109,255,109,109,109,255,108,108,108,255,106,106,106,255,103,103,103,255,100,100,100,255,97,97,97,255,95,95,95,255,93,93,93,255,92,92,92,255,91,91,91,255,92,92,92,255,93,93,93,255,93,93,93,255,94,94,94,255,96,96,96,255,98,98,98,255,102,102,102,255,105,105,105,255,108,108,108,255,110,110,110,255,112,112,112,255,113,113,113,255,113,113,113,255,114,114,114,255,116,116,116,255,117,117,117,255,119,119,119,255,121,121,121,255,123,123,123,255,125,125,125,255,128,128,128,255,130,130,130,255,133,133,133,255,134,134,134,255,134,134,134,255,134,134,134,255,132,132,132,255,130,130,130,255,129,129,129,255,128,128,128,255,129,129,129,255,131,131,131,255,134,134,134,255,131,131,131,255,126,126,126,255,123,123,123,255,120,120,120,255,118,118,118,255,117,117,117,255,116,116,116,255,117,117,117,255,118,118,118,255,119,119,119,255,119,119,119,255,120,120,120,255,119,119,119,255,119,119,119,255,120,120,120,255,121,121,121,255,122,122,122,255,123,123,123,255,124,124,124,255,123,123,123,255,123,123,123,255,122,122,122,255,121,121,121,255,120,120,120,255,120,120,120,255,119,119,119,255,118,118,118,255,117,117,117,255,115,115,115,255,112,112,112,255,109,109,109,255,105,105,105,255,102,102,102,255,100,100,100,255,100,100,100,255,101,101,101,255,103,103,103,255,104,104,104,255,104,104,104,255,104,104,104,255,102,102,102,255,101,101,101,255,101,101,101,255,101,101,101,255,101,101,101,255,101,101,101,255,100,100,100,255,100,100,100,255,101,101,101,255,104,104,104,255,107,107,107,255,110,110,110,255,111,111,111,255,112,112,112,255,112,112,112,255,111,111,111,255,111,111,111,255,110,110,110,255,109,109,109,255,106,106,106,255,103,103,103,255,100,100,100,255,97,97,97,255,94,94,94,255,92,92,92,255,91,91,91,255,91,91,91,255,92,92,92,255,92,92,92,255,93,93,93,255,93,93,93,255,95,95,95,255,97,97,97,255,100,100,100,255,104,104,104,255,107,107,107,255,109,109,109,255,111,111,111,255,112,112,112,255,112,112,112,255,113,113,113,255,115,115,115,255,117,117,117,255,119,119,119,255,122,122,122,255,124,124,124,255,127,127,127,255,129,129,129,255,132,132,132,255,134,134,134,255,135,135,135,255,135,135,135,255,134,134,134,255,132,132,132,255,130,130,130,255,129,129,129,255,129,129,129,255,130,130,130,255,132,132,132,255,135,135,135,255,130,130,130,255,126,126,126,255,122,122,122,255,119,119,119,255,118,118,118,255,116,116,116,255,115,115,115,255,116,116,116,255,117,117,117,255,118,118,118,255,119,119,119,255,120,120,120,255,120,120,120,255,120,120,120,255,120,120,120,255,121,121,121,255,122,122,122,255,123,123,123,255,123,123,123,255,124,124,124,255,124,124,124,255,124,124,124,255,123,123,123,255,123,123,123,255,122,122,122,255,122,122,122,255,121,121,121,255,119,119,119,255,117,117,117,255,114,114,114,255,110,110,110,255,107,107,107,255,104,104,104,255,102,102,102,255,101,101,101,255,102,102,102,255,104,104,104,255,106,106,106,255,106,106,106,255,105,105,105,255,104,104,104,255,102,102,102,255,101,101,101,255,101,101,101,255,101,101,101,255,101,101,101,255,100,100,100,255,100,100,100,255,101,101,101,255,104,104,104,255,107,107,107,255,109,109,109,255,112,112,112,255,113,113,113,255,113,113,113,255,112,112,112,255,111,111,111,255,110,110,110,255,109,109,109,255,106,106,106,255,103,103,103,255,99,99,99,255,96,96,96,255,94,94,94,255,92,92,92,255,91,91,91,255,91,91,91,255,91,91,91,255,92,92,92,255,92,92,92,255,92,92,92,255,93,93,93,255,95,95,95,255,98,98,98,255,101,101,101,255,104,104,104,255,107,107,107,255,108,108,108,255,110,110,110,255,111,111,111,255,112,112,112,255,114,114,114,255,116,116,116,255,119,119,119,255,121,121,121,255,124,124,124,255,127,127,127,255,129,129,129,255,132,132,132,255,134,134,134,255,135,135,135,255,134,134,134,255,134,134,134,255,132,132,132,255,131,131,131,255,130,130,130,255,130,130,130,255,131,131,131,255,134,134,134,255,137,137,137,255,129,129,129,255,125,125,125,255,122,122,122,255,119,119,119,255,118,118,118,255,116,116,116,255,116,116,116,255,116,116,116,255,117,117,117,255,118,118,118,255,119,119,119,255,120,120,120,255,121,121,121,255,121,121,121,255,121,121,121,255,121,121,121,255,122,122,122,255,122,122,122,255,123,123,123,255,123,123,123,255,123,123,123,255,124,124,124,255,124,124,124,255,124,124,124,255,124,124,124,255,123,123,123,255,122,122,122,255,120,120,120,255,118,118,118,255,115,115,115,255,112,112,112,255,108,108,108,255,105,105,105,255,104,104,104,255,103,103,103,255,104,104,104,255,106,106,106,255,107,107,107,255,107,107,107,255,106,106,106,255,105,105,105,255,103,103,103,255,102,102,102,255,102,102,102,255,101,101,101,255,101,101,101,255,100,100,100,255,100,100,100,255,101,101,101,255,103,103,103,255,106,106,106,255,108,108,108,255,111,111,111,255,112,112,112,255,112,112,112,255,112,112,112,255,111,111,111,255,110,110,110,255,108,108,108,255,105,105,105,255,102,102,102,255,99,99,99,255,96,96,96,255,94,94,94,255,92,92,92,255,91,91,91,255,91,91,91,255,91,91,91,255,91,91,91,255,91,91,91,255,91,91,91,255,91,91,91,255,92,92,92,255,95,95,95,255,97,97,97,255,100,100,100,255,103,103,103,255,105,105,105,255,107,107,107,255,108,108,108,255,110,110,110,255,112,112,112,255,115,115,115,255,117,117,117,255,120,120,120,255,123,123,123,255,126,126,126,255,128,128,128,255,131,131,131,255,132,132,132,255,133,133,133,255,133,133,133,255,133,133,133,255,132,132,132,255,131,131,131,255,131,131,131,255,131,131,131,255,133,133,133,255,136,136,136,255,138,138,138,255,128,128,128,255,125,125,125,255,122,122,122,255,120,120,120,255,118,118,118,255,117,117,117,255,116,116,116,255,116,116,116,255,117,117,117,255,118,118,118,255,119,119,119,255,121,121,121,255,122,122,122,255,122,122,122,255,122,122,122,255,122,122,122,255,122,122,122,255,122,122,122,255,122,122,122,255,123,123,123,255,123,123,123,255,124,124,124,255,124,124,124,255,124,124,124,255,124,124,124,255,123,123,123,255,122,122,122,255,121,121,121,255,119,119,119,255,116,116,116,255,112,112,112,255,109,109,109,255,106,106,106,255,105,105,105,255,105,105,105,255,106,106,106,255,107,107,107,255,108,108,108,255,108,108,108,255,108,108,108,255,106,106,106,255,104,104,104,255,103,103,103,255,102,102,102,255,101,101,101,255,100,100,100,255,100,100,100,255,100,100,100,255,101,101,101,255,102,102,102,255,104,104,104,255,107,107,107,255,109,109,109,255,111,111,111,255,111,111,111,255,111,111,111,255,110,110,110,255,108,108,108,255,106,106,106,255,103,103,103,255,101,101,101,255,99,99,99,255,97,97,97,255,95,95,95,255,93,93,93,255,92,92,92,255,90,90,90,255,90,90,90,255,90,90,90,255,89,89,89,255,89,89,89,255,89,89,89,255,90,90,90,255,92,92,92,255,94,94,94,255,97,97,97,255,99,99,99,255,101,101,101,255,103,103,103,255,105,105,105,255,107,107,107,255,109,109,109,255,112,112,112,255,115,115,115,255,118,118,118,255,121,121,121,255,123,123,123,255,126,126,126,255,128,128,128,255,130,130,130,255,131,131,131,255,132,132,132,255,132,132,132,255,131,131,131,255,131,131,131,255,132,132,132,255,133,133,133,255,135,135,135,255,137,137,137,255,140,140,140,255,128,128,128,255,125,125,125,255,122,122,122,255,120,120,120,255,119,119,119,255,118,118,118,255,117,117,117,255,117,117,117,255,117,117,117,255,118,118,118,255,119,119,119,255,121,121,121,255,122,122,122,255,123,123,123,255,124,124,124,255,124,124,124,255,123,123,123,255,123,123,123,255,123,123,123,255,123,123,123,255,123,123,123,255,123,123,123,255,124,124,124,255,123,123,123,255,123,123,123,255,123,123,123,255,122,122,122,255,121,121,121,255,119,119,119,255,116,116,116,255,113,113,113,255,110,110,110,255,107,107,107,255,106,106,106,255,106,106,106,255,107,107,107,255,108,108,108,255,109,109,109,255,109,109,109,255,108,108,108,255,107,107,107,255,106,106,106,255,104,104,104,255,102,102,102,255,101,101,101,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,101,101,101,255,102,102,102,255,105,105,105,255,107,107,107,255,109,109,109,255,109,109,109,255,109,109,109,255,108,108,108,255,106,106,106,255,103,103,103,255,101,101,101,255,100,100,100,255,98,98,98,255,97,97,97,255,95,95,95,255,94,94,94,255,92,92,92,255,90,90,90,255,89,89,89,255,89,89,89,255,88,88,88,255,88,88,88,255,88,88,88,255,89,89,89,255,90,90,90,255,92,92,92,255,94,94,94,255,96,96,96,255,98,98,98,255,100,100,100,255,102,102,102,255,104,104,104,255,107,107,107,255,109,109,109,255,112,112,112,255,115,115,115,255,118,118,118,255,121,121,121,255,124,124,124,255,126,126,126,255,128,128,128,255,130,130,130,255,131,131,131,255,131,131,131,255,132,132,132,255,132,132,132,255,133,133,133,255,135,135,135,255,136,136,136,255,138,138,138,255,140,140,140,255,128,128,128,255,125,125,125,255,123,123,123,255,121,121,121,255,119,119,119,255,118,118,118,255,118,118,118,255,117,117,117,255,117,117,117,255,118,118,118,255,119,119,119,255,121,121,121,255,123,123,123,255,124,124,124,255,125,125,125,255,125,125,125,255,124,124,124,255,124,124,124,255,123,123,123,255,124,124,124,255,124,124,124,255,123,123,123,255,123,123,123,255,123,123,123,255,123,123,123,255,122,122,122,255,122,122,122,255,121,121,121,255,119,119,119,255,116,116,116,255,113,113,113,255,110,110,110,255,108,108,108,255,107,107,107,255,107,107,107,255,107,107,107,255,108,108,108,255,109,109,109,255,109,109,109,255,109,109,109,255,108,108,108,255,106,106,106,255,104,104,104,255,102,102,102,255,101,101,101,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,101,101,101,255,103,103,103,255,104,104,104,255,106,106,106,255,107,107,107,255,107,107,107,255,105,105,105,255,103,103,103,255,101,101,101,255,99,99,99,255,98,98,98,255,98,98,98,255,97,97,97,255,96,96,96,255,94,94,94,255,93,93,93,255,91,91,91,255,89,89,89,255,88,88,88,255,88,88,88,255,87,87,87,255,88,88,88,255,88,88,88,255,89,89,89,255,91,91,91,255,92,92,92,255,94,94,94,255,96,96,96,255,97,97,97,255,99,99,99,255,102,102,102,255,104,104,104,255,107,107,107,255,110,110,110,255,113,113,113,255,116,116,116,255,119,119,119,255,122,122,122,255,124,124,124,255,127,127,127,255,129,129,129,255,130,130,130,255,131,131,131,255,132,132,132,255,133,133,133,255,135,135,135,255,136,136,136,255,137,137,137,255,139,139,139,255,140,140,140,255,129,129,129,255,125,125,125,255,123,123,123,255,120,120,120,255,119,119,119,255,118,118,118,255,117,117,117,255,116,116,116,255,116,116,116,255,117,117,117,255,119,119,119,255,121,121,121,255,123,123,123,255,124,124,124,255,125,125,125,255,126,126,126,255,125,125,125,255,125,125,125,255,124,124,124,255,124,124,124,255,124,124,124,255,124,124,124,255,123,123,123,255,123,123,123,255,122,122,122,255,122,122,122,255,122,122,122,255,121,121,121,255,119,119,119,255,116,116,116,255,113,113,113,255,110,110,110,255,108,108,108,255,107,107,107,255,107,107,107,255,107,107,107,255,108,108,108,255,108,108,108,255,109,109,109,255,109,109,109,255,108,108,108,255,107,107,107,255,105,105,105,255,102,102,102,255,101,101,101,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,99,99,99,255,100,100,100,255,101,101,101,255,103,103,103,255,104,104,104,255,105,105,105,255,105,105,105,255,103,103,103,255,101,101,101,255,99,99,99,255,97,97,97,255,97,97,97,255,97,97,97,255,97,97,97,255,96,96,96,255,95,95,95,255,93,93,93,255,91,91,91,255,89,89,89,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,89,89,89,255,90,90,90,255,91,91,91,255,93,93,93,255,94,94,94,255,96,96,96,255,98,98,98,255,100,100,100,255,103,103,103,255,106,106,106,255,109,109,109,255,112,112,112,255,115,115,115,255,118,118,118,255,121,121,121,255,123,123,123,255,126,126,126,255,128,128,128,255,130,130,130,255,132,132,132,255,134,134,134,255,135,135,135,255,136,136,136,255,137,137,137,255,138,138,138,255,138,138,138,255,139,139,139,255,129,129,129,255,126,126,126,255,122,122,122,255,120,120,120,255,118,118,118,255,116,116,116,255,116,116,116,255,115,115,115,255,115,115,115,255,116,116,116,255,118,118,118,255,120,120,120,255,122,122,122,255,123,123,123,255,125,125,125,255,125,125,125,255,125,125,125,255,124,124,124,255,124,124,124,255,124,124,124,255,124,124,124,255,124,124,124,255,124,124,124,255,123,123,123,255,123,123,123,255,123,123,123,255,122,122,122,255,121,121,121,255,118,118,118,255,116,116,116,255,113,113,113,255,110,110,110,255,108,108,108,255,106,106,106,255,106,106,106,255,107,107,107,255,107,107,107,255,107,107,107,255,108,108,108,255,108,108,108,255,108,108,108,255,107,107,107,255,105,105,105,255,103,103,103,255,101,101,101,255,100,100,100,255,100,100,100,255,99,99,99,255,99,99,99,255,99,99,99,255,99,99,99,255,100,100,100,255,102,102,102,255,103,103,103,255,103,103,103,255,103,103,103,255,101,101,101,255,99,99,99,255,97,97,97,255,96,96,96,255,96,96,96,255,96,96,96,255,96,96,96,255,96,96,96,255,95,95,95,255,94,94,94,255,92,92,92,255,91,91,91,255,90,90,90,255,89,89,89,255,89,89,89,255,89,89,89,255,89,89,89,255,89,89,89,255,90,90,90,255,91,91,91,255,92,92,92,255,93,93,93,255,95,95,95,255,97,97,97,255,100,100,100,255,102,102,102,255,105,105,105,255,109,109,109,255,112,112,112,255,115,115,115,255,118,118,118,255,121,121,121,255,124,124,124,255,126,126,126,255,129,129,129,255,131,131,131,255,133,133,133,255,135,135,135,255,136,136,136,255,137,137,137,255,137,137,137,255,137,137,137,255,138,138,138,255,138,138,138,255,129,129,129,255,126,126,126,255,122,122,122,255,119,119,119,255,117,117,117,255,115,115,115,255,114,114,114,255,114,114,114,255,114,114,114,255,115,115,115,255,116,116,116,255,118,118,118,255,120,120,120,255,121,121,121,255,122,122,122,255,123,123,123,255,123,123,123,255,123,123,123,255,123,123,123,255,123,123,123,255,123,123,123,255,124,124,124,255,124,124,124,255,124,124,124,255,124,124,124,255,123,123,123,255,122,122,122,255,120,120,120,255,118,118,118,255,115,115,115,255,112,112,112,255,109,109,109,255,107,107,107,255,106,106,106,255,106,106,106,255,106,106,106,255,107,107,107,255,107,107,107,255,107,107,107,255,108,108,108,255,108,108,108,255,107,107,107,255,105,105,105,255,103,103,103,255,101,101,101,255,100,100,100,255,100,100,100,255,99,99,99,255,99,99,99,255,99,99,99,255,99,99,99,255,100,100,100,255,101,101,101,255,102,102,102,255,102,102,102,255,102,102,102,255,100,100,100,255,98,98,98,255,97,97,97,255,96,96,96,255,96,96,96,255,96,96,96,255,95,95,95,255,95,95,95,255,94,94,94,255,94,94,94,255,93,93,93,255,92,92,92,255,92,92,92,255,91,91,91,255,90,90,90,255,90,90,90,255,90,90,90,255,90,90,90,255,90,90,90,255,90,90,90,255,91,91,91,255,92,92,92,255,94,94,94,255,96,96,96,255,99,99,99,255,102,102,102,255,105,105,105,255,109,109,109,255,112,112,112,255,116,116,116,255,119,119,119,255,121,121,121,255,124,124,124,255,126,126,126,255,129,129,129,255,131,131,131,255,133,133,133,255,135,135,135,255,136,136,136,255,137,137,137,255,137,137,137,255,137,137,137,255,137,137,137,255,137,137,137,255,129,129,129,255,126,126,126,255,122,122,122,255,119,119,119,255,116,116,116,255,114,114,114,255,113,113,113,255,112,112,112,255,112,112,112,255,113,113,113,255,115,115,115,255,116,116,116,255,118,118,118,255,119,119,119,255,120,120,120,255,120,120,120,255,121,121,121,255,121,121,121,255,121,121,121,255,121,121,121,255,122,122,122,255,123,123,123,255,123,123,123,255,124,124,124,255,124,124,124,255,123,123,123,255,122,122,122,255,119,119,119,255,116,116,116,255,113,113,113,255,111,111,111,255,109,109,109,255,108,108,108,255,107,107,107,255,107,107,107,255,107,107,107,255,107,107,107,255,107,107,107,255,107,107,107,255,107,107,107,255,107,107,107,255,107,107,107,255,105,105,105,255,104,104,104,255,102,102,102,255,101,101,101,255,100,100,100,255,99,99,99,255,99,99,99,255,99,99,99,255,100,100,100,255,101,101,101,255,102,102,102,255,102,102,102,255,102,102,102,255,100,100,100,255,99,99,99,255,97,97,97,255,96,96,96,255,95,95,95,255,95,95,95,255,95,95,95,255,94,94,94,255,93,93,93,255,93,93,93,255,93,93,93,255,93,93,93,255,93,93,93,255,93,93,93,255,92,92,92,255,92,92,92,255,91,91,91,255,90,90,90,255,90,90,90,255,89,89,89,255,89,89,89,255,89,89,89,255,90,90,90,255,92,92,92,255,95,95,95,255,98,98,98,255,101,101,101,255,105,105,105,255,109,109,109,255,112,112,112,255,116,116,116,255,119,119,119,255,121,121,121,255,124,124,124,255,126,126,126,255,128,128,128,255,130,130,130,255,132,132,132,255,134,134,134,255,136,136,136,255,137,137,137,255,138,138,138,255,137,137,137,255,137,137,137,255,136,136,136,255,128,128,128,255,126,126,126,255,123,123,123,255,119,119,119,255,116,116,116,255,114,114,114,255,112,112,112,255,111,111,111,255,111,111,111,255,112,112,112,255,113,113,113,255,115,115,115,255,115,115,115,255,116,116,116,255,117,117,117,255,118,118,118,255,118,118,118,255,118,118,118,255,118,118,118,255,119,119,119,255,120,120,120,255,121,121,121,255,122,122,122,255,123,123,123,255,123,123,123,255,123,123,123,255,121,121,121,255,118,118,118,255,116,116,116,255,113,113,113,255,110,110,110,255,109,109,109,255,108,108,108,255,108,108,108,255,108,108,108,255,109,109,109,255,108,108,108,255,108,108,108,255,108,108,108,255,107,107,107,255,107,107,107,255,107,107,107,255,106,106,106,255,105,105,105,255,103,103,103,255,102,102,102,255,101,101,101,255,100,100,100,255,100,100,100,255,100,100,100,255,101,101,101,255,102,102,102,255,103,103,103,255,102,102,102,255,101,101,101,255,99,99,99,255,98,98,98,255,96,96,96,255,95,95,95,255,95,95,95,255,94,94,94,255,93,93,93,255,92,92,92,255,91,91,91,255,91,91,91,255,91,91,91,255,92,92,92,255,92,92,92,255,92,92,92,255,92,92,92,255,92,92,92,255,91,91,91,255,90,90,90,255,89,89,89,255,88,88,88,255,88,88,88,255,87,87,87,255,88,88,88,255,90,90,90,255,93,93,93,255,96,96,96,255,100,100,100,255,104,104,104,255,108,108,108,255,112,112,112,255,115,115,115,255,118,118,118,255,121,121,121,255,123,123,123,255,125,125,125,255,127,127,127,255,129,129,129,255,131,131,131,255,133,133,133,255,135,135,135,255,137,137,137,255,138,138,138,255,138,138,138,255,137,137,137,255,136,136,136,255,127,127,127,255,125,125,125,255,122,122,122,255,119,119,119,255,116,116,116,255,113,113,113,255,111,111,111,255,110,110,110,255,110,110,110,255,111,111,111,255,112,112,112,255,113,113,113,255,114,114,114,255,114,114,114,255,115,115,115,255,115,115,115,255,116,116,116,255,116,116,116,255,117,117,117,255,117,117,117,255,118,118,118,255,120,120,120,255,121,121,121,255,121,121,121,255,122,122,122,255,121,121,121,255,120,120,120,255,117,117,117,255,115,115,115,255,113,113,113,255,111,111,111,255,110,110,110,255,110,110,110,255,110,110,110,255,110,110,110,255,110,110,110,255,110,110,110,255,109,109,109,255,109,109,109,255,108,108,108,255,108,108,108,255,108,108,108,255,108,108,108,255,107,107,107,255,105,105,105,255,103,103,103,255,102,102,102,255,101,101,101,255,101,101,101,255,102,102,102,255,103,103,103,255,104,104,104,255,104,104,104,255,103,103,103,255,101,101,101,255,99,99,99,255,97,97,97,255,95,95,95,255,95,95,95,255,94,94,94,255,93,93,93,255,92,92,92,255,90,90,90,255,89,89,89,255,89,89,89,255,89,89,89,255,90,90,90,255,91,91,91,255,91,91,91,255,91,91,91,255,91,91,91,255,90,90,90,255,89,89,89,255,88,88,88,255,87,87,87,255,86,86,86,255,85,85,85,255,85,85,85,255,87,87,87,255,91,91,91,255,95,95,95,255,99,99,99,255,103,103,103,255,107,107,107,255,111,111,111,255,114,114,114,255,116,116,116,255,119,119,119,255,122,122,122,255,124,124,124,255,127,127,127,255,129,129,129,255,131,131,131,255,133,133,133,255,135,135,135,255,137,137,137,255,138,138,138,255,138,138,138,255,137,137,137,255,136,136,136,255,126,126,126,255,124,124,124,255,122,122,122,255,119,119,119,255,116,116,116,255,112,112,112,255,110,110,110,255,109,109,109,255,109,109,109,255,110,110,110,255,111,111,111,255,112,112,112,255,112,112,112,255,113,113,113,255,113,113,113,255,114,114,114,255,114,114,114,255,115,115,115,255,116,116,116,255,116,116,116,255,117,117,117,255,118,118,118,255,119,119,119,255,120,120,120,255,120,120,120,255,120,120,120,255,119,119,119,255,117,117,117,255,115,115,115,255,114,114,114,255,112,112,112,255,111,111,111,255,112,112,112,255,112,112,112,255,112,112,112,255,112,112,112,255,111,111,111,255,111,111,111,255,110,110,110,255,110,110,110,255,110,110,110,255,110,110,110,255,110,110,110,255,109,109,109,255,108,108,108,255,106,106,106,255,104,104,104,255,103,103,103,255,103,103,103,255,103,103,103,255,104,104,104,255,105,105,105,255,105,105,105,255,104,104,104,255,101,101,101,255,98,98,98,255,96,96,96,255,95,95,95,255,94,94,94,255,93,93,93,255,92,92,92,255,91,91,91,255,88,88,88,255,87,87,87,255,86,86,86,255,86,86,86,255,87,87,87,255,88,88,88,255,88,88,88,255,88,88,88,255,89,89,89,255,89,89,89,255,88,88,88,255,87,87,87,255,85,85,85,255,84,84,84,255,83,83,83,255,83,83,83,255,85,85,85,255,89,89,89,255,93,93,93,255,97,97,97,255,102,102,102,255,106,106,106,255,109,109,109,255,112,112,112,255,115,115,115,255,117,117,117,255,120,120,120,255,123,123,123,255,126,126,126,255,128,128,128,255,131,131,131,255,133,133,133,255,135,135,135,255,137,137,137,255,138,138,138,255,138,138,138,255,137,137,137,255,135,135,135,255,125,125,125,255,123,123,123,255,121,121,121,255,118,118,118,255,114,114,114,255,111,111,111,255,109,109,109,255,108,108,108,255,108,108,108,255,108,108,108,255,110,110,110,255,111,111,111,255,111,111,111,255,112,112,112,255,112,112,112,255,113,113,113,255,114,114,114,255,115,115,115,255,116,116,116,255,117,117,117,255,118,118,118,255,118,118,118,255,119,119,119,255,119,119,119,255,119,119,119,255,119,119,119,255,118,118,118,255,118,118,118,255,116,116,116,255,115,115,115,255,114,114,114,255,113,113,113,255,113,113,113,255,113,113,113,255,113,113,113,255,113,113,113,255,112,112,112,255,112,112,112,255,111,111,111,255,111,111,111,255,112,112,112,255,112,112,112,255,113,113,113,255,112,112,112,255,110,110,110,255,108,108,108,255,106,106,106,255,105,105,105,255,105,105,105,255,105,105,105,255,106,106,106,255,107,107,107,255,106,106,106,255,105,105,105,255,102,102,102,255,98,98,98,255,96,96,96,255,94,94,94,255,93,93,93,255,92,92,92,255,91,91,91,255,89,89,89,255,87,87,87,255,85,85,85,255,84,84,84,255,84,84,84,255,85,85,85,255,86,86,86,255,86,86,86,255,86,86,86,255,87,87,87,255,87,87,87,255,87,87,87,255,86,86,86,255,84,84,84,255,83,83,83,255,82,82,82,255,82,82,82,255,84,84,84,255,88,88,88,255,92,92,92,255,97,97,97,255,101,101,101,255,105,105,105,255,108,108,108,255,111,111,111,255,113,113,113,255,116,116,116,255,119,119,119,255,122,122,122,255,126,126,126,255,129,129,129,255,132,132,132,255,134,134,134,255,136,136,136,255,137,137,137,255,138,138,138,255,138,138,138,255,136,136,136,255,134,134,134,255,123,123,123,255,121,121,121,255,119,119,119,255,117,117,117,255,113,113,113,255,110,110,110,255,108,108,108,255,107,107,107,255,107,107,107,255,108,108,108,255,109,109,109,255,111,111,111,255,111,111,111,255,111,111,111,255,112,112,112,255,113,113,113,255,115,115,115,255,116,116,116,255,117,117,117,255,118,118,118,255,119,119,119,255,119,119,119,255,119,119,119,255,119,119,119,255,119,119,119,255,119,119,119,255,119,119,119,255,118,118,118,255,117,117,117,255,116,116,116,255,115,115,115,255,114,114,114,255,114,114,114,255,114,114,114,255,114,114,114,255,114,114,114,255,113,113,113,255,113,113,113,255,113,113,113,255,113,113,113,255,114,114,114,255,114,114,114,255,115,115,115,255,114,114,114,255,113,113,113,255,111,111,111,255,109,109,109,255,107,107,107,255,107,107,107,255,107,107,107,255,108,108,108,255,108,108,108,255,107,107,107,255,105,105,105,255,102,102,102,255,98,98,98,255,96,96,96,255,94,94,94,255,93,93,93,255,91,91,91,255,90,90,90,255,88,88,88,255,86,86,86,255,84,84,84,255,83,83,83,255,83,83,83,255,84,84,84,255,84,84,84,255,85,85,85,255,85,85,85,255,86,86,86,255,87,87,87,255,86,86,86,255,85,85,85,255,84,84,84,255,82,82,82,255,82,82,82,255,82,82,82,255,85,85,85,255,88,88,88,255,93,93,93,255,97,97,97,255,101,101,101,255,104,104,104,255,107,107,107,255,110,110,110,255,112,112,112,255,115,115,115,255,119,119,119,255,123,123,123,255,127,127,127,255,130,130,130,255,133,133,133,255,135,135,135,255,136,136,136,255,137,137,137,255,137,137,137,255,136,136,136,255,134,134,134,255,132,132,132,255,122,122,122,255,120,120,120,255,118,118,118,255,115,115,115,255,113,113,113,255,110,110,110,255,108,108,108,255,107,107,107,255,107,107,107,255,107,107,107,255,109,109,109,255,110,110,110,255,110,110,110,255,111,111,111,255,112,112,112,255,113,113,113,255,115,115,115,255,117,117,117,255,118,118,118,255,119,119,119,255,120,120,120,255,120,120,120,255,119,119,119,255,120,120,120,255,120,120,120,255,121,121,121,255,120,120,120,255,120,120,120,255,119,119,119,255,117,117,117,255,116,116,116,255,115,115,115,255,114,114,114,255,114,114,114,255,114,114,114,255,114,114,114,255,114,114,114,255,114,114,114,255,114,114,114,255,115,115,115,255,115,115,115,255,116,116,116,255,116,116,116,255,115,115,115,255,114,114,114,255,112,112,112,255,110,110,110,255,109,109,109,255,109,109,109,255,109,109,109,255,109,109,109,255,108,108,108,255,107,107,107,255,104,104,104,255,101,101,101,255,98,98,98,255,95,95,95,255,94,94,94,255,92,92,92,255,91,91,91,255,89,89,89,255,87,87,87,255,85,85,85,255,84,84,84,255,83,83,83,255,83,83,83,255,83,83,83,255,84,84,84,255,84,84,84,255,85,85,85,255,86,86,86,255,87,87,87,255,87,87,87,255,86,86,86,255,84,84,84,255,83,83,83,255,82,82,82,255,83,83,83,255,86,86,86,255,90,90,90,255,94,94,94,255,98,98,98,255,102,102,102,255,104,104,104,255,107,107,107,255,110,110,110,255,112,112,112,255,115,115,115,255,119,119,119,255,124,124,124,255,128,128,128,255,131,131,131,255,134,134,134,255,136,136,136,255,137,137,137,255,137,137,137,255,136,136,136,255,134,134,134,255,132,132,132,255,130,130,130,255,121,121,121,255,118,118,118,255,116,116,116,255,114,114,114,255,111,111,111,255,109,109,109,255,107,107,107,255,106,106,106,255,106,106,106,255,106,106,106,255,107,107,107,255,108,108,108,255,109,109,109,255,110,110,110,255,111,111,111,255,113,113,113,255,114,114,114,255,116,116,116,255,119,119,119,255,120,120,120,255,120,120,120,255,120,120,120,255,120,120,120,255,121,121,121,255,121,121,121,255,122,122,122,255,122,122,122,255,121,121,121,255,120,120,120,255,118,118,118,255,116,116,116,255,115,115,115,255,114,114,114,255,114,114,114,255,114,114,114,255,114,114,114,255,114,114,114,255,114,114,114,255,115,115,115,255,116,116,116,255,116,116,116,255,117,117,117,255,116,116,116,255,115,115,115,255,114,114,114,255,113,113,113,255,111,111,111,255,111,111,111,255,111,111,111,255,110,110,110,255,110,110,110,255,108,108,108,255,106,106,106,255,103,103,103,255,100,100,100,255,97,97,97,255,95,95,95,255,94,94,94,255,92,92,92,255,90,90,90,255,89,89,89,255,87,87,87,255,85,85,85,255,83,83,83,255,83,83,83,255,83,83,83,255,83,83,83,255,84,84,84,255,84,84,84,255,85,85,85,255,87,87,87,255,87,87,87,255,87,87,87,255,86,86,86,255,84,84,84,255,83,83,83,255,83,83,83,255,84,84,84,255,87,87,87,255,91,91,91,255,95,95,95,255,99,99,99,255,102,102,102,255,104,104,104,255,107,107,107,255,110,110,110,255,113,113,113,255,116,116,116,255,120,120,120,255,125,125,125,255,128,128,128,255,132,132,132,255,134,134,134,255,135,135,135,255,136,136,136,255,135,135,135,255,134,134,134,255,132,132,132,255,130,130,130,255,128,128,128,255,120,120,120,255,116,116,116,255,114,114,114,255,112,112,112,255,110,110,110,255,108,108,108,255,107,107,107,255,105,105,105,255,105,105,105,255,105,105,105,255,105,105,105,255,106,106,106,255,106,106,106,255,108,108,108,255,109,109,109,255,111,111,111,255,113,113,113,255,115,115,115,255,118,118,118,255,119,119,119,255,120,120,120,255,120,120,120,255,121,121,121,255,122,122,122,255,123,123,123,255,124,124,124,255,124,124,124,255,123,123,123,255,121,121,121,255,119,119,119,255,116,116,116,255,115,115,115,255,114,114,114,255,114,114,114,255,114,114,114,255,114,114,114,255,114,114,114,255,115,115,115,255,115,115,115,255,116,116,116,255,117,117,117,255,117,117,117,255,116,116,116,255,115,115,115,255,114,114,114,255,112,112,112,255,112,112,112,255,111,111,111,255,111,111,111,255,111,111,111,255,110,110,110,255,107,107,107,255,105,105,105,255,102,102,102,255,99,99,99,255,97,97,97,255,96,96,96,255,94,94,94,255,92,92,92,255,90,90,90,255,88,88,88,255,85,85,85,255,84,84,84,255,83,83,83,255,82,82,82,255,82,82,82,255,83,83,83,255,84,84,84,255,84,84,84,255,86,86,86,255,87,87,87,255,88,88,88,255,88,88,88,255,87,87,87,255,85,85,85,255,84,84,84,255,84,84,84,255,85,85,85,255,88,88,88,255,92,92,92,255,96,96,96,255,99,99,99,255,102,102,102,255,104,104,104,255,107,107,107,255,110,110,110,255,113,113,113,255,117,117,117,255,121,121,121,255,125,125,125,255,128,128,128,255,131,131,131,255,132,132,132,255,133,133,133,255,134,134,134,255,133,133,133,255,132,132,132,255,130,130,130,255,128,128,128,255,127,127,127,255,119,119,119,255,115,115,115,255,112,112,112,255,110,110,110,255,109,109,109,255,107,107,107,255,105,105,105,255,104,104,104,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,104,104,104,255,105,105,105,255,107,107,107,255,109,109,109,255,111,111,111,255,114,114,114,255,116,116,116,255,118,118,118,255,119,119,119,255,120,120,120,255,121,121,121,255,123,123,123,255,124,124,124,255,125,125,125,255,125,125,125,255,124,124,124,255,122,122,122,255,120,120,120,255,117,117,117,255,116,116,116,255,115,115,115,255,114,114,114,255,114,114,114,255,114,114,114,255,114,114,114,255,114,114,114,255,115,115,115,255,116,116,116,255,117,117,117,255,117,117,117,255,116,116,116,255,115,115,115,255,113,113,113,255,112,112,112,255,111,111,111,255,111,111,111,255,111,111,111,255,111,111,111,255,109,109,109,255,107,107,107,255,104,104,104,255,101,101,101,255,99,99,99,255,97,97,97,255,96,96,96,255,94,94,94,255,92,92,92,255,90,90,90,255,87,87,87,255,85,85,85,255,83,83,83,255,82,82,82,255,82,82,82,255,82,82,82,255,83,83,83,255,84,84,84,255,84,84,84,255,86,86,86,255,87,87,87,255,88,88,88,255,88,88,88,255,87,87,87,255,86,86,86,255,85,85,85,255,85,85,85,255,86,86,86,255,89,89,89,255,92,92,92,255,96,96,96,255,99,99,99,255,101,101,101,255,104,104,104,255,107,107,107,255,110,110,110,255,114,114,114,255,118,118,118,255,122,122,122,255,125,125,125,255,127,127,127,255,129,129,129,255,130,130,130,255,131,131,131,255,131,131,131,255,131,131,131,255,130,130,130,255,129,129,129,255,127,127,127,255,126,126,126,255,118,118,118,255,114,114,114,255,111,111,111,255,109,109,109,255,107,107,107,255,106,106,106,255,104,104,104,255,102,102,102,255,101,101,101,255,101,101,101,255,101,101,101,255,101,101,101,255,102,102,102,255,104,104,104,255,105,105,105,255,108,108,108,255,110,110,110,255,112,112,112,255,115,115,115,255,117,117,117,255,118,118,118,255,119,119,119,255,121,121,121,255,123,123,123,255,124,124,124,255,126,126,126,255,126,126,126,255,125,125,125,255,123,123,123,255,121,121,121,255,119,119,119,255,117,117,117,255,116,116,116,255,115,115,115,255,114,114,114,255,113,113,113,255,113,113,113,255,114,114,114,255,115,115,115,255,116,116,116,255,117,117,117,255,117,117,117,255,116,116,116,255,115,115,115,255,113,113,113,255,112,112,112,255,111,111,111,255,111,111,111,255,111,111,111,255,110,110,110,255,109,109,109,255,106,106,106,255,104,104,104,255,101,101,101,255,99,99,99,255,98,98,98,255,97,97,97,255,95,95,95,255,93,93,93,255,90,90,90,255,87,87,87,255,84,84,84,255,82,82,82,255,82,82,82,255,81,81,81,255,82,82,82,255,82,82,82,255,83,83,83,255,84,84,84,255,85,85,85,255,87,87,87,255,88,88,88,255,88,88,88,255,88,88,88,255,86,86,86,255,85,85,85,255,85,85,85,255,86,86,86,255,88,88,88,255,92,92,92,255,95,95,95,255,98,98,98,255,100,100,100,255,103,103,103,255,106,106,106,255,110,110,110,255,113,113,113,255,117,117,117,255,121,121,121,255,124,124,124,255,126,126,126,255,127,127,127,255,127,127,127,255,128,128,128,255,129,129,129,255,129,129,129,255,128,128,128,255,128,128,128,255,127,127,127,255,126,126,126,255,118,118,118,255,115,115,115,255,111,111,111,255,108,108,108,255,106,106,106,255,104,104,104,255,102,102,102,255,101,101,101,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,101,101,101,255,102,102,102,255,104,104,104,255,107,107,107,255,109,109,109,255,112,112,112,255,114,114,114,255,116,116,116,255,117,117,117,255,119,119,119,255,121,121,121,255,123,123,123,255,125,125,125,255,126,126,126,255,127,127,127,255,126,126,126,255,125,125,125,255,123,123,123,255,121,121,121,255,120,120,120,255,118,118,118,255,117,117,117,255,115,115,115,255,114,114,114,255,114,114,114,255,114,114,114,255,116,116,116,255,117,117,117,255,118,118,118,255,118,118,118,255,117,117,117,255,116,116,116,255,114,114,114,255,113,113,113,255,111,111,111,255,111,111,111,255,111,111,111,255,110,110,110,255,109,109,109,255,107,107,107,255,104,104,104,255,102,102,102,255,101,101,101,255,99,99,99,255,98,98,98,255,95,95,95,255,93,93,93,255,90,90,90,255,86,86,86,255,84,84,84,255,82,82,82,255,81,81,81,255,81,81,81,255,82,82,82,255,82,82,82,255,83,83,83,255,84,84,84,255,85,85,85,255,87,87,87,255,88,88,88,255,89,89,89,255,88,88,88,255,87,87,87,255,86,86,86,255,85,85,85,255,86,86,86,255,88,88,88,255,91,91,91,255,94,94,94,255,97,97,97,255,99,99,99,255,102,102,102,255,105,105,105,255,109,109,109,255,112,112,112,255,116,116,116,255,119,119,119,255,122,122,122,255,124,124,124,255,125,125,125,255,125,125,125,255,126,126,126,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,126,126,126,255,125,125,125,255,119,119,119,255,115,115,115,255,111,111,111,255,108,108,108,255,105,105,105,255,103,103,103,255,101,101,101,255,100,100,100,255,99,99,99,255,99,99,99,255,99,99,99,255,100,100,100,255,101,101,101,255,102,102,102,255,104,104,104,255,106,106,106,255,108,108,108,255,111,111,111,255,114,114,114,255,116,116,116,255,118,118,118,255,119,119,119,255,121,121,121,255,123,123,123,255,125,125,125,255,126,126,126,255,127,127,127,255,127,127,127,255,126,126,126,255,125,125,125,255,123,123,123,255,122,122,122,255,121,121,121,255,119,119,119,255,118,118,118,255,116,116,116,255,116,116,116,255,116,116,116,255,117,117,117,255,118,118,118,255,119,119,119,255,119,119,119,255,118,118,118,255,117,117,117,255,115,115,115,255,113,113,113,255,112,112,112,255,111,111,111,255,111,111,111,255,110,110,110,255,109,109,109,255,108,108,108,255,106,106,106,255,104,104,104,255,103,103,103,255,101,101,101,255,99,99,99,255,96,96,96,255,93,93,93,255,90,90,90,255,87,87,87,255,84,84,84,255,83,83,83,255,82,82,82,255,82,82,82,255,83,83,83,255,84,84,84,255,84,84,84,255,85,85,85,255,86,86,86,255,88,88,88,255,89,89,89,255,89,89,89,255,89,89,89,255,87,87,87,255,86,86,86,255,85,85,85,255,86,86,86,255,87,87,87,255,90,90,90,255,93,93,93,255,96,96,96,255,99,99,99,255,102,102,102,255,105,105,105,255,108,108,108,255,111,111,111,255,114,114,114,255,117,117,117,255,119,119,119,255,121,121,121,255,123,123,123,255,124,124,124,255,125,125,125,255,125,125,125,255,126,126,126,255,126,126,126,255,126,126,126,255,125,125,125,255,124,124,124,255,119,119,119,255,116,116,116,255,112,112,112,255,108,108,108,255,105,105,105,255,103,103,103,255,101,101,101,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,101,101,101,255,101,101,101,255,102,102,102,255,104,104,104,255,106,106,106,255,108,108,108,255,111,111,111,255,114,114,114,255,116,116,116,255,118,118,118,255,120,120,120,255,122,122,122,255,123,123,123,255,124,124,124,255,125,125,125,255,126,126,126,255,126,126,126,255,126,126,126,255,125,125,125,255,125,125,125,255,124,124,124,255,123,123,123,255,121,121,121,255,120,120,120,255,119,119,119,255,118,118,118,255,119,119,119,255,120,120,120,255,121,121,121,255,121,121,121,255,121,121,121,255,120,120,120,255,118,118,118,255,116,116,116,255,114,114,114,255,113,113,113,255,112,112,112,255,112,112,112,255,112,112,112,255,111,111,111,255,110,110,110,255,109,109,109,255,107,107,107,255,105,105,105,255,103,103,103,255,100,100,100,255,98,98,98,255,95,95,95,255,92,92,92,255,89,89,89,255,87,87,87,255,85,85,85,255,84,84,84,255,85,85,85,255,85,85,85,255,86,86,86,255,86,86,86,255,87,87,87,255,88,88,88,255,89,89,89,255,89,89,89,255,89,89,89,255,89,89,89,255,88,88,88,255,86,86,86,255,85,85,85,255,86,86,86,255,87,87,87,255,90,90,90,255,93,93,93,255,96,96,96,255,99,99,99,255,102,102,102,255,105,105,105,255,108,108,108,255,110,110,110,255,112,112,112,255,114,114,114,255,117,117,117,255,119,119,119,255,121,121,121,255,123,123,123,255,124,124,124,255,124,124,124,255,124,124,124,255,124,124,124,255,124,124,124,255,124,124,124,255,123,123,123,255,119,119,119,255,116,116,116,255,113,113,113,255,110,110,110,255,107,107,107,255,104,104,104,255,103,103,103,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,103,103,103,255,103,103,103,255,104,104,104,255,106,106,106,255,109,109,109,255,112,112,112,255,115,115,115,255,117,117,117,255,119,119,119,255,120,120,120,255,121,121,121,255,122,122,122,255,123,123,123,255,124,124,124,255,124,124,124,255,125,125,125,255,125,125,125,255,125,125,125,255,125,125,125,255,124,124,124,255,124,124,124,255,123,123,123,255,122,122,122,255,121,121,121,255,121,121,121,255,121,121,121,255,122,122,122,255,123,123,123,255,123,123,123,255,123,123,123,255,121,121,121,255,120,120,120,255,118,118,118,255,116,116,116,255,114,114,114,255,114,114,114,255,114,114,114,255,114,114,114,255,114,114,114,255,114,114,114,255,113,113,113,255,111,111,111,255,108,108,108,255,105,105,105,255,102,102,102,255,99,99,99,255,97,97,97,255,94,94,94,255,92,92,92,255,90,90,90,255,89,89,89,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,89,89,89,255,88,88,88,255,89,89,89,255,90,90,90,255,90,90,90,255,90,90,90,255,89,89,89,255,88,88,88,255,86,86,86,255,85,85,85,255,85,85,85,255,87,87,87,255,90,90,90,255,93,93,93,255,96,96,96,255,100,100,100,255,103,103,103,255,105,105,105,255,107,107,107,255,109,109,109,255,110,110,110,255,112,112,112,255,114,114,114,255,117,117,117,255,119,119,119,255,122,122,122,255,123,123,123,255,123,123,123,255,123,123,123,255,123,123,123,255,122,122,122,255,122,122,122,255,122,122,122,255,119,119,119,255,117,117,117,255,114,114,114,255,111,111,111,255,108,108,108,255,106,106,106,255,105,105,105,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,105,105,105,255,105,105,105,255,106,106,106,255,107,107,107,255,110,110,110,255,113,113,113,255,116,116,116,255,118,118,118,255,120,120,120,255,121,121,121,255,121,121,121,255,121,121,121,255,121,121,121,255,122,122,122,255,122,122,122,255,123,123,123,255,123,123,123,255,124,124,124,255,124,124,124,255,124,124,124,255,124,124,124,255,124,124,124,255,124,124,124,255,124,124,124,255,124,124,124,255,124,124,124,255,125,125,125,255,125,125,125,255,125,125,125,255,125,125,125,255,124,124,124,255,122,122,122,255,120,120,120,255,118,118,118,255,116,116,116,255,116,116,116,255,116,116,116,255,117,117,117,255,117,117,117,255,117,117,117,255,116,116,116,255,114,114,114,255,111,111,111,255,108,108,108,255,105,105,105,255,102,102,102,255,99,99,99,255,98,98,98,255,96,96,96,255,95,95,95,255,93,93,93,255,92,92,92,255,92,92,92,255,91,91,91,255,91,91,91,255,90,90,90,255,90,90,90,255,90,90,90,255,90,90,90,255,90,90,90,255,90,90,90,255,89,89,89,255,88,88,88,255,86,86,86,255,85,85,85,255,85,85,85,255,87,87,87,255,90,90,90,255,93,93,93,255,97,97,97,255,100,100,100,255,104,104,104,255,106,106,106,255,107,107,107,255,107,107,107,255,108,108,108,255,110,110,110,255,112,112,112,255,115,115,115,255,118,118,118,255,120,120,120,255,122,122,122,255,122,122,122,255,122,122,122,255,121,121,121,255,121,121,121,255,120,120,120,255,120,120,120,255,118,118,118,255,116,116,116,255,114,114,114,255,112,112,112,255,110,110,110,255,108,108,108,255,107,107,107,255,106,106,106,255,106,106,106,255,106,106,106,255,105,105,105,255,105,105,105,255,106,106,106,255,106,106,106,255,107,107,107,255,108,108,108,255,111,111,111,255,114,114,114,255,117,117,117,255,119,119,119,255,120,120,120,255,120,120,120,255,120,120,120,255,119,119,119,255,120,120,120,255,120,120,120,255,121,121,121,255,121,121,121,255,122,122,122,255,123,123,123,255,123,123,123,255,124,124,124,255,124,124,124,255,125,125,125,255,125,125,125,255,125,125,125,255,125,125,125,255,126,126,126,255,127,127,127,255,127,127,127,255,128,128,128,255,127,127,127,255,126,126,126,255,124,124,124,255,122,122,122,255,120,120,120,255,119,119,119,255,119,119,119,255,119,119,119,255,120,120,120,255,120,120,120,255,120,120,120,255,119,119,119,255,117,117,117,255,114,114,114,255,110,110,110,255,107,107,107,255,105,105,105,255,102,102,102,255,101,101,101,255,100,100,100,255,99,99,99,255,98,98,98,255,96,96,96,255,95,95,95,255,94,94,94,255,92,92,92,255,91,91,91,255,90,90,90,255,90,90,90,255,90,90,90,255,90,90,90,255,90,90,90,255,89,89,89,255,88,88,88,255,86,86,86,255,85,85,85,255,85,85,85,255,87,87,87,255,90,90,90,255,94,94,94,255,97,97,97,255,101,101,101,255,104,104,104,255,105,105,105,255,106,106,106,255,106,106,106,255,107,107,107,255,108,108,108,255,110,110,110,255,113,113,113,255,116,116,116,255,119,119,119,255,121,121,121,255,121,121,121,255,121,121,121,255,120,120,120,255,120,120,120,255,120,120,120,255,120,120,120,255
+//[100,100]172,172,172,255,169,169,169,255,164,164,164,255,158,158,158,255,151,151,151,255,145,145,145,255,140,140,140,255,135,135,135,255,132,132,132,255,128,128,128,255,125,125,125,255,121,121,121,255,116,116,116,255,111,111,111,255,105,105,105,255,100,100,100,255,95,95,95,255,92,92,92,255,90,90,90,255,88,88,88,255,87,87,87,255,86,86,86,255,85,85,85,255,83,83,83,255,81,81,81,255,79,79,79,255,77,77,77,255,76,76,76,255,75,75,75,255,73,73,73,255,70,70,70,255,67,67,67,255,63,63,63,255,58,58,58,255,54,54,54,255,51,51,51,255,50,50,50,255,50,50,50,255,52,52,52,255,55,55,55,255,58,58,58,255,61,61,61,255,64,64,64,255,66,66,66,255,67,67,67,255,69,69,69,255,70,70,70,255,71,71,71,255,71,71,71,255,71,71,71,255,71,71,71,255,70,70,70,255,69,69,69,255,69,69,69,255,69,69,69,255,70,70,70,255,72,72,72,255,75,75,75,255,78,78,78,255,82,82,82,255,85,85,85,255,86,86,86,255,85,85,85,255,83,83,83,255,80,80,80,255,77,77,77,255,73,73,73,255,69,69,69,255,67,67,67,255,65,65,65,255,64,64,64,255,63,63,63,255,62,62,62,255,63,63,63,255,65,65,65,255,68,68,68,255,71,71,71,255,75,75,75,255,79,79,79,255,84,84,84,255,88,88,88,255,93,93,93,255,97,97,97,255,102,102,102,255,106,106,106,255,109,109,109,255,112,112,112,255,115,115,115,255,119,119,119,255,122,122,122,255,126,126,126,255,130,130,130,255,132,132,132,255,134,134,134,255,135,135,135,255,136,136,136,255,136,136,136,255,136,136,136,255,135,135,135,255,135,135,135,255,171,171,171,255,168,168,168,255,164,164,164,255,159,159,159,255,153,153,153,255,147,147,147,255,142,142,142,255,138,138,138,255,134,134,134,255,130,130,130,255,126,126,126,255,122,122,122,255,118,118,118,255,113,113,113,255,107,107,107,255,103,103,103,255,99,99,99,255,95,95,95,255,93,93,93,255,91,91,91,255,90,90,90,255,89,89,89,255,88,88,88,255,86,86,86,255,83,83,83,255,81,81,81,255,79,79,79,255,77,77,77,255,75,75,75,255,72,72,72,255,69,69,69,255,66,66,66,255,62,62,62,255,59,59,59,255,55,55,55,255,53,53,53,255,52,52,52,255,53,53,53,255,54,54,54,255,56,56,56,255,59,59,59,255,62,62,62,255,64,64,64,255,66,66,66,255,68,68,68,255,70,70,70,255,71,71,71,255,72,72,72,255,73,73,73,255,73,73,73,255,73,73,73,255,72,72,72,255,72,72,72,255,71,71,71,255,71,71,71,255,72,72,72,255,74,74,74,255,76,76,76,255,79,79,79,255,81,81,81,255,83,83,83,255,84,84,84,255,83,83,83,255,82,82,82,255,79,79,79,255,76,76,76,255,73,73,73,255,71,71,71,255,68,68,68,255,66,66,66,255,65,65,65,255,64,64,64,255,63,63,63,255,63,63,63,255,65,65,65,255,68,68,68,255,71,71,71,255,75,75,75,255,79,79,79,255,84,84,84,255,88,88,88,255,93,93,93,255,98,98,98,255,102,102,102,255,107,107,107,255,110,110,110,255,114,114,114,255,116,116,116,255,120,120,120,255,123,123,123,255,126,126,126,255,129,129,129,255,132,132,132,255,134,134,134,255,135,135,135,255,135,135,135,255,136,136,136,255,135,135,135,255,135,135,135,255,135,135,135,255,169,169,169,255,167,167,167,255,164,164,164,255,160,160,160,255,155,155,155,255,150,150,150,255,145,145,145,255,141,141,141,255,137,137,137,255,132,132,132,255,128,128,128,255,124,124,124,255,120,120,120,255,116,116,116,255,111,111,111,255,107,107,107,255,104,104,104,255,101,101,101,255,98,98,98,255,96,96,96,255,95,95,95,255,93,93,93,255,92,92,92,255,90,90,90,255,87,87,87,255,84,84,84,255,81,81,81,255,78,78,78,255,75,75,75,255,71,71,71,255,68,68,68,255,66,66,66,255,63,63,63,255,60,60,60,255,58,58,58,255,56,56,56,255,56,56,56,255,56,56,56,255,58,58,58,255,59,59,59,255,62,62,62,255,64,64,64,255,66,66,66,255,68,68,68,255,69,69,69,255,71,71,71,255,73,73,73,255,74,74,74,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,76,76,76,255,77,77,77,255,78,78,78,255,79,79,79,255,81,81,81,255,81,81,81,255,81,81,81,255,81,81,81,255,79,79,79,255,78,78,78,255,76,76,76,255,74,74,74,255,72,72,72,255,70,70,70,255,69,69,69,255,67,67,67,255,65,65,65,255,64,64,64,255,65,65,65,255,67,67,67,255,69,69,69,255,72,72,72,255,76,76,76,255,80,80,80,255,84,84,84,255,89,89,89,255,93,93,93,255,98,98,98,255,103,103,103,255,108,108,108,255,112,112,112,255,115,115,115,255,118,118,118,255,121,121,121,255,124,124,124,255,127,127,127,255,129,129,129,255,131,131,131,255,133,133,133,255,134,134,134,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,167,167,167,255,166,166,166,255,164,164,164,255,161,161,161,255,157,157,157,255,153,153,153,255,149,149,149,255,144,144,144,255,140,140,140,255,135,135,135,255,131,131,131,255,127,127,127,255,123,123,123,255,119,119,119,255,115,115,115,255,112,112,112,255,109,109,109,255,107,107,107,255,104,104,104,255,102,102,102,255,100,100,100,255,98,98,98,255,96,96,96,255,94,94,94,255,91,91,91,255,88,88,88,255,84,84,84,255,80,80,80,255,76,76,76,255,71,71,71,255,68,68,68,255,66,66,66,255,64,64,64,255,62,62,62,255,61,61,61,255,60,60,60,255,60,60,60,255,61,61,61,255,62,62,62,255,63,63,63,255,65,65,65,255,67,67,67,255,69,69,69,255,70,70,70,255,71,71,71,255,73,73,73,255,75,75,75,255,77,77,77,255,78,78,78,255,78,78,78,255,78,78,78,255,78,78,78,255,79,79,79,255,79,79,79,255,79,79,79,255,80,80,80,255,80,80,80,255,80,80,80,255,80,80,80,255,80,80,80,255,79,79,79,255,78,78,78,255,78,78,78,255,77,77,77,255,76,76,76,255,76,76,76,255,75,75,75,255,74,74,74,255,73,73,73,255,71,71,71,255,69,69,69,255,67,67,67,255,66,66,66,255,66,66,66,255,68,68,68,255,71,71,71,255,74,74,74,255,77,77,77,255,81,81,81,255,85,85,85,255,89,89,89,255,94,94,94,255,99,99,99,255,104,104,104,255,109,109,109,255,113,113,113,255,117,117,117,255,120,120,120,255,122,122,122,255,125,125,125,255,127,127,127,255,129,129,129,255,131,131,131,255,133,133,133,255,134,134,134,255,135,135,135,255,135,135,135,255,136,136,136,255,136,136,136,255,136,136,136,255,165,165,165,255,164,164,164,255,163,163,163,255,161,161,161,255,158,158,158,255,155,155,155,255,151,151,151,255,147,147,147,255,143,143,143,255,138,138,138,255,134,134,134,255,130,130,130,255,126,126,126,255,123,123,123,255,119,119,119,255,117,117,117,255,115,115,115,255,112,112,112,255,110,110,110,255,107,107,107,255,105,105,105,255,103,103,103,255,100,100,100,255,98,98,98,255,95,95,95,255,92,92,92,255,87,87,87,255,83,83,83,255,77,77,77,255,73,73,73,255,70,70,70,255,68,68,68,255,66,66,66,255,66,66,66,255,65,65,65,255,65,65,65,255,66,66,66,255,66,66,66,255,67,67,67,255,68,68,68,255,69,69,69,255,71,71,71,255,72,72,72,255,73,73,73,255,75,75,75,255,77,77,77,255,78,78,78,255,80,80,80,255,81,81,81,255,82,82,82,255,82,82,82,255,82,82,82,255,83,83,83,255,83,83,83,255,83,83,83,255,84,84,84,255,83,83,83,255,82,82,82,255,81,81,81,255,79,79,79,255,77,77,77,255,76,76,76,255,75,75,75,255,75,75,75,255,75,75,75,255,76,76,76,255,76,76,76,255,76,76,76,255,75,75,75,255,74,74,74,255,72,72,72,255,70,70,70,255,69,69,69,255,69,69,69,255,71,71,71,255,73,73,73,255,76,76,76,255,80,80,80,255,83,83,83,255,87,87,87,255,91,91,91,255,95,95,95,255,100,100,100,255,105,105,105,255,111,111,111,255,115,115,115,255,119,119,119,255,122,122,122,255,124,124,124,255,126,126,126,255,128,128,128,255,129,129,129,255,131,131,131,255,133,133,133,255,134,134,134,255,136,136,136,255,136,136,136,255,136,136,136,255,137,137,137,255,137,137,137,255,162,162,162,255,162,162,162,255,162,162,162,255,161,161,161,255,159,159,159,255,156,156,156,255,153,153,153,255,149,149,149,255,145,145,145,255,141,141,141,255,137,137,137,255,133,133,133,255,129,129,129,255,126,126,126,255,123,123,123,255,121,121,121,255,119,119,119,255,117,117,117,255,114,114,114,255,111,111,111,255,109,109,109,255,106,106,106,255,104,104,104,255,101,101,101,255,98,98,98,255,95,95,95,255,91,91,91,255,85,85,85,255,80,80,80,255,75,75,75,255,72,72,72,255,71,71,71,255,70,70,70,255,70,70,70,255,70,70,70,255,71,71,71,255,71,71,71,255,72,72,72,255,72,72,72,255,73,73,73,255,74,74,74,255,75,75,75,255,76,76,76,255,77,77,77,255,78,78,78,255,80,80,80,255,82,82,82,255,84,84,84,255,85,85,85,255,85,85,85,255,85,85,85,255,86,86,86,255,86,86,86,255,86,86,86,255,86,86,86,255,86,86,86,255,85,85,85,255,83,83,83,255,81,81,81,255,78,78,78,255,76,76,76,255,74,74,74,255,74,74,74,255,74,74,74,255,75,75,75,255,76,76,76,255,77,77,77,255,77,77,77,255,77,77,77,255,76,76,76,255,75,75,75,255,73,73,73,255,72,72,72,255,72,72,72,255,74,74,74,255,77,77,77,255,79,79,79,255,82,82,82,255,86,86,86,255,90,90,90,255,93,93,93,255,97,97,97,255,102,102,102,255,107,107,107,255,112,112,112,255,117,117,117,255,121,121,121,255,123,123,123,255,125,125,125,255,127,127,127,255,129,129,129,255,130,130,130,255,132,132,132,255,134,134,134,255,136,136,136,255,137,137,137,255,138,138,138,255,138,138,138,255,138,138,138,255,138,138,138,255,160,160,160,255,160,160,160,255,160,160,160,255,159,159,159,255,158,158,158,255,156,156,156,255,153,153,153,255,150,150,150,255,147,147,147,255,144,144,144,255,140,140,140,255,137,137,137,255,133,133,133,255,130,130,130,255,127,127,127,255,124,124,124,255,122,122,122,255,120,120,120,255,117,117,117,255,114,114,114,255,112,112,112,255,109,109,109,255,106,106,106,255,103,103,103,255,101,101,101,255,98,98,98,255,93,93,93,255,88,88,88,255,84,84,84,255,79,79,79,255,77,77,77,255,75,75,75,255,75,75,75,255,75,75,75,255,76,76,76,255,77,77,77,255,77,77,77,255,78,78,78,255,78,78,78,255,79,79,79,255,79,79,79,255,80,80,80,255,81,81,81,255,82,82,82,255,83,83,83,255,84,84,84,255,86,86,86,255,88,88,88,255,89,89,89,255,89,89,89,255,89,89,89,255,89,89,89,255,89,89,89,255,89,89,89,255,88,88,88,255,88,88,88,255,86,86,86,255,83,83,83,255,80,80,80,255,77,77,77,255,75,75,75,255,73,73,73,255,73,73,73,255,73,73,73,255,75,75,75,255,76,76,76,255,77,77,77,255,78,78,78,255,79,79,79,255,79,79,79,255,78,78,78,255,77,77,77,255,76,76,76,255,76,76,76,255,78,78,78,255,81,81,81,255,83,83,83,255,86,86,86,255,89,89,89,255,93,93,93,255,96,96,96,255,100,100,100,255,104,104,104,255,109,109,109,255,114,114,114,255,119,119,119,255,122,122,122,255,125,125,125,255,127,127,127,255,129,129,129,255,130,130,130,255,132,132,132,255,134,134,134,255,136,136,136,255,138,138,138,255,139,139,139,255,140,140,140,255,140,140,140,255,140,140,140,255,140,140,140,255,157,157,157,255,157,157,157,255,157,157,157,255,157,157,157,255,156,156,156,255,155,155,155,255,153,153,153,255,151,151,151,255,148,148,148,255,146,146,146,255,143,143,143,255,140,140,140,255,136,136,136,255,133,133,133,255,130,130,130,255,127,127,127,255,125,125,125,255,122,122,122,255,119,119,119,255,116,116,116,255,113,113,113,255,110,110,110,255,108,108,108,255,105,105,105,255,102,102,102,255,99,99,99,255,95,95,95,255,91,91,91,255,87,87,87,255,83,83,83,255,81,81,81,255,81,81,81,255,81,81,81,255,81,81,81,255,82,82,82,255,83,83,83,255,84,84,84,255,84,84,84,255,84,84,84,255,84,84,84,255,85,85,85,255,85,85,85,255,86,86,86,255,86,86,86,255,87,87,87,255,88,88,88,255,90,90,90,255,92,92,92,255,93,93,93,255,93,93,93,255,93,93,93,255,93,93,93,255,92,92,92,255,91,91,91,255,90,90,90,255,89,89,89,255,87,87,87,255,84,84,84,255,81,81,81,255,77,77,77,255,75,75,75,255,74,74,74,255,73,73,73,255,74,74,74,255,75,75,75,255,76,76,76,255,78,78,78,255,79,79,79,255,80,80,80,255,80,80,80,255,81,81,81,255,81,81,81,255,81,81,81,255,82,82,82,255,84,84,84,255,86,86,86,255,88,88,88,255,91,91,91,255,93,93,93,255,96,96,96,255,99,99,99,255,103,103,103,255,107,107,107,255,112,112,112,255,117,117,117,255,121,121,121,255,125,125,125,255,127,127,127,255,129,129,129,255,131,131,131,255,133,133,133,255,135,135,135,255,137,137,137,255,139,139,139,255,141,141,141,255,142,142,142,255,142,142,142,255,143,143,143,255,143,143,143,255,143,143,143,255,154,154,154,255,154,154,154,255,154,154,154,255,154,154,154,255,154,154,154,255,153,153,153,255,151,151,151,255,150,150,150,255,149,149,149,255,147,147,147,255,145,145,145,255,143,143,143,255,139,139,139,255,136,136,136,255,133,133,133,255,129,129,129,255,126,126,126,255,123,123,123,255,120,120,120,255,117,117,117,255,114,114,114,255,111,111,111,255,108,108,108,255,105,105,105,255,103,103,103,255,100,100,100,255,97,97,97,255,93,93,93,255,90,90,90,255,88,88,88,255,86,86,86,255,86,86,86,255,86,86,86,255,87,87,87,255,88,88,88,255,89,89,89,255,90,90,90,255,90,90,90,255,90,90,90,255,90,90,90,255,90,90,90,255,90,90,90,255,90,90,90,255,90,90,90,255,91,91,91,255,92,92,92,255,94,94,94,255,95,95,95,255,97,97,97,255,97,97,97,255,97,97,97,255,96,96,96,255,95,95,95,255,93,93,93,255,92,92,92,255,90,90,90,255,87,87,87,255,84,84,84,255,81,81,81,255,78,78,78,255,76,76,76,255,74,74,74,255,74,74,74,255,75,75,75,255,75,75,75,255,76,76,76,255,78,78,78,255,79,79,79,255,80,80,80,255,82,82,82,255,83,83,83,255,84,84,84,255,86,86,86,255,87,87,87,255,90,90,90,255,92,92,92,255,94,94,94,255,96,96,96,255,97,97,97,255,100,100,100,255,102,102,102,255,106,106,106,255,110,110,110,255,114,114,114,255,120,120,120,255,124,124,124,255,127,127,127,255,130,130,130,255,132,132,132,255,134,134,134,255,136,136,136,255,138,138,138,255,141,141,141,255,143,143,143,255,144,144,144,255,145,145,145,255,145,145,145,255,145,145,145,255,145,145,145,255,144,144,144,255,151,151,151,255,151,151,151,255,151,151,151,255,151,151,151,255,151,151,151,255,150,150,150,255,149,149,149,255,149,149,149,255,149,149,149,255,148,148,148,255,147,147,147,255,145,145,145,255,142,142,142,255,139,139,139,255,135,135,135,255,131,131,131,255,127,127,127,255,124,124,124,255,121,121,121,255,118,118,118,255,115,115,115,255,112,112,112,255,109,109,109,255,106,106,106,255,103,103,103,255,101,101,101,255,98,98,98,255,96,96,96,255,94,94,94,255,92,92,92,255,91,91,91,255,91,91,91,255,91,91,91,255,93,93,93,255,94,94,94,255,95,95,95,255,96,96,96,255,96,96,96,255,96,96,96,255,95,95,95,255,95,95,95,255,94,94,94,255,94,94,94,255,94,94,94,255,94,94,94,255,96,96,96,255,98,98,98,255,99,99,99,255,100,100,100,255,101,101,101,255,100,100,100,255,99,99,99,255,98,98,98,255,96,96,96,255,93,93,93,255,91,91,91,255,88,88,88,255,85,85,85,255,82,82,82,255,79,79,79,255,77,77,77,255,76,76,76,255,76,76,76,255,77,77,77,255,77,77,77,255,77,77,77,255,78,78,78,255,79,79,79,255,81,81,81,255,83,83,83,255,86,86,86,255,89,89,89,255,91,91,91,255,94,94,94,255,96,96,96,255,98,98,98,255,100,100,100,255,101,101,101,255,102,102,102,255,104,104,104,255,106,106,106,255,109,109,109,255,113,113,113,255,118,118,118,255,123,123,123,255,127,127,127,255,131,131,131,255,133,133,133,255,135,135,135,255,138,138,138,255,140,140,140,255,142,142,142,255,145,145,145,255,147,147,147,255,149,149,149,255,149,149,149,255,148,148,148,255,148,148,148,255,147,147,147,255,147,147,147,255,148,148,148,255,148,148,148,255,148,148,148,255,148,148,148,255,148,148,148,255,148,148,148,255,147,147,147,255,148,148,148,255,148,148,148,255,148,148,148,255,148,148,148,255,147,147,147,255,144,144,144,255,141,141,141,255,137,137,137,255,133,133,133,255,129,129,129,255,125,125,125,255,122,122,122,255,119,119,119,255,116,116,116,255,113,113,113,255,110,110,110,255,107,107,107,255,104,104,104,255,102,102,102,255,100,100,100,255,98,98,98,255,97,97,97,255,96,96,96,255,95,95,95,255,95,95,95,255,96,96,96,255,98,98,98,255,99,99,99,255,101,101,101,255,101,101,101,255,101,101,101,255,101,101,101,255,100,100,100,255,99,99,99,255,98,98,98,255,97,97,97,255,97,97,97,255,97,97,97,255,99,99,99,255,101,101,101,255,102,102,102,255,104,104,104,255,104,104,104,255,104,104,104,255,102,102,102,255,100,100,100,255,98,98,98,255,95,95,95,255,92,92,92,255,89,89,89,255,86,86,86,255,83,83,83,255,81,81,81,255,80,80,80,255,79,79,79,255,79,79,79,255,79,79,79,255,79,79,79,255,79,79,79,255,80,80,80,255,81,81,81,255,83,83,83,255,85,85,85,255,89,89,89,255,93,93,93,255,96,96,96,255,100,100,100,255,103,103,103,255,104,104,104,255,105,105,105,255,106,106,106,255,107,107,107,255,108,108,108,255,110,110,110,255,113,113,113,255,117,117,117,255,121,121,121,255,127,127,127,255,131,131,131,255,134,134,134,255,137,137,137,255,139,139,139,255,141,141,141,255,144,144,144,255,146,146,146,255,149,149,149,255,151,151,151,255,153,153,153,255,153,153,153,255,152,152,152,255,150,150,150,255,149,149,149,255,149,149,149,255,145,145,145,255,145,145,145,255,146,146,146,255,146,146,146,255,146,146,146,255,146,146,146,255,146,146,146,255,147,147,147,255,148,148,148,255,149,149,149,255,149,149,149,255,148,148,148,255,146,146,146,255,143,143,143,255,138,138,138,255,134,134,134,255,130,130,130,255,126,126,126,255,124,124,124,255,121,121,121,255,118,118,118,255,114,114,114,255,111,111,111,255,109,109,109,255,106,106,106,255,104,104,104,255,102,102,102,255,101,101,101,255,100,100,100,255,99,99,99,255,99,99,99,255,99,99,99,255,100,100,100,255,102,102,102,255,103,103,103,255,105,105,105,255,106,106,106,255,106,106,106,255,105,105,105,255,104,104,104,255,102,102,102,255,101,101,101,255,100,100,100,255,100,100,100,255,100,100,100,255,102,102,102,255,103,103,103,255,105,105,105,255,106,106,106,255,107,107,107,255,106,106,106,255,105,105,105,255,103,103,103,255,100,100,100,255,97,97,97,255,94,94,94,255,91,91,91,255,88,88,88,255,86,86,86,255,84,84,84,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,83,83,83,255,85,85,85,255,89,89,89,255,93,93,93,255,97,97,97,255,102,102,102,255,105,105,105,255,108,108,108,255,110,110,110,255,111,111,111,255,111,111,111,255,112,112,112,255,113,113,113,255,114,114,114,255,117,117,117,255,121,121,121,255,125,125,125,255,130,130,130,255,135,135,135,255,138,138,138,255,140,140,140,255,142,142,142,255,145,145,145,255,147,147,147,255,150,150,150,255,153,153,153,255,155,155,155,255,156,156,156,255,156,156,156,255,154,154,154,255,153,153,153,255,152,152,152,255,151,151,151,255,143,143,143,255,143,143,143,255,144,144,144,255,144,144,144,255,144,144,144,255,144,144,144,255,145,145,145,255,146,146,146,255,147,147,147,255,148,148,148,255,149,149,149,255,148,148,148,255,146,146,146,255,143,143,143,255,140,140,140,255,136,136,136,255,132,132,132,255,128,128,128,255,126,126,126,255,123,123,123,255,120,120,120,255,118,118,118,255,115,115,115,255,112,112,112,255,110,110,110,255,108,108,108,255,106,106,106,255,105,105,105,255,104,104,104,255,103,103,103,255,103,103,103,255,103,103,103,255,104,104,104,255,105,105,105,255,107,107,107,255,108,108,108,255,109,109,109,255,109,109,109,255,108,108,108,255,107,107,107,255,105,105,105,255,104,104,104,255,103,103,103,255,103,103,103,255,103,103,103,255,104,104,104,255,106,106,106,255,108,108,108,255,109,109,109,255,109,109,109,255,109,109,109,255,107,107,107,255,105,105,105,255,103,103,103,255,100,100,100,255,97,97,97,255,94,94,94,255,91,91,91,255,89,89,89,255,87,87,87,255,86,86,86,255,86,86,86,255,86,86,86,255,86,86,86,255,86,86,86,255,86,86,86,255,87,87,87,255,88,88,88,255,90,90,90,255,93,93,93,255,98,98,98,255,102,102,102,255,107,107,107,255,110,110,110,255,113,113,113,255,115,115,115,255,116,116,116,255,116,116,116,255,117,117,117,255,118,118,118,255,119,119,119,255,122,122,122,255,125,125,125,255,130,130,130,255,134,134,134,255,138,138,138,255,142,142,142,255,144,144,144,255,146,146,146,255,148,148,148,255,151,151,151,255,153,153,153,255,156,156,156,255,158,158,158,255,159,159,159,255,159,159,159,255,157,157,157,255,156,156,156,255,155,155,155,255,154,154,154,255,141,141,141,255,141,141,141,255,142,142,142,255,142,142,142,255,143,143,143,255,143,143,143,255,143,143,143,255,145,145,145,255,146,146,146,255,147,147,147,255,148,148,148,255,147,147,147,255,146,146,146,255,143,143,143,255,140,140,140,255,136,136,136,255,133,133,133,255,130,130,130,255,128,128,128,255,125,125,125,255,123,123,123,255,121,121,121,255,119,119,119,255,117,117,117,255,114,114,114,255,112,112,112,255,110,110,110,255,109,109,109,255,108,108,108,255,106,106,106,255,106,106,106,255,106,106,106,255,107,107,107,255,108,108,108,255,109,109,109,255,111,111,111,255,111,111,111,255,111,111,111,255,110,110,110,255,109,109,109,255,108,108,108,255,107,107,107,255,106,106,106,255,106,106,106,255,106,106,106,255,107,107,107,255,108,108,108,255,110,110,110,255,111,111,111,255,111,111,111,255,111,111,111,255,109,109,109,255,107,107,107,255,104,104,104,255,101,101,101,255,98,98,98,255,96,96,96,255,93,93,93,255,91,91,91,255,90,90,90,255,90,90,90,255,90,90,90,255,90,90,90,255,91,91,91,255,91,91,91,255,91,91,91,255,92,92,92,255,93,93,93,255,96,96,96,255,99,99,99,255,103,103,103,255,108,108,108,255,112,112,112,255,115,115,115,255,118,118,118,255,120,120,120,255,121,121,121,255,122,122,122,255,122,122,122,255,123,123,123,255,125,125,125,255,127,127,127,255,130,130,130,255,134,134,134,255,138,138,138,255,141,141,141,255,144,144,144,255,146,146,146,255,148,148,148,255,150,150,150,255,153,153,153,255,155,155,155,255,158,158,158,255,160,160,160,255,161,161,161,255,161,161,161,255,161,161,161,255,160,160,160,255,159,159,159,255,158,158,158,255,138,138,138,255,138,138,138,255,139,139,139,255,140,140,140,255,141,141,141,255,141,141,141,255,142,142,142,255,143,143,143,255,144,144,144,255,145,145,145,255,146,146,146,255,145,145,145,255,144,144,144,255,142,142,142,255,139,139,139,255,136,136,136,255,133,133,133,255,131,131,131,255,129,129,129,255,128,128,128,255,126,126,126,255,125,125,125,255,124,124,124,255,122,122,122,255,120,120,120,255,118,118,118,255,116,116,116,255,114,114,114,255,112,112,112,255,110,110,110,255,109,109,109,255,108,108,108,255,109,109,109,255,110,110,110,255,112,112,112,255,113,113,113,255,113,113,113,255,113,113,113,255,112,112,112,255,112,112,112,255,111,111,111,255,110,110,110,255,109,109,109,255,109,109,109,255,109,109,109,255,110,110,110,255,111,111,111,255,112,112,112,255,113,113,113,255,114,114,114,255,113,113,113,255,111,111,111,255,108,108,108,255,105,105,105,255,101,101,101,255,99,99,99,255,97,97,97,255,95,95,95,255,94,94,94,255,94,94,94,255,94,94,94,255,94,94,94,255,95,95,95,255,96,96,96,255,97,97,97,255,97,97,97,255,98,98,98,255,100,100,100,255,103,103,103,255,106,106,106,255,110,110,110,255,114,114,114,255,118,118,118,255,121,121,121,255,123,123,123,255,125,125,125,255,127,127,127,255,128,128,128,255,129,129,129,255,131,131,131,255,132,132,132,255,134,134,134,255,136,136,136,255,139,139,139,255,142,142,142,255,144,144,144,255,146,146,146,255,148,148,148,255,150,150,150,255,152,152,152,255,154,154,154,255,156,156,156,255,159,159,159,255,161,161,161,255,163,163,163,255,164,164,164,255,164,164,164,255,164,164,164,255,164,164,164,255,164,164,164,255,135,135,135,255,135,135,135,255,136,136,136,255,138,138,138,255,139,139,139,255,139,139,139,255,140,140,140,255,141,141,141,255,142,142,142,255,142,142,142,255,143,143,143,255,142,142,142,255,141,141,141,255,140,140,140,255,137,137,137,255,135,135,135,255,133,133,133,255,131,131,131,255,130,130,130,255,129,129,129,255,129,129,129,255,129,129,129,255,128,128,128,255,128,128,128,255,126,126,126,255,124,124,124,255,121,121,121,255,118,118,118,255,115,115,115,255,112,112,112,255,111,111,111,255,110,110,110,255,111,111,111,255,112,112,112,255,113,113,113,255,114,114,114,255,114,114,114,255,114,114,114,255,114,114,114,255,113,113,113,255,113,113,113,255,113,113,113,255,112,112,112,255,112,112,112,255,112,112,112,255,112,112,112,255,113,113,113,255,114,114,114,255,115,115,115,255,115,115,115,255,114,114,114,255,112,112,112,255,109,109,109,255,105,105,105,255,101,101,101,255,98,98,98,255,97,97,97,255,96,96,96,255,96,96,96,255,97,97,97,255,98,98,98,255,99,99,99,255,100,100,100,255,101,101,101,255,102,102,102,255,103,103,103,255,105,105,105,255,107,107,107,255,109,109,109,255,113,113,113,255,116,116,116,255,120,120,120,255,123,123,123,255,126,126,126,255,128,128,128,255,130,130,130,255,132,132,132,255,134,134,134,255,136,136,136,255,138,138,138,255,139,139,139,255,141,141,141,255,142,142,142,255,144,144,144,255,145,145,145,255,146,146,146,255,148,148,148,255,149,149,149,255,151,151,151,255,152,152,152,255,155,155,155,255,157,157,157,255,159,159,159,255,161,161,161,255,163,163,163,255,166,166,166,255,167,167,167,255,169,169,169,255,170,170,170,255,170,170,170,255,131,131,131,255,132,132,132,255,134,134,134,255,135,135,135,255,136,136,136,255,137,137,137,255,138,138,138,255,138,138,138,255,139,139,139,255,139,139,139,255,139,139,139,255,139,139,139,255,138,138,138,255,137,137,137,255,136,136,136,255,134,134,134,255,133,133,133,255,132,132,132,255,131,131,131,255,131,131,131,255,131,131,131,255,132,132,132,255,133,133,133,255,133,133,133,255,132,132,132,255,129,129,129,255,126,126,126,255,122,122,122,255,118,118,118,255,115,115,115,255,113,113,113,255,112,112,112,255,112,112,112,255,113,113,113,255,114,114,114,255,115,115,115,255,115,115,115,255,114,114,114,255,114,114,114,255,114,114,114,255,115,115,115,255,115,115,115,255,115,115,115,255,114,114,114,255,114,114,114,255,114,114,114,255,115,115,115,255,115,115,115,255,116,116,116,255,116,116,116,255,115,115,115,255,112,112,112,255,109,109,109,255,104,104,104,255,101,101,101,255,98,98,98,255,97,97,97,255,97,97,97,255,98,98,98,255,99,99,99,255,101,101,101,255,103,103,103,255,104,104,104,255,106,106,106,255,107,107,107,255,109,109,109,255,111,111,111,255,113,113,113,255,116,116,116,255,119,119,119,255,122,122,122,255,125,125,125,255,128,128,128,255,131,131,131,255,133,133,133,255,135,135,135,255,137,137,137,255,140,140,140,255,142,142,142,255,145,145,145,255,146,146,146,255,148,148,148,255,148,148,148,255,148,148,148,255,148,148,148,255,148,148,148,255,149,149,149,255,150,150,150,255,152,152,152,255,153,153,153,255,155,155,155,255,157,157,157,255,159,159,159,255,161,161,161,255,164,164,164,255,167,167,167,255,171,171,171,255,174,174,174,255,176,176,176,255,176,176,176,255,128,128,128,255,129,129,129,255,131,131,131,255,132,132,132,255,134,134,134,255,134,134,134,255,135,135,135,255,136,136,136,255,136,136,136,255,136,136,136,255,136,136,136,255,136,136,136,255,136,136,136,255,135,135,135,255,134,134,134,255,133,133,133,255,132,132,132,255,132,132,132,255,132,132,132,255,132,132,132,255,134,134,134,255,136,136,136,255,137,137,137,255,137,137,137,255,136,136,136,255,134,134,134,255,131,131,131,255,126,126,126,255,122,122,122,255,118,118,118,255,115,115,115,255,114,114,114,255,114,114,114,255,114,114,114,255,115,115,115,255,115,115,115,255,115,115,115,255,115,115,115,255,115,115,115,255,115,115,115,255,116,116,116,255,116,116,116,255,116,116,116,255,116,116,116,255,115,115,115,255,115,115,115,255,116,116,116,255,116,116,116,255,116,116,116,255,116,116,116,255,115,115,115,255,113,113,113,255,109,109,109,255,104,104,104,255,101,101,101,255,98,98,98,255,98,98,98,255,98,98,98,255,100,100,100,255,103,103,103,255,105,105,105,255,107,107,107,255,109,109,109,255,110,110,110,255,112,112,112,255,114,114,114,255,116,116,116,255,119,119,119,255,122,122,122,255,125,125,125,255,128,128,128,255,131,131,131,255,133,133,133,255,136,136,136,255,138,138,138,255,140,140,140,255,142,142,142,255,145,145,145,255,148,148,148,255,151,151,151,255,152,152,152,255,153,153,153,255,153,153,153,255,152,152,152,255,151,151,151,255,150,150,150,255,151,151,151,255,152,152,152,255,153,153,153,255,154,154,154,255,156,156,156,255,158,158,158,255,160,160,160,255,162,162,162,255,165,165,165,255,169,169,169,255,174,174,174,255,177,177,177,255,180,180,180,255,181,181,181,255,125,125,125,255,126,126,126,255,128,128,128,255,129,129,129,255,131,131,131,255,132,132,132,255,132,132,132,255,133,133,133,255,134,134,134,255,134,134,134,255,134,134,134,255,134,134,134,255,134,134,134,255,133,133,133,255,133,133,133,255,132,132,132,255,132,132,132,255,132,132,132,255,133,133,133,255,134,134,134,255,136,136,136,255,138,138,138,255,140,140,140,255,141,141,141,255,140,140,140,255,138,138,138,255,134,134,134,255,129,129,129,255,124,124,124,255,120,120,120,255,117,117,117,255,116,116,116,255,115,115,115,255,115,115,115,255,115,115,115,255,116,116,116,255,116,116,116,255,115,115,115,255,115,115,115,255,116,116,116,255,116,116,116,255,117,117,117,255,117,117,117,255,116,116,116,255,115,115,115,255,115,115,115,255,116,116,116,255,116,116,116,255,116,116,116,255,116,116,116,255,115,115,115,255,113,113,113,255,109,109,109,255,105,105,105,255,101,101,101,255,100,100,100,255,99,99,99,255,100,100,100,255,103,103,103,255,106,106,106,255,108,108,108,255,111,111,111,255,113,113,113,255,114,114,114,255,116,116,116,255,118,118,118,255,121,121,121,255,123,123,123,255,127,127,127,255,130,130,130,255,133,133,133,255,136,136,136,255,138,138,138,255,140,140,140,255,143,143,143,255,145,145,145,255,147,147,147,255,150,150,150,255,152,152,152,255,155,155,155,255,156,156,156,255,157,157,157,255,156,156,156,255,155,155,155,255,154,154,154,255,153,153,153,255,153,153,153,255,154,154,154,255,155,155,155,255,156,156,156,255,158,158,158,255,160,160,160,255,162,162,162,255,164,164,164,255,167,167,167,255,171,171,171,255,176,176,176,255,180,180,180,255,182,182,182,255,183,183,183,255,124,124,124,255,125,125,125,255,126,126,126,255,127,127,127,255,129,129,129,255,129,129,129,255,130,130,130,255,131,131,131,255,131,131,131,255,132,132,132,255,132,132,132,255,133,133,133,255,133,133,133,255,132,132,132,255,132,132,132,255,132,132,132,255,132,132,132,255,133,133,133,255,133,133,133,255,135,135,135,255,137,137,137,255,140,140,140,255,142,142,142,255,143,143,143,255,143,143,143,255,140,140,140,255,137,137,137,255,132,132,132,255,127,127,127,255,123,123,123,255,120,120,120,255,118,118,118,255,117,117,117,255,117,117,117,255,117,117,117,255,117,117,117,255,117,117,117,255,116,116,116,255,116,116,116,255,116,116,116,255,116,116,116,255,117,117,117,255,116,116,116,255,116,116,116,255,115,115,115,255,115,115,115,255,115,115,115,255,115,115,115,255,116,116,116,255,116,116,116,255,115,115,115,255,113,113,113,255,109,109,109,255,106,106,106,255,103,103,103,255,102,102,102,255,102,102,102,255,104,104,104,255,106,106,106,255,109,109,109,255,112,112,112,255,114,114,114,255,116,116,116,255,118,118,118,255,120,120,120,255,123,123,123,255,125,125,125,255,128,128,128,255,132,132,132,255,135,135,135,255,138,138,138,255,141,141,141,255,143,143,143,255,145,145,145,255,147,147,147,255,149,149,149,255,152,152,152,255,154,154,154,255,156,156,156,255,159,159,159,255,160,160,160,255,160,160,160,255,159,159,159,255,158,158,158,255,156,156,156,255,155,155,155,255,155,155,155,255,156,156,156,255,157,157,157,255,159,159,159,255,161,161,161,255,163,163,163,255,165,165,165,255,167,167,167,255,170,170,170,255,174,174,174,255,178,178,178,255,181,181,181,255,184,184,184,255,185,185,185,255,124,124,124,255,125,125,125,255,125,125,125,255,126,126,126,255,127,127,127,255,128,128,128,255,128,128,128,255,129,129,129,255,130,130,130,255,131,131,131,255,132,132,132,255,132,132,132,255,132,132,132,255,132,132,132,255,132,132,132,255,132,132,132,255,132,132,132,255,133,133,133,255,134,134,134,255,136,136,136,255,139,139,139,255,141,141,141,255,144,144,144,255,145,145,145,255,144,144,144,255,142,142,142,255,139,139,139,255,135,135,135,255,130,130,130,255,126,126,126,255,123,123,123,255,121,121,121,255,120,120,120,255,119,119,119,255,118,118,118,255,118,118,118,255,117,117,117,255,117,117,117,255,116,116,116,255,116,116,116,255,116,116,116,255,116,116,116,255,115,115,115,255,114,114,114,255,114,114,114,255,113,113,113,255,113,113,113,255,114,114,114,255,114,114,114,255,114,114,114,255,114,114,114,255,112,112,112,255,110,110,110,255,107,107,107,255,105,105,105,255,105,105,105,255,105,105,105,255,107,107,107,255,109,109,109,255,112,112,112,255,115,115,115,255,117,117,117,255,119,119,119,255,121,121,121,255,123,123,123,255,126,126,126,255,129,129,129,255,132,132,132,255,136,136,136,255,139,139,139,255,142,142,142,255,145,145,145,255,147,147,147,255,149,149,149,255,151,151,151,255,153,153,153,255,155,155,155,255,157,157,157,255,159,159,159,255,161,161,161,255,162,162,162,255,162,162,162,255,161,161,161,255,160,160,160,255,159,159,159,255,158,158,158,255,157,157,157,255,158,158,158,255,160,160,160,255,162,162,162,255,164,164,164,255,166,166,166,255,169,169,169,255,171,171,171,255,174,174,174,255,177,177,177,255,180,180,180,255,182,182,182,255,184,184,184,255,185,185,185,255,125,125,125,255,125,125,125,255,126,126,126,255,126,126,126,255,126,126,126,255,127,127,127,255,127,127,127,255,128,128,128,255,129,129,129,255,131,131,131,255,131,131,131,255,132,132,132,255,132,132,132,255,132,132,132,255,132,132,132,255,132,132,132,255,132,132,132,255,133,133,133,255,134,134,134,255,137,137,137,255,140,140,140,255,143,143,143,255,145,145,145,255,146,146,146,255,146,146,146,255,144,144,144,255,141,141,141,255,137,137,137,255,133,133,133,255,129,129,129,255,126,126,126,255,124,124,124,255,122,122,122,255,121,121,121,255,119,119,119,255,119,119,119,255,118,118,118,255,117,117,117,255,117,117,117,255,116,116,116,255,115,115,115,255,114,114,114,255,113,113,113,255,112,112,112,255,112,112,112,255,112,112,112,255,112,112,112,255,112,112,112,255,112,112,112,255,112,112,112,255,112,112,112,255,111,111,111,255,110,110,110,255,109,109,109,255,108,108,108,255,108,108,108,255,109,109,109,255,110,110,110,255,112,112,112,255,115,115,115,255,117,117,117,255,119,119,119,255,121,121,121,255,123,123,123,255,126,126,126,255,129,129,129,255,133,133,133,255,136,136,136,255,140,140,140,255,143,143,143,255,146,146,146,255,149,149,149,255,151,151,151,255,153,153,153,255,155,155,155,255,156,156,156,255,158,158,158,255,160,160,160,255,162,162,162,255,163,163,163,255,164,164,164,255,164,164,164,255,163,163,163,255,162,162,162,255,161,161,161,255,160,160,160,255,160,160,160,255,160,160,160,255,162,162,162,255,164,164,164,255,167,167,167,255,170,170,170,255,173,173,173,255,175,175,175,255,177,177,177,255,180,180,180,255,182,182,182,255,183,183,183,255,184,184,184,255,184,184,184,255,127,127,127,255,126,126,126,255,126,126,126,255,126,126,126,255,125,125,125,255,126,126,126,255,127,127,127,255,128,128,128,255,129,129,129,255,130,130,130,255,132,132,132,255,132,132,132,255,133,133,133,255,133,133,133,255,132,132,132,255,132,132,132,255,132,132,132,255,133,133,133,255,135,135,135,255,137,137,137,255,140,140,140,255,143,143,143,255,146,146,146,255,147,147,147,255,147,147,147,255,146,146,146,255,143,143,143,255,140,140,140,255,136,136,136,255,132,132,132,255,129,129,129,255,127,127,127,255,125,125,125,255,123,123,123,255,121,121,121,255,120,120,120,255,119,119,119,255,118,118,118,255,117,117,117,255,116,116,116,255,115,115,115,255,114,114,114,255,112,112,112,255,111,111,111,255,111,111,111,255,110,110,110,255,110,110,110,255,111,111,111,255,111,111,111,255,111,111,111,255,111,111,111,255,111,111,111,255,110,110,110,255,110,110,110,255,111,111,111,255,111,111,111,255,112,112,112,255,113,113,113,255,115,115,115,255,117,117,117,255,119,119,119,255,121,121,121,255,123,123,123,255,126,126,126,255,129,129,129,255,132,132,132,255,136,136,136,255,140,140,140,255,144,144,144,255,147,147,147,255,150,150,150,255,152,152,152,255,154,154,154,255,156,156,156,255,158,158,158,255,159,159,159,255,161,161,161,255,163,163,163,255,164,164,164,255,165,165,165,255,166,166,166,255,166,166,166,255,165,165,165,255,164,164,164,255,163,163,163,255,162,162,162,255,162,162,162,255,163,163,163,255,164,164,164,255,167,167,167,255,170,170,170,255,174,174,174,255,177,177,177,255,179,179,179,255,181,181,181,255,182,182,182,255,183,183,183,255,184,184,184,255,184,184,184,255,184,184,184,255,128,128,128,255,127,127,127,255,126,126,126,255,125,125,125,255,125,125,125,255,125,125,125,255,126,126,126,255,127,127,127,255,129,129,129,255,130,130,130,255,131,131,131,255,132,132,132,255,133,133,133,255,133,133,133,255,132,132,132,255,132,132,132,255,132,132,132,255,133,133,133,255,135,135,135,255,138,138,138,255,141,141,141,255,144,144,144,255,147,147,147,255,148,148,148,255,148,148,148,255,147,147,147,255,144,144,144,255,141,141,141,255,138,138,138,255,135,135,135,255,132,132,132,255,129,129,129,255,127,127,127,255,125,125,125,255,123,123,123,255,121,121,121,255,120,120,120,255,120,120,120,255,119,119,119,255,117,117,117,255,116,116,116,255,114,114,114,255,112,112,112,255,111,111,111,255,110,110,110,255,110,110,110,255,110,110,110,255,111,111,111,255,111,111,111,255,111,111,111,255,111,111,111,255,111,111,111,255,112,112,112,255,112,112,112,255,113,113,113,255,114,114,114,255,115,115,115,255,117,117,117,255,118,118,118,255,120,120,120,255,122,122,122,255,123,123,123,255,125,125,125,255,128,128,128,255,131,131,131,255,135,135,135,255,139,139,139,255,143,143,143,255,147,147,147,255,150,150,150,255,153,153,153,255,155,155,155,255,157,157,157,255,159,159,159,255,160,160,160,255,162,162,162,255,163,163,163,255,165,165,165,255,166,166,166,255,167,167,167,255,167,167,167,255,167,167,167,255,166,166,166,255,165,165,165,255,164,164,164,255,163,163,163,255,163,163,163,255,164,164,164,255,166,166,166,255,169,169,169,255,172,172,172,255,176,176,176,255,179,179,179,255,182,182,182,255,183,183,183,255,184,184,184,255,184,184,184,255,184,184,184,255,183,183,183,255,183,183,183,255,127,127,127,255,126,126,126,255,125,125,125,255,124,124,124,255,124,124,124,255,124,124,124,255,125,125,125,255,126,126,126,255,128,128,128,255,129,129,129,255,131,131,131,255,132,132,132,255,133,133,133,255,133,133,133,255,132,132,132,255,132,132,132,255,132,132,132,255,133,133,133,255,135,135,135,255,138,138,138,255,141,141,141,255,145,145,145,255,147,147,147,255,149,149,149,255,149,149,149,255,148,148,148,255,146,146,146,255,143,143,143,255,140,140,140,255,137,137,137,255,134,134,134,255,131,131,131,255,129,129,129,255,127,127,127,255,125,125,125,255,124,124,124,255,123,123,123,255,122,122,122,255,121,121,121,255,119,119,119,255,118,118,118,255,116,116,116,255,114,114,114,255,113,113,113,255,113,113,113,255,112,112,112,255,113,113,113,255,113,113,113,255,113,113,113,255,113,113,113,255,113,113,113,255,114,114,114,255,115,115,115,255,115,115,115,255,116,116,116,255,117,117,117,255,119,119,119,255,120,120,120,255,121,121,121,255,123,123,123,255,124,124,124,255,126,126,126,255,128,128,128,255,130,130,130,255,134,134,134,255,138,138,138,255,142,142,142,255,146,146,146,255,149,149,149,255,152,152,152,255,155,155,155,255,158,158,158,255,159,159,159,255,161,161,161,255,162,162,162,255,164,164,164,255,165,165,165,255,166,166,166,255,168,168,168,255,168,168,168,255,168,168,168,255,168,168,168,255,167,167,167,255,166,166,166,255,165,165,165,255,165,165,165,255,165,165,165,255,165,165,165,255,167,167,167,255,170,170,170,255,174,174,174,255,177,177,177,255,181,181,181,255,183,183,183,255,185,185,185,255,185,185,185,255,185,185,185,255,184,184,184,255,184,184,184,255,183,183,183,255,125,125,125,255,125,125,125,255,124,124,124,255,123,123,123,255,123,123,123,255,123,123,123,255,124,124,124,255,125,125,125,255,127,127,127,255,129,129,129,255,130,130,130,255,132,132,132,255,132,132,132,255,132,132,132,255,132,132,132,255,132,132,132,255,132,132,132,255,133,133,133,255,135,135,135,255,138,138,138,255,141,141,141,255,145,145,145,255,147,147,147,255,149,149,149,255,149,149,149,255,148,148,148,255,146,146,146,255,144,144,144,255,141,141,141,255,138,138,138,255,135,135,135,255,133,133,133,255,130,130,130,255,129,129,129,255,127,127,127,255,126,126,126,255,125,125,125,255,125,125,125,255,124,124,124,255,122,122,122,255,121,121,121,255,119,119,119,255,118,118,118,255,117,117,117,255,116,116,116,255,116,116,116,255,116,116,116,255,116,116,116,255,116,116,116,255,116,116,116,255,117,117,117,255,117,117,117,255,118,118,118,255,119,119,119,255,120,120,120,255,121,121,121,255,122,122,122,255,123,123,123,255,124,124,124,255,125,125,125,255,127,127,127,255,128,128,128,255,130,130,130,255,132,132,132,255,136,136,136,255,140,140,140,255,144,144,144,255,148,148,148,255,151,151,151,255,154,154,154,255,157,157,157,255,159,159,159,255,161,161,161,255,162,162,162,255,164,164,164,255,165,165,165,255,166,166,166,255,167,167,167,255,168,168,168,255,169,169,169,255,169,169,169,255,169,169,169,255,168,168,168,255,167,167,167,255,166,166,166,255,165,165,165,255,165,165,165,255,166,166,166,255,168,168,168,255,171,171,171,255,174,174,174,255,178,178,178,255,181,181,181,255,184,184,184,255,185,185,185,255,186,186,186,255,185,185,185,255,185,185,185,255,184,184,184,255,184,184,184,255,123,123,123,255,122,122,122,255,122,122,122,255,121,121,121,255,121,121,121,255,122,122,122,255,123,123,123,255,124,124,124,255,126,126,126,255,128,128,128,255,130,130,130,255,131,131,131,255,132,132,132,255,132,132,132,255,131,131,131,255,131,131,131,255,131,131,131,255,132,132,132,255,134,134,134,255,137,137,137,255,140,140,140,255,143,143,143,255,146,146,146,255,147,147,147,255,148,148,148,255,147,147,147,255,145,145,145,255,143,143,143,255,140,140,140,255,137,137,137,255,135,135,135,255,133,133,133,255,131,131,131,255,130,130,130,255,129,129,129,255,128,128,128,255,128,128,128,255,128,128,128,255,127,127,127,255,126,126,126,255,125,125,125,255,123,123,123,255,122,122,122,255,121,121,121,255,121,121,121,255,120,120,120,255,120,120,120,255,120,120,120,255,120,120,120,255,120,120,120,255,121,121,121,255,121,121,121,255,122,122,122,255,123,123,123,255,124,124,124,255,125,125,125,255,125,125,125,255,126,126,126,255,127,127,127,255,127,127,127,255,128,128,128,255,130,130,130,255,131,131,131,255,134,134,134,255,137,137,137,255,141,141,141,255,145,145,145,255,149,149,149,255,153,153,153,255,155,155,155,255,158,158,158,255,160,160,160,255,161,161,161,255,162,162,162,255,164,164,164,255,165,165,165,255,166,166,166,255,167,167,167,255,168,168,168,255,169,169,169,255,169,169,169,255,169,169,169,255,168,168,168,255,167,167,167,255,166,166,166,255,165,165,165,255,165,165,165,255,166,166,166,255,168,168,168,255,171,171,171,255,175,175,175,255,179,179,179,255,182,182,182,255,184,184,184,255,186,186,186,255,186,186,186,255,186,186,186,255,186,186,186,255,186,186,186,255,185,185,185,255,119,119,119,255,119,119,119,255,119,119,119,255,119,119,119,255,119,119,119,255,120,120,120,255,121,121,121,255,123,123,123,255,125,125,125,255,127,127,127,255,129,129,129,255,130,130,130,255,131,131,131,255,131,131,131,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,133,133,133,255,135,135,135,255,138,138,138,255,141,141,141,255,143,143,143,255,145,145,145,255,145,145,145,255,144,144,144,255,143,143,143,255,141,141,141,255,138,138,138,255,136,136,136,255,134,134,134,255,132,132,132,255,131,131,131,255,131,131,131,255,131,131,131,255,131,131,131,255,131,131,131,255,131,131,131,255,131,131,131,255,130,130,130,255,129,129,129,255,128,128,128,255,127,127,127,255,127,127,127,255,126,126,126,255,126,126,126,255,126,126,126,255,125,125,125,255,125,125,125,255,125,125,125,255,125,125,125,255,126,126,126,255,127,127,127,255,127,127,127,255,128,128,128,255,129,129,129,255,129,129,129,255,129,129,129,255,129,129,129,255,130,130,130,255,130,130,130,255,131,131,131,255,132,132,132,255,135,135,135,255,138,138,138,255,142,142,142,255,146,146,146,255,150,150,150,255,153,153,153,255,156,156,156,255,158,158,158,255,160,160,160,255,161,161,161,255,162,162,162,255,163,163,163,255,164,164,164,255,165,165,165,255,166,166,166,255,167,167,167,255,168,168,168,255,168,168,168,255,168,168,168,255,168,168,168,255,167,167,167,255,166,166,166,255,165,165,165,255,165,165,165,255,166,166,166,255,168,168,168,255,171,171,171,255,175,175,175,255,179,179,179,255,182,182,182,255,185,185,185,255,186,186,186,255,187,187,187,255,187,187,187,255,187,187,187,255,187,187,187,255,187,187,187,255,116,116,116,255,116,116,116,255,116,116,116,255,117,117,117,255,117,117,117,255,118,118,118,255,120,120,120,255,121,121,121,255,123,123,123,255,126,126,126,255,128,128,128,255,129,129,129,255,130,130,130,255,130,130,130,255,129,129,129,255,128,128,128,255,128,128,128,255,129,129,129,255,131,131,131,255,133,133,133,255,136,136,136,255,138,138,138,255,140,140,140,255,141,141,141,255,142,142,142,255,141,141,141,255,140,140,140,255,138,138,138,255,136,136,136,255,134,134,134,255,132,132,132,255,131,131,131,255,131,131,131,255,131,131,131,255,132,132,132,255,133,133,133,255,134,134,134,255,134,134,134,255,134,134,134,255,134,134,134,255,133,133,133,255,133,133,133,255,133,133,133,255,133,133,133,255,133,133,133,255,132,132,132,255,131,131,131,255,131,131,131,255,130,130,130,255,130,130,130,255,130,130,130,255,131,131,131,255,132,132,132,255,133,133,133,255,133,133,133,255,134,134,134,255,134,134,134,255,133,133,133,255,132,132,132,255,132,132,132,255,131,131,131,255,132,132,132,255,133,133,133,255,136,136,136,255,139,139,139,255,143,143,143,255,147,147,147,255,151,151,151,255,154,154,154,255,156,156,156,255,158,158,158,255,159,159,159,255,160,160,160,255,161,161,161,255,162,162,162,255,163,163,163,255,164,164,164,255,165,165,165,255,166,166,166,255,167,167,167,255,168,168,168,255,167,167,167,255,167,167,167,255,166,166,166,255,166,166,166,255,165,165,165,255,165,165,165,255,166,166,166,255,168,168,168,255,171,171,171,255,175,175,175,255,179,179,179,255,183,183,183,255,185,185,185,255,186,186,186,255,187,187,187,255,188,188,188,255,188,188,188,255,188,188,188,255,188,188,188,255,112,112,112,255,112,112,112,255,113,113,113,255,114,114,114,255,115,115,115,255,116,116,116,255,118,118,118,255,120,120,120,255,122,122,122,255,124,124,124,255,126,126,126,255,128,128,128,255,129,129,129,255,129,129,129,255,128,128,128,255,127,127,127,255,126,126,126,255,127,127,127,255,128,128,128,255,131,131,131,255,133,133,133,255,135,135,135,255,137,137,137,255,138,138,138,255,138,138,138,255,138,138,138,255,137,137,137,255,136,136,136,255,134,134,134,255,132,132,132,255,131,131,131,255,130,130,130,255,130,130,130,255,132,132,132,255,134,134,134,255,136,136,136,255,137,137,137,255,137,137,137,255,137,137,137,255,137,137,137,255,137,137,137,255,138,138,138,255,138,138,138,255,139,139,139,255,139,139,139,255,138,138,138,255,138,138,138,255,137,137,137,255,136,136,136,255,136,136,136,255,136,136,136,255,137,137,137,255,137,137,137,255,138,138,138,255,138,138,138,255,138,138,138,255,138,138,138,255,137,137,137,255,135,135,135,255,134,134,134,255,133,133,133,255,133,133,133,255,134,134,134,255,136,136,136,255,140,140,140,255,144,144,144,255,147,147,147,255,151,151,151,255,154,154,154,255,157,157,157,255,158,158,158,255,159,159,159,255,160,160,160,255,160,160,160,255,161,161,161,255,162,162,162,255,163,163,163,255,164,164,164,255,165,165,165,255,166,166,166,255,167,167,167,255,167,167,167,255,167,167,167,255,166,166,166,255,166,166,166,255,166,166,166,255,165,165,165,255,166,166,166,255,168,168,168,255,171,171,171,255,176,176,176,255,180,180,180,255,183,183,183,255,185,185,185,255,187,187,187,255,188,188,188,255,188,188,188,255,189,189,189,255,189,189,189,255,189,189,189,255,109,109,109,255,110,110,110,255,111,111,111,255,112,112,112,255,113,113,113,255,114,114,114,255,116,116,116,255,118,118,118,255,120,120,120,255,123,123,123,255,125,125,125,255,127,127,127,255,128,128,128,255,128,128,128,255,127,127,127,255,125,125,125,255,125,125,125,255,125,125,125,255,126,126,126,255,129,129,129,255,131,131,131,255,132,132,132,255,134,134,134,255,135,135,135,255,135,135,135,255,135,135,135,255,134,134,134,255,133,133,133,255,132,132,132,255,131,131,131,255,129,129,129,255,129,129,129,255,130,130,130,255,132,132,132,255,134,134,134,255,137,137,137,255,138,138,138,255,139,139,139,255,139,139,139,255,140,140,140,255,140,140,140,255,141,141,141,255,142,142,142,255,143,143,143,255,143,143,143,255,143,143,143,255,143,143,143,255,142,142,142,255,141,141,141,255,141,141,141,255,141,141,141,255,142,142,142,255,142,142,142,255,143,143,143,255,143,143,143,255,142,142,142,255,141,141,141,255,139,139,139,255,137,137,137,255,135,135,135,255,134,134,134,255,134,134,134,255,135,135,135,255,137,137,137,255,140,140,140,255,144,144,144,255,148,148,148,255,151,151,151,255,154,154,154,255,156,156,156,255,158,158,158,255,158,158,158,255,159,159,159,255,159,159,159,255,160,160,160,255,161,161,161,255,162,162,162,255,163,163,163,255,164,164,164,255,165,165,165,255,166,166,166,255,167,167,167,255,167,167,167,255,166,166,166,255,166,166,166,255,166,166,166,255,166,166,166,255,166,166,166,255,168,168,168,255,172,172,172,255,176,176,176,255,180,180,180,255,183,183,183,255,185,185,185,255,186,186,186,255,187,187,187,255,188,188,188,255,189,189,189,255,189,189,189,255,189,189,189,255,107,107,107,255,107,107,107,255,108,108,108,255,110,110,110,255,111,111,111,255,113,113,113,255,114,114,114,255,116,116,116,255,119,119,119,255,121,121,121,255,124,124,124,255,125,125,125,255,126,126,126,255,126,126,126,255,125,125,125,255,124,124,124,255,123,123,123,255,123,123,123,255,125,125,125,255,127,127,127,255,128,128,128,255,130,130,130,255,131,131,131,255,132,132,132,255,133,133,133,255,133,133,133,255,132,132,132,255,131,131,131,255,130,130,130,255,129,129,129,255,128,128,128,255,128,128,128,255,129,129,129,255,131,131,131,255,134,134,134,255,137,137,137,255,139,139,139,255,139,139,139,255,140,140,140,255,141,141,141,255,142,142,142,255,143,143,143,255,145,145,145,255,146,146,146,255,147,147,147,255,148,148,148,255,147,147,147,255,147,147,147,255,147,147,147,255,147,147,147,255,147,147,147,255,147,147,147,255,147,147,147,255,147,147,147,255,147,147,147,255,146,146,146,255,144,144,144,255,142,142,142,255,139,139,139,255,137,137,137,255,135,135,135,255,135,135,135,255,136,136,136,255,137,137,137,255,140,140,140,255,144,144,144,255,147,147,147,255,151,151,151,255,154,154,154,255,156,156,156,255,157,157,157,255,158,158,158,255,158,158,158,255,158,158,158,255,159,159,159,255,160,160,160,255,161,161,161,255,162,162,162,255,164,164,164,255,165,165,165,255,166,166,166,255,167,167,167,255,167,167,167,255,167,167,167,255,167,167,167,255,167,167,167,255,167,167,167,255,167,167,167,255,169,169,169,255,172,172,172,255,176,176,176,255,180,180,180,255,183,183,183,255,185,185,185,255,186,186,186,255,187,187,187,255,187,187,187,255,188,188,188,255,188,188,188,255,188,188,188,255,105,105,105,255,106,106,106,255,106,106,106,255,108,108,108,255,109,109,109,255,110,110,110,255,112,112,112,255,114,114,114,255,117,117,117,255,119,119,119,255,121,121,121,255,123,123,123,255,124,124,124,255,124,124,124,255,124,124,124,255,123,123,123,255,122,122,122,255,122,122,122,255,123,123,123,255,125,125,125,255,127,127,127,255,128,128,128,255,129,129,129,255,130,130,130,255,131,131,131,255,131,131,131,255,130,130,130,255,129,129,129,255,128,128,128,255,128,128,128,255,127,127,127,255,127,127,127,255,128,128,128,255,131,131,131,255,134,134,134,255,137,137,137,255,139,139,139,255,140,140,140,255,141,141,141,255,142,142,142,255,144,144,144,255,145,145,145,255,147,147,147,255,149,149,149,255,151,151,151,255,152,152,152,255,152,152,152,255,152,152,152,255,152,152,152,255,152,152,152,255,152,152,152,255,152,152,152,255,152,152,152,255,151,151,151,255,150,150,150,255,149,149,149,255,147,147,147,255,144,144,144,255,141,141,141,255,138,138,138,255,136,136,136,255,135,135,135,255,136,136,136,255,138,138,138,255,140,140,140,255,143,143,143,255,146,146,146,255,149,149,149,255,152,152,152,255,154,154,154,255,155,155,155,255,156,156,156,255,157,157,157,255,158,158,158,255,158,158,158,255,159,159,159,255,160,160,160,255,162,162,162,255,163,163,163,255,164,164,164,255,165,165,165,255,166,166,166,255,167,167,167,255,167,167,167,255,167,167,167,255,167,167,167,255,167,167,167,255,168,168,168,255,169,169,169,255,172,172,172,255,175,175,175,255,178,178,178,255,181,181,181,255,182,182,182,255,183,183,183,255,185,185,185,255,186,186,186,255,186,186,186,255,187,187,187,255,187,187,187,255,104,104,104,255,104,104,104,255,105,105,105,255,106,106,106,255,107,107,107,255,108,108,108,255,110,110,110,255,112,112,112,255,114,114,114,255,117,117,117,255,119,119,119,255,120,120,120,255,122,122,122,255,122,122,122,255,122,122,122,255,122,122,122,255,121,121,121,255,122,122,122,255,123,123,123,255,125,125,125,255,126,126,126,255,127,127,127,255,128,128,128,255,129,129,129,255,129,129,129,255,129,129,129,255,129,129,129,255,128,128,128,255,127,127,127,255,126,126,126,255,125,125,125,255,126,126,126,255,127,127,127,255,130,130,130,255,133,133,133,255,136,136,136,255,138,138,138,255,139,139,139,255,141,141,141,255,143,143,143,255,145,145,145,255,147,147,147,255,150,150,150,255,152,152,152,255,154,154,154,255,156,156,156,255,157,157,157,255,158,158,158,255,158,158,158,255,158,158,158,255,158,158,158,255,157,157,157,255,156,156,156,255,155,155,155,255,153,153,153,255,151,151,151,255,149,149,149,255,146,146,146,255,142,142,142,255,139,139,139,255,137,137,137,255,136,136,136,255,137,137,137,255,138,138,138,255,140,140,140,255,142,142,142,255,144,144,144,255,147,147,147,255,149,149,149,255,151,151,151,255,153,153,153,255,155,155,155,255,156,156,156,255,158,158,158,255,158,158,158,255,159,159,159,255,160,160,160,255,161,161,161,255,162,162,162,255,163,163,163,255,165,165,165,255,166,166,166,255,167,167,167,255,167,167,167,255,168,168,168,255,168,168,168,255,168,168,168,255,168,168,168,255,169,169,169,255,171,171,171,255,174,174,174,255,176,176,176,255,178,178,178,255,179,179,179,255,180,180,180,255,182,182,182,255,183,183,183,255,184,184,184,255,185,185,185,255,185,185,185,255,103,103,103,255,103,103,103,255,103,103,103,255,104,104,104,255,104,104,104,255,106,106,106,255,108,108,108,255,110,110,110,255,112,112,112,255,114,114,114,255,116,116,116,255,117,117,117,255,119,119,119,255,119,119,119,255,120,120,120,255,120,120,120,255,121,121,121,255,122,122,122,255,123,123,123,255,124,124,124,255,125,125,125,255,126,126,126,255,127,127,127,255,127,127,127,255,128,128,128,255,128,128,128,255,127,127,127,255,126,126,126,255,125,125,125,255,125,125,125,255,124,124,124,255,125,125,125,255,127,127,127,255,130,130,130,255,133,133,133,255,136,136,136,255,138,138,138,255,140,140,140,255,141,141,141,255,144,144,144,255,146,146,146,255,149,149,149,255,152,152,152,255,155,155,155,255,158,158,158,255,160,160,160,255,161,161,161,255,163,163,163,255,163,163,163,255,163,163,163,255,163,163,163,255,162,162,162,255,161,161,161,255,159,159,159,255,156,156,156,255,154,154,154,255,151,151,151,255,148,148,148,255,144,144,144,255,141,141,141,255,138,138,138,255,137,137,137,255,137,137,137,255,138,138,138,255,139,139,139,255,141,141,141,255,142,142,142,255,144,144,144,255,146,146,146,255,149,149,149,255,151,151,151,255,154,154,154,255,156,156,156,255,158,158,158,255,159,159,159,255,159,159,159,255,160,160,160,255,161,161,161,255,161,161,161,255,163,163,163,255,164,164,164,255,165,165,165,255,166,166,166,255,167,167,167,255,168,168,168,255,168,168,168,255,168,168,168,255,168,168,168,255,169,169,169,255,170,170,170,255,171,171,171,255,173,173,173,255,174,174,174,255,175,175,175,255,176,176,176,255,178,178,178,255,180,180,180,255,182,182,182,255,183,183,183,255,184,184,184,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,104,104,104,255,105,105,105,255,107,107,107,255,109,109,109,255,111,111,111,255,113,113,113,255,115,115,115,255,116,116,116,255,117,117,117,255,118,118,118,255,119,119,119,255,120,120,120,255,121,121,121,255,122,122,122,255,124,124,124,255,124,124,124,255,125,125,125,255,125,125,125,255,126,126,126,255,126,126,126,255,127,127,127,255,126,126,126,255,125,125,125,255,124,124,124,255,123,123,123,255,123,123,123,255,124,124,124,255,126,126,126,255,129,129,129,255,132,132,132,255,135,135,135,255,138,138,138,255,139,139,139,255,142,142,142,255,144,144,144,255,147,147,147,255,151,151,151,255,154,154,154,255,158,158,158,255,161,161,161,255,163,163,163,255,165,165,165,255,167,167,167,255,167,167,167,255,168,168,168,255,167,167,167,255,166,166,166,255,164,164,164,255,162,162,162,255,159,159,159,255,156,156,156,255,153,153,153,255,149,149,149,255,145,145,145,255,142,142,142,255,139,139,139,255,138,138,138,255,138,138,138,255,138,138,138,255,139,139,139,255,139,139,139,255,140,140,140,255,142,142,142,255,144,144,144,255,146,146,146,255,149,149,149,255,152,152,152,255,155,155,155,255,157,157,157,255,158,158,158,255,159,159,159,255,159,159,159,255,160,160,160,255,160,160,160,255,161,161,161,255,162,162,162,255,164,164,164,255,165,165,165,255,166,166,166,255,167,167,167,255,168,168,168,255,168,168,168,255,168,168,168,255,168,168,168,255,168,168,168,255,169,169,169,255,170,170,170,255,170,170,170,255,171,171,171,255,172,172,172,255,175,175,175,255,177,177,177,255,179,179,179,255,181,181,181,255,182,182,182,255,101,101,101,255,101,101,101,255,100,100,100,255,100,100,100,255,100,100,100,255,102,102,102,255,103,103,103,255,105,105,105,255,107,107,107,255,109,109,109,255,111,111,111,255,112,112,112,255,113,113,113,255,115,115,115,255,116,116,116,255,117,117,117,255,119,119,119,255,120,120,120,255,121,121,121,255,123,123,123,255,123,123,123,255,124,124,124,255,124,124,124,255,125,125,125,255,125,125,125,255,125,125,125,255,125,125,125,255,124,124,124,255,123,123,123,255,122,122,122,255,122,122,122,255,123,123,123,255,125,125,125,255,128,128,128,255,132,132,132,255,135,135,135,255,138,138,138,255,140,140,140,255,142,142,142,255,145,145,145,255,149,149,149,255,152,152,152,255,156,156,156,255,160,160,160,255,163,163,163,255,166,166,166,255,168,168,168,255,170,170,170,255,171,171,171,255,171,171,171,255,171,171,171,255,169,169,169,255,167,167,167,255,164,164,164,255,161,161,161,255,158,158,158,255,154,154,154,255,150,150,150,255,146,146,146,255,143,143,143,255,140,140,140,255,139,139,139,255,138,138,138,255,138,138,138,255,138,138,138,255,138,138,138,255,139,139,139,255,140,140,140,255,142,142,142,255,144,144,144,255,147,147,147,255,151,151,151,255,154,154,154,255,156,156,156,255,158,158,158,255,158,158,158,255,158,158,158,255,158,158,158,255,159,159,159,255,160,160,160,255,161,161,161,255,162,162,162,255,164,164,164,255,165,165,165,255,166,166,166,255,166,166,166,255,167,167,167,255,166,166,166,255,166,166,166,255,166,166,166,255,166,166,166,255,167,167,167,255,167,167,167,255,168,168,168,255,169,169,169,255,171,171,171,255,174,174,174,255,177,177,177,255,179,179,179,255,179,179,179,255,99,99,99,255,99,99,99,255,98,98,98,255,98,98,98,255,99,99,99,255,100,100,100,255,102,102,102,255,104,104,104,255,105,105,105,255,107,107,107,255,109,109,109,255,110,110,110,255,111,111,111,255,113,113,113,255,114,114,114,255,116,116,116,255,117,117,117,255,118,118,118,255,120,120,120,255,121,121,121,255,122,122,122,255,122,122,122,255,123,123,123,255,123,123,123,255,124,124,124,255,124,124,124,255,124,124,124,255,123,123,123,255,122,122,122,255,121,121,121,255,121,121,121,255,123,123,123,255,125,125,125,255,128,128,128,255,132,132,132,255,136,136,136,255,138,138,138,255,140,140,140,255,143,143,143,255,146,146,146,255,150,150,150,255,154,154,154,255,158,158,158,255,161,161,161,255,165,165,165,255,168,168,168,255,170,170,170,255,172,172,172,255,173,173,173,255,173,173,173,255,173,173,173,255,171,171,171,255,169,169,169,255,166,166,166,255,163,163,163,255,159,159,159,255,156,156,156,255,152,152,152,255,148,148,148,255,144,144,144,255,141,141,141,255,139,139,139,255,139,139,139,255,139,139,139,255,138,138,138,255,138,138,138,255,139,139,139,255,139,139,139,255,141,141,141,255,143,143,143,255,146,146,146,255,150,150,150,255,153,153,153,255,155,155,155,255,156,156,156,255,156,156,156,255,157,157,157,255,157,157,157,255,157,157,157,255,158,158,158,255,159,159,159,255,160,160,160,255,162,162,162,255,163,163,163,255,164,164,164,255,164,164,164,255,164,164,164,255,164,164,164,255,164,164,164,255,164,164,164,255,164,164,164,255,164,164,164,255,164,164,164,255,165,165,165,255,166,166,166,255,168,168,168,255,171,171,171,255,174,174,174,255,176,176,176,255,176,176,176,255,99,99,99,255,98,98,98,255,97,97,97,255,97,97,97,255,97,97,97,255,98,98,98,255,100,100,100,255,102,102,102,255,104,104,104,255,106,106,106,255,108,108,108,255,109,109,109,255,110,110,110,255,112,112,112,255,113,113,113,255,114,114,114,255,115,115,115,255,117,117,117,255,118,118,118,255,119,119,119,255,120,120,120,255,121,121,121,255,122,122,122,255,122,122,122,255,123,123,123,255,124,124,124,255,123,123,123,255,122,122,122,255,122,122,122,255,121,121,121,255,122,122,122,255,123,123,123,255,125,125,125,255,128,128,128,255,132,132,132,255,136,136,136,255,138,138,138,255,140,140,140,255,143,143,143,255,146,146,146,255,150,150,150,255,154,154,154,255,158,158,158,255,162,162,162,255,165,165,165,255,168,168,168,255,171,171,171,255,173,173,173,255,175,175,175,255,175,175,175,255,175,175,175,255,173,173,173,255,170,170,170,255,167,167,167,255,164,164,164,255,160,160,160,255,157,157,157,255,153,153,153,255,149,149,149,255,146,146,146,255,143,143,143,255,141,141,141,255,141,141,141,255,140,140,140,255,139,139,139,255,139,139,139,255,139,139,139,255,139,139,139,255,141,141,141,255,143,143,143,255,145,145,145,255,148,148,148,255,151,151,151,255,153,153,153,255,154,154,154,255,154,154,154,255,154,154,154,255,154,154,154,255,155,155,155,255,155,155,155,255,156,156,156,255,158,158,158,255,159,159,159,255,160,160,160,255,162,162,162,255,162,162,162,255,163,163,163,255,162,162,162,255,162,162,162,255,161,161,161,255,161,161,161,255,161,161,161,255,161,161,161,255,162,162,162,255,163,163,163,255,165,165,165,255,168,168,168,255,170,170,170,255,172,172,172,255,173,173,173,255,99,99,99,255,98,98,98,255,97,97,97,255,96,96,96,255,96,96,96,255,96,96,96,255,98,98,98,255,100,100,100,255,103,103,103,255,105,105,105,255,107,107,107,255,109,109,109,255,110,110,110,255,111,111,111,255,112,112,112,255,113,113,113,255,113,113,113,255,114,114,114,255,116,116,116,255,117,117,117,255,119,119,119,255,120,120,120,255,121,121,121,255,122,122,122,255,123,123,123,255,124,124,124,255,124,124,124,255,123,123,123,255,122,122,122,255,122,122,122,255,123,123,123,255,124,124,124,255,126,126,126,255,129,129,129,255,132,132,132,255,135,135,135,255,138,138,138,255,140,140,140,255,143,143,143,255,146,146,146,255,149,149,149,255,153,153,153,255,157,157,157,255,161,161,161,255,165,165,165,255,169,169,169,255,172,172,172,255,175,175,175,255,176,176,176,255,177,177,177,255,176,176,176,255,174,174,174,255,172,172,172,255,168,168,168,255,164,164,164,255,160,160,160,255,157,157,157,255,153,153,153,255,151,151,151,255,148,148,148,255,146,146,146,255,145,145,145,255,144,144,144,255,143,143,143,255,142,142,142,255,141,141,141,255,140,140,140,255,140,140,140,255,141,141,141,255,142,142,142,255,145,145,145,255,147,147,147,255,149,149,149,255,150,150,150,255,151,151,151,255,151,151,151,255,151,151,151,255,152,152,152,255,152,152,152,255,153,153,153,255,153,153,153,255,155,155,155,255,156,156,156,255,158,158,158,255,159,159,159,255,160,160,160,255,161,161,161,255,160,160,160,255,160,160,160,255,159,159,159,255,158,158,158,255,157,157,157,255,157,157,157,255,158,158,158,255,159,159,159,255,161,161,161,255,163,163,163,255,166,166,166,255,167,167,167,255,168,168,168,255,99,99,99,255,98,98,98,255,97,97,97,255,95,95,95,255,95,95,95,255,95,95,95,255,97,97,97,255,99,99,99,255,102,102,102,255,105,105,105,255,107,107,107,255,109,109,109,255,110,110,110,255,111,111,111,255,111,111,111,255,112,112,112,255,112,112,112,255,113,113,113,255,114,114,114,255,116,116,116,255,117,117,117,255,119,119,119,255,121,121,121,255,123,123,123,255,124,124,124,255,124,124,124,255,124,124,124,255,124,124,124,255,124,124,124,255,124,124,124,255,124,124,124,255,125,125,125,255,127,127,127,255,129,129,129,255,132,132,132,255,135,135,135,255,137,137,137,255,140,140,140,255,142,142,142,255,145,145,145,255,148,148,148,255,152,152,152,255,156,156,156,255,160,160,160,255,164,164,164,255,168,168,168,255,172,172,172,255,175,175,175,255,177,177,177,255,178,178,178,255,177,177,177,255,175,175,175,255,172,172,172,255,168,168,168,255,164,164,164,255,160,160,160,255,157,157,157,255,154,154,154,255,152,152,152,255,150,150,150,255,149,149,149,255,148,148,148,255,147,147,147,255,146,146,146,255,144,144,144,255,143,143,143,255,141,141,141,255,141,141,141,255,141,141,141,255,142,142,142,255,144,144,144,255,145,145,145,255,146,146,146,255,147,147,147,255,148,148,148,255,148,148,148,255,148,148,148,255,149,149,149,255,149,149,149,255,150,150,150,255,150,150,150,255,151,151,151,255,153,153,153,255,155,155,155,255,157,157,157,255,158,158,158,255,158,158,158,255,158,158,158,255,157,157,157,255,156,156,156,255,155,155,155,255,154,154,154,255,153,153,153,255,154,154,154,255,155,155,155,255,157,157,157,255,159,159,159,255,161,161,161,255,162,162,162,255,163,163,163,255,101,101,101,255,100,100,100,255,98,98,98,255,96,96,96,255,95,95,95,255,95,95,95,255,96,96,96,255,98,98,98,255,101,101,101,255,105,105,105,255,108,108,108,255,110,110,110,255,111,111,111,255,111,111,111,255,111,111,111,255,111,111,111,255,111,111,111,255,111,111,111,255,113,113,113,255,115,115,115,255,117,117,117,255,119,119,119,255,122,122,122,255,123,123,123,255,125,125,125,255,126,126,126,255,126,126,126,255,125,125,125,255,125,125,125,255,125,125,125,255,126,126,126,255,127,127,127,255,128,128,128,255,130,130,130,255,132,132,132,255,134,134,134,255,137,137,137,255,139,139,139,255,142,142,142,255,144,144,144,255,147,147,147,255,151,151,151,255,154,154,154,255,158,158,158,255,162,162,162,255,167,167,167,255,172,172,172,255,176,176,176,255,178,178,178,255,179,179,179,255,178,178,178,255,176,176,176,255,172,172,172,255,168,168,168,255,164,164,164,255,160,160,160,255,157,157,157,255,155,155,155,255,153,153,153,255,153,153,153,255,153,153,153,255,152,152,152,255,151,151,151,255,149,149,149,255,147,147,147,255,144,144,144,255,143,143,143,255,142,142,142,255,142,142,142,255,142,142,142,255,143,143,143,255,144,144,144,255,144,144,144,255,145,145,145,255,145,145,145,255,145,145,145,255,146,146,146,255,146,146,146,255,146,146,146,255,146,146,146,255,147,147,147,255,148,148,148,255,149,149,149,255,151,151,151,255,154,154,154,255,155,155,155,255,156,156,156,255,155,155,155,255,154,154,154,255,153,153,153,255,151,151,151,255,150,150,150,255,149,149,149,255,149,149,149,255,150,150,150,255,152,152,152,255,154,154,154,255,156,156,156,255,157,157,157,255,157,157,157,255,103,103,103,255,101,101,101,255,99,99,99,255,97,97,97,255,95,95,95,255,95,95,95,255,96,96,96,255,98,98,98,255,101,101,101,255,105,105,105,255,108,108,108,255,110,110,110,255,111,111,111,255,111,111,111,255,111,111,111,255,110,110,110,255,110,110,110,255,110,110,110,255,112,112,112,255,114,114,114,255,117,117,117,255,119,119,119,255,122,122,122,255,124,124,124,255,126,126,126,255,126,126,126,255,127,127,127,255,126,126,126,255,126,126,126,255,126,126,126,255,127,127,127,255,128,128,128,255,129,129,129,255,130,130,130,255,132,132,132,255,134,134,134,255,136,136,136,255,139,139,139,255,141,141,141,255,144,144,144,255,147,147,147,255,150,150,150,255,154,154,154,255,157,157,157,255,162,162,162,255,167,167,167,255,172,172,172,255,176,176,176,255,179,179,179,255,180,180,180,255,179,179,179,255,176,176,176,255,173,173,173,255,168,168,168,255,164,164,164,255,160,160,160,255,157,157,157,255,155,155,155,255,155,155,155,255,155,155,155,255,155,155,155,255,155,155,155,255,154,154,154,255,152,152,152,255,149,149,149,255,146,146,146,255,144,144,144,255,142,142,142,255,142,142,142,255,142,142,142,255,142,142,142,255,142,142,142,255,142,142,142,255,142,142,142,255,143,143,143,255,143,143,143,255,143,143,143,255,143,143,143,255,143,143,143,255,143,143,143,255,144,144,144,255,144,144,144,255,145,145,145,255,148,148,148,255,150,150,150,255,152,152,152,255,153,153,153,255,152,152,152,255,151,151,151,255,149,149,149,255,147,147,147,255,145,145,145,255,144,144,144,255,145,145,145,255,146,146,146,255,147,147,147,255,149,149,149,255,151,151,151,255,152,152,152,255,152,152,152,255,106,106,106,255,104,104,104,255,101,101,101,255,99,99,99,255,97,97,97,255,96,96,96,255,97,97,97,255,99,99,99,255,102,102,102,255,105,105,105,255,108,108,108,255,110,110,110,255,111,111,111,255,111,111,111,255,111,111,111,255,110,110,110,255,110,110,110,255,110,110,110,255,112,112,112,255,114,114,114,255,117,117,117,255,120,120,120,255,123,123,123,255,125,125,125,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,128,128,128,255,129,129,129,255,130,130,130,255,132,132,132,255,134,134,134,255,136,136,136,255,139,139,139,255,141,141,141,255,144,144,144,255,147,147,147,255,150,150,150,255,154,154,154,255,158,158,158,255,162,162,162,255,167,167,167,255,172,172,172,255,176,176,176,255,179,179,179,255,180,180,180,255,179,179,179,255,177,177,177,255,173,173,173,255,169,169,169,255,165,165,165,255,161,161,161,255,158,158,158,255,157,157,157,255,157,157,157,255,157,157,157,255,157,157,157,255,157,157,157,255,155,155,155,255,153,153,153,255,150,150,150,255,147,147,147,255,144,144,144,255,142,142,142,255,142,142,142,255,142,142,142,255,142,142,142,255,141,141,141,255,141,141,141,255,141,141,141,255,141,141,141,255,141,141,141,255,141,141,141,255,141,141,141,255,141,141,141,255,141,141,141,255,141,141,141,255,141,141,141,255,142,142,142,255,144,144,144,255,146,146,146,255,148,148,148,255,149,149,149,255,148,148,148,255,147,147,147,255,145,145,145,255,143,143,143,255,141,141,141,255,140,140,140,255,140,140,140,255,141,141,141,255,143,143,143,255,144,144,144,255,146,146,146,255,147,147,147,255,148,148,148,255,108,108,108,255,106,106,106,255,104,104,104,255,101,101,101,255,99,99,99,255,98,98,98,255,99,99,99,255,100,100,100,255,102,102,102,255,105,105,105,255,108,108,108,255,110,110,110,255,111,111,111,255,111,111,111,255,111,111,111,255,111,111,111,255,111,111,111,255,111,111,111,255,113,113,113,255,115,115,115,255,118,118,118,255,121,121,121,255,123,123,123,255,125,125,125,255,127,127,127,255,128,128,128,255,128,128,128,255,128,128,128,255,128,128,128,255,128,128,128,255,129,129,129,255,129,129,129,255,130,130,130,255,131,131,131,255,132,132,132,255,134,134,134,255,136,136,136,255,139,139,139,255,142,142,142,255,145,145,145,255,148,148,148,255,152,152,152,255,155,155,155,255,159,159,159,255,163,163,163,255,168,168,168,255,173,173,173,255,177,177,177,255,180,180,180,255,181,181,181,255,180,180,180,255,178,178,178,255,174,174,174,255,170,170,170,255,166,166,166,255,163,163,163,255,160,160,160,255,159,159,159,255,158,158,158,255,158,158,158,255,158,158,158,255,157,157,157,255,156,156,156,255,154,154,154,255,151,151,151,255,147,147,147,255,144,144,144,255,142,142,142,255,142,142,142,255,141,141,141,255,141,141,141,255,141,141,141,255,140,140,140,255,140,140,140,255,140,140,140,255,140,140,140,255,140,140,140,255,140,140,140,255,140,140,140,255,140,140,140,255,139,139,139,255,139,139,139,255,140,140,140,255,141,141,141,255,142,142,142,255,143,143,143,255,144,144,144,255,143,143,143,255,142,142,142,255,140,140,140,255,139,139,139,255,137,137,137,255,137,137,137,255,137,137,137,255,138,138,138,255,139,139,139,255,140,140,140,255,141,141,141,255,142,142,142,255,143,143,143,255,110,110,110,255,108,108,108,255,106,106,106,255,104,104,104,255,102,102,102,255,101,101,101,255,101,101,101,255,102,102,102,255,104,104,104,255,105,105,105,255,107,107,107,255,109,109,109,255,110,110,110,255,110,110,110,255,111,111,111,255,111,111,111,255,112,112,112,255,113,113,113,255,114,114,114,255,117,117,117,255,119,119,119,255,121,121,121,255,123,123,123,255,125,125,125,255,127,127,127,255,128,128,128,255,129,129,129,255,129,129,129,255,130,130,130,255,130,130,130,255,131,131,131,255,131,131,131,255,132,132,132,255,132,132,132,255,133,133,133,255,135,135,135,255,137,137,137,255,140,140,140,255,143,143,143,255,147,147,147,255,150,150,150,255,154,154,154,255,158,158,158,255,161,161,161,255,166,166,166,255,170,170,170,255,174,174,174,255,178,178,178,255,180,180,180,255,181,181,181,255,180,180,180,255,178,178,178,255,175,175,175,255,172,172,172,255,169,169,169,255,166,166,166,255,163,163,163,255,161,161,161,255,160,160,160,255,159,159,159,255,158,158,158,255,157,157,157,255,155,155,155,255,153,153,153,255,150,150,150,255,147,147,147,255,144,144,144,255,142,142,142,255,141,141,141,255,140,140,140,255,140,140,140,255,140,140,140,255,140,140,140,255,140,140,140,255,140,140,140,255,140,140,140,255,140,140,140,255,140,140,140,255,140,140,140,255,139,139,139,255,139,139,139,255,138,138,138,255,138,138,138,255,138,138,138,255,138,138,138,255,138,138,138,255,138,138,138,255,137,137,137,255,136,136,136,255,135,135,135,255,135,135,135,255,134,134,134,255,134,134,134,255,134,134,134,255,135,135,135,255,135,135,135,255,136,136,136,255,136,136,136,255,137,137,137,255,137,137,137,255,111,111,111,255,110,110,110,255,109,109,109,255,107,107,107,255,106,106,106,255,105,105,105,255,105,105,105,255,105,105,105,255,105,105,105,255,106,106,106,255,107,107,107,255,108,108,108,255,109,109,109,255,109,109,109,255,111,111,111,255,112,112,112,255,113,113,113,255,114,114,114,255,116,116,116,255,118,118,118,255,120,120,120,255,122,122,122,255,124,124,124,255,125,125,125,255,126,126,126,255,128,128,128,255,129,129,129,255,130,130,130,255,132,132,132,255,133,133,133,255,134,134,134,255,134,134,134,255,134,134,134,255,134,134,134,255,135,135,135,255,136,136,136,255,138,138,138,255,141,141,141,255,144,144,144,255,148,148,148,255,152,152,152,255,156,156,156,255,160,160,160,255,164,164,164,255,168,168,168,255,172,172,172,255,175,175,175,255,178,178,178,255,180,180,180,255,181,181,181,255,180,180,180,255,179,179,179,255,177,177,177,255,174,174,174,255,171,171,171,255,168,168,168,255,166,166,166,255,163,163,163,255,161,161,161,255,159,159,159,255,157,157,157,255,155,155,155,255,153,153,153,255,151,151,151,255,148,148,148,255,146,146,146,255,143,143,143,255,141,141,141,255,140,140,140,255,140,140,140,255,139,139,139,255,140,140,140,255,140,140,140,255,140,140,140,255,140,140,140,255,141,141,141,255,141,141,141,255,141,141,141,255,141,141,141,255,140,140,140,255,139,139,139,255,138,138,138,255,137,137,137,255,136,136,136,255,134,134,134,255,133,133,133,255,132,132,132,255,131,131,131,255,131,131,131,255,131,131,131,255,131,131,131,255,132,132,132,255,132,132,132,255,133,133,133,255,133,133,133,255,133,133,133,255,132,132,132,255,132,132,132,255,132,132,132,255,132,132,132,255,112,112,112,255,112,112,112,255,111,111,111,255,110,110,110,255,109,109,109,255,108,108,108,255,108,108,108,255,107,107,107,255,106,106,106,255,106,106,106,255,106,106,106,255,106,106,106,255,107,107,107,255,109,109,109,255,110,110,110,255,112,112,112,255,114,114,114,255,116,116,116,255,118,118,118,255,120,120,120,255,121,121,121,255,123,123,123,255,124,124,124,255,125,125,125,255,126,126,126,255,127,127,127,255,129,129,129,255,131,131,131,255,133,133,133,255,135,135,135,255,136,136,136,255,136,136,136,255,136,136,136,255,136,136,136,255,136,136,136,255,137,137,137,255,138,138,138,255,141,141,141,255,145,145,145,255,149,149,149,255,154,154,154,255,158,158,158,255,163,163,163,255,167,167,167,255,171,171,171,255,174,174,174,255,177,177,177,255,179,179,179,255,180,180,180,255,180,180,180,255,180,180,180,255,179,179,179,255,178,178,178,255,176,176,176,255,173,173,173,255,171,171,171,255,168,168,168,255,165,165,165,255,162,162,162,255,158,158,158,255,155,155,155,255,153,153,153,255,151,151,151,255,149,149,149,255,147,147,147,255,144,144,144,255,142,142,142,255,141,141,141,255,139,139,139,255,139,139,139,255,139,139,139,255,139,139,139,255,140,140,140,255,141,141,141,255,141,141,141,255,141,141,141,255,141,141,141,255,141,141,141,255,142,142,142,255,141,141,141,255,140,140,140,255,139,139,139,255,137,137,137,255,134,134,134,255,131,131,131,255,128,128,128,255,127,127,127,255,126,126,126,255,126,126,126,255,127,127,127,255,129,129,129,255,130,130,130,255,131,131,131,255,132,132,132,255,131,131,131,255,131,131,131,255,129,129,129,255,128,128,128,255,127,127,127,255,127,127,127,255,113,113,113,255,113,113,113,255,112,112,112,255,112,112,112,255,111,111,111,255,111,111,111,255,110,110,110,255,109,109,109,255,107,107,107,255,106,106,106,255,106,106,106,255,106,106,106,255,107,107,107,255,108,108,108,255,110,110,110,255,112,112,112,255,115,115,115,255,117,117,117,255,119,119,119,255,121,121,121,255,122,122,122,255,123,123,123,255,124,124,124,255,124,124,124,255,125,125,125,255,127,127,127,255,129,129,129,255,132,132,132,255,135,135,135,255,137,137,137,255,138,138,138,255,138,138,138,255,138,138,138,255,137,137,137,255,137,137,137,255,137,137,137,255,139,139,139,255,142,142,142,255,146,146,146,255,151,151,151,255,155,155,155,255,160,160,160,255,165,165,165,255,169,169,169,255,172,172,172,255,175,175,175,255,177,177,177,255,179,179,179,255,180,180,180,255,180,180,180,255,180,180,180,255,179,179,179,255,178,178,178,255,177,177,177,255,175,175,175,255,173,173,173,255,170,170,170,255,167,167,167,255,162,162,162,255,158,158,158,255,154,154,154,255,151,151,151,255,149,149,149,255,147,147,147,255,146,146,146,255,144,144,144,255,142,142,142,255,140,140,140,255,139,139,139,255,138,138,138,255,139,139,139,255,139,139,139,255,140,140,140,255,141,141,141,255,141,141,141,255,141,141,141,255,142,142,142,255,142,142,142,255,142,142,142,255,142,142,142,255,141,141,141,255,139,139,139,255,136,136,136,255,133,133,133,255,129,129,129,255,125,125,125,255,123,123,123,255,122,122,122,255,123,123,123,255,125,125,125,255,127,127,127,255,129,129,129,255,131,131,131,255,131,131,131,255,131,131,131,255,130,130,130,255,128,128,128,255,126,126,126,255,124,124,124,255,124,124,124,255,113,113,113,255,113,113,113,255,113,113,113,255,113,113,113,255,112,112,112,255,112,112,112,255,111,111,111,255,109,109,109,255,108,108,108,255,106,106,106,255,105,105,105,255,105,105,105,255,106,106,106,255,108,108,108,255,110,110,110,255,113,113,113,255,115,115,115,255,118,118,118,255,120,120,120,255,122,122,122,255,123,123,123,255,123,123,123,255,123,123,123,255,124,124,124,255,125,125,125,255,127,127,127,255,129,129,129,255,132,132,132,255,135,135,135,255,138,138,138,255,139,139,139,255,139,139,139,255,138,138,138,255,137,137,137,255,137,137,137,255,137,137,137,255,139,139,139,255,142,142,142,255,146,146,146,255,151,151,151,255,156,156,156,255,161,161,161,255,166,166,166,255,170,170,170,255,173,173,173,255,176,176,176,255,178,178,178,255,179,179,179,255,180,180,180,255,180,180,180,255,180,180,180,255,180,180,180,255,179,179,179,255,177,177,177,255,176,176,176,255,173,173,173,255,171,171,171,255,167,167,167,255,163,163,163,255,158,158,158,255,154,154,154,255,151,151,151,255,149,149,149,255,147,147,147,255,145,145,145,255,143,143,143,255,142,142,142,255,140,140,140,255,139,139,139,255,138,138,138,255,138,138,138,255,139,139,139,255,140,140,140,255,141,141,141,255,141,141,141,255,142,142,142,255,142,142,142,255,142,142,142,255,143,143,143,255,142,142,142,255,142,142,142,255,140,140,140,255,136,136,136,255,132,132,132,255,128,128,128,255,124,124,124,255,122,122,122,255,121,121,121,255,122,122,122,255,124,124,124,255,126,126,126,255,129,129,129,255,130,130,130,255,131,131,131,255,131,131,131,255,129,129,129,255,127,127,127,255,125,125,125,255,123,123,123,255,123,123,123,255,112,112,112,255,112,112,112,255,112,112,112,255,112,112,112,255,112,112,112,255,111,111,111,255,110,110,110,255,109,109,109,255,107,107,107,255,106,106,106,255,105,105,105,255,105,105,105,255,106,106,106,255,108,108,108,255,110,110,110,255,112,112,112,255,115,115,115,255,117,117,117,255,120,120,120,255,121,121,121,255,122,122,122,255,123,123,123,255,124,124,124,255,124,124,124,255,125,125,125,255,127,127,127,255,129,129,129,255,132,132,132,255,135,135,135,255,137,137,137,255,138,138,138,255,138,138,138,255,137,137,137,255,137,137,137,255,136,136,136,255,137,137,137,255,139,139,139,255,142,142,142,255,146,146,146,255,151,151,151,255,155,155,155,255,160,160,160,255,165,165,165,255,169,169,169,255,172,172,172,255,175,175,175,255,177,177,177,255,179,179,179,255,180,180,180,255,180,180,180,255,180,180,180,255,179,179,179,255,178,178,178,255,177,177,177,255,175,175,175,255,173,173,173,255,170,170,170,255,166,166,166,255,162,162,162,255,158,158,158,255,154,154,154,255,151,151,151,255,149,149,149,255,147,147,147,255,145,145,145,255,144,144,144,255,142,142,142,255,141,141,141,255,139,139,139,255,139,139,139,255,139,139,139,255,140,140,140,255,141,141,141,255,141,141,141,255,142,142,142,255,142,142,142,255,142,142,142,255,143,143,143,255,143,143,143,255,143,143,143,255,142,142,142,255,140,140,140,255,137,137,137,255,133,133,133,255,129,129,129,255,125,125,125,255,123,123,123,255,122,122,122,255,123,123,123,255,125,125,125,255,127,127,127,255,129,129,129,255,131,131,131,255,132,132,132,255,131,131,131,255,130,130,130,255,128,128,128,255,126,126,126,255,124,124,124,255,124,124,124,255,109,109,109,255,110,110,110,255,110,110,110,255,110,110,110,255,110,110,110,255,110,110,110,255,109,109,109,255,108,108,108,255,106,106,106,255,105,105,105,255,105,105,105,255,105,105,105,255,106,106,106,255,108,108,108,255,110,110,110,255,112,112,112,255,114,114,114,255,117,117,117,255,119,119,119,255,121,121,121,255,122,122,122,255,123,123,123,255,124,124,124,255,125,125,125,255,126,126,126,255,128,128,128,255,130,130,130,255,132,132,132,255,133,133,133,255,135,135,135,255,136,136,136,255,136,136,136,255,135,135,135,255,135,135,135,255,135,135,135,255,136,136,136,255,138,138,138,255,141,141,141,255,145,145,145,255,149,149,149,255,154,154,154,255,159,159,159,255,163,163,163,255,167,167,167,255,171,171,171,255,174,174,174,255,176,176,176,255,178,178,178,255,179,179,179,255,180,180,180,255,179,179,179,255,178,178,178,255,177,177,177,255,175,175,175,255,172,172,172,255,170,170,170,255,168,168,168,255,164,164,164,255,161,161,161,255,157,157,157,255,153,153,153,255,151,151,151,255,149,149,149,255,147,147,147,255,146,146,146,255,144,144,144,255,143,143,143,255,142,142,142,255,141,141,141,255,141,141,141,255,141,141,141,255,141,141,141,255,142,142,142,255,142,142,142,255,143,143,143,255,143,143,143,255,143,143,143,255,144,144,144,255,144,144,144,255,144,144,144,255,143,143,143,255,141,141,141,255,139,139,139,255,135,135,135,255,131,131,131,255,128,128,128,255,126,126,126,255,125,125,125,255,126,126,126,255,127,127,127,255,129,129,129,255,131,131,131,255,132,132,132,255,133,133,133,255,132,132,132,255,131,131,131,255,130,130,130,255,128,128,128,255,127,127,127,255,127,127,127,255,106,106,106,255,106,106,106,255,107,107,107,255,107,107,107,255,108,108,108,255,108,108,108,255,107,107,107,255,106,106,106,255,105,105,105,255,105,105,105,255,104,104,104,255,105,105,105,255,106,106,106,255,107,107,107,255,109,109,109,255,111,111,111,255,114,114,114,255,116,116,116,255,118,118,118,255,120,120,120,255,122,122,122,255,123,123,123,255,125,125,125,255,126,126,126,255,128,128,128,255,129,129,129,255,130,130,130,255,131,131,131,255,132,132,132,255,132,132,132,255,133,133,133,255,132,132,132,255,132,132,132,255,132,132,132,255,133,133,133,255,134,134,134,255,136,136,136,255,139,139,139,255,143,143,143,255,147,147,147,255,152,152,152,255,156,156,156,255,161,161,161,255,164,164,164,255,168,168,168,255,171,171,171,255,174,174,174,255,177,177,177,255,178,178,178,255,179,179,179,255,178,178,178,255,177,177,177,255,174,174,174,255,172,172,172,255,169,169,169,255,166,166,166,255,164,164,164,255,161,161,161,255,158,158,158,255,155,155,155,255,152,152,152,255,150,150,150,255,148,148,148,255,147,147,147,255,146,146,146,255,145,145,145,255,145,145,145,255,144,144,144,255,144,144,144,255,143,143,143,255,143,143,143,255,143,143,143,255,143,143,143,255,144,144,144,255,144,144,144,255,144,144,144,255,145,145,145,255,145,145,145,255,146,146,146,255,146,146,146,255,145,145,145,255,144,144,144,255,141,141,141,255,138,138,138,255,135,135,135,255,132,132,132,255,131,131,131,255,130,130,130,255,130,130,130,255,131,131,131,255,132,132,132,255,133,133,133,255,134,134,134,255,134,134,134,255,134,134,134,255,133,133,133,255,133,133,133,255,132,132,132,255,131,131,131,255,131,131,131,255,102,102,102,255,102,102,102,255,103,103,103,255,104,104,104,255,105,105,105,255,105,105,105,255,105,105,105,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,105,105,105,255,107,107,107,255,109,109,109,255,111,111,111,255,113,113,113,255,115,115,115,255,117,117,117,255,119,119,119,255,122,122,122,255,124,124,124,255,126,126,126,255,127,127,127,255,129,129,129,255,130,130,130,255,130,130,130,255,130,130,130,255,130,130,130,255,129,129,129,255,129,129,129,255,129,129,129,255,129,129,129,255,130,130,130,255,131,131,131,255,132,132,132,255,135,135,135,255,138,138,138,255,141,141,141,255,145,145,145,255,149,149,149,255,153,153,153,255,158,158,158,255,161,161,161,255,165,165,165,255,169,169,169,255,172,172,172,255,175,175,175,255,177,177,177,255,177,177,177,255,177,177,177,255,174,174,174,255,171,171,171,255,168,168,168,255,164,164,164,255,162,162,162,255,159,159,159,255,157,157,157,255,155,155,155,255,153,153,153,255,151,151,151,255,149,149,149,255,147,147,147,255,146,146,146,255,146,146,146,255,146,146,146,255,146,146,146,255,146,146,146,255,146,146,146,255,146,146,146,255,146,146,146,255,145,145,145,255,145,145,145,255,145,145,145,255,145,145,145,255,146,146,146,255,146,146,146,255,147,147,147,255,148,148,148,255,148,148,148,255,147,147,147,255,146,146,146,255,144,144,144,255,142,142,142,255,139,139,139,255,137,137,137,255,136,136,136,255,135,135,135,255,135,135,135,255,135,135,135,255,136,136,136,255,136,136,136,255,136,136,136,255,136,136,136,255,136,136,136,255,136,136,136,255,136,136,136,255,136,136,136,255,136,136,136,255,136,136,136,255,97,97,97,255,98,98,98,255,100,100,100,255,101,101,101,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,103,103,103,255,104,104,104,255,105,105,105,255,106,106,106,255,108,108,108,255,110,110,110,255,112,112,112,255,114,114,114,255,116,116,116,255,119,119,119,255,121,121,121,255,124,124,124,255,126,126,126,255,128,128,128,255,129,129,129,255,130,130,130,255,130,130,130,255,129,129,129,255,128,128,128,255,127,127,127,255,126,126,126,255,126,126,126,255,126,126,126,255,127,127,127,255,128,128,128,255,130,130,130,255,133,133,133,255,136,136,136,255,139,139,139,255,143,143,143,255,146,146,146,255,150,150,150,255,154,154,154,255,157,157,157,255,161,161,161,255,165,165,165,255,169,169,169,255,172,172,172,255,174,174,174,255,175,175,175,255,174,174,174,255,171,171,171,255,168,168,168,255,164,164,164,255,160,160,160,255,157,157,157,255,155,155,155,255,153,153,153,255,152,152,152,255,150,150,150,255,149,149,149,255,147,147,147,255,146,146,146,255,145,145,145,255,145,145,145,255,146,146,146,255,147,147,147,255,148,148,148,255,148,148,148,255,148,148,148,255,148,148,148,255,147,147,147,255,147,147,147,255,147,147,147,255,147,147,147,255,147,147,147,255,148,148,148,255,149,149,149,255,150,150,150,255,150,150,150,255,150,150,150,255,149,149,149,255,147,147,147,255,145,145,145,255,143,143,143,255,142,142,142,255,141,141,141,255,140,140,140,255,140,140,140,255,140,140,140,255,140,140,140,255,139,139,139,255,139,139,139,255,139,139,139,255,139,139,139,255,139,139,139,255,140,140,140,255,140,140,140,255,140,140,140,255,140,140,140,255,94,94,94,255,95,95,95,255,97,97,97,255,98,98,98,255,99,99,99,255,100,100,100,255,100,100,100,255,100,100,100,255,101,101,101,255,101,101,101,255,102,102,102,255,103,103,103,255,104,104,104,255,105,105,105,255,107,107,107,255,109,109,109,255,111,111,111,255,113,113,113,255,115,115,115,255,118,118,118,255,121,121,121,255,123,123,123,255,126,126,126,255,128,128,128,255,130,130,130,255,130,130,130,255,130,130,130,255,128,128,128,255,127,127,127,255,125,125,125,255,124,124,124,255,124,124,124,255,124,124,124,255,125,125,125,255,126,126,126,255,128,128,128,255,131,131,131,255,134,134,134,255,137,137,137,255,140,140,140,255,144,144,144,255,147,147,147,255,151,151,151,255,154,154,154,255,158,158,158,255,162,162,162,255,165,165,165,255,169,169,169,255,171,171,171,255,172,172,172,255,171,171,171,255,168,168,168,255,164,164,164,255,160,160,160,255,156,156,156,255,153,153,153,255,151,151,151,255,149,149,149,255,148,148,148,255,147,147,147,255,146,146,146,255,145,145,145,255,144,144,144,255,143,143,143,255,144,144,144,255,145,145,145,255,147,147,147,255,148,148,148,255,148,148,148,255,149,149,149,255,149,149,149,255,148,148,148,255,148,148,148,255,148,148,148,255,148,148,148,255,149,149,149,255,149,149,149,255,150,150,150,255,151,151,151,255,152,152,152,255,152,152,152,255,151,151,151,255,150,150,150,255,148,148,148,255,147,147,147,255,146,146,146,255,145,145,145,255,145,145,145,255,144,144,144,255,144,144,144,255,143,143,143,255,143,143,143,255,142,142,142,255,142,142,142,255,142,142,142,255,142,142,142,255,143,143,143,255,143,143,143,255,144,144,144,255,144,144,144,255,92,92,92,255,93,93,93,255,94,94,94,255,96,96,96,255,97,97,97,255,98,98,98,255,98,98,98,255,99,99,99,255,99,99,99,255,100,100,100,255,101,101,101,255,102,102,102,255,103,103,103,255,105,105,105,255,106,106,106,255,108,108,108,255,110,110,110,255,112,112,112,255,115,115,115,255,117,117,117,255,120,120,120,255,123,123,123,255,126,126,126,255,128,128,128,255,129,129,129,255,130,130,130,255,129,129,129,255,128,128,128,255,126,126,126,255,124,124,124,255,123,123,123,255,123,123,123,255,123,123,123,255,123,123,123,255,125,125,125,255,126,126,126,255,129,129,129,255,131,131,131,255,134,134,134,255,138,138,138,255,141,141,141,255,145,145,145,255,148,148,148,255,151,151,151,255,154,154,154,255,158,158,158,255,161,161,161,255,165,165,165,255,167,167,167,255,167,167,167,255,167,167,167,255,164,164,164,255,160,160,160,255,156,156,156,255,152,152,152,255,149,149,149,255,148,148,148,255,146,146,146,255,145,145,145,255,144,144,144,255,143,143,143,255,142,142,142,255,141,141,141,255,141,141,141,255,142,142,142,255,143,143,143,255,145,145,145,255,147,147,147,255,148,148,148,255,148,148,148,255,149,149,149,255,149,149,149,255,149,149,149,255,149,149,149,255,149,149,149,255,150,150,150,255,151,151,151,255,152,152,152,255,152,152,152,255,153,153,153,255,153,153,153,255,152,152,152,255,152,152,152,255,150,150,150,255,149,149,149,255,148,148,148,255,148,148,148,255,148,148,148,255,147,147,147,255,147,147,147,255,146,146,146,255,146,146,146,255,145,145,145,255,145,145,145,255,145,145,145,255,145,145,145,255,145,145,145,255,145,145,145,255,146,146,146,255,146,146,146,255,91,91,91,255,91,91,91,255,93,93,93,255,94,94,94,255,95,95,95,255,96,96,96,255,97,97,97,255,97,97,97,255,98,98,98,255,99,99,99,255,100,100,100,255,102,102,102,255,103,103,103,255,104,104,104,255,106,106,106,255,107,107,107,255,109,109,109,255,111,111,111,255,114,114,114,255,117,117,117,255,120,120,120,255,123,123,123,255,126,126,126,255,128,128,128,255,130,130,130,255,130,130,130,255,130,130,130,255,128,128,128,255,126,126,126,255,124,124,124,255,123,123,123,255,122,122,122,255,122,122,122,255,122,122,122,255,123,123,123,255,124,124,124,255,126,126,126,255,129,129,129,255,131,131,131,255,135,135,135,255,138,138,138,255,141,141,141,255,144,144,144,255,147,147,147,255,150,150,150,255,154,154,154,255,157,157,157,255,160,160,160,255,162,162,162,255,163,163,163,255,162,162,162,255,159,159,159,255,156,156,156,255,152,152,152,255,148,148,148,255,146,146,146,255,144,144,144,255,143,143,143,255,142,142,142,255,141,141,141,255,140,140,140,255,139,139,139,255,138,138,138,255,138,138,138,255,139,139,139,255,141,141,141,255,143,143,143,255,146,146,146,255,147,147,147,255,148,148,148,255,149,149,149,255,150,150,150,255,150,150,150,255,151,151,151,255,151,151,151,255,151,151,151,255,152,152,152,255,152,152,152,255,153,153,153,255,153,153,153,255,153,153,153,255,153,153,153,255,152,152,152,255,151,151,151,255,151,151,151,255,150,150,150,255,150,150,150,255,150,150,150,255,150,150,150,255,150,150,150,255,150,150,150,255,150,150,150,255,149,149,149,255,149,149,149,255,148,148,148,255,148,148,148,255,147,147,147,255,147,147,147,255,147,147,147,255,147,147,147,255,91,91,91,255,91,91,91,255,92,92,92,255,92,92,92,255,93,93,93,255,94,94,94,255,95,95,95,255,96,96,96,255,97,97,97,255,98,98,98,255,100,100,100,255,101,101,101,255,102,102,102,255,104,104,104,255,105,105,105,255,106,106,106,255,108,108,108,255,110,110,110,255,113,113,113,255,116,116,116,255,119,119,119,255,123,123,123,255,126,126,126,255,129,129,129,255,130,130,130,255,131,131,131,255,130,130,130,255,129,129,129,255,126,126,126,255,125,125,125,255,123,123,123,255,122,122,122,255,121,121,121,255,121,121,121,255,121,121,121,255,121,121,121,255,123,123,123,255,125,125,125,255,128,128,128,255,131,131,131,255,135,135,135,255,138,138,138,255,141,141,141,255,143,143,143,255,146,146,146,255,149,149,149,255,153,153,153,255,155,155,155,255,157,157,157,255,158,158,158,255,157,157,157,255,155,155,155,255,152,152,152,255,148,148,148,255,145,145,145,255,143,143,143,255,141,141,141,255,140,140,140,255,139,139,139,255,138,138,138,255,137,137,137,255,135,135,135,255,134,134,134,255,135,135,135,255,136,136,136,255,139,139,139,255,142,142,142,255,145,145,145,255,147,147,147,255,148,148,148,255,150,150,150,255,151,151,151,255,151,151,151,255,152,152,152,255,152,152,152,255,152,152,152,255,152,152,152,255,152,152,152,255,152,152,152,255,152,152,152,255,151,151,151,255,151,151,151,255,151,151,151,255,151,151,151,255,151,151,151,255,151,151,151,255,151,151,151,255,152,152,152,255,152,152,152,255,153,153,153,255,153,153,153,255,153,153,153,255,153,153,153,255,152,152,152,255,152,152,152,255,151,151,151,255,150,150,150,255,149,149,149,255,148,148,148,255,148,148,148,255,91,91,91,255,91,91,91,255,91,91,91,255,91,91,91,255,91,91,91,255,91,91,91,255,92,92,92,255,94,94,94,255,95,95,95,255,97,97,97,255,99,99,99,255,100,100,100,255,102,102,102,255,103,103,103,255,104,104,104,255,105,105,105,255,107,107,107,255,109,109,109,255,111,111,111,255,114,114,114,255,118,118,118,255,122,122,122,255,126,126,126,255,129,129,129,255,131,131,131,255,131,131,131,255,131,131,131,255,129,129,129,255,127,127,127,255,125,125,125,255,123,123,123,255,122,122,122,255,121,121,121,255,119,119,119,255,118,118,118,255,118,118,118,255,119,119,119,255,121,121,121,255,124,124,124,255,128,128,128,255,131,131,131,255,134,134,134,255,137,137,137,255,139,139,139,255,142,142,142,255,145,145,145,255,148,148,148,255,150,150,150,255,152,152,152,255,153,153,153,255,152,152,152,255,150,150,150,255,148,148,148,255,145,145,145,255,142,142,142,255,140,140,140,255,138,138,138,255,137,137,137,255,136,136,136,255,134,134,134,255,133,133,133,255,132,132,132,255,131,131,131,255,131,131,131,255,134,134,134,255,137,137,137,255,140,140,140,255,143,143,143,255,146,146,146,255,148,148,148,255,150,150,150,255,151,151,151,255,152,152,152,255,153,153,153,255,153,153,153,255,153,153,153,255,153,153,153,255,152,152,152,255,150,150,150,255,150,150,150,255,149,149,149,255,150,150,150,255,150,150,150,255,150,150,150,255,151,151,151,255,152,152,152,255,152,152,152,255,153,153,153,255,154,154,154,255,155,155,155,255,156,156,156,255,157,157,157,255,157,157,157,255,156,156,156,255,155,155,155,255,154,154,154,255,152,152,152,255,151,151,151,255,150,150,150,255,149,149,149,255,92,92,92,255,91,91,91,255,90,90,90,255,89,89,89,255,89,89,89,255,90,90,90,255,91,91,91,255,92,92,92,255,94,94,94,255,96,96,96,255,98,98,98,255,100,100,100,255,101,101,101,255,102,102,102,255,103,103,103,255,104,104,104,255,106,106,106,255,107,107,107,255,110,110,110,255,113,113,113,255,117,117,117,255,122,122,122,255,126,126,126,255,129,129,129,255,131,131,131,255,132,132,132,255,131,131,131,255,129,129,129,255,127,127,127,255,125,125,125,255,123,123,123,255,122,122,122,255,120,120,120,255,118,118,118,255,116,116,116,255,116,116,116,255,116,116,116,255,118,118,118,255,121,121,121,255,124,124,124,255,127,127,127,255,131,131,131,255,133,133,133,255,135,135,135,255,138,138,138,255,141,141,141,255,144,144,144,255,146,146,146,255,148,148,148,255,148,148,148,255,148,148,148,255,146,146,146,255,144,144,144,255,141,141,141,255,139,139,139,255,137,137,137,255,136,136,136,255,134,134,134,255,133,133,133,255,131,131,131,255,130,130,130,255,128,128,128,255,127,127,127,255,128,128,128,255,131,131,131,255,135,135,135,255,139,139,139,255,142,142,142,255,145,145,145,255,147,147,147,255,149,149,149,255,151,151,151,255,152,152,152,255,153,153,153,255,154,154,154,255,154,154,154,255,152,152,152,255,151,151,151,255,149,149,149,255,148,148,148,255,147,147,147,255,148,148,148,255,149,149,149,255,150,150,150,255,151,151,151,255,152,152,152,255,153,153,153,255,154,154,154,255,155,155,155,255,157,157,157,255,159,159,159,255,160,160,160,255,160,160,160,255,160,160,160,255,159,159,159,255,157,157,157,255,154,154,154,255,152,152,152,255,151,151,151,255,151,151,151,255,92,92,92,255,91,91,91,255,89,89,89,255,88,88,88,255,88,88,88,255,88,88,88,255,89,89,89,255,91,91,91,255,93,93,93,255,95,95,95,255,97,97,97,255,99,99,99,255,100,100,100,255,101,101,101,255,102,102,102,255,103,103,103,255,105,105,105,255,106,106,106,255,109,109,109,255,112,112,112,255,117,117,117,255,121,121,121,255,126,126,126,255,129,129,129,255,131,131,131,255,132,132,132,255,131,131,131,255,129,129,129,255,127,127,127,255,125,125,125,255,123,123,123,255,121,121,121,255,119,119,119,255,116,116,116,255,114,114,114,255,113,113,113,255,113,113,113,255,115,115,115,255,118,118,118,255,121,121,121,255,124,124,124,255,127,127,127,255,130,130,130,255,132,132,132,255,134,134,134,255,137,137,137,255,140,140,140,255,142,142,142,255,144,144,144,255,144,144,144,255,144,144,144,255,142,142,142,255,140,140,140,255,138,138,138,255,136,136,136,255,134,134,134,255,133,133,133,255,131,131,131,255,130,130,130,255,128,128,128,255,127,127,127,255,126,126,126,255,125,125,125,255,126,126,126,255,129,129,129,255,133,133,133,255,137,137,137,255,141,141,141,255,144,144,144,255,146,146,146,255,148,148,148,255,150,150,150,255,152,152,152,255,153,153,153,255,154,154,154,255,153,153,153,255,152,152,152,255,150,150,150,255,148,148,148,255,146,146,146,255,146,146,146,255,146,146,146,255,148,148,148,255,149,149,149,255,151,151,151,255,152,152,152,255,154,154,154,255,155,155,155,255,156,156,156,255,158,158,158,255,161,161,161,255,162,162,162,255,163,163,163,255,163,163,163,255,161,161,161,255,159,159,159,255,157,157,157,255,155,155,155,255,153,153,153,255,152,152,152,255,90,90,90,255,89,89,89,255,88,88,88,255,87,87,87,255,86,86,86,255,86,86,86,255,88,88,88,255,90,90,90,255,92,92,92,255,94,94,94,255,96,96,96,255,98,98,98,255,99,99,99,255,100,100,100,255,101,101,101,255,102,102,102,255,104,104,104,255,106,106,106,255,108,108,108,255,112,112,112,255,116,116,116,255,121,121,121,255,125,125,125,255,128,128,128,255,130,130,130,255,131,131,131,255,130,130,130,255,128,128,128,255,126,126,126,255,124,124,124,255,122,122,122,255,120,120,120,255,118,118,118,255,115,115,115,255,113,113,113,255,111,111,111,255,111,111,111,255,113,113,113,255,116,116,116,255,119,119,119,255,122,122,122,255,125,125,125,255,127,127,127,255,129,129,129,255,131,131,131,255,134,134,134,255,136,136,136,255,139,139,139,255,140,140,140,255,141,141,141,255,140,140,140,255,139,139,139,255,137,137,137,255,135,135,135,255,133,133,133,255,131,131,131,255,130,130,130,255,128,128,128,255,127,127,127,255,125,125,125,255,124,124,124,255,123,123,123,255,122,122,122,255,124,124,124,255,126,126,126,255,131,131,131,255,135,135,135,255,139,139,139,255,142,142,142,255,145,145,145,255,147,147,147,255,149,149,149,255,150,150,150,255,152,152,152,255,152,152,152,255,152,152,152,255,151,151,151,255,149,149,149,255,147,147,147,255,145,145,145,255,145,145,145,255,146,146,146,255,147,147,147,255,149,149,149,255,151,151,151,255,153,153,153,255,154,154,154,255,156,156,156,255,158,158,158,255,160,160,160,255,162,162,162,255,164,164,164,255,165,165,165,255,165,165,165,255,164,164,164,255,162,162,162,255,159,159,159,255,157,157,157,255,156,156,156,255,155,155,155,255,88,88,88,255,87,87,87,255,86,86,86,255,85,85,85,255,85,85,85,255,85,85,85,255,86,86,86,255,88,88,88,255,90,90,90,255,92,92,92,255,94,94,94,255,96,96,96,255,98,98,98,255,99,99,99,255,100,100,100,255,102,102,102,255,103,103,103,255,105,105,105,255,108,108,108,255,111,111,111,255,115,115,115,255,119,119,119,255,123,123,123,255,126,126,126,255,128,128,128,255,128,128,128,255,128,128,128,255,126,126,126,255,125,125,125,255,123,123,123,255,121,121,121,255,119,119,119,255,117,117,117,255,114,114,114,255,112,112,112,255,111,111,111,255,111,111,111,255,112,112,112,255,114,114,114,255,117,117,117,255,120,120,120,255,122,122,122,255,124,124,124,255,126,126,126,255,128,128,128,255,130,130,130,255,133,133,133,255,135,135,135,255,136,136,136,255,137,137,137,255,136,136,136,255,135,135,135,255,133,133,133,255,131,131,131,255,129,129,129,255,128,128,128,255,127,127,127,255,126,126,126,255,125,125,125,255,123,123,123,255,122,122,122,255,121,121,121,255,121,121,121,255,122,122,122,255,125,125,125,255,129,129,129,255,133,133,133,255,137,137,137,255,140,140,140,255,142,142,142,255,145,145,145,255,146,146,146,255,148,148,148,255,149,149,149,255,149,149,149,255,149,149,149,255,149,149,149,255,147,147,147,255,146,146,146,255,145,145,145,255,146,146,146,255,147,147,147,255,148,148,148,255,150,150,150,255,152,152,152,255,154,154,154,255,156,156,156,255,157,157,157,255,159,159,159,255,161,161,161,255,164,164,164,255,165,165,165,255,166,166,166,255,166,166,166,255,165,165,165,255,163,163,163,255,161,161,161,255,159,159,159,255,158,158,158,255,157,157,157,255,86,86,86,255,85,85,85,255,84,84,84,255,84,84,84,255,83,83,83,255,84,84,84,255,85,85,85,255,86,86,86,255,88,88,88,255,90,90,90,255,92,92,92,255,94,94,94,255,96,96,96,255,97,97,97,255,99,99,99,255,101,101,101,255,103,103,103,255,106,106,106,255,108,108,108,255,111,111,111,255,114,114,114,255,118,118,118,255,120,120,120,255,123,123,123,255,124,124,124,255,125,125,125,255,125,125,125,255,124,124,124,255,123,123,123,255,122,122,122,255,120,120,120,255,119,119,119,255,117,117,117,255,114,114,114,255,112,112,112,255,111,111,111,255,111,111,111,255,112,112,112,255,114,114,114,255,116,116,116,255,118,118,118,255,120,120,120,255,121,121,121,255,123,123,123,255,124,124,124,255,126,126,126,255,128,128,128,255,130,130,130,255,131,131,131,255,131,131,131,255,131,131,131,255,130,130,130,255,129,129,129,255,128,128,128,255,126,126,126,255,125,125,125,255,124,124,124,255,123,123,123,255,122,122,122,255,122,122,122,255,121,121,121,255,120,120,120,255,120,120,120,255,121,121,121,255,123,123,123,255,127,127,127,255,131,131,131,255,134,134,134,255,138,138,138,255,140,140,140,255,142,142,142,255,143,143,143,255,144,144,144,255,145,145,145,255,145,145,145,255,146,146,146,255,146,146,146,255,146,146,146,255,146,146,146,255,146,146,146,255,147,147,147,255,149,149,149,255,150,150,150,255,152,152,152,255,154,154,154,255,156,156,156,255,158,158,158,255,160,160,160,255,161,161,161,255,163,163,163,255,165,165,165,255,166,166,166,255,166,166,166,255,166,166,166,255,166,166,166,255,164,164,164,255,163,163,163,255,161,161,161,255,160,160,160,255,159,159,159,255,84,84,84,255,83,83,83,255,83,83,83,255,82,82,82,255,82,82,82,255,82,82,82,255,83,83,83,255,85,85,85,255,86,86,86,255,88,88,88,255,90,90,90,255,91,91,91,255,93,93,93,255,95,95,95,255,98,98,98,255,101,101,101,255,103,103,103,255,106,106,106,255,109,109,109,255,111,111,111,255,113,113,113,255,115,115,115,255,117,117,117,255,118,118,118,255,120,120,120,255,120,120,120,255,121,121,121,255,121,121,121,255,121,121,121,255,120,120,120,255,120,120,120,255,118,118,118,255,116,116,116,255,114,114,114,255,112,112,112,255,111,111,111,255,111,111,111,255,112,112,112,255,114,114,114,255,115,115,115,255,116,116,116,255,117,117,117,255,118,118,118,255,120,120,120,255,121,121,121,255,122,122,122,255,124,124,124,255,125,125,125,255,126,126,126,255,126,126,126,255,126,126,126,255,125,125,125,255,125,125,125,255,124,124,124,255,123,123,123,255,122,122,122,255,121,121,121,255,120,120,120,255,120,120,120,255,120,120,120,255,119,119,119,255,119,119,119,255,119,119,119,255,120,120,120,255,122,122,122,255,125,125,125,255,128,128,128,255,132,132,132,255,135,135,135,255,137,137,137,255,138,138,138,255,139,139,139,255,139,139,139,255,140,140,140,255,140,140,140,255,141,141,141,255,142,142,142,255,144,144,144,255,146,146,146,255,147,147,147,255,149,149,149,255,151,151,151,255,152,152,152,255,154,154,154,255,156,156,156,255,158,158,158,255,160,160,160,255,162,162,162,255,164,164,164,255,165,165,165,255,165,165,165,255,166,166,166,255,166,166,166,255,166,166,166,255,166,166,166,255,165,165,165,255,164,164,164,255,163,163,163,255,162,162,162,255,162,162,162,255,82,82,82,255,82,82,82,255,81,81,81,255,81,81,81,255,81,81,81,255,81,81,81,255,82,82,82,255,83,83,83,255,84,84,84,255,86,86,86,255,88,88,88,255,89,89,89,255,91,91,91,255,93,93,93,255,96,96,96,255,100,100,100,255,103,103,103,255,106,106,106,255,109,109,109,255,111,111,111,255,112,112,112,255,113,113,113,255,113,113,113,255,114,114,114,255,115,115,115,255,116,116,116,255,117,117,117,255,118,118,118,255,119,119,119,255,119,119,119,255,119,119,119,255,118,118,118,255,116,116,116,255,114,114,114,255,113,113,113,255,112,112,112,255,112,112,112,255,113,113,113,255,114,114,114,255,115,115,115,255,115,115,115,255,115,115,115,255,116,116,116,255,117,117,117,255,118,118,118,255,119,119,119,255,120,120,120,255,120,120,120,255,121,121,121,255,121,121,121,255,121,121,121,255,121,121,121,255,121,121,121,255,121,121,121,255,120,120,120,255,120,120,120,255,119,119,119,255,118,118,118,255,118,118,118,255,118,118,118,255,118,118,118,255,118,118,118,255,118,118,118,255,118,118,118,255,120,120,120,255,123,123,123,255,126,126,126,255,129,129,129,255,132,132,132,255,134,134,134,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,136,136,136,255,137,137,137,255,139,139,139,255,142,142,142,255,145,145,145,255,148,148,148,255,151,151,151,255,152,152,152,255,154,154,154,255,156,156,156,255,158,158,158,255,160,160,160,255,162,162,162,255,164,164,164,255,166,166,166,255,166,166,166,255,166,166,166,255,166,166,166,255,166,166,166,255,166,166,166,255,166,166,166,255,166,166,166,255,165,165,165,255,164,164,164,255,164,164,164,255,164,164,164,255,81,81,81,255,81,81,81,255,80,80,80,255,80,80,80,255,80,80,80,255,80,80,80,255,81,81,81,255,82,82,82,255,83,83,83,255,84,84,84,255,86,86,86,255,87,87,87,255,89,89,89,255,91,91,91,255,95,95,95,255,99,99,99,255,102,102,102,255,106,106,106,255,108,108,108,255,110,110,110,255,110,110,110,255,110,110,110,255,110,110,110,255,110,110,110,255,111,111,111,255,112,112,112,255,114,114,114,255,115,115,115,255,117,117,117,255,118,118,118,255,118,118,118,255,117,117,117,255,116,116,116,255,114,114,114,255,113,113,113,255,112,112,112,255,112,112,112,255,113,113,113,255,114,114,114,255,114,114,114,255,114,114,114,255,114,114,114,255,114,114,114,255,115,115,115,255,116,116,116,255,116,116,116,255,117,117,117,255,117,117,117,255,117,117,117,255,117,117,117,255,117,117,117,255,118,118,118,255,118,118,118,255,118,118,118,255,118,118,118,255,117,117,117,255,116,116,116,255,116,116,116,255,116,116,116,255,116,116,116,255,116,116,116,255,116,116,116,255,116,116,116,255,117,117,117,255,118,118,118,255,121,121,121,255,124,124,124,255,127,127,127,255,130,130,130,255,131,131,131,255,132,132,132,255,132,132,132,255,132,132,132,255,131,131,131,255,132,132,132,255,133,133,133,255,136,136,136,255,140,140,140,255,144,144,144,255,148,148,148,255,151,151,151,255,153,153,153,255,155,155,155,255,157,157,157,255,159,159,159,255,162,162,162,255,164,164,164,255,166,166,166,255,167,167,167,255,167,167,167,255,167,167,167,255,167,167,167,255,167,167,167,255,167,167,167,255,167,167,167,255,167,167,167,255,167,167,167,255,167,167,167,255,166,166,166,255,166,166,166,255,81,81,81,255,81,81,81,255,80,80,80,255,80,80,80,255,79,79,79,255,79,79,79,255,80,80,80,255,80,80,80,255,81,81,81,255,83,83,83,255,84,84,84,255,85,85,85,255,87,87,87,255,90,90,90,255,93,93,93,255,97,97,97,255,101,101,101,255,104,104,104,255,106,106,106,255,108,108,108,255,108,108,108,255,108,108,108,255,108,108,108,255,107,107,107,255,108,108,108,255,109,109,109,255,111,111,111,255,113,113,113,255,115,115,115,255,116,116,116,255,117,117,117,255,116,116,116,255,115,115,115,255,114,114,114,255,113,113,113,255,112,112,112,255,112,112,112,255,113,113,113,255,114,114,114,255,114,114,114,255,113,113,113,255,113,113,113,255,113,113,113,255,113,113,113,255,114,114,114,255,114,114,114,255,114,114,114,255,115,115,115,255,115,115,115,255,115,115,115,255,115,115,115,255,115,115,115,255,115,115,115,255,116,116,116,255,115,115,115,255,115,115,115,255,113,113,113,255,113,113,113,255,113,113,113,255,113,113,113,255,114,114,114,255,114,114,114,255,114,114,114,255,114,114,114,255,116,116,116,255,118,118,118,255,121,121,121,255,124,124,124,255,127,127,127,255,129,129,129,255,130,130,130,255,130,130,130,255,129,129,129,255,129,129,129,255,129,129,129,255,131,131,131,255,134,134,134,255,138,138,138,255,143,143,143,255,147,147,147,255,151,151,151,255,153,153,153,255,155,155,155,255,157,157,157,255,160,160,160,255,162,162,162,255,164,164,164,255,167,167,167,255,168,168,168,255,168,168,168,255,168,168,168,255,168,168,168,255,168,168,168,255,169,169,169,255,169,169,169,255,170,170,170,255,170,170,170,255,169,169,169,255,169,169,169,255,169,169,169,255,81,81,81,255,80,80,80,255,80,80,80,255,80,80,80,255,80,80,80,255,80,80,80,255,80,80,80,255,80,80,80,255,81,81,81,255,81,81,81,255,82,82,82,255,84,84,84,255,85,85,85,255,88,88,88,255,91,91,91,255,95,95,95,255,99,99,99,255,102,102,102,255,104,104,104,255,105,105,105,255,105,105,105,255,105,105,105,255,105,105,105,255,105,105,105,255,105,105,105,255,106,106,106,255,108,108,108,255,110,110,110,255,113,113,113,255,114,114,114,255,115,115,115,255,115,115,115,255,115,115,115,255,114,114,114,255,113,113,113,255,112,112,112,255,112,112,112,255,113,113,113,255,113,113,113,255,113,113,113,255,113,113,113,255,112,112,112,255,112,112,112,255,112,112,112,255,112,112,112,255,113,113,113,255,113,113,113,255,113,113,113,255,113,113,113,255,113,113,113,255,113,113,113,255,113,113,113,255,113,113,113,255,114,114,114,255,113,113,113,255,112,112,112,255,111,111,111,255,110,110,110,255,110,110,110,255,111,111,111,255,111,111,111,255,112,112,112,255,112,112,112,255,112,112,112,255,114,114,114,255,116,116,116,255,119,119,119,255,122,122,122,255,125,125,125,255,127,127,127,255,128,128,128,255,128,128,128,255,128,128,128,255,128,128,128,255,128,128,128,255,130,130,130,255,133,133,133,255,137,137,137,255,142,142,142,255,146,146,146,255,149,149,149,255,152,152,152,255,154,154,154,255,157,157,157,255,159,159,159,255,161,161,161,255,164,164,164,255,167,167,167,255,168,168,168,255,169,169,169,255,169,169,169,255,170,170,170,255,170,170,170,255,171,171,171,255,172,172,172,255,172,172,172,255,172,172,172,255,172,172,172,255,172,172,172,255,171,171,171,255,80,80,80,255,80,80,80,255,80,80,80,255,81,81,81,255,81,81,81,255,81,81,81,255,81,81,81,255,80,80,80,255,80,80,80,255,80,80,80,255,80,80,80,255,81,81,81,255,83,83,83,255,85,85,85,255,89,89,89,255,92,92,92,255,95,95,95,255,98,98,98,255,100,100,100,255,101,101,101,255,102,102,102,255,101,101,101,255,101,101,101,255,101,101,101,255,102,102,102,255,103,103,103,255,105,105,105,255,107,107,107,255,110,110,110,255,112,112,112,255,113,113,113,255,113,113,113,255,113,113,113,255,113,113,113,255,112,112,112,255,112,112,112,255,112,112,112,255,113,113,113,255,113,113,113,255,113,113,113,255,112,112,112,255,111,111,111,255,111,111,111,255,111,111,111,255,111,111,111,255,111,111,111,255,111,111,111,255,111,111,111,255,111,111,111,255,111,111,111,255,111,111,111,255,111,111,111,255,111,111,111,255,111,111,111,255,111,111,111,255,110,110,110,255,108,108,108,255,108,108,108,255,108,108,108,255,109,109,109,255,109,109,109,255,109,109,109,255,110,110,110,255,110,110,110,255,112,112,112,255,114,114,114,255,117,117,117,255,120,120,120,255,123,123,123,255,125,125,125,255,127,127,127,255,127,127,127,255,127,127,127,255,128,128,128,255,128,128,128,255,130,130,130,255,133,133,133,255,137,137,137,255,141,141,141,255,145,145,145,255,148,148,148,255,151,151,151,255,153,153,153,255,156,156,156,255,158,158,158,255,160,160,160,255,163,163,163,255,165,165,165,255,168,168,168,255,169,169,169,255,171,171,171,255,172,172,172,255,173,173,173,255,174,174,174,255,175,175,175,255,175,175,175,255,175,175,175,255,174,174,174,255,174,174,174,255,174,174,174,255,79,79,79,255,80,80,80,255,81,81,81,255,82,82,82,255,83,83,83,255,83,83,83,255,82,82,82,255,81,81,81,255,80,80,80,255,79,79,79,255,79,79,79,255,79,79,79,255,81,81,81,255,83,83,83,255,86,86,86,255,89,89,89,255,92,92,92,255,94,94,94,255,96,96,96,255,97,97,97,255,98,98,98,255,98,98,98,255,97,97,97,255,97,97,97,255,98,98,98,255,99,99,99,255,102,102,102,255,104,104,104,255,107,107,107,255,110,110,110,255,111,111,111,255,112,112,112,255,112,112,112,255,112,112,112,255,112,112,112,255,112,112,112,255,112,112,112,255,113,113,113,255,113,113,113,255,112,112,112,255,111,111,111,255,111,111,111,255,110,110,110,255,110,110,110,255,110,110,110,255,110,110,110,255,110,110,110,255,110,110,110,255,110,110,110,255,110,110,110,255,110,110,110,255,110,110,110,255,110,110,110,255,109,109,109,255,109,109,109,255,107,107,107,255,106,106,106,255,106,106,106,255,106,106,106,255,107,107,107,255,108,108,108,255,108,108,108,255,108,108,108,255,109,109,109,255,111,111,111,255,113,113,113,255,116,116,116,255,118,118,118,255,121,121,121,255,124,124,124,255,126,126,126,255,127,127,127,255,128,128,128,255,128,128,128,255,129,129,129,255,131,131,131,255,133,133,133,255,137,137,137,255,140,140,140,255,144,144,144,255,147,147,147,255,150,150,150,255,152,152,152,255,154,154,154,255,156,156,156,255,158,158,158,255,161,161,161,255,164,164,164,255,167,167,167,255,169,169,169,255,172,172,172,255,174,174,174,255,176,176,176,255,177,177,177,255,178,178,178,255,178,178,178,255,177,177,177,255,176,176,176,255,175,175,175,255,175,175,175,255,78,78,78,255,79,79,79,255,81,81,81,255,83,83,83,255,84,84,84,255,84,84,84,255,84,84,84,255,82,82,82,255,80,80,80,255,78,78,78,255,77,77,77,255,77,77,77,255,78,78,78,255,81,81,81,255,83,83,83,255,86,86,86,255,89,89,89,255,91,91,91,255,93,93,93,255,94,94,94,255,94,94,94,255,94,94,94,255,94,94,94,255,94,94,94,255,95,95,95,255,96,96,96,255,98,98,98,255,101,101,101,255,105,105,105,255,107,107,107,255,109,109,109,255,110,110,110,255,110,110,110,255,111,111,111,255,111,111,111,255,111,111,111,255,111,111,111,255,112,112,112,255,112,112,112,255,112,112,112,255,111,111,111,255,110,110,110,255,109,109,109,255,109,109,109,255,109,109,109,255,109,109,109,255,109,109,109,255,109,109,109,255,109,109,109,255,109,109,109,255,109,109,109,255,109,109,109,255,108,108,108,255,108,108,108,255,107,107,107,255,105,105,105,255,104,104,104,255,104,104,104,255,104,104,104,255,105,105,105,255,106,106,106,255,107,107,107,255,107,107,107,255,108,108,108,255,109,109,109,255,111,111,111,255,114,114,114,255,117,117,117,255,120,120,120,255,123,123,123,255,125,125,125,255,127,127,127,255,128,128,128,255,129,129,129,255,131,131,131,255,132,132,132,255,134,134,134,255,137,137,137,255,140,140,140,255,143,143,143,255,146,146,146,255,149,149,149,255,152,152,152,255,153,153,153,255,155,155,155,255,157,157,157,255,159,159,159,255,162,162,162,255,166,166,166,255,169,169,169,255,173,173,173,255,176,176,176,255,178,178,178,255,180,180,180,255,181,181,181,255,180,180,180,255,179,179,179,255,178,178,178,255,177,177,177,255,176,176,176,255,77,77,77,255,78,78,78,255,81,81,81,255,83,83,83,255,85,85,85,255,85,85,85,255,85,85,85,255,83,83,83,255,80,80,80,255,77,77,77,255,75,75,75,255,75,75,75,255,76,76,76,255,78,78,78,255,81,81,81,255,83,83,83,255,86,86,86,255,88,88,88,255,90,90,90,255,91,91,91,255,91,91,91,255,91,91,91,255,91,91,91,255,91,91,91,255,92,92,92,255,93,93,93,255,96,96,96,255,99,99,99,255,102,102,102,255,105,105,105,255,107,107,107,255,108,108,108,255,109,109,109,255,109,109,109,255,110,110,110,255,110,110,110,255,111,111,111,255,111,111,111,255,111,111,111,255,110,110,110,255,110,110,110,255,109,109,109,255,108,108,108,255,108,108,108,255,108,108,108,255,107,107,107,255,107,107,107,255,107,107,107,255,107,107,107,255,107,107,107,255,107,107,107,255,107,107,107,255,107,107,107,255,106,106,106,255,105,105,105,255,103,103,103,255,102,102,102,255,102,102,102,255,102,102,102,255,103,103,103,255,104,104,104,255,105,105,105,255,105,105,105,255,106,106,106,255,108,108,108,255,110,110,110,255,113,113,113,255,116,116,116,255,119,119,119,255,121,121,121,255,124,124,124,255,126,126,126,255,128,128,128,255,130,130,130,255,131,131,131,255,133,133,133,255,134,134,134,255,137,137,137,255,139,139,139,255,142,142,142,255,146,146,146,255,148,148,148,255,151,151,151,255,152,152,152,255,154,154,154,255,156,156,156,255,158,158,158,255,161,161,161,255,165,165,165,255,169,169,169,255,173,173,173,255,177,177,177,255,180,180,180,255,182,182,182,255,183,183,183,255,182,182,182,255,180,180,180,255,179,179,179,255,177,177,177,255,177,177,177,255,75,75,75,255,77,77,77,255,80,80,80,255,82,82,82,255,84,84,84,255,85,85,85,255,84,84,84,255,82,82,82,255,79,79,79,255,76,76,76,255,74,74,74,255,73,73,73,255,75,75,75,255,77,77,77,255,79,79,79,255,82,82,82,255,84,84,84,255,86,86,86,255,88,88,88,255,89,89,89,255,89,89,89,255,89,89,89,255,89,89,89,255,89,89,89,255,90,90,90,255,91,91,91,255,94,94,94,255,97,97,97,255,100,100,100,255,103,103,103,255,105,105,105,255,106,106,106,255,107,107,107,255,107,107,107,255,108,108,108,255,108,108,108,255,109,109,109,255,109,109,109,255,109,109,109,255,109,109,109,255,108,108,108,255,107,107,107,255,106,106,106,255,106,106,106,255,106,106,106,255,105,105,105,255,105,105,105,255,105,105,105,255,105,105,105,255,105,105,105,255,105,105,105,255,105,105,105,255,104,104,104,255,104,104,104,255,102,102,102,255,101,101,101,255,100,100,100,255,99,99,99,255,100,100,100,255,101,101,101,255,103,103,103,255,103,103,103,255,104,104,104,255,105,105,105,255,106,106,106,255,108,108,108,255,111,111,111,255,114,114,114,255,117,117,117,255,120,120,120,255,123,123,123,255,125,125,125,255,128,128,128,255,129,129,129,255,131,131,131,255,132,132,132,255,134,134,134,255,136,136,136,255,139,139,139,255,142,142,142,255,145,145,145,255,148,148,148,255,150,150,150,255,152,152,152,255,153,153,153,255,155,155,155,255,157,157,157,255,161,161,161,255,165,165,165,255,169,169,169,255,173,173,173,255,177,177,177,255,180,180,180,255,183,183,183,255,183,183,183,255,183,183,183,255,181,181,181,255,179,179,179,255,178,178,178,255,177,177,177,255,74,74,74,255,76,76,76,255,79,79,79,255,81,81,81,255,83,83,83,255,83,83,83,255,82,82,82,255,80,80,80,255,78,78,78,255,75,75,75,255,73,73,73,255,73,73,73,255,74,74,74,255,76,76,76,255,78,78,78,255,81,81,81,255,83,83,83,255,85,85,85,255,86,86,86,255,87,87,87,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,89,89,89,255,90,90,90,255,93,93,93,255,96,96,96,255,99,99,99,255,101,101,101,255,103,103,103,255,104,104,104,255,105,105,105,255,105,105,105,255,106,106,106,255,107,107,107,255,107,107,107,255,108,108,108,255,108,108,108,255,107,107,107,255,106,106,106,255,105,105,105,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,103,103,103,255,103,103,103,255,102,102,102,255,101,101,101,255,99,99,99,255,98,98,98,255,98,98,98,255,98,98,98,255,100,100,100,255,101,101,101,255,102,102,102,255,102,102,102,255,103,103,103,255,105,105,105,255,107,107,107,255,110,110,110,255,113,113,113,255,116,116,116,255,119,119,119,255,122,122,122,255,124,124,124,255,126,126,126,255,128,128,128,255,129,129,129,255,131,131,131,255,133,133,133,255,135,135,135,255,137,137,137,255,141,141,141,255,144,144,144,255,147,147,147,255,149,149,149,255,151,151,151,255,152,152,152,255,154,154,154,255,157,157,157,255,160,160,160,255,164,164,164,255,168,168,168,255,173,173,173,255,177,177,177,255,180,180,180,255,182,182,182,255,183,183,183,255,183,183,183,255,181,181,181,255,180,180,180,255,178,178,178,255,178,178,178,255,74,74,74,255,75,75,75,255,77,77,77,255,79,79,79,255,80,80,80,255,80,80,80,255,79,79,79,255,78,78,78,255,76,76,76,255,74,74,74,255,74,74,74,255,74,74,74,255,75,75,75,255,77,77,77,255,78,78,78,255,80,80,80,255,81,81,81,255,83,83,83,255,84,84,84,255,86,86,86,255,87,87,87,255,88,88,88,255,88,88,88,255,89,89,89,255,90,90,90,255,91,91,91,255,92,92,92,255,95,95,95,255,97,97,97,255,99,99,99,255,101,101,101,255,102,102,102,255,103,103,103,255,103,103,103,255,104,104,104,255,105,105,105,255,106,106,106,255,106,106,106,255,106,106,106,255,106,106,106,255,105,105,105,255,104,104,104,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,102,102,102,255,101,101,101,255,100,100,100,255,98,98,98,255,97,97,97,255,97,97,97,255,97,97,97,255,98,98,98,255,99,99,99,255,100,100,100,255,100,100,100,255,101,101,101,255,103,103,103,255,105,105,105,255,108,108,108,255,111,111,111,255,114,114,114,255,117,117,117,255,120,120,120,255,122,122,122,255,124,124,124,255,126,126,126,255,127,127,127,255,129,129,129,255,131,131,131,255,133,133,133,255,135,135,135,255,138,138,138,255,141,141,141,255,144,144,144,255,147,147,147,255,149,149,149,255,150,150,150,255,152,152,152,255,155,155,155,255,158,158,158,255,162,162,162,255,166,166,166,255,171,171,171,255,175,175,175,255,178,178,178,255,181,181,181,255,182,182,182,255,182,182,182,255,181,181,181,255,181,181,181,255,180,180,180,255,180,180,180,255,73,73,73,255,74,74,74,255,75,75,75,255,76,76,76,255,76,76,76,255,76,76,76,255,75,75,75,255,75,75,75,255,74,74,74,255,74,74,74,255,74,74,74,255,75,75,75,255,76,76,76,255,78,78,78,255,78,78,78,255,79,79,79,255,80,80,80,255,81,81,81,255,82,82,82,255,84,84,84,255,86,86,86,255,88,88,88,255,89,89,89,255,90,90,90,255,91,91,91,255,92,92,92,255,93,93,93,255,95,95,95,255,96,96,96,255,97,97,97,255,98,98,98,255,99,99,99,255,100,100,100,255,101,101,101,255,103,103,103,255,104,104,104,255,105,105,105,255,105,105,105,255,105,105,105,255,105,105,105,255,104,104,104,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,102,102,102,255,100,100,100,255,99,99,99,255,98,98,98,255,96,96,96,255,96,96,96,255,96,96,96,255,97,97,97,255,98,98,98,255,98,98,98,255,99,99,99,255,100,100,100,255,102,102,102,255,104,104,104,255,107,107,107,255,110,110,110,255,113,113,113,255,115,115,115,255,118,118,118,255,120,120,120,255,121,121,121,255,123,123,123,255,124,124,124,255,126,126,126,255,128,128,128,255,130,130,130,255,132,132,132,255,135,135,135,255,138,138,138,255,141,141,141,255,144,144,144,255,146,146,146,255,148,148,148,255,150,150,150,255,152,152,152,255,156,156,156,255,159,159,159,255,164,164,164,255,168,168,168,255,172,172,172,255,176,176,176,255,178,178,178,255,180,180,180,255,181,181,181,255,182,182,182,255,182,182,182,255,182,182,182,255,182,182,182,255,73,73,73,255,73,73,73,255,73,73,73,255,73,73,73,255,73,73,73,255,72,72,72,255,72,72,72,255,72,72,72,255,73,73,73,255,74,74,74,255,75,75,75,255,77,77,77,255,78,78,78,255,79,79,79,255,79,79,79,255,78,78,78,255,78,78,78,255,79,79,79,255,81,81,81,255,83,83,83,255,85,85,85,255,88,88,88,255,90,90,90,255,92,92,92,255,93,93,93,255,94,94,94,255,94,94,94,255,95,95,95,255,95,95,95,255,96,96,96,255,96,96,96,255,96,96,96,255,98,98,98,255,99,99,99,255,101,101,101,255,103,103,103,255,104,104,104,255,104,104,104,255,105,105,105,255,104,104,104,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,103,103,103,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,103,103,103,255,102,102,102,255,100,100,100,255,99,99,99,255,97,97,97,255,96,96,96,255,95,95,95,255,96,96,96,255,96,96,96,255,97,97,97,255,97,97,97,255,98,98,98,255,99,99,99,255,100,100,100,255,103,103,103,255,105,105,105,255,108,108,108,255,111,111,111,255,113,113,113,255,115,115,115,255,117,117,117,255,118,118,118,255,120,120,120,255,121,121,121,255,123,123,123,255,125,125,125,255,127,127,127,255,129,129,129,255,132,132,132,255,135,135,135,255,138,138,138,255,140,140,140,255,142,142,142,255,144,144,144,255,146,146,146,255,149,149,149,255,152,152,152,255,156,156,156,255,160,160,160,255,165,165,165,255,169,169,169,255,173,173,173,255,175,175,175,255,178,178,178,255,180,180,180,255,182,182,182,255,183,183,183,255,183,183,183,255,184,184,184,255,74,74,74,255,73,73,73,255,73,73,73,255,72,72,72,255,71,71,71,255,70,70,70,255,69,69,69,255,70,70,70,255,71,71,71,255,74,74,74,255,76,76,76,255,78,78,78,255,79,79,79,255,79,79,79,255,79,79,79,255,78,78,78,255,77,77,77,255,78,78,78,255,79,79,79,255,82,82,82,255,85,85,85,255,88,88,88,255,91,91,91,255,93,93,93,255,95,95,95,255,95,95,95,255,95,95,95,255,95,95,95,255,94,94,94,255,94,94,94,255,94,94,94,255,94,94,94,255,95,95,95,255,97,97,97,255,99,99,99,255,101,101,101,255,102,102,102,255,103,103,103,255,103,103,103,255,103,103,103,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,103,103,103,255,103,103,103,255,104,104,104,255,104,104,104,255,104,104,104,255,105,105,105,255,104,104,104,255,103,103,103,255,102,102,102,255,100,100,100,255,99,99,99,255,97,97,97,255,96,96,96,255,95,95,95,255,95,95,95,255,96,96,96,255,96,96,96,255,96,96,96,255,97,97,97,255,98,98,98,255,99,99,99,255,102,102,102,255,104,104,104,255,107,107,107,255,109,109,109,255,111,111,111,255,113,113,113,255,114,114,114,255,116,116,116,255,117,117,117,255,118,118,118,255,120,120,120,255,122,122,122,255,124,124,124,255,126,126,126,255,128,128,128,255,131,131,131,255,134,134,134,255,136,136,136,255,138,138,138,255,141,141,141,255,143,143,143,255,145,145,145,255,149,149,149,255,153,153,153,255,157,157,157,255,162,162,162,255,166,166,166,255,170,170,170,255,173,173,173,255,176,176,176,255,179,179,179,255,181,181,181,255,183,183,183,255,185,185,185,255,185,185,185,255,75,75,75,255,74,74,74,255,73,73,73,255,72,72,72,255,70,70,70,255,69,69,69,255,68,68,68,255,69,69,69,255,71,71,71,255,73,73,73,255,76,76,76,255,78,78,78,255,79,79,79,255,79,79,79,255,78,78,78,255,77,77,77,255,76,76,76,255,77,77,77,255,79,79,79,255,82,82,82,255,85,85,85,255,89,89,89,255,92,92,92,255,95,95,95,255,96,96,96,255,96,96,96,255,96,96,96,255,95,95,95,255,94,94,94,255,93,93,93,255,93,93,93,255,93,93,93,255,94,94,94,255,95,95,95,255,98,98,98,255,100,100,100,255,101,101,101,255,102,102,102,255,102,102,102,255,102,102,102,255,101,101,101,255,101,101,101,255,101,101,101,255,102,102,102,255,103,103,103,255,103,103,103,255,104,104,104,255,105,105,105,255,105,105,105,255,105,105,105,255,105,105,105,255,104,104,104,255,102,102,102,255,101,101,101,255,99,99,99,255,97,97,97,255,96,96,96,255,96,96,96,255,95,95,95,255,96,96,96,255,96,96,96,255,96,96,96,255,97,97,97,255,98,98,98,255,99,99,99,255,101,101,101,255,104,104,104,255,106,106,106,255,108,108,108,255,110,110,110,255,111,111,111,255,112,112,112,255,113,113,113,255,114,114,114,255,116,116,116,255,118,118,118,255,119,119,119,255,121,121,121,255,123,123,123,255,126,126,126,255,128,128,128,255,131,131,131,255,133,133,133,255,135,135,135,255,137,137,137,255,140,140,140,255,142,142,142,255,146,146,146,255,150,150,150,255,154,154,154,255,159,159,159,255,163,163,163,255,167,167,167,255,171,171,171,255,174,174,174,255,178,178,178,255,181,181,181,255,183,183,183,255,185,185,185,255,186,186,186,255,77,77,77,255,76,76,76,255,75,75,75,255,73,73,73,255,71,71,71,255,70,70,70,255,69,69,69,255,69,69,69,255,71,71,71,255,73,73,73,255,76,76,76,255,78,78,78,255,79,79,79,255,79,79,79,255,78,78,78,255,77,77,77,255,76,76,76,255,77,77,77,255,79,79,79,255,82,82,82,255,86,86,86,255,90,90,90,255,93,93,93,255,95,95,95,255,97,97,97,255,97,97,97,255,96,96,96,255,95,95,95,255,94,94,94,255,93,93,93,255,92,92,92,255,92,92,92,255,93,93,93,255,94,94,94,255,96,96,96,255,98,98,98,255,99,99,99,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,101,101,101,255,102,102,102,255,103,103,103,255,104,104,104,255,105,105,105,255,105,105,105,255,105,105,105,255,105,105,105,255,104,104,104,255,103,103,103,255,101,101,101,255,100,100,100,255,98,98,98,255,97,97,97,255,96,96,96,255,96,96,96,255,96,96,96,255,97,97,97,255,97,97,97,255,97,97,97,255,98,98,98,255,99,99,99,255,101,101,101,255,103,103,103,255,105,105,105,255,107,107,107,255,108,108,108,255,110,110,110,255,110,110,110,255,111,111,111,255,112,112,112,255,114,114,114,255,115,115,115,255,117,117,117,255,119,119,119,255,121,121,121,255,123,123,123,255,126,126,126,255,128,128,128,255,131,131,131,255,133,133,133,255,135,135,135,255,137,137,137,255,140,140,140,255,143,143,143,255,147,147,147,255,152,152,152,255,157,157,157,255,161,161,161,255,166,166,166,255,169,169,169,255,173,173,173,255,177,177,177,255,180,180,180,255,183,183,183,255,185,185,185,255,185,185,185,255,80,80,80,255,79,79,79,255,77,77,77,255,75,75,75,255,73,73,73,255,71,71,71,255,70,70,70,255,70,70,70,255,71,71,71,255,74,74,74,255,76,76,76,255,78,78,78,255,79,79,79,255,79,79,79,255,78,78,78,255,78,78,78,255,78,78,78,255,79,79,79,255,81,81,81,255,84,84,84,255,88,88,88,255,91,91,91,255,94,94,94,255,97,97,97,255,98,98,98,255,98,98,98,255,97,97,97,255,96,96,96,255,95,95,95,255,94,94,94,255,93,93,93,255,92,92,92,255,92,92,92,255,93,93,93,255,94,94,94,255,95,95,95,255,96,96,96,255,97,97,97,255,98,98,98,255,98,98,98,255,98,98,98,255,99,99,99,255,100,100,100,255,101,101,101,255,103,103,103,255,104,104,104,255,105,105,105,255,106,106,106,255,106,106,106,255,107,107,107,255,106,106,106,255,105,105,105,255,104,104,104,255,102,102,102,255,101,101,101,255,99,99,99,255,98,98,98,255,97,97,97,255,97,97,97,255,98,98,98,255,98,98,98,255,98,98,98,255,98,98,98,255,99,99,99,255,99,99,99,255,101,101,101,255,102,102,102,255,103,103,103,255,105,105,105,255,106,106,106,255,107,107,107,255,108,108,108,255,109,109,109,255,110,110,110,255,111,111,111,255,113,113,113,255,115,115,115,255,116,116,116,255,118,118,118,255,120,120,120,255,122,122,122,255,125,125,125,255,127,127,127,255,130,130,130,255,133,133,133,255,136,136,136,255,139,139,139,255,142,142,142,255,146,146,146,255,151,151,151,255,155,155,155,255,160,160,160,255,164,164,164,255,168,168,168,255,172,172,172,255,176,176,176,255,179,179,179,255,182,182,182,255,184,184,184,255,184,184,184,255,84,84,84,255,83,83,83,255,81,81,81,255,78,78,78,255,75,75,75,255,73,73,73,255,71,71,71,255,71,71,71,255,72,72,72,255,74,74,74,255,76,76,76,255,78,78,78,255,79,79,79,255,79,79,79,255,79,79,79,255,80,80,80,255,80,80,80,255,82,82,82,255,84,84,84,255,88,88,88,255,91,91,91,255,94,94,94,255,96,96,96,255,98,98,98,255,99,99,99,255,99,99,99,255,98,98,98,255,98,98,98,255,96,96,96,255,95,95,95,255,94,94,94,255,93,93,93,255,92,92,92,255,92,92,92,255,92,92,92,255,93,93,93,255,93,93,93,255,94,94,94,255,95,95,95,255,96,96,96,255,97,97,97,255,98,98,98,255,100,100,100,255,101,101,101,255,103,103,103,255,105,105,105,255,106,106,106,255,107,107,107,255,108,108,108,255,108,108,108,255,108,108,108,255,107,107,107,255,105,105,105,255,104,104,104,255,102,102,102,255,100,100,100,255,99,99,99,255,99,99,99,255,99,99,99,255,99,99,99,255,99,99,99,255,99,99,99,255,99,99,99,255,99,99,99,255,99,99,99,255,99,99,99,255,99,99,99,255,100,100,100,255,101,101,101,255,102,102,102,255,103,103,103,255,104,104,104,255,105,105,105,255,107,107,107,255,109,109,109,255,110,110,110,255,112,112,112,255,113,113,113,255,115,115,115,255,117,117,117,255,119,119,119,255,121,121,121,255,124,124,124,255,128,128,128,255,132,132,132,255,135,135,135,255,139,139,139,255,143,143,143,255,147,147,147,255,151,151,151,255,155,155,155,255,160,160,160,255,164,164,164,255,168,168,168,255,172,172,172,255,176,176,176,255,179,179,179,255,181,181,181,255,183,183,183,255,183,183,183,255,89,89,89,255,87,87,87,255,84,84,84,255,81,81,81,255,78,78,78,255,75,75,75,255,73,73,73,255,73,73,73,255,74,74,74,255,76,76,76,255,77,77,77,255,79,79,79,255,79,79,79,255,80,80,80,255,81,81,81,255,82,82,82,255,83,83,83,255,85,85,85,255,88,88,88,255,91,91,91,255,94,94,94,255,96,96,96,255,98,98,98,255,99,99,99,255,100,100,100,255,100,100,100,255,100,100,100,255,99,99,99,255,97,97,97,255,96,96,96,255,95,95,95,255,93,93,93,255,92,92,92,255,91,91,91,255,91,91,91,255,90,90,90,255,91,91,91,255,91,91,91,255,92,92,92,255,94,94,94,255,96,96,96,255,98,98,98,255,100,100,100,255,102,102,102,255,104,104,104,255,106,106,106,255,107,107,107,255,109,109,109,255,110,110,110,255,110,110,110,255,110,110,110,255,109,109,109,255,107,107,107,255,105,105,105,255,103,103,103,255,102,102,102,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,99,99,99,255,98,98,98,255,97,97,97,255,97,97,97,255,97,97,97,255,98,98,98,255,100,100,100,255,101,101,101,255,102,102,102,255,104,104,104,255,106,106,106,255,107,107,107,255,109,109,109,255,110,110,110,255,111,111,111,255,113,113,113,255,115,115,115,255,118,118,118,255,121,121,121,255,126,126,126,255,131,131,131,255,136,136,136,255,140,140,140,255,144,144,144,255,147,147,147,255,151,151,151,255,155,155,155,255,159,159,159,255,164,164,164,255,168,168,168,255,172,172,172,255,176,176,176,255,178,178,178,255,180,180,180,255,182,182,182,255,182,182,182,255,93,93,93,255,91,91,91,255,88,88,88,255,84,84,84,255,81,81,81,255,77,77,77,255,75,75,75,255,75,75,75,255,75,75,75,255,77,77,77,255,79,79,79,255,80,80,80,255,80,80,80,255,81,81,81,255,82,82,82,255,84,84,84,255,86,86,86,255,89,89,89,255,91,91,91,255,94,94,94,255,96,96,96,255,98,98,98,255,99,99,99,255,100,100,100,255,101,101,101,255,101,101,101,255,100,100,100,255,100,100,100,255,99,99,99,255,97,97,97,255,96,96,96,255,94,94,94,255,93,93,93,255,91,91,91,255,89,89,89,255,89,89,89,255,88,88,88,255,89,89,89,255,91,91,91,255,93,93,93,255,95,95,95,255,98,98,98,255,100,100,100,255,102,102,102,255,104,104,104,255,106,106,106,255,109,109,109,255,110,110,110,255,111,111,111,255,112,112,112,255,111,111,111,255,110,110,110,255,108,108,108,255,106,106,106,255,104,104,104,255,103,103,103,255,102,102,102,255,101,101,101,255,101,101,101,255,101,101,101,255,101,101,101,255,101,101,101,255,101,101,101,255,100,100,100,255,98,98,98,255,96,96,96,255,95,95,95,255,94,94,94,255,94,94,94,255,95,95,95,255,97,97,97,255,98,98,98,255,100,100,100,255,101,101,101,255,104,104,104,255,105,105,105,255,106,106,106,255,108,108,108,255,109,109,109,255,110,110,110,255,112,112,112,255,115,115,115,255,119,119,119,255,124,124,124,255,131,131,131,255,136,136,136,255,141,141,141,255,145,145,145,255,148,148,148,255,152,152,152,255,156,156,156,255,159,159,159,255,164,164,164,255,168,168,168,255,172,172,172,255,175,175,175,255,178,178,178,255,179,179,179,255,180,180,180,255,181,181,181,255,97,97,97,255,95,95,95,255,91,91,91,255,87,87,87,255,83,83,83,255,80,80,80,255,77,77,77,255,77,77,77,255,77,77,77,255,79,79,79,255,80,80,80,255,81,81,81,255,82,82,82,255,82,82,82,255,84,84,84,255,86,86,86,255,88,88,88,255,91,91,91,255,94,94,94,255,96,96,96,255,98,98,98,255,99,99,99,255,100,100,100,255,101,101,101,255,101,101,101,255,101,101,101,255,101,101,101,255,100,100,100,255,99,99,99,255,98,98,98,255,96,96,96,255,95,95,95,255,93,93,93,255,91,91,91,255,89,89,89,255,88,88,88,255,87,87,87,255,88,88,88,255,90,90,90,255,92,92,92,255,95,95,95,255,98,98,98,255,101,101,101,255,103,103,103,255,105,105,105,255,107,107,107,255,109,109,109,255,111,111,111,255,112,112,112,255,113,113,113,255,112,112,112,255,111,111,111,255,109,109,109,255,107,107,107,255,105,105,105,255,103,103,103,255,102,102,102,255,101,101,101,255,101,101,101,255,101,101,101,255,101,101,101,255,101,101,101,255,101,101,101,255,100,100,100,255,97,97,97,255,95,95,95,255,93,93,93,255,92,92,92,255,92,92,92,255,93,93,93,255,95,95,95,255,96,96,96,255,98,98,98,255,100,100,100,255,102,102,102,255,104,104,104,255,105,105,105,255,106,106,106,255,107,107,107,255,108,108,108,255,110,110,110,255,113,113,113,255,118,118,118,255,124,124,124,255,130,130,130,255,137,137,137,255,142,142,142,255,145,145,145,255,149,149,149,255,152,152,152,255,156,156,156,255,159,159,159,255,163,163,163,255,168,168,168,255,172,172,172,255,175,175,175,255,177,177,177,255,179,179,179,255,180,180,180,255,180,180,180,255,101,101,101,255,98,98,98,255,95,95,95,255,90,90,90,255,86,86,86,255,83,83,83,255,80,80,80,255,79,79,79,255,80,80,80,255,81,81,81,255,82,82,82,255,83,83,83,255,83,83,83,255,84,84,84,255,85,85,85,255,87,87,87,255,89,89,89,255,92,92,92,255,94,94,94,255,97,97,97,255,98,98,98,255,100,100,100,255,100,100,100,255,101,101,101,255,101,101,101,255,101,101,101,255,101,101,101,255,100,100,100,255,99,99,99,255,98,98,98,255,97,97,97,255,95,95,95,255,93,93,93,255,91,91,91,255,89,89,89,255,88,88,88,255,88,88,88,255,88,88,88,255,90,90,90,255,93,93,93,255,95,95,95,255,98,98,98,255,101,101,101,255,103,103,103,255,105,105,105,255,108,108,108,255,110,110,110,255,112,112,112,255,113,113,113,255,113,113,113,255,113,113,113,255,112,112,112,255,110,110,110,255,107,107,107,255,105,105,105,255,104,104,104,255,102,102,102,255,102,102,102,255,101,101,101,255,101,101,101,255,101,101,101,255,101,101,101,255,101,101,101,255,99,99,99,255,97,97,97,255,95,95,95,255,92,92,92,255,91,91,91,255,91,91,91,255,92,92,92,255,94,94,94,255,95,95,95,255,97,97,97,255,99,99,99,255,101,101,101,255,103,103,103,255,104,104,104,255,105,105,105,255,106,106,106,255,108,108,108,255,110,110,110,255,112,112,112,255,117,117,117,255,123,123,123,255,130,130,130,255,136,136,136,255,141,141,141,255,145,145,145,255,148,148,148,255,151,151,151,255,155,155,155,255,159,159,159,255,163,163,163,255,167,167,167,255,171,171,171,255,174,174,174,255,177,177,177,255,178,178,178,255,179,179,179,255,179,179,179,255,103,103,103,255,101,101,101,255,98,98,98,255,94,94,94,255,90,90,90,255,87,87,87,255,84,84,84,255,83,83,83,255,83,83,83,255,84,84,84,255,84,84,84,255,85,85,85,255,85,85,85,255,85,85,85,255,86,86,86,255,88,88,88,255,89,89,89,255,92,92,92,255,94,94,94,255,96,96,96,255,98,98,98,255,99,99,99,255,99,99,99,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,99,99,99,255,99,99,99,255,97,97,97,255,96,96,96,255,94,94,94,255,92,92,92,255,90,90,90,255,89,89,89,255,89,89,89,255,90,90,90,255,91,91,91,255,94,94,94,255,97,97,97,255,99,99,99,255,102,102,102,255,104,104,104,255,106,106,106,255,108,108,108,255,110,110,110,255,112,112,112,255,113,113,113,255,113,113,113,255,113,113,113,255,111,111,111,255,109,109,109,255,107,107,107,255,105,105,105,255,103,103,103,255,102,102,102,255,101,101,101,255,101,101,101,255,101,101,101,255,101,101,101,255,101,101,101,255,101,101,101,255,99,99,99,255,97,97,97,255,95,95,95,255,93,93,93,255,92,92,92,255,92,92,92,255,93,93,93,255,94,94,94,255,96,96,96,255,97,97,97,255,99,99,99,255,101,101,101,255,103,103,103,255,104,104,104,255,105,105,105,255,106,106,106,255,108,108,108,255,110,110,110,255,113,113,113,255,117,117,117,255,123,123,123,255,129,129,129,255,135,135,135,255,140,140,140,255,144,144,144,255,147,147,147,255,151,151,151,255,154,154,154,255,158,158,158,255,162,162,162,255,166,166,166,255,170,170,170,255,173,173,173,255,176,176,176,255,178,178,178,255,179,179,179,255,179,179,179,255,105,105,105,255,103,103,103,255,101,101,101,255,98,98,98,255,95,95,95,255,92,92,92,255,90,90,90,255,88,88,88,255,87,87,87,255,87,87,87,255,87,87,87,255,87,87,87,255,86,86,86,255,86,86,86,255,87,87,87,255,88,88,88,255,90,90,90,255,91,91,91,255,93,93,93,255,95,95,95,255,96,96,96,255,97,97,97,255,98,98,98,255,98,98,98,255,99,99,99,255,99,99,99,255,99,99,99,255,100,100,100,255,100,100,100,255,99,99,99,255,98,98,98,255,97,97,97,255,95,95,95,255,94,94,94,255,92,92,92,255,91,91,91,255,91,91,91,255,92,92,92,255,94,94,94,255,96,96,96,255,98,98,98,255,101,101,101,255,103,103,103,255,105,105,105,255,107,107,107,255,109,109,109,255,110,110,110,255,111,111,111,255,112,112,112,255,112,112,112,255,112,112,112,255,110,110,110,255,108,108,108,255,106,106,106,255,104,104,104,255,102,102,102,255,101,101,101,255,101,101,101,255,101,101,101,255,101,101,101,255,102,102,102,255,102,102,102,255,101,101,101,255,100,100,100,255,98,98,98,255,96,96,96,255,95,95,95,255,94,94,94,255,94,94,94,255,94,94,94,255,96,96,96,255,97,97,97,255,98,98,98,255,99,99,99,255,102,102,102,255,103,103,103,255,105,105,105,255,106,106,106,255,107,107,107,255,109,109,109,255,111,111,111,255,114,114,114,255,118,118,118,255,123,123,123,255,129,129,129,255,135,135,135,255,139,139,139,255,143,143,143,255,146,146,146,255,149,149,149,255,153,153,153,255,157,157,157,255,161,161,161,255,165,165,165,255,169,169,169,255,172,172,172,255,175,175,175,255,178,178,178,255,179,179,179,255,180,180,180,255,107,107,107,255,106,106,106,255,105,105,105,255,103,103,103,255,101,101,101,255,98,98,98,255,96,96,96,255,93,93,93,255,92,92,92,255,90,90,90,255,89,89,89,255,89,89,89,255,88,88,88,255,88,88,88,255,88,88,88,255,89,89,89,255,90,90,90,255,91,91,91,255,92,92,92,255,94,94,94,255,95,95,95,255,95,95,95,255,96,96,96,255,96,96,96,255,96,96,96,255,97,97,97,255,98,98,98,255,99,99,99,255,100,100,100,255,100,100,100,255,100,100,100,255,99,99,99,255,97,97,97,255,96,96,96,255,95,95,95,255,94,94,94,255,94,94,94,255,95,95,95,255,97,97,97,255,99,99,99,255,101,101,101,255,103,103,103,255,105,105,105,255,106,106,106,255,108,108,108,255,109,109,109,255,110,110,110,255,110,110,110,255,111,111,111,255,111,111,111,255,110,110,110,255,109,109,109,255,107,107,107,255,104,104,104,255,102,102,102,255,101,101,101,255,100,100,100,255,100,100,100,255,101,101,101,255,101,101,101,255,102,102,102,255,102,102,102,255,102,102,102,255,101,101,101,255,99,99,99,255,98,98,98,255,97,97,97,255,97,97,97,255,96,96,96,255,97,97,97,255,97,97,97,255,98,98,98,255,99,99,99,255,100,100,100,255,102,102,102,255,104,104,104,255,106,106,106,255,107,107,107,255,108,108,108,255,110,110,110,255,112,112,112,255,115,115,115,255,119,119,119,255,124,124,124,255,129,129,129,255,134,134,134,255,138,138,138,255,142,142,142,255,145,145,145,255,148,148,148,255,152,152,152,255,155,155,155,255,159,159,159,255,163,163,163,255,167,167,167,255,171,171,171,255,175,175,175,255,178,178,178,255,180,180,180,255,180,180,180,255,108,108,108,255,108,108,108,255,108,108,108,255,107,107,107,255,106,106,106,255,104,104,104,255,101,101,101,255,99,99,99,255,96,96,96,255,94,94,94,255,92,92,92,255,91,91,91,255,90,90,90,255,90,90,90,255,90,90,90,255,90,90,90,255,90,90,90,255,91,91,91,255,92,92,92,255,93,93,93,255,93,93,93,255,94,94,94,255,94,94,94,255,94,94,94,255,94,94,94,255,95,95,95,255,96,96,96,255,98,98,98,255,99,99,99,255,101,101,101,255,101,101,101,255,100,100,100,255,99,99,99,255,98,98,98,255,98,98,98,255,97,97,97,255,98,98,98,255,99,99,99,255,100,100,100,255,101,101,101,255,103,103,103,255,105,105,105,255,106,106,106,255,108,108,108,255,109,109,109,255,109,109,109,255,109,109,109,255,109,109,109,255,109,109,109,255,109,109,109,255,109,109,109,255,107,107,107,255,105,105,105,255,103,103,103,255,101,101,101,255,100,100,100,255,100,100,100,255,100,100,100,255,101,101,101,255,102,102,102,255,103,103,103,255,103,103,103,255,103,103,103,255,102,102,102,255,101,101,101,255,101,101,101,255,100,100,100,255,99,99,99,255,99,99,99,255,99,99,99,255,99,99,99,255,100,100,100,255,100,100,100,255,101,101,101,255,103,103,103,255,105,105,105,255,107,107,107,255,108,108,108,255,110,110,110,255,112,112,112,255,114,114,114,255,117,117,117,255,121,121,121,255,125,125,125,255,130,130,130,255,134,134,134,255,138,138,138,255,142,142,142,255,145,145,145,255,148,148,148,255,152,152,152,255,155,155,155,255,158,158,158,255,162,162,162,255,166,166,166,255,170,170,170,255,174,174,174,255,178,178,178,255,180,180,180,255,181,181,181,255,109,109,109,255,110,110,110,255,110,110,110,255,110,110,110,255,110,110,110,255,108,108,108,255,106,106,106,255,104,104,104,255,101,101,101,255,98,98,98,255,96,96,96,255,95,95,95,255,94,94,94,255,93,93,93,255,92,92,92,255,92,92,92,255,91,91,91,255,91,91,91,255,92,92,92,255,92,92,92,255,92,92,92,255,92,92,92,255,92,92,92,255,92,92,92,255,92,92,92,255,93,93,93,255,95,95,95,255,97,97,97,255,99,99,99,255,101,101,101,255,102,102,102,255,101,101,101,255,101,101,101,255,101,101,101,255,100,100,100,255,100,100,100,255,101,101,101,255,102,102,102,255,103,103,103,255,104,104,104,255,105,105,105,255,107,107,107,255,108,108,108,255,109,109,109,255,109,109,109,255,109,109,109,255,109,109,109,255,109,109,109,255,108,108,108,255,108,108,108,255,108,108,108,255,106,106,106,255,104,104,104,255,102,102,102,255,101,101,101,255,100,100,100,255,100,100,100,255,101,101,101,255,102,102,102,255,104,104,104,255,105,105,105,255,105,105,105,255,105,105,105,255,104,104,104,255,103,103,103,255,103,103,103,255,102,102,102,255,102,102,102,255,102,102,102,255,101,101,101,255,101,101,101,255,101,101,101,255,101,101,101,255,102,102,102,255,104,104,104,255,106,106,106,255,108,108,108,255,109,109,109,255,111,111,111,255,113,113,113,255,116,116,116,255,119,119,119,255,123,123,123,255,127,127,127,255,131,131,131,255,135,135,135,255,139,139,139,255,142,142,142,255,146,146,146,255,149,149,149,255,152,152,152,255,155,155,155,255,158,158,158,255,162,162,162,255,166,166,166,255,170,170,170,255,174,174,174,255,177,177,177,255,180,180,180,255,181,181,181,255,111,111,111,255,111,111,111,255,112,112,112,255,113,113,113,255,112,112,112,255,111,111,111,255,110,110,110,255,107,107,107,255,105,105,105,255,102,102,102,255,100,100,100,255,98,98,98,255,97,97,97,255,96,96,96,255,95,95,95,255,94,94,94,255,93,93,93,255,93,93,93,255,93,93,93,255,92,92,92,255,92,92,92,255,91,91,91,255,91,91,91,255,91,91,91,255,91,91,91,255,92,92,92,255,93,93,93,255,96,96,96,255,99,99,99,255,101,101,101,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,103,103,103,255,104,104,104,255,105,105,105,255,106,106,106,255,107,107,107,255,108,108,108,255,109,109,109,255,109,109,109,255,110,110,110,255,109,109,109,255,109,109,109,255,108,108,108,255,108,108,108,255,107,107,107,255,107,107,107,255,106,106,106,255,104,104,104,255,102,102,102,255,101,101,101,255,101,101,101,255,101,101,101,255,102,102,102,255,104,104,104,255,106,106,106,255,107,107,107,255,108,108,108,255,107,107,107,255,106,106,106,255,106,106,106,255,105,105,105,255,104,104,104,255,104,104,104,255,103,103,103,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,104,104,104,255,106,106,106,255,108,108,108,255,110,110,110,255,112,112,112,255,114,114,114,255,117,117,117,255,121,121,121,255,125,125,125,255,129,129,129,255,133,133,133,255,137,137,137,255,141,141,141,255,144,144,144,255,148,148,148,255,150,150,150,255,154,154,154,255,156,156,156,255,159,159,159,255,162,162,162,255,166,166,166,255,170,170,170,255,174,174,174,255,177,177,177,255,179,179,179,255,180,180,180,255,112,112,112,255,113,113,113,255,114,114,114,255,114,114,114,255,115,115,115,255,114,114,114,255,113,113,113,255,110,110,110,255,108,108,108,255,106,106,106,255,104,104,104,255,102,102,102,255,101,101,101,255,100,100,100,255,98,98,98,255,97,97,97,255,96,96,96,255,95,95,95,255,94,94,94,255,93,93,93,255,92,92,92,255,91,91,91,255,90,90,90,255,90,90,90,255,90,90,90,255,90,90,90,255,92,92,92,255,95,95,95,255,98,98,98,255,100,100,100,255,102,102,102,255,102,102,102,255,102,102,102,255,103,103,103,255,103,103,103,255,104,104,104,255,104,104,104,255,105,105,105,255,106,106,106,255,107,107,107,255,108,108,108,255,108,108,108,255,108,108,108,255,109,109,109,255,109,109,109,255,108,108,108,255,108,108,108,255,107,107,107,255,107,107,107,255,107,107,107,255,106,106,106,255,105,105,105,255,104,104,104,255,103,103,103,255,102,102,102,255,102,102,102,255,103,103,103,255,104,104,104,255,106,106,106,255,108,108,108,255,109,109,109,255,110,110,110,255,109,109,109,255,108,108,108,255,107,107,107,255,107,107,107,255,106,106,106,255,105,105,105,255,104,104,104,255,103,103,103,255,103,103,103,255,102,102,102,255,102,102,102,255,103,103,103,255,105,105,105,255,107,107,107,255,109,109,109,255,111,111,111,255,113,113,113,255,116,116,116,255,119,119,119,255,123,123,123,255,127,127,127,255,131,131,131,255,136,136,136,255,139,139,139,255,143,143,143,255,147,147,147,255,150,150,150,255,153,153,153,255,156,156,156,255,158,158,158,255,161,161,161,255,164,164,164,255,167,167,167,255,170,170,170,255,174,174,174,255,177,177,177,255,179,179,179,255,180,180,180,255,114,114,114,255,115,115,115,255,116,116,116,255,117,117,117,255,117,117,117,255,117,117,117,255,116,116,116,255,114,114,114,255,112,112,112,255,110,110,110,255,108,108,108,255,106,106,106,255,105,105,105,255,104,104,104,255,102,102,102,255,101,101,101,255,99,99,99,255,98,98,98,255,97,97,97,255,95,95,95,255,94,94,94,255,92,92,92,255,90,90,90,255,89,89,89,255,89,89,89,255,90,90,90,255,91,91,91,255,94,94,94,255,97,97,97,255,99,99,99,255,100,100,100,255,101,101,101,255,102,102,102,255,103,103,103,255,104,104,104,255,105,105,105,255,106,106,106,255,107,107,107,255,107,107,107,255,108,108,108,255,107,107,107,255,107,107,107,255,107,107,107,255,107,107,107,255,107,107,107,255,107,107,107,255,106,106,106,255,106,106,106,255,106,106,106,255,106,106,106,255,106,106,106,255,105,105,105,255,104,104,104,255,104,104,104,255,103,103,103,255,104,104,104,255,105,105,105,255,107,107,107,255,109,109,109,255,110,110,110,255,111,111,111,255,112,112,112,255,111,111,111,255,110,110,110,255,109,109,109,255,109,109,109,255,108,108,108,255,107,107,107,255,106,106,106,255,105,105,105,255,104,104,104,255,104,104,104,255,103,103,103,255,104,104,104,255,106,106,106,255,108,108,108,255,111,111,111,255,113,113,113,255,115,115,115,255,119,119,119,255,122,122,122,255,126,126,126,255,130,130,130,255,134,134,134,255,138,138,138,255,142,142,142,255,145,145,145,255,149,149,149,255,152,152,152,255,155,155,155,255,158,158,158,255,161,161,161,255,163,163,163,255,166,166,166,255,168,168,168,255,171,171,171,255,174,174,174,255,177,177,177,255,179,179,179,255,180,180,180,255,116,116,116,255,117,117,117,255,118,118,118,255,119,119,119,255,119,119,119,255,119,119,119,255,118,118,118,255,117,117,117,255,115,115,115,255,113,113,113,255,112,112,112,255,110,110,110,255,109,109,109,255,107,107,107,255,106,106,106,255,104,104,104,255,103,103,103,255,101,101,101,255,99,99,99,255,97,97,97,255,95,95,95,255,92,92,92,255,90,90,90,255,89,89,89,255,88,88,88,255,89,89,89,255,90,90,90,255,93,93,93,255,95,95,95,255,97,97,97,255,99,99,99,255,100,100,100,255,102,102,102,255,103,103,103,255,105,105,105,255,106,106,106,255,107,107,107,255,108,108,108,255,108,108,108,255,108,108,108,255,107,107,107,255,105,105,105,255,105,105,105,255,104,104,104,255,104,104,104,255,104,104,104,255,105,105,105,255,105,105,105,255,106,106,106,255,106,106,106,255,106,106,106,255,105,105,105,255,105,105,105,255,105,105,105,255,105,105,105,255,106,106,106,255,107,107,107,255,109,109,109,255,111,111,111,255,112,112,112,255,113,113,113,255,113,113,113,255,112,112,112,255,112,112,112,255,111,111,111,255,111,111,111,255,110,110,110,255,109,109,109,255,108,108,108,255,106,106,106,255,106,106,106,255,105,105,105,255,105,105,105,255,106,106,106,255,108,108,108,255,110,110,110,255,112,112,112,255,115,115,115,255,118,118,118,255,122,122,122,255,125,125,125,255,129,129,129,255,133,133,133,255,137,137,137,255,141,141,141,255,144,144,144,255,148,148,148,255,151,151,151,255,154,154,154,255,158,158,158,255,161,161,161,255,164,164,164,255,166,166,166,255,168,168,168,255,170,170,170,255,173,173,173,255,175,175,175,255,178,178,178,255,179,179,179,255,180,180,180,255,118,118,118,255,118,118,118,255,119,119,119,255,120,120,120,255,121,121,121,255,121,121,121,255,120,120,120,255,119,119,119,255,118,118,118,255,116,116,116,255,115,115,115,255,113,113,113,255,112,112,112,255,111,111,111,255,109,109,109,255,107,107,107,255,106,106,106,255,104,104,104,255,102,102,102,255,99,99,99,255,96,96,96,255,93,93,93,255,90,90,90,255,88,88,88,255,88,88,88,255,88,88,88,255,90,90,90,255,92,92,92,255,94,94,94,255,96,96,96,255,97,97,97,255,99,99,99,255,101,101,101,255,103,103,103,255,105,105,105,255,107,107,107,255,108,108,108,255,109,109,109,255,109,109,109,255,107,107,107,255,106,106,106,255,104,104,104,255,102,102,102,255,101,101,101,255,101,101,101,255,102,102,102,255,103,103,103,255,105,105,105,255,105,105,105,255,106,106,106,255,106,106,106,255,106,106,106,255,106,106,106,255,106,106,106,255,107,107,107,255,108,108,108,255,109,109,109,255,111,111,111,255,113,113,113,255,114,114,114,255,114,114,114,255,114,114,114,255,113,113,113,255,113,113,113,255,112,112,112,255,112,112,112,255,111,111,111,255,110,110,110,255,109,109,109,255,108,108,108,255,107,107,107,255,106,106,106,255,106,106,106,255,107,107,107,255,109,109,109,255,111,111,111,255,114,114,114,255,117,117,117,255,120,120,120,255,124,124,124,255,128,128,128,255,132,132,132,255,136,136,136,255,140,140,140,255,143,143,143,255,146,146,146,255,149,149,149,255,153,153,153,255,156,156,156,255,159,159,159,255,163,163,163,255,166,166,166,255,168,168,168,255,170,170,170,255,172,172,172,255,174,174,174,255,176,176,176,255,178,178,178,255,179,179,179,255,180,180,180,255,119,119,119,255,120,120,120,255,121,121,121,255,121,121,121,255,122,122,122,255,122,122,122,255,122,122,122,255,121,121,121,255,120,120,120,255,118,118,118,255,117,117,117,255,115,115,115,255,114,114,114,255,113,113,113,255,111,111,111,255,109,109,109,255,108,108,108,255,106,106,106,255,104,104,104,255,101,101,101,255,97,97,97,255,94,94,94,255,90,90,90,255,88,88,88,255,88,88,88,255,88,88,88,255,89,89,89,255,91,91,91,255,93,93,93,255,95,95,95,255,96,96,96,255,98,98,98,255,100,100,100,255,102,102,102,255,105,105,105,255,107,107,107,255,109,109,109,255,109,109,109,255,109,109,109,255,107,107,107,255,105,105,105,255,102,102,102,255,100,100,100,255,99,99,99,255,100,100,100,255,101,101,101,255,102,102,102,255,104,104,104,255,105,105,105,255,106,106,106,255,106,106,106,255,106,106,106,255,106,106,106,255,107,107,107,255,108,108,108,255,109,109,109,255,111,111,111,255,112,112,112,255,114,114,114,255,115,115,115,255,115,115,115,255,115,115,115,255,114,114,114,255,114,114,114,255,113,113,113,255,113,113,113,255,112,112,112,255,111,111,111,255,110,110,110,255,109,109,109,255,108,108,108,255,107,107,107,255,107,107,107,255,108,108,108,255,110,110,110,255,112,112,112,255,115,115,115,255,118,118,118,255,122,122,122,255,126,126,126,255,131,131,131,255,135,135,135,255,138,138,138,255,141,141,141,255,144,144,144,255,147,147,147,255,150,150,150,255,154,154,154,255,157,157,157,255,161,161,161,255,164,164,164,255,168,168,168,255,170,170,170,255,172,172,172,255,174,174,174,255,175,175,175,255,177,177,177,255,179,179,179,255,179,179,179,255,180,180,180,255,119,119,119,255,120,120,120,255,121,121,121,255,122,122,122,255,122,122,122,255,123,123,123,255,122,122,122,255,121,121,121,255,120,120,120,255,119,119,119,255,117,117,117,255,116,116,116,255,115,115,115,255,113,113,113,255,112,112,112,255,110,110,110,255,109,109,109,255,106,106,106,255,104,104,104,255,101,101,101,255,98,98,98,255,94,94,94,255,91,91,91,255,88,88,88,255,88,88,88,255,88,88,88,255,89,89,89,255,91,91,91,255,92,92,92,255,94,94,94,255,96,96,96,255,98,98,98,255,100,100,100,255,102,102,102,255,105,105,105,255,107,107,107,255,109,109,109,255,110,110,110,255,109,109,109,255,107,107,107,255,104,104,104,255,102,102,102,255,100,100,100,255,99,99,99,255,99,99,99,255,100,100,100,255,102,102,102,255,104,104,104,255,105,105,105,255,106,106,106,255,106,106,106,255,106,106,106,255,106,106,106,255,107,107,107,255,108,108,108,255,110,110,110,255,111,111,111,255,113,113,113,255,114,114,114,255,115,115,115,255,115,115,115,255,115,115,115,255,114,114,114,255,114,114,114,255,113,113,113,255,113,113,113,255,113,113,113,255,112,112,112,255,110,110,110,255,109,109,109,255,108,108,108,255,107,107,107,255,107,107,107,255,108,108,108,255,110,110,110,255,113,113,113,255,116,116,116,255,119,119,119,255,123,123,123,255,127,127,127,255,131,131,131,255,135,135,135,255,139,139,139,255,142,142,142,255,145,145,145,255,147,147,147,255,150,150,150,255,154,154,154,255,157,157,157,255,161,161,161,255,165,165,165,255,168,168,168,255,171,171,171,255,172,172,172,255,174,174,174,255,176,176,176,255,177,177,177,255,179,179,179,255,180,180,180,255,180,180,180,255
 
 // All Examples Written by Casey Reas and Ben Fry
 // unless otherwise stated.
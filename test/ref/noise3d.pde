@@ -1,4 +1,4 @@
-//[100,100]112,112,112,255,107,107,107,255,103,103,103,255,104,104,104,255,107,107,107,255,108,108,108,255,109,109,109,255,113,113,113,255,116,116,116,255,116,116,116,255,116,116,116,255,117,117,117,255,118,118,118,255,120,120,120,255,123,123,123,255,127,127,127,255,133,133,133,255,137,137,137,255,137,137,137,255,136,136,136,255,134,134,134,255,129,129,129,255,121,121,121,255,115,115,115,255,113,113,113,255,114,114,114,255,112,112,112,255,109,109,109,255,107,107,107,255,110,110,110,255,116,116,116,255,121,121,121,255,122,122,122,255,121,121,121,255,123,123,123,255,128,128,128,255,134,134,134,255,134,134,134,255,130,130,130,255,127,127,127,255,128,128,128,255,128,128,128,255,125,125,125,255,123,123,123,255,123,123,123,255,125,125,125,255,127,127,127,255,129,129,129,255,131,131,131,255,133,133,133,255,133,133,133,255,132,132,132,255,129,129,129,255,124,124,124,255,117,117,117,255,110,110,110,255,106,106,106,255,105,105,105,255,104,104,104,255,102,102,102,255,99,99,99,255,98,98,98,255,98,98,98,255,100,100,100,255,105,105,105,255,111,111,111,255,115,115,115,255,118,118,118,255,122,122,122,255,125,125,125,255,127,127,127,255,131,131,131,255,133,133,133,255,131,131,131,255,128,128,128,255,126,126,126,255,125,125,125,255,122,122,122,255,120,120,120,255,120,120,120,255,120,120,120,255,118,118,118,255,119,119,119,255,120,120,120,255,120,120,120,255,121,121,121,255,124,124,124,255,124,124,124,255,123,123,123,255,119,119,119,255,117,117,117,255,113,113,113,255,111,111,111,255,111,111,111,255,112,112,112,255,113,113,113,255,115,115,115,255,116,116,116,255,117,117,117,255,115,115,115,255,110,110,110,255,106,106,106,255,103,103,103,255,102,102,102,255,106,106,106,255,108,108,108,255,108,108,108,255,111,111,111,255,115,115,115,255,116,116,116,255,116,116,116,255,118,118,118,255,121,121,121,255,122,122,122,255,124,124,124,255,126,126,126,255,131,131,131,255,133,133,133,255,132,132,132,255,130,130,130,255,130,130,130,255,126,126,126,255,121,121,121,255,116,116,116,255,112,112,112,255,110,110,110,255,109,109,109,255,107,107,107,255,105,105,105,255,107,107,107,255,114,114,114,255,118,118,118,255,118,118,118,255,118,118,118,255,124,124,124,255,131,131,131,255,135,135,135,255,133,133,133,255,129,129,129,255,127,127,127,255,128,128,128,255,129,129,129,255,127,127,127,255,124,124,124,255,126,126,126,255,130,130,130,255,132,132,132,255,131,131,131,255,132,132,132,255,135,135,135,255,136,136,136,255,134,134,134,255,131,131,131,255,126,126,126,255,119,119,119,255,113,113,113,255,109,109,109,255,107,107,107,255,107,107,107,255,106,106,106,255,105,105,105,255,103,103,103,255,105,105,105,255,106,106,106,255,109,109,109,255,115,115,115,255,120,120,120,255,123,123,123,255,126,126,126,255,128,128,128,255,132,132,132,255,136,136,136,255,138,138,138,255,135,135,135,255,133,133,133,255,132,132,132,255,129,129,129,255,126,126,126,255,125,125,125,255,123,123,123,255,121,121,121,255,120,120,120,255,121,121,121,255,122,122,122,255,121,121,121,255,121,121,121,255,124,124,124,255,125,125,125,255,121,121,121,255,117,117,117,255,114,114,114,255,112,112,112,255,109,109,109,255,108,108,108,255,110,110,110,255,112,112,112,255,113,113,113,255,114,114,114,255,114,114,114,255,112,112,112,255,106,106,106,255,106,106,106,255,104,104,104,255,103,103,103,255,105,105,105,255,106,106,106,255,105,105,105,255,107,107,107,255,111,111,111,255,113,113,113,255,115,115,115,255,118,118,118,255,122,122,122,255,125,125,125,255,125,125,125,255,126,126,126,255,128,128,128,255,129,129,129,255,126,126,126,255,124,124,124,255,123,123,123,255,121,121,121,255,118,118,118,255,115,115,115,255,110,110,110,255,107,107,107,255,107,107,107,255,106,106,106,255,103,103,103,255,104,104,104,255,110,110,110,255,114,114,114,255,117,117,117,255,120,120,120,255,127,127,127,255,132,132,132,255,132,132,132,255,129,129,129,255,126,126,126,255,127,127,127,255,129,129,129,255,132,132,132,255,131,131,131,255,129,129,129,255,131,131,131,255,134,134,134,255,135,135,135,255,133,133,133,255,134,134,134,255,137,137,137,255,138,138,138,255,135,135,135,255,131,131,131,255,127,127,127,255,123,123,123,255,119,119,119,255,115,115,115,255,112,112,112,255,112,112,112,255,112,112,112,255,109,109,109,255,107,107,107,255,108,108,108,255,108,108,108,255,110,110,110,255,116,116,116,255,123,123,123,255,127,127,127,255,130,130,130,255,132,132,132,255,136,136,136,255,142,142,142,255,143,143,143,255,142,142,142,255,141,141,141,255,140,140,140,255,136,136,136,255,134,134,134,255,133,133,133,255,130,130,130,255,127,127,127,255,126,126,126,255,126,126,126,255,125,125,125,255,123,123,123,255,122,122,122,255,124,124,124,255,124,124,124,255,120,120,120,255,115,115,115,255,113,113,113,255,110,110,110,255,106,106,106,255,103,103,103,255,106,106,106,255,108,108,108,255,108,108,108,255,110,110,110,255,113,113,113,255,113,113,113,255,104,104,104,255,105,105,105,255,106,106,106,255,105,105,105,255,105,105,105,255,106,106,106,255,105,105,105,255,104,104,104,255,107,107,107,255,110,110,110,255,112,112,112,255,116,116,116,255,121,121,121,255,126,126,126,255,128,128,128,255,128,128,128,255,127,127,127,255,125,125,125,255,121,121,121,255,117,117,117,255,114,114,114,255,113,113,113,255,112,112,112,255,110,110,110,255,106,106,106,255,104,104,104,255,105,105,105,255,105,105,105,255,103,103,103,255,104,104,104,255,109,109,109,255,115,115,115,255,120,120,120,255,125,125,125,255,130,130,130,255,132,132,132,255,131,131,131,255,128,128,128,255,127,127,127,255,128,128,128,255,130,130,130,255,134,134,134,255,135,135,135,255,135,135,135,255,136,136,136,255,136,136,136,255,136,136,136,255,136,136,136,255,137,137,137,255,140,140,140,255,139,139,139,255,135,135,135,255,131,131,131,255,127,127,127,255,125,125,125,255,123,123,123,255,120,120,120,255,118,118,118,255,118,118,118,255,116,116,116,255,112,112,112,255,108,108,108,255,107,107,107,255,108,108,108,255,110,110,110,255,116,116,116,255,125,125,125,255,131,131,131,255,135,135,135,255,137,137,137,255,141,141,141,255,145,145,145,255,146,146,146,255,147,147,147,255,148,148,148,255,147,147,147,255,144,144,144,255,141,141,141,255,140,140,140,255,136,136,136,255,131,131,131,255,130,130,130,255,129,129,129,255,126,126,126,255,123,123,123,255,121,121,121,255,123,123,123,255,123,123,123,255,120,120,120,255,117,117,117,255,114,114,114,255,109,109,109,255,102,102,102,255,99,99,99,255,101,101,101,255,104,104,104,255,105,105,105,255,108,108,108,255,112,112,112,255,113,113,113,255,102,102,102,255,103,103,103,255,104,104,104,255,104,104,104,255,104,104,104,255,105,105,105,255,105,105,105,255,104,104,104,255,105,105,105,255,109,109,109,255,111,111,111,255,115,115,115,255,120,120,120,255,126,126,126,255,128,128,128,255,126,126,126,255,124,124,124,255,119,119,119,255,114,114,114,255,109,109,109,255,107,107,107,255,107,107,107,255,107,107,107,255,105,105,105,255,102,102,102,255,101,101,101,255,103,103,103,255,105,105,105,255,105,105,105,255,106,106,106,255,112,112,112,255,118,118,118,255,124,124,124,255,128,128,128,255,131,131,131,255,132,132,132,255,131,131,131,255,131,131,131,255,130,130,130,255,131,131,131,255,132,132,132,255,134,134,134,255,137,137,137,255,139,139,139,255,139,139,139,255,139,139,139,255,140,140,140,255,141,141,141,255,143,143,143,255,142,142,142,255,141,141,141,255,138,138,138,255,133,133,133,255,128,128,128,255,125,125,125,255,124,124,124,255,125,125,125,255,124,124,124,255,122,122,122,255,118,118,118,255,113,113,113,255,109,109,109,255,108,108,108,255,108,108,108,255,110,110,110,255,115,115,115,255,124,124,124,255,132,132,132,255,135,135,135,255,139,139,139,255,143,143,143,255,146,146,146,255,146,146,146,255,147,147,147,255,150,150,150,255,151,151,151,255,149,149,149,255,146,146,146,255,143,143,143,255,137,137,137,255,133,133,133,255,132,132,132,255,131,131,131,255,127,127,127,255,123,123,123,255,120,120,120,255,120,120,120,255,120,120,120,255,119,119,119,255,116,116,116,255,113,113,113,255,108,108,108,255,101,101,101,255,98,98,98,255,98,98,98,255,102,102,102,255,105,105,105,255,108,108,108,255,110,110,110,255,111,111,111,255,97,97,97,255,98,98,98,255,100,100,100,255,101,101,101,255,101,101,101,255,103,103,103,255,104,104,104,255,103,103,103,255,104,104,104,255,108,108,108,255,112,112,112,255,116,116,116,255,122,122,122,255,125,125,125,255,124,124,124,255,121,121,121,255,119,119,119,255,114,114,114,255,109,109,109,255,105,105,105,255,104,104,104,255,106,106,106,255,106,106,106,255,104,104,104,255,100,100,100,255,99,99,99,255,100,100,100,255,103,103,103,255,105,105,105,255,109,109,109,255,116,116,116,255,122,122,122,255,126,126,126,255,127,127,127,255,129,129,129,255,130,130,130,255,132,132,132,255,133,133,133,255,133,133,133,255,132,132,132,255,132,132,132,255,134,134,134,255,136,136,136,255,140,140,140,255,142,142,142,255,144,144,144,255,147,147,147,255,149,149,149,255,147,147,147,255,144,144,144,255,142,142,142,255,139,139,139,255,134,134,134,255,129,129,129,255,126,126,126,255,127,127,127,255,128,128,128,255,129,129,129,255,125,125,125,255,120,120,120,255,116,116,116,255,114,114,114,255,111,111,111,255,110,110,110,255,111,111,111,255,115,115,115,255,121,121,121,255,127,127,127,255,130,130,130,255,135,135,135,255,140,140,140,255,143,143,143,255,142,142,142,255,143,143,143,255,147,147,147,255,149,149,149,255,148,148,148,255,145,145,145,255,142,142,142,255,138,138,138,255,135,135,135,255,135,135,135,255,132,132,132,255,127,127,127,255,122,122,122,255,118,118,118,255,118,118,118,255,118,118,118,255,116,116,116,255,112,112,112,255,108,108,108,255,106,106,106,255,103,103,103,255,100,100,100,255,99,99,99,255,102,102,102,255,107,107,107,255,109,109,109,255,109,109,109,255,110,110,110,255,92,92,92,255,94,94,94,255,96,96,96,255,98,98,98,255,99,99,99,255,102,102,102,255,103,103,103,255,101,101,101,255,101,101,101,255,105,105,105,255,110,110,110,255,115,115,115,255,120,120,120,255,121,121,121,255,118,118,118,255,115,115,115,255,114,114,114,255,111,111,111,255,108,108,108,255,105,105,105,255,105,105,105,255,107,107,107,255,106,106,106,255,104,104,104,255,101,101,101,255,99,99,99,255,99,99,99,255,102,102,102,255,106,106,106,255,111,111,111,255,118,118,118,255,123,123,123,255,125,125,125,255,125,125,125,255,127,127,127,255,129,129,129,255,131,131,131,255,133,133,133,255,134,134,134,255,133,133,133,255,133,133,133,255,134,134,134,255,137,137,137,255,141,141,141,255,145,145,145,255,150,150,150,255,154,154,154,255,155,155,155,255,151,151,151,255,146,146,146,255,142,142,142,255,138,138,138,255,133,133,133,255,129,129,129,255,127,127,127,255,129,129,129,255,131,131,131,255,132,132,132,255,130,130,130,255,125,125,125,255,121,121,121,255,117,117,117,255,114,114,114,255,113,113,113,255,113,113,113,255,116,116,116,255,119,119,119,255,122,122,122,255,123,123,123,255,128,128,128,255,134,134,134,255,137,137,137,255,136,136,136,255,138,138,138,255,142,142,142,255,145,145,145,255,146,146,146,255,144,144,144,255,142,142,142,255,140,140,140,255,138,138,138,255,135,135,135,255,131,131,131,255,124,124,124,255,119,119,119,255,115,115,115,255,116,116,116,255,115,115,115,255,111,111,111,255,106,106,106,255,103,103,103,255,105,105,105,255,105,105,105,255,104,104,104,255,102,102,102,255,103,103,103,255,107,107,107,255,109,109,109,255,110,110,110,255,111,111,111,255,90,90,90,255,92,92,92,255,95,95,95,255,97,97,97,255,98,98,98,255,101,101,101,255,102,102,102,255,100,100,100,255,99,99,99,255,103,103,103,255,108,108,108,255,111,111,111,255,114,114,114,255,115,115,115,255,112,112,112,255,108,108,108,255,106,106,106,255,105,105,105,255,104,104,104,255,104,104,104,255,104,104,104,255,105,105,105,255,105,105,105,255,103,103,103,255,101,101,101,255,99,99,99,255,99,99,99,255,104,104,104,255,110,110,110,255,116,116,116,255,120,120,120,255,122,122,122,255,122,122,122,255,124,124,124,255,128,128,128,255,131,131,131,255,132,132,132,255,135,135,135,255,136,136,136,255,137,137,137,255,136,136,136,255,136,136,136,255,139,139,139,255,145,145,145,255,150,150,150,255,155,155,155,255,158,158,158,255,158,158,158,255,154,154,154,255,149,149,149,255,143,143,143,255,137,137,137,255,133,133,133,255,131,131,131,255,129,129,129,255,129,129,129,255,129,129,129,255,130,130,130,255,130,130,130,255,128,128,128,255,124,124,124,255,118,118,118,255,115,115,115,255,113,113,113,255,113,113,113,255,116,116,116,255,118,118,118,255,118,118,118,255,118,118,118,255,123,123,123,255,129,129,129,255,132,132,132,255,131,131,131,255,133,133,133,255,138,138,138,255,142,142,142,255,145,145,145,255,145,145,145,255,144,144,144,255,142,142,142,255,137,137,137,255,132,132,132,255,126,126,126,255,121,121,121,255,116,116,116,255,113,113,113,255,112,112,112,255,110,110,110,255,106,106,106,255,102,102,102,255,102,102,102,255,105,105,105,255,108,108,108,255,108,108,108,255,107,107,107,255,106,106,106,255,106,106,106,255,107,107,107,255,110,110,110,255,112,112,112,255,90,90,90,255,91,91,91,255,93,93,93,255,95,95,95,255,97,97,97,255,101,101,101,255,103,103,103,255,101,101,101,255,101,101,101,255,104,104,104,255,107,107,107,255,107,107,107,255,109,109,109,255,110,110,110,255,109,109,109,255,105,105,105,255,101,101,101,255,100,100,100,255,101,101,101,255,101,101,101,255,100,100,100,255,99,99,99,255,101,101,101,255,101,101,101,255,100,100,100,255,98,98,98,255,99,99,99,255,106,106,106,255,113,113,113,255,118,118,118,255,120,120,120,255,120,120,120,255,121,121,121,255,125,125,125,255,131,131,131,255,135,135,135,255,136,136,136,255,139,139,139,255,142,142,142,255,144,144,144,255,142,142,142,255,141,141,141,255,144,144,144,255,149,149,149,255,154,154,154,255,156,156,156,255,156,156,156,255,157,157,157,255,155,155,155,255,150,150,150,255,143,143,143,255,138,138,138,255,137,137,137,255,136,136,136,255,133,133,133,255,129,129,129,255,126,126,126,255,125,125,125,255,125,125,125,255,126,126,126,255,124,124,124,255,119,119,119,255,115,115,115,255,111,111,111,255,110,110,110,255,113,113,113,255,116,116,116,255,118,118,118,255,119,119,119,255,123,123,123,255,129,129,129,255,131,131,131,255,130,130,130,255,132,132,132,255,137,137,137,255,141,141,141,255,144,144,144,255,145,145,145,255,145,145,145,255,144,144,144,255,138,138,138,255,130,130,130,255,124,124,124,255,120,120,120,255,116,116,116,255,113,113,113,255,111,111,111,255,107,107,107,255,104,104,104,255,103,103,103,255,105,105,105,255,107,107,107,255,108,108,108,255,108,108,108,255,110,110,110,255,109,109,109,255,107,107,107,255,106,106,106,255,107,107,107,255,110,110,110,255,91,91,91,255,90,90,90,255,90,90,90,255,93,93,93,255,95,95,95,255,99,99,99,255,101,101,101,255,102,102,102,255,102,102,102,255,105,105,105,255,107,107,107,255,106,106,106,255,106,106,106,255,107,107,107,255,106,106,106,255,102,102,102,255,99,99,99,255,98,98,98,255,98,98,98,255,97,97,97,255,95,95,95,255,95,95,95,255,98,98,98,255,100,100,100,255,100,100,100,255,98,98,98,255,99,99,99,255,104,104,104,255,110,110,110,255,115,115,115,255,117,117,117,255,118,118,118,255,119,119,119,255,125,125,125,255,130,130,130,255,135,135,135,255,137,137,137,255,140,140,140,255,145,145,145,255,148,148,148,255,147,147,147,255,146,146,146,255,148,148,148,255,153,153,153,255,155,155,155,255,154,154,154,255,153,153,153,255,153,153,153,255,151,151,151,255,146,146,146,255,141,141,141,255,139,139,139,255,140,140,140,255,138,138,138,255,135,135,135,255,131,131,131,255,127,127,127,255,123,123,123,255,122,122,122,255,123,123,123,255,124,124,124,255,122,122,122,255,118,118,118,255,112,112,112,255,109,109,109,255,110,110,110,255,115,115,115,255,118,118,118,255,120,120,120,255,125,125,125,255,130,130,130,255,132,132,132,255,131,131,131,255,133,133,133,255,138,138,138,255,142,142,142,255,144,144,144,255,143,143,143,255,145,145,145,255,146,146,146,255,141,141,141,255,134,134,134,255,127,127,127,255,123,123,123,255,119,119,119,255,116,116,116,255,114,114,114,255,110,110,110,255,106,106,106,255,105,105,105,255,107,107,107,255,108,108,108,255,107,107,107,255,108,108,108,255,110,110,110,255,110,110,110,255,108,108,108,255,105,105,105,255,104,104,104,255,106,106,106,255,93,93,93,255,92,92,92,255,91,91,91,255,93,93,93,255,96,96,96,255,99,99,99,255,99,99,99,255,100,100,100,255,101,101,101,255,103,103,103,255,105,105,105,255,104,104,104,255,103,103,103,255,103,103,103,255,102,102,102,255,100,100,100,255,97,97,97,255,95,95,95,255,93,93,93,255,92,92,92,255,92,92,92,255,93,93,93,255,97,97,97,255,100,100,100,255,101,101,101,255,100,100,100,255,99,99,99,255,102,102,102,255,106,106,106,255,109,109,109,255,111,111,111,255,113,113,113,255,115,115,115,255,120,120,120,255,125,125,125,255,130,130,130,255,133,133,133,255,137,137,137,255,143,143,143,255,147,147,147,255,149,149,149,255,150,150,150,255,153,153,153,255,156,156,156,255,155,155,155,255,152,152,152,255,151,151,151,255,150,150,150,255,148,148,148,255,142,142,142,255,140,140,140,255,140,140,140,255,139,139,139,255,137,137,137,255,134,134,134,255,133,133,133,255,130,130,130,255,125,125,125,255,122,122,122,255,123,123,123,255,124,124,124,255,124,124,124,255,121,121,121,255,114,114,114,255,109,109,109,255,110,110,110,255,114,114,114,255,117,117,117,255,121,121,121,255,127,127,127,255,131,131,131,255,132,132,132,255,132,132,132,255,135,135,135,255,140,140,140,255,144,144,144,255,145,145,145,255,145,145,145,255,147,147,147,255,147,147,147,255,145,145,145,255,139,139,139,255,133,133,133,255,126,126,126,255,121,121,121,255,118,118,118,255,117,117,117,255,113,113,113,255,108,108,108,255,105,105,105,255,107,107,107,255,107,107,107,255,107,107,107,255,108,108,108,255,109,109,109,255,108,108,108,255,106,106,106,255,104,104,104,255,103,103,103,255,103,103,103,255,96,96,96,255,94,94,94,255,94,94,94,255,95,95,95,255,97,97,97,255,97,97,97,255,96,96,96,255,97,97,97,255,100,100,100,255,101,101,101,255,101,101,101,255,100,100,100,255,98,98,98,255,96,96,96,255,95,95,95,255,95,95,95,255,95,95,95,255,93,93,93,255,89,89,89,255,87,87,87,255,89,89,89,255,92,92,92,255,97,97,97,255,101,101,101,255,102,102,102,255,101,101,101,255,102,102,102,255,103,103,103,255,104,104,104,255,106,106,106,255,108,108,108,255,110,110,110,255,111,111,111,255,115,115,115,255,120,120,120,255,124,124,124,255,127,127,127,255,133,133,133,255,140,140,140,255,145,145,145,255,148,148,148,255,151,151,151,255,154,154,154,255,156,156,156,255,154,154,154,255,152,152,152,255,152,152,152,255,151,151,151,255,148,148,148,255,143,143,143,255,141,141,141,255,141,141,141,255,139,139,139,255,135,135,135,255,133,133,133,255,132,132,132,255,131,131,131,255,127,127,127,255,124,124,124,255,122,122,122,255,123,123,123,255,122,122,122,255,120,120,120,255,114,114,114,255,112,112,112,255,113,113,113,255,114,114,114,255,116,116,116,255,121,121,121,255,128,128,128,255,131,131,131,255,131,131,131,255,131,131,131,255,133,133,133,255,139,139,139,255,143,143,143,255,146,146,146,255,147,147,147,255,148,148,148,255,146,146,146,255,144,144,144,255,141,141,141,255,135,135,135,255,127,127,127,255,121,121,121,255,117,117,117,255,116,116,116,255,113,113,113,255,107,107,107,255,105,105,105,255,106,106,106,255,106,106,106,255,107,107,107,255,109,109,109,255,108,108,108,255,105,105,105,255,104,104,104,255,105,105,105,255,105,105,105,255,105,105,105,255,100,100,100,255,97,97,97,255,96,96,96,255,96,96,96,255,97,97,97,255,96,96,96,255,95,95,95,255,98,98,98,255,102,102,102,255,103,103,103,255,100,100,100,255,97,97,97,255,95,95,95,255,93,93,93,255,92,92,92,255,92,92,92,255,93,93,93,255,93,93,93,255,90,90,90,255,87,87,87,255,88,88,88,255,91,91,91,255,96,96,96,255,100,100,100,255,102,102,102,255,102,102,102,255,103,103,103,255,104,104,104,255,104,104,104,255,105,105,105,255,107,107,107,255,109,109,109,255,110,110,110,255,113,113,113,255,118,118,118,255,122,122,122,255,125,125,125,255,132,132,132,255,138,138,138,255,144,144,144,255,149,149,149,255,151,151,151,255,152,152,152,255,153,153,153,255,152,152,152,255,153,153,153,255,154,154,154,255,153,153,153,255,149,149,149,255,144,144,144,255,143,143,143,255,143,143,143,255,141,141,141,255,137,137,137,255,134,134,134,255,134,134,134,255,132,132,132,255,128,128,128,255,123,123,123,255,122,122,122,255,121,121,121,255,121,121,121,255,118,118,118,255,115,115,115,255,113,113,113,255,114,114,114,255,115,115,115,255,116,116,116,255,121,121,121,255,127,127,127,255,130,130,130,255,130,130,130,255,129,129,129,255,131,131,131,255,136,136,136,255,141,141,141,255,144,144,144,255,145,145,145,255,146,146,146,255,145,145,145,255,143,143,143,255,140,140,140,255,136,136,136,255,128,128,128,255,121,121,121,255,116,116,116,255,114,114,114,255,111,111,111,255,107,107,107,255,106,106,106,255,107,107,107,255,106,106,106,255,106,106,106,255,108,108,108,255,108,108,108,255,105,105,105,255,105,105,105,255,107,107,107,255,109,109,109,255,109,109,109,255,104,104,104,255,101,101,101,255,98,98,98,255,98,98,98,255,98,98,98,255,96,96,96,255,95,95,95,255,99,99,99,255,104,104,104,255,104,104,104,255,101,101,101,255,98,98,98,255,95,95,95,255,94,94,94,255,92,92,92,255,92,92,92,255,92,92,92,255,91,91,91,255,91,91,91,255,91,91,91,255,92,92,92,255,93,93,93,255,95,95,95,255,99,99,99,255,103,103,103,255,104,104,104,255,103,103,103,255,102,102,102,255,102,102,102,255,104,104,104,255,105,105,105,255,106,106,106,255,108,108,108,255,111,111,111,255,115,115,115,255,120,120,120,255,123,123,123,255,128,128,128,255,134,134,134,255,141,141,141,255,148,148,148,255,150,150,150,255,150,150,150,255,149,149,149,255,149,149,149,255,150,150,150,255,152,152,152,255,151,151,151,255,147,147,147,255,144,144,144,255,143,143,143,255,143,143,143,255,141,141,141,255,139,139,139,255,137,137,137,255,135,135,135,255,131,131,131,255,127,127,127,255,124,124,124,255,123,123,123,255,123,123,123,255,121,121,121,255,118,118,118,255,116,116,116,255,117,117,117,255,117,117,117,255,117,117,117,255,118,118,118,255,121,121,121,255,126,126,126,255,128,128,128,255,128,128,128,255,127,127,127,255,128,128,128,255,133,133,133,255,137,137,137,255,140,140,140,255,141,141,141,255,142,142,142,255,144,144,144,255,144,144,144,255,141,141,141,255,137,137,137,255,129,129,129,255,120,120,120,255,113,113,113,255,109,109,109,255,107,107,107,255,105,105,105,255,104,104,104,255,104,104,104,255,104,104,104,255,106,106,106,255,108,108,108,255,108,108,108,255,107,107,107,255,106,106,106,255,107,107,107,255,110,110,110,255,113,113,113,255,112,112,112,255,108,108,108,255,104,104,104,255,103,103,103,255,102,102,102,255,100,100,100,255,98,98,98,255,99,99,99,255,102,102,102,255,101,101,101,255,100,100,100,255,98,98,98,255,97,97,97,255,95,95,95,255,94,94,94,255,93,93,93,255,91,91,91,255,90,90,90,255,92,92,92,255,96,96,96,255,97,97,97,255,96,96,96,255,96,96,96,255,99,99,99,255,104,104,104,255,106,106,106,255,104,104,104,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,100,100,100,255,102,102,102,255,105,105,105,255,109,109,109,255,114,114,114,255,118,118,118,255,121,121,121,255,126,126,126,255,134,134,134,255,142,142,142,255,147,147,147,255,147,147,147,255,146,146,146,255,145,145,145,255,146,146,146,255,149,149,149,255,149,149,149,255,146,146,146,255,144,144,144,255,144,144,144,255,143,143,143,255,140,140,140,255,139,139,139,255,138,138,138,255,135,135,135,255,130,130,130,255,128,128,128,255,128,128,128,255,128,128,128,255,129,129,129,255,127,127,127,255,122,122,122,255,119,119,119,255,119,119,119,255,118,118,118,255,117,117,117,255,117,117,117,255,118,118,118,255,122,122,122,255,124,124,124,255,124,124,124,255,124,124,124,255,126,126,126,255,130,130,130,255,135,135,135,255,138,138,138,255,138,138,138,255,140,140,140,255,142,142,142,255,144,144,144,255,140,140,140,255,136,136,136,255,128,128,128,255,119,119,119,255,111,111,111,255,107,107,107,255,106,106,106,255,104,104,104,255,102,102,102,255,101,101,101,255,102,102,102,255,105,105,105,255,107,107,107,255,108,108,108,255,108,108,108,255,106,106,106,255,106,106,106,255,109,109,109,255,114,114,114,255,118,118,118,255,113,113,113,255,109,109,109,255,108,108,108,255,107,107,107,255,104,104,104,255,101,101,101,255,99,99,99,255,99,99,99,255,98,98,98,255,98,98,98,255,97,97,97,255,96,96,96,255,95,95,95,255,94,94,94,255,93,93,93,255,92,92,92,255,94,94,94,255,97,97,97,255,100,100,100,255,100,100,100,255,98,98,98,255,97,97,97,255,100,100,100,255,106,106,106,255,108,108,108,255,106,106,106,255,102,102,102,255,100,100,100,255,97,97,97,255,95,95,95,255,95,95,95,255,96,96,96,255,100,100,100,255,103,103,103,255,108,108,108,255,112,112,112,255,115,115,115,255,118,118,118,255,125,125,125,255,133,133,133,255,140,140,140,255,142,142,142,255,141,141,141,255,141,141,141,255,144,144,144,255,149,149,149,255,149,149,149,255,147,147,147,255,146,146,146,255,146,146,146,255,144,144,144,255,141,141,141,255,140,140,140,255,137,137,137,255,134,134,134,255,131,131,131,255,131,131,131,255,133,133,133,255,134,134,134,255,135,135,135,255,132,132,132,255,126,126,126,255,121,121,121,255,119,119,119,255,117,117,117,255,116,116,116,255,114,114,114,255,114,114,114,255,117,117,117,255,120,120,120,255,121,121,121,255,120,120,120,255,123,123,123,255,126,126,126,255,131,131,131,255,135,135,135,255,136,136,136,255,137,137,137,255,138,138,138,255,138,138,138,255,136,136,136,255,133,133,133,255,126,126,126,255,117,117,117,255,109,109,109,255,106,106,106,255,105,105,105,255,104,104,104,255,102,102,102,255,101,101,101,255,102,102,102,255,104,104,104,255,106,106,106,255,109,109,109,255,110,110,110,255,109,109,109,255,108,108,108,255,110,110,110,255,115,115,115,255,120,120,120,255,114,114,114,255,109,109,109,255,108,108,108,255,108,108,108,255,106,106,106,255,102,102,102,255,99,99,99,255,99,99,99,255,99,99,99,255,99,99,99,255,99,99,99,255,98,98,98,255,96,96,96,255,95,95,95,255,95,95,95,255,97,97,97,255,100,100,100,255,104,104,104,255,104,104,104,255,101,101,101,255,100,100,100,255,101,101,101,255,105,105,105,255,109,109,109,255,111,111,111,255,110,110,110,255,106,106,106,255,101,101,101,255,96,96,96,255,93,93,93,255,94,94,94,255,95,95,95,255,98,98,98,255,102,102,102,255,106,106,106,255,108,108,108,255,110,110,110,255,112,112,112,255,118,118,118,255,125,125,125,255,132,132,132,255,135,135,135,255,135,135,135,255,137,137,137,255,142,142,142,255,147,147,147,255,148,148,148,255,147,147,147,255,145,145,145,255,144,144,144,255,143,143,143,255,140,140,140,255,136,136,136,255,134,134,134,255,132,132,132,255,132,132,132,255,134,134,134,255,137,137,137,255,139,139,139,255,139,139,139,255,136,136,136,255,130,130,130,255,124,124,124,255,120,120,120,255,118,118,118,255,116,116,116,255,113,113,113,255,110,110,110,255,112,112,112,255,117,117,117,255,120,120,120,255,120,120,120,255,121,121,121,255,123,123,123,255,125,125,125,255,129,129,129,255,131,131,131,255,131,131,131,255,131,131,131,255,131,131,131,255,129,129,129,255,127,127,127,255,122,122,122,255,115,115,115,255,108,108,108,255,104,104,104,255,101,101,101,255,101,101,101,255,102,102,102,255,103,103,103,255,104,104,104,255,106,106,106,255,108,108,108,255,111,111,111,255,114,114,114,255,115,115,115,255,113,113,113,255,114,114,114,255,119,119,119,255,118,118,118,255,113,113,113,255,108,108,108,255,107,107,107,255,107,107,107,255,105,105,105,255,101,101,101,255,99,99,99,255,100,100,100,255,101,101,101,255,101,101,101,255,102,102,102,255,101,101,101,255,99,99,99,255,99,99,99,255,100,100,100,255,102,102,102,255,104,104,104,255,106,106,106,255,106,106,106,255,105,105,105,255,106,106,106,255,108,108,108,255,110,110,110,255,112,112,112,255,113,113,113,255,111,111,111,255,106,106,106,255,101,101,101,255,96,96,96,255,95,95,95,255,97,97,97,255,98,98,98,255,100,100,100,255,105,105,105,255,109,109,109,255,110,110,110,255,110,110,110,255,111,111,111,255,116,116,116,255,121,121,121,255,127,127,127,255,128,128,128,255,129,129,129,255,131,131,131,255,136,136,136,255,141,141,141,255,144,144,144,255,144,144,144,255,142,142,142,255,141,141,141,255,140,140,140,255,138,138,138,255,133,133,133,255,130,130,130,255,131,131,131,255,132,132,132,255,134,134,134,255,136,136,136,255,139,139,139,255,138,138,138,255,134,134,134,255,130,130,130,255,125,125,125,255,122,122,122,255,119,119,119,255,118,118,118,255,115,115,115,255,111,111,111,255,110,110,110,255,114,114,114,255,118,118,118,255,120,120,120,255,122,122,122,255,120,120,120,255,120,120,120,255,123,123,123,255,125,125,125,255,125,125,125,255,126,126,126,255,128,128,128,255,125,125,125,255,121,121,121,255,118,118,118,255,113,113,113,255,108,108,108,255,101,101,101,255,97,97,97,255,98,98,98,255,100,100,100,255,102,102,102,255,106,106,106,255,110,110,110,255,112,112,112,255,113,113,113,255,117,117,117,255,119,119,119,255,119,119,119,255,120,120,120,255,126,126,126,255,118,118,118,255,113,113,113,255,109,109,109,255,107,107,107,255,106,106,106,255,103,103,103,255,99,99,99,255,98,98,98,255,100,100,100,255,101,101,101,255,102,102,102,255,103,103,103,255,103,103,103,255,102,102,102,255,102,102,102,255,104,104,104,255,105,105,105,255,105,105,105,255,107,107,107,255,108,108,108,255,111,111,111,255,114,114,114,255,114,114,114,255,113,113,113,255,113,113,113,255,113,113,113,255,110,110,110,255,106,106,106,255,101,101,101,255,98,98,98,255,99,99,99,255,101,101,101,255,101,101,101,255,103,103,103,255,108,108,108,255,112,112,112,255,112,112,112,255,112,112,112,255,112,112,112,255,115,115,115,255,119,119,119,255,123,123,123,255,123,123,123,255,123,123,123,255,125,125,125,255,129,129,129,255,134,134,134,255,139,139,139,255,142,142,142,255,141,141,141,255,140,140,140,255,140,140,140,255,138,138,138,255,133,133,133,255,130,130,130,255,131,131,131,255,133,133,133,255,133,133,133,255,133,133,133,255,135,135,135,255,134,134,134,255,130,130,130,255,126,126,126,255,123,123,123,255,120,120,120,255,119,119,119,255,120,120,120,255,119,119,119,255,114,114,114,255,111,111,111,255,113,113,113,255,116,116,116,255,119,119,119,255,121,121,121,255,119,119,119,255,118,118,118,255,119,119,119,255,120,120,120,255,121,121,121,255,123,123,123,255,126,126,126,255,123,123,123,255,118,118,118,255,114,114,114,255,111,111,111,255,108,108,108,255,102,102,102,255,97,97,97,255,96,96,96,255,98,98,98,255,100,100,100,255,105,105,105,255,112,112,112,255,115,115,115,255,116,116,116,255,119,119,119,255,122,122,122,255,123,123,123,255,126,126,126,255,132,132,132,255,119,119,119,255,115,115,115,255,110,110,110,255,107,107,107,255,106,106,106,255,103,103,103,255,100,100,100,255,100,100,100,255,103,103,103,255,105,105,105,255,107,107,107,255,107,107,107,255,106,106,106,255,104,104,104,255,104,104,104,255,105,105,105,255,105,105,105,255,106,106,106,255,108,108,108,255,112,112,112,255,116,116,116,255,119,119,119,255,117,117,117,255,115,115,115,255,114,114,114,255,114,114,114,255,111,111,111,255,106,106,106,255,102,102,102,255,100,100,100,255,101,101,101,255,102,102,102,255,103,103,103,255,106,106,106,255,110,110,110,255,112,112,112,255,111,111,111,255,110,110,110,255,110,110,110,255,114,114,114,255,118,118,118,255,119,119,119,255,117,117,117,255,117,117,117,255,120,120,120,255,124,124,124,255,129,129,129,255,136,136,136,255,141,141,141,255,143,143,143,255,143,143,143,255,143,143,143,255,141,141,141,255,137,137,137,255,133,133,133,255,133,133,133,255,134,134,134,255,132,132,132,255,131,131,131,255,132,132,132,255,132,132,132,255,128,128,128,255,125,125,125,255,122,122,122,255,120,120,120,255,119,119,119,255,121,121,121,255,121,121,121,255,118,118,118,255,114,114,114,255,112,112,112,255,114,114,114,255,118,118,118,255,120,120,120,255,118,118,118,255,117,117,117,255,117,117,117,255,117,117,117,255,117,117,117,255,120,120,120,255,124,124,124,255,123,123,123,255,118,118,118,255,113,113,113,255,110,110,110,255,107,107,107,255,102,102,102,255,98,98,98,255,96,96,96,255,96,96,96,255,98,98,98,255,105,105,105,255,112,112,112,255,116,116,116,255,118,118,118,255,121,121,121,255,125,125,125,255,128,128,128,255,132,132,132,255,137,137,137,255,121,121,121,255,115,115,115,255,109,109,109,255,106,106,106,255,106,106,106,255,105,105,105,255,103,103,103,255,105,105,105,255,109,109,109,255,112,112,112,255,114,114,114,255,113,113,113,255,111,111,111,255,109,109,109,255,109,109,109,255,107,107,107,255,107,107,107,255,110,110,110,255,114,114,114,255,119,119,119,255,122,122,122,255,123,123,123,255,121,121,121,255,120,120,120,255,119,119,119,255,118,118,118,255,115,115,115,255,110,110,110,255,106,106,106,255,105,105,105,255,104,104,104,255,103,103,103,255,103,103,103,255,107,107,107,255,110,110,110,255,110,110,110,255,107,107,107,255,105,105,105,255,104,104,104,255,108,108,108,255,112,112,112,255,113,113,113,255,112,112,112,255,114,114,114,255,117,117,117,255,122,122,122,255,129,129,129,255,134,134,134,255,138,138,138,255,141,141,141,255,143,143,143,255,142,142,142,255,140,140,140,255,136,136,136,255,133,133,133,255,132,132,132,255,133,133,133,255,130,130,130,255,129,129,129,255,130,130,130,255,130,130,130,255,127,127,127,255,124,124,124,255,122,122,122,255,120,120,120,255,119,119,119,255,120,120,120,255,120,120,120,255,118,118,118,255,114,114,114,255,113,113,113,255,116,116,116,255,119,119,119,255,119,119,119,255,117,117,117,255,117,117,117,255,117,117,117,255,115,115,115,255,114,114,114,255,116,116,116,255,120,120,120,255,120,120,120,255,117,117,117,255,111,111,111,255,107,107,107,255,104,104,104,255,102,102,102,255,99,99,99,255,98,98,98,255,99,99,99,255,101,101,101,255,106,106,106,255,113,113,113,255,117,117,117,255,119,119,119,255,124,124,124,255,128,128,128,255,132,132,132,255,135,135,135,255,139,139,139,255,121,121,121,255,116,116,116,255,111,111,111,255,107,107,107,255,108,108,108,255,108,108,108,255,107,107,107,255,109,109,109,255,114,114,114,255,118,118,118,255,121,121,121,255,120,120,120,255,116,116,116,255,115,115,115,255,114,114,114,255,113,113,113,255,113,113,113,255,117,117,117,255,122,122,122,255,127,127,127,255,129,129,129,255,128,128,128,255,127,127,127,255,127,127,127,255,126,126,126,255,124,124,124,255,121,121,121,255,115,115,115,255,112,112,112,255,111,111,111,255,110,110,110,255,106,106,106,255,104,104,104,255,106,106,106,255,107,107,107,255,108,108,108,255,104,104,104,255,100,100,100,255,97,97,97,255,100,100,100,255,104,104,104,255,108,108,108,255,110,110,110,255,113,113,113,255,116,116,116,255,121,121,121,255,128,128,128,255,132,132,132,255,134,134,134,255,136,136,136,255,139,139,139,255,138,138,138,255,135,135,135,255,132,132,132,255,128,128,128,255,127,127,127,255,127,127,127,255,126,126,126,255,125,125,125,255,127,127,127,255,127,127,127,255,124,124,124,255,122,122,122,255,120,120,120,255,118,118,118,255,117,117,117,255,117,117,117,255,116,116,116,255,115,115,115,255,114,114,114,255,116,116,116,255,119,119,119,255,121,121,121,255,120,120,120,255,117,117,117,255,117,117,117,255,117,117,117,255,115,115,115,255,113,113,113,255,112,112,112,255,114,114,114,255,115,115,115,255,113,113,113,255,107,107,107,255,103,103,103,255,101,101,101,255,101,101,101,255,100,100,100,255,102,102,102,255,104,104,104,255,106,106,106,255,109,109,109,255,114,114,114,255,116,116,116,255,119,119,119,255,123,123,123,255,128,128,128,255,132,132,132,255,135,135,135,255,137,137,137,255,121,121,121,255,116,116,116,255,111,111,111,255,109,109,109,255,110,110,110,255,113,113,113,255,113,113,113,255,115,115,115,255,119,119,119,255,122,122,122,255,124,124,124,255,124,124,124,255,121,121,121,255,119,119,119,255,119,119,119,255,118,118,118,255,119,119,119,255,123,123,123,255,127,127,127,255,132,132,132,255,134,134,134,255,133,133,133,255,131,131,131,255,130,130,130,255,129,129,129,255,127,127,127,255,125,125,125,255,120,120,120,255,116,116,116,255,114,114,114,255,112,112,112,255,110,110,110,255,106,106,106,255,104,104,104,255,102,102,102,255,101,101,101,255,99,99,99,255,95,95,95,255,93,93,93,255,94,94,94,255,99,99,99,255,104,104,104,255,108,108,108,255,111,111,111,255,114,114,114,255,118,118,118,255,125,125,125,255,130,130,130,255,132,132,132,255,134,134,134,255,135,135,135,255,133,133,133,255,129,129,129,255,124,124,124,255,120,120,120,255,119,119,119,255,119,119,119,255,118,118,118,255,119,119,119,255,121,121,121,255,121,121,121,255,120,120,120,255,120,120,120,255,117,117,117,255,114,114,114,255,113,113,113,255,112,112,112,255,113,113,113,255,113,113,113,255,115,115,115,255,119,119,119,255,121,121,121,255,123,123,123,255,121,121,121,255,118,118,118,255,117,117,117,255,117,117,117,255,117,117,117,255,114,114,114,255,111,111,111,255,111,111,111,255,111,111,111,255,108,108,108,255,102,102,102,255,99,99,99,255,100,100,100,255,103,103,103,255,103,103,103,255,105,105,105,255,108,108,108,255,110,110,110,255,111,111,111,255,113,113,113,255,114,114,114,255,118,118,118,255,122,122,122,255,126,126,126,255,130,130,130,255,133,133,133,255,134,134,134,255,122,122,122,255,116,116,116,255,111,111,111,255,109,109,109,255,111,111,111,255,115,115,115,255,118,118,118,255,122,122,122,255,125,125,125,255,126,126,126,255,127,127,127,255,127,127,127,255,126,126,126,255,123,123,123,255,121,121,121,255,122,122,122,255,123,123,123,255,126,126,126,255,131,131,131,255,135,135,135,255,136,136,136,255,135,135,135,255,133,133,133,255,131,131,131,255,129,129,129,255,127,127,127,255,125,125,125,255,121,121,121,255,118,118,118,255,114,114,114,255,113,113,113,255,114,114,114,255,111,111,111,255,106,106,106,255,100,100,100,255,95,95,95,255,93,93,93,255,91,91,91,255,91,91,91,255,91,91,91,255,94,94,94,255,99,99,99,255,103,103,103,255,106,106,106,255,107,107,107,255,113,113,113,255,121,121,121,255,127,127,127,255,129,129,129,255,130,130,130,255,132,132,132,255,130,130,130,255,124,124,124,255,119,119,119,255,115,115,115,255,113,113,113,255,112,112,112,255,112,112,112,255,113,113,113,255,115,115,115,255,116,116,116,255,118,118,118,255,119,119,119,255,117,117,117,255,113,113,113,255,111,111,111,255,109,109,109,255,111,111,111,255,114,114,114,255,117,117,117,255,119,119,119,255,120,120,120,255,120,120,120,255,118,118,118,255,114,114,114,255,112,112,112,255,113,113,113,255,115,115,115,255,113,113,113,255,111,111,111,255,111,111,111,255,110,110,110,255,106,106,106,255,101,101,101,255,99,99,99,255,100,100,100,255,103,103,103,255,105,105,105,255,106,106,106,255,108,108,108,255,111,111,111,255,113,113,113,255,112,112,112,255,113,113,113,255,118,118,118,255,123,123,123,255,126,126,126,255,129,129,129,255,132,132,132,255,132,132,132,255,123,123,123,255,118,118,118,255,112,112,112,255,109,109,109,255,110,110,110,255,114,114,114,255,118,118,118,255,125,125,125,255,129,129,129,255,130,130,130,255,130,130,130,255,131,131,131,255,130,130,130,255,126,126,126,255,123,123,123,255,125,125,125,255,127,127,127,255,130,130,130,255,135,135,135,255,139,139,139,255,139,139,139,255,138,138,138,255,134,134,134,255,130,130,130,255,127,127,127,255,126,126,126,255,122,122,122,255,119,119,119,255,117,117,117,255,115,115,115,255,116,116,116,255,118,118,118,255,117,117,117,255,111,111,111,255,102,102,102,255,94,94,94,255,91,91,91,255,90,90,90,255,89,89,89,255,88,88,88,255,89,89,89,255,94,94,94,255,98,98,98,255,99,99,99,255,100,100,100,255,105,105,105,255,113,113,113,255,119,119,119,255,123,123,123,255,124,124,124,255,126,126,126,255,126,126,126,255,122,122,122,255,116,116,116,255,112,112,112,255,110,110,110,255,108,108,108,255,108,108,108,255,110,110,110,255,112,112,112,255,113,113,113,255,116,116,116,255,118,118,118,255,117,117,117,255,113,113,113,255,111,111,111,255,109,109,109,255,109,109,109,255,113,113,113,255,116,116,116,255,116,116,116,255,115,115,115,255,115,115,115,255,113,113,113,255,109,109,109,255,106,106,106,255,107,107,107,255,110,110,110,255,111,111,111,255,111,111,111,255,112,112,112,255,111,111,111,255,108,108,108,255,104,104,104,255,102,102,102,255,101,101,101,255,102,102,102,255,104,104,104,255,105,105,105,255,108,108,108,255,112,112,112,255,114,114,114,255,113,113,113,255,115,115,115,255,120,120,120,255,124,124,124,255,126,126,126,255,129,129,129,255,131,131,131,255,131,131,131,255,121,121,121,255,118,118,118,255,114,114,114,255,110,110,110,255,109,109,109,255,112,112,112,255,117,117,117,255,125,125,125,255,131,131,131,255,133,133,133,255,134,134,134,255,134,134,134,255,133,133,133,255,129,129,129,255,127,127,127,255,129,129,129,255,133,133,133,255,137,137,137,255,142,142,142,255,144,144,144,255,142,142,142,255,138,138,138,255,133,133,133,255,128,128,128,255,126,126,126,255,125,125,125,255,122,122,122,255,119,119,119,255,119,119,119,255,119,119,119,255,120,120,120,255,121,121,121,255,120,120,120,255,114,114,114,255,107,107,107,255,99,99,99,255,95,95,95,255,92,92,92,255,89,89,89,255,85,85,85,255,84,84,84,255,88,88,88,255,93,93,93,255,94,94,94,255,94,94,94,255,98,98,98,255,104,104,104,255,109,109,109,255,112,112,112,255,113,113,113,255,117,117,117,255,119,119,119,255,118,118,118,255,112,112,112,255,109,109,109,255,106,106,106,255,105,105,105,255,105,105,105,255,107,107,107,255,110,110,110,255,111,111,111,255,112,112,112,255,113,113,113,255,114,114,114,255,113,113,113,255,111,111,111,255,109,109,109,255,109,109,109,255,113,113,113,255,115,115,115,255,115,115,115,255,113,113,113,255,112,112,112,255,110,110,110,255,106,106,106,255,105,105,105,255,106,106,106,255,109,109,109,255,111,111,111,255,112,112,112,255,112,112,112,255,111,111,111,255,108,108,108,255,105,105,105,255,103,103,103,255,103,103,103,255,103,103,103,255,104,104,104,255,106,106,106,255,110,110,110,255,114,114,114,255,116,116,116,255,116,116,116,255,117,117,117,255,121,121,121,255,124,124,124,255,125,125,125,255,127,127,127,255,130,130,130,255,130,130,130,255,121,121,121,255,118,118,118,255,115,115,115,255,111,111,111,255,111,111,111,255,115,115,115,255,120,120,120,255,126,126,126,255,132,132,132,255,136,136,136,255,137,137,137,255,137,137,137,255,136,136,136,255,133,133,133,255,130,130,130,255,133,133,133,255,137,137,137,255,141,141,141,255,144,144,144,255,145,145,145,255,141,141,141,255,136,136,136,255,129,129,129,255,125,125,125,255,124,124,124,255,124,124,124,255,122,122,122,255,120,120,120,255,121,121,121,255,122,122,122,255,121,121,121,255,118,118,118,255,117,117,117,255,114,114,114,255,109,109,109,255,104,104,104,255,98,98,98,255,94,94,94,255,90,90,90,255,86,86,86,255,83,83,83,255,86,86,86,255,90,90,90,255,91,91,91,255,92,92,92,255,95,95,95,255,98,98,98,255,101,101,101,255,104,104,104,255,106,106,106,255,109,109,109,255,111,111,111,255,110,110,110,255,106,106,106,255,103,103,103,255,101,101,101,255,99,99,99,255,98,98,98,255,101,101,101,255,106,106,106,255,109,109,109,255,108,108,108,255,107,107,107,255,109,109,109,255,111,111,111,255,109,109,109,255,108,108,108,255,110,110,110,255,113,113,113,255,115,115,115,255,116,116,116,255,115,115,115,255,113,113,113,255,109,109,109,255,108,108,108,255,108,108,108,255,109,109,109,255,111,111,111,255,115,115,115,255,115,115,115,255,114,114,114,255,112,112,112,255,108,108,108,255,105,105,105,255,104,104,104,255,105,105,105,255,105,105,105,255,105,105,105,255,107,107,107,255,111,111,111,255,114,114,114,255,117,117,117,255,117,117,117,255,117,117,117,255,120,120,120,255,124,124,124,255,125,125,125,255,127,127,127,255,129,129,129,255,129,129,129,255,123,123,123,255,120,120,120,255,118,118,118,255,115,115,115,255,115,115,115,255,121,121,121,255,126,126,126,255,129,129,129,255,133,133,133,255,137,137,137,255,138,138,138,255,137,137,137,255,138,138,138,255,136,136,136,255,135,135,135,255,138,138,138,255,140,140,140,255,141,141,141,255,141,141,141,255,142,142,142,255,139,139,139,255,133,133,133,255,126,126,126,255,122,122,122,255,122,122,122,255,122,122,122,255,122,122,122,255,120,120,120,255,120,120,120,255,120,120,120,255,118,118,118,255,114,114,114,255,111,111,111,255,110,110,110,255,107,107,107,255,105,105,105,255,102,102,102,255,97,97,97,255,94,94,94,255,92,92,92,255,88,88,88,255,88,88,88,255,90,90,90,255,91,91,91,255,94,94,94,255,97,97,97,255,98,98,98,255,99,99,99,255,101,101,101,255,104,104,104,255,104,104,104,255,103,103,103,255,101,101,101,255,98,98,98,255,95,95,95,255,93,93,93,255,92,92,92,255,92,92,92,255,96,96,96,255,102,102,102,255,107,107,107,255,106,106,106,255,104,104,104,255,104,104,104,255,105,105,105,255,104,104,104,255,104,104,104,255,107,107,107,255,111,111,111,255,114,114,114,255,115,115,115,255,116,116,116,255,113,113,113,255,111,111,111,255,112,112,112,255,113,113,113,255,113,113,113,255,116,116,116,255,120,120,120,255,120,120,120,255,118,118,118,255,115,115,115,255,109,109,109,255,106,106,106,255,106,106,106,255,107,107,107,255,106,106,106,255,105,105,105,255,106,106,106,255,110,110,110,255,113,113,113,255,116,116,116,255,117,117,117,255,117,117,117,255,120,120,120,255,124,124,124,255,125,125,125,255,127,127,127,255,129,129,129,255,130,130,130,255,126,126,126,255,123,123,123,255,122,122,122,255,120,120,120,255,122,122,122,255,127,127,127,255,130,130,130,255,131,131,131,255,132,132,132,255,135,135,135,255,135,135,135,255,134,134,134,255,136,136,136,255,137,137,137,255,139,139,139,255,142,142,142,255,141,141,141,255,138,138,138,255,137,137,137,255,139,139,139,255,138,138,138,255,133,133,133,255,126,126,126,255,121,121,121,255,121,121,121,255,120,120,120,255,119,119,119,255,117,117,117,255,118,118,118,255,118,118,118,255,115,115,115,255,111,111,111,255,107,107,107,255,105,105,105,255,105,105,105,255,106,106,106,255,105,105,105,255,102,102,102,255,101,101,101,255,99,99,99,255,95,95,95,255,92,92,92,255,92,92,92,255,93,93,93,255,96,96,96,255,100,100,100,255,101,101,101,255,100,100,100,255,101,101,101,255,103,103,103,255,102,102,102,255,99,99,99,255,95,95,95,255,93,93,93,255,92,92,92,255,90,90,90,255,90,90,90,255,91,91,91,255,95,95,95,255,100,100,100,255,103,103,103,255,103,103,103,255,102,102,102,255,101,101,101,255,100,100,100,255,100,100,100,255,101,101,101,255,105,105,105,255,108,108,108,255,111,111,111,255,114,114,114,255,115,115,115,255,113,113,113,255,113,113,113,255,114,114,114,255,115,115,115,255,116,116,116,255,118,118,118,255,121,121,121,255,122,122,122,255,122,122,122,255,119,119,119,255,114,114,114,255,111,111,111,255,110,110,110,255,108,108,108,255,104,104,104,255,104,104,104,255,106,106,106,255,109,109,109,255,111,111,111,255,115,115,115,255,118,118,118,255,119,119,119,255,122,122,122,255,126,126,126,255,127,127,127,255,127,127,127,255,129,129,129,255,129,129,129,255,126,126,126,255,123,123,123,255,122,122,122,255,123,123,123,255,126,126,126,255,129,129,129,255,131,131,131,255,130,130,130,255,130,130,130,255,132,132,132,255,133,133,133,255,131,131,131,255,131,131,131,255,135,135,135,255,139,139,139,255,142,142,142,255,138,138,138,255,135,135,135,255,134,134,134,255,136,136,136,255,135,135,135,255,131,131,131,255,126,126,126,255,122,122,122,255,119,119,119,255,117,117,117,255,116,116,116,255,116,116,116,255,117,117,117,255,116,116,116,255,113,113,113,255,110,110,110,255,106,106,106,255,104,104,104,255,105,105,105,255,106,106,106,255,108,108,108,255,108,108,108,255,108,108,108,255,106,106,106,255,101,101,101,255,96,96,96,255,95,95,95,255,96,96,96,255,100,100,100,255,103,103,103,255,103,103,103,255,100,100,100,255,100,100,100,255,101,101,101,255,101,101,101,255,98,98,98,255,95,95,95,255,93,93,93,255,92,92,92,255,92,92,92,255,92,92,92,255,93,93,93,255,95,95,95,255,97,97,97,255,97,97,97,255,97,97,97,255,98,98,98,255,97,97,97,255,97,97,97,255,99,99,99,255,102,102,102,255,104,104,104,255,105,105,105,255,109,109,109,255,113,113,113,255,115,115,115,255,115,115,115,255,115,115,115,255,115,115,115,255,116,116,116,255,118,118,118,255,119,119,119,255,120,120,120,255,121,121,121,255,123,123,123,255,122,122,122,255,118,118,118,255,115,115,115,255,113,113,113,255,108,108,108,255,106,106,106,255,108,108,108,255,111,111,111,255,112,112,112,255,112,112,112,255,115,115,115,255,119,119,119,255,121,121,121,255,124,124,124,255,127,127,127,255,128,128,128,255,127,127,127,255,127,127,127,255,129,129,129,255,126,126,126,255,122,122,122,255,123,123,123,255,124,124,124,255,124,124,124,255,125,125,125,255,126,126,126,255,125,125,125,255,126,126,126,255,129,129,129,255,130,130,130,255,129,129,129,255,129,129,129,255,131,131,131,255,135,135,135,255,136,136,136,255,134,134,134,255,133,133,133,255,134,134,134,255,133,133,133,255,129,129,129,255,124,124,124,255,122,122,122,255,121,121,121,255,118,118,118,255,115,115,115,255,115,115,115,255,117,117,117,255,116,116,116,255,113,113,113,255,109,109,109,255,108,108,108,255,107,107,107,255,107,107,107,255,109,109,109,255,110,110,110,255,113,113,113,255,115,115,115,255,113,113,113,255,108,108,108,255,104,104,104,255,99,99,99,255,97,97,97,255,100,100,100,255,103,103,103,255,103,103,103,255,101,101,101,255,98,98,98,255,96,96,96,255,97,97,97,255,98,98,98,255,97,97,97,255,94,94,94,255,93,93,93,255,93,93,93,255,93,93,93,255,93,93,93,255,93,93,93,255,94,94,94,255,93,93,93,255,91,91,91,255,92,92,92,255,94,94,94,255,94,94,94,255,95,95,95,255,98,98,98,255,103,103,103,255,103,103,103,255,103,103,103,255,107,107,107,255,111,111,111,255,113,113,113,255,114,114,114,255,116,116,116,255,117,117,117,255,117,117,117,255,120,120,120,255,122,122,122,255,120,120,120,255,119,119,119,255,122,122,122,255,122,122,122,255,119,119,119,255,115,115,115,255,113,113,113,255,111,111,111,255,112,112,112,255,117,117,117,255,120,120,120,255,119,119,119,255,117,117,117,255,118,118,118,255,121,121,121,255,122,122,122,255,125,125,125,255,127,127,127,255,127,127,127,255,126,126,126,255,128,128,128,255,131,131,131,255,127,127,127,255,124,124,124,255,123,123,123,255,122,122,122,255,120,120,120,255,120,120,120,255,121,121,121,255,120,120,120,255,121,121,121,255,123,123,123,255,126,126,126,255,126,126,126,255,127,127,127,255,127,127,127,255,129,129,129,255,130,130,130,255,130,130,130,255,130,130,130,255,131,131,131,255,129,129,129,255,123,123,123,255,117,117,117,255,116,116,116,255,116,116,116,255,114,114,114,255,113,113,113,255,113,113,113,255,115,115,115,255,114,114,114,255,111,111,111,255,108,108,108,255,107,107,107,255,108,108,108,255,110,110,110,255,113,113,113,255,115,115,115,255,117,117,117,255,119,119,119,255,116,116,116,255,111,111,111,255,106,106,106,255,102,102,102,255,102,102,102,255,104,104,104,255,104,104,104,255,101,101,101,255,98,98,98,255,94,94,94,255,92,92,92,255,93,93,93,255,94,94,94,255,93,93,93,255,91,91,91,255,91,91,91,255,91,91,91,255,91,91,91,255,92,92,92,255,93,93,93,255,92,92,92,255,91,91,91,255,89,89,89,255,89,89,89,255,92,92,92,255,93,93,93,255,94,94,94,255,97,97,97,255,101,101,101,255,101,101,101,255,100,100,100,255,102,102,102,255,104,104,104,255,106,106,106,255,110,110,110,255,114,114,114,255,116,116,116,255,118,118,118,255,122,122,122,255,124,124,124,255,123,123,123,255,122,122,122,255,124,124,124,255,124,124,124,255,121,121,121,255,117,117,117,255,116,116,116,255,117,117,117,255,120,120,120,255,124,124,124,255,127,127,127,255,125,125,125,255,123,123,123,255,122,122,122,255,123,123,123,255,124,124,124,255,126,126,126,255,127,127,127,255,126,126,126,255,126,126,126,255,130,130,130,255,133,133,133,255,125,125,125,255,123,123,123,255,122,122,122,255,118,118,118,255,117,117,117,255,118,118,118,255,119,119,119,255,118,118,118,255,117,117,117,255,117,117,117,255,120,120,120,255,123,123,123,255,124,124,124,255,124,124,124,255,126,126,126,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,126,126,126,255,120,120,120,255,113,113,113,255,110,110,110,255,110,110,110,255,111,111,111,255,112,112,112,255,113,113,113,255,113,113,113,255,112,112,112,255,111,111,111,255,111,111,111,255,110,110,110,255,109,109,109,255,111,111,111,255,114,114,114,255,116,116,116,255,117,117,117,255,118,118,118,255,117,117,117,255,113,113,113,255,110,110,110,255,109,109,109,255,109,109,109,255,109,109,109,255,106,106,106,255,101,101,101,255,97,97,97,255,93,93,93,255,90,90,90,255,91,91,91,255,92,92,92,255,91,91,91,255,90,90,90,255,91,91,91,255,91,91,91,255,92,92,92,255,94,94,94,255,95,95,95,255,94,94,94,255,92,92,92,255,88,88,88,255,88,88,88,255,91,91,91,255,94,94,94,255,96,96,96,255,98,98,98,255,100,100,100,255,99,99,99,255,98,98,98,255,97,97,97,255,98,98,98,255,101,101,101,255,104,104,104,255,108,108,108,255,110,110,110,255,114,114,114,255,119,119,119,255,124,124,124,255,126,126,126,255,127,127,127,255,127,127,127,255,126,126,126,255,122,122,122,255,119,119,119,255,120,120,120,255,122,122,122,255,125,125,125,255,128,128,128,255,129,129,129,255,129,129,129,255,127,127,127,255,126,126,126,255,125,125,125,255,127,127,127,255,130,130,130,255,130,130,130,255,127,127,127,255,128,128,128,255,131,131,131,255,133,133,133,255,124,124,124,255,123,123,123,255,120,120,120,255,116,116,116,255,115,115,115,255,116,116,116,255,117,117,117,255,117,117,117,255,116,116,116,255,115,115,115,255,117,117,117,255,121,121,121,255,124,124,124,255,124,124,124,255,127,127,127,255,129,129,129,255,128,128,128,255,125,125,125,255,125,125,125,255,126,126,126,255,122,122,122,255,115,115,115,255,109,109,109,255,108,108,108,255,110,110,110,255,114,114,114,255,116,116,116,255,113,113,113,255,112,112,112,255,112,112,112,255,113,113,113,255,112,112,112,255,110,110,110,255,111,111,111,255,115,115,115,255,117,117,117,255,117,117,117,255,117,117,117,255,116,116,116,255,115,115,115,255,113,113,113,255,114,114,114,255,113,113,113,255,111,111,111,255,108,108,108,255,105,105,105,255,101,101,101,255,95,95,95,255,92,92,92,255,93,93,93,255,94,94,94,255,93,93,93,255,93,93,93,255,96,96,96,255,96,96,96,255,97,97,97,255,99,99,99,255,99,99,99,255,96,96,96,255,93,93,93,255,89,89,89,255,89,89,89,255,93,93,93,255,97,97,97,255,98,98,98,255,99,99,99,255,100,100,100,255,100,100,100,255,97,97,97,255,94,94,94,255,95,95,95,255,99,99,99,255,101,101,101,255,102,102,102,255,105,105,105,255,108,108,108,255,113,113,113,255,118,118,118,255,125,125,125,255,128,128,128,255,128,128,128,255,127,127,127,255,124,124,124,255,123,123,123,255,124,124,124,255,124,124,124,255,124,124,124,255,125,125,125,255,127,127,127,255,127,127,127,255,128,128,128,255,126,126,126,255,127,127,127,255,130,130,130,255,134,134,134,255,133,133,133,255,130,130,130,255,130,130,130,255,132,132,132,255,132,132,132,255,124,124,124,255,123,123,123,255,120,120,120,255,116,116,116,255,113,113,113,255,113,113,113,255,114,114,114,255,115,115,115,255,115,115,115,255,114,114,114,255,118,118,118,255,123,123,123,255,126,126,126,255,127,127,127,255,129,129,129,255,131,131,131,255,129,129,129,255,126,126,126,255,127,127,127,255,128,128,128,255,125,125,125,255,119,119,119,255,112,112,112,255,109,109,109,255,111,111,111,255,115,115,115,255,117,117,117,255,115,115,115,255,113,113,113,255,112,112,112,255,112,112,112,255,112,112,112,255,111,111,111,255,113,113,113,255,116,116,116,255,117,117,117,255,117,117,117,255,117,117,117,255,116,116,116,255,114,114,114,255,113,113,113,255,113,113,113,255,112,112,112,255,110,110,110,255,108,108,108,255,107,107,107,255,105,105,105,255,99,99,99,255,94,94,94,255,94,94,94,255,95,95,95,255,96,96,96,255,97,97,97,255,100,100,100,255,100,100,100,255,101,101,101,255,102,102,102,255,100,100,100,255,95,95,95,255,92,92,92,255,91,91,91,255,94,94,94,255,98,98,98,255,100,100,100,255,100,100,100,255,101,101,101,255,102,102,102,255,101,101,101,255,97,97,97,255,94,94,94,255,95,95,95,255,98,98,98,255,99,99,99,255,100,100,100,255,102,102,102,255,105,105,105,255,107,107,107,255,113,113,113,255,121,121,121,255,126,126,126,255,128,128,128,255,127,127,127,255,125,125,125,255,125,125,125,255,125,125,125,255,123,123,123,255,121,121,121,255,122,122,122,255,124,124,124,255,126,126,126,255,127,127,127,255,127,127,127,255,129,129,129,255,132,132,132,255,136,136,136,255,135,135,135,255,132,132,132,255,132,132,132,255,133,133,133,255,133,133,133,255,122,122,122,255,119,119,119,255,117,117,117,255,116,116,116,255,114,114,114,255,111,111,111,255,111,111,111,255,111,111,111,255,111,111,111,255,111,111,111,255,115,115,115,255,121,121,121,255,126,126,126,255,128,128,128,255,130,130,130,255,130,130,130,255,128,128,128,255,126,126,126,255,127,127,127,255,128,128,128,255,127,127,127,255,122,122,122,255,115,115,115,255,110,110,110,255,111,111,111,255,114,114,114,255,115,115,115,255,115,115,115,255,115,115,115,255,114,114,114,255,112,112,112,255,111,111,111,255,111,111,111,255,113,113,113,255,114,114,114,255,115,115,115,255,115,115,115,255,115,115,115,255,115,115,115,255,115,115,115,255,114,114,114,255,113,113,113,255,111,111,111,255,109,109,109,255,108,108,108,255,107,107,107,255,106,106,106,255,102,102,102,255,98,98,98,255,97,97,97,255,98,98,98,255,98,98,98,255,100,100,100,255,103,103,103,255,103,103,103,255,103,103,103,255,102,102,102,255,100,100,100,255,96,96,96,255,93,93,93,255,94,94,94,255,98,98,98,255,102,102,102,255,105,105,105,255,105,105,105,255,106,106,106,255,106,106,106,255,102,102,102,255,98,98,98,255,96,96,96,255,95,95,95,255,95,95,95,255,95,95,95,255,97,97,97,255,99,99,99,255,100,100,100,255,103,103,103,255,110,110,110,255,119,119,119,255,125,125,125,255,128,128,128,255,129,129,129,255,128,128,128,255,127,127,127,255,125,125,125,255,120,120,120,255,118,118,118,255,120,120,120,255,123,123,123,255,125,125,125,255,128,128,128,255,130,130,130,255,132,132,132,255,133,133,133,255,134,134,134,255,134,134,134,255,134,134,134,255,134,134,134,255,135,135,135,255,134,134,134,255,117,117,117,255,115,115,115,255,114,114,114,255,114,114,114,255,113,113,113,255,109,109,109,255,107,107,107,255,107,107,107,255,107,107,107,255,108,108,108,255,112,112,112,255,120,120,120,255,126,126,126,255,129,129,129,255,130,130,130,255,129,129,129,255,128,128,128,255,127,127,127,255,127,127,127,255,127,127,127,255,125,125,125,255,121,121,121,255,114,114,114,255,109,109,109,255,110,110,110,255,111,111,111,255,112,112,112,255,113,113,113,255,116,116,116,255,116,116,116,255,113,113,113,255,111,111,111,255,110,110,110,255,112,112,112,255,112,112,112,255,113,113,113,255,114,114,114,255,115,115,115,255,115,115,115,255,115,115,115,255,114,114,114,255,112,112,112,255,111,111,111,255,110,110,110,255,109,109,109,255,108,108,108,255,108,108,108,255,107,107,107,255,105,105,105,255,103,103,103,255,102,102,102,255,101,101,101,255,102,102,102,255,104,104,104,255,105,105,105,255,103,103,103,255,102,102,102,255,101,101,101,255,99,99,99,255,96,96,96,255,96,96,96,255,99,99,99,255,102,102,102,255,106,106,106,255,110,110,110,255,111,111,111,255,110,110,110,255,106,106,106,255,102,102,102,255,99,99,99,255,97,97,97,255,94,94,94,255,93,93,93,255,95,95,95,255,97,97,97,255,96,96,96,255,100,100,100,255,109,109,109,255,118,118,118,255,125,125,125,255,128,128,128,255,129,129,129,255,128,128,128,255,126,126,126,255,123,123,123,255,120,120,120,255,119,119,119,255,123,123,123,255,125,125,125,255,127,127,127,255,130,130,130,255,133,133,133,255,132,132,132,255,130,130,130,255,130,130,130,255,131,131,131,255,132,132,132,255,134,134,134,255,136,136,136,255,135,135,135,255,114,114,114,255,113,113,113,255,113,113,113,255,112,112,112,255,108,108,108,255,102,102,102,255,101,101,101,255,103,103,103,255,105,105,105,255,107,107,107,255,112,112,112,255,120,120,120,255,126,126,126,255,129,129,129,255,130,130,130,255,130,130,130,255,130,130,130,255,129,129,129,255,130,130,130,255,128,128,128,255,125,125,125,255,120,120,120,255,114,114,114,255,110,110,110,255,110,110,110,255,112,112,112,255,111,111,111,255,112,112,112,255,115,115,115,255,115,115,115,255,112,112,112,255,109,109,109,255,110,110,110,255,112,112,112,255,114,114,114,255,115,115,115,255,116,116,116,255,117,117,117,255,115,115,115,255,112,112,112,255,110,110,110,255,110,110,110,255,110,110,110,255,111,111,111,255,110,110,110,255,110,110,110,255,112,112,112,255,113,113,113,255,112,112,112,255,111,111,111,255,110,110,110,255,106,106,106,255,105,105,105,255,107,107,107,255,107,107,107,255,105,105,105,255,104,104,104,255,104,104,104,255,103,103,103,255,100,100,100,255,98,98,98,255,99,99,99,255,103,103,103,255,107,107,107,255,111,111,111,255,113,113,113,255,112,112,112,255,110,110,110,255,106,106,106,255,103,103,103,255,100,100,100,255,96,96,96,255,95,95,95,255,97,97,97,255,98,98,98,255,98,98,98,255,102,102,102,255,110,110,110,255,118,118,118,255,123,123,123,255,125,125,125,255,126,126,126,255,126,126,126,255,125,125,125,255,123,123,123,255,122,122,122,255,124,124,124,255,127,127,127,255,129,129,129,255,129,129,129,255,130,130,130,255,131,131,131,255,128,128,128,255,125,125,125,255,124,124,124,255,126,126,126,255,128,128,128,255,131,131,131,255,134,134,134,255,134,134,134,255,112,112,112,255,112,112,112,255,110,110,110,255,106,106,106,255,98,98,98,255,93,93,93,255,94,94,94,255,98,98,98,255,101,101,101,255,105,105,105,255,112,112,112,255,119,119,119,255,123,123,123,255,125,125,125,255,126,126,126,255,128,128,128,255,131,131,131,255,132,132,132,255,132,132,132,255,130,130,130,255,126,126,126,255,122,122,122,255,117,117,117,255,112,112,112,255,111,111,111,255,111,111,111,255,110,110,110,255,111,111,111,255,113,113,113,255,114,114,114,255,110,110,110,255,107,107,107,255,107,107,107,255,111,111,111,255,113,113,113,255,116,116,116,255,116,116,116,255,115,115,115,255,111,111,111,255,107,107,107,255,104,104,104,255,103,103,103,255,105,105,105,255,107,107,107,255,109,109,109,255,110,110,110,255,112,112,112,255,114,114,114,255,115,115,115,255,117,117,117,255,116,116,116,255,111,111,111,255,108,108,108,255,108,108,108,255,107,107,107,255,106,106,106,255,107,107,107,255,109,109,109,255,108,108,108,255,106,106,106,255,103,103,103,255,103,103,103,255,106,106,106,255,111,111,111,255,114,114,114,255,116,116,116,255,116,116,116,255,114,114,114,255,109,109,109,255,105,105,105,255,101,101,101,255,99,99,99,255,98,98,98,255,101,101,101,255,103,103,103,255,104,104,104,255,108,108,108,255,114,114,114,255,120,120,120,255,124,124,124,255,124,124,124,255,125,125,125,255,127,127,127,255,128,128,128,255,126,126,126,255,125,125,125,255,128,128,128,255,131,131,131,255,133,133,133,255,133,133,133,255,132,132,132,255,129,129,129,255,123,123,123,255,120,120,120,255,121,121,121,255,123,123,123,255,125,125,125,255,128,128,128,255,132,132,132,255,135,135,135,255,109,109,109,255,107,107,107,255,102,102,102,255,97,97,97,255,91,91,91,255,89,89,89,255,92,92,92,255,96,96,96,255,99,99,99,255,104,104,104,255,111,111,111,255,117,117,117,255,119,119,119,255,119,119,119,255,122,122,122,255,125,125,125,255,129,129,129,255,130,130,130,255,129,129,129,255,128,128,128,255,126,126,126,255,124,124,124,255,120,120,120,255,116,116,116,255,115,115,115,255,113,113,113,255,112,112,112,255,112,112,112,255,114,114,114,255,114,114,114,255,110,110,110,255,106,106,106,255,104,104,104,255,106,106,106,255,110,110,110,255,112,112,112,255,111,111,111,255,109,109,109,255,105,105,105,255,103,103,103,255,101,101,101,255,99,99,99,255,100,100,100,255,104,104,104,255,108,108,108,255,110,110,110,255,112,112,112,255,113,113,113,255,115,115,115,255,119,119,119,255,119,119,119,255,116,116,116,255,113,113,113,255,111,111,111,255,109,109,109,255,108,108,108,255,111,111,111,255,113,113,113,255,113,113,113,255,113,113,113,255,111,111,111,255,111,111,111,255,114,114,114,255,118,118,118,255,119,119,119,255,119,119,119,255,119,119,119,255,116,116,116,255,110,110,110,255,105,105,105,255,103,103,103,255,102,102,102,255,102,102,102,255,104,104,104,255,107,107,107,255,109,109,109,255,113,113,113,255,118,118,118,255,123,123,123,255,127,127,127,255,128,128,128,255,128,128,128,255,130,130,130,255,132,132,132,255,130,130,130,255,129,129,129,255,132,132,132,255,135,135,135,255,137,137,137,255,135,135,135,255,132,132,132,255,128,128,128,255,123,123,123,255,121,121,121,255,123,123,123,255,125,125,125,255,126,126,126,255,127,127,127,255,131,131,131,255,135,135,135,255,104,104,104,255,99,99,99,255,94,94,94,255,89,89,89,255,87,87,87,255,89,89,89,255,93,93,93,255,97,97,97,255,100,100,100,255,106,106,106,255,112,112,112,255,116,116,116,255,117,117,117,255,117,117,117,255,120,120,120,255,124,124,124,255,127,127,127,255,126,126,126,255,124,124,124,255,123,123,123,255,124,124,124,255,123,123,123,255,122,122,122,255,121,121,121,255,120,120,120,255,118,118,118,255,116,116,116,255,116,116,116,255,118,118,118,255,116,116,116,255,111,111,111,255,106,106,106,255,102,102,102,255,103,103,103,255,105,105,105,255,107,107,107,255,104,104,104,255,102,102,102,255,100,100,100,255,99,99,99,255,99,99,99,255,97,97,97,255,99,99,99,255,105,105,105,255,110,110,110,255,112,112,112,255,114,114,114,255,115,115,115,255,117,117,117,255,121,121,121,255,123,123,123,255,121,121,121,255,119,119,119,255,117,117,117,255,114,114,114,255,113,113,113,255,116,116,116,255,118,118,118,255,118,118,118,255,119,119,119,255,119,119,119,255,121,121,121,255,124,124,124,255,124,124,124,255,121,121,121,255,119,119,119,255,120,120,120,255,118,118,118,255,113,113,113,255,109,109,109,255,109,109,109,255,109,109,109,255,108,108,108,255,108,108,108,255,110,110,110,255,113,113,113,255,117,117,117,255,122,122,122,255,127,127,127,255,131,131,131,255,132,132,132,255,132,132,132,255,133,133,133,255,134,134,134,255,133,133,133,255,133,133,133,255,138,138,138,255,140,140,140,255,140,140,140,255,136,136,136,255,132,132,132,255,128,128,128,255,125,125,125,255,124,124,124,255,126,126,126,255,128,128,128,255,128,128,128,255,128,128,128,255,131,131,131,255,135,135,135,255,95,95,95,255,91,91,91,255,87,87,87,255,85,85,85,255,87,87,87,255,89,89,89,255,93,93,93,255,99,99,99,255,104,104,104,255,108,108,108,255,112,112,112,255,115,115,115,255,117,117,117,255,119,119,119,255,121,121,121,255,123,123,123,255,123,123,123,255,121,121,121,255,119,119,119,255,119,119,119,255,120,120,120,255,122,122,122,255,123,123,123,255,124,124,124,255,125,125,125,255,124,124,124,255,122,122,122,255,121,121,121,255,121,121,121,255,120,120,120,255,115,115,115,255,109,109,109,255,104,104,104,255,102,102,102,255,100,100,100,255,100,100,100,255,98,98,98,255,97,97,97,255,95,95,95,255,94,94,94,255,95,95,95,255,97,97,97,255,102,102,102,255,108,108,108,255,112,112,112,255,114,114,114,255,117,117,117,255,119,119,119,255,121,121,121,255,124,124,124,255,127,127,127,255,125,125,125,255,123,123,123,255,122,122,122,255,120,120,120,255,120,120,120,255,123,123,123,255,125,125,125,255,125,125,125,255,126,126,126,255,127,127,127,255,129,129,129,255,130,130,130,255,128,128,128,255,125,125,125,255,122,122,122,255,121,121,121,255,120,120,120,255,116,116,116,255,114,114,114,255,114,114,114,255,113,113,113,255,112,112,112,255,113,113,113,255,116,116,116,255,120,120,120,255,123,123,123,255,126,126,126,255,131,131,131,255,136,136,136,255,139,139,139,255,138,138,138,255,137,137,137,255,136,136,136,255,135,135,135,255,138,138,138,255,143,143,143,255,144,144,144,255,142,142,142,255,137,137,137,255,132,132,132,255,128,128,128,255,126,126,126,255,126,126,126,255,127,127,127,255,128,128,128,255,127,127,127,255,128,128,128,255,132,132,132,255,134,134,134,255,91,91,91,255,88,88,88,255,87,87,87,255,87,87,87,255,90,90,90,255,92,92,92,255,95,95,95,255,101,101,101,255,107,107,107,255,109,109,109,255,111,111,111,255,115,115,115,255,118,118,118,255,120,120,120,255,120,120,120,255,118,118,118,255,119,119,119,255,119,119,119,255,118,118,118,255,117,117,117,255,120,120,120,255,123,123,123,255,125,125,125,255,125,125,125,255,125,125,125,255,126,126,126,255,124,124,124,255,122,122,122,255,122,122,122,255,121,121,121,255,117,117,117,255,111,111,111,255,106,106,106,255,101,101,101,255,95,95,95,255,92,92,92,255,92,92,92,255,91,91,91,255,90,90,90,255,89,89,89,255,91,91,91,255,96,96,96,255,102,102,102,255,109,109,109,255,111,111,111,255,114,114,114,255,118,118,118,255,121,121,121,255,123,123,123,255,126,126,126,255,129,129,129,255,129,129,129,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,130,130,130,255,133,133,133,255,134,134,134,255,134,134,134,255,134,134,134,255,134,134,134,255,133,133,133,255,132,132,132,255,129,129,129,255,124,124,124,255,122,122,122,255,122,122,122,255,119,119,119,255,118,118,118,255,118,118,118,255,117,117,117,255,116,116,116,255,118,118,118,255,122,122,122,255,127,127,127,255,132,132,132,255,134,134,134,255,137,137,137,255,141,141,141,255,144,144,144,255,144,144,144,255,142,142,142,255,140,140,140,255,140,140,140,255,142,142,142,255,143,143,143,255,143,143,143,255,142,142,142,255,139,139,139,255,134,134,134,255,128,128,128,255,126,126,126,255,127,127,127,255,128,128,128,255,127,127,127,255,125,125,125,255,126,126,126,255,130,130,130,255,130,130,130,255,92,92,92,255,90,90,90,255,91,91,91,255,93,93,93,255,96,96,96,255,97,97,97,255,100,100,100,255,105,105,105,255,109,109,109,255,111,111,111,255,112,112,112,255,115,115,115,255,118,118,118,255,119,119,119,255,116,116,116,255,113,113,113,255,115,115,115,255,118,118,118,255,119,119,119,255,119,119,119,255,122,122,122,255,126,126,126,255,127,127,127,255,124,124,124,255,124,124,124,255,125,125,125,255,123,123,123,255,120,120,120,255,120,120,120,255,120,120,120,255,116,116,116,255,110,110,110,255,106,106,106,255,101,101,101,255,93,93,93,255,88,88,88,255,87,87,87,255,87,87,87,255,87,87,87,255,89,89,89,255,92,92,92,255,96,96,96,255,102,102,102,255,107,107,107,255,111,111,111,255,114,114,114,255,119,119,119,255,123,123,123,255,124,124,124,255,127,127,127,255,131,131,131,255,133,133,133,255,134,134,134,255,133,133,133,255,132,132,132,255,132,132,132,255,135,135,135,255,139,139,139,255,141,141,141,255,140,140,140,255,139,139,139,255,139,139,139,255,137,137,137,255,134,134,134,255,129,129,129,255,123,123,123,255,122,122,122,255,122,122,122,255,121,121,121,255,121,121,121,255,122,122,122,255,122,122,122,255,121,121,121,255,122,122,122,255,126,126,126,255,133,133,133,255,139,139,139,255,143,143,143,255,144,144,144,255,145,145,145,255,147,147,147,255,146,146,146,255,146,146,146,255,146,146,146,255,145,145,145,255,143,143,143,255,141,141,141,255,140,140,140,255,141,141,141,255,139,139,139,255,135,135,135,255,130,130,130,255,129,129,129,255,129,129,129,255,130,130,130,255,128,128,128,255,125,125,125,255,125,125,125,255,126,126,126,255,124,124,124,255,96,96,96,255,93,93,93,255,93,93,93,255,96,96,96,255,99,99,99,255,101,101,101,255,103,103,103,255,107,107,107,255,111,111,111,255,113,113,113,255,115,115,115,255,117,117,117,255,118,118,118,255,118,118,118,255,113,113,113,255,110,110,110,255,112,112,112,255,116,116,116,255,119,119,119,255,119,119,119,255,122,122,122,255,127,127,127,255,127,127,127,255,125,125,125,255,124,124,124,255,124,124,124,255,122,122,122,255,119,119,119,255,120,120,120,255,120,120,120,255,116,116,116,255,110,110,110,255,105,105,105,255,101,101,101,255,95,95,95,255,89,89,89,255,86,86,86,255,86,86,86,255,88,88,88,255,90,90,90,255,92,92,92,255,95,95,95,255,101,101,101,255,107,107,107,255,113,113,113,255,117,117,117,255,120,120,120,255,123,123,123,255,126,126,126,255,129,129,129,255,134,134,134,255,138,138,138,255,140,140,140,255,139,139,139,255,136,136,136,255,136,136,136,255,139,139,139,255,144,144,144,255,146,146,146,255,146,146,146,255,144,144,144,255,141,141,141,255,139,139,139,255,135,135,135,255,127,127,127,255,121,121,121,255,119,119,119,255,120,120,120,255,121,121,121,255,123,123,123,255,126,126,126,255,127,127,127,255,126,126,126,255,127,127,127,255,129,129,129,255,134,134,134,255,141,141,141,255,145,145,145,255,147,147,147,255,147,147,147,255,147,147,147,255,146,146,146,255,146,146,146,255,147,147,147,255,146,146,146,255,144,144,144,255,141,141,141,255,140,140,140,255,142,142,142,255,141,141,141,255,136,136,136,255,133,133,133,255,133,133,133,255,133,133,133,255,132,132,132,255,128,128,128,255,124,124,124,255,123,123,123,255,121,121,121,255,118,118,118,255,98,98,98,255,95,95,95,255,95,95,95,255,98,98,98,255,101,101,101,255,103,103,103,255,106,106,106,255,108,108,108,255,112,112,112,255,115,115,115,255,117,117,117,255,117,117,117,255,117,117,117,255,116,116,116,255,114,114,114,255,110,110,110,255,109,109,109,255,112,112,112,255,116,116,116,255,118,118,118,255,120,120,120,255,125,125,125,255,127,127,127,255,126,126,126,255,127,127,127,255,127,127,127,255,124,124,124,255,122,122,122,255,124,124,124,255,124,124,124,255,118,118,118,255,111,111,111,255,105,105,105,255,103,103,103,255,98,98,98,255,92,92,92,255,88,88,88,255,88,88,88,255,90,90,90,255,90,90,90,255,91,91,91,255,94,94,94,255,101,101,101,255,108,108,108,255,115,115,115,255,118,118,118,255,119,119,119,255,121,121,121,255,125,125,125,255,130,130,130,255,134,134,134,255,138,138,138,255,140,140,140,255,140,140,140,255,139,139,139,255,140,140,140,255,145,145,145,255,148,148,148,255,149,149,149,255,150,150,150,255,146,146,146,255,142,142,142,255,140,140,140,255,137,137,137,255,129,129,129,255,121,121,121,255,116,116,116,255,117,117,117,255,119,119,119,255,122,122,122,255,124,124,124,255,126,126,126,255,128,128,128,255,130,130,130,255,132,132,132,255,136,136,136,255,141,141,141,255,145,145,145,255,148,148,148,255,150,150,150,255,149,149,149,255,147,147,147,255,146,146,146,255,148,148,148,255,148,148,148,255,147,147,147,255,145,145,145,255,145,145,145,255,146,146,146,255,143,143,143,255,138,138,138,255,135,135,135,255,134,134,134,255,134,134,134,255,131,131,131,255,127,127,127,255,125,125,125,255,123,123,123,255,121,121,121,255,118,118,118,255,98,98,98,255,97,97,97,255,99,99,99,255,103,103,103,255,106,106,106,255,108,108,108,255,109,109,109,255,110,110,110,255,112,112,112,255,115,115,115,255,115,115,115,255,114,114,114,255,113,113,113,255,115,115,115,255,114,114,114,255,111,111,111,255,108,108,108,255,109,109,109,255,113,113,113,255,115,115,115,255,118,118,118,255,123,123,123,255,127,127,127,255,129,129,129,255,130,130,130,255,131,131,131,255,129,129,129,255,128,128,128,255,129,129,129,255,127,127,127,255,121,121,121,255,114,114,114,255,107,107,107,255,105,105,105,255,102,102,102,255,97,97,97,255,92,92,92,255,92,92,92,255,94,94,94,255,93,93,93,255,92,92,92,255,94,94,94,255,100,100,100,255,108,108,108,255,114,114,114,255,116,116,116,255,116,116,116,255,117,117,117,255,121,121,121,255,126,126,126,255,129,129,129,255,132,132,132,255,135,135,135,255,137,137,137,255,139,139,139,255,144,144,144,255,148,148,148,255,149,149,149,255,149,149,149,255,150,150,150,255,147,147,147,255,143,143,143,255,142,142,142,255,139,139,139,255,131,131,131,255,123,123,123,255,115,115,115,255,114,114,114,255,116,116,116,255,118,118,118,255,119,119,119,255,121,121,121,255,126,126,126,255,131,131,131,255,134,134,134,255,137,137,137,255,141,141,141,255,146,146,146,255,149,149,149,255,152,152,152,255,151,151,151,255,149,149,149,255,148,148,148,255,151,151,151,255,153,153,153,255,152,152,152,255,150,150,150,255,151,151,151,255,151,151,151,255,147,147,147,255,141,141,141,255,136,136,136,255,134,134,134,255,133,133,133,255,131,131,131,255,130,130,130,255,128,128,128,255,126,126,126,255,124,124,124,255,120,120,120,255,100,100,100,255,103,103,103,255,106,106,106,255,110,110,110,255,111,111,111,255,112,112,112,255,113,113,113,255,112,112,112,255,114,114,114,255,114,114,114,255,112,112,112,255,109,109,109,255,110,110,110,255,114,114,114,255,115,115,115,255,113,113,113,255,110,110,110,255,110,110,110,255,112,112,112,255,113,113,113,255,115,115,115,255,121,121,121,255,128,128,128,255,132,132,132,255,134,134,134,255,134,134,134,255,132,132,132,255,130,130,130,255,130,130,130,255,129,129,129,255,124,124,124,255,117,117,117,255,112,112,112,255,110,110,110,255,108,108,108,255,103,103,103,255,98,98,98,255,96,96,96,255,95,95,95,255,94,94,94,255,93,93,93,255,94,94,94,255,100,100,100,255,106,106,106,255,109,109,109,255,110,110,110,255,111,111,111,255,113,113,113,255,115,115,115,255,118,118,118,255,120,120,120,255,124,124,124,255,129,129,129,255,134,134,134,255,140,140,140,255,145,145,145,255,147,147,147,255,146,146,146,255,146,146,146,255,147,147,147,255,147,147,147,255,145,145,145,255,143,143,143,255,139,139,139,255,132,132,132,255,124,124,124,255,118,118,118,255,115,115,115,255,115,115,115,255,115,115,115,255,114,114,114,255,115,115,115,255,121,121,121,255,129,129,129,255,133,133,133,255,137,137,137,255,143,143,143,255,149,149,149,255,152,152,152,255,153,153,153,255,153,153,153,255,153,153,153,255,154,154,154,255,156,156,156,255,157,157,157,255,156,156,156,255,156,156,156,255,157,157,157,255,155,155,155,255,149,149,149,255,142,142,142,255,137,137,137,255,134,134,134,255,134,134,134,255,135,135,135,255,135,135,135,255,134,134,134,255,130,130,130,255,125,125,125,255,121,121,121,255,104,104,104,255,107,107,107,255,110,110,110,255,113,113,113,255,115,115,115,255,115,115,115,255,115,115,115,255,114,114,114,255,115,115,115,255,113,113,113,255,109,109,109,255,107,107,107,255,110,110,110,255,114,114,114,255,116,116,116,255,115,115,115,255,113,113,113,255,111,111,111,255,112,112,112,255,112,112,112,255,114,114,114,255,121,121,121,255,129,129,129,255,135,135,135,255,137,137,137,255,136,136,136,255,133,133,133,255,131,131,131,255,130,130,130,255,129,129,129,255,126,126,126,255,120,120,120,255,116,116,116,255,114,114,114,255,113,113,113,255,109,109,109,255,103,103,103,255,98,98,98,255,95,95,95,255,93,93,93,255,92,92,92,255,93,93,93,255,99,99,99,255,102,102,102,255,103,103,103,255,103,103,103,255,105,105,105,255,109,109,109,255,111,111,111,255,112,112,112,255,113,113,113,255,116,116,116,255,124,124,124,255,133,133,133,255,141,141,141,255,145,145,145,255,145,145,145,255,144,144,144,255,144,144,144,255,145,145,145,255,146,146,146,255,143,143,143,255,138,138,138,255,133,133,133,255,128,128,128,255,123,123,123,255,119,119,119,255,115,115,115,255,113,113,113,255,112,112,112,255,112,112,112,255,113,113,113,255,118,118,118,255,126,126,126,255,131,131,131,255,134,134,134,255,140,140,140,255,148,148,148,255,152,152,152,255,153,153,153,255,155,155,155,255,159,159,159,255,160,160,160,255,159,159,159,255,158,158,158,255,158,158,158,255,160,160,160,255,161,161,161,255,158,158,158,255,151,151,151,255,144,144,144,255,139,139,139,255,136,136,136,255,137,137,137,255,138,138,138,255,138,138,138,255,136,136,136,255,130,130,130,255,123,123,123,255,119,119,119,255,108,108,108,255,110,110,110,255,112,112,112,255,116,116,116,255,119,119,119,255,120,120,120,255,119,119,119,255,117,117,117,255,115,115,115,255,112,112,112,255,109,109,109,255,110,110,110,255,113,113,113,255,116,116,116,255,115,115,115,255,114,114,114,255,113,113,113,255,111,111,111,255,110,110,110,255,111,111,111,255,116,116,116,255,125,125,125,255,132,132,132,255,137,137,137,255,138,138,138,255,137,137,137,255,136,136,136,255,134,134,134,255,132,132,132,255,129,129,129,255,125,125,125,255,121,121,121,255,117,117,117,255,115,115,115,255,114,114,114,255,111,111,111,255,104,104,104,255,98,98,98,255,95,95,95,255,94,94,94,255,92,92,92,255,92,92,92,255,96,96,96,255,98,98,98,255,97,97,97,255,97,97,97,255,100,100,100,255,105,105,105,255,107,107,107,255,106,106,106,255,107,107,107,255,113,113,113,255,122,122,122,255,133,133,133,255,141,141,141,255,144,144,144,255,144,144,144,255,143,143,143,255,145,145,145,255,145,145,145,255,143,143,143,255,137,137,137,255,131,131,131,255,125,125,125,255,122,122,122,255,118,118,118,255,116,116,116,255,113,113,113,255,110,110,110,255,110,110,110,255,112,112,112,255,114,114,114,255,118,118,118,255,124,124,124,255,129,129,129,255,131,131,131,255,136,136,136,255,144,144,144,255,149,149,149,255,152,152,152,255,155,155,155,255,161,161,161,255,165,165,165,255,163,163,163,255,161,161,161,255,159,159,159,255,160,160,160,255,162,162,162,255,159,159,159,255,153,153,153,255,148,148,148,255,142,142,142,255,139,139,139,255,139,139,139,255,139,139,139,255,136,136,136,255,132,132,132,255,126,126,126,255,121,121,121,255,118,118,118,255,111,111,111,255,111,111,111,255,112,112,112,255,118,118,118,255,125,125,125,255,128,128,128,255,125,125,125,255,119,119,119,255,114,114,114,255,111,111,111,255,110,110,110,255,113,113,113,255,116,116,116,255,116,116,116,255,114,114,114,255,114,114,114,255,113,113,113,255,110,110,110,255,109,109,109,255,111,111,111,255,118,118,118,255,126,126,126,255,133,133,133,255,137,137,137,255,138,138,138,255,138,138,138,255,137,137,137,255,136,136,136,255,134,134,134,255,130,130,130,255,125,125,125,255,120,120,120,255,116,116,116,255,114,114,114,255,112,112,112,255,108,108,108,255,101,101,101,255,96,96,96,255,96,96,96,255,96,96,96,255,94,94,94,255,94,94,94,255,96,96,96,255,97,97,97,255,95,95,95,255,96,96,96,255,99,99,99,255,102,102,102,255,103,103,103,255,103,103,103,255,104,104,104,255,110,110,110,255,119,119,119,255,129,129,129,255,136,136,136,255,140,140,140,255,141,141,141,255,143,143,143,255,144,144,144,255,143,143,143,255,139,139,139,255,132,132,132,255,126,126,126,255,121,121,121,255,118,118,118,255,115,115,115,255,113,113,113,255,111,111,111,255,109,109,109,255,111,111,111,255,115,115,115,255,118,118,118,255,121,121,121,255,125,125,125,255,129,129,129,255,130,130,130,255,134,134,134,255,141,141,141,255,146,146,146,255,150,150,150,255,153,153,153,255,160,160,160,255,165,165,165,255,167,167,167,255,165,165,165,255,161,161,161,255,158,158,158,255,158,158,158,255,158,158,158,255,155,155,155,255,149,149,149,255,143,143,143,255,139,139,139,255,138,138,138,255,137,137,137,255,133,133,133,255,128,128,128,255,123,123,123,255,120,120,120,255,117,117,117,255,110,110,110,255,110,110,110,255,113,113,113,255,120,120,120,255,127,127,127,255,130,130,130,255,128,128,128,255,121,121,121,255,115,115,115,255,112,112,112,255,110,110,110,255,111,111,111,255,113,113,113,255,114,114,114,255,113,113,113,255,115,115,115,255,115,115,115,255,113,113,113,255,110,110,110,255,112,112,112,255,118,118,118,255,125,125,125,255,132,132,132,255,137,137,137,255,139,139,139,255,139,139,139,255,137,137,137,255,136,136,136,255,136,136,136,255,132,132,132,255,126,126,126,255,121,121,121,255,117,117,117,255,115,115,115,255,111,111,111,255,106,106,106,255,101,101,101,255,98,98,98,255,98,98,98,255,97,97,97,255,96,96,96,255,97,97,97,255,100,100,100,255,100,100,100,255,97,97,97,255,96,96,96,255,98,98,98,255,100,100,100,255,99,99,99,255,99,99,99,255,102,102,102,255,108,108,108,255,114,114,114,255,122,122,122,255,129,129,129,255,135,135,135,255,138,138,138,255,141,141,141,255,141,141,141,255,138,138,138,255,135,135,135,255,131,131,131,255,125,125,125,255,121,121,121,255,118,118,118,255,115,115,115,255,114,114,114,255,112,112,112,255,112,112,112,255,114,114,114,255,118,118,118,255,121,121,121,255,124,124,124,255,128,128,128,255,130,130,130,255,131,131,131,255,134,134,134,255,140,140,140,255,146,146,146,255,149,149,149,255,153,153,153,255,158,158,158,255,163,163,163,255,165,165,165,255,166,166,166,255,163,163,163,255,158,158,158,255,156,156,156,255,155,155,155,255,152,152,152,255,146,146,146,255,140,140,140,255,137,137,137,255,135,135,135,255,132,132,132,255,128,128,128,255,124,124,124,255,120,120,120,255,117,117,117,255,114,114,114,255,108,108,108,255,110,110,110,255,115,115,115,255,121,121,121,255,125,125,125,255,127,127,127,255,125,125,125,255,121,121,121,255,117,117,117,255,113,113,113,255,109,109,109,255,106,106,106,255,107,107,107,255,108,108,108,255,110,110,110,255,114,114,114,255,118,118,118,255,117,117,117,255,115,115,115,255,116,116,116,255,120,120,120,255,125,125,125,255,130,130,130,255,134,134,134,255,138,138,138,255,138,138,138,255,137,137,137,255,137,137,137,255,138,138,138,255,136,136,136,255,130,130,130,255,125,125,125,255,121,121,121,255,119,119,119,255,114,114,114,255,107,107,107,255,103,103,103,255,102,102,102,255,103,103,103,255,101,101,101,255,99,99,99,255,101,101,101,255,103,103,103,255,101,101,101,255,97,97,97,255,95,95,95,255,96,96,96,255,96,96,96,255,94,94,94,255,94,94,94,255,99,99,99,255,105,105,105,255,111,111,111,255,117,117,117,255,124,124,124,255,131,131,131,255,135,135,135,255,138,138,138,255,136,136,136,255,133,133,133,255,132,132,132,255,131,131,131,255,127,127,127,255,124,124,124,255,122,122,122,255,120,120,120,255,118,118,118,255,118,118,118,255,118,118,118,255,119,119,119,255,120,120,120,255,122,122,122,255,125,125,125,255,128,128,128,255,129,129,129,255,131,131,131,255,135,135,135,255,144,144,144,255,149,149,149,255,152,152,152,255,155,155,155,255,158,158,158,255,158,158,158,255,159,159,159,255,161,161,161,255,163,163,163,255,159,159,159,255,155,155,155,255,152,152,152,255,148,148,148,255,140,140,140,255,134,134,134,255,131,131,131,255,128,128,128,255,125,125,125,255,122,122,122,255,118,118,118,255,115,115,115,255,111,111,111,255,107,107,107,255,105,105,105,255,108,108,108,255,114,114,114,255,119,119,119,255,121,121,121,255,121,121,121,255,120,120,120,255,118,118,118,255,117,117,117,255,114,114,114,255,106,106,106,255,100,100,100,255,101,101,101,255,102,102,102,255,104,104,104,255,109,109,109,255,117,117,117,255,120,120,120,255,120,120,120,255,121,121,121,255,123,123,123,255,127,127,127,255,130,130,130,255,132,132,132,255,135,135,135,255,137,137,137,255,139,139,139,255,140,140,140,255,140,140,140,255,138,138,138,255,131,131,131,255,127,127,127,255,124,124,124,255,123,123,123,255,118,118,118,255,111,111,111,255,107,107,107,255,106,106,106,255,105,105,105,255,103,103,103,255,102,102,102,255,103,103,103,255,102,102,102,255,100,100,100,255,95,95,95,255,93,93,93,255,93,93,93,255,92,92,92,255,90,90,90,255,90,90,90,255,95,95,95,255,103,103,103,255,109,109,109,255,114,114,114,255,121,121,121,255,128,128,128,255,131,131,131,255,133,133,133,255,133,133,133,255,131,131,131,255,132,132,132,255,133,133,133,255,130,130,130,255,126,126,126,255,124,124,124,255,123,123,123,255,121,121,121,255,121,121,121,255,122,122,122,255,123,123,123,255,124,124,124,255,124,124,124,255,126,126,126,255,128,128,128,255,128,128,128,255,129,129,129,255,136,136,136,255,146,146,146,255,152,152,152,255,155,155,155,255,156,156,156,255,157,157,157,255,155,155,155,255,154,154,154,255,156,156,156,255,159,159,159,255,157,157,157,255,153,153,153,255,149,149,149,255,144,144,144,255,136,136,136,255,130,130,130,255,126,126,126,255,122,122,122,255,117,117,117,255,113,113,113,255,111,111,111,255,108,108,108,255,106,106,106,255,104,104,104,255,103,103,103,255,105,105,105,255,110,110,110,255,115,115,115,255,117,117,117,255,115,115,115,255,114,114,114,255,113,113,113,255,115,115,115,255,112,112,112,255,104,104,104,255,97,97,97,255,98,98,98,255,99,99,99,255,101,101,101,255,107,107,107,255,115,115,115,255,121,121,121,255,123,123,123,255,123,123,123,255,125,125,125,255,127,127,127,255,129,129,129,255,131,131,131,255,134,134,134,255,138,138,138,255,141,141,141,255,141,141,141,255,139,139,139,255,135,135,135,255,130,130,130,255,126,126,126,255,124,124,124,255,124,124,124,255,119,119,119,255,114,114,114,255,109,109,109,255,107,107,107,255,104,104,104,255,102,102,102,255,103,103,103,255,103,103,103,255,102,102,102,255,99,99,99,255,95,95,95,255,93,93,93,255,91,91,91,255,90,90,90,255,89,89,89,255,88,88,88,255,92,92,92,255,99,99,99,255,106,106,106,255,111,111,111,255,117,117,117,255,123,123,123,255,125,125,125,255,128,128,128,255,130,130,130,255,129,129,129,255,131,131,131,255,133,133,133,255,132,132,132,255,128,128,128,255,125,125,125,255,122,122,122,255,120,120,120,255,120,120,120,255,123,123,123,255,126,126,126,255,128,128,128,255,128,128,128,255,129,129,129,255,128,128,128,255,127,127,127,255,129,129,129,255,136,136,136,255,146,146,146,255,153,153,153,255,156,156,156,255,155,155,155,255,153,153,153,255,151,151,151,255,151,151,151,255,151,151,151,255,152,152,152,255,152,152,152,255,149,149,149,255,145,145,145,255,139,139,139,255,132,132,132,255,127,127,127,255,123,123,123,255,118,118,118,255,112,112,112,255,108,108,108,255,106,106,106,255,105,105,105,255,104,104,104,255,104,104,104,255,105,105,105,255,104,104,104,255,108,108,108,255,113,113,113,255,116,116,116,255,114,114,114,255,110,110,110,255,108,108,108,255,108,108,108,255,106,106,106,255,101,101,101,255,98,98,98,255,99,99,99,255,100,100,100,255,103,103,103,255,109,109,109,255,115,115,115,255,118,118,118,255,120,120,120,255,121,121,121,255,122,122,122,255,123,123,123,255,125,125,125,255,129,129,129,255,133,133,133,255,138,138,138,255,140,140,140,255,138,138,138,255,135,135,135,255,132,132,132,255,129,129,129,255,125,125,125,255,123,123,123,255,121,121,121,255,117,117,117,255,112,112,112,255,108,108,108,255,105,105,105,255,101,101,101,255,101,101,101,255,103,103,103,255,104,104,104,255,102,102,102,255,100,100,100,255,97,97,97,255,95,95,95,255,92,92,92,255,91,91,91,255,90,90,90,255,88,88,88,255,90,90,90,255,96,96,96,255,101,101,101,255,106,106,106,255,113,113,113,255,117,117,117,255,119,119,119,255,122,122,122,255,125,125,125,255,125,125,125,255,127,127,127,255,131,131,131,255,131,131,131,255,128,128,128,255,125,125,125,255,122,122,122,255,119,119,119,255,120,120,120,255,124,124,124,255,128,128,128,255,129,129,129,255,129,129,129,255,130,130,130,255,129,129,129,255,127,127,127,255,127,127,127,255,133,133,133,255,142,142,142,255,151,151,151,255,155,155,155,255,153,153,153,255,150,150,150,255,148,148,148,255,147,147,147,255,145,145,145,255,144,144,144,255,142,142,142,255,140,140,140,255,139,139,139,255,134,134,134,255,128,128,128,255,124,124,124,255,121,121,121,255,115,115,115,255,110,110,110,255,108,108,108,255,108,108,108,255,106,106,106,255,105,105,105,255,106,106,106,255,109,109,109,255,107,107,107,255,109,109,109,255,113,113,113,255,115,115,115,255,113,113,113,255,109,109,109,255,103,103,103,255,101,101,101,255,101,101,101,255,99,99,99,255,98,98,98,255,100,100,100,255,101,101,101,255,103,103,103,255,109,109,109,255,113,113,113,255,115,115,115,255,117,117,117,255,119,119,119,255,119,119,119,255,120,120,120,255,123,123,123,255,126,126,126,255,130,130,130,255,134,134,134,255,137,137,137,255,135,135,135,255,132,132,132,255,131,131,131,255,129,129,129,255,125,125,125,255,122,122,122,255,119,119,119,255,115,115,115,255,111,111,111,255,107,107,107,255,104,104,104,255,102,102,102,255,101,101,101,255,102,102,102,255,102,102,102,255,100,100,100,255,97,97,97,255,96,96,96,255,94,94,94,255,92,92,92,255,91,91,91,255,89,89,89,255,87,87,87,255,89,89,89,255,95,95,95,255,100,100,100,255,105,105,105,255,111,111,111,255,115,115,115,255,117,117,117,255,119,119,119,255,121,121,121,255,121,121,121,255,123,123,123,255,127,127,127,255,128,128,128,255,127,127,127,255,125,125,125,255,123,123,123,255,122,122,122,255,123,123,123,255,127,127,127,255,129,129,129,255,127,127,127,255,126,126,126,255,127,127,127,255,128,128,128,255,127,127,127,255,126,126,126,255,131,131,131,255,140,140,140,255,149,149,149,255,154,154,154,255,154,154,154,255,149,149,149,255,145,145,145,255,141,141,141,255,138,138,138,255,135,135,135,255,133,133,133,255,131,131,131,255,131,131,131,255,129,129,129,255,125,125,125,255,121,121,121,255,117,117,117,255,111,111,111,255,108,108,108,255,108,108,108,255,109,109,109,255,108,108,108,255,107,107,107,255,108,108,108,255,113,113,113,255,110,110,110,255,109,109,109,255,109,109,109,255,111,111,111,255,110,110,110,255,106,106,106,255,100,100,100,255,97,97,97,255,96,96,96,255,97,97,97,255,97,97,97,255,99,99,99,255,100,100,100,255,101,101,101,255,104,104,104,255,108,108,108,255,111,111,111,255,116,116,116,255,117,117,117,255,117,117,117,255,120,120,120,255,123,123,123,255,126,126,126,255,129,129,129,255,133,133,133,255,136,136,136,255,134,134,134,255,130,130,130,255,128,128,128,255,127,127,127,255,124,124,124,255,121,121,121,255,119,119,119,255,115,115,115,255,111,111,111,255,108,108,108,255,105,105,105,255,103,103,103,255,101,101,101,255,98,98,98,255,94,94,94,255,92,92,92,255,91,91,91,255,91,91,91,255,91,91,91,255,90,90,90,255,89,89,89,255,87,87,87,255,87,87,87,255,91,91,91,255,95,95,95,255,100,100,100,255,106,106,106,255,112,112,112,255,115,115,115,255,116,116,116,255,119,119,119,255,120,120,120,255,120,120,120,255,121,121,121,255,125,125,125,255,127,127,127,255,126,126,126,255,123,123,123,255,123,123,123,255,124,124,124,255,126,126,126,255,128,128,128,255,127,127,127,255,124,124,124,255,123,123,123,255,125,125,125,255,127,127,127,255,126,126,126,255,128,128,128,255,133,133,133,255,140,140,140,255,148,148,148,255,154,154,154,255,154,154,154,255,149,149,149,255,142,142,142,255,137,137,137,255,132,132,132,255,128,128,128,255,125,125,125,255,123,123,123,255,122,122,122,255,122,122,122,255,122,122,122,255,119,119,119,255,115,115,115,255,111,111,111,255,108,108,108,255,109,109,109,255,111,111,111,255,111,111,111,255,112,112,112,255,111,111,111,255,117,117,117,255,113,113,113,255,109,109,109,255,107,107,107,255,106,106,106,255,105,105,105,255,102,102,102,255,98,98,98,255,97,97,97,255,96,96,96,255,94,94,94,255,93,93,93,255,95,95,95,255,97,97,97,255,97,97,97,255,100,100,100,255,103,103,103,255,108,108,108,255,114,114,114,255,118,118,118,255,119,119,119,255,123,123,123,255,127,127,127,255,130,130,130,255,131,131,131,255,135,135,135,255,136,136,136,255,134,134,134,255,130,130,130,255,127,127,127,255,125,125,125,255,123,123,123,255,120,120,120,255,117,117,117,255,113,113,113,255,109,109,109,255,106,106,106,255,104,104,104,255,103,103,103,255,100,100,100,255,94,94,94,255,89,89,89,255,86,86,86,255,86,86,86,255,86,86,86,255,85,85,85,255,85,85,85,255,84,84,84,255,84,84,84,255,86,86,86,255,90,90,90,255,94,94,94,255,98,98,98,255,105,105,105,255,112,112,112,255,115,115,115,255,117,117,117,255,120,120,120,255,122,122,122,255,120,120,120,255,120,120,120,255,123,123,123,255,126,126,126,255,124,124,124,255,122,122,122,255,122,122,122,255,124,124,124,255,124,124,124,255,125,125,125,255,124,124,124,255,124,124,124,255,125,125,125,255,126,126,126,255,126,126,126,255,125,125,125,255,128,128,128,255,133,133,133,255,140,140,140,255,146,146,146,255,151,151,151,255,150,150,150,255,146,146,146,255,141,141,141,255,136,136,136,255,131,131,131,255,126,126,126,255,122,122,122,255,120,120,120,255,118,118,118,255,118,118,118,255,119,119,119,255,120,120,120,255,117,117,117,255,114,114,114,255,112,112,112,255,111,111,111,255,113,113,113,255,115,115,115,255,114,114,114,255,113,113,113,255,122,122,122,255,118,118,118,255,113,113,113,255,109,109,109,255,106,106,106,255,103,103,103,255,101,101,101,255,99,99,99,255,98,98,98,255,97,97,97,255,92,92,92,255,88,88,88,255,90,90,90,255,94,94,94,255,96,96,96,255,98,98,98,255,100,100,100,255,104,104,104,255,112,112,112,255,117,117,117,255,120,120,120,255,124,124,124,255,129,129,129,255,131,131,131,255,132,132,132,255,134,134,134,255,135,135,135,255,132,132,132,255,129,129,129,255,127,127,127,255,126,126,126,255,122,122,122,255,117,117,117,255,111,111,111,255,107,107,107,255,105,105,105,255,102,102,102,255,101,101,101,255,101,101,101,255,100,100,100,255,95,95,95,255,88,88,88,255,85,85,85,255,83,83,83,255,82,82,82,255,80,80,80,255,80,80,80,255,80,80,80,255,81,81,81,255,84,84,84,255,88,88,88,255,92,92,92,255,96,96,96,255,103,103,103,255,109,109,109,255,114,114,114,255,116,116,116,255,120,120,120,255,122,122,122,255,120,120,120,255,117,117,117,255,118,118,118,255,121,121,121,255,122,122,122,255,122,122,122,255,124,124,124,255,123,123,123,255,121,121,121,255,122,122,122,255,122,122,122,255,124,124,124,255,126,126,126,255,127,127,127,255,125,125,125,255,123,123,123,255,126,126,126,255,131,131,131,255,136,136,136,255,141,141,141,255,145,145,145,255,144,144,144,255,141,141,141,255,139,139,139,255,136,136,136,255,131,131,131,255,126,126,126,255,122,122,122,255,119,119,119,255,117,117,117,255,116,116,116,255,117,117,117,255,118,118,118,255,118,118,118,255,116,116,116,255,115,115,115,255,116,116,116,255,118,118,118,255,119,119,119,255,116,116,116,255,112,112,112,255,126,126,126,255,122,122,122,255,117,117,117,255,112,112,112,255,108,108,108,255,106,106,106,255,104,104,104,255,101,101,101,255,100,100,100,255,97,97,97,255,91,91,91,255,86,86,86,255,88,88,88,255,91,91,91,255,93,93,93,255,95,95,95,255,98,98,98,255,102,102,102,255,109,109,109,255,115,115,115,255,118,118,118,255,121,121,121,255,125,125,125,255,129,129,129,255,130,130,130,255,130,130,130,255,131,131,131,255,130,130,130,255,128,128,128,255,127,127,127,255,126,126,126,255,121,121,121,255,113,113,113,255,106,106,106,255,103,103,103,255,102,102,102,255,100,100,100,255,99,99,99,255,98,98,98,255,97,97,97,255,94,94,94,255,90,90,90,255,85,85,85,255,80,80,80,255,78,78,78,255,78,78,78,255,80,80,80,255,80,80,80,255,80,80,80,255,82,82,82,255,87,87,87,255,92,92,92,255,96,96,96,255,100,100,100,255,105,105,105,255,111,111,111,255,116,116,116,255,119,119,119,255,121,121,121,255,119,119,119,255,115,115,115,255,114,114,114,255,116,116,116,255,121,121,121,255,123,123,123,255,123,123,123,255,120,120,120,255,119,119,119,255,121,121,121,255,122,122,122,255,123,123,123,255,126,126,126,255,127,127,127,255,125,125,125,255,123,123,123,255,125,125,125,255,129,129,129,255,132,132,132,255,135,135,135,255,139,139,139,255,139,139,139,255,137,137,137,255,135,135,135,255,135,135,135,255,132,132,132,255,125,125,125,255,120,120,120,255,120,120,120,255,119,119,119,255,118,118,118,255,116,116,116,255,114,114,114,255,114,114,114,255,115,115,115,255,117,117,117,255,120,120,120,255,121,121,121,255,121,121,121,255,117,117,117,255,113,113,113,255,124,124,124,255,121,121,121,255,116,116,116,255,112,112,112,255,110,110,110,255,110,110,110,255,107,107,107,255,102,102,102,255,99,99,99,255,96,96,96,255,90,90,90,255,86,86,86,255,87,87,87,255,89,89,89,255,89,89,89,255,90,90,90,255,93,93,93,255,98,98,98,255,105,105,105,255,111,111,111,255,115,115,115,255,116,116,116,255,119,119,119,255,122,122,122,255,122,122,122,255,122,122,122,255,123,123,123,255,124,124,124,255,124,124,124,255,123,123,123,255,122,122,122,255,117,117,117,255,110,110,110,255,105,105,105,255,104,104,104,255,102,102,102,255,99,99,99,255,97,97,97,255,95,95,95,255,95,95,95,255,94,94,94,255,93,93,93,255,87,87,87,255,79,79,79,255,76,76,76,255,77,77,77,255,80,80,80,255,81,81,81,255,82,82,82,255,85,85,85,255,89,89,89,255,93,93,93,255,94,94,94,255,96,96,96,255,100,100,100,255,107,107,107,255,113,113,113,255,116,116,116,255,116,116,116,255,115,115,115,255,113,113,113,255,112,112,112,255,115,115,115,255,119,119,119,255,119,119,119,255,118,118,118,255,116,116,116,255,117,117,117,255,121,121,121,255,121,121,121,255,121,121,121,255,123,123,123,255,127,127,127,255,127,127,127,255,126,126,126,255,127,127,127,255,131,131,131,255,133,133,133,255,134,134,134,255,136,136,136,255,137,137,137,255,133,133,133,255,131,131,131,255,131,131,131,255,129,129,129,255,124,124,124,255,120,120,120,255,121,121,121,255,121,121,121,255,118,118,118,255,113,113,113,255,109,109,109,255,110,110,110,255,113,113,113,255,117,117,117,255,119,119,119,255,119,119,119,255,119,119,119,255,117,117,117,255,112,112,112,255,121,121,121,255,119,119,119,255,114,114,114,255,111,111,111,255,110,110,110,255,110,110,110,255,107,107,107,255,102,102,102,255,98,98,98,255,94,94,94,255,89,89,89,255,86,86,86,255,87,87,87,255,87,87,87,255,86,86,86,255,86,86,86,255,90,90,90,255,94,94,94,255,100,100,100,255,107,107,107,255,112,112,112,255,113,113,113,255,114,114,114,255,114,114,114,255,114,114,114,255,113,113,113,255,115,115,115,255,118,118,118,255,119,119,119,255,118,118,118,255,117,117,117,255,114,114,114,255,109,109,109,255,107,107,107,255,105,105,105,255,101,101,101,255,96,96,96,255,95,95,95,255,95,95,95,255,97,97,97,255,98,98,98,255,96,96,96,255,90,90,90,255,82,82,82,255,77,77,77,255,76,76,76,255,77,77,77,255,79,79,79,255,83,83,83,255,86,86,86,255,89,89,89,255,90,90,90,255,90,90,90,255,91,91,91,255,95,95,95,255,104,104,104,255,110,110,110,255,112,112,112,255,111,111,111,255,111,111,111,255,110,110,110,255,111,111,111,255,114,114,114,255,116,116,116,255,115,115,115,255,113,113,113,255,112,112,112,255,116,116,116,255,120,120,120,255,120,120,120,255,119,119,119,255,121,121,121,255,126,126,126,255,128,128,128,255,127,127,127,255,128,128,128,255,132,132,132,255,134,134,134,255,134,134,134,255,135,135,135,255,135,135,135,255,132,132,132,255,128,128,128,255,127,127,127,255,127,127,127,255,124,124,124,255,123,123,123,255,123,123,123,255,122,122,122,255,116,116,116,255,110,110,110,255,107,107,107,255,109,109,109,255,113,113,113,255,116,116,116,255,116,116,116,255,115,115,115,255,115,115,115,255,113,113,113,255,108,108,108,255,121,121,121,255,119,119,119,255,114,114,114,255,111,111,111,255,110,110,110,255,110,110,110,255,107,107,107,255,103,103,103,255,99,99,99,255,96,96,96,255,93,93,93,255,90,90,90,255,89,89,89,255,89,89,89,255,88,88,88,255,89,89,89,255,91,91,91,255,94,94,94,255,97,97,97,255,104,104,104,255,109,109,109,255,111,111,111,255,108,108,108,255,107,107,107,255,108,108,108,255,109,109,109,255,111,111,111,255,114,114,114,255,116,116,116,255,116,116,116,255,115,115,115,255,113,113,113,255,111,111,111,255,108,108,108,255,104,104,104,255,100,100,100,255,96,96,96,255,94,94,94,255,97,97,97,255,101,101,101,255,101,101,101,255,98,98,98,255,93,93,93,255,87,87,87,255,80,80,80,255,75,75,75,255,76,76,76,255,80,80,80,255,84,84,84,255,87,87,87,255,86,86,86,255,85,85,85,255,86,86,86,255,89,89,89,255,95,95,95,255,103,103,103,255,108,108,108,255,110,110,110,255,110,110,110,255,112,112,112,255,112,112,112,255,112,112,112,255,113,113,113,255,115,115,115,255,114,114,114,255,113,113,113,255,113,113,113,255,116,116,116,255,119,119,119,255,118,118,118,255,117,117,117,255,119,119,119,255,125,125,125,255,127,127,127,255,126,126,126,255,127,127,127,255,131,131,131,255,135,135,135,255,135,135,135,255,136,136,136,255,135,135,135,255,132,132,132,255,128,128,128,255,127,127,127,255,127,127,127,255,127,127,127,255,125,125,125,255,124,124,124,255,120,120,120,255,113,113,113,255,108,108,108,255,107,107,107,255,108,108,108,255,110,110,110,255,112,112,112,255,114,114,114,255,114,114,114,255,113,113,113,255,109,109,109,255,105,105,105,255,128,128,128,255,125,125,125,255,120,120,120,255,115,115,115,255,112,112,112,255,113,113,113,255,110,110,110,255,105,105,105,255,101,101,101,255,100,100,100,255,98,98,98,255,95,95,95,255,93,93,93,255,92,92,92,255,92,92,92,255,93,93,93,255,95,95,95,255,96,96,96,255,97,97,97,255,101,101,101,255,105,105,105,255,106,106,106,255,104,104,104,255,103,103,103,255,107,107,107,255,108,108,108,255,109,109,109,255,111,111,111,255,114,114,114,255,115,115,115,255,114,114,114,255,113,113,113,255,111,111,111,255,108,108,108,255,104,104,104,255,101,101,101,255,100,100,100,255,98,98,98,255,100,100,100,255,103,103,103,255,102,102,102,255,97,97,97,255,92,92,92,255,89,89,89,255,84,84,84,255,79,79,79,255,79,79,79,255,83,83,83,255,86,86,86,255,85,85,85,255,83,83,83,255,84,84,84,255,88,88,88,255,92,92,92,255,96,96,96,255,102,102,102,255,108,108,108,255,110,110,110,255,112,112,112,255,116,116,116,255,117,117,117,255,116,116,116,255,116,116,116,255,116,116,116,255,116,116,116,255,115,115,115,255,115,115,115,255,116,116,116,255,118,118,118,255,118,118,118,255,118,118,118,255,122,122,122,255,127,127,127,255,128,128,128,255,125,125,125,255,125,125,125,255,128,128,128,255,131,131,131,255,133,133,133,255,133,133,133,255,133,133,133,255,132,132,132,255,129,129,129,255,129,129,129,255,130,130,130,255,129,129,129,255,127,127,127,255,124,124,124,255,120,120,120,255,115,115,115,255,110,110,110,255,109,109,109,255,109,109,109,255,108,108,108,255,109,109,109,255,111,111,111,255,113,113,113,255,111,111,111,255,108,108,108,255,105,105,105,255,136,136,136,255,133,133,133,255,126,126,126,255,120,120,120,255,116,116,116,255,115,115,115,255,112,112,112,255,106,106,106,255,102,102,102,255,101,101,101,255,101,101,101,255,98,98,98,255,96,96,96,255,94,94,94,255,94,94,94,255,94,94,94,255,95,95,95,255,96,96,96,255,96,96,96,255,98,98,98,255,102,102,102,255,103,103,103,255,101,101,101,255,102,102,102,255,106,106,106,255,107,107,107,255,106,106,106,255,106,106,106,255,110,110,110,255,111,111,111,255,111,111,111,255,111,111,111,255,111,111,111,255,108,108,108,255,105,105,105,255,105,105,105,255,105,105,105,255,104,104,104,255,104,104,104,255,104,104,104,255,103,103,103,255,98,98,98,255,93,93,93,255,91,91,91,255,87,87,87,255,83,83,83,255,83,83,83,255,86,86,86,255,87,87,87,255,85,85,85,255,84,84,84,255,87,87,87,255,93,93,93,255,97,97,97,255,98,98,98,255,102,102,102,255,107,107,107,255,111,111,111,255,114,114,114,255,119,119,119,255,122,122,122,255,123,123,123,255,123,123,123,255,121,121,121,255,117,117,117,255,115,115,115,255,115,115,115,255,115,115,115,255,117,117,117,255,118,118,118,255,121,121,121,255,126,126,126,255,131,131,131,255,131,131,131,255,127,127,127,255,124,124,124,255,125,125,125,255,127,127,127,255,128,128,128,255,129,129,129,255,129,129,129,255,129,129,129,255,128,128,128,255,129,129,129,255,131,131,131,255,131,131,131,255,129,129,129,255,126,126,126,255,122,122,122,255,117,117,117,255,113,113,113,255,112,112,112,255,111,111,111,255,109,109,109,255,108,108,108,255,109,109,109,255,109,109,109,255,109,109,109,255,108,108,108,255,107,107,107,255,141,141,141,255,136,136,136,255,129,129,129,255,123,123,123,255,117,117,117,255,113,113,113,255,110,110,110,255,105,105,105,255,101,101,101,255,99,99,99,255,98,98,98,255,97,97,97,255,96,96,96,255,96,96,96,255,96,96,96,255,95,95,95,255,95,95,95,255,95,95,95,255,93,93,93,255,95,95,95,255,99,99,99,255,102,102,102,255,102,102,102,255,103,103,103,255,107,107,107,255,106,106,106,255,103,103,103,255,102,102,102,255,106,106,106,255,108,108,108,255,108,108,108,255,109,109,109,255,110,110,110,255,109,109,109,255,109,109,109,255,110,110,110,255,110,110,110,255,109,109,109,255,107,107,107,255,107,107,107,255,105,105,105,255,102,102,102,255,99,99,99,255,96,96,96,255,92,92,92,255,89,89,89,255,86,86,86,255,87,87,87,255,88,88,88,255,88,88,88,255,88,88,88,255,93,93,93,255,99,99,99,255,102,102,102,255,102,102,102,255,103,103,103,255,109,109,109,255,113,113,113,255,116,116,116,255,122,122,122,255,128,128,128,255,132,132,132,255,132,132,132,255,127,127,127,255,120,120,120,255,116,116,116,255,115,115,115,255,117,117,117,255,118,118,118,255,120,120,120,255,124,124,124,255,128,128,128,255,131,131,131,255,130,130,130,255,126,126,126,255,124,124,124,255,123,123,123,255,125,125,125,255,125,125,125,255,126,126,126,255,127,127,127,255,127,127,127,255,126,126,126,255,126,126,126,255,127,127,127,255,128,128,128,255,127,127,127,255,126,126,126,255,121,121,121,255,115,115,115,255,113,113,113,255,112,112,112,255,112,112,112,255,112,112,112,255,111,111,111,255,108,108,108,255,106,106,106,255,105,105,105,255,105,105,105,255,105,105,105,255,140,140,140,255,134,134,134,255,128,128,128,255,122,122,122,255,115,115,115,255,109,109,109,255,107,107,107,255,104,104,104,255,98,98,98,255,95,95,95,255,94,94,94,255,95,95,95,255,96,96,96,255,96,96,96,255,96,96,96,255,94,94,94,255,94,94,94,255,92,92,92,255,89,89,89,255,90,90,90,255,95,95,95,255,99,99,99,255,101,101,101,255,103,103,103,255,105,105,105,255,104,104,104,255,102,102,102,255,103,103,103,255,107,107,107,255,110,110,110,255,111,111,111,255,111,111,111,255,111,111,111,255,111,111,111,255,113,113,113,255,114,114,114,255,113,113,113,255,112,112,112,255,112,112,112,255,112,112,112,255,112,112,112,255,109,109,109,255,105,105,105,255,102,102,102,255,98,98,98,255,93,93,93,255,88,88,88,255,87,87,87,255,88,88,88,255,90,90,90,255,91,91,91,255,96,96,96,255,102,102,102,255,105,105,105,255,107,107,107,255,110,110,110,255,115,115,115,255,119,119,119,255,123,123,123,255,128,128,128,255,132,132,132,255,136,136,136,255,136,136,136,255,133,133,133,255,126,126,126,255,120,120,120,255,119,119,119,255,120,120,120,255,121,121,121,255,122,122,122,255,125,125,125,255,128,128,128,255,129,129,129,255,127,127,127,255,124,124,124,255,122,122,122,255,122,122,122,255,123,123,123,255,122,122,122,255,123,123,123,255,124,124,124,255,126,126,126,255,125,125,125,255,124,124,124,255,124,124,124,255,123,123,123,255,123,123,123,255,122,122,122,255,117,117,117,255,113,113,113,255,111,111,111,255,111,111,111,255,110,110,110,255,112,112,112,255,113,113,113,255,110,110,110,255,106,106,106,255,103,103,103,255,102,102,102,255,103,103,103,255,135,135,135,255,130,130,130,255,125,125,125,255,120,120,120,255,113,113,113,255,107,107,107,255,104,104,104,255,101,101,101,255,96,96,96,255,92,92,92,255,91,91,91,255,94,94,94,255,95,95,95,255,94,94,94,255,92,92,92,255,90,90,90,255,89,89,89,255,88,88,88,255,85,85,85,255,85,85,85,255,89,89,89,255,93,93,93,255,96,96,96,255,99,99,99,255,101,101,101,255,102,102,102,255,103,103,103,255,106,106,106,255,111,111,111,255,115,115,115,255,116,116,116,255,117,117,117,255,115,115,115,255,114,114,114,255,116,116,116,255,118,118,118,255,116,116,116,255,115,115,115,255,117,117,117,255,119,119,119,255,119,119,119,255,115,115,115,255,110,110,110,255,105,105,105,255,102,102,102,255,97,97,97,255,91,91,91,255,89,89,89,255,89,89,89,255,91,91,91,255,92,92,92,255,97,97,97,255,103,103,103,255,108,108,108,255,113,113,113,255,118,118,118,255,123,123,123,255,127,127,127,255,130,130,130,255,133,133,133,255,135,135,135,255,136,136,136,255,137,137,137,255,136,136,136,255,132,132,132,255,126,126,126,255,123,123,123,255,122,122,122,255,122,122,122,255,123,123,123,255,128,128,128,255,130,130,130,255,129,129,129,255,127,127,127,255,124,124,124,255,121,121,121,255,119,119,119,255,118,118,118,255,117,117,117,255,117,117,117,255,119,119,119,255,121,121,121,255,123,123,123,255,123,123,123,255,122,122,122,255,120,120,120,255,119,119,119,255,118,118,118,255,115,115,115,255,112,112,112,255,112,112,112,255,111,111,111,255,109,109,109,255,110,110,110,255,113,113,113,255,112,112,112,255,107,107,107,255,103,103,103,255,102,102,102,255,102,102,102,255,131,131,131,255,128,128,128,255,124,124,124,255,119,119,119,255,111,111,111,255,104,104,104,255,101,101,101,255,97,97,97,255,91,91,91,255,88,88,88,255,89,89,89,255,93,93,93,255,94,94,94,255,92,92,92,255,89,89,89,255,86,86,86,255,84,84,84,255,83,83,83,255,81,81,81,255,83,83,83,255,87,87,87,255,90,90,90,255,93,93,93,255,97,97,97,255,100,100,100,255,102,102,102,255,104,104,104,255,108,108,108,255,113,113,113,255,116,116,116,255,119,119,119,255,121,121,121,255,121,121,121,255,121,121,121,255,121,121,121,255,121,121,121,255,119,119,119,255,118,118,118,255,119,119,119,255,123,123,123,255,124,124,124,255,120,120,120,255,114,114,114,255,108,108,108,255,105,105,105,255,101,101,101,255,97,97,97,255,95,95,95,255,95,95,95,255,95,95,95,255,96,96,96,255,99,99,99,255,105,105,105,255,111,111,111,255,118,118,118,255,124,124,124,255,129,129,129,255,132,132,132,255,134,134,134,255,136,136,136,255,137,137,137,255,137,137,137,255,138,138,138,255,136,136,136,255,133,133,133,255,128,128,128,255,125,125,125,255,123,123,123,255,122,122,122,255,125,125,125,255,131,131,131,255,133,133,133,255,132,132,132,255,129,129,129,255,126,126,126,255,122,122,122,255,118,118,118,255,116,116,116,255,115,115,115,255,114,114,114,255,114,114,114,255,116,116,116,255,119,119,119,255,121,121,121,255,121,121,121,255,119,119,119,255,116,116,116,255,115,115,115,255,113,113,113,255,113,113,113,255,114,114,114,255,113,113,113,255,111,111,111,255,112,112,112,255,113,113,113,255,112,112,112,255,110,110,110,255,107,107,107,255,105,105,105,255,103,103,103,255,127,127,127,255,124,124,124,255,121,121,121,255,116,116,116,255,108,108,108,255,103,103,103,255,100,100,100,255,95,95,95,255,88,88,88,255,85,85,85,255,87,87,87,255,89,89,89,255,90,90,90,255,90,90,90,255,89,89,89,255,86,86,86,255,83,83,83,255,82,82,82,255,81,81,81,255,84,84,84,255,88,88,88,255,90,90,90,255,93,93,93,255,98,98,98,255,102,102,102,255,105,105,105,255,107,107,107,255,111,111,111,255,114,114,114,255,117,117,117,255,121,121,121,255,125,125,125,255,127,127,127,255,126,126,126,255,126,126,126,255,125,125,125,255,123,123,123,255,122,122,122,255,122,122,122,255,125,125,125,255,127,127,127,255,125,125,125,255,120,120,120,255,115,115,115,255,110,110,110,255,106,106,106,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,106,106,106,255,113,113,113,255,118,118,118,255,123,123,123,255,128,128,128,255,133,133,133,255,136,136,136,255,136,136,136,255,137,137,137,255,138,138,138,255,139,139,139,255,138,138,138,255,136,136,136,255,133,133,133,255,130,130,130,255,128,128,128,255,127,127,127,255,127,127,127,255,129,129,129,255,131,131,131,255,132,132,132,255,130,130,130,255,127,127,127,255,124,124,124,255,121,121,121,255,118,118,118,255,116,116,116,255,115,115,115,255,114,114,114,255,114,114,114,255,115,115,115,255,116,116,116,255,118,118,118,255,120,120,120,255,119,119,119,255,114,114,114,255,111,111,111,255,110,110,110,255,111,111,111,255,113,113,113,255,113,113,113,255,114,114,114,255,115,115,115,255,115,115,115,255,114,114,114,255,114,114,114,255,114,114,114,255,110,110,110,255,104,104,104,255,122,122,122,255,120,120,120,255,117,117,117,255,112,112,112,255,107,107,107,255,105,105,105,255,102,102,102,255,96,96,96,255,89,89,89,255,85,85,85,255,85,85,85,255,84,84,84,255,85,85,85,255,88,88,88,255,90,90,90,255,88,88,88,255,86,86,86,255,85,85,85,255,85,85,85,255,87,87,87,255,89,89,89,255,90,90,90,255,92,92,92,255,97,97,97,255,103,103,103,255,108,108,108,255,112,112,112,255,116,116,116,255,118,118,118,255,121,121,121,255,126,126,126,255,130,130,130,255,131,131,131,255,130,130,130,255,129,129,129,255,130,130,130,255,130,130,130,255,128,128,128,255,127,127,127,255,129,129,129,255,131,131,131,255,130,130,130,255,126,126,126,255,122,122,122,255,116,116,116,255,111,111,111,255,111,111,111,255,113,113,113,255,114,114,114,255,113,113,113,255,113,113,113,255,116,116,116,255,123,123,123,255,127,127,127,255,129,129,129,255,132,132,132,255,137,137,137,255,140,140,140,255,140,140,140,255,140,140,140,255,140,140,140,255,139,139,139,255,138,138,138,255,137,137,137,255,135,135,135,255,134,134,134,255,133,133,133,255,133,133,133,255,133,133,133,255,132,132,132,255,130,130,130,255,128,128,128,255,126,126,126,255,123,123,123,255,120,120,120,255,118,118,118,255,116,116,116,255,115,115,115,255,115,115,115,255,116,116,116,255,117,117,117,255,117,117,117,255,117,117,117,255,118,118,118,255,119,119,119,255,118,118,118,255,114,114,114,255,109,109,109,255,107,107,107,255,108,108,108,255,110,110,110,255,112,112,112,255,115,115,115,255,117,117,117,255,117,117,117,255,119,119,119,255,120,120,120,255,122,122,122,255,118,118,118,255,110,110,110,255,116,116,116,255,115,115,115,255,112,112,112,255,108,108,108,255,106,106,106,255,105,105,105,255,102,102,102,255,98,98,98,255,92,92,92,255,87,87,87,255,83,83,83,255,81,81,81,255,84,84,84,255,88,88,88,255,91,91,91,255,91,91,91,255,91,91,91,255,91,91,91,255,90,90,90,255,88,88,88,255,87,87,87,255,88,88,88,255,92,92,92,255,99,99,99,255,105,105,105,255,111,111,111,255,118,118,118,255,123,123,123,255,126,126,126,255,128,128,128,255,132,132,132,255,135,135,135,255,134,134,134,255,132,132,132,255,133,133,133,255,136,136,136,255,137,137,137,255,136,136,136,255,134,134,134,255,134,134,134,255,135,135,135,255,133,133,133,255,129,129,129,255,126,126,126,255,122,122,122,255,118,118,118,255,117,117,117,255,119,119,119,255,121,121,121,255,121,121,121,255,121,121,121,255,124,124,124,255,129,129,129,255,133,133,133,255,134,134,134,255,136,136,136,255,142,142,142,255,146,146,146,255,147,147,147,255,146,146,146,255,143,143,143,255,140,140,140,255,139,139,139,255,140,140,140,255,140,140,140,255,139,139,139,255,137,137,137,255,135,135,135,255,134,134,134,255,131,131,131,255,127,127,127,255,124,124,124,255,123,123,123,255,122,122,122,255,120,120,120,255,117,117,117,255,113,113,113,255,111,111,111,255,112,112,112,255,115,115,115,255,118,118,118,255,119,119,119,255,120,120,120,255,121,121,121,255,121,121,121,255,119,119,119,255,114,114,114,255,111,111,111,255,109,109,109,255,109,109,109,255,111,111,111,255,114,114,114,255,116,116,116,255,118,118,118,255,122,122,122,255,126,126,126,255,129,129,129,255,130,130,130,255,126,126,126,255,120,120,120,255,114,114,114,255,114,114,114,255,112,112,112,255,108,108,108,255,105,105,105,255,104,104,104,255,101,101,101,255,98,98,98,255,93,93,93,255,86,86,86,255,81,81,81,255,81,81,81,255,86,86,86,255,91,91,91,255,93,93,93,255,95,95,95,255,96,96,96,255,94,94,94,255,92,92,92,255,88,88,88,255,88,88,88,255,91,91,91,255,96,96,96,255,102,102,102,255,108,108,108,255,115,115,115,255,121,121,121,255,126,126,126,255,129,129,129,255,132,132,132,255,136,136,136,255,137,137,137,255,136,136,136,255,135,135,135,255,137,137,137,255,139,139,139,255,139,139,139,255,139,139,139,255,137,137,137,255,136,136,136,255,134,134,134,255,130,130,130,255,127,127,127,255,126,126,126,255,125,125,125,255,122,122,122,255,121,121,121,255,122,122,122,255,124,124,124,255,126,126,126,255,127,127,127,255,129,129,129,255,133,133,133,255,136,136,136,255,137,137,137,255,139,139,139,255,145,145,145,255,149,149,149,255,149,149,149,255,149,149,149,255,146,146,146,255,144,144,144,255,143,143,143,255,143,143,143,255,143,143,143,255,140,140,140,255,135,135,135,255,134,134,134,255,133,133,133,255,130,130,130,255,125,125,125,255,124,124,124,255,124,124,124,255,123,123,123,255,120,120,120,255,117,117,117,255,113,113,113,255,111,111,111,255,112,112,112,255,114,114,114,255,117,117,117,255,119,119,119,255,122,122,122,255,123,123,123,255,123,123,123,255,119,119,119,255,117,117,117,255,116,116,116,255,114,114,114,255,113,113,113,255,116,116,116,255,119,119,119,255,121,121,121,255,124,124,124,255,129,129,129,255,134,134,134,255,137,137,137,255,135,135,135,255,131,131,131,255,127,127,127,255,117,117,117,255,117,117,117,255,115,115,115,255,110,110,110,255,107,107,107,255,105,105,105,255,102,102,102,255,98,98,98,255,91,91,91,255,84,84,84,255,80,80,80,255,83,83,83,255,89,89,89,255,93,93,93,255,94,94,94,255,97,97,97,255,99,99,99,255,96,96,96,255,92,92,92,255,89,89,89,255,91,91,91,255,96,96,96,255,101,101,101,255,105,105,105,255,110,110,110,255,115,115,115,255,121,121,121,255,125,125,125,255,129,129,129,255,133,133,133,255,135,135,135,255,136,136,136,255,136,136,136,255,138,138,138,255,140,140,140,255,140,140,140,255,138,138,138,255,137,137,137,255,136,136,136,255,133,133,133,255,129,129,129,255,124,124,124,255,122,122,122,255,122,122,122,255,122,122,122,255,121,121,121,255,120,120,120,255,121,121,121,255,123,123,123,255,126,126,126,255,128,128,128,255,131,131,131,255,136,136,136,255,139,139,139,255,140,140,140,255,142,142,142,255,146,146,146,255,149,149,149,255,148,148,148,255,148,148,148,255,147,147,147,255,145,145,145,255,144,144,144,255,144,144,144,255,141,141,141,255,137,137,137,255,132,132,132,255,131,131,131,255,132,132,132,255,129,129,129,255,126,126,126,255,125,125,125,255,124,124,124,255,122,122,122,255,118,118,118,255,116,116,116,255,114,114,114,255,113,113,113,255,113,113,113,255,114,114,114,255,116,116,116,255,119,119,119,255,122,122,122,255,123,123,123,255,123,123,123,255,121,121,121,255,121,121,121,255,122,122,122,255,120,120,120,255,119,119,119,255,122,122,122,255,127,127,127,255,129,129,129,255,132,132,132,255,136,136,136,255,139,139,139,255,140,140,140,255,137,137,137,255,133,133,133,255,129,129,129,255,121,121,121,255,121,121,121,255,119,119,119,255,114,114,114,255,111,111,111,255,109,109,109,255,105,105,105,255,98,98,98,255,90,90,90,255,85,85,85,255,82,82,82,255,85,85,85,255,90,90,90,255,93,93,93,255,96,96,96,255,98,98,98,255,100,100,100,255,97,97,97,255,95,95,95,255,94,94,94,255,97,97,97,255,102,102,102,255,106,106,106,255,108,108,108,255,112,112,112,255,117,117,117,255,122,122,122,255,127,127,127,255,131,131,131,255,134,134,134,255,136,136,136,255,137,137,137,255,138,138,138,255,139,139,139,255,139,139,139,255,137,137,137,255,134,134,134,255,134,134,134,255,132,132,132,255,128,128,128,255,125,125,125,255,121,121,121,255,119,119,119,255,120,120,120,255,120,120,120,255,119,119,119,255,119,119,119,255,121,121,121,255,123,123,123,255,126,126,126,255,130,130,130,255,135,135,135,255,140,140,140,255,142,142,142,255,142,142,142,255,143,143,143,255,146,146,146,255,147,147,147,255,146,146,146,255,146,146,146,255,146,146,146,255,146,146,146,255,144,144,144,255,142,142,142,255,138,138,138,255,133,133,133,255,129,129,129,255,130,130,130,255,129,129,129,255,126,126,126,255,123,123,123,255,122,122,122,255,120,120,120,255,116,116,116,255,113,113,113,255,111,111,111,255,111,111,111,255,111,111,111,255,111,111,111,255,114,114,114,255,118,118,118,255,121,121,121,255,123,123,123,255,125,125,125,255,126,126,126,255,126,126,126,255,127,127,127,255,128,128,128,255,127,127,127,255,126,126,126,255,128,128,128,255,132,132,132,255,136,136,136,255,139,139,139,255,141,141,141,255,141,141,141,255,141,141,141,255,138,138,138,255,135,135,135,255,132,132,132,255,124,124,124,255,122,122,122,255,119,119,119,255,116,116,116,255,113,113,113,255,110,110,110,255,105,105,105,255,98,98,98,255,92,92,92,255,90,90,90,255,90,90,90,255,90,90,90,255,92,92,92,255,94,94,94,255,98,98,98,255,101,101,101,255,102,102,102,255,101,101,101,255,99,99,99,255,99,99,99,255,103,103,103,255,107,107,107,255,111,111,111,255,114,114,114,255,117,117,117,255,120,120,120,255,125,125,125,255,130,130,130,255,133,133,133,255,136,136,136,255,138,138,138,255,139,139,139,255,139,139,139,255,138,138,138,255,135,135,135,255,132,132,132,255,131,131,131,255,132,132,132,255,130,130,130,255,126,126,126,255,124,124,124,255,122,122,122,255,120,120,120,255,121,121,121,255,121,121,121,255,120,120,120,255,122,122,122,255,124,124,124,255,126,126,126,255,129,129,129,255,134,134,134,255,138,138,138,255,140,140,140,255,143,143,143,255,144,144,144,255,143,143,143,255,145,145,145,255,147,147,147,255,148,148,148,255,147,147,147,255,148,148,148,255,148,148,148,255,145,145,145,255,142,142,142,255,138,138,138,255,133,133,133,255,129,129,129,255,128,128,128,255,125,125,125,255,121,121,121,255,119,119,119,255,117,117,117,255,114,114,114,255,111,111,111,255,109,109,109,255,107,107,107,255,106,106,106,255,106,106,106,255,108,108,108,255,112,112,112,255,117,117,117,255,121,121,121,255,125,125,125,255,127,127,127,255,129,129,129,255,130,130,130,255,131,131,131,255,133,133,133,255,133,133,133,255,132,132,132,255,133,133,133,255,135,135,135,255,138,138,138,255,143,143,143,255,146,146,146,255,145,145,145,255,142,142,142,255,140,140,140,255,138,138,138,255,136,136,136,255,125,125,125,255,121,121,121,255,118,118,118,255,114,114,114,255,111,111,111,255,108,108,108,255,104,104,104,255,99,99,99,255,97,97,97,255,97,97,97,255,99,99,99,255,98,98,98,255,98,98,98,255,97,97,97,255,100,100,100,255,103,103,103,255,105,105,105,255,104,104,104,255,103,103,103,255,104,104,104,255,107,107,107,255,110,110,110,255,114,114,114,255,118,118,118,255,121,121,121,255,123,123,123,255,127,127,127,255,131,131,131,255,133,133,133,255,135,135,135,255,136,136,136,255,137,137,137,255,138,138,138,255,136,136,136,255,132,132,132,255,129,129,129,255,129,129,129,255,131,131,131,255,130,130,130,255,128,128,128,255,128,128,128,255,126,126,126,255,124,124,124,255,126,126,126,255,126,126,126,255,125,125,125,255,127,127,127,255,129,129,129,255,129,129,129,255,132,132,132,255,136,136,136,255,138,138,138,255,138,138,138,255,141,141,141,255,143,143,143,255,143,143,143,255,144,144,144,255,148,148,148,255,152,152,152,255,152,152,152,255,152,152,152,255,151,151,151,255,148,148,148,255,145,145,145,255,142,142,142,255,137,137,137,255,133,133,133,255,129,129,129,255,123,123,123,255,120,120,120,255,118,118,118,255,114,114,114,255,111,111,111,255,110,110,110,255,108,108,108,255,105,105,105,255,103,103,103,255,103,103,103,255,104,104,104,255,108,108,108,255,113,113,113,255,118,118,118,255,123,123,123,255,128,128,128,255,130,130,130,255,131,131,131,255,132,132,132,255,134,134,134,255,135,135,135,255,134,134,134,255,134,134,134,255,134,134,134,255,137,137,137,255,141,141,141,255,147,147,147,255,148,148,148,255,145,145,145,255,142,142,142,255,139,139,139,255,136,136,136,255,128,128,128,255,123,123,123,255,118,118,118,255,115,115,115,255,111,111,111,255,108,108,108,255,105,105,105,255,102,102,102,255,100,100,100,255,101,101,101,255,102,102,102,255,102,102,102,255,103,103,103,255,102,102,102,255,102,102,102,255,103,103,103,255,105,105,105,255,106,106,106,255,107,107,107,255,109,109,109,255,110,110,110,255,113,113,113,255,118,118,118,255,121,121,121,255,122,122,122,255,124,124,124,255,127,127,127,255,131,131,131,255,131,131,131,255,131,131,131,255,131,131,131,255,131,131,131,255,133,133,133,255,133,133,133,255,130,130,130,255,127,127,127,255,128,128,128,255,129,129,129,255,128,128,128,255,128,128,128,255,130,130,130,255,129,129,129,255,128,128,128,255,129,129,129,255,130,130,130,255,130,130,130,255,132,132,132,255,132,132,132,255,131,131,131,255,133,133,133,255,135,135,135,255,136,136,136,255,137,137,137,255,139,139,139,255,141,141,141,255,141,141,141,255,144,144,144,255,150,150,150,255,155,155,155,255,156,156,156,255,154,154,154,255,152,152,152,255,149,149,149,255,148,148,148,255,145,145,145,255,140,140,140,255,137,137,137,255,134,134,134,255,128,128,128,255,123,123,123,255,120,120,120,255,115,115,115,255,110,110,110,255,108,108,108,255,106,106,106,255,103,103,103,255,100,100,100,255,100,100,100,255,101,101,101,255,104,104,104,255,108,108,108,255,113,113,113,255,120,120,120,255,126,126,126,255,128,128,128,255,129,129,129,255,130,130,130,255,133,133,133,255,134,134,134,255,134,134,134,255,134,134,134,255,134,134,134,255,135,135,135,255,139,139,139,255,145,145,145,255,148,148,148,255,147,147,147,255,142,142,142,255,137,137,137,255,132,132,132,255,133,133,133,255,126,126,126,255,122,122,122,255,119,119,119,255,115,115,115,255,112,112,112,255,111,111,111,255,110,110,110,255,106,106,106,255,103,103,103,255,102,102,102,255,104,104,104,255,106,106,106,255,107,107,107,255,105,105,105,255,103,103,103,255,103,103,103,255,106,106,106,255,111,111,111,255,113,113,113,255,115,115,115,255,118,118,118,255,123,123,123,255,126,126,126,255,126,126,126,255,126,126,126,255,129,129,129,255,131,131,131,255,130,130,130,255,129,129,129,255,127,127,127,255,126,126,126,255,127,127,127,255,129,129,129,255,129,129,129,255,129,129,129,255,128,128,128,255,127,127,127,255,126,126,126,255,128,128,128,255,131,131,131,255,132,132,132,255,132,132,132,255,132,132,132,255,135,135,135,255,136,136,136,255,136,136,136,255,135,135,135,255,134,134,134,255,135,135,135,255,136,136,136,255,137,137,137,255,138,138,138,255,139,139,139,255,139,139,139,255,139,139,139,255,144,144,144,255,151,151,151,255,156,156,156,255,157,157,157,255,155,155,155,255,152,152,152,255,151,151,151,255,150,150,150,255,147,147,147,255,142,142,142,255,138,138,138,255,137,137,137,255,133,133,133,255,128,128,128,255,122,122,122,255,115,115,115,255,108,108,108,255,103,103,103,255,102,102,102,255,99,99,99,255,97,97,97,255,94,94,94,255,95,95,95,255,99,99,99,255,104,104,104,255,109,109,109,255,117,117,117,255,124,124,124,255,127,127,127,255,127,127,127,255,129,129,129,255,131,131,131,255,135,135,135,255,136,136,136,255,135,135,135,255,133,133,133,255,134,134,134,255,137,137,137,255,142,142,142,255,145,145,145,255,145,145,145,255,141,141,141,255,135,135,135,255,130,130,130,255,137,137,137,255,132,132,132,255,129,129,129,255,127,127,127,255,124,124,124,255,122,122,122,255,123,123,123,255,121,121,121,255,115,115,115,255,109,109,109,255,105,105,105,255,107,107,107,255,110,110,110,255,112,112,112,255,110,110,110,255,106,106,106,255,104,104,104,255,107,107,107,255,114,114,114,255,118,118,118,255,121,121,121,255,125,125,125,255,130,130,130,255,132,132,132,255,131,131,131,255,130,130,130,255,130,130,130,255,129,129,129,255,128,128,128,255,127,127,127,255,125,125,125,255,123,123,123,255,125,125,125,255,128,128,128,255,131,131,131,255,133,133,133,255,132,132,132,255,129,129,129,255,127,127,127,255,129,129,129,255,134,134,134,255,136,136,136,255,137,137,137,255,138,138,138,255,140,140,140,255,142,142,142,255,140,140,140,255,139,139,139,255,139,139,139,255,141,141,141,255,140,140,140,255,139,139,139,255,140,140,140,255,140,140,140,255,139,139,139,255,140,140,140,255,145,145,145,255,150,150,150,255,153,153,153,255,155,155,155,255,153,153,153,255,152,152,152,255,153,153,153,255,153,153,153,255,150,150,150,255,145,145,145,255,140,140,140,255,138,138,138,255,134,134,134,255,130,130,130,255,123,123,123,255,114,114,114,255,105,105,105,255,101,101,101,255,99,99,99,255,97,97,97,255,94,94,94,255,90,90,90,255,91,91,91,255,96,96,96,255,102,102,102,255,107,107,107,255,115,115,115,255,122,122,122,255,125,125,125,255,127,127,127,255,130,130,130,255,132,132,132,255,135,135,135,255,135,135,135,255,132,132,132,255,130,130,130,255,132,132,132,255,135,135,135,255,138,138,138,255,139,139,139,255,138,138,138,255,137,137,137,255,134,134,134,255,130,130,130,255,140,140,140,255,136,136,136,255,135,135,135,255,135,135,135,255,133,133,133,255,132,132,132,255,132,132,132,255,130,130,130,255,124,124,124,255,117,117,117,255,113,113,113,255,113,113,113,255,116,116,116,255,117,117,117,255,114,114,114,255,110,110,110,255,108,108,108,255,111,111,111,255,117,117,117,255,120,120,120,255,123,123,123,255,128,128,128,255,133,133,133,255,135,135,135,255,134,134,134,255,132,132,132,255,129,129,129,255,126,126,126,255,124,124,124,255,124,124,124,255,122,122,122,255,121,121,121,255,125,125,125,255,130,130,130,255,133,133,133,255,136,136,136,255,137,137,137,255,135,135,135,255,133,133,133,255,133,133,133,255,137,137,137,255,139,139,139,255,140,140,140,255,142,142,142,255,143,143,143,255,143,143,143,255,141,141,141,255,141,141,141,255,142,142,142,255,143,143,143,255,142,142,142,255,140,140,140,255,140,140,140,255,140,140,140,255,140,140,140,255,141,141,141,255,145,145,145,255,149,149,149,255,151,151,151,255,153,153,153,255,153,153,153,255,153,153,153,255,154,154,154,255,155,155,155,255,153,153,153,255,149,149,149,255,144,144,144,255,140,140,140,255,136,136,136,255,132,132,132,255,125,125,125,255,116,116,116,255,107,107,107,255,102,102,102,255,100,100,100,255,97,97,97,255,93,93,93,255,87,87,87,255,87,87,87,255,93,93,93,255,99,99,99,255,104,104,104,255,111,111,111,255,117,117,117,255,121,121,121,255,125,125,125,255,130,130,130,255,132,132,132,255,132,132,132,255,129,129,129,255,126,126,126,255,125,125,125,255,127,127,127,255,130,130,130,255,132,132,132,255,132,132,132,255,131,131,131,255,132,132,132,255,132,132,132,255,131,131,131,255,143,143,143,255,141,141,141,255,141,141,141,255,141,141,141,255,140,140,140,255,138,138,138,255,136,136,136,255,132,132,132,255,127,127,127,255,123,123,123,255,120,120,120,255,118,118,118,255,118,118,118,255,118,118,118,255,117,117,117,255,114,114,114,255,114,114,114,255,117,117,117,255,121,121,121,255,122,122,122,255,124,124,124,255,128,128,128,255,133,133,133,255,136,136,136,255,136,136,136,255,134,134,134,255,130,130,130,255,126,126,126,255,122,122,122,255,121,121,121,255,121,121,121,255,123,123,123,255,127,127,127,255,130,130,130,255,132,132,132,255,135,135,135,255,139,139,139,255,140,140,140,255,137,137,137,255,135,135,135,255,136,136,136,255,137,137,137,255,139,139,139,255,142,142,142,255,144,144,144,255,143,143,143,255,141,141,141,255,141,141,141,255,142,142,142,255,142,142,142,255,140,140,140,255,139,139,139,255,140,140,140,255,140,140,140,255,139,139,139,255,140,140,140,255,144,144,144,255,148,148,148,255,150,150,150,255,152,152,152,255,151,151,151,255,151,151,151,255,152,152,152,255,152,152,152,255,151,151,151,255,151,151,151,255,149,149,149,255,145,145,145,255,139,139,139,255,134,134,134,255,127,127,127,255,118,118,118,255,110,110,110,255,104,104,104,255,100,100,100,255,96,96,96,255,90,90,90,255,84,84,84,255,84,84,84,255,89,89,89,255,96,96,96,255,101,101,101,255,107,107,107,255,113,113,113,255,117,117,117,255,122,122,122,255,126,126,126,255,129,129,129,255,127,127,127,255,124,124,124,255,122,122,122,255,121,121,121,255,123,123,123,255,124,124,124,255,124,124,124,255,125,125,125,255,127,127,127,255,129,129,129,255,130,130,130,255,131,131,131,255,144,144,144,255,143,143,143,255,142,142,142,255,143,143,143,255,144,144,144,255,142,142,142,255,138,138,138,255,133,133,133,255,130,130,130,255,128,128,128,255,127,127,127,255,123,123,123,255,120,120,120,255,121,121,121,255,121,121,121,255,119,119,119,255,120,120,120,255,122,122,122,255,123,123,123,255,122,122,122,255,124,124,124,255,129,129,129,255,132,132,132,255,134,134,134,255,134,134,134,255,134,134,134,255,133,133,133,255,129,129,129,255,123,123,123,255,120,120,120,255,121,121,121,255,125,125,125,255,128,128,128,255,129,129,129,255,129,129,129,255,130,130,130,255,135,135,135,255,139,139,139,255,138,138,138,255,136,136,136,255,134,134,134,255,133,133,133,255,135,135,135,255,140,140,140,255,143,143,143,255,143,143,143,255,143,143,143,255,142,142,142,255,141,141,141,255,140,140,140,255,138,138,138,255,136,136,136,255,137,137,137,255,137,137,137,255,136,136,136,255,137,137,137,255,141,141,141,255,145,145,145,255,147,147,147,255,149,149,149,255,148,148,148,255,148,148,148,255,150,150,150,255,150,150,150,255,150,150,150,255,151,151,151,255,151,151,151,255,147,147,147,255,140,140,140,255,133,133,133,255,126,126,126,255,118,118,118,255,110,110,110,255,103,103,103,255,97,97,97,255,93,93,93,255,88,88,88,255,83,83,83,255,82,82,82,255,85,85,85,255,92,92,92,255,96,96,96,255,101,101,101,255,106,106,106,255,111,111,111,255,115,115,115,255,119,119,119,255,122,122,122,255,123,123,123,255,123,123,123,255,123,123,123,255,123,123,123,255,122,122,122,255,121,121,121,255,120,120,120,255,121,121,121,255,124,124,124,255,127,127,127,255,127,127,127,255,128,128,128,255,142,142,142,255,141,141,141,255,141,141,141,255,143,143,143,255,146,146,146,255,146,146,146,255,142,142,142,255,138,138,138,255,136,136,136,255,135,135,135,255,133,133,133,255,130,130,130,255,127,127,127,255,128,128,128,255,128,128,128,255,127,127,127,255,126,126,126,255,126,126,126,255,125,125,125,255,125,125,125,255,128,128,128,255,133,133,133,255,134,134,134,255,132,132,132,255,131,131,131,255,133,133,133,255,133,133,133,255,130,130,130,255,125,125,125,255,122,122,122,255,123,123,123,255,126,126,126,255,128,128,128,255,127,127,127,255,126,126,126,255,126,126,126,255,130,130,130,255,135,135,135,255,137,137,137,255,136,136,136,255,135,135,135,255,133,133,133,255,134,134,134,255,139,139,139,255,143,143,143,255,145,145,145,255,144,144,144,255,143,143,143,255,141,141,141,255,140,140,140,255,136,136,136,255,132,132,132,255,131,131,131,255,132,132,132,255,132,132,132,255,134,134,134,255,138,138,138,255,140,140,140,255,142,142,142,255,143,143,143,255,144,144,144,255,145,145,145,255,147,147,147,255,149,149,149,255,150,150,150,255,152,152,152,255,150,150,150,255,144,144,144,255,137,137,137,255,131,131,131,255,125,125,125,255,117,117,117,255,110,110,110,255,103,103,103,255,97,97,97,255,93,93,93,255,89,89,89,255,86,86,86,255,83,83,83,255,84,84,84,255,89,89,89,255,92,92,92,255,96,96,96,255,100,100,100,255,104,104,104,255,109,109,109,255,113,113,113,255,117,117,117,255,121,121,121,255,123,123,123,255,125,125,125,255,125,125,125,255,124,124,124,255,122,122,122,255,120,120,120,255,120,120,120,255,123,123,123,255,125,125,125,255,125,125,125,255,126,126,126,255,140,140,140,255,140,140,140,255,140,140,140,255,142,142,142,255,146,146,146,255,147,147,147,255,145,145,145,255,143,143,143,255,141,141,141,255,140,140,140,255,139,139,139,255,138,138,138,255,137,137,137,255,136,136,136,255,135,135,135,255,133,133,133,255,131,131,131,255,129,129,129,255,128,128,128,255,129,129,129,255,133,133,133,255,136,136,136,255,135,135,135,255,132,132,132,255,130,130,130,255,131,131,131,255,132,132,132,255,131,131,131,255,128,128,128,255,126,126,126,255,125,125,125,255,126,126,126,255,126,126,126,255,124,124,124,255,122,122,122,255,121,121,121,255,125,125,125,255,131,131,131,255,135,135,135,255,136,136,136,255,134,134,134,255,132,132,132,255,134,134,134,255,138,138,138,255,143,143,143,255,145,145,145,255,143,143,143,255,141,141,141,255,140,140,140,255,138,138,138,255,134,134,134,255,129,129,129,255,126,126,126,255,126,126,126,255,128,128,128,255,131,131,131,255,133,133,133,255,135,135,135,255,138,138,138,255,141,141,141,255,143,143,143,255,143,143,143,255,144,144,144,255,147,147,147,255,150,150,150,255,150,150,150,255,146,146,146,255,140,140,140,255,134,134,134,255,130,130,130,255,126,126,126,255,119,119,119,255,112,112,112,255,106,106,106,255,100,100,100,255,96,96,96,255,91,91,91,255,87,87,87,255,84,84,84,255,85,85,85,255,89,89,89,255,92,92,92,255,95,95,95,255,98,98,98,255,101,101,101,255,106,106,106,255,113,113,113,255,117,117,117,255,120,120,120,255,123,123,123,255,126,126,126,255,126,126,126,255,125,125,125,255,124,124,124,255,123,123,123,255,122,122,122,255,124,124,124,255,125,125,125,255,125,125,125,255,127,127,127,255,141,141,141,255,142,142,142,255,141,141,141,255,142,142,142,255,145,145,145,255,146,146,146,255,145,145,145,255,145,145,145,255,145,145,145,255,142,142,142,255,142,142,142,255,144,144,144,255,144,144,144,255,143,143,143,255,141,141,141,255,139,139,139,255,136,136,136,255,134,134,134,255,133,133,133,255,133,133,133,255,134,134,134,255,134,134,134,255,134,134,134,255,133,133,133,255,133,133,133,255,132,132,132,255,131,131,131,255,131,131,131,255,130,130,130,255,127,127,127,255,124,124,124,255,123,123,123,255,123,123,123,255,120,120,120,255,117,117,117,255,117,117,117,255,121,121,121,255,127,127,127,255,131,131,131,255,131,131,131,255,128,128,128,255,128,128,128,255,131,131,131,255,135,135,135,255,140,140,140,255,142,142,142,255,139,139,139,255,136,136,136,255,133,133,133,255,132,132,132,255,130,130,130,255,128,128,128,255,125,125,125,255,124,124,124,255,126,126,126,255,130,130,130,255,131,131,131,255,132,132,132,255,136,136,136,255,141,141,141,255,145,145,145,255,144,144,144,255,143,143,143,255,146,146,146,255,148,148,148,255,146,146,146,255,143,143,143,255,139,139,139,255,135,135,135,255,131,131,131,255,127,127,127,255,121,121,121,255,114,114,114,255,109,109,109,255,104,104,104,255,99,99,99,255,93,93,93,255,87,87,87,255,84,84,84,255,85,85,85,255,88,88,88,255,92,92,92,255,96,96,96,255,99,99,99,255,102,102,102,255,107,107,107,255,114,114,114,255,119,119,119,255,121,121,121,255,125,125,125,255,129,129,129,255,129,129,129,255,127,127,127,255,126,126,126,255,125,125,125,255,124,124,124,255,125,125,125,255,126,126,126,255,127,127,127,255,130,130,130,255,143,143,143,255,143,143,143,255,142,142,142,255,142,142,142,255,146,146,146,255,148,148,148,255,147,147,147,255,148,148,148,255,149,149,149,255,147,147,147,255,147,147,147,255,149,149,149,255,149,149,149,255,149,149,149,255,147,147,147,255,144,144,144,255,140,140,140,255,138,138,138,255,137,137,137,255,135,135,135,255,133,133,133,255,132,132,132,255,133,133,133,255,134,134,134,255,135,135,135,255,133,133,133,255,131,131,131,255,129,129,129,255,127,127,127,255,123,123,123,255,118,118,118,255,117,117,117,255,117,117,117,255,116,116,116,255,113,113,113,255,113,113,113,255,117,117,117,255,123,123,123,255,126,126,126,255,124,124,124,255,122,122,122,255,122,122,122,255,126,126,126,255,130,130,130,255,135,135,135,255,138,138,138,255,135,135,135,255,131,131,131,255,127,127,127,255,125,125,125,255,125,125,125,255,126,126,126,255,125,125,125,255,124,124,124,255,126,126,126,255,129,129,129,255,130,130,130,255,131,131,131,255,134,134,134,255,140,140,140,255,145,145,145,255,146,146,146,255,145,145,145,255,146,146,146,255,147,147,147,255,145,145,145,255,142,142,142,255,140,140,140,255,136,136,136,255,132,132,132,255,126,126,126,255,119,119,119,255,113,113,113,255,109,109,109,255,104,104,104,255,99,99,99,255,95,95,95,255,89,89,89,255,84,84,84,255,82,82,82,255,85,85,85,255,89,89,89,255,95,95,95,255,100,100,100,255,104,104,104,255,110,110,110,255,116,116,116,255,120,120,120,255,125,125,125,255,130,130,130,255,134,134,134,255,133,133,133,255,131,131,131,255,129,129,129,255,128,128,128,255,125,125,125,255,125,125,125,255,126,126,126,255,128,128,128,255,131,131,131,255,142,142,142,255,143,143,143,255,143,143,143,255,144,144,144,255,148,148,148,255,151,151,151,255,152,152,152,255,153,153,153,255,154,154,154,255,154,154,154,255,154,154,154,255,155,155,155,255,155,155,155,255,154,154,154,255,152,152,152,255,147,147,147,255,141,141,141,255,138,138,138,255,137,137,137,255,136,136,136,255,133,133,133,255,133,133,133,255,134,134,134,255,135,135,135,255,135,135,135,255,132,132,132,255,129,129,129,255,127,127,127,255,124,124,124,255,119,119,119,255,112,112,112,255,110,110,110,255,110,110,110,255,111,111,111,255,111,111,111,255,112,112,112,255,115,115,115,255,119,119,119,255,120,120,120,255,118,118,118,255,116,116,116,255,117,117,117,255,122,122,122,255,127,127,127,255,131,131,131,255,133,133,133,255,130,130,130,255,126,126,126,255,122,122,122,255,120,120,120,255,120,120,120,255,123,123,123,255,124,124,124,255,123,123,123,255,124,124,124,255,128,128,128,255,130,130,130,255,130,130,130,255,131,131,131,255,135,135,135,255,141,141,141,255,144,144,144,255,143,143,143,255,142,142,142,255,143,143,143,255,142,142,142,255,141,141,141,255,140,140,140,255,137,137,137,255,130,130,130,255,123,123,123,255,117,117,117,255,114,114,114,255,110,110,110,255,104,104,104,255,97,97,97,255,92,92,92,255,87,87,87,255,82,82,82,255,79,79,79,255,80,80,80,255,86,86,86,255,93,93,93,255,101,101,101,255,108,108,108,255,113,113,113,255,117,117,117,255,123,123,123,255,129,129,129,255,133,133,133,255,135,135,135,255,135,135,135,255,135,135,135,255,133,133,133,255,131,131,131,255,128,128,128,255,129,129,129,255,130,130,130,255,131,131,131,255,132,132,132,255,141,141,141,255,143,143,143,255,144,144,144,255,145,145,145,255,149,149,149,255,153,153,153,255,154,154,154,255,155,155,155,255,156,156,156,255,158,158,158,255,159,159,159,255,160,160,160,255,159,159,159,255,158,158,158,255,154,154,154,255,147,147,147,255,140,140,140,255,138,138,138,255,139,139,139,255,138,138,138,255,136,136,136,255,136,136,136,255,137,137,137,255,135,135,135,255,134,134,134,255,131,131,131,255,127,127,127,255,125,125,125,255,123,123,123,255,118,118,118,255,112,112,112,255,108,108,108,255,106,106,106,255,108,108,108,255,110,110,110,255,111,111,111,255,112,112,112,255,114,114,114,255,116,116,116,255,116,116,116,255,114,114,114,255,115,115,115,255,119,119,119,255,123,123,123,255,126,126,126,255,127,127,127,255,125,125,125,255,122,122,122,255,121,121,121,255,120,120,120,255,118,118,118,255,120,120,120,255,121,121,121,255,119,119,119,255,119,119,119,255,122,122,122,255,126,126,126,255,129,129,129,255,129,129,129,255,131,131,131,255,136,136,136,255,139,139,139,255,138,138,138,255,138,138,138,255,140,140,140,255,141,141,141,255,139,139,139,255,136,136,136,255,132,132,132,255,127,127,127,255,121,121,121,255,117,117,117,255,117,117,117,255,113,113,113,255,105,105,105,255,96,96,96,255,88,88,88,255,85,85,85,255,81,81,81,255,78,78,78,255,80,80,80,255,85,85,85,255,92,92,92,255,101,101,101,255,111,111,111,255,117,117,117,255,122,122,122,255,128,128,128,255,134,134,134,255,136,136,136,255,135,135,135,255,135,135,135,255,136,136,136,255,135,135,135,255,131,131,131,255,130,130,130,255,133,133,133,255,135,135,135,255,135,135,135,255,135,135,135,255,141,141,141,255,143,143,143,255,145,145,145,255,146,146,146,255,149,149,149,255,153,153,153,255,153,153,153,255,154,154,154,255,156,156,156,255,158,158,158,255,160,160,160,255,160,160,160,255,160,160,160,255,159,159,159,255,155,155,155,255,148,148,148,255,142,142,142,255,141,141,141,255,143,143,143,255,141,141,141,255,139,139,139,255,139,139,139,255,139,139,139,255,137,137,137,255,134,134,134,255,131,131,131,255,126,126,126,255,123,123,123,255,121,121,121,255,118,118,118,255,114,114,114,255,110,110,110,255,107,107,107,255,107,107,107,255,109,109,109,255,108,108,108,255,107,107,107,255,109,109,109,255,113,113,113,255,115,115,115,255,114,114,114,255,113,113,113,255,115,115,115,255,117,117,117,255,120,120,120,255,121,121,121,255,120,120,120,255,120,120,120,255,122,122,122,255,122,122,122,255,120,120,120,255,118,118,118,255,117,117,117,255,115,115,115,255,114,114,114,255,116,116,116,255,122,122,122,255,126,126,126,255,127,127,127,255,128,128,128,255,132,132,132,255,135,135,135,255,135,135,135,255,135,135,135,255,138,138,138,255,140,140,140,255,136,136,136,255,130,130,130,255,127,127,127,255,123,123,123,255,120,120,120,255,119,119,119,255,118,118,118,255,113,113,113,255,104,104,104,255,95,95,95,255,89,89,89,255,86,86,86,255,82,82,82,255,79,79,79,255,80,80,80,255,86,86,86,255,92,92,92,255,100,100,100,255,111,111,111,255,120,120,120,255,126,126,126,255,132,132,132,255,137,137,137,255,138,138,138,255,137,137,137,255,135,135,135,255,135,135,135,255,133,133,133,255,130,130,130,255,130,130,130,255,133,133,133,255,137,137,137,255,139,139,139,255,138,138,138,255,137,137,137,255,140,140,140,255,143,143,143,255,146,146,146,255,151,151,151,255,154,154,154,255,154,154,154,255,154,154,154,255,156,156,156,255,159,159,159,255,161,161,161,255,161,161,161,255,159,159,159,255,157,157,157,255,154,154,154,255,150,150,150,255,147,147,147,255,147,147,147,255,148,148,148,255,145,145,145,255,142,142,142,255,141,141,141,255,139,139,139,255,135,135,135,255,132,132,132,255,130,130,130,255,125,125,125,255,120,120,120,255,117,117,117,255,117,117,117,255,117,117,117,255,114,114,114,255,110,110,110,255,109,109,109,255,109,109,109,255,107,107,107,255,103,103,103,255,103,103,103,255,107,107,107,255,111,111,111,255,113,113,113,255,113,113,113,255,112,112,112,255,112,112,112,255,113,113,113,255,114,114,114,255,116,116,116,255,118,118,118,255,122,122,122,255,125,125,125,255,123,123,123,255,119,119,119,255,115,115,115,255,113,113,113,255,111,111,111,255,114,114,114,255,118,118,118,255,123,123,123,255,124,124,124,255,126,126,126,255,128,128,128,255,129,129,129,255,130,130,130,255,131,131,131,255,134,134,134,255,135,135,135,255,132,132,132,255,126,126,126,255,123,123,123,255,122,122,122,255,120,120,120,255,118,118,118,255,115,115,115,255,109,109,109,255,103,103,103,255,96,96,96,255,91,91,91,255,86,86,86,255,83,83,83,255,81,81,81,255,82,82,82,255,86,86,86,255,91,91,91,255,100,100,100,255,112,112,112,255,123,123,123,255,129,129,129,255,132,132,132,255,136,136,136,255,138,138,138,255,139,139,139,255,137,137,137,255,135,135,135,255,133,133,133,255,132,132,132,255,132,132,132,255,134,134,134,255,135,135,135,255,138,138,138,255,139,139,139,255,132,132,132,255,136,136,136,255,141,141,141,255,147,147,147,255,153,153,153,255,154,154,154,255,153,153,153,255,153,153,153,255,156,156,156,255,159,159,159,255,162,162,162,255,162,162,162,255,159,159,159,255,155,155,155,255,154,154,154,255,153,153,153,255,151,151,151,255,150,150,150,255,148,148,148,255,145,145,145,255,142,142,142,255,141,141,141,255,137,137,137,255,131,131,131,255,129,129,129,255,128,128,128,255,125,125,125,255,118,118,118,255,115,115,115,255,114,114,114,255,116,116,116,255,115,115,115,255,111,111,111,255,109,109,109,255,109,109,109,255,107,107,107,255,103,103,103,255,100,100,100,255,102,102,102,255,106,106,106,255,110,110,110,255,113,113,113,255,111,111,111,255,109,109,109,255,108,108,108,255,109,109,109,255,113,113,113,255,117,117,117,255,121,121,121,255,124,124,124,255,124,124,124,255,121,121,121,255,118,118,118,255,114,114,114,255,112,112,112,255,114,114,114,255,118,118,118,255,119,119,119,255,120,120,120,255,122,122,122,255,122,122,122,255,122,122,122,255,124,124,124,255,127,127,127,255,130,130,130,255,131,131,131,255,128,128,128,255,124,124,124,255,122,122,122,255,120,120,120,255,118,118,118,255,115,115,115,255,110,110,110,255,105,105,105,255,101,101,101,255,99,99,99,255,94,94,94,255,88,88,88,255,85,85,85,255,86,86,86,255,88,88,88,255,90,90,90,255,95,95,95,255,105,105,105,255,117,117,117,255,126,126,126,255,130,130,130,255,130,130,130,255,130,130,130,255,134,134,134,255,137,137,137,255,137,137,137,255,135,135,135,255,133,133,133,255,134,134,134,255,134,134,134,255,134,134,134,255,132,132,132,255,134,134,134,255,137,137,137,255,130,130,130,255,134,134,134,255,141,141,141,255,146,146,146,255,151,151,151,255,151,151,151,255,149,149,149,255,150,150,150,255,153,153,153,255,157,157,157,255,162,162,162,255,163,163,163,255,160,160,160,255,156,156,156,255,155,155,155,255,154,154,154,255,152,152,152,255,149,149,149,255,146,146,146,255,142,142,142,255,139,139,139,255,137,137,137,255,133,133,133,255,128,128,128,255,126,126,126,255,127,127,127,255,125,125,125,255,119,119,119,255,114,114,114,255,112,112,112,255,113,113,113,255,112,112,112,255,109,109,109,255,107,107,107,255,106,106,106,255,106,106,106,255,103,103,103,255,100,100,100,255,99,99,99,255,102,102,102,255,107,107,107,255,111,111,111,255,110,110,110,255,108,108,108,255,105,105,105,255,107,107,107,255,111,111,111,255,115,115,115,255,118,118,118,255,120,120,120,255,123,123,123,255,123,123,123,255,121,121,121,255,117,117,117,255,115,115,115,255,116,116,116,255,119,119,119,255,118,118,118,255,118,118,118,255,120,120,120,255,121,121,121,255,121,121,121,255,123,123,123,255,127,127,127,255,130,130,130,255,131,131,131,255,127,127,127,255,124,124,124,255,121,121,121,255,119,119,119,255,114,114,114,255,111,111,111,255,107,107,107,255,104,104,104,255,102,102,102,255,101,101,101,255,98,98,98,255,93,93,93,255,91,91,91,255,93,93,93,255,96,96,96,255,98,98,98,255,103,103,103,255,113,113,113,255,122,122,122,255,130,130,130,255,131,131,131,255,129,129,129,255,128,128,128,255,130,130,130,255,134,134,134,255,135,135,135,255,134,134,134,255,132,132,132,255,133,133,133,255,133,133,133,255,131,131,131,255,129,129,129,255,131,131,131,255,134,134,134,255,128,128,128,255,133,133,133,255,139,139,139,255,142,142,142,255,143,143,143,255,143,143,143,255,144,144,144,255,147,147,147,255,151,151,151,255,155,155,155,255,161,161,161,255,165,165,165,255,163,163,163,255,160,160,160,255,159,159,159,255,158,158,158,255,154,154,154,255,149,149,149,255,147,147,147,255,143,143,143,255,138,138,138,255,133,133,133,255,130,130,130,255,128,128,128,255,127,127,127,255,125,125,125,255,122,122,122,255,116,116,116,255,111,111,111,255,109,109,109,255,110,110,110,255,109,109,109,255,106,106,106,255,102,102,102,255,101,101,101,255,100,100,100,255,98,98,98,255,97,97,97,255,97,97,97,255,101,101,101,255,105,105,105,255,108,108,108,255,109,109,109,255,108,108,108,255,106,106,106,255,107,107,107,255,111,111,111,255,115,115,115,255,117,117,117,255,119,119,119,255,121,121,121,255,121,121,121,255,120,120,120,255,119,119,119,255,118,118,118,255,119,119,119,255,121,121,121,255,119,119,119,255,118,118,118,255,120,120,120,255,123,123,123,255,124,124,124,255,126,126,126,255,128,128,128,255,130,130,130,255,130,130,130,255,127,127,127,255,122,122,122,255,119,119,119,255,115,115,115,255,111,111,111,255,108,108,108,255,107,107,107,255,106,106,106,255,105,105,105,255,103,103,103,255,99,99,99,255,96,96,96,255,96,96,96,255,99,99,99,255,102,102,102,255,106,106,106,255,111,111,111,255,117,117,117,255,123,123,123,255,128,128,128,255,129,129,129,255,130,130,130,255,130,130,130,255,131,131,131,255,134,134,134,255,134,134,134,255,132,132,132,255,130,130,130,255,130,130,130,255,130,130,130,255,128,128,128,255,126,126,126,255,128,128,128,255,131,131,131,255,125,125,125,255,130,130,130,255,134,134,134,255,134,134,134,255,135,135,135,255,138,138,138,255,142,142,142,255,147,147,147,255,150,150,150,255,155,155,155,255,162,162,162,255,167,167,167,255,166,166,166,255,164,164,164,255,163,163,163,255,161,161,161,255,156,156,156,255,152,152,152,255,151,151,151,255,149,149,149,255,142,142,142,255,134,134,134,255,130,130,130,255,128,128,128,255,125,125,125,255,121,121,121,255,117,117,117,255,113,113,113,255,107,107,107,255,105,105,105,255,107,107,107,255,107,107,107,255,104,104,104,255,100,100,100,255,97,97,97,255,95,95,95,255,93,93,93,255,92,92,92,255,94,94,94,255,97,97,97,255,101,101,101,255,103,103,103,255,105,105,105,255,106,106,106,255,105,105,105,255,106,106,106,255,109,109,109,255,112,112,112,255,115,115,115,255,117,117,117,255,118,118,118,255,118,118,118,255,118,118,118,255,119,119,119,255,120,120,120,255,121,121,121,255,122,122,122,255,121,121,121,255,121,121,121,255,124,124,124,255,127,127,127,255,128,128,128,255,128,128,128,255,129,129,129,255,131,131,131,255,130,130,130,255,127,127,127,255,123,123,123,255,119,119,119,255,114,114,114,255,111,111,111,255,110,110,110,255,111,111,111,255,110,110,110,255,107,107,107,255,103,103,103,255,99,99,99,255,98,98,98,255,100,100,100,255,102,102,102,255,106,106,106,255,111,111,111,255,115,115,115,255,118,118,118,255,119,119,119,255,122,122,122,255,125,125,125,255,129,129,129,255,131,131,131,255,132,132,132,255,134,134,134,255,135,135,135,255,133,133,133,255,130,130,130,255,129,129,129,255,128,128,128,255,126,126,126,255,124,124,124,255,125,125,125,255,127,127,127,255,124,124,124,255,126,126,126,255,128,128,128,255,128,128,128,255,130,130,130,255,136,136,136,255,141,141,141,255,147,147,147,255,150,150,150,255,155,155,155,255,163,163,163,255,168,168,168,255,168,168,168,255,166,166,166,255,164,164,164,255,162,162,162,255,158,158,158,255,155,155,155,255,155,155,155,255,154,154,154,255,148,148,148,255,139,139,139,255,132,132,132,255,127,127,127,255,122,122,122,255,118,118,118,255,115,115,115,255,111,111,111,255,105,105,105,255,102,102,102,255,103,103,103,255,105,105,105,255,103,103,103,255,99,99,99,255,95,95,95,255,92,92,92,255,90,90,90,255,89,89,89,255,90,90,90,255,92,92,92,255,94,94,94,255,97,97,97,255,99,99,99,255,101,101,101,255,101,101,101,255,101,101,101,255,104,104,104,255,107,107,107,255,109,109,109,255,112,112,112,255,114,114,114,255,115,115,115,255,117,117,117,255,120,120,120,255,120,120,120,255,121,121,121,255,123,123,123,255,124,124,124,255,127,127,127,255,131,131,131,255,134,134,134,255,134,134,134,255,134,134,134,255,135,135,135,255,136,136,136,255,135,135,135,255,131,131,131,255,127,127,127,255,123,123,123,255,118,118,118,255,116,116,116,255,116,116,116,255,116,116,116,255,112,112,112,255,108,108,108,255,103,103,103,255,101,101,101,255,102,102,102,255,105,105,105,255,106,106,106,255,108,108,108,255,114,114,114,255,117,117,117,255,116,116,116,255,116,116,116,255,117,117,117,255,122,122,122,255,127,127,127,255,130,130,130,255,131,131,131,255,132,132,132,255,133,133,133,255,133,133,133,255,130,130,130,255,128,128,128,255,127,127,127,255,124,124,124,255,121,121,121,255,121,121,121,255,121,121,121,255,122,122,122,255,124,124,124,255,125,125,125,255,124,124,124,255,128,128,128,255,134,134,134,255,139,139,139,255,144,144,144,255,147,147,147,255,153,153,153,255,162,162,162,255,169,169,169,255,168,168,168,255,165,165,165,255,162,162,162,255,161,161,161,255,160,160,160,255,159,159,159,255,158,158,158,255,157,157,157,255,152,152,152,255,144,144,144,255,136,136,136,255,129,129,129,255,122,122,122,255,118,118,118,255,114,114,114,255,110,110,110,255,104,104,104,255,101,101,101,255,101,101,101,255,101,101,101,255,99,99,99,255,95,95,95,255,93,93,93,255,91,91,91,255,89,89,89,255,88,88,88,255,87,87,87,255,86,86,86,255,87,87,87,255,90,90,90,255,94,94,94,255,95,95,95,255,95,95,95,255,95,95,95,255,97,97,97,255,99,99,99,255,102,102,102,255,106,106,106,255,109,109,109,255,112,112,112,255,115,115,115,255,118,118,118,255,120,120,120,255,121,121,121,255,125,125,125,255,129,129,129,255,135,135,135,255,139,139,139,255,141,141,141,255,141,141,141,255,143,143,143,255,145,145,145,255,145,145,145,255,141,141,141,255,137,137,137,255,133,133,133,255,129,129,129,255,124,124,124,255,121,121,121,255,121,121,121,255,119,119,119,255,113,113,113,255,107,107,107,255,105,105,105,255,106,106,106,255,109,109,109,255,110,110,110,255,109,109,109,255,111,111,111,255,115,115,115,255,118,118,118,255,117,117,117,255,115,115,115,255,116,116,116,255,121,121,121,255,126,126,126,255,127,127,127,255,127,127,127,255,128,128,128,255,130,130,130,255,131,131,131,255,130,130,130,255,128,128,128,255,127,127,127,255,124,124,124,255,121,121,121,255,120,120,120,255,120,120,120,255,119,119,119,255,121,121,121,255,121,121,121,255,121,121,121,255,124,124,124,255,130,130,130,255,134,134,134,255,140,140,140,255,144,144,144,255,150,150,150,255,159,159,159,255,166,166,166,255,166,166,166,255,162,162,162,255,161,161,161,255,161,161,161,255,162,162,162,255,161,161,161,255,158,158,158,255,156,156,156,255,151,151,151,255,145,145,145,255,138,138,138,255,131,131,131,255,125,125,125,255,119,119,119,255,114,114,114,255,108,108,108,255,103,103,103,255,100,100,100,255,99,99,99,255,97,97,97,255,93,93,93,255,91,91,91,255,89,89,89,255,87,87,87,255,85,85,85,255,85,85,85,255,85,85,85,255,83,83,83,255,83,83,83,255,86,86,86,255,90,90,90,255,92,92,92,255,91,91,91,255,91,91,91,255,93,93,93,255,94,94,94,255,97,97,97,255,102,102,102,255,106,106,106,255,109,109,109,255,111,111,111,255,115,115,115,255,119,119,119,255,123,123,123,255,127,127,127,255,133,133,133,255,139,139,139,255,143,143,143,255,145,145,145,255,148,148,148,255,152,152,152,255,155,155,155,255,152,152,152,255,147,147,147,255,140,140,140,255,137,137,137,255,135,135,135,255,131,131,131,255,126,126,126,255,125,125,125,255,123,123,123,255,118,118,118,255,111,111,111,255,108,108,108,255,110,110,110,255,114,114,114,255,114,114,114,255,113,113,113,255,114,114,114,255,118,118,118,255,120,120,120,255,118,118,118,255,115,115,115,255,116,116,116,255,120,120,120,255,124,124,124,255,126,126,126,255,127,127,127,255,127,127,127,255,129,129,129,255,130,130,130,255,129,129,129,255,128,128,128,255,126,126,126,255,125,125,125,255,124,124,124,255,123,123,123,255,122,122,122,255,117,117,117,255,118,118,118,255,118,118,118,255,117,117,117,255,119,119,119,255,124,124,124,255,128,128,128,255,135,135,135,255,141,141,141,255,146,146,146,255,153,153,153,255,159,159,159,255,159,159,159,255,158,158,158,255,160,160,160,255,162,162,162,255,162,162,162,255,159,159,159,255,155,155,155,255,152,152,152,255,148,148,148,255,142,142,142,255,136,136,136,255,130,130,130,255,125,125,125,255,120,120,120,255,114,114,114,255,109,109,109,255,104,104,104,255,100,100,100,255,97,97,97,255,94,94,94,255,89,89,89,255,87,87,87,255,85,85,85,255,82,82,82,255,79,79,79,255,80,80,80,255,83,83,83,255,83,83,83,255,83,83,83,255,85,85,85,255,89,89,89,255,90,90,90,255,90,90,90,255,91,91,91,255,93,93,93,255,93,93,93,255,95,95,95,255,100,100,100,255,105,105,105,255,108,108,108,255,110,110,110,255,114,114,114,255,118,118,118,255,122,122,122,255,128,128,128,255,134,134,134,255,139,139,139,255,144,144,144,255,147,147,147,255,152,152,152,255,158,158,158,255,161,161,161,255,158,158,158,255,152,152,152,255,145,145,145,255,142,142,142,255,141,141,141,255,138,138,138,255,133,133,133,255,131,131,131,255,130,130,130,255,126,126,126,255,118,118,118,255,114,114,114,255,113,113,113,255,115,115,115,255,116,116,116,255,117,117,117,255,121,121,121,255,124,124,124,255,123,123,123,255,118,118,118,255,115,115,115,255,115,115,115,255,119,119,119,255,123,123,123,255,127,127,127,255,130,130,130,255,131,131,131,255,130,130,130,255,128,128,128,255,127,127,127,255,126,126,126,255,125,125,125,255,124,124,124,255,124,124,124,255,124,124,124,255,124,124,124,255
+//[100,100]140,140,140,255,140,140,140,255,141,141,141,255,144,144,144,255,148,148,148,255,153,153,153,255,158,158,158,255,163,163,163,255,168,168,168,255,171,171,171,255,171,171,171,255,170,170,170,255,172,172,172,255,176,176,176,255,180,180,180,255,183,183,183,255,187,187,187,255,189,189,189,255,191,191,191,255,193,193,193,255,197,197,197,255,200,200,200,255,203,203,203,255,207,207,207,255,208,208,208,255,206,206,206,255,201,201,201,255,196,196,196,255,194,194,194,255,196,196,196,255,197,197,197,255,196,196,196,255,195,195,195,255,195,195,195,255,196,196,196,255,196,196,196,255,195,195,195,255,194,194,194,255,193,193,193,255,192,192,192,255,189,189,189,255,185,185,185,255,181,181,181,255,180,180,180,255,178,178,178,255,175,175,175,255,174,174,174,255,175,175,175,255,175,175,175,255,175,175,175,255,176,176,176,255,178,178,178,255,181,181,181,255,186,186,186,255,193,193,193,255,197,197,197,255,200,200,200,255,202,202,202,255,201,201,201,255,200,200,200,255,198,198,198,255,197,197,197,255,198,198,198,255,197,197,197,255,194,194,194,255,190,190,190,255,184,184,184,255,177,177,177,255,172,172,172,255,172,172,172,255,175,175,175,255,175,175,175,255,175,175,175,255,175,175,175,255,175,175,175,255,173,173,173,255,170,170,170,255,167,167,167,255,166,166,166,255,164,164,164,255,164,164,164,255,166,166,166,255,172,172,172,255,176,176,176,255,176,176,176,255,172,172,172,255,167,167,167,255,161,161,161,255,155,155,155,255,148,148,148,255,143,143,143,255,141,141,141,255,139,139,139,255,134,134,134,255,128,128,128,255,123,123,123,255,117,117,117,255,111,111,111,255,105,105,105,255,103,103,103,255,139,139,139,255,140,140,140,255,141,141,141,255,144,144,144,255,149,149,149,255,154,154,154,255,159,159,159,255,164,164,164,255,169,169,169,255,172,172,172,255,174,174,174,255,176,176,176,255,178,178,178,255,180,180,180,255,182,182,182,255,185,185,185,255,186,186,186,255,187,187,187,255,188,188,188,255,193,193,193,255,200,200,200,255,204,204,204,255,207,207,207,255,210,210,210,255,211,211,211,255,209,209,209,255,203,203,203,255,198,198,198,255,195,195,195,255,191,191,191,255,189,189,189,255,189,189,189,255,193,193,193,255,196,196,196,255,196,196,196,255,195,195,195,255,194,194,194,255,192,192,192,255,189,189,189,255,186,186,186,255,183,183,183,255,181,181,181,255,181,181,181,255,181,181,181,255,180,180,180,255,180,180,180,255,180,180,180,255,180,180,180,255,179,179,179,255,178,178,178,255,178,178,178,255,178,178,178,255,180,180,180,255,185,185,185,255,191,191,191,255,195,195,195,255,198,198,198,255,200,200,200,255,200,200,200,255,198,198,198,255,194,194,194,255,192,192,192,255,192,192,192,255,193,193,193,255,193,193,193,255,190,190,190,255,183,183,183,255,176,176,176,255,172,172,172,255,171,171,171,255,171,171,171,255,172,172,172,255,172,172,172,255,174,174,174,255,174,174,174,255,172,172,172,255,166,166,166,255,163,163,163,255,162,162,162,255,162,162,162,255,162,162,162,255,164,164,164,255,169,169,169,255,173,173,173,255,172,172,172,255,169,169,169,255,165,165,165,255,159,159,159,255,152,152,152,255,145,145,145,255,140,140,140,255,139,139,139,255,138,138,138,255,133,133,133,255,128,128,128,255,122,122,122,255,117,117,117,255,112,112,112,255,108,108,108,255,106,106,106,255,140,140,140,255,141,141,141,255,142,142,142,255,145,145,145,255,150,150,150,255,155,155,155,255,160,160,160,255,165,165,165,255,170,170,170,255,174,174,174,255,177,177,177,255,180,180,180,255,182,182,182,255,183,183,183,255,183,183,183,255,185,185,185,255,185,185,185,255,184,184,184,255,184,184,184,255,191,191,191,255,199,199,199,255,205,205,205,255,209,209,209,255,211,211,211,255,212,212,212,255,209,209,209,255,204,204,204,255,198,198,198,255,194,194,194,255,187,187,187,255,183,183,183,255,184,184,184,255,189,189,189,255,194,194,194,255,194,194,194,255,192,192,192,255,190,190,190,255,188,188,188,255,184,184,184,255,180,180,180,255,177,177,177,255,177,177,177,255,179,179,179,255,179,179,179,255,180,180,180,255,182,182,182,255,183,183,183,255,183,183,183,255,181,181,181,255,180,180,180,255,179,179,179,255,178,178,178,255,179,179,179,255,184,184,184,255,189,189,189,255,193,193,193,255,195,195,195,255,197,197,197,255,197,197,197,255,194,194,194,255,189,189,189,255,186,186,186,255,186,186,186,255,188,188,188,255,189,189,189,255,187,187,187,255,181,181,181,255,175,175,175,255,170,170,170,255,169,169,169,255,169,169,169,255,169,169,169,255,171,171,171,255,173,173,173,255,174,174,174,255,171,171,171,255,165,165,165,255,160,160,160,255,159,159,159,255,159,159,159,255,160,160,160,255,161,161,161,255,166,166,166,255,169,169,169,255,169,169,169,255,166,166,166,255,161,161,161,255,156,156,156,255,149,149,149,255,142,142,142,255,137,137,137,255,136,136,136,255,135,135,135,255,132,132,132,255,127,127,127,255,122,122,122,255,118,118,118,255,114,114,114,255,111,111,111,255,109,109,109,255,143,143,143,255,143,143,143,255,144,144,144,255,147,147,147,255,151,151,151,255,156,156,156,255,160,160,160,255,165,165,165,255,170,170,170,255,174,174,174,255,177,177,177,255,180,180,180,255,181,181,181,255,182,182,182,255,183,183,183,255,183,183,183,255,182,182,182,255,180,180,180,255,181,181,181,255,186,186,186,255,195,195,195,255,201,201,201,255,205,205,205,255,208,208,208,255,209,209,209,255,206,206,206,255,200,200,200,255,195,195,195,255,190,190,190,255,184,184,184,255,180,180,180,255,180,180,180,255,185,185,185,255,189,189,189,255,188,188,188,255,186,186,186,255,184,184,184,255,182,182,182,255,179,179,179,255,174,174,174,255,172,172,172,255,173,173,173,255,175,175,175,255,176,176,176,255,178,178,178,255,180,180,180,255,182,182,182,255,183,183,183,255,181,181,181,255,180,180,180,255,180,180,180,255,179,179,179,255,180,180,180,255,184,184,184,255,188,188,188,255,190,190,190,255,192,192,192,255,193,193,193,255,192,192,192,255,188,188,188,255,182,182,182,255,178,178,178,255,179,179,179,255,181,181,181,255,182,182,182,255,181,181,181,255,176,176,176,255,171,171,171,255,167,167,167,255,167,167,167,255,168,168,168,255,169,169,169,255,171,171,171,255,174,174,174,255,176,176,176,255,173,173,173,255,166,166,166,255,161,161,161,255,159,159,159,255,157,157,157,255,156,156,156,255,157,157,157,255,161,161,161,255,164,164,164,255,163,163,163,255,161,161,161,255,158,158,158,255,153,153,153,255,145,145,145,255,138,138,138,255,133,133,133,255,133,133,133,255,133,133,133,255,130,130,130,255,125,125,125,255,120,120,120,255,117,117,117,255,115,115,115,255,114,114,114,255,113,113,113,255,147,147,147,255,146,146,146,255,145,145,145,255,148,148,148,255,152,152,152,255,156,156,156,255,160,160,160,255,166,166,166,255,171,171,171,255,174,174,174,255,176,176,176,255,177,177,177,255,178,178,178,255,180,180,180,255,182,182,182,255,182,182,182,255,179,179,179,255,177,177,177,255,177,177,177,255,181,181,181,255,188,188,188,255,194,194,194,255,199,199,199,255,203,203,203,255,204,204,204,255,201,201,201,255,194,194,194,255,187,187,187,255,183,183,183,255,179,179,179,255,176,176,176,255,176,176,176,255,179,179,179,255,182,182,182,255,181,181,181,255,179,179,179,255,177,177,177,255,176,176,176,255,172,172,172,255,168,168,168,255,166,166,166,255,168,168,168,255,171,171,171,255,173,173,173,255,175,175,175,255,177,177,177,255,180,180,180,255,182,182,182,255,182,182,182,255,182,182,182,255,181,181,181,255,181,181,181,255,183,183,183,255,185,185,185,255,185,185,185,255,185,185,185,255,186,186,186,255,187,187,187,255,186,186,186,255,181,181,181,255,174,174,174,255,168,168,168,255,168,168,168,255,170,170,170,255,171,171,171,255,170,170,170,255,167,167,167,255,164,164,164,255,161,161,161,255,163,163,163,255,167,167,167,255,169,169,169,255,172,172,172,255,175,175,175,255,177,177,177,255,175,175,175,255,170,170,170,255,166,166,166,255,161,161,161,255,155,155,155,255,150,150,150,255,150,150,150,255,153,153,153,255,155,155,155,255,154,154,154,255,155,155,155,255,153,153,153,255,149,149,149,255,141,141,141,255,134,134,134,255,129,129,129,255,129,129,129,255,130,130,130,255,127,127,127,255,122,122,122,255,116,116,116,255,114,114,114,255,114,114,114,255,115,115,115,255,116,116,116,255,152,152,152,255,149,149,149,255,147,147,147,255,149,149,149,255,153,153,153,255,157,157,157,255,160,160,160,255,166,166,166,255,171,171,171,255,174,174,174,255,174,174,174,255,174,174,174,255,175,175,175,255,177,177,177,255,180,180,180,255,180,180,180,255,177,177,177,255,173,173,173,255,173,173,173,255,177,177,177,255,182,182,182,255,187,187,187,255,193,193,193,255,198,198,198,255,200,200,200,255,196,196,196,255,188,188,188,255,180,180,180,255,176,176,176,255,173,173,173,255,171,171,171,255,171,171,171,255,173,173,173,255,176,176,176,255,175,175,175,255,172,172,172,255,171,171,171,255,170,170,170,255,166,166,166,255,162,162,162,255,161,161,161,255,163,163,163,255,168,168,168,255,171,171,171,255,173,173,173,255,176,176,176,255,179,179,179,255,181,181,181,255,182,182,182,255,183,183,183,255,183,183,183,255,183,183,183,255,184,184,184,255,185,185,185,255,183,183,183,255,181,181,181,255,180,180,180,255,181,181,181,255,179,179,179,255,174,174,174,255,165,165,165,255,159,159,159,255,159,159,159,255,160,160,160,255,161,161,161,255,161,161,161,255,159,159,159,255,157,157,157,255,156,156,156,255,158,158,158,255,164,164,164,255,167,167,167,255,171,171,171,255,175,175,175,255,177,177,177,255,176,176,176,255,172,172,172,255,168,168,168,255,161,161,161,255,152,152,152,255,145,145,145,255,144,144,144,255,145,145,145,255,146,146,146,255,146,146,146,255,148,148,148,255,148,148,148,255,143,143,143,255,136,136,136,255,129,129,129,255,125,125,125,255,125,125,125,255,127,127,127,255,125,125,125,255,120,120,120,255,114,114,114,255,111,111,111,255,113,113,113,255,117,117,117,255,119,119,119,255,156,156,156,255,153,153,153,255,152,152,152,255,153,153,153,255,156,156,156,255,158,158,158,255,161,161,161,255,166,166,166,255,171,171,171,255,173,173,173,255,172,172,172,255,171,171,171,255,172,172,172,255,174,174,174,255,176,176,176,255,175,175,175,255,172,172,172,255,169,169,169,255,169,169,169,255,172,172,172,255,178,178,178,255,183,183,183,255,188,188,188,255,193,193,193,255,195,195,195,255,192,192,192,255,184,184,184,255,177,177,177,255,173,173,173,255,169,169,169,255,166,166,166,255,165,165,165,255,167,167,167,255,169,169,169,255,168,168,168,255,166,166,166,255,165,165,165,255,164,164,164,255,161,161,161,255,158,158,158,255,157,157,157,255,160,160,160,255,166,166,166,255,169,169,169,255,171,171,171,255,174,174,174,255,177,177,177,255,181,181,181,255,182,182,182,255,183,183,183,255,183,183,183,255,183,183,183,255,184,184,184,255,184,184,184,255,181,181,181,255,178,178,178,255,176,176,176,255,175,175,175,255,172,172,172,255,166,166,166,255,158,158,158,255,152,152,152,255,151,151,151,255,152,152,152,255,154,154,154,255,154,154,154,255,153,153,153,255,152,152,152,255,152,152,152,255,155,155,155,255,160,160,160,255,163,163,163,255,167,167,167,255,171,171,171,255,172,172,172,255,171,171,171,255,168,168,168,255,163,163,163,255,157,157,157,255,147,147,147,255,140,140,140,255,139,139,139,255,139,139,139,255,140,140,140,255,139,139,139,255,140,140,140,255,140,140,140,255,136,136,136,255,130,130,130,255,124,124,124,255,120,120,120,255,121,121,121,255,123,123,123,255,123,123,123,255,119,119,119,255,114,114,114,255,113,113,113,255,115,115,115,255,118,118,118,255,120,120,120,255,162,162,162,255,160,160,160,255,159,159,159,255,159,159,159,255,158,158,158,255,158,158,158,255,160,160,160,255,165,165,165,255,170,170,170,255,172,172,172,255,170,170,170,255,168,168,168,255,168,168,168,255,169,169,169,255,169,169,169,255,168,168,168,255,165,165,165,255,162,162,162,255,162,162,162,255,166,166,166,255,172,172,172,255,177,177,177,255,182,182,182,255,187,187,187,255,189,189,189,255,187,187,187,255,182,182,182,255,176,176,176,255,171,171,171,255,165,165,165,255,160,160,160,255,158,158,158,255,159,159,159,255,159,159,159,255,158,158,158,255,158,158,158,255,159,159,159,255,159,159,159,255,156,156,156,255,153,153,153,255,153,153,153,255,158,158,158,255,164,164,164,255,168,168,168,255,169,169,169,255,170,170,170,255,173,173,173,255,177,177,177,255,181,181,181,255,183,183,183,255,184,184,184,255,184,184,184,255,185,185,185,255,183,183,183,255,179,179,179,255,175,175,175,255,171,171,171,255,167,167,167,255,162,162,162,255,156,156,156,255,150,150,150,255,145,145,145,255,145,145,145,255,146,146,146,255,148,148,148,255,149,149,149,255,150,150,150,255,150,150,150,255,151,151,151,255,152,152,152,255,154,154,154,255,156,156,156,255,159,159,159,255,161,161,161,255,162,162,162,255,161,161,161,255,159,159,159,255,155,155,155,255,150,150,150,255,142,142,142,255,137,137,137,255,134,134,134,255,134,134,134,255,133,133,133,255,132,132,132,255,132,132,132,255,131,131,131,255,128,128,128,255,124,124,124,255,121,121,121,255,119,119,119,255,118,118,118,255,118,118,118,255,118,118,118,255,118,118,118,255,118,118,118,255,119,119,119,255,119,119,119,255,118,118,118,255,117,117,117,255,168,168,168,255,167,167,167,255,166,166,166,255,164,164,164,255,161,161,161,255,159,159,159,255,160,160,160,255,166,166,166,255,171,171,171,255,172,172,172,255,169,169,169,255,166,166,166,255,165,165,165,255,165,165,165,255,164,164,164,255,161,161,161,255,158,158,158,255,156,156,156,255,156,156,156,255,160,160,160,255,166,166,166,255,171,171,171,255,174,174,174,255,179,179,179,255,180,180,180,255,179,179,179,255,177,177,177,255,174,174,174,255,169,169,169,255,160,160,160,255,154,154,154,255,152,152,152,255,151,151,151,255,150,150,150,255,149,149,149,255,150,150,150,255,153,153,153,255,153,153,153,255,151,151,151,255,148,148,148,255,150,150,150,255,156,156,156,255,163,163,163,255,168,168,168,255,168,168,168,255,167,167,167,255,169,169,169,255,175,175,175,255,181,181,181,255,183,183,183,255,184,184,184,255,185,185,185,255,184,184,184,255,181,181,181,255,175,175,175,255,170,170,170,255,165,165,165,255,159,159,159,255,152,152,152,255,147,147,147,255,142,142,142,255,139,139,139,255,139,139,139,255,140,140,140,255,143,143,143,255,144,144,144,255,147,147,147,255,149,149,149,255,150,150,150,255,149,149,149,255,149,149,149,255,150,150,150,255,151,151,151,255,151,151,151,255,151,151,151,255,151,151,151,255,150,150,150,255,147,147,147,255,143,143,143,255,137,137,137,255,133,133,133,255,130,130,130,255,128,128,128,255,127,127,127,255,125,125,125,255,125,125,125,255,124,124,124,255,120,120,120,255,119,119,119,255,118,118,118,255,116,116,116,255,114,114,114,255,113,113,113,255,113,113,113,255,116,116,116,255,120,120,120,255,123,123,123,255,122,122,122,255,117,117,117,255,114,114,114,255,174,174,174,255,172,172,172,255,171,171,171,255,169,169,169,255,165,165,165,255,162,162,162,255,163,163,163,255,167,167,167,255,172,172,172,255,173,173,173,255,170,170,170,255,166,166,166,255,165,165,165,255,164,164,164,255,162,162,162,255,158,158,158,255,154,154,154,255,151,151,151,255,151,151,151,255,154,154,154,255,159,159,159,255,161,161,161,255,164,164,164,255,167,167,167,255,168,168,168,255,167,167,167,255,166,166,166,255,165,165,165,255,162,162,162,255,155,155,155,255,149,149,149,255,146,146,146,255,145,145,145,255,144,144,144,255,141,141,141,255,143,143,143,255,145,145,145,255,146,146,146,255,145,145,145,255,144,144,144,255,147,147,147,255,154,154,154,255,162,162,162,255,167,167,167,255,168,168,168,255,168,168,168,255,170,170,170,255,176,176,176,255,181,181,181,255,183,183,183,255,183,183,183,255,183,183,183,255,181,181,181,255,176,176,176,255,169,169,169,255,163,163,163,255,158,158,158,255,151,151,151,255,145,145,145,255,140,140,140,255,136,136,136,255,134,134,134,255,133,133,133,255,135,135,135,255,137,137,137,255,139,139,139,255,142,142,142,255,145,145,145,255,147,147,147,255,146,146,146,255,145,145,145,255,146,146,146,255,146,146,146,255,146,146,146,255,145,145,145,255,145,145,145,255,145,145,145,255,142,142,142,255,138,138,138,255,133,133,133,255,129,129,129,255,126,126,126,255,124,124,124,255,122,122,122,255,120,120,120,255,119,119,119,255,117,117,117,255,114,114,114,255,112,112,112,255,112,112,112,255,110,110,110,255,108,108,108,255,107,107,107,255,108,108,108,255,112,112,112,255,117,117,117,255,122,122,122,255,121,121,121,255,116,116,116,255,114,114,114,255,178,178,178,255,178,178,178,255,177,177,177,255,174,174,174,255,170,170,170,255,167,167,167,255,167,167,167,255,168,168,168,255,171,171,171,255,171,171,171,255,170,170,170,255,168,168,168,255,166,166,166,255,164,164,164,255,161,161,161,255,157,157,157,255,153,153,153,255,150,150,150,255,149,149,149,255,150,150,150,255,150,150,150,255,150,150,150,255,151,151,151,255,151,151,151,255,151,151,151,255,152,152,152,255,153,153,153,255,154,154,154,255,152,152,152,255,149,149,149,255,145,145,145,255,143,143,143,255,141,141,141,255,138,138,138,255,135,135,135,255,135,135,135,255,137,137,137,255,138,138,138,255,140,140,140,255,143,143,143,255,148,148,148,255,154,154,154,255,161,161,161,255,166,166,166,255,169,169,169,255,172,172,172,255,176,176,176,255,179,179,179,255,179,179,179,255,179,179,179,255,179,179,179,255,178,178,178,255,175,175,175,255,169,169,169,255,163,163,163,255,158,158,158,255,153,153,153,255,148,148,148,255,143,143,143,255,138,138,138,255,135,135,135,255,133,133,133,255,132,132,132,255,133,133,133,255,134,134,134,255,136,136,136,255,140,140,140,255,144,144,144,255,146,146,146,255,146,146,146,255,146,146,146,255,147,147,147,255,146,146,146,255,145,145,145,255,144,144,144,255,143,143,143,255,142,142,142,255,139,139,139,255,135,135,135,255,131,131,131,255,127,127,127,255,123,123,123,255,122,122,122,255,122,122,122,255,119,119,119,255,116,116,116,255,112,112,112,255,108,108,108,255,105,105,105,255,103,103,103,255,101,101,101,255,99,99,99,255,98,98,98,255,99,99,99,255,105,105,105,255,112,112,112,255,118,118,118,255,118,118,118,255,115,115,115,255,114,114,114,255,181,181,181,255,182,182,182,255,181,181,181,255,179,179,179,255,174,174,174,255,171,171,171,255,170,170,170,255,169,169,169,255,169,169,169,255,169,169,169,255,169,169,169,255,168,168,168,255,167,167,167,255,164,164,164,255,160,160,160,255,155,155,155,255,151,151,151,255,148,148,148,255,147,147,147,255,145,145,145,255,142,142,142,255,140,140,140,255,139,139,139,255,137,137,137,255,137,137,137,255,138,138,138,255,141,141,141,255,143,143,143,255,143,143,143,255,143,143,143,255,141,141,141,255,138,138,138,255,136,136,136,255,133,133,133,255,129,129,129,255,129,129,129,255,130,130,130,255,132,132,132,255,136,136,136,255,143,143,143,255,149,149,149,255,154,154,154,255,159,159,159,255,164,164,164,255,169,169,169,255,176,176,176,255,181,181,181,255,181,181,181,255,177,177,177,255,175,175,175,255,175,175,175,255,174,174,174,255,170,170,170,255,164,164,164,255,160,160,160,255,155,155,155,255,150,150,150,255,146,146,146,255,142,142,142,255,138,138,138,255,135,135,135,255,133,133,133,255,132,132,132,255,131,131,131,255,131,131,131,255,134,134,134,255,138,138,138,255,143,143,143,255,145,145,145,255,146,146,146,255,147,147,147,255,147,147,147,255,146,146,146,255,144,144,144,255,142,142,142,255,141,141,141,255,139,139,139,255,135,135,135,255,132,132,132,255,128,128,128,255,125,125,125,255,122,122,122,255,121,121,121,255,121,121,121,255,119,119,119,255,113,113,113,255,107,107,107,255,103,103,103,255,99,99,99,255,96,96,96,255,93,93,93,255,91,91,91,255,90,90,90,255,92,92,92,255,99,99,99,255,108,108,108,255,114,114,114,255,116,116,116,255,114,114,114,255,113,113,113,255,182,182,182,255,183,183,183,255,183,183,183,255,180,180,180,255,175,175,175,255,172,172,172,255,170,170,170,255,169,169,169,255,168,168,168,255,168,168,168,255,168,168,168,255,166,166,166,255,164,164,164,255,161,161,161,255,156,156,156,255,151,151,151,255,146,146,146,255,144,144,144,255,143,143,143,255,140,140,140,255,136,136,136,255,134,134,134,255,132,132,132,255,130,130,130,255,129,129,129,255,130,130,130,255,133,133,133,255,136,136,136,255,136,136,136,255,136,136,136,255,135,135,135,255,133,133,133,255,131,131,131,255,128,128,128,255,125,125,125,255,124,124,124,255,125,125,125,255,127,127,127,255,133,133,133,255,140,140,140,255,146,146,146,255,151,151,151,255,156,156,156,255,161,161,161,255,167,167,167,255,175,175,175,255,180,180,180,255,180,180,180,255,175,175,175,255,173,173,173,255,173,173,173,255,172,172,172,255,168,168,168,255,162,162,162,255,157,157,157,255,153,153,153,255,148,148,148,255,144,144,144,255,140,140,140,255,136,136,136,255,133,133,133,255,130,130,130,255,129,129,129,255,128,128,128,255,128,128,128,255,130,130,130,255,135,135,135,255,139,139,139,255,141,141,141,255,142,142,142,255,142,142,142,255,143,143,143,255,141,141,141,255,139,139,139,255,138,138,138,255,137,137,137,255,135,135,135,255,131,131,131,255,128,128,128,255,124,124,124,255,121,121,121,255,118,118,118,255,118,118,118,255,118,118,118,255,115,115,115,255,109,109,109,255,104,104,104,255,100,100,100,255,96,96,96,255,93,93,93,255,90,90,90,255,89,89,89,255,88,88,88,255,90,90,90,255,97,97,97,255,106,106,106,255,112,112,112,255,114,114,114,255,113,113,113,255,112,112,112,255,180,180,180,255,181,181,181,255,181,181,181,255,179,179,179,255,177,177,177,255,174,174,174,255,173,173,173,255,171,171,171,255,171,171,171,255,170,170,170,255,169,169,169,255,167,167,167,255,164,164,164,255,160,160,160,255,154,154,154,255,148,148,148,255,144,144,144,255,142,142,142,255,141,141,141,255,139,139,139,255,136,136,136,255,133,133,133,255,131,131,131,255,128,128,128,255,127,127,127,255,128,128,128,255,129,129,129,255,130,130,130,255,131,131,131,255,131,131,131,255,130,130,130,255,129,129,129,255,128,128,128,255,127,127,127,255,125,125,125,255,123,123,123,255,122,122,122,255,125,125,125,255,129,129,129,255,135,135,135,255,141,141,141,255,145,145,145,255,150,150,150,255,155,155,155,255,162,162,162,255,170,170,170,255,175,175,175,255,176,176,176,255,172,172,172,255,170,170,170,255,171,171,171,255,171,171,171,255,169,169,169,255,162,162,162,255,154,154,154,255,147,147,147,255,142,142,142,255,140,140,140,255,137,137,137,255,133,133,133,255,128,128,128,255,124,124,124,255,123,123,123,255,123,123,123,255,124,124,124,255,127,127,127,255,131,131,131,255,136,136,136,255,138,138,138,255,136,136,136,255,134,134,134,255,133,133,133,255,133,133,133,255,132,132,132,255,132,132,132,255,132,132,132,255,131,131,131,255,130,130,130,255,126,126,126,255,121,121,121,255,116,116,116,255,113,113,113,255,113,113,113,255,112,112,112,255,109,109,109,255,104,104,104,255,99,99,99,255,96,96,96,255,93,93,93,255,91,91,91,255,90,90,90,255,90,90,90,255,91,91,91,255,93,93,93,255,97,97,97,255,103,103,103,255,108,108,108,255,110,110,110,255,110,110,110,255,110,110,110,255,177,177,177,255,179,179,179,255,179,179,179,255,178,178,178,255,179,179,179,255,178,178,178,255,176,176,176,255,175,175,175,255,174,174,174,255,172,172,172,255,169,169,169,255,166,166,166,255,163,163,163,255,157,157,157,255,151,151,151,255,146,146,146,255,143,143,143,255,142,142,142,255,140,140,140,255,138,138,138,255,136,136,136,255,134,134,134,255,131,131,131,255,127,127,127,255,125,125,125,255,125,125,125,255,125,125,125,255,125,125,125,255,125,125,125,255,125,125,125,255,124,124,124,255,124,124,124,255,126,126,126,255,127,127,127,255,126,126,126,255,123,123,123,255,121,121,121,255,123,123,123,255,126,126,126,255,130,130,130,255,135,135,135,255,140,140,140,255,144,144,144,255,148,148,148,255,156,156,156,255,164,164,164,255,170,170,170,255,170,170,170,255,167,167,167,255,166,166,166,255,167,167,167,255,170,170,170,255,168,168,168,255,161,161,161,255,150,150,150,255,141,141,141,255,137,137,137,255,136,136,136,255,135,135,135,255,130,130,130,255,123,123,123,255,118,118,118,255,116,116,116,255,118,118,118,255,121,121,121,255,123,123,123,255,128,128,128,255,132,132,132,255,134,134,134,255,131,131,131,255,125,125,125,255,124,124,124,255,124,124,124,255,125,125,125,255,125,125,125,255,127,127,127,255,129,129,129,255,129,129,129,255,125,125,125,255,119,119,119,255,113,113,113,255,110,110,110,255,109,109,109,255,107,107,107,255,104,104,104,255,100,100,100,255,96,96,96,255,93,93,93,255,92,92,92,255,91,91,91,255,90,90,90,255,91,91,91,255,94,94,94,255,96,96,96,255,98,98,98,255,99,99,99,255,102,102,102,255,104,104,104,255,106,106,106,255,106,106,106,255,178,178,178,255,180,180,180,255,181,181,181,255,180,180,180,255,181,181,181,255,180,180,180,255,178,178,178,255,176,176,176,255,173,173,173,255,169,169,169,255,165,165,165,255,161,161,161,255,158,158,158,255,152,152,152,255,146,146,146,255,142,142,142,255,141,141,141,255,140,140,140,255,138,138,138,255,136,136,136,255,133,133,133,255,130,130,130,255,127,127,127,255,123,123,123,255,121,121,121,255,121,121,121,255,119,119,119,255,119,119,119,255,118,118,118,255,117,117,117,255,117,117,117,255,117,117,117,255,120,120,120,255,123,123,123,255,124,124,124,255,122,122,122,255,121,121,121,255,123,123,123,255,126,126,126,255,130,130,130,255,134,134,134,255,138,138,138,255,141,141,141,255,145,145,145,255,152,152,152,255,160,160,160,255,165,165,165,255,165,165,165,255,162,162,162,255,161,161,161,255,162,162,162,255,166,166,166,255,165,165,165,255,159,159,159,255,149,149,149,255,140,140,140,255,137,137,137,255,136,136,136,255,134,134,134,255,129,129,129,255,122,122,122,255,117,117,117,255,115,115,115,255,117,117,117,255,120,120,120,255,122,122,122,255,126,126,126,255,130,130,130,255,131,131,131,255,127,127,127,255,121,121,121,255,120,120,120,255,120,120,120,255,121,121,121,255,122,122,122,255,123,123,123,255,126,126,126,255,127,127,127,255,124,124,124,255,118,118,118,255,113,113,113,255,111,111,111,255,109,109,109,255,107,107,107,255,104,104,104,255,100,100,100,255,95,95,95,255,93,93,93,255,92,92,92,255,91,91,91,255,90,90,90,255,91,91,91,255,94,94,94,255,96,96,96,255,96,96,96,255,95,95,95,255,97,97,97,255,99,99,99,255,100,100,100,255,100,100,100,255,180,180,180,255,184,184,184,255,185,185,185,255,184,184,184,255,181,181,181,255,178,178,178,255,175,175,175,255,174,174,174,255,171,171,171,255,165,165,165,255,158,158,158,255,152,152,152,255,148,148,148,255,144,144,144,255,141,141,141,255,138,138,138,255,137,137,137,255,137,137,137,255,135,135,135,255,130,130,130,255,125,125,125,255,121,121,121,255,118,118,118,255,115,115,115,255,114,114,114,255,114,114,114,255,114,114,114,255,113,113,113,255,112,112,112,255,109,109,109,255,108,108,108,255,108,108,108,255,112,112,112,255,116,116,116,255,119,119,119,255,119,119,119,255,120,120,120,255,123,123,123,255,126,126,126,255,130,130,130,255,134,134,134,255,139,139,139,255,143,143,143,255,147,147,147,255,152,152,152,255,156,156,156,255,158,158,158,255,158,158,158,255,156,156,156,255,155,155,155,255,157,157,157,255,160,160,160,255,161,161,161,255,157,157,157,255,150,150,150,255,144,144,144,255,141,141,141,255,138,138,138,255,135,135,135,255,130,130,130,255,123,123,123,255,117,117,117,255,115,115,115,255,117,117,117,255,119,119,119,255,120,120,120,255,123,123,123,255,125,125,125,255,126,126,126,255,124,124,124,255,121,121,121,255,121,121,121,255,121,121,121,255,122,122,122,255,122,122,122,255,123,123,123,255,124,124,124,255,124,124,124,255,122,122,122,255,119,119,119,255,116,116,116,255,114,114,114,255,113,113,113,255,111,111,111,255,108,108,108,255,102,102,102,255,97,97,97,255,95,95,95,255,95,95,95,255,95,95,95,255,93,93,93,255,92,92,92,255,91,91,91,255,91,91,91,255,91,91,91,255,91,91,91,255,91,91,91,255,92,92,92,255,94,94,94,255,94,94,94,255,183,183,183,255,188,188,188,255,190,190,190,255,188,188,188,255,181,181,181,255,174,174,174,255,172,172,172,255,170,170,170,255,168,168,168,255,161,161,161,255,152,152,152,255,144,144,144,255,139,139,139,255,137,137,137,255,135,135,135,255,133,133,133,255,133,133,133,255,134,134,134,255,131,131,131,255,124,124,124,255,115,115,115,255,110,110,110,255,107,107,107,255,106,106,106,255,105,105,105,255,106,106,106,255,108,108,108,255,108,108,108,255,106,106,106,255,101,101,101,255,99,99,99,255,100,100,100,255,104,104,104,255,108,108,108,255,112,112,112,255,115,115,115,255,117,117,117,255,121,121,121,255,125,125,125,255,130,130,130,255,134,134,134,255,139,139,139,255,145,145,145,255,149,149,149,255,151,151,151,255,151,151,151,255,151,151,151,255,151,151,151,255,151,151,151,255,151,151,151,255,152,152,152,255,155,155,155,255,156,156,156,255,155,155,155,255,152,152,152,255,149,149,149,255,146,146,146,255,141,141,141,255,135,135,135,255,130,130,130,255,124,124,124,255,119,119,119,255,117,117,117,255,117,117,117,255,118,118,118,255,119,119,119,255,120,120,120,255,120,120,120,255,120,120,120,255,121,121,121,255,122,122,122,255,123,123,123,255,123,123,123,255,122,122,122,255,122,122,122,255,122,122,122,255,121,121,121,255,120,120,120,255,120,120,120,255,120,120,120,255,119,119,119,255,118,118,118,255,117,117,117,255,116,116,116,255,112,112,112,255,106,106,106,255,100,100,100,255,97,97,97,255,99,99,99,255,100,100,100,255,98,98,98,255,93,93,93,255,88,88,88,255,86,86,86,255,86,86,86,255,85,85,85,255,85,85,85,255,86,86,86,255,87,87,87,255,88,88,88,255,186,186,186,255,191,191,191,255,193,193,193,255,190,190,190,255,182,182,182,255,174,174,174,255,171,171,171,255,170,170,170,255,167,167,167,255,159,159,159,255,149,149,149,255,140,140,140,255,135,135,135,255,133,133,133,255,132,132,132,255,130,130,130,255,130,130,130,255,130,130,130,255,127,127,127,255,119,119,119,255,109,109,109,255,102,102,102,255,100,100,100,255,99,99,99,255,98,98,98,255,100,100,100,255,102,102,102,255,103,103,103,255,100,100,100,255,96,96,96,255,93,93,93,255,95,95,95,255,99,99,99,255,104,104,104,255,109,109,109,255,113,113,113,255,116,116,116,255,120,120,120,255,125,125,125,255,130,130,130,255,133,133,133,255,139,139,139,255,144,144,144,255,148,148,148,255,148,148,148,255,146,146,146,255,146,146,146,255,146,146,146,255,145,145,145,255,145,145,145,255,146,146,146,255,150,150,150,255,151,151,151,255,151,151,151,255,150,150,150,255,149,149,149,255,146,146,146,255,141,141,141,255,136,136,136,255,131,131,131,255,125,125,125,255,121,121,121,255,118,118,118,255,118,118,118,255,119,119,119,255,119,119,119,255,119,119,119,255,119,119,119,255,118,118,118,255,119,119,119,255,121,121,121,255,122,122,122,255,121,121,121,255,121,121,121,255,121,121,121,255,120,120,120,255,118,118,118,255,117,117,117,255,118,118,118,255,119,119,119,255,120,120,120,255,119,119,119,255,119,119,119,255,118,118,118,255,115,115,115,255,109,109,109,255,103,103,103,255,101,101,101,255,102,102,102,255,103,103,103,255,100,100,100,255,94,94,94,255,87,87,87,255,84,84,84,255,82,82,82,255,81,81,81,255,80,80,80,255,80,80,80,255,81,81,81,255,81,81,81,255,188,188,188,255,192,192,192,255,194,194,194,255,191,191,191,255,184,184,184,255,177,177,177,255,173,173,173,255,170,170,170,255,165,165,165,255,157,157,157,255,147,147,147,255,139,139,139,255,133,133,133,255,131,131,131,255,129,129,129,255,126,126,126,255,124,124,124,255,123,123,123,255,119,119,119,255,113,113,113,255,105,105,105,255,100,100,100,255,97,97,97,255,96,96,96,255,95,95,95,255,96,96,96,255,96,96,96,255,96,96,96,255,94,94,94,255,92,92,92,255,91,91,91,255,93,93,93,255,98,98,98,255,104,104,104,255,108,108,108,255,112,112,112,255,114,114,114,255,118,118,118,255,124,124,124,255,130,130,130,255,134,134,134,255,137,137,137,255,140,140,140,255,142,142,142,255,142,142,142,255,141,141,141,255,140,140,140,255,140,140,140,255,140,140,140,255,140,140,140,255,141,141,141,255,142,142,142,255,143,143,143,255,144,144,144,255,146,146,146,255,147,147,147,255,145,145,145,255,140,140,140,255,135,135,135,255,131,131,131,255,126,126,126,255,122,122,122,255,120,120,120,255,120,120,120,255,121,121,121,255,121,121,121,255,121,121,121,255,120,120,120,255,119,119,119,255,118,118,118,255,118,118,118,255,118,118,118,255,117,117,117,255,115,115,115,255,114,114,114,255,114,114,114,255,113,113,113,255,114,114,114,255,115,115,115,255,117,117,117,255,118,118,118,255,118,118,118,255,120,120,120,255,120,120,120,255,118,118,118,255,112,112,112,255,106,106,106,255,104,104,104,255,103,103,103,255,102,102,102,255,98,98,98,255,93,93,93,255,88,88,88,255,84,84,84,255,81,81,81,255,78,78,78,255,76,76,76,255,74,74,74,255,74,74,74,255,73,73,73,255,190,190,190,255,193,193,193,255,193,193,193,255,190,190,190,255,185,185,185,255,180,180,180,255,175,175,175,255,168,168,168,255,161,161,161,255,153,153,153,255,145,145,145,255,137,137,137,255,131,131,131,255,128,128,128,255,125,125,125,255,121,121,121,255,118,118,118,255,114,114,114,255,110,110,110,255,107,107,107,255,104,104,104,255,101,101,101,255,98,98,98,255,96,96,96,255,95,95,95,255,94,94,94,255,92,92,92,255,90,90,90,255,89,89,89,255,88,88,88,255,89,89,89,255,92,92,92,255,97,97,97,255,103,103,103,255,108,108,108,255,110,110,110,255,112,112,112,255,117,117,117,255,124,124,124,255,132,132,132,255,136,136,136,255,136,136,136,255,136,136,136,255,137,137,137,255,137,137,137,255,137,137,137,255,136,136,136,255,136,136,136,255,136,136,136,255,136,136,136,255,135,135,135,255,134,134,134,255,133,133,133,255,136,136,136,255,141,141,141,255,145,145,145,255,144,144,144,255,139,139,139,255,133,133,133,255,131,131,131,255,127,127,127,255,123,123,123,255,121,121,121,255,123,123,123,255,124,124,124,255,124,124,124,255,123,123,123,255,122,122,122,255,120,120,120,255,118,118,118,255,115,115,115,255,114,114,114,255,111,111,111,255,108,108,108,255,106,106,106,255,107,107,107,255,108,108,108,255,110,110,110,255,112,112,112,255,114,114,114,255,115,115,115,255,116,116,116,255,120,120,120,255,122,122,122,255,120,120,120,255,115,115,115,255,109,109,109,255,106,106,106,255,104,104,104,255,100,100,100,255,95,95,95,255,92,92,92,255,90,90,90,255,85,85,85,255,81,81,81,255,76,76,76,255,73,73,73,255,69,69,69,255,67,67,67,255,66,66,66,255,191,191,191,255,192,192,192,255,191,191,191,255,187,187,187,255,182,182,182,255,178,178,178,255,172,172,172,255,164,164,164,255,157,157,157,255,150,150,150,255,142,142,142,255,134,134,134,255,128,128,128,255,125,125,125,255,121,121,121,255,117,117,117,255,113,113,113,255,109,109,109,255,104,104,104,255,102,102,102,255,101,101,101,255,99,99,99,255,96,96,96,255,94,94,94,255,93,93,93,255,92,92,92,255,88,88,88,255,86,86,86,255,85,85,85,255,85,85,85,255,87,87,87,255,90,90,90,255,96,96,96,255,102,102,102,255,106,106,106,255,108,108,108,255,110,110,110,255,114,114,114,255,122,122,122,255,131,131,131,255,135,135,135,255,135,135,135,255,134,134,134,255,134,134,134,255,134,134,134,255,134,134,134,255,132,132,132,255,131,131,131,255,131,131,131,255,132,132,132,255,130,130,130,255,128,128,128,255,127,127,127,255,130,130,130,255,137,137,137,255,143,143,143,255,142,142,142,255,138,138,138,255,133,133,133,255,132,132,132,255,129,129,129,255,126,126,126,255,124,124,124,255,125,125,125,255,127,127,127,255,125,125,125,255,123,123,123,255,122,122,122,255,120,120,120,255,116,116,116,255,113,113,113,255,110,110,110,255,107,107,107,255,103,103,103,255,101,101,101,255,102,102,102,255,104,104,104,255,107,107,107,255,109,109,109,255,111,111,111,255,113,113,113,255,115,115,115,255,120,120,120,255,123,123,123,255,123,123,123,255,118,118,118,255,112,112,112,255,110,110,110,255,106,106,106,255,101,101,101,255,96,96,96,255,93,93,93,255,91,91,91,255,86,86,86,255,80,80,80,255,74,74,74,255,69,69,69,255,64,64,64,255,60,60,60,255,59,59,59,255,190,190,190,255,189,189,189,255,186,186,186,255,181,181,181,255,177,177,177,255,174,174,174,255,168,168,168,255,159,159,159,255,152,152,152,255,145,145,145,255,138,138,138,255,131,131,131,255,125,125,125,255,122,122,122,255,119,119,119,255,115,115,115,255,111,111,111,255,107,107,107,255,102,102,102,255,99,99,99,255,97,97,97,255,95,95,95,255,92,92,92,255,90,90,90,255,89,89,89,255,88,88,88,255,85,85,85,255,83,83,83,255,81,81,81,255,82,82,82,255,83,83,83,255,87,87,87,255,93,93,93,255,100,100,100,255,104,104,104,255,106,106,106,255,107,107,107,255,111,111,111,255,119,119,119,255,126,126,126,255,131,131,131,255,133,133,133,255,134,134,134,255,134,134,134,255,133,133,133,255,132,132,132,255,130,130,130,255,128,128,128,255,128,128,128,255,127,127,127,255,127,127,127,255,125,125,125,255,125,125,125,255,128,128,128,255,135,135,135,255,140,140,140,255,140,140,140,255,136,136,136,255,133,133,133,255,133,133,133,255,133,133,133,255,132,132,132,255,130,130,130,255,129,129,129,255,127,127,127,255,124,124,124,255,122,122,122,255,120,120,120,255,117,117,117,255,113,113,113,255,109,109,109,255,107,107,107,255,104,104,104,255,101,101,101,255,100,100,100,255,100,100,100,255,101,101,101,255,104,104,104,255,107,107,107,255,110,110,110,255,112,112,112,255,115,115,115,255,119,119,119,255,122,122,122,255,123,123,123,255,120,120,120,255,117,117,117,255,115,115,115,255,110,110,110,255,104,104,104,255,98,98,98,255,94,94,94,255,91,91,91,255,85,85,85,255,78,78,78,255,72,72,72,255,65,65,65,255,60,60,60,255,56,56,56,255,55,55,55,255,190,190,190,255,185,185,185,255,179,179,179,255,175,175,175,255,173,173,173,255,171,171,171,255,164,164,164,255,155,155,155,255,147,147,147,255,141,141,141,255,134,134,134,255,128,128,128,255,122,122,122,255,120,120,120,255,118,118,118,255,115,115,115,255,111,111,111,255,107,107,107,255,102,102,102,255,98,98,98,255,94,94,94,255,92,92,92,255,88,88,88,255,85,85,85,255,83,83,83,255,83,83,83,255,82,82,82,255,80,80,80,255,79,79,79,255,78,78,78,255,80,80,80,255,84,84,84,255,91,91,91,255,99,99,99,255,103,103,103,255,104,104,104,255,105,105,105,255,109,109,109,255,114,114,114,255,120,120,120,255,125,125,125,255,130,130,130,255,134,134,134,255,135,135,135,255,134,134,134,255,132,132,132,255,130,130,130,255,127,127,127,255,125,125,125,255,124,124,124,255,124,124,124,255,125,125,125,255,126,126,126,255,129,129,129,255,133,133,133,255,137,137,137,255,137,137,137,255,134,134,134,255,132,132,132,255,133,133,133,255,137,137,137,255,139,139,139,255,137,137,137,255,132,132,132,255,126,126,126,255,121,121,121,255,119,119,119,255,117,117,117,255,114,114,114,255,110,110,110,255,106,106,106,255,103,103,103,255,102,102,102,255,101,101,101,255,101,101,101,255,100,100,100,255,100,100,100,255,101,101,101,255,104,104,104,255,109,109,109,255,113,113,113,255,115,115,115,255,118,118,118,255,120,120,120,255,121,121,121,255,123,123,123,255,123,123,123,255,120,120,120,255,114,114,114,255,106,106,106,255,99,99,99,255,94,94,94,255,89,89,89,255,83,83,83,255,76,76,76,255,69,69,69,255,62,62,62,255,57,57,57,255,55,55,55,255,54,54,54,255,190,190,190,255,183,183,183,255,176,176,176,255,172,172,172,255,171,171,171,255,170,170,170,255,163,163,163,255,153,153,153,255,144,144,144,255,139,139,139,255,133,133,133,255,126,126,126,255,121,121,121,255,119,119,119,255,118,118,118,255,115,115,115,255,111,111,111,255,108,108,108,255,103,103,103,255,97,97,97,255,93,93,93,255,90,90,90,255,87,87,87,255,83,83,83,255,80,80,80,255,80,80,80,255,80,80,80,255,79,79,79,255,77,77,77,255,77,77,77,255,79,79,79,255,83,83,83,255,91,91,91,255,98,98,98,255,102,102,102,255,103,103,103,255,104,104,104,255,108,108,108,255,112,112,112,255,117,117,117,255,122,122,122,255,128,128,128,255,135,135,135,255,136,136,136,255,135,135,135,255,132,132,132,255,130,130,130,255,127,127,127,255,124,124,124,255,123,123,123,255,123,123,123,255,125,125,125,255,127,127,127,255,129,129,129,255,133,133,133,255,136,136,136,255,136,136,136,255,133,133,133,255,131,131,131,255,133,133,133,255,138,138,138,255,142,142,142,255,140,140,140,255,133,133,133,255,126,126,126,255,120,120,120,255,117,117,117,255,115,115,115,255,112,112,112,255,108,108,108,255,104,104,104,255,102,102,102,255,101,101,101,255,101,101,101,255,102,102,102,255,101,101,101,255,99,99,99,255,99,99,99,255,103,103,103,255,109,109,109,255,113,113,113,255,115,115,115,255,117,117,117,255,119,119,119,255,121,121,121,255,124,124,124,255,125,125,125,255,123,123,123,255,116,116,116,255,107,107,107,255,100,100,100,255,94,94,94,255,88,88,88,255,81,81,81,255,75,75,75,255,68,68,68,255,60,60,60,255,56,56,56,255,54,54,54,255,54,54,54,255,189,189,189,255,184,184,184,255,178,178,178,255,174,174,174,255,172,172,172,255,170,170,170,255,164,164,164,255,153,153,153,255,144,144,144,255,139,139,139,255,134,134,134,255,129,129,129,255,123,123,123,255,120,120,120,255,117,117,117,255,113,113,113,255,110,110,110,255,106,106,106,255,102,102,102,255,96,96,96,255,92,92,92,255,89,89,89,255,86,86,86,255,83,83,83,255,82,82,82,255,81,81,81,255,80,80,80,255,78,78,78,255,77,77,77,255,77,77,77,255,79,79,79,255,83,83,83,255,90,90,90,255,97,97,97,255,102,102,102,255,104,104,104,255,107,107,107,255,111,111,111,255,114,114,114,255,117,117,117,255,122,122,122,255,128,128,128,255,133,133,133,255,134,134,134,255,133,133,133,255,131,131,131,255,129,129,129,255,127,127,127,255,125,125,125,255,124,124,124,255,125,125,125,255,127,127,127,255,129,129,129,255,131,131,131,255,134,134,134,255,136,136,136,255,137,137,137,255,135,135,135,255,133,133,133,255,135,135,135,255,138,138,138,255,140,140,140,255,137,137,137,255,133,133,133,255,127,127,127,255,122,122,122,255,118,118,118,255,114,114,114,255,111,111,111,255,107,107,107,255,103,103,103,255,101,101,101,255,101,101,101,255,102,102,102,255,102,102,102,255,101,101,101,255,100,100,100,255,101,101,101,255,105,105,105,255,110,110,110,255,115,115,115,255,117,117,117,255,117,117,117,255,118,118,118,255,119,119,119,255,121,121,121,255,122,122,122,255,120,120,120,255,114,114,114,255,106,106,106,255,99,99,99,255,94,94,94,255,90,90,90,255,83,83,83,255,76,76,76,255,69,69,69,255,62,62,62,255,57,57,57,255,54,54,54,255,54,54,54,255,189,189,189,255,186,186,186,255,182,182,182,255,178,178,178,255,175,175,175,255,172,172,172,255,165,165,165,255,154,154,154,255,145,145,145,255,139,139,139,255,137,137,137,255,135,135,135,255,129,129,129,255,122,122,122,255,115,115,115,255,110,110,110,255,106,106,106,255,103,103,103,255,98,98,98,255,93,93,93,255,89,89,89,255,86,86,86,255,85,85,85,255,85,85,85,255,85,85,85,255,83,83,83,255,80,80,80,255,77,77,77,255,76,76,76,255,78,78,78,255,81,81,81,255,84,84,84,255,90,90,90,255,96,96,96,255,101,101,101,255,107,107,107,255,113,113,113,255,117,117,117,255,118,118,118,255,118,118,118,255,121,121,121,255,125,125,125,255,129,129,129,255,130,130,130,255,130,130,130,255,129,129,129,255,128,128,128,255,127,127,127,255,128,128,128,255,128,128,128,255,129,129,129,255,131,131,131,255,133,133,133,255,135,135,135,255,137,137,137,255,139,139,139,255,140,140,140,255,139,139,139,255,138,138,138,255,138,138,138,255,136,136,136,255,134,134,134,255,131,131,131,255,131,131,131,255,129,129,129,255,125,125,125,255,118,118,118,255,112,112,112,255,108,108,108,255,104,104,104,255,101,101,101,255,99,99,99,255,100,100,100,255,103,103,103,255,104,104,104,255,103,103,103,255,103,103,103,255,104,104,104,255,107,107,107,255,114,114,114,255,119,119,119,255,120,120,120,255,118,118,118,255,116,116,116,255,116,116,116,255,116,116,116,255,115,115,115,255,113,113,113,255,108,108,108,255,102,102,102,255,96,96,96,255,94,94,94,255,92,92,92,255,86,86,86,255,79,79,79,255,72,72,72,255,66,66,66,255,60,60,60,255,55,55,55,255,53,53,53,255,188,188,188,255,188,188,188,255,186,186,186,255,183,183,183,255,179,179,179,255,175,175,175,255,168,168,168,255,156,156,156,255,146,146,146,255,140,140,140,255,139,139,139,255,138,138,138,255,132,132,132,255,123,123,123,255,114,114,114,255,107,107,107,255,103,103,103,255,99,99,99,255,95,95,95,255,90,90,90,255,86,86,86,255,84,84,84,255,84,84,84,255,86,86,86,255,86,86,86,255,84,84,84,255,80,80,80,255,76,76,76,255,76,76,76,255,79,79,79,255,82,82,82,255,86,86,86,255,90,90,90,255,96,96,96,255,102,102,102,255,110,110,110,255,118,118,118,255,122,122,122,255,121,121,121,255,119,119,119,255,121,121,121,255,123,123,123,255,125,125,125,255,126,126,126,255,127,127,127,255,127,127,127,255,127,127,127,255,128,128,128,255,130,130,130,255,132,132,132,255,133,133,133,255,135,135,135,255,137,137,137,255,138,138,138,255,139,139,139,255,141,141,141,255,142,142,142,255,141,141,141,255,141,141,141,255,139,139,139,255,134,134,134,255,129,129,129,255,127,127,127,255,129,129,129,255,130,130,130,255,125,125,125,255,117,117,117,255,109,109,109,255,105,105,105,255,102,102,102,255,99,99,99,255,98,98,98,255,101,101,101,255,105,105,105,255,106,106,106,255,106,106,106,255,106,106,106,255,106,106,106,255,110,110,110,255,116,116,116,255,121,121,121,255,121,121,121,255,117,117,117,255,113,113,113,255,112,112,112,255,110,110,110,255,108,108,108,255,106,106,106,255,102,102,102,255,97,97,97,255,92,92,92,255,91,91,91,255,90,90,90,255,86,86,86,255,79,79,79,255,73,73,73,255,69,69,69,255,64,64,64,255,58,58,58,255,55,55,55,255,189,189,189,255,189,189,189,255,189,189,189,255,187,187,187,255,184,184,184,255,180,180,180,255,172,172,172,255,161,161,161,255,150,150,150,255,143,143,143,255,140,140,140,255,137,137,137,255,131,131,131,255,123,123,123,255,114,114,114,255,107,107,107,255,102,102,102,255,97,97,97,255,92,92,92,255,87,87,87,255,83,83,83,255,82,82,82,255,83,83,83,255,85,85,85,255,86,86,86,255,84,84,84,255,80,80,80,255,77,77,77,255,77,77,77,255,81,81,81,255,84,84,84,255,87,87,87,255,92,92,92,255,97,97,97,255,103,103,103,255,112,112,112,255,119,119,119,255,123,123,123,255,122,122,122,255,120,120,120,255,120,120,120,255,122,122,122,255,125,125,125,255,126,126,126,255,127,127,127,255,128,128,128,255,129,129,129,255,130,130,130,255,132,132,132,255,133,133,133,255,134,134,134,255,136,136,136,255,138,138,138,255,139,139,139,255,140,140,140,255,140,140,140,255,141,141,141,255,141,141,141,255,141,141,141,255,139,139,139,255,134,134,134,255,129,129,129,255,127,127,127,255,127,127,127,255,126,126,126,255,121,121,121,255,114,114,114,255,107,107,107,255,103,103,103,255,101,101,101,255,98,98,98,255,99,99,99,255,103,103,103,255,108,108,108,255,111,111,111,255,110,110,110,255,108,108,108,255,108,108,108,255,110,110,110,255,115,115,115,255,119,119,119,255,118,118,118,255,114,114,114,255,109,109,109,255,106,106,106,255,105,105,105,255,103,103,103,255,101,101,101,255,98,98,98,255,93,93,93,255,88,88,88,255,86,86,86,255,85,85,85,255,81,81,81,255,76,76,76,255,72,72,72,255,70,70,70,255,67,67,67,255,63,63,63,255,62,62,62,255,191,191,191,255,192,192,192,255,193,193,193,255,191,191,191,255,188,188,188,255,183,183,183,255,176,176,176,255,166,166,166,255,156,156,156,255,147,147,147,255,139,139,139,255,131,131,131,255,125,125,125,255,121,121,121,255,117,117,117,255,110,110,110,255,102,102,102,255,94,94,94,255,88,88,88,255,83,83,83,255,80,80,80,255,79,79,79,255,80,80,80,255,83,83,83,255,84,84,84,255,83,83,83,255,80,80,80,255,78,78,78,255,80,80,80,255,84,84,84,255,89,89,89,255,91,91,91,255,93,93,93,255,97,97,97,255,104,104,104,255,111,111,111,255,117,117,117,255,120,120,120,255,120,120,120,255,119,119,119,255,119,119,119,255,122,122,122,255,127,127,127,255,129,129,129,255,130,130,130,255,131,131,131,255,132,132,132,255,132,132,132,255,132,132,132,255,131,131,131,255,132,132,132,255,135,135,135,255,137,137,137,255,137,137,137,255,136,136,136,255,135,135,135,255,137,137,137,255,140,140,140,255,141,141,141,255,139,139,139,255,135,135,135,255,131,131,131,255,129,129,129,255,125,125,125,255,120,120,120,255,114,114,114,255,110,110,110,255,107,107,107,255,104,104,104,255,101,101,101,255,99,99,99,255,101,101,101,255,107,107,107,255,114,114,114,255,117,117,117,255,115,115,115,255,111,111,111,255,108,108,108,255,109,109,109,255,111,111,111,255,112,112,112,255,111,111,111,255,107,107,107,255,103,103,103,255,100,100,100,255,100,100,100,255,100,100,100,255,99,99,99,255,95,95,95,255,90,90,90,255,85,85,85,255,83,83,83,255,80,80,80,255,76,76,76,255,73,73,73,255,71,71,71,255,71,71,71,255,71,71,71,255,71,71,71,255,71,71,71,255,193,193,193,255,195,195,195,255,195,195,195,255,194,194,194,255,190,190,190,255,185,185,185,255,178,178,178,255,168,168,168,255,158,158,158,255,149,149,149,255,137,137,137,255,126,126,126,255,121,121,121,255,120,120,120,255,118,118,118,255,111,111,111,255,102,102,102,255,92,92,92,255,86,86,86,255,81,81,81,255,77,77,77,255,76,76,76,255,78,78,78,255,82,82,82,255,84,84,84,255,83,83,83,255,81,81,81,255,79,79,79,255,81,81,81,255,86,86,86,255,91,91,91,255,93,93,93,255,94,94,94,255,97,97,97,255,103,103,103,255,109,109,109,255,114,114,114,255,117,117,117,255,118,118,118,255,118,118,118,255,118,118,118,255,122,122,122,255,128,128,128,255,130,130,130,255,131,131,131,255,132,132,132,255,134,134,134,255,134,134,134,255,131,131,131,255,129,129,129,255,131,131,131,255,133,133,133,255,135,135,135,255,135,135,135,255,133,133,133,255,131,131,131,255,133,133,133,255,137,137,137,255,140,140,140,255,138,138,138,255,135,135,135,255,132,132,132,255,129,129,129,255,123,123,123,255,115,115,115,255,109,109,109,255,106,106,106,255,106,106,106,255,104,104,104,255,102,102,102,255,100,100,100,255,102,102,102,255,109,109,109,255,117,117,117,255,120,120,120,255,117,117,117,255,112,112,112,255,108,108,108,255,108,108,108,255,107,107,107,255,106,106,106,255,105,105,105,255,102,102,102,255,97,97,97,255,94,94,94,255,95,95,95,255,97,97,97,255,96,96,96,255,93,93,93,255,88,88,88,255,84,84,84,255,80,80,80,255,77,77,77,255,74,74,74,255,72,72,72,255,72,72,72,255,73,73,73,255,75,75,75,255,77,77,77,255,78,78,78,255,193,193,193,255,195,195,195,255,195,195,195,255,193,193,193,255,189,189,189,255,183,183,183,255,175,175,175,255,166,166,166,255,157,157,157,255,147,147,147,255,136,136,136,255,126,126,126,255,120,120,120,255,118,118,118,255,115,115,115,255,109,109,109,255,100,100,100,255,92,92,92,255,86,86,86,255,81,81,81,255,77,77,77,255,76,76,76,255,78,78,78,255,82,82,82,255,84,84,84,255,83,83,83,255,81,81,81,255,79,79,79,255,80,80,80,255,85,85,85,255,89,89,89,255,91,91,91,255,92,92,92,255,95,95,95,255,101,101,101,255,107,107,107,255,112,112,112,255,115,115,115,255,116,116,116,255,116,116,116,255,116,116,116,255,120,120,120,255,126,126,126,255,129,129,129,255,130,130,130,255,131,131,131,255,133,133,133,255,133,133,133,255,131,131,131,255,130,130,130,255,131,131,131,255,133,133,133,255,134,134,134,255,133,133,133,255,130,130,130,255,129,129,129,255,130,130,130,255,134,134,134,255,137,137,137,255,135,135,135,255,131,131,131,255,128,128,128,255,125,125,125,255,120,120,120,255,112,112,112,255,107,107,107,255,104,104,104,255,103,103,103,255,102,102,102,255,100,100,100,255,99,99,99,255,102,102,102,255,108,108,108,255,115,115,115,255,118,118,118,255,116,116,116,255,112,112,112,255,109,109,109,255,108,108,108,255,106,106,106,255,105,105,105,255,104,104,104,255,100,100,100,255,95,95,95,255,92,92,92,255,92,92,92,255,94,94,94,255,93,93,93,255,89,89,89,255,85,85,85,255,81,81,81,255,78,78,78,255,76,76,76,255,73,73,73,255,72,72,72,255,73,73,73,255,75,75,75,255,77,77,77,255,78,78,78,255,79,79,79,255,193,193,193,255,194,194,194,255,193,193,193,255,190,190,190,255,183,183,183,255,176,176,176,255,169,169,169,255,163,163,163,255,156,156,156,255,147,147,147,255,137,137,137,255,129,129,129,255,123,123,123,255,118,118,118,255,112,112,112,255,105,105,105,255,100,100,100,255,95,95,95,255,91,91,91,255,85,85,85,255,80,80,80,255,78,78,78,255,81,81,81,255,85,85,85,255,88,88,88,255,86,86,86,255,81,81,81,255,79,79,79,255,79,79,79,255,82,82,82,255,84,84,84,255,86,86,86,255,88,88,88,255,91,91,91,255,97,97,97,255,105,105,105,255,111,111,111,255,114,114,114,255,115,115,115,255,115,115,115,255,115,115,115,255,118,118,118,255,123,123,123,255,125,125,125,255,127,127,127,255,130,130,130,255,132,132,132,255,133,133,133,255,133,133,133,255,132,132,132,255,132,132,132,255,131,131,131,255,131,131,131,255,130,130,130,255,127,127,127,255,125,125,125,255,126,126,126,255,129,129,129,255,132,132,132,255,130,130,130,255,126,126,126,255,122,122,122,255,120,120,120,255,115,115,115,255,110,110,110,255,105,105,105,255,102,102,102,255,99,99,99,255,97,97,97,255,98,98,98,255,99,99,99,255,102,102,102,255,106,106,106,255,110,110,110,255,112,112,112,255,112,112,112,255,113,113,113,255,112,112,112,255,111,111,111,255,110,110,110,255,109,109,109,255,107,107,107,255,103,103,103,255,98,98,98,255,94,94,94,255,92,92,92,255,91,91,91,255,90,90,90,255,86,86,86,255,80,80,80,255,77,77,77,255,75,75,75,255,74,74,74,255,72,72,72,255,71,71,71,255,73,73,73,255,76,76,76,255,76,76,76,255,76,76,76,255,75,75,75,255,193,193,193,255,194,194,194,255,192,192,192,255,187,187,187,255,178,178,178,255,169,169,169,255,162,162,162,255,159,159,159,255,155,155,155,255,147,147,147,255,139,139,139,255,131,131,131,255,125,125,125,255,118,118,118,255,109,109,109,255,103,103,103,255,101,101,101,255,99,99,99,255,96,96,96,255,90,90,90,255,84,84,84,255,81,81,81,255,83,83,83,255,88,88,88,255,91,91,91,255,88,88,88,255,83,83,83,255,80,80,80,255,80,80,80,255,80,80,80,255,81,81,81,255,83,83,83,255,85,85,85,255,88,88,88,255,93,93,93,255,102,102,102,255,109,109,109,255,112,112,112,255,113,113,113,255,113,113,113,255,114,114,114,255,117,117,117,255,121,121,121,255,123,123,123,255,125,125,125,255,128,128,128,255,130,130,130,255,132,132,132,255,133,133,133,255,133,133,133,255,132,132,132,255,129,129,129,255,126,126,126,255,125,125,125,255,122,122,122,255,120,120,120,255,121,121,121,255,124,124,124,255,126,126,126,255,124,124,124,255,120,120,120,255,117,117,117,255,115,115,115,255,112,112,112,255,108,108,108,255,105,105,105,255,100,100,100,255,97,97,97,255,95,95,95,255,97,97,97,255,100,100,100,255,103,103,103,255,105,105,105,255,106,106,106,255,106,106,106,255,108,108,108,255,113,113,113,255,115,115,115,255,114,114,114,255,113,113,113,255,112,112,112,255,110,110,110,255,106,106,106,255,101,101,101,255,96,96,96,255,92,92,92,255,90,90,90,255,88,88,88,255,83,83,83,255,77,77,77,255,74,74,74,255,73,73,73,255,72,72,72,255,71,71,71,255,72,72,72,255,74,74,74,255,76,76,76,255,76,76,76,255,73,73,73,255,72,72,72,255,197,197,197,255,196,196,196,255,193,193,193,255,186,186,186,255,175,175,175,255,166,166,166,255,159,159,159,255,156,156,156,255,153,153,153,255,145,145,145,255,138,138,138,255,131,131,131,255,125,125,125,255,118,118,118,255,110,110,110,255,105,105,105,255,103,103,103,255,102,102,102,255,99,99,99,255,93,93,93,255,87,87,87,255,84,84,84,255,85,85,85,255,89,89,89,255,91,91,91,255,88,88,88,255,84,84,84,255,82,82,82,255,82,82,82,255,83,83,83,255,84,84,84,255,86,86,86,255,87,87,87,255,89,89,89,255,92,92,92,255,99,99,99,255,105,105,105,255,108,108,108,255,108,108,108,255,109,109,109,255,111,111,111,255,114,114,114,255,118,118,118,255,121,121,121,255,123,123,123,255,126,126,126,255,127,127,127,255,128,128,128,255,129,129,129,255,129,129,129,255,127,127,127,255,124,124,124,255,122,122,122,255,121,121,121,255,118,118,118,255,115,115,115,255,116,116,116,255,119,119,119,255,120,120,120,255,119,119,119,255,116,116,116,255,113,113,113,255,111,111,111,255,109,109,109,255,106,106,106,255,104,104,104,255,101,101,101,255,98,98,98,255,96,96,96,255,98,98,98,255,101,101,101,255,103,103,103,255,104,104,104,255,104,104,104,255,104,104,104,255,106,106,106,255,111,111,111,255,114,114,114,255,113,113,113,255,113,113,113,255,112,112,112,255,109,109,109,255,105,105,105,255,100,100,100,255,95,95,95,255,91,91,91,255,89,89,89,255,88,88,88,255,83,83,83,255,77,77,77,255,75,75,75,255,74,74,74,255,74,74,74,255,73,73,73,255,73,73,73,255,75,75,75,255,77,77,77,255,77,77,77,255,75,75,75,255,73,73,73,255,204,204,204,255,199,199,199,255,193,193,193,255,185,185,185,255,174,174,174,255,164,164,164,255,157,157,157,255,154,154,154,255,151,151,151,255,144,144,144,255,136,136,136,255,129,129,129,255,124,124,124,255,118,118,118,255,112,112,112,255,108,108,108,255,105,105,105,255,102,102,102,255,98,98,98,255,94,94,94,255,90,90,90,255,87,87,87,255,86,86,86,255,86,86,86,255,87,87,87,255,87,87,87,255,88,88,88,255,88,88,88,255,89,89,89,255,90,90,90,255,91,91,91,255,93,93,93,255,93,93,93,255,94,94,94,255,96,96,96,255,99,99,99,255,102,102,102,255,104,104,104,255,103,103,103,255,103,103,103,255,105,105,105,255,109,109,109,255,114,114,114,255,117,117,117,255,119,119,119,255,122,122,122,255,123,123,123,255,122,122,122,255,120,120,120,255,119,119,119,255,119,119,119,255,119,119,119,255,118,118,118,255,117,117,117,255,116,116,116,255,115,115,115,255,114,114,114,255,113,113,113,255,112,112,112,255,111,111,111,255,111,111,111,255,110,110,110,255,109,109,109,255,106,106,106,255,103,103,103,255,101,101,101,255,100,100,100,255,99,99,99,255,98,98,98,255,99,99,99,255,100,100,100,255,101,101,101,255,102,102,102,255,102,102,102,255,102,102,102,255,104,104,104,255,106,106,106,255,108,108,108,255,109,109,109,255,110,110,110,255,110,110,110,255,108,108,108,255,103,103,103,255,98,98,98,255,94,94,94,255,91,91,91,255,89,89,89,255,89,89,89,255,86,86,86,255,82,82,82,255,80,80,80,255,78,78,78,255,77,77,77,255,76,76,76,255,75,75,75,255,74,74,74,255,75,75,75,255,77,77,77,255,78,78,78,255,79,79,79,255,209,209,209,255,202,202,202,255,194,194,194,255,185,185,185,255,174,174,174,255,164,164,164,255,157,157,157,255,154,154,154,255,151,151,151,255,144,144,144,255,136,136,136,255,129,129,129,255,124,124,124,255,119,119,119,255,114,114,114,255,111,111,111,255,106,106,106,255,101,101,101,255,98,98,98,255,95,95,95,255,93,93,93,255,91,91,91,255,88,88,88,255,85,85,85,255,84,84,84,255,86,86,86,255,91,91,91,255,95,95,95,255,96,96,96,255,97,97,97,255,98,98,98,255,99,99,99,255,100,100,100,255,99,99,99,255,100,100,100,255,100,100,100,255,100,100,100,255,101,101,101,255,99,99,99,255,98,98,98,255,100,100,100,255,105,105,105,255,110,110,110,255,112,112,112,255,115,115,115,255,117,117,117,255,118,118,118,255,116,116,116,255,112,112,112,255,110,110,110,255,111,111,111,255,113,113,113,255,114,114,114,255,113,113,113,255,114,114,114,255,114,114,114,255,113,113,113,255,108,108,108,255,105,105,105,255,104,104,104,255,106,106,106,255,108,108,108,255,107,107,107,255,103,103,103,255,100,100,100,255,99,99,99,255,99,99,99,255,98,98,98,255,98,98,98,255,98,98,98,255,98,98,98,255,99,99,99,255,100,100,100,255,101,101,101,255,101,101,101,255,102,102,102,255,102,102,102,255,103,103,103,255,105,105,105,255,108,108,108,255,109,109,109,255,107,107,107,255,102,102,102,255,97,97,97,255,93,93,93,255,91,91,91,255,90,90,90,255,90,90,90,255,89,89,89,255,86,86,86,255,85,85,85,255,82,82,82,255,80,80,80,255,79,79,79,255,76,76,76,255,74,74,74,255,73,73,73,255,77,77,77,255,82,82,82,255,84,84,84,255,210,210,210,255,203,203,203,255,195,195,195,255,186,186,186,255,175,175,175,255,166,166,166,255,159,159,159,255,155,155,155,255,152,152,152,255,145,145,145,255,138,138,138,255,131,131,131,255,126,126,126,255,121,121,121,255,117,117,117,255,113,113,113,255,109,109,109,255,104,104,104,255,100,100,100,255,98,98,98,255,96,96,96,255,94,94,94,255,91,91,91,255,88,88,88,255,86,86,86,255,89,89,89,255,94,94,94,255,98,98,98,255,99,99,99,255,100,100,100,255,101,101,101,255,102,102,102,255,102,102,102,255,101,101,101,255,101,101,101,255,100,100,100,255,100,100,100,255,100,100,100,255,98,98,98,255,96,96,96,255,98,98,98,255,102,102,102,255,106,106,106,255,109,109,109,255,111,111,111,255,113,113,113,255,113,113,113,255,111,111,111,255,107,107,107,255,105,105,105,255,106,106,106,255,109,109,109,255,109,109,109,255,109,109,109,255,110,110,110,255,110,110,110,255,108,108,108,255,104,104,104,255,101,101,101,255,101,101,101,255,103,103,103,255,104,104,104,255,103,103,103,255,100,100,100,255,97,97,97,255,96,96,96,255,97,97,97,255,97,97,97,255,97,97,97,255,97,97,97,255,97,97,97,255,98,98,98,255,98,98,98,255,99,99,99,255,100,100,100,255,100,100,100,255,101,101,101,255,101,101,101,255,103,103,103,255,107,107,107,255,109,109,109,255,106,106,106,255,102,102,102,255,97,97,97,255,93,93,93,255,91,91,91,255,91,91,91,255,91,91,91,255,90,90,90,255,89,89,89,255,87,87,87,255,85,85,85,255,82,82,82,255,81,81,81,255,79,79,79,255,77,77,77,255,77,77,77,255,80,80,80,255,85,85,85,255,88,88,88,255,206,206,206,255,202,202,202,255,196,196,196,255,189,189,189,255,180,180,180,255,172,172,172,255,165,165,165,255,157,157,157,255,151,151,151,255,144,144,144,255,138,138,138,255,133,133,133,255,128,128,128,255,123,123,123,255,118,118,118,255,115,115,115,255,112,112,112,255,108,108,108,255,104,104,104,255,101,101,101,255,99,99,99,255,96,96,96,255,93,93,93,255,90,90,90,255,90,90,90,255,91,91,91,255,95,95,95,255,97,97,97,255,99,99,99,255,102,102,102,255,104,104,104,255,104,104,104,255,103,103,103,255,102,102,102,255,101,101,101,255,101,101,101,255,100,100,100,255,100,100,100,255,99,99,99,255,97,97,97,255,99,99,99,255,101,101,101,255,103,103,103,255,104,104,104,255,105,105,105,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,104,104,104,255,105,105,105,255,107,107,107,255,107,107,107,255,105,105,105,255,102,102,102,255,100,100,100,255,100,100,100,255,101,101,101,255,102,102,102,255,101,101,101,255,99,99,99,255,97,97,97,255,96,96,96,255,95,95,95,255,94,94,94,255,94,94,94,255,94,94,94,255,95,95,95,255,95,95,95,255,96,96,96,255,98,98,98,255,99,99,99,255,98,98,98,255,97,97,97,255,96,96,96,255,96,96,96,255,97,97,97,255,98,98,98,255,101,101,101,255,105,105,105,255,107,107,107,255,105,105,105,255,101,101,101,255,97,97,97,255,93,93,93,255,90,90,90,255,89,89,89,255,89,89,89,255,90,90,90,255,89,89,89,255,88,88,88,255,86,86,86,255,84,84,84,255,83,83,83,255,83,83,83,255,84,84,84,255,85,85,85,255,87,87,87,255,88,88,88,255,89,89,89,255,200,200,200,255,200,200,200,255,196,196,196,255,191,191,191,255,186,186,186,255,180,180,180,255,172,172,172,255,160,160,160,255,150,150,150,255,143,143,143,255,138,138,138,255,135,135,135,255,130,130,130,255,124,124,124,255,119,119,119,255,117,117,117,255,115,115,115,255,112,112,112,255,109,109,109,255,106,106,106,255,102,102,102,255,98,98,98,255,95,95,95,255,94,94,94,255,93,93,93,255,94,94,94,255,95,95,95,255,97,97,97,255,99,99,99,255,104,104,104,255,107,107,107,255,107,107,107,255,105,105,105,255,103,103,103,255,102,102,102,255,101,101,101,255,101,101,101,255,101,101,101,255,100,100,100,255,99,99,99,255,100,100,100,255,100,100,100,255,99,99,99,255,99,99,99,255,97,97,97,255,94,94,94,255,93,93,93,255,96,96,96,255,100,100,100,255,102,102,102,255,102,102,102,255,104,104,104,255,104,104,104,255,101,101,101,255,94,94,94,255,90,90,90,255,91,91,91,255,97,97,97,255,102,102,102,255,101,101,101,255,95,95,95,255,89,89,89,255,88,88,88,255,89,89,89,255,90,90,90,255,90,90,90,255,91,91,91,255,91,91,91,255,91,91,91,255,94,94,94,255,97,97,97,255,99,99,99,255,98,98,98,255,93,93,93,255,91,91,91,255,92,92,92,255,93,93,93,255,95,95,95,255,98,98,98,255,103,103,103,255,105,105,105,255,104,104,104,255,101,101,101,255,97,97,97,255,94,94,94,255,90,90,90,255,88,88,88,255,88,88,88,255,90,90,90,255,91,91,91,255,90,90,90,255,88,88,88,255,85,85,85,255,85,85,85,255,88,88,88,255,93,93,93,255,95,95,95,255,94,94,94,255,91,91,91,255,90,90,90,255,197,197,197,255,198,198,198,255,196,196,196,255,192,192,192,255,189,189,189,255,184,184,184,255,175,175,175,255,163,163,163,255,152,152,152,255,144,144,144,255,139,139,139,255,135,135,135,255,131,131,131,255,125,125,125,255,121,121,121,255,119,119,119,255,119,119,119,255,117,117,117,255,115,115,115,255,111,111,111,255,107,107,107,255,102,102,102,255,99,99,99,255,97,97,97,255,96,96,96,255,97,97,97,255,98,98,98,255,100,100,100,255,103,103,103,255,108,108,108,255,111,111,111,255,111,111,111,255,108,108,108,255,105,105,105,255,103,103,103,255,102,102,102,255,102,102,102,255,101,101,101,255,99,99,99,255,98,98,98,255,98,98,98,255,96,96,96,255,95,95,95,255,93,93,93,255,91,91,91,255,87,87,87,255,86,86,86,255,89,89,89,255,94,94,94,255,97,97,97,255,97,97,97,255,99,99,99,255,99,99,99,255,96,96,96,255,89,89,89,255,84,84,84,255,87,87,87,255,94,94,94,255,99,99,99,255,98,98,98,255,91,91,91,255,85,85,85,255,84,84,84,255,85,85,85,255,87,87,87,255,87,87,87,255,87,87,87,255,87,87,87,255,87,87,87,255,89,89,89,255,93,93,93,255,96,96,96,255,94,94,94,255,90,90,90,255,88,88,88,255,88,88,88,255,90,90,90,255,92,92,92,255,95,95,95,255,101,101,101,255,104,104,104,255,104,104,104,255,101,101,101,255,98,98,98,255,95,95,95,255,92,92,92,255,90,90,90,255,91,91,91,255,93,93,93,255,94,94,94,255,94,94,94,255,91,91,91,255,89,89,89,255,89,89,89,255,93,93,93,255,98,98,98,255,100,100,100,255,99,99,99,255,95,95,95,255,93,93,93,255,197,197,197,255,199,199,199,255,198,198,198,255,194,194,194,255,188,188,188,255,181,181,181,255,175,175,175,255,167,167,167,255,158,158,158,255,149,149,149,255,140,140,140,255,133,133,133,255,128,128,128,255,125,125,125,255,123,123,123,255,123,123,123,255,124,124,124,255,123,123,123,255,121,121,121,255,119,119,119,255,115,115,115,255,111,111,111,255,106,106,106,255,101,101,101,255,99,99,99,255,100,100,100,255,102,102,102,255,104,104,104,255,107,107,107,255,113,113,113,255,116,116,116,255,115,115,115,255,112,112,112,255,108,108,108,255,105,105,105,255,102,102,102,255,99,99,99,255,98,98,98,255,97,97,97,255,95,95,95,255,94,94,94,255,91,91,91,255,88,88,88,255,86,86,86,255,85,85,85,255,84,84,84,255,84,84,84,255,86,86,86,255,88,88,88,255,88,88,88,255,89,89,89,255,90,90,90,255,90,90,90,255,89,89,89,255,85,85,85,255,83,83,83,255,85,85,85,255,91,91,91,255,96,96,96,255,95,95,95,255,89,89,89,255,84,84,84,255,83,83,83,255,85,85,85,255,86,86,86,255,85,85,85,255,84,84,84,255,82,82,82,255,81,81,81,255,83,83,83,255,86,86,86,255,88,88,88,255,88,88,88,255,87,87,87,255,86,86,86,255,87,87,87,255,88,88,88,255,89,89,89,255,93,93,93,255,99,99,99,255,104,104,104,255,103,103,103,255,100,100,100,255,97,97,97,255,95,95,95,255,94,94,94,255,94,94,94,255,96,96,96,255,98,98,98,255,100,100,100,255,100,100,100,255,98,98,98,255,96,96,96,255,97,97,97,255,99,99,99,255,101,101,101,255,102,102,102,255,101,101,101,255,99,99,99,255,99,99,99,255,198,198,198,255,200,200,200,255,200,200,200,255,195,195,195,255,186,186,186,255,177,177,177,255,173,173,173,255,170,170,170,255,165,165,165,255,155,155,155,255,142,142,142,255,131,131,131,255,126,126,126,255,125,125,125,255,126,126,126,255,128,128,128,255,130,130,130,255,130,130,130,255,129,129,129,255,127,127,127,255,126,126,126,255,122,122,122,255,114,114,114,255,107,107,107,255,103,103,103,255,104,104,104,255,106,106,106,255,108,108,108,255,112,112,112,255,118,118,118,255,121,121,121,255,119,119,119,255,115,115,115,255,111,111,111,255,107,107,107,255,101,101,101,255,97,97,97,255,95,95,95,255,94,94,94,255,93,93,93,255,91,91,91,255,87,87,87,255,82,82,82,255,79,79,79,255,79,79,79,255,82,82,82,255,83,83,83,255,82,82,82,255,80,80,80,255,79,79,79,255,79,79,79,255,80,80,80,255,80,80,80,255,80,80,80,255,81,81,81,255,82,82,82,255,85,85,85,255,89,89,89,255,92,92,92,255,92,92,92,255,87,87,87,255,84,84,84,255,84,84,84,255,85,85,85,255,86,86,86,255,85,85,85,255,81,81,81,255,77,77,77,255,76,76,76,255,76,76,76,255,78,78,78,255,80,80,80,255,82,82,82,255,85,85,85,255,86,86,86,255,85,85,85,255,85,85,85,255,87,87,87,255,91,91,91,255,98,98,98,255,103,103,103,255,103,103,103,255,99,99,99,255,95,95,95,255,95,95,95,255,96,96,96,255,98,98,98,255,100,100,100,255,104,104,104,255,107,107,107,255,107,107,107,255,105,105,105,255,104,104,104,255,105,105,105,255,105,105,105,255,104,104,104,255,104,104,104,255,104,104,104,255,105,105,105,255,105,105,105,255,197,197,197,255,199,199,199,255,200,200,200,255,195,195,195,255,185,185,185,255,177,177,177,255,173,173,173,255,172,172,172,255,170,170,170,255,160,160,160,255,146,146,146,255,133,133,133,255,129,129,129,255,129,129,129,255,131,131,131,255,133,133,133,255,135,135,135,255,136,136,136,255,135,135,135,255,134,134,134,255,133,133,133,255,129,129,129,255,122,122,122,255,113,113,113,255,110,110,110,255,110,110,110,255,112,112,112,255,115,115,115,255,118,118,118,255,123,123,123,255,126,126,126,255,124,124,124,255,120,120,120,255,115,115,115,255,110,110,110,255,103,103,103,255,98,98,98,255,96,96,96,255,95,95,95,255,93,93,93,255,90,90,90,255,85,85,85,255,79,79,79,255,75,75,75,255,75,75,75,255,78,78,78,255,79,79,79,255,77,77,77,255,73,73,73,255,71,71,71,255,72,72,72,255,72,72,72,255,73,73,73,255,74,74,74,255,76,76,76,255,79,79,79,255,82,82,82,255,86,86,86,255,89,89,89,255,89,89,89,255,86,86,86,255,83,83,83,255,83,83,83,255,84,84,84,255,85,85,85,255,84,84,84,255,80,80,80,255,75,75,75,255,73,73,73,255,73,73,73,255,74,74,74,255,75,75,75,255,78,78,78,255,82,82,82,255,83,83,83,255,83,83,83,255,82,82,82,255,84,84,84,255,89,89,89,255,97,97,97,255,102,102,102,255,103,103,103,255,100,100,100,255,96,96,96,255,96,96,96,255,99,99,99,255,102,102,102,255,104,104,104,255,109,109,109,255,112,112,112,255,113,113,113,255,111,111,111,255,111,111,111,255,112,112,112,255,111,111,111,255,110,110,110,255,110,110,110,255,111,111,111,255,112,112,112,255,113,113,113,255,193,193,193,255,195,195,195,255,196,196,196,255,193,193,193,255,186,186,186,255,180,180,180,255,177,177,177,255,175,175,175,255,172,172,172,255,163,163,163,255,150,150,150,255,139,139,139,255,135,135,135,255,135,135,135,255,137,137,137,255,139,139,139,255,140,140,140,255,139,139,139,255,138,138,138,255,137,137,137,255,136,136,136,255,132,132,132,255,127,127,127,255,121,121,121,255,119,119,119,255,119,119,119,255,120,120,120,255,121,121,121,255,124,124,124,255,128,128,128,255,130,130,130,255,128,128,128,255,122,122,122,255,116,116,116,255,111,111,111,255,106,106,106,255,102,102,102,255,100,100,100,255,99,99,99,255,97,97,97,255,93,93,93,255,86,86,86,255,79,79,79,255,74,74,74,255,71,71,71,255,71,71,71,255,70,70,70,255,68,68,68,255,66,66,66,255,65,65,65,255,65,65,65,255,65,65,65,255,66,66,66,255,68,68,68,255,72,72,72,255,76,76,76,255,79,79,79,255,83,83,83,255,87,87,87,255,87,87,87,255,86,86,86,255,85,85,85,255,85,85,85,255,84,84,84,255,82,82,82,255,81,81,81,255,79,79,79,255,76,76,76,255,74,74,74,255,74,74,74,255,75,75,75,255,76,76,76,255,78,78,78,255,81,81,81,255,82,82,82,255,81,81,81,255,81,81,81,255,82,82,82,255,87,87,87,255,95,95,95,255,101,101,101,255,103,103,103,255,101,101,101,255,100,100,100,255,101,101,101,255,104,104,104,255,107,107,107,255,110,110,110,255,113,113,113,255,117,117,117,255,118,118,118,255,118,118,118,255,119,119,119,255,120,120,120,255,121,121,121,255,121,121,121,255,121,121,121,255,121,121,121,255,121,121,121,255,121,121,121,255,187,187,187,255,189,189,189,255,190,190,190,255,189,189,189,255,188,188,188,255,185,185,185,255,182,182,182,255,179,179,179,255,175,175,175,255,167,167,167,255,156,156,156,255,147,147,147,255,143,143,143,255,142,142,142,255,144,144,144,255,145,145,145,255,144,144,144,255,141,141,141,255,140,140,140,255,138,138,138,255,136,136,136,255,133,133,133,255,131,131,131,255,130,130,130,255,129,129,129,255,129,129,129,255,127,127,127,255,127,127,127,255,129,129,129,255,132,132,132,255,134,134,134,255,130,130,130,255,123,123,123,255,116,116,116,255,112,112,112,255,110,110,110,255,108,108,108,255,105,105,105,255,104,104,104,255,102,102,102,255,97,97,97,255,89,89,89,255,80,80,80,255,74,74,74,255,68,68,68,255,63,63,63,255,60,60,60,255,58,58,58,255,58,58,58,255,58,58,58,255,58,58,58,255,58,58,58,255,59,59,59,255,62,62,62,255,68,68,68,255,74,74,74,255,78,78,78,255,82,82,82,255,85,85,85,255,86,86,86,255,88,88,88,255,89,89,89,255,89,89,89,255,85,85,85,255,80,80,80,255,79,79,79,255,79,79,79,255,80,80,80,255,79,79,79,255,78,78,78,255,79,79,79,255,79,79,79,255,80,80,80,255,81,81,81,255,82,82,82,255,81,81,81,255,79,79,79,255,80,80,80,255,84,84,84,255,91,91,91,255,98,98,98,255,101,101,101,255,102,102,102,255,104,104,104,255,106,106,106,255,110,110,110,255,113,113,113,255,116,116,116,255,119,119,119,255,121,121,121,255,124,124,124,255,126,126,126,255,129,129,129,255,132,132,132,255,133,133,133,255,134,134,134,255,134,134,134,255,133,133,133,255,130,130,130,255,129,129,129,255,182,182,182,255,184,184,184,255,186,186,186,255,187,187,187,255,187,187,187,255,186,186,186,255,183,183,183,255,181,181,181,255,177,177,177,255,170,170,170,255,161,161,161,255,152,152,152,255,148,148,148,255,148,148,148,255,149,149,149,255,149,149,149,255,146,146,146,255,142,142,142,255,141,141,141,255,140,140,140,255,138,138,138,255,136,136,136,255,135,135,135,255,136,136,136,255,137,137,137,255,136,136,136,255,133,133,133,255,132,132,132,255,132,132,132,255,135,135,135,255,136,136,136,255,132,132,132,255,124,124,124,255,118,118,118,255,115,115,115,255,114,114,114,255,113,113,113,255,111,111,111,255,109,109,109,255,106,106,106,255,99,99,99,255,90,90,90,255,81,81,81,255,73,73,73,255,65,65,65,255,58,58,58,255,53,53,53,255,52,52,52,255,52,52,52,255,52,52,52,255,52,52,52,255,52,52,52,255,54,54,54,255,60,60,60,255,67,67,67,255,73,73,73,255,78,78,78,255,82,82,82,255,85,85,85,255,86,86,86,255,89,89,89,255,91,91,91,255,92,92,92,255,86,86,86,255,80,80,80,255,80,80,80,255,82,82,82,255,84,84,84,255,83,83,83,255,82,82,82,255,82,82,82,255,81,81,81,255,81,81,81,255,82,82,82,255,82,82,82,255,81,81,81,255,78,78,78,255,77,77,77,255,80,80,80,255,87,87,87,255,93,93,93,255,97,97,97,255,100,100,100,255,104,104,104,255,108,108,108,255,113,113,113,255,117,117,117,255,120,120,120,255,123,123,123,255,126,126,126,255,130,130,130,255,134,134,134,255,138,138,138,255,141,141,141,255,143,143,143,255,144,144,144,255,144,144,144,255,142,142,142,255,138,138,138,255,137,137,137,255,179,179,179,255,180,180,180,255,182,182,182,255,184,184,184,255,186,186,186,255,186,186,186,255,183,183,183,255,181,181,181,255,178,178,178,255,172,172,172,255,165,165,165,255,159,159,159,255,155,155,155,255,152,152,152,255,149,149,149,255,148,148,148,255,147,147,147,255,144,144,144,255,143,143,143,255,143,143,143,255,142,142,142,255,141,141,141,255,141,141,141,255,142,142,142,255,143,143,143,255,141,141,141,255,138,138,138,255,136,136,136,255,136,136,136,255,138,138,138,255,138,138,138,255,134,134,134,255,128,128,128,255,123,123,123,255,121,121,121,255,121,121,121,255,120,120,120,255,117,117,117,255,114,114,114,255,109,109,109,255,101,101,101,255,91,91,91,255,81,81,81,255,73,73,73,255,65,65,65,255,57,57,57,255,52,52,52,255,49,49,49,255,48,48,48,255,47,47,47,255,47,47,47,255,49,49,49,255,52,52,52,255,58,58,58,255,66,66,66,255,72,72,72,255,77,77,77,255,82,82,82,255,86,86,86,255,87,87,87,255,88,88,88,255,90,90,90,255,90,90,90,255,87,87,87,255,84,84,84,255,84,84,84,255,86,86,86,255,88,88,88,255,88,88,88,255,86,86,86,255,86,86,86,255,85,85,85,255,84,84,84,255,83,83,83,255,83,83,83,255,81,81,81,255,78,78,78,255,75,75,75,255,76,76,76,255,80,80,80,255,85,85,85,255,90,90,90,255,97,97,97,255,103,103,103,255,110,110,110,255,114,114,114,255,117,117,117,255,120,120,120,255,124,124,124,255,128,128,128,255,133,133,133,255,138,138,138,255,142,142,142,255,146,146,146,255,149,149,149,255,151,151,151,255,151,151,151,255,149,149,149,255,146,146,146,255,145,145,145,255,176,176,176,255,177,177,177,255,178,178,178,255,181,181,181,255,184,184,184,255,185,185,185,255,183,183,183,255,180,180,180,255,177,177,177,255,173,173,173,255,169,169,169,255,166,166,166,255,162,162,162,255,155,155,155,255,148,148,148,255,145,145,145,255,146,146,146,255,146,146,146,255,146,146,146,255,146,146,146,255,146,146,146,255,146,146,146,255,146,146,146,255,147,147,147,255,147,147,147,255,146,146,146,255,142,142,142,255,138,138,138,255,138,138,138,255,139,139,139,255,139,139,139,255,136,136,136,255,131,131,131,255,128,128,128,255,128,128,128,255,127,127,127,255,126,126,126,255,123,123,123,255,118,118,118,255,111,111,111,255,102,102,102,255,92,92,92,255,82,82,82,255,74,74,74,255,66,66,66,255,60,60,60,255,55,55,55,255,50,50,50,255,46,46,46,255,44,44,44,255,45,45,45,255,47,47,47,255,52,52,52,255,58,58,58,255,64,64,64,255,69,69,69,255,75,75,75,255,82,82,82,255,87,87,87,255,87,87,87,255,87,87,87,255,87,87,87,255,88,88,88,255,88,88,88,255,88,88,88,255,89,89,89,255,91,91,91,255,93,93,93,255,91,91,91,255,91,91,91,255,91,91,91,255,89,89,89,255,87,87,87,255,85,85,85,255,84,84,84,255,82,82,82,255,79,79,79,255,76,76,76,255,74,74,74,255,73,73,73,255,76,76,76,255,82,82,82,255,94,94,94,255,105,105,105,255,112,112,112,255,114,114,114,255,116,116,116,255,119,119,119,255,122,122,122,255,127,127,127,255,133,133,133,255,138,138,138,255,142,142,142,255,146,146,146,255,150,150,150,255,154,154,154,255,154,154,154,255,153,153,153,255,153,153,153,255,152,152,152,255,175,175,175,255,175,175,175,255,177,177,177,255,180,180,180,255,183,183,183,255,184,184,184,255,182,182,182,255,180,180,180,255,177,177,177,255,173,173,173,255,171,171,171,255,169,169,169,255,165,165,165,255,156,156,156,255,147,147,147,255,144,144,144,255,145,145,145,255,147,147,147,255,148,148,148,255,148,148,148,255,148,148,148,255,148,148,148,255,148,148,148,255,149,149,149,255,149,149,149,255,147,147,147,255,143,143,143,255,140,140,140,255,139,139,139,255,140,140,140,255,140,140,140,255,137,137,137,255,133,133,133,255,131,131,131,255,131,131,131,255,130,130,130,255,129,129,129,255,125,125,125,255,120,120,120,255,111,111,111,255,102,102,102,255,92,92,92,255,83,83,83,255,74,74,74,255,67,67,67,255,61,61,61,255,56,56,56,255,51,51,51,255,46,46,46,255,43,43,43,255,44,44,44,255,47,47,47,255,51,51,51,255,57,57,57,255,63,63,63,255,68,68,68,255,74,74,74,255,82,82,82,255,87,87,87,255,88,88,88,255,86,86,86,255,85,85,85,255,86,86,86,255,88,88,88,255,90,90,90,255,92,92,92,255,94,94,94,255,94,94,94,255,93,93,93,255,92,92,92,255,93,93,93,255,91,91,91,255,89,89,89,255,86,86,86,255,85,85,85,255,83,83,83,255,79,79,79,255,76,76,76,255,73,73,73,255,71,71,71,255,71,71,71,255,79,79,79,255,92,92,92,255,105,105,105,255,113,113,113,255,114,114,114,255,115,115,115,255,118,118,118,255,122,122,122,255,127,127,127,255,133,133,133,255,137,137,137,255,141,141,141,255,145,145,145,255,150,150,150,255,155,155,155,255,155,155,155,255,155,155,155,255,155,155,155,255,156,156,156,255,176,176,176,255,176,176,176,255,177,177,177,255,180,180,180,255,182,182,182,255,183,183,183,255,181,181,181,255,179,179,179,255,177,177,177,255,173,173,173,255,170,170,170,255,168,168,168,255,163,163,163,255,156,156,156,255,148,148,148,255,146,146,146,255,147,147,147,255,149,149,149,255,149,149,149,255,149,149,149,255,150,150,150,255,150,150,150,255,150,150,150,255,150,150,150,255,150,150,150,255,148,148,148,255,144,144,144,255,141,141,141,255,140,140,140,255,139,139,139,255,138,138,138,255,135,135,135,255,133,133,133,255,133,133,133,255,132,132,132,255,130,130,130,255,127,127,127,255,124,124,124,255,118,118,118,255,110,110,110,255,101,101,101,255,91,91,91,255,81,81,81,255,73,73,73,255,66,66,66,255,61,61,61,255,56,56,56,255,51,51,51,255,47,47,47,255,45,45,45,255,45,45,45,255,47,47,47,255,51,51,51,255,57,57,57,255,63,63,63,255,68,68,68,255,74,74,74,255,81,81,81,255,86,86,86,255,86,86,86,255,86,86,86,255,85,85,85,255,86,86,86,255,87,87,87,255,89,89,89,255,91,91,91,255,93,93,93,255,92,92,92,255,91,91,91,255,91,91,91,255,92,92,92,255,91,91,91,255,88,88,88,255,85,85,85,255,84,84,84,255,82,82,82,255,79,79,79,255,76,76,76,255,75,75,75,255,74,74,74,255,76,76,76,255,82,82,82,255,93,93,93,255,103,103,103,255,110,110,110,255,114,114,114,255,117,117,117,255,119,119,119,255,123,123,123,255,127,127,127,255,133,133,133,255,138,138,138,255,141,141,141,255,145,145,145,255,150,150,150,255,155,155,155,255,156,156,156,255,155,155,155,255,155,155,155,255,155,155,155,255,177,177,177,255,177,177,177,255,178,178,178,255,180,180,180,255,181,181,181,255,180,180,180,255,178,178,178,255,178,178,178,255,177,177,177,255,173,173,173,255,169,169,169,255,164,164,164,255,160,160,160,255,156,156,156,255,152,152,152,255,150,150,150,255,151,151,151,255,152,152,152,255,152,152,152,255,153,153,153,255,155,155,155,255,155,155,155,255,154,154,154,255,153,153,153,255,152,152,152,255,150,150,150,255,147,147,147,255,144,144,144,255,141,141,141,255,138,138,138,255,134,134,134,255,132,132,132,255,134,134,134,255,136,136,136,255,134,134,134,255,129,129,129,255,124,124,124,255,120,120,120,255,115,115,115,255,107,107,107,255,99,99,99,255,89,89,89,255,78,78,78,255,70,70,70,255,65,65,65,255,61,61,61,255,57,57,57,255,53,53,53,255,50,50,50,255,50,50,50,255,48,48,48,255,47,47,47,255,48,48,48,255,54,54,54,255,62,62,62,255,68,68,68,255,73,73,73,255,78,78,78,255,82,82,82,255,84,84,84,255,84,84,84,255,84,84,84,255,85,85,85,255,87,87,87,255,89,89,89,255,91,91,91,255,90,90,90,255,88,88,88,255,86,86,86,255,88,88,88,255,90,90,90,255,90,90,90,255,87,87,87,255,83,83,83,255,82,82,82,255,81,81,81,255,79,79,79,255,78,78,78,255,78,78,78,255,81,81,81,255,86,86,86,255,90,90,90,255,95,95,95,255,100,100,100,255,106,106,106,255,113,113,113,255,119,119,119,255,122,122,122,255,124,124,124,255,127,127,127,255,132,132,132,255,136,136,136,255,140,140,140,255,144,144,144,255,149,149,149,255,155,155,155,255,157,157,157,255,156,156,156,255,154,154,154,255,153,153,153,255,178,178,178,255,178,178,178,255,180,180,180,255,181,181,181,255,180,180,180,255,178,178,178,255,176,176,176,255,177,177,177,255,177,177,177,255,172,172,172,255,167,167,167,255,162,162,162,255,159,159,159,255,156,156,156,255,154,154,154,255,154,154,154,255,154,154,154,255,155,155,155,255,155,155,155,255,157,157,157,255,159,159,159,255,159,159,159,255,157,157,157,255,155,155,155,255,154,154,154,255,153,153,153,255,150,150,150,255,147,147,147,255,144,144,144,255,138,138,138,255,133,133,133,255,132,132,132,255,135,135,135,255,139,139,139,255,136,136,136,255,129,129,129,255,122,122,122,255,118,118,118,255,113,113,113,255,106,106,106,255,99,99,99,255,90,90,90,255,79,79,79,255,71,71,71,255,66,66,66,255,63,63,63,255,59,59,59,255,55,55,55,255,53,53,53,255,53,53,53,255,51,51,51,255,47,47,47,255,46,46,46,255,51,51,51,255,58,58,58,255,65,65,65,255,70,70,70,255,74,74,74,255,78,78,78,255,81,81,81,255,83,83,83,255,83,83,83,255,84,84,84,255,87,87,87,255,89,89,89,255,91,91,91,255,89,89,89,255,86,86,86,255,84,84,84,255,86,86,86,255,90,90,90,255,90,90,90,255,87,87,87,255,83,83,83,255,81,81,81,255,81,81,81,255,81,81,81,255,81,81,81,255,84,84,84,255,90,90,90,255,95,95,95,255,98,98,98,255,98,98,98,255,98,98,98,255,103,103,103,255,111,111,111,255,119,119,119,255,122,122,122,255,123,123,123,255,125,125,125,255,129,129,129,255,132,132,132,255,135,135,135,255,139,139,139,255,145,145,145,255,152,152,152,255,156,156,156,255,156,156,156,255,154,154,154,255,152,152,152,255,180,180,180,255,179,179,179,255,180,180,180,255,181,181,181,255,181,181,181,255,179,179,179,255,177,177,177,255,176,176,176,255,175,175,175,255,171,171,171,255,166,166,166,255,161,161,161,255,157,157,157,255,156,156,156,255,154,154,154,255,154,154,154,255,155,155,155,255,155,155,155,255,156,156,156,255,158,158,158,255,161,161,161,255,161,161,161,255,159,159,159,255,156,156,156,255,155,155,155,255,154,154,154,255,151,151,151,255,149,149,149,255,146,146,146,255,142,142,142,255,138,138,138,255,136,136,136,255,137,137,137,255,138,138,138,255,135,135,135,255,129,129,129,255,124,124,124,255,120,120,120,255,115,115,115,255,109,109,109,255,103,103,103,255,94,94,94,255,85,85,85,255,77,77,77,255,72,72,72,255,68,68,68,255,63,63,63,255,57,57,57,255,54,54,54,255,53,53,53,255,51,51,51,255,48,48,48,255,46,46,46,255,49,49,49,255,53,53,53,255,58,58,58,255,63,63,63,255,68,68,68,255,73,73,73,255,78,78,78,255,81,81,81,255,83,83,83,255,84,84,84,255,87,87,87,255,90,90,90,255,91,91,91,255,90,90,90,255,88,88,88,255,87,87,87,255,89,89,89,255,91,91,91,255,91,91,91,255,88,88,88,255,85,85,85,255,83,83,83,255,83,83,83,255,84,84,84,255,86,86,86,255,89,89,89,255,95,95,95,255,100,100,100,255,102,102,102,255,101,101,101,255,101,101,101,255,103,103,103,255,108,108,108,255,113,113,113,255,116,116,116,255,118,118,118,255,120,120,120,255,124,124,124,255,126,126,126,255,128,128,128,255,131,131,131,255,137,137,137,255,145,145,145,255,150,150,150,255,153,153,153,255,153,153,153,255,153,153,153,255,183,183,183,255,180,180,180,255,179,179,179,255,181,181,181,255,182,182,182,255,181,181,181,255,178,178,178,255,176,176,176,255,173,173,173,255,168,168,168,255,163,163,163,255,158,158,158,255,155,155,155,255,153,153,153,255,154,154,154,255,154,154,154,255,154,154,154,255,153,153,153,255,153,153,153,255,157,157,157,255,161,161,161,255,161,161,161,255,159,159,159,255,155,155,155,255,154,154,154,255,153,153,153,255,151,151,151,255,150,150,150,255,148,148,148,255,147,147,147,255,146,146,146,255,142,142,142,255,138,138,138,255,135,135,135,255,132,132,132,255,130,130,130,255,128,128,128,255,125,125,125,255,119,119,119,255,113,113,113,255,108,108,108,255,101,101,101,255,92,92,92,255,84,84,84,255,79,79,79,255,75,75,75,255,68,68,68,255,61,61,61,255,55,55,55,255,53,53,53,255,52,52,52,255,52,52,52,255,51,51,51,255,50,50,50,255,50,50,50,255,52,52,52,255,56,56,56,255,62,62,62,255,68,68,68,255,74,74,74,255,79,79,79,255,82,82,82,255,84,84,84,255,87,87,87,255,90,90,90,255,92,92,92,255,93,93,93,255,95,95,95,255,95,95,95,255,93,93,93,255,91,91,91,255,90,90,90,255,88,88,88,255,86,86,86,255,85,85,85,255,86,86,86,255,87,87,87,255,89,89,89,255,93,93,93,255,97,97,97,255,101,101,101,255,102,102,102,255,103,103,103,255,104,104,104,255,103,103,103,255,103,103,103,255,103,103,103,255,105,105,105,255,110,110,110,255,116,116,116,255,119,119,119,255,119,119,119,255,119,119,119,255,122,122,122,255,127,127,127,255,133,133,133,255,139,139,139,255,145,145,145,255,150,150,150,255,152,152,152,255,184,184,184,255,179,179,179,255,177,177,177,255,179,179,179,255,182,182,182,255,182,182,182,255,178,178,178,255,174,174,174,255,169,169,169,255,164,164,164,255,159,159,159,255,154,154,154,255,151,151,151,255,151,151,151,255,152,152,152,255,152,152,152,255,151,151,151,255,150,150,150,255,150,150,150,255,155,155,155,255,160,160,160,255,161,161,161,255,159,159,159,255,155,155,155,255,153,153,153,255,153,153,153,255,152,152,152,255,150,150,150,255,150,150,150,255,151,151,151,255,151,151,151,255,147,147,147,255,139,139,139,255,132,132,132,255,130,130,130,255,131,131,131,255,132,132,132,255,129,129,129,255,123,123,123,255,116,116,116,255,111,111,111,255,105,105,105,255,97,97,97,255,89,89,89,255,84,84,84,255,79,79,79,255,72,72,72,255,64,64,64,255,56,56,56,255,52,52,52,255,53,53,53,255,55,55,55,255,55,55,55,255,53,53,53,255,49,49,49,255,49,49,49,255,53,53,53,255,58,58,58,255,65,65,65,255,72,72,72,255,78,78,78,255,81,81,81,255,83,83,83,255,87,87,87,255,91,91,91,255,93,93,93,255,96,96,96,255,100,100,100,255,101,101,101,255,98,98,98,255,93,93,93,255,91,91,91,255,90,90,90,255,89,89,89,255,89,89,89,255,89,89,89,255,91,91,91,255,93,93,93,255,96,96,96,255,99,99,99,255,101,101,101,255,102,102,102,255,104,104,104,255,104,104,104,255,102,102,102,255,97,97,97,255,94,94,94,255,96,96,96,255,103,103,103,255,111,111,111,255,114,114,114,255,113,113,113,255,111,111,111,255,113,113,113,255,118,118,118,255,123,123,123,255,129,129,129,255,137,137,137,255,146,146,146,255,150,150,150,255,182,182,182,255,179,179,179,255,177,177,177,255,178,178,178,255,180,180,180,255,179,179,179,255,175,175,175,255,169,169,169,255,164,164,164,255,159,159,159,255,154,154,154,255,149,149,149,255,147,147,147,255,147,147,147,255,148,148,148,255,150,150,150,255,150,150,150,255,149,149,149,255,150,150,150,255,154,154,154,255,159,159,159,255,160,160,160,255,158,158,158,255,155,155,155,255,153,153,153,255,153,153,153,255,152,152,152,255,150,150,150,255,150,150,150,255,151,151,151,255,151,151,151,255,147,147,147,255,141,141,141,255,135,135,135,255,132,132,132,255,132,132,132,255,132,132,132,255,129,129,129,255,124,124,124,255,118,118,118,255,113,113,113,255,106,106,106,255,98,98,98,255,90,90,90,255,84,84,84,255,79,79,79,255,72,72,72,255,64,64,64,255,57,57,57,255,55,55,55,255,56,56,56,255,57,57,57,255,57,57,57,255,55,55,55,255,51,51,51,255,50,50,50,255,54,54,54,255,60,60,60,255,67,67,67,255,74,74,74,255,79,79,79,255,83,83,83,255,85,85,85,255,87,87,87,255,91,91,91,255,94,94,94,255,98,98,98,255,103,103,103,255,105,105,105,255,102,102,102,255,98,98,98,255,96,96,96,255,95,95,95,255,95,95,95,255,94,94,94,255,95,95,95,255,96,96,96,255,98,98,98,255,99,99,99,255,101,101,101,255,101,101,101,255,101,101,101,255,101,101,101,255,101,101,101,255,97,97,97,255,92,92,92,255,89,89,89,255,90,90,90,255,97,97,97,255,103,103,103,255,106,106,106,255,105,105,105,255,104,104,104,255,106,106,106,255,111,111,111,255,116,116,116,255,122,122,122,255,130,130,130,255,139,139,139,255,143,143,143,255,182,182,182,255,182,182,182,255,182,182,182,255,181,181,181,255,178,178,178,255,174,174,174,255,169,169,169,255,163,163,163,255,157,157,157,255,152,152,152,255,147,147,147,255,143,143,143,255,140,140,140,255,141,141,141,255,143,143,143,255,145,145,145,255,148,148,148,255,150,150,150,255,152,152,152,255,154,154,154,255,155,155,155,255,155,155,155,255,155,155,155,255,153,153,153,255,153,153,153,255,152,152,152,255,151,151,151,255,150,150,150,255,150,150,150,255,149,149,149,255,148,148,148,255,145,145,145,255,142,142,142,255,139,139,139,255,136,136,136,255,133,133,133,255,129,129,129,255,126,126,126,255,124,124,124,255,122,122,122,255,117,117,117,255,108,108,108,255,97,97,97,255,89,89,89,255,82,82,82,255,75,75,75,255,68,68,68,255,62,62,62,255,60,60,60,255,59,59,59,255,60,60,60,255,61,61,61,255,62,62,62,255,59,59,59,255,55,55,55,255,53,53,53,255,58,58,58,255,67,67,67,255,75,75,75,255,81,81,81,255,85,85,85,255,88,88,88,255,89,89,89,255,89,89,89,255,90,90,90,255,93,93,93,255,99,99,99,255,106,106,106,255,109,109,109,255,107,107,107,255,104,104,104,255,102,102,102,255,102,102,102,255,101,101,101,255,101,101,101,255,101,101,101,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,101,101,101,255,99,99,99,255,97,97,97,255,95,95,95,255,91,91,91,255,87,87,87,255,84,84,84,255,85,85,85,255,89,89,89,255,93,93,93,255,95,95,95,255,95,95,95,255,95,95,95,255,98,98,98,255,102,102,102,255,108,108,108,255,114,114,114,255,122,122,122,255,132,132,132,255,136,136,136,255,183,183,183,255,186,186,186,255,186,186,186,255,184,184,184,255,177,177,177,255,170,170,170,255,165,165,165,255,158,158,158,255,151,151,151,255,144,144,144,255,139,139,139,255,135,135,135,255,133,133,133,255,135,135,135,255,137,137,137,255,140,140,140,255,144,144,144,255,149,149,149,255,152,152,152,255,152,152,152,255,150,150,150,255,150,150,150,255,152,152,152,255,152,152,152,255,152,152,152,255,152,152,152,255,151,151,151,255,150,150,150,255,149,149,149,255,148,148,148,255,146,146,146,255,144,144,144,255,144,144,144,255,144,144,144,255,141,141,141,255,134,134,134,255,128,128,128,255,125,125,125,255,125,125,125,255,125,125,125,255,119,119,119,255,108,108,108,255,96,96,96,255,87,87,87,255,79,79,79,255,71,71,71,255,64,64,64,255,62,62,62,255,63,63,63,255,64,64,64,255,65,65,65,255,66,66,66,255,66,66,66,255,64,64,64,255,60,60,60,255,58,58,58,255,64,64,64,255,74,74,74,255,83,83,83,255,88,88,88,255,90,90,90,255,92,92,92,255,93,93,93,255,91,91,91,255,90,90,90,255,93,93,93,255,100,100,100,255,109,109,109,255,113,113,113,255,112,112,112,255,109,109,109,255,108,108,108,255,108,108,108,255,107,107,107,255,107,107,107,255,107,107,107,255,106,106,106,255,105,105,105,255,104,104,104,255,102,102,102,255,99,99,99,255,95,95,95,255,92,92,92,255,89,89,89,255,85,85,85,255,82,82,82,255,80,80,80,255,80,80,80,255,81,81,81,255,83,83,83,255,84,84,84,255,85,85,85,255,87,87,87,255,90,90,90,255,94,94,94,255,100,100,100,255,105,105,105,255,114,114,114,255,124,124,124,255,128,128,128,255,185,185,185,255,187,187,187,255,187,187,187,255,183,183,183,255,175,175,175,255,168,168,168,255,163,163,163,255,156,156,156,255,148,148,148,255,140,140,140,255,134,134,134,255,130,130,130,255,128,128,128,255,129,129,129,255,132,132,132,255,134,134,134,255,139,139,139,255,145,145,145,255,148,148,148,255,149,149,149,255,148,148,148,255,149,149,149,255,151,151,151,255,153,153,153,255,153,153,153,255,153,153,153,255,153,153,153,255,152,152,152,255,151,151,151,255,150,150,150,255,148,148,148,255,146,146,146,255,147,147,147,255,147,147,147,255,144,144,144,255,138,138,138,255,132,132,132,255,128,128,128,255,128,128,128,255,126,126,126,255,120,120,120,255,108,108,108,255,95,95,95,255,86,86,86,255,78,78,78,255,71,71,71,255,65,65,65,255,64,64,64,255,66,66,66,255,68,68,68,255,68,68,68,255,70,70,70,255,71,71,71,255,69,69,69,255,66,66,66,255,65,65,65,255,70,70,70,255,78,78,78,255,86,86,86,255,90,90,90,255,92,92,92,255,93,93,93,255,94,94,94,255,93,93,93,255,92,92,92,255,96,96,96,255,103,103,103,255,112,112,112,255,116,116,116,255,116,116,116,255,113,113,113,255,113,113,113,255,113,113,113,255,112,112,112,255,112,112,112,255,111,111,111,255,110,110,110,255,108,108,108,255,104,104,104,255,100,100,100,255,96,96,96,255,92,92,92,255,88,88,88,255,85,85,85,255,81,81,81,255,78,78,78,255,76,76,76,255,76,76,76,255,77,77,77,255,78,78,78,255,79,79,79,255,79,79,79,255,80,80,80,255,82,82,82,255,86,86,86,255,92,92,92,255,97,97,97,255,105,105,105,255,115,115,115,255,119,119,119,255,188,188,188,255,189,189,189,255,188,188,188,255,183,183,183,255,174,174,174,255,166,166,166,255,162,162,162,255,157,157,157,255,151,151,151,255,142,142,142,255,135,135,135,255,130,130,130,255,128,128,128,255,126,126,126,255,126,126,126,255,128,128,128,255,134,134,134,255,141,141,141,255,146,146,146,255,147,147,147,255,147,147,147,255,150,150,150,255,153,153,153,255,155,155,155,255,156,156,156,255,156,156,156,255,155,155,155,255,155,155,155,255,154,154,154,255,153,153,153,255,151,151,151,255,149,149,149,255,148,148,148,255,148,148,148,255,145,145,145,255,141,141,141,255,136,136,136,255,132,132,132,255,129,129,129,255,124,124,124,255,117,117,117,255,105,105,105,255,93,93,93,255,85,85,85,255,77,77,77,255,71,71,71,255,66,66,66,255,66,66,66,255,70,70,70,255,72,72,72,255,72,72,72,255,71,71,71,255,71,71,71,255,72,72,72,255,71,71,71,255,71,71,71,255,75,75,75,255,81,81,81,255,86,86,86,255,89,89,89,255,92,92,92,255,95,95,95,255,97,97,97,255,97,97,97,255,99,99,99,255,103,103,103,255,108,108,108,255,113,113,113,255,116,116,116,255,117,117,117,255,116,116,116,255,116,116,116,255,117,117,117,255,118,118,118,255,118,118,118,255,118,118,118,255,116,116,116,255,112,112,112,255,107,107,107,255,101,101,101,255,95,95,95,255,90,90,90,255,87,87,87,255,84,84,84,255,81,81,81,255,78,78,78,255,75,75,75,255,75,75,75,255,76,76,76,255,77,77,77,255,78,78,78,255,76,76,76,255,75,75,75,255,77,77,77,255,81,81,81,255,86,86,86,255,91,91,91,255,99,99,99,255,107,107,107,255,111,111,111,255,189,189,189,255,189,189,189,255,188,188,188,255,183,183,183,255,173,173,173,255,165,165,165,255,161,161,161,255,158,158,158,255,154,154,154,255,145,145,145,255,137,137,137,255,131,131,131,255,129,129,129,255,125,125,125,255,123,123,123,255,124,124,124,255,131,131,131,255,140,140,140,255,145,145,145,255,147,147,147,255,148,148,148,255,152,152,152,255,156,156,156,255,158,158,158,255,158,158,158,255,158,158,158,255,159,159,159,255,158,158,158,255,158,158,158,255,156,156,156,255,154,154,154,255,152,152,152,255,150,150,150,255,149,149,149,255,147,147,147,255,143,143,143,255,139,139,139,255,135,135,135,255,130,130,130,255,123,123,123,255,114,114,114,255,104,104,104,255,93,93,93,255,84,84,84,255,78,78,78,255,72,72,72,255,68,68,68,255,69,69,69,255,73,73,73,255,76,76,76,255,75,75,75,255,72,72,72,255,71,71,71,255,73,73,73,255,74,74,74,255,76,76,76,255,80,80,80,255,83,83,83,255,86,86,86,255,89,89,89,255,93,93,93,255,97,97,97,255,99,99,99,255,102,102,102,255,106,106,106,255,110,110,110,255,112,112,112,255,114,114,114,255,116,116,116,255,118,118,118,255,119,119,119,255,119,119,119,255,121,121,121,255,123,123,123,255,124,124,124,255,123,123,123,255,121,121,121,255,117,117,117,255,111,111,111,255,102,102,102,255,95,95,95,255,90,90,90,255,87,87,87,255,84,84,84,255,81,81,81,255,78,78,78,255,75,75,75,255,75,75,75,255,76,76,76,255,78,78,78,255,78,78,78,255,74,74,74,255,71,71,71,255,72,72,72,255,76,76,76,255,81,81,81,255,86,86,86,255,93,93,93,255,102,102,102,255,105,105,105,255,188,188,188,255,187,187,187,255,186,186,186,255,181,181,181,255,171,171,171,255,163,163,163,255,159,159,159,255,157,157,157,255,153,153,153,255,145,145,145,255,137,137,137,255,132,132,132,255,130,130,130,255,127,127,127,255,124,124,124,255,126,126,126,255,133,133,133,255,142,142,142,255,147,147,147,255,149,149,149,255,151,151,151,255,155,155,155,255,158,158,158,255,161,161,161,255,162,162,162,255,162,162,162,255,162,162,162,255,162,162,162,255,161,161,161,255,159,159,159,255,157,157,157,255,155,155,155,255,153,153,153,255,152,152,152,255,150,150,150,255,146,146,146,255,142,142,142,255,138,138,138,255,133,133,133,255,125,125,125,255,116,116,116,255,105,105,105,255,95,95,95,255,86,86,86,255,80,80,80,255,74,74,74,255,70,70,70,255,71,71,71,255,76,76,76,255,78,78,78,255,77,77,77,255,74,74,74,255,74,74,74,255,75,75,75,255,77,77,77,255,79,79,79,255,83,83,83,255,86,86,86,255,88,88,88,255,91,91,91,255,96,96,96,255,100,100,100,255,102,102,102,255,105,105,105,255,109,109,109,255,113,113,113,255,115,115,115,255,116,116,116,255,118,118,118,255,120,120,120,255,122,122,122,255,122,122,122,255,124,124,124,255,126,126,126,255,127,127,127,255,127,127,127,255,124,124,124,255,120,120,120,255,113,113,113,255,105,105,105,255,97,97,97,255,91,91,91,255,88,88,88,255,85,85,85,255,81,81,81,255,78,78,78,255,75,75,75,255,74,74,74,255,75,75,75,255,76,76,76,255,76,76,76,255,72,72,72,255,68,68,68,255,69,69,69,255,73,73,73,255,77,77,77,255,82,82,82,255,89,89,89,255,96,96,96,255,100,100,100,255,185,185,185,255,183,183,183,255,180,180,180,255,175,175,175,255,168,168,168,255,161,161,161,255,157,157,157,255,154,154,154,255,149,149,149,255,142,142,142,255,136,136,136,255,133,133,133,255,132,132,132,255,131,131,131,255,131,131,131,255,134,134,134,255,139,139,139,255,144,144,144,255,149,149,149,255,152,152,152,255,154,154,154,255,158,158,158,255,162,162,162,255,165,165,165,255,167,167,167,255,167,167,167,255,167,167,167,255,167,167,167,255,165,165,165,255,163,163,163,255,160,160,160,255,157,157,157,255,156,156,156,255,155,155,155,255,153,153,153,255,149,149,149,255,146,146,146,255,142,142,142,255,137,137,137,255,130,130,130,255,121,121,121,255,108,108,108,255,96,96,96,255,87,87,87,255,81,81,81,255,76,76,76,255,72,72,72,255,73,73,73,255,78,78,78,255,80,80,80,255,80,80,80,255,79,79,79,255,79,79,79,255,80,80,80,255,80,80,80,255,81,81,81,255,85,85,85,255,90,90,90,255,94,94,94,255,97,97,97,255,99,99,99,255,101,101,101,255,103,103,103,255,105,105,105,255,109,109,109,255,112,112,112,255,114,114,114,255,116,116,116,255,119,119,119,255,121,121,121,255,121,121,121,255,122,122,122,255,125,125,125,255,129,129,129,255,131,131,131,255,129,129,129,255,126,126,126,255,121,121,121,255,116,116,116,255,108,108,108,255,101,101,101,255,95,95,95,255,89,89,89,255,84,84,84,255,80,80,80,255,77,77,77,255,75,75,75,255,73,73,73,255,74,74,74,255,75,75,75,255,74,74,74,255,71,71,71,255,68,68,68,255,68,68,68,255,72,72,72,255,77,77,77,255,82,82,82,255,86,86,86,255,89,89,89,255,90,90,90,255,182,182,182,255,177,177,177,255,172,172,172,255,168,168,168,255,163,163,163,255,158,158,158,255,154,154,154,255,149,149,149,255,144,144,144,255,138,138,138,255,136,136,136,255,136,136,136,255,136,136,136,255,137,137,137,255,141,141,141,255,144,144,144,255,147,147,147,255,149,149,149,255,152,152,152,255,156,156,156,255,159,159,159,255,162,162,162,255,166,166,166,255,170,170,170,255,172,172,172,255,172,172,172,255,172,172,172,255,172,172,172,255,170,170,170,255,166,166,166,255,162,162,162,255,159,159,159,255,159,159,159,255,158,158,158,255,156,156,156,255,152,152,152,255,148,148,148,255,144,144,144,255,140,140,140,255,134,134,134,255,124,124,124,255,110,110,110,255,96,96,96,255,87,87,87,255,81,81,81,255,77,77,77,255,74,74,74,255,75,75,75,255,80,80,80,255,83,83,83,255,83,83,83,255,83,83,83,255,85,85,85,255,85,85,85,255,83,83,83,255,83,83,83,255,88,88,88,255,95,95,95,255,100,100,100,255,102,102,102,255,103,103,103,255,103,103,103,255,104,104,104,255,106,106,106,255,108,108,108,255,111,111,111,255,113,113,113,255,115,115,115,255,118,118,118,255,119,119,119,255,120,120,120,255,121,121,121,255,125,125,125,255,130,130,130,255,133,133,133,255,131,131,131,255,127,127,127,255,123,123,123,255,118,118,118,255,112,112,112,255,106,106,106,255,99,99,99,255,91,91,91,255,84,84,84,255,79,79,79,255,77,77,77,255,75,75,75,255,73,73,73,255,73,73,73,255,74,74,74,255,73,73,73,255,70,70,70,255,68,68,68,255,69,69,69,255,73,73,73,255,79,79,79,255,83,83,83,255,83,83,83,255,82,82,82,255,81,81,81,255,179,179,179,255,174,174,174,255,168,168,168,255,164,164,164,255,158,158,158,255,154,154,154,255,150,150,150,255,146,146,146,255,142,142,142,255,139,139,139,255,138,138,138,255,139,139,139,255,139,139,139,255,142,142,142,255,147,147,147,255,152,152,152,255,155,155,155,255,157,157,157,255,159,159,159,255,162,162,162,255,164,164,164,255,166,166,166,255,169,169,169,255,173,173,173,255,175,175,175,255,175,175,175,255,175,175,175,255,174,174,174,255,172,172,172,255,167,167,167,255,163,163,163,255,160,160,160,255,159,159,159,255,159,159,159,255,156,156,156,255,152,152,152,255,148,148,148,255,144,144,144,255,140,140,140,255,133,133,133,255,123,123,123,255,109,109,109,255,94,94,94,255,85,85,85,255,80,80,80,255,77,77,77,255,75,75,75,255,77,77,77,255,82,82,82,255,85,85,85,255,85,85,85,255,86,86,86,255,88,88,88,255,88,88,88,255,86,86,86,255,86,86,86,255,91,91,91,255,98,98,98,255,103,103,103,255,105,105,105,255,105,105,105,255,105,105,105,255,106,106,106,255,107,107,107,255,108,108,108,255,110,110,110,255,112,112,112,255,113,113,113,255,116,116,116,255,118,118,118,255,119,119,119,255,120,120,120,255,124,124,124,255,131,131,131,255,134,134,134,255,132,132,132,255,129,129,129,255,125,125,125,255,122,122,122,255,116,116,116,255,111,111,111,255,104,104,104,255,95,95,95,255,87,87,87,255,81,81,81,255,78,78,78,255,76,76,76,255,74,74,74,255,74,74,74,255,74,74,74,255,73,73,73,255,70,70,70,255,68,68,68,255,69,69,69,255,72,72,72,255,77,77,77,255,80,80,80,255,79,79,79,255,76,76,76,255,74,74,74,255,178,178,178,255,173,173,173,255,168,168,168,255,163,163,163,255,156,156,156,255,150,150,150,255,148,148,148,255,147,147,147,255,145,145,145,255,143,143,143,255,142,142,142,255,142,142,142,255,143,143,143,255,146,146,146,255,151,151,151,255,157,157,157,255,161,161,161,255,164,164,164,255,166,166,166,255,168,168,168,255,169,169,169,255,169,169,169,255,172,172,172,255,176,176,176,255,177,177,177,255,177,177,177,255,176,176,176,255,174,174,174,255,172,172,172,255,168,168,168,255,164,164,164,255,160,160,160,255,157,157,157,255,155,155,155,255,152,152,152,255,150,150,150,255,147,147,147,255,143,143,143,255,138,138,138,255,131,131,131,255,120,120,120,255,107,107,107,255,93,93,93,255,85,85,85,255,81,81,81,255,79,79,79,255,79,79,79,255,79,79,79,255,81,81,81,255,82,82,82,255,83,83,83,255,84,84,84,255,86,86,86,255,88,88,88,255,88,88,88,255,89,89,89,255,92,92,92,255,97,97,97,255,100,100,100,255,102,102,102,255,102,102,102,255,103,103,103,255,105,105,105,255,106,106,106,255,108,108,108,255,109,109,109,255,110,110,110,255,111,111,111,255,113,113,113,255,115,115,115,255,116,116,116,255,118,118,118,255,123,123,123,255,130,130,130,255,133,133,133,255,132,132,132,255,129,129,129,255,126,126,126,255,123,123,123,255,118,118,118,255,112,112,112,255,105,105,105,255,97,97,97,255,89,89,89,255,83,83,83,255,81,81,81,255,80,80,80,255,77,77,77,255,75,75,75,255,73,73,73,255,71,71,71,255,70,70,70,255,68,68,68,255,68,68,68,255,71,71,71,255,74,74,74,255,76,76,76,255,74,74,74,255,71,71,71,255,69,69,69,255,178,178,178,255,175,175,175,255,171,171,171,255,164,164,164,255,155,155,155,255,149,149,149,255,148,148,148,255,150,150,150,255,151,151,151,255,150,150,150,255,148,148,148,255,147,147,147,255,147,147,147,255,150,150,150,255,155,155,155,255,161,161,161,255,166,166,166,255,170,170,170,255,172,172,172,255,172,172,172,255,172,172,172,255,171,171,171,255,173,173,173,255,178,178,178,255,180,180,180,255,179,179,179,255,177,177,177,255,174,174,174,255,172,172,172,255,168,168,168,255,164,164,164,255,160,160,160,255,154,154,154,255,150,150,150,255,148,148,148,255,146,146,146,255,144,144,144,255,140,140,140,255,135,135,135,255,128,128,128,255,117,117,117,255,105,105,105,255,92,92,92,255,85,85,85,255,82,82,82,255,83,83,83,255,84,84,84,255,82,82,82,255,80,80,80,255,79,79,79,255,80,80,80,255,81,81,81,255,84,84,84,255,86,86,86,255,88,88,88,255,91,91,91,255,94,94,94,255,95,95,95,255,95,95,95,255,97,97,97,255,99,99,99,255,100,100,100,255,102,102,102,255,104,104,104,255,106,106,106,255,108,108,108,255,108,108,108,255,109,109,109,255,111,111,111,255,113,113,113,255,114,114,114,255,116,116,116,255,121,121,121,255,129,129,129,255,133,133,133,255,131,131,131,255,129,129,129,255,126,126,126,255,124,124,124,255,118,118,118,255,111,111,111,255,105,105,105,255,97,97,97,255,90,90,90,255,84,84,84,255,84,84,84,255,85,85,85,255,81,81,81,255,76,76,76,255,71,71,71,255,68,68,68,255,68,68,68,255,67,67,67,255,67,67,67,255,68,68,68,255,70,70,70,255,71,71,71,255,69,69,69,255,65,65,65,255,63,63,63,255,179,179,179,255,177,177,177,255,173,173,173,255,166,166,166,255,157,157,157,255,151,151,151,255,151,151,151,255,154,154,154,255,156,156,156,255,156,156,156,255,153,153,153,255,152,152,152,255,152,152,152,255,155,155,155,255,160,160,160,255,166,166,166,255,171,171,171,255,174,174,174,255,176,176,176,255,175,175,175,255,174,174,174,255,172,172,172,255,174,174,174,255,179,179,179,255,182,182,182,255,180,180,180,255,177,177,177,255,174,174,174,255,171,171,171,255,168,168,168,255,163,163,163,255,158,158,158,255,152,152,152,255,147,147,147,255,144,144,144,255,143,143,143,255,142,142,142,255,138,138,138,255,133,133,133,255,125,125,125,255,115,115,115,255,103,103,103,255,91,91,91,255,84,84,84,255,83,83,83,255,84,84,84,255,85,85,85,255,84,84,84,255,81,81,81,255,79,79,79,255,79,79,79,255,81,81,81,255,83,83,83,255,86,86,86,255,89,89,89,255,92,92,92,255,94,94,94,255,94,94,94,255,94,94,94,255,95,95,95,255,97,97,97,255,99,99,99,255,101,101,101,255,104,104,104,255,106,106,106,255,107,107,107,255,107,107,107,255,107,107,107,255,109,109,109,255,111,111,111,255,112,112,112,255,114,114,114,255,120,120,120,255,127,127,127,255,131,131,131,255,130,130,130,255,127,127,127,255,125,125,125,255,123,123,123,255,117,117,117,255,110,110,110,255,105,105,105,255,98,98,98,255,91,91,91,255,85,85,85,255,85,85,85,255,86,86,86,255,83,83,83,255,76,76,76,255,70,70,70,255,67,67,67,255,66,66,66,255,65,65,65,255,65,65,65,255,65,65,65,255,66,66,66,255,67,67,67,255,64,64,64,255,60,60,60,255,58,58,58,255,177,177,177,255,175,175,175,255,171,171,171,255,166,166,166,255,160,160,160,255,155,155,155,255,154,154,154,255,156,156,156,255,157,157,157,255,156,156,156,255,155,155,155,255,155,155,155,255,155,155,155,255,159,159,159,255,164,164,164,255,170,170,170,255,174,174,174,255,177,177,177,255,178,178,178,255,177,177,177,255,175,175,175,255,173,173,173,255,176,176,176,255,181,181,181,255,183,183,183,255,182,182,182,255,178,178,178,255,174,174,174,255,171,171,171,255,165,165,165,255,160,160,160,255,155,155,155,255,149,149,149,255,144,144,144,255,141,141,141,255,141,141,141,255,140,140,140,255,136,136,136,255,130,130,130,255,121,121,121,255,111,111,111,255,101,101,101,255,91,91,91,255,85,85,85,255,83,83,83,255,85,85,85,255,86,86,86,255,85,85,85,255,82,82,82,255,80,80,80,255,80,80,80,255,81,81,81,255,83,83,83,255,85,85,85,255,88,88,88,255,90,90,90,255,93,93,93,255,95,95,95,255,97,97,97,255,98,98,98,255,98,98,98,255,98,98,98,255,100,100,100,255,103,103,103,255,105,105,105,255,106,106,106,255,107,107,107,255,107,107,107,255,109,109,109,255,111,111,111,255,112,112,112,255,113,113,113,255,118,118,118,255,124,124,124,255,127,127,127,255,126,126,126,255,123,123,123,255,121,121,121,255,120,120,120,255,116,116,116,255,112,112,112,255,107,107,107,255,100,100,100,255,94,94,94,255,88,88,88,255,86,86,86,255,86,86,86,255,82,82,82,255,74,74,74,255,67,67,67,255,63,63,63,255,61,61,61,255,60,60,60,255,59,59,59,255,60,60,60,255,63,63,63,255,64,64,64,255,60,60,60,255,55,55,55,255,52,52,52,255,174,174,174,255,172,172,172,255,169,169,169,255,165,165,165,255,162,162,162,255,160,160,160,255,159,159,159,255,157,157,157,255,155,155,155,255,155,155,155,255,155,155,155,255,156,156,156,255,157,157,157,255,161,161,161,255,167,167,167,255,172,172,172,255,176,176,176,255,178,178,178,255,178,178,178,255,177,177,177,255,176,176,176,255,174,174,174,255,177,177,177,255,183,183,183,255,186,186,186,255,184,184,184,255,179,179,179,255,175,175,175,255,170,170,170,255,163,163,163,255,156,156,156,255,150,150,150,255,145,145,145,255,140,140,140,255,137,137,137,255,138,138,138,255,139,139,139,255,135,135,135,255,127,127,127,255,116,116,116,255,107,107,107,255,98,98,98,255,91,91,91,255,86,86,86,255,84,84,84,255,85,85,85,255,87,87,87,255,85,85,85,255,83,83,83,255,81,81,81,255,81,81,81,255,81,81,81,255,81,81,81,255,82,82,82,255,85,85,85,255,87,87,87,255,91,91,91,255,96,96,96,255,100,100,100,255,101,101,101,255,98,98,98,255,96,96,96,255,98,98,98,255,101,101,101,255,104,104,104,255,105,105,105,255,106,106,106,255,107,107,107,255,109,109,109,255,110,110,110,255,110,110,110,255,111,111,111,255,115,115,115,255,120,120,120,255,122,122,122,255,120,120,120,255,116,116,116,255,114,114,114,255,115,115,115,255,115,115,115,255,114,114,114,255,109,109,109,255,103,103,103,255,97,97,97,255,91,91,91,255,88,88,88,255,85,85,85,255,80,80,80,255,71,71,71,255,63,63,63,255,58,58,58,255,56,56,56,255,54,54,54,255,53,53,53,255,55,55,55,255,59,59,59,255,61,61,61,255,56,56,56,255,49,49,49,255,45,45,45,255,173,173,173,255,172,172,172,255,170,170,170,255,167,167,167,255,165,165,165,255,164,164,164,255,163,163,163,255,160,160,160,255,157,157,157,255,157,157,157,255,158,158,158,255,159,159,159,255,160,160,160,255,164,164,164,255,170,170,170,255,175,175,175,255,178,178,178,255,180,180,180,255,179,179,179,255,178,178,178,255,176,176,176,255,175,175,175,255,178,178,178,255,185,185,185,255,188,188,188,255,186,186,186,255,181,181,181,255,176,176,176,255,170,170,170,255,161,161,161,255,153,153,153,255,148,148,148,255,142,142,142,255,136,136,136,255,133,133,133,255,134,134,134,255,136,136,136,255,132,132,132,255,123,123,123,255,112,112,112,255,104,104,104,255,97,97,97,255,91,91,91,255,87,87,87,255,85,85,85,255,86,86,86,255,88,88,88,255,86,86,86,255,83,83,83,255,82,82,82,255,81,81,81,255,80,80,80,255,80,80,80,255,80,80,80,255,82,82,82,255,84,84,84,255,88,88,88,255,94,94,94,255,99,99,99,255,99,99,99,255,96,96,96,255,93,93,93,255,94,94,94,255,97,97,97,255,100,100,100,255,102,102,102,255,103,103,103,255,104,104,104,255,106,106,106,255,107,107,107,255,107,107,107,255,108,108,108,255,111,111,111,255,115,115,115,255,117,117,117,255,115,115,115,255,111,111,111,255,109,109,109,255,111,111,111,255,113,113,113,255,113,113,113,255,109,109,109,255,103,103,103,255,97,97,97,255,91,91,91,255,88,88,88,255,84,84,84,255,79,79,79,255,70,70,70,255,60,60,60,255,55,55,55,255,52,52,52,255,50,50,50,255,48,48,48,255,51,51,51,255,56,56,56,255,57,57,57,255,52,52,52,255,44,44,44,255,41,41,41,255,174,174,174,255,173,173,173,255,171,171,171,255,169,169,169,255,167,167,167,255,167,167,167,255,166,166,166,255,165,165,165,255,164,164,164,255,164,164,164,255,163,163,163,255,162,162,162,255,164,164,164,255,168,168,168,255,174,174,174,255,178,178,178,255,181,181,181,255,182,182,182,255,182,182,182,255,180,180,180,255,178,178,178,255,177,177,177,255,180,180,180,255,186,186,186,255,189,189,189,255,186,186,186,255,180,180,180,255,174,174,174,255,169,169,169,255,162,162,162,255,155,155,155,255,149,149,149,255,143,143,143,255,136,136,136,255,132,132,132,255,131,131,131,255,131,131,131,255,127,127,127,255,118,118,118,255,107,107,107,255,100,100,100,255,95,95,95,255,90,90,90,255,86,86,86,255,86,86,86,255,88,88,88,255,90,90,90,255,88,88,88,255,84,84,84,255,82,82,82,255,82,82,82,255,81,81,81,255,80,80,80,255,80,80,80,255,81,81,81,255,83,83,83,255,86,86,86,255,91,91,91,255,95,95,95,255,95,95,95,255,93,93,93,255,91,91,91,255,92,92,92,255,95,95,95,255,97,97,97,255,98,98,98,255,100,100,100,255,102,102,102,255,104,104,104,255,105,105,105,255,106,106,106,255,108,108,108,255,111,111,111,255,114,114,114,255,115,115,115,255,114,114,114,255,111,111,111,255,110,110,110,255,111,111,111,255,111,111,111,255,110,110,110,255,106,106,106,255,101,101,101,255,96,96,96,255,90,90,90,255,87,87,87,255,84,84,84,255,78,78,78,255,69,69,69,255,60,60,60,255,55,55,55,255,53,53,53,255,51,51,51,255,49,49,49,255,49,49,49,255,51,51,51,255,51,51,51,255,47,47,47,255,42,42,42,255,40,40,40,255,174,174,174,255,173,173,173,255,171,171,171,255,169,169,169,255,168,168,168,255,168,168,168,255,168,168,168,255,171,171,171,255,172,172,172,255,171,171,171,255,168,168,168,255,165,165,165,255,166,166,166,255,171,171,171,255,177,177,177,255,181,181,181,255,184,184,184,255,186,186,186,255,185,185,185,255,183,183,183,255,181,181,181,255,180,180,180,255,182,182,182,255,186,186,186,255,188,188,188,255,185,185,185,255,178,178,178,255,171,171,171,255,167,167,167,255,163,163,163,255,158,158,158,255,152,152,152,255,145,145,145,255,139,139,139,255,133,133,133,255,130,130,130,255,128,128,128,255,123,123,123,255,113,113,113,255,102,102,102,255,96,96,96,255,91,91,91,255,87,87,87,255,83,83,83,255,85,85,85,255,89,89,89,255,92,92,92,255,89,89,89,255,83,83,83,255,81,81,81,255,81,81,81,255,82,82,82,255,81,81,81,255,80,80,80,255,81,81,81,255,82,82,82,255,85,85,85,255,89,89,89,255,92,92,92,255,92,92,92,255,91,91,91,255,90,90,90,255,92,92,92,255,94,94,94,255,95,95,95,255,96,96,96,255,98,98,98,255,101,101,101,255,103,103,103,255,106,106,106,255,108,108,108,255,110,110,110,255,112,112,112,255,114,114,114,255,115,115,115,255,114,114,114,255,113,113,113,255,113,113,113,255,113,113,113,255,111,111,111,255,107,107,107,255,103,103,103,255,99,99,99,255,95,95,95,255,89,89,89,255,86,86,86,255,83,83,83,255,77,77,77,255,70,70,70,255,62,62,62,255,57,57,57,255,55,55,55,255,54,54,54,255,52,52,52,255,49,49,49,255,45,45,45,255,44,44,44,255,42,42,42,255,42,42,42,255,41,41,41,255,174,174,174,255,172,172,172,255,170,170,170,255,169,169,169,255,168,168,168,255,168,168,168,255,169,169,169,255,173,173,173,255,176,176,176,255,175,175,175,255,170,170,170,255,166,166,166,255,167,167,167,255,172,172,172,255,178,178,178,255,182,182,182,255,186,186,186,255,187,187,187,255,187,187,187,255,184,184,184,255,182,182,182,255,181,181,181,255,183,183,183,255,186,186,186,255,187,187,187,255,184,184,184,255,177,177,177,255,170,170,170,255,166,166,166,255,163,163,163,255,160,160,160,255,154,154,154,255,147,147,147,255,140,140,140,255,134,134,134,255,129,129,129,255,126,126,126,255,121,121,121,255,111,111,111,255,100,100,100,255,94,94,94,255,89,89,89,255,86,86,86,255,82,82,82,255,84,84,84,255,90,90,90,255,93,93,93,255,90,90,90,255,83,83,83,255,80,80,80,255,81,81,81,255,82,82,82,255,82,82,82,255,81,81,81,255,81,81,81,255,83,83,83,255,85,85,85,255,88,88,88,255,90,90,90,255,91,91,91,255,90,90,90,255,91,91,91,255,92,92,92,255,93,93,93,255,94,94,94,255,95,95,95,255,98,98,98,255,101,101,101,255,104,104,104,255,106,106,106,255,110,110,110,255,112,112,112,255,114,114,114,255,115,115,115,255,115,115,115,255,115,115,115,255,115,115,115,255,115,115,115,255,115,115,115,255,111,111,111,255,106,106,106,255,102,102,102,255,98,98,98,255,94,94,94,255,89,89,89,255,85,85,85,255,82,82,82,255,77,77,77,255,70,70,70,255,62,62,62,255,57,57,57,255,56,56,56,255,56,56,56,255,54,54,54,255,49,49,49,255,43,43,43,255,40,40,40,255,40,40,40,255,42,42,42,255,42,42,42,255,173,173,173,255,172,172,172,255,171,171,171,255,169,169,169,255,168,168,168,255,168,168,168,255,169,169,169,255,173,173,173,255,175,175,175,255,174,174,174,255,170,170,170,255,167,167,167,255,168,168,168,255,172,172,172,255,177,177,177,255,181,181,181,255,185,185,185,255,187,187,187,255,187,187,187,255,185,185,185,255,183,183,183,255,183,183,183,255,184,184,184,255,186,186,186,255,187,187,187,255,184,184,184,255,178,178,178,255,172,172,172,255,168,168,168,255,164,164,164,255,159,159,159,255,153,153,153,255,147,147,147,255,140,140,140,255,133,133,133,255,129,129,129,255,126,126,126,255,121,121,121,255,112,112,112,255,101,101,101,255,96,96,96,255,92,92,92,255,89,89,89,255,86,86,86,255,86,86,86,255,89,89,89,255,91,91,91,255,89,89,89,255,84,84,84,255,82,82,82,255,82,82,82,255,82,82,82,255,81,81,81,255,80,80,80,255,80,80,80,255,81,81,81,255,84,84,84,255,87,87,87,255,90,90,90,255,91,91,91,255,91,91,91,255,92,92,92,255,93,93,93,255,94,94,94,255,95,95,95,255,95,95,95,255,98,98,98,255,102,102,102,255,104,104,104,255,106,106,106,255,108,108,108,255,110,110,110,255,112,112,112,255,113,113,113,255,114,114,114,255,114,114,114,255,115,115,115,255,116,116,116,255,116,116,116,255,111,111,111,255,105,105,105,255,102,102,102,255,99,99,99,255,95,95,95,255,90,90,90,255,86,86,86,255,82,82,82,255,77,77,77,255,71,71,71,255,65,65,65,255,60,60,60,255,58,58,58,255,57,57,57,255,55,55,55,255,50,50,50,255,45,45,45,255,43,43,43,255,42,42,42,255,42,42,42,255,42,42,42,255,171,171,171,255,171,171,171,255,171,171,171,255,170,170,170,255,169,169,169,255,169,169,169,255,170,170,170,255,172,172,172,255,173,173,173,255,172,172,172,255,169,169,169,255,167,167,167,255,168,168,168,255,171,171,171,255,175,175,175,255,178,178,178,255,183,183,183,255,186,186,186,255,186,186,186,255,186,186,186,255,186,186,186,255,185,185,185,255,185,185,185,255,186,186,186,255,186,186,186,255,184,184,184,255,180,180,180,255,176,176,176,255,172,172,172,255,165,165,165,255,159,159,159,255,153,153,153,255,146,146,146,255,139,139,139,255,133,133,133,255,128,128,128,255,125,125,125,255,120,120,120,255,112,112,112,255,104,104,104,255,99,99,99,255,97,97,97,255,96,96,96,255,93,93,93,255,90,90,90,255,88,88,88,255,87,87,87,255,87,87,87,255,86,86,86,255,86,86,86,255,85,85,85,255,83,83,83,255,81,81,81,255,79,79,79,255,78,78,78,255,78,78,78,255,81,81,81,255,86,86,86,255,90,90,90,255,92,92,92,255,93,93,93,255,94,94,94,255,96,96,96,255,96,96,96,255,96,96,96,255,97,97,97,255,100,100,100,255,104,104,104,255,106,106,106,255,105,105,105,255,104,104,104,255,105,105,105,255,108,108,108,255,111,111,111,255,112,112,112,255,114,114,114,255,117,117,117,255,119,119,119,255,117,117,117,255,110,110,110,255,104,104,104,255,101,101,101,255,101,101,101,255,99,99,99,255,94,94,94,255,88,88,88,255,83,83,83,255,78,78,78,255,75,75,75,255,71,71,71,255,66,66,66,255,63,63,63,255,60,60,60,255,57,57,57,255,53,53,53,255,50,50,50,255,48,48,48,255,46,46,46,255,44,44,44,255,43,43,43,255,167,167,167,255,169,169,169,255,170,170,170,255,169,169,169,255,169,169,169,255,169,169,169,255,169,169,169,255,170,170,170,255,170,170,170,255,169,169,169,255,167,167,167,255,166,166,166,255,167,167,167,255,169,169,169,255,171,171,171,255,174,174,174,255,179,179,179,255,183,183,183,255,184,184,184,255,184,184,184,255,184,184,184,255,184,184,184,255,184,184,184,255,183,183,183,255,183,183,183,255,182,182,182,255,180,180,180,255,178,178,178,255,174,174,174,255,166,166,166,255,159,159,159,255,153,153,153,255,146,146,146,255,139,139,139,255,132,132,132,255,127,127,127,255,124,124,124,255,119,119,119,255,113,113,113,255,106,106,106,255,103,103,103,255,102,102,102,255,103,103,103,255,101,101,101,255,95,95,95,255,90,90,90,255,87,87,87,255,87,87,87,255,89,89,89,255,89,89,89,255,88,88,88,255,84,84,84,255,81,81,81,255,79,79,79,255,77,77,77,255,77,77,77,255,80,80,80,255,86,86,86,255,91,91,91,255,93,93,93,255,95,95,95,255,97,97,97,255,99,99,99,255,99,99,99,255,99,99,99,255,100,100,100,255,103,103,103,255,107,107,107,255,109,109,109,255,107,107,107,255,103,103,103,255,104,104,104,255,107,107,107,255,111,111,111,255,113,113,113,255,115,115,115,255,119,119,119,255,122,122,122,255,119,119,119,255,111,111,111,255,104,104,104,255,102,102,102,255,103,103,103,255,103,103,103,255,99,99,99,255,93,93,93,255,86,86,86,255,82,82,82,255,80,80,80,255,78,78,78,255,73,73,73,255,68,68,68,255,63,63,63,255,60,60,60,255,57,57,57,255,54,54,54,255,52,52,52,255,50,50,50,255,46,46,46,255,45,45,45,255,164,164,164,255,166,166,166,255,166,166,166,255,166,166,166,255,166,166,166,255,166,166,166,255,166,166,166,255,167,167,167,255,167,167,167,255,166,166,166,255,164,164,164,255,163,163,163,255,163,163,163,255,165,165,165,255,167,167,167,255,169,169,169,255,173,173,173,255,177,177,177,255,178,178,178,255,178,178,178,255,178,178,178,255,178,178,178,255,177,177,177,255,177,177,177,255,177,177,177,255,177,177,177,255,177,177,177,255,176,176,176,255,173,173,173,255,166,166,166,255,159,159,159,255,153,153,153,255,147,147,147,255,140,140,140,255,133,133,133,255,126,126,126,255,122,122,122,255,118,118,118,255,113,113,113,255,109,109,109,255,106,106,106,255,107,107,107,255,107,107,107,255,106,106,106,255,101,101,101,255,95,95,95,255,92,92,92,255,91,91,91,255,91,91,91,255,91,91,91,255,90,90,90,255,87,87,87,255,83,83,83,255,81,81,81,255,80,80,80,255,80,80,80,255,82,82,82,255,87,87,87,255,91,91,91,255,94,94,94,255,97,97,97,255,100,100,100,255,102,102,102,255,102,102,102,255,102,102,102,255,104,104,104,255,107,107,107,255,110,110,110,255,111,111,111,255,109,109,109,255,107,107,107,255,108,108,108,255,111,111,111,255,114,114,114,255,116,116,116,255,117,117,117,255,120,120,120,255,121,121,121,255,118,118,118,255,111,111,111,255,105,105,105,255,104,104,104,255,105,105,105,255,106,106,106,255,103,103,103,255,99,99,99,255,94,94,94,255,90,90,90,255,87,87,87,255,84,84,84,255,77,77,77,255,71,71,71,255,65,65,65,255,62,62,62,255,59,59,59,255,57,57,57,255,56,56,56,255,53,53,53,255,49,49,49,255,48,48,48,255,163,163,163,255,162,162,162,255,162,162,162,255,162,162,162,255,161,161,161,255,160,160,160,255,161,161,161,255,162,162,162,255,163,163,163,255,161,161,161,255,160,160,160,255,159,159,159,255,160,160,160,255,160,160,160,255,161,161,161,255,163,163,163,255,167,167,167,255,171,171,171,255,173,173,173,255,171,171,171,255,168,168,168,255,167,167,167,255,167,167,167,255,168,168,168,255,169,169,169,255,170,170,170,255,174,174,174,255,176,176,176,255,173,173,173,255,166,166,166,255,158,158,158,255,152,152,152,255,148,148,148,255,142,142,142,255,134,134,134,255,125,125,125,255,118,118,118,255,115,115,115,255,113,113,113,255,113,113,113,255,112,112,112,255,113,113,113,255,113,113,113,255,111,111,111,255,108,108,108,255,104,104,104,255,101,101,101,255,98,98,98,255,95,95,95,255,94,94,94,255,93,93,93,255,91,91,91,255,88,88,88,255,86,86,86,255,87,87,87,255,88,88,88,255,89,89,89,255,90,90,90,255,92,92,92,255,95,95,95,255,99,99,99,255,103,103,103,255,105,105,105,255,105,105,105,255,106,106,106,255,107,107,107,255,108,108,108,255,110,110,110,255,110,110,110,255,111,111,111,255,111,111,111,255,113,113,113,255,115,115,115,255,117,117,117,255,118,118,118,255,118,118,118,255,117,117,117,255,116,116,116,255,114,114,114,255,110,110,110,255,106,106,106,255,105,105,105,255,106,106,106,255,106,106,106,255,105,105,105,255,105,105,105,255,104,104,104,255,100,100,100,255,95,95,95,255,90,90,90,255,82,82,82,255,74,74,74,255,65,65,65,255,61,61,61,255,60,60,60,255,61,61,61,255,61,61,61,255,57,57,57,255,53,53,53,255,51,51,51,255,161,161,161,255,159,159,159,255,158,158,158,255,157,157,157,255,156,156,156,255,155,155,155,255,155,155,155,255,157,157,157,255,158,158,158,255,156,156,156,255,155,155,155,255,154,154,154,255,155,155,155,255,155,155,155,255,155,155,155,255,157,157,157,255,161,161,161,255,166,166,166,255,168,168,168,255,166,166,166,255,161,161,161,255,159,159,159,255,161,161,161,255,163,163,163,255,164,164,164,255,166,166,166,255,172,172,172,255,176,176,176,255,173,173,173,255,165,165,165,255,157,157,157,255,152,152,152,255,148,148,148,255,143,143,143,255,135,135,135,255,125,125,125,255,116,116,116,255,113,113,113,255,114,114,114,255,116,116,116,255,117,117,117,255,117,117,117,255,117,117,117,255,116,116,116,255,114,114,114,255,111,111,111,255,108,108,108,255,105,105,105,255,101,101,101,255,99,99,99,255,98,98,98,255,96,96,96,255,93,93,93,255,91,91,91,255,93,93,93,255,96,96,96,255,96,96,96,255,94,94,94,255,94,94,94,255,97,97,97,255,101,101,101,255,105,105,105,255,107,107,107,255,108,108,108,255,108,108,108,255,109,109,109,255,110,110,110,255,110,110,110,255,110,110,110,255,111,111,111,255,113,113,113,255,116,116,116,255,117,117,117,255,118,118,118,255,119,119,119,255,117,117,117,255,115,115,115,255,112,112,112,255,111,111,111,255,109,109,109,255,107,107,107,255,107,107,107,255,107,107,107,255,107,107,107,255,108,108,108,255,110,110,110,255,112,112,112,255,108,108,108,255,102,102,102,255,95,95,95,255,87,87,87,255,77,77,77,255,67,67,67,255,62,62,62,255,62,62,62,255,65,65,65,255,65,65,65,255,62,62,62,255,57,57,57,255,55,55,55,255,157,157,157,255,155,155,155,255,154,154,154,255,153,153,153,255,152,152,152,255,151,151,151,255,151,151,151,255,152,152,152,255,152,152,152,255,150,150,150,255,149,149,149,255,148,148,148,255,149,149,149,255,149,149,149,255,149,149,149,255,152,152,152,255,156,156,156,255,161,161,161,255,164,164,164,255,163,163,163,255,159,159,159,255,159,159,159,255,160,160,160,255,162,162,162,255,163,163,163,255,165,165,165,255,170,170,170,255,173,173,173,255,171,171,171,255,164,164,164,255,156,156,156,255,151,151,151,255,147,147,147,255,142,142,142,255,134,134,134,255,125,125,125,255,118,118,118,255,114,114,114,255,115,115,115,255,118,118,118,255,118,118,118,255,118,118,118,255,118,118,118,255,118,118,118,255,117,117,117,255,115,115,115,255,114,114,114,255,110,110,110,255,106,106,106,255,104,104,104,255,104,104,104,255,101,101,101,255,98,98,98,255,96,96,96,255,98,98,98,255,100,100,100,255,100,100,100,255,98,98,98,255,98,98,98,255,101,101,101,255,105,105,105,255,109,109,109,255,110,110,110,255,111,111,111,255,110,110,110,255,111,111,111,255,111,111,111,255,110,110,110,255,110,110,110,255,110,110,110,255,112,112,112,255,113,113,113,255,115,115,115,255,116,116,116,255,117,117,117,255,116,116,116,255,113,113,113,255,111,111,111,255,110,110,110,255,109,109,109,255,109,109,109,255,109,109,109,255,110,110,110,255,112,112,112,255,112,112,112,255,114,114,114,255,115,115,115,255,111,111,111,255,106,106,106,255,99,99,99,255,92,92,92,255,82,82,82,255,72,72,72,255,67,67,67,255,68,68,68,255,70,70,70,255,70,70,70,255,67,67,67,255,63,63,63,255,61,61,61,255,153,153,153,255,152,152,152,255,150,150,150,255,150,150,150,255,151,151,151,255,152,152,152,255,150,150,150,255,148,148,148,255,145,145,145,255,143,143,143,255,143,143,143,255,143,143,143,255,143,143,143,255,143,143,143,255,144,144,144,255,146,146,146,255,150,150,150,255,154,154,154,255,157,157,157,255,159,159,159,255,159,159,159,255,160,160,160,255,161,161,161,255,162,162,162,255,163,163,163,255,163,163,163,255,165,165,165,255,166,166,166,255,165,165,165,255,161,161,161,255,155,155,155,255,150,150,150,255,145,145,145,255,139,139,139,255,132,132,132,255,126,126,126,255,122,122,122,255,119,119,119,255,118,118,118,255,118,118,118,255,118,118,118,255,117,117,117,255,114,114,114,255,114,114,114,255,116,116,116,255,118,118,118,255,118,118,118,255,115,115,115,255,111,111,111,255,109,109,109,255,108,108,108,255,105,105,105,255,102,102,102,255,101,101,101,255,103,103,103,255,105,105,105,255,105,105,105,255,104,104,104,255,104,104,104,255,107,107,107,255,111,111,111,255,114,114,114,255,115,115,115,255,114,114,114,255,112,112,112,255,112,112,112,255,111,111,111,255,109,109,109,255,108,108,108,255,107,107,107,255,107,107,107,255,108,108,108,255,110,110,110,255,112,112,112,255,114,114,114,255,112,112,112,255,110,110,110,255,108,108,108,255,108,108,108,255,109,109,109,255,109,109,109,255,111,111,111,255,115,115,115,255,118,118,118,255,118,118,118,255,116,116,116,255,113,113,113,255,109,109,109,255,106,106,106,255,102,102,102,255,96,96,96,255,88,88,88,255,80,80,80,255,76,76,76,255,75,75,75,255,76,76,76,255,75,75,75,255,73,73,73,255,71,71,71,255,70,70,70,255,149,149,149,255,148,148,148,255,147,147,147,255,147,147,147,255,150,150,150,255,151,151,151,255,149,149,149,255,143,143,143,255,139,139,139,255,137,137,137,255,138,138,138,255,138,138,138,255,138,138,138,255,138,138,138,255,139,139,139,255,142,142,142,255,145,145,145,255,148,148,148,255,152,152,152,255,156,156,156,255,159,159,159,255,161,161,161,255,162,162,162,255,162,162,162,255,162,162,162,255,161,161,161,255,160,160,160,255,160,160,160,255,160,160,160,255,158,158,158,255,154,154,154,255,148,148,148,255,142,142,142,255,136,136,136,255,130,130,130,255,127,127,127,255,126,126,126,255,123,123,123,255,121,121,121,255,119,119,119,255,118,118,118,255,114,114,114,255,110,110,110,255,110,110,110,255,113,113,113,255,119,119,119,255,120,120,120,255,118,118,118,255,114,114,114,255,112,112,112,255,111,111,111,255,108,108,108,255,105,105,105,255,105,105,105,255,108,108,108,255,110,110,110,255,110,110,110,255,110,110,110,255,111,111,111,255,114,114,114,255,117,117,117,255,120,120,120,255,121,121,121,255,119,119,119,255,115,115,115,255,113,113,113,255,111,111,111,255,108,108,108,255,106,106,106,255,105,105,105,255,103,103,103,255,103,103,103,255,105,105,105,255,108,108,108,255,110,110,110,255,109,109,109,255,106,106,106,255,105,105,105,255,106,106,106,255,108,108,108,255,109,109,109,255,112,112,112,255,118,118,118,255,123,123,123,255,123,123,123,255,117,117,117,255,110,110,110,255,106,106,106,255,106,106,106,255,105,105,105,255,101,101,101,255,95,95,95,255,89,89,89,255,85,85,85,255,83,83,83,255,83,83,83,255,82,82,82,255,80,80,80,255,79,79,79,255,79,79,79,255,147,147,147,255,145,145,145,255,144,144,144,255,143,143,143,255,145,145,145,255,146,146,146,255,144,144,144,255,139,139,139,255,135,135,135,255,134,134,134,255,134,134,134,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,138,138,138,255,141,141,141,255,144,144,144,255,148,148,148,255,153,153,153,255,156,156,156,255,158,158,158,255,159,159,159,255,160,160,160,255,160,160,160,255,159,159,159,255,158,158,158,255,157,157,157,255,157,157,157,255,156,156,156,255,152,152,152,255,147,147,147,255,142,142,142,255,136,136,136,255,130,130,130,255,128,128,128,255,126,126,126,255,124,124,124,255,121,121,121,255,119,119,119,255,117,117,117,255,113,113,113,255,108,108,108,255,108,108,108,255,113,113,113,255,119,119,119,255,121,121,121,255,119,119,119,255,116,116,116,255,115,115,115,255,113,113,113,255,111,111,111,255,109,109,109,255,110,110,110,255,113,113,113,255,116,116,116,255,115,115,115,255,115,115,115,255,117,117,117,255,119,119,119,255,123,123,123,255,126,126,126,255,127,127,127,255,124,124,124,255,120,120,120,255,116,116,116,255,113,113,113,255,109,109,109,255,107,107,107,255,104,104,104,255,102,102,102,255,101,101,101,255,102,102,102,255,105,105,105,255,107,107,107,255,106,106,106,255,104,104,104,255,103,103,103,255,104,104,104,255,107,107,107,255,109,109,109,255,112,112,112,255,118,118,118,255,122,122,122,255,122,122,122,255,117,117,117,255,110,110,110,255,107,107,107,255,107,107,107,255,108,108,108,255,106,106,106,255,102,102,102,255,97,97,97,255,93,93,93,255,91,91,91,255,91,91,91,255,88,88,88,255,86,86,86,255,85,85,85,255,84,84,84,255,145,145,145,255,143,143,143,255,140,140,140,255,139,139,139,255,140,140,140,255,141,141,141,255,139,139,139,255,135,135,135,255,133,133,133,255,132,132,132,255,133,133,133,255,134,134,134,255,133,133,133,255,132,132,132,255,131,131,131,255,133,133,133,255,136,136,136,255,140,140,140,255,144,144,144,255,148,148,148,255,150,150,150,255,153,153,153,255,155,155,155,255,157,157,157,255,158,158,158,255,157,157,157,255,155,155,155,255,155,155,155,255,155,155,155,255,153,153,153,255,150,150,150,255,146,146,146,255,143,143,143,255,139,139,139,255,134,134,134,255,127,127,127,255,122,122,122,255,119,119,119,255,118,118,118,255,117,117,117,255,115,115,115,255,111,111,111,255,108,108,108,255,108,108,108,255,113,113,113,255,118,118,118,255,121,121,121,255,121,121,121,255,120,120,120,255,120,120,120,255,118,118,118,255,114,114,114,255,112,112,112,255,114,114,114,255,117,117,117,255,119,119,119,255,118,118,118,255,118,118,118,255,119,119,119,255,122,122,122,255,126,126,126,255,130,130,130,255,131,131,131,255,129,129,129,255,125,125,125,255,121,121,121,255,117,117,117,255,112,112,112,255,109,109,109,255,106,106,106,255,102,102,102,255,100,100,100,255,101,101,101,255,105,105,105,255,107,107,107,255,106,106,106,255,103,103,103,255,103,103,103,255,105,105,105,255,107,107,107,255,110,110,110,255,112,112,112,255,115,115,115,255,117,117,117,255,117,117,117,255,115,115,115,255,112,112,112,255,109,109,109,255,110,110,110,255,112,112,112,255,111,111,111,255,109,109,109,255,106,106,106,255,103,103,103,255,100,100,100,255,98,98,98,255,95,95,95,255,90,90,90,255,85,85,85,255,83,83,83,255,144,144,144,255,141,141,141,255,137,137,137,255,136,136,136,255,137,137,137,255,138,138,138,255,136,136,136,255,134,134,134,255,132,132,132,255,132,132,132,255,132,132,132,255,132,132,132,255,131,131,131,255,129,129,129,255,127,127,127,255,129,129,129,255,132,132,132,255,135,135,135,255,139,139,139,255,142,142,142,255,145,145,145,255,147,147,147,255,150,150,150,255,153,153,153,255,155,155,155,255,154,154,154,255,152,152,152,255,151,151,151,255,152,152,152,255,151,151,151,255,148,148,148,255,145,145,145,255,144,144,144,255,142,142,142,255,136,136,136,255,126,126,126,255,117,117,117,255,114,114,114,255,115,115,115,255,115,115,115,255,113,113,113,255,110,110,110,255,108,108,108,255,109,109,109,255,113,113,113,255,118,118,118,255,120,120,120,255,122,122,122,255,123,123,123,255,124,124,124,255,121,121,121,255,116,116,116,255,114,114,114,255,115,115,115,255,118,118,118,255,120,120,120,255,119,119,119,255,118,118,118,255,119,119,119,255,122,122,122,255,127,127,127,255,132,132,132,255,134,134,134,255,133,133,133,255,129,129,129,255,125,125,125,255,119,119,119,255,114,114,114,255,111,111,111,255,107,107,107,255,102,102,102,255,99,99,99,255,101,101,101,255,106,106,106,255,108,108,108,255,107,107,107,255,104,104,104,255,103,103,103,255,105,105,105,255,108,108,108,255,110,110,110,255,112,112,112,255,112,112,112,255,112,112,112,255,113,113,113,255,114,114,114,255,114,114,114,255,112,112,112,255,113,113,113,255,115,115,115,255,115,115,115,255,114,114,114,255,113,113,113,255,110,110,110,255,107,107,107,255,104,104,104,255,100,100,100,255,93,93,93,255,85,85,85,255,82,82,82,255,145,145,145,255,141,141,141,255,138,138,138,255,136,136,136,255,137,137,137,255,138,138,138,255,135,135,135,255,133,133,133,255,132,132,132,255,131,131,131,255,131,131,131,255,131,131,131,255,130,130,130,255,127,127,127,255,126,126,126,255,127,127,127,255,129,129,129,255,132,132,132,255,136,136,136,255,139,139,139,255,141,141,141,255,143,143,143,255,146,146,146,255,150,150,150,255,152,152,152,255,151,151,151,255,149,149,149,255,148,148,148,255,149,149,149,255,148,148,148,255,146,146,146,255,142,142,142,255,141,141,141,255,139,139,139,255,134,134,134,255,124,124,124,255,115,115,115,255,112,112,112,255,113,113,113,255,114,114,114,255,112,112,112,255,109,109,109,255,108,108,108,255,109,109,109,255,113,113,113,255,117,117,117,255,120,120,120,255,121,121,121,255,123,123,123,255,123,123,123,255,121,121,121,255,116,116,116,255,114,114,114,255,116,116,116,255,119,119,119,255,120,120,120,255,119,119,119,255,118,118,118,255,118,118,118,255,121,121,121,255,127,127,127,255,131,131,131,255,133,133,133,255,132,132,132,255,129,129,129,255,124,124,124,255,119,119,119,255,114,114,114,255,110,110,110,255,106,106,106,255,101,101,101,255,98,98,98,255,100,100,100,255,105,105,105,255,107,107,107,255,106,106,106,255,103,103,103,255,102,102,102,255,104,104,104,255,107,107,107,255,110,110,110,255,112,112,112,255,112,112,112,255,112,112,112,255,113,113,113,255,115,115,115,255,115,115,115,255,113,113,113,255,114,114,114,255,116,116,116,255,116,116,116,255,116,116,116,255,115,115,115,255,112,112,112,255,109,109,109,255,106,106,106,255,102,102,102,255,96,96,96,255,88,88,88,255,85,85,85,255,149,149,149,255,144,144,144,255,139,139,139,255,137,137,137,255,138,138,138,255,137,137,137,255,135,135,135,255,132,132,132,255,130,130,130,255,129,129,129,255,130,130,130,255,131,131,131,255,130,130,130,255,128,128,128,255,127,127,127,255,129,129,129,255,131,131,131,255,133,133,133,255,137,137,137,255,139,139,139,255,141,141,141,255,142,142,142,255,146,146,146,255,151,151,151,255,153,153,153,255,152,152,152,255,149,149,149,255,148,148,148,255,148,148,148,255,147,147,147,255,144,144,144,255,140,140,140,255,136,136,136,255,132,132,132,255,127,127,127,255,120,120,120,255,115,115,115,255,112,112,112,255,113,113,113,255,113,113,113,255,112,112,112,255,110,110,110,255,109,109,109,255,110,110,110,255,114,114,114,255,117,117,117,255,120,120,120,255,120,120,120,255,118,118,118,255,118,118,118,255,117,117,117,255,117,117,117,255,117,117,117,255,118,118,118,255,121,121,121,255,122,122,122,255,121,121,121,255,119,119,119,255,119,119,119,255,121,121,121,255,124,124,124,255,126,126,126,255,127,127,127,255,128,128,128,255,127,127,127,255,123,123,123,255,118,118,118,255,112,112,112,255,109,109,109,255,106,106,106,255,103,103,103,255,100,100,100,255,101,101,101,255,104,104,104,255,105,105,105,255,104,104,104,255,101,101,101,255,100,100,100,255,103,103,103,255,105,105,105,255,108,108,108,255,110,110,110,255,112,112,112,255,113,113,113,255,114,114,114,255,116,116,116,255,116,116,116,255,115,115,115,255,114,114,114,255,114,114,114,255,113,113,113,255,111,111,111,255,109,109,109,255,106,106,106,255,104,104,104,255,101,101,101,255,99,99,99,255,96,96,96,255,92,92,92,255,90,90,90,255,153,153,153,255,146,146,146,255,140,140,140,255,139,139,139,255,139,139,139,255,138,138,138,255,135,135,135,255,132,132,132,255,129,129,129,255,128,128,128,255,130,130,130,255,131,131,131,255,130,130,130,255,129,129,129,255,129,129,129,255,131,131,131,255,133,133,133,255,135,135,135,255,139,139,139,255,141,141,141,255,141,141,141,255,142,142,142,255,147,147,147,255,153,153,153,255,156,156,156,255,154,154,154,255,151,151,151,255,148,148,148,255,148,148,148,255,146,146,146,255,143,143,143,255,138,138,138,255,131,131,131,255,125,125,125,255,120,120,120,255,117,117,117,255,115,115,115,255,113,113,113,255,113,113,113,255,113,113,113,255,111,111,111,255,110,110,110,255,110,110,110,255,112,112,112,255,114,114,114,255,117,117,117,255,119,119,119,255,118,118,118,255,113,113,113,255,111,111,111,255,113,113,113,255,117,117,117,255,119,119,119,255,121,121,121,255,123,123,123,255,124,124,124,255,123,123,123,255,120,120,120,255,119,119,119,255,120,120,120,255,119,119,119,255,119,119,119,255,120,120,120,255,122,122,122,255,123,123,123,255,121,121,121,255,116,116,116,255,111,111,111,255,108,108,108,255,107,107,107,255,105,105,105,255,104,104,104,255,103,103,103,255,103,103,103,255,104,104,104,255,102,102,102,255,100,100,100,255,100,100,100,255,102,102,102,255,105,105,105,255,107,107,107,255,109,109,109,255,112,112,112,255,115,115,115,255,117,117,117,255,118,118,118,255,118,118,118,255,116,116,116,255,114,114,114,255,111,111,111,255,108,108,108,255,104,104,104,255,100,100,100,255,96,96,96,255,95,95,95,255,95,95,95,255,94,94,94,255,94,94,94,255,95,95,95,255,96,96,96,255,155,155,155,255,147,147,147,255,142,142,142,255,141,141,141,255,140,140,140,255,140,140,140,255,137,137,137,255,133,133,133,255,130,130,130,255,129,129,129,255,130,130,130,255,131,131,131,255,129,129,129,255,129,129,129,255,129,129,129,255,131,131,131,255,133,133,133,255,136,136,136,255,139,139,139,255,140,140,140,255,141,141,141,255,142,142,142,255,147,147,147,255,154,154,154,255,157,157,157,255,155,155,155,255,150,150,150,255,147,147,147,255,145,145,145,255,143,143,143,255,140,140,140,255,135,135,135,255,128,128,128,255,121,121,121,255,117,117,117,255,115,115,115,255,113,113,113,255,112,112,112,255,112,112,112,255,112,112,112,255,110,110,110,255,109,109,109,255,109,109,109,255,110,110,110,255,112,112,112,255,115,115,115,255,117,117,117,255,116,116,116,255,111,111,111,255,109,109,109,255,111,111,111,255,116,116,116,255,119,119,119,255,120,120,120,255,122,122,122,255,123,123,123,255,121,121,121,255,118,118,118,255,117,117,117,255,116,116,116,255,114,114,114,255,113,113,113,255,114,114,114,255,117,117,117,255,119,119,119,255,118,118,118,255,115,115,115,255,111,111,111,255,109,109,109,255,108,108,108,255,107,107,107,255,105,105,105,255,104,104,104,255,104,104,104,255,104,104,104,255,103,103,103,255,101,101,101,255,102,102,102,255,104,104,104,255,107,107,107,255,109,109,109,255,111,111,111,255,114,114,114,255,117,117,117,255,119,119,119,255,120,120,120,255,120,120,120,255,118,118,118,255,115,115,115,255,110,110,110,255,106,106,106,255,100,100,100,255,94,94,94,255,91,91,91,255,90,90,90,255,91,91,91,255,91,91,91,255,94,94,94,255,97,97,97,255,98,98,98,255,151,151,151,255,148,148,148,255,146,146,146,255,145,145,145,255,145,145,145,255,144,144,144,255,141,141,141,255,137,137,137,255,133,133,133,255,131,131,131,255,130,130,130,255,128,128,128,255,126,126,126,255,127,127,127,255,129,129,129,255,131,131,131,255,133,133,133,255,135,135,135,255,138,138,138,255,140,140,140,255,142,142,142,255,144,144,144,255,148,148,148,255,153,153,153,255,155,155,155,255,153,153,153,255,148,148,148,255,144,144,144,255,142,142,142,255,139,139,139,255,136,136,136,255,132,132,132,255,126,126,126,255,121,121,121,255,117,117,117,255,114,114,114,255,113,113,113,255,111,111,111,255,110,110,110,255,109,109,109,255,106,106,106,255,104,104,104,255,103,103,103,255,103,103,103,255,105,105,105,255,109,109,109,255,111,111,111,255,112,112,112,255,111,111,111,255,110,110,110,255,112,112,112,255,115,115,115,255,118,118,118,255,118,118,118,255,119,119,119,255,119,119,119,255,117,117,117,255,114,114,114,255,111,111,111,255,110,110,110,255,110,110,110,255,109,109,109,255,110,110,110,255,112,112,112,255,113,113,113,255,113,113,113,255,112,112,112,255,110,110,110,255,109,109,109,255,109,109,109,255,108,108,108,255,106,106,106,255,105,105,105,255,105,105,105,255,106,106,106,255,106,106,106,255,106,106,106,255,108,108,108,255,110,110,110,255,111,111,111,255,112,112,112,255,114,114,114,255,118,118,118,255,122,122,122,255,123,123,123,255,123,123,123,255,122,122,122,255,120,120,120,255,117,117,117,255,112,112,112,255,106,106,106,255,100,100,100,255,94,94,94,255,90,90,90,255,88,88,88,255,88,88,88,255,89,89,89,255,93,93,93,255,97,97,97,255,99,99,99,255,147,147,147,255,149,149,149,255,149,149,149,255,148,148,148,255,148,148,148,255,148,148,148,255,145,145,145,255,140,140,140,255,136,136,136,255,133,133,133,255,129,129,129,255,125,125,125,255,123,123,123,255,125,125,125,255,128,128,128,255,130,130,130,255,132,132,132,255,133,133,133,255,136,136,136,255,140,140,140,255,143,143,143,255,146,146,146,255,148,148,148,255,151,151,151,255,152,152,152,255,150,150,150,255,145,145,145,255,140,140,140,255,138,138,138,255,134,134,134,255,131,131,131,255,128,128,128,255,125,125,125,255,121,121,121,255,117,117,117,255,115,115,115,255,113,113,113,255,111,111,111,255,109,109,109,255,106,106,106,255,103,103,103,255,99,99,99,255,96,96,96,255,96,96,96,255,98,98,98,255,101,101,101,255,104,104,104,255,107,107,107,255,110,110,110,255,111,111,111,255,112,112,112,255,115,115,115,255,116,116,116,255,116,116,116,255,115,115,115,255,114,114,114,255,112,112,112,255,109,109,109,255,106,106,106,255,105,105,105,255,106,106,106,255,107,107,107,255,108,108,108,255,107,107,107,255,107,107,107,255,107,107,107,255,109,109,109,255,110,110,110,255,110,110,110,255,110,110,110,255,109,109,109,255,107,107,107,255,107,107,107,255,107,107,107,255,108,108,108,255,109,109,109,255,112,112,112,255,115,115,115,255,117,117,117,255,116,116,116,255,115,115,115,255,117,117,117,255,122,122,122,255,126,126,126,255,127,127,127,255,126,126,126,255,124,124,124,255,122,122,122,255,119,119,119,255,114,114,114,255,108,108,108,255,102,102,102,255,97,97,97,255,93,93,93,255,89,89,89,255,86,86,86,255,87,87,87,255,92,92,92,255,97,97,97,255,100,100,100,255,144,144,144,255,148,148,148,255,149,149,149,255,148,148,148,255,148,148,148,255,148,148,148,255,145,145,145,255,141,141,141,255,136,136,136,255,133,133,133,255,128,128,128,255,123,123,123,255,121,121,121,255,123,123,123,255,127,127,127,255,129,129,129,255,130,130,130,255,131,131,131,255,134,134,134,255,138,138,138,255,142,142,142,255,145,145,145,255,147,147,147,255,149,149,149,255,150,150,150,255,148,148,148,255,143,143,143,255,138,138,138,255,136,136,136,255,133,133,133,255,130,130,130,255,127,127,127,255,125,125,125,255,122,122,122,255,119,119,119,255,116,116,116,255,115,115,115,255,113,113,113,255,110,110,110,255,106,106,106,255,103,103,103,255,98,98,98,255,95,95,95,255,94,94,94,255,95,95,95,255,98,98,98,255,101,101,101,255,104,104,104,255,108,108,108,255,110,110,110,255,110,110,110,255,112,112,112,255,114,114,114,255,113,113,113,255,112,112,112,255,111,111,111,255,109,109,109,255,106,106,106,255,102,102,102,255,102,102,102,255,103,103,103,255,105,105,105,255,106,106,106,255,105,105,105,255,104,104,104,255,105,105,105,255,108,108,108,255,110,110,110,255,112,112,112,255,112,112,112,255,112,112,112,255,111,111,111,255,111,111,111,255,112,112,112,255,112,112,112,255,114,114,114,255,117,117,117,255,121,121,121,255,122,122,122,255,120,120,120,255,118,118,118,255,120,120,120,255,124,124,124,255,128,128,128,255,129,129,129,255,127,127,127,255,125,125,125,255,123,123,123,255,120,120,120,255,116,116,116,255,108,108,108,255,102,102,102,255,98,98,98,255,94,94,94,255,89,89,89,255,86,86,86,255,86,86,86,255,91,91,91,255,97,97,97,255,99,99,99,255,145,145,145,255,147,147,147,255,148,148,148,255,146,146,146,255,145,145,145,255,144,144,144,255,141,141,141,255,137,137,137,255,133,133,133,255,130,130,130,255,127,127,127,255,123,123,123,255,120,120,120,255,121,121,121,255,123,123,123,255,125,125,125,255,127,127,127,255,129,129,129,255,133,133,133,255,136,136,136,255,140,140,140,255,142,142,142,255,144,144,144,255,147,147,147,255,147,147,147,255,146,146,146,255,143,143,143,255,140,140,140,255,138,138,138,255,134,134,134,255,131,131,131,255,129,129,129,255,128,128,128,255,126,126,126,255,123,123,123,255,120,120,120,255,117,117,117,255,116,116,116,255,114,114,114,255,110,110,110,255,107,107,107,255,103,103,103,255,100,100,100,255,98,98,98,255,98,98,98,255,98,98,98,255,99,99,99,255,102,102,102,255,106,106,106,255,108,108,108,255,108,108,108,255,110,110,110,255,111,111,111,255,111,111,111,255,109,109,109,255,107,107,107,255,106,106,106,255,104,104,104,255,103,103,103,255,102,102,102,255,103,103,103,255,105,105,105,255,105,105,105,255,104,104,104,255,103,103,103,255,105,105,105,255,108,108,108,255,112,112,112,255,114,114,114,255,116,116,116,255,118,118,118,255,119,119,119,255,119,119,119,255,117,117,117,255,117,117,117,255,118,118,118,255,121,121,121,255,124,124,124,255,125,125,125,255,122,122,122,255,120,120,120,255,121,121,121,255,124,124,124,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,125,125,125,255,121,121,121,255,115,115,115,255,108,108,108,255,102,102,102,255,99,99,99,255,95,95,95,255,90,90,90,255,87,87,87,255,87,87,87,255,90,90,90,255,94,94,94,255,96,96,96,255,147,147,147,255,147,147,147,255,146,146,146,255,144,144,144,255,140,140,140,255,137,137,137,255,135,135,135,255,131,131,131,255,127,127,127,255,125,125,125,255,124,124,124,255,123,123,123,255,120,120,120,255,118,118,118,255,118,118,118,255,120,120,120,255,124,124,124,255,128,128,128,255,132,132,132,255,134,134,134,255,137,137,137,255,139,139,139,255,142,142,142,255,144,144,144,255,145,145,145,255,145,145,145,255,145,145,145,255,145,145,145,255,142,142,142,255,137,137,137,255,133,133,133,255,132,132,132,255,133,133,133,255,132,132,132,255,129,129,129,255,124,124,124,255,121,121,121,255,119,119,119,255,118,118,118,255,116,116,116,255,112,112,112,255,110,110,110,255,108,108,108,255,106,106,106,255,103,103,103,255,99,99,99,255,98,98,98,255,101,101,101,255,105,105,105,255,106,106,106,255,107,107,107,255,108,108,108,255,108,108,108,255,108,108,108,255,106,106,106,255,104,104,104,255,104,104,104,255,104,104,104,255,105,105,105,255,104,104,104,255,104,104,104,255,105,105,105,255,106,106,106,255,104,104,104,255,103,103,103,255,105,105,105,255,109,109,109,255,113,113,113,255,117,117,117,255,122,122,122,255,127,127,127,255,130,130,130,255,128,128,128,255,124,124,124,255,121,121,121,255,123,123,123,255,125,125,125,255,128,128,128,255,127,127,127,255,125,125,125,255,122,122,122,255,121,121,121,255,123,123,123,255,124,124,124,255,124,124,124,255,127,127,127,255,129,129,129,255,128,128,128,255,121,121,121,255,113,113,113,255,106,106,106,255,103,103,103,255,101,101,101,255,98,98,98,255,93,93,93,255,89,89,89,255,89,89,89,255,90,90,90,255,91,91,91,255,91,91,91,255,147,147,147,255,146,146,146,255,144,144,144,255,140,140,140,255,135,135,135,255,132,132,132,255,130,130,130,255,126,126,126,255,123,123,123,255,122,122,122,255,122,122,122,255,121,121,121,255,118,118,118,255,116,116,116,255,115,115,115,255,117,117,117,255,122,122,122,255,127,127,127,255,131,131,131,255,134,134,134,255,136,136,136,255,138,138,138,255,141,141,141,255,143,143,143,255,144,144,144,255,145,145,145,255,147,147,147,255,147,147,147,255,145,145,145,255,140,140,140,255,136,136,136,255,135,135,135,255,137,137,137,255,137,137,137,255,133,133,133,255,128,128,128,255,124,124,124,255,122,122,122,255,121,121,121,255,120,120,120,255,117,117,117,255,114,114,114,255,113,113,113,255,111,111,111,255,106,106,106,255,100,100,100,255,98,98,98,255,100,100,100,255,104,104,104,255,105,105,105,255,106,106,106,255,106,106,106,255,107,107,107,255,106,106,106,255,104,104,104,255,102,102,102,255,102,102,102,255,104,104,104,255,105,105,105,255,105,105,105,255,105,105,105,255,105,105,105,255,106,106,106,255,104,104,104,255,103,103,103,255,105,105,105,255,110,110,110,255,114,114,114,255,119,119,119,255,125,125,125,255,133,133,133,255,137,137,137,255,135,135,135,255,130,130,130,255,127,127,127,255,128,128,128,255,130,130,130,255,132,132,132,255,131,131,131,255,127,127,127,255,124,124,124,255,123,123,123,255,123,123,123,255,123,123,123,255,123,123,123,255,126,126,126,255,129,129,129,255,128,128,128,255,122,122,122,255,113,113,113,255,108,108,108,255,106,106,106,255,105,105,105,255,102,102,102,255,97,97,97,255,92,92,92,255,90,90,90,255,89,89,89,255,89,89,89,255,88,88,88,255,146,146,146,255,145,145,145,255,142,142,142,255,137,137,137,255,131,131,131,255,127,127,127,255,125,125,125,255,123,123,123,255,122,122,122,255,121,121,121,255,121,121,121,255,120,120,120,255,117,117,117,255,114,114,114,255,113,113,113,255,117,117,117,255,122,122,122,255,128,128,128,255,132,132,132,255,136,136,136,255,139,139,139,255,142,142,142,255,143,143,143,255,143,143,143,255,143,143,143,255,144,144,144,255,146,146,146,255,147,147,147,255,145,145,145,255,141,141,141,255,138,138,138,255,137,137,137,255,138,138,138,255,137,137,137,255,134,134,134,255,130,130,130,255,127,127,127,255,126,126,126,255,124,124,124,255,121,121,121,255,118,118,118,255,116,116,116,255,115,115,115,255,113,113,113,255,108,108,108,255,102,102,102,255,100,100,100,255,100,100,100,255,102,102,102,255,103,103,103,255,104,104,104,255,106,106,106,255,107,107,107,255,106,106,106,255,102,102,102,255,100,100,100,255,100,100,100,255,102,102,102,255,104,104,104,255,104,104,104,255,105,105,105,255,106,106,106,255,106,106,106,255,105,105,105,255,104,104,104,255,106,106,106,255,111,111,111,255,118,118,118,255,123,123,123,255,128,128,128,255,135,135,135,255,139,139,139,255,139,139,139,255,137,137,137,255,135,135,135,255,135,135,135,255,136,136,136,255,135,135,135,255,134,134,134,255,132,132,132,255,129,129,129,255,127,127,127,255,125,125,125,255,123,123,123,255,122,122,122,255,126,126,126,255,129,129,129,255,128,128,128,255,122,122,122,255,114,114,114,255,110,110,110,255,109,109,109,255,109,109,109,255,105,105,105,255,100,100,100,255,95,95,95,255,92,92,92,255,90,90,90,255,88,88,88,255,87,87,87,255,146,146,146,255,144,144,144,255,139,139,139,255,134,134,134,255,127,127,127,255,123,123,123,255,122,122,122,255,122,122,122,255,123,123,123,255,122,122,122,255,122,122,122,255,120,120,120,255,117,117,117,255,114,114,114,255,113,113,113,255,117,117,117,255,123,123,123,255,129,129,129,255,133,133,133,255,138,138,138,255,144,144,144,255,148,148,148,255,147,147,147,255,143,143,143,255,142,142,142,255,143,143,143,255,145,145,145,255,146,146,146,255,145,145,145,255,141,141,141,255,138,138,138,255,138,138,138,255,137,137,137,255,136,136,136,255,132,132,132,255,132,132,132,255,132,132,132,255,131,131,131,255,126,126,126,255,120,120,120,255,116,116,116,255,116,116,116,255,116,116,116,255,114,114,114,255,109,109,109,255,104,104,104,255,101,101,101,255,101,101,101,255,100,100,100,255,100,100,100,255,102,102,102,255,106,106,106,255,109,109,109,255,107,107,107,255,101,101,101,255,97,97,97,255,97,97,97,255,101,101,101,255,104,104,104,255,105,105,105,255,105,105,105,255,106,106,106,255,107,107,107,255,106,106,106,255,105,105,105,255,108,108,108,255,114,114,114,255,122,122,122,255,128,128,128,255,131,131,131,255,135,135,135,255,138,138,138,255,141,141,141,255,143,143,143,255,144,144,144,255,143,143,143,255,140,140,140,255,137,137,137,255,137,137,137,255,138,138,138,255,137,137,137,255,134,134,134,255,128,128,128,255,123,123,123,255,122,122,122,255,125,125,125,255,128,128,128,255,128,128,128,255,122,122,122,255,114,114,114,255,111,111,111,255,111,111,111,255,111,111,111,255,108,108,108,255,103,103,103,255,98,98,98,255,95,95,95,255,91,91,91,255,87,87,87,255,86,86,86,255,146,146,146,255,143,143,143,255,139,139,139,255,133,133,133,255,126,126,126,255,121,121,121,255,120,120,120,255,122,122,122,255,123,123,123,255,123,123,123,255,122,122,122,255,121,121,121,255,117,117,117,255,114,114,114,255,113,113,113,255,117,117,117,255,123,123,123,255,129,129,129,255,133,133,133,255,139,139,139,255,146,146,146,255,150,150,150,255,149,149,149,255,143,143,143,255,141,141,141,255,142,142,142,255,144,144,144,255,146,146,146,255,145,145,145,255,141,141,141,255,139,139,139,255,138,138,138,255,137,137,137,255,135,135,135,255,132,132,132,255,132,132,132,255,134,134,134,255,133,133,133,255,126,126,126,255,119,119,119,255,116,116,116,255,116,116,116,255,116,116,116,255,114,114,114,255,110,110,110,255,105,105,105,255,102,102,102,255,101,101,101,255,99,99,99,255,99,99,99,255,101,101,101,255,106,106,106,255,109,109,109,255,107,107,107,255,100,100,100,255,95,95,95,255,96,96,96,255,101,101,101,255,104,104,104,255,105,105,105,255,106,106,106,255,107,107,107,255,107,107,107,255,106,106,106,255,105,105,105,255,108,108,108,255,115,115,115,255,124,124,124,255,130,130,130,255,133,133,133,255,135,135,135,255,138,138,138,255,142,142,142,255,146,146,146,255,148,148,148,255,146,146,146,255,141,141,141,255,138,138,138,255,138,138,138,255,140,140,140,255,141,141,141,255,137,137,137,255,129,129,129,255,123,123,123,255,121,121,121,255,125,125,125,255,128,128,128,255,128,128,128,255,122,122,122,255,115,115,115,255,111,111,111,255,112,112,112,255,112,112,112,255,109,109,109,255,104,104,104,255,100,100,100,255,96,96,96,255,92,92,92,255,87,87,87,255,86,86,86,255
 
 float increment = 0.04;
 // The noise function's 3rd argument, a global variable that increments once per cycle
@@ -1,4 +1,4 @@
-//[100,100]126,126,126,253,97,97,97,253,119,119,119,253,88,88,88,253,61,61,61,253,78,78,78,253,69,69,69,253,116,116,116,253,156,156,156,253,190,190,190,253,170,170,170,253,180,180,180,253,129,129,129,253,172,172,172,253,179,179,179,253,130,130,130,253,174,174,174,253,171,171,171,253,174,174,174,253,201,201,201,253,148,148,148,253,97,97,97,253,143,143,143,253,130,130,130,252,134,134,134,253,90,90,90,253,113,113,113,253,157,157,157,253,150,150,150,253,97,97,97,253,125,125,125,253,148,148,148,253,125,125,125,253,114,114,114,252,89,89,89,253,131,131,131,253,91,91,91,252,71,71,71,253,70,70,70,253,57,57,57,253,90,90,90,253,93,93,93,253,151,151,151,253,135,135,135,252,134,134,134,252,107,107,107,253,86,86,86,252,103,103,103,252,72,72,72,253,101,101,101,253,127,127,127,252,152,152,152,252,165,165,165,252,183,183,183,253,130,130,130,253,104,104,104,252,132,132,132,253,132,132,132,251,135,135,135,253,113,113,113,251,64,64,64,253,58,58,58,252,64,64,64,252,114,114,114,253,147,147,147,252,164,164,164,253,183,183,183,252,178,178,178,253,147,147,147,252,119,119,119,253,111,111,111,252,102,102,102,251,112,112,112,252,147,147,147,253,136,136,136,251,151,151,151,252,163,163,163,253,179,179,179,252,181,181,181,252,177,177,177,253,157,157,157,251,157,157,157,252,180,180,180,253,168,168,168,252,153,153,153,252,159,159,159,253,156,156,156,252,145,145,145,251,111,111,111,253,119,119,119,252,147,147,147,253,94,94,94,253,154,154,154,252,158,158,158,253,158,158,158,253,157,157,157,253,157,157,157,253,155,155,155,253,153,153,153,253,150,150,150,253,120,120,120,253,106,106,106,252,119,119,119,253,96,96,96,252,71,71,71,251,78,78,78,253,69,69,69,253,103,103,103,252,144,144,144,252,190,190,190,253,175,175,175,252,178,178,178,252,145,145,145,252,160,160,160,252,178,178,178,252,144,144,144,252,174,174,174,253,172,172,172,252,175,175,175,252,194,194,194,252,162,162,162,252,113,113,113,252,134,134,134,252,134,134,134,251,134,134,134,253,99,99,99,252,107,107,107,252,145,145,145,252,151,151,151,252,115,115,115,252,118,118,118,252,137,137,137,251,126,126,126,252,111,111,111,251,89,89,89,253,131,131,131,253,96,96,96,251,71,71,71,253,70,70,70,253,61,61,61,252,90,90,90,253,93,93,93,253,140,140,140,251,141,141,141,252,130,130,130,252,107,107,107,253,92,92,92,252,96,96,96,252,72,72,72,253,94,94,94,252,126,126,126,250,162,162,162,253,172,172,172,252,172,172,172,252,130,130,130,253,127,127,127,252,130,130,130,252,133,133,133,252,135,135,135,253,85,85,85,251,62,62,62,253,59,59,59,251,111,111,111,253,122,122,122,251,164,164,164,253,164,164,164,253,180,180,180,252,170,170,170,251,120,120,120,253,119,119,119,253,111,111,111,250,120,120,120,252,134,134,134,252,145,145,145,252,144,144,144,252,159,159,159,252,165,165,165,252,186,186,186,252,178,178,178,252,177,177,177,253,166,166,166,252,167,167,167,252,180,180,180,253,158,158,158,252,158,158,158,251,160,160,160,253,155,155,155,253,130,130,130,251,111,111,111,253,126,126,126,252,147,147,147,253,125,125,125,252,159,159,159,253,158,158,158,253,158,158,158,253,157,157,157,253,155,155,155,253,154,154,154,253,152,152,152,253,147,147,147,253,114,114,114,252,119,119,119,252,119,119,119,253,107,107,107,252,82,82,82,251,79,79,79,253,69,69,69,253,80,80,80,252,139,139,139,251,190,190,190,253,176,176,176,252,172,172,172,252,159,159,159,252,140,140,140,252,177,177,177,251,170,170,170,251,174,174,174,253,173,173,173,252,174,174,174,252,186,186,186,252,187,187,187,251,129,129,129,252,125,125,125,252,136,136,136,251,134,134,134,252,103,103,103,252,98,98,98,252,132,132,132,252,152,152,152,252,129,129,129,252,112,112,112,252,131,131,131,251,126,126,126,252,112,112,112,249,89,89,89,253,131,131,131,253,106,106,106,251,70,70,70,252,70,70,70,253,66,66,66,251,91,91,91,252,94,94,94,252,137,137,137,251,144,144,144,252,126,126,126,252,107,107,107,253,98,98,98,252,92,92,92,252,72,72,72,253,83,83,83,252,144,144,144,251,162,162,162,253,179,179,179,252,168,168,168,252,135,135,135,252,136,136,136,252,129,129,129,251,134,134,134,253,126,126,126,251,65,65,65,253,62,62,62,253,88,88,88,251,121,121,121,253,144,144,144,251,164,164,164,253,163,163,163,252,180,180,180,252,148,148,148,251,120,120,120,253,119,119,119,253,130,130,130,251,125,125,125,251,150,150,150,253,146,146,146,251,154,154,154,253,162,162,162,252,176,176,176,252,182,182,182,252,178,178,178,252,187,187,187,251,164,164,164,253,173,173,173,252,176,176,176,252,154,154,154,252,161,161,161,252,157,157,157,252,150,150,150,252,117,117,117,252,110,110,110,253,133,133,133,252,156,156,156,252,144,144,144,252,158,158,158,253,158,158,158,253,158,158,158,253,157,157,157,253,155,155,155,253,153,153,153,253,150,150,150,253,145,145,145,253,114,114,114,252,126,126,126,253,126,126,126,252,117,117,117,252,90,90,90,252,86,86,86,252,71,71,71,252,69,69,69,253,111,111,111,251,184,184,184,252,178,178,178,252,170,170,170,253,177,177,177,252,141,141,141,252,161,161,161,250,185,185,185,252,182,182,182,252,174,174,174,253,172,172,172,251,176,176,176,252,202,202,202,252,165,165,165,252,128,128,128,251,137,137,137,252,134,134,134,253,113,113,113,251,90,90,90,253,117,117,117,252,156,156,156,252,151,151,151,252,116,116,116,251,124,124,124,251,126,126,126,252,110,110,110,250,90,90,90,252,131,131,131,253,109,109,109,251,72,72,72,252,70,70,70,253,76,76,76,252,94,94,94,252,96,96,96,251,132,132,132,252,146,146,146,252,123,123,123,252,107,107,107,253,105,105,105,252,81,81,81,252,72,72,72,253,77,77,77,251,157,157,157,252,162,162,162,253,184,184,184,253,168,168,168,251,143,143,143,253,141,141,141,252,129,129,129,251,135,135,135,253,94,94,94,251,63,63,63,253,75,75,75,251,125,125,125,252,124,124,124,252,162,162,162,252,164,164,164,253,165,165,165,251,178,178,178,253,119,119,119,251,119,119,119,253,131,131,131,252,135,135,135,252,143,143,143,252,151,151,151,251,154,154,154,253,154,154,154,253,164,164,164,253,185,185,185,252,178,178,178,252,184,184,184,252,186,186,186,252,164,164,164,253,172,172,172,252,168,168,168,252,159,159,159,252,161,161,161,252,156,156,156,252,137,137,137,252,111,111,111,253,110,110,110,253,146,146,146,251,175,175,175,253,144,144,144,252,158,158,158,253,158,158,158,253,157,157,157,253,156,156,156,253,155,155,155,253,152,152,152,253,150,150,150,253,143,143,143,253,103,103,103,252,126,126,126,253,136,136,136,252,123,123,123,252,100,100,100,251,95,95,95,252,72,72,72,252,69,69,69,253,86,86,86,252,162,162,162,251,180,180,180,252,170,170,170,253,170,170,170,252,165,165,165,252,132,132,132,250,180,180,180,251,199,199,199,252,174,174,174,253,174,174,174,250,174,174,174,253,193,193,193,252,197,197,197,252,147,147,147,250,139,139,139,252,134,134,134,253,118,118,118,251,90,90,90,253,103,103,103,252,147,147,147,252,154,154,154,252,138,138,138,251,119,119,119,252,122,122,122,252,105,105,105,251,93,93,93,252,131,131,131,253,113,113,113,252,80,80,80,251,70,70,70,253,76,76,76,252,97,97,97,252,107,107,107,251,126,126,126,252,150,150,150,253,119,119,119,252,109,109,109,252,115,115,115,252,77,77,77,253,72,72,72,253,101,101,101,251,155,155,155,252,166,166,166,252,184,184,184,252,163,163,163,252,145,145,145,253,141,141,141,252,132,132,132,251,128,128,128,251,67,67,67,252,63,63,63,253,118,118,118,251,121,121,121,253,141,141,141,252,167,167,167,252,164,164,164,253,165,165,165,252,152,152,152,252,115,115,115,252,122,122,122,252,146,146,146,253,143,143,143,251,152,152,152,252,157,157,157,252,154,154,154,253,157,157,157,252,173,173,173,252,182,182,182,252,182,182,182,251,198,198,198,253,176,176,176,252,164,164,164,253,175,175,175,252,160,160,160,251,162,162,162,253,159,159,159,251,148,148,148,252,125,125,125,252,110,110,110,253,113,113,113,251,174,174,174,253,175,175,175,252,144,144,144,253,158,158,158,253,158,158,158,253,157,157,157,253,155,155,155,253,155,155,155,253,150,150,150,253,150,150,150,253,141,141,141,253,103,103,103,252,126,126,126,253,138,138,138,253,134,134,134,252,109,109,109,251,96,96,96,253,81,81,81,252,69,69,69,252,86,86,86,252,140,140,140,252,168,168,168,250,170,170,170,253,169,169,169,253,174,174,174,252,145,145,145,252,160,160,160,251,202,202,202,252,189,189,189,252,174,174,174,251,175,175,175,252,184,184,184,251,201,201,201,253,185,185,185,251,150,150,150,252,134,134,134,253,122,122,122,251,90,90,90,253,93,93,93,252,133,133,133,251,156,156,156,253,151,151,151,252,122,122,122,251,118,118,118,252,103,103,103,252,94,94,94,252,133,133,133,252,104,104,104,252,89,89,89,251,70,70,70,253,76,76,76,252,100,100,100,252,115,115,115,251,124,124,124,252,150,150,150,252,119,119,119,252,113,113,113,252,113,113,113,251,72,72,72,252,75,75,75,252,129,129,129,252,152,152,152,251,173,173,173,252,182,182,182,251,161,161,161,252,143,143,143,252,139,139,139,253,135,135,135,252,100,100,100,251,63,63,63,253,97,97,97,252,131,131,131,251,121,121,121,253,161,161,161,253,167,167,167,252,163,163,163,251,166,166,166,253,123,123,123,251,117,117,117,252,140,140,140,252,146,146,146,252,157,157,157,251,162,162,162,251,155,155,155,253,154,154,154,253,159,159,159,252,182,182,182,251,181,181,181,251,196,196,196,253,196,196,196,252,164,164,164,253,164,164,164,252,174,174,174,252,161,161,161,253,162,162,162,253,157,157,157,251,134,134,134,252,121,121,121,252,110,110,110,253,151,151,151,252,176,176,176,252,171,171,171,252,144,144,144,253,158,158,158,253,157,157,157,253,157,157,157,253,155,155,155,253,153,153,153,253,150,150,150,253,149,149,149,253,140,140,140,253,97,97,97,251,129,129,129,252,138,138,138,253,138,138,138,253,124,124,124,251,98,98,98,253,85,85,85,252,75,75,75,251,102,102,102,252,138,138,138,253,139,139,139,250,164,164,164,252,169,169,169,253,169,169,169,253,171,171,171,251,160,160,160,251,193,193,193,251,201,201,201,252,177,177,177,251,175,175,175,252,176,176,176,252,201,201,201,253,190,190,190,252,167,167,167,251,137,137,137,252,131,131,131,250,90,90,90,253,90,90,90,253,113,113,113,251,156,156,156,253,154,154,154,252,131,131,131,251,113,113,113,251,96,96,96,252,94,94,94,252,133,133,133,252,104,104,104,252,90,90,90,252,74,74,74,252,76,76,76,252,109,109,109,252,118,118,118,251,115,115,115,253,150,150,150,252,114,114,114,252,118,118,118,252,106,106,106,251,72,72,72,252,93,93,93,252,137,137,137,251,147,147,147,251,178,178,178,251,178,178,178,253,161,161,161,252,141,141,141,252,139,139,139,253,124,124,124,251,75,75,75,251,71,71,71,252,128,128,128,251,129,129,129,252,138,138,138,252,168,168,168,253,168,168,168,252,163,163,163,252,150,150,150,252,111,111,111,251,131,131,131,251,148,148,148,252,156,156,156,251,170,170,170,251,161,161,161,251,154,154,154,253,154,154,154,253,168,168,168,251,184,184,184,251,195,195,195,252,198,198,198,253,188,188,188,252,164,164,164,252,164,164,164,253,169,169,169,251,162,162,162,253,161,161,161,253,148,148,148,251,128,128,128,253,117,117,117,252,137,137,137,252,164,164,164,252,176,176,176,252,166,166,166,252,147,147,147,252,158,158,158,253,157,157,157,253,157,157,157,253,155,155,155,253,152,152,152,253,150,150,150,253,147,147,147,253,140,140,140,253,86,86,86,251,129,129,129,252,138,138,138,253,138,138,138,253,130,130,130,252,108,108,108,251,85,85,85,252,79,79,79,252,104,104,104,251,138,138,138,253,137,137,137,252,144,144,144,251,169,169,169,253,169,169,169,253,171,171,171,251,168,168,168,250,187,187,187,252,196,196,196,252,194,194,194,251,175,175,175,253,174,174,174,252,193,193,193,252,185,185,185,252,180,180,180,252,150,150,150,251,134,134,134,252,90,90,90,253,90,90,90,253,95,95,95,252,151,151,151,252,156,156,156,253,136,136,136,251,118,118,118,252,93,93,93,252,94,94,94,252,134,134,134,253,96,96,96,251,90,90,90,252,79,79,79,252,77,77,77,251,117,117,117,253,119,119,119,252,117,117,117,252,146,146,146,253,115,115,115,252,122,122,122,252,99,99,99,251,72,72,72,252,121,121,121,253,138,138,138,252,143,143,143,252,180,180,180,251,177,177,177,253,154,154,154,251,140,140,140,253,139,139,139,251,101,101,101,252,66,66,66,252,114,114,114,252,133,133,133,251,127,127,127,252,156,156,156,252,168,168,168,253,167,167,167,252,166,166,166,252,129,129,129,251,116,116,116,251,147,147,147,251,149,149,149,252,171,171,171,251,171,171,171,251,155,155,155,252,154,154,154,253,154,154,154,253,179,179,179,250,192,192,192,252,199,199,199,252,198,198,198,253,178,178,178,252,164,164,164,252,168,168,168,250,164,164,164,252,161,161,161,252,159,159,159,252,132,132,132,252,128,128,128,253,128,128,128,252,154,154,154,253,167,167,167,252,174,174,174,252,164,164,164,253,147,147,147,252,157,157,157,253,157,157,157,253,155,155,155,253,153,153,153,253,150,150,150,253,150,150,150,253,144,144,144,253,106,106,106,252,83,83,83,251,129,129,129,252,138,138,138,253,138,138,138,253,129,129,129,252,122,122,122,251,88,88,88,252,79,79,79,252,109,109,109,251,138,138,138,253,138,138,138,252,137,137,137,252,150,150,150,251,169,169,169,253,167,167,167,252,184,184,184,250,188,188,188,252,186,186,186,253,199,199,199,252,180,180,180,252,175,175,175,252,183,183,183,251,181,181,181,253,180,180,180,252,169,169,169,251,137,137,137,252,102,102,102,252,90,90,90,253,90,90,90,253,135,135,135,251,157,157,157,253,136,136,136,251,122,122,122,250,90,90,90,251,94,94,94,252,134,134,134,253,97,97,97,252,90,90,90,251,84,84,84,253,88,88,88,251,118,118,118,253,119,119,119,252,118,118,118,251,135,135,135,251,115,115,115,253,126,126,126,253,91,91,91,251,90,90,90,251,130,130,130,253,142,142,142,252,149,149,149,250,177,177,177,252,177,177,177,253,145,145,145,252,140,140,140,253,126,126,126,250,83,83,83,252,88,88,88,251,133,133,133,251,132,132,132,252,133,133,133,251,168,168,168,253,167,167,167,252,166,166,166,252,159,159,159,250,106,106,106,252,136,136,136,252,148,148,148,251,167,167,167,251,178,178,178,251,165,165,165,251,154,154,154,252,154,154,154,253,161,161,161,251,194,194,194,251,199,199,199,252,198,198,198,253,198,198,198,253,166,166,166,252,164,164,164,253,166,166,166,251,162,162,162,252,161,161,161,253,146,146,146,251,128,128,128,252,132,132,132,251,154,154,154,253,152,152,152,252,172,172,172,253,170,170,170,252,163,163,163,253,147,147,147,252,157,157,157,253,157,157,157,253,155,155,155,253,153,153,153,253,150,150,150,253,150,150,150,253,123,123,123,252,86,86,86,253,69,69,69,252,129,129,129,251,138,138,138,253,138,138,138,253,129,129,129,252,125,125,125,253,96,96,96,251,79,79,79,253,110,110,110,252,142,142,142,252,138,138,138,252,136,136,136,252,135,135,135,253,157,157,157,252,167,167,167,252,181,181,181,251,194,194,194,251,186,186,186,253,187,187,187,251,191,191,191,252,175,175,175,253,172,172,172,251,177,177,177,253,179,179,179,252,175,175,175,252,150,150,150,251,107,107,107,251,90,90,90,253,90,90,90,253,109,109,109,250,157,157,157,253,134,134,134,253,122,122,122,250,91,91,91,251,93,93,93,253,124,124,124,252,97,97,97,252,90,90,90,251,84,84,84,253,110,110,110,251,118,118,118,253,119,119,119,252,119,119,119,252,127,127,127,250,118,118,118,252,131,131,131,252,86,86,86,252,115,115,115,252,133,133,133,252,141,141,141,252,158,158,158,251,176,176,176,252,168,168,168,252,145,145,145,252,140,140,140,253,98,98,98,252,78,78,78,251,128,128,128,252,132,132,132,251,132,132,132,253,152,152,152,251,168,168,168,253,167,167,167,252,167,167,167,252,136,136,136,250,120,120,120,251,142,142,142,252,156,156,156,250,181,181,181,252,177,177,177,252,157,157,157,253,154,154,154,253,154,154,154,253,181,181,181,249,199,199,199,252,200,200,200,252,198,198,198,253,188,188,188,251,164,164,164,253,163,163,163,251,166,166,166,251,162,162,162,253,157,157,157,251,132,132,132,253,129,129,129,252,157,157,157,252,153,153,153,252,155,155,155,252,175,175,175,253,165,165,165,253,163,163,163,253,147,147,147,251,157,157,157,253,157,157,157,253,153,153,153,252,152,152,152,253,150,150,150,253,141,141,141,252,88,88,88,253,85,85,85,252,69,69,69,252,130,130,130,251,138,138,138,253,138,138,138,253,128,128,128,252,125,125,125,253,104,104,104,251,81,81,81,252,123,123,123,252,144,144,144,253,142,142,142,251,137,137,137,252,135,135,135,253,139,139,139,252,161,161,161,251,187,187,187,252,199,199,199,251,188,188,188,253,184,184,184,252,187,187,187,251,185,185,185,252,171,171,171,250,172,172,172,252,178,178,178,252,181,181,181,253,156,156,156,252,120,120,120,250,90,90,90,253,90,90,90,253,91,91,91,251,149,149,149,253,130,130,130,253,117,117,117,251,96,96,96,252,92,92,92,252,124,124,124,251,97,97,97,252,89,89,89,252,94,94,94,251,116,116,116,251,118,118,118,253,119,119,119,252,119,119,119,252,120,120,120,250,121,121,121,251,134,134,134,251,89,89,89,251,130,130,130,252,134,134,134,252,145,145,145,250,164,164,164,252,172,172,172,251,160,160,160,253,143,143,143,252,119,119,119,251,87,87,87,253,113,113,113,252,133,133,133,252,131,131,131,252,137,137,137,250,168,168,168,252,168,168,168,252,167,167,167,253,167,167,167,252,115,115,115,251,138,138,138,252,145,145,145,250,176,176,176,252,181,181,181,252,169,169,169,251,154,154,154,253,154,154,154,253,160,160,160,251,202,202,202,251,199,199,199,252,199,199,199,253,198,198,198,253,177,177,177,251,163,163,163,252,165,165,165,252,161,161,161,251,162,162,162,253,145,145,145,251,129,129,129,253,157,157,157,252,158,158,158,251,152,152,152,253,159,159,159,252,173,173,173,252,164,164,164,253,163,163,163,252,146,146,146,252,157,157,157,253,157,157,157,253,153,153,153,253,152,152,152,253,147,147,147,253,104,104,104,252,86,86,86,253,80,80,80,252,69,69,69,252,124,124,124,252,137,137,137,252,138,138,138,253,125,125,125,253,125,125,125,253,111,111,111,251,84,84,84,253,127,127,127,252,144,144,144,253,144,144,144,253,138,138,138,251,136,136,136,253,135,135,135,253,141,141,141,252,185,185,185,252,197,197,197,251,197,197,197,251,184,184,184,252,182,182,182,252,187,187,187,251,171,171,171,251,166,166,166,251,178,178,178,253,180,180,180,253,159,159,159,252,137,137,137,250,93,93,93,252,90,90,90,253,91,91,91,252,131,131,131,251,130,130,130,252,115,115,115,251,98,98,98,251,93,93,93,251,117,117,117,251,97,97,97,252,89,89,89,252,104,104,104,252,116,116,116,252,121,121,121,252,119,119,119,252,119,119,119,251,114,114,114,251,125,125,125,251,124,124,124,250,109,109,109,251,130,130,130,252,138,138,138,251,151,151,151,251,169,169,169,253,163,163,163,251,158,158,158,252,140,140,140,252,95,95,95,251,102,102,102,251,133,133,133,253,133,133,133,252,133,133,133,251,150,150,150,250,168,168,168,252,167,167,167,253,166,166,166,252,145,145,145,251,133,133,133,252,138,138,138,252,163,163,163,251,182,182,182,252,180,180,180,252,162,162,162,252,154,154,154,252,157,157,157,252,188,188,188,251,200,200,200,251,199,199,199,252,199,199,199,253,199,199,199,252,166,166,166,253,164,164,164,251,164,164,164,251,160,160,160,252,159,159,159,252,131,131,131,253,150,150,150,252,163,163,163,253,154,154,154,252,152,152,152,253,163,163,163,252,167,167,167,252,164,164,164,253,161,161,161,252,146,146,146,252,157,157,157,253,155,155,155,252,153,153,153,253,151,151,151,253,112,112,112,252,97,97,97,253,86,86,86,253,77,77,77,252,67,67,67,253,121,121,121,251,137,137,137,252,138,138,138,253,125,125,125,253,125,125,125,253,114,114,114,252,89,89,89,252,131,131,131,251,144,144,144,253,144,144,144,253,139,139,139,250,136,136,136,253,135,135,135,253,129,129,129,252,177,177,177,252,194,194,194,251,201,201,201,252,186,186,186,252,182,182,182,252,181,181,181,253,173,173,173,251,161,161,161,252,177,177,177,253,181,181,181,252,165,165,165,251,141,141,141,252,99,99,99,251,90,90,90,253,91,91,91,252,104,104,104,250,130,130,130,252,108,108,108,252,99,99,99,251,97,97,97,251,113,113,113,251,96,96,96,253,94,94,94,251,111,111,111,253,117,117,117,251,123,123,123,252,119,119,119,252,120,120,120,252,105,105,105,252,131,131,131,252,125,125,125,249,132,132,132,252,130,130,130,252,147,147,147,251,156,156,156,251,165,165,165,252,157,157,157,251,158,158,158,252,118,118,118,251,92,92,92,251,131,131,131,251,133,133,133,252,133,133,133,253,135,135,135,250,168,168,168,251,168,168,168,252,167,167,167,253,167,167,167,252,134,134,134,251,140,140,140,252,151,151,151,251,177,177,177,252,181,181,181,252,174,174,174,251,158,158,158,251,155,155,155,252,179,179,179,252,199,199,199,251,199,199,199,252,200,200,200,252,199,199,199,252,189,189,189,252,163,163,163,252,164,164,164,252,160,160,160,251,162,162,162,253,142,142,142,251,142,142,142,252,164,164,164,251,161,161,161,252,152,152,152,253,152,152,152,253,170,170,170,252,164,164,164,253,163,163,163,252,155,155,155,252,146,146,146,252,157,157,157,252,155,155,155,253,153,153,153,253,121,121,121,252,103,103,103,253,94,94,94,253,83,83,83,252,78,78,78,253,67,67,67,253,117,117,117,251,138,138,138,253,136,136,136,252,125,125,125,253,125,125,125,253,118,118,118,252,96,96,96,252,130,130,130,252,146,146,146,252,144,144,144,253,140,140,140,250,136,136,136,252,135,135,135,253,126,126,126,253,166,166,166,252,188,188,188,251,198,198,198,252,193,193,193,251,181,181,181,252,181,181,181,253,168,168,168,251,164,164,164,252,170,170,170,251,180,180,180,252,169,169,169,251,155,155,155,253,105,105,105,252,95,95,95,252,90,90,90,253,90,90,90,251,126,126,126,252,106,106,106,252,98,98,98,253,98,98,98,251,101,101,101,251,96,96,96,253,106,106,106,252,111,111,111,253,118,118,118,252,125,125,125,252,119,119,119,252,120,120,120,252,103,103,103,252,133,133,133,253,135,135,135,250,135,135,135,251,134,134,134,250,151,151,151,252,161,161,161,251,158,158,158,252,157,157,157,251,153,153,153,250,92,92,92,252,121,121,121,251,135,135,135,252,134,134,134,251,133,133,133,253,148,148,148,251,170,170,170,251,167,167,167,252,167,167,167,251,155,155,155,251,140,140,140,253,148,148,148,250,170,170,170,251,178,178,178,251,180,180,180,253,165,165,165,252,157,157,157,251,175,175,175,252,188,188,188,251,200,200,200,251,199,199,199,252,199,199,199,252,198,198,198,253,178,178,178,252,164,164,164,250,165,165,165,253,157,157,157,251,157,157,157,252,138,138,138,251,165,165,165,252,162,162,162,251,158,158,158,252,152,152,152,253,152,152,152,253,170,170,170,252,164,164,164,253,162,162,162,252,155,155,155,252,146,146,146,252,155,155,155,252,155,155,155,253,136,136,136,252,103,103,103,253,103,103,103,253,90,90,90,253,80,80,80,252,78,78,78,253,67,67,67,253,106,106,106,250,140,140,140,253,135,135,135,251,125,125,125,253,125,125,125,253,118,118,118,252,97,97,97,253,139,139,139,252,147,147,147,253,145,145,145,252,141,141,141,250,136,136,136,253,135,135,135,252,128,128,128,253,166,166,166,253,182,182,182,252,193,193,193,251,193,193,193,251,187,187,187,252,177,177,177,252,165,165,165,253,167,167,167,251,165,165,165,251,179,179,179,252,172,172,172,251,155,155,155,253,111,111,111,252,102,102,102,252,93,93,93,252,90,90,90,250,112,112,112,251,97,97,97,253,99,99,99,252,99,99,99,251,100,100,100,251,99,99,99,252,112,112,112,252,111,111,111,253,118,118,118,252,125,125,125,251,121,121,121,252,120,120,120,252,102,102,102,251,135,135,135,251,144,144,144,251,135,135,135,251,146,146,146,251,151,151,151,253,160,160,160,251,154,154,154,253,156,156,156,251,124,124,124,251,104,104,104,250,146,146,146,251,133,133,133,252,133,133,133,252,133,133,133,253,168,168,168,253,169,169,169,251,167,167,167,252,167,167,167,250,149,149,149,252,143,143,143,252,163,163,163,251,177,177,177,251,178,178,178,251,178,178,178,252,160,160,160,252,172,172,172,251,184,184,184,253,196,196,196,251,200,200,200,251,200,200,200,252,199,199,199,252,198,198,198,253,167,167,167,251,164,164,164,253,162,162,162,252,156,156,156,252,142,142,142,251,163,163,163,253,164,164,164,251,160,160,160,252,156,156,156,252,152,152,152,253,156,156,156,252,167,167,167,252,163,163,163,252,162,162,162,253,155,155,155,252,146,146,146,251,155,155,155,253,146,146,146,252,107,107,107,253,103,103,103,253,103,103,103,253,86,86,86,253,78,78,78,253,78,78,78,253,67,67,67,253,104,104,104,250,140,140,140,253,135,135,135,251,125,125,125,253,125,125,125,253,118,118,118,252,97,97,97,253,153,153,153,251,147,147,147,253,146,146,146,253,142,142,142,251,136,136,136,253,135,135,135,252,129,129,129,252,172,172,172,253,173,173,173,251,187,187,187,252,184,184,184,252,190,190,190,251,174,174,174,252,165,165,165,253,165,165,165,253,165,165,165,251,176,176,176,251,177,177,177,253,155,155,155,253,118,118,118,252,104,104,104,253,98,98,98,252,90,90,90,251,98,98,98,251,96,96,96,253,99,99,99,252,99,99,99,252,93,93,93,251,110,110,110,251,112,112,112,252,111,111,111,253,121,121,121,252,125,125,125,252,123,123,123,251,121,121,121,252,107,107,107,251,147,147,147,251,144,144,144,251,141,141,141,250,149,149,149,251,149,149,149,252,155,155,155,252,154,154,154,253,151,151,151,250,100,100,100,252,136,136,136,251,139,139,139,252,134,134,134,251,133,133,133,252,143,143,143,251,174,174,174,252,168,168,168,251,167,167,167,252,165,165,165,251,141,141,141,252,159,159,159,252,172,172,172,252,176,176,176,251,178,178,178,251,170,170,170,252,169,169,169,251,185,185,185,252,186,186,186,251,198,198,198,252,199,199,199,252,200,200,200,251,198,198,198,253,190,190,190,251,164,164,164,251,165,165,165,253,160,160,160,251,150,150,150,251,159,159,159,252,165,165,165,251,160,160,160,252,160,160,160,252,154,154,154,252,152,152,152,253,159,159,159,251,163,163,163,253,162,162,162,252,161,161,161,253,155,155,155,252,145,145,145,251,152,152,152,253,113,113,113,252,105,105,105,253,103,103,103,253,100,100,100,253,82,82,82,252,78,78,78,253,78,78,78,253,64,64,64,253,95,95,95,250,140,140,140,253,135,135,135,252,126,126,126,252,125,125,125,253,118,118,118,252,97,97,97,253,155,155,155,251,147,147,147,253,147,147,147,253,145,145,145,251,136,136,136,253,135,135,135,252,130,130,130,252,172,172,172,253,172,172,172,252,176,176,176,251,181,181,181,253,185,185,185,252,174,174,174,251,165,165,165,253,165,165,165,252,165,165,165,252,171,171,171,251,177,177,177,253,159,159,159,252,127,127,127,252,105,105,105,252,104,104,104,252,93,93,93,250,84,84,84,251,94,94,94,252,98,98,98,252,98,98,98,253,94,94,94,250,119,119,119,252,112,112,112,252,111,111,111,253,122,122,122,252,125,125,125,252,124,124,124,252,116,116,116,250,111,111,111,252,158,158,158,252,140,140,140,251,149,149,149,251,150,150,150,252,150,150,150,251,154,154,154,252,154,154,154,253,119,119,119,251,124,124,124,251,148,148,148,251,135,135,135,253,134,134,134,251,133,133,133,252,163,163,163,252,172,172,172,252,167,167,167,253,168,168,168,250,157,157,157,251,157,157,157,252,166,166,166,251,177,177,177,251,176,176,176,252,175,175,175,251,167,167,167,252,187,187,187,251,184,184,184,253,194,194,194,251,199,199,199,251,199,199,199,252,199,199,199,252,197,197,197,253,175,175,175,250,166,166,166,253,165,165,165,253,155,155,155,253,158,158,158,251,165,165,165,252,162,162,162,251,160,160,160,253,160,160,160,252,152,152,152,253,152,152,152,253,161,161,161,251,163,163,163,252,162,162,162,253,161,161,161,253,156,156,156,251,143,143,143,252,120,120,120,252,110,110,110,253,104,104,104,253,103,103,103,253,96,96,96,253,78,78,78,252,78,78,78,253,78,78,78,253,51,51,51,253,87,87,87,250,140,140,140,253,133,133,133,252,126,126,126,252,125,125,125,253,120,120,120,252,97,97,97,253,155,155,155,252,149,149,149,252,147,147,147,253,144,144,144,252,135,135,135,252,134,134,134,252,131,131,131,253,174,174,174,252,172,172,172,253,169,169,169,253,173,173,173,252,181,181,181,253,170,170,170,251,165,165,165,253,165,165,165,252,165,165,165,253,166,166,166,251,176,176,176,252,163,163,163,252,130,130,130,252,105,105,105,252,104,104,104,253,98,98,98,251,84,84,84,251,85,85,85,251,98,98,98,252,96,96,96,252,104,104,104,251,118,118,118,251,112,112,112,251,111,111,111,253,122,122,122,252,125,125,125,252,124,124,124,252,118,118,118,250,130,130,130,251,157,157,157,251,147,147,147,252,149,149,149,251,151,151,151,250,149,149,149,252,154,154,154,252,146,146,146,252,107,107,107,251,152,152,152,251,146,146,146,251,134,134,134,251,133,133,133,253,139,139,139,251,174,174,174,251,172,172,172,251,167,167,167,251,172,172,172,251,155,155,155,251,163,163,163,251,174,174,174,252,176,176,176,252,175,175,175,253,171,171,171,250,186,186,186,251,186,186,186,251,185,185,185,251,197,197,197,252,200,200,200,251,199,199,199,252,198,198,198,253,196,196,196,251,166,166,166,252,166,166,166,252,163,163,163,251,155,155,155,251,166,166,166,251,163,163,163,252,161,161,161,252,158,158,158,253,159,159,159,251,152,152,152,253,152,152,152,253,161,161,161,252,162,162,162,253,162,162,162,253,160,160,160,253,154,154,154,251,111,111,111,251,112,112,112,253,110,110,110,253,103,103,103,253,103,103,103,253,92,92,92,253,78,78,78,253,78,78,78,253,78,78,78,253,38,38,38,253,90,90,90,251,140,140,140,253,133,133,133,252,128,128,128,253,126,126,126,252,125,125,125,253,105,105,105,252,155,155,155,252,153,153,153,252,147,147,147,253,145,145,145,252,134,134,134,252,134,134,134,251,136,136,136,252,174,174,174,253,173,173,173,252,167,167,167,253,155,155,155,251,180,180,180,253,165,165,165,252,167,167,167,251,165,165,165,252,165,165,165,253,165,165,165,253,168,168,168,251,167,167,167,252,141,141,141,252,105,105,105,252,104,104,104,253,102,102,102,251,85,85,85,252,79,79,79,251,96,96,96,252,93,93,93,251,113,113,113,251,117,117,117,251,112,112,112,252,111,111,111,253,122,122,122,252,125,125,125,252,124,124,124,252,113,113,113,252,153,153,153,252,153,153,153,250,150,150,150,252,149,149,149,251,147,147,147,251,152,152,152,252,154,154,154,252,116,116,116,252,138,138,138,252,151,151,151,251,140,140,140,251,134,134,134,251,133,133,133,253,157,157,157,251,174,174,174,252,170,170,170,251,173,173,173,252,167,167,167,250,162,162,162,252,168,168,168,251,177,177,177,252,176,176,176,253,175,175,175,251,185,185,185,251,189,189,189,251,186,186,186,251,192,192,192,251,199,199,199,251,199,199,199,251,198,198,198,253,197,197,197,252,185,185,185,250,166,166,166,253,166,166,166,252,165,165,165,250,167,167,167,253,164,164,164,251,162,162,162,251,160,160,160,252,158,158,158,253,158,158,158,251,152,152,152,253,150,150,150,252,163,163,163,252,162,162,162,253,162,162,162,253,160,160,160,252,135,135,135,251,97,97,97,252,112,112,112,253,108,108,108,253,103,103,103,253,103,103,103,253,87,87,87,252,78,78,78,253,78,78,78,253,78,78,78,253,28,28,28,253,83,83,83,252,138,138,138,252,133,133,133,252,128,128,128,253,126,126,126,252,125,125,125,253,112,112,112,252,155,155,155,252,155,155,155,253,147,147,147,253,146,146,146,252,136,136,136,251,132,132,132,252,141,141,141,251,174,174,174,253,174,174,174,252,161,161,161,252,145,145,145,252,170,170,170,251,165,165,165,252,164,164,164,252,166,166,166,251,165,165,165,253,162,162,162,252,163,163,163,251,170,170,170,251,148,148,148,252,104,104,104,253,104,104,104,253,103,103,103,252,86,86,86,251,75,75,75,251,93,93,93,251,100,100,100,250,115,115,115,252,116,116,116,251,112,112,112,251,112,112,112,252,122,122,122,252,125,125,125,252,126,126,126,251,124,124,124,250,163,163,163,250,154,154,154,251,151,151,151,251,148,148,148,250,144,144,144,252,154,154,154,252,140,140,140,251,121,121,121,252,153,153,153,252,151,151,151,251,134,134,134,252,134,134,134,251,136,136,136,251,174,174,174,252,173,173,173,253,172,172,172,250,177,177,177,251,165,165,165,252,162,162,162,252,175,175,175,251,176,176,176,252,176,176,176,253,184,184,184,252,189,189,189,251,189,189,189,252,186,186,186,252,197,197,197,252,197,197,197,252,199,199,199,252,197,197,197,252,194,194,194,252,177,177,177,251,166,166,166,253,167,167,167,250,172,172,172,252,160,160,160,252,163,163,163,253,162,162,162,251,160,160,160,252,158,158,158,253,156,156,156,251,152,152,152,253,154,154,154,251,162,162,162,253,162,162,162,253,162,162,162,253,152,152,152,251,105,105,105,252,100,100,100,252,112,112,112,253,107,107,107,253,103,103,103,253,103,103,103,253,79,79,79,252,78,78,78,253,78,78,78,253,78,78,78,253,26,26,26,254,71,71,71,252,136,136,136,252,130,130,130,252,128,128,128,253,128,128,128,252,125,125,125,253,112,112,112,252,155,155,155,252,155,155,155,253,150,150,150,252,146,146,146,252,136,136,136,251,132,132,132,252,141,141,141,251,174,174,174,253,174,174,174,253,161,161,161,252,138,138,138,252,161,161,161,252,165,165,165,251,165,165,165,253,165,165,165,251,165,165,165,252,162,162,162,252,157,157,157,251,176,176,176,251,155,155,155,252,104,104,104,253,105,105,105,252,102,102,102,253,86,86,86,252,75,75,75,252,87,87,87,252,109,109,109,251,115,115,115,252,116,116,116,251,112,112,112,251,112,112,112,251,122,122,122,252,126,126,126,252,126,126,126,251,146,146,146,251,163,163,163,251,153,153,153,251,148,148,148,250,146,146,146,251,146,146,146,252,156,156,156,251,119,119,119,250,149,149,149,253,153,153,153,252,146,146,146,251,133,133,133,252,133,133,133,252,153,153,153,250,174,174,174,251,173,173,173,251,177,177,177,252,177,177,177,251,162,162,162,252,169,169,169,251,176,176,176,251,176,176,176,252,186,186,186,252,188,188,188,253,189,189,189,251,188,188,188,252,189,189,189,251,198,198,198,252,198,198,198,251,198,198,198,252,195,195,195,252,189,189,189,251,170,170,170,252,166,166,166,253,181,181,181,250,162,162,162,252,160,160,160,251,162,162,162,252,161,161,161,252,158,158,158,253,158,158,158,253,153,153,153,253,152,152,152,253,155,155,155,251,162,162,162,253,162,162,162,253,160,160,160,252,117,117,117,252,105,105,105,252,100,100,100,252,112,112,112,253,106,106,106,253,103,103,103,253,100,100,100,252,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,26,26,26,254,62,62,62,252,132,132,132,252,130,130,130,252,128,128,128,253,128,128,128,253,126,126,126,252,112,112,112,252,155,155,155,253,155,155,155,253,153,153,153,252,146,146,146,252,139,139,139,250,131,131,131,252,140,140,140,252,175,175,175,252,174,174,174,253,163,163,163,252,138,138,138,252,155,155,155,251,158,158,158,252,165,165,165,253,164,164,164,252,163,163,163,251,161,161,161,252,152,152,152,253,175,175,175,252,159,159,159,251,114,114,114,252,107,107,107,251,101,101,101,253,83,83,83,252,78,78,78,252,90,90,90,251,108,108,108,251,115,115,115,252,117,117,117,251,112,112,112,251,112,112,112,251,122,122,122,252,125,125,125,253,132,132,132,250,159,159,159,250,164,164,164,253,148,148,148,251,146,146,146,250,146,146,146,251,149,149,149,252,141,141,141,250,136,136,136,251,153,153,153,253,154,154,154,251,140,140,140,251,133,133,133,253,132,132,132,251,168,168,168,251,174,174,174,251,177,177,177,250,182,182,182,252,168,168,168,252,164,164,164,251,175,175,175,251,176,176,176,251,184,184,184,252,194,194,194,252,187,187,187,253,188,188,188,251,187,187,187,252,195,195,195,251,198,198,198,251,198,198,198,251,196,196,196,252,193,193,193,251,183,183,183,252,166,166,166,253,180,180,180,251,171,171,171,251,158,158,158,253,160,160,160,252,162,162,162,251,160,160,160,252,158,158,158,253,158,158,158,252,152,152,152,253,151,151,151,251,157,157,157,252,162,162,162,253,162,162,162,253,131,131,131,252,112,112,112,253,105,105,105,252,100,100,100,252,112,112,112,253,104,104,104,253,103,103,103,253,94,94,94,252,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,26,26,26,254,51,51,51,252,126,126,126,252,130,130,130,252,128,128,128,253,128,128,128,253,127,127,127,252,117,117,117,252,155,155,155,253,155,155,155,253,155,155,155,253,147,147,147,252,139,139,139,251,131,131,131,252,142,142,142,252,173,173,173,253,175,175,175,252,163,163,163,252,140,140,140,253,149,149,149,251,156,156,156,253,162,162,162,252,165,165,165,253,163,163,163,251,159,159,159,252,152,152,152,253,167,167,167,252,163,163,163,251,118,118,118,252,107,107,107,251,101,101,101,253,79,79,79,252,79,79,79,253,102,102,102,251,106,106,106,251,115,115,115,252,116,116,116,251,112,112,112,251,112,112,112,252,125,125,125,252,126,126,126,252,149,149,149,251,162,162,162,252,162,162,162,252,146,146,146,250,143,143,143,251,146,146,146,251,152,152,152,252,123,123,123,250,153,153,153,253,153,153,153,252,153,153,153,251,135,135,135,251,133,133,133,253,146,146,146,251,174,174,174,251,177,177,177,250,183,183,183,251,181,181,181,251,162,162,162,252,171,171,171,251,176,176,176,252,181,181,181,250,195,195,195,253,188,188,188,253,188,188,188,252,188,188,188,251,190,190,190,250,198,198,198,251,196,196,196,252,196,196,196,251,194,194,194,253,189,189,189,251,178,178,178,252,174,174,174,252,182,182,182,251,160,160,160,251,159,159,159,251,162,162,162,251,161,161,161,252,160,160,160,253,158,158,158,253,156,156,156,252,152,152,152,253,150,150,150,251,160,160,160,252,162,162,162,253,139,139,139,251,122,122,122,252,112,112,112,253,105,105,105,252,100,100,100,252,112,112,112,253,103,103,103,253,103,103,103,253,88,88,88,252,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,26,26,26,254,50,50,50,253,118,118,118,252,128,128,128,253,128,128,128,253,128,128,128,253,128,128,128,253,132,132,132,251,155,155,155,253,155,155,155,252,155,155,155,253,151,151,151,251,141,141,141,252,131,131,131,251,150,150,150,252,173,173,173,253,173,173,173,253,158,158,158,251,140,140,140,253,145,145,145,251,156,156,156,253,159,159,159,252,164,164,164,253,162,162,162,252,154,154,154,251,149,149,149,252,160,160,160,251,167,167,167,252,130,130,130,250,106,106,106,250,100,100,100,252,79,79,79,252,88,88,88,252,107,107,107,252,102,102,102,252,115,115,115,251,115,115,115,251,112,112,112,252,112,112,112,251,125,125,125,251,129,129,129,251,163,163,163,250,164,164,164,253,159,159,159,251,144,144,144,251,143,143,143,251,146,146,146,251,136,136,136,251,150,150,150,253,153,153,153,252,153,153,153,252,147,147,147,251,134,134,134,251,132,132,132,251,164,164,164,252,173,173,173,251,183,183,183,250,185,185,185,251,172,172,172,251,164,164,164,251,177,177,177,252,177,177,177,251,197,197,197,251,195,195,195,251,188,188,188,253,186,186,186,252,188,188,188,251,194,194,194,251,197,197,197,252,195,195,195,251,194,194,194,253,193,193,193,251,185,185,185,253,174,174,174,251,187,187,187,252,164,164,164,251,158,158,158,252,159,159,159,251,161,161,161,251,160,160,160,252,159,159,159,253,158,158,158,253,155,155,155,251,151,151,151,251,149,149,149,253,163,163,163,253,148,148,148,251,126,126,126,253,118,118,118,252,112,112,112,253,105,105,105,252,100,100,100,252,112,112,112,253,103,103,103,253,105,105,105,252,83,83,83,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,26,26,26,254,50,50,50,253,104,104,104,252,128,128,128,253,128,128,128,253,128,128,128,253,128,128,128,253,133,133,133,251,155,155,155,253,155,155,155,252,155,155,155,253,154,154,154,251,142,142,142,252,129,129,129,252,150,150,150,252,173,173,173,253,173,173,173,253,157,157,157,251,140,140,140,252,141,141,141,252,156,156,156,252,158,158,158,252,161,161,161,252,163,163,163,252,154,154,154,251,147,147,147,252,156,156,156,251,168,168,168,251,137,137,137,250,107,107,107,252,95,95,95,250,80,80,80,252,100,100,100,252,106,106,106,253,99,99,99,251,114,114,114,251,115,115,115,251,111,111,111,253,112,112,112,251,126,126,126,252,147,147,147,249,163,163,163,251,164,164,164,253,153,153,153,250,141,141,141,252,144,144,144,251,149,149,149,251,137,137,137,252,154,154,154,253,154,154,154,251,153,153,153,252,142,142,142,251,131,131,131,252,141,141,141,251,173,173,173,253,180,180,180,250,187,187,187,251,183,183,183,251,163,163,163,252,172,172,172,252,178,178,178,252,193,193,193,252,198,198,198,252,191,191,191,252,188,188,188,252,185,185,185,253,189,189,189,250,198,198,198,251,196,196,196,251,194,194,194,252,195,195,195,252,187,187,187,252,183,183,183,251,185,185,185,253,171,171,171,251,159,159,159,251,158,158,158,252,160,160,160,252,160,160,160,252,160,160,160,253,158,158,158,253,158,158,158,253,152,152,152,252,149,149,149,252,152,152,152,252,155,155,155,252,125,125,125,252,125,125,125,252,115,115,115,253,112,112,112,253,105,105,105,252,100,100,100,252,109,109,109,253,103,103,103,253,106,106,106,252,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,26,26,26,254,50,50,50,253,98,98,98,252,126,126,126,252,128,128,128,253,128,128,128,253,128,128,128,253,133,133,133,251,155,155,155,253,155,155,155,252,155,155,155,253,154,154,154,252,145,145,145,251,130,130,130,252,150,150,150,252,173,173,173,253,173,173,173,253,157,157,157,251,142,142,142,251,141,141,141,253,153,153,153,252,158,158,158,251,159,159,159,253,160,160,160,251,154,154,154,252,145,145,145,252,151,151,151,252,168,168,168,251,144,144,144,251,108,108,108,250,94,94,94,250,86,86,86,250,106,106,106,253,106,106,106,252,99,99,99,252,113,113,113,251,115,115,115,251,112,112,112,252,112,112,112,251,128,128,128,251,163,163,163,251,166,166,166,251,163,163,163,252,145,145,145,252,141,141,141,253,144,144,144,251,134,134,134,249,154,154,154,252,154,154,154,253,155,155,155,251,152,152,152,252,135,135,135,251,130,130,130,252,159,159,159,252,178,178,178,250,186,186,186,252,187,187,187,251,175,175,175,251,164,164,164,251,176,176,176,253,190,190,190,252,199,199,199,251,196,196,196,251,188,188,188,252,187,187,187,252,185,185,185,253,192,192,192,251,196,196,196,251,193,193,193,251,194,194,194,252,192,192,192,251,185,185,185,253,192,192,192,252,178,178,178,251,161,161,161,252,158,158,158,253,159,159,159,251,159,159,159,251,160,160,160,252,160,160,160,253,158,158,158,253,158,158,158,253,150,150,150,251,149,149,149,252,152,152,152,252,128,128,128,251,126,126,126,253,124,124,124,252,114,114,114,253,112,112,112,253,105,105,105,252,100,100,100,252,109,109,109,253,103,103,103,253,99,99,99,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,26,26,26,254,50,50,50,253,92,92,92,252,124,124,124,252,128,128,128,253,128,128,128,253,128,128,128,253,133,133,133,251,156,156,156,252,155,155,155,252,155,155,155,253,154,154,154,252,149,149,149,251,132,132,132,251,150,150,150,252,173,173,173,253,173,173,173,253,157,157,157,251,140,140,140,252,141,141,141,252,149,149,149,252,157,157,157,252,159,159,159,252,157,157,157,251,153,153,153,252,146,146,146,252,147,147,147,251,163,163,163,252,161,161,161,250,107,107,107,250,91,91,91,251,98,98,98,252,106,106,106,253,104,104,104,252,97,97,97,253,113,113,113,251,115,115,115,251,112,112,112,251,112,112,112,251,143,143,143,249,165,165,165,252,166,166,166,251,159,159,159,250,142,142,142,252,141,141,141,253,144,144,144,249,149,149,149,251,155,155,155,251,154,154,154,253,154,154,154,252,146,146,146,251,134,134,134,251,136,136,136,251,175,175,175,250,184,184,184,252,187,187,187,252,186,186,186,251,165,165,165,251,174,174,174,252,186,186,186,252,198,198,198,252,198,198,198,252,192,192,192,252,188,188,188,252,186,186,186,252,186,186,186,251,195,195,195,251,193,193,193,251,193,193,193,251,194,194,194,252,186,186,186,253,194,194,194,252,184,184,184,251,168,168,168,251,158,158,158,252,159,159,159,253,161,161,161,251,159,159,159,251,160,160,160,253,160,160,160,253,158,158,158,253,155,155,155,251,148,148,148,251,149,149,149,253,125,125,125,251,129,129,129,251,126,126,126,253,122,122,122,252,112,112,112,253,112,112,112,253,105,105,105,252,100,100,100,252,108,108,108,253,105,105,105,252,92,92,92,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,26,26,26,254,50,50,50,253,88,88,88,252,120,120,120,252,128,128,128,253,128,128,128,253,128,128,128,253,147,147,147,252,156,156,156,252,155,155,155,252,155,155,155,253,154,154,154,252,150,150,150,252,134,134,134,251,162,162,162,252,173,173,173,253,173,173,173,253,152,152,152,251,141,141,141,253,141,141,141,252,145,145,145,252,157,157,157,252,159,159,159,252,156,156,156,252,142,142,142,251,147,147,147,253,144,144,144,252,160,160,160,252,167,167,167,250,106,106,106,251,90,90,90,250,106,106,106,253,107,107,107,252,104,104,104,252,97,97,97,253,112,112,112,252,113,113,113,252,112,112,112,251,113,113,113,250,161,161,161,251,165,165,165,252,165,165,165,250,151,151,151,251,140,140,140,252,142,142,142,252,142,142,142,250,155,155,155,251,154,154,154,253,155,155,155,251,154,154,154,253,140,140,140,251,133,133,133,251,153,153,153,251,183,183,183,251,186,186,186,253,187,187,187,252,180,180,180,251,166,166,166,251,184,184,184,252,197,197,197,253,199,199,199,251,198,198,198,251,188,188,188,253,187,187,187,251,186,186,186,252,187,187,187,250,194,194,194,251,193,193,193,251,191,191,191,253,189,189,189,251,190,190,190,252,196,196,196,251,171,171,171,253,160,160,160,253,158,158,158,252,159,159,159,251,161,161,161,251,159,159,159,251,160,160,160,253,159,159,159,253,158,158,158,253,151,151,151,251,148,148,148,251,119,119,119,252,124,124,124,252,129,129,129,253,127,127,127,252,121,121,121,253,112,112,112,253,112,112,112,253,105,105,105,252,99,99,99,252,107,107,107,253,107,107,107,252,87,87,87,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,26,26,26,254,50,50,50,253,88,88,88,252,116,116,116,252,128,128,128,253,128,128,128,253,128,128,128,253,150,150,150,252,156,156,156,253,156,156,156,252,155,155,155,253,154,154,154,252,152,152,152,252,136,136,136,251,163,163,163,252,173,173,173,253,173,173,173,253,148,148,148,250,141,141,141,253,141,141,141,253,142,142,142,251,156,156,156,253,159,159,159,253,158,158,158,252,135,135,135,252,141,141,141,252,146,146,146,252,155,155,155,252,170,170,170,250,117,117,117,251,101,101,101,251,108,108,108,252,106,106,106,253,102,102,102,251,97,97,97,253,110,110,110,252,113,113,113,251,112,112,112,251,135,135,135,250,165,165,165,251,167,167,167,251,157,157,157,251,149,149,149,251,142,142,142,251,142,142,142,250,154,154,154,251,155,155,155,251,154,154,154,252,155,155,155,251,152,152,152,251,135,135,135,251,135,135,135,250,176,176,176,251,187,187,187,251,186,186,186,253,186,186,186,253,168,168,168,251,179,179,179,251,195,195,195,253,197,197,197,253,199,199,199,251,193,193,193,251,188,188,188,253,186,186,186,251,183,183,183,251,188,188,188,251,193,193,193,251,194,194,194,251,191,191,191,250,188,188,188,252,198,198,198,252,184,184,184,251,166,166,166,251,158,158,158,253,158,158,158,253,160,160,160,251,159,159,159,251,158,158,158,252,160,160,160,253,158,158,158,253,155,155,155,252,149,149,149,252,130,130,130,251,103,103,103,252,129,129,129,251,129,129,129,253,127,127,127,252,119,119,119,253,112,112,112,253,112,112,112,253,105,105,105,252,99,99,99,252,109,109,109,252,107,107,107,253,81,81,81,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,26,26,26,254,50,50,50,253,79,79,79,252,113,113,113,253,125,125,125,253,128,128,128,253,128,128,128,253,150,150,150,252,156,156,156,253,156,156,156,252,155,155,155,253,154,154,154,252,153,153,153,252,139,139,139,251,164,164,164,252,173,173,173,253,173,173,173,253,148,148,148,250,141,141,141,253,141,141,141,253,140,140,140,253,153,153,153,252,159,159,159,253,159,159,159,253,137,137,137,251,132,132,132,252,146,146,146,253,154,154,154,251,167,167,167,251,119,119,119,251,109,109,109,252,108,108,108,251,107,107,107,252,102,102,102,251,98,98,98,252,110,110,110,252,113,113,113,251,116,116,116,250,154,154,154,252,166,166,166,251,164,164,164,250,151,151,151,252,147,147,147,251,142,142,142,251,152,152,152,251,152,152,152,251,155,155,155,251,154,154,154,252,154,154,154,252,145,145,145,251,133,133,133,252,157,157,157,249,186,186,186,251,187,187,187,251,187,187,187,252,183,183,183,251,170,170,170,250,196,196,196,252,197,197,197,253,197,197,197,253,198,198,198,251,189,189,189,252,188,188,188,252,186,186,186,252,178,178,178,250,193,193,193,251,193,193,193,251,191,191,191,253,187,187,187,250,198,198,198,253,191,191,191,252,176,176,176,251,160,160,160,253,158,158,158,252,159,159,159,253,161,161,161,251,158,158,158,251,158,158,158,252,160,160,160,252,158,158,158,253,153,153,153,252,137,137,137,252,101,101,101,252,111,111,111,251,129,129,129,252,128,128,128,253,125,125,125,253,119,119,119,253,112,112,112,253,112,112,112,253,105,105,105,252,99,99,99,252,108,108,108,252,105,105,105,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,26,26,26,254,50,50,50,253,81,81,81,252,113,113,113,253,122,122,122,253,128,128,128,253,128,128,128,253,150,150,150,252,156,156,156,253,156,156,156,253,156,156,156,253,154,154,154,252,153,153,153,252,137,137,137,252,165,165,165,252,174,174,174,253,173,173,173,253,148,148,148,250,141,141,141,253,141,141,141,253,141,141,141,253,148,148,148,252,158,158,158,252,159,159,159,253,138,138,138,251,130,130,130,253,137,137,137,252,151,151,151,251,173,173,173,252,126,126,126,250,107,107,107,253,108,108,108,251,107,107,107,251,99,99,99,252,98,98,98,252,110,110,110,252,112,112,112,251,134,134,134,252,161,161,161,251,166,166,166,251,155,155,155,251,151,151,151,252,145,145,145,252,155,155,155,250,151,151,151,251,153,153,153,252,155,155,155,251,155,155,155,251,153,153,153,252,139,139,139,251,138,138,138,251,182,182,182,251,186,186,186,252,187,187,187,252,187,187,187,251,173,173,173,250,194,194,194,252,197,197,197,253,198,198,198,252,198,198,198,252,193,193,193,252,189,189,189,251,187,187,187,252,177,177,177,251,183,183,183,251,193,193,193,251,193,193,193,251,188,188,188,251,196,196,196,252,192,192,192,252,189,189,189,252,165,165,165,251,158,158,158,253,158,158,158,252,158,158,158,252,159,159,159,251,158,158,158,252,158,158,158,252,160,160,160,252,155,155,155,252,149,149,149,252,101,101,101,251,101,101,101,252,117,117,117,251,129,129,129,253,127,127,127,252,125,125,125,253,118,118,118,253,112,112,112,253,112,112,112,253,105,105,105,252,98,98,98,252,109,109,109,252,97,97,97,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,26,26,26,254,63,63,63,253,81,81,81,252,110,110,110,253,121,121,121,252,128,128,128,253,128,128,128,253,164,164,164,252,156,156,156,253,156,156,156,253,156,156,156,253,154,154,154,252,153,153,153,252,142,142,142,252,178,178,178,251,174,174,174,253,173,173,173,253,144,144,144,251,141,141,141,253,141,141,141,253,141,141,141,253,144,144,144,252,158,158,158,252,159,159,159,253,135,135,135,251,130,130,130,252,130,130,130,253,144,144,144,250,172,172,172,251,129,129,129,250,107,107,107,253,107,107,107,253,107,107,107,251,99,99,99,252,97,97,97,253,110,110,110,252,119,119,119,251,149,149,149,252,161,161,161,251,160,160,160,250,152,152,152,251,152,152,152,251,148,148,148,251,153,153,153,251,151,151,151,251,154,154,154,252,154,154,154,252,155,155,155,251,151,151,151,251,136,136,136,251,169,169,169,251,187,187,187,251,187,187,187,252,187,187,187,252,182,182,182,251,186,186,186,251,197,197,197,253,198,198,198,252,198,198,198,252,198,198,198,251,188,188,188,253,188,188,188,251,182,182,182,252,170,170,170,250,191,191,191,252,193,193,193,251,192,192,192,251,193,193,193,251,195,195,195,251,190,190,190,253,183,183,183,251,159,159,159,252,158,158,158,253,158,158,158,253,160,160,160,251,159,159,159,251,158,158,158,252,158,158,158,252,158,158,158,252,153,153,153,253,113,113,113,250,98,98,98,253,104,104,104,251,123,123,123,252,129,129,129,253,127,127,127,252,125,125,125,253,118,118,118,253,112,112,112,253,112,112,112,253,105,105,105,252,106,106,106,252,110,110,110,253,92,92,92,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,26,26,26,254,63,63,63,253,83,83,83,252,106,106,106,253,117,117,117,253,125,125,125,253,128,128,128,253,166,166,166,252,156,156,156,253,156,156,156,253,156,156,156,253,154,154,154,252,154,154,154,252,142,142,142,252,178,178,178,251,175,175,175,253,173,173,173,253,142,142,142,252,141,141,141,253,141,141,141,253,141,141,141,253,141,141,141,252,157,157,157,252,159,159,159,253,135,135,135,252,131,131,131,253,130,130,130,253,129,129,129,251,168,168,168,252,128,128,128,251,108,108,108,252,107,107,107,253,107,107,107,251,98,98,98,251,97,97,97,253,111,111,111,251,135,135,135,251,159,159,159,252,160,160,160,250,151,151,151,251,153,153,153,251,152,152,152,251,160,160,160,251,150,150,150,251,152,152,152,251,155,155,155,251,154,154,154,253,154,154,154,251,144,144,144,251,153,153,153,252,183,183,183,251,187,187,187,251,187,187,187,252,187,187,187,252,182,182,182,250,199,199,199,251,197,197,197,253,198,198,198,252,198,198,198,252,194,194,194,251,188,188,188,253,186,186,186,251,166,166,166,251,182,182,182,251,191,191,191,253,194,194,194,251,193,193,193,249,194,194,194,251,191,191,191,252,190,190,190,253,169,169,169,251,158,158,158,253,158,158,158,252,158,158,158,252,159,159,159,251,159,159,159,251,158,158,158,253,160,160,160,253,154,154,154,252,124,124,124,252,101,101,101,251,101,101,101,252,107,107,107,253,127,127,127,252,127,127,127,252,125,125,125,253,125,125,125,253,118,118,118,253,112,112,112,253,112,112,112,253,104,104,104,252,107,107,107,251,107,107,107,253,85,85,85,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,26,26,26,254,63,63,63,253,86,86,86,252,106,106,106,253,116,116,116,253,124,124,124,253,128,128,128,253,170,170,170,252,156,156,156,253,156,156,156,253,156,156,156,253,154,154,154,252,155,155,155,252,144,144,144,252,179,179,179,252,176,176,176,252,172,172,172,252,142,142,142,252,141,141,141,253,141,141,141,253,141,141,141,253,141,141,141,253,154,154,154,251,159,159,159,253,135,135,135,252,132,132,132,253,130,130,130,253,121,121,121,252,155,155,155,252,132,132,132,251,107,107,107,251,107,107,107,253,107,107,107,252,98,98,98,252,98,98,98,252,125,125,125,252,146,146,146,252,160,160,160,251,154,154,154,251,150,150,150,251,153,153,153,251,163,163,163,250,156,156,156,252,149,149,149,252,153,153,153,251,154,154,154,252,154,154,154,252,151,151,151,251,152,152,152,251,172,172,172,251,187,187,187,251,187,187,187,251,187,187,187,252,187,187,187,250,198,198,198,251,198,198,198,252,197,197,197,253,198,198,198,252,198,198,198,252,188,188,188,253,188,188,188,252,169,169,169,251,169,169,169,251,190,190,190,253,192,192,192,252,193,193,193,250,194,194,194,251,190,190,190,252,190,190,190,253,188,188,188,252,160,160,160,252,158,158,158,253,158,158,158,252,159,159,159,251,159,159,159,251,158,158,158,252,158,158,158,252,158,158,158,251,136,136,136,252,108,108,108,253,100,100,100,252,102,102,102,252,110,110,110,252,129,129,129,253,127,127,127,252,125,125,125,253,125,125,125,253,117,117,117,253,112,112,112,253,112,112,112,253,104,104,104,252,109,109,109,252,107,107,107,253,80,80,80,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,26,26,26,254,63,63,63,253,86,86,86,252,101,101,101,253,115,115,115,253,122,122,122,253,128,128,128,253,170,170,170,252,156,156,156,253,156,156,156,253,156,156,156,253,154,154,154,252,155,155,155,252,147,147,147,252,179,179,179,252,177,177,177,252,168,168,168,252,142,142,142,252,141,141,141,253,141,141,141,253,141,141,141,253,141,141,141,253,151,151,151,251,159,159,159,253,135,135,135,252,131,131,131,253,129,129,129,253,125,125,125,252,142,142,142,251,131,131,131,251,107,107,107,251,108,108,108,252,104,104,104,251,97,97,97,252,104,104,104,251,135,135,135,251,156,156,156,253,157,157,157,250,149,149,149,251,152,152,152,251,155,155,155,250,171,171,171,251,148,148,148,253,150,150,150,252,153,153,153,252,155,155,155,251,155,155,155,251,155,155,155,250,164,164,164,251,181,181,181,251,187,187,187,252,187,187,187,252,187,187,187,250,197,197,197,251,199,199,199,251,198,198,198,252,198,198,198,252,198,198,198,252,195,195,195,251,189,189,189,252,175,175,175,251,163,163,163,251,181,181,181,251,192,192,192,253,192,192,192,250,196,196,196,251,188,188,188,252,190,190,190,252,190,190,190,253,173,173,173,251,158,158,158,253,158,158,158,252,159,159,159,253,159,159,159,251,158,158,158,253,159,159,159,251,158,158,158,252,146,146,146,251,107,107,107,253,107,107,107,251,100,100,100,252,104,104,104,252,115,115,115,251,128,128,128,253,125,125,125,253,125,125,125,253,124,124,124,253,117,117,117,253,114,114,114,253,112,112,112,253,103,103,103,251,109,109,109,252,103,103,103,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,19,19,19,254,63,63,63,253,86,86,86,252,101,101,101,253,113,113,113,253,121,121,121,253,134,134,134,252,170,170,170,252,156,156,156,253,156,156,156,253,156,156,156,253,154,154,154,252,155,155,155,252,154,154,154,251,179,179,179,252,178,178,178,252,163,163,163,252,142,142,142,252,141,141,141,253,141,141,141,253,141,141,141,253,141,141,141,253,146,146,146,251,156,156,156,253,138,138,138,252,129,129,129,253,128,128,128,252,132,132,132,253,137,137,137,251,125,125,125,252,109,109,109,252,106,106,106,253,105,105,105,252,98,98,98,252,122,122,122,252,145,145,145,251,158,158,158,252,150,150,150,252,146,146,146,251,152,152,152,251,175,175,175,251,155,155,155,251,149,149,149,251,150,150,150,253,154,154,154,252,155,155,155,251,154,154,154,251,165,165,165,251,174,174,174,251,187,187,187,252,187,187,187,252,187,187,187,251,196,196,196,251,200,200,200,252,199,199,199,251,198,198,198,252,197,197,197,253,198,198,198,252,189,189,189,251,182,182,182,251,161,161,161,252,169,169,169,251,189,189,189,252,192,192,192,253,200,200,200,250,188,188,188,251,187,187,187,253,191,191,191,252,185,185,185,252,164,164,164,251,158,158,158,253,158,158,158,252,159,159,159,251,159,159,159,251,158,158,158,252,159,159,159,251,155,155,155,251,111,111,111,251,107,107,107,253,103,103,103,251,103,103,103,252,105,105,105,252,119,119,119,251,127,127,127,252,125,125,125,253,125,125,125,253,123,123,123,253,117,117,117,253,115,115,115,253,112,112,112,253,103,103,103,251,104,104,104,252,95,95,95,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,19,19,19,254,63,63,63,253,89,89,89,253,98,98,98,253,113,113,113,253,120,120,120,253,136,136,136,252,170,170,170,252,156,156,156,253,156,156,156,253,156,156,156,253,154,154,154,252,157,157,157,253,161,161,161,251,179,179,179,252,178,178,178,252,160,160,160,252,142,142,142,252,141,141,141,253,141,141,141,253,141,141,141,253,141,141,141,253,142,142,142,252,155,155,155,252,138,138,138,252,130,130,130,253,126,126,126,251,133,133,133,253,136,136,136,251,124,124,124,252,110,110,110,251,107,107,107,251,102,102,102,251,112,112,112,250,125,125,125,252,155,155,155,251,155,155,155,251,146,146,146,252,146,146,146,251,164,164,164,250,174,174,174,251,151,151,151,251,150,150,150,251,151,151,151,252,154,154,154,252,156,156,156,250,166,166,166,251,171,171,171,251,180,180,180,251,187,187,187,252,187,187,187,251,197,197,197,251,201,201,201,251,199,199,199,251,199,199,199,252,197,197,197,253,197,197,197,253,196,196,196,251,186,186,186,252,165,165,165,251,161,161,161,252,180,180,180,251,192,192,192,253,200,200,200,251,189,189,189,251,188,188,188,252,188,188,188,251,191,191,191,252,176,176,176,252,160,160,160,252,158,158,158,253,158,158,158,252,159,159,159,251,157,157,157,253,158,158,158,252,158,158,158,252,120,120,120,250,107,107,107,253,108,108,108,252,103,103,103,251,103,103,103,253,105,105,105,252,123,123,123,252,127,127,127,252,125,125,125,253,125,125,125,253,121,121,121,253,117,117,117,253,117,117,117,253,113,113,113,252,105,105,105,252,104,104,104,252,90,90,90,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,17,17,17,254,63,63,63,253,89,89,89,253,95,95,95,253,113,113,113,253,119,119,119,253,134,134,134,252,171,171,171,252,156,156,156,253,156,156,156,253,156,156,156,253,154,154,154,252,157,157,157,253,161,161,161,251,180,180,180,252,178,178,178,252,158,158,158,252,144,144,144,253,141,141,141,253,141,141,141,253,141,141,141,253,141,141,141,253,141,141,141,253,150,150,150,252,140,140,140,253,131,131,131,253,130,130,130,252,132,132,132,253,130,130,130,252,118,118,118,253,110,110,110,251,106,106,106,251,104,104,104,251,125,125,125,251,134,134,134,252,157,157,157,250,149,149,149,252,144,144,144,251,147,147,147,250,180,180,180,251,158,158,158,251,150,150,150,251,150,150,150,251,153,153,153,251,154,154,154,252,166,166,166,251,172,172,172,251,173,173,173,251,186,186,186,251,187,187,187,251,198,198,198,251,198,198,198,251,202,202,202,251,199,199,199,251,199,199,199,251,197,197,197,253,197,197,197,253,192,192,192,251,171,171,171,251,159,159,159,253,166,166,166,251,188,188,188,252,196,196,196,252,193,193,193,250,188,188,188,251,187,187,187,253,189,189,189,251,182,182,182,252,168,168,168,251,158,158,158,252,158,158,158,252,159,159,159,251,159,159,159,251,157,157,157,253,158,158,158,252,126,126,126,251,113,113,113,252,108,108,108,252,106,106,106,251,105,105,105,251,103,103,103,253,105,105,105,251,128,128,128,252,125,125,125,253,125,125,125,253,125,125,125,253,121,121,121,253,117,117,117,253,117,117,117,253,116,116,116,251,96,96,96,252,104,104,104,252,85,85,85,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,12,12,12,254,63,63,63,252,89,89,89,253,95,95,95,253,113,113,113,253,117,117,117,253,133,133,133,252,173,173,173,253,156,156,156,253,156,156,156,253,156,156,156,253,154,154,154,252,157,157,157,253,162,162,162,252,180,180,180,253,175,175,175,251,158,158,158,252,144,144,144,252,141,141,141,253,141,141,141,253,141,141,141,253,141,141,141,253,141,141,141,253,147,147,147,252,141,141,141,253,131,131,131,252,133,133,133,253,132,132,132,253,129,129,129,252,116,116,116,252,113,113,113,251,105,105,105,252,120,120,120,252,125,125,125,251,147,147,147,252,151,151,151,250,146,146,146,252,142,142,142,252,166,166,166,251,171,171,171,251,152,152,152,252,149,149,149,251,150,150,150,251,154,154,154,251,164,164,164,251,169,169,169,251,175,175,175,251,178,178,178,251,187,187,187,251,195,195,195,250,199,199,199,251,204,204,204,251,200,200,200,251,199,199,199,251,199,199,199,251,197,197,197,253,195,195,195,252,176,176,176,251,163,163,163,251,159,159,159,252,176,176,176,251,193,193,193,252,197,197,197,251,189,189,189,252,188,188,188,251,187,187,187,253,190,190,190,252,173,173,173,252,164,164,164,251,158,158,158,252,158,158,158,252,159,159,159,251,157,157,157,253,157,157,157,253,142,142,142,251,107,107,107,253,113,113,113,252,109,109,109,252,109,109,109,251,103,103,103,253,103,103,103,253,109,109,109,251,127,127,127,252,125,125,125,253,125,125,125,253,125,125,125,253,119,119,119,253,117,117,117,253,117,117,117,253,120,120,120,251,96,96,96,252,101,101,101,252,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,12,12,12,254,66,66,66,252,89,89,89,253,89,89,89,253,113,113,113,253,116,116,116,253,139,139,139,252,172,172,172,253,156,156,156,253,156,156,156,253,156,156,156,253,155,155,155,252,157,157,157,253,168,168,168,252,180,180,180,253,174,174,174,251,157,157,157,252,146,146,146,252,141,141,141,253,141,141,141,253,141,141,141,253,141,141,141,253,141,141,141,253,140,140,140,251,142,142,142,253,137,137,137,251,134,134,134,253,132,132,132,253,122,122,122,251,115,115,115,252,116,116,116,251,112,112,112,252,126,126,126,251,133,133,133,251,153,153,153,251,147,147,147,251,145,145,145,251,151,151,151,251,181,181,181,251,155,155,155,251,151,151,151,252,149,149,149,251,150,150,150,252,162,162,162,250,169,169,169,251,177,177,177,252,174,174,174,251,185,185,185,252,193,193,193,250,202,202,202,251,199,199,199,251,203,203,203,251,199,199,199,251,200,200,200,251,199,199,199,251,198,198,198,252,185,185,185,251,168,168,168,251,162,162,162,251,166,166,166,251,186,186,186,250,198,198,198,252,188,188,188,251,189,189,189,251,188,188,188,251,187,187,187,253,182,182,182,252,171,171,171,251,160,160,160,252,158,158,158,253,158,158,158,252,159,159,159,251,157,157,157,253,149,149,149,252,110,110,110,251,107,107,107,253,115,115,115,252,110,110,110,252,108,108,108,251,104,104,104,252,103,103,103,253,114,114,114,251,125,125,125,253,125,125,125,253,125,125,125,253,125,125,125,253,118,118,118,253,117,117,117,253,122,122,122,252,125,125,125,252,96,96,96,252,95,95,95,252,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,9,9,9,254,66,66,66,252,89,89,89,253,89,89,89,253,113,113,113,253,114,114,114,253,144,144,144,252,171,171,171,253,156,156,156,253,156,156,156,253,156,156,156,253,155,155,155,252,157,157,157,253,174,174,174,252,180,180,180,253,171,171,171,251,155,155,155,252,146,146,146,253,142,142,142,253,141,141,141,253,141,141,141,253,141,141,141,253,141,141,141,253,128,128,128,251,141,141,141,252,139,139,139,251,134,134,134,253,133,133,133,253,121,121,121,251,113,113,113,252,119,119,119,252,126,126,126,253,124,124,124,251,146,146,146,252,147,147,147,252,146,146,146,251,142,142,142,252,173,173,173,252,168,168,168,251,154,154,154,251,151,151,151,251,149,149,149,251,155,155,155,250,171,171,171,251,173,173,173,251,177,177,177,251,175,175,175,251,190,190,190,251,204,204,204,251,198,198,198,251,206,206,206,251,199,199,199,252,199,199,199,251,200,200,200,251,199,199,199,251,193,193,193,251,170,170,170,251,165,165,165,251,161,161,161,251,175,175,175,251,198,198,198,252,188,188,188,251,190,190,190,252,188,188,188,251,188,188,188,251,187,187,187,251,171,171,171,253,169,169,169,251,158,158,158,253,158,158,158,252,159,159,159,251,158,158,158,252,154,154,154,253,113,113,113,251,109,109,109,251,109,109,109,252,113,113,113,253,115,115,115,250,108,108,108,251,104,104,104,252,104,104,104,252,118,118,118,251,125,125,125,253,125,125,125,253,125,125,125,253,125,125,125,253,117,117,117,253,117,117,117,253,125,125,125,251,130,130,130,253,96,96,96,252,85,85,85,252,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,6,6,6,254,66,66,66,252,89,89,89,253,89,89,89,253,110,110,110,253,113,113,113,253,144,144,144,252,170,170,170,253,156,156,156,253,156,156,156,253,156,156,156,253,155,155,155,252,157,157,157,253,174,174,174,252,184,184,184,252,167,167,167,252,156,156,156,251,146,146,146,253,143,143,143,252,141,141,141,253,141,141,141,253,141,141,141,253,141,141,141,253,125,125,125,251,142,142,142,251,140,140,140,251,134,134,134,253,134,134,134,253,119,119,119,251,112,112,112,252,129,129,129,252,131,131,131,252,128,128,128,252,152,152,152,251,145,145,145,252,143,143,143,251,160,160,160,252,176,176,176,251,153,153,153,251,154,154,154,251,150,150,150,252,151,151,151,250,167,167,167,251,172,172,172,251,178,178,178,251,175,175,175,251,185,185,185,251,202,202,202,252,200,200,200,251,202,202,202,251,205,205,205,251,198,198,198,252,199,199,199,252,198,198,198,253,197,197,197,252,178,178,178,251,166,166,166,251,162,162,162,251,166,166,166,251,193,193,193,251,190,190,190,251,187,187,187,251,190,190,190,252,188,188,188,252,188,188,188,251,179,179,179,251,171,171,171,252,164,164,164,251,158,158,158,253,159,159,159,251,159,159,159,251,158,158,158,253,123,123,123,252,106,106,106,251,109,109,109,251,109,109,109,251,115,115,115,253,117,117,117,252,106,106,106,252,104,104,104,252,103,103,103,252,121,121,121,251,125,125,125,253,125,125,125,253,125,125,125,253,124,124,124,253,117,117,117,253,118,118,118,253,131,131,131,252,131,131,131,253,97,97,97,252,76,76,76,252,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,6,6,6,254,70,70,70,252,89,89,89,253,89,89,89,253,106,106,106,253,113,113,113,253,143,143,143,252,170,170,170,253,156,156,156,253,156,156,156,253,156,156,156,253,156,156,156,251,157,157,157,253,174,174,174,252,184,184,184,252,165,165,165,252,157,157,157,251,147,147,147,253,146,146,146,251,141,141,141,253,141,141,141,253,141,141,141,253,141,141,141,253,121,121,121,250,141,141,141,252,140,140,140,251,134,134,134,253,134,134,134,253,119,119,119,251,114,114,114,252,137,137,137,253,131,131,131,251,141,141,141,252,147,147,147,252,145,145,145,251,147,147,147,250,181,181,181,252,161,161,161,251,154,154,154,251,154,154,154,251,150,150,150,250,163,163,163,251,170,170,170,251,177,177,177,251,178,178,178,251,175,175,175,251,202,202,202,251,202,202,202,252,197,197,197,251,207,207,207,251,201,201,201,251,199,199,199,251,200,200,200,251,198,198,198,252,188,188,188,251,168,168,168,251,164,164,164,252,161,161,161,251,181,181,181,251,189,189,189,251,186,186,186,251,190,190,190,251,190,190,190,252,188,188,188,251,185,185,185,251,171,171,171,252,170,170,170,253,160,160,160,252,158,158,158,252,159,159,159,251,159,159,159,251,131,131,131,252,110,110,110,252,106,106,106,252,109,109,109,252,111,111,111,251,123,123,123,251,115,115,115,251,104,104,104,253,104,104,104,252,102,102,102,252,125,125,125,252,125,125,125,253,125,125,125,253,125,125,125,253,123,123,123,253,117,117,117,253,122,122,122,252,131,131,131,252,131,131,131,253,100,100,100,252,70,70,70,252,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,1,1,1,254,75,75,75,252,89,89,89,253,89,89,89,253,106,106,106,253,113,113,113,253,148,148,148,252,170,170,170,253,159,159,159,252,156,156,156,253,156,156,156,253,156,156,156,251,157,157,157,253,178,178,178,252,180,180,180,251,165,165,165,252,156,156,156,251,147,147,147,253,146,146,146,252,142,142,142,252,141,141,141,253,141,141,141,253,141,141,141,253,124,124,124,251,138,138,138,252,143,143,143,252,135,135,135,253,134,134,134,253,115,115,115,252,128,128,128,252,136,136,136,252,133,133,133,251,148,148,148,252,145,145,145,252,142,142,142,251,169,169,169,251,174,174,174,251,149,149,149,252,154,154,154,251,152,152,152,252,160,160,160,251,167,167,167,251,176,176,176,252,178,178,178,251,178,178,178,251,194,194,194,251,206,206,206,251,198,198,198,251,204,204,204,251,207,207,207,251,200,200,200,251,200,200,200,251,200,200,200,251,193,193,193,251,175,175,175,251,166,166,166,251,162,162,162,252,169,169,169,250,185,185,185,251,187,187,187,253,187,187,187,251,190,190,190,252,188,188,188,251,188,188,188,251,176,176,176,251,171,171,171,251,167,167,167,252,158,158,158,252,159,159,159,251,159,159,159,251,143,143,143,251,115,115,115,253,105,105,105,252,106,106,106,252,109,109,109,252,112,112,112,251,125,125,125,252,113,113,113,251,103,103,103,253,102,102,102,252,105,105,105,251,125,125,125,253,125,125,125,253,125,125,125,253,125,125,125,253,121,121,121,253,117,117,117,253,127,127,127,252,131,131,131,252,131,131,131,253,103,103,103,252,69,69,69,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,0,0,0,255,81,81,81,252,89,89,89,253,89,89,89,253,101,101,101,253,113,113,113,253,154,154,154,252,170,170,170,253,158,158,158,252,156,156,156,253,156,156,156,253,155,155,155,252,157,157,157,253,182,182,182,252,177,177,177,251,165,165,165,252,154,154,154,251,147,147,147,253,147,147,147,252,142,142,142,252,141,141,141,253,141,141,141,253,140,140,140,252,126,126,126,252,130,130,130,252,143,143,143,252,135,135,135,253,134,134,134,253,123,123,123,251,132,132,132,253,136,136,136,252,142,142,142,250,145,145,145,253,144,144,144,253,155,155,155,250,180,180,180,251,157,157,157,252,151,151,151,251,153,153,153,252,161,161,161,250,166,166,166,251,171,171,171,251,178,178,178,252,178,178,178,251,185,185,185,250,206,206,206,251,201,201,201,251,198,198,198,251,206,206,206,252,203,203,203,251,200,200,200,251,200,200,200,251,195,195,195,251,185,185,185,251,165,165,165,252,166,166,166,251,160,160,160,252,181,181,181,251,185,185,185,251,185,185,185,251,190,190,190,251,190,190,190,252,188,188,188,251,184,184,184,251,170,170,170,251,171,171,171,251,165,165,165,252,158,158,158,252,159,159,159,251,149,149,149,252,117,117,117,251,109,109,109,252,104,104,104,253,108,108,108,251,109,109,109,252,122,122,122,251,120,120,120,252,111,111,111,251,103,103,103,253,102,102,102,252,110,110,110,251,125,125,125,253,125,125,125,253,125,125,125,253,125,125,125,253,120,120,120,253,118,118,118,253,131,131,131,253,131,131,131,253,131,131,131,253,96,96,96,251,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,0,0,0,255,86,86,86,252,89,89,89,253,89,89,89,253,101,101,101,253,113,113,113,253,152,152,152,252,170,170,170,253,158,158,158,252,155,155,155,253,156,156,156,253,155,155,155,252,157,157,157,253,182,182,182,252,174,174,174,252,165,165,165,252,154,154,154,251,147,147,147,253,147,147,147,252,145,145,145,252,141,141,141,253,141,141,141,253,142,142,142,252,127,127,127,252,128,128,128,251,142,142,142,252,136,136,136,253,134,134,134,251,131,131,131,253,133,133,133,253,137,137,137,251,150,150,150,251,145,145,145,253,147,147,147,251,175,175,175,251,171,171,171,251,149,149,149,252,150,150,150,252,159,159,159,250,169,169,169,251,166,166,166,251,178,178,178,251,178,178,178,251,182,182,182,251,202,202,202,251,204,204,204,251,197,197,197,251,204,204,204,251,207,207,207,251,200,200,200,251,200,200,200,251,196,196,196,251,191,191,191,252,174,174,174,251,165,165,165,252,163,163,163,251,173,173,173,251,178,178,178,251,187,187,187,251,187,187,187,252,190,190,190,252,189,189,189,252,188,188,188,251,174,174,174,252,170,170,170,251,171,171,171,251,161,161,161,252,158,158,158,252,156,156,156,251,118,118,118,251,114,114,114,252,104,104,104,253,104,104,104,253,109,109,109,252,112,112,112,252,127,127,127,252,120,120,120,252,109,109,109,251,104,104,104,252,100,100,100,252,114,114,114,251,126,126,126,253,125,125,125,253,125,125,125,253,125,125,125,253,119,119,119,253,124,124,124,252,131,131,131,252,131,131,131,253,131,131,131,253,92,92,92,251,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,0,0,0,255,82,82,82,252,89,89,89,253,89,89,89,253,98,98,98,253,113,113,113,253,152,152,152,252,170,170,170,253,158,158,158,252,155,155,155,253,156,156,156,253,155,155,155,252,157,157,157,253,182,182,182,252,173,173,173,252,165,165,165,253,154,154,154,252,147,147,147,253,147,147,147,252,147,147,147,253,141,141,141,252,141,141,141,253,144,144,144,253,127,127,127,252,119,119,119,251,138,138,138,252,136,136,136,252,141,141,141,251,133,133,133,253,133,133,133,253,142,142,142,250,148,148,148,251,145,145,145,252,164,164,164,252,178,178,178,251,156,156,156,252,150,150,150,251,154,154,154,251,168,168,168,251,168,168,168,251,173,173,173,251,178,178,178,251,182,182,182,250,197,197,197,252,203,203,203,252,198,198,198,251,199,199,199,251,207,207,207,251,204,204,204,251,199,199,199,252,198,198,198,251,193,193,193,251,184,184,184,251,166,166,166,252,166,166,166,251,168,168,168,251,171,171,171,251,183,183,183,251,185,185,185,251,189,189,189,251,190,190,190,252,188,188,188,252,182,182,182,251,170,170,170,251,171,171,171,251,169,169,169,251,158,158,158,253,159,159,159,251,123,123,123,250,117,117,117,252,108,108,108,252,105,105,105,252,106,106,106,252,110,110,110,252,118,118,118,250,123,123,123,252,121,121,121,252,109,109,109,252,104,104,104,252,98,98,98,252,119,119,119,252,126,126,126,253,125,125,125,253,125,125,125,253,125,125,125,253,118,118,118,253,129,129,129,252,131,131,131,252,131,131,131,253,131,131,131,253,75,75,75,251,82,82,82,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,0,0,0,255,82,82,82,252,89,89,89,253,89,89,89,253,95,95,95,253,113,113,113,253,154,154,154,252,170,170,170,253,158,158,158,252,154,154,154,253,156,156,156,253,155,155,155,252,157,157,157,253,182,182,182,251,171,171,171,252,165,165,165,253,153,153,153,252,147,147,147,252,147,147,147,252,148,148,148,253,142,142,142,252,141,141,141,252,144,144,144,253,127,127,127,252,116,116,116,251,134,134,134,252,142,142,142,251,144,144,144,251,133,133,133,253,133,133,133,253,147,147,147,252,147,147,147,252,155,155,155,250,177,177,177,253,166,166,166,251,149,149,149,251,150,150,150,251,165,165,165,251,170,170,170,251,170,170,170,251,177,177,177,251,180,180,180,250,196,196,196,251,201,201,201,251,201,201,201,251,197,197,197,251,206,206,206,251,207,207,207,251,200,200,200,252,199,199,199,251,193,193,193,251,188,188,188,251,174,174,174,251,165,165,165,252,171,171,171,250,166,166,166,250,177,177,177,252,186,186,186,252,187,187,187,252,190,190,190,251,190,190,190,251,187,187,187,253,172,172,172,251,169,169,169,251,171,171,171,252,166,166,166,251,158,158,158,252,131,131,131,250,116,116,116,252,112,112,112,252,104,104,104,253,105,105,105,251,106,106,106,252,117,117,117,251,122,122,122,251,118,118,118,253,121,121,121,251,107,107,107,252,102,102,102,252,98,98,98,252,122,122,122,252,127,127,127,252,125,125,125,253,125,125,125,253,124,124,124,253,120,120,120,252,131,131,131,253,131,131,131,252,131,131,131,253,131,131,131,253,67,67,67,251,86,86,86,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,0,0,0,255,84,84,84,253,89,89,89,253,89,89,89,253,95,95,95,253,113,113,113,253,165,165,165,253,169,169,169,253,161,161,161,252,154,154,154,253,155,155,155,253,156,156,156,252,157,157,157,253,185,185,185,252,170,170,170,253,165,165,165,253,148,148,148,252,148,148,148,252,147,147,147,252,148,148,148,253,146,146,146,253,143,143,143,252,144,144,144,253,118,118,118,253,111,111,111,252,131,131,131,251,149,149,149,252,143,143,143,251,134,134,134,253,139,139,139,251,148,148,148,253,150,150,150,251,176,176,176,251,177,177,177,253,151,151,151,253,149,149,149,251,161,161,161,252,168,168,168,252,169,169,169,251,177,177,177,252,177,177,177,251,195,195,195,251,200,200,200,251,202,202,202,252,198,198,198,251,201,201,201,251,208,208,208,251,205,205,205,251,199,199,199,251,193,193,193,251,192,192,192,251,180,180,180,251,169,169,169,251,170,170,170,250,164,164,164,251,170,170,170,251,182,182,182,251,185,185,185,251,188,188,188,252,190,190,190,252,188,188,188,251,181,181,181,252,170,170,170,251,169,169,169,251,170,170,170,253,161,161,161,252,143,143,143,251,115,115,115,251,116,116,116,253,106,106,106,252,105,105,105,252,105,105,105,251,107,107,107,252,125,125,125,252,119,119,119,250,120,120,120,252,118,118,118,252,107,107,107,252,99,99,99,252,102,102,102,252,124,124,124,252,127,127,127,252,126,126,126,253,125,125,125,253,123,123,123,253,125,125,125,252,131,131,131,253,131,131,131,253,131,131,131,253,129,129,129,253,60,60,60,252,89,89,89,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,0,0,0,255,84,84,84,253,89,89,89,253,89,89,89,253,89,89,89,253,113,113,113,253,165,165,165,253,168,168,168,253,161,161,161,252,154,154,154,253,155,155,155,253,157,157,157,253,157,157,157,253,181,181,181,252,171,171,171,253,165,165,165,253,147,147,147,252,149,149,149,252,147,147,147,252,148,148,148,253,147,147,147,252,144,144,144,252,144,144,144,253,116,116,116,252,108,108,108,252,137,137,137,252,148,148,148,252,141,141,141,251,133,133,133,252,144,144,144,252,148,148,148,253,167,167,167,251,178,178,178,251,165,165,165,252,147,147,147,253,158,158,158,251,168,168,168,252,169,169,169,251,175,175,175,251,176,176,176,253,189,189,189,251,200,200,200,251,201,201,201,251,199,199,199,251,196,196,196,252,207,207,207,251,207,207,207,251,201,201,201,252,195,195,195,251,193,193,193,251,185,185,185,251,175,175,175,251,167,167,167,251,167,167,167,251,160,160,160,251,177,177,177,251,183,183,183,251,187,187,187,251,190,190,190,252,189,189,189,253,187,187,187,252,172,172,172,251,169,169,169,251,170,170,170,252,170,170,170,251,150,150,150,252,116,116,116,251,115,115,115,251,110,110,110,252,104,104,104,253,105,105,105,252,105,105,105,252,113,113,113,251,126,126,126,252,117,117,117,251,121,121,121,252,116,116,116,252,107,107,107,251,96,96,96,252,109,109,109,252,124,124,124,252,126,126,126,252,126,126,126,253,125,125,125,253,122,122,122,253,129,129,129,252,131,131,131,252,131,131,131,253,131,131,131,253,119,119,119,252,53,53,53,252,93,93,93,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,0,0,0,255,84,84,84,253,89,89,89,253,89,89,89,253,89,89,89,253,113,113,113,253,165,165,165,253,167,167,167,253,161,161,161,252,154,154,154,253,154,154,154,253,157,157,157,253,157,157,157,253,177,177,177,252,171,171,171,253,165,165,165,253,146,146,146,252,150,150,150,253,147,147,147,252,148,148,148,253,148,148,148,252,145,145,145,252,144,144,144,253,112,112,112,252,109,109,109,252,145,145,145,253,147,147,147,251,140,140,140,251,137,137,137,251,148,148,148,253,157,157,157,251,180,180,180,251,176,176,176,251,149,149,149,253,153,153,153,252,167,167,167,252,169,169,169,251,172,172,172,251,178,178,178,251,183,183,183,250,199,199,199,251,200,200,200,251,199,199,199,251,196,196,196,251,202,202,202,251,207,207,207,252,207,207,207,251,196,196,196,251,192,192,192,252,188,188,188,251,178,178,178,251,170,170,170,252,172,172,172,251,159,159,159,251,169,169,169,251,179,179,179,251,185,185,185,251,188,188,188,251,189,189,189,253,189,189,189,252,179,179,179,251,170,170,170,251,169,169,169,251,170,170,170,252,164,164,164,251,119,119,119,251,114,114,114,251,115,115,115,251,106,106,106,252,104,104,104,253,105,105,105,252,105,105,105,253,122,122,122,250,124,124,124,251,115,115,115,252,122,122,122,252,113,113,113,252,105,105,105,251,95,95,95,253,115,115,115,252,124,124,124,252,124,124,124,253,128,128,128,253,125,125,125,253,127,127,127,252,131,131,131,253,131,131,131,252,131,131,131,253,131,131,131,253,107,107,107,252,53,53,53,252,93,93,93,253,81,81,81,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,8,8,8,254,83,83,83,253,89,89,89,253,89,89,89,253,89,89,89,253,110,110,110,253,165,165,165,253,166,166,166,253,161,161,161,252,154,154,154,253,154,154,154,253,156,156,156,253,157,157,157,253,172,172,172,253,171,171,171,253,167,167,167,252,144,144,144,252,150,150,150,253,148,148,148,252,147,147,147,252,149,149,149,253,147,147,147,253,144,144,144,252,109,109,109,252,125,125,125,252,142,142,142,252,146,146,146,251,136,136,136,251,142,142,142,252,149,149,149,252,178,178,178,252,178,178,178,252,164,164,164,251,151,151,151,251,164,164,164,253,166,166,166,252,169,169,169,251,178,178,178,251,183,183,183,250,197,197,197,251,199,199,199,252,200,200,200,251,198,198,198,251,198,198,198,251,207,207,207,251,207,207,207,252,201,201,201,251,193,193,193,251,192,192,192,251,180,180,180,251,175,175,175,251,170,170,170,251,160,160,160,252,160,160,160,251,176,176,176,252,181,181,181,251,188,188,188,251,190,190,190,251,190,190,190,251,187,187,187,251,171,171,171,252,170,170,170,252,168,168,168,251,171,171,171,252,132,132,132,251,117,117,117,251,113,113,113,251,108,108,108,251,104,104,104,253,104,104,104,253,104,104,104,253,111,111,111,251,124,124,124,251,120,120,120,251,118,118,118,252,121,121,121,253,111,111,111,252,105,105,105,251,95,95,95,253,119,119,119,253,125,125,125,252,124,124,124,253,128,128,128,252,126,126,126,253,130,130,130,252,131,131,131,253,131,131,131,252,131,131,131,253,131,131,131,253,96,96,96,252,49,49,49,252,93,93,93,253,85,85,85,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,10,10,10,254,81,81,81,253,89,89,89,253,89,89,89,253,89,89,89,253,120,120,120,252,165,165,165,253,166,166,166,253,162,162,162,252,154,154,154,253,155,155,155,252,153,153,153,253,164,164,164,251,171,171,171,253,171,171,171,253,162,162,162,252,144,144,144,252,151,151,151,253,149,149,149,253,148,148,148,252,149,149,149,253,149,149,149,253,139,139,139,252,115,115,115,251,129,129,129,253,140,140,140,252,143,143,143,252,138,138,138,251,148,148,148,253,165,165,165,252,181,181,181,251,176,176,176,251,151,151,151,251,163,163,163,252,166,166,166,252,167,167,167,251,175,175,175,252,182,182,182,250,196,196,196,252,196,196,196,251,199,199,199,252,196,196,196,251,196,196,196,251,204,204,204,251,207,207,207,252,207,207,207,251,193,193,193,251,193,193,193,251,183,183,183,251,180,180,180,251,172,172,172,250,164,164,164,251,159,159,159,251,168,168,168,251,178,178,178,251,186,186,186,252,188,188,188,252,190,190,190,251,190,190,190,251,177,177,177,251,170,170,170,252,169,169,169,251,169,169,169,251,148,148,148,250,118,118,118,252,115,115,115,252,112,112,112,252,105,105,105,251,104,104,104,253,104,104,104,253,107,107,107,252,117,117,117,251,126,126,126,251,116,116,116,252,122,122,122,252,120,120,120,252,111,111,111,252,104,104,104,252,99,99,99,252,121,121,121,253,125,125,125,252,125,125,125,253,128,128,128,251,129,129,129,253,134,134,134,253,131,131,131,253,131,131,131,252,131,131,131,253,131,131,131,253,87,87,87,252,45,45,45,252,93,93,93,253,89,89,89,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,10,10,10,254,81,81,81,253,89,89,89,253,89,89,89,253,89,89,89,253,120,120,120,252,165,165,165,253,165,165,165,253,165,165,165,252,154,154,154,253,155,155,155,252,151,151,151,253,162,162,162,251,171,171,171,253,171,171,171,253,161,161,161,252,141,141,141,252,151,151,151,253,149,149,149,251,149,149,149,253,149,149,149,253,149,149,149,253,140,140,140,251,126,126,126,253,129,129,129,253,136,136,136,252,142,142,142,252,141,141,141,251,154,154,154,252,183,183,183,253,180,180,180,252,159,159,159,252,161,161,161,252,166,166,166,252,165,165,165,252,171,171,171,251,179,179,179,252,196,196,196,251,197,197,197,251,197,197,197,252,196,196,196,251,198,198,198,251,199,199,199,251,207,207,207,251,207,207,207,252,200,200,200,251,192,192,192,252,187,187,187,251,180,180,180,251,179,179,179,250,167,167,167,251,162,162,162,251,160,160,160,251,176,176,176,251,179,179,179,251,188,188,188,252,189,189,189,251,190,190,190,251,186,186,186,251,170,170,170,252,170,170,170,252,169,169,169,251,157,157,157,251,130,130,130,251,117,117,117,252,112,112,112,251,107,107,107,251,105,105,105,251,105,105,105,252,104,104,104,253,112,112,112,252,118,118,118,251,124,124,124,251,114,114,114,251,123,123,123,252,118,118,118,251,111,111,111,251,104,104,104,252,104,104,104,252,121,121,121,253,125,125,125,252,125,125,125,253,128,128,128,251,136,136,136,252,131,131,131,253,131,131,131,252,131,131,131,253,131,131,131,253,124,124,124,253,84,84,84,253,45,45,45,252,93,93,93,253,93,93,93,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,15,15,15,254,80,80,80,253,89,89,89,253,89,89,89,253,89,89,89,253,115,115,115,252,165,165,165,253,165,165,165,253,164,164,164,252,154,154,154,253,155,155,155,252,152,152,152,253,158,158,158,251,171,171,171,253,171,171,171,253,162,162,162,252,141,141,141,253,151,151,151,253,150,150,150,251,149,149,149,253,149,149,149,253,149,149,149,253,146,146,146,252,128,128,128,252,129,129,129,253,136,136,136,251,139,139,139,251,147,147,147,251,177,177,177,252,182,182,182,252,175,175,175,251,158,158,158,252,167,167,167,252,166,166,166,252,166,166,166,251,177,177,177,251,194,194,194,252,200,200,200,251,194,194,194,252,197,197,197,252,194,194,194,251,197,197,197,252,205,205,205,251,207,207,207,251,206,206,206,251,194,194,194,252,191,191,191,252,179,179,179,251,181,181,181,250,170,170,170,251,162,162,162,252,161,161,161,251,168,168,168,251,176,176,176,252,185,185,185,252,188,188,188,251,190,190,190,251,190,190,190,251,176,176,176,251,170,170,170,251,170,170,170,251,162,162,162,251,135,135,135,252,123,123,123,251,116,116,116,252,108,108,108,251,105,105,105,252,105,105,105,251,105,105,105,252,107,107,107,252,115,115,115,253,120,120,120,252,121,121,121,250,116,116,116,251,123,123,123,253,116,116,116,252,112,112,112,251,107,107,107,252,111,111,111,252,121,121,121,253,125,125,125,253,125,125,125,253,126,126,126,252,143,143,143,252,133,133,133,253,131,131,131,252,131,131,131,253,131,131,131,253,116,116,116,252,84,84,84,253,39,39,39,252,93,93,93,253,93,93,93,253,81,81,81,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,20,20,20,254,79,79,79,253,89,89,89,253,89,89,89,253,89,89,89,253,115,115,115,252,165,165,165,253,165,165,165,253,164,164,164,252,154,154,154,253,155,155,155,252,152,152,152,253,155,155,155,252,171,171,171,253,171,171,171,253,162,162,162,252,141,141,141,253,148,148,148,251,150,150,150,252,149,149,149,253,149,149,149,253,149,149,149,252,153,153,153,251,128,128,128,252,129,129,129,253,133,133,133,251,145,145,145,251,166,166,166,250,184,184,184,253,181,181,181,252,166,166,166,250,166,166,166,253,167,167,167,252,166,166,166,251,172,172,172,252,192,192,192,251,199,199,199,252,199,199,199,251,194,194,194,252,192,192,192,252,198,198,198,251,198,198,198,252,207,207,207,251,206,206,206,251,201,201,201,251,193,193,193,251,183,183,183,252,180,180,180,251,178,178,178,250,164,164,164,251,162,162,162,252,160,160,160,251,176,176,176,251,178,178,178,251,188,188,188,252,188,188,188,251,190,190,190,251,184,184,184,251,170,170,170,251,170,170,170,251,167,167,167,251,135,135,135,250,135,135,135,252,116,116,116,251,112,112,112,251,105,105,105,251,105,105,105,252,105,105,105,251,105,105,105,252,113,113,113,251,115,115,115,253,123,123,123,251,117,117,117,251,119,119,119,251,123,123,123,253,115,115,115,252,113,113,113,252,108,108,108,252,116,116,116,252,121,121,121,253,125,125,125,253,125,125,125,253,129,129,129,252,145,145,145,252,135,135,135,253,131,131,131,252,131,131,131,253,131,131,131,253,104,104,104,252,84,84,84,253,38,38,38,253,93,93,93,253,93,93,93,253,84,84,84,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,32,32,32,253,79,79,79,253,89,89,89,253,89,89,89,253,89,89,89,253,126,126,126,252,165,165,165,253,165,165,165,253,163,163,163,252,154,154,154,253,155,155,155,251,152,152,152,253,156,156,156,252,171,171,171,253,171,171,171,253,160,160,160,251,141,141,141,253,149,149,149,251,150,150,150,252,149,149,149,253,148,148,148,252,155,155,155,253,149,149,149,251,130,130,130,253,127,127,127,252,132,132,132,252,154,154,154,250,181,181,181,251,183,183,183,252,174,174,174,251,167,167,167,252,166,166,166,253,166,166,166,252,170,170,170,251,184,184,184,250,199,199,199,252,201,201,201,251,197,197,197,251,192,192,192,251,191,191,191,252,198,198,198,251,205,205,205,252,206,206,206,251,205,205,205,251,196,196,196,251,186,186,186,251,178,178,178,252,179,179,179,251,170,170,170,251,163,163,163,251,160,160,160,252,167,167,167,251,175,175,175,251,185,185,185,251,188,188,188,251,190,190,190,251,190,190,190,251,175,175,175,251,170,170,170,251,170,170,170,251,142,142,142,250,135,135,135,251,129,129,129,251,116,116,116,252,102,102,102,250,105,105,105,251,105,105,105,252,105,105,105,252,109,109,109,251,116,116,116,252,116,116,116,253,121,121,121,251,116,116,116,252,121,121,121,251,121,121,121,251,113,113,113,251,114,114,114,252,108,108,108,252,121,121,121,253,122,122,122,252,125,125,125,253,125,125,125,253,135,135,135,252,142,142,142,251,137,137,137,253,131,131,131,252,131,131,131,253,131,131,131,253,96,96,96,252,84,84,84,253,52,52,52,252,93,93,93,253,93,93,93,253,88,88,88,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,37,37,37,253,79,79,79,253,87,87,87,253,89,89,89,253,89,89,89,253,123,123,123,252,165,165,165,253,165,165,165,253,163,163,163,252,154,154,154,253,155,155,155,251,150,150,150,252,156,156,156,252,170,170,170,253,171,171,171,253,159,159,159,251,140,140,140,252,147,147,147,252,150,150,150,253,149,149,149,253,152,152,152,252,156,156,156,253,146,146,146,252,132,132,132,253,129,129,129,252,135,135,135,252,176,176,176,251,184,184,184,252,182,182,182,250,171,171,171,252,166,166,166,253,166,166,166,253,168,168,168,251,180,180,180,251,199,199,199,251,199,199,199,252,200,200,200,251,196,196,196,251,184,184,184,251,195,195,195,252,201,201,201,251,206,206,206,252,204,204,204,251,204,204,204,251,190,190,190,251,179,179,179,251,177,177,177,251,175,175,175,251,165,165,165,251,163,163,163,251,161,161,161,251,175,175,175,252,176,176,176,251,188,188,188,252,188,188,188,252,190,190,190,251,182,182,182,251,170,170,170,251,170,170,170,251,148,148,148,250,136,136,136,251,136,136,136,251,122,122,122,251,112,112,112,252,101,101,101,251,105,105,105,252,105,105,105,252,105,105,105,252,115,115,115,251,115,115,115,253,117,117,117,252,118,118,118,251,117,117,117,253,124,124,124,251,119,119,119,251,113,113,113,253,113,113,113,253,112,112,112,251,121,121,121,253,123,123,123,252,125,125,125,253,125,125,125,253,142,142,142,252,140,140,140,251,138,138,138,253,133,133,133,253,131,131,131,253,131,131,131,253,84,84,84,253,73,73,73,253,52,52,52,252,93,93,93,253,93,93,93,253,92,92,92,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,41,41,41,253,79,79,79,253,86,86,86,253,89,89,89,253,89,89,89,253,123,123,123,252,165,165,165,253,165,165,165,253,166,166,166,253,154,154,154,253,156,156,156,251,149,149,149,252,156,156,156,252,170,170,170,253,171,171,171,253,159,159,159,252,141,141,141,252,147,147,147,252,150,150,150,253,150,150,150,252,156,156,156,253,156,156,156,252,146,146,146,252,135,135,135,252,129,129,129,253,156,156,156,251,185,185,185,252,184,184,184,250,179,179,179,251,167,167,167,253,166,166,166,253,166,166,166,252,176,176,176,251,196,196,196,252,199,199,199,251,200,200,200,251,198,198,198,251,186,186,186,251,187,187,187,251,199,199,199,251,206,206,206,252,204,204,204,251,204,204,204,252,198,198,198,251,182,182,182,251,176,176,176,250,177,177,177,251,171,171,171,251,164,164,164,251,161,161,161,252,167,167,167,251,174,174,174,251,185,185,185,251,188,188,188,252,190,190,190,251,189,189,189,253,173,173,173,252,170,170,170,252,157,157,157,251,137,137,137,251,136,136,136,251,135,135,135,251,115,115,115,253,97,97,97,250,104,104,104,253,104,104,104,253,105,105,105,251,109,109,109,251,116,116,116,253,116,116,116,251,118,118,118,251,117,117,117,252,121,121,121,252,124,124,124,251,115,115,115,251,113,113,113,253,113,113,113,253,116,116,116,251,122,122,122,253,123,123,123,252,126,126,126,253,132,132,132,252,144,144,144,253,137,137,137,251,139,139,139,252,137,137,137,253,131,131,131,253,122,122,122,252,84,84,84,253,73,73,73,253,52,52,52,252,93,93,93,253,93,93,93,253,93,93,93,253,80,80,80,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,41,41,41,253,79,79,79,253,86,86,86,253,89,89,89,253,89,89,89,253,118,118,118,252,165,165,165,253,165,165,165,253,165,165,165,253,154,154,154,253,156,156,156,251,149,149,149,252,156,156,156,252,168,168,168,253,171,171,171,253,160,160,160,252,144,144,144,253,146,146,146,252,150,150,150,253,154,154,154,252,156,156,156,253,157,157,157,252,146,146,146,251,135,135,135,253,137,137,137,251,179,179,179,253,185,185,185,251,184,184,184,251,171,171,171,252,167,167,167,252,166,166,166,253,172,172,172,250,193,193,193,252,199,199,199,251,199,199,199,251,198,198,198,252,195,195,195,251,178,178,178,251,194,194,194,252,203,203,203,252,205,205,205,252,204,204,204,253,204,204,204,251,187,187,187,251,177,177,177,250,176,176,176,251,176,176,176,251,165,165,165,251,163,163,163,252,161,161,161,251,175,175,175,251,178,178,178,251,188,188,188,252,188,188,188,252,189,189,189,253,182,182,182,251,170,170,170,251,162,162,162,252,136,136,136,251,138,138,138,251,136,136,136,251,128,128,128,251,110,110,110,252,94,94,94,251,104,104,104,253,104,104,104,253,104,104,104,253,114,114,114,250,116,116,116,253,117,117,117,251,117,117,117,250,116,116,116,252,125,125,125,252,125,125,125,251,114,114,114,251,113,113,113,252,113,113,113,253,122,122,122,251,122,122,122,253,124,124,124,252,126,126,126,253,138,138,138,252,144,144,144,253,135,135,135,251,140,140,140,252,140,140,140,253,131,131,131,253,113,113,113,252,84,84,84,253,73,73,73,253,52,52,52,252,93,93,93,253,93,93,93,253,93,93,93,253,84,84,84,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,44,44,44,253,79,79,79,253,84,84,84,253,89,89,89,253,89,89,89,253,130,130,130,252,165,165,165,253,165,165,165,253,165,165,165,253,153,153,153,253,156,156,156,251,148,148,148,252,161,161,161,252,168,168,168,253,170,170,170,253,156,156,156,251,144,144,144,253,146,146,146,252,152,152,152,252,157,157,157,253,156,156,156,253,157,157,157,252,142,142,142,251,134,134,134,253,168,168,168,252,182,182,182,253,185,185,185,250,180,180,180,252,167,167,167,252,167,167,167,252,168,168,168,251,190,190,190,252,197,197,197,253,198,198,198,252,200,200,200,251,198,198,198,251,186,186,186,251,182,182,182,251,200,200,200,252,205,205,205,251,204,204,204,252,204,204,204,253,198,198,198,251,179,179,179,251,176,176,176,250,175,175,175,251,171,171,171,252,164,164,164,251,162,162,162,253,167,167,167,251,175,175,175,251,183,183,183,251,188,188,188,252,189,189,189,252,188,188,188,251,172,172,172,252,167,167,167,251,137,137,137,250,135,135,135,252,138,138,138,251,134,134,134,251,122,122,122,251,92,92,92,251,102,102,102,252,104,104,104,253,104,104,104,253,110,110,110,252,115,115,115,251,116,116,116,253,117,117,117,252,115,115,115,251,118,118,118,251,128,128,128,252,128,128,128,251,112,112,112,253,113,113,113,252,113,113,113,253,126,126,126,252,123,123,123,253,125,125,125,252,128,128,128,253,145,145,145,253,144,144,144,253,131,131,131,253,140,140,140,251,142,142,142,253,133,133,133,253,101,101,101,252,84,84,84,253,63,63,63,253,52,52,52,252,93,93,93,253,93,93,93,253,93,93,93,253,88,88,88,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,52,52,52,253,79,79,79,253,84,84,84,253,89,89,89,253,89,89,89,253,134,134,134,252,163,163,163,253,165,165,165,253,165,165,165,253,153,153,153,253,156,156,156,252,148,148,148,253,162,162,162,252,168,168,168,253,170,170,170,253,153,153,153,252,146,146,146,252,144,144,144,252,156,156,156,253,157,157,157,253,156,156,156,253,156,156,156,251,138,138,138,252,149,149,149,251,184,184,184,253,183,183,183,252,187,187,187,251,170,170,170,253,167,167,167,253,167,167,167,251,186,186,186,251,197,197,197,253,197,197,197,253,199,199,199,251,199,199,199,252,190,190,190,251,182,182,182,251,189,189,189,251,204,204,204,251,204,204,204,252,204,204,204,252,204,204,204,253,185,185,185,251,173,173,173,251,174,174,174,251,176,176,176,251,166,166,166,252,164,164,164,251,161,161,161,251,174,174,174,252,179,179,179,252,187,187,187,251,188,188,188,252,190,190,190,252,181,181,181,251,171,171,171,252,142,142,142,250,136,136,136,251,136,136,136,251,138,138,138,251,132,132,132,251,111,111,111,252,88,88,88,250,105,105,105,252,104,104,104,253,104,104,104,253,114,114,114,253,115,115,115,251,117,117,117,251,116,116,116,251,114,114,114,251,121,121,121,251,130,130,130,251,124,124,124,251,113,113,113,252,112,112,112,253,113,113,113,253,130,130,130,252,124,124,124,252,125,125,125,252,134,134,134,252,145,145,145,253,142,142,142,252,131,131,131,253,140,140,140,251,142,142,142,253,137,137,137,253,93,93,93,252,84,84,84,253,63,63,63,253,52,52,52,252,93,93,93,253,93,93,93,253,93,93,93,253,92,92,92,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,52,52,52,253,79,79,79,253,83,83,83,253,89,89,89,253,89,89,89,253,134,134,134,252,161,161,161,253,165,165,165,253,165,165,165,253,153,153,153,253,155,155,155,251,148,148,148,253,162,162,162,252,168,168,168,253,165,165,165,252,153,153,153,252,146,146,146,252,149,149,149,252,157,157,157,253,157,157,157,252,156,156,156,253,151,151,151,252,141,141,141,251,176,176,176,252,184,184,184,252,186,186,186,252,177,177,177,251,167,167,167,253,167,167,167,252,179,179,179,250,197,197,197,253,197,197,197,253,197,197,197,253,199,199,199,251,196,196,196,251,183,183,183,251,182,182,182,251,199,199,199,251,207,207,207,251,204,204,204,252,204,204,204,252,198,198,198,251,173,173,173,250,173,173,173,253,174,174,174,251,172,172,172,251,163,163,163,252,164,164,164,251,167,167,167,250,176,176,176,251,183,183,183,251,188,188,188,251,189,189,189,251,187,187,187,252,171,171,171,252,148,148,148,251,135,135,135,252,135,135,135,251,135,135,135,253,136,136,136,251,126,126,126,251,94,94,94,251,96,96,96,251,105,105,105,251,104,104,104,253,111,111,111,252,114,114,114,253,115,115,115,251,117,117,117,251,113,113,113,251,115,115,115,251,125,125,125,251,130,130,130,251,124,124,124,251,114,114,114,252,112,112,112,253,118,118,118,251,131,131,131,252,124,124,124,252,125,125,125,252,140,140,140,252,145,145,145,253,140,140,140,252,131,131,131,252,138,138,138,251,143,143,143,253,140,140,140,253,84,84,84,253,84,84,84,253,60,60,60,253,50,50,50,252,93,93,93,253,93,93,93,253,93,93,93,253,93,93,93,253,80,80,80,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,52,52,52,253,79,79,79,253,81,81,81,253,89,89,89,253,89,89,89,253,134,134,134,252,161,161,161,253,165,165,165,253,165,165,165,253,155,155,155,252,154,154,154,251,148,148,148,253,162,162,162,252,168,168,168,253,162,162,162,252,153,153,153,252,148,148,148,251,153,153,153,253,156,156,156,252,157,157,157,252,155,155,155,251,148,148,148,253,161,161,161,251,184,184,184,252,188,188,188,252,185,185,185,251,167,167,167,252,167,167,167,253,174,174,174,250,198,198,198,252,197,197,197,253,197,197,197,253,198,198,198,252,198,198,198,252,185,185,185,251,182,182,182,251,185,185,185,251,206,206,206,251,204,204,204,253,204,204,204,252,203,203,203,252,180,180,180,251,174,174,174,252,174,174,174,252,175,175,175,251,166,166,166,252,164,164,164,251,162,162,162,251,171,171,171,251,180,180,180,251,186,186,186,252,188,188,188,251,190,190,190,251,178,178,178,252,158,158,158,251,135,135,135,252,134,134,134,252,135,135,135,251,135,135,135,253,133,133,133,251,119,119,119,251,87,87,87,251,103,103,103,251,105,105,105,252,106,106,106,251,114,114,114,253,114,114,114,253,115,115,115,252,116,116,116,252,111,111,111,251,118,118,118,251,129,129,129,252,133,133,133,251,123,123,123,252,115,115,115,252,112,112,112,253,121,121,121,251,133,133,133,253,123,123,123,253,127,127,127,252,145,145,145,253,145,145,145,253,138,138,138,252,131,131,131,252,135,135,135,252,143,143,143,253,132,132,132,252,87,87,87,253,84,84,84,253,53,53,53,253,50,50,50,252,93,93,93,253,93,93,93,253,93,93,93,253,93,93,93,253,83,83,83,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,52,52,52,253,79,79,79,253,81,81,81,253,89,89,89,253,89,89,89,253,142,142,142,253,158,158,158,253,165,165,165,253,165,165,165,253,155,155,155,252,151,151,151,252,148,148,148,253,165,165,165,253,166,166,166,252,161,161,161,253,151,151,151,252,154,154,154,252,153,153,153,253,156,156,156,252,158,158,158,252,148,148,148,252,156,156,156,252,181,181,181,251,188,188,188,252,188,188,188,253,177,177,177,251,166,166,166,252,169,169,169,251,195,195,195,252,198,198,198,252,197,197,197,253,198,198,198,252,197,197,197,253,193,193,193,251,182,182,182,251,182,182,182,251,192,192,192,250,209,209,209,251,203,203,203,253,205,205,205,251,193,193,193,250,174,174,174,252,174,174,174,252,174,174,174,252,173,173,173,251,163,163,163,252,164,164,164,251,165,165,165,250,176,176,176,251,182,182,182,251,188,188,188,252,188,188,188,252,185,185,185,251,163,163,163,252,137,137,137,252,135,135,135,253,134,134,134,253,134,134,134,252,136,136,136,251,132,132,132,251,100,100,100,251,93,93,93,251,105,105,105,251,105,105,105,252,111,111,111,251,115,115,115,252,114,114,114,253,115,115,115,252,114,114,114,251,112,112,112,252,122,122,122,251,129,129,129,253,137,137,137,251,117,117,117,253,116,116,116,252,113,113,113,252,125,125,125,252,133,133,133,253,124,124,124,253,136,136,136,251,145,145,145,253,145,145,145,253,137,137,137,252,131,131,131,252,133,133,133,252,142,142,142,252,124,124,124,252,93,93,93,253,84,84,84,253,53,53,53,253,50,50,50,252,93,93,93,253,93,93,93,253,93,93,93,253,93,93,93,253,87,87,87,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,52,52,52,253,79,79,79,253,80,80,80,253,89,89,89,253,89,89,89,253,150,150,150,253,158,158,158,253,165,165,165,253,165,165,165,253,155,155,155,252,151,151,151,252,148,148,148,253,169,169,169,253,163,163,163,252,161,161,161,253,150,150,150,252,155,155,155,252,153,153,153,253,155,155,155,252,153,153,153,251,147,147,147,252,177,177,177,252,186,186,186,252,188,188,188,253,185,185,185,251,168,168,168,252,167,167,167,252,192,192,192,251,198,198,198,252,196,196,196,253,198,198,198,252,198,198,198,252,196,196,196,253,182,182,182,251,182,182,182,251,176,176,176,250,204,204,204,251,207,207,207,251,203,203,203,253,201,201,201,251,181,181,181,251,173,173,173,253,174,174,174,252,174,174,174,251,168,168,168,251,163,163,163,252,162,162,162,251,170,170,170,251,181,181,181,251,185,185,185,251,188,188,188,252,189,189,189,252,173,173,173,251,139,139,139,251,135,135,135,252,135,135,135,251,134,134,134,253,134,134,134,252,133,133,133,251,124,124,124,251,89,89,89,251,100,100,100,251,105,105,105,251,107,107,107,252,114,114,114,253,115,115,115,251,114,114,114,253,114,114,114,253,111,111,111,252,112,112,112,251,125,125,125,251,129,129,129,252,139,139,139,251,119,119,119,251,118,118,118,251,114,114,114,252,129,129,129,253,133,133,133,252,124,124,124,253,144,144,144,251,145,145,145,253,145,145,145,253,136,136,136,252,132,132,132,252,133,133,133,253,140,140,140,252,115,115,115,252,99,99,99,253,84,84,84,253,48,48,48,253,50,50,50,252,93,93,93,253,93,93,93,253,93,93,93,253,93,93,93,253,92,92,92,253,78,78,78,253,78,78,78,253,78,78,78,253,78,78,78,253,52,52,52,253,79,79,79,253,79,79,79,253,89,89,89,253,89,89,89,253,150,150,150,253,156,156,156,253,165,165,165,253,165,165,165,253,154,154,154,251,149,149,149,252,148,148,148,253,167,167,167,252,161,161,161,253,160,160,160,252,155,155,155,253,156,156,156,252,153,153,153,253,154,154,154,251,148,148,148,252,166,166,166,251,186,186,186,251,188,188,188,253,188,188,188,253,176,176,176,252,167,167,167,252,185,185,185,251,198,198,198,252,198,198,198,252,196,196,196,253,198,198,198,251,197,197,197,253,186,186,186,251,181,181,181,253,172,172,172,251,193,193,193,251,208,208,208,252,205,205,205,252,203,203,203,252,192,192,192,250,173,173,173,253,173,173,173,253,174,174,174,252,173,173,173,251,163,163,163,253,163,163,163,252,164,164,164,250,178,178,178,251,182,182,182,251,188,188,188,252,188,188,188,252,184,184,184,251,143,143,143,250,138,138,138,251,135,135,135,252,134,134,134,252,134,134,134,253,132,132,132,252,131,131,131,251,109,109,109,251,90,90,90,251,104,104,104,251,105,105,105,251,114,114,114,250,115,115,115,252,115,115,115,252,115,115,115,252,114,114,114,253,108,108,108,253,113,113,113,251,129,129,129,253,133,133,133,251,136,136,136,251,119,119,119,251,118,118,118,252,115,115,115,252,132,132,132,253,132,132,132,252,130,130,130,252,146,146,146,253,145,145,145,253,145,145,145,253,134,134,134,252,133,133,133,253,132,132,132,253,139,139,139,252,109,109,109,252,102,102,102,253,87,87,87,253,44,44,44,254,50,50,50,252,93,93,93,253,93,93,93,253,93,93,93,253,93,93,93,253,93,93,93,253,80,80,80,253,78,78,78,253,78,78,78,253,78,78,78,253,52,52,52,253,79,79,79,253,79,79,79,253,89,89,89,253,89,89,89,253,150,150,150,253,154,154,154,253,165,165,165,253,165,165,165,253,154,154,154,251,149,149,149,252,148,148,148,253,164,164,164,252,161,161,161,253,162,162,162,252,155,155,155,253,155,155,155,252,153,153,153,253,148,148,148,251,154,154,154,251,185,185,185,252,190,190,190,253,188,188,188,253,186,186,186,251,168,168,168,253,180,180,180,251,197,197,197,252,198,198,198,252,199,199,199,251,196,196,196,253,198,198,198,251,194,194,194,252,178,178,178,251,177,177,177,252,170,170,170,251,203,203,203,251,209,209,209,251,204,204,204,252,194,194,194,249,185,185,185,252,173,173,173,253,173,173,173,253,174,174,174,252,167,167,167,252,163,163,163,253,163,163,163,251,170,170,170,251,182,182,182,251,185,185,185,251,188,188,188,252,189,189,189,251,153,153,153,251,138,138,138,251,137,137,137,252,136,136,136,251,134,134,134,252,134,134,134,253,129,129,129,251,126,126,126,251,94,94,94,251,96,96,96,252,104,104,104,253,109,109,109,251,116,116,116,251,115,115,115,252,114,114,114,253,115,115,115,252,112,112,112,251,109,109,109,252,118,118,118,251,129,129,129,253,137,137,137,250,128,128,128,252,118,118,118,253,119,119,119,251,119,119,119,251,133,133,133,252,132,132,132,253,135,135,135,251,146,146,146,253,145,145,145,252,145,145,145,253,134,134,134,252,134,134,134,253,133,133,133,253,134,134,134,252,105,105,105,253,102,102,102,253,93,93,93,253,44,44,44,254,50,50,50,252,93,93,93,253,93,93,93,253,93,93,93,253,93,93,93,253,93,93,93,253,82,82,82,253,78,78,78,253,78,78,78,253,78,78,78,253,56,56,56,253,79,79,79,253,79,79,79,253,87,87,87,253,97,97,97,252,150,150,150,253,154,154,154,253,165,165,165,253,165,165,165,253,156,156,156,250,147,147,147,252,149,149,149,251,162,162,162,253,161,161,161,252,162,162,162,253,155,155,155,253,154,154,154,253,150,150,150,252,145,145,145,252,175,175,175,251,188,188,188,252,191,191,191,253,188,188,188,253,175,175,175,252,177,177,177,252,197,197,197,251,197,197,197,253,198,198,198,252,198,198,198,252,197,197,197,252,197,197,197,252,183,183,183,251,175,175,175,252,163,163,163,251,193,193,193,251,206,206,206,251,207,207,207,251,194,194,194,250,196,196,196,251,177,177,177,253,173,173,173,253,173,173,173,253,173,173,173,251,164,164,164,253,163,163,163,253,163,163,163,250,179,179,179,251,182,182,182,252,188,188,188,251,187,187,187,253,172,172,172,251,137,137,137,252,138,138,138,251,136,136,136,251,135,135,135,251,134,134,134,252,132,132,132,252,122,122,122,252,119,119,119,250,87,87,87,251,103,103,103,251,105,105,105,252,115,115,115,250,116,116,116,251,115,115,115,251,115,115,115,252,114,114,114,253,110,110,110,252,110,110,110,251,122,122,122,251,130,130,130,252,144,144,144,251,124,124,124,251,118,118,118,253,119,119,119,251,124,124,124,251,134,134,134,251,133,133,133,253,143,143,143,251,146,146,146,253,146,146,146,252,142,142,142,252,134,134,134,252,135,135,135,253,133,133,133,253,126,126,126,252,103,103,103,252,102,102,102,253,94,94,94,252,44,44,44,254,57,57,57,252,93,93,93,253,93,93,93,253,93,93,93,253,93,93,93,253,93,93,93,253,86,86,86,253,78,78,78,253,78,78,78,253,78,78,78,253,60,60,60,253,79,79,79,253,79,79,79,253,86,86,86,253,104,104,104,252,150,150,150,253,150,150,150,253,165,165,165,253,165,165,165,253,154,154,154,251,146,146,146,252,153,153,153,251,160,160,160,252,163,163,163,253,160,160,160,252,155,155,155,253,155,155,155,253,145,145,145,252,160,160,160,252,188,188,188,251,192,192,192,252,192,192,192,252,183,183,183,251,173,173,173,252,193,193,193,251,198,198,198,252,197,197,197,253,198,198,198,252,198,198,198,252,196,196,196,253,189,189,189,252,176,176,176,251,163,163,163,251,172,172,172,251,204,204,204,252,207,207,207,251,200,200,200,251,194,194,194,252,187,187,187,251,174,174,174,253,173,173,173,253,173,173,173,253,169,169,169,251,163,163,163,252,162,162,162,253,170,170,170,251,181,181,181,252,184,184,184,251,188,188,188,251,182,182,182,251,141,141,141,253,137,137,137,252,137,137,137,252,136,136,136,251,134,134,134,252,134,134,134,252,129,129,129,251,115,115,115,252,103,103,103,251,92,92,92,251,104,104,104,253,111,111,111,250,116,116,116,252,116,116,116,251,116,116,116,251,115,115,115,251,113,113,113,252,109,109,109,252,110,110,110,251,125,125,125,252,133,133,133,251,143,143,143,251,121,121,121,251,119,119,119,252,118,118,118,253,131,131,131,251,134,134,134,251,139,139,139,252,143,143,143,251,146,146,146,253,146,146,146,252,140,140,140,252,134,134,134,252,135,135,135,253,134,134,134,253,113,113,113,251,102,102,102,252,104,104,104,253,94,94,94,252,49,49,49,253,65,65,65,252,93,93,93,253,93,93,93,253,93,93,93,253,93,93,93,253,93,93,93,253,90,90,90,253,78,78,78,253,78,78,78,253,78,78,78,253,60,60,60,253,79,79,79,253,79,79,79,253,86,86,86,253,104,104,104,252,150,150,150,253,150,150,150,253,165,165,165,253,165,165,165,253,153,153,153,251,145,145,145,252,152,152,152,252,162,162,162,252,163,163,163,253,160,160,160,252,155,155,155,253,150,150,150,252,148,148,148,252,183,183,183,252,189,189,189,251,192,192,192,253,192,192,192,252,175,175,175,251,191,191,191,252,199,199,199,251,198,198,198,252,197,197,197,253,198,198,198,252,199,199,199,251,195,195,195,252,181,181,181,252,162,162,162,251,162,162,162,252,193,193,193,251,204,204,204,253,204,204,204,251,194,194,194,251,195,195,195,252,181,181,181,252,174,174,174,253,173,173,173,253,173,173,173,253,165,165,165,251,163,163,163,252,160,160,160,250,180,180,180,251,182,182,182,252,187,187,187,252,186,186,186,251,153,153,153,249,137,137,137,253,137,137,137,253,137,137,137,251,135,135,135,251,134,134,134,253,133,133,133,252,120,120,120,251,114,114,114,253,90,90,90,251,100,100,100,251,106,106,106,253,116,116,116,250,117,117,117,252,117,117,117,251,116,116,116,251,115,115,115,251,112,112,112,251,108,108,108,253,113,113,113,251,126,126,126,252,136,136,136,251,138,138,138,251,120,120,120,251,118,118,118,251,118,118,118,253,135,135,135,251,133,133,133,252,149,149,149,251,143,143,143,251,147,147,147,253,146,146,146,253,140,140,140,251,135,135,135,253,135,135,135,253,135,135,135,253,104,104,104,251,101,101,101,252,105,105,105,253,94,94,94,252,59,59,59,253,65,65,65,252,93,93,93,253,93,93,93,253,93,93,93,253,93,93,93,253,93,93,93,253,93,93,93,253,78,78,78,253,78,78,78,253,78,78,78,253,60,60,60,253,79,79,79,253,79,79,79,253,84,84,84,253,104,104,104,252,150,150,150,253,150,150,150,253,163,163,163,253,163,163,163,252,153,153,153,251,145,145,145,251,152,152,152,251,163,163,163,253,163,163,163,253,160,160,160,252,153,153,153,252,146,146,146,253,173,173,173,251,187,187,187,253,192,192,192,251,192,192,192,253,187,187,187,250,189,189,189,252,197,197,197,252,198,198,198,252,198,198,198,252,197,197,197,253,198,198,198,252,198,198,198,252,186,186,186,251,166,166,166,251,154,154,154,251,173,173,173,252,203,203,203,251,204,204,204,252,196,196,196,250,194,194,194,253,190,190,190,251,174,174,174,252,174,174,174,253,173,173,173,253,170,170,170,251,164,164,164,251,161,161,161,252,171,171,171,251,181,181,181,251,183,183,183,251,189,189,189,252,168,168,168,249,138,138,138,253,137,137,137,253,137,137,137,253,136,136,136,251,134,134,134,252,135,135,135,251,129,129,129,251,115,115,115,251,99,99,99,251,88,88,88,251,104,104,104,252,111,111,111,251,116,116,116,253,117,117,117,251,117,117,117,252,116,116,116,251,115,115,115,252,109,109,109,252,108,108,108,253,115,115,115,251,127,127,127,252,138,138,138,251,134,134,134,251,120,120,120,251,117,117,117,253,121,121,121,251,136,136,136,251,135,135,135,252,157,157,157,251,146,146,146,251,146,146,146,252,147,147,147,253,140,140,140,251,135,135,135,253,135,135,135,253,135,135,135,253,93,93,93,252,98,98,98,253,107,107,107,253,88,88,88,252,69,69,69,253,65,65,65,252,93,93,93,253,93,93,93,253,93,93,93,253,93,93,93,253,93,93,93,253,93,93,93,253,82,82,82,253,78,78,78,253,78,78,78,253,60,60,60,253,79,79,79,253,79,79,79,253,84,84,84,253,108,108,108,252,150,150,150,253,150,150,150,253,161,161,161,253,161,161,161,252,153,153,153,251,147,147,147,252,156,156,156,252,163,163,163,253,163,163,163,253,160,160,160,252,149,149,149,252,160,160,160,251,186,186,186,252,188,188,188,252,193,193,193,251,192,192,192,253,188,188,188,251,195,195,195,252,199,199,199,252,198,198,198,252,198,198,198,252,197,197,197,253,198,198,198,252,192,192,192,251,177,177,177,252,151,151,151,253,158,158,158,251,192,192,192,251,205,205,205,252,196,196,196,249,197,197,197,251,194,194,194,253,182,182,182,251,174,174,174,251,174,174,174,253,174,174,174,253,164,164,164,252,163,163,163,252,160,160,160,250,179,179,179,253,181,181,181,251,186,186,186,251,175,175,175,252,148,148,148,251,137,137,137,253,137,137,137,253,137,137,137,253,134,134,134,251,135,135,135,251,134,134,134,251,118,118,118,251,115,115,115,252,85,85,85,250,94,94,94,251,107,107,107,252,117,117,117,252,116,116,116,253,117,117,117,251,117,117,117,252,116,116,116,252,116,116,116,250,109,109,109,251,108,108,108,253,122,122,122,251,131,131,131,251,138,138,138,252,129,129,129,252,120,120,120,251,117,117,117,253,123,123,123,251,136,136,136,253,145,145,145,250,157,157,157,251,147,147,147,251,146,146,146,252,147,147,147,253,140,140,140,251,135,135,135,253,135,135,135,253,129,129,129,253,90,90,90,253,100,100,100,252,106,106,106,252,90,90,90,252,73,73,73,253,68,68,68,251,93,93,93,253,93,93,93,253,93,93,93,253,93,93,93,253,93,93,93,253,93,93,93,253,86,86,86,253,78,78,78,253,78,78,78,253,60,60,60,253,79,79,79,253,79,79,79,253,84,84,84,253,118,118,118,252,150,150,150,253,150,150,150,253,161,161,161,253,160,160,160,252,154,154,154,250,151,151,151,251,159,159,159,252,163,163,163,253,163,163,163,253,157,157,157,251,149,149,149,251,184,184,184,253,186,186,186,253,189,189,189,251,193,193,193,251,193,193,193,250,195,195,195,251,198,198,198,252,198,198,198,253,198,198,198,252,198,198,198,252,198,198,198,252,196,196,196,253,182,182,182,251,159,159,159,251,151,151,151,253,171,171,171,251,202,202,202,251,196,196,196,250,198,198,198,251,196,196,196,251,193,193,193,252,174,174,174,252,174,174,174,251,174,174,174,253,170,170,170,251,163,163,163,252,161,161,161,252,173,173,173,251,181,181,181,252,182,182,182,251,181,181,181,251,164,164,164,250,137,137,137,252,137,137,137,253,137,137,137,253,135,135,135,252,133,133,133,252,135,135,135,251,128,128,128,251,115,115,115,251,110,110,110,252,77,77,77,250,101,101,101,251,113,113,113,252,117,117,117,252,116,116,116,253,117,117,117,252,117,117,117,251,115,115,115,253,111,111,111,251,109,109,109,252,110,110,110,251,125,125,125,251,133,133,133,252,136,136,136,251,123,123,123,251,120,120,120,252,117,117,117,253,127,127,127,252,137,137,137,251,155,155,155,251,156,156,156,252,147,147,147,251,146,146,146,252,147,147,147,253,138,138,138,252,136,136,136,252,135,135,135,253,121,121,121,252,90,90,90,253,100,100,100,252,104,104,104,252,92,92,92,252,73,73,73,253,74,74,74,251,93,93,93,253,93,93,93,253,93,93,93,253,93,93,93,253,93,93,93,253,93,93,93,253,89,89,89,253,78,78,78,253,78,78,78,253,60,60,60,253,79,79,79,253,79,79,79,253,81,81,81,253,118,118,118,252,150,150,150,253,150,150,150,253,158,158,158,253,158,158,158,252,153,153,153,251,154,154,154,252,159,159,159,252,163,163,163,253,163,163,163,253,151,151,151,252,176,176,176,252,187,187,187,253,187,187,187,252,191,191,191,252,197,197,197,250,197,197,197,252,198,198,198,252,198,198,198,253,198,198,198,253,198,198,198,252,198,198,198,252,197,197,197,253,187,187,187,252,169,169,169,251,153,153,153,252,157,157,157,252,188,188,188,251,197,197,197,250,198,198,198,251,197,197,197,251,196,196,196,251,184,184,184,251,174,174,174,252,175,175,175,251,174,174,174,253,166,166,166,252,163,163,163,252,160,160,160,250,181,181,181,252,181,181,181,251,181,181,181,251,167,167,167,252,148,148,148,251,137,137,137,252,137,137,137,253,137,137,137,253,135,135,135,251,133,133,133,252,132,132,132,252,117,117,117,251,115,115,115,252,88,88,88,250,85,85,85,251,105,105,105,251,116,116,116,253,116,116,116,253,117,117,117,252,117,117,117,252,117,117,117,252,115,115,115,253,109,109,109,252,109,109,109,251,110,110,110,251,130,130,130,251,136,136,136,253,133,133,133,251,123,123,123,252,119,119,119,252,118,118,118,252,131,131,131,252,140,140,140,252,157,157,157,252,157,157,157,252,148,148,148,251,146,146,146,252,145,145,145,252,139,139,139,253,137,137,137,252,136,136,136,253,112,112,112,252,90,90,90,253,97,97,97,252,105,105,105,252,90,90,90,252,74,74,74,253,80,80,80,251,93,93,93,253,93,93,93,253,93,93,93,253,93,93,93,253,93,93,93,253,93,93,93,253,93,93,93,253,78,78,78,253,78,78,78,253,60,60,60,253,79,79,79,253,79,79,79,253,81,81,81,253,118,118,118,252,150,150,150,253,150,150,150,253,158,158,158,253,154,154,154,252,155,155,155,252,155,155,155,252,159,159,159,252,163,163,163,253,157,157,157,252,166,166,166,251,187,187,187,253,187,187,187,253,189,189,189,252,194,194,194,251,200,200,200,251,197,197,197,252,201,201,201,251,198,198,198,253,198,198,198,253,197,197,197,253,199,199,199,251,192,192,192,252,172,172,172,251,160,160,160,251,153,153,153,252,172,172,172,252,195,195,195,252,197,197,197,251,196,196,196,252,196,196,196,252,196,196,196,251,178,178,178,251,173,173,173,253,175,175,175,252,171,171,171,252,163,163,163,252,159,159,159,252,172,172,172,251,181,181,181,252,179,179,179,251,167,167,167,250,159,159,159,251,138,138,138,251,137,137,137,252,137,137,137,253,136,136,136,252,133,133,133,253,133,133,133,252,126,126,126,251,114,114,114,253,112,112,112,251,75,75,75,251,94,94,94,251,113,113,113,251,117,117,117,252,116,116,116,253,117,117,117,252,116,116,116,253,117,117,117,252,115,115,115,250,108,108,108,253,109,109,109,251,112,112,112,251,134,134,134,251,136,136,136,252,130,130,130,251,122,122,122,252,119,119,119,252,119,119,119,251,135,135,135,253,149,149,149,252,158,158,158,251,157,157,157,252,149,149,149,251,146,146,146,252,146,146,146,252,139,139,139,253,139,139,139,252,137,137,137,253,102,102,102,252,90,90,90,253,94,94,94,252,104,104,104,253,92,92,92,252,79,79,79,253,82,82,82,251,95,95,95,253,93,93,93,253,93,93,93,253,93,93,93,253,93,93,93,253,93,93,93,253,93,93,93,253,81,81,81,253,78,78,78,253,60,60,60,253,79,79,79,253,79,79,79,253,81,81,81,253,118,118,118,252,150,150,150,253,150,150,150,253,153,153,153,252,155,155,155,251,158,158,158,252,155,155,155,252,158,158,158,252,161,161,161,252,159,159,159,251,186,186,186,252,187,187,187,253,187,187,187,253,191,191,191,252,204,204,204,252,196,196,196,251,200,200,200,252,200,200,200,252,198,198,198,253,198,198,198,253,198,198,198,252,196,196,196,253,176,176,176,251,167,167,167,252,154,154,154,251,162,162,162,252,182,182,182,251,195,195,195,251,196,196,196,251,197,197,197,251,195,195,195,252,187,187,187,251,174,174,174,251,174,174,174,252,175,175,175,252,166,166,166,252,163,163,163,253,159,159,159,250,181,181,181,252,181,181,181,252,165,165,165,250,168,168,168,251,146,146,146,251,138,138,138,251,137,137,137,252,137,137,137,253,136,136,136,251,133,133,133,253,132,132,132,252,113,113,113,251,114,114,114,252,97,97,97,251,78,78,78,251,101,101,101,251,117,117,117,252,117,117,117,252,116,116,116,253,117,117,117,251,116,116,116,253,117,117,117,252,111,111,111,251,110,110,110,252,110,110,110,251,112,112,112,251,139,139,139,251,139,139,139,251,125,125,125,252,122,122,122,252,118,118,118,252,122,122,122,251,135,135,135,253,156,156,156,252,157,157,157,252,156,156,156,252,151,151,151,251,146,146,146,252,144,144,144,251,140,140,140,253,139,139,139,253,137,137,137,253,93,93,93,253,91,91,91,253,93,93,93,252,104,104,104,253,89,89,89,251,82,82,82,252,83,83,83,251,99,99,99,253,93,93,93,253,93,93,93,253,93,93,93,253,93,93,93,253,93,93,93,253,93,93,93,253,85,85,85,253,78,78,78,253,60,60,60,253,79,79,79,253,79,79,79,253,79,79,79,253,134,134,134,252,150,150,150,253,150,150,150,253,150,150,150,250,158,158,158,252,159,159,159,252,155,155,155,252,160,160,160,252,159,159,159,251,179,179,179,252,189,189,189,252,187,187,187,253,189,189,189,251,204,204,204,252,201,201,201,252,198,198,198,252,200,200,200,253,200,200,200,252,198,198,198,253,198,198,198,252,198,198,198,252,183,183,183,251,167,167,167,253,163,163,163,251,155,155,155,251,173,173,173,253,181,181,181,249,196,196,196,252,194,194,194,253,197,197,197,251,195,195,195,252,181,181,181,252,174,174,174,251,174,174,174,252,173,173,173,251,163,163,163,252,157,157,157,251,173,173,173,251,181,181,181,252,164,164,164,251,164,164,164,251,155,155,155,251,139,139,139,251,138,138,138,251,137,137,137,252,137,137,137,253,133,133,133,252,133,133,133,253,124,124,124,251,111,111,111,253,114,114,114,252,79,79,79,251,86,86,86,251,108,108,108,250,117,117,117,251,117,117,117,252,117,117,117,252,117,117,117,252,117,117,117,252,115,115,115,251,110,110,110,252,110,110,110,251,112,112,112,251,116,116,116,250,144,144,144,251,140,140,140,251,122,122,122,252,121,121,121,252,116,116,116,251,125,125,125,252,144,144,144,251,159,159,159,253,159,159,159,252,157,157,157,251,151,151,151,251,147,147,147,251,143,143,143,251,139,139,139,252,140,140,140,253,129,129,129,252,93,93,93,253,93,93,93,253,91,91,91,253,104,104,104,253,83,83,83,252,87,87,87,253,84,84,84,251,103,103,103,253,93,93,93,253,93,93,93,253,93,93,93,253,93,93,93,253,93,93,93,253,93,93,93,253,89,89,89,253,78,78,78,253,60,60,60,253,79,79,79,253,79,79,79,253,79,79,79,253,134,134,134,252,150,150,150,253,150,150,150,253,153,153,153,251,159,159,159,252,159,159,159,253,155,155,155,252,159,159,159,250,171,171,171,252,189,189,189,253,189,189,189,252,187,187,187,253,202,202,202,251,207,207,207,251,198,198,198,251,200,200,200,252,200,200,200,252,199,199,199,252,198,198,198,253,200,200,200,251,192,192,192,252,168,168,168,252,167,167,167,253,155,155,155,251,164,164,164,252,167,167,167,249,195,195,195,251,194,194,194,253,194,194,194,253,195,195,195,251,192,192,192,251,174,174,174,251,174,174,174,251,174,174,174,252,168,168,168,251,162,162,162,252,160,160,160,250,180,180,180,253,171,171,171,251,157,157,157,251,167,167,167,252,141,141,141,252,139,139,139,251,138,138,138,251,137,137,137,252,136,136,136,251,132,132,132,253,131,131,131,253,111,111,111,251,111,111,111,253,100,100,100,252,74,74,74,251,96,96,96,250,112,112,112,251,117,117,117,251,118,118,118,252,116,116,116,253,117,117,117,251,118,118,118,252,113,113,113,252,110,110,110,252,109,109,109,253,109,109,109,251,123,123,123,251,143,143,143,252,139,139,139,251,121,121,121,252,120,120,120,252,114,114,114,253,129,129,129,251,153,153,153,251,159,159,159,252,159,159,159,253,155,155,155,253,150,150,150,251,149,149,149,251,141,141,141,251,138,138,138,251,140,140,140,253,122,122,122,251,93,93,93,253,93,93,93,253,92,92,92,253,101,101,101,252,79,79,79,252,90,90,90,253,87,87,87,251,104,104,104,253,95,95,95,253,93,93,93,253,93,93,93,253,93,93,93,253,93,93,93,253,93,93,93,253,93,93,93,253,78,78,78,253,60,60,60,253,79,79,79,253,79,79,79,253,79,79,79,253,132,132,132,252,150,150,150,253,151,151,151,251,155,155,155,252,159,159,159,252,159,159,159,253,156,156,156,251,165,165,165,252,186,186,186,252,189,189,189,253,189,189,189,252,197,197,197,251,207,207,207,253,201,201,201,251,199,199,199,252,199,199,199,253,200,200,200,252,199,199,199,252,198,198,198,253,198,198,198,252,172,172,172,251,167,167,167,253,164,164,164,252,157,157,157,251,158,158,158,251,184,184,184,252,194,194,194,251,194,194,194,253,193,193,193,252,197,197,197,251,182,182,182,251,174,174,174,251,174,174,174,251,172,172,172,251,164,164,164,251,156,156,156,251,174,174,174,251,176,176,176,252,154,154,154,252,163,163,163,251,154,154,154,251,139,139,139,251,138,138,138,251,138,138,138,251,137,137,137,252,134,134,134,252,132,132,132,253,121,121,121,251,110,110,110,252,111,111,111,253,82,82,82,251,77,77,77,251,106,106,106,250,113,113,113,252,116,116,116,251,118,118,118,251,116,116,116,253,117,117,117,251,118,118,118,252,111,111,111,252,110,110,110,252,110,110,110,252,104,104,104,251,137,137,137,251,142,142,142,251,134,134,134,251,122,122,122,252,119,119,119,251,114,114,114,253,134,134,134,251,160,160,160,252,159,159,159,252,159,159,159,253,156,156,156,251,151,151,151,251,150,150,150,252,140,140,140,251,137,137,137,251,140,140,140,253,115,115,115,252,94,94,94,253,93,93,93,253,93,93,93,253,96,96,96,252,77,77,77,252,90,90,90,253,90,90,90,251,106,106,106,253,98,98,98,253,93,93,93,253,93,93,93,253,93,93,93,253,93,93,93,253,93,93,93,253,93,93,93,253,81,81,81,253,60,60,60,253,79,79,79,253,79,79,79,253,79,79,79,253,132,132,132,252,150,150,150,253,154,154,154,252,156,156,156,253,159,159,159,252,159,159,159,253,163,163,163,251,178,178,178,251,189,189,189,253,189,189,189,253,195,195,195,251,207,207,207,252,206,206,206,252,199,199,199,251,199,199,199,252,199,199,199,253,200,200,200,252,199,199,199,252,199,199,199,252,181,181,181,251,167,167,167,252,167,167,167,253,158,158,158,252,152,152,152,251,172,172,172,252,187,187,187,251,196,196,196,252,194,194,194,253,194,194,194,251,194,194,194,251,174,174,174,251,174,174,174,252,174,174,174,252,168,168,168,251,161,161,161,252,162,162,162,251,179,179,179,251,154,154,154,252,156,156,156,251,165,165,165,250,138,138,138,252,139,139,139,251,138,138,138,251,138,138,138,251,138,138,138,251,133,133,133,252,131,131,131,253,109,109,109,252,109,109,109,252,105,105,105,253,72,72,72,251,86,86,86,251,110,110,110,251,113,113,113,251,116,116,116,251,117,117,117,251,116,116,116,253,118,118,118,252,117,117,117,251,110,110,110,252,110,110,110,252,113,113,113,252,105,105,105,252,142,142,142,251,142,142,142,251,132,132,132,251,123,123,123,251,118,118,118,251,114,114,114,253,144,144,144,251,160,160,160,252,159,159,159,253,159,159,159,252,157,157,157,251,151,151,151,252,152,152,152,251,141,141,141,251,136,136,136,252,139,139,139,252,107,107,107,252,97,97,97,252,94,94,94,253,93,93,93,253,92,92,92,252,83,83,83,253,88,88,88,252,91,91,91,251,108,108,108,252,103,103,103,253,93,93,93,253,93,93,93,253,93,93,93,253,93,93,93,253,93,93,93,253,93,93,93,253,84,84,84,253,70,70,70,253,79,79,79,253,79,79,79,253,79,79,79,253,149,149,149,253,151,151,151,251,156,156,156,252,156,156,156,253,158,158,158,252,164,164,164,252,169,169,169,251,187,187,187,253,189,189,189,253,193,193,193,252,205,205,205,251,207,207,207,253,201,201,201,251,201,201,201,251,199,199,199,253,199,199,199,253,200,200,200,252,199,199,199,252,190,190,190,251,168,168,168,252,167,167,167,252,165,165,165,252,151,151,151,252,166,166,166,251,179,179,179,251,190,190,190,251,196,196,196,252,194,194,194,253,194,194,194,251,185,185,185,251,174,174,174,252,174,174,174,252,173,173,173,251,164,164,164,251,156,156,156,251,174,174,174,251,158,158,158,252,154,154,154,253,161,161,161,251,151,151,151,250,138,138,138,251,139,139,139,251,138,138,138,251,138,138,138,251,136,136,136,251,132,132,132,252,120,120,120,251,107,107,107,253,109,109,109,252,86,86,86,252,70,70,70,251,98,98,98,252,112,112,112,251,113,113,113,251,116,116,116,252,117,117,117,251,117,117,117,252,118,118,118,252,114,114,114,251,110,110,110,252,110,110,110,252,109,109,109,251,110,110,110,251,142,142,142,252,145,145,145,251,128,128,128,251,123,123,123,251,119,119,119,251,119,119,119,251,150,150,150,252,160,160,160,252,159,159,159,252,159,159,159,253,158,158,158,251,151,151,151,252,150,150,150,251,142,142,142,251,137,137,137,252,137,137,137,252,99,99,99,253,98,98,98,252,95,95,95,253,93,93,93,253,89,89,89,252,85,85,85,253,89,89,89,252,103,103,103,252,110,110,110,252,106,106,106,253,95,95,95,253,93,93,93,253,93,93,93,253,93,93,93,253,93,93,93,253,93,93,93,253,88,88,88,253,70,70,70,253,79,79,79,253,79,79,79,253,79,79,79,253,147,147,147,252,155,155,155,252,156,156,156,252,156,156,156,253,161,161,161,251,171,171,171,252,182,182,182,252,189,189,189,253,190,190,190,252,203,203,203,253,207,207,207,252,205,205,205,251,201,201,201,251,199,199,199,253,199,199,199,253,199,199,199,253,200,200,200,252,197,197,197,251,175,175,175,252,168,168,168,252,167,167,167,252,156,156,156,252,150,150,150,250,176,176,176,252,179,179,179,251,192,192,192,251,195,195,195,253,193,193,193,252,194,194,194,252,178,178,178,252,174,174,174,251,174,174,174,252,168,168,168,251,159,159,159,251,163,163,163,251,164,164,164,250,154,154,154,253,154,154,154,253,162,162,162,250,136,136,136,252,139,139,139,251,139,139,139,251,137,137,137,252,138,138,138,251,135,135,135,251,131,131,131,252,109,109,109,252,107,107,107,253,106,106,106,252,72,72,72,252,74,74,74,250,105,105,105,251,113,113,113,252,113,113,113,251,116,116,116,251,117,117,117,251,117,117,117,252,118,118,118,251,110,110,110,253,110,110,110,251,109,109,109,253,103,103,103,251,117,117,117,251,142,142,142,253,144,144,144,251,125,125,125,251,123,123,123,252,119,119,119,251,126,126,126,252,156,156,156,252,159,159,159,252,160,160,160,251,159,159,159,253,158,158,158,251,152,152,152,251,150,150,150,251,141,141,141,251,138,138,138,252,124,124,124,251,98,98,98,252,98,98,98,252,95,95,95,253,95,95,95,253,76,76,76,252,85,85,85,253,89,89,89,252,105,105,105,252,111,111,111,252,108,108,108,253,99,99,99,253,93,93,93,253,93,93,93,253,93,93,93,253,93,93,93,253,93,93,93,253,92,92,92,253,70,70,70,253,79,79,79,253,79,79,79,253,79,79,79,253,152,152,152,252,157,157,157,253,156,156,156,252,158,158,158,252,170,170,170,251,175,175,175,252,188,188,188,252,189,189,189,253,203,203,203,252,206,206,206,252,207,207,207,253,201,201,201,252,201,201,201,251,199,199,199,253,199,199,199,253,199,199,199,253,200,200,200,251,182,182,182,252,172,172,172,253,168,168,168,253,165,165,165,252,135,135,135,250,178,178,178,252,169,169,169,251,185,185,185,253,193,193,193,251,195,195,195,253,191,191,191,252,188,188,188,251,174,174,174,252,174,174,174,251,174,174,174,252,163,163,163,252,156,156,156,251,163,163,163,251,155,155,155,251,154,154,154,253,159,159,159,252,148,148,148,251,137,137,137,252,138,138,138,252,138,138,138,252,137,137,137,252,138,138,138,251,134,134,134,251,119,119,119,251,107,107,107,253,107,107,107,253,87,87,87,251,65,65,65,252,85,85,85,253,111,111,111,251,112,112,112,252,114,114,114,252,116,116,116,251,117,117,117,252,117,117,117,252,115,115,115,251,109,109,109,253,109,109,109,253,110,110,110,251,99,99,99,251,132,132,132,252,142,142,142,253,140,140,140,251,128,128,128,251,123,123,123,252,118,118,118,251,137,137,137,250,156,156,156,252,157,157,157,252,159,159,159,252,159,159,159,252,157,157,157,252,152,152,152,251,147,147,147,252,139,139,139,252,140,140,140,251,117,117,117,251,96,96,96,252,99,99,99,253,96,96,96,252,95,95,95,253,77,77,77,252,80,80,80,252,86,86,86,252,106,106,106,252,111,111,111,253,109,109,109,253,105,105,105,252,93,93,93,253,93,93,93,253,93,93,93,253,93,93,93,253,93,93,93,253,93,93,93,253,70,70,70,253,79,79,79,253,79,79,79,253,87,87,87,252,154,154,154,252,157,157,157,253,156,156,156,252,167,167,167,252,169,169,169,251,186,186,186,253,188,188,188,252,200,200,200,252,205,205,205,253,207,207,207,252,205,205,205,251,201,201,201,251,200,200,200,252,199,199,199,253,199,199,199,253,199,199,199,253,192,192,192,251,169,169,169,253,172,172,172,253,168,168,168,253,134,134,134,248,170,170,170,253,172,172,172,251,176,176,176,252,185,185,185,253,194,194,194,252,196,196,196,252,191,191,191,252,181,181,181,252,173,173,173,253,174,174,174,251,170,170,170,251,156,156,156,251,158,158,158,251,154,154,154,252,155,155,155,251,154,154,154,253,157,157,157,251,136,136,136,251,138,138,138,252,138,138,138,252,139,139,139,251,138,138,138,251,135,135,135,252,130,130,130,251,109,109,109,251,107,107,107,253,107,107,107,253,71,71,71,251,64,64,64,250,93,93,93,251,114,114,114,251,111,111,111,253,114,114,114,252,116,116,116,251,117,117,117,252,116,116,116,253,112,112,112,251,110,110,110,252,109,109,109,253,110,110,110,251,95,95,95,251,142,142,142,253,142,142,142,253,136,136,136,251,129,129,129,251,124,124,124,251,118,118,118,252,150,150,150,252,156,156,156,252,157,157,157,251,160,160,160,253,159,159,159,252,157,157,157,252,154,154,154,252,146,146,146,251,138,138,138,253,140,140,140,251,110,110,110,252,94,94,94,251,98,98,98,252,97,97,97,252,95,95,95,253,78,78,78,252,80,80,80,252,85,85,85,253,105,105,105,252,112,112,112,253,111,111,111,252,109,109,109,253,96,96,96,253,93,93,93,253,93,93,93,253,93,93,93,253,93,93,93,253,93,93,93,253,70,70,70,253,79,79,79,253,80,80,80,252,117,117,117,252,155,155,155,253,156,156,156,252,166,166,166,252,171,171,171,252,181,181,181,252,188,188,188,253,196,196,196,250,205,205,205,253,206,206,206,252,208,208,208,252,200,200,200,253,200,200,200,252,200,200,200,252,199,199,199,253,199,199,199,253,195,195,195,251,178,178,178,252,168,168,168,253,172,172,172,252,148,148,148,252,157,157,157,250,176,176,176,252,168,168,168,251,185,185,185,253,187,187,187,252,195,195,195,252,194,194,194,252,189,189,189,251,175,175,175,251,174,174,174,251,174,174,174,252,163,163,163,251,153,153,153,251,146,146,146,250,154,154,154,252,154,154,154,252,156,156,156,252,145,145,145,251,138,138,138,251,138,138,138,253,138,138,138,252,139,139,139,251,138,138,138,251,135,135,135,251,119,119,119,250,108,108,108,252,108,108,108,252,92,92,92,252,60,60,60,252,74,74,74,252,100,100,100,251,113,113,113,251,111,111,111,253,114,114,114,252,116,116,116,251,117,117,117,252,117,117,117,252,110,110,110,252,109,109,109,253,109,109,109,253,107,107,107,251,102,102,102,251,142,142,142,253,142,142,142,253,129,129,129,252,129,129,129,251,125,125,125,251,124,124,124,250,158,158,158,251,158,158,158,251,156,156,156,253,159,159,159,252,159,159,159,252,157,157,157,252,158,158,158,251,142,142,142,252,138,138,138,252,139,139,139,252,100,100,100,250,94,94,94,251,98,98,98,252,98,98,98,252,95,95,95,253,69,69,69,252,76,76,76,252,87,87,87,253,103,103,103,252,112,112,112,253,114,114,114,252,110,110,110,253,102,102,102,252,93,93,93,253,93,93,93,253,93,93,93,253,93,93,93,253,93,93,93,253,70,70,70,253,79,79,79,253,96,96,96,252,126,126,126,251,155,155,155,253,163,163,163,251,171,171,171,253,174,174,174,251,187,187,187,253,194,194,194,252,207,207,207,251,205,205,205,253,207,207,207,252,206,206,206,251,201,201,201,251,199,199,199,253,199,199,199,253,199,199,199,253,197,197,197,251,186,186,186,252,172,172,172,252,167,167,167,253,156,156,156,252,147,147,147,251,175,175,175,252,168,168,168,251,175,175,175,251,185,185,185,253,188,188,188,252,194,194,194,253,192,192,192,252,182,182,182,251,175,175,175,251,174,174,174,251,171,171,171,251,155,155,155,251,137,137,137,249,155,155,155,251,154,154,154,252,154,154,154,253,155,155,155,250,136,136,136,252,138,138,138,251,138,138,138,252,138,138,138,253,139,139,139,251,137,137,137,252,130,130,130,251,109,109,109,250,108,108,108,252,108,108,108,252,75,75,75,252,57,57,57,250,85,85,85,253,107,107,107,252,113,113,113,251,111,111,111,253,113,113,113,253,116,116,116,252,117,117,117,252,113,113,113,251,110,110,110,252,109,109,109,253,109,109,109,251,104,104,104,252,113,113,113,251,144,144,144,252,142,142,142,253,125,125,125,252,129,129,129,252,128,128,128,251,132,132,132,250,157,157,157,252,157,157,157,252,157,157,157,252,158,158,158,251,159,159,159,252,157,157,157,252,161,161,161,251,139,139,139,252,138,138,138,252,136,136,136,252,95,95,95,251,95,95,95,252,97,97,97,252,98,98,98,252,96,96,96,252,69,69,69,252,72,72,72,252,91,91,91,253,103,103,103,252,112,112,112,253,112,112,112,253,113,113,113,253,108,108,108,252,95,95,95,253,93,93,93,253,93,93,93,253,93,93,93,253,93,93,93,253,70,70,70,253,82,82,82,252,113,113,113,253,132,132,132,252,159,159,159,252,172,172,172,252,170,170,170,251,184,184,184,253,191,191,191,252,203,203,203,253,207,207,207,251,205,205,205,253,208,208,208,251,202,202,202,251,200,200,200,252,200,200,200,252,199,199,199,253,197,197,197,252,192,192,192,252,176,176,176,252,172,172,172,252,158,158,158,252,143,143,143,250,169,169,169,251,170,170,170,251,166,166,166,252,186,186,186,252,185,185,185,253,190,190,190,252,194,194,194,252,188,188,188,251,176,176,176,252,174,174,174,251,174,174,174,252,163,163,163,252,131,131,131,250,144,144,144,251,154,154,154,252,154,154,154,252,154,154,154,252,141,141,141,251,137,137,137,252,139,139,139,251,138,138,138,252,138,138,138,253,139,139,139,251,135,135,135,252,120,120,120,252,108,108,108,251,105,105,105,253,100,100,100,252,58,58,58,252,67,67,67,250,87,87,87,252,112,112,112,253,112,112,112,251,111,111,111,253,113,113,113,253,115,115,115,252,117,117,117,252,112,112,112,251,109,109,109,253,110,110,110,252,109,109,109,251,99,99,99,251,125,125,125,251,145,145,145,251,136,136,136,252,125,125,125,251,129,129,129,253,129,129,129,251,147,147,147,250,158,158,158,252,158,158,158,251,157,157,157,252,158,158,158,251,159,159,159,252,157,157,157,253,166,166,166,251,137,137,137,253,137,137,137,253,127,127,127,252,96,96,96,251,94,94,94,251,96,96,96,251,98,98,98,252,97,97,97,251,68,68,68,252,67,67,67,252,91,91,91,253,99,99,99,252,112,112,112,253,112,112,112,253,114,114,114,252,112,112,112,253,101,101,101,252,93,93,93,253,93,93,93,253,93,93,93,253,93,93,93,253,70,70,70,253,105,105,105,252,117,117,117,252,140,140,140,251,168,168,168,253,171,171,171,251,179,179,179,252,188,188,188,252,201,201,201,253,205,205,205,253,207,207,207,251,207,207,207,251,204,204,204,252,201,201,201,251,199,199,199,253,200,200,200,252,198,198,198,252,195,195,195,252,182,182,182,252,174,174,174,253,168,168,168,252,135,135,135,251,164,164,164,251,174,174,174,252,164,164,164,252,174,174,174,252,187,187,187,252,185,185,185,253,192,192,192,252,193,193,193,252,182,182,182,251,176,176,176,252,174,174,174,251,171,171,171,251,139,139,139,251,130,130,130,251,155,155,155,251,154,154,154,253,155,155,155,251,149,149,149,251,137,137,137,251,138,138,138,251,139,139,139,251,139,139,139,251,138,138,138,252,138,138,138,253,132,132,132,251,111,111,111,251,108,108,108,251,105,105,105,253,80,80,80,251,51,51,51,252,81,81,81,251,95,95,95,251,112,112,112,253,112,112,112,252,111,111,111,253,113,113,113,253,115,115,115,252,116,116,116,251,110,110,110,251,109,109,109,253,109,109,109,252,110,110,110,253,93,93,93,252,142,142,142,251,149,149,149,251,133,133,133,251,124,124,124,251,129,129,129,253,134,134,134,251,155,155,155,251,160,160,160,251,157,157,157,252,157,157,157,252,157,157,157,252,159,159,159,252,161,161,161,252,165,165,165,252,137,137,137,252,137,137,137,253,116,116,116,252,97,97,97,252,92,92,92,253,95,95,95,251,98,98,98,252,98,98,98,252,62,62,62,253,62,62,62,253,91,91,91,253,99,99,99,252,113,113,113,253,112,112,112,253,114,114,114,252,113,113,113,253,109,109,109,252,95,95,95,253,93,93,93,253,93,93,93,253,93,93,93,253,83,83,83,252,113,113,113,253,125,125,125,251,158,158,158,252,170,170,170,253,172,172,172,251,187,187,187,253,202,202,202,252,204,204,204,253,205,205,205,253,206,206,206,251,208,208,208,251,201,201,201,252,201,201,201,251,199,199,199,253,199,199,199,252,194,194,194,252,190,190,190,252,177,177,177,253,174,174,174,253,140,140,140,250,159,159,159,253,171,171,171,251,165,165,165,251,166,166,166,253,185,185,185,253,187,187,187,252,185,185,185,253,193,193,193,253,191,191,191,252,174,174,174,251,176,176,176,252,174,174,174,251,154,154,154,251,119,119,119,252,142,142,142,251,155,155,155,251,154,154,154,253,153,153,153,250,139,139,139,253,138,138,138,251,138,138,138,252,139,139,139,251,139,139,139,251,140,140,140,251,137,137,137,252,124,124,124,251,107,107,107,253,108,108,108,251,100,100,100,253,56,56,56,251,62,62,62,252,86,86,86,252,103,103,103,252,112,112,112,251,112,112,112,252,112,112,112,252,113,113,113,253,115,115,115,252,113,113,113,252,110,110,110,251,109,109,109,253,106,106,106,251,107,107,107,252,91,91,91,253,155,155,155,251,150,150,150,252,128,128,128,252,124,124,124,251,129,129,129,253,141,141,141,251,160,160,160,253,161,161,161,251,158,158,158,252,158,158,158,251,157,157,157,252,159,159,159,251,164,164,164,251,166,166,166,251,137,137,137,252,137,137,137,253,108,108,108,252,94,94,94,253,94,94,94,251,93,93,93,251,98,98,98,252,98,98,98,252,61,61,61,252,62,62,62,253,85,85,85,252,99,99,99,252,113,113,113,252,113,113,113,253,113,113,113,253,113,113,113,253,113,113,113,252,104,104,104,253,93,93,93,253,93,93,93,253,93,93,93,253,105,105,105,253,116,116,116,252,149,149,149,252,163,163,163,252,169,169,169,251,184,184,184,252,198,198,198,252,205,205,205,252,204,204,204,253,205,205,205,253,207,207,207,251,205,205,205,251,199,199,199,253,200,200,200,252,199,199,199,253,195,195,195,251,194,194,194,252,178,178,178,252,177,177,177,253,149,149,149,252,157,157,157,252,165,165,165,251,167,167,167,251,164,164,164,251,172,172,172,252,189,189,189,253,185,185,185,253,187,187,187,252,194,194,194,252,183,183,183,252,174,174,174,252,176,176,176,252,170,170,170,251,114,114,114,249,129,129,129,252,152,152,152,252,155,155,155,251,154,154,154,253,146,146,146,250,136,136,136,252,138,138,138,251,139,139,139,251,139,139,139,251,138,138,138,252,139,139,139,252,135,135,135,251,116,116,116,250,107,107,107,253,108,108,108,251,80,80,80,252,46,46,46,251,73,73,73,251,86,86,86,251,110,110,110,252,112,112,112,251,111,111,111,253,112,112,112,252,113,113,113,253,115,115,115,252,111,111,111,252,110,110,110,251,109,109,109,253,105,105,105,251,102,102,102,251,101,101,101,252,158,158,158,253,153,153,153,251,124,124,124,252,124,124,124,251,130,130,130,253,149,149,149,251,163,163,163,252,163,163,163,251,160,160,160,251,157,157,157,252,157,157,157,252,158,158,158,251,169,169,169,251,166,166,166,251,139,139,139,252,137,137,137,252,97,97,97,252,94,94,94,253,94,94,94,251,91,91,91,253,96,96,96,251,94,94,94,252,62,62,62,251,62,62,62,253,79,79,79,252,99,99,99,252,113,113,113,252,113,113,113,253,113,113,113,253,114,114,114,252,113,113,113,253,110,110,110,252,102,102,102,252,93,93,93,253,93,93,93,253,108,108,108,253,140,140,140,251,156,156,156,253,163,163,163,252,177,177,177,251,195,195,195,252,204,204,204,253,205,205,205,252,204,204,204,253,206,206,206,252,207,207,207,251,200,200,200,252,201,201,201,252,200,200,200,252,195,195,195,252,194,194,194,252,184,184,184,252,177,177,177,253,161,161,161,252,157,157,157,252,166,166,166,251,167,167,167,252,159,159,159,252,163,163,163,252,184,184,184,252,189,189,189,253,185,185,185,253,189,189,189,252,193,193,193,252,174,174,174,252,176,176,176,251,175,175,175,252,126,126,126,249,124,124,124,252,141,141,141,251,155,155,155,252,154,154,154,252,151,151,151,252,136,136,136,252,138,138,138,251,139,139,139,251,139,139,139,251,139,139,139,251,140,140,140,251,139,139,139,251,130,130,130,251,113,113,113,251,107,107,107,253,108,108,108,251,56,56,56,251,44,44,44,251,86,86,86,251,92,92,92,251,112,112,112,253,112,112,112,251,110,110,110,253,112,112,112,252,113,113,113,253,113,113,113,251,109,109,109,253,110,110,110,251,106,106,106,252,109,109,109,253,96,96,96,251,109,109,109,252,157,157,157,253,150,150,150,251,124,124,124,252,125,125,125,251,139,139,139,252,153,153,153,251,163,163,163,252,162,162,162,253,160,160,160,252,158,158,158,252,157,157,157,252,158,158,158,251,173,173,173,251,164,164,164,251,140,140,140,252,130,130,130,252,94,94,94,253,94,94,94,253,95,95,95,253,92,92,92,252,93,93,93,251,91,91,91,251,64,64,64,251,61,61,61,252,76,76,76,252,99,99,99,252,112,112,112,252,113,113,113,253,113,113,113,253,114,114,114,252,113,113,113,253,111,111,111,252,109,109,109,252,97,97,97,253,93,93,93,253,120,120,120,251,156,156,156,253,156,156,156,253,166,166,166,251,194,194,194,251,204,204,204,253,204,204,204,253,205,205,205,252,205,205,205,252,207,207,207,252,204,204,204,251,199,199,199,253,200,200,200,253,198,198,198,251,194,194,194,252,191,191,191,252,177,177,177,253,165,165,165,252,153,153,153,252,170,170,170,253,173,173,173,251,154,154,154,252,163,163,163,253,167,167,167,251,188,188,188,253,189,189,189,252,185,185,185,253,190,190,190,252,186,186,186,251,173,173,173,252,176,176,176,251,151,151,151,249,114,114,114,250,130,130,130,251,153,153,153,252,154,154,154,253,154,154,154,252,141,141,141,251,135,135,135,252,138,138,138,251,138,138,138,252,139,139,139,251,139,139,139,251,140,140,140,253,137,137,137,251,121,121,121,251,112,112,112,251,108,108,108,252,91,91,91,251,45,45,45,253,57,57,57,252,86,86,86,252,100,100,100,251,112,112,112,253,112,112,112,252,110,110,110,253,112,112,112,251,113,113,113,253,111,111,111,251,109,109,109,253,110,110,110,252,105,105,105,251,110,110,110,252,89,89,89,253,122,122,122,251,157,157,157,253,145,145,145,252,124,124,124,252,125,125,125,252,146,146,146,251,157,157,157,251,165,165,165,251,162,162,162,253,162,162,162,251,160,160,160,251,157,157,157,252,159,159,159,251,174,174,174,251,164,164,164,251,143,143,143,251,123,123,123,252,93,93,93,252,94,94,94,253,94,94,94,253,93,93,93,251,92,92,92,252,88,88,88,251,67,67,67,251,60,60,60,252,69,69,69,252,99,99,99,252,111,111,111,253,113,113,113,253,113,113,113,253,113,113,113,253,113,113,113,253,113,113,113,252,108,108,108,253,109,109,109,252,97,97,97,253,147,147,147,252,156,156,156,253,156,156,156,252,183,183,183,251,203,203,203,252,204,204,204,253,204,204,204,253,205,205,205,252,206,206,206,252,207,207,207,251,201,201,201,251,201,201,201,252,199,199,199,252,194,194,194,252,194,194,194,251,180,180,180,252,171,171,171,252,150,150,150,251,173,173,173,253,173,173,173,252,168,168,168,251,152,152,152,252,163,163,163,253,178,178,178,251,188,188,188,253,188,188,188,252,185,185,185,253,194,194,194,251,178,178,178,252,173,173,173,252,164,164,164,251,117,117,117,249,126,126,126,251,140,140,140,250,155,155,155,252,154,154,154,252,151,151,151,251,134,134,134,251,136,136,136,252,139,139,139,251,138,138,138,252,139,139,139,251,139,139,139,251,138,138,138,252,133,133,133,251,119,119,119,253,112,112,112,251,109,109,109,252,68,68,68,250,45,45,45,252,75,75,75,252,84,84,84,251,108,108,108,251,112,112,112,253,111,111,111,252,110,110,110,253,112,112,112,251,113,113,113,253,109,109,109,252,109,109,109,253,109,109,109,252,107,107,107,251,105,105,105,251,89,89,89,253,134,134,134,251,157,157,157,253,141,141,141,252,125,125,125,251,131,131,131,252,148,148,148,253,163,163,163,251,164,164,164,252,163,163,163,252,162,162,162,252,160,160,160,252,159,159,159,251,162,162,162,251,174,174,174,251,164,164,164,251,146,146,146,251,115,115,115,252,92,92,92,253,94,94,94,252,94,94,94,253,94,94,94,251,91,91,91,253,78,78,78,251,69,69,69,251,60,60,60,251,62,62,62,252,104,104,104,253,111,111,111,253,113,113,113,252,113,113,113,253,113,113,113,253,114,114,114,252,113,113,113,253,110,110,110,252,108,108,108,253,108,108,108,252,155,155,155,253,156,156,156,253,169,169,169,250,201,201,201,252,204,204,204,253,204,204,204,253,204,204,204,253,207,207,207,251,206,206,206,252,202,202,202,252,200,200,200,252,200,200,200,252,195,195,195,252,194,194,194,252,184,184,184,251,175,175,175,253,147,147,147,251,171,171,171,253,173,173,173,253,178,178,178,251,156,156,156,252,154,154,154,253,162,162,162,252,188,188,188,252,187,187,187,253,188,188,188,252,185,185,185,253,190,190,190,251,170,170,170,253,168,168,168,252,138,138,138,251,116,116,116,251,129,129,129,251,153,153,153,251,154,154,154,253,154,154,154,252,138,138,138,251,135,135,135,252,137,137,137,252,139,139,139,251,138,138,138,252,139,139,139,251,140,140,140,251,139,139,139,253,123,123,123,251,119,119,119,253,112,112,112,251,102,102,102,252,49,49,49,252,53,53,53,251,81,81,81,252,89,89,89,251,110,110,110,252,113,113,113,252,111,111,111,252,110,110,110,253,112,112,112,252,111,111,111,252,109,109,109,252,109,109,109,253,104,104,104,251,111,111,111,252,99,99,99,251,89,89,89,253,145,145,145,251,156,156,156,252,135,135,135,253,125,125,125,251,136,136,136,250,148,148,148,253,169,169,169,251,165,165,165,252,163,163,163,252,162,162,162,253,161,161,161,251,160,160,160,251,166,166,166,251,172,172,172,252,163,163,163,252,148,148,148,251,104,104,104,251,93,93,93,253,93,93,93,252,93,93,93,253,95,95,95,252,92,92,92,252,74,74,74,251,67,67,67,251,65,65,65,251,59,59,59,252,111,111,111,252,111,111,111,253,113,113,113,252,113,113,113,253,113,113,113,253,115,115,115,252,113,113,113,253,111,111,111,252,108,108,108,253,110,110,110,252,156,156,156,253,160,160,160,251,196,196,196,252,206,206,206,251,204,204,204,253,204,204,204,253,205,205,205,252,206,206,206,252,206,206,206,251,199,199,199,253,201,201,201,251,195,195,195,252,194,194,194,253,193,193,193,251,177,177,177,252,147,147,147,252,167,167,167,252,173,173,173,253,176,176,176,252,174,174,174,251,161,161,161,251,155,155,155,253,173,173,173,252,188,188,188,252,187,187,187,253,187,187,187,252,188,188,188,252,181,181,181,251,168,168,168,253,147,147,147,251,117,117,117,249,129,129,129,251,140,140,140,250,156,156,156,251,154,154,154,253,147,147,147,251,133,133,133,251,135,135,135,252,138,138,138,252,139,139,139,251,138,138,138,252,139,139,139,251,139,139,139,251,137,137,137,252,119,119,119,253,119,119,119,253,111,111,111,252,79,79,79,251,49,49,49,252,70,70,70,251,81,81,81,252,96,96,96,252,112,112,112,252,112,112,112,251,110,110,110,253,110,110,110,253,112,112,112,252,109,109,109,251,109,109,109,252,109,109,109,253,103,103,103,251,111,111,111,252,96,96,96,251,93,93,93,253,153,153,153,253,153,153,153,251,131,131,131,253,129,129,129,251,142,142,142,250,151,151,151,252,167,167,167,252,166,166,166,251,164,164,164,252,162,162,162,253,162,162,162,252,160,160,160,252,171,171,171,251,170,170,170,252,164,164,164,251,149,149,149,253,99,99,99,251,94,94,94,252,93,93,93,253,93,93,93,252,94,94,94,253,92,92,92,252,72,72,72,252,63,63,63,252,67,67,67,251,59,59,59,252,108,108,108,251,111,111,111,253,112,112,112,252,113,113,113,253,113,113,113,253,114,114,114,252,115,115,115,253,113,113,113,252,108,108,108,253,108,108,108,253,156,156,156,253,188,188,188,251,201,201,201,253,206,206,206,251,204,204,204,253,204,204,204,253,206,206,206,252,206,206,206,252,202,202,202,252,199,199,199,253,196,196,196,251,194,194,194,253,194,194,194,253,181,181,181,251,153,153,153,252,160,160,160,252,173,173,173,253,173,173,173,253,178,178,178,252,176,176,176,252,163,163,163,252,154,154,154,253,181,181,181,253,188,188,188,252,187,187,187,253,187,187,187,252,189,189,189,251,172,172,172,253,146,146,146,251,133,133,133,252,119,119,119,251,129,129,129,251,153,153,153,251,155,155,155,251,154,154,154,253,134,134,134,252,135,135,135,252,136,136,136,252,139,139,139,253,138,138,138,252,138,138,138,252,139,139,139,251,140,140,140,251,133,133,133,250,119,119,119,253,119,119,119,253,112,112,112,251,54,54,54,253,52,52,52,251,82,82,82,251,84,84,84,251,103,103,103,252,112,112,112,252,112,112,112,251,110,110,110,253,110,110,110,253,110,110,110,251,107,107,107,252,107,107,107,253,106,106,106,252,106,106,106,251,111,111,111,251,91,91,91,251,104,104,104,252,152,152,152,253,145,145,145,252,130,130,130,253,136,136,136,251,143,143,143,251,155,155,155,252,167,167,167,252,166,166,166,251,164,164,164,253,163,163,163,252,162,162,162,253,160,160,160,252,175,175,175,252,167,167,167,252,166,166,166,251,145,145,145,251,100,100,100,252,94,94,94,252,93,93,93,253,93,93,93,252,92,92,92,253,93,93,93,252,63,63,63,252,59,59,59,252,65,65,65,252,61,61,61,251,105,105,105,251,111,111,111,253,111,111,111,253,113,113,113,253,113,113,113,253,113,113,113,253,116,116,116,252,114,114,114,253,110,110,110,252,108,108,108,253,169,169,169,250,201,201,201,253,201,201,201,253,206,206,206,251,204,204,204,253,205,205,205,252,205,205,205,253,205,205,205,251,199,199,199,253,197,197,197,251,195,195,195,252,194,194,194,253,188,188,188,251,164,164,164,251,144,144,144,252,172,172,172,253,173,173,173,253,174,174,174,251,176,176,176,252,187,187,187,252,163,163,163,252,164,164,164,252,184,184,184,253,188,188,188,252,187,187,187,253,186,186,186,252,182,182,182,251,149,149,149,252,141,141,141,252,115,115,115,249,129,129,129,251,140,140,140,250,156,156,156,251,154,154,154,252,143,143,143,252,132,132,132,251,135,135,135,252,138,138,138,251,138,138,138,252,138,138,138,252,139,139,139,251,138,138,138,251,140,140,140,251,126,126,126,251,119,119,119,253,119,119,119,253,89,89,89,250,54,54,54,253,66,66,66,251,85,85,85,251,91,91,91,251,105,105,105,252,112,112,112,252,112,112,112,251,110,110,110,253,110,110,110,253,109,109,109,251,107,107,107,251,107,107,107,253,101,101,101,252,109,109,109,251,105,105,105,251,91,91,91,251,116,116,116,251,152,152,152,253,139,139,139,252,130,130,130,252,143,143,143,251,144,144,144,252,159,159,159,252,166,166,166,252,166,166,166,252,164,164,164,252,163,163,163,252,162,162,162,253,166,166,166,252,175,175,175,252,169,169,169,251,164,164,164,251,141,141,141,251,105,105,105,252,95,95,95,252,94,94,94,252,93,93,93,253,93,93,93,252,92,92,92,252,62,62,62,251,56,56,56,252,65,65,65,253,62,62,62,251,104,104,104,251,111,111,111,252,111,111,111,253,114,114,114,252,113,113,113,253,113,113,113,253,116,116,116,252,115,115,115,253,112,112,112,252,108,108,108,253,189,189,189,252,201,201,201,253,201,201,201,253,205,205,205,252,204,204,204,253,206,206,206,252,206,206,206,252,202,202,202,252,197,197,197,252,194,194,194,252,194,194,194,253,193,193,193,252,172,172,172,252,141,141,141,252,161,161,161,252,172,172,172,253,172,172,172,253,172,172,172,252,181,181,181,251,190,190,190,253,156,156,156,253,174,174,174,252,183,183,183,253,187,187,187,253,187,187,187,253,186,186,186,252,164,164,164,251,138,138,138,253,125,125,125,251,119,119,119,252,128,128,128,252,150,150,150,251,155,155,155,251,154,154,154,252,136,136,136,252,134,134,134,252,135,135,135,252,138,138,138,252,138,138,138,252,139,139,139,251,139,139,139,251,137,137,137,252,140,140,140,250,123,123,123,252,119,119,119,253,129,129,129,252,62,62,62,252,54,54,54,253,79,79,79,252,82,82,82,252,96,96,96,252,108,108,108,252,111,111,111,252,111,111,111,252,110,110,110,253,110,110,110,253,107,107,107,252,107,107,107,252,106,106,106,253,101,101,101,252,111,111,111,252,101,101,101,251,91,91,91,252,130,130,130,251,152,152,152,253,133,133,133,252,130,130,130,252,149,149,149,252,145,145,145,252,164,164,164,252,166,166,166,252,166,166,166,252,164,164,164,253,164,164,164,252,162,162,162,253,173,173,173,251,176,176,176,252,169,169,169,251,163,163,163,252,130,130,130,251,109,109,109,251,95,95,95,252,94,94,94,252,93,93,93,253,93,93,93,252,92,92,92,253,59,59,59,251,55,55,55,253,63,63,63,252,64,64,64,252,102,102,102,251,110,110,110,252,111,111,111,253,113,113,113,252,113,113,113,253,113,113,113,253,115,115,115,252,115,115,115,253,114,114,114,252,108,108,108,253,199,199,199,253,201,201,201,253,201,201,201,253,204,204,204,253,204,204,204,253,205,205,205,253,206,206,206,252,199,199,199,252,195,195,195,251,193,193,193,253,194,194,194,253,177,177,177,251,148,148,148,252,140,140,140,252,170,170,170,253,172,172,172,253,162,162,162,252,176,176,176,252,189,189,189,252,191,191,191,253,156,156,156,253,182,182,182,253,183,183,183,253,187,187,187,253,187,187,187,253,182,182,182,252,138,138,138,253,134,134,134,253,104,104,104,252,129,129,129,253,128,128,128,253,156,156,156,251,154,154,154,253,154,154,154,253,128,128,128,253,135,135,135,252,138,138,138,251,139,139,139,253,138,138,138,252,139,139,139,251,138,138,138,251,137,137,137,252,141,141,141,251,119,119,119,253,119,119,119,253,116,116,116,251,54,54,54,253,54,54,54,253,90,90,90,253,82,82,82,253,101,101,101,253,110,110,110,253,111,111,111,252,111,111,111,252,110,110,110,253,110,110,110,253,106,106,106,253,107,107,107,252,101,101,101,252,105,105,105,252,111,111,111,252,97,97,97,251,90,90,90,253,140,140,140,251,152,152,152,253,128,128,128,253,138,138,138,252,150,150,150,252,146,146,146,253,171,171,171,252,165,165,165,253,166,166,166,253,164,164,164,253,164,164,164,252,162,162,162,253,177,177,177,252,176,176,176,252,168,168,168,252,165,165,165,252,119,119,119,250,114,114,114,251,95,95,95,253,94,94,94,253,93,93,93,253,93,93,93,253,92,92,92,253,53,53,53,252,54,54,54,253,59,59,59,252,65,65,65,253,100,100,100,251,109,109,109,253,111,111,111,253,112,112,112,252,113,113,113,253,113,113,113,253,113,113,113,253,115,115,115,253,115,115,115,253,108,108,108,253
+//[100,100]157,157,157,255,141,141,141,255,115,115,115,255,113,113,113,255,142,142,142,255,180,180,180,255,157,157,157,255,165,165,165,255,145,145,145,255,103,103,103,255,118,118,118,255,96,96,96,255,132,132,132,255,102,102,102,255,120,120,120,255,144,144,144,255,147,147,147,255,147,147,147,255,162,162,162,255,107,107,107,255,110,110,110,255,142,142,142,255,138,138,138,255,174,174,174,255,177,177,177,255,157,157,157,255,123,123,123,255,163,163,163,255,185,185,185,255,169,169,169,255,143,143,143,255,124,124,124,255,118,118,118,255,116,116,116,255,118,118,118,255,138,138,138,255,131,131,131,255,108,108,108,255,142,142,142,255,138,138,138,255,111,111,111,255,86,86,86,255,73,73,73,255,129,129,129,255,121,121,121,255,119,119,119,255,132,132,132,255,130,130,130,255,125,125,125,255,128,128,128,255,142,142,142,255,166,166,166,255,175,175,175,255,145,145,145,255,150,150,150,255,167,167,167,255,148,148,148,255,145,145,145,255,160,160,160,255,160,160,160,255,143,143,143,255,121,121,121,255,118,118,118,255,97,97,97,255,96,96,96,255,106,106,106,255,62,62,62,255,54,54,54,255,102,102,102,255,119,119,119,255,158,158,158,255,159,159,159,255,135,135,135,255,145,145,145,255,181,181,181,255,177,177,177,255,181,181,181,255,149,149,149,255,151,151,151,255,168,168,168,255,166,166,166,255,161,161,161,255,127,127,127,255,125,125,125,255,109,109,109,255,102,102,102,255,76,76,76,255,73,73,73,255,128,128,128,255,134,134,134,255,119,119,119,255,67,67,67,255,76,76,76,255,81,81,81,255,81,81,81,255,80,80,80,255,79,79,79,255,79,79,79,255,76,76,76,255,73,73,73,255,146,146,146,255,146,146,146,255,124,124,124,255,112,112,112,255,131,131,131,255,179,179,179,255,163,163,163,255,161,161,161,255,154,154,154,255,103,103,103,255,118,118,118,255,98,98,98,255,130,130,130,255,102,102,102,255,119,119,119,255,135,135,135,255,147,147,147,255,147,147,147,255,156,156,156,255,109,109,109,255,121,121,121,255,142,142,142,255,151,151,151,255,174,174,174,255,176,176,176,255,160,160,160,255,123,123,123,255,160,160,160,255,185,185,185,255,162,162,162,255,143,143,143,255,125,125,125,255,119,119,119,255,117,117,117,255,117,117,117,255,151,151,151,255,114,114,114,255,109,109,109,255,131,131,131,255,140,140,140,255,109,109,109,255,86,86,86,255,78,78,78,255,126,126,126,255,119,119,119,255,119,119,119,255,126,126,126,255,122,122,122,255,127,127,127,255,126,126,126,255,156,156,156,255,171,171,171,255,165,165,165,255,141,141,141,255,154,154,154,255,168,168,168,255,132,132,132,255,155,155,155,255,160,160,160,255,159,159,159,255,143,143,143,255,126,126,126,255,97,97,97,255,96,96,96,255,96,96,96,255,104,104,104,255,56,56,56,255,71,71,71,255,112,112,112,255,149,149,149,255,159,159,159,255,159,159,159,255,136,136,136,255,149,149,149,255,183,183,183,255,175,175,175,255,172,172,172,255,138,138,138,255,160,160,160,255,184,184,184,255,168,168,168,255,149,149,149,255,127,127,127,255,122,122,122,255,109,109,109,255,90,90,90,255,72,72,72,255,79,79,79,255,148,148,148,255,130,130,130,255,93,93,93,255,76,76,76,255,85,85,85,255,81,81,81,255,81,81,81,255,80,80,80,255,79,79,79,255,79,79,79,255,76,76,76,255,69,69,69,255,137,137,137,255,152,152,152,255,131,131,131,255,112,112,112,255,120,120,120,255,177,177,177,255,168,168,168,255,156,156,156,255,163,163,163,255,104,104,104,255,115,115,115,255,100,100,100,255,119,119,119,255,102,102,102,255,117,117,117,255,133,133,133,255,147,147,147,255,147,147,147,255,151,151,151,255,114,114,114,255,132,132,132,255,142,142,142,255,163,163,163,255,174,174,174,255,176,176,176,255,163,163,163,255,123,123,123,255,155,155,155,255,185,185,185,255,156,156,156,255,143,143,143,255,127,127,127,255,120,120,120,255,117,117,117,255,126,126,126,255,143,143,143,255,110,110,110,255,109,109,109,255,124,124,124,255,143,143,143,255,110,110,110,255,86,86,86,255,81,81,81,255,122,122,122,255,119,119,119,255,119,119,119,255,115,115,115,255,121,121,121,255,128,128,128,255,137,137,137,255,159,159,159,255,176,176,176,255,149,149,149,255,148,148,148,255,156,156,156,255,152,152,152,255,137,137,137,255,160,160,160,255,160,160,160,255,159,159,159,255,143,143,143,255,117,117,117,255,87,87,87,255,96,96,96,255,96,96,96,255,101,101,101,255,50,50,50,255,97,97,97,255,133,133,133,255,159,159,159,255,159,159,159,255,159,159,159,255,138,138,138,255,160,160,160,255,177,177,177,255,175,175,175,255,145,145,145,255,150,150,150,255,178,178,178,255,185,185,185,255,161,161,161,255,143,143,143,255,126,126,126,255,118,118,118,255,108,108,108,255,75,75,75,255,72,72,72,255,109,109,109,255,151,151,151,255,104,104,104,255,92,92,92,255,93,93,93,255,82,82,82,255,81,81,81,255,80,80,80,255,80,80,80,255,79,79,79,255,79,79,79,255,76,76,76,255,65,65,65,255,123,123,123,255,158,158,158,255,137,137,137,255,118,118,118,255,113,113,113,255,165,165,165,255,177,177,177,255,153,153,153,255,162,162,162,255,110,110,110,255,111,111,111,255,103,103,103,255,110,110,110,255,102,102,102,255,116,116,116,255,127,127,127,255,146,146,146,255,147,147,147,255,147,147,147,255,116,116,116,255,141,141,141,255,142,142,142,255,175,175,175,255,176,176,176,255,175,175,175,255,163,163,163,255,126,126,126,255,148,148,148,255,185,185,185,255,150,150,150,255,143,143,143,255,128,128,128,255,121,121,121,255,117,117,117,255,140,140,140,255,126,126,126,255,110,110,110,255,109,109,109,255,111,111,111,255,145,145,145,255,111,111,111,255,86,86,86,255,88,88,88,255,122,122,122,255,119,119,119,255,117,117,117,255,106,106,106,255,120,120,120,255,129,129,129,255,152,152,152,255,165,165,165,255,169,169,169,255,142,142,142,255,154,154,154,255,161,161,161,255,134,134,134,255,147,147,147,255,160,160,160,255,160,160,160,255,159,159,159,255,141,141,141,255,102,102,102,255,85,85,85,255,96,96,96,255,96,96,96,255,97,97,97,255,57,57,57,255,116,116,116,255,158,158,158,255,159,159,159,255,159,159,159,255,159,159,159,255,139,139,139,255,169,169,169,255,175,175,175,255,165,165,165,255,133,133,133,255,169,169,169,255,185,185,185,255,184,184,184,255,150,150,150,255,141,141,141,255,123,123,123,255,118,118,118,255,93,93,93,255,72,72,72,255,88,88,88,255,128,128,128,255,132,132,132,255,91,91,91,255,104,104,104,255,90,90,90,255,81,81,81,255,81,81,81,255,80,80,80,255,79,79,79,255,79,79,79,255,79,79,79,255,72,72,72,255,63,63,63,255,121,121,121,255,146,146,146,255,142,142,142,255,134,134,134,255,112,112,112,255,149,149,149,255,173,173,173,255,159,159,159,255,153,153,153,255,118,118,118,255,109,109,109,255,105,105,105,255,102,102,102,255,102,102,102,255,114,114,114,255,127,127,127,255,141,141,141,255,147,147,147,255,147,147,147,255,123,123,123,255,142,142,142,255,143,143,143,255,183,183,183,255,180,180,180,255,174,174,174,255,160,160,160,255,134,134,134,255,146,146,146,255,180,180,180,255,145,145,145,255,143,143,143,255,130,130,130,255,122,122,122,255,119,119,119,255,150,150,150,255,111,111,111,255,110,110,110,255,109,109,109,255,108,108,108,255,135,135,135,255,112,112,112,255,86,86,86,255,92,92,92,255,124,124,124,255,120,120,120,255,110,110,110,255,104,104,104,255,119,119,119,255,136,136,136,255,158,158,158,255,171,171,171,255,154,154,154,255,148,148,148,255,154,154,154,255,150,150,150,255,132,132,132,255,157,157,157,255,160,160,160,255,160,160,160,255,158,158,158,255,120,120,120,255,98,98,98,255,87,87,87,255,96,96,96,255,95,95,95,255,86,86,86,255,84,84,84,255,145,145,145,255,160,160,160,255,159,159,159,255,159,159,159,255,159,159,159,255,149,149,149,255,169,169,169,255,175,175,175,255,137,137,137,255,153,153,153,255,184,184,184,255,185,185,185,255,169,169,169,255,149,149,149,255,133,133,133,255,123,123,123,255,115,115,115,255,77,77,77,255,75,75,75,255,119,119,119,255,125,125,125,255,103,103,103,255,101,101,101,255,108,108,108,255,86,86,86,255,81,81,81,255,81,81,81,255,80,80,80,255,79,79,79,255,79,79,79,255,78,78,78,255,66,66,66,255,63,63,63,255,127,127,127,255,129,129,129,255,151,151,151,255,137,137,137,255,125,125,125,255,146,146,146,255,159,159,159,255,163,163,163,255,153,153,153,255,113,113,113,255,113,113,113,255,108,108,108,255,94,94,94,255,102,102,102,255,113,113,113,255,128,128,128,255,137,137,137,255,147,147,147,255,147,147,147,255,133,133,133,255,140,140,140,255,150,150,150,255,184,184,184,255,182,182,182,255,176,176,176,255,155,155,155,255,136,136,136,255,153,153,153,255,167,167,167,255,145,145,145,255,143,143,143,255,131,131,131,255,121,121,121,255,131,131,131,255,137,137,137,255,108,108,108,255,109,109,109,255,109,109,109,255,109,109,109,255,120,120,120,255,115,115,115,255,88,88,88,255,94,94,94,255,126,126,126,255,119,119,119,255,104,104,104,255,104,104,104,255,118,118,118,255,149,149,149,255,159,159,159,255,170,170,170,255,144,144,144,255,154,154,154,255,154,154,154,255,136,136,136,255,138,138,138,255,161,161,161,255,160,160,160,255,160,160,160,255,149,149,149,255,100,100,100,255,98,98,98,255,90,90,90,255,95,95,95,255,95,95,95,255,80,80,80,255,120,120,120,255,162,162,162,255,160,160,160,255,159,159,159,255,159,159,159,255,159,159,159,255,162,162,162,255,169,169,169,255,167,167,167,255,123,123,123,255,179,179,179,255,185,185,185,255,180,180,180,255,156,156,156,255,142,142,142,255,131,131,131,255,124,124,124,255,98,98,98,255,74,74,74,255,104,104,104,255,124,124,124,255,101,101,101,255,104,104,104,255,110,110,110,255,108,108,108,255,82,82,82,255,81,81,81,255,80,80,80,255,80,80,80,255,79,79,79,255,79,79,79,255,74,74,74,255,65,65,65,255,62,62,62,255,135,135,135,255,124,124,124,255,151,151,151,255,137,137,137,255,136,136,136,255,145,145,145,255,157,157,157,255,158,158,158,255,151,151,151,255,113,113,113,255,111,111,111,255,111,111,111,255,92,92,92,255,97,97,97,255,111,111,111,255,130,130,130,255,137,137,137,255,144,144,144,255,147,147,147,255,145,145,145,255,138,138,138,255,159,159,159,255,184,184,184,255,184,184,184,255,179,179,179,255,151,151,151,255,136,136,136,255,162,162,162,255,153,153,153,255,145,145,145,255,143,143,143,255,133,133,133,255,122,122,122,255,146,146,146,255,121,121,121,255,109,109,109,255,109,109,109,255,109,109,109,255,109,109,109,255,107,107,107,255,113,113,113,255,94,94,94,255,94,94,94,255,126,126,126,255,114,114,114,255,104,104,104,255,104,104,104,255,122,122,122,255,159,159,159,255,164,164,164,255,155,155,155,255,148,148,148,255,155,155,155,255,146,146,146,255,132,132,132,255,149,149,149,255,161,161,161,255,161,161,161,255,159,159,159,255,120,120,120,255,99,99,99,255,97,97,97,255,93,93,93,255,96,96,96,255,95,95,95,255,90,90,90,255,155,155,155,255,162,162,162,255,159,159,159,255,159,159,159,255,159,159,159,255,162,162,162,255,167,167,167,255,169,169,169,255,140,140,140,255,155,155,155,255,185,185,185,255,185,185,185,255,163,163,163,255,148,148,148,255,137,137,137,255,131,131,131,255,121,121,121,255,81,81,81,255,88,88,88,255,124,124,124,255,109,109,109,255,90,90,90,255,114,114,114,255,110,110,110,255,102,102,102,255,81,81,81,255,81,81,81,255,80,80,80,255,80,80,80,255,79,79,79,255,77,77,77,255,70,70,70,255,65,65,65,255,62,62,62,255,135,135,135,255,134,134,134,255,138,138,138,255,141,141,141,255,137,137,137,255,154,154,154,255,156,156,156,255,159,159,159,255,145,145,145,255,112,112,112,255,109,109,109,255,113,113,113,255,93,93,93,255,91,91,91,255,110,110,110,255,131,131,131,255,138,138,138,255,139,139,139,255,148,148,148,255,154,154,154,255,138,138,138,255,165,165,165,255,184,184,184,255,184,184,184,255,182,182,182,255,147,147,147,255,138,138,138,255,164,164,164,255,144,144,144,255,144,144,144,255,143,143,143,255,135,135,135,255,126,126,126,255,151,151,151,255,109,109,109,255,109,109,109,255,109,109,109,255,109,109,109,255,109,109,109,255,108,108,108,255,102,102,102,255,97,97,97,255,94,94,94,255,125,125,125,255,108,108,108,255,104,104,104,255,104,104,104,255,137,137,137,255,159,159,159,255,165,165,165,255,145,145,145,255,154,154,154,255,155,155,155,255,133,133,133,255,132,132,132,255,158,158,158,255,161,161,161,255,161,161,161,255,141,141,141,255,107,107,107,255,99,99,99,255,97,97,97,255,93,93,93,255,96,96,96,255,93,93,93,255,130,130,130,255,162,162,162,255,161,161,161,255,159,159,159,255,159,159,159,255,160,160,160,255,168,168,168,255,168,168,168,255,165,165,165,255,126,126,126,255,182,182,182,255,185,185,185,255,175,175,175,255,151,151,151,255,139,139,139,255,138,138,138,255,131,131,131,255,103,103,103,255,81,81,81,255,119,119,119,255,120,120,120,255,87,87,87,255,103,103,103,255,115,115,115,255,110,110,110,255,96,96,96,255,81,81,81,255,80,80,80,255,80,80,80,255,80,80,80,255,79,79,79,255,73,73,73,255,70,70,70,255,65,65,65,255,45,45,45,255,135,135,135,255,135,135,135,255,134,134,134,255,147,147,147,255,137,137,137,255,157,157,157,255,162,162,162,255,156,156,156,255,150,150,150,255,106,106,106,255,109,109,109,255,111,111,111,255,93,93,93,255,86,86,86,255,110,110,110,255,132,132,132,255,138,138,138,255,138,138,138,255,152,152,152,255,157,157,157,255,138,138,138,255,172,172,172,255,184,184,184,255,184,184,184,255,184,184,184,255,146,146,146,255,142,142,142,255,164,164,164,255,139,139,139,255,143,143,143,255,143,143,143,255,135,135,135,255,139,139,139,255,135,135,135,255,109,109,109,255,109,109,109,255,109,109,109,255,108,108,108,255,110,110,110,255,107,107,107,255,96,96,96,255,100,100,100,255,94,94,94,255,118,118,118,255,107,107,107,255,106,106,106,255,104,104,104,255,152,152,152,255,159,159,159,255,156,156,156,255,149,149,149,255,156,156,156,255,143,143,143,255,131,131,131,255,140,140,140,255,161,161,161,255,161,161,161,255,159,159,159,255,113,113,113,255,106,106,106,255,98,98,98,255,95,95,95,255,92,92,92,255,96,96,96,255,110,110,110,255,158,158,158,255,162,162,162,255,160,160,160,255,159,159,159,255,160,160,160,255,160,160,160,255,171,171,171,255,168,168,168,255,141,141,141,255,162,162,162,255,184,184,184,255,184,184,184,255,157,157,157,255,140,140,140,255,139,139,139,255,139,139,139,255,127,127,127,255,87,87,87,255,108,108,108,255,125,125,125,255,96,96,96,255,94,94,94,255,109,109,109,255,114,114,114,255,109,109,109,255,90,90,90,255,81,81,81,255,80,80,80,255,80,80,80,255,79,79,79,255,75,75,75,255,72,72,72,255,72,72,72,255,58,58,58,255,14,14,14,255,135,135,135,255,135,135,135,255,135,135,135,255,147,147,147,255,137,137,137,255,155,155,155,255,169,169,169,255,156,156,156,255,155,155,155,255,105,105,105,255,103,103,103,255,110,110,110,255,93,93,93,255,81,81,81,255,111,111,111,255,133,133,133,255,138,138,138,255,138,138,138,255,155,155,155,255,159,159,159,255,139,139,139,255,180,180,180,255,182,182,182,255,184,184,184,255,184,184,184,255,145,145,145,255,147,147,147,255,161,161,161,255,136,136,136,255,140,140,140,255,143,143,143,255,136,136,136,255,152,152,152,255,118,118,118,255,110,110,110,255,109,109,109,255,109,109,109,255,108,108,108,255,109,109,109,255,105,105,105,255,93,93,93,255,102,102,102,255,94,94,94,255,110,110,110,255,107,107,107,255,106,106,106,255,118,118,118,255,156,156,156,255,160,160,160,255,145,145,145,255,155,155,155,255,155,155,155,255,130,130,130,255,132,132,132,255,150,150,150,255,161,161,161,255,161,161,161,255,133,133,133,255,108,108,108,255,106,106,106,255,98,98,98,255,93,93,93,255,92,92,92,255,97,97,97,255,149,149,149,255,161,161,161,255,162,162,162,255,160,160,160,255,159,159,159,255,160,160,160,255,164,164,164,255,174,174,174,255,166,166,166,255,140,140,140,255,178,178,178,255,185,185,185,255,169,169,169,255,143,143,143,255,139,139,139,255,139,139,139,255,139,139,139,255,108,108,108,255,98,98,98,255,128,128,128,255,110,110,110,255,90,90,90,255,105,105,105,255,110,110,110,255,114,114,114,255,104,104,104,255,88,88,88,255,81,81,81,255,81,81,81,255,80,80,80,255,77,77,77,255,72,72,72,255,73,73,73,255,71,71,71,255,26,26,26,255,11,11,11,255,135,135,135,255,135,135,135,255,135,135,135,255,142,142,142,255,142,142,142,255,154,154,154,255,170,170,170,255,164,164,164,255,156,156,156,255,108,108,108,255,101,101,101,255,103,103,103,255,93,93,93,255,77,77,77,255,112,112,112,255,134,134,134,255,138,138,138,255,138,138,138,255,160,160,160,255,159,159,159,255,147,147,147,255,181,181,181,255,181,181,181,255,184,184,184,255,184,184,184,255,141,141,141,255,152,152,152,255,155,155,155,255,135,135,135,255,138,138,138,255,143,143,143,255,144,144,144,255,147,147,147,255,111,111,111,255,110,110,110,255,109,109,109,255,109,109,109,255,109,109,109,255,109,109,109,255,103,103,103,255,94,94,94,255,100,100,100,255,92,92,92,255,108,108,108,255,107,107,107,255,106,106,106,255,139,139,139,255,155,155,155,255,152,152,152,255,148,148,148,255,157,157,157,255,146,146,146,255,125,125,125,255,133,133,133,255,159,159,159,255,161,161,161,255,153,153,153,255,111,111,111,255,109,109,109,255,104,104,104,255,97,97,97,255,92,92,92,255,92,92,92,255,128,128,128,255,159,159,159,255,163,163,163,255,161,161,161,255,159,159,159,255,160,160,160,255,159,159,159,255,169,169,169,255,174,174,174,255,149,149,149,255,167,167,167,255,180,180,180,255,180,180,180,255,147,147,147,255,139,139,139,255,139,139,139,255,139,139,139,255,134,134,134,255,93,93,93,255,127,127,127,255,123,123,123,255,89,89,89,255,103,103,103,255,105,105,105,255,110,110,110,255,114,114,114,255,97,97,97,255,88,88,88,255,81,81,81,255,81,81,81,255,80,80,80,255,73,73,73,255,72,72,72,255,76,76,76,255,48,48,48,255,16,16,16,255,12,12,12,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,148,148,148,255,152,152,152,255,170,170,170,255,169,169,169,255,159,159,159,255,111,111,111,255,101,101,101,255,101,101,101,255,90,90,90,255,76,76,76,255,110,110,110,255,135,135,135,255,138,138,138,255,139,139,139,255,165,165,165,255,159,159,159,255,155,155,155,255,181,181,181,255,181,181,181,255,182,182,182,255,182,182,182,255,141,141,141,255,158,158,158,255,150,150,150,255,135,135,135,255,135,135,135,255,144,144,144,255,156,156,156,255,130,130,130,255,111,111,111,255,111,111,111,255,110,110,110,255,109,109,109,255,109,109,109,255,110,110,110,255,102,102,102,255,94,94,94,255,95,95,95,255,90,90,90,255,108,108,108,255,107,107,107,255,112,112,112,255,154,154,154,255,152,152,152,255,144,144,144,255,154,154,154,255,157,157,157,255,128,128,128,255,131,131,131,255,141,141,141,255,161,161,161,255,161,161,161,255,123,123,123,255,110,110,110,255,108,108,108,255,104,104,104,255,95,95,95,255,92,92,92,255,95,95,95,255,163,163,163,255,159,159,159,255,163,163,163,255,160,160,160,255,160,160,160,255,160,160,160,255,160,160,160,255,173,173,173,255,173,173,173,255,154,154,154,255,176,176,176,255,180,180,180,255,158,158,158,255,139,139,139,255,139,139,139,255,139,139,139,255,139,139,139,255,111,111,111,255,117,117,117,255,133,133,133,255,98,98,98,255,101,101,101,255,105,105,105,255,105,105,105,255,110,110,110,255,113,113,113,255,91,91,91,255,87,87,87,255,81,81,81,255,81,81,81,255,76,76,76,255,72,72,72,255,75,75,75,255,64,64,64,255,27,27,27,255,16,16,16,255,12,12,12,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,144,144,144,255,152,152,152,255,170,170,170,255,169,169,169,255,167,167,167,255,115,115,115,255,100,100,100,255,101,101,101,255,88,88,88,255,76,76,76,255,107,107,107,255,135,135,135,255,138,138,138,255,146,146,146,255,166,166,166,255,159,159,159,255,164,164,164,255,181,181,181,255,181,181,181,255,182,182,182,255,178,178,178,255,141,141,141,255,162,162,162,255,145,145,145,255,135,135,135,255,134,134,134,255,142,142,142,255,166,166,166,255,114,114,114,255,111,111,111,255,111,111,111,255,110,110,110,255,108,108,108,255,109,109,109,255,109,109,109,255,101,101,101,255,94,94,94,255,90,90,90,255,89,89,89,255,108,108,108,255,107,107,107,255,130,130,130,255,155,155,155,255,145,145,145,255,146,146,146,255,158,158,158,255,151,151,151,255,119,119,119,255,133,133,133,255,152,152,152,255,161,161,161,255,144,144,144,255,110,110,110,255,110,110,110,255,109,109,109,255,104,104,104,255,92,92,92,255,93,93,93,255,133,133,133,255,165,165,165,255,160,160,160,255,163,163,163,255,160,160,160,255,160,160,160,255,159,159,159,255,166,166,166,255,174,174,174,255,167,167,167,255,166,166,166,255,179,179,179,255,170,170,170,255,139,139,139,255,139,139,139,255,139,139,139,255,139,139,139,255,132,132,132,255,105,105,105,255,136,136,136,255,116,116,116,255,96,96,96,255,106,106,106,255,106,106,106,255,105,105,105,255,110,110,110,255,107,107,107,255,89,89,89,255,87,87,87,255,81,81,81,255,79,79,79,255,73,73,73,255,73,73,73,255,71,71,71,255,37,37,37,255,26,26,26,255,16,16,16,255,13,13,13,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,137,137,137,255,151,151,151,255,169,169,169,255,167,167,167,255,169,169,169,255,120,120,120,255,101,101,101,255,101,101,101,255,88,88,88,255,74,74,74,255,105,105,105,255,136,136,136,255,137,137,137,255,153,153,153,255,166,166,166,255,158,158,158,255,172,172,172,255,181,181,181,255,181,181,181,255,182,182,182,255,172,172,172,255,141,141,141,255,166,166,166,255,140,140,140,255,135,135,135,255,134,134,134,255,147,147,147,255,152,152,152,255,111,111,111,255,111,111,111,255,111,111,111,255,111,111,111,255,108,108,108,255,110,110,110,255,109,109,109,255,99,99,99,255,94,94,94,255,86,86,86,255,89,89,89,255,109,109,109,255,109,109,109,255,148,148,148,255,154,154,154,255,139,139,139,255,151,151,151,255,158,158,158,255,133,133,133,255,124,124,124,255,135,135,135,255,161,161,161,255,159,159,159,255,116,116,116,255,110,110,110,255,110,110,110,255,109,109,109,255,103,103,103,255,91,91,91,255,108,108,108,255,162,162,162,255,160,160,160,255,163,163,163,255,162,162,162,255,160,160,160,255,160,160,160,255,158,158,158,255,172,172,172,255,178,178,178,255,164,164,164,255,176,176,176,255,176,176,176,255,143,143,143,255,139,139,139,255,139,139,139,255,139,139,139,255,139,139,139,255,111,111,111,255,131,131,131,255,131,131,131,255,96,96,96,255,106,106,106,255,106,106,106,255,105,105,105,255,104,104,104,255,108,108,108,255,100,100,100,255,89,89,89,255,88,88,88,255,81,81,81,255,76,76,76,255,73,73,73,255,75,75,75,255,44,44,44,255,34,34,34,255,26,26,26,255,15,15,15,255,14,14,14,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,148,148,148,255,168,168,168,255,167,167,167,255,167,167,167,255,125,125,125,255,105,105,105,255,100,100,100,255,87,87,87,255,74,74,74,255,104,104,104,255,136,136,136,255,137,137,137,255,159,159,159,255,166,166,166,255,159,159,159,255,180,180,180,255,181,181,181,255,181,181,181,255,182,182,182,255,168,168,168,255,142,142,142,255,164,164,164,255,137,137,137,255,135,135,135,255,135,135,135,255,155,155,155,255,134,134,134,255,112,112,112,255,111,111,111,255,111,111,111,255,111,111,111,255,108,108,108,255,109,109,109,255,109,109,109,255,98,98,98,255,93,93,93,255,83,83,83,255,87,87,87,255,109,109,109,255,124,124,124,255,151,151,151,255,143,143,143,255,143,143,143,255,157,157,157,255,155,155,155,255,116,116,116,255,130,130,130,255,144,144,144,255,162,162,162,255,135,135,135,255,110,110,110,255,110,110,110,255,110,110,110,255,109,109,109,255,103,103,103,255,91,91,91,255,146,146,146,255,164,164,164,255,157,157,157,255,165,165,165,255,162,162,162,255,160,160,160,255,159,159,159,255,163,163,163,255,175,175,175,255,179,179,179,255,166,166,166,255,178,178,178,255,150,150,150,255,138,138,138,255,139,139,139,255,139,139,139,255,139,139,139,255,131,131,131,255,118,118,118,255,137,137,137,255,106,106,106,255,106,106,106,255,107,107,107,255,106,106,106,255,105,105,105,255,103,103,103,255,109,109,109,255,94,94,94,255,89,89,89,255,88,88,88,255,78,78,78,255,75,75,75,255,76,76,76,255,54,54,54,255,34,34,34,255,34,34,34,255,25,25,25,255,17,17,17,255,14,14,14,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,140,140,140,255,168,168,168,255,165,165,165,255,167,167,167,255,125,125,125,255,111,111,111,255,99,99,99,255,85,85,85,255,76,76,76,255,104,104,104,255,136,136,136,255,138,138,138,255,165,165,165,255,166,166,166,255,164,164,164,255,182,182,182,255,181,181,181,255,181,181,181,255,182,182,182,255,165,165,165,255,146,146,146,255,157,157,157,255,135,135,135,255,135,135,135,255,138,138,138,255,158,158,158,255,118,118,118,255,112,112,112,255,111,111,111,255,111,111,111,255,111,111,111,255,110,110,110,255,109,109,109,255,109,109,109,255,96,96,96,255,88,88,88,255,85,85,85,255,87,87,87,255,109,109,109,255,143,143,143,255,152,152,152,255,136,136,136,255,150,150,150,255,157,157,157,255,138,138,138,255,117,117,117,255,133,133,133,255,154,154,154,255,154,154,154,255,112,112,112,255,110,110,110,255,110,110,110,255,110,110,110,255,108,108,108,255,104,104,104,255,119,119,119,255,162,162,162,255,163,163,163,255,157,157,157,255,165,165,165,255,162,162,162,255,160,160,160,255,158,158,158,255,169,169,169,255,187,187,187,255,166,166,166,255,176,176,176,255,162,162,162,255,137,137,137,255,138,138,138,255,139,139,139,255,139,139,139,255,139,139,139,255,117,117,117,255,137,137,137,255,119,119,119,255,106,106,106,255,108,108,108,255,107,107,107,255,106,106,106,255,104,104,104,255,102,102,102,255,105,105,105,255,91,91,91,255,90,90,90,255,85,85,85,255,76,76,76,255,77,77,77,255,66,66,66,255,34,34,34,255,34,34,34,255,34,34,34,255,24,24,24,255,19,19,19,255,14,14,14,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,137,137,137,255,165,165,165,255,162,162,162,255,165,165,165,255,125,125,125,255,112,112,112,255,102,102,102,255,83,83,83,255,79,79,79,255,105,105,105,255,134,134,134,255,145,145,145,255,165,165,165,255,165,165,165,255,171,171,171,255,184,184,184,255,181,181,181,255,181,181,181,255,182,182,182,255,162,162,162,255,150,150,150,255,150,150,150,255,134,134,134,255,135,135,135,255,147,147,147,255,143,143,143,255,117,117,117,255,113,113,113,255,111,111,111,255,111,111,111,255,111,111,111,255,110,110,110,255,110,110,110,255,108,108,108,255,94,94,94,255,85,85,85,255,89,89,89,255,87,87,87,255,115,115,115,255,153,153,153,255,142,142,142,255,138,138,138,255,156,156,156,255,156,156,156,255,119,119,119,255,124,124,124,255,135,135,135,255,161,161,161,255,125,125,125,255,110,110,110,255,110,110,110,255,110,110,110,255,110,110,110,255,107,107,107,255,111,111,111,255,155,155,155,255,163,163,163,255,159,159,159,255,160,160,160,255,165,165,165,255,162,162,162,255,159,159,159,255,160,160,160,255,180,180,180,255,185,185,185,255,165,165,165,255,171,171,171,255,139,139,139,255,137,137,137,255,138,138,138,255,139,139,139,255,139,139,139,255,130,130,130,255,131,131,131,255,132,132,132,255,103,103,103,255,111,111,111,255,108,108,108,255,107,107,107,255,105,105,105,255,104,104,104,255,103,103,103,255,100,100,100,255,91,91,91,255,90,90,90,255,79,79,79,255,76,76,76,255,77,77,77,255,40,40,40,255,34,34,34,255,34,34,34,255,34,34,34,255,24,24,24,255,20,20,20,255,14,14,14,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,137,137,137,255,159,159,159,255,162,162,162,255,163,163,163,255,126,126,126,255,111,111,111,255,107,107,107,255,85,85,85,255,82,82,82,255,108,108,108,255,132,132,132,255,152,152,152,255,165,165,165,255,165,165,165,255,178,178,178,255,184,184,184,255,180,180,180,255,181,181,181,255,182,182,182,255,158,158,158,255,154,154,154,255,142,142,142,255,132,132,132,255,135,135,135,255,158,158,158,255,124,124,124,255,116,116,116,255,114,114,114,255,111,111,111,255,111,111,111,255,111,111,111,255,111,111,111,255,110,110,110,255,107,107,107,255,90,90,90,255,85,85,85,255,90,90,90,255,87,87,87,255,132,132,132,255,152,152,152,255,132,132,132,255,147,147,147,255,157,157,157,255,142,142,142,255,114,114,114,255,130,130,130,255,145,145,145,255,145,145,145,255,111,111,111,255,110,110,110,255,110,110,110,255,111,111,111,255,109,109,109,255,107,107,107,255,146,146,146,255,164,164,164,255,163,163,163,255,154,154,154,255,162,162,162,255,167,167,167,255,162,162,162,255,158,158,158,255,167,167,167,255,193,193,193,255,168,168,168,255,171,171,171,255,147,147,147,255,135,135,135,255,137,137,137,255,139,139,139,255,138,138,138,255,139,139,139,255,127,127,127,255,137,137,137,255,107,107,107,255,110,110,110,255,111,111,111,255,108,108,108,255,106,106,106,255,104,104,104,255,104,104,104,255,103,103,103,255,94,94,94,255,91,91,91,255,85,85,85,255,79,79,79,255,80,80,80,255,53,53,53,255,36,36,36,255,34,34,34,255,34,34,34,255,34,34,34,255,26,26,26,255,19,19,19,255,14,14,14,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,137,137,137,255,152,152,152,255,161,161,161,255,162,162,162,255,125,125,125,255,111,111,111,255,109,109,109,255,87,87,87,255,84,84,84,255,110,110,110,255,129,129,129,255,159,159,159,255,165,165,165,255,165,165,165,255,185,185,185,255,185,185,185,255,180,180,180,255,181,181,181,255,182,182,182,255,154,154,154,255,157,157,157,255,136,136,136,255,132,132,132,255,139,139,139,255,153,153,153,255,115,115,115,255,115,115,115,255,115,115,115,255,111,111,111,255,111,111,111,255,110,110,110,255,112,112,112,255,111,111,111,255,105,105,105,255,87,87,87,255,87,87,87,255,90,90,90,255,91,91,91,255,149,149,149,255,143,143,143,255,133,133,133,255,155,155,155,255,157,157,157,255,123,123,123,255,117,117,117,255,133,133,133,255,153,153,153,255,117,117,117,255,110,110,110,255,110,110,110,255,110,110,110,255,110,110,110,255,107,107,107,255,125,125,125,255,166,166,166,255,167,167,167,255,161,161,161,255,153,153,153,255,165,165,165,255,168,168,168,255,160,160,160,255,158,158,158,255,186,186,186,255,188,188,188,255,163,163,163,255,157,157,157,255,136,136,136,255,135,135,135,255,138,138,138,255,139,139,139,255,138,138,138,255,134,134,134,255,137,137,137,255,119,119,119,255,108,108,108,255,111,111,111,255,111,111,111,255,108,108,108,255,104,104,104,255,104,104,104,255,104,104,104,255,100,100,100,255,91,91,91,255,90,90,90,255,80,80,80,255,81,81,81,255,64,64,64,255,43,43,43,255,36,36,36,255,34,34,34,255,34,34,34,255,34,34,34,255,29,29,29,255,19,19,19,255,14,14,14,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,136,136,136,255,152,152,152,255,153,153,153,255,162,162,162,255,125,125,125,255,111,111,111,255,111,111,111,255,90,90,90,255,87,87,87,255,112,112,112,255,128,128,128,255,165,165,165,255,165,165,165,255,166,166,166,255,190,190,190,255,186,186,186,255,180,180,180,255,181,181,181,255,182,182,182,255,151,151,151,255,157,157,157,255,134,134,134,255,132,132,132,255,150,150,150,255,135,135,135,255,115,115,115,255,115,115,115,255,114,114,114,255,111,111,111,255,111,111,111,255,109,109,109,255,112,112,112,255,111,111,111,255,100,100,100,255,85,85,85,255,90,90,90,255,90,90,90,255,111,111,111,255,151,151,151,255,132,132,132,255,142,142,142,255,157,157,157,255,146,146,146,255,115,115,115,255,124,124,124,255,137,137,137,255,135,135,135,255,111,111,111,255,110,110,110,255,110,110,110,255,112,112,112,255,109,109,109,255,110,110,110,255,158,158,158,255,172,172,172,255,166,166,166,255,158,158,158,255,155,155,155,255,167,167,167,255,166,166,166,255,159,159,159,255,172,172,172,255,196,196,196,255,170,170,170,255,159,159,159,255,142,142,142,255,134,134,134,255,135,135,135,255,138,138,138,255,138,138,138,255,139,139,139,255,137,137,137,255,132,132,132,255,106,106,106,255,111,111,111,255,111,111,111,255,111,111,111,255,109,109,109,255,104,104,104,255,104,104,104,255,104,104,104,255,95,95,95,255,91,91,91,255,84,84,84,255,81,81,81,255,78,78,78,255,45,45,45,255,43,43,43,255,34,34,34,255,34,34,34,255,34,34,34,255,35,35,35,255,31,31,31,255,18,18,18,255,14,14,14,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,153,153,153,255,142,142,142,255,162,162,162,255,126,126,126,255,108,108,108,255,111,111,111,255,93,93,93,255,90,90,90,255,115,115,115,255,134,134,134,255,165,165,165,255,165,165,165,255,171,171,171,255,191,191,191,255,187,187,187,255,180,180,180,255,181,181,181,255,182,182,182,255,147,147,147,255,154,154,154,255,132,132,132,255,132,132,132,255,159,159,159,255,118,118,118,255,114,114,114,255,116,116,116,255,114,114,114,255,111,111,111,255,111,111,111,255,110,110,110,255,113,113,113,255,112,112,112,255,93,93,93,255,86,86,86,255,91,91,91,255,90,90,90,255,133,133,133,255,143,143,143,255,129,129,129,255,152,152,152,255,157,157,157,255,127,127,127,255,115,115,115,255,129,129,129,255,140,140,140,255,112,112,112,255,111,111,111,255,110,110,110,255,111,111,111,255,112,112,112,255,108,108,108,255,138,138,138,255,169,169,169,255,174,174,174,255,166,166,166,255,154,154,154,255,160,160,160,255,168,168,168,255,162,162,162,255,160,160,160,255,192,192,192,255,189,189,189,255,156,156,156,255,148,148,148,255,135,135,135,255,134,134,134,255,136,136,136,255,139,139,139,255,138,138,138,255,142,142,142,255,138,138,138,255,110,110,110,255,110,110,110,255,111,111,111,255,111,111,111,255,114,114,114,255,109,109,109,255,104,104,104,255,104,104,104,255,104,104,104,255,90,90,90,255,89,89,89,255,82,82,82,255,85,85,85,255,55,55,55,255,44,44,44,255,43,43,43,255,34,34,34,255,34,34,34,255,34,34,34,255,40,40,40,255,30,30,30,255,18,18,18,255,14,14,14,255,134,134,134,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,152,152,152,255,135,135,135,255,157,157,157,255,126,126,126,255,108,108,108,255,109,109,109,255,96,96,96,255,94,94,94,255,117,117,117,255,142,142,142,255,165,165,165,255,165,165,165,255,178,178,178,255,191,191,191,255,188,188,188,255,180,180,180,255,181,181,181,255,182,182,182,255,145,145,145,255,148,148,148,255,132,132,132,255,141,141,141,255,147,147,147,255,113,113,113,255,114,114,114,255,116,116,116,255,114,114,114,255,111,111,111,255,110,110,110,255,111,111,111,255,113,113,113,255,107,107,107,255,89,89,89,255,89,89,89,255,91,91,91,255,102,102,102,255,142,142,142,255,133,133,133,255,134,134,134,255,157,157,157,255,150,150,150,255,115,115,115,255,117,117,117,255,133,133,133,255,121,121,121,255,111,111,111,255,110,110,110,255,110,110,110,255,112,112,112,255,111,111,111,255,119,119,119,255,161,161,161,255,176,176,176,255,172,172,172,255,164,164,164,255,152,152,152,255,164,164,164,255,166,166,166,255,159,159,159,255,180,180,180,255,196,196,196,255,168,168,168,255,148,148,148,255,139,139,139,255,134,134,134,255,134,134,134,255,137,137,137,255,139,139,139,255,143,143,143,255,142,142,142,255,120,120,120,255,110,110,110,255,111,111,111,255,111,111,111,255,113,113,113,255,117,117,117,255,108,108,108,255,104,104,104,255,104,104,104,255,101,101,101,255,85,85,85,255,86,86,86,255,87,87,87,255,67,67,67,255,51,51,51,255,44,44,44,255,43,43,43,255,34,34,34,255,34,34,34,255,34,34,34,255,45,45,45,255,29,29,29,255,18,18,18,255,14,14,14,255,133,133,133,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,152,152,152,255,133,133,133,255,148,148,148,255,126,126,126,255,109,109,109,255,108,108,108,255,98,98,98,255,97,97,97,255,119,119,119,255,149,149,149,255,163,163,163,255,165,165,165,255,184,184,184,255,191,191,191,255,188,188,188,255,179,179,179,255,181,181,181,255,180,180,180,255,146,146,146,255,140,140,140,255,132,132,132,255,152,152,152,255,129,129,129,255,112,112,112,255,114,114,114,255,116,116,116,255,114,114,114,255,110,110,110,255,110,110,110,255,112,112,112,255,113,113,113,255,101,101,101,255,87,87,87,255,92,92,92,255,91,91,91,255,123,123,123,255,136,136,136,255,130,130,130,255,146,146,146,255,157,157,157,255,131,131,131,255,115,115,115,255,122,122,122,255,124,124,124,255,111,111,111,255,111,111,111,255,110,110,110,255,110,110,110,255,112,112,112,255,111,111,111,255,151,151,151,255,168,168,168,255,179,179,179,255,170,170,170,255,162,162,162,255,157,157,157,255,165,165,165,255,162,162,162,255,169,169,169,255,192,192,192,255,190,190,190,255,146,146,146,255,145,145,145,255,134,134,134,255,134,134,134,255,134,134,134,255,137,137,137,255,140,140,140,255,150,150,150,255,132,132,132,255,109,109,109,255,110,110,110,255,111,111,111,255,111,111,111,255,115,115,115,255,116,116,116,255,107,107,107,255,104,104,104,255,104,104,104,255,96,96,96,255,80,80,80,255,88,88,88,255,79,79,79,255,57,57,57,255,51,51,51,255,44,44,44,255,43,43,43,255,36,36,36,255,34,34,34,255,35,35,35,255,51,51,51,255,27,27,27,255,18,18,18,255,14,14,14,255,132,132,132,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,151,151,151,255,132,132,132,255,139,139,139,255,126,126,126,255,109,109,109,255,108,108,108,255,98,98,98,255,102,102,102,255,121,121,121,255,156,156,156,255,163,163,163,255,165,165,165,255,190,190,190,255,191,191,191,255,190,190,190,255,179,179,179,255,181,181,181,255,175,175,175,255,148,148,148,255,135,135,135,255,135,135,135,255,159,159,159,255,113,113,113,255,111,111,111,255,114,114,114,255,116,116,116,255,115,115,115,255,109,109,109,255,110,110,110,255,113,113,113,255,110,110,110,255,98,98,98,255,89,89,89,255,92,92,92,255,95,95,95,255,141,141,141,255,127,127,127,255,132,132,132,255,155,155,155,255,153,153,153,255,116,116,116,255,115,115,115,255,126,126,126,255,107,107,107,255,111,111,111,255,110,110,110,255,110,110,110,255,111,111,111,255,112,112,112,255,133,133,133,255,162,162,162,255,176,176,176,255,177,177,177,255,170,170,170,255,161,161,161,255,160,160,160,255,163,163,163,255,163,163,163,255,185,185,185,255,195,195,195,255,159,159,159,255,145,145,145,255,137,137,137,255,134,134,134,255,134,134,134,255,135,135,135,255,138,138,138,255,150,150,150,255,142,142,142,255,113,113,113,255,110,110,110,255,110,110,110,255,111,111,111,255,114,114,114,255,117,117,117,255,116,116,116,255,106,106,106,255,104,104,104,255,104,104,104,255,85,85,85,255,79,79,79,255,92,92,92,255,63,63,63,255,57,57,57,255,51,51,51,255,44,44,44,255,43,43,43,255,36,36,36,255,34,34,34,255,39,39,39,255,52,52,52,255,26,26,26,255,17,17,17,255,14,14,14,255,130,130,130,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,151,151,151,255,132,132,132,255,135,135,135,255,121,121,121,255,109,109,109,255,108,108,108,255,100,100,100,255,105,105,105,255,129,129,129,255,156,156,156,255,162,162,162,255,166,166,166,255,195,195,195,255,191,191,191,255,191,191,191,255,179,179,179,255,181,181,181,255,172,172,172,255,146,146,146,255,134,134,134,255,146,146,146,255,144,144,144,255,110,110,110,255,110,110,110,255,114,114,114,255,116,116,116,255,113,113,113,255,109,109,109,255,111,111,111,255,114,114,114,255,104,104,104,255,96,96,96,255,92,92,92,255,92,92,92,255,115,115,115,255,136,136,136,255,124,124,124,255,141,141,141,255,157,157,157,255,136,136,136,255,115,115,115,255,117,117,117,255,112,112,112,255,109,109,109,255,111,111,111,255,110,110,110,255,110,110,110,255,112,112,112,255,117,117,117,255,159,159,159,255,168,168,168,255,180,180,180,255,176,176,176,255,169,169,169,255,162,162,162,255,163,163,163,255,161,161,161,255,178,178,178,255,191,191,191,255,179,179,179,255,142,142,142,255,142,142,142,255,134,134,134,255,134,134,134,255,134,134,134,255,135,135,135,255,143,143,143,255,154,154,154,255,122,122,122,255,110,110,110,255,110,110,110,255,111,111,111,255,113,113,113,255,117,117,117,255,117,117,117,255,115,115,115,255,105,105,105,255,104,104,104,255,98,98,98,255,79,79,79,255,80,80,80,255,80,80,80,255,62,62,62,255,57,57,57,255,51,51,51,255,44,44,44,255,43,43,43,255,36,36,36,255,34,34,34,255,45,45,45,255,52,52,52,255,25,25,25,255,17,17,17,255,14,14,14,255,129,129,129,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,150,150,150,255,133,133,133,255,133,133,133,255,114,114,114,255,110,110,110,255,108,108,108,255,102,102,102,255,108,108,108,255,138,138,138,255,155,155,155,255,161,161,161,255,171,171,171,255,196,196,196,255,191,191,191,255,191,191,191,255,180,180,180,255,181,181,181,255,168,168,168,255,142,142,142,255,132,132,132,255,157,157,157,255,126,126,126,255,110,110,110,255,110,110,110,255,114,114,114,255,116,116,116,255,113,113,113,255,109,109,109,255,111,111,111,255,111,111,111,255,100,100,100,255,96,96,96,255,96,96,96,255,92,92,92,255,136,136,136,255,128,128,128,255,125,125,125,255,151,151,151,255,156,156,156,255,118,118,118,255,115,115,115,255,117,117,117,255,98,98,98,255,111,111,111,255,111,111,111,255,110,110,110,255,111,111,111,255,112,112,112,255,145,145,145,255,161,161,161,255,176,176,176,255,181,181,181,255,174,174,174,255,173,173,173,255,160,160,160,255,164,164,164,255,170,170,170,255,186,186,186,255,186,186,186,255,152,152,152,255,142,142,142,255,135,135,135,255,134,134,134,255,134,134,134,255,134,134,134,255,135,135,135,255,159,159,159,255,135,135,135,255,111,111,111,255,110,110,110,255,110,110,110,255,112,112,112,255,115,115,115,255,117,117,117,255,117,117,117,255,114,114,114,255,104,104,104,255,103,103,103,255,86,86,86,255,79,79,79,255,64,64,64,255,78,78,78,255,61,61,61,255,57,57,57,255,50,50,50,255,44,44,44,255,42,42,42,255,37,37,37,255,34,34,34,255,50,50,50,255,52,52,52,255,24,24,24,255,17,17,17,255,14,14,14,255,128,128,128,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,148,148,148,255,134,134,134,255,132,132,132,255,110,110,110,255,106,106,106,255,108,108,108,255,105,105,105,255,111,111,111,255,146,146,146,255,155,155,155,255,160,160,160,255,177,177,177,255,196,196,196,255,191,191,191,255,191,191,191,255,181,181,181,255,180,180,180,255,164,164,164,255,139,139,139,255,136,136,136,255,156,156,156,255,114,114,114,255,110,110,110,255,110,110,110,255,113,113,113,255,113,113,113,255,112,112,112,255,109,109,109,255,112,112,112,255,105,105,105,255,98,98,98,255,99,99,99,255,96,96,96,255,107,107,107,255,138,138,138,255,124,124,124,255,133,133,133,255,156,156,156,255,140,140,140,255,115,115,115,255,115,115,115,255,100,100,100,255,103,103,103,255,111,111,111,255,110,110,110,255,110,110,110,255,112,112,112,255,128,128,128,255,161,161,161,255,166,166,166,255,180,180,180,255,180,180,180,255,176,176,176,255,178,178,178,255,160,160,160,255,165,165,165,255,185,185,185,255,186,186,186,255,165,165,165,255,140,140,140,255,138,138,138,255,134,134,134,255,134,134,134,255,134,134,134,255,134,134,134,255,149,149,149,255,153,153,153,255,115,115,115,255,110,110,110,255,110,110,110,255,112,112,112,255,113,113,113,255,117,117,117,255,117,117,117,255,117,117,117,255,113,113,113,255,104,104,104,255,94,94,94,255,82,82,82,255,70,70,70,255,54,54,54,255,78,78,78,255,61,61,61,255,57,57,57,255,50,50,50,255,44,44,44,255,42,42,42,255,38,38,38,255,38,38,38,255,52,52,52,255,51,51,51,255,24,24,24,255,17,17,17,255,14,14,14,255,127,127,127,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,147,147,147,255,135,135,135,255,132,132,132,255,110,110,110,255,100,100,100,255,108,108,108,255,107,107,107,255,116,116,116,255,153,153,153,255,155,155,155,255,160,160,160,255,183,183,183,255,195,195,195,255,191,191,191,255,191,191,191,255,182,182,182,255,180,180,180,255,160,160,160,255,135,135,135,255,148,148,148,255,138,138,138,255,113,113,113,255,110,110,110,255,110,110,110,255,113,113,113,255,112,112,112,255,112,112,112,255,110,110,110,255,110,110,110,255,101,101,101,255,96,96,96,255,104,104,104,255,96,96,96,255,127,127,127,255,129,129,129,255,124,124,124,255,143,143,143,255,157,157,157,255,121,121,121,255,115,115,115,255,106,106,106,255,93,93,93,255,109,109,109,255,111,111,111,255,110,110,110,255,111,111,111,255,114,114,114,255,156,156,156,255,161,161,161,255,176,176,176,255,181,181,181,255,179,179,179,255,183,183,183,255,180,180,180,255,160,160,160,255,180,180,180,255,185,185,185,255,169,169,169,255,152,152,152,255,139,139,139,255,135,135,135,255,134,134,134,255,134,134,134,255,134,134,134,255,139,139,139,255,162,162,162,255,125,125,125,255,110,110,110,255,110,110,110,255,110,110,110,255,113,113,113,255,114,114,114,255,116,116,116,255,117,117,117,255,117,117,117,255,110,110,110,255,100,100,100,255,88,88,88,255,75,75,75,255,53,53,53,255,54,54,54,255,78,78,78,255,61,61,61,255,57,57,57,255,50,50,50,255,44,44,44,255,42,42,42,255,38,38,38,255,44,44,44,255,52,52,52,255,49,49,49,255,24,24,24,255,16,16,16,255,14,14,14,255,126,126,126,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,146,146,146,255,136,136,136,255,132,132,132,255,108,108,108,255,94,94,94,255,106,106,106,255,109,109,109,255,127,127,127,255,154,154,154,255,154,154,154,255,160,160,160,255,190,190,190,255,195,195,195,255,191,191,191,255,191,191,191,255,182,182,182,255,180,180,180,255,155,155,155,255,132,132,132,255,159,159,159,255,121,121,121,255,111,111,111,255,109,109,109,255,110,110,110,255,111,111,111,255,112,112,112,255,112,112,112,255,110,110,110,255,105,105,105,255,100,100,100,255,98,98,98,255,104,104,104,255,101,101,101,255,140,140,140,255,125,125,125,255,131,131,131,255,148,148,148,255,144,144,144,255,115,115,115,255,115,115,115,255,91,91,91,255,98,98,98,255,111,111,111,255,110,110,110,255,110,110,110,255,112,112,112,255,140,140,140,255,161,161,161,255,165,165,165,255,180,180,180,255,181,181,181,255,182,182,182,255,187,187,187,255,176,176,176,255,172,172,172,255,187,187,187,255,170,170,170,255,163,163,163,255,140,140,140,255,135,135,135,255,134,134,134,255,134,134,134,255,134,134,134,255,134,134,134,255,156,156,156,255,144,144,144,255,112,112,112,255,110,110,110,255,110,110,110,255,113,113,113,255,114,114,114,255,116,116,116,255,116,116,116,255,117,117,117,255,117,117,117,255,108,108,108,255,89,89,89,255,86,86,86,255,57,57,57,255,52,52,52,255,56,56,56,255,78,78,78,255,61,61,61,255,57,57,57,255,50,50,50,255,44,44,44,255,42,42,42,255,39,39,39,255,50,50,50,255,52,52,52,255,48,48,48,255,24,24,24,255,16,16,16,255,14,14,14,255,125,125,125,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,145,145,145,255,137,137,137,255,132,132,132,255,108,108,108,255,92,92,92,255,99,99,99,255,111,111,111,255,138,138,138,255,154,154,154,255,154,154,154,255,160,160,160,255,195,195,195,255,195,195,195,255,191,191,191,255,191,191,191,255,184,184,184,255,180,180,180,255,145,145,145,255,140,140,140,255,151,151,151,255,114,114,114,255,110,110,110,255,108,108,108,255,109,109,109,255,110,110,110,255,112,112,112,255,112,112,112,255,110,110,110,255,100,100,100,255,98,98,98,255,104,104,104,255,102,102,102,255,121,121,121,255,131,131,131,255,125,125,125,255,140,140,140,255,152,152,152,255,125,125,125,255,115,115,115,255,99,99,99,255,90,90,90,255,104,104,104,255,111,111,111,255,110,110,110,255,111,111,111,255,121,121,121,255,161,161,161,255,161,161,161,255,174,174,174,255,182,182,182,255,181,181,181,255,192,192,192,255,186,186,186,255,173,173,173,255,187,187,187,255,176,176,176,255,160,160,160,255,153,153,153,255,136,136,136,255,135,135,135,255,134,134,134,255,134,134,134,255,134,134,134,255,147,147,147,255,160,160,160,255,117,117,117,255,110,110,110,255,110,110,110,255,111,111,111,255,114,114,114,255,116,116,116,255,116,116,116,255,115,115,115,255,117,117,117,255,117,117,117,255,98,98,98,255,89,89,89,255,70,70,70,255,52,52,52,255,52,52,52,255,57,57,57,255,78,78,78,255,61,61,61,255,57,57,57,255,50,50,50,255,43,43,43,255,42,42,42,255,43,43,43,255,52,52,52,255,52,52,52,255,47,47,47,255,24,24,24,255,15,15,15,255,14,14,14,255,124,124,124,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,144,144,144,255,138,138,138,255,132,132,132,255,108,108,108,255,91,91,91,255,91,91,91,255,114,114,114,255,149,149,149,255,154,154,154,255,154,154,154,255,166,166,166,255,195,195,195,255,194,194,194,255,191,191,191,255,191,191,191,255,185,185,185,255,180,180,180,255,137,137,137,255,151,151,151,255,133,133,133,255,114,114,114,255,109,109,109,255,108,108,108,255,108,108,108,255,109,109,109,255,111,111,111,255,112,112,112,255,105,105,105,255,99,99,99,255,96,96,96,255,110,110,110,255,102,102,102,255,138,138,138,255,125,125,125,255,129,129,129,255,145,145,145,255,146,146,146,255,115,115,115,255,111,111,111,255,84,84,84,255,93,93,93,255,110,110,110,255,110,110,110,255,110,110,110,255,112,112,112,255,151,151,151,255,162,162,162,255,163,163,163,255,180,180,180,255,182,182,182,255,190,190,190,255,191,191,191,255,186,186,186,255,184,184,184,255,183,183,183,255,159,159,159,255,162,162,162,255,139,139,139,255,134,134,134,255,134,134,134,255,134,134,134,255,134,134,134,255,138,138,138,255,161,161,161,255,132,132,132,255,110,110,110,255,110,110,110,255,110,110,110,255,113,113,113,255,115,115,115,255,116,116,116,255,116,116,116,255,115,115,115,255,117,117,117,255,115,115,115,255,90,90,90,255,87,87,87,255,53,53,53,255,52,52,52,255,52,52,52,255,58,58,58,255,78,78,78,255,60,60,60,255,57,57,57,255,49,49,49,255,43,43,43,255,42,42,42,255,51,51,51,255,52,52,52,255,52,52,52,255,46,46,46,255,24,24,24,255,15,15,15,255,14,14,14,255,123,123,123,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,143,143,143,255,139,139,139,255,132,132,132,255,109,109,109,255,89,89,89,255,90,90,90,255,115,115,115,255,156,156,156,255,154,154,154,255,154,154,154,255,173,173,173,255,195,195,195,255,193,193,193,255,191,191,191,255,191,191,191,255,185,185,185,255,180,180,180,255,132,132,132,255,159,159,159,255,117,117,117,255,113,113,113,255,108,108,108,255,108,108,108,255,108,108,108,255,109,109,109,255,111,111,111,255,111,111,111,255,101,101,101,255,98,98,98,255,99,99,99,255,112,112,112,255,114,114,114,255,133,133,133,255,125,125,125,255,139,139,139,255,148,148,148,255,128,128,128,255,115,115,115,255,92,92,92,255,87,87,87,255,99,99,99,255,111,111,111,255,110,110,110,255,111,111,111,255,133,133,133,255,162,162,162,255,162,162,162,255,172,172,172,255,182,182,182,255,184,184,184,255,198,198,198,255,188,188,188,255,190,190,190,255,187,187,187,255,163,163,163,255,159,159,159,255,152,152,152,255,133,133,133,255,135,135,135,255,134,134,134,255,134,134,134,255,134,134,134,255,156,156,156,255,150,150,150,255,111,111,111,255,110,110,110,255,110,110,110,255,111,111,111,255,114,114,114,255,117,117,117,255,116,116,116,255,116,116,116,255,115,115,115,255,117,117,117,255,106,106,106,255,92,92,92,255,74,74,74,255,53,53,53,255,52,52,52,255,52,52,52,255,59,59,59,255,78,78,78,255,60,60,60,255,57,57,57,255,49,49,49,255,43,43,43,255,42,42,42,255,58,58,58,255,53,53,53,255,52,52,52,255,45,45,45,255,24,24,24,255,15,15,15,255,14,14,14,255,122,122,122,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,141,141,141,255,140,140,140,255,132,132,132,255,109,109,109,255,89,89,89,255,91,91,91,255,122,122,122,255,157,157,157,255,154,154,154,255,154,154,154,255,178,178,178,255,195,195,195,255,193,193,193,255,191,191,191,255,191,191,191,255,186,186,186,255,179,179,179,255,138,138,138,255,146,146,146,255,114,114,114,255,112,112,112,255,108,108,108,255,108,108,108,255,108,108,108,255,109,109,109,255,111,111,111,255,106,106,106,255,101,101,101,255,95,95,95,255,104,104,104,255,112,112,112,255,131,131,131,255,126,126,126,255,128,128,128,255,145,145,145,255,146,146,146,255,115,115,115,255,105,105,105,255,83,83,83,255,90,90,90,255,105,105,105,255,111,111,111,255,110,110,110,255,117,117,117,255,159,159,159,255,162,162,162,255,163,163,163,255,179,179,179,255,182,182,182,255,196,196,196,255,197,197,197,255,190,190,190,255,193,193,193,255,168,168,168,255,159,159,159,255,160,160,160,255,137,137,137,255,134,134,134,255,135,135,135,255,134,134,134,255,134,134,134,255,146,146,146,255,159,159,159,255,121,121,121,255,110,110,110,255,110,110,110,255,110,110,110,255,113,113,113,255,115,115,115,255,117,117,117,255,116,116,116,255,116,116,116,255,115,115,115,255,110,110,110,255,105,105,105,255,91,91,91,255,65,65,65,255,53,53,53,255,52,52,52,255,52,52,52,255,60,60,60,255,78,78,78,255,59,59,59,255,58,58,58,255,48,48,48,255,43,43,43,255,45,45,45,255,62,62,62,255,54,54,54,255,52,52,52,255,44,44,44,255,24,24,24,255,14,14,14,255,14,14,14,255,120,120,120,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,141,141,141,255,141,141,141,255,132,132,132,255,109,109,109,255,90,90,90,255,91,91,91,255,131,131,131,255,157,157,157,255,154,154,154,255,154,154,154,255,185,185,185,255,195,195,195,255,192,192,192,255,191,191,191,255,191,191,191,255,187,187,187,255,169,169,169,255,150,150,150,255,128,128,128,255,114,114,114,255,111,111,111,255,109,109,109,255,108,108,108,255,107,107,107,255,109,109,109,255,110,110,110,255,101,101,101,255,102,102,102,255,94,94,94,255,106,106,106,255,116,116,116,255,133,133,133,255,126,126,126,255,137,137,137,255,146,146,146,255,131,131,131,255,113,113,113,255,87,87,87,255,84,84,84,255,95,95,95,255,110,110,110,255,110,110,110,255,111,111,111,255,145,145,145,255,162,162,162,255,161,161,161,255,171,171,171,255,181,181,181,255,188,188,188,255,202,202,202,255,194,194,194,255,198,198,198,255,177,177,177,255,159,159,159,255,159,159,159,255,151,151,151,255,130,130,130,255,135,135,135,255,134,134,134,255,134,134,134,255,138,138,138,255,160,160,160,255,136,136,136,255,110,110,110,255,110,110,110,255,111,111,111,255,111,111,111,255,114,114,114,255,116,116,116,255,117,117,117,255,117,117,117,255,116,116,116,255,113,113,113,255,103,103,103,255,120,120,120,255,91,91,91,255,57,57,57,255,53,53,53,255,52,52,52,255,52,52,52,255,61,61,61,255,78,78,78,255,59,59,59,255,59,59,59,255,48,48,48,255,43,43,43,255,52,52,52,255,62,62,62,255,54,54,54,255,52,52,52,255,43,43,43,255,24,24,24,255,14,14,14,255,14,14,14,255,119,119,119,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,139,139,139,255,142,142,142,255,132,132,132,255,110,110,110,255,92,92,92,255,91,91,91,255,142,142,142,255,156,156,156,255,154,154,154,255,155,155,155,255,191,191,191,255,195,195,195,255,191,191,191,255,191,191,191,255,191,191,191,255,188,188,188,255,155,155,155,255,156,156,156,255,115,115,115,255,114,114,114,255,110,110,110,255,109,109,109,255,108,108,108,255,106,106,106,255,109,109,109,255,105,105,105,255,99,99,99,255,100,100,100,255,99,99,99,255,107,107,107,255,130,130,130,255,127,127,127,255,127,127,127,255,145,145,145,255,147,147,147,255,115,115,115,255,97,97,97,255,83,83,83,255,86,86,86,255,101,101,101,255,111,111,111,255,110,110,110,255,126,126,126,255,162,162,162,255,162,162,162,255,162,162,162,255,179,179,179,255,182,182,182,255,201,201,201,255,199,199,199,255,198,198,198,255,188,188,188,255,160,160,160,255,159,159,159,255,157,157,157,255,135,135,135,255,133,133,133,255,135,135,135,255,134,134,134,255,134,134,134,255,155,155,155,255,149,149,149,255,115,115,115,255,109,109,109,255,110,110,110,255,111,111,111,255,113,113,113,255,116,116,116,255,116,116,116,255,117,117,117,255,117,117,117,255,116,116,116,255,105,105,105,255,106,106,106,255,138,138,138,255,81,81,81,255,57,57,57,255,53,53,53,255,51,51,51,255,52,52,52,255,62,62,62,255,78,78,78,255,59,59,59,255,59,59,59,255,48,48,48,255,43,43,43,255,59,59,59,255,63,63,63,255,55,55,55,255,52,52,52,255,41,41,41,255,24,24,24,255,14,14,14,255,14,14,14,255,118,118,118,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,139,139,139,255,143,143,143,255,132,132,132,255,110,110,110,255,92,92,92,255,95,95,95,255,151,151,151,255,155,155,155,255,154,154,154,255,161,161,161,255,192,192,192,255,195,195,195,255,191,191,191,255,191,191,191,255,191,191,191,255,188,188,188,255,153,153,153,255,140,140,140,255,114,114,114,255,114,114,114,255,109,109,109,255,108,108,108,255,108,108,108,255,106,106,106,255,109,109,109,255,100,100,100,255,100,100,100,255,98,98,98,255,104,104,104,255,108,108,108,255,135,135,135,255,127,127,127,255,136,136,136,255,146,146,146,255,133,133,133,255,109,109,109,255,83,83,83,255,83,83,83,255,90,90,90,255,106,106,106,255,110,110,110,255,113,113,113,255,155,155,155,255,162,162,162,255,161,161,161,255,169,169,169,255,182,182,182,255,192,192,192,255,204,204,204,255,200,200,200,255,196,196,196,255,166,166,166,255,160,160,160,255,158,158,158,255,149,149,149,255,129,129,129,255,135,135,135,255,135,135,135,255,135,135,135,255,146,146,146,255,157,157,157,255,125,125,125,255,109,109,109,255,110,110,110,255,111,111,111,255,111,111,111,255,115,115,115,255,116,116,116,255,116,116,116,255,117,117,117,255,117,117,117,255,111,111,111,255,99,99,99,255,142,142,142,255,127,127,127,255,71,71,71,255,57,57,57,255,54,54,54,255,51,51,51,255,52,52,52,255,63,63,63,255,77,77,77,255,59,59,59,255,59,59,59,255,48,48,48,255,45,45,45,255,64,64,64,255,63,63,63,255,56,56,56,255,52,52,52,255,41,41,41,255,24,24,24,255,14,14,14,255,14,14,14,255,117,117,117,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,137,137,137,255,144,144,144,255,132,132,132,255,110,110,110,255,94,94,94,255,108,108,108,255,152,152,152,255,154,154,154,255,154,154,154,255,169,169,169,255,191,191,191,255,195,195,195,255,190,190,190,255,191,191,191,255,191,191,191,255,188,188,188,255,158,158,158,255,122,122,122,255,114,114,114,255,113,113,113,255,109,109,109,255,108,108,108,255,108,108,108,255,107,107,107,255,105,105,105,255,98,98,98,255,99,99,99,255,99,99,99,255,105,105,105,255,122,122,122,255,128,128,128,255,126,126,126,255,145,145,145,255,146,146,146,255,118,118,118,255,90,90,90,255,82,82,82,255,83,83,83,255,95,95,95,255,110,110,110,255,110,110,110,255,138,138,138,255,162,162,162,255,162,162,162,255,161,161,161,255,178,178,178,255,185,185,185,255,203,203,203,255,201,201,201,255,204,204,204,255,170,170,170,255,162,162,162,255,160,160,160,255,155,155,155,255,134,134,134,255,132,132,132,255,135,135,135,255,135,135,135,255,138,138,138,255,159,159,159,255,138,138,138,255,113,113,113,255,109,109,109,255,110,110,110,255,110,110,110,255,113,113,113,255,117,117,117,255,116,116,116,255,117,117,117,255,117,117,117,255,115,115,115,255,104,104,104,255,110,110,110,255,155,155,155,255,116,116,116,255,60,60,60,255,57,57,57,255,55,55,55,255,51,51,51,255,52,52,52,255,64,64,64,255,76,76,76,255,59,59,59,255,59,59,59,255,48,48,48,255,52,52,52,255,64,64,64,255,63,63,63,255,57,57,57,255,52,52,52,255,40,40,40,255,24,24,24,255,14,14,14,255,14,14,14,255,116,116,116,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,137,137,137,255,145,145,145,255,132,132,132,255,111,111,111,255,95,95,95,255,123,123,123,255,152,152,152,255,154,154,154,255,154,154,154,255,176,176,176,255,191,191,191,255,195,195,195,255,190,190,190,255,191,191,191,255,191,191,191,255,186,186,186,255,150,150,150,255,114,114,114,255,114,114,114,255,112,112,112,255,108,108,108,255,108,108,108,255,108,108,108,255,107,107,107,255,100,100,100,255,98,98,98,255,98,98,98,255,106,106,106,255,105,105,105,255,131,131,131,255,127,127,127,255,132,132,132,255,147,147,147,255,135,135,135,255,103,103,103,255,82,82,82,255,82,82,82,255,86,86,86,255,101,101,101,255,111,111,111,255,119,119,119,255,161,161,161,255,162,162,162,255,162,162,162,255,166,166,166,255,182,182,182,255,198,198,198,255,204,204,204,255,205,205,205,255,180,180,180,255,163,163,163,255,162,162,162,255,156,156,156,255,148,148,148,255,129,129,129,255,135,135,135,255,134,134,134,255,135,135,135,255,155,155,155,255,148,148,148,255,119,119,119,255,109,109,109,255,110,110,110,255,110,110,110,255,110,110,110,255,116,116,116,255,116,116,116,255,116,116,116,255,117,117,117,255,117,117,117,255,108,108,108,255,95,95,95,255,159,159,159,255,144,144,144,255,97,97,97,255,57,57,57,255,57,57,57,255,56,56,56,255,51,51,51,255,52,52,52,255,65,65,65,255,76,76,76,255,59,59,59,255,59,59,59,255,48,48,48,255,59,59,59,255,64,64,64,255,64,64,64,255,58,58,58,255,52,52,52,255,38,38,38,255,23,23,23,255,14,14,14,255,14,14,14,255,115,115,115,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,137,137,137,255,146,146,146,255,132,132,132,255,111,111,111,255,97,97,97,255,135,135,135,255,153,153,153,255,154,154,154,255,153,153,153,255,183,183,183,255,191,191,191,255,195,195,195,255,190,190,190,255,190,190,190,255,191,191,191,255,182,182,182,255,133,133,133,255,114,114,114,255,114,114,114,255,110,110,110,255,108,108,108,255,108,108,108,255,108,108,108,255,106,106,106,255,96,96,96,255,98,98,98,255,96,96,96,255,112,112,112,255,114,114,114,255,130,130,130,255,126,126,126,255,142,142,142,255,147,147,147,255,119,119,119,255,85,85,85,255,82,82,82,255,82,82,82,255,89,89,89,255,107,107,107,255,110,110,110,255,150,150,150,255,162,162,162,255,162,162,162,255,161,161,161,255,176,176,176,255,188,188,188,255,205,205,205,255,206,206,206,255,193,193,193,255,163,163,163,255,163,163,163,255,160,160,160,255,153,153,153,255,133,133,133,255,132,132,132,255,135,135,135,255,134,134,134,255,146,146,146,255,155,155,155,255,127,127,127,255,112,112,112,255,110,110,110,255,110,110,110,255,110,110,110,255,113,113,113,255,117,117,117,255,116,116,116,255,116,116,116,255,117,117,117,255,112,112,112,255,99,99,99,255,128,128,128,255,169,169,169,255,133,133,133,255,78,78,78,255,57,57,57,255,57,57,57,255,56,56,56,255,52,52,52,255,52,52,52,255,66,66,66,255,75,75,75,255,59,59,59,255,59,59,59,255,50,50,50,255,65,65,65,255,64,64,64,255,64,64,64,255,58,58,58,255,52,52,52,255,38,38,38,255,23,23,23,255,14,14,14,255,14,14,14,255,114,114,114,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,136,136,136,255,147,147,147,255,132,132,132,255,111,111,111,255,102,102,102,255,145,145,145,255,153,153,153,255,153,153,153,255,154,154,154,255,189,189,189,255,191,191,191,255,194,194,194,255,190,190,190,255,190,190,190,255,191,191,191,255,178,178,178,255,117,117,117,255,114,114,114,255,114,114,114,255,109,109,109,255,108,108,108,255,108,108,108,255,108,108,108,255,101,101,101,255,96,96,96,255,96,96,96,255,99,99,99,255,112,112,112,255,125,125,125,255,129,129,129,255,130,130,130,255,145,145,145,255,136,136,136,255,96,96,96,255,82,82,82,255,82,82,82,255,82,82,82,255,95,95,95,255,111,111,111,255,130,130,130,255,162,162,162,255,162,162,162,255,162,162,162,255,165,165,165,255,182,182,182,255,201,201,201,255,205,205,205,255,204,204,204,255,167,167,167,255,163,163,163,255,163,163,163,255,154,154,154,255,145,145,145,255,128,128,128,255,135,135,135,255,135,135,135,255,137,137,137,255,157,157,157,255,138,138,138,255,117,117,117,255,110,110,110,255,110,110,110,255,110,110,110,255,110,110,110,255,116,116,116,255,116,116,116,255,116,116,116,255,116,116,116,255,115,115,115,255,103,103,103,255,101,101,101,255,168,168,168,255,171,171,171,255,123,123,123,255,60,60,60,255,57,57,57,255,57,57,57,255,57,57,57,255,53,53,53,255,52,52,52,255,67,67,67,255,74,74,74,255,59,59,59,255,59,59,59,255,59,59,59,255,65,65,65,255,64,64,64,255,64,64,64,255,58,58,58,255,54,54,54,255,37,37,37,255,23,23,23,255,14,14,14,255,14,14,14,255,113,113,113,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,147,147,147,255,132,132,132,255,112,112,112,255,115,115,115,255,148,148,148,255,152,152,152,255,152,152,152,255,161,161,161,255,190,190,190,255,191,191,191,255,194,194,194,255,190,190,190,255,190,190,190,255,193,193,193,255,157,157,157,255,114,114,114,255,114,114,114,255,113,113,113,255,109,109,109,255,108,108,108,255,108,108,108,255,106,106,106,255,97,97,97,255,96,96,96,255,93,93,93,255,101,101,101,255,112,112,112,255,130,130,130,255,129,129,129,255,140,140,140,255,145,145,145,255,116,116,116,255,83,83,83,255,82,82,82,255,82,82,82,255,85,85,85,255,102,102,102,255,115,115,115,255,158,158,158,255,162,162,162,255,162,162,162,255,162,162,162,255,175,175,175,255,193,193,193,255,205,205,205,255,209,209,209,255,176,176,176,255,163,163,163,255,162,162,162,255,160,160,160,255,148,148,148,255,133,133,133,255,132,132,132,255,135,135,135,255,135,135,135,255,154,154,154,255,147,147,147,255,120,120,120,255,112,112,112,255,110,110,110,255,110,110,110,255,110,110,110,255,112,112,112,255,116,116,116,255,116,116,116,255,116,116,116,255,116,116,116,255,108,108,108,255,92,92,92,255,143,143,143,255,176,176,176,255,170,170,170,255,104,104,104,255,51,51,51,255,56,56,56,255,57,57,57,255,57,57,57,255,54,54,54,255,52,52,52,255,68,68,68,255,74,74,74,255,59,59,59,255,59,59,59,255,66,66,66,255,65,65,65,255,64,64,64,255,64,64,64,255,58,58,58,255,54,54,54,255,35,35,35,255,23,23,23,255,14,14,14,255,14,14,14,255,113,113,113,255,134,134,134,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,147,147,147,255,132,132,132,255,112,112,112,255,127,127,127,255,149,149,149,255,152,152,152,255,152,152,152,255,169,169,169,255,190,190,190,255,191,191,191,255,193,193,193,255,190,190,190,255,190,190,190,255,192,192,192,255,135,135,135,255,115,115,115,255,114,114,114,255,111,111,111,255,109,109,109,255,109,109,109,255,108,108,108,255,101,101,101,255,97,97,97,255,96,96,96,255,92,92,92,255,99,99,99,255,122,122,122,255,130,130,130,255,133,133,133,255,145,145,145,255,139,139,139,255,88,88,88,255,82,82,82,255,82,82,82,255,82,82,82,255,89,89,89,255,108,108,108,255,142,142,142,255,162,162,162,255,162,162,162,255,162,162,162,255,165,165,165,255,183,183,183,255,203,203,203,255,208,208,208,255,186,186,186,255,167,167,167,255,163,163,163,255,162,162,162,255,154,154,154,255,141,141,141,255,129,129,129,255,135,135,135,255,135,135,135,255,145,145,145,255,154,154,154,255,127,127,127,255,116,116,116,255,110,110,110,255,110,110,110,255,110,110,110,255,110,110,110,255,115,115,115,255,115,115,115,255,116,116,116,255,116,116,116,255,110,110,110,255,93,93,93,255,113,113,113,255,174,174,174,255,177,177,177,255,162,162,162,255,90,90,90,255,50,50,50,255,54,54,54,255,57,57,57,255,57,57,57,255,54,54,54,255,53,53,53,255,69,69,69,255,73,73,73,255,59,59,59,255,61,61,61,255,73,73,73,255,66,66,66,255,64,64,64,255,64,64,64,255,59,59,59,255,55,55,55,255,34,34,34,255,22,22,22,255,14,14,14,255,14,14,14,255,113,113,113,255,133,133,133,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,146,146,146,255,132,132,132,255,112,112,112,255,140,140,140,255,151,151,151,255,152,152,152,255,152,152,152,255,175,175,175,255,190,190,190,255,190,190,190,255,191,191,191,255,190,190,190,255,191,191,191,255,185,185,185,255,117,117,117,255,116,116,116,255,113,113,113,255,110,110,110,255,109,109,109,255,109,109,109,255,107,107,107,255,97,97,97,255,97,97,97,255,93,93,93,255,98,98,98,255,96,96,96,255,126,126,126,255,131,131,131,255,141,141,141,255,145,145,145,255,110,110,110,255,81,81,81,255,82,82,82,255,82,82,82,255,82,82,82,255,95,95,95,255,123,123,123,255,162,162,162,255,162,162,162,255,162,162,162,255,162,162,162,255,174,174,174,255,196,196,196,255,205,205,205,255,194,194,194,255,173,173,173,255,164,164,164,255,163,163,163,255,159,159,159,255,146,146,146,255,133,133,133,255,131,131,131,255,135,135,135,255,138,138,138,255,155,155,155,255,137,137,137,255,118,118,118,255,112,112,112,255,110,110,110,255,110,110,110,255,110,110,110,255,111,111,111,255,114,114,114,255,116,116,116,255,116,116,116,255,115,115,115,255,98,98,98,255,99,99,99,255,147,147,147,255,180,180,180,255,177,177,177,255,153,153,153,255,77,77,77,255,48,48,48,255,53,53,53,255,57,57,57,255,57,57,57,255,54,54,54,255,53,53,53,255,70,70,70,255,73,73,73,255,59,59,59,255,71,71,71,255,73,73,73,255,68,68,68,255,64,64,64,255,64,64,64,255,59,59,59,255,55,55,55,255,33,33,33,255,22,22,22,255,14,14,14,255,14,14,14,255,113,113,113,255,132,132,132,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,146,146,146,255,132,132,132,255,115,115,115,255,149,149,149,255,153,153,153,255,152,152,152,255,152,152,152,255,182,182,182,255,190,190,190,255,190,190,190,255,191,191,191,255,189,189,189,255,194,194,194,255,159,159,159,255,117,117,117,255,115,115,115,255,112,112,112,255,109,109,109,255,108,108,108,255,109,109,109,255,103,103,103,255,97,97,97,255,97,97,97,255,90,90,90,255,102,102,102,255,104,104,104,255,127,127,127,255,133,133,133,255,147,147,147,255,140,140,140,255,83,83,83,255,82,82,82,255,82,82,82,255,82,82,82,255,84,84,84,255,104,104,104,255,153,153,153,255,162,162,162,255,162,162,162,255,162,162,162,255,163,163,163,255,187,187,187,255,205,205,205,255,199,199,199,255,175,175,175,255,168,168,168,255,163,163,163,255,162,162,162,255,154,154,154,255,137,137,137,255,129,129,129,255,135,135,135,255,135,135,135,255,152,152,152,255,147,147,147,255,120,120,120,255,116,116,116,255,110,110,110,255,110,110,110,255,110,110,110,255,109,109,109,255,114,114,114,255,113,113,113,255,116,116,116,255,116,116,116,255,106,106,106,255,86,86,86,255,122,122,122,255,175,175,175,255,180,180,180,255,178,178,178,255,135,135,135,255,71,71,71,255,47,47,47,255,51,51,51,255,57,57,57,255,57,57,57,255,54,54,54,255,54,54,54,255,71,71,71,255,72,72,72,255,59,59,59,255,82,82,82,255,73,73,73,255,69,69,69,255,64,64,64,255,64,64,64,255,60,60,60,255,57,57,57,255,32,32,32,255,21,21,21,255,14,14,14,255,14,14,14,255,113,113,113,255,130,130,130,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,145,145,145,255,132,132,132,255,123,123,123,255,151,151,151,255,154,154,154,255,152,152,152,255,153,153,153,255,189,189,189,255,190,190,190,255,190,190,190,255,190,190,190,255,189,189,189,255,196,196,196,255,133,133,133,255,117,117,117,255,114,114,114,255,111,111,111,255,109,109,109,255,108,108,108,255,108,108,108,255,98,98,98,255,97,97,97,255,96,96,96,255,91,91,91,255,102,102,102,255,115,115,115,255,126,126,126,255,140,140,140,255,148,148,148,255,106,106,106,255,79,79,79,255,82,82,82,255,82,82,82,255,82,82,82,255,88,88,88,255,133,133,133,255,162,162,162,255,162,162,162,255,162,162,162,255,162,162,162,255,174,174,174,255,200,200,200,255,203,203,203,255,177,177,177,255,173,173,173,255,165,165,165,255,163,163,163,255,157,157,157,255,145,145,145,255,133,133,133,255,131,131,131,255,135,135,135,255,145,145,145,255,153,153,153,255,126,126,126,255,118,118,118,255,112,112,112,255,110,110,110,255,110,110,110,255,110,110,110,255,110,110,110,255,114,114,114,255,113,113,113,255,116,116,116,255,111,111,111,255,87,87,87,255,106,106,106,255,151,151,151,255,179,179,179,255,180,180,180,255,178,178,178,255,110,110,110,255,71,71,71,255,46,46,46,255,49,49,49,255,57,57,57,255,57,57,57,255,54,54,54,255,54,54,54,255,73,73,73,255,71,71,71,255,60,60,60,255,91,91,91,255,72,72,72,255,69,69,69,255,65,65,65,255,64,64,64,255,60,60,60,255,57,57,57,255,31,31,31,255,21,21,21,255,14,14,14,255,14,14,14,255,113,113,113,255,129,129,129,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,145,145,145,255,132,132,132,255,133,133,133,255,152,152,152,255,156,156,156,255,152,152,152,255,159,159,159,255,190,190,190,255,190,190,190,255,190,190,190,255,189,189,189,255,190,190,190,255,185,185,185,255,119,119,119,255,117,117,117,255,112,112,112,255,111,111,111,255,108,108,108,255,108,108,108,255,103,103,103,255,98,98,98,255,97,97,97,255,93,93,93,255,96,96,96,255,104,104,104,255,122,122,122,255,126,126,126,255,147,147,147,255,139,139,139,255,81,81,81,255,81,81,81,255,82,82,82,255,82,82,82,255,82,82,82,255,103,103,103,255,160,160,160,255,162,162,162,255,162,162,162,255,162,162,162,255,162,162,162,255,191,191,191,255,204,204,204,255,182,182,182,255,174,174,174,255,168,168,168,255,165,165,165,255,161,161,161,255,153,153,153,255,136,136,136,255,129,129,129,255,134,134,134,255,138,138,138,255,153,153,153,255,137,137,137,255,118,118,118,255,116,116,116,255,110,110,110,255,110,110,110,255,110,110,110,255,110,110,110,255,111,111,111,255,113,113,113,255,113,113,113,255,115,115,115,255,94,94,94,255,97,97,97,255,119,119,119,255,179,179,179,255,179,179,179,255,179,179,179,255,179,179,179,255,88,88,88,255,68,68,68,255,46,46,46,255,47,47,47,255,56,56,56,255,57,57,57,255,54,54,54,255,54,54,54,255,74,74,74,255,71,71,71,255,70,70,70,255,93,93,93,255,71,71,71,255,69,69,69,255,65,65,65,255,64,64,64,255,60,60,60,255,58,58,58,255,30,30,30,255,21,21,21,255,14,14,14,255,14,14,14,255,113,113,113,255,128,128,128,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,145,145,145,255,132,132,132,255,144,144,144,255,154,154,154,255,156,156,156,255,152,152,152,255,167,167,167,255,190,190,190,255,190,190,190,255,190,190,190,255,189,189,189,255,194,194,194,255,160,160,160,255,117,117,117,255,116,116,116,255,112,112,112,255,111,111,111,255,108,108,108,255,108,108,108,255,98,98,98,255,98,98,98,255,98,98,98,255,89,89,89,255,102,102,102,255,114,114,114,255,122,122,122,255,133,133,133,255,146,146,146,255,103,103,103,255,78,78,78,255,82,82,82,255,82,82,82,255,82,82,82,255,84,84,84,255,141,141,141,255,162,162,162,255,162,162,162,255,162,162,162,255,162,162,162,255,174,174,174,255,203,203,203,255,188,188,188,255,174,174,174,255,172,172,172,255,166,166,166,255,163,163,163,255,156,156,156,255,142,142,142,255,133,133,133,255,131,131,131,255,135,135,135,255,151,151,151,255,147,147,147,255,119,119,119,255,119,119,119,255,111,111,111,255,110,110,110,255,110,110,110,255,110,110,110,255,110,110,110,255,111,111,111,255,113,113,113,255,113,113,113,255,103,103,103,255,86,86,86,255,115,115,115,255,146,146,146,255,182,182,182,255,180,180,180,255,178,178,178,255,163,163,163,255,80,80,80,255,66,66,66,255,46,46,46,255,47,47,47,255,54,54,54,255,57,57,57,255,54,54,54,255,54,54,54,255,75,75,75,255,71,71,71,255,81,81,81,255,92,92,92,255,71,71,71,255,69,69,69,255,66,66,66,255,64,64,64,255,60,60,60,255,58,58,58,255,29,29,29,255,20,20,20,255,14,14,14,255,14,14,14,255,113,113,113,255,127,127,127,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,144,144,144,255,133,133,133,255,152,152,152,255,155,155,155,255,157,157,157,255,152,152,152,255,175,175,175,255,190,190,190,255,190,190,190,255,190,190,190,255,188,188,188,255,195,195,195,255,134,134,134,255,116,116,116,255,114,114,114,255,112,112,112,255,110,110,110,255,108,108,108,255,104,104,104,255,98,98,98,255,98,98,98,255,95,95,95,255,91,91,91,255,103,103,103,255,124,124,124,255,121,121,121,255,141,141,141,255,131,131,131,255,81,81,81,255,79,79,79,255,82,82,82,255,82,82,82,255,82,82,82,255,107,107,107,255,161,161,161,255,162,162,162,255,162,162,162,255,162,162,162,255,162,162,162,255,197,197,197,255,193,193,193,255,174,174,174,255,174,174,174,255,168,168,168,255,165,165,165,255,160,160,160,255,149,149,149,255,137,137,137,255,129,129,129,255,134,134,134,255,143,143,143,255,153,153,153,255,125,125,125,255,118,118,118,255,116,116,116,255,110,110,110,255,110,110,110,255,110,110,110,255,110,110,110,255,110,110,110,255,110,110,110,255,113,113,113,255,107,107,107,255,83,83,83,255,108,108,108,255,121,121,121,255,170,170,170,255,183,183,183,255,182,182,182,255,177,177,177,255,135,135,135,255,80,80,80,255,64,64,64,255,47,47,47,255,47,47,47,255,53,53,53,255,57,57,57,255,54,54,54,255,54,54,54,255,77,77,77,255,71,71,71,255,91,91,91,255,92,92,92,255,70,70,70,255,69,69,69,255,68,68,68,255,64,64,64,255,61,61,61,255,58,58,58,255,30,30,30,255,20,20,20,255,14,14,14,255,14,14,14,255,113,113,113,255,126,126,126,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,144,144,144,255,140,140,140,255,154,154,154,255,156,156,156,255,157,157,157,255,152,152,152,255,182,182,182,255,190,190,190,255,190,190,190,255,190,190,190,255,190,190,190,255,180,180,180,255,124,124,124,255,115,115,115,255,113,113,113,255,112,112,112,255,109,109,109,255,108,108,108,255,99,99,99,255,98,98,98,255,98,98,98,255,92,92,92,255,96,96,96,255,110,110,110,255,127,127,127,255,128,128,128,255,142,142,142,255,98,98,98,255,78,78,78,255,81,81,81,255,82,82,82,255,82,82,82,255,85,85,85,255,147,147,147,255,162,162,162,255,162,162,162,255,162,162,162,255,162,162,162,255,177,177,177,255,199,199,199,255,175,175,175,255,174,174,174,255,172,172,172,255,166,166,166,255,162,162,162,255,156,156,156,255,140,140,140,255,134,134,134,255,131,131,131,255,137,137,137,255,152,152,152,255,136,136,136,255,119,119,119,255,119,119,119,255,111,111,111,255,110,110,110,255,110,110,110,255,110,110,110,255,111,111,111,255,109,109,109,255,111,111,111,255,111,111,111,255,84,84,84,255,97,97,97,255,116,116,116,255,150,150,150,255,172,172,172,255,183,183,183,255,182,182,182,255,178,178,178,255,108,108,108,255,81,81,81,255,62,62,62,255,47,47,47,255,47,47,47,255,51,51,51,255,57,57,57,255,54,54,54,255,54,54,54,255,78,78,78,255,81,81,81,255,93,93,93,255,92,92,92,255,70,70,70,255,69,69,69,255,69,69,69,255,64,64,64,255,61,61,61,255,58,58,58,255,30,30,30,255,20,20,20,255,14,14,14,255,14,14,14,255,113,113,113,255,125,125,125,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,145,145,145,255,148,148,148,255,156,156,156,255,157,157,157,255,157,157,157,255,153,153,153,255,189,189,189,255,190,190,190,255,190,190,190,255,190,190,190,255,193,193,193,255,155,155,155,255,122,122,122,255,113,113,113,255,113,113,113,255,112,112,112,255,109,109,109,255,105,105,105,255,97,97,97,255,98,98,98,255,97,97,97,255,90,90,90,255,101,101,101,255,120,120,120,255,127,127,127,255,139,139,139,255,121,121,121,255,83,83,83,255,78,78,78,255,81,81,81,255,82,82,82,255,82,82,82,255,118,118,118,255,158,158,158,255,162,162,162,255,162,162,162,255,162,162,162,255,162,162,162,255,198,198,198,255,178,178,178,255,174,174,174,255,174,174,174,255,168,168,168,255,166,166,166,255,157,157,157,255,147,147,147,255,138,138,138,255,129,129,129,255,134,134,134,255,149,149,149,255,147,147,147,255,120,120,120,255,119,119,119,255,115,115,115,255,110,110,110,255,110,110,110,255,110,110,110,255,111,111,111,255,110,110,110,255,107,107,107,255,113,113,113,255,92,92,92,255,81,81,81,255,115,115,115,255,123,123,123,255,173,173,173,255,172,172,172,255,184,184,184,255,183,183,183,255,171,171,171,255,89,89,89,255,82,82,82,255,60,60,60,255,47,47,47,255,47,47,47,255,49,49,49,255,57,57,57,255,54,54,54,255,54,54,54,255,79,79,79,255,93,93,93,255,93,93,93,255,92,92,92,255,70,70,70,255,69,69,69,255,69,69,69,255,65,65,65,255,61,61,61,255,58,58,58,255,30,30,30,255,20,20,20,255,14,14,14,255,14,14,14,255,113,113,113,255,124,124,124,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,144,144,144,255,156,156,156,255,156,156,156,255,157,157,157,255,158,158,158,255,159,159,159,255,190,190,190,255,190,190,190,255,190,190,190,255,189,189,189,255,193,193,193,255,133,133,133,255,118,118,118,255,112,112,112,255,113,113,113,255,112,112,112,255,108,108,108,255,100,100,100,255,97,97,97,255,98,98,98,255,95,95,95,255,93,93,93,255,105,105,105,255,128,128,128,255,130,130,130,255,138,138,138,255,96,96,96,255,78,78,78,255,78,78,78,255,81,81,81,255,82,82,82,255,95,95,95,255,146,146,146,255,162,162,162,255,162,162,162,255,162,162,162,255,162,162,162,255,182,182,182,255,182,182,182,255,174,174,174,255,174,174,174,255,171,171,171,255,167,167,167,255,162,162,162,255,153,153,153,255,139,139,139,255,135,135,135,255,129,129,129,255,143,143,143,255,153,153,153,255,126,126,126,255,119,119,119,255,119,119,119,255,111,111,111,255,110,110,110,255,110,110,110,255,110,110,110,255,111,111,111,255,110,110,110,255,107,107,107,255,104,104,104,255,72,72,72,255,102,102,102,255,116,116,116,255,152,152,152,255,174,174,174,255,172,172,172,255,185,185,185,255,183,183,183,255,151,151,151,255,84,84,84,255,82,82,82,255,58,58,58,255,47,47,47,255,47,47,47,255,47,47,47,255,56,56,56,255,55,55,55,255,54,54,54,255,80,80,80,255,105,105,105,255,93,93,93,255,92,92,92,255,69,69,69,255,69,69,69,255,69,69,69,255,65,65,65,255,62,62,62,255,58,58,58,255,31,31,31,255,19,19,19,255,14,14,14,255,14,14,14,255,113,113,113,255,123,123,123,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,144,144,144,255,163,163,163,255,157,157,157,255,159,159,159,255,158,158,158,255,167,167,167,255,190,190,190,255,190,190,190,255,190,190,190,255,192,192,192,255,172,172,172,255,129,129,129,255,113,113,113,255,112,112,112,255,112,112,112,255,112,112,112,255,106,106,106,255,97,97,97,255,97,97,97,255,98,98,98,255,92,92,92,255,98,98,98,255,116,116,116,255,129,129,129,255,139,139,139,255,113,113,113,255,85,85,85,255,78,78,78,255,79,79,79,255,81,81,81,255,83,83,83,255,132,132,132,255,154,154,154,255,162,162,162,255,162,162,162,255,161,161,161,255,165,165,165,255,185,185,185,255,174,174,174,255,174,174,174,255,174,174,174,255,168,168,168,255,166,166,166,255,157,157,157,255,143,143,143,255,139,139,139,255,131,131,131,255,136,136,136,255,152,152,152,255,136,136,136,255,119,119,119,255,119,119,119,255,115,115,115,255,110,110,110,255,110,110,110,255,110,110,110,255,111,111,111,255,111,111,111,255,107,107,107,255,106,106,106,255,76,76,76,255,85,85,85,255,111,111,111,255,125,125,125,255,173,173,173,255,174,174,174,255,174,174,174,255,185,185,185,255,183,183,183,255,124,124,124,255,84,84,84,255,82,82,82,255,56,56,56,255,47,47,47,255,47,47,47,255,47,47,47,255,54,54,54,255,55,55,55,255,56,56,56,255,90,90,90,255,108,108,108,255,93,93,93,255,91,91,91,255,69,69,69,255,69,69,69,255,69,69,69,255,66,66,66,255,62,62,62,255,57,57,57,255,32,32,32,255,19,19,19,255,14,14,14,255,14,14,14,255,113,113,113,255,122,122,122,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,148,148,148,255,164,164,164,255,159,159,159,255,160,160,160,255,159,159,159,255,175,175,175,255,190,190,190,255,190,190,190,255,190,190,190,255,196,196,196,255,149,149,149,255,123,123,123,255,112,112,112,255,112,112,112,255,112,112,112,255,111,111,111,255,102,102,102,255,97,97,97,255,97,97,97,255,96,96,96,255,90,90,90,255,100,100,100,255,127,127,127,255,130,130,130,255,130,130,130,255,98,98,98,255,78,78,78,255,78,78,78,255,81,81,81,255,81,81,81,255,108,108,108,255,145,145,145,255,159,159,159,255,162,162,162,255,162,162,162,255,161,161,161,255,177,177,177,255,173,173,173,255,174,174,174,255,174,174,174,255,171,171,171,255,167,167,167,255,162,162,162,255,150,150,150,255,138,138,138,255,136,136,136,255,130,130,130,255,148,148,148,255,147,147,147,255,120,120,120,255,119,119,119,255,119,119,119,255,111,111,111,255,110,110,110,255,110,110,110,255,111,111,111,255,111,111,111,255,110,110,110,255,105,105,105,255,82,82,82,255,76,76,76,255,100,100,100,255,113,113,113,255,155,155,155,255,174,174,174,255,174,174,174,255,175,175,175,255,185,185,185,255,178,178,178,255,103,103,103,255,84,84,84,255,83,83,83,255,55,55,55,255,47,47,47,255,47,47,47,255,47,47,47,255,53,53,53,255,55,55,55,255,56,56,56,255,105,105,105,255,107,107,107,255,93,93,93,255,91,91,91,255,69,69,69,255,69,69,69,255,69,69,69,255,68,68,68,255,62,62,62,255,56,56,56,255,34,34,34,255,18,18,18,255,14,14,14,255,13,13,13,255,113,113,113,255,120,120,120,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,155,155,155,255,165,165,165,255,160,160,160,255,160,160,160,255,159,159,159,255,182,182,182,255,190,190,190,255,190,190,190,255,191,191,191,255,190,190,190,255,133,133,133,255,118,118,118,255,112,112,112,255,113,113,113,255,112,112,112,255,109,109,109,255,98,98,98,255,97,97,97,255,97,97,97,255,93,93,93,255,95,95,95,255,109,109,109,255,131,131,131,255,136,136,136,255,107,107,107,255,89,89,89,255,78,78,78,255,78,78,78,255,81,81,81,255,87,87,87,255,140,140,140,255,148,148,148,255,162,162,162,255,162,162,162,255,161,161,161,255,166,166,166,255,172,172,172,255,174,174,174,255,174,174,174,255,174,174,174,255,168,168,168,255,166,166,166,255,158,158,158,255,140,140,140,255,138,138,138,255,131,131,131,255,141,141,141,255,152,152,152,255,126,126,126,255,119,119,119,255,119,119,119,255,115,115,115,255,110,110,110,255,110,110,110,255,110,110,110,255,111,111,111,255,112,112,112,255,108,108,108,255,88,88,88,255,68,68,68,255,96,96,96,255,100,100,100,255,125,125,125,255,175,175,175,255,174,174,174,255,174,174,174,255,175,175,175,255,186,186,186,255,157,157,157,255,97,97,97,255,84,84,84,255,84,84,84,255,54,54,54,255,47,47,47,255,47,47,47,255,47,47,47,255,51,51,51,255,55,55,55,255,57,57,57,255,120,120,120,255,106,106,106,255,93,93,93,255,91,91,91,255,69,69,69,255,69,69,69,255,69,69,69,255,69,69,69,255,62,62,62,255,55,55,55,255,35,35,35,255,18,18,18,255,14,14,14,255,13,13,13,255,113,113,113,255,119,119,119,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,160,160,160,255,165,165,165,255,160,160,160,255,160,160,160,255,160,160,160,255,189,189,189,255,190,190,190,255,190,190,190,255,194,194,194,255,167,167,167,255,128,128,128,255,115,115,115,255,112,112,112,255,113,113,113,255,112,112,112,255,102,102,102,255,98,98,98,255,97,97,97,255,97,97,97,255,90,90,90,255,98,98,98,255,121,121,121,255,133,133,133,255,121,121,121,255,101,101,101,255,79,79,79,255,78,78,78,255,79,79,79,255,81,81,81,255,123,123,123,255,143,143,143,255,154,154,154,255,162,162,162,255,162,162,162,255,160,160,160,255,166,166,166,255,174,174,174,255,174,174,174,255,174,174,174,255,171,171,171,255,167,167,167,255,162,162,162,255,148,148,148,255,138,138,138,255,137,137,137,255,133,133,133,255,152,152,152,255,136,136,136,255,119,119,119,255,119,119,119,255,118,118,118,255,110,110,110,255,110,110,110,255,110,110,110,255,111,111,111,255,112,112,112,255,111,111,111,255,101,101,101,255,54,54,54,255,87,87,87,255,102,102,102,255,100,100,100,255,158,158,158,255,175,175,175,255,174,174,174,255,174,174,174,255,176,176,176,255,186,186,186,255,136,136,136,255,92,92,92,255,84,84,84,255,84,84,84,255,53,53,53,255,47,47,47,255,47,47,47,255,47,47,47,255,49,49,49,255,56,56,56,255,65,65,65,255,126,126,126,255,105,105,105,255,93,93,93,255,91,91,91,255,69,69,69,255,69,69,69,255,69,69,69,255,69,69,69,255,63,63,63,255,54,54,54,255,35,35,35,255,20,20,20,255,14,14,14,255,13,13,13,255,113,113,113,255,118,118,118,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,136,136,136,255,166,166,166,255,166,166,166,255,161,161,161,255,160,160,160,255,166,166,166,255,190,190,190,255,190,190,190,255,190,190,190,255,197,197,197,255,144,144,144,255,122,122,122,255,113,113,113,255,112,112,112,255,113,113,113,255,110,110,110,255,98,98,98,255,98,98,98,255,97,97,97,255,96,96,96,255,91,91,91,255,104,104,104,255,130,130,130,255,133,133,133,255,102,102,102,255,92,92,92,255,79,79,79,255,78,78,78,255,81,81,81,255,99,99,99,255,143,143,143,255,144,144,144,255,159,159,159,255,162,162,162,255,161,161,161,255,160,160,160,255,171,171,171,255,174,174,174,255,174,174,174,255,174,174,174,255,168,168,168,255,165,165,165,255,157,157,157,255,139,139,139,255,138,138,138,255,132,132,132,255,147,147,147,255,147,147,147,255,121,121,121,255,119,119,119,255,119,119,119,255,114,114,114,255,110,110,110,255,110,110,110,255,111,111,111,255,111,111,111,255,113,113,113,255,109,109,109,255,68,68,68,255,57,57,57,255,101,101,101,255,103,103,103,255,113,113,113,255,177,177,177,255,175,175,175,255,174,174,174,255,174,174,174,255,177,177,177,255,183,183,183,255,117,117,117,255,88,88,88,255,84,84,84,255,84,84,84,255,53,53,53,255,47,47,47,255,47,47,47,255,47,47,47,255,47,47,47,255,56,56,56,255,76,76,76,255,126,126,126,255,105,105,105,255,93,93,93,255,91,91,91,255,70,70,70,255,69,69,69,255,69,69,69,255,69,69,69,255,64,64,64,255,54,54,54,255,35,35,35,255,21,21,21,255,14,14,14,255,13,13,13,255,113,113,113,255,117,117,117,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,143,143,143,255,165,165,165,255,167,167,167,255,162,162,162,255,160,160,160,255,173,173,173,255,190,190,190,255,190,190,190,255,192,192,192,255,183,183,183,255,133,133,133,255,119,119,119,255,112,112,112,255,111,111,111,255,113,113,113,255,105,105,105,255,98,98,98,255,98,98,98,255,97,97,97,255,93,93,93,255,96,96,96,255,115,115,115,255,131,131,131,255,115,115,115,255,100,100,100,255,81,81,81,255,79,79,79,255,79,79,79,255,83,83,83,255,136,136,136,255,143,143,143,255,149,149,149,255,162,162,162,255,162,162,162,255,156,156,156,255,164,164,164,255,174,174,174,255,174,174,174,255,174,174,174,255,170,170,170,255,166,166,166,255,162,162,162,255,145,145,145,255,139,139,139,255,137,137,137,255,138,138,138,255,153,153,153,255,127,127,127,255,119,119,119,255,119,119,119,255,118,118,118,255,110,110,110,255,110,110,110,255,110,110,110,255,111,111,111,255,112,112,112,255,112,112,112,255,90,90,90,255,50,50,50,255,76,76,76,255,103,103,103,255,103,103,103,255,141,141,141,255,177,177,177,255,175,175,175,255,174,174,174,255,174,174,174,255,177,177,177,255,164,164,164,255,110,110,110,255,89,89,89,255,84,84,84,255,81,81,81,255,53,53,53,255,48,48,48,255,47,47,47,255,47,47,47,255,47,47,47,255,54,54,54,255,89,89,89,255,126,126,126,255,104,104,104,255,93,93,93,255,91,91,91,255,71,71,71,255,69,69,69,255,69,69,69,255,69,69,69,255,66,66,66,255,52,52,52,255,35,35,35,255,23,23,23,255,14,14,14,255,12,12,12,255,113,113,113,255,116,116,116,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,150,150,150,255,165,165,165,255,168,168,168,255,162,162,162,255,160,160,160,255,180,180,180,255,190,190,190,255,190,190,190,255,195,195,195,255,160,160,160,255,126,126,126,255,117,117,117,255,111,111,111,255,111,111,111,255,113,113,113,255,100,100,100,255,98,98,98,255,98,98,98,255,97,97,97,255,90,90,90,255,99,99,99,255,126,126,126,255,124,124,124,255,104,104,104,255,92,92,92,255,79,79,79,255,80,80,80,255,81,81,81,255,114,114,114,255,143,143,143,255,143,143,143,255,154,154,154,255,162,162,162,255,157,157,157,255,157,157,157,255,172,172,172,255,174,174,174,255,174,174,174,255,173,173,173,255,167,167,167,255,163,163,163,255,156,156,156,255,139,139,139,255,139,139,139,255,136,136,136,255,151,151,151,255,138,138,138,255,119,119,119,255,119,119,119,255,119,119,119,255,114,114,114,255,110,110,110,255,110,110,110,255,111,111,111,255,111,111,111,255,113,113,113,255,102,102,102,255,62,62,62,255,58,58,58,255,88,88,88,255,103,103,103,255,117,117,117,255,158,158,158,255,177,177,177,255,175,175,175,255,174,174,174,255,174,174,174,255,178,178,178,255,141,141,141,255,105,105,105,255,90,90,90,255,84,84,84,255,78,78,78,255,53,53,53,255,48,48,48,255,47,47,47,255,47,47,47,255,47,47,47,255,57,57,57,255,97,97,97,255,126,126,126,255,103,103,103,255,93,93,93,255,91,91,91,255,71,71,71,255,69,69,69,255,69,69,69,255,69,69,69,255,67,67,67,255,52,52,52,255,35,35,35,255,24,24,24,255,14,14,14,255,12,12,12,255,113,113,113,255,115,115,115,255,135,135,135,255,135,135,135,255,135,135,135,255,135,135,135,255,158,158,158,255,165,165,165,255,168,168,168,255,163,163,163,255,160,160,160,255,187,187,187,255,190,190,190,255,190,190,190,255,196,196,196,255,136,136,136,255,122,122,122,255,116,116,116,255,111,111,111,255,112,112,112,255,108,108,108,255,98,98,98,255,98,98,98,255,98,98,98,255,95,95,95,255,93,93,93,255,110,110,110,255,127,127,127,255,107,107,107,255,103,103,103,255,82,82,82,255,79,79,79,255,80,80,80,255,93,93,93,255,142,142,142,255,143,143,143,255,145,145,145,255,159,159,159,255,160,160,160,255,149,149,149,255,168,168,168,255,174,174,174,255,174,174,174,255,174,174,174,255,170,170,170,255,165,165,165,255,162,162,162,255,144,144,144,255,139,139,139,255,138,138,138,255,144,144,144,255,148,148,148,255,121,121,121,255,119,119,119,255,119,119,119,255,118,118,118,255,110,110,110,255,110,110,110,255,110,110,110,255,111,111,111,255,111,111,111,255,111,111,111,255,71,71,71,255,64,64,64,255,66,66,66,255,96,96,96,255,103,103,103,255,143,143,143,255,161,161,161,255,177,177,177,255,176,176,176,255,174,174,174,255,174,174,174,255,176,176,176,255,120,120,120,255,100,100,100,255,90,90,90,255,86,86,86,255,76,76,76,255,54,54,54,255,48,48,48,255,47,47,47,255,47,47,47,255,47,47,47,255,64,64,64,255,98,98,98,255,126,126,126,255,102,102,102,255,93,93,93,255,90,90,90,255,71,71,71,255,70,70,70,255,69,69,69,255,69,69,69,255,68,68,68,255,51,51,51,255,35,35,35,255,27,27,27,255,14,14,14,255,12,12,12,255,113,113,113,255,114,114,114,255,135,135,135,255,135,135,135,255,135,135,135,255,136,136,136,255,164,164,164,255,165,165,165,255,169,169,169,255,164,164,164,255,161,161,161,255,193,193,193,255,190,190,190,255,193,193,193,255,176,176,176,255,128,128,128,255,121,121,121,255,114,114,114,255,111,111,111,255,112,112,112,255,102,102,102,255,98,98,98,255,98,98,98,255,98,98,98,255,92,92,92,255,96,96,96,255,122,122,122,255,114,114,114,255,104,104,104,255,96,96,96,255,78,78,78,255,79,79,79,255,81,81,81,255,131,131,131,255,143,143,143,255,143,143,143,255,149,149,149,255,162,162,162,255,148,148,148,255,163,163,163,255,171,171,171,255,174,174,174,255,174,174,174,255,173,173,173,255,166,166,166,255,163,163,163,255,152,152,152,255,141,141,141,255,139,139,139,255,140,140,140,255,152,152,152,255,127,127,127,255,119,119,119,255,119,119,119,255,119,119,119,255,114,114,114,255,110,110,110,255,110,110,110,255,111,111,111,255,111,111,111,255,113,113,113,255,87,87,87,255,60,60,60,255,78,78,78,255,67,67,67,255,102,102,102,255,118,118,118,255,154,154,154,255,163,163,163,255,178,178,178,255,176,176,176,255,174,174,174,255,174,174,174,255,160,160,160,255,116,116,116,255,95,95,95,255,90,90,90,255,87,87,87,255,73,73,73,255,54,54,54,255,48,48,48,255,48,48,48,255,47,47,47,255,47,47,47,255,70,70,70,255,100,100,100,255,126,126,126,255,101,101,101,255,93,93,93,255,90,90,90,255,71,71,71,255,71,71,71,255,69,69,69,255,69,69,69,255,69,69,69,255,50,50,50,255,35,35,35,255,29,29,29,255,14,14,14,255,11,11,11,255,113,113,113,255,113,113,113,255,135,135,135,255,135,135,135,255,135,135,135,255,143,143,143,255,164,164,164,255,164,164,164,255,169,169,169,255,165,165,165,255,167,167,167,255,194,194,194,255,190,190,190,255,196,196,196,255,149,149,149,255,125,125,125,255,120,120,120,255,113,113,113,255,111,111,111,255,108,108,108,255,99,99,99,255,97,97,97,255,98,98,98,255,97,97,97,255,91,91,91,255,104,104,104,255,122,122,122,255,101,101,101,255,104,104,104,255,86,86,86,255,78,78,78,255,79,79,79,255,106,106,106,255,144,144,144,255,143,143,143,255,145,145,145,255,154,154,154,255,151,151,151,255,153,153,153,255,170,170,170,255,174,174,174,255,174,174,174,255,174,174,174,255,169,169,169,255,164,164,164,255,159,159,159,255,143,143,143,255,140,140,140,255,140,140,140,255,149,149,149,255,139,139,139,255,119,119,119,255,119,119,119,255,119,119,119,255,118,118,118,255,110,110,110,255,110,110,110,255,110,110,110,255,111,111,111,255,111,111,111,255,103,103,103,255,58,58,58,255,75,75,75,255,83,83,83,255,73,73,73,255,104,104,104,255,145,145,145,255,154,154,154,255,166,166,166,255,178,178,178,255,177,177,177,255,175,175,175,255,174,174,174,255,139,139,139,255,116,116,116,255,90,90,90,255,90,90,90,255,88,88,88,255,71,71,71,255,54,54,54,255,48,48,48,255,48,48,48,255,47,47,47,255,50,50,50,255,73,73,73,255,102,102,102,255,126,126,126,255,100,100,100,255,93,93,93,255,89,89,89,255,71,71,71,255,71,71,71,255,69,69,69,255,69,69,69,255,69,69,69,255,51,51,51,255,35,35,35,255,30,30,30,255,14,14,14,255,11,11,11,255,113,113,113,255,113,113,113,255,134,134,134,255,135,135,135,255,135,135,135,255,150,150,150,255,164,164,164,255,164,164,164,255,169,169,169,255,165,165,165,255,174,174,174,255,194,194,194,255,191,191,191,255,192,192,192,255,128,128,128,255,123,123,123,255,119,119,119,255,112,112,112,255,111,111,111,255,102,102,102,255,99,99,99,255,97,97,97,255,98,98,98,255,94,94,94,255,94,94,94,255,117,117,117,255,103,103,103,255,103,103,103,255,100,100,100,255,79,79,79,255,78,78,78,255,84,84,84,255,140,140,140,255,144,144,144,255,144,144,144,255,147,147,147,255,153,153,153,255,145,145,145,255,167,167,167,255,171,171,171,255,174,174,174,255,174,174,174,255,172,172,172,255,165,165,165,255,162,162,162,255,148,148,148,255,142,142,142,255,140,140,140,255,146,146,146,255,147,147,147,255,121,121,121,255,119,119,119,255,119,119,119,255,119,119,119,255,113,113,113,255,110,110,110,255,110,110,110,255,111,111,111,255,111,111,111,255,108,108,108,255,74,74,74,255,58,58,58,255,88,88,88,255,84,84,84,255,81,81,81,255,121,121,121,255,154,154,154,255,154,154,154,255,168,168,168,255,178,178,178,255,178,178,178,255,176,176,176,255,173,173,173,255,118,118,118,255,112,112,112,255,90,90,90,255,90,90,90,255,88,88,88,255,68,68,68,255,55,55,55,255,49,49,49,255,47,47,47,255,48,48,48,255,58,58,58,255,73,73,73,255,102,102,102,255,126,126,126,255,99,99,99,255,93,93,93,255,89,89,89,255,71,71,71,255,71,71,71,255,70,70,70,255,69,69,69,255,69,69,69,255,53,53,53,255,35,35,35,255,32,32,32,255,15,15,15,255,11,11,11,255,113,113,113,255,113,113,113,255,133,133,133,255,135,135,135,255,135,135,135,255,158,158,158,255,164,164,164,255,165,165,165,255,169,169,169,255,165,165,165,255,181,181,181,255,194,194,194,255,194,194,194,255,165,165,165,255,125,125,125,255,122,122,122,255,118,118,118,255,112,112,112,255,108,108,108,255,100,100,100,255,99,99,99,255,97,97,97,255,98,98,98,255,92,92,92,255,99,99,99,255,115,115,115,255,98,98,98,255,104,104,104,255,89,89,89,255,78,78,78,255,78,78,78,255,120,120,120,255,145,145,145,255,144,144,144,255,146,146,146,255,148,148,148,255,143,143,143,255,160,160,160,255,169,169,169,255,173,173,173,255,174,174,174,255,174,174,174,255,168,168,168,255,162,162,162,255,156,156,156,255,142,142,142,255,141,141,141,255,144,144,144,255,152,152,152,255,127,127,127,255,120,120,120,255,119,119,119,255,119,119,119,255,117,117,117,255,110,110,110,255,110,110,110,255,111,111,111,255,111,111,111,255,109,109,109,255,92,92,92,255,56,56,56,255,73,73,73,255,90,90,90,255,82,82,82,255,89,89,89,255,146,146,146,255,154,154,154,255,154,154,154,255,170,170,170,255,178,178,178,255,178,178,178,255,177,177,177,255,159,159,159,255,113,113,113,255,107,107,107,255,90,90,90,255,90,90,90,255,89,89,89,255,66,66,66,255,56,56,56,255,50,50,50,255,45,45,45,255,48,48,48,255,67,67,67,255,73,73,73,255,101,101,101,255,126,126,126,255,98,98,98,255,93,93,93,255,88,88,88,255,71,71,71,255,71,71,71,255,71,71,71,255,69,69,69,255,69,69,69,255,54,54,54,255,35,35,35,255,32,32,32,255,17,17,17,255,11,11,11,255,113,113,113,255,113,113,113,255,132,132,132,255,135,135,135,255,136,136,136,255,164,164,164,255,164,164,164,255,165,165,165,255,169,169,169,255,165,165,165,255,188,188,188,255,194,194,194,255,197,197,197,255,136,136,136,255,125,125,125,255,121,121,121,255,116,116,116,255,112,112,112,255,102,102,102,255,100,100,100,255,98,98,98,255,97,97,97,255,96,96,96,255,92,92,92,255,110,110,110,255,96,96,96,255,103,103,103,255,102,102,102,255,81,81,81,255,78,78,78,255,94,94,94,255,143,143,143,255,145,145,145,255,144,144,144,255,147,147,147,255,141,141,141,255,150,150,150,255,169,169,169,255,170,170,170,255,174,174,174,255,174,174,174,255,172,172,172,255,163,163,163,255,161,161,161,255,145,145,145,255,142,142,142,255,141,141,141,255,153,153,153,255,136,136,136,255,120,120,120,255,120,120,120,255,119,119,119,255,119,119,119,255,113,113,113,255,110,110,110,255,110,110,110,255,111,111,111,255,111,111,111,255,98,98,98,255,70,70,70,255,62,62,62,255,79,79,79,255,93,93,93,255,81,81,81,255,114,114,114,255,154,154,154,255,154,154,154,255,154,154,154,255,172,172,172,255,178,178,178,255,178,178,178,255,177,177,177,255,138,138,138,255,114,114,114,255,102,102,102,255,90,90,90,255,90,90,90,255,90,90,90,255,64,64,64,255,57,57,57,255,52,52,52,255,45,45,45,255,49,49,49,255,75,75,75,255,73,73,73,255,101,101,101,255,126,126,126,255,97,97,97,255,94,94,94,255,88,88,88,255,71,71,71,255,71,71,71,255,71,71,71,255,69,69,69,255,69,69,69,255,56,56,56,255,35,35,35,255,32,32,32,255,19,19,19,255,10,10,10,255,113,113,113,255,113,113,113,255,130,130,130,255,135,135,135,255,143,143,143,255,164,164,164,255,164,164,164,255,165,165,165,255,169,169,169,255,166,166,166,255,194,194,194,255,195,195,195,255,181,181,181,255,125,125,125,255,125,125,125,255,120,120,120,255,115,115,115,255,110,110,110,255,98,98,98,255,100,100,100,255,98,98,98,255,97,97,97,255,93,93,93,255,96,96,96,255,104,104,104,255,96,96,96,255,103,103,103,255,92,92,92,255,80,80,80,255,80,80,80,255,132,132,132,255,144,144,144,255,145,145,145,255,145,145,145,255,139,139,139,255,142,142,142,255,166,166,166,255,169,169,169,255,173,173,173,255,174,174,174,255,174,174,174,255,167,167,167,255,161,161,161,255,151,151,151,255,142,142,142,255,141,141,141,255,149,149,149,255,147,147,147,255,121,121,121,255,120,120,120,255,119,119,119,255,119,119,119,255,117,117,117,255,110,110,110,255,110,110,110,255,111,111,111,255,111,111,111,255,102,102,102,255,85,85,85,255,61,61,61,255,69,69,69,255,83,83,83,255,96,96,96,255,81,81,81,255,147,147,147,255,154,154,154,255,154,154,154,255,154,154,154,255,174,174,174,255,178,178,178,255,179,179,179,255,177,177,177,255,117,117,117,255,115,115,115,255,98,98,98,255,90,90,90,255,90,90,90,255,90,90,90,255,62,62,62,255,57,57,57,255,54,54,54,255,45,45,45,255,56,56,56,255,75,75,75,255,73,73,73,255,101,101,101,255,126,126,126,255,96,96,96,255,94,94,94,255,87,87,87,255,71,71,71,255,71,71,71,255,71,71,71,255,70,70,70,255,69,69,69,255,57,57,57,255,35,35,35,255,31,31,31,255,21,21,21,255,10,10,10,255,113,113,113,255,113,113,113,255,129,129,129,255,135,135,135,255,150,150,150,255,164,164,164,255,164,164,164,255,165,165,165,255,169,169,169,255,171,171,171,255,195,195,195,255,198,198,198,255,148,148,148,255,125,125,125,255,123,123,123,255,120,120,120,255,114,114,114,255,103,103,103,255,99,99,99,255,100,100,100,255,97,97,97,255,97,97,97,255,92,92,92,255,102,102,102,255,91,91,91,255,101,101,101,255,103,103,103,255,82,82,82,255,81,81,81,255,109,109,109,255,142,142,142,255,144,144,144,255,145,145,145,255,141,141,141,255,135,135,135,255,159,159,159,255,170,170,170,255,170,170,170,255,174,174,174,255,174,174,174,255,172,172,172,255,162,162,162,255,157,157,157,255,143,143,143,255,141,141,141,255,144,144,144,255,157,157,157,255,124,124,124,255,120,120,120,255,120,120,120,255,119,119,119,255,119,119,119,255,113,113,113,255,110,110,110,255,110,110,110,255,111,111,111,255,107,107,107,255,89,89,89,255,71,71,71,255,68,68,68,255,70,70,70,255,83,83,83,255,97,97,97,255,101,101,101,255,154,154,154,255,154,154,154,255,154,154,154,255,154,154,154,255,177,177,177,255,178,178,178,255,180,180,180,255,164,164,164,255,110,110,110,255,115,115,115,255,96,96,96,255,91,91,91,255,90,90,90,255,90,90,90,255,60,60,60,255,57,57,57,255,55,55,55,255,47,47,47,255,63,63,63,255,75,75,75,255,75,75,75,255,101,101,101,255,126,126,126,255,95,95,95,255,94,94,94,255,87,87,87,255,71,71,71,255,71,71,71,255,71,71,71,255,71,71,71,255,69,69,69,255,57,57,57,255,38,38,38,255,31,31,31,255,24,24,24,255,10,10,10,255,113,113,113,255,113,113,113,255,128,128,128,255,135,135,135,255,158,158,158,255,164,164,164,255,164,164,164,255,166,166,166,255,169,169,169,255,179,179,179,255,195,195,195,255,193,193,193,255,128,128,128,255,125,125,125,255,122,122,122,255,119,119,119,255,112,112,112,255,99,99,99,255,99,99,99,255,99,99,99,255,97,97,97,255,95,95,95,255,93,93,93,255,94,94,94,255,95,95,95,255,103,103,103,255,93,93,93,255,80,80,80,255,90,90,90,255,140,140,140,255,143,143,143,255,144,144,144,255,143,143,143,255,135,135,135,255,145,145,145,255,169,169,169,255,170,170,170,255,172,172,172,255,174,174,174,255,174,174,174,255,166,166,166,255,160,160,160,255,146,146,146,255,142,142,142,255,142,142,142,255,156,156,156,255,136,136,136,255,119,119,119,255,120,120,120,255,120,120,120,255,119,119,119,255,117,117,117,255,110,110,110,255,110,110,110,255,111,111,111,255,110,110,110,255,94,94,94,255,78,78,78,255,71,71,71,255,71,71,71,255,73,73,73,255,84,84,84,255,98,98,98,255,128,128,128,255,154,154,154,255,154,154,154,255,154,154,154,255,154,154,154,255,178,178,178,255,178,178,178,255,180,180,180,255,142,142,142,255,110,110,110,255,112,112,112,255,95,95,95,255,92,92,92,255,90,90,90,255,90,90,90,255,59,59,59,255,57,57,57,255,56,56,56,255,50,50,50,255,69,69,69,255,73,73,73,255,75,75,75,255,103,103,103,255,124,124,124,255,94,94,94,255,94,94,94,255,86,86,86,255,71,71,71,255,71,71,71,255,71,71,71,255,71,71,71,255,69,69,69,255,57,57,57,255,41,41,41,255,31,31,31,255,26,26,26,255,9,9,9,255,113,113,113,255,113,113,113,255,127,127,127,255,136,136,136,255,164,164,164,255,164,164,164,255,164,164,164,255,166,166,166,255,169,169,169,255,185,185,185,255,197,197,197,255,163,163,163,255,125,125,125,255,125,125,125,255,121,121,121,255,118,118,118,255,105,105,105,255,99,99,99,255,99,99,99,255,99,99,99,255,97,97,97,255,92,92,92,255,90,90,90,255,90,90,90,255,101,101,101,255,103,103,103,255,83,83,83,255,81,81,81,255,126,126,126,255,142,142,142,255,143,143,143,255,143,143,143,255,136,136,136,255,134,134,134,255,164,164,164,255,170,170,170,255,170,170,170,255,174,174,174,255,174,174,174,255,171,171,171,255,162,162,162,255,154,154,154,255,141,141,141,255,141,141,141,255,152,152,152,255,151,151,151,255,118,118,118,255,120,120,120,255,120,120,120,255,120,120,120,255,119,119,119,255,113,113,113,255,110,110,110,255,111,111,111,255,111,111,111,255,98,98,98,255,80,80,80,255,80,80,80,255,71,71,71,255,70,70,70,255,77,77,77,255,85,85,85,255,116,116,116,255,141,141,141,255,154,154,154,255,154,154,154,255,154,154,154,255,157,157,157,255,178,178,178,255,178,178,178,255,180,180,180,255,121,121,121,255,111,111,111,255,108,108,108,255,96,96,96,255,93,93,93,255,91,91,91,255,88,88,88,255,59,59,59,255,57,57,57,255,56,56,56,255,59,59,59,255,73,73,73,255,71,71,71,255,75,75,75,255,105,105,105,255,122,122,122,255,94,94,94,255,94,94,94,255,86,86,86,255,71,71,71,255,71,71,71,255,71,71,71,255,71,71,71,255,70,70,70,255,56,56,56,255,44,44,44,255,31,31,31,255,28,28,28,255,9,9,9,255,113,113,113,255,113,113,113,255,126,126,126,255,143,143,143,255,164,164,164,255,164,164,164,255,164,164,164,255,166,166,166,255,169,169,169,255,192,192,192,255,194,194,194,255,138,138,138,255,125,125,125,255,125,125,125,255,120,120,120,255,115,115,115,255,100,100,100,255,99,99,99,255,99,99,99,255,98,98,98,255,96,96,96,255,90,90,90,255,85,85,85,255,94,94,94,255,103,103,103,255,95,95,95,255,79,79,79,255,103,103,103,255,142,142,142,255,142,142,142,255,144,144,144,255,136,136,136,255,134,134,134,255,149,149,149,255,170,170,170,255,170,170,170,255,172,172,172,255,174,174,174,255,174,174,174,255,164,164,164,255,160,160,160,255,143,143,143,255,141,141,141,255,146,146,146,255,160,160,160,255,123,123,123,255,119,119,119,255,120,120,120,255,120,120,120,255,119,119,119,255,117,117,117,255,110,110,110,255,110,110,110,255,111,111,111,255,103,103,103,255,87,87,87,255,75,75,75,255,83,83,83,255,71,71,71,255,69,69,69,255,80,80,80,255,89,89,89,255,132,132,132,255,150,150,150,255,154,154,154,255,154,154,154,255,154,154,154,255,158,158,158,255,178,178,178,255,178,178,178,255,168,168,168,255,111,111,111,255,111,111,111,255,104,104,104,255,97,97,97,255,93,93,93,255,91,91,91,255,86,86,86,255,59,59,59,255,57,57,57,255,57,57,57,255,69,69,69,255,76,76,76,255,71,71,71,255,75,75,75,255,108,108,108,255,119,119,119,255,94,94,94,255,94,94,94,255,86,86,86,255,71,71,71,255,71,71,71,255,71,71,71,255,71,71,71,255,71,71,71,255,55,55,55,255,46,46,46,255,31,31,31,255,30,30,30,255,9,9,9,255,113,113,113,255,113,113,113,255,125,125,125,255,150,150,150,255,164,164,164,255,164,164,164,255,164,164,164,255,166,166,166,255,170,170,170,255,197,197,197,255,175,175,175,255,126,126,126,255,125,125,125,255,123,123,123,255,120,120,120,255,108,108,108,255,99,99,99,255,99,99,99,255,99,99,99,255,97,97,97,255,94,94,94,255,81,81,81,255,88,88,88,255,99,99,99,255,103,103,103,255,85,85,85,255,85,85,85,255,138,138,138,255,142,142,142,255,142,142,142,255,137,137,137,255,134,134,134,255,140,140,140,255,164,164,164,255,170,170,170,255,170,170,170,255,174,174,174,255,174,174,174,255,169,169,169,255,162,162,162,255,150,150,150,255,141,141,141,255,142,142,142,255,160,160,160,255,138,138,138,255,115,115,115,255,120,120,120,255,120,120,120,255,120,120,120,255,119,119,119,255,112,112,112,255,110,110,110,255,111,111,111,255,107,107,107,255,92,92,92,255,72,72,72,255,94,94,94,255,72,72,72,255,71,71,71,255,70,70,70,255,83,83,83,255,106,106,106,255,131,131,131,255,159,159,159,255,155,155,155,255,154,154,154,255,154,154,154,255,161,161,161,255,178,178,178,255,178,178,178,255,147,147,147,255,111,111,111,255,111,111,111,255,101,101,101,255,98,98,98,255,94,94,94,255,91,91,91,255,83,83,83,255,59,59,59,255,57,57,57,255,58,58,58,255,78,78,78,255,76,76,76,255,74,74,74,255,73,73,73,255,110,110,110,255,118,118,118,255,94,94,94,255,95,95,95,255,85,85,85,255,71,71,71,255,71,71,71,255,71,71,71,255,71,71,71,255,71,71,71,255,55,55,55,255,49,49,49,255,32,32,32,255,31,31,31,255,10,10,10,255,113,113,113,255,113,113,113,255,124,124,124,255,158,158,158,255,164,164,164,255,164,164,164,255,165,165,165,255,167,167,167,255,175,175,175,255,195,195,195,255,149,149,149,255,125,125,125,255,125,125,125,255,122,122,122,255,120,120,120,255,101,101,101,255,99,99,99,255,99,99,99,255,99,99,99,255,96,96,96,255,88,88,88,255,77,77,77,255,92,92,92,255,103,103,103,255,98,98,98,255,79,79,79,255,118,118,118,255,143,143,143,255,142,142,142,255,139,139,139,255,132,132,132,255,135,135,135,255,156,156,156,255,169,169,169,255,169,169,169,255,171,171,171,255,174,174,174,255,174,174,174,255,163,163,163,255,159,159,159,255,142,142,142,255,141,141,141,255,155,155,155,255,153,153,153,255,117,117,117,255,118,118,118,255,120,120,120,255,120,120,120,255,120,120,120,255,117,117,117,255,110,110,110,255,111,111,111,255,110,110,110,255,95,95,95,255,78,78,78,255,80,80,80,255,94,94,94,255,71,71,71,255,71,71,71,255,72,72,72,255,88,88,88,255,123,123,123,255,137,137,137,255,158,158,158,255,155,155,155,255,154,154,154,255,154,154,154,255,163,163,163,255,178,178,178,255,178,178,178,255,125,125,125,255,111,111,111,255,110,110,110,255,99,99,99,255,99,99,99,255,96,96,96,255,91,91,91,255,80,80,80,255,59,59,59,255,57,57,57,255,67,67,67,255,80,80,80,255,76,76,76,255,76,76,76,255,73,73,73,255,112,112,112,255,117,117,117,255,94,94,94,255,95,95,95,255,85,85,85,255,71,71,71,255,71,71,71,255,71,71,71,255,71,71,71,255,71,71,71,255,55,55,55,255,50,50,50,255,36,36,36,255,31,31,31,255,13,13,13,255,113,113,113,255,113,113,113,255,125,125,125,255,164,164,164,255,164,164,164,255,164,164,164,255,165,165,165,255,167,167,167,255,181,181,181,255,180,180,180,255,134,134,134,255,125,125,125,255,125,125,125,255,121,121,121,255,113,113,113,255,100,100,100,255,99,99,99,255,99,99,99,255,99,99,99,255,95,95,95,255,74,74,74,255,85,85,85,255,98,98,98,255,103,103,103,255,87,87,87,255,94,94,94,255,143,143,143,255,143,143,143,255,140,140,140,255,132,132,132,255,134,134,134,255,148,148,148,255,162,162,162,255,170,170,170,255,169,169,169,255,173,173,173,255,174,174,174,255,167,167,167,255,162,162,162,255,146,146,146,255,141,141,141,255,148,148,148,255,161,161,161,255,127,127,127,255,114,114,114,255,119,119,119,255,120,120,120,255,120,120,120,255,120,120,120,255,111,111,111,255,110,110,110,255,111,111,111,255,99,99,99,255,87,87,87,255,69,69,69,255,106,106,106,255,75,75,75,255,71,71,71,255,70,70,70,255,77,77,77,255,108,108,108,255,125,125,125,255,145,145,145,255,156,156,156,255,155,155,155,255,154,154,154,255,154,154,154,255,165,165,165,255,178,178,178,255,169,169,169,255,112,112,112,255,111,111,111,255,105,105,105,255,100,100,100,255,99,99,99,255,96,96,96,255,92,92,92,255,76,76,76,255,59,59,59,255,58,58,58,255,78,78,78,255,82,82,82,255,76,76,76,255,76,76,76,255,75,75,75,255,113,113,113,255,116,116,116,255,93,93,93,255,95,95,95,255,84,84,84,255,71,71,71,255,71,71,71,255,71,71,71,255,71,71,71,255,71,71,71,255,56,56,56,255,50,50,50,255,41,41,41,255,31,31,31,255,15,15,15,255,113,113,113,255,113,113,113,255,132,132,132,255,164,164,164,255,164,164,164,255,164,164,164,255,165,165,165,255,168,168,168,255,185,185,185,255,160,160,160,255,125,125,125,255,125,125,125,255,125,125,125,255,120,120,120,255,105,105,105,255,100,100,100,255,99,99,99,255,99,99,99,255,98,98,98,255,85,85,85,255,72,72,72,255,91,91,91,255,102,102,102,255,99,99,99,255,80,80,80,255,132,132,132,255,143,143,143,255,142,142,142,255,132,132,132,255,132,132,132,255,141,141,141,255,159,159,159,255,166,166,166,255,169,169,169,255,171,171,171,255,174,174,174,255,173,173,173,255,162,162,162,255,155,155,155,255,141,141,141,255,144,144,144,255,161,161,161,255,140,140,140,255,117,117,117,255,117,117,117,255,120,120,120,255,120,120,120,255,120,120,120,255,117,117,117,255,110,110,110,255,111,111,111,255,104,104,104,255,92,92,92,255,70,70,70,255,89,89,89,255,99,99,99,255,72,72,72,255,71,71,71,255,68,68,68,255,85,85,85,255,127,127,127,255,125,125,125,255,154,154,154,255,152,152,152,255,155,155,155,255,154,154,154,255,154,154,154,255,167,167,167,255,178,178,178,255,148,148,148,255,112,112,112,255,112,112,112,255,99,99,99,255,101,101,101,255,101,101,101,255,97,97,97,255,93,93,93,255,73,73,73,255,59,59,59,255,59,59,59,255,89,89,89,255,86,86,86,255,77,77,77,255,76,76,76,255,76,76,76,255,115,115,115,255,115,115,115,255,93,93,93,255,95,95,95,255,84,84,84,255,71,71,71,255,71,71,71,255,71,71,71,255,71,71,71,255,71,71,71,255,57,57,57,255,51,51,51,255,46,46,46,255,31,31,31,255,18,18,18,255,113,113,113,255,113,113,113,255,138,138,138,255,164,164,164,255,164,164,164,255,164,164,164,255,166,166,166,255,168,168,168,255,177,177,177,255,145,145,145,255,125,125,125,255,125,125,125,255,123,123,123,255,115,115,115,255,102,102,102,255,100,100,100,255,99,99,99,255,99,99,99,255,96,96,96,255,70,70,70,255,81,81,81,255,96,96,96,255,102,102,102,255,89,89,89,255,108,108,108,255,143,143,143,255,143,143,143,255,135,135,135,255,131,131,131,255,135,135,135,255,154,154,154,255,160,160,160,255,168,168,168,255,169,169,169,255,173,173,173,255,174,174,174,255,165,165,165,255,161,161,161,255,143,143,143,255,142,142,142,255,156,156,156,255,153,153,153,255,122,122,122,255,114,114,114,255,119,119,119,255,120,120,120,255,120,120,120,255,120,120,120,255,112,112,112,255,110,110,110,255,108,108,108,255,93,93,93,255,79,79,79,255,73,73,73,255,110,110,110,255,81,81,81,255,72,72,72,255,72,72,72,255,69,69,69,255,106,106,106,255,128,128,128,255,125,125,125,255,164,164,164,255,150,150,150,255,155,155,155,255,154,154,154,255,154,154,154,255,169,169,169,255,178,178,178,255,126,126,126,255,112,112,112,255,112,112,112,255,94,94,94,255,102,102,102,255,102,102,102,255,97,97,97,255,94,94,94,255,71,71,71,255,59,59,59,255,68,68,68,255,91,91,91,255,89,89,89,255,81,81,81,255,76,76,76,255,76,76,76,255,118,118,118,255,114,114,114,255,91,91,91,255,96,96,96,255,83,83,83,255,71,71,71,255,71,71,71,255,71,71,71,255,71,71,71,255,71,71,71,255,57,57,57,255,52,52,52,255,50,50,50,255,31,31,31,255,21,21,21,255,113,113,113,255,113,113,113,255,146,146,146,255,164,164,164,255,164,164,164,255,164,164,164,255,166,166,166,255,167,167,167,255,166,166,166,255,131,131,131,255,125,125,125,255,125,125,125,255,123,123,123,255,108,108,108,255,101,101,101,255,100,100,100,255,99,99,99,255,99,99,99,255,82,82,82,255,67,67,67,255,89,89,89,255,101,101,101,255,101,101,101,255,87,87,87,255,141,141,141,255,143,143,143,255,138,138,138,255,131,131,131,255,132,132,132,255,148,148,148,255,160,160,160,255,162,162,162,255,169,169,169,255,170,170,170,255,174,174,174,255,171,171,171,255,162,162,162,255,149,149,149,255,141,141,141,255,152,152,152,255,161,161,161,255,128,128,128,255,117,117,117,255,117,117,117,255,120,120,120,255,120,120,120,255,120,120,120,255,117,117,117,255,110,110,110,255,111,111,111,255,96,96,96,255,88,88,88,255,68,68,68,255,98,98,98,255,102,102,102,255,71,71,71,255,72,72,72,255,72,72,72,255,77,77,77,255,122,122,122,255,128,128,128,255,126,126,126,255,172,172,172,255,148,148,148,255,154,154,154,255,154,154,154,255,154,154,154,255,172,172,172,255,171,171,171,255,111,111,111,255,112,112,112,255,112,112,112,255,88,88,88,255,102,102,102,255,102,102,102,255,98,98,98,255,94,94,94,255,69,69,69,255,60,60,60,255,78,78,78,255,91,91,91,255,89,89,89,255,83,83,83,255,80,80,80,255,76,76,76,255,120,120,120,255,114,114,114,255,90,90,90,255,96,96,96,255,83,83,83,255,71,71,71,255,71,71,71,255,71,71,71,255,71,71,71,255,71,71,71,255,56,56,56,255,54,54,54,255,54,54,54,255,32,32,32,255,23,23,23,255,113,113,113,255,115,115,115,255,153,153,153,255,164,164,164,255,164,164,164,255,164,164,164,255,166,166,166,255,162,162,162,255,156,156,156,255,126,126,126,255,125,125,125,255,125,125,125,255,118,118,118,255,104,104,104,255,100,100,100,255,100,100,100,255,99,99,99,255,94,94,94,255,69,69,69,255,76,76,76,255,96,96,96,255,102,102,102,255,92,92,92,255,123,123,123,255,143,143,143,255,140,140,140,255,131,131,131,255,131,131,131,255,141,141,141,255,157,157,157,255,160,160,160,255,165,165,165,255,169,169,169,255,172,172,172,255,174,174,174,255,164,164,164,255,158,158,158,255,141,141,141,255,147,147,147,255,160,160,160,255,139,139,139,255,122,122,122,255,114,114,114,255,119,119,119,255,120,120,120,255,120,120,120,255,120,120,120,255,112,112,112,255,111,111,111,255,99,99,99,255,93,93,93,255,71,71,71,255,83,83,83,255,110,110,110,255,83,83,83,255,71,71,71,255,72,72,72,255,71,71,71,255,100,100,100,255,125,125,125,255,127,127,127,255,135,135,135,255,173,173,173,255,147,147,147,255,153,153,153,255,154,154,154,255,153,153,153,255,174,174,174,255,151,151,151,255,111,111,111,255,112,112,112,255,112,112,112,255,84,84,84,255,102,102,102,255,102,102,102,255,99,99,99,255,94,94,94,255,67,67,67,255,61,61,61,255,90,90,90,255,91,91,91,255,90,90,90,255,83,83,83,255,83,83,83,255,80,80,80,255,121,121,121,255,113,113,113,255,88,88,88,255,96,96,96,255,84,84,84,255,71,71,71,255,71,71,71,255,71,71,71,255,71,71,71,255,71,71,71,255,55,55,55,255,55,55,55,255,55,55,55,255,36,36,36,255,26,26,26,255,113,113,113,255,123,123,123,255,153,153,153,255,164,164,164,255,164,164,164,255,164,164,164,255,164,164,164,255,157,157,157,255,141,141,141,255,126,126,126,255,125,125,125,255,125,125,125,255,109,109,109,255,104,104,104,255,100,100,100,255,100,100,100,255,99,99,99,255,78,78,78,255,66,66,66,255,85,85,85,255,101,101,101,255,101,101,101,255,101,101,101,255,142,142,142,255,142,142,142,255,132,132,132,255,131,131,131,255,134,134,134,255,153,153,153,255,161,161,161,255,160,160,160,255,168,168,168,255,170,170,170,255,174,174,174,255,168,168,168,255,162,162,162,255,145,145,145,255,145,145,145,255,157,157,157,255,153,153,153,255,123,123,123,255,118,118,118,255,116,116,116,255,120,120,120,255,120,120,120,255,120,120,120,255,116,116,116,255,111,111,111,255,104,104,104,255,93,93,93,255,80,80,80,255,73,73,73,255,102,102,102,255,106,106,106,255,71,71,71,255,71,71,71,255,72,72,72,255,75,75,75,255,125,125,125,255,126,126,126,255,125,125,125,255,144,144,144,255,172,172,172,255,147,147,147,255,152,152,152,255,154,154,154,255,153,153,153,255,175,175,175,255,129,129,129,255,111,111,111,255,112,112,112,255,107,107,107,255,84,84,84,255,102,102,102,255,102,102,102,255,101,101,101,255,94,94,94,255,65,65,65,255,69,69,69,255,94,94,94,255,91,91,91,255,90,90,90,255,83,83,83,255,83,83,83,255,86,86,86,255,123,123,123,255,112,112,112,255,89,89,89,255,94,94,94,255,84,84,84,255,71,71,71,255,71,71,71,255,71,71,71,255,71,71,71,255,71,71,71,255,55,55,55,255,56,56,56,255,57,57,57,255,41,41,41,255,29,29,29,255,113,113,113,255,133,133,133,255,152,152,152,255,164,164,164,255,164,164,164,255,165,165,165,255,154,154,154,255,160,160,160,255,128,128,128,255,126,126,126,255,125,125,125,255,122,122,122,255,104,104,104,255,102,102,102,255,100,100,100,255,100,100,100,255,89,89,89,255,70,70,70,255,71,71,71,255,94,94,94,255,102,102,102,255,96,96,96,255,135,135,135,255,143,143,143,255,134,134,134,255,131,131,131,255,131,131,131,255,148,148,148,255,159,159,159,255,160,160,160,255,162,162,162,255,169,169,169,255,171,171,171,255,173,173,173,255,163,163,163,255,152,152,152,255,143,143,143,255,153,153,153,255,161,161,161,255,128,128,128,255,123,123,123,255,115,115,115,255,118,118,118,255,120,120,120,255,120,120,120,255,120,120,120,255,111,111,111,255,108,108,108,255,94,94,94,255,88,88,88,255,68,68,68,255,91,91,91,255,111,111,111,255,92,92,92,255,68,68,68,255,70,70,70,255,72,72,72,255,92,92,92,255,131,131,131,255,128,128,128,255,125,125,125,255,153,153,153,255,171,171,171,255,147,147,147,255,152,152,152,255,153,153,153,255,153,153,153,255,173,173,173,255,112,112,112,255,111,111,111,255,112,112,112,255,102,102,102,255,85,85,85,255,102,102,102,255,102,102,102,255,102,102,102,255,94,94,94,255,63,63,63,255,80,80,80,255,95,95,95,255,92,92,92,255,91,91,91,255,84,84,84,255,83,83,83,255,87,87,87,255,124,124,124,255,112,112,112,255,90,90,90,255,93,93,93,255,83,83,83,255,71,71,71,255,71,71,71,255,71,71,71,255,71,71,71,255,69,69,69,255,56,56,56,255,57,57,57,255,59,59,59,255,46,46,46,255,29,29,29,255,113,113,113,255,142,142,142,255,152,152,152,255,164,164,164,255,164,164,164,255,163,163,163,255,148,148,148,255,150,150,150,255,126,126,126,255,126,126,126,255,125,125,125,255,113,113,113,255,104,104,104,255,102,102,102,255,100,100,100,255,99,99,99,255,74,74,74,255,68,68,68,255,81,81,81,255,99,99,99,255,102,102,102,255,117,117,117,255,142,142,142,255,136,136,136,255,131,131,131,255,131,131,131,255,140,140,140,255,155,155,155,255,161,161,161,255,159,159,159,255,165,165,165,255,170,170,170,255,173,173,173,255,166,166,166,255,158,158,158,255,144,144,144,255,151,151,151,255,161,161,161,255,139,139,139,255,123,123,123,255,119,119,119,255,116,116,116,255,119,119,119,255,120,120,120,255,120,120,120,255,116,116,116,255,111,111,111,255,96,96,96,255,93,93,93,255,72,72,72,255,82,82,82,255,102,102,102,255,110,110,110,255,77,77,77,255,68,68,68,255,70,70,70,255,77,77,77,255,109,109,109,255,136,136,136,255,131,131,131,255,125,125,125,255,162,162,162,255,169,169,169,255,147,147,147,255,152,152,152,255,152,152,152,255,155,155,155,255,153,153,153,255,111,111,111,255,111,111,111,255,112,112,112,255,96,96,96,255,85,85,85,255,102,102,102,255,102,102,102,255,102,102,102,255,93,93,93,255,62,62,62,255,91,91,91,255,96,96,96,255,92,92,92,255,92,92,92,255,85,85,85,255,83,83,83,255,89,89,89,255,124,124,124,255,113,113,113,255,90,90,90,255,92,92,92,255,83,83,83,255,72,72,72,255,71,71,71,255,71,71,71,255,71,71,71,255,69,69,69,255,56,56,56,255,57,57,57,255,62,62,62,255,50,50,50,255,29,29,29,255,115,115,115,255,150,150,150,255,151,151,151,255,164,164,164,255,164,164,164,255,153,153,153,255,152,152,152,255,137,137,137,255,126,126,126,255,126,126,126,255,123,123,123,255,106,106,106,255,104,104,104,255,101,101,101,255,100,100,100,255,84,84,84,255,72,72,72,255,68,68,68,255,92,92,92,255,102,102,102,255,107,107,107,255,141,141,141,255,139,139,139,255,131,131,131,255,131,131,131,255,134,134,134,255,153,153,153,255,160,160,160,255,161,161,161,255,159,159,159,255,168,168,168,255,171,171,171,255,170,170,170,255,161,161,161,255,147,147,147,255,149,149,149,255,157,157,157,255,152,152,152,255,123,123,123,255,123,123,123,255,115,115,115,255,118,118,118,255,119,119,119,255,120,120,120,255,119,119,119,255,111,111,111,255,101,101,101,255,93,93,93,255,81,81,81,255,73,73,73,255,94,94,94,255,111,111,111,255,100,100,100,255,71,71,71,255,69,69,69,255,69,69,69,255,91,91,91,255,118,118,118,255,140,140,140,255,133,133,133,255,127,127,127,255,171,171,171,255,168,168,168,255,147,147,147,255,151,151,151,255,152,152,152,255,157,157,157,255,132,132,132,255,111,111,111,255,111,111,111,255,112,112,112,255,91,91,91,255,87,87,87,255,102,102,102,255,101,101,101,255,102,102,102,255,91,91,91,255,68,68,68,255,96,96,96,255,96,96,96,255,94,94,94,255,92,92,92,255,88,88,88,255,83,83,83,255,91,91,91,255,124,124,124,255,112,112,112,255,93,93,93,255,92,92,92,255,83,83,83,255,72,72,72,255,71,71,71,255,71,71,71,255,71,71,71,255,69,69,69,255,56,56,56,255,57,57,57,255,62,62,62,255,57,57,57,255,30,30,30,255,123,123,123,255,151,151,151,255,151,151,151,255,164,164,164,255,162,162,162,255,145,145,145,255,152,152,152,255,127,127,127,255,126,126,126,255,126,126,126,255,116,116,116,255,105,105,105,255,104,104,104,255,100,100,100,255,96,96,96,255,73,73,73,255,70,70,70,255,77,77,77,255,98,98,98,255,102,102,102,255,133,133,133,255,140,140,140,255,132,132,132,255,131,131,131,255,131,131,131,255,148,148,148,255,157,157,157,255,161,161,161,255,159,159,159,255,162,162,162,255,169,169,169,255,172,172,172,255,164,164,164,255,153,153,153,255,147,147,147,255,154,154,154,255,160,160,160,255,128,128,128,255,123,123,123,255,120,120,120,255,116,116,116,255,119,119,119,255,119,119,119,255,120,120,120,255,115,115,115,255,105,105,105,255,94,94,94,255,88,88,88,255,68,68,68,255,91,91,91,255,100,100,100,255,110,110,110,255,86,86,86,255,71,71,71,255,69,69,69,255,75,75,75,255,97,97,97,255,130,130,130,255,141,141,141,255,135,135,135,255,137,137,137,255,172,172,172,255,166,166,166,255,147,147,147,255,151,151,151,255,152,152,152,255,156,156,156,255,113,113,113,255,111,111,111,255,111,111,111,255,110,110,110,255,86,86,86,255,87,87,87,255,102,102,102,255,101,101,101,255,102,102,102,255,87,87,87,255,79,79,79,255,96,96,96,255,96,96,96,255,95,95,95,255,92,92,92,255,90,90,90,255,85,85,85,255,92,92,92,255,125,125,125,255,111,111,111,255,93,93,93,255,93,93,93,255,83,83,83,255,72,72,72,255,72,72,72,255,71,71,71,255,71,71,71,255,68,68,68,255,56,56,56,255,57,57,57,255,62,62,62,255,60,60,60,255,36,36,36,255,133,133,133,255,151,151,151,255,151,151,151,255,163,163,163,255,153,153,153,255,148,148,148,255,142,142,142,255,126,126,126,255,126,126,126,255,125,125,125,255,108,108,108,255,105,105,105,255,104,104,104,255,100,100,100,255,80,80,80,255,73,73,73,255,68,68,68,255,89,89,89,255,102,102,102,255,121,121,121,255,141,141,141,255,133,133,133,255,131,131,131,255,131,131,131,255,141,141,141,255,154,154,154,255,162,162,162,255,160,160,160,255,158,158,158,255,165,165,165,255,171,171,171,255,168,168,168,255,157,157,157,255,147,147,147,255,152,152,152,255,161,161,161,255,138,138,138,255,123,123,123,255,123,123,123,255,116,116,116,255,118,118,118,255,119,119,119,255,119,119,119,255,119,119,119,255,109,109,109,255,96,96,96,255,93,93,93,255,72,72,72,255,83,83,83,255,94,94,94,255,109,109,109,255,103,103,103,255,75,75,75,255,72,72,72,255,70,70,70,255,89,89,89,255,101,101,101,255,135,135,135,255,142,142,142,255,136,136,136,255,149,149,149,255,172,172,172,255,165,165,165,255,146,146,146,255,151,151,151,255,152,152,152,255,140,140,140,255,111,111,111,255,111,111,111,255,111,111,111,255,105,105,105,255,85,85,85,255,88,88,88,255,102,102,102,255,101,101,101,255,101,101,101,255,83,83,83,255,92,92,92,255,96,96,96,255,96,96,96,255,95,95,95,255,93,93,93,255,90,90,90,255,87,87,87,255,95,95,95,255,125,125,125,255,111,111,111,255,93,93,93,255,93,93,93,255,83,83,83,255,73,73,73,255,72,72,72,255,71,71,71,255,71,71,71,255,68,68,68,255,56,56,56,255,58,58,58,255,62,62,62,255,62,62,62,255,43,43,43,255,142,142,142,255,151,151,151,255,151,151,151,255,162,162,162,255,143,143,143,255,152,152,152,255,129,129,129,255,126,126,126,255,126,126,126,255,118,118,118,255,106,106,106,255,105,105,105,255,102,102,102,255,91,91,91,255,72,72,72,255,72,72,72,255,73,73,73,255,97,97,97,255,107,107,107,255,144,144,144,255,134,134,134,255,131,131,131,255,131,131,131,255,135,135,135,255,151,151,151,255,159,159,159,255,162,162,162,255,159,159,159,255,159,159,159,255,168,168,168,255,170,170,170,255,161,161,161,255,151,151,151,255,151,151,151,255,157,157,157,255,152,152,152,255,123,123,123,255,123,123,123,255,121,121,121,255,116,116,116,255,119,119,119,255,119,119,119,255,119,119,119,255,115,115,115,255,98,98,98,255,95,95,95,255,81,81,81,255,74,74,74,255,94,94,94,255,99,99,99,255,111,111,111,255,91,91,91,255,74,74,74,255,72,72,72,255,78,78,78,255,95,95,95,255,107,107,107,255,140,140,140,255,142,142,142,255,137,137,137,255,159,159,159,255,174,174,174,255,163,163,163,255,146,146,146,255,151,151,151,255,152,152,152,255,123,123,123,255,111,111,111,255,111,111,111,255,111,111,111,255,100,100,100,255,85,85,85,255,90,90,90,255,102,102,102,255,101,101,101,255,101,101,101,255,86,86,86,255,98,98,98,255,96,96,96,255,96,96,96,255,96,96,96,255,95,95,95,255,91,91,91,255,87,87,87,255,99,99,99,255,126,126,126,255,109,109,109,255,93,93,93,255,93,93,93,255,82,82,82,255,74,74,74,255,72,72,72,255,72,72,72,255,71,71,71,255,67,67,67,255,56,56,56,255,58,58,58,255,62,62,62,255,62,62,62,255,53,53,53,255,150,150,150,255,151,151,151,255,151,151,151,255,152,152,152,255,144,144,144,255,146,146,146,255,125,125,125,255,126,126,126,255,126,126,126,255,110,110,110,255,106,106,106,255,105,105,105,255,101,101,101,255,76,76,76,255,73,73,73,255,70,70,70,255,83,83,83,255,101,101,101,255,136,136,136,255,137,137,137,255,131,131,131,255,131,131,131,255,132,132,132,255,148,148,148,255,155,155,155,255,162,162,162,255,162,162,162,255,158,158,158,255,161,161,161,255,170,170,170,255,165,165,165,255,154,154,154,255,152,152,152,255,153,153,153,255,160,160,160,255,127,127,127,255,123,123,123,255,123,123,123,255,117,117,117,255,118,118,118,255,119,119,119,255,119,119,119,255,119,119,119,255,101,101,101,255,95,95,95,255,91,91,91,255,68,68,68,255,91,91,91,255,94,94,94,255,107,107,107,255,105,105,105,255,78,78,78,255,74,74,74,255,72,72,72,255,95,95,95,255,91,91,91,255,115,115,115,255,140,140,140,255,142,142,142,255,138,138,138,255,169,169,169,255,174,174,174,255,162,162,162,255,146,146,146,255,151,151,151,255,151,151,151,255,106,106,106,255,111,111,111,255,111,111,111,255,111,111,111,255,95,95,95,255,85,85,85,255,91,91,91,255,102,102,102,255,101,101,101,255,101,101,101,255,98,98,98,255,97,97,97,255,96,96,96,255,96,96,96,255,96,96,96,255,95,95,95,255,93,93,93,255,87,87,87,255,101,101,101,255,127,127,127,255,109,109,109,255,93,93,93,255,93,93,93,255,81,81,81,255,76,76,76,255,73,73,73,255,72,72,72,255,71,71,71,255,66,66,66,255,56,56,56,255,58,58,58,255,62,62,62,255,62,62,62,255,64,64,64,255,151,151,151,255,151,151,151,255,150,150,150,255,141,141,141,255,148,148,148,255,133,133,133,255,126,126,126,255,126,126,126,255,119,119,119,255,108,108,108,255,106,106,106,255,105,105,105,255,87,87,87,255,72,72,72,255,73,73,73,255,70,70,70,255,96,96,96,255,117,117,117,255,145,145,145,255,131,131,131,255,131,131,131,255,131,131,131,255,142,142,142,255,152,152,152,255,160,160,160,255,162,162,162,255,160,160,160,255,156,156,156,255,166,166,166,255,167,167,167,255,156,156,156,255,155,155,155,255,152,152,152,255,160,160,160,255,138,138,138,255,123,123,123,255,123,123,123,255,121,121,121,255,116,116,116,255,119,119,119,255,119,119,119,255,120,120,120,255,109,109,109,255,95,95,95,255,95,95,95,255,74,74,74,255,83,83,83,255,94,94,94,255,97,97,97,255,111,111,111,255,95,95,95,255,73,73,73,255,74,74,74,255,81,81,81,255,101,101,101,255,90,90,90,255,124,124,124,255,140,140,140,255,141,141,141,255,140,140,140,255,178,178,178,255,174,174,174,255,162,162,162,255,145,145,145,255,151,151,151,255,135,135,135,255,104,104,104,255,110,110,110,255,111,111,111,255,111,111,111,255,89,89,89,255,85,85,85,255,92,92,92,255,102,102,102,255,101,101,101,255,101,101,101,255,108,108,108,255,97,97,97,255,96,96,96,255,96,96,96,255,96,96,96,255,95,95,95,255,95,95,95,255,87,87,87,255,103,103,103,255,127,127,127,255,111,111,111,255,93,93,93,255,93,93,93,255,79,79,79,255,76,76,76,255,73,73,73,255,72,72,72,255,72,72,72,255,66,66,66,255,56,56,56,255,58,58,58,255,62,62,62,255,62,62,62,255,72,72,72,255,151,151,151,255,151,151,151,255,143,143,143,255,140,140,140,255,151,151,151,255,123,123,123,255,126,126,126,255,126,126,126,255,111,111,111,255,108,108,108,255,106,106,106,255,100,100,100,255,73,73,73,255,73,73,73,255,72,72,72,255,79,79,79,255,103,103,103,255,146,146,146,255,132,132,132,255,131,131,131,255,131,131,131,255,135,135,135,255,151,151,151,255,156,156,156,255,162,162,162,255,163,163,163,255,159,159,159,255,157,157,157,255,166,166,166,255,159,159,159,255,158,158,158,255,153,153,153,255,156,156,156,255,152,152,152,255,123,123,123,255,122,122,122,255,123,123,123,255,117,117,117,255,118,118,118,255,119,119,119,255,119,119,119,255,117,117,117,255,94,94,94,255,95,95,95,255,84,84,84,255,75,75,75,255,94,94,94,255,94,94,94,255,106,106,106,255,105,105,105,255,82,82,82,255,73,73,73,255,74,74,74,255,97,97,97,255,101,101,101,255,93,93,93,255,127,127,127,255,139,139,139,255,141,141,141,255,148,148,148,255,180,180,180,255,174,174,174,255,161,161,161,255,145,145,145,255,151,151,151,255,117,117,117,255,105,105,105,255,110,110,110,255,111,111,111,255,110,110,110,255,84,84,84,255,85,85,85,255,93,93,93,255,102,102,102,255,101,101,101,255,108,108,108,255,113,113,113,255,98,98,98,255,97,97,97,255,95,95,95,255,96,96,96,255,95,95,95,255,95,95,95,255,90,90,90,255,104,104,104,255,127,127,127,255,111,111,111,255,96,96,96,255,93,93,93,255,78,78,78,255,76,76,76,255,74,74,74,255,73,73,73,255,72,72,72,255,65,65,65,255,56,56,56,255,60,60,60,255,62,62,62,255,62,62,62,255,74,74,74,255,151,151,151,255,150,150,150,255,135,135,135,255,143,143,143,255,142,142,142,255,122,122,122,255,126,126,126,255,121,121,121,255,108,108,108,255,107,107,107,255,106,106,106,255,83,83,83,255,72,72,72,255,73,73,73,255,70,70,70,255,93,93,93,255,130,130,130,255,139,139,139,255,131,131,131,255,131,131,131,255,131,131,131,255,148,148,148,255,153,153,153,255,161,161,161,255,162,162,162,255,162,162,162,255,156,156,156,255,162,162,162,255,161,161,161,255,157,157,157,255,156,156,156,255,153,153,153,255,160,160,160,255,128,128,128,255,123,123,123,255,123,123,123,255,122,122,122,255,116,116,116,255,119,119,119,255,119,119,119,255,119,119,119,255,102,102,102,255,94,94,94,255,92,92,92,255,73,73,73,255,92,92,92,255,94,94,94,255,97,97,97,255,111,111,111,255,99,99,99,255,72,72,72,255,72,72,72,255,84,84,84,255,102,102,102,255,100,100,100,255,101,101,101,255,127,127,127,255,139,139,139,255,141,141,141,255,156,156,156,255,180,180,180,255,175,175,175,255,161,161,161,255,146,146,146,255,150,150,150,255,99,99,99,255,107,107,107,255,110,110,110,255,110,110,110,255,105,105,105,255,84,84,84,255,85,85,85,255,95,95,95,255,102,102,102,255,101,101,101,255,127,127,127,255,109,109,109,255,98,98,98,255,97,97,97,255,96,96,96,255,95,95,95,255,95,95,95,255,95,95,95,255,93,93,93,255,106,106,106,255,127,127,127,255,111,111,111,255,98,98,98,255,96,96,96,255,77,77,77,255,75,75,75,255,74,74,74,255,74,74,74,255,73,73,73,255,66,66,66,255,56,56,56,255,60,60,60,255,62,62,62,255,62,62,62,255,74,74,74,255,151,151,151,255,143,143,143,255,134,134,134,255,147,147,147,255,129,129,129,255,123,123,123,255,126,126,126,255,112,112,112,255,108,108,108,255,106,106,106,255,96,96,96,255,74,74,74,255,73,73,73,255,73,73,73,255,75,75,75,255,110,110,110,255,145,145,145,255,132,132,132,255,131,131,131,255,131,131,131,255,142,142,142,255,152,152,152,255,157,157,157,255,162,162,162,255,163,163,163,255,162,162,162,255,155,155,155,255,161,161,161,255,156,156,156,255,163,163,163,255,152,152,152,255,160,160,160,255,138,138,138,255,123,123,123,255,123,123,123,255,123,123,123,255,118,118,118,255,118,118,118,255,119,119,119,255,119,119,119,255,111,111,111,255,94,94,94,255,94,94,94,255,76,76,76,255,87,87,87,255,94,94,94,255,94,94,94,255,105,105,105,255,106,106,106,255,87,87,87,255,71,71,71,255,73,73,73,255,99,99,99,255,101,101,101,255,98,98,98,255,110,110,110,255,125,125,125,255,139,139,139,255,141,141,141,255,165,165,165,255,181,181,181,255,175,175,175,255,160,160,160,255,146,146,146,255,137,137,137,255,95,95,95,255,109,109,109,255,110,110,110,255,110,110,110,255,99,99,99,255,84,84,84,255,85,85,85,255,96,96,96,255,102,102,102,255,101,101,101,255,146,146,146,255,105,105,105,255,98,98,98,255,98,98,98,255,96,96,96,255,95,95,95,255,94,94,94,255,95,95,95,255,95,95,95,255,109,109,109,255,127,127,127,255,110,110,110,255,98,98,98,255,98,98,98,255,78,78,78,255,74,74,74,255,74,74,74,255,74,74,74,255,73,73,73,255,66,66,66,255,58,58,58,255,60,60,60,255,62,62,62,255,62,62,62,255,75,75,75,255,150,150,150,255,135,135,135,255,135,135,135,255,148,148,148,255,119,119,119,255,125,125,125,255,122,122,122,255,108,108,108,255,108,108,108,255,105,105,105,255,80,80,80,255,73,73,73,255,73,73,73,255,72,72,72,255,89,89,89,255,139,139,139,255,137,137,137,255,131,131,131,255,131,131,131,255,135,135,135,255,151,151,151,255,154,154,154,255,161,161,161,255,162,162,162,255,163,163,163,255,160,160,160,255,156,156,156,255,154,154,154,255,166,166,166,255,154,154,154,255,156,156,156,255,150,150,150,255,123,123,123,255,123,123,123,255,122,122,122,255,122,122,122,255,116,116,116,255,119,119,119,255,119,119,119,255,116,116,116,255,98,98,98,255,95,95,95,255,84,84,84,255,78,78,78,255,98,98,98,255,94,94,94,255,96,96,96,255,111,111,111,255,102,102,102,255,75,75,75,255,71,71,71,255,83,83,83,255,104,104,104,255,100,100,100,255,96,96,96,255,124,124,124,255,122,122,122,255,139,139,139,255,141,141,141,255,173,173,173,255,181,181,181,255,175,175,175,255,158,158,158,255,146,146,146,255,119,119,119,255,95,95,95,255,110,110,110,255,109,109,109,255,110,110,110,255,94,94,94,255,84,84,84,255,85,85,85,255,97,97,97,255,102,102,102,255,106,106,106,255,160,160,160,255,102,102,102,255,98,98,98,255,98,98,98,255,98,98,98,255,95,95,95,255,94,94,94,255,94,94,94,255,95,95,95,255,114,114,114,255,127,127,127,255,109,109,109,255,98,98,98,255,98,98,98,255,79,79,79,255,73,73,73,255,74,74,74,255,74,74,74,255,74,74,74,255,66,66,66,255,59,59,59,255,63,63,63,255,62,62,62,255,62,62,62,255,75,75,75,255,144,144,144,255,134,134,134,255,140,140,140,255,136,136,136,255,119,119,119,255,126,126,126,255,114,114,114,255,108,108,108,255,108,108,108,255,91,91,91,255,76,76,76,255,73,73,73,255,73,73,73,255,73,73,73,255,119,119,119,255,140,140,140,255,132,132,132,255,131,131,131,255,132,132,132,255,149,149,149,255,152,152,152,255,159,159,159,255,162,162,162,255,162,162,162,255,162,162,162,255,158,158,158,255,152,152,152,255,162,162,162,255,161,161,161,255,153,153,153,255,159,159,159,255,127,127,127,255,123,123,123,255,123,123,123,255,122,122,122,255,118,118,118,255,118,118,118,255,119,119,119,255,118,118,118,255,105,105,105,255,95,95,95,255,91,91,91,255,71,71,71,255,97,97,97,255,96,96,96,255,94,94,94,255,104,104,104,255,106,106,106,255,92,92,92,255,71,71,71,255,71,71,71,255,97,97,97,255,104,104,104,255,99,99,99,255,100,100,100,255,133,133,133,255,121,121,121,255,139,139,139,255,141,141,141,255,182,182,182,255,181,181,181,255,177,177,177,255,157,157,157,255,146,146,146,255,101,101,101,255,95,95,95,255,110,110,110,255,109,109,109,255,110,110,110,255,87,87,87,255,84,84,84,255,85,85,85,255,98,98,98,255,102,102,102,255,124,124,124,255,159,159,159,255,100,100,100,255,97,97,97,255,98,98,98,255,98,98,98,255,96,96,96,255,94,94,94,255,93,93,93,255,93,93,93,255,116,116,116,255,129,129,129,255,109,109,109,255,98,98,98,255,98,98,98,255,79,79,79,255,74,74,74,255,75,75,75,255,74,74,74,255,74,74,74,255,66,66,66,255,59,59,59,255,68,68,68,255,65,65,65,255,62,62,62,255,75,75,75,255,136,136,136,255,134,134,134,255,145,145,145,255,123,123,123,255,120,120,120,255,123,123,123,255,108,108,108,255,108,108,108,255,102,102,102,255,78,78,78,255,74,74,74,255,73,73,73,255,73,73,73,255,89,89,89,255,139,139,139,255,137,137,137,255,131,131,131,255,131,131,131,255,143,143,143,255,151,151,151,255,155,155,155,255,161,161,161,255,162,162,162,255,163,163,163,255,161,161,161,255,152,152,152,255,154,154,154,255,170,170,170,255,152,152,152,255,160,160,160,255,137,137,137,255,123,123,123,255,123,123,123,255,123,123,123,255,122,122,122,255,116,116,116,255,119,119,119,255,119,119,119,255,109,109,109,255,98,98,98,255,95,95,95,255,76,76,76,255,86,86,86,255,100,100,100,255,95,95,95,255,96,96,96,255,111,111,111,255,102,102,102,255,80,80,80,255,71,71,71,255,83,83,83,255,100,100,100,255,103,103,103,255,96,96,96,255,106,106,106,255,137,137,137,255,119,119,119,255,139,139,139,255,149,149,149,255,183,183,183,255,181,181,181,255,177,177,177,255,157,157,157,255,135,135,135,255,95,95,95,255,97,97,97,255,110,110,110,255,109,109,109,255,109,109,109,255,82,82,82,255,83,83,83,255,85,85,85,255,99,99,99,255,103,103,103,255,144,144,144,255,152,152,152,255,100,100,100,255,97,97,97,255,98,98,98,255,98,98,98,255,97,97,97,255,95,95,95,255,93,93,93,255,92,92,92,255,116,116,116,255,132,132,132,255,108,108,108,255,98,98,98,255,98,98,98,255,78,78,78,255,74,74,74,255,76,76,76,255,74,74,74,255,74,74,74,255,65,65,65,255,59,59,59,255,67,67,67,255,72,72,72,255,63,63,63,255,76,76,76,255,134,134,134,255,136,136,136,255,142,142,142,255,117,117,117,255,122,122,122,255,115,115,115,255,108,108,108,255,108,108,108,255,86,86,86,255,76,76,76,255,74,74,74,255,73,73,73,255,72,72,72,255,126,126,126,255,140,140,140,255,134,134,134,255,131,131,131,255,137,137,137,255,152,152,152,255,153,153,153,255,159,159,159,255,161,161,161,255,162,162,162,255,162,162,162,255,159,159,159,255,147,147,147,255,169,169,169,255,157,157,157,255,156,156,156,255,150,150,150,255,123,123,123,255,123,123,123,255,123,123,123,255,122,122,122,255,119,119,119,255,117,117,117,255,119,119,119,255,113,113,113,255,104,104,104,255,94,94,94,255,85,85,85,255,77,77,77,255,97,97,97,255,99,99,99,255,94,94,94,255,103,103,103,255,108,108,108,255,98,98,98,255,72,72,72,255,72,72,72,255,97,97,97,255,100,100,100,255,102,102,102,255,94,94,94,255,114,114,114,255,139,139,139,255,121,121,121,255,138,138,138,255,156,156,156,255,182,182,182,255,181,181,181,255,177,177,177,255,156,156,156,255,117,117,117,255,95,95,95,255,98,98,98,255,110,110,110,255,109,109,109,255,104,104,104,255,82,82,82,255,83,83,83,255,85,85,85,255,100,100,100,255,107,107,107,255,159,159,159,255,145,145,145,255,101,101,101,255,97,97,97,255,98,98,98,255,98,98,98,255,98,98,98,255,95,95,95,255,93,93,93,255,92,92,92,255,116,116,116,255,132,132,132,255,109,109,109,255,97,97,97,255,98,98,98,255,78,78,78,255,74,74,74,255,76,76,76,255,74,74,74,255,74,74,74,255,65,65,65,255,60,60,60,255,68,68,68,255,72,72,72,255,72,72,72,255,78,78,78,255,134,134,134,255,142,142,142,255,130,130,130,255,117,117,117,255,122,122,122,255,109,109,109,255,108,108,108,255,98,98,98,255,77,77,77,255,75,75,75,255,75,75,75,255,73,73,73,255,98,98,98,255,140,140,140,255,138,138,138,255,131,131,131,255,132,132,132,255,149,149,149,255,152,152,152,255,157,157,157,255,160,160,160,255,161,161,161,255,162,162,162,255,162,162,162,255,150,150,150,255,159,159,159,255,165,165,165,255,153,153,153,255,159,159,159,255,127,127,127,255,123,123,123,255,123,123,123,255,123,123,123,255,122,122,122,255,115,115,115,255,119,119,119,255,116,116,116,255,107,107,107,255,98,98,98,255,91,91,91,255,73,73,73,255,95,95,95,255,97,97,97,255,98,98,98,255,95,95,95,255,111,111,111,255,103,103,103,255,86,86,86,255,71,71,71,255,85,85,85,255,100,100,100,255,100,100,100,255,102,102,102,255,91,91,91,255,123,123,123,255,136,136,136,255,126,126,126,255,135,135,135,255,164,164,164,255,182,182,182,255,181,181,181,255,177,177,177,255,155,155,155,255,100,100,100,255,95,95,95,255,100,100,100,255,110,110,110,255,109,109,109,255,98,98,98,255,82,82,82,255,82,82,82,255,85,85,85,255,101,101,101,255,126,126,126,255,161,161,161,255,139,139,139,255,101,101,101,255,97,97,97,255,97,97,97,255,98,98,98,255,98,98,98,255,96,96,96,255,93,93,93,255,93,93,93,255,118,118,118,255,132,132,132,255,111,111,111,255,97,97,97,255,98,98,98,255,77,77,77,255,74,74,74,255,76,76,76,255,74,74,74,255,74,74,74,255,64,64,64,255,60,60,60,255,69,69,69,255,71,71,71,255,72,72,72,255,90,90,90,255,134,134,134,255,146,146,146,255,119,119,119,255,117,117,117,255,116,116,116,255,108,108,108,255,107,107,107,255,81,81,81,255,76,76,76,255,75,75,75,255,75,75,75,255,77,77,77,255,130,130,130,255,140,140,140,255,134,134,134,255,131,131,131,255,144,144,144,255,152,152,152,255,154,154,154,255,159,159,159,255,160,160,160,255,162,162,162,255,163,163,163,255,156,156,156,255,152,152,152,255,167,167,167,255,154,154,154,255,159,159,159,255,136,136,136,255,123,123,123,255,123,123,123,255,123,123,123,255,123,123,123,255,119,119,119,255,117,117,117,255,119,119,119,255,107,107,107,255,104,104,104,255,95,95,95,255,77,77,77,255,88,88,88,255,98,98,98,255,97,97,97,255,96,96,96,255,102,102,102,255,108,108,108,255,102,102,102,255,76,76,76,255,72,72,72,255,99,99,99,255,100,100,100,255,100,100,100,255,100,100,100,255,95,95,95,255,128,128,128,255,131,131,131,255,130,130,130,255,133,133,133,255,173,173,173,255,182,182,182,255,181,181,181,255,177,177,177,255,145,145,145,255,91,91,91,255,95,95,95,255,101,101,101,255,110,110,110,255,109,109,109,255,91,91,91,255,81,81,81,255,82,82,82,255,84,84,84,255,102,102,102,255,146,146,146,255,161,161,161,255,132,132,132,255,101,101,101,255,97,97,97,255,97,97,97,255,98,98,98,255,97,97,97,255,98,98,98,255,94,94,94,255,93,93,93,255,119,119,119,255,132,132,132,255,109,109,109,255,98,98,98,255,97,97,97,255,77,77,77,255,74,74,74,255,76,76,76,255,74,74,74,255,74,74,74,255,64,64,64,255,60,60,60,255,69,69,69,255,71,71,71,255,72,72,72,255,93,93,93,255,138,138,138,255,139,139,139,255,116,116,116,255,116,116,116,255,109,109,109,255,108,108,108,255,92,92,92,255,78,78,78,255,75,75,75,255,76,76,76,255,75,75,75,255,109,109,109,255,140,140,140,255,140,140,140,255,131,131,131,255,137,137,137,255,152,152,152,255,152,152,152,255,157,157,157,255,160,160,160,255,161,161,161,255,162,162,162,255,160,160,160,255,149,149,149,255,162,162,162,255,160,160,160,255,156,156,156,255,149,149,149,255,123,123,123,255,123,123,123,255,123,123,123,255,123,123,123,255,122,122,122,255,115,115,115,255,119,119,119,255,110,110,110,255,107,107,107,255,99,99,99,255,85,85,85,255,78,78,78,255,99,99,99,255,98,98,98,255,97,97,97,255,96,96,96,255,110,110,110,255,103,103,103,255,92,92,92,255,74,74,74,255,86,86,86,255,101,101,101,255,100,100,100,255,100,100,100,255,97,97,97,255,100,100,100,255,128,128,128,255,129,129,129,255,134,134,134,255,131,131,131,255,180,180,180,255,182,182,182,255,181,181,181,255,177,177,177,255,126,126,126,255,92,92,92,255,95,95,95,255,102,102,102,255,110,110,110,255,109,109,109,255,85,85,85,255,81,81,81,255,82,82,82,255,84,84,84,255,105,105,105,255,165,165,165,255,162,162,162,255,126,126,126,255,101,101,101,255,97,97,97,255,97,97,97,255,97,97,97,255,97,97,97,255,98,98,98,255,95,95,95,255,93,93,93,255,121,121,121,255,132,132,132,255,108,108,108,255,100,100,100,255,97,97,97,255,76,76,76,255,74,74,74,255,74,74,74,255,76,76,76,255,74,74,74,255,64,64,64,255,60,60,60,255,71,71,71,255,72,72,72,255,71,71,71,255,93,93,93,255,143,143,143,255,126,126,126,255,116,116,116,255,112,112,112,255,108,108,108,255,103,103,103,255,79,79,79,255,76,76,76,255,75,75,75,255,76,76,76,255,91,91,91,255,133,133,133,255,140,140,140,255,136,136,136,255,132,132,132,255,150,150,150,255,152,152,152,255,155,155,155,255,159,159,159,255,160,160,160,255,161,161,161,255,162,162,162,255,153,153,153,255,155,155,155,255,164,164,164,255,153,153,153,255,159,159,159,255,126,126,126,255,123,123,123,255,123,123,123,255,123,123,123,255,123,123,123,255,119,119,119,255,117,117,117,255,114,114,114,255,106,106,106,255,104,104,104,255,92,92,92,255,73,73,73,255,96,96,96,255,99,99,99,255,98,98,98,255,97,97,97,255,102,102,102,255,109,109,109,255,102,102,102,255,80,80,80,255,76,76,76,255,101,101,101,255,101,101,101,255,100,100,100,255,100,100,100,255,95,95,95,255,103,103,103,255,128,128,128,255,128,128,128,255,133,133,133,255,139,139,139,255,182,182,182,255,181,181,181,255,180,180,180,255,177,177,177,255,106,106,106,255,92,92,92,255,95,95,95,255,104,104,104,255,110,110,110,255,109,109,109,255,80,80,80,255,80,80,80,255,82,82,82,255,83,83,83,255,122,122,122,255,169,169,169,255,162,162,162,255,122,122,122,255,101,101,101,255,97,97,97,255,97,97,97,255,97,97,97,255,98,98,98,255,97,97,97,255,96,96,96,255,93,93,93,255,123,123,123,255,132,132,132,255,105,105,105,255,101,101,101,255,97,97,97,255,75,75,75,255,74,74,74,255,74,74,74,255,76,76,76,255,74,74,74,255,63,63,63,255,61,61,61,255,71,71,71,255,72,72,72,255,71,71,71,255,93,93,93,255,146,146,146,255,117,117,117,255,116,116,116,255,106,106,106,255,108,108,108,255,86,86,86,255,78,78,78,255,75,75,75,255,76,76,76,255,85,85,85,255,117,117,117,255,139,139,139,255,140,140,140,255,132,132,132,255,145,145,145,255,152,152,152,255,153,153,153,255,159,159,159,255,160,160,160,255,160,160,160,255,161,161,161,255,158,158,158,255,153,153,153,255,159,159,159,255,156,156,156,255,159,159,159,255,136,136,136,255,123,123,123,255,123,123,123,255,123,123,123,255,123,123,123,255,122,122,122,255,116,116,116,255,116,116,116,255,107,107,107,255,107,107,107,255,98,98,98,255,77,77,77,255,88,88,88,255,99,99,99,255,99,99,99,255,98,98,98,255,96,96,96,255,110,110,110,255,104,104,104,255,97,97,97,255,72,72,72,255,91,91,91,255,105,105,105,255,101,101,101,255,100,100,100,255,100,100,100,255,93,93,93,255,106,106,106,255,128,128,128,255,128,128,128,255,129,129,129,255,148,148,148,255,182,182,182,255,181,181,181,255,180,180,180,255,168,168,168,255,95,95,95,255,92,92,92,255,95,95,95,255,105,105,105,255,110,110,110,255,104,104,104,255,79,79,79,255,79,79,79,255,82,82,82,255,82,82,82,255,141,141,141,255,169,169,169,255,163,163,163,255,116,116,116,255,102,102,102,255,97,97,97,255,97,97,97,255,97,97,97,255,97,97,97,255,97,97,97,255,97,97,97,255,93,93,93,255,125,125,125,255,133,133,133,255,104,104,104,255,101,101,101,255,99,99,99,255,74,74,74,255,73,73,73,255,74,74,74,255,76,76,76,255,74,74,74,255,63,63,63,255,61,61,61,255,72,72,72,255,73,73,73,255,72,72,72,255,91,91,91,255,135,135,135,255,116,116,116,255,111,111,111,255,106,106,106,255,101,101,101,255,78,78,78,255,77,77,77,255,75,75,75,255,80,80,80,255,98,98,98,255,132,132,132,255,140,140,140,255,137,137,137,255,135,135,135,255,151,151,151,255,152,152,152,255,157,157,157,255,159,159,159,255,160,160,160,255,161,161,161,255,160,160,160,255,158,158,158,255,155,155,155,255,162,162,162,255,154,154,154,255,154,154,154,255,123,123,123,255,123,123,123,255,123,123,123,255,123,123,123,255,123,123,123,255,120,120,120,255,115,115,115,255,109,109,109,255,107,107,107,255,105,105,105,255,85,85,85,255,79,79,79,255,99,99,99,255,99,99,99,255,99,99,99,255,98,98,98,255,101,101,101,255,110,110,110,255,102,102,102,255,85,85,85,255,75,75,75,255,104,104,104,255,106,106,106,255,103,103,103,255,100,100,100,255,99,99,99,255,98,98,98,255,103,103,103,255,126,126,126,255,128,128,128,255,128,128,128,255,157,157,157,255,182,182,182,255,181,181,181,255,180,180,180,255,145,145,145,255,94,94,94,255,92,92,92,255,95,95,95,255,107,107,107,255,110,110,110,255,99,99,99,255,80,80,80,255,79,79,79,255,81,81,81,255,83,83,83,255,159,159,159,255,170,170,170,255,163,163,163,255,112,112,112,255,102,102,102,255,97,97,97,255,97,97,97,255,97,97,97,255,97,97,97,255,98,98,98,255,97,97,97,255,95,95,95,255,124,124,124,255,134,134,134,255,103,103,103,255,101,101,101,255,101,101,101,255,74,74,74,255,72,72,72,255,73,73,73,255,76,76,76,255,74,74,74,255,62,62,62,255,61,61,61,255,72,72,72,255,74,74,74,255,72,72,72,255,92,92,92,255,129,129,129,255,116,116,116,255,109,109,109,255,106,106,106,255,93,93,93,255,78,78,78,255,76,76,76,255,76,76,76,255,84,84,84,255,110,110,110,255,134,134,134,255,140,140,140,255,135,135,135,255,142,142,142,255,151,151,151,255,154,154,154,255,159,159,159,255,160,160,160,255,160,160,160,255,161,161,161,255,166,166,166,255,152,152,152,255,156,156,156,255,160,160,160,255,156,156,156,255,141,141,141,255,123,123,123,255,123,123,123,255,123,123,123,255,123,123,123,255,123,123,123,255,118,118,118,255,107,107,107,255,107,107,107,255,108,108,108,255,101,101,101,255,73,73,73,255,96,96,96,255,99,99,99,255,99,99,99,255,99,99,99,255,98,98,98,255,109,109,109,255,105,105,105,255,101,101,101,255,74,74,74,255,90,90,90,255,104,104,104,255,105,105,105,255,103,103,103,255,100,100,100,255,97,97,97,255,106,106,106,255,103,103,103,255,119,119,119,255,128,128,128,255,128,128,128,255,164,164,164,255,182,182,182,255,182,182,182,255,180,180,180,255,133,133,133,255,93,93,93,255,92,92,92,255,95,95,95,255,109,109,109,255,110,110,110,255,93,93,93,255,79,79,79,255,79,79,79,255,81,81,81,255,95,95,95,255,162,162,162,255,170,170,170,255,163,163,163,255,108,108,108,255,102,102,102,255,97,97,97,255,97,97,97,255,97,97,97,255,97,97,97,255,98,98,98,255,97,97,97,255,96,96,96,255,126,126,126,255,127,127,127,255,102,102,102,255,100,100,100,255,101,101,101,255,75,75,75,255,72,72,72,255,72,72,72,255,74,74,74,255,74,74,74,255,62,62,62,255,61,61,61,255,73,73,73,255,74,74,74,255,73,73,73,255,94,94,94,255,121,121,121,255,116,116,116,255,104,104,104,255,107,107,107,255,83,83,83,255,78,78,78,255,76,76,76,255,77,77,77,255,89,89,89,255,122,122,122,255,138,138,138,255,140,140,140,255,132,132,132,255,148,148,148,255,152,152,152,255,157,157,157,255,159,159,159,255,160,160,160,255,160,160,160,255,170,170,170,255,159,159,159,255,151,151,151,255,162,162,162,255,155,155,155,255,157,157,157,255,128,128,128,255,123,123,123,255,123,123,123,255,123,123,123,255,123,123,123,255,122,122,122,255,110,110,110,255,105,105,105,255,107,107,107,255,112,112,112,255,81,81,81,255,88,88,88,255,99,99,99,255,99,99,99,255,99,99,99,255,99,99,99,255,103,103,103,255,110,110,110,255,102,102,102,255,91,91,91,255,76,76,76,255,102,102,102,255,103,103,103,255,105,105,105,255,105,105,105,255,100,100,100,255,94,94,94,255,118,118,118,255,103,103,103,255,112,112,112,255,128,128,128,255,128,128,128,255,166,166,166,255,182,182,182,255,182,182,182,255,180,180,180,255,120,120,120,255,92,92,92,255,92,92,92,255,95,95,95,255,109,109,109,255,110,110,110,255,87,87,87,255,80,80,80,255,79,79,79,255,79,79,79,255,110,110,110,255,163,163,163,255,169,169,169,255,163,163,163,255,105,105,105,255,102,102,102,255,97,97,97,255,97,97,97,255,97,97,97,255,97,97,97,255,98,98,98,255,97,97,97,255,96,96,96,255,129,129,129,255,116,116,116,255,97,97,97,255,100,100,100,255,100,100,100,255,76,76,76,255,72,72,72,255,72,72,72,255,72,72,72,255,74,74,74,255,62,62,62,255,61,61,61,255,74,74,74,255,75,75,75,255,73,73,73,255,95,95,95,255
 
 // All Examples Written by Casey Reas and Ben Fry
 // unless otherwise stated.
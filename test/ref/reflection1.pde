@@ -1,4 +1,4 @@
-//[100,100]75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,77,77,77,255,77,77,77,255,75,75,75,255,75,75,75,255,79,79,79,255,84,84,84,255,87,87,87,255,88,88,88,255,92,92,92,255,93,93,93,255,94,94,94,255,93,93,93,255,86,86,86,255,77,77,77,255,75,75,75,255,75,75,75,255,142,86,29,255,121,81,42,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,76,76,76,255,77,77,77,255,75,75,75,255,81,81,81,255,87,87,87,255,87,87,87,255,91,91,91,255,93,93,93,255,96,96,96,255,98,98,98,255,103,103,103,255,103,103,103,255,105,105,105,255,104,104,104,255,92,92,92,255,75,75,75,255,126,82,39,255,138,84,32,255,77,77,77,255,118,118,118,255,161,161,161,255,179,179,179,255,176,176,176,255,159,159,159,255,120,120,120,255,78,78,78,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,77,77,77,255,79,79,79,255,85,85,85,255,88,88,88,255,91,91,91,255,96,96,96,255,97,97,97,255,100,100,100,255,105,105,105,255,107,107,107,255,113,113,113,255,115,115,115,255,116,116,116,255,119,119,119,255,115,115,115,255,121,93,63,255,159,100,40,255,186,186,186,255,195,195,195,255,189,189,189,255,183,183,183,255,187,187,187,255,175,175,175,255,177,177,177,255,188,188,188,255,81,81,81,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,77,77,77,255,83,83,83,255,86,86,86,255,91,91,91,255,97,97,97,255,100,100,100,255,98,98,98,255,109,109,109,255,109,109,109,255,110,110,110,255,118,118,118,255,119,119,119,255,127,127,127,255,127,127,127,255,132,132,132,255,147,134,123,255,200,200,200,255,194,194,194,255,172,172,172,255,162,162,162,255,160,160,160,255,172,172,172,255,163,163,163,255,190,190,190,255,168,168,168,255,194,194,194,255,87,87,87,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,78,78,78,255,83,83,83,255,88,88,88,255,90,90,90,255,93,93,93,255,101,101,101,255,108,108,108,255,114,114,114,255,115,115,115,255,117,117,117,255,121,121,121,255,125,125,125,255,128,128,128,255,136,136,136,255,146,146,146,255,196,196,196,255,195,195,195,255,165,165,165,255,164,164,164,255,161,161,161,255,150,150,150,255,162,162,162,255,151,151,151,255,181,181,181,255,190,190,190,255,168,168,168,255,163,163,163,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,79,79,79,255,83,83,83,255,88,88,88,255,93,93,93,255,98,98,98,255,101,101,101,255,103,103,103,255,109,109,109,255,115,115,115,255,126,126,126,255,133,133,133,255,127,127,127,255,132,132,132,255,145,145,145,255,185,185,185,255,198,198,198,255,161,146,131,255,148,144,139,255,152,152,152,255,155,155,155,255,148,148,148,255,163,163,163,255,172,172,172,255,165,165,165,255,172,172,172,255,182,182,182,255,189,189,189,255,94,94,94,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,79,79,79,255,83,83,83,255,90,90,90,255,96,96,96,255,101,101,101,255,105,105,105,255,111,111,111,255,116,116,116,255,121,121,121,255,122,122,122,255,128,128,128,255,128,128,128,255,147,147,147,255,173,173,173,255,192,192,192,255,168,168,168,255,164,96,27,255,131,102,75,255,120,120,120,255,135,135,135,255,152,152,152,255,156,156,156,255,162,162,162,255,152,152,152,255,148,148,148,255,163,163,163,255,173,173,173,255,127,127,127,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,78,78,78,255,83,83,83,255,88,88,88,255,96,96,96,255,101,101,101,255,103,103,103,255,109,109,109,255,112,112,112,255,119,119,119,255,124,124,124,255,135,135,135,255,147,147,147,255,162,162,162,255,177,177,177,255,190,190,190,255,150,150,150,255,150,96,41,255,141,99,57,255,110,110,110,255,123,123,123,255,134,134,134,255,151,151,151,255,146,146,146,255,155,155,155,255,166,166,166,255,176,176,176,255,179,179,179,255,139,139,139,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,77,77,77,255,82,82,82,255,88,88,88,255,93,93,93,255,101,101,101,255,106,106,106,255,109,109,109,255,113,113,113,255,118,118,118,255,121,121,121,255,128,128,128,255,133,133,133,255,165,165,165,255,176,176,176,255,184,184,184,255,157,157,157,255,137,97,56,255,154,97,40,255,110,110,110,255,117,117,117,255,126,126,126,255,140,140,140,255,146,146,146,255,145,145,145,255,155,155,155,255,179,179,179,255,185,185,185,255,131,131,131,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,79,79,79,255,85,85,85,255,93,93,93,255,98,98,98,255,107,107,107,255,111,111,111,255,115,115,115,255,121,121,121,255,126,126,126,255,136,136,136,255,146,146,146,255,162,162,162,255,173,173,173,255,185,185,185,255,185,185,185,255,122,96,70,255,164,95,24,255,108,108,108,255,113,113,113,255,125,125,125,255,133,133,133,255,147,147,147,255,145,145,145,255,160,160,160,255,180,180,180,255,192,192,192,255,102,102,102,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,81,81,81,255,88,88,88,255,98,98,98,255,103,103,103,255,113,113,113,255,119,119,119,255,121,121,121,255,130,130,130,255,141,141,141,255,156,156,156,255,157,157,157,255,166,166,166,255,177,177,177,255,184,184,184,255,145,136,129,255,179,94,10,255,110,110,110,255,114,114,114,255,123,123,123,255,130,130,130,255,142,142,142,255,155,155,155,255,162,162,162,255,189,189,189,255,187,187,187,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,79,79,79,255,88,88,88,255,101,101,101,255,109,109,109,255,119,119,119,255,126,126,126,255,132,132,132,255,140,140,140,255,154,154,154,255,155,155,155,255,162,162,162,255,167,167,167,255,176,176,176,255,196,196,196,255,136,124,112,255,115,115,115,255,122,122,122,255,129,129,129,255,134,134,134,255,145,145,145,255,155,155,155,255,182,182,182,255,200,200,200,255,108,108,108,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,148,148,148,255,176,176,176,255,186,186,186,255,77,77,77,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,76,76,76,255,81,81,81,255,100,100,100,255,114,114,114,255,125,125,125,255,134,134,134,255,139,139,139,255,150,150,150,255,158,158,158,255,165,165,165,255,171,171,171,255,172,172,172,255,177,177,177,255,200,200,200,255,159,159,159,255,124,124,124,255,121,121,121,255,132,132,132,255,141,141,141,255,183,183,183,255,199,199,199,255,132,132,132,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,136,136,136,255,171,171,171,255,184,184,184,255,191,191,191,255,194,194,194,255,197,197,197,255,199,199,199,255,200,200,200,255,200,200,200,255,200,200,200,255,82,82,82,255,81,81,81,255,78,78,78,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,86,86,86,255,115,115,115,255,128,128,128,255,140,140,140,255,149,149,149,255,147,147,147,255,154,154,154,255,173,173,173,255,181,181,181,255,175,175,175,255,186,186,186,255,184,184,184,255,196,196,196,255,195,195,195,255,195,195,195,255,198,198,198,255,196,196,196,255,148,148,148,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,121,121,121,255,169,169,169,255,183,183,183,255,190,190,190,255,194,194,194,255,197,197,197,255,199,199,199,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,82,82,82,255,82,82,82,255,82,82,82,255,81,81,81,255,79,79,79,255,77,77,77,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,96,96,96,255,130,130,130,255,146,146,146,255,154,154,154,255,156,156,156,255,156,156,156,255,172,172,172,255,169,169,169,255,175,175,175,255,175,175,175,255,182,182,182,255,185,185,185,255,187,187,187,255,183,183,183,255,136,136,136,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,102,102,102,255,162,162,162,255,181,181,181,255,188,188,188,255,193,193,193,255,196,196,196,255,199,199,199,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,80,80,80,255,77,77,77,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,76,76,76,255,110,110,110,255,148,148,148,255,155,155,155,255,162,162,162,255,161,161,161,255,165,165,165,255,170,170,170,255,171,171,171,255,173,173,173,255,174,174,174,255,171,171,171,255,122,122,122,255,75,75,75,255,75,75,75,255,84,84,84,255,152,152,152,255,177,177,177,255,187,187,187,255,192,192,192,255,196,196,196,255,198,198,198,255,199,199,199,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,81,81,81,255,79,79,79,255,76,76,76,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,77,77,77,255,127,127,127,255,154,154,154,255,156,156,156,255,158,158,158,255,162,162,162,255,163,163,163,255,170,170,170,255,179,179,179,255,186,186,186,255,192,192,192,255,195,195,195,255,198,198,198,255,199,199,199,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,81,81,81,255,80,80,80,255,77,77,77,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,127,127,127,255,170,170,170,255,184,184,184,255,191,191,191,255,195,195,195,255,197,197,197,255,199,199,199,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,81,81,81,255,79,79,79,255,76,76,76,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,113,113,113,255,167,167,167,255,182,182,182,255,189,189,189,255,193,193,193,255,197,197,197,255,199,199,199,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,81,81,81,255,79,79,79,255,77,77,77,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,94,94,94,255,158,158,158,255,179,179,179,255,188,188,188,255,192,192,192,255,196,196,196,255,198,198,198,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,81,81,81,255,79,79,79,255,76,76,76,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,148,148,148,255,176,176,176,255,186,186,186,255,192,192,192,255,195,195,195,255,198,198,198,255,199,199,199,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,81,81,81,255,79,79,79,255,77,77,77,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,75,75,75,255,137,137,137,255,172,172,172,255,184,184,184,255,191,191,191,255,195,195,195,255,197,197,197,255,199,199,199,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,125,125,125,255,170,170,170,255,184,184,184,255,190,190,190,255,194,194,194,255,197,197,197,255,199,199,199,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,108,108,108,255,163,163,163,255,181,181,181,255,190,190,190,255,193,193,193,255,197,197,197,255,199,199,199,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,94,94,94,255,154,154,154,255,178,178,178,255,188,188,188,255,193,193,193,255,196,196,196,255,198,198,198,255,199,199,199,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,82,82,82,255,82,82,82,255,147,147,147,255,174,174,174,255,187,187,187,255,192,192,192,255,195,195,195,255,198,198,198,255,199,199,199,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,197,197,197,255,199,199,199,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255
+//[100,100]82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,83,83,83,255,83,83,83,255,82,82,82,255,82,82,82,255,83,83,83,255,88,88,88,255,91,91,91,255,94,94,94,255,99,99,99,255,102,102,102,255,106,106,106,255,109,109,109,255,111,111,111,255,111,111,111,255,107,107,107,255,90,90,90,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,83,83,83,255,83,83,83,255,82,82,82,255,86,86,86,255,90,90,90,255,94,94,94,255,98,98,98,255,102,102,102,255,105,105,105,255,109,109,109,255,114,114,114,255,117,117,117,255,122,122,122,255,126,126,126,255,132,132,132,255,135,135,135,255,138,138,138,255,142,142,142,255,142,142,142,255,131,131,131,255,99,99,99,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,83,83,83,255,83,83,83,255,89,89,89,255,92,92,92,255,96,96,96,255,101,101,101,255,104,104,104,255,108,108,108,255,112,112,112,255,117,117,117,255,125,125,125,255,131,131,131,255,134,134,134,255,139,139,139,255,145,145,145,255,150,150,150,255,155,155,155,255,161,161,161,255,167,167,167,255,173,173,173,255,178,178,178,255,183,183,183,255,180,180,180,255,159,159,159,255,111,111,111,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,87,87,87,255,91,91,91,255,94,94,94,255,97,97,97,255,100,100,100,255,104,104,104,255,109,109,109,255,114,114,114,255,120,120,120,255,127,127,127,255,132,132,132,255,138,138,138,255,143,143,143,255,149,149,149,255,157,157,157,255,166,166,166,255,172,172,172,255,177,177,177,255,185,185,185,255,193,193,193,255,196,196,196,255,198,198,198,255,197,197,197,255,200,200,200,255,200,200,200,255,160,160,160,255,87,87,87,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,83,83,83,255,88,88,88,255,92,92,92,255,96,96,96,255,101,101,101,255,106,106,106,255,111,111,111,255,114,114,114,255,119,119,119,255,122,122,122,255,125,125,125,255,129,129,129,255,135,135,135,255,143,143,143,255,151,151,151,255,161,161,161,255,169,169,169,255,177,177,177,255,185,185,185,255,192,192,192,255,186,186,186,255,160,160,160,255,151,151,151,255,162,162,162,255,172,172,172,255,184,184,184,255,194,194,194,255,180,180,180,255,92,92,92,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,83,83,83,255,88,88,88,255,91,91,91,255,96,96,96,255,99,99,99,255,104,104,104,255,109,109,109,255,113,113,113,255,118,118,118,255,124,124,124,255,131,131,131,255,138,138,138,255,146,146,146,255,152,152,152,255,156,156,156,255,161,161,161,255,166,166,166,255,172,172,172,255,180,180,180,255,179,179,179,255,126,126,126,255,130,130,130,255,135,135,135,255,141,141,141,255,151,151,151,255,164,164,164,255,178,178,178,255,191,191,191,255,187,187,187,255,93,93,93,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,83,83,83,255,87,87,87,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,83,83,83,255,88,88,88,255,91,91,91,255,95,95,95,255,99,99,99,255,104,104,104,255,108,108,108,255,111,111,111,255,116,116,116,255,121,121,121,255,126,126,126,255,132,132,132,255,138,138,138,255,146,146,146,255,154,154,154,255,164,164,164,255,173,173,173,255,185,185,185,255,194,194,194,255,130,130,130,255,128,128,128,255,134,134,134,255,141,141,141,255,145,145,145,255,149,149,149,255,154,154,154,255,160,160,160,255,167,167,167,255,176,176,176,255,130,130,130,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,86,86,86,255,88,88,88,255,88,88,88,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,83,83,83,255,88,88,88,255,91,91,91,255,96,96,96,255,99,99,99,255,104,104,104,255,108,108,108,255,111,111,111,255,116,116,116,255,121,121,121,255,126,126,126,255,132,132,132,255,138,138,138,255,146,146,146,255,153,153,153,255,161,161,161,255,169,169,169,255,177,177,177,255,156,156,156,255,116,116,116,255,121,121,121,255,127,127,127,255,134,134,134,255,143,143,143,255,154,154,154,255,163,163,163,255,169,169,169,255,173,173,173,255,178,178,178,255,165,165,165,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,83,83,83,255,87,87,87,255,88,88,88,255,88,88,88,255,88,88,88,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,87,87,87,255,91,91,91,255,97,97,97,255,102,102,102,255,106,106,106,255,110,110,110,255,113,113,113,255,117,117,117,255,121,121,121,255,126,126,126,255,132,132,132,255,139,139,139,255,146,146,146,255,152,152,152,255,161,161,161,255,169,169,169,255,177,177,177,255,149,149,149,255,122,122,122,255,127,127,127,255,133,133,133,255,138,138,138,255,144,144,144,255,149,149,149,255,156,156,156,255,164,164,164,255,174,174,174,255,186,186,186,255,194,194,194,255,86,86,86,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,83,83,83,255,87,87,87,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,83,83,83,255,89,89,89,255,94,94,94,255,99,99,99,255,104,104,104,255,109,109,109,255,117,117,117,255,123,123,123,255,129,129,129,255,132,132,132,255,138,138,138,255,142,142,142,255,147,147,147,255,153,153,153,255,161,161,161,255,169,169,169,255,177,177,177,255,146,146,146,255,117,117,117,255,122,122,122,255,128,128,128,255,134,134,134,255,142,142,142,255,150,150,150,255,159,159,159,255,168,168,168,255,177,177,177,255,185,185,185,255,193,193,193,255,90,90,90,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,85,85,85,255,87,87,87,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,86,86,86,255,90,90,90,255,95,95,95,255,101,101,101,255,107,107,107,255,112,112,112,255,118,118,118,255,123,123,123,255,131,131,131,255,139,139,139,255,149,149,149,255,156,156,156,255,163,163,163,255,169,169,169,255,174,174,174,255,182,182,182,255,154,154,154,255,122,122,122,255,126,126,126,255,128,128,128,255,132,132,132,255,137,137,137,255,142,142,142,255,148,148,148,255,155,155,155,255,163,163,163,255,172,172,172,255,173,173,173,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,83,83,83,255,87,87,87,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,83,83,83,255,89,89,89,255,96,96,96,255,103,103,103,255,109,109,109,255,116,116,116,255,123,123,123,255,129,129,129,255,137,137,137,255,143,143,143,255,149,149,149,255,156,156,156,255,167,167,167,255,179,179,179,255,190,190,190,255,192,192,192,255,131,131,131,255,132,132,132,255,140,140,140,255,147,147,147,255,152,152,152,255,155,155,155,255,157,157,157,255,160,160,160,255,163,163,163,255,170,170,170,255,138,138,138,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,86,86,86,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,83,83,83,255,87,87,87,255,92,92,92,255,102,102,102,255,114,114,114,255,123,123,123,255,131,131,131,255,139,139,139,255,148,148,148,255,156,156,156,255,165,165,165,255,174,174,174,255,182,182,182,255,190,190,190,255,172,172,172,255,138,138,138,255,147,147,147,255,154,154,154,255,158,158,158,255,161,161,161,255,166,166,166,255,174,174,174,255,186,186,186,255,191,191,191,255,101,101,101,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,83,83,83,255,87,87,87,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,83,83,83,255,95,95,95,255,110,110,110,255,129,129,129,255,145,145,145,255,156,156,156,255,167,167,167,255,178,178,178,255,190,190,190,255,199,199,199,255,187,187,187,255,167,167,167,255,166,166,166,255,168,168,168,255,168,168,168,255,174,174,174,255,183,183,183,255,191,191,191,255,108,108,108,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,86,86,86,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,87,87,87,255,107,107,107,255,132,132,132,255,163,163,163,255,184,184,184,255,195,195,195,255,199,199,199,255,196,196,196,255,194,194,194,255,198,198,198,255,192,192,192,255,184,184,184,255,99,99,99,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,83,83,83,255,87,87,87,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,91,91,91,255,115,115,115,255,148,148,148,255,148,148,148,255,115,115,115,255,107,107,107,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,83,83,83,255,87,87,87,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,85,85,85,255,87,87,87,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,83,83,83,255,87,87,87,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,86,86,86,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,83,83,83,255,87,87,87,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,86,86,86,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,84,84,84,255,87,87,87,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,83,83,83,255,87,87,87,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,85,85,85,255,87,87,87,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,83,83,83,255,87,87,87,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,86,86,86,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,83,83,83,255,87,87,87,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,86,86,86,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,84,84,84,255,87,87,87,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,83,83,83,255,87,87,87,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,85,85,85,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,198,198,198,255,169,169,169,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,83,83,83,255,87,87,87,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,200,200,200,255,200,200,200,255,192,192,192,255,114,114,114,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,86,86,86,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,200,200,200,255,200,200,200,255,200,200,200,255,199,199,199,255,180,180,180,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,83,83,83,255,87,87,87,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,195,195,195,255,137,137,137,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,86,86,86,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,199,199,199,255,185,185,185,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,84,84,84,255,87,87,87,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,197,197,197,255,159,159,159,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,83,83,83,255,87,87,87,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,190,190,190,255,93,93,93,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,85,85,85,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,198,198,198,255,173,173,173,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,83,83,83,255,87,87,87,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,193,193,193,255,122,122,122,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,86,86,86,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,199,199,199,255,180,180,180,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,83,83,83,255,87,87,87,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,196,196,196,255,140,140,140,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,86,86,86,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,199,199,199,255,187,187,187,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,84,84,84,255,87,87,87,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,197,197,197,255,162,162,162,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,83,83,83,255,87,87,87,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,191,191,191,255,106,106,106,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,86,86,86,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,198,198,198,255,177,177,177,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,83,83,83,255,87,87,87,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,194,194,194,255,131,131,131,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,86,86,86,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,199,199,199,255,183,183,183,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,82,82,82,255,83,83,83,255,87,87,87,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,196,196,196,255,149,149,149,255,82,82,82,255,82,82,82,255,87,87,87,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,190,190,190,255,87,87,87,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,198,198,198,255,169,169,169,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,193,193,193,255,117,117,117,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,199,199,199,255,180,180,180,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,195,195,195,255,137,137,137,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,199,199,199,255,186,186,186,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,197,197,197,255,159,159,159,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,191,191,191,255,98,98,98,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,198,198,198,255,173,173,173,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,194,194,194,255,126,126,126,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,199,199,199,255,180,180,180,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,196,196,196,255,142,142,142,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,199,199,199,255,188,188,188,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,197,197,197,255,162,162,162,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,192,192,192,255,108,108,108,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,199,199,199,255,177,177,177,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,195,195,195,255,133,133,133,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,199,199,199,255,183,183,183,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,197,197,197,255,149,149,149,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,190,190,190,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,198,198,198,255,168,168,168,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,193,193,193,255,116,116,116,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,199,199,199,255,180,180,180,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,195,195,195,255,136,136,136,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,199,199,199,255,186,186,186,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,197,197,197,255,159,159,159,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,191,191,191,255,98,98,98,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,198,198,198,255,173,173,173,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,194,194,194,255,126,126,126,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,199,199,199,255,180,180,180,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,196,196,196,255,142,142,142,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,199,199,199,255,188,188,188,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,197,197,197,255,162,162,162,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,192,192,192,255,108,108,108,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,198,198,198,255,177,177,177,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,194,194,194,255,133,133,133,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,199,199,199,255,183,183,183,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,197,197,197,255,149,149,149,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,190,190,190,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,198,198,198,255,168,168,168,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,193,193,193,255,116,116,116,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,199,199,199,255,180,180,180,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,88,88,88,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,195,195,195,255,136,136,136,255,88,88,88,255,88,88,88,255,88,88,88,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,199,199,199,255,186,186,186,255,88,88,88,255,88,88,88,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,197,197,197,255,159,159,159,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255
 
 float baseX1, baseY1, baseX2, baseY2;
 float baseLength;
@@ -1,4 +1,4 @@
-//[100,100]27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,29,29,29,255,31,31,31,255,32,32,32,255,33,33,33,255,28,28,28,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,29,29,29,255,32,32,32,255,36,36,36,255,39,39,39,255,42,42,42,255,43,43,43,255,40,40,40,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,31,31,31,255,34,34,34,255,39,39,39,255,43,43,43,255,46,46,46,255,48,48,48,255,49,49,49,255,48,48,48,255,30,30,30,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,31,31,31,255,36,36,36,255,42,42,42,255,46,46,46,255,49,49,49,255,53,53,53,255,56,56,56,255,57,57,57,255,56,56,56,255,31,31,31,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,30,30,30,255,35,35,35,255,42,42,42,255,48,48,48,255,53,53,53,255,57,57,57,255,61,61,61,255,62,62,62,255,64,64,64,255,61,61,61,255,29,29,29,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,32,32,32,255,40,40,40,255,48,48,48,255,55,55,55,255,60,60,60,255,64,64,64,255,67,67,67,255,70,70,70,255,70,70,70,255,64,64,64,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,29,29,29,255,45,45,45,255,56,56,56,255,62,62,62,255,68,68,68,255,71,71,71,255,75,75,75,255,75,75,75,255,75,75,75,255,57,57,57,255,27,27,27,255,27,27,27,255,44,44,44,255,84,84,84,255,82,82,82,255,35,35,35,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,48,48,48,255,64,64,64,255,70,70,70,255,75,75,75,255,80,80,80,255,80,80,80,255,82,82,82,255,80,80,80,255,116,116,116,255,161,161,161,255,185,185,185,255,198,198,198,255,200,200,200,255,199,199,199,255,135,135,135,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,57,57,57,255,73,73,73,255,80,80,80,255,84,84,84,255,86,86,86,255,94,94,94,255,132,132,132,255,156,156,156,255,179,179,179,255,198,198,198,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,94,94,94,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,70,70,70,255,81,81,81,255,87,87,87,255,98,98,98,255,120,120,120,255,141,141,141,255,163,163,163,255,187,187,187,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,156,156,156,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,36,36,36,255,83,83,83,255,92,92,92,255,110,110,110,255,124,124,124,255,141,141,141,255,161,161,161,255,186,186,186,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,145,145,145,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,65,65,65,255,93,93,93,255,112,112,112,255,120,120,120,255,135,135,135,255,152,152,152,255,174,174,174,255,196,196,196,255,200,200,200,255,200,200,200,255,200,200,200,255,199,199,199,255,64,64,64,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,28,28,28,255,93,93,93,255,111,111,111,255,115,115,115,255,126,126,126,255,137,137,137,255,152,152,152,255,172,172,172,255,192,192,192,255,196,196,196,255,180,180,180,255,74,74,74,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,61,61,61,255,102,102,102,255,112,112,112,255,114,114,114,255,120,120,120,255,124,124,124,255,104,104,104,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,85,85,85,255,115,115,115,255,96,96,96,255,26,26,26,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,44,44,44,255,31,31,31,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,97,97,97,255,120,120,120,255,113,113,113,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,85,85,85,255,116,116,116,255,123,123,123,255,124,124,124,255,119,119,119,255,111,111,111,255,81,81,81,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,78,78,78,255,117,117,117,255,113,113,113,255,105,105,105,255,100,100,100,255,99,99,99,255,105,105,105,255,82,82,82,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,68,68,68,255,125,125,125,255,127,127,127,255,127,127,127,255,126,126,126,255,123,123,123,255,119,119,119,255,85,85,85,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,86,86,86,255,125,125,125,255,119,119,119,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,67,67,67,255,117,117,117,255,124,124,124,255,127,127,127,255,127,127,127,255,127,127,127,255,119,119,119,255,26,26,26,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,86,86,86,255,119,119,119,255,125,125,125,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,125,125,125,255,120,120,120,255,85,85,85,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,85,85,85,255,122,122,122,255,113,113,113,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,35,35,35,255,124,124,124,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,116,116,116,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,46,46,46,255,124,124,124,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,126,126,126,255,119,119,119,255,44,44,44,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,111,111,111,255,126,126,126,255,127,127,127,255,126,126,126,255,99,99,99,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,26,26,26,255,118,118,118,255,126,126,126,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,123,123,123,255,57,57,57,255,27,27,27,255,27,27,27,255,27,27,27,255,68,68,68,255,120,120,120,255,126,126,126,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,126,126,126,255,123,123,123,255,103,103,103,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,76,76,76,255,121,121,121,255,126,126,126,255,127,127,127,255,126,126,126,255,106,106,106,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,121,121,121,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,126,126,126,255,106,106,106,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,31,31,31,255,123,123,123,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,125,125,125,255,110,110,110,255,27,27,27,255,33,33,33,255,120,120,120,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,125,125,125,255,33,33,33,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,68,68,68,255,123,123,123,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,125,125,125,255,89,89,89,255,47,47,47,255,119,119,119,255,126,126,126,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,124,124,124,255,120,120,120,255,119,119,119,255,117,117,117,255,114,114,114,255,110,110,110,255,120,120,120,255,126,126,126,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,126,126,126,255,98,98,98,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,116,116,116,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,126,126,126,255,92,92,92,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,121,121,121,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,123,123,123,255,124,124,124,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,119,119,119,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,109,109,109,255,27,27,27,255,102,102,102,255,125,125,125,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,126,126,126,255,126,126,126,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,126,126,126,255,85,85,85,255,27,27,27,255,27,27,27,255,102,102,102,255,126,126,126,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,125,125,125,255,68,68,68,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,27,27,27,255,119,119,119,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,126,126,126,255,101,101,101,255,27,27,27,255,27,27,27,255,27,27,27,255,26,26,26,255,119,119,119,255,126,126,126,255,118,118,118,255,126,126,126,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,125,125,125,255,67,67,67,255,82,82,82,255,126,126,126,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,124,124,124,255,33,33,33,255,27,27,27,255,27,27,27,255,47,47,47,255,114,114,114,255,124,124,124,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,125,125,125,255,40,40,40,255,27,27,27,255,68,68,68,255,123,123,123,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,124,124,124,255,124,124,124,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,121,121,121,255,102,102,102,255,121,121,121,255,126,126,126,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,119,119,119,255,102,102,102,255,125,125,125,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,126,126,126,255,126,126,126,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255
+//[100,100]34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,35,35,35,255,37,37,37,255,39,39,39,255,38,38,38,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,35,35,35,255,39,39,39,255,41,41,41,255,44,44,44,255,47,47,47,255,48,48,48,255,42,42,42,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,37,37,37,255,40,40,40,255,45,45,45,255,48,48,48,255,51,51,51,255,54,54,54,255,54,54,54,255,53,53,53,255,35,35,35,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,37,37,37,255,42,42,42,255,47,47,47,255,51,51,51,255,55,55,55,255,57,57,57,255,61,61,61,255,61,61,61,255,59,59,59,255,36,36,36,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,36,36,36,255,41,41,41,255,48,48,48,255,53,53,53,255,57,57,57,255,62,62,62,255,65,65,65,255,68,68,68,255,68,68,68,255,64,64,64,255,35,35,35,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,38,38,38,255,45,45,45,255,53,53,53,255,60,60,60,255,65,65,65,255,69,69,69,255,72,72,72,255,73,73,73,255,73,73,73,255,63,63,63,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,42,42,42,255,79,79,79,255,38,38,38,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,48,48,48,255,60,60,60,255,67,67,67,255,72,72,72,255,77,77,77,255,78,78,78,255,81,81,81,255,78,78,78,255,53,53,53,255,34,34,34,255,34,34,34,255,42,42,42,255,159,159,159,255,199,199,199,255,200,200,200,255,192,192,192,255,104,104,104,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,49,49,49,255,68,68,68,255,73,73,73,255,80,80,80,255,83,83,83,255,85,85,85,255,87,87,87,255,83,83,83,255,37,37,37,255,49,49,49,255,180,180,180,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,193,193,193,255,42,42,42,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,56,56,56,255,77,77,77,255,83,83,83,255,88,88,88,255,90,90,90,255,92,92,92,255,92,92,92,255,86,86,86,255,166,166,166,255,193,193,193,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,92,92,92,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,72,72,72,255,85,85,85,255,92,92,92,255,95,95,95,255,98,98,98,255,100,100,100,255,150,150,150,255,172,172,172,255,188,188,188,255,200,200,200,255,200,200,200,255,200,200,200,255,200,200,200,255,199,199,199,255,51,51,51,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,37,37,37,255,87,87,87,255,94,94,94,255,100,100,100,255,104,104,104,255,132,132,132,255,153,153,153,255,168,168,168,255,183,183,183,255,196,196,196,255,200,200,200,255,200,200,200,255,200,200,200,255,151,151,151,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,60,60,60,255,97,97,97,255,104,104,104,255,115,115,115,255,137,137,137,255,150,150,150,255,162,162,162,255,174,174,174,255,182,182,182,255,189,189,189,255,192,192,192,255,138,138,138,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,94,94,94,255,106,106,106,255,123,123,123,255,135,135,135,255,144,144,144,255,153,153,153,255,160,160,160,255,164,164,164,255,167,167,167,255,87,87,87,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,76,76,76,255,76,76,76,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,89,89,89,255,110,110,110,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,51,51,51,255,109,109,109,255,120,120,120,255,130,130,130,255,138,138,138,255,143,143,143,255,147,147,147,255,147,147,147,255,87,87,87,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,124,124,124,255,125,125,125,255,44,44,44,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,53,53,53,255,125,125,125,255,127,127,127,255,125,125,125,255,107,107,107,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,121,121,121,255,116,116,116,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,102,102,102,255,118,118,118,255,125,125,125,255,128,128,128,255,133,133,133,255,134,134,134,255,106,106,106,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,119,119,119,255,127,127,127,255,127,127,127,255,122,122,122,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,122,122,122,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,124,124,124,255,101,101,101,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,48,48,48,255,54,54,54,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,116,116,116,255,127,127,127,255,126,126,126,255,76,76,76,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,54,54,54,255,116,116,116,255,118,118,118,255,120,120,120,255,122,122,122,255,119,119,119,255,44,44,44,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,93,93,93,255,59,59,59,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,107,107,107,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,115,115,115,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,116,116,116,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,114,114,114,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,122,122,122,255,125,125,125,255,76,76,76,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,110,110,110,255,127,127,127,255,127,127,127,255,127,127,127,255,123,123,123,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,89,89,89,255,112,112,112,255,112,112,112,255,112,112,112,255,110,110,110,255,110,110,110,255,110,110,110,255,110,110,110,255,120,120,120,255,125,125,125,255,127,127,127,255,127,127,127,255,125,125,125,255,86,86,86,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,74,74,74,255,126,126,126,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,102,102,102,255,34,34,34,255,34,34,34,255,105,105,105,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,98,98,98,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,112,112,112,255,127,127,127,255,127,127,127,255,126,126,126,255,96,96,96,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,101,101,101,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,107,107,107,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,93,93,93,255,121,121,121,255,125,125,125,255,126,126,126,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,126,126,126,255,105,105,105,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,93,93,93,255,86,86,86,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,124,124,124,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,126,126,126,255,76,76,76,255,76,76,76,255,126,126,126,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,126,126,126,255,65,65,65,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,93,93,93,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,109,109,109,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,89,89,89,255,126,126,126,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,125,125,125,255,43,43,43,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,103,103,103,255,126,126,126,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,115,115,115,255,34,34,34,255,34,34,34,255,34,34,34,255,108,108,108,255,124,124,124,255,127,127,127,255,127,127,127,255,120,120,120,255,46,46,46,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,118,118,118,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,125,125,125,255,125,125,125,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,124,124,124,255,34,34,34,255,34,34,34,255,34,34,34,255,52,52,52,255,125,125,125,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,115,115,115,255,34,34,34,255,34,34,34,255,96,96,96,255,110,110,110,255,110,110,110,255,126,126,126,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,119,119,119,255,34,34,34,255,34,34,34,255,34,34,34,255,110,110,110,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,121,121,121,255,114,114,114,255,125,125,125,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,126,126,126,255,110,110,110,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,120,120,120,255,34,34,34,255,34,34,34,255,122,122,122,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,89,89,89,255,34,34,34,255,114,114,114,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,124,124,124,255,110,110,110,255,110,110,110,255,110,110,110,255,110,110,110,255,110,110,110,255,54,54,54,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,110,110,110,255,112,112,112,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,124,124,124,255,118,118,118,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,126,126,126,255,121,121,121,255,90,90,90,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,34,34,34,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,124,124,124,255,109,109,109,255,76,76,76,255,110,110,110,255,119,119,119,255,121,121,121,255,125,125,125,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255,127,127,127,255
 
 Orb orb;
 Vect2D velocity;
@@ -1,4 +1,4 @@
-//[100,100]102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,118,118,118,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,156,156,156,255,250,250,250,255,151,151,151,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,168,168,168,255,254,254,254,255,255,255,255,255,250,250,250,255,141,141,141,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,181,181,181,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,246,246,246,255,132,132,132,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,103,103,103,255,194,194,194,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,241,241,241,255,123,123,123,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,106,106,106,255,205,205,205,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,235,235,235,255,117,117,117,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,110,110,110,255,216,216,216,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,228,228,228,255,111,111,111,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,115,115,115,255,225,225,225,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,219,219,219,255,107,107,107,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,121,121,121,255,233,233,233,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,209,209,209,255,104,104,104,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,129,129,129,255,240,240,240,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,198,198,198,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,138,138,138,255,245,245,245,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,186,186,186,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,147,147,147,255,249,249,249,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,173,173,173,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,159,159,159,255,252,252,252,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,160,160,160,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,171,171,171,255,254,254,254,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,253,253,253,255,149,149,149,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,183,183,183,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,250,250,250,255,139,139,139,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,103,103,103,255,196,196,196,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,246,246,246,255,130,130,130,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,106,106,106,255,207,207,207,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,240,240,240,255,122,122,122,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,111,111,111,255,217,217,217,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,234,234,234,255,115,115,115,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,116,116,116,255,226,226,226,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,226,226,226,255,111,111,111,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,123,123,123,255,234,234,234,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,217,217,217,255,106,106,106,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,130,130,130,255,241,241,241,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,207,207,207,255,103,103,103,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,139,139,139,255,246,246,246,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,196,196,196,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,149,149,149,255,250,250,250,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,183,183,183,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,160,160,160,255,253,253,253,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,170,170,170,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,173,173,173,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,254,254,254,255,158,158,158,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,186,186,186,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,252,252,252,255,147,147,147,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,104,104,104,255,198,198,198,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,249,249,249,255,137,137,137,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,107,107,107,255,210,210,210,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,245,245,245,255,129,129,129,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,111,111,111,255,219,219,219,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,239,239,239,255,121,121,121,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,117,117,117,255,228,228,228,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,232,232,232,255,115,115,115,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,124,124,124,255,235,235,235,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,225,225,225,255,109,109,109,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,132,132,132,255,241,241,241,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,216,216,216,255,106,106,106,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,141,141,141,255,247,247,247,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,205,205,205,255,103,103,103,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,151,151,151,255,250,250,250,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,193,193,193,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,117,117,117,255,250,250,250,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,181,181,181,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,156,156,156,255,254,254,254,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,168,168,168,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,168,168,168,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,254,254,254,255,156,156,156,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,181,181,181,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,250,250,250,255,117,117,117,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,194,194,194,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,250,250,250,255,151,151,151,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,103,103,103,255,205,205,205,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,246,246,246,255,141,141,141,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,106,106,106,255,216,216,216,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,241,241,241,255,132,132,132,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,110,110,110,255,225,225,225,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,235,235,235,255,123,123,123,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,115,115,115,255,233,233,233,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,228,228,228,255,117,117,117,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,121,121,121,255,240,240,240,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,219,219,219,255,111,111,111,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,129,129,129,255,245,245,245,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,209,209,209,255,107,107,107,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,138,138,138,255,249,249,249,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,198,198,198,255,104,104,104,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,147,147,147,255,252,252,252,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,186,186,186,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,159,159,159,255,254,254,254,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,173,173,173,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,171,171,171,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,253,253,253,255,160,160,160,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,183,183,183,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,250,250,250,255,149,149,149,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,196,196,196,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,246,246,246,255,139,139,139,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,103,103,103,255,207,207,207,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,240,240,240,255,130,130,130,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,106,106,106,255,217,217,217,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,234,234,234,255,122,122,122,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,111,111,111,255,226,226,226,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,226,226,226,255,115,115,115,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,116,116,116,255,234,234,234,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,217,217,217,255,111,111,111,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,123,123,123,255,241,241,241,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,207,207,207,255,106,106,106,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,130,130,130,255,246,246,246,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,196,196,196,255,103,103,103,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,139,139,139,255,250,250,250,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,184,184,184,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,149,149,149,255,253,253,253,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,254,254,254,255,170,170,170,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,160,160,160,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,252,252,252,255,158,158,158,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,173,173,173,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,249,249,249,255,147,147,147,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,186,186,186,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,245,245,245,255,137,137,137,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,198,198,198,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,239,239,239,255,129,129,129,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,104,104,104,255,210,210,210,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,232,232,232,255,121,121,121,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,107,107,107,255,219,219,219,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,225,225,225,255,115,115,115,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,111,111,111,255,228,228,228,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,216,216,216,255,109,109,109,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,117,117,117,255,235,235,235,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,205,205,205,255,106,106,106,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,124,124,124,255,241,241,241,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,193,193,193,255,103,103,103,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,132,132,132,255,247,247,247,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,181,181,181,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,141,141,141,255,250,250,250,255,255,255,255,255,254,254,254,255,168,168,168,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,151,151,151,255,250,250,250,255,156,156,156,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,117,117,117,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255
+//[100,100]102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,152,152,152,255,169,169,169,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,143,143,143,255,224,224,224,255,255,255,255,255,250,250,250,255,117,117,117,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,135,135,135,255,215,215,215,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,193,193,193,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,126,126,126,255,207,207,207,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,252,252,252,255,124,124,124,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,119,119,119,255,197,197,197,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,203,203,203,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,114,114,114,255,187,187,187,255,251,251,251,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,131,131,131,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,110,110,110,255,178,178,178,255,247,247,247,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,212,212,212,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,106,106,106,255,170,170,170,255,243,243,243,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,140,140,140,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,160,160,160,255,238,238,238,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,221,221,221,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,150,150,150,255,231,231,231,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,149,149,149,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,142,142,142,255,222,222,222,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,229,229,229,255,103,103,103,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,133,133,133,255,214,214,214,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,158,158,158,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,124,124,124,255,205,205,205,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,236,236,236,255,106,106,106,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,118,118,118,255,194,194,194,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,168,168,168,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,113,113,113,255,186,186,186,255,251,251,251,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,242,242,242,255,109,109,109,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,109,109,109,255,177,177,177,255,246,246,246,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,177,177,177,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,105,105,105,255,168,168,168,255,242,242,242,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,246,246,246,255,114,114,114,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,158,158,158,255,238,238,238,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,186,186,186,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,149,149,149,255,230,230,230,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,250,250,250,255,119,119,119,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,140,140,140,255,221,221,221,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,195,195,195,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,131,131,131,255,212,212,212,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,253,253,253,255,126,126,126,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,123,123,123,255,203,203,203,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,204,204,204,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,117,117,117,255,193,193,193,255,254,254,254,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,132,132,132,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,171,171,171,255,250,250,250,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,214,214,214,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,153,153,153,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,142,142,142,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,224,224,224,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,223,223,223,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,143,143,143,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,151,151,151,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,215,215,215,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,230,230,230,255,104,104,104,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,134,134,134,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,160,160,160,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,206,206,206,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,237,237,237,255,106,106,106,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,127,127,127,255,253,253,253,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,169,169,169,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,197,197,197,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,243,243,243,255,110,110,110,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,120,120,120,255,251,251,251,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,178,178,178,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,188,188,188,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,247,247,247,255,114,114,114,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,114,114,114,255,247,247,247,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,188,188,188,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,178,178,178,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,251,251,251,255,120,120,120,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,110,110,110,255,243,243,243,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,197,197,197,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,169,169,169,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,253,253,253,255,127,127,127,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,106,106,106,255,237,237,237,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,206,206,206,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,160,160,160,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,134,134,134,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,104,104,104,255,230,230,230,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,215,215,215,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,151,151,151,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,143,143,143,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,223,223,223,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,224,224,224,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,142,142,142,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,153,153,153,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,214,214,214,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,250,250,250,255,171,171,171,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,132,132,132,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,254,254,254,255,193,193,193,255,117,117,117,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,204,204,204,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,203,203,203,255,123,123,123,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,126,126,126,255,253,253,253,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,212,212,212,255,131,131,131,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,195,195,195,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,221,221,221,255,140,140,140,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,119,119,119,255,250,250,250,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,230,230,230,255,149,149,149,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,186,186,186,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,238,238,238,255,158,158,158,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,114,114,114,255,246,246,246,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,242,242,242,255,168,168,168,255,105,105,105,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,177,177,177,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,246,246,246,255,177,177,177,255,109,109,109,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,109,109,109,255,242,242,242,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,251,251,251,255,186,186,186,255,113,113,113,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,168,168,168,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,194,194,194,255,118,118,118,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,106,106,106,255,236,236,236,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,205,205,205,255,124,124,124,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,158,158,158,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,214,214,214,255,133,133,133,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,103,103,103,255,229,229,229,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,222,222,222,255,142,142,142,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,149,149,149,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,231,231,231,255,150,150,150,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,221,221,221,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,238,238,238,255,160,160,160,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,140,140,140,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,243,243,243,255,170,170,170,255,106,106,106,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,212,212,212,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,247,247,247,255,178,178,178,255,110,110,110,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,131,131,131,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,251,251,251,255,187,187,187,255,114,114,114,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,203,203,203,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,197,197,197,255,119,119,119,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,124,124,124,255,252,252,252,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,207,207,207,255,126,126,126,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,193,193,193,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,255,215,215,215,255,135,135,135,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,117,117,117,255,250,250,250,255,255,255,255,255,224,224,224,255,143,143,143,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,169,169,169,255,152,152,152,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255,102,102,102,255
 
 void setup()
 {
@@ -1,4 +1,4 @@
-//[100,100]0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255
+//[100,100]0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,172,255,128,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,0,0,0,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,172,255,128,255,0,0,0,255,0,0,0,255,172,255,128,255,0,0,0,255,0,0,0,255,0,0,0,255
 
 World w;
 int numcells = 0;
@@ -1,3 +1,5 @@
+// knownFailureTicket: the ticket of a known failure. nodeFailure: why `node reftest`, which draws
+// the sketches with a software renderer, cannot pass the test; it is a known failure there only.
 var tests = [
   { path: "test-this.pde", tags: ["2D"] },
   { path: "test-this-class.pde", tags: ["2D"] },
@@ -7,7 +9,7 @@ var tests = [
   { path: "mixturegrid.pde", tags: ["3D"], knownFailureTicket: "1239" },
   { path: "moveeye.pde", tags: ["3D"], epsilonOverride: 0.06 },
   { path: "directional.pde", tags: ["3D"] },
-  { path: "disablestyle.pde", tags: ["2D"], epsilonOverride: 0.19 },
+  { path: "disablestyle.pde", tags: ["2D"], epsilonOverride: 0.19, nodeFailure: "the XML parser of lib/Browser.js does not read the entities of the SVG DTD" },
   { path: "icosahedron.pde", tags: ["3D"] },
   { path: "lights-off.pde", tags: ["3D"] },
   { path: "lights-on.pde", tags: ["3D"] },
@@ -21,14 +23,14 @@ var tests = [
   { path: "hue.pde", tags: ["2D"] },
   { path: "saturation.pde", tags: ["2D"] },
   { path: "brightness.pde", tags: ["2D"] },
-  { path: "radialgradient.pde", tags: ["2D"] },
-  { path: "wavegradient.pde", tags: ["2D"] },
+  { path: "radialgradient.pde", tags: ["2D"], nodeFailure: "the software renderer does not draw it as the browser canvas does" },
+  { path: "wavegradient.pde", tags: ["2D"], nodeFailure: "the software renderer does not draw it as the browser canvas does" },
   { path: "explode.pde", tags: ["3D"] },
-  { path: "multiple-particle-systems.pde", tags: ["2D"] },
+  { path: "multiple-particle-systems.pde", tags: ["2D"], nodeFailure: "the software renderer does not draw it as the browser canvas does" },
   { path: "pattern.pde", tags: ["2D"] },
   { path: "pixelarray.pde", tags: ["2D"] },
   { path: "pulses.pde", tags: ["2D"] },
-  { path: "smoke-particle-system.pde", tags: ["2D"] },
+  { path: "smoke-particle-system.pde", tags: ["2D"], nodeFailure: "the software renderer does not draw it as the browser canvas does" },
   { path: "zoom.pde", tags: ["3D"], epsilonOverride: 0.07 },
   { path: "tint-isImageDirty.pde", tags: ["2D"] },
   { path: "copy-no-source.pde", tags: ["2D", "BLEND"] },
@@ -95,7 +97,7 @@ var tests = [
   { path: "noise2d.pde", tags: ["2D", "Test Suite"] },
   { path: "noise3d.pde", tags: ["2D", "Test Suite"] },
   { path: "operator-precedence.pde", tags: ["2D", "Test Suite"] },
-  { path: "pointillism.pde", tags: ["2D", "Test Suite"] },
+  { path: "pointillism.pde", tags: ["2D", "Test Suite"], nodeFailure: "the software renderer does not draw it as the browser canvas does" },
   { path: "polar-to-cartesian.pde", tags: ["2D", "Test Suite"] },
   { path: "puff.pde", tags: ["2D", "Test Suite"], epsilonOverride: 0.07, knownFailureTicket: "1605" },
   { path: "random.pde", tags: ["2D", "Test Suite"] },
@@ -105,36 +107,36 @@ var tests = [
   { path: "scale.pde", tags: ["2D", "Test Suite"] },
   { path: "sequential.pde", tags: ["2D", "Test Suite"] },
   { path: "scribble-plotter.pde", tags: ["2D", "Test Suite"], epsilonOverride: 0.08 },
-  { path: "simple-particle-system.pde", tags: ["2D", "Test Suite"] },
+  { path: "simple-particle-system.pde", tags: ["2D", "Test Suite"], nodeFailure: "the software renderer does not draw it as the browser canvas does" },
   { path: "sine-and-cosine.pde", tags: ["2D", "Test Suite"] },
   { path: "sine.pde", tags: ["2D", "Test Suite"] },
   { path: "spore1.pde", tags: ["2D", "Test Suite"] },
   { path: "translate.pde", tags: ["2D", "Test Suite"] },
   { path: "vertices.pde", tags: ["2D", "Test Suite"] },
   { path: "wolfram.pde", tags: ["2D", "Test Suite"] },
-  { path: "pshape_ellipseMode.pde", tags: ["2D","SVG"] },
-  { path: "pshape_svg.pde", tags: ["2D","SVG"], epsilonOverride: 0.07 },
+  { path: "pshape_ellipseMode.pde", tags: ["2D","SVG"], nodeFailure: "the XML parser of lib/Browser.js does not read the entities of the SVG DTD" },
+  { path: "pshape_svg.pde", tags: ["2D","SVG"], epsilonOverride: 0.07, nodeFailure: "the XML parser of lib/Browser.js does not read the entities of the SVG DTD" },
   { path: "shearx.pde", tags: ["2D"] },
   { path: "sheary.pde", tags: ["2D"] },
-  { path: "loadShape-child-nesting.pde", tags: ["2D","SVG"] },
-  { path: "loadShape.pde", tags: ["2D","SVG"], epsilonOverride: 0.06 },
-  { path: "loadShape2.pde", tags: ["2D","SVG"], epsilonOverride: 0.08 },
-  { path: "loadShape3.pde", tags: ["2D","SVG"], epsilonOverride: 0.07 },
+  { path: "loadShape-child-nesting.pde", tags: ["2D","SVG"], nodeFailure: "the sketch is not in test/ref" },
+  { path: "loadShape.pde", tags: ["2D","SVG"], epsilonOverride: 0.06, nodeFailure: "the XML parser of lib/Browser.js does not read the entities of the SVG DTD" },
+  { path: "loadShape2.pde", tags: ["2D","SVG"], epsilonOverride: 0.08, nodeFailure: "the XML parser of lib/Browser.js does not read the entities of the SVG DTD" },
+  { path: "loadShape3.pde", tags: ["2D","SVG"], epsilonOverride: 0.07, nodeFailure: "the XML parser of lib/Browser.js does not read the entities of the SVG DTD" },
   { path: "loadShape4.pde", tags: ["2D","SVG"] },
-  { path: "loadShape5.pde", tags: ["2D","SVG"], epsilonOverride: 0.06 },
+  { path: "loadShape5.pde", tags: ["2D","SVG"], epsilonOverride: 0.06, nodeFailure: "the XML parser of lib/Browser.js does not read the entities of the SVG DTD" },
   { path: "loadShape6.pde", tags: ["2D","SVG"], knownFailureTicket: "1401" },
   { path: "loadShape7.pde", tags: ["2D","SVG", "Crisp"] },
-  { path: "loadShape9.pde", tags: ["2D","SVG"], epsilonOverride: 0.21 },
-  { path: "loadShape10.pde", tags: ["2D","SVG"], epsilonOverride: 0.12 },
+  { path: "loadShape9.pde", tags: ["2D","SVG"], epsilonOverride: 0.21, nodeFailure: "the XML parser of lib/Browser.js does not read the entities of the SVG DTD" },
+  { path: "loadShape10.pde", tags: ["2D","SVG"], epsilonOverride: 0.12, nodeFailure: "the XML parser of lib/Browser.js does not read the entities of the SVG DTD" },
   { path: "loadShape11.pde", tags: ["2D","SVG"], epsilonOverride: 0.14 },
   { path: "loadShape12.pde", tags: ["2D","SVG"] },
   { path: "loadShape13.pde", tags: ["2D","SVG"] },
   { path: "loadShape14.pde", tags: ["2D","SVG", "Crisp"] },
   { path: "loadShape15.pde", tags: ["2D","SVG"] },
-  { path: "loadShape16.pde", tags: ["2D","SVG"], epsilonOverride: 0.06 },
-  { path: "loadShape17.pde", tags: ["2D","SVG"], epsilonOverride: 0.06 },
-  { path: "loadShape18.pde", tags: ["2D","SVG"], epsilonOverride: 0.17 },
-  { path: "svg-buffered.pde", tags: ["2D","SVG"] },
+  { path: "loadShape16.pde", tags: ["2D","SVG"], epsilonOverride: 0.06, nodeFailure: "the software renderer does not draw it as the browser canvas does" },
+  { path: "loadShape17.pde", tags: ["2D","SVG"], epsilonOverride: 0.06, nodeFailure: "the software renderer does not draw it as the browser canvas does" },
+  { path: "loadShape18.pde", tags: ["2D","SVG"], epsilonOverride: 0.17, nodeFailure: "the XML parser of lib/Browser.js does not read the entities of the SVG DTD" },
+  { path: "svg-buffered.pde", tags: ["2D","SVG"], nodeFailure: "the XML parser of lib/Browser.js does not read the entities of the SVG DTD" },
   { path: "blur.pde", tags: ["2D","Convolution"] },
   { path: "edgedetect.pde", tags: ["2D","Convolution"] },
   { path: "size-3d.pde", tags: ["3D"] },
@@ -185,61 +187,61 @@ var tests = [
   { path: "true-false.pde", tags: ["2D", "Crisp"] },
   { path: "variable-scope.pde", tags: ["2D", "Crisp"] },
   { path: "variables.pde", tags: ["2D", "Crisp"], epsilonOverride: 0.06 },
-  { path: "string-codepointat.pde", tags: ["2D", "Text"], epsilonOverride: 0.20 },
-  { path: "string-equalsignorecase.pde", tags: ["2D", "Text"], epsilonOverride: 0.20 },
-  { path: "text-pushpopstyle.pde", tags: ["2D", "Text"], epsilonOverride: 0.35 }, /* See ticket #1172 */
+  { path: "string-codepointat.pde", tags: ["2D", "Text"], epsilonOverride: 0.20, nodeFailure: "the software renderer does not draw text" },
+  { path: "string-equalsignorecase.pde", tags: ["2D", "Text"], epsilonOverride: 0.20, nodeFailure: "the software renderer does not draw text" },
+  { path: "text-pushpopstyle.pde", tags: ["2D", "Text"], epsilonOverride: 0.35, nodeFailure: "the software renderer does not draw text" }, /* See ticket #1172 */
   { path: "text-width.pde", tags:["2D", "Text"], epsilonOverride: 0.20, knownFailureTicket: "1705" }, /* See ticket #1172 */
-  { path: "text-boxed-left-top.pde", tags:["2D", "Text"], epsilonOverride: 0.19 }, /* See ticket #1172 */
-  { path: "text-boxed-left-center.pde", tags:["2D", "Text"], epsilonOverride: 0.21 }, /* See ticket #1172 */
-  { path: "text-boxed-left-bottom.pde", tags:["2D", "Text"], epsilonOverride: 0.19 }, /* See ticket #1172 */
-  { path: "text-boxed-center-top.pde", tags:["2D", "Text"], epsilonOverride: 0.18 }, /* See ticket #1172 */
-  { path: "text-boxed-center-center.pde", tags:["2D", "Text"], epsilonOverride: 0.18 }, /* See ticket #1172 */
-  { path: "text-boxed-center-bottom.pde", tags:["2D", "Text"], epsilonOverride: 0.18 }, /* See ticket #1172 */
-  { path: "text-boxed-right-top.pde", tags:["2D", "Text"], epsilonOverride: 0.21 }, /* See ticket #1172 */
-  { path: "text-boxed-right-center.pde", tags:["2D", "Text"], epsilonOverride: 0.23 }, /* See ticket #1172 */
-  { path: "text-boxed-right-bottom.pde", tags:["2D", "Text"], epsilonOverride: 0.21 }, /* See ticket #1172 */
-  { path: "text-boxed-vcenter.pde", tags:["2D", "Text"], epsilonOverride: 0.16 }, /* See ticket #1172 */
-  { path: "text-unboxed-left-top.pde", tags:["2D", "Text"], epsilonOverride: 0.15 }, /* See ticket #1172 */
+  { path: "text-boxed-left-top.pde", tags:["2D", "Text"], epsilonOverride: 0.19, nodeFailure: "the software renderer does not draw text" }, /* See ticket #1172 */
+  { path: "text-boxed-left-center.pde", tags:["2D", "Text"], epsilonOverride: 0.21, nodeFailure: "the software renderer does not draw text" }, /* See ticket #1172 */
+  { path: "text-boxed-left-bottom.pde", tags:["2D", "Text"], epsilonOverride: 0.19, nodeFailure: "the software renderer does not draw text" }, /* See ticket #1172 */
+  { path: "text-boxed-center-top.pde", tags:["2D", "Text"], epsilonOverride: 0.18, nodeFailure: "the software renderer does not draw text" }, /* See ticket #1172 */
+  { path: "text-boxed-center-center.pde", tags:["2D", "Text"], epsilonOverride: 0.18, nodeFailure: "the software renderer does not draw text" }, /* See ticket #1172 */
+  { path: "text-boxed-center-bottom.pde", tags:["2D", "Text"], epsilonOverride: 0.18, nodeFailure: "the software renderer does not draw text" }, /* See ticket #1172 */
+  { path: "text-boxed-right-top.pde", tags:["2D", "Text"], epsilonOverride: 0.21, nodeFailure: "the software renderer does not draw text" }, /* See ticket #1172 */
+  { path: "text-boxed-right-center.pde", tags:["2D", "Text"], epsilonOverride: 0.23, nodeFailure: "the software renderer does not draw text" }, /* See ticket #1172 */
+  { path: "text-boxed-right-bottom.pde", tags:["2D", "Text"], epsilonOverride: 0.21, nodeFailure: "the software renderer does not draw text" }, /* See ticket #1172 */
+  { path: "text-boxed-vcenter.pde", tags:["2D", "Text"], epsilonOverride: 0.16, nodeFailure: "the software renderer does not draw text" }, /* See ticket #1172 */
+  { path: "text-unboxed-left-top.pde", tags:["2D", "Text"], epsilonOverride: 0.15, nodeFailure: "the software renderer does not draw text" }, /* See ticket #1172 */
   { path: "text-unboxed-left-top-3D.pde", tags:["3D", "Text"], knownFailureTicket: "750" },
   { path: "text-unboxed-left-center.pde", tags:["2D", "Text"], epsilonOverride: 0.11, knownFailureTicket: "1684" }, /* See ticket #1172 */
   { path: "text-unboxed-left-center-3D.pde", tags:["3D", "Text"], knownFailureTicket: "750" },
-  { path: "text-unboxed-left-bottom.pde", tags:["2D", "Text"], epsilonOverride: 0.15 }, /* See ticket #1172 */
+  { path: "text-unboxed-left-bottom.pde", tags:["2D", "Text"], epsilonOverride: 0.15, nodeFailure: "the software renderer does not draw text" }, /* See ticket #1172 */
   { path: "text-unboxed-left-bottom-3D.pde", tags:["3D", "Text"], knownFailureTicket: "750" },
-  { path: "text-unboxed-center-top.pde", tags:["2D", "Text"], epsilonOverride: 0.17 }, /* See ticket #1172 */
+  { path: "text-unboxed-center-top.pde", tags:["2D", "Text"], epsilonOverride: 0.17, nodeFailure: "the software renderer does not draw text" }, /* See ticket #1172 */
   { path: "text-unboxed-center-top-3D.pde", tags:["3D", "Text"], knownFailureTicket: "750" },
   { path: "text-unboxed-center-center.pde", tags:["2D", "Text"], epsilonOverride: 0.12, knownFailureTicket: "1684" }, /* See ticket #1172 */
   { path: "text-unboxed-center-center-3D.pde", tags:["3D", "Text"], knownFailureTicket: "750" },
-  { path: "text-unboxed-center-bottom.pde", tags:["2D", "Text"], epsilonOverride: 0.17 }, /* See ticket #1172 */
+  { path: "text-unboxed-center-bottom.pde", tags:["2D", "Text"], epsilonOverride: 0.17, nodeFailure: "the software renderer does not draw text" }, /* See ticket #1172 */
   { path: "text-unboxed-center-bottom-3D.pde", tags:["3D", "Text"], knownFailureTicket: "750" },
-  { path: "text-unboxed-right-top.pde", tags:["2D", "Text"], epsilonOverride: 0.15 }, /* See ticket #1172 */
+  { path: "text-unboxed-right-top.pde", tags:["2D", "Text"], epsilonOverride: 0.15, nodeFailure: "the software renderer does not draw text" }, /* See ticket #1172 */
   { path: "text-unboxed-right-top-3D.pde", tags:["3D", "Text"], knownFailureTicket: "750" },
   { path: "text-unboxed-right-center.pde", tags:["2D", "Text"], epsilonOverride: 0.13, knownFailureTicket: "1684" }, /* See ticket #1172 */
   { path: "text-unboxed-right-center-3D.pde", tags:["3D", "Text"], knownFailureTicket: "750" },
-  { path: "text-unboxed-right-bottom.pde", tags:["2D", "Text"], epsilonOverride: 0.15 }, /* See ticket #1172 */
+  { path: "text-unboxed-right-bottom.pde", tags:["2D", "Text"], epsilonOverride: 0.15, nodeFailure: "the software renderer does not draw text" }, /* See ticket #1172 */
   { path: "text-unboxed-right-bottom-3D.pde", tags:["3D", "Text"], knownFailureTicket: "750" },
   { path: "text-defaults.pde", tags: ["2D", "Text"], epsilonOverride: 0.10 }, /* See ticket #1172 */
   { path: "text-defaults-3D.pde", tags: ["3D", "Text"], knownFailureTicket: "750" },
-  { path: "text-ascent-descent.pde", tags: ["2D", "Text", "Crisp"], epsilonOverride: 0.09 }, /* See ticket #1172 */
+  { path: "text-ascent-descent.pde", tags: ["2D", "Text", "Crisp"], epsilonOverride: 0.09, nodeFailure: "the software renderer does not draw text" }, /* See ticket #1172 */
   { path: "text-ascent-descent-3D.pde", tags: ["3D", "Text"], knownFailureTicket: "750" },
-  { path: "text-size-recache.pde", tags: ["2D", "Text"], epsilonOverride: 0.11 }, /* See ticket #1172 */
-  { path: "text-align.pde", tags: ["2D", "Text"], epsilonOverride: 0.14 }, /* See ticket #1172 */
-  { path: "text-leading.pde", tags: ["2D", "Text"], epsilonOverride: 0.22 }, /* See ticket #1172 */
-  { path: "text-font-fromfile.pde", tags: ["2D", "Text"], epsilonOverride: 0.22 }, /* See ticket #1172 */
-  { path: "text-font-fromfile.pde", tags: ["2D", "Text"], epsilonOverride: 0.22 }, /* repeated, to test reuse of font-face loaded fonts*/
-  { path: "text-valign-BOTTOM.pde", tags: ["2D", "Text"], epsilonOverride: 0.12 }, /* See ticket #1172 */
-  { path: "text-valign-BOTTOM-m.pde", tags: ["2D", "Text"], epsilonOverride: 0.13 }, /* See ticket #1172 */
+  { path: "text-size-recache.pde", tags: ["2D", "Text"], epsilonOverride: 0.11, nodeFailure: "the software renderer does not draw text" }, /* See ticket #1172 */
+  { path: "text-align.pde", tags: ["2D", "Text"], epsilonOverride: 0.14, nodeFailure: "the software renderer does not draw text" }, /* See ticket #1172 */
+  { path: "text-leading.pde", tags: ["2D", "Text"], epsilonOverride: 0.22, nodeFailure: "the software renderer does not draw text" }, /* See ticket #1172 */
+  { path: "text-font-fromfile.pde", tags: ["2D", "Text"], epsilonOverride: 0.22, nodeFailure: "the software renderer does not draw text" }, /* See ticket #1172 */
+  { path: "text-font-fromfile.pde", tags: ["2D", "Text"], epsilonOverride: 0.22, nodeFailure: "the software renderer does not draw text" }, /* repeated, to test reuse of font-face loaded fonts*/
+  { path: "text-valign-BOTTOM.pde", tags: ["2D", "Text"], epsilonOverride: 0.12, nodeFailure: "the software renderer does not draw text" }, /* See ticket #1172 */
+  { path: "text-valign-BOTTOM-m.pde", tags: ["2D", "Text"], epsilonOverride: 0.13, nodeFailure: "the software renderer does not draw text" }, /* See ticket #1172 */
   { path: "text-valign-BASELINE.pde", tags: ["2D", "Text"], epsilonOverride: 0.17 }, /* See ticket #1172 */
   { path: "text-valign-BASELINE-m.pde", tags: ["2D", "Text"], epsilonOverride: 0.17 }, /* See ticket #1172 */
-  { path: "text-valign-CENTER.pde", tags: ["2D", "Text"], epsilonOverride: 0.14 }, /* See ticket #1172 */
-  { path: "text-valign-CENTER-m.pde", tags: ["2D", "Text"], epsilonOverride: 0.12 }, /* See ticket #1172 */
-  { path: "text-valign-TOP.pde", tags: ["2D", "Text"], epsilonOverride: 0.11 }, /* See ticket #1172 */
-  { path: "text-valign-TOP-m.pde", tags: ["2D", "Text"], epsilonOverride: 0.11 }, /* See ticket #1172 */
-  { path: "text-pfont.pde", tags: ["2D", "Text"], epsilonOverride: 0.30 }, /* See ticket #1172 */
-  { path: "letters.pde", tags: ["2D", "Text"], epsilonOverride: 0.45 }, /* See ticket #1172 */
-  { path: "words.pde", tags: ["2D", "Text"], epsilonOverride: 0.25 }, /* See ticket #1172 */
-  { path: "text-pushpopstyle.pde", tags: ["2D", "Text"], epsilonOverride: 0.35 }, /* See ticket #1172 */
+  { path: "text-valign-CENTER.pde", tags: ["2D", "Text"], epsilonOverride: 0.14, nodeFailure: "the software renderer does not draw text" }, /* See ticket #1172 */
+  { path: "text-valign-CENTER-m.pde", tags: ["2D", "Text"], epsilonOverride: 0.12, nodeFailure: "the software renderer does not draw text" }, /* See ticket #1172 */
+  { path: "text-valign-TOP.pde", tags: ["2D", "Text"], epsilonOverride: 0.11, nodeFailure: "the software renderer does not draw text" }, /* See ticket #1172 */
+  { path: "text-valign-TOP-m.pde", tags: ["2D", "Text"], epsilonOverride: 0.11, nodeFailure: "the software renderer does not draw text" }, /* See ticket #1172 */
+  { path: "text-pfont.pde", tags: ["2D", "Text"], epsilonOverride: 0.30, nodeFailure: "the software renderer does not draw text" }, /* See ticket #1172 */
+  { path: "letters.pde", tags: ["2D", "Text"], epsilonOverride: 0.45, nodeFailure: "the software renderer does not draw text" }, /* See ticket #1172 */
+  { path: "words.pde", tags: ["2D", "Text"], epsilonOverride: 0.25, nodeFailure: "the software renderer does not draw text" }, /* See ticket #1172 */
+  { path: "text-pushpopstyle.pde", tags: ["2D", "Text"], epsilonOverride: 0.35, nodeFailure: "the software renderer does not draw text" }, /* See ticket #1172 */
   { path: "setup-noFill-noStroke.pde", tags: ["2D"]}, /* See ticket #1417 */
-  { path: "svg_font_biotyp.pde", tags: ["2D", "Text"] },
+  { path: "svg_font_biotyp.pde", tags: ["2D", "Text"], nodeFailure: "the software renderer does not draw text" },
   { path: "box-rotating.pde", tags: ["3D"], epsilonOverride: 0.10 },
   { path: "translate-rect.pde", tags: ["2D", "Crisp"] },
   { path: "arc-tangent.pde",  tags: ["2D"] },
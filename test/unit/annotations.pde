@@ -0,0 +1,26 @@
+// Annotations on classes, methods and fields compile, and are ignored.
+
+@SuppressWarnings("serial")
+class Shape {
+  @Deprecated
+  float size = 2;
+
+  @Override
+  public String toString() {
+    return "shape";
+  }
+}
+
+class Square extends Shape {
+  @Override public String toString() { return "square"; }
+
+  @SuppressWarnings({"unchecked", "rawtypes"})
+  float area() {
+    return size * size;
+  }
+}
+
+_checkEqual("shape", new Shape().toString());
+_checkEqual("square", new Square().toString());
+_checkEqual(4, new Square().area());
+_checkEqual(0, externals.sketch.diagnostics.length);
@@ -0,0 +1,83 @@
+// Collections and Arrays, and String.compareTo()
+
+class Player implements Comparable<Player> {
+  String name;
+  int score;
+  Player(String name, int score) {
+    this.name = name;
+    this.score = score;
+  }
+  int compareTo(Player other) {
+    return score - other.score;
+  }
+  String toString() {
+    return name;
+  }
+}
+
+_checkTrue("apple".compareTo("banana") < 0);
+_checkEqual(0, "pear".compareTo("pear"));
+_checkEqual(-2, "ab".compareTo("abcd"));
+
+ArrayList<Player> players = new ArrayList<Player>();
+players.add(new Player("d", 2));
+players.add(new Player("a", 1));
+players.add(new Player("b", 2));
+players.add(new Player("c", 1));
+Collections.sort(players);
+_checkEqual("[a, c, d, b]", Arrays.toString(players.toArray()));
+Collections.sort(players, (p1, p2) -> p1.name.compareTo(p2.name));
+_checkEqual("[a, b, c, d]", Arrays.toString(players.toArray()));
+Collections.sort(players, Collections.reverseOrder());
+_checkEqual("[b, d, a, c]", Arrays.toString(players.toArray()));
+_checkEqual("a", Collections.min(players).name);
+_checkEqual("d", Collections.max(players, (p1, p2) -> p1.name.compareTo(p2.name)).name);
+Collections.reverse(players);
+_checkEqual("[c, a, d, b]", Arrays.toString(players.toArray()));
+Collections.swap(players, 0, 3);
+_checkEqual("[b, a, d, c]", Arrays.toString(players.toArray()));
+Collections.shuffle(players, new Random(1));
+_checkEqual(4, players.size());
+_checkThrows(function() { Collections.max(new ArrayList()); });
+
+ArrayList<String> words = new ArrayList<String>();
+Collections.addAll(words, "pear", "fig", "apple", "fig");
+Collections.sort(words);
+_checkEqual("[apple, fig, fig, pear]", Arrays.toString(words.toArray()));
+_checkEqual(2, Collections.frequency(words, "fig"));
+_checkEqual(3, Collections.binarySearch(words, "pear"));
+_checkEqual(-1, Collections.binarySearch(words, "a"));
+
+int[] numbers = new int[5];
+Arrays.fill(numbers, 7);
+_checkEqual("[7, 7, 7, 7, 7]", Arrays.toString(numbers));
+numbers = new int[] { 5, 3, 9, 1, 3 };
+Arrays.sort(numbers);
+_checkEqual("[1, 3, 3, 5, 9]", Arrays.toString(numbers));
+_checkEqual(3, Arrays.binarySearch(numbers, 5));
+_checkEqual("[1, 3, 3, 5, 9, 0, 0]", Arrays.toString(Arrays.copyOf(numbers, 7)));
+_checkEqual("[3, 3]", Arrays.toString(Arrays.copyOfRange(numbers, 1, 3)));
+_checkTrue(Arrays.equals(numbers, new int[] { 1, 3, 3, 5, 9 }));
+_checkFalse(Arrays.equals(numbers, new int[] { 1, 3, 3, 5 }));
+_checkEqual("null", Arrays.toString(null));
+
+Player[] team = { new Player("x", 3), new Player("y", 1), new Player("z", 3) };
+Arrays.sort(team, (p1, p2) -> p2.score - p1.score);
+_checkEqual("[x, z, y]", Arrays.toString(team));
+String[] names = { "b", "c", "a" };
+Arrays.sort(names, 1, 3);
+_checkEqual("[b, a, c]", Arrays.toString(names));
+List<String> list = Arrays.asList("x", "y");
+_checkEqual(2, list.size());
+_checkEqual("y", list.get(1));
+_checkThrows(function() { Arrays.sort(names, 2, 1); });
+
+// float and double arrays are printed and sorted as Java does
+float[] decimals = { 3, 1, 2.5 };
+_checkEqual("[3.0, 1.0, 2.5]", Arrays.toString(decimals));
+_checkEqual("[0.0, 0.0]", Arrays.toString(new float[2]));
+_checkEqual("[0.0, 0.0, 0.0]", Arrays.toString(Arrays.copyOf(new double[2], 3)));
+_checkEqual("[[1.0, 0.5], [2]]", Arrays.deepToString(new Object[] { new float[] { 1, 0.5 }, new int[] { 2 } }));
+double[] zeros = { 0.0, -0.0, 1, NaN, -1 };
+Arrays.sort(zeros);
+_checkEqual("[-1.0, -0.0, 0.0, 1.0, NaN]", Arrays.toString(zeros));
@@ -0,0 +1,29 @@
+// beginRaw() captures the 3D geometry as it is transformed, without rendering it
+size(100, 100, P3D);
+resetMatrix();
+beginRaw(OBJ, "box.obj");
+noStroke();
+translate(10, 0, 0);
+box(2);
+String obj = endRaw();
+
+// the corners are shared by the twelve triangles of the faces
+String[] lines = split(obj, "\n");
+int vertexCount = 0, faceCount = 0;
+for (int i = 0; i < lines.length; i++) {
+  if (lines[i].startsWith("v ")) { vertexCount++; }
+  if (lines[i].startsWith("f ")) { faceCount++; }
+}
+_checkEqual(8, vertexCount);
+_checkEqual(12, faceCount);
+_checkTrue(obj.indexOf("v 11 1 -1\n") >= 0);
+_checkEqual(obj, join(loadStrings("box.obj"), "\n") + "\n");
+
+beginRaw(DXF, "line.dxf");
+stroke(0);
+line(0, 0, 0, 1, 2, 3);
+String dxf = endRaw();
+_checkEqual("0\nSECTION\n2\nENTITIES\n0\nLINE\n8\n0\n10\n10\n20\n0\n30\n0\n11\n11\n21\n2\n31\n3\n0\nENDSEC\n0\nEOF\n", dxf);
+
+_checkTrue(endRaw() == null);
+_checkThrows(function() { beginRaw(PDF, "raw.pdf"); });
@@ -0,0 +1,38 @@
+// beginRecord() records the drawing as an SVG document
+size(100, 100);
+beginRecord(SVG, "recorded.svg");
+fill(255, 0, 0);
+stroke(0, 0, 255);
+strokeWeight(3);
+rect(10, 20, 30, 40);
+noFill();
+pushMatrix();
+translate(50, 50);
+line(0, 0, 10, 10);
+popMatrix();
+fill(0);
+text("a < b", 5, 95);
+String svg = endRecord();
+
+_checkTrue(svg.indexOf("<svg xmlns=\"http://www.w3.org/2000/svg\"") >= 0);
+_checkTrue(svg.indexOf("width=\"100\" height=\"100\"") >= 0);
+// filled and stroked at once
+_checkTrue(svg.indexOf("<path d=\"M10 20L40 20L40 60L10 60Z\"") >= 0);
+_checkTrue(svg.indexOf("fill=\"rgb(255,0,0)\" stroke=\"rgb(0,0,255)\" stroke-width=\"3\"") >= 0);
+_checkTrue(svg.indexOf("<path d=\"M0 0L10 10\" transform=\"matrix(1 0 0 1 50 50)\" fill=\"none\"") >= 0);
+_checkTrue(svg.indexOf(">a &lt; b</text>") >= 0);
+
+// the document is saved, and the drawing is no longer recorded
+_checkEqual(svg, join(loadStrings("recorded.svg"), "\n") + "\n");
+_checkTrue(endRecord() == null);
+
+_checkThrows(function() { beginRecord(PDF, "recorded.pdf"); });
+
+// SVG 1.1 has no transform on <svg>, the nested document of an image is in a group
+PImage img = createImage(4, 4, RGB);
+beginRecord(SVG, "image.svg");
+translate(20, 30);
+image(img, 5, 5);
+svg = endRecord();
+_checkTrue(svg.indexOf("<g transform=\"matrix(1 0 0 1 20 30)\">\n    <svg x=\"5\" y=\"5\" width=\"4\" height=\"4\"") >= 0);
+_checkTrue(svg.indexOf("<svg x=\"5\" y=\"5\" width=\"4\" height=\"4\" viewBox=\"0 0 4 4\" preserveAspectRatio=\"none\">") >= 0);
@@ -0,0 +1,109 @@
+// every catch clause of a try statement handles its own exception types
+
+class OutOfInkException extends Exception {
+  int missing;
+
+  OutOfInkException(int missing) {
+    super("missing " + missing);
+    this.missing = missing;
+  }
+}
+
+String handle(int kind) {
+  try {
+    if (kind == 0) {
+      throw new NumberFormatException("not a number");
+    } else if (kind == 1) {
+      throw new FileNotFoundException("data.csv");
+    } else if (kind == 2) {
+      throw new IllegalStateException("not ready");
+    } else if (kind == 3) {
+      throw new OutOfInkException(3);
+    }
+    return "none";
+  } catch (NumberFormatException e) {
+    return "number: " + e.getMessage();
+  } catch (IOException | IllegalStateException e) {
+    return "io or state: " + e.getMessage();
+  } catch (Exception other) {
+    return "other: " + other.getMessage();
+  }
+}
+
+_checkEqual("none", handle(-1));
+_checkEqual("number: not a number", handle(0));
+_checkEqual("io or state: data.csv", handle(1));
+_checkEqual("io or state: not ready", handle(2));
+_checkEqual("other: missing 3", handle(3));
+
+// exceptions that are not caught are thrown again
+int finallyCount = 0;
+void parse(String text) {
+  try {
+    throw new ArithmeticException(text);
+  } catch (IllegalArgumentException e) {
+    _checkTrue(false);
+  } finally {
+    finallyCount++;
+  }
+}
+_checkThrows(function() { parse("1 / 0"); });
+_checkEqual(1, finallyCount);
+
+try {
+  parse("/ by zero");
+} catch (RuntimeException e) {
+  _checkEqual("java.lang.ArithmeticException: / by zero", e.toString());
+}
+
+// user exceptions keep their fields and their base class methods
+try {
+  throw new OutOfInkException(5);
+} catch (OutOfInkException e) {
+  _checkEqual(5, e.missing);
+  _checkEqual("missing 5", e.getMessage());
+  _checkTrue(e instanceof Exception);
+}
+
+// errors of JavaScript are runtime exceptions
+String nullMessage = null;
+try {
+  Object nothing = null;
+  nothing.toString();
+} catch (NullPointerException e) {
+  nullMessage = "caught";
+}
+_checkEqual("caught", nullMessage);
+
+Throwable cause = new IllegalStateException("cause");
+_checkTrue(new RuntimeException("wrapper", cause).getCause() == cause);
+
+// errors are not exceptions, and running out of stack is a StackOverflowError
+int recurse(int depth) {
+  return recurse(depth + 1) + 1;
+}
+String overflow = null;
+try {
+  recurse(0);
+} catch (Exception e) {
+  overflow = "exception";
+} catch (StackOverflowError e) {
+  overflow = "stack";
+}
+_checkEqual("stack", overflow);
+
+try {
+  throw new AssertionError("broken");
+} catch (Error e) {
+  _checkEqual("java.lang.AssertionError: broken", e.toString());
+  _checkFalse(e instanceof Exception);
+}
+
+// the exceptions of Java libraries are not defined, their clauses catch anything
+String unknown = null;
+try {
+  throw new IllegalStateException("parse");
+} catch (ParseException e) {
+  unknown = e.getMessage();
+}
+_checkEqual("parse", unknown);
@@ -0,0 +1,130 @@
+// LinkedList, ArrayDeque, HashSet, LinkedHashSet, LinkedHashMap, TreeMap, TreeSet and PriorityQueue
+
+class Node implements Comparable<Node> {
+  String name;
+  float cost;
+  Node(String name, float cost) {
+    this.name = name;
+    this.cost = cost;
+  }
+  int compareTo(Node other) {
+    return cost < other.cost ? -1 : cost > other.cost ? 1 : 0;
+  }
+}
+
+class Cache extends LinkedHashMap<String, Integer> {
+  int capacity;
+  Cache(int capacity) {
+    super(16, 0.75, true);
+    this.capacity = capacity;
+  }
+  boolean removeEldestEntry(Map.Entry eldest) {
+    return this.size() > capacity;
+  }
+}
+
+LinkedList<String> queue = new LinkedList<String>();
+queue.offer("b");
+queue.addFirst("a");
+queue.addLast("c");
+_checkEqual("a", queue.peek());
+_checkEqual("c", queue.getLast());
+_checkEqual("a", queue.poll());
+_checkEqual("c", queue.removeLast());
+_checkEqual(1, queue.size());
+_checkEqual("b", queue.remove());
+_checkTrue(queue.poll() == null);
+_checkThrows(function() { queue.removeFirst(); });
+
+ArrayDeque<Integer> stack = new ArrayDeque<Integer>();
+stack.push(1);
+stack.push(2);
+_checkEqual(2, stack.pop());
+_checkEqual(1, stack.peekLast());
+_checkThrows(function() { stack.push(null); });
+
+HashSet<String> seen = new HashSet<String>();
+_checkTrue(seen.add("x"));
+_checkFalse(seen.add("x"));
+seen.addAll(new String[] { "y", "z" });
+_checkEqual(3, seen.size());
+_checkTrue(seen.contains("y"));
+ArrayList<String> keep = new ArrayList<String>();
+keep.add("x");
+keep.add("z");
+_checkTrue(seen.retainAll(keep));
+_checkEqual(2, seen.size());
+_checkTrue(seen.containsAll(keep));
+seen.removeAll(keep);
+_checkTrue(seen.isEmpty());
+
+LinkedHashSet<String> ordered = new LinkedHashSet<String>();
+ordered.add("pear");
+ordered.add("apple");
+ordered.add("fig");
+ordered.add("apple");
+Iterator<String> it = ordered.iterator();
+while (it.hasNext()) {
+  if (it.next().equals("apple")) {
+    it.remove();
+  }
+}
+_checkEqual("[pear, fig]", ordered.toString());
+_checkEqual(2, ordered.toArray().length);
+
+LinkedHashMap<String, Integer> cache = new Cache(2);
+cache.put("a", 1);
+cache.put("b", 2);
+cache.get("a");
+cache.put("c", 3);
+_checkFalse(cache.containsKey("b"));
+String keys = "";
+for (String key : cache.keySet()) {
+  keys += key;
+}
+_checkEqual("ac", keys);
+
+TreeMap<String, Integer> scores = new TreeMap<String, Integer>();
+scores.put("carol", 3);
+scores.put("alice", 1);
+scores.put("bob", 2);
+_checkEqual("{alice=1, bob=2, carol=3}", scores.toString());
+_checkEqual("alice", scores.firstKey());
+_checkEqual("bob", scores.floorKey("bz"));
+_checkEqual("carol", scores.higherKey("bob"));
+_checkTrue(scores.higherKey("carol") == null);
+_checkEqual(2, scores.headMap("carol").size());
+Map.Entry last = scores.pollLastEntry();
+_checkEqual(3, last.getValue());
+_checkEqual(2, scores.size());
+
+TreeMap<String, Integer> byLength = new TreeMap<String, Integer>((a, b) -> b.length() - a.length());
+byLength.put("hi", 1);
+byLength.put("hello", 2);
+byLength.put("yo", 3);
+_checkEqual("hello", byLength.firstKey());
+_checkEqual(3, byLength.get("hi"));
+
+TreeSet<Integer> numbers = new TreeSet<Integer>();
+numbers.add(5);
+numbers.add(1);
+numbers.add(3);
+_checkEqual(1, numbers.first());
+_checkEqual(3, numbers.ceiling(2));
+_checkEqual("[1, 3]", numbers.headSet(5).toString());
+
+PriorityQueue<Node> open = new PriorityQueue<Node>();
+open.add(new Node("c", 3));
+open.add(new Node("a", 1));
+open.add(new Node("d", 4));
+open.add(new Node("b", 2));
+String order = "";
+while (!open.isEmpty()) {
+  order += open.poll().name;
+}
+_checkEqual("abcd", order);
+
+PriorityQueue<Node> farthest = new PriorityQueue<Node>(11, (a, b) -> a.cost > b.cost ? -1 : 1);
+farthest.addAll(new Node[] { new Node("near", 1), new Node("far", 9) });
+_checkEqual("far", farthest.peek().name);
+_checkTrue(new PriorityQueue<Node>().poll() == null);
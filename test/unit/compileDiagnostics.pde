@@ -0,0 +1,21 @@
+// Modifiers without meaning in Processing.js compile with a warning,
+// which is reported at the position of the modifier.
+
+class Particle {
+  float x;
+  transient float cache;
+
+  Particle(float x) {
+    this.x = x;
+  }
+}
+
+Particle particle = new Particle(3);
+_checkEqual(3, particle.x);
+
+var diagnostics = externals.sketch.diagnostics;
+_checkEqual(1, diagnostics.length);
+_checkEqual("warning", diagnostics[0].severity);
+_checkEqual("sketch.pde", diagnostics[0].file);
+_checkEqual(6, diagnostics[0].line);
+_checkEqual(3, diagnostics[0].column);
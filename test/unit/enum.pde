@@ -0,0 +1,106 @@
+enum Direction { NORTH, EAST, SOUTH, WEST }
+
+enum Planet {
+  MERCURY(3.303e+23, 2.4397e6),
+  EARTH(5.976e+24, 6.37814e6);
+
+  static final float G = 6.67300E-11;
+  private final float mass;
+  private final float radius;
+
+  Planet(float mass, float radius) {
+    this.mass = mass;
+    this.radius = radius;
+  }
+
+  float surfaceGravity() {
+    return G * mass / (radius * radius);
+  }
+
+  Planet next() {
+    return values()[(ordinal() + 1) % values().length];
+  }
+}
+
+class Turtle {
+  enum Pen { UP, DOWN }
+  Pen pen = Pen.UP;
+
+  void toggle() {
+    pen = pen == Pen.UP ? Pen.DOWN : Pen.UP;
+  }
+}
+
+String describe(Direction d) {
+  switch (d) {
+    case NORTH:
+      return "up";
+    case SOUTH:
+      return "down";
+    default:
+      return "side";
+  }
+}
+
+_checkEqual(4, Direction.values().length);
+_checkEqual("EAST", Direction.EAST.name());
+_checkEqual(2, Direction.SOUTH.ordinal());
+_checkEqual("WEST", "" + Direction.WEST);
+_checkTrue(Direction.valueOf("NORTH") == Direction.NORTH);
+_checkTrue(Direction.EAST.compareTo(Direction.WEST) < 0);
+_checkTrue(Direction.NORTH instanceof Direction);
+_checkThrows(function() { Direction.valueOf("UP"); });
+
+_checkEqual("up", describe(Direction.NORTH));
+_checkEqual("down", describe(Direction.SOUTH));
+_checkEqual("side", describe(Direction.EAST));
+
+_checkEqual(9.80, Planet.EARTH.surfaceGravity(), 0.01);
+_checkTrue(Planet.MERCURY.next() == Planet.EARTH);
+_checkTrue(Planet.EARTH.next() == Planet.MERCURY);
+
+Turtle turtle = new Turtle();
+turtle.toggle();
+_checkTrue(turtle.pen == Turtle.Pen.DOWN);
+_checkEqual(1, turtle.pen.ordinal());
+
+int count = 0;
+for (Direction d : Direction.values()) {
+  count += d.ordinal();
+}
+_checkEqual(6, count);
+
+// case labels are constants of the switched enum, not the PConstants of the same names
+enum Dir { LEFT, RIGHT, UP, CENTER }
+
+String turn(Dir dir) {
+  switch (dir) {
+    case LEFT:
+      return "left";
+    case RIGHT:
+      return "right";
+    case CENTER:
+      return "center";
+    default:
+      return "other";
+  }
+}
+
+_checkEqual("left", turn(Dir.LEFT));
+_checkEqual("right", turn(Dir.RIGHT));
+_checkEqual("center", turn(Dir.CENTER));
+_checkEqual("other", turn(Dir.UP));
+
+int arrow(int code) {
+  switch (code) {
+    case LEFT:
+      return -1;
+    case RIGHT:
+      return 1;
+  }
+  return 0;
+}
+
+_checkEqual(-1, arrow(LEFT));
+_checkEqual(1, arrow(RIGHT));
+_checkEqual(0, arrow(UP));
@@ -0,0 +1,56 @@
+// the file functions read and write through Processing.fileSystem, in memory without a DOM
+
+byte[] data = { 0, 1, 127, -128, -1 };
+saveBytes("data/bytes.dat", data);
+byte[] loaded = loadBytes("data/bytes.dat");
+_checkEqual(5, loaded.length);
+_checkEqual(127, loaded[2]);
+_checkEqual(-128, loaded[3]);
+_checkEqual(-1, loaded[4]);
+_checkTrue(loaded[4] == -1);
+_checkTrue(loadBytes("data/missing.dat") == null);
+// files that neither the file system nor a request has are missing, not empty
+_checkEqual(0, loadStrings("data/missing.txt").length);
+_checkTrue(createReader("data/missing.txt") == null);
+
+// text is UTF-8
+String[] lines = { "first", "café €", "" };
+saveStrings("lines.txt", lines);
+_checkEqual(17, loadBytes("lines.txt").length);
+String[] read = loadStrings("lines.txt");
+_checkEqual(3, read.length);
+_checkEqual("café €", read[1]);
+_checkEqual("", read[2]);
+
+PrintWriter output = createWriter("positions.txt");
+output.print("x=");
+output.println(10);
+output.println("y=20");
+output.flush();
+_checkEqual(2, loadStrings("positions.txt").length);
+output.println("z=30");
+output.close();
+output.println("ignored");
+output.flush();
+
+BufferedReader reader = createReader("positions.txt");
+_checkEqual("x=10", reader.readLine());
+_checkEqual("y=20", reader.readLine());
+_checkEqual('z', reader.read());
+_checkEqual("=30", reader.readLine());
+_checkTrue(reader.readLine() == null);
+_checkEqual(-1, reader.read());
+
+_checkEqual("positions.txt", dataPath("positions.txt"));
+
+// XML and SVG files are read through the file system too
+saveStrings("list.xml", new String[] { "<list><item name='a'/><item name='b'/></list>" });
+XML list = loadXML("list.xml");
+_checkEqual("list", list.getName());
+_checkEqual(2, list.getChildren("item").length);
+saveStrings("dot.svg", new String[] { "<svg width=\"10\" height=\"20\"><rect width=\"5\" height=\"5\"/></svg>" });
+PShape dot = loadShape("dot.svg");
+_checkEqual(10, dot.width);
+_checkEqual(20, dot.height);
+_checkTrue(loadXML("missing.xml") == null);
+_checkTrue(loadShape("missing.svg") == null);
@@ -0,0 +1,83 @@
+// JSONObject and JSONArray, typed getters with defaults, and loading and saving JSON files
+
+JSONObject json = parseJSONObject("{\"name\": \"Goat\", \"weight\": 62.5, \"legs\": \"4\", \"tame\": true, \"owner\": null, \"tags\": [\"farm\", 2, false]}");
+_checkEqual(6, json.size());
+_checkEqual("Goat", json.getString("name"));
+_checkEqual(62.5, json.getFloat("weight"));
+_checkEqual(62, json.getInt("weight"));
+_checkEqual(4, json.getInt("legs"));
+_checkTrue(json.getBoolean("tame"));
+_checkTrue(json.isNull("owner"));
+_checkFalse(json.isNull("name"));
+_checkFalse(json.hasKey("age"));
+_checkEqual(7, json.getInt("age", 7));
+_checkEqual("none", json.getString("owner", "none"));
+_checkEqual(3, json.getInt("name", 3));
+
+String message = null;
+try {
+  json.getInt("age");
+} catch (RuntimeException e) {
+  message = e.getMessage();
+}
+_checkEqual("JSONObject[\"age\"] not found.", message);
+_checkThrows(function() { json.getInt("name"); });
+_checkThrows(function() { json.getJSONObject("tags"); });
+_checkThrows(function() { parseJSONObject("[1, 2]"); });
+_checkThrows(function() { parseJSONArray("{not json"); });
+
+JSONArray tags = json.getJSONArray("tags");
+_checkEqual(3, tags.size());
+_checkEqual("farm", tags.getString(0));
+_checkEqual(2, tags.getInt(1));
+_checkFalse(tags.getBoolean(2));
+_checkEqual("x", tags.getString(5, "x"));
+_checkThrows(function() { tags.getString(5); });
+
+String keys = "";
+for (String key : json.keys()) {
+  keys += key + " ";
+}
+_checkEqual("name weight legs tame owner tags ", keys);
+
+json.remove("tags");
+json.remove("owner");
+json.setInt("age", 3).setJSONObject("place", new JSONObject().setString("farm", "Hill"));
+_checkEqual("{\"name\":\"Goat\",\"weight\":62.5,\"legs\":\"4\",\"tame\":true,\"age\":3,\"place\":{\"farm\":\"Hill\"}}", json.format(-1));
+
+JSONArray numbers = new JSONArray();
+numbers.append(1).append(2.5);
+numbers.setString(3, "four");
+_checkTrue(numbers.isNull(2));
+_checkEqual("[\n  1,\n  2.5,\n  null,\n  \"four\"\n]", numbers.toString());
+_checkEqual("[\n    1,\n    2.5,\n    null,\n    \"four\"\n]", numbers.format(4));
+_checkEqual(2.5, numbers.remove(1));
+_checkEqual(3, numbers.size());
+
+JSONArray ints = parseJSONArray("[3, 1.5, \"2\"]");
+int[] values = ints.getIntArray();
+_checkEqual(3, values.length);
+_checkEqual(1, values[1]);
+_checkEqual(2, values[2]);
+
+saveJSONObject(json, "goat.json");
+JSONObject loaded = loadJSONObject("goat.json");
+_checkEqual("Hill", loaded.getJSONObject("place").getString("farm"));
+_checkEqual(json.toString(), join(loadStrings("goat.json"), "\n"));
+saveJSONArray(numbers, "numbers.json", "compact");
+_checkEqual("[1,null,\"four\"]", loadStrings("numbers.json")[0]);
+_checkEqual(3, loadJSONArray("numbers.json").size());
+
+// keys that objects have in JavaScript are keys like any other
+JSONObject special = new JSONObject();
+_checkFalse(special.hasKey("constructor"));
+special.setInt("__proto__", 1);
+_checkTrue(special.hasKey("__proto__"));
+_checkEqual(1, special.getInt("__proto__"));
+_checkEqual("{\"__proto__\":1}", special.format(-1));
+JSONObject parsedSpecial = parseJSONObject("{\"__proto__\": {\"a\": 2}}");
+_checkEqual(2, parsedSpecial.getJSONObject("__proto__").getInt("a"));
+
+// a file that is not available is null, not an empty or unparsable object
+_checkTrue(loadJSONObject("missing.json") == null);
+_checkTrue(loadJSONArray("missing.json") == null);
@@ -0,0 +1,133 @@
+interface Operation {
+  int apply(int a, int b);
+}
+
+class Counter {
+  int count = 0;
+  int step = 2;
+
+  Runnable incrementer() {
+    return () -> count += step;
+  }
+
+  Runnable self() {
+    return () -> { this.count = 100; };
+  }
+
+  void add(int value) {
+    count += value;
+  }
+
+  void addAll(ArrayList values) {
+    values.forEach(this::add);
+  }
+}
+
+class Point {
+  float x;
+  Point(float x) {
+    this.x = x;
+  }
+  float getX() {
+    return x;
+  }
+  static Point origin() {
+    return new Point(0);
+  }
+}
+
+int apply(Operation op, int a, int b) {
+  return op.apply(a, b);
+}
+
+void sort(ArrayList list, Comparator comparator) {
+  for (int i = 1; i < list.size(); i++) {
+    for (int j = i; j > 0 && comparator.compare(list.get(j - 1), list.get(j)) > 0; j--) {
+      Object item = list.get(j);
+      list.set(j, list.get(j - 1));
+      list.set(j - 1, item);
+    }
+  }
+}
+
+// expression and block bodies, typed and untyped parameters
+_checkEqual(5, apply((a, b) -> a + b, 2, 3));
+_checkEqual(6, apply((int a, int b) -> { return a * b; }, 2, 3));
+_checkEqual(-1, apply((a, b) -> a - b, 2, 3));
+
+// lambdas inside classes use the fields of the instance
+Counter counter = new Counter();
+Runnable r = counter.incrementer();
+r.run();
+r.run();
+_checkEqual(4, counter.count);
+counter.self().run();
+_checkEqual(100, counter.count);
+
+ArrayList values = new ArrayList();
+values.add(1);
+values.add(2);
+counter.addAll(values);
+_checkEqual(103, counter.count);
+
+// comparators
+ArrayList points = new ArrayList();
+points.add(new Point(3));
+points.add(new Point(1));
+points.add(new Point(2));
+sort(points, (p, q) -> p.x - q.x);
+_checkEqual(1, ((Point)points.get(0)).x);
+_checkEqual(3, ((Point)points.get(2)).x);
+
+// curried lambdas
+var adder = a -> b -> a + b;
+_checkEqual(7, adder.apply(3).apply(4));
+
+// method references
+var getX = Point::getX;
+_checkEqual(1, getX.apply(points.get(0)));
+var origin = Point::origin;
+_checkEqual(0, origin.get().x);
+var create = Point::new;
+_checkEqual(8, create.apply(8).x);
+
+// forEach of the collections
+ArrayList<Point> moved = new ArrayList<Point>();
+moved.add(new Point(1));
+moved.add(new Point(2));
+moved.forEach(p -> p.x += 10);
+_checkEqual(11, moved.get(0).x);
+_checkEqual(12, moved.get(1).x);
+
+HashMap<String, Integer> map = new HashMap<String, Integer>();
+map.put("a", 1);
+map.put("b", 2);
+int total = 0;
+map.forEach((key, value) -> total += value);
+_checkEqual(3, total);
+
+// method references returned and passed as arguments
+class Calculator {
+  int sum(int a, int b) {
+    return a + b;
+  }
+  Operation adder() {
+    return this::sum;
+  }
+}
+
+Operation maximum() {
+  return Math::max;
+}
+
+Calculator calculator = new Calculator();
+_checkEqual(5, calculator.adder().apply(2, 3));
+_checkEqual(9, maximum().apply(4, 9));
+_checkEqual(3, apply(calculator::sum, 1, 2));
+_checkEqual(7, apply(Math::max, 7, -7));
+
+// lambdas keep the call() and apply() of functions, Callable.call() still works
+Callable<Integer> answer = () -> 42;
+_checkEqual(42, answer.call());
+_checkTrue(answer.call == Function.prototype.call);
+_checkTrue(getX.apply == Function.prototype.apply);
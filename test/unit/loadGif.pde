@@ -0,0 +1,51 @@
+// loadGif decodes every frame of an animated GIF
+PImage gif = loadGif("test/ref/animated.gif");
+_checkEqual(20, gif.width);
+_checkEqual(10, gif.height);
+_checkEqual(3, gif.frameCount());
+_checkEqual(100, gif.delay(0));
+_checkEqual(200, gif.delay(1));
+_checkEqual(500, gif.delay(2));
+
+_checkEqual(0, gif.frame());
+_checkEqual(color(255, 0, 0), gif.get(4, 4));
+_checkEqual(color(255), gif.get(12, 4));
+
+// the first frame is disposed of, the second one stays under the third one
+gif.frame(1);
+_checkEqual(1, gif.frame());
+_checkEqual(color(255), gif.get(4, 4));
+_checkEqual(color(0, 255, 0), gif.get(12, 4));
+
+gif.frame(2);
+_checkEqual(color(0, 255, 0), gif.get(12, 4));
+_checkEqual(color(0, 0, 255), gif.get(16, 6));
+_checkEqual(color(255), gif.get(18, 6));
+
+gif.stop();
+_checkEqual(0, gif.frame());
+_checkFalse(gif.isPlaying());
+gif.play();
+_checkTrue(gif.isPlaying());
+gif.pause();
+_checkFalse(gif.isPlaying());
+
+// other images have one frame
+PImage png = loadImage("test/ref/house.png");
+_checkEqual(1, png.frameCount());
+
+// GifMaker records frames into an animated GIF
+GifMaker maker = new GifMaker(this, "recorded.gif");
+maker.setRepeat(0);
+maker.setDelay(50);
+for (int i = 0; i < 3; i++) {
+  PImage frame = createImage(8, 8, RGB);
+  frame.loadPixels();
+  for (int j = 0; j < frame.pixels.length; j++) {
+    frame.pixels[j] = color(i * 100, 0, 0);
+  }
+  frame.updatePixels();
+  maker.addFrame(frame);
+}
+var bytes = maker.finish();
+_checkEqual("GIF89a", String.fromCharCode(bytes[0], bytes[1], bytes[2], bytes[3], bytes[4], bytes[5]));
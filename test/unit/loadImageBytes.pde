@@ -0,0 +1,34 @@
+// without a DOM, loadImage reads the image bytes and decodes them itself
+
+PImage png = loadImage("test/ref/house.png");
+_checkEqual(200, png.width);
+_checkEqual(200, png.height);
+_checkEqual(color(239), png.get(0, 0));
+_checkEqual(color(184), png.get(10, 10));
+
+PImage gif = loadImage("test/ref/PT_anim0000.gif");
+_checkEqual(100, gif.width);
+_checkEqual(color(204), gif.get(50, 0));
+
+// JPEG decoders may be a level off here and there
+PImage jpeg = loadImage("test/perf/arch-100.jpg");
+_checkEqual(100, jpeg.width);
+color c = jpeg.get(0, 0);
+_checkEqual(186, red(c), 2);
+_checkEqual(200, green(c), 2);
+_checkEqual(185, blue(c), 2);
+
+// transparency is kept
+PImage transparent = loadImage("test/ref/transparent.png");
+_checkEqual(0, alpha(transparent.get(0, 0)));
+
+_checkTrue(loadImage("test/ref/missing.png") == null);
+PImage notAnImage = loadImage("test/ref/tests.js");
+_checkEqual(-1, notAnImage.width);
+
+// saving encodes PNG bytes
+var bytes = png.save("house-copy.png");
+_checkEqual(0x89, bytes[0]);
+_checkEqual(0x50, bytes[1]);
+_checkEqual(0x4E, bytes[2]);
+_checkEqual(0x47, bytes[3]);
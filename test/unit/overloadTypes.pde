@@ -0,0 +1,122 @@
+// overloads with as many parameters are picked by the types of the arguments
+
+class Shape {
+  String describe(float size) {
+    return "size " + size;
+  }
+  String describe(String name) {
+    return "named " + name;
+  }
+}
+
+class Circle extends Shape {
+  String describe(PVector center) {
+    return "centered";
+  }
+  String describe(String name) {
+    return "circle " + name;
+  }
+}
+
+class Accumulator {
+  float total = 0;
+  int calls = 0;
+
+  void add(PVector v) {
+    total += v.x + v.y;
+  }
+  void add(float f) {
+    total += f;
+  }
+  void add(float[] values) {
+    for (int i = 0; i < values.length; i++) {
+      total += values[i];
+    }
+  }
+  void add(char c) {
+    calls++;
+  }
+  void add(Shape shape) {
+    total += 1000;
+  }
+  void add(boolean flag, int count) {
+    calls += count;
+  }
+  void add(int a, int b) {
+    total += a * b;
+  }
+}
+
+Accumulator acc = new Accumulator();
+acc.add(new PVector(1, 2));
+_checkEqual(3, acc.total);
+acc.add(0.5);
+_checkEqual(3.5, acc.total);
+acc.add(new float[] { 1, 2, 3 });
+_checkEqual(9.5, acc.total);
+acc.add('x');
+_checkEqual(1, acc.calls);
+acc.add(new Circle());
+_checkEqual(1009.5, acc.total);
+acc.add(true, 2);
+_checkEqual(3, acc.calls);
+acc.add(2, 5);
+_checkEqual(1019.5, acc.total);
+
+// base class overloads are inherited, unless overridden
+Circle circle = new Circle();
+_checkEqual("size 2.5", circle.describe(2.5));
+_checkEqual("centered", circle.describe(new PVector(0, 0)));
+_checkEqual("circle unit", circle.describe("unit"));
+Shape shape = new Shape();
+_checkEqual("named square", shape.describe("square"));
+
+// so are the overloads of the functions of the sketch, which can be called before they are declared
+_checkEqual("text hi", show("hi"));
+
+String show(float f) {
+  return "number " + f;
+}
+String show(String s) {
+  return "text " + s;
+}
+String show(PVector v) {
+  return "vector " + v.x;
+}
+String show(String s, int times) {
+  return "text " + s + " x" + times;
+}
+
+_checkEqual("number 1.5", show(1.5));
+_checkEqual("vector 4.5", show(new PVector(4.5, 0)));
+_checkEqual("text a x3", show("a", 3));
+
+// overloads that only differ in int and float parameters are picked by the literal,
+// declared or cast types of the arguments, as in Java
+String scale(int factor) {
+  return "int " + factor;
+}
+String scale(float factor) {
+  return "float " + factor;
+}
+int steps = 4;
+float ratio = 2;
+_checkEqual("int 2", scale(2));
+_checkEqual("float 2.5", scale(2.5));
+_checkEqual("int 4", scale(steps));
+_checkEqual("float 2", scale(ratio));
+_checkEqual("float 4", scale((float) steps));
+_checkEqual("int 8", scale(steps * 2));
+
+class Grid {
+  String cell(float x, String label) {
+    return "float " + label;
+  }
+  String cell(int x, String label) {
+    return "int " + label;
+  }
+}
+Grid grid = new Grid();
+_checkEqual("int a", grid.cell(1, "a"));
+_checkEqual("float b", grid.cell(1.0, "b"));
+_checkEqual(0, externals.sketch.diagnostics.length);
@@ -0,0 +1,75 @@
+// preload() reads its files in the background, and setup() runs once they are all there.
+// The fake requests answer at once, so the files are there as soon as preload() returns.
+
+var __testFiles = {
+  "data.txt" : "first\r\nsecond\n",
+  "data.json" : "{\"items\": [\"a\", \"b\"]}",
+  "data.xml" : "<list><item name='a'/><item name='b'/></list>",
+  "shape.svg" : "<svg xmlns='http://www.w3.org/2000/svg' width='80' height='40'><rect x='10' y='10' width='20' height='20'/></svg>",
+  "many.txt" : new Array(200001).join("line\n")
+};
+
+externals.window.XMLHttpRequest.prototype = {
+  open: function(method, url) { this.responseText = __testFiles[url]; },
+  status: 200,
+  send: function() {},
+  setRequestHeader: function() {}
+};
+
+String[] lines;
+byte[] bytes;
+byte[] font;
+String[] many;
+XML xml;
+JSONObject json;
+PShape shape;
+String[] saved;
+int preloads = 0;
+
+saveStrings("saved.txt", new String[] { "from the file system" });
+
+void preload() {
+  preloads++;
+  lines = loadStrings("data.txt");
+  bytes = loadBytes("test/ref/animated.gif");
+  // more items than a call can take as arguments
+  font = loadBytes("test/ref/DejaVuSerif.ttf");
+  many = loadStrings("many.txt");
+  xml = loadXML("data.xml");
+  json = loadJSONObject("data.json");
+  shape = loadShape("shape.svg");
+  saved = loadStrings("saved.txt");
+}
+
+void setup() {
+  _checkEqual(1, preloads);
+
+  _checkEqual(2, lines.length);
+  _checkEqual("first", lines[0]);
+  _checkEqual("second", lines[1]);
+
+  _checkEqual(71, bytes[0]);
+  _checkEqual(73, bytes[1]);
+  _checkEqual(70, bytes[2]);
+  _checkEqual(-127, bytes[10]);
+
+  _checkEqual(337444, font.length);
+  _checkEqual(1, font[1]);
+  _checkEqual(200000, many.length);
+  _checkEqual("line", many[199999]);
+
+  _checkEqual("list", xml.getName());
+  _checkEqual(2, xml.getChildren("item").length);
+
+  _checkEqual("b", json.getJSONArray("items").getString(1));
+
+  _checkEqual(80, shape.width);
+  _checkEqual(40, shape.height);
+  _checkEqual(1, shape.children.length);
+
+  _checkEqual(1, saved.length);
+  _checkEqual("from the file system", saved[0]);
+
+  // outside of preload(), the load functions read their files right away
+  _checkEqual(2, loadStrings("data.txt").length);
+}
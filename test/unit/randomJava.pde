@@ -0,0 +1,47 @@
+// seeded random numbers are the ones of java.util.Random and desktop Processing
+
+Random generator = new Random(42);
+_checkEqual(-1170105035, generator.nextInt());
+
+generator = new Random(0);
+_checkEqual(0.730967787376657, generator.nextDouble());
+generator.setSeed(0);
+_checkEqual(0.7309677600860596, generator.nextFloat());
+generator.setSeed(0);
+_checkEqual(0.8025330637390305, generator.nextGaussian());
+generator.setSeed(0);
+_checkEqual(0, generator.nextInt(10));
+_checkThrows(function() { generator.nextInt(0); });
+
+int trues = 0;
+for (int i = 0; i < 100; i++) {
+  if (generator.nextBoolean()) {
+    trues++;
+  }
+}
+_checkTrue(trues > 0 && trues < 100);
+
+// random() and randomGaussian() use the same generator
+randomSeed(0);
+_checkEqual(0.7309677600860596, random(1));
+float first = random(10, 20);
+randomSeed(0);
+random(1);
+_checkEqual(first, random(10, 20));
+_checkTrue(first >= 10 && first < 20);
+_checkEqual(0, random(0));
+_checkEqual(5, random(5, 5));
+
+randomSeed(0);
+float gaussian = randomGaussian();
+_checkTrue(abs(gaussian - 0.8025330637390305) < 1e-6);
+
+// the noise table is filled by the seeded generator
+noiseSeed(0);
+_checkTrue(abs(noise(0) - 0.7309677600860596 * 0.9375) < 1e-6);
+float n = noise(0.3, 1.7, 2.2);
+_checkTrue(n >= 0 && n < 1);
+noiseSeed(0);
+_checkEqual(n, noise(0.3, 1.7, 2.2));
+noiseSeed(1);
+_checkTrue(n != noise(0.3, 1.7, 2.2));
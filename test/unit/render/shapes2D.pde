@@ -0,0 +1,46 @@
+// shapes drawn by the 2D renderer, checked pixel by pixel
+size(100, 100);
+background(255);
+noStroke();
+
+fill(255, 0, 0);
+rect(10, 10, 20, 20);
+_checkEqual(color(255, 0, 0), get(20, 20));
+_checkEqual(color(255), get(9, 20));
+_checkEqual(color(255), get(30, 20));
+
+fill(0, 0, 255);
+ellipse(70, 20, 20, 20);
+_checkEqual(color(0, 0, 255), get(70, 20));
+_checkEqual(color(255), get(70, 31));
+_checkEqual(color(255), get(62, 12));
+
+// translucent fills blend with the background
+fill(0, 0, 0, 128);
+rect(10, 40, 10, 10);
+_checkEqual(127, red(get(15, 45)), 1);
+
+// strokes are centered on the outline
+stroke(0);
+strokeWeight(4);
+line(40, 60, 90, 60);
+_checkEqual(color(0), get(65, 59));
+_checkEqual(color(0), get(65, 61));
+_checkEqual(color(255), get(65, 63));
+
+// transforms
+noStroke();
+fill(0, 255, 0);
+pushMatrix();
+translate(20, 80);
+rotate(PI / 4);
+rect(-5, -5, 10, 10);
+popMatrix();
+_checkEqual(color(0, 255, 0), get(20, 80));
+_checkEqual(color(0, 255, 0), get(20, 74));
+_checkEqual(color(255), get(15, 75));
+
+// images are copied with their pixels
+PImage img = get(10, 10, 20, 20);
+image(img, 60, 70);
+_checkEqual(color(255, 0, 0), get(70, 80));
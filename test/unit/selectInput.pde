@@ -0,0 +1,63 @@
+// the pickers are injectable: this one picks files that the sketch saved itself
+
+String[] picked;
+byte[] pickedBytes;
+File output = new File("unset");
+File folder;
+
+externals.filePicker = {
+  selectInput: function(prompt, file, callback) { callback(prompt == "bytes" ? "photos/a.dat" : "picked.txt"); },
+  selectOutput: function(prompt, file, callback) { callback(file == "cancel" ? null : file); },
+  selectFolder: function(prompt, file, callback) { callback("photos"); }
+};
+
+void fileSelected(File selection) {
+  _checkEqual("picked.txt", selection.getName());
+  picked = loadStrings(selection.getAbsolutePath());
+}
+
+void bytesSelected(File selection) {
+  _checkEqual("photos", selection.getParent());
+  pickedBytes = loadBytes(selection.getPath());
+}
+
+void outputSelected(File selection) {
+  output = selection;
+}
+
+void folderSelected(File selection) {
+  folder = selection;
+}
+
+void setup() {
+  saveStrings("picked.txt", new String[] { "one", "two" });
+  saveBytes("photos/a.dat", new byte[] { 1, 2, 3 });
+  saveBytes("photos/more/b.dat", new byte[] { 4 });
+
+  selectInput("Pick a text file", "fileSelected");
+  _checkEqual(2, picked.length);
+  _checkEqual("two", picked[1]);
+
+  selectInput("bytes", "bytesSelected");
+  _checkEqual(3, pickedBytes.length);
+
+  selectOutput("Save as", "outputSelected", new File("result.txt"));
+  _checkEqual("result.txt", output.getPath());
+  _checkFalse(output.exists());
+  saveStrings(output.getPath(), new String[] { "done" });
+  _checkTrue(output.isFile());
+  _checkEqual(5, output.length());
+
+  selectOutput("Save as", "outputSelected", "cancel");
+  _checkTrue(output == null);
+
+  selectFolder("Pick a folder", "folderSelected");
+  _checkTrue(folder.isDirectory());
+  _checkFalse(folder.isFile());
+  File[] files = folder.listFiles();
+  _checkEqual(2, files.length);
+  _checkEqual("photos/a.dat", files[0].getPath());
+  _checkTrue(files[1].isDirectory());
+
+  _checkThrows(function() { selectInput("Pick", "missingCallback"); });
+}
@@ -0,0 +1,25 @@
+// The compiled sketch keeps a source map back to the .pde lines.
+
+int sourceMapProbe(int a) {
+  int b = a * 2;
+  return b;
+}
+
+String[] generated = externals.sketch.sourceCode.split("\n");
+int probeLine = -1;
+for (int i = 0; i < generated.length; i++) {
+  if (generated[i].indexOf("var b " + "=") >= 0) {
+    probeLine = i + 1;
+  }
+}
+
+var sourceMap = externals.sketch.sourceMap;
+_checkTrue(probeLine > 0);
+_checkEqual("sketch.pde", sourceMap.originalPositionFor(probeLine).source);
+_checkEqual(4, sourceMap.originalPositionFor(probeLine).line);
+_checkEqual(3, sourceMap.toJSON().version);
+// a string that looks like a marker is left as it is
+String markerText = "a/*@pde:3*/b";
+_checkEqual(12, markerText.length());
+_checkEqual(-1, externals.sketch.sourceCode.replace("a/*@pde:3*/b", "").indexOf("@p" + "de:"));
+_checkEqual(8, sourceMapProbe(4));
@@ -0,0 +1,102 @@
+/* @pjs strictNumerics="true"; */
+// with the strictNumerics directive, integer arithmetic follows the rules of Java
+
+int MAX = 2147483647;
+
+int half(int value) {
+  return value / 2;
+}
+
+class Counter {
+  int count = MAX;
+  long total = 0;
+
+  void add(int value) {
+    count += value;
+    total += value;
+  }
+}
+
+// integer division truncates towards zero
+int a = 7, b = 2;
+_checkEqual(3, a / b);
+_checkEqual(-3, -a / b);
+_checkEqual(3, half(7));
+_checkEqual(3.5, a / 2.0);
+_checkEqual(1, a % b);
+int zero = 0;
+try {
+  int result = a / zero;
+  _checkTrue(false);
+} catch (ArithmeticException e) {
+  _checkEqual("/ by zero", e.getMessage());
+}
+
+// int addition, subtraction and multiplication overflow
+_checkEqual(-2147483648, MAX + 1);
+_checkEqual(-2, MAX * 2);
+int wrapped = MAX;
+wrapped += 1;
+_checkEqual(-2147483648, wrapped);
+int[] values = { MAX, 0 };
+values[0] += 1;
+_checkEqual(-2147483648, values[0]);
+Counter counter = new Counter();
+counter.add(2);
+_checkEqual(-2147483647, counter.count);
+_checkEqual(2, counter.total);
+
+// assignments of float values to int variables truncate them
+int truncated = 7;
+truncated *= 0.5;
+_checkEqual(3, truncated);
+int fromFloat = (int) (-2.7);
+_checkEqual(-2, fromFloat);
+
+// narrowing casts wrap around
+byte small = (byte) 200;
+_checkEqual(-56, small);
+small += 100;
+_checkEqual(44, small);
+short medium = (short) 40000;
+_checkEqual(-25536, medium);
+char letter = (char) 66;
+_checkTrue(letter == 'B');
+char next = (char) (letter + 1);
+_checkTrue(next == 'C');
+
+// long division truncates too
+long big = 10000000000L;
+_checkEqual(3333333333, big / 3);
+_checkEqual(3, (long) 3.9);
+
+// the types of a name are the ones of its scope
+int halveInt() {
+  int i = 5;
+  return i / 2;
+}
+float halveFloat() {
+  float i = 5;
+  return i / 2;
+}
+class Halves {
+  float value = 5;
+  float get() {
+    return value / 2;
+  }
+  int getInt() {
+    int value = 5;
+    return value / 2;
+  }
+}
+_checkEqual(2, halveInt());
+_checkEqual(2.5, halveFloat());
+Halves halves = new Halves();
+_checkEqual(2.5, halves.get());
+_checkEqual(2, halves.getInt());
+for (int j = 5; j < 6; j++) {
+  _checkEqual(2, j / 2);
+}
+for (float j = 5; j < 6; j++) {
+  _checkEqual(2.5, j / 2);
+}
@@ -0,0 +1,155 @@
+// structs are values: assignments and arguments copy them
+
+struct Point {
+  float x;
+  float y;
+
+  float magnitude() {
+    return sqrt(x * x + y * y);
+  }
+}
+
+struct Segment {
+  Point from;
+  Point to;
+  int[] weights = new int[2];
+}
+
+// a struct variable is never null
+Point p;
+_checkEqual(0, p.x);
+p.x = 3;
+p.y = 4;
+_checkEqual(5, p.magnitude());
+
+Point q = p;
+q.x = 10;
+_checkEqual(3, p.x);
+
+Point r = new Point();
+r = p;
+r.y = 1;
+_checkEqual(4, p.y);
+
+void moveAway(Point point) {
+  point.x = 100;
+}
+moveAway(p);
+_checkEqual(3, p.x);
+
+// generated equals, hashCode, toString and clone
+Point same = new Point();
+same.x = 3;
+same.y = 4;
+_checkTrue(p.equals(same));
+_checkFalse(p.equals(q));
+_checkEqual(p.hashCode(), same.hashCode());
+_checkEqual("Point[x=3, y=4]", p.toString());
+Point copy = p.clone();
+_checkTrue(copy.equals(p));
+_checkFalse(copy == p);
+
+HashMap<Point, String> names = new HashMap<Point, String>();
+names.put(p, "p");
+_checkEqual("p", names.get(same));
+
+// nested structs and their arrays are copied with them
+Segment s;
+s.from = p;
+s.to.x = 1;
+s.weights[0] = 7;
+p.x = -1;
+_checkEqual(3, s.from.x);
+Segment t = s;
+t.to.x = 2;
+t.weights[0] = 8;
+_checkEqual(1, s.to.x);
+_checkEqual(7, s.weights[0]);
+_checkEqual("Segment[from=Point[x=3, y=4], to=Point[x=1, y=0], weights=[7, 0]]", s.toString());
+
+// every item of a struct array is a struct of its own
+Point[] points = new Point[3];
+points[1].x = 5;
+_checkEqual(0, points[0].x);
+_checkEqual(5, points[1].x);
+points[0] = points[1];
+points[0].x = 6;
+_checkEqual(5, points[1].x);
+Point[][] grid = new Point[2][2];
+grid[1][1].y = 2;
+_checkEqual(0, grid[0][1].y);
+
+// structs can have constructors and methods, and be declared as "struct Type name"
+struct Range {
+  int low, high;
+
+  Range(int low, int high) {
+    this.low = low;
+    this.high = high;
+  }
+
+  boolean contains(struct Range other) {
+    return other.low >= low && other.high <= high;
+  }
+}
+
+struct Range whole = new Range(0, 10);
+_checkTrue(whole.contains(new Range(2, 3)));
+_checkFalse(whole.contains(new Range(5, 11)));
+_checkEqual(10, whole.clone().high);
+
+// array initializers, arguments and return values are copies too
+Point a = new Point();
+Point b = new Point();
+Point[] pair = {a, b};
+pair[0].x = 1;
+Point[] other = new Point[] {a, b};
+other[1].x = 2;
+_checkEqual(0, a.x);
+_checkEqual(0, b.x);
+
+ArrayList<Point> added = new ArrayList<Point>();
+added.add(a);
+added.get(0).y = 3;
+_checkEqual(0, a.y);
+
+class Body {
+  Point position;
+
+  Point getPosition() {
+    return position;
+  }
+}
+Body body = new Body();
+body.getPosition().x = 4;
+_checkEqual(0, body.position.x);
+
+// only struct variables are copied
+float[] values = {1, 2};
+float[] sameValues = values;
+sameValues[0] = 5;
+_checkEqual(5, values[0]);
+
+// arguments are only copied for struct parameters
+class Registry {
+  Object last;
+  Point kept;
+
+  void remember(Object value) {
+    last = value;
+  }
+  void keep(Point point) {
+    kept = point;
+  }
+}
+Registry registry = new Registry();
+registry.remember(a);
+_checkTrue(registry.last == a);
+registry.keep(a);
+registry.kept.x = 9;
+_checkEqual(0, a.x);
+
+HashMap<String, Point> byName = new HashMap<String, Point>();
+byName.put("a", a);
+byName.get("a").x = 6;
+_checkEqual(0, a.x);
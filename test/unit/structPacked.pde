@@ -0,0 +1,133 @@
+/* @pjs packedStructs="true"; */
+// arrays of structs with primitive fields only keep every field in a typed array
+
+struct Particle {
+  float x, y;
+  float speed = 0.5;
+  int age;
+  color tint;
+  boolean alive = true;
+}
+
+struct Label {
+  float x;
+  String text;
+}
+
+void step(Particle[] particles) {
+  for (int i = 0; i < particles.length; i++) {
+    particles[i].x += particles[i].speed;
+    particles[i].age++;
+    if (particles[i].age > 1) {
+      particles[i].alive = false;
+    }
+  }
+}
+
+Particle[] particles = new Particle[3];
+_checkEqual(3, particles.length);
+_checkEqual(0.5, particles[2].speed);
+_checkTrue(particles[0].alive);
+_checkTrue(particles.x instanceof Float32Array);
+_checkTrue(particles.x.buffer == particles.alive.buffer);
+
+step(particles);
+step(particles);
+_checkEqual(1, particles[1].x);
+_checkEqual(2, particles[1].age);
+_checkFalse(particles[1].alive);
+
+// fields of Java types: ints are truncated, floats have 32 bits
+particles[0].age = 7.9;
+_checkEqual(7, particles[0].age);
+particles[0].tint = #FF8000;
+_checkEqual(#FF8000, particles[0].tint);
+
+// whole items are copied in and out
+Particle p = particles[1];
+p.x = 10;
+_checkEqual(1, particles[1].x);
+particles[2] = p;
+_checkEqual(10, particles[2].x);
+_checkFalse(particles[2].alive);
+_checkTrue(particles[2].equals(p));
+
+int count = 0;
+for (Particle each : particles) {
+  count += each.age;
+}
+_checkEqual(11, count);
+_checkThrows(function() { Particle missing = particles[3]; });
+
+// structs with other fields are not packed
+Label[] labels = new Label[2];
+labels[1].text = "b";
+_checkEqual("b", labels[1].text);
+_checkTrue(labels instanceof Array);
+
+// the arrays of other scopes with the same name are not packed
+float total(float[] particles) {
+  return particles[0] + particles[1];
+}
+_checkEqual(3, total(new float[] {1, 2}));
+
+class Swarm {
+  int[] particles = new int[2];
+
+  int first() {
+    particles[0] = 4;
+    return particles[0];
+  }
+}
+_checkEqual(4, new Swarm().first());
+
+void reset() {
+  Label[] particles = new Label[1];
+  particles[0].text = "local";
+  _checkEqual("local", particles[0].text);
+}
+reset();
+
+// packed arrays that are fields of other objects
+class World {
+  Particle[] ps = new Particle[2];
+}
+World w = new World();
+w.ps[1].x = 5;
+w.ps[1].alive = false;
+_checkEqual(5, w.ps[1].x);
+_checkFalse(w.ps[1].alive);
+_checkEqual(5, w.ps.x[1]);
+World[] worlds = { w };
+worlds[0].ps[0].age = 3;
+_checkEqual(3, w.ps[0].age);
+
+// reading or writing a field out of bounds throws
+_checkThrows(function() { float x = particles[3].x; });
+_checkThrows(function() { particles[-1].age = 1; });
+try {
+  w.ps[2].x = 1;
+} catch (ArrayIndexOutOfBoundsException e) {
+  _checkEqual("2", e.getMessage());
+}
+
+// the array functions keep them packed
+Particle[] more = (Particle[]) append(w.ps, particles[2]);
+_checkEqual(3, more.length);
+_checkEqual(10, more[2].x);
+_checkEqual(5, more[1].x);
+Particle[] part = (Particle[]) subset(more, 1);
+_checkEqual(2, part.length);
+_checkEqual(5, part[0].x);
+Particle[] expanded = (Particle[]) expand(part, 4);
+_checkEqual(0.5, expanded[3].speed);
+_checkEqual(1, shorten(part).length);
+_checkEqual(4, concat(part, w.ps).length);
+Particle[] target = new Particle[3];
+arrayCopy(more, 1, target, 0, 2);
+_checkEqual(5, target[0].x);
+_checkEqual(10, target[1].x);
+_checkThrows(function() { arrayCopy(more, target, 4); });
+Particle[] reversed = (Particle[]) reverse(subset(more, 0));
+_checkEqual(10, reversed[0].x);
+_checkTrue(target.x instanceof Float32Array);
@@ -0,0 +1,87 @@
+// CSV with quoted fields, typed columns, finding, sorting and saving
+
+String[] csv = {
+  "name,species,weight",
+  "Goat,Capra,62.5",
+  "\"Lion, African\",Panthera,190",
+  "Tiger,Panthera,",
+  "\"Quoted \"\"name\"\"\",\"Multi",
+  "line\",3"
+};
+saveStrings("animals.csv", csv);
+
+Table table = loadTable("animals.csv", "header");
+_checkEqual(4, table.getRowCount());
+_checkEqual(3, table.getColumnCount());
+_checkEqual("species", table.getColumnTitle(1));
+_checkEqual(2, table.getColumnIndex("weight"));
+_checkEqual("Lion, African", table.getString(1, "name"));
+_checkEqual("Quoted \"name\"", table.getString(3, 0));
+_checkEqual("Multi\nline", table.getString(3, "species"));
+
+table.setColumnType("weight", Table.FLOAT);
+_checkEqual(Table.FLOAT, table.getColumnType(2));
+_checkEqual(62.5, table.getFloat(0, "weight"));
+float missing = table.getFloat(2, "weight");
+_checkTrue(missing != missing);
+_checkEqual(190, table.getInt(1, "weight"));
+_checkEqual("190.0", table.getString(1, "weight"));
+_checkThrows(function() { table.getString(0, "height"); });
+
+TableRow lion = table.findRow("Panthera", "species");
+_checkEqual("Lion, African", lion.getString("name"));
+int found = 0;
+for (TableRow row : table.findRows("Panthera", "species")) {
+  found++;
+}
+_checkEqual(2, found);
+_checkEqual(3, table.matchRowIndex("^Quo", "name"));
+_checkEqual(1, table.matchRows("Lion|Goat", 0).size() - 1);
+
+// sorting is stable, with the missing values last
+table.sort("weight");
+_checkEqual("Quoted \"name\"", table.getString(0, "name"));
+_checkEqual("Tiger", table.getString(3, "name"));
+table.sortReverse("name");
+_checkEqual("Tiger", table.getString(0, "name"));
+
+TableRow added = table.addRow();
+added.setString("name", "Wolf");
+added.setFloat("weight", 40);
+_checkEqual(5, table.getRowCount());
+_checkEqual(40, table.getFloat(4, 2));
+table.removeRow(0);
+_checkEqual(4, table.getRowCount());
+
+float total = 0;
+for (TableRow row : table.rows()) {
+  total += row.getFloat("weight");
+}
+_checkEqual(295.5, total);
+
+// saved as CSV, and as TSV from the extension
+saveTable(table, "animals-out.csv");
+String[] saved = loadStrings("animals-out.csv");
+_checkEqual("name,species,weight", saved[0]);
+_checkEqual("\"Quoted \"\"name\"\"\",\"Multi", saved[1]);
+_checkEqual("\"Lion, African\",Panthera,190.0", saved[3]);
+// TSV fields cannot hold line breaks
+table.removeRow(0);
+saveTable(table, "animals.tsv");
+Table tsv = loadTable("animals.tsv", "header");
+_checkEqual(3, tsv.getRowCount());
+_checkEqual("Wolf", tsv.getString(2, "name"));
+_checkEqual("Lion, African", tsv.getString(0, "name"));
+
+// tables without a header
+Table plain = new Table();
+plain.addColumn("id", Table.INT);
+plain.addColumn();
+plain.setInt(2, 0, 7);
+_checkEqual(3, plain.getRowCount());
+_checkEqual(0, plain.getInt(0, "id"));
+_checkEqual(7, plain.getInt(2, "id"));
+_checkEqual(2, plain.getRowMap("id").get("7"));
+
+// a file that is not available is null
+_checkTrue(loadTable("missing.csv", "header") == null);
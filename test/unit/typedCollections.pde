@@ -0,0 +1,101 @@
+// IntList, FloatList, StringList, and the dictionaries IntDict, FloatDict and StringDict
+
+IntList ints = new IntList();
+ints.append(5);
+ints.append(new int[] { 3, 9, 3 });
+ints.push(1);
+_checkEqual(5, ints.size());
+_checkEqual(9, ints.max());
+_checkEqual(2, ints.maxIndex());
+_checkEqual(1, ints.min());
+_checkEqual(21, ints.sum());
+_checkTrue(ints.hasValue(9));
+_checkFalse(ints.hasValue(4));
+ints.increment(0);
+ints.increment(6);
+_checkEqual(6, ints.get(0));
+_checkEqual(0, ints.get(5));
+_checkEqual(1, ints.get(6));
+_checkEqual(7, ints.size());
+_checkThrows(function() { ints.get(7); });
+ints.sort();
+_checkEqual("0 1 1 3 3 6 9", ints.join(" "));
+ints.sortReverse();
+_checkEqual("IntList size=7 [ 9, 6, 3, 3, 1, 1, 0 ]", ints.toString());
+_checkEqual(2, ints.removeValues(3));
+_checkEqual(4, ints.removeValue(0));
+int total = 0;
+for (int i : ints) {
+  total += i;
+}
+_checkEqual(17, total);
+ints.shuffle();
+_checkEqual(4, ints.size());
+_checkEqual(17, ints.sum());
+_checkThrows(function() { new IntList().min(); });
+
+FloatList floats = new FloatList(new float[] { 2.5, -1, 4 });
+_checkEqual(5.5, floats.sum());
+_checkEqual(-1, floats.min());
+floats.div(2, 8);
+_checkEqual(0.5, floats.get(2));
+floats.sort();
+_checkEqual("FloatList size=3 [ -1.0, 0.5, 2.5 ]", floats.toString());
+
+StringList words = new StringList("pear", "Apple", "fig", "pear");
+words.sort();
+_checkEqual("Apple fig pear pear", words.join(" "));
+words.upper();
+_checkEqual("FIG", words.get(1));
+_checkEqual(3, words.getUnique().length);
+IntDict tally = words.getTally();
+_checkEqual(2, tally.get("PEAR"));
+Iterator it = words.iterator();
+while (it.hasNext()) {
+  if (it.next().equals("PEAR")) {
+    it.remove();
+  }
+}
+_checkEqual(2, words.size());
+
+IntDict counts = new IntDict();
+counts.increment("b");
+counts.set("a", 5);
+counts.increment("b");
+counts.add("c", 3);
+_checkEqual("b a c", join(counts.keyArray(), " "));
+_checkEqual(2, counts.get("b"));
+_checkEqual(7, counts.get("z", 7));
+_checkThrows(function() { counts.get("z"); });
+_checkEqual("a", counts.maxKey());
+_checkEqual(2, counts.minValue());
+_checkEqual(10, counts.sum());
+counts.sortValues();
+_checkEqual("b c a", join(counts.keyArray(), " "));
+counts.sortKeysReverse();
+_checkEqual("IntDict size=3 { \"c\": 3, \"b\": 2, \"a\": 5 }", counts.toString());
+_checkEqual(0.5, counts.getPercent().get("a"));
+
+String visited = "";
+for (String key : counts.keys()) {
+  visited += key + "=" + counts.get(key) + " ";
+}
+_checkEqual("c=3 b=2 a=5 ", visited);
+int sum = 0;
+for (int value : counts.values()) {
+  sum += value;
+}
+_checkEqual(10, sum);
+_checkEqual(2, counts.remove("b"));
+_checkFalse(counts.hasKey("b"));
+_checkEqual(1, counts.index("a"));
+
+FloatDict prices = new FloatDict(new String[] { "tea", "cake" }, new float[] { 2.5, 4 });
+prices.mult("cake", 2);
+_checkEqual(8, prices.get("cake"));
+_checkEqual("tea", prices.minKey());
+
+StringDict capitals = new StringDict(new String[][] { { "France", "Paris" }, { "Peru", "Lima" } });
+_checkEqual("Lima", capitals.get("Peru"));
+capitals.sortValues();
+_checkEqual("Peru", capitals.key(0));
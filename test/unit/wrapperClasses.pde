@@ -0,0 +1,91 @@
+// Integer, Long, Float, Double, Boolean and Character
+
+_checkEqual(42, Integer.parseInt("42"));
+_checkEqual(-255, Integer.parseInt("-ff", 16));
+_checkThrows(function() { Integer.parseInt("4.2"); });
+_checkThrows(function() { Integer.parseInt("2147483648"); });
+_checkEqual(2147483647, Integer.MAX_VALUE);
+_checkEqual(-2147483648, Integer.MIN_VALUE);
+_checkEqual("ff", Integer.toHexString(255));
+_checkEqual("ffffffff", Integer.toHexString(-1));
+_checkEqual("101", Integer.toBinaryString(5));
+_checkEqual("-7f", Integer.toString(-127, 16));
+_checkEqual(3, Integer.bitCount(7));
+_checkEqual(-1, Integer.compare(1, 2));
+_checkEqual(12, Integer.valueOf("12"));
+
+Integer boxed = Integer.valueOf(7);
+_checkEqual(7, boxed.intValue());
+_checkEqual(7.0, boxed.floatValue());
+float f = 2.75;
+_checkEqual(2, Float.valueOf(f).intValue());
+_checkTrue(boxed instanceof Integer);
+_checkFalse(f instanceof Integer);
+_checkTrue(f instanceof Float);
+
+_checkEqual("ffffffffffffffff", Long.toHexString(-1));
+_checkEqual(9007199254740991, Long.parseLong("9007199254740991"));
+
+_checkEqual(1.5, Float.parseFloat("1.5f"));
+_checkEqual(-2000.0, Double.parseDouble(" -2e3 "));
+_checkTrue(Float.isNaN(Float.parseFloat("NaN")));
+_checkTrue(Float.isNaN(0.0 / 0.0));
+_checkFalse(Float.isNaN(1.0));
+_checkTrue(Double.isInfinite(Double.POSITIVE_INFINITY));
+_checkThrows(function() { Double.parseDouble("one"); });
+_checkEqual(1, Float.compare(Float.NaN, Float.MAX_VALUE));
+_checkEqual(-1, Double.compare(-0.0, 0.0));
+_checkTrue(Float.MAX_VALUE > 3.4e38);
+_checkEqual("1.0", Float.toString(1));
+_checkEqual("1.0E7", Double.toString(10000000));
+
+_checkTrue(Boolean.parseBoolean("TRUE"));
+_checkFalse(Boolean.parseBoolean("yes"));
+_checkTrue(Boolean.TRUE);
+_checkEqual(1, Boolean.compare(true, false));
+
+char c = '7';
+_checkTrue(Character.isDigit(c));
+_checkFalse(Character.isLetter(c));
+_checkTrue(Character.isLetter('é'));
+_checkTrue(Character.isLetterOrDigit('x'));
+_checkTrue(Character.isWhitespace(' '));
+_checkFalse(Character.isWhitespace(' '));
+_checkTrue(Character.isUpperCase('Q'));
+_checkTrue(Character.isLowerCase('q'));
+_checkEqual('A', Character.toUpperCase('a'));
+_checkEqual('z', Character.toLowerCase('Z'));
+_checkEqual(7, Character.getNumericValue(c));
+_checkEqual(11, Character.digit('b', 16));
+_checkEqual(-1, Character.digit('g', 16));
+_checkEqual('f', Character.forDigit(15, 16));
+_checkEqual("x", Character.toString('x'));
+char upper = Character.toUpperCase('b');
+_checkEqual('B', upper);
+_checkTrue(upper instanceof Character);
+
+// new Integer(5) and the like box nothing, the values are the values themselves
+Boolean no = new Boolean(false);
+_checkFalse(no);
+boolean branch = true;
+if (no) {
+  branch = false;
+}
+_checkTrue(branch);
+_checkTrue(new Boolean("TRUE"));
+_checkTrue(new Integer(5).equals(new Integer(5)));
+_checkTrue(new Integer(5).equals(5));
+_checkTrue(new Integer(5) == 5);
+_checkEqual(7, new Integer("7"));
+_checkEqual(2.5, new Double(2.5).doubleValue());
+_checkEqual(1.5, new Float("1.5"));
+_checkEqual(3, new Long(3).intValue());
+ArrayList<Integer> boxes = new ArrayList<Integer>();
+boxes.add(new Integer(5));
+_checkTrue(boxes.contains(new Integer(5)));
+_checkTrue(boxes.contains(5));
+HashMap<Integer, String> byNumber = new HashMap<Integer, String>();
+byNumber.put(new Integer(1), "one");
+_checkEqual("one", byNumber.get(1));
+Integer[] slots = new Integer[2];
+_checkEqual(2, slots.length);